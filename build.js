@@ -29,7 +29,12 @@ const scriptsBuild = require('./scripts/build')
  * 不需獨立 COPY_PATHS——列於此處為打包稽核的單一可查詢來源。
  */
 const BUNDLED_DATA_ASSETS = Object.freeze([
-  'src/data-management/presets/chinese-classification.json'
+  'src/data-management/presets/chinese-classification.json',
+  'src/data-management/presets/classification-terms.json',
+  // PDF 報告預設內嵌字型（Noto Sans TC 常用字子集，scripts/subset-pdf-font.js 產出；SIL OFL 1.1，授權隨附 OFL.txt）；
+  // 僅經 src/ 遞迴複製，執行期以 fetch 讀取
+  'src/export/fonts/NotoSansTC-Subset.ttf',
+  'src/export/fonts/OFL.txt'
 ])
 
 module.exports = {
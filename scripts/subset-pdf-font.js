@@ -0,0 +1,260 @@
+#!/usr/bin/env node
+'use strict'
+
+/**
+ * 產生 PDF 報告打包用的 Noto Sans TC 子集字型
+ *
+ * 用法：npm run font:pdf-subset -- <NotoSansTC-Regular.ttf> [輸出路徑]
+ * 輸出：src/export/fonts/NotoSansTC-Subset.ttf（預設）
+ *
+ * 需求：完整的 Noto Sans TC 約 7 MB，打包進擴充功能過大；報告內容以繁體中文常用字為主，
+ * 只保留下列字元即可涵蓋絕大多數書名與作者：
+ * - 拉丁字母與符號（U+0020-007E、U+00A0-00FF）、一般標點（U+2000-206F）
+ * - CJK 標點（U+3000-303F）、平假名 / 片假名（U+3040-30FF）、全形字元（U+FF00-FFEF）
+ * - Big5 符號區（0xA140-0xA3BF，含注音）與常用字（0xA440-0xC67E，5401 字）
+ * 子集外的字元由 exportToPDF 的字型解析退回閱讀器內建字型（見 pdf-default-font resolvePdfFont）。
+ *
+ * 與 TrueTypeFont.subset 的差異：subset 保留原 glyph id 供 PDF 內嵌；此處重新編號 glyph 並重建
+ * cmap / hmtx / loca，產出可再被 TrueTypeFont 解析的獨立字型。GSUB / GPOS / 直排度量等 PDF 報告
+ * 用不到的表格一併移除。
+ */
+
+const fs = require('fs')
+const path = require('path')
+
+const { TrueTypeFont, writeSfnt } = require(path.resolve(__dirname, '../src/export/truetype-font'))
+
+const DEFAULT_OUTPUT = path.resolve(__dirname, '../src/export/fonts/NotoSansTC-Subset.ttf')
+
+const UNICODE_RANGES = [
+  [0x0020, 0x007E],
+  [0x00A0, 0x00FF],
+  [0x2000, 0x206F],
+  [0x3000, 0x303F],
+  [0x3040, 0x30FF],
+  [0xFF00, 0xFFEF]
+]
+// Big5 [起始, 結束]（雙位元組碼，低位元組 0x40-0x7E、0xA1-0xFE）
+const BIG5_RANGES = [
+  [0xA140, 0xA3BF],
+  [0xA440, 0xC67E]
+]
+// 原樣複製的表格（其餘表格於子集中移除）
+const COPIED_TABLES = ['OS/2', 'cvt ', 'fpgm', 'gasp', 'name', 'prep']
+
+// composite glyph component flags（與 truetype-font 一致）
+const ARG_1_AND_2_ARE_WORDS = 0x0001
+const WE_HAVE_A_SCALE = 0x0008
+const MORE_COMPONENTS = 0x0020
+const WE_HAVE_AN_X_AND_Y_SCALE = 0x0040
+const WE_HAVE_A_TWO_BY_TWO = 0x0080
+
+/**
+ * 列出子集涵蓋的 code point
+ *
+ * @returns {Array<number>} 遞增排序、不重複
+ */
+function buildPdfFontCharset () {
+  const codePoints = new Set()
+  for (const [start, end] of UNICODE_RANGES) {
+    for (let cp = start; cp <= end; cp++) codePoints.add(cp)
+  }
+
+  const decoder = new TextDecoder('big5')
+  for (const [start, end] of BIG5_RANGES) {
+    for (let code = start; code <= end; code++) {
+      const low = code & 0xFF
+      if (!((low >= 0x40 && low <= 0x7E) || (low >= 0xA1 && low <= 0xFE))) continue
+      const char = decoder.decode(new Uint8Array([code >> 8, low]))
+      const cp = char.codePointAt(0)
+      if (char.length === 1 && cp !== 0xFFFD) codePoints.add(cp)
+    }
+  }
+  return [...codePoints].sort((a, b) => a - b)
+}
+
+function table (font, tag) {
+  const entry = font.tables[tag]
+  return entry ? font.bytes.slice(entry.offset, entry.offset + entry.length) : null
+}
+
+function leftSideBearing (font, glyphId) {
+  const hmtx = font.tables.hmtx.offset
+  return glyphId < font.numberOfHMetrics
+    ? font.view.getInt16(hmtx + glyphId * 4 + 2)
+    : font.view.getInt16(hmtx + font.numberOfHMetrics * 4 + (glyphId - font.numberOfHMetrics) * 2)
+}
+
+/**
+ * 複製 glyph 外框並將 composite component 的 glyph id 換成新編號
+ */
+function remapGlyphData (font, glyphId, newIds) {
+  const data = font.glyphData(glyphId).slice()
+  if (data.length < 10) return data
+  const view = new DataView(data.buffer)
+  if (view.getInt16(0) >= 0) return data
+
+  let offset = 10
+  let flags
+  do {
+    flags = view.getUint16(offset)
+    view.setUint16(offset + 2, newIds.get(view.getUint16(offset + 2)))
+    offset += 4 + ((flags & ARG_1_AND_2_ARE_WORDS) ? 4 : 2)
+    if (flags & WE_HAVE_A_SCALE) offset += 2
+    else if (flags & WE_HAVE_AN_X_AND_Y_SCALE) offset += 4
+    else if (flags & WE_HAVE_A_TWO_BY_TWO) offset += 8
+  } while ((flags & MORE_COMPONENTS) && offset + 4 <= data.length)
+  return data
+}
+
+/**
+ * 建立 cmap（format 4，Unicode BMP；platform 0 與 3/1 共用同一子表）
+ *
+ * @param {Array<[number, number]>} mappings - [code point, 新 glyph id]，依 code point 遞增
+ * @returns {Uint8Array}
+ */
+function buildCmap (mappings) {
+  const segments = []
+  for (const [cp, glyphId] of mappings) {
+    const last = segments[segments.length - 1]
+    if (last && cp === last.end + 1 && glyphId === last.glyphId + (cp - last.start)) {
+      last.end = cp
+    } else {
+      segments.push({ start: cp, end: cp, glyphId })
+    }
+  }
+  segments.push({ start: 0xFFFF, end: 0xFFFF, glyphId: 0 })
+
+  const segCount = segments.length
+  const subtableLength = 16 + segCount * 8
+  if (subtableLength > 0xFFFF) {
+    throw new Error(`cmap format 4 超出長度上限（${segCount} 個區段）`)
+  }
+
+  const bytes = new Uint8Array(4 + 8 * 2 + subtableLength)
+  const view = new DataView(bytes.buffer)
+  view.setUint16(2, 2)
+  view.setUint16(4, 0) // platform 0（Unicode）
+  view.setUint16(6, 3)
+  view.setUint32(8, 20)
+  view.setUint16(12, 3) // platform 3（Windows）, encoding 1（Unicode BMP）
+  view.setUint16(14, 1)
+  view.setUint32(16, 20)
+
+  const base = 20
+  const entrySelector = Math.floor(Math.log2(segCount))
+  const searchRange = Math.pow(2, entrySelector) * 2
+  view.setUint16(base, 4)
+  view.setUint16(base + 2, subtableLength)
+  view.setUint16(base + 6, segCount * 2)
+  view.setUint16(base + 8, searchRange)
+  view.setUint16(base + 10, entrySelector)
+  view.setUint16(base + 12, segCount * 2 - searchRange)
+
+  const endCodes = base + 14
+  const startCodes = endCodes + segCount * 2 + 2
+  const idDeltas = startCodes + segCount * 2
+  segments.forEach((segment, i) => {
+    view.setUint16(endCodes + i * 2, segment.end)
+    view.setUint16(startCodes + i * 2, segment.start)
+    const delta = segment.start === 0xFFFF ? 1 : segment.glyphId - segment.start
+    view.setUint16(idDeltas + i * 2, delta & 0xFFFF)
+    // idRangeOffset 全為 0（bytes 初始即為 0）
+  })
+  return bytes
+}
+
+/**
+ * 產出重新編號的子集字型
+ *
+ * @param {TrueTypeFont} font - 完整字型
+ * @param {Array<number>} codePoints - 要保留的 code point（遞增排序）
+ * @returns {{bytes: Uint8Array, glyphCount: number, missing: Array<number>}}
+ */
+function buildSubsetFont (font, codePoints) {
+  // glyph 依 code point 順序編號，連續字元的 cmap 區段可合併
+  const newIds = new Map([[0, 0]])
+  const order = [0]
+  const mappings = []
+  const missing = []
+  for (const cp of codePoints) {
+    if (cp > 0xFFFF) continue
+    const glyphId = font.glyphIdForCodePoint(cp)
+    if (glyphId === 0) {
+      missing.push(cp)
+      continue
+    }
+    if (!newIds.has(glyphId)) {
+      newIds.set(glyphId, order.length)
+      order.push(glyphId)
+    }
+    mappings.push([cp, newIds.get(glyphId)])
+  }
+  for (let i = 0; i < order.length; i++) {
+    for (const component of font.componentGlyphIds(order[i])) {
+      if (!newIds.has(component)) {
+        newIds.set(component, order.length)
+        order.push(component)
+      }
+    }
+  }
+
+  const glyphCount = order.length
+  const outlines = order.map(glyphId => remapGlyphData(font, glyphId, newIds))
+  const loca = new Uint8Array((glyphCount + 1) * 4)
+  const locaView = new DataView(loca.buffer)
+  const glyf = new Uint8Array(outlines.reduce((sum, data) => sum + ((data.length + 3) & ~3), 0))
+  let glyfOffset = 0
+  outlines.forEach((data, i) => {
+    locaView.setUint32(i * 4, glyfOffset)
+    glyf.set(data, glyfOffset)
+    glyfOffset += (data.length + 3) & ~3
+  })
+  locaView.setUint32(glyphCount * 4, glyfOffset)
+
+  const hmtx = new Uint8Array(glyphCount * 4)
+  const hmtxView = new DataView(hmtx.buffer)
+  order.forEach((glyphId, i) => {
+    hmtxView.setUint16(i * 4, font.advanceWidth(glyphId))
+    hmtxView.setInt16(i * 4 + 2, leftSideBearing(font, glyphId))
+  })
+
+  const head = table(font, 'head')
+  new DataView(head.buffer).setUint32(8, 0) // checkSumAdjustment，整檔組裝後回填
+  new DataView(head.buffer).setInt16(50, 1) // indexToLocFormat = long
+  const hhea = table(font, 'hhea')
+  new DataView(hhea.buffer).setUint16(34, glyphCount)
+  const maxp = table(font, 'maxp')
+  new DataView(maxp.buffer).setUint16(4, glyphCount)
+  // post 改為 format 3（不含 glyph 名稱，避免引用舊 glyph id）
+  const post = table(font, 'post').slice(0, 32)
+  new DataView(post.buffer).setUint32(0, 0x00030000)
+
+  const tables = { cmap: buildCmap(mappings), glyf, head, hhea, hmtx, loca, maxp, post }
+  for (const tag of COPIED_TABLES) {
+    const data = table(font, tag)
+    if (data) tables[tag] = data
+  }
+  return { bytes: writeSfnt(tables), glyphCount, missing }
+}
+
+if (require.main === module) {
+  const [input, output = DEFAULT_OUTPUT] = process.argv.slice(2)
+  if (!input) {
+    console.error('用法：npm run font:pdf-subset -- <NotoSansTC-Regular.ttf> [輸出路徑]')
+    process.exit(1)
+  }
+
+  const font = new TrueTypeFont(fs.readFileSync(input))
+  const { bytes, glyphCount, missing } = buildSubsetFont(font, buildPdfFontCharset())
+  fs.writeFileSync(output, bytes)
+  console.log(`[OK] ${path.relative(process.cwd(), output)}：${glyphCount} 個 glyph，${(bytes.length / 1024 / 1024).toFixed(2)} MB`)
+  if (missing.length > 0) {
+    console.log(`[INFO] 原字型未收錄 ${missing.length} 個字元，已略過`)
+  }
+}
+
+module.exports = {
+  buildPdfFontCharset,
+  buildSubsetFont
+}
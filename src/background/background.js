@@ -78,6 +78,14 @@ const backgroundMessages = new MessageDictionary({
   PRESET_INIT_OK: '[OK] 預裝樹載入完成 (共 {count} 節點)',
   PRESET_INIT_SKIP: '[SKIP] 預裝樹載入失敗或配額不足，記待補旗標 ({error})',
   PRESET_INIT_ERROR: '[FAIL] 預裝樹載入異常 ({trigger})',
+  SCHEDULED_REFRESH_SYNC: '[FIX] 同步排程重新提取 alarm ({trigger})',
+  SCHEDULED_REFRESH_SYNC_ERROR: '[FAIL] 排程重新提取 alarm 同步失敗 ({trigger})',
+  SCHEDULED_REFRESH_START: '[START] 排程重新提取開始',
+  SCHEDULED_REFRESH_DONE: '[OK] 排程重新提取完成 (新增 {added}、進度變動 {progressChanged}、移除 {removed}、失敗 {failures})',
+  SCHEDULED_REFRESH_ERROR: '[FAIL] 排程重新提取異常',
+  METADATA_ENRICHMENT_SYNC: '[FIX] 同步書目補齊 ({trigger})',
+  METADATA_ENRICHMENT_DONE: '[OK] 書目補齊執行結束 ({status}，補齊 {enriched}、失敗 {failed}、剩餘 {remaining})',
+  METADATA_ENRICHMENT_ERROR: '[FAIL] 書目補齊異常 ({trigger})',
   INIT_BUFFER_FLUSH: '[FIX] Flush init 期間緩衝訊息 (共 {count} 條)',
   INIT_BUFFER_OVERFLOW: '[WARN] init 緩衝已滿，拒絕訊息 ({type}，上限 {limit})',
   INIT_BUFFER_FLUSH_ERROR: '[FAIL] 緩衝訊息 flush 失敗 ({type})'
@@ -200,6 +208,134 @@ async function loadClassificationPresets (trigger) {
   }
 }
 
+let scheduledRefreshService = null
+
+/**
+ * 排程重新提取服務（惰性建立，同 loadClassificationPresets 不在 listener 註冊階段載入相依模組）
+ *
+ * 背景 Service Worker 未接線 UX 領域協調器，故在此直接建立 NotificationService
+ * 供摘要通知使用。
+ *
+ * @returns {ScheduledRefreshService}
+ */
+function getScheduledRefreshService () {
+  if (!scheduledRefreshService) {
+    const ScheduledRefreshService = require('./domains/extraction/services/scheduled-refresh-service')
+    const NotificationService = require('./domains/user-experience/services/notification-service')
+    const TagStorageAdapter = require('../storage/adapters/tag-storage-adapter')
+    scheduledRefreshService = new ScheduledRefreshService({
+      chrome,
+      tagStorageAdapter: TagStorageAdapter,
+      notificationService: new NotificationService()
+    })
+  }
+  return scheduledRefreshService
+}
+
+/**
+ * 依使用者設定建立或清除排程 alarm（onInstalled / onStartup / 設定變更時呼叫）
+ *
+ * @param {string} trigger - 觸發來源，供日誌標示
+ */
+async function syncScheduledRefresh (trigger) {
+  try {
+    log.info('SCHEDULED_REFRESH_SYNC', { trigger })
+    await getScheduledRefreshService().syncAlarm()
+  } catch (error) {
+    log.error('SCHEDULED_REFRESH_SYNC_ERROR', { trigger, error: error?.message })
+  }
+}
+
+/**
+ * chrome.alarms 觸發：在背景分頁重新提取已啟用的書城並通知變動摘要
+ *
+ * @param {Object} alarm - chrome.alarms.Alarm
+ */
+async function runScheduledRefresh (alarm) {
+  try {
+    const service = getScheduledRefreshService()
+    log.info('SCHEDULED_REFRESH_START')
+    const lastRun = await service.handleAlarm(alarm)
+    if (lastRun) {
+      log.info('SCHEDULED_REFRESH_DONE', {
+        added: lastRun.added.count,
+        progressChanged: lastRun.progressChanged.count,
+        removed: lastRun.removed.count,
+        failures: lastRun.failures.length
+      })
+    }
+  } catch (error) {
+    log.error('SCHEDULED_REFRESH_ERROR', error)
+  }
+}
+
+let metadataEnrichmentService = null
+
+/**
+ * 書目補齊服務（惰性建立）
+ *
+ * 進度記錄於提取領域的 ExtractionStateService；alarm 可能在 coordinator 初始化前喚醒 SW，
+ * 此時改用獨立的 ExtractionStateService 實例（僅無事件廣播，進度仍記錄）。
+ *
+ * @returns {MetadataEnrichmentService}
+ */
+function getMetadataEnrichmentService () {
+  if (!metadataEnrichmentService) {
+    const MetadataEnrichmentService = require('./domains/extraction/services/metadata-enrichment-service')
+    const ExtractionStateService = require('./domains/extraction/services/extraction-state-service')
+    const TagStorageAdapter = require('../storage/adapters/tag-storage-adapter')
+    const extractionDomain = backgroundCoordinator && backgroundCoordinator.extractionDomainCoordinator
+    const extractionStateService = (extractionDomain && extractionDomain.getExtractionStateService()) ||
+      new ExtractionStateService()
+    metadataEnrichmentService = new MetadataEnrichmentService({
+      chrome,
+      tagStorageAdapter: TagStorageAdapter,
+      extractionStateService
+    })
+  }
+  return metadataEnrichmentService
+}
+
+/**
+ * 執行書目補齊（佇列可能需數分鐘，呼叫端不等待完成）
+ *
+ * @param {string} trigger - 觸發來源，供日誌標示
+ * @param {Object} [alarm] - 由 chrome.alarms 觸發時的 alarm，非本服務的 alarm 不執行
+ */
+async function runMetadataEnrichment (trigger, alarm) {
+  try {
+    const service = getMetadataEnrichmentService()
+    const state = alarm ? await service.handleAlarm(alarm) : await service.run()
+    if (state) {
+      log.info('METADATA_ENRICHMENT_DONE', {
+        status: state.status,
+        enriched: state.enriched,
+        failed: state.failed,
+        remaining: state.queue.length
+      })
+    }
+  } catch (error) {
+    log.error('METADATA_ENRICHMENT_ERROR', { trigger, error: error?.message })
+  }
+}
+
+/**
+ * 依使用者設定建立或清除續跑 alarm；已啟用時立即開始（或續跑）補齊
+ *
+ * @param {string} trigger - 觸發來源，供日誌標示
+ */
+async function syncMetadataEnrichment (trigger) {
+  try {
+    log.info('METADATA_ENRICHMENT_SYNC', { trigger })
+    const alarm = await getMetadataEnrichmentService().syncAlarm()
+    if (alarm) {
+      runMetadataEnrichment(trigger)
+    }
+  } catch (error) {
+    log.error('METADATA_ENRICHMENT_ERROR', { trigger, error: error?.message })
+  }
+}
+
 function registerLifecycleListeners () {
   try {
     log.info('REGISTER_LIFECYCLE')
@@ -211,6 +347,8 @@ function registerLifecycleListeners () {
 
         // 場景組 D：首裝/更新載入賴永祥分類法預裝樹（冪等 upsert）
         await loadClassificationPresets('onInstalled')
+        await syncScheduledRefresh('onInstalled')
+        await syncMetadataEnrichment('onInstalled')
 
         if (backgroundCoordinator && backgroundCoordinator.eventBus) {
           await backgroundCoordinator.eventBus.emit('SYSTEM.INSTALLED', {
@@ -229,6 +367,8 @@ function registerLifecycleListeners () {
 
         // 場景組 D：喚醒補償載入（冪等，補注 onInstalled 可能遺漏的節點）
         await loadClassificationPresets('onStartup')
+        await syncScheduledRefresh('onStartup')
+        await syncMetadataEnrichment('onStartup')
 
         if (backgroundCoordinator && backgroundCoordinator.eventBus) {
           await backgroundCoordinator.eventBus.emit('SYSTEM.STARTUP', {
@@ -297,6 +437,25 @@ function registerLifecycleListeners () {
       })
     }
 
+    // 排程重新提取與書目補齊：alarm 觸發與設定變更（alarm 可能在 init 完成前喚醒 SW，故同步註冊）
+    if (chrome.alarms && chrome.alarms.onAlarm) {
+      chrome.alarms.onAlarm.addListener(async (alarm) => {
+        await runScheduledRefresh(alarm)
+        await runMetadataEnrichment('alarm', alarm)
+      })
+    }
+
+    if (chrome.storage && chrome.storage.onChanged) {
+      chrome.storage.onChanged.addListener((changes, areaName) => {
+        if (areaName === 'local' && changes.scheduled_refresh_settings) {
+          syncScheduledRefresh('settingsChanged')
+        }
+        if (areaName === 'local' && changes.metadata_enrichment_settings) {
+          syncMetadataEnrichment('settingsChanged')
+        }
+      })
+    }
+
     log.info('LIFECYCLE_COMPLETE')
   } catch (error) {
     log.error('LIFECYCLE_FAILED', error)
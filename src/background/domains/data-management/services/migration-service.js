@@ -9,10 +9,13 @@
  *
  * 設計考量：
  * - constructor 注入 chrome.storage.local 與 logger，便於單元測試以 mock 替換
+ * - 書庫遷移至 IndexedDB 後 readmoo_books 只剩 header，預設 steps 經 getBookStore
+ *   （預設為 TagStorageAdapter.getBookStore）讀寫書籍
  * - migration steps 以 { id, applies(prev, curr), run(storage, logger) } 介面註冊
  *   - applies 決定該 step 是否在此版本差異下需要執行（純函式，無副作用）
  *   - run 執行實際遷移邏輯，回傳結果物件（不應拋出未處理錯誤）
- * - 預設註冊 v1-to-v2 step，cover-to-reader 將於 W6-012.2.2.2 追加
+ * - 預設依序註冊 v1-to-v2 → cover-to-reader → v3-to-v4；各 step 把 schema_version
+ *   已達或超過自身目標版本視為已完成，因此全新資料會逐步升至最新版本
  * - 不假設 chrome.runtime 存在；版本字串完全由呼叫端傳入
  *
  * 範圍邊界（W6-012.2.2.1）：
@@ -22,6 +25,8 @@
 
 const { migrateV1ToV2 } = require('src/data-management/migration/v1-to-v2')
 const { migrateCoverToReader } = require('src/data-management/migration/cover-to-reader')
+const { migrateV3ToV4 } = require('src/data-management/migration/v3-to-v4')
+const TagStorageAdapter = require('src/storage/adapters/tag-storage-adapter')
 
 /**
  * v1-to-v2 step 的 applies 判定
@@ -47,22 +52,39 @@ function coverToReaderApplies (_previousVersion, _currentVersion) {
   return true
 }
 
+/**
+ * v3-to-v4 step 的 applies 判定（個人註記欄位，schema 4.0.0）
+ *
+ * 採寬鬆策略，與前兩個 step 同：由 step 自身依 storage.schema_version
+ * 是否已達 '4.0.0' 判斷是否跳過。
+ */
+function v3ToV4Applies (_previousVersion, _currentVersion) {
+  return true
+}
+
 /**
  * 建立預設 migration step 清單
  *
+ * @param {Object} [options]
+ * @param {Function} [options.getBookStore] - () => Promise<IndexedDBBookStore|null>，readmoo_books 為 header 時讀寫書籍
  * @returns {Array<{id: string, applies: Function, run: Function}>}
  */
-function createDefaultSteps () {
+function createDefaultSteps ({ getBookStore = TagStorageAdapter.getBookStore } = {}) {
   return [
     {
       id: 'v1-to-v2',
       applies: v1ToV2Applies,
-      run: async (storage, logger) => migrateV1ToV2(storage, logger)
+      run: async (storage, logger) => migrateV1ToV2(storage, logger, { getBookStore })
     },
     {
       id: 'cover-to-reader',
       applies: coverToReaderApplies,
-      run: async (storage, logger) => migrateCoverToReader(storage, logger)
+      run: async (storage, logger) => migrateCoverToReader(storage, logger, { getBookStore })
+    },
+    {
+      id: 'v3-to-v4',
+      applies: v3ToV4Applies,
+      run: async (storage, logger) => migrateV3ToV4(storage, logger, { getBookStore })
     }
   ]
 }
@@ -73,6 +95,7 @@ class MigrationService {
    * @param {Object} options.storage - Chrome storage.local API（含 get/set/remove）
    * @param {Object} [options.logger] - 日誌記錄器（含 info/warn/error/debug）
    * @param {Array}  [options.steps]  - 自訂 migration steps（測試或擴充用）
+   * @param {Function} [options.getBookStore] - 預設 steps 使用的書籍 store 取得函式（測試可注入）
    */
   constructor (options = {}) {
     if (!options || !options.storage) {
@@ -81,7 +104,9 @@ class MigrationService {
 
     this.storage = options.storage
     this.logger = options.logger || console
-    this.steps = Array.isArray(options.steps) ? options.steps.slice() : createDefaultSteps()
+    this.steps = Array.isArray(options.steps)
+      ? options.steps.slice()
+      : createDefaultSteps({ getBookStore: options.getBookStore })
     this.isInitialized = false
     this.lastRunReport = null
   }
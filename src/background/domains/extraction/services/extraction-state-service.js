@@ -632,8 +632,14 @@ class ExtractionStateService {
 
   /**
    * 設定作業超時
+   *
+   * jobConfig.timeout 可覆寫預設超時；為 0 時不設超時（長時間的背景佇列作業自行管理進度）。
    */
   setJobTimeout (jobId) {
+    const created = this.extractionJobs.get(jobId)
+    const timeout = created && created.config.timeout !== undefined ? created.config.timeout : this.config.jobTimeout
+    if (!timeout) return
+
     setTimeout(async () => {
       const job = this.extractionJobs.get(jobId)
       if (job && job.state === this.JOB_STATES.RUNNING) {
@@ -642,7 +648,7 @@ class ExtractionStateService {
         error.details = { category: 'general' }
         await this.failExtractionJob(jobId, error)
       }
-    }, this.config.jobTimeout)
+    }, timeout)
   }
 
   /**
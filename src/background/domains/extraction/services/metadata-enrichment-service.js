@@ -0,0 +1,377 @@
+/**
+ * 書目資料補齊服務
+ *
+ * 負責功能：
+ * - 使用者啟用後逐本抓取書籍詳情頁，以各書城解析器（platform-registry 的 detailParserFactory）
+ *   補齊作者、出版社、ISBN、頁數、購買日期與簡介
+ * - 限速：每本之間間隔 requestInterval；書城回應 429 / 503 時暫停，由 alarm 稍後續跑
+ * - 可續跑：每 batchSize 本寫回書庫並儲存佇列，Service Worker 中斷後從尚未寫回的書繼續
+ * - 以 ExtractionStateService 的作業（type: metadata-enrichment）追蹤進度
+ *
+ * 設計考量：
+ * - 只填入空欄位且不覆寫使用者編輯（MetadataEnrichmentSchema.applyEnrichedMetadata），
+ *   寫回時重新讀取書庫，補齊期間的編輯與重新提取不會被蓋回
+ * - 單本失敗只記入 failures，達 MAX_ENRICHMENT_ATTEMPTS 次後不再排入佇列
+ * - 同一時間只執行一次，重複觸發共用進行中的結果；停用設定後於下一本前停止
+ * - chrome / fetch / tagStorageAdapter / extractionStateService 皆由依賴注入，便於測試
+ *
+ * 使用情境：
+ * - background.js 的 chrome.alarms.onAlarm、啟動事件與設定變更 listener
+ */
+
+const {
+  METADATA_ENRICHMENT_KEYS,
+  METADATA_ENRICHMENT_ALARM,
+  ENRICHMENT_STATUS,
+  normalizeMetadataEnrichmentSettings,
+  normalizeEnrichmentState,
+  buildEnrichmentQueue,
+  normalizeDetailMetadata,
+  applyEnrichedMetadata
+} = require('src/data-management/MetadataEnrichmentSchema')
+const { getRegisteredPlatforms } = require('src/content/platform/platform-registry')
+
+const BOOKS_STORAGE_KEY = 'readmoo_books'
+const ENRICHMENT_JOB_TYPE = 'metadata-enrichment'
+
+/** 書城要求降速時的 HTTP 狀態碼 */
+const RATE_LIMIT_STATUSES = Object.freeze([429, 503])
+
+class MetadataEnrichmentService {
+  constructor (dependencies = {}) {
+    if (!dependencies.chrome) {
+      throw new TypeError('dependencies.chrome is required')
+    }
+    if (!dependencies.tagStorageAdapter) {
+      throw new TypeError('dependencies.tagStorageAdapter is required')
+    }
+    if (!dependencies.extractionStateService) {
+      throw new TypeError('dependencies.extractionStateService is required')
+    }
+
+    // 依賴注入
+    this.chrome = dependencies.chrome
+    this.tagStorageAdapter = dependencies.tagStorageAdapter
+    this.extractionStateService = dependencies.extractionStateService
+    this.fetch = dependencies.fetch || ((url, options) => fetch(url, options))
+    this.logger = dependencies.logger || console
+    this.platforms = dependencies.platforms || getRegisteredPlatforms()
+    this.now = dependencies.now || Date.now
+    this.delay = dependencies.delay || (ms => new Promise(resolve => setTimeout(resolve, ms)))
+
+    // 服務配置
+    this.config = {
+      requestInterval: 3000, // 每本詳情頁請求之間的間隔
+      requestTimeout: 20000,
+      batchSize: 10, // 每幾本寫回書庫並儲存佇列
+      resumeIntervalMinutes: 15, // 啟用期間 alarm 週期：續跑中斷或降速暫停的佇列、補齊新加入的書
+      ...dependencies.config
+    }
+
+    // 進行中的執行（避免 alarm 與設定變更同時觸發時重複抓取）
+    this.activeRun = null
+  }
+
+  async getSettings () {
+    const result = await this.chrome.storage.local.get([METADATA_ENRICHMENT_KEYS.SETTINGS])
+    return normalizeMetadataEnrichmentSettings(result[METADATA_ENRICHMENT_KEYS.SETTINGS])
+  }
+
+  async getState () {
+    const result = await this.chrome.storage.local.get([METADATA_ENRICHMENT_KEYS.STATE])
+    return normalizeEnrichmentState(result[METADATA_ENRICHMENT_KEYS.STATE])
+  }
+
+  async saveState (state) {
+    await this.chrome.storage.local.set({ [METADATA_ENRICHMENT_KEYS.STATE]: state })
+  }
+
+  /**
+   * 書籍所屬書城的詳情頁解析器
+   *
+   * @param {Object} book
+   * @returns {Object|null} { getDetailUrl, parseDetailPage }
+   */
+  getParser (book) {
+    const platform = this.platforms.find(candidate => candidate.name === (book.source || 'readmoo'))
+    return platform && typeof platform.detailParserFactory === 'function' ? platform.detailParserFactory() : null
+  }
+
+  /**
+   * @param {Object} book
+   * @returns {string|null} 無對應解析器或無法推導詳情頁時為 null
+   */
+  getDetailUrl (book) {
+    const parser = this.getParser(book)
+    return parser ? parser.getDetailUrl(book) : null
+  }
+
+  /**
+   * 擴充功能對詳情頁網域有 host 權限的書城（無權限時背景 fetch 會被 CORS 擋下）
+   *
+   * @returns {Promise<string[]>} 書城識別碼
+   */
+  async getEnrichablePlatforms () {
+    const names = []
+    for (const platform of this.platforms) {
+      if (typeof platform.detailParserFactory !== 'function') continue
+      if (await this.hasHostPermission(platform.detailParserFactory().DETAIL_ORIGINS)) {
+        names.push(platform.name)
+      }
+    }
+    return names
+  }
+
+  async hasHostPermission (origins) {
+    const { permissions } = this.chrome
+    if (!permissions || typeof permissions.contains !== 'function') return true
+    try {
+      return await permissions.contains({ origins })
+    } catch (error) {
+      return false
+    }
+  }
+
+  /**
+   * 啟用時建立續跑 alarm，停用時清除
+   *
+   * @returns {Promise<Object|null>} 生效中的 alarm，停用時為 null
+   */
+  async syncAlarm () {
+    const settings = await this.getSettings()
+    if (!settings.enabled) {
+      await this.chrome.alarms.clear(METADATA_ENRICHMENT_ALARM)
+      return null
+    }
+
+    const periodInMinutes = this.config.resumeIntervalMinutes
+    const existing = await this.chrome.alarms.get(METADATA_ENRICHMENT_ALARM)
+    if (existing && existing.periodInMinutes === periodInMinutes) {
+      return existing
+    }
+
+    await this.chrome.alarms.create(METADATA_ENRICHMENT_ALARM, { delayInMinutes: periodInMinutes, periodInMinutes })
+    return { name: METADATA_ENRICHMENT_ALARM, periodInMinutes }
+  }
+
+  /**
+   * chrome.alarms.onAlarm 入口：僅處理本服務的 alarm
+   */
+  async handleAlarm (alarm) {
+    if (!alarm || alarm.name !== METADATA_ENRICHMENT_ALARM) {
+      return null
+    }
+    return this.run()
+  }
+
+  /**
+   * 執行補齊；進行中時回傳同一個結果
+   *
+   * @returns {Promise<Object>} 執行後的補齊進度（見 normalizeEnrichmentState）
+   */
+  async run () {
+    if (!this.activeRun) {
+      this.activeRun = this.performRun().finally(() => {
+        this.activeRun = null
+      })
+    }
+    return this.activeRun
+  }
+
+  async performRun () {
+    const settings = await this.getSettings()
+    let state = await this.getState()
+    if (!settings.enabled) {
+      return state
+    }
+
+    const stored = await this.chrome.storage.local.get([BOOKS_STORAGE_KEY])
+    const books = await this.tagStorageAdapter.loadStoredBooks(stored[BOOKS_STORAGE_KEY])
+    const resumable = [ENRICHMENT_STATUS.RUNNING, ENRICHMENT_STATUS.PAUSED].includes(state.status) && state.queue.length > 0
+    if (!resumable) {
+      const platforms = await this.getEnrichablePlatforms()
+      const queue = buildEnrichmentQueue(books, state.failures, book =>
+        platforms.includes(book.source || 'readmoo') && Boolean(this.getDetailUrl(book)))
+      if (queue.length === 0) {
+        return state
+      }
+      state = {
+        ...state,
+        status: ENRICHMENT_STATUS.RUNNING,
+        queue,
+        total: queue.length,
+        enriched: 0,
+        failed: 0,
+        startedAt: new Date(this.now()).toISOString(),
+        completedAt: null
+      }
+    } else {
+      state = { ...state, status: ENRICHMENT_STATUS.RUNNING }
+    }
+    await this.saveState(state)
+
+    const jobId = await this.extractionStateService.createExtractionJob({
+      type: ENRICHMENT_JOB_TYPE,
+      source: 'detail-page',
+      total: state.total,
+      maxAttempts: 1, // 中斷後由佇列續跑，不由作業重試
+      timeout: 0
+    })
+
+    try {
+      await this.extractionStateService.startExtractionJob(jobId)
+      const outcome = await this.processQueue(state, new Map(books.map(book => [book.id, book])), jobId)
+
+      if (outcome === 'completed') {
+        state.status = ENRICHMENT_STATUS.COMPLETED
+        state.completedAt = new Date(this.now()).toISOString()
+        await this.saveState(state)
+        await this.extractionStateService.completeExtractionJob(jobId, { enriched: state.enriched, failed: state.failed })
+        this.logger.log(`[OK] 書目補齊完成: 補齊 ${state.enriched} 本、失敗 ${state.failed} 本`)
+      } else {
+        state.status = ENRICHMENT_STATUS.PAUSED
+        await this.saveState(state)
+        if (outcome === 'disabled') {
+          await this.extractionStateService.cancelExtractionJob(jobId)
+        } else {
+          await this.extractionStateService.failExtractionJob(jobId, new Error(outcome))
+        }
+        this.logger.log(`[PAUSE] 書目補齊暫停 (${outcome})，剩餘 ${state.queue.length} 本`)
+      }
+    } catch (error) {
+      // 狀態維持 running：佇列已保存至上次寫回，alarm 觸發時續跑
+      await this.extractionStateService.failExtractionJob(jobId, error)
+      this.logger.warn('[WARN] 書目補齊中斷', error.message)
+    }
+    return state
+  }
+
+  /**
+   * 逐本抓取佇列中的書籍並分批寫回；state 就地更新
+   *
+   * @returns {Promise<string>} 'completed' | 'disabled' | 'rate_limited'
+   */
+  async processQueue (state, booksById, jobId) {
+    const ids = state.queue.slice()
+    const processedBefore = state.total - ids.length
+    let pending = []
+    const commit = async () => {
+      await this.commitResults(state, pending)
+      pending = []
+    }
+
+    for (let index = 0; index < ids.length; index++) {
+      if (index > 0) {
+        await this.delay(this.config.requestInterval)
+      }
+      if (!(await this.getSettings()).enabled) {
+        await commit()
+        return 'disabled'
+      }
+
+      const result = await this.enrichBook(booksById.get(ids[index]) || { id: ids[index] })
+      if (result.status === 'rate_limited') {
+        await commit()
+        return 'rate_limited'
+      }
+      pending.push(result)
+      if (pending.length >= this.config.batchSize) {
+        await commit()
+      }
+
+      await this.extractionStateService.updateJobProgress(jobId, {
+        current: processedBefore + index + 1,
+        metadata: { bookId: ids[index], status: result.status }
+      })
+    }
+
+    await commit()
+    return 'completed'
+  }
+
+  /**
+   * 抓取並解析單本書的詳情頁
+   *
+   * @param {Object} book
+   * @returns {Promise<Object>} { id, status: 'enriched'|'failed'|'skipped'|'rate_limited', metadata?, reason? }
+   */
+  async enrichBook (book) {
+    const parser = this.getParser(book)
+    const url = parser ? parser.getDetailUrl(book) : null
+    if (!url) {
+      return { id: book.id, status: 'skipped', reason: 'no_detail_url' }
+    }
+
+    let response
+    try {
+      response = await this.fetchDetailPage(url)
+    } catch (error) {
+      return { id: book.id, status: 'failed', reason: error.name === 'AbortError' ? 'timeout' : 'network_error' }
+    }
+    if (RATE_LIMIT_STATUSES.includes(response.status)) {
+      return { id: book.id, status: 'rate_limited' }
+    }
+    if (!response.ok) {
+      return { id: book.id, status: 'failed', reason: `http_${response.status}` }
+    }
+
+    const metadata = normalizeDetailMetadata(parser.parseDetailPage(await response.text()))
+    if (Object.keys(metadata).length === 0) {
+      return { id: book.id, status: 'failed', reason: 'no_metadata' }
+    }
+    return { id: book.id, status: 'enriched', metadata }
+  }
+
+  /**
+   * 以登入狀態（cookie）請求詳情頁，逾時中止
+   */
+  async fetchDetailPage (url) {
+    const controller = new AbortController()
+    const timer = setTimeout(() => controller.abort(), this.config.requestTimeout)
+    try {
+      return await this.fetch(url, { credentials: 'include', signal: controller.signal })
+    } finally {
+      clearTimeout(timer)
+    }
+  }
+
+  /**
+   * 將已抓取的結果寫回書庫，再從佇列移除並儲存進度
+   *
+   * 先寫書庫後存佇列：兩者之間中斷時只會重抓這一批，不會遺失結果。
+   */
+  async commitResults (state, results) {
+    if (results.length === 0) return
+
+    const enrichedAt = new Date(this.now()).toISOString()
+    const enrichedById = new Map(results
+      .filter(result => result.status === 'enriched')
+      .map(result => [result.id, result.metadata]))
+    if (enrichedById.size > 0) {
+      await this.tagStorageAdapter.updateStoredBooks([...enrichedById.keys()], book => {
+        applyEnrichedMetadata(book, enrichedById.get(book.id), enrichedAt)
+        return true
+      })
+    }
+
+    const failures = { ...state.failures }
+    for (const result of results) {
+      if (result.status === 'enriched') {
+        state.enriched += 1
+        delete failures[result.id]
+      } else if (result.status === 'failed') {
+        state.failed += 1
+        const attempts = failures[result.id] ? failures[result.id].attempts + 1 : 1
+        failures[result.id] = { attempts, reason: result.reason }
+      }
+    }
+
+    const committed = new Set(results.map(result => result.id))
+    state.queue = state.queue.filter(id => !committed.has(id))
+    state.failures = failures
+    state.updatedAt = enrichedAt
+    await this.saveState(state)
+  }
+}
+
+module.exports = MetadataEnrichmentService
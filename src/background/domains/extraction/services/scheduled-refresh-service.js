@@ -0,0 +1,257 @@
+/**
+ * 排程重新提取服務
+ *
+ * 負責功能：
+ * - 依使用者設定同步 chrome.alarms 排程
+ * - 排程觸發時於背景分頁開啟各啟用書城的書庫頁（libraryUrl），請 content script 提取書籍後關閉分頁
+ * - 將提取結果合併回書庫（保留標籤與手動狀態），記錄上次執行摘要
+ * - 以 NotificationService 通知新購、進度變動與移除的書籍
+ *
+ * 設計考量：
+ * - 單一書城失敗（分頁逾時、未登入、無書籍）只記入 failures，不影響其他書城，也不移除該書城的書
+ * - 同一時間只執行一次，重複觸發共用進行中的結果
+ * - chrome / tagStorageAdapter / notificationService 皆由依賴注入，便於測試
+ *
+ * 使用情境：
+ * - background.js 的 chrome.alarms.onAlarm 與設定變更 listener
+ */
+
+const {
+  SCHEDULED_REFRESH_KEYS,
+  SCHEDULED_REFRESH_ALARM,
+  normalizeScheduledRefreshSettings,
+  mergeExtractedBooks,
+  summarizeLibraryChanges,
+  createLastRunRecord
+} = require('src/data-management/ScheduledRefreshSchema')
+const { getRegisteredPlatforms } = require('src/content/platform/platform-registry')
+const { t, translateOr, formatList, loadLocalePreference } = require('src/core/i18n/ui-i18n')
+
+const BOOKS_STORAGE_KEY = 'readmoo_books'
+
+class ScheduledRefreshService {
+  constructor (dependencies = {}) {
+    if (!dependencies.chrome) {
+      throw new TypeError('dependencies.chrome is required')
+    }
+    if (!dependencies.tagStorageAdapter) {
+      throw new TypeError('dependencies.tagStorageAdapter is required')
+    }
+
+    // 依賴注入
+    this.chrome = dependencies.chrome
+    this.tagStorageAdapter = dependencies.tagStorageAdapter
+    this.notificationService = dependencies.notificationService || null
+    this.logger = dependencies.logger || console
+    this.platforms = dependencies.platforms || getRegisteredPlatforms()
+    this.now = dependencies.now || Date.now
+    this.delay = dependencies.delay || (ms => new Promise(resolve => setTimeout(resolve, ms)))
+
+    // 服務配置
+    this.config = {
+      tabLoadTimeout: 60000, // 書庫頁載入逾時
+      extractAttempts: 5, // content script 尚未就緒或書籍未渲染時的重試次數
+      retryDelay: 3000,
+      ...dependencies.config
+    }
+
+    // 進行中的執行（避免重複觸發時同時開啟多個分頁）
+    this.activeRun = null
+  }
+
+  /**
+   * 讀取排程設定
+   */
+  async getSettings () {
+    const result = await this.chrome.storage.local.get([SCHEDULED_REFRESH_KEYS.SETTINGS])
+    return normalizeScheduledRefreshSettings(result[SCHEDULED_REFRESH_KEYS.SETTINGS])
+  }
+
+  /**
+   * 依設定建立或清除 alarm
+   *
+   * 間隔未變時沿用既有 alarm，避免 Service Worker 每次喚醒都重設下次執行時間。
+   *
+   * @returns {Promise<Object|null>} 生效中的 alarm，停用時為 null
+   */
+  async syncAlarm () {
+    const settings = await this.getSettings()
+    if (!settings.enabled || settings.platforms.length === 0) {
+      await this.chrome.alarms.clear(SCHEDULED_REFRESH_ALARM)
+      return null
+    }
+
+    const periodInMinutes = settings.intervalHours * 60
+    const existing = await this.chrome.alarms.get(SCHEDULED_REFRESH_ALARM)
+    if (existing && existing.periodInMinutes === periodInMinutes) {
+      return existing
+    }
+
+    await this.chrome.alarms.create(SCHEDULED_REFRESH_ALARM, { delayInMinutes: periodInMinutes, periodInMinutes })
+    return { name: SCHEDULED_REFRESH_ALARM, periodInMinutes }
+  }
+
+  /**
+   * chrome.alarms.onAlarm 入口：僅處理本服務的 alarm，且設定已停用時不執行
+   */
+  async handleAlarm (alarm) {
+    if (!alarm || alarm.name !== SCHEDULED_REFRESH_ALARM) {
+      return null
+    }
+    const settings = await this.getSettings()
+    if (!settings.enabled) {
+      return null
+    }
+    return this.run()
+  }
+
+  /**
+   * 執行一次重新提取；進行中時回傳同一個結果
+   *
+   * @returns {Promise<Object>} 上次執行紀錄（見 createLastRunRecord）
+   */
+  async run () {
+    if (!this.activeRun) {
+      this.activeRun = this.performRun().finally(() => {
+        this.activeRun = null
+      })
+    }
+    return this.activeRun
+  }
+
+  async performRun () {
+    const settings = await this.getSettings()
+    const platforms = this.platforms.filter(platform =>
+      settings.platforms.includes(platform.name) && platform.libraryUrl)
+
+    const extractedBySource = {}
+    const failures = []
+    for (const platform of platforms) {
+      try {
+        extractedBySource[platform.name] = await this.extractPlatform(platform)
+      } catch (error) {
+        this.logger.warn(`[WARN] 排程提取失敗: ${platform.name}`, error.message)
+        failures.push({ platform: platform.name, reason: error.message })
+      }
+    }
+
+    const ranAt = this.now()
+    let changes = { added: [], progressChanged: [], removed: [] }
+    if (Object.keys(extractedBySource).length > 0) {
+      const stored = await this.chrome.storage.local.get([BOOKS_STORAGE_KEY])
+      const previousBooks = await this.tagStorageAdapter.loadStoredBooks(stored[BOOKS_STORAGE_KEY])
+      const books = mergeExtractedBooks(previousBooks, extractedBySource)
+      changes = summarizeLibraryChanges(previousBooks, books)
+
+      const record = await this.tagStorageAdapter.storeBookLibrary({
+        books,
+        extractionTimestamp: ranAt,
+        extractionCount: books.length
+      })
+      await this.chrome.storage.local.set({ [BOOKS_STORAGE_KEY]: record })
+    }
+
+    const lastRun = createLastRunRecord(changes, failures, ranAt)
+    await this.chrome.storage.local.set({ [SCHEDULED_REFRESH_KEYS.LAST_RUN]: lastRun })
+    this.logger.log(`[OK] 排程提取完成: 新增 ${lastRun.added.count}、進度變動 ${lastRun.progressChanged.count}、移除 ${lastRun.removed.count}`)
+
+    await this.notifySummary(lastRun)
+    return lastRun
+  }
+
+  /**
+   * 於背景分頁開啟書城書庫頁並提取全部書籍，結束後一律關閉分頁
+   *
+   * @param {Object} platform - platform-registry 的平台設定
+   * @returns {Promise<Array<Object>>} 提取到的書籍（至少一本）
+   */
+  async extractPlatform (platform) {
+    const tab = await this.chrome.tabs.create({ url: platform.libraryUrl, active: false })
+    try {
+      await this.waitForTabComplete(tab.id)
+      return await this.requestBooks(tab.id)
+    } finally {
+      await this.chrome.tabs.remove(tab.id).catch(() => {})
+    }
+  }
+
+  waitForTabComplete (tabId) {
+    const { tabs } = this.chrome
+    return new Promise((resolve, reject) => {
+      const finish = (error) => {
+        clearTimeout(timer)
+        tabs.onUpdated.removeListener(listener)
+        if (error) reject(error)
+        else resolve()
+      }
+      const listener = (updatedTabId, changeInfo) => {
+        if (updatedTabId === tabId && changeInfo.status === 'complete') finish()
+      }
+      const timer = setTimeout(() => finish(new Error('tab_load_timeout')), this.config.tabLoadTimeout)
+
+      tabs.onUpdated.addListener(listener)
+      // 分頁可能在註冊 listener 前就已載入完成
+      tabs.get(tabId).then(tab => {
+        if (tab && tab.status === 'complete') finish()
+      }, finish)
+    })
+  }
+
+  /**
+   * 請 content script 提取書籍；content script 未就緒或書籍尚未渲染時重試
+   */
+  async requestBooks (tabId) {
+    let lastError = 'no_books'
+    for (let attempt = 1; attempt <= this.config.extractAttempts; attempt++) {
+      try {
+        const response = await this.chrome.tabs.sendMessage(tabId, { type: 'EXTRACT_ALL_BOOKS' })
+        if (response && response.success && Array.isArray(response.books) && response.books.length > 0) {
+          return response.books
+        }
+        lastError = (response && response.error) || 'no_books'
+      } catch (error) {
+        lastError = error.message
+      }
+      if (attempt < this.config.extractAttempts) {
+        await this.delay(this.config.retryDelay)
+      }
+    }
+    throw new Error(lastError)
+  }
+
+  /**
+   * 有變動或失敗時以系統通知摘要本次結果（文字與總覽的上次更新摘要共用翻譯鍵）
+   */
+  async notifySummary (lastRun) {
+    if (!this.notificationService) return null
+
+    const { added, progressChanged, removed, failures } = lastRun
+    if (added.count + progressChanged.count + removed.count === 0 && failures.length === 0) {
+      return null
+    }
+
+    // 背景沒有頁面語系狀態：每次通知前依使用者儲存的 preferredLanguage 套用
+    await loadLocalePreference(this.chrome.storage.local)
+    const parts = [t('overview.scheduledRefresh.summary', {
+      added: added.count,
+      progressChanged: progressChanged.count,
+      removed: removed.count
+    })]
+    if (failures.length > 0) {
+      const names = failures.map(failure => {
+        const platform = this.platforms.find(p => p.name === failure.platform)
+        return translateOr(`common.platforms.${failure.platform}`, platform ? platform.displayName : failure.platform)
+      })
+      parts.push(t('overview.scheduledRefresh.failed', { names: formatList(names) }))
+    }
+
+    return this.notificationService.showNotification({
+      type: failures.length > 0 ? 'warning' : 'info',
+      title: t('overview.scheduledRefresh.notificationTitle'),
+      message: parts.join(t('common.sentenceSeparator')),
+      metadata: { system: true, source: 'scheduled-refresh' }
+    })
+  }
+}
+
+module.exports = ScheduledRefreshService
@@ -478,6 +478,16 @@ class NotificationService {
       })
     }
 
+    // 系統通知（如排程重新提取摘要）沒有開啟中的頁面可顯示，改用瀏覽器通知中心
+    if (notification.metadata.system && typeof chrome !== 'undefined' && chrome.notifications) {
+      await chrome.notifications.create(notification.id, {
+        type: 'basic',
+        iconUrl: chrome.runtime.getURL('assets/icons/icon-128.png'),
+        title: notification.title,
+        message: notification.message
+      })
+    }
+
     this.logger.log(`渲染通知: ${notification.type} - ${notification.title}`)
   }
 
@@ -583,10 +583,15 @@ class EventCoordinator extends BaseModule {
           }
 
           this.logger.log(`[SAVE] 準備儲存 ${books.length} 本書籍到 Chrome Storage`)
-          await chrome.storage.local.set({ readmoo_books: storageData })
+          // 惰性 require（同 background.js loadClassificationPresets）：書庫已遷移至 IndexedDB 時
+          // 書籍寫入 IndexedDB，readmoo_books 只存 header
+          const TagStorageAdapter = require('src/storage/adapters/tag-storage-adapter')
+          const record = await TagStorageAdapter.storeBookLibrary(storageData)
+          await chrome.storage.local.set({ readmoo_books: record })
 
           const verifyData = await chrome.storage.local.get(['readmoo_books'])
-          this.logger.log('[OK] 驗證儲存結果:', verifyData.readmoo_books ? `${verifyData.readmoo_books.books?.length || 0} 本書籍` : '無資料')
+          const stored = verifyData.readmoo_books
+          this.logger.log('[OK] 驗證儲存結果:', stored ? `${stored.books?.length ?? stored.bookCount ?? 0} 本書籍` : '無資料')
         } else {
           this.logger.warn('[WARN] 提取完成事件中沒有有效的書籍資料')
         }
@@ -383,8 +383,9 @@ class PopupMessageHandler extends BaseModule {
       switch (dataType) {
         case 'books': {
           const booksData = await chrome.storage.local.get(['readmoo_books'])
+          const TagStorageAdapter = require('src/storage/adapters/tag-storage-adapter')
           responseData = {
-            books: booksData.readmoo_books?.books || [],
+            books: await TagStorageAdapter.loadStoredBooks(booksData.readmoo_books),
             count: booksData.readmoo_books?.extractionCount || 0,
             lastExtraction: booksData.readmoo_books?.extractionTimestamp || null
           }
@@ -748,7 +749,10 @@ class PopupMessageHandler extends BaseModule {
 
     if (permissions.requiresData) {
       const data = await chrome.storage.local.get(['readmoo_books'])
-      if (!data.readmoo_books || !data.readmoo_books.books || data.readmoo_books.books.length === 0) {
+      const record = data.readmoo_books
+      // IndexedDB header 無 books 陣列，以 bookCount 判斷
+      const bookCount = record ? (Array.isArray(record.books) ? record.books.length : record.bookCount || 0) : 0
+      if (bookCount === 0) {
         const error = new Error('操作需要已提取的資料')
         error.code = ErrorCodes.MISSING_REQUIRED_DATA
         error.details = {
@@ -795,6 +799,16 @@ class PopupMessageHandler extends BaseModule {
     return { message: '系統將重新載入' }
   }
 
+  /**
+   * 清空 IndexedDB 中的書籍（書庫未遷移時無動作）
+   * @returns {Promise<void>}
+   * @private
+   */
+  async _clearStoredBooks () {
+    const TagStorageAdapter = require('src/storage/adapters/tag-storage-adapter')
+    await TagStorageAdapter.clearStoredBooks()
+  }
+
   /**
    * 處理儲存清除
    * @param {Object} params - 操作參數
@@ -809,6 +823,7 @@ class PopupMessageHandler extends BaseModule {
 
     switch (clearType) {
       case 'books':
+        await this._clearStoredBooks()
         await chrome.storage.local.remove(['readmoo_books'])
         clearedItems.push('readmoo_books')
         break
@@ -819,6 +834,7 @@ class PopupMessageHandler extends BaseModule {
         break
 
       case 'all':
+        await this._clearStoredBooks()
         await chrome.storage.local.clear()
         clearedItems.push('all_data')
         break
@@ -0,0 +1,583 @@
+/**
+ * @fileoverview Kobo Adapter - 樂天 Kobo 電子書平台適配器
+ * @version v1.0.0
+ * @since 2026-10-19
+ *
+ * 負責功能：
+ * - Kobo 網頁版書庫頁（www.kobo.com/{國家}/{語系}/library）的書籍資料提取
+ * - DOM 解析（書名 / 作者 / 封面 / 閱讀進度 / 商品 ID）
+ * - 分頁載入（「載入更多」按鈕）與 lazy 捲動載入兩種模式
+ * - 透過 stable-id-generator 產生穩定書籍 ID
+ * - 安全性過濾（javascript: / data: URL 攔截、HTML 標籤移除）
+ *
+ * 設計考量：
+ * - 繼承 PlatformAdapterInterface，實作 17 個抽象方法（Liskov 替換）
+ * - 書庫路徑帶國家與語系前綴（/tw/zh、/jp/ja、/us/en），頁面類型以路徑段比對
+ * - ID 策略：商品 ID（data-product-id 或 ReadNow 連結）→ 書名；
+ *   Readmoo 專屬的 cover 策略對 Kobo 封面網域不會命中
+ * - 閱讀進度文字依站點語系不同（「已讀 45%」/「45% read」/「読了」），統一正規化為 0-100
+ *
+ * 處理流程：
+ * 1. checkPageReady → 等待 .library-item 出現並確認書庫容器
+ * 2. 有「載入更多」按鈕時迴圈點擊；否則以 loadAllBooksLazy 捲動至書籍數不再增加
+ * 3. 解析所有 .library-item 元素並產生穩定 ID
+ * 4. sanitizeData 過濾每筆書籍資料
+ *
+ * 資料來源勘查：docs/bookstores/kobo.md
+ */
+
+const PlatformAdapterInterface = require('../platform/platform-adapter-interface')
+const createStableIdGenerator = require('src/content/platform/stable-id-generator')
+const { Logger } = require('src/core/logging/Logger')
+const { MessageDictionary } = require('src/core/messages/MessageDictionary')
+
+/**
+ * Kobo 適配器專屬訊息字典（W1-107 module-specific local dict 模式）
+ *
+ * Business context: 與 books-com-tw-adapter 相同，提取層訊息不進 GlobalMessages。
+ * ADAPTER_METHOD_ERROR 供 stable-id-generator 的 handleWithFallback 使用。
+ */
+const koboAdapterMessages = new MessageDictionary({
+  KOBO_INIT: 'Kobo 適配器初始化完成',
+  KOBO_EXTRACT_START: '開始提取 Kobo 書庫，初始書籍數：{count}',
+  KOBO_EXTRACT_DONE: 'Kobo 書庫提取完成，成功 {success} / 失敗 {fail}',
+  KOBO_BOOK_PARSE_FAILED: '單一書籍解析失敗：{reason}',
+  KOBO_LOAD_MORE_FAILED: '分頁載入點擊失敗：{reason}',
+  ADAPTER_METHOD_ERROR: '適配器方法執行錯誤 (method: {method})'
+})
+
+/**
+ * Kobo 書城識別碼
+ */
+const PLATFORM_NAME = 'kobo'
+
+/**
+ * Kobo 書庫頁 URL（台灣站）
+ */
+const LIBRARY_URL = 'https://www.kobo.com/tw/zh/library/books'
+
+/**
+ * Kobo 有效域名（邊界比對用）
+ */
+const VALID_HOSTNAME = 'kobo.com'
+
+/**
+ * 書庫頁路徑：/{國家}/{語系}/library 或其子路徑（/library/books、/library/audiobooks）
+ */
+const LIBRARY_PATH_PATTERN = /^\/[a-z]{2}\/[a-z]{2}(?:-[a-z]{2,4})?\/library(?:\/|$)/i
+
+/**
+ * DOM 選擇器配置（對齊 docs/bookstores/kobo.md 勘查結果）
+ */
+const SELECTORS = {
+  bookContainer: '.library-items',
+  bookItem: '.library-item',
+  bookTitle: '.item-title',
+  bookAuthor: '.item-author',
+  bookCover: '.item-image img',
+  bookProgress: '.item-progress',
+  bookProgressBar: '.item-progress [role="progressbar"]',
+  bookLink: 'a.item-link',
+  readNowLink: 'a[href*="/ReadNow/"]',
+  loadMoreButton: '.library-load-more button'
+}
+
+/**
+ * 商品 ID 所在 data 屬性
+ */
+const PRODUCT_ID_ATTRIBUTE = 'data-product-id'
+
+/**
+ * ReadNow 連結中的商品 ID（Kobo 商品 ID 為 UUID）
+ */
+const READ_NOW_ID_PATTERN = /\/ReadNow\/([0-9a-f-]{8,})/i
+
+/**
+ * 作者欄位前綴（中文站「作者：」、英文站「by 」）
+ */
+const AUTHOR_PREFIX_PATTERN = /^(?:作者[：:]|by\s+)/i
+
+/**
+ * 各語系「已讀完」標示
+ */
+const FINISHED_PATTERN = /已讀完|已讀畢|読了|finished/i
+
+/**
+ * 進度文字中的百分比
+ */
+const PERCENT_PATTERN = /(\d{1,3}(?:\.\d+)?)\s*%/
+
+/**
+ * 已知不穩定 cover ID（Kobo 封面不走 cover 策略，保留與 readmoo 相同的防護）
+ */
+const UNSTABLE_COVER_IDS = new Set(['placeholder', 'default', 'undefined'])
+
+/**
+ * 安全 URL 協定白名單
+ */
+const SAFE_URL_PROTOCOLS = ['https:', 'http:']
+
+/**
+ * 樂天 Kobo 電子書平台適配器
+ *
+ * @extends PlatformAdapterInterface
+ */
+class KoboAdapter extends PlatformAdapterInterface {
+  /**
+   * @param {Object} [options] - 適配器選項（預留擴充）
+   */
+  constructor (options = {}) {
+    super()
+    this.platformName = PLATFORM_NAME
+    this.options = options
+    this.logger = new Logger('KoboAdapter', 'INFO', koboAdapterMessages)
+    this.idGenerator = createStableIdGenerator({
+      logger: this.logger,
+      getLocationOrigin: () => this._currentOrigin(),
+      unstableCoverIds: UNSTABLE_COVER_IDS
+    })
+    this._stats = this._createEmptyStats()
+    this.logger.info('KOBO_INIT')
+  }
+
+  /**
+   * 建立初始統計物件
+   * @returns {{ totalExtracted: number, successCount: number, failCount: number }}
+   * @private
+   */
+  _createEmptyStats () {
+    return { totalExtracted: 0, successCount: 0, failCount: 0 }
+  }
+
+  // ==================
+  // 平台識別方法
+  // ==================
+
+  getPlatformName () {
+    return PLATFORM_NAME
+  }
+
+  getLibraryUrl () {
+    return LIBRARY_URL
+  }
+
+  requiresLogin () {
+    return true
+  }
+
+  getLoginCheckSelector () {
+    return SELECTORS.bookContainer
+  }
+
+  // ==================
+  // 頁面檢測方法
+  // ==================
+
+  /**
+   * 檢查域名是否為 Kobo
+   * @param {string} [url] - 待檢查 URL
+   * @returns {boolean}
+   */
+  isValidDomain (url) {
+    const target = typeof url === 'string' ? url : this._currentUrl()
+    let hostname
+    try {
+      hostname = new URL(target).hostname.toLowerCase()
+    } catch (error) {
+      // 設計性靜默：無法解析的 URL 即非有效 Kobo 域名
+      return false
+    }
+    return hostname === VALID_HOSTNAME || hostname.endsWith(`.${VALID_HOSTNAME}`)
+  }
+
+  /**
+   * 判斷頁面類型
+   * @param {string} [url] - 待判斷 URL
+   * @returns {Promise<string>} 'library' 或 'unknown'
+   */
+  async getPageType (url) {
+    const target = typeof url === 'string' ? url : this._currentUrl()
+    if (!this.isValidDomain(target)) {
+      return 'unknown'
+    }
+    return LIBRARY_PATH_PATTERN.test(new URL(target).pathname) ? 'library' : 'unknown'
+  }
+
+  /**
+   * 判斷頁面是否可提取
+   * @param {string} [url] - 待判斷 URL
+   * @returns {Promise<boolean>}
+   */
+  async isExtractablePage (url) {
+    return (await this.getPageType(url)) === 'library'
+  }
+
+  /**
+   * 等待書籍元素出現並確認書庫容器
+   * @returns {Promise<boolean>}
+   */
+  async checkPageReady () {
+    await this.waitForBookElements()
+    return this.findBookContainer() !== null
+  }
+
+  // ==================
+  // 元素查找方法
+  // ==================
+
+  findBookContainer () {
+    if (typeof document === 'undefined') {
+      return null
+    }
+    return document.querySelector(SELECTORS.bookContainer)
+  }
+
+  getBookElements () {
+    if (typeof document === 'undefined') {
+      return []
+    }
+    return Array.from(document.querySelectorAll(SELECTORS.bookItem))
+  }
+
+  getBookCount () {
+    return this.getBookElements().length
+  }
+
+  // ==================
+  // 資料提取方法
+  // ==================
+
+  /**
+   * 解析單一書籍元素
+   * @param {Element} element - .library-item 元素
+   * @returns {Object} 書籍資料物件
+   */
+  parseBookElement (element) {
+    const title = this._extractText(element, SELECTORS.bookTitle)
+    const coverUrl = this._extractCoverUrl(element)
+    const productId = this._extractProductId(element)
+    const idInfo = this.idGenerator.generateStableBookIdWithInfo(productId, title, coverUrl)
+
+    return {
+      id: idInfo.id,
+      title,
+      author: this._extractAuthor(element),
+      coverUrl,
+      readProgress: this._extractProgress(element),
+      url: this._extractBookUrl(element),
+      source: PLATFORM_NAME,
+      identifiers: {
+        productId,
+        primarySource: idInfo.strategy
+      }
+    }
+  }
+
+  /**
+   * 從書籍元素提取完整資料（含安全性過濾）
+   * @param {Element} element - 書籍 DOM 元素
+   * @returns {Object} 清理後書籍資料
+   */
+  extractBookData (element) {
+    return this.sanitizeData(this.parseBookElement(element))
+  }
+
+  /**
+   * 提取所有書籍（分頁 / lazy 載入 + DOM 解析）
+   * @returns {Promise<Array<Object>>} 書籍資料陣列
+   */
+  async extractAllBooks () {
+    await this.checkPageReady()
+    this.logger.info('KOBO_EXTRACT_START', { count: this.getBookCount() })
+
+    if (this._hasLoadMore()) {
+      await this._loadAllPages()
+    } else {
+      await this.loadAllBooksLazy()
+    }
+
+    const books = []
+    for (const element of this.getBookElements()) {
+      this._stats.totalExtracted += 1
+      try {
+        books.push(this.extractBookData(element))
+        this._stats.successCount += 1
+      } catch (error) {
+        this._stats.failCount += 1
+        this.logger.warn('KOBO_BOOK_PARSE_FAILED', { reason: error.message })
+      }
+    }
+
+    this.logger.info('KOBO_EXTRACT_DONE', {
+      success: this._stats.successCount,
+      fail: this._stats.failCount
+    })
+    return books
+  }
+
+  /**
+   * 迴圈點擊「載入更多」直到按鈕消失或停用
+   * @param {number} [maxClicks=100] - 最大點擊次數（防無限迴圈）
+   * @returns {Promise<void>}
+   * @private
+   */
+  async _loadAllPages (maxClicks = 100) {
+    let clicks = 0
+    while (clicks < maxClicks && this._hasLoadMore()) {
+      try {
+        document.querySelector(SELECTORS.loadMoreButton).click()
+        await this.waitForRenderSettle()
+        clicks += 1
+      } catch (error) {
+        this.logger.warn('KOBO_LOAD_MORE_FAILED', { reason: error.message })
+        break
+      }
+    }
+  }
+
+  /**
+   * 判斷是否仍有可點擊的「載入更多」按鈕
+   * @returns {boolean}
+   * @private
+   */
+  _hasLoadMore () {
+    if (typeof document === 'undefined') {
+      return false
+    }
+    const button = document.querySelector(SELECTORS.loadMoreButton)
+    if (!button || button.disabled) {
+      return false
+    }
+    return button.style.display !== 'none'
+  }
+
+  // ==================
+  // 工具方法
+  // ==================
+
+  /**
+   * 清理書籍資料（XSS 防護）
+   * @param {Object} data - 待清理資料
+   * @returns {Object} 清理後資料
+   */
+  sanitizeData (data) {
+    const sanitized = { ...data }
+    for (const field of ['coverUrl', 'url']) {
+      if (typeof sanitized[field] === 'string') {
+        sanitized[field] = this._sanitizeUrl(sanitized[field])
+      }
+    }
+    for (const field of ['title', 'author']) {
+      if (typeof sanitized[field] === 'string') {
+        sanitized[field] = this._stripHtml(sanitized[field])
+      }
+    }
+    return sanitized
+  }
+
+  getStats () {
+    return { ...this._stats }
+  }
+
+  reset () {
+    this._stats = this._createEmptyStats()
+  }
+
+  // ==================
+  // 私有解析 helper
+  // ==================
+
+  /**
+   * 從容器取指定選擇器的文字內容
+   * @param {Element} element - 容器元素
+   * @param {string} selector - 子元素選擇器
+   * @returns {string} 去除頭尾空白的文字，找不到回傳空字串
+   * @private
+   */
+  _extractText (element, selector) {
+    if (!element || typeof element.querySelector !== 'function') {
+      return ''
+    }
+    const target = element.querySelector(selector)
+    return target ? target.textContent.trim() : ''
+  }
+
+  /**
+   * 提取作者並去除「作者：」/「by 」前綴
+   * @param {Element} element - 書籍元素
+   * @returns {string}
+   * @private
+   */
+  _extractAuthor (element) {
+    const raw = this._extractText(element, SELECTORS.bookAuthor)
+    return raw.replace(AUTHOR_PREFIX_PATTERN, '').trim()
+  }
+
+  /**
+   * 提取封面 URL（Kobo 封面為 lazy 載入，優先取 data-src）
+   * @param {Element} element - 書籍元素
+   * @returns {string}
+   * @private
+   */
+  _extractCoverUrl (element) {
+    if (!element || typeof element.querySelector !== 'function') {
+      return ''
+    }
+    const img = element.querySelector(SELECTORS.bookCover)
+    if (!img) {
+      return ''
+    }
+    return img.getAttribute('data-src') || img.getAttribute('src') || ''
+  }
+
+  /**
+   * 提取 Kobo 商品 ID：data-product-id 優先，其次 ReadNow 連結
+   * @param {Element} element - 書籍元素
+   * @returns {string} 商品 ID，找不到回傳空字串
+   * @private
+   */
+  _extractProductId (element) {
+    if (!element || typeof element.querySelector !== 'function') {
+      return ''
+    }
+    const attribute = (element.getAttribute(PRODUCT_ID_ATTRIBUTE) || '').trim()
+    if (attribute) {
+      return attribute
+    }
+    const link = element.querySelector(SELECTORS.readNowLink)
+    const match = link ? (link.getAttribute('href') || '').match(READ_NOW_ID_PATTERN) : null
+    return match ? match[1] : ''
+  }
+
+  /**
+   * 提取書籍頁連結（相對路徑以當前 origin 補全）
+   * @param {Element} element - 書籍元素
+   * @returns {string}
+   * @private
+   */
+  _extractBookUrl (element) {
+    if (!element || typeof element.querySelector !== 'function') {
+      return ''
+    }
+    const link = element.querySelector(SELECTORS.bookLink)
+    const href = link ? (link.getAttribute('href') || '').trim() : ''
+    if (!href) {
+      return ''
+    }
+    try {
+      return new URL(href, this._currentOrigin() || `https://www.${VALID_HOSTNAME}`).href
+    } catch (error) {
+      // 設計性靜默：無法解析的連結視為無連結
+      return ''
+    }
+  }
+
+  /**
+   * 提取閱讀進度百分比
+   *
+   * 依序採用：「已讀完」標示 → 進度文字百分比 → progressbar aria-valuenow → style.width。
+   *
+   * @param {Element} element - 書籍元素
+   * @returns {number} 0-100 整數，無進度回傳 0
+   * @private
+   */
+  _extractProgress (element) {
+    const text = this._extractText(element, SELECTORS.bookProgress)
+    if (FINISHED_PATTERN.test(text)) {
+      return 100
+    }
+    const percentMatch = text.match(PERCENT_PATTERN)
+    if (percentMatch) {
+      return this._clampProgress(parseFloat(percentMatch[1]))
+    }
+    const bar = element && typeof element.querySelector === 'function'
+      ? element.querySelector(SELECTORS.bookProgressBar)
+      : null
+    if (!bar) {
+      return 0
+    }
+    const raw = bar.getAttribute('aria-valuenow') || (bar.style && bar.style.width) || ''
+    return this._clampProgress(parseFloat(raw))
+  }
+
+  /**
+   * 將進度值四捨五入並限制於 0-100
+   * @param {number} value - 原始進度值
+   * @returns {number}
+   * @private
+   */
+  _clampProgress (value) {
+    if (Number.isNaN(value)) {
+      return 0
+    }
+    return Math.min(100, Math.max(0, Math.round(value)))
+  }
+
+  /**
+   * 過濾不安全 URL 協定（javascript: / data: 等）
+   * @param {string} url - 待過濾 URL
+   * @returns {string} 安全 URL 或空字串
+   * @private
+   */
+  _sanitizeUrl (url) {
+    const trimmed = url.trim()
+    if (trimmed === '') {
+      return ''
+    }
+    try {
+      const protocol = new URL(trimmed).protocol.toLowerCase()
+      return SAFE_URL_PROTOCOLS.includes(protocol) ? trimmed : ''
+    } catch (error) {
+      // 設計性靜默：無協定的相對路徑非預期來源，一律捨棄
+      return ''
+    }
+  }
+
+  /**
+   * 移除字串中的 HTML 標籤
+   * @param {string} text - 待清理文字
+   * @returns {string}
+   * @private
+   */
+  _stripHtml (text) {
+    return text.replace(/<[^>]*>/g, '').trim()
+  }
+
+  /**
+   * 取得當前頁面 URL（測試環境降級為空字串）
+   * @returns {string}
+   * @private
+   */
+  _currentUrl () {
+    if (typeof window !== 'undefined' && window.location) {
+      return window.location.href
+    }
+    return ''
+  }
+
+  /**
+   * 取得當前頁面 origin（僅限 Kobo 網域，其餘回傳空字串）
+   * @returns {string}
+   * @private
+   */
+  _currentOrigin () {
+    const current = this._currentUrl()
+    return this.isValidDomain(current) ? new URL(current).origin : ''
+  }
+}
+
+/**
+ * 工廠函式：建立 Kobo 適配器實例
+ *
+ * 與 readmoo-adapter / books-com-tw-adapter 一致採工廠模式，
+ * 由 PlatformRegistry 的 config.adapterFactory()(options) 呼叫。
+ *
+ * @param {Object} [options] - 適配器選項
+ * @returns {KoboAdapter}
+ */
+function createKoboAdapter (options) {
+  return new KoboAdapter(options)
+}
+
+module.exports = createKoboAdapter
+module.exports.KoboAdapter = KoboAdapter
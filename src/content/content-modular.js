@@ -312,6 +312,20 @@ async function handleBackgroundMessage (message, sender, sendResponse) {
         break
       }
 
+      // 排程重新提取：背景分頁直接以平台適配器提取整個書庫並回傳書籍
+      case 'EXTRACT_ALL_BOOKS': {
+        if (platformAdapter) {
+          const books = await platformAdapter.extractAllBooks()
+          sendResponse({ success: true, books })
+        } else {
+          sendResponse({
+            success: false,
+            error: '平台適配器未初始化'
+          })
+        }
+        break
+      }
+
       case 'PING': {
         const healthStatus = getHealthStatus()
         sendResponse({
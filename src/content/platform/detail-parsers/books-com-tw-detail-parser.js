@@ -0,0 +1,47 @@
+/**
+ * 博客來電子書詳情頁解析器
+ *
+ * 詳情頁：https://www.books.com.tw/products/{商品編號}。商品資訊列為
+ * 「作者：」「出版社：」「ISBN：」等標籤形式，簡介取自 og:description。
+ *
+ * 限制：books-com-tw-adapter 由書櫃頁提取時沒有商品編號與連結，
+ * 目前只有書籍帶有 url 或 identifiers.productId（例如由匯入檔而來）時才能補齊。
+ */
+
+const { parseBookDetail } = require('./detail-page-utils')
+
+/** 詳情頁所在網域（背景 fetch 需有此 host 權限；manifest 目前僅宣告 readmoo.com） */
+const DETAIL_ORIGINS = Object.freeze(['https://www.books.com.tw/*'])
+
+const DETAIL_URL_BASE = 'https://www.books.com.tw/products/'
+
+const BOOKS_COM_TW_LABELS = Object.freeze({
+  authors: ['作者'],
+  publisher: ['出版社'],
+  isbn: ['ISBN'],
+  pageCount: ['頁數'],
+  purchasedAt: []
+})
+
+const PRODUCT_ID_PATTERN = /^[A-Z0-9]{10}$/
+
+/**
+ * @param {Object} book - 書庫中的書籍
+ * @returns {string|null} 無商品編號時為 null
+ */
+function getDetailUrl (book) {
+  const identifiers = (book && book.identifiers) || {}
+  const urlMatch = book && typeof book.url === 'string' && book.url.match(/books\.com\.tw\/products\/([A-Z0-9]{10})/)
+  const productId = urlMatch ? urlMatch[1] : identifiers.productId
+  return typeof productId === 'string' && PRODUCT_ID_PATTERN.test(productId) ? `${DETAIL_URL_BASE}${productId}` : null
+}
+
+/**
+ * @param {string} html - 詳情頁 HTML
+ * @returns {Object} 未經格式整理的書目欄位（見 parseBookDetail）
+ */
+function parseDetailPage (html) {
+  return parseBookDetail(html, BOOKS_COM_TW_LABELS)
+}
+
+module.exports = { DETAIL_ORIGINS, getDetailUrl, parseDetailPage }
@@ -0,0 +1,227 @@
+/**
+ * detail-page-utils.js
+ *
+ * 書籍詳情頁（商品頁）HTML 字串解析共用工具（純函式，無狀態依賴）
+ *
+ * 詳情頁於 Service Worker 以 fetch 取得，MV3 Service Worker 沒有 DOMParser，
+ * 故以字串比對讀取三種常見的書目來源：
+ * - JSON-LD（schema.org Book / Product）
+ * - <meta> 標籤（og:*、books:*、description）
+ * - 「標籤：值」形式的商品資訊列（出版社：…、ISBN：…）
+ *
+ * 各書城解析器依頁面結構組合這些工具，欄位整理（ISBN 格式、頁數、日期）由
+ * MetadataEnrichmentSchema.normalizeDetailMetadata 統一處理。
+ */
+
+const NAMED_ENTITIES = Object.freeze({
+  amp: '&',
+  lt: '<',
+  gt: '>',
+  quot: '"',
+  apos: "'",
+  nbsp: ' '
+})
+
+/**
+ * 解碼 HTML 實體（具名常用實體與數字實體）
+ *
+ * @param {string} text
+ * @returns {string}
+ */
+function decodeEntities (text) {
+  if (!text) return ''
+  return String(text).replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (match, entity) => {
+    if (entity[0] === '#') {
+      const code = entity[1].toLowerCase() === 'x' ? parseInt(entity.slice(2), 16) : parseInt(entity.slice(1), 10)
+      return Number.isFinite(code) && code > 0 && code <= 0x10ffff ? String.fromCodePoint(code) : match
+    }
+    const named = NAMED_ENTITIES[entity.toLowerCase()]
+    return named !== undefined ? named : match
+  })
+}
+
+/**
+ * 移除 script / style 與所有標籤，區塊元素換行，實體解碼後整理空白
+ *
+ * @param {string} html
+ * @returns {string} 每行一段文字
+ */
+function htmlToText (html) {
+  if (!html) return ''
+  const text = String(html)
+    .replace(/<(script|style|noscript)\b[^>]*>[\s\S]*?<\/\1>/gi, '')
+    .replace(/<br\s*\/?>/gi, '\n')
+    .replace(/<\/(p|div|li|dd|dt|tr|h[1-6]|section|ul|ol|table)>/gi, '\n')
+    .replace(/<[^>]*>/g, '')
+  return decodeEntities(text)
+    .split('\n')
+    .map(line => line.replace(/\s+/g, ' ').trim())
+    .filter(Boolean)
+    .join('\n')
+}
+
+function readAttribute (tag, name) {
+  const match = tag.match(new RegExp(`\\s${name}\\s*=\\s*(?:"([^"]*)"|'([^']*)')`, 'i'))
+  if (!match) return null
+  return decodeEntities(match[1] !== undefined ? match[1] : match[2])
+}
+
+/**
+ * 讀取 <meta property|name="…" content="…">，依 names 順序回傳第一個有值者
+ *
+ * @param {string} html
+ * @param {string[]} names - 如 ['og:description', 'description']
+ * @returns {string} 找不到時為空字串
+ */
+function readMetaContent (html, names) {
+  if (!html) return ''
+  const contents = new Map()
+  for (const [tag] of String(html).matchAll(/<meta\b[^>]*>/gi)) {
+    const key = (readAttribute(tag, 'property') || readAttribute(tag, 'name') || '').toLowerCase()
+    const content = readAttribute(tag, 'content')
+    if (key && content && !contents.has(key)) {
+      contents.set(key, content.trim())
+    }
+  }
+  const found = names.find(name => contents.get(name.toLowerCase()))
+  return found ? contents.get(found.toLowerCase()) : ''
+}
+
+function flattenJsonLd (node, result) {
+  if (Array.isArray(node)) {
+    node.forEach(item => flattenJsonLd(item, result))
+  } else if (node && typeof node === 'object') {
+    result.push(node)
+    if (node['@graph']) flattenJsonLd(node['@graph'], result)
+    if (node.workExample) flattenJsonLd(node.workExample, result)
+  }
+  return result
+}
+
+function hasType (node, types) {
+  const nodeTypes = Array.isArray(node['@type']) ? node['@type'] : [node['@type']]
+  return nodeTypes.some(type => types.includes(type))
+}
+
+/**
+ * 讀取 JSON-LD 中指定 @type 的節點（含 @graph 與 workExample）
+ *
+ * 無法解析的 JSON 區塊略過（商品頁偶有不合法的 JSON-LD）。
+ *
+ * @param {string} html
+ * @param {string[]} [types] - 預設 ['Book', 'Product']
+ * @returns {Array<Object>}
+ */
+function readJsonLdNodes (html, types = ['Book', 'Product']) {
+  if (!html) return []
+  const nodes = []
+  for (const [, body] of String(html).matchAll(/<script\b[^>]*type\s*=\s*["']application\/ld\+json["'][^>]*>([\s\S]*?)<\/script>/gi)) {
+    try {
+      flattenJsonLd(JSON.parse(body.trim()), nodes)
+    } catch (error) {
+      // 設計性靜默：不合法的 JSON-LD 視為不存在，改由其他來源補齊
+    }
+  }
+  return nodes.filter(node => hasType(node, types))
+}
+
+/**
+ * JSON-LD 的人名欄位（字串、{ name } 或兩者的陣列）轉為名稱陣列
+ *
+ * @param {*} value
+ * @returns {string[]}
+ */
+function readJsonLdNames (value) {
+  const values = Array.isArray(value) ? value : [value]
+  return values
+    .map(item => (item && typeof item === 'object' ? item.name : item))
+    .filter(name => typeof name === 'string' && name.trim())
+    .map(name => decodeEntities(name).trim())
+}
+
+/**
+ * 由 htmlToText 的輸出中找出「標籤：值」或「標籤」下一行為值的商品資訊
+ *
+ * @param {string} text - htmlToText 輸出
+ * @param {string[]} labels - 如 ['出版社', '出版']
+ * @returns {string} 找不到時為空字串
+ */
+function findLabeledValue (text, labels) {
+  if (!text) return ''
+  const lines = text.split('\n')
+  for (const label of labels) {
+    for (let index = 0; index < lines.length; index++) {
+      const line = lines[index]
+      if (!line.startsWith(label)) continue
+      const rest = line.slice(label.length).trim()
+      if (/^[:：]/.test(rest)) {
+        const value = rest.replace(/^[:：]\s*/, '')
+        if (value) return value
+        if (lines[index + 1]) return lines[index + 1]
+      } else if (!rest && lines[index + 1]) {
+        return lines[index + 1]
+      }
+    }
+  }
+  return ''
+}
+
+/**
+ * 以「、，,/」分隔多位作者並移除結尾的角色字樣（著、編著、（作者））
+ *
+ * @param {string} value
+ * @returns {string[]}
+ */
+function splitPeople (value) {
+  if (!value) return []
+  return value
+    .split(/[、，,／/]/)
+    .map(name => name.replace(/[（(](著|作者|編著|原著)[)）]$/, '').replace(/\s*(著|編著)$/, '').trim())
+    .filter(Boolean)
+}
+
+/**
+ * @typedef {Object} DetailLabels
+ * @property {string[]} [authors] - 作者列標籤
+ * @property {string[]} [publisher] - 出版社列標籤
+ * @property {string[]} [isbn] - ISBN 列標籤
+ * @property {string[]} [pageCount] - 頁數列標籤
+ * @property {string[]} [purchasedAt] - 購買日期列標籤（登入後才會顯示）
+ */
+
+/**
+ * 依序以 JSON-LD、meta 標籤、商品資訊列讀取書目欄位
+ *
+ * 回傳值未經格式整理（頁數、日期可能仍為字串），缺少的欄位為空值。
+ *
+ * @param {string} html
+ * @param {DetailLabels} [labels] - 各書城商品資訊列的標籤文字
+ * @returns {{ authors: string[], publisher: string, isbn: string, pageCount: *, purchasedAt: string, description: string }}
+ */
+function parseBookDetail (html, labels = {}) {
+  const [node = {}] = readJsonLdNodes(html)
+  const text = htmlToText(html)
+  const labeled = field => findLabeledValue(text, labels[field] || [])
+  const jsonLdAuthors = readJsonLdNames(node.author)
+
+  return {
+    authors: jsonLdAuthors.length > 0 ? jsonLdAuthors : splitPeople(labeled('authors')),
+    publisher: readJsonLdNames(node.publisher)[0] || labeled('publisher'),
+    isbn: (node.isbn ? String(node.isbn) : '') || readMetaContent(html, ['books:isbn', 'book:isbn']) || labeled('isbn'),
+    pageCount: node.numberOfPages || labeled('pageCount'),
+    purchasedAt: labeled('purchasedAt'),
+    description: (typeof node.description === 'string' ? decodeEntities(node.description).trim() : '') ||
+      readMetaContent(html, ['og:description', 'description'])
+  }
+}
+
+module.exports = {
+  decodeEntities,
+  htmlToText,
+  readMetaContent,
+  readJsonLdNodes,
+  readJsonLdNames,
+  findLabeledValue,
+  splitPeople,
+  parseBookDetail
+}
@@ -0,0 +1,39 @@
+/**
+ * 樂天 Kobo 書籍詳情頁解析器
+ *
+ * 詳情頁：https://www.kobo.com/{地區}/{語言}/ebook/{slug}，即 kobo-adapter 由書庫
+ * 項目連結取得的 url。商品頁的 JSON-LD 含作者、出版商、ISBN 與簡介；
+ * 「電子書詳細資料」區塊為備援。
+ */
+
+const { parseBookDetail } = require('./detail-page-utils')
+
+/** 詳情頁所在網域（背景 fetch 需有此 host 權限；manifest 目前僅宣告 readmoo.com） */
+const DETAIL_ORIGINS = Object.freeze(['https://www.kobo.com/*'])
+
+const KOBO_LABELS = Object.freeze({
+  authors: ['作者'],
+  publisher: ['出版商', '出版社', 'Imprint', 'Publisher'],
+  isbn: ['ISBN', '書號'],
+  pageCount: ['頁數', 'Pages'],
+  purchasedAt: []
+})
+
+/**
+ * @param {Object} book - 書庫中的書籍
+ * @returns {string|null} 書籍 url 不是 Kobo 電子書商品頁時為 null
+ */
+function getDetailUrl (book) {
+  const url = book && typeof book.url === 'string' ? book.url : ''
+  return /^https:\/\/www\.kobo\.com\/.+\/ebook\/[^/?#]+/.test(url) ? url : null
+}
+
+/**
+ * @param {string} html - 詳情頁 HTML
+ * @returns {Object} 未經格式整理的書目欄位（見 parseBookDetail）
+ */
+function parseDetailPage (html) {
+  return parseBookDetail(html, KOBO_LABELS)
+}
+
+module.exports = { DETAIL_ORIGINS, getDetailUrl, parseDetailPage }
@@ -0,0 +1,51 @@
+/**
+ * Readmoo 書籍詳情頁解析器
+ *
+ * 詳情頁：https://readmoo.com/book/{書籍 ID}。書籍 ID 與閱讀器連結
+ * （/api/reader/{書籍 ID}）相同，由 readmoo-adapter 的 identifiers 或 url 取得。
+ * 書目欄位以 JSON-LD 為主，商品資訊列（出版社、ISBN、頁數）為備援；
+ * 登入狀態下頁面另顯示購買日期。
+ */
+
+const { parseBookDetail } = require('./detail-page-utils')
+
+/** 詳情頁所在網域（背景 fetch 需有此 host 權限） */
+const DETAIL_ORIGINS = Object.freeze(['https://readmoo.com/*'])
+
+const DETAIL_URL_BASE = 'https://readmoo.com/book/'
+
+const READMOO_LABELS = Object.freeze({
+  authors: ['作者'],
+  publisher: ['出版社', '出版者'],
+  isbn: ['ISBN', 'EISBN', 'e-ISBN'],
+  pageCount: ['頁數'],
+  purchasedAt: ['購買日期', '購買時間']
+})
+
+const BOOK_ID_PATTERN = /^\d{6,}$/
+
+/**
+ * 由書籍資料推導詳情頁 URL
+ *
+ * @param {Object} book - 書庫中的書籍
+ * @returns {string|null} 無法取得書籍 ID（例如以書名產生 ID 的書）時為 null
+ */
+function getDetailUrl (book) {
+  const identifiers = (book && book.identifiers) || {}
+  const candidates = [identifiers.readerLinkId, identifiers.privacyBookId]
+  const urlMatch = book && typeof book.url === 'string' && book.url.match(/readmoo\.com\/(?:api\/reader|book)\/(\d+)/)
+  if (urlMatch) candidates.push(urlMatch[1])
+
+  const bookId = candidates.find(candidate => typeof candidate === 'string' && BOOK_ID_PATTERN.test(candidate))
+  return bookId ? `${DETAIL_URL_BASE}${bookId}` : null
+}
+
+/**
+ * @param {string} html - 詳情頁 HTML
+ * @returns {Object} 未經格式整理的書目欄位（見 parseBookDetail）
+ */
+function parseDetailPage (html) {
+  return parseBookDetail(html, READMOO_LABELS)
+}
+
+module.exports = { DETAIL_ORIGINS, getDetailUrl, parseDetailPage }
@@ -22,6 +22,8 @@
  * @property {string[]} hostnames 偵測比對用 hostname 清單
  * @property {() => Function} adapterFactory lazy require，回傳適配器工廠函式
  * @property {string} libraryUrl 書庫頁 URL
+ * @property {() => Object} detailParserFactory lazy require，回傳書籍詳情頁解析器
+ *   （{ getDetailUrl(book), parseDetailPage(html) }，供背景補齊書目資料）
  */
 
 /**
@@ -36,7 +38,8 @@ const PLATFORM_CONFIGS = [
     matchPatterns: ['*://*.readmoo.com/*'],
     hostnames: ['read.readmoo.com', 'member.readmoo.com', 'readmoo.com'],
     adapterFactory: () => require('../adapters/readmoo-adapter'),
-    libraryUrl: 'https://read.readmoo.com/#/library'
+    libraryUrl: 'https://read.readmoo.com/#/library',
+    detailParserFactory: () => require('./detail-parsers/readmoo-detail-parser')
   },
   {
     name: 'books-com-tw',
@@ -44,7 +47,17 @@ const PLATFORM_CONFIGS = [
     matchPatterns: ['*://*.books.com.tw/*'],
     hostnames: ['viewer-ebook.books.com.tw', 'www.books.com.tw', 'books.com.tw'],
     adapterFactory: () => require('../adapters/books-com-tw-adapter'),
-    libraryUrl: 'https://viewer-ebook.books.com.tw/viewer/index.html?readlist=all'
+    libraryUrl: 'https://viewer-ebook.books.com.tw/viewer/index.html?readlist=all',
+    detailParserFactory: () => require('./detail-parsers/books-com-tw-detail-parser')
+  },
+  {
+    name: 'kobo',
+    displayName: '樂天 Kobo',
+    matchPatterns: ['*://*.kobo.com/*'],
+    hostnames: ['www.kobo.com', 'kobo.com'],
+    adapterFactory: () => require('../adapters/kobo-adapter'),
+    libraryUrl: 'https://www.kobo.com/tw/zh/library/books',
+    detailParserFactory: () => require('./detail-parsers/kobo-detail-parser')
   }
 ]
 
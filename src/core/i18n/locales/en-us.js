@@ -0,0 +1,849 @@
+'use strict'
+
+/**
+ * English (US)
+ *
+ * 鍵與 {param} 參數須與 zh-tw.js 一致；英文依 count 區分 one / other。
+ */
+module.exports = {
+  common: {
+    language: 'Language',
+    listSeparator: ', ',
+    sentenceSeparator: ' ',
+    unknown: 'Unknown',
+    unknownError: 'Unknown error',
+    retry: 'Retry',
+    cancel: 'Cancel',
+    readingStatus: {
+      unread: 'Unread',
+      reading: 'Reading',
+      finished: 'Finished',
+      queued: 'To read',
+      abandoned: 'Abandoned',
+      reference: 'Reference'
+    },
+    platforms: {
+      readmoo: 'Readmoo',
+      'books-com-tw': 'Books.com.tw eBooks',
+      kobo: 'Rakuten Kobo'
+    }
+  },
+
+  overview: {
+    boot: {
+      initFailed: 'Failed to initialize the page: {message}'
+    },
+    page: {
+      title: 'Readmoo Library',
+      totalBooks: 'Total books',
+      displayedBooks: 'Showing',
+      searchPlaceholder: 'Search titles, authors, tags… e.g. status:reading tag:sci-fi progress:>50 -tag:lent',
+      exportCsv: 'Export CSV',
+      exportGoodreads: 'Export Goodreads CSV',
+      exportStoryGraph: 'Export StoryGraph CSV',
+      exportJson: 'Export JSON',
+      exportEncryptedJson: 'Export encrypted JSON',
+      importJson: 'Import JSON',
+      selectAll: 'Select all',
+      reload: 'Reload',
+      viewMode: 'View mode',
+      tableView: 'Table',
+      gridView: 'Covers',
+      expandEditions: 'Show editions',
+      sortLabel: 'Sort: ',
+      sort: {
+        relevance: 'Relevance',
+        asc: 'Ascending',
+        desc: 'Descending'
+      },
+      bulkBar: 'Edit selected books',
+      fileUploaderTitle: 'Load a book JSON / CSV file (Goodreads and StoryGraph exports supported)',
+      loadFile: 'Load file',
+      loadSample: 'Load sample data'
+    },
+    messages: {
+      defaultLoad: 'Loading...',
+      reload: 'Reloading books...',
+      emptyBooks: 'No books yet',
+      noDataExport: 'There is no data to export',
+      fileParseError: 'Could not parse the file',
+      fileReadError: 'Could not read the file',
+      invalidJson: 'Invalid JSON format',
+      loadingFromStorage: 'Loading books from storage...',
+      loadFailed: 'Could not load books: {message}',
+      exportFailed: '{format} export failed: {message}',
+      exportPassphrasePrompt: 'Set a sync passphrase. You will need the same passphrase to import this file:',
+      exportPassphraseConfirm: 'Enter the sync passphrase again:',
+      exportPassphraseMismatch: 'The passphrases did not match. Nothing was exported.'
+    },
+    table: {
+      columns: {
+        cover: 'Cover',
+        title: 'Title',
+        author: 'Author',
+        source: 'Store',
+        progress: 'Progress',
+        status: 'Status'
+      },
+      selectBook: 'Select this book',
+      unknownTitle: 'Unknown title',
+      authorPlaceholder: '— missing',
+      authorTooltip: 'Readmoo library pages do not include authors; you can edit them manually (tag-based editing arrives in v0.20.0)'
+    },
+    grid: {
+      progressRing: 'Reading progress {percent}%'
+    },
+    tags: {
+      empty: 'Uncategorized',
+      more: {
+        one: '{count} more tag',
+        other: '{count} more tags'
+      },
+      expand: 'Show tags',
+      collapse: 'Hide tags'
+    },
+    export: {
+      filenamePrefix: 'books_',
+      encryptedFilenamePrefix: 'books_encrypted_'
+    },
+    exporter: {
+      noDataCopy: 'There is no data to copy',
+      copySuccess: 'Copied to clipboard',
+      copyFailed: 'Copy failed. Please check that your browser supports the clipboard.',
+      sourceHeader: 'Store',
+      progressHeader: 'Reading progress'
+    },
+    query: {
+      errorPosition: '{message} (at character {position})',
+      fields: {
+        status: 'Reading status',
+        tag: 'Tag name',
+        category: 'Tag category',
+        source: 'Store',
+        title: 'Title contains',
+        author: 'Author contains',
+        publisher: 'Publisher contains',
+        progress: 'Reading progress (0–100)',
+        updated: 'Updated date',
+        extracted: 'Extracted date'
+      },
+      errors: {
+        unclosedQuote: 'Unclosed quote',
+        unsupportedOperator: '"{field}" does not support the comparison operator "{op}"',
+        invalidProgress: '"{field}" must be a number between 0 and 100',
+        invalidDate: '"{field}" dates must be YYYY, YYYY-MM or YYYY-MM-DD',
+        missingValue: '"{field}" is missing a value',
+        unknownField: 'Unknown field "{field}". Did you mean "{suggestion}"?',
+        missingAfterNegation: 'Missing condition after "-"',
+        missingAfterOr: 'Missing condition after OR',
+        missingBeforeOr: 'Missing condition before OR',
+        emptyGroup: 'Empty parentheses',
+        unclosedGroup: 'Unclosed parenthesis',
+        unexpectedClose: 'Unexpected closing parenthesis',
+        unknownStatus: 'Unknown reading status "{value}". Available: {options}',
+        tagNotFound: 'Tag "{value}" not found',
+        categoryNotFound: 'Category "{value}" not found',
+        unknownSource: 'Unknown store "{value}". Available: {options}'
+      }
+    },
+    savedViews: {
+      title: 'Saved views',
+      save: 'Save current view',
+      empty: 'No saved views yet',
+      promptName: 'View name',
+      confirmDelete: 'Delete the view "{name}"?',
+      delete: 'Delete view "{name}"',
+      saved: 'Saved view "{name}"',
+      deleted: 'Deleted view "{name}"',
+      errors: {
+        invalidName: 'View names cannot be blank or too long',
+        duplicateName: 'A view with this name already exists',
+        notFound: 'View not found',
+        storage: 'Could not save the view'
+      }
+    },
+    bulk: {
+      applyStatus: 'Apply status',
+      tagLabel: 'Tag',
+      addTag: 'Add tag',
+      removeTag: 'Remove tag',
+      moveTag: 'Move to category',
+      moveTagHint: 'Replace the books\' other tags in the same category with this tag',
+      deleteBooks: 'Delete books',
+      statusPlaceholder: 'Set status…',
+      tagPlaceholder: 'Choose a tag…',
+      selection: {
+        one: '{count} book selected',
+        other: '{count} books selected'
+      },
+      confirmDelete: {
+        one: 'Delete the selected book? You can restore it with "Undo".',
+        other: 'Delete the {count} selected books? You can restore them with "Undo".'
+      },
+      undo: {
+        one: 'Undo ({count} book)',
+        other: 'Undo ({count} books)'
+      },
+      undone: {
+        one: 'Restored {count} book',
+        other: 'Restored {count} books'
+      },
+      undoneSkipped: {
+        one: 'Restored {count} book; skipped {skipped} changed after the bulk edit',
+        other: 'Restored {count} books; skipped {skipped} changed after the bulk edit'
+      },
+      done: {
+        setStatus: {
+          one: 'Updated reading status ({count} book)',
+          other: 'Updated reading status ({count} books)'
+        },
+        addTag: {
+          one: 'Added tag ({count} book)',
+          other: 'Added tag ({count} books)'
+        },
+        removeTag: {
+          one: 'Removed tag ({count} book)',
+          other: 'Removed tag ({count} books)'
+        },
+        moveTag: {
+          one: 'Moved to category ({count} book)',
+          other: 'Moved to category ({count} books)'
+        },
+        delete: {
+          one: 'Deleted ({count} book)',
+          other: 'Deleted ({count} books)'
+        }
+      },
+      errors: {
+        invalidStatus: 'Invalid reading status',
+        tagNotFound: 'Tag not found',
+        nothingToUndo: 'There is no bulk edit to undo',
+        undoConflict: 'These books changed after the bulk edit and cannot be restored',
+        rollback: 'The bulk edit failed and your data was restored'
+      }
+    },
+    timeline: {
+      show: 'Reading stats',
+      hide: 'Hide reading stats',
+      empty: 'Not enough progress history yet',
+      finishedPerMonth: 'Finished per month',
+      progressPerWeek: 'Weekly reading progress',
+      readingDuration: 'From first read to finished',
+      weekLabel: 'Week of {date}',
+      finished: {
+        one: '{count} book',
+        other: '{count} books'
+      },
+      progressPages: '{pages} pages ({percent}%)',
+      progressPercent: '{percent}%',
+      days: {
+        one: '{count} day',
+        other: '{count} days'
+      }
+    },
+    workLinks: {
+      panel: 'Duplicates',
+      show: {
+        zero: 'Duplicates',
+        other: 'Duplicates ({count})'
+      },
+      hide: 'Hide duplicates',
+      candidatesTitle: 'Possible duplicates',
+      worksTitle: 'Linked works',
+      noCandidates: 'No duplicates to review',
+      noWorks: 'No linked works yet',
+      link: 'Link as the same work',
+      dismiss: 'Not the same book',
+      unlink: 'Unlink',
+      linked: 'Linked as the same work',
+      dismissed: 'Skipped this pair',
+      unlinked: 'Unlinked',
+      confirmUnlink: 'Unlink the editions of this work? Each edition will be shown separately.',
+      failed: 'Something went wrong. Please try again later.',
+      editionCount: {
+        one: '{count} edition',
+        other: '{count} editions'
+      }
+    },
+    scheduledRefresh: {
+      show: 'Scheduled refresh',
+      hide: 'Hide scheduled refresh',
+      settingsTitle: 'Schedule',
+      enabled: 'Re-extract my library in the background periodically',
+      interval: 'Frequency: ',
+      platforms: 'Stores to refresh',
+      lastRunTitle: 'Last refresh',
+      intervals: {
+        6: 'Every 6 hours',
+        12: 'Every 12 hours',
+        24: 'Daily',
+        72: 'Every 3 days',
+        168: 'Weekly'
+      },
+      never: 'No scheduled refresh has run yet',
+      lastRun: 'Last refreshed: {time}',
+      summary: '{added} new, {progressChanged} progress changes, {removed} removed',
+      added: 'New',
+      progress: 'Progress',
+      removed: 'Removed',
+      progressChange: '{title} ({from}% → {to}%)',
+      failed: 'Refresh failed: {names}',
+      saved: 'Schedule saved',
+      noPlatform: 'Please choose at least one store',
+      saveFailed: 'Could not save. Please try again later.',
+      notificationTitle: 'Scheduled library refresh'
+    },
+    bookEditor: {
+      edit: 'Edit tags and status',
+      done: 'Done',
+      openDetails: 'Book details',
+      close: 'Close',
+      status: 'Reading status',
+      statusUnset: 'Not set',
+      manual: 'Manual',
+      manualHint: 'Set by you; reading progress will not change it',
+      auto: 'Auto',
+      autoHint: 'Updates automatically from reading progress',
+      tags: 'Tags',
+      noTags: 'No tags yet',
+      removeTag: 'Remove tag "{name}"',
+      tagInput: 'Add a tag…',
+      tagInputLabel: 'Search tags or type a new tag name',
+      createTag: 'Create tag "{name}"',
+      newTagCategory: 'Category for new tags',
+      noCategory: 'Create a category in the tag manager first',
+      noMatch: 'No matching tags',
+      annotations: 'Personal notes',
+      rating: 'Rating',
+      ratingUnset: 'Not rated',
+      ratingOption: {
+        one: '{count} star',
+        other: '{count} stars'
+      },
+      startedAt: 'Started',
+      finishedAt: 'Finished',
+      notes: 'Notes',
+      notesPlaceholder: 'Write down your thoughts on this book…',
+      errors: {
+        bookNotFound: 'This book was not found; it may have been deleted',
+        tagNotFound: 'This tag was not found; it may have been deleted',
+        categoryNotFound: 'The selected category no longer exists',
+        duplicateName: 'A tag with this name already exists in the category',
+        invalidStatus: 'Unknown reading status',
+        quotaExceeded: 'Storage is full; free up some space first',
+        failed: 'Could not save. Please try again later.',
+        invalidRating: 'Rating must be 1 to 5 stars',
+        invalidDate: 'Invalid date',
+        invalidDateOrder: 'The finish date cannot be earlier than the start date',
+        notesTooLong: 'Notes are too long',
+        invalidAnnotation: 'Could not save this note'
+      }
+    },
+    tagManager: {
+      show: 'Manage tags',
+      hide: 'Hide tag manager',
+      search: 'Search categories or tags',
+      addRootCategory: 'New category',
+      rootDrop: 'Drop a category here to move it to the top level',
+      empty: 'No categories yet',
+      noMatch: 'No matching categories or tags',
+      expand: 'Expand category',
+      collapse: 'Collapse category',
+      bookCount: {
+        one: '{count} book',
+        other: '{count} books'
+      },
+      color: 'Category color',
+      addChild: 'Add subcategory',
+      addTag: 'Add tag',
+      rename: 'Rename',
+      delete: 'Delete',
+      selectTag: 'Select tag',
+      promptCategory: 'New category name:',
+      promptTag: 'New tag name:',
+      confirmDeleteCategory: 'Delete the category "{name}"? Its tags will move to "Uncategorized".',
+      confirmDeleteSubtree: 'Delete the category "{name}" and all its subcategories? Tags in them will also be deleted and removed from books.',
+      confirmDeleteTag: {
+        one: 'Delete the tag "{name}"? It will be removed from {count} book.',
+        other: 'Delete the tag "{name}"? It will be removed from {count} books.'
+      },
+      confirmMerge: {
+        one: 'Merge {count} tag into "{name}"? The original tag will be deleted and its books will use "{name}".',
+        other: 'Merge {count} tags into "{name}"? The original tags will be deleted and their books will use "{name}".'
+      },
+      confirmBatchDelete: {
+        one: 'Delete the selected tag? It will be removed from books.',
+        other: 'Delete the {count} selected tags? They will be removed from books.'
+      },
+      selection: {
+        one: '{count} tag selected',
+        other: '{count} tags selected'
+      },
+      mergeTargetPlaceholder: 'Merge into…',
+      merge: 'Merge',
+      deleteSelected: 'Delete selected tags',
+      saved: 'Saved',
+      merged: {
+        one: 'Merged {count} tag, updated {books} books',
+        other: 'Merged {count} tags, updated {books} books'
+      },
+      deleted: {
+        one: 'Deleted {count} tag',
+        other: 'Deleted {count} tags'
+      },
+      errors: {
+        duplicateName: 'An item with this name already exists at this level',
+        circularReference: 'A category cannot move into itself or one of its subcategories',
+        maxDepth: 'Categories can be nested at most {max} levels deep',
+        invalidParent: 'The target category no longer exists',
+        hasChildren: 'Handle the subcategories before deleting this category',
+        systemProtected: 'Built-in categories and tags cannot be deleted',
+        cascadePartial: 'The deletion did not finish; the categories were restored',
+        notFound: 'This item was not found; it may have been deleted',
+        nameRequired: 'Enter a name',
+        quotaExceeded: 'Storage is full; free up some space first',
+        failed: 'Something went wrong, please try again later'
+      }
+    },
+    taggingRules: {
+      show: 'Tagging rules',
+      hide: 'Hide tagging rules',
+      add: 'New rule',
+      previewAll: 'Preview enabled rules',
+      empty: 'No rules yet. Rules tag books automatically by title, author, publisher and more',
+      enabled: 'Enabled',
+      disabled: ' (disabled)',
+      edit: 'Edit',
+      preview: 'Preview',
+      delete: 'Delete',
+      name: 'Rule name',
+      value: 'Text to match',
+      addCondition: 'Add condition',
+      removeCondition: 'Remove condition',
+      targetTags: 'Add tags',
+      save: 'Save rule',
+      cancel: 'Cancel',
+      match: {
+        all: 'Match all conditions',
+        any: 'Match any condition'
+      },
+      fields: {
+        title: 'Title',
+        authors: 'Author',
+        publisher: 'Publisher',
+        source: 'Store',
+        type: 'Type'
+      },
+      operators: {
+        contains: 'contains',
+        equals: 'equals',
+        startsWith: 'starts with',
+        regex: 'matches regex'
+      },
+      conditionSummary: '{field} {operator} "{value}"',
+      join: {
+        all: ' and ',
+        any: ' or '
+      },
+      summary: '{conditions} → {tags}',
+      confirmDelete: 'Delete the rule "{name}"? Tags it already added stay on the books.',
+      previewRule: {
+        one: '{name}: {count} book will be tagged',
+        other: '{name}: {count} books will be tagged'
+      },
+      previewMore: {
+        one: 'and {count} more',
+        other: 'and {count} more'
+      },
+      previewEmpty: 'No books would change with these rules',
+      apply: {
+        one: 'Apply to {count} book',
+        other: 'Apply to {count} books'
+      },
+      saved: 'Rule saved',
+      deleted: 'Rule deleted',
+      applied: {
+        one: 'Tagged {count} book. Use Undo to revert',
+        other: 'Tagged {count} books. Use Undo to revert'
+      },
+      errors: {
+        invalidName: 'Enter a rule name of up to {max} characters',
+        duplicateName: 'A rule with this name already exists',
+        invalidCondition: 'Every condition needs text to match, with at most {max} conditions',
+        invalidPattern: 'The regular expression is invalid',
+        noTargetTags: 'Choose at least one tag to add',
+        tagNotFound: 'A selected tag no longer exists; choose again',
+        notFound: 'This rule was not found; it may have been deleted',
+        failed: 'The operation failed. Please try again'
+      }
+    },
+    classificationReview: {
+      show: 'Classification suggestions',
+      hide: 'Hide classification suggestions',
+      empty: 'Nothing to review. Books not yet in a Chinese Library Classification class get suggestions from their title, publisher, type and tags',
+      selectAll: 'Select all',
+      selected: {
+        one: '{count} book selected',
+        other: '{count} books selected'
+      },
+      acceptSelected: 'Accept selected',
+      dismissSelected: 'Reject selected',
+      category: 'Class',
+      accept: 'Accept',
+      dismiss: 'Reject',
+      confidence: '{percent}% confidence',
+      reasons: 'Based on: {reasons}',
+      more: {
+        one: 'and {count} more, listed once these are reviewed',
+        other: 'and {count} more, listed once these are reviewed'
+      },
+      accepted: {
+        one: 'Classified {count} book. Use Undo to revert',
+        other: 'Classified {count} books. Use Undo to revert'
+      },
+      acceptedWithTags: {
+        one: 'Classified {count} book (new class tags: {created}). Use Undo to revert',
+        other: 'Classified {count} books (new class tags: {created}). Use Undo to revert'
+      },
+      dismissed: {
+        one: 'Rejected the suggestion for {count} book. It will not be suggested again',
+        other: 'Rejected the suggestions for {count} books. They will not be suggested again'
+      },
+      errors: {
+        categoryNotFound: 'The chosen class no longer exists. Choose another',
+        quotaExceeded: 'Not enough storage space to create class tags',
+        failed: 'Something went wrong. Please try again'
+      }
+    },
+    metadataEnrichment: {
+      title: 'Book details',
+      enabled: 'Fill in authors, publisher, ISBN and more from the store page of each book',
+      hint: 'Book pages are read one at a time in the background. Only empty fields are filled; your own edits are never overwritten.',
+      idle: 'Book details have not been filled in yet',
+      running: 'Filling in: {done} of {total} books',
+      paused: 'Paused with {remaining} books left. It will resume automatically.',
+      completed: 'Finished {time}: {enriched} books filled in, {failed} failed',
+      saveFailed: 'Could not save. Please try again later.'
+    },
+    importFlow: {
+      modeTitle: 'Choose import mode',
+      modeDescription: 'Overwrite clears your current library and loads the imported data; merge keeps your library and merges the imported books into it.',
+      overwrite: 'Overwrite (clear current library)',
+      merge: 'Merge (keep current library)',
+      emptyFileTitle: 'Clear your library?',
+      emptyFileProceed: 'Clear library',
+      emptyFileConfirm: {
+        one: 'This file contains no books. Continuing will clear the {count} book in your library and cannot be undone.',
+        other: 'This file contains no books. Continuing will clear the {count} books in your library and cannot be undone.'
+      },
+      emptyFileConfirmEmptyLibrary: 'This file contains no books. Your library is already empty, so there is nothing to clear. Continue anyway?',
+      previewFailed: 'Could not read your library; the import was not completed',
+      initFailed: 'Could not initialize import',
+      saving: 'Saving imported data...',
+      quotaExceeded: 'Not enough storage space; the import was not completed',
+      saveFailed: 'Saving failed; your previous data was restored'
+    },
+    importFile: {
+      noFile: 'Choose a JSON or CSV file first.',
+      invalidFormat: 'Choose a file in JSON or CSV format.',
+      tooLarge: 'The file is too large. Choose a file smaller than {size}MB.',
+      readFailed: 'Could not read the file',
+      loadFailed: 'Could not load the file: {message}',
+      emptyContent: 'The file is empty',
+      invalidJson: 'The JSON file is not valid',
+      invalidJsonShape: 'The JSON file must contain an array or an object with a books property',
+      csvEmpty: 'Invalid CSV format: the file is empty',
+      csvMissingColumns: 'Invalid CSV format: a required column (id or 書名) is missing'
+    },
+    importPreview: {
+      title: 'Review merge',
+      apply: 'Apply selected',
+      status: {
+        added: 'New',
+        updated: 'Updated',
+        unchanged: 'Unchanged'
+      },
+      resolution: {
+        incoming: 'Use imported',
+        local: 'Keep local'
+      },
+      empty: 'The imported data matches your library; there are no changes to apply',
+      emptyValue: '(empty)',
+      summary: {
+        added: {
+          one: '{count} book added',
+          other: '{count} books added'
+        },
+        updated: {
+          one: '{count} book updated',
+          other: '{count} books updated'
+        },
+        conflicts: {
+          one: '{count} conflict',
+          other: '{count} conflicts'
+        },
+        created: 'New tags: {tags}, new categories: {categories}',
+        remapped: 'Mapped to existing tags: {tags}, categories: {categories}',
+        separator: ', '
+      },
+      change: '{field}: {from} → {to}',
+      addedTags: {
+        one: '{count} tag added',
+        other: '{count} tags added'
+      },
+      conflictFields: 'Conflicting fields: {fields}',
+      bookTitle: '[{status}] {title}',
+      remap: {
+        created: 'new',
+        existing: 'existing',
+        renamed: '{kind} "{from}" → {action} "{to}"',
+        same: '{kind} "{name}" → {action}',
+        category: 'Category',
+        tag: 'Tag'
+      }
+    }
+  },
+
+  popup: {
+    header: {
+      title: 'Book Overview',
+      subtitle: 'Your personal library manager'
+    },
+    status: {
+      checking: 'Checking status...',
+      initializing: 'Please wait, the extension is starting up',
+      contentScriptLoading: 'Connecting to the library page',
+      contentScriptReloadHint: 'Please wait or reload the page',
+      nonReadmooPage: 'Please open the Readmoo website',
+      nonReadmooHint: 'This feature works on the Readmoo library page',
+      currentAria: 'Current status'
+    },
+    statusBadge: {
+      ready: 'Ready',
+      loading: 'Loading',
+      disconnected: 'Disconnected',
+      initializing: 'Starting',
+      idle: 'Idle',
+      extracting: 'Extracting',
+      complete: 'Done',
+      cancelled: 'Extraction cancelled',
+      cancelFailed: 'Cancel failed',
+      failed: 'Failed',
+      error: 'Error',
+      invalid: 'Invalid',
+      testMode: 'Test mode'
+    },
+    statusMessage: {
+      cancelled: 'Stopped by user',
+      cancelledHint: 'You can start the extraction again',
+      readyToExtract: 'Ready to extract',
+      readyToExtractHint: 'Please open your Readmoo library page',
+      cancelFailed: 'Something went wrong',
+      refreshAndRetry: 'Please reload the page and retry',
+      refreshAndTryAgain: 'Please reload the page and try again',
+      testEnvironment: 'Test environment',
+      testEnvironmentHint: 'Background service check simulated',
+      extensionReady: 'Extension is ready',
+      extensionReadyHint: 'System ready',
+      starting: 'Extension is starting',
+      startingHint: 'Initializing, please wait',
+      disconnected: 'Extension is disconnected',
+      disconnectedHint: 'Retries exhausted. Please reload the extension.',
+      noTab: 'Could not get tab information',
+      connected: 'Connected to the library page',
+      connectedHint: 'Ready to extract your library',
+      tabCheckFailed: 'Could not check the page',
+      extractionSucceeded: 'Extraction succeeded',
+      extractedBooks: {
+        one: 'Extracted {count} book',
+        other: 'Extracted {count} books'
+      },
+      extractionStarted: 'Extraction complete',
+      extractionFailed: 'Extraction failed',
+      initFailed: 'Initialization failed',
+      interfaceError: 'Interface error'
+    },
+    background: {
+      unreachable: 'Cannot reach the background service',
+      timeout: 'The background service is not responding',
+      contextInvalidated: 'The extension context is no longer valid',
+      notStarted: 'The background service is not running',
+      communicationError: 'Communication error'
+    },
+    action: {
+      extract: 'Extract library',
+      startExtraction: '[START] Extract library',
+      settings: 'Extension settings',
+      help: 'Help',
+      viewLibrary: 'View library',
+      viewLibraryAria: 'Open the library overview to see all books',
+      import: 'Import library',
+      importAria: 'Import library data from a JSON file',
+      diagnostic: 'Diagnostic mode'
+    },
+    extraction: {
+      inProgress: 'Extracting your library',
+      hint: 'Keep the page open and do not close the browser',
+      progressHeader: 'Extraction progress',
+      progressPlaceholder: 'Getting ready...'
+    },
+    results: {
+      header: 'Extraction results',
+      extractedLabel: 'Books extracted:',
+      extractedUnit: 'books',
+      timeLabel: 'Extracted at:',
+      successRateLabel: 'Success rate:',
+      export: 'Export data',
+      viewResults: 'View results',
+      viewResultsAria: 'View detailed extraction results'
+    },
+    error: {
+      header: 'Error',
+      defaultMessage: 'An unknown error occurred',
+      retry: 'Retry',
+      reloadExtension: 'Reload extension',
+      reloadExtensionShort: 'Reload extension',
+      suggestionsLabel: 'Suggested steps:',
+      initHeader: 'Initialization failed',
+      initDefaultMessage: 'An error occurred while the extension was starting',
+      forceReload: 'Force reload extension',
+      openExtensionPage: 'Open extensions page'
+    },
+    errorHandler: {
+      fallbackMessage: 'An unexpected error occurred. Please reload the extension.',
+      titles: {
+        generic: 'Error',
+        system: 'System error',
+        initialization: 'Initialization error',
+        network: 'Network error',
+        chromeApi: 'Chrome extension error',
+        systemInitialization: 'System initialization error',
+        extraction: 'Extraction error'
+      },
+      actions: {
+        reloadExtension: 'Reload the extension',
+        refreshPage: 'Reload the page',
+        viewDiagnostics: 'View diagnostics',
+        retryRequest: 'Retry the request',
+        checkNetwork: 'Check your network connection',
+        useCache: 'Use cached data',
+        checkPermissions: 'Check permissions',
+        clearCache: 'Clear the cache',
+        checkVersion: 'Check the extension version',
+        contactSupport: 'Contact support'
+      }
+    },
+    pageInfo: {
+      currentPageLabel: 'Current page:',
+      currentPagePlaceholder: 'Detecting...',
+      detectedBooksLabel: 'Books detected:',
+      extensionStatusLabel: 'Extension status:',
+      nonBookstorePage: 'Not a library page'
+    },
+    version: {
+      loading: 'Loading...',
+      development: 'v{version} development build',
+      unknown: 'v?.?.? unknown version'
+    },
+    dialog: {
+      settingsPlaceholder: 'Settings will be available in a future version',
+      helpText: 'How to use:\n\n1. Open your Readmoo library page\n2. Click "Extract library"\n3. Wait for the extraction to finish\n\nDetailed help will be available in a future version',
+      noDataToExport: 'Nothing to export yet. Please extract your library first.',
+      exported: 'Library data exported as JSON',
+      openLibraryFailed: 'Could not open the library page. Please try again later.',
+      reportPlaceholder: 'Issue reporting will be available in a future version'
+    },
+    navigation: {
+      sectionTitle: 'Go to store',
+      goButtonAriaPrefix: 'Go to '
+    },
+    diagnostic: {
+      header: 'Diagnostic details:',
+      timeoutStopped: 'The Background Service Worker may have stopped',
+      timeoutReload: 'Reload the extension to restart the Service Worker',
+      contextInvalidated: 'The extension context is no longer valid',
+      contextReload: 'Reload the extension page',
+      notLoaded: 'The Background Script is not loaded or has stopped',
+      checkInstalled: 'Check that the extension is installed and enabled',
+      unknownError: 'Unknown communication error',
+      retryReload: 'Try reloading the extension',
+      actionHint: 'Suggested action: click the extension icon in the browser toolbar and choose "Reload"',
+      errorDetails: 'Error details: {message}'
+    },
+    healthCheck: {
+      button: 'System health check',
+      checking: '[WAIT] Checking...',
+      failed: 'Health check failed: {message}',
+      resultsHeader: 'System health check results:',
+      passed: {
+        one: '[OK] Passed: {count} check',
+        other: '[OK] Passed: {count} checks'
+      },
+      warnings: {
+        one: '[WARN] Warnings: {count} check',
+        other: '[WARN] Warnings: {count} checks'
+      },
+      failedChecks: {
+        one: '[FAIL] Failed: {count} check',
+        other: '[FAIL] Failed: {count} checks'
+      },
+      mainIssues: 'Main issues:',
+      recommendations: 'Suggested fixes:'
+    },
+    initReport: {
+      trackerMissing: 'The initialization tracker is not loaded',
+      title: '[CHECK] Popup initialization report',
+      summaryHeader: '[STATS] Summary:',
+      totalSteps: 'Total steps: {count}',
+      completedSteps: 'Completed steps: {count}',
+      failedSteps: 'Failed steps: {count}',
+      runningSteps: 'Running steps: {count}',
+      totalDuration: 'Total time: {duration}ms',
+      stepsHeader: '[TIME] Step log:',
+      stepDescription: 'Description: {description}',
+      stepDuration: 'Time: {duration}ms',
+      stepError: 'Error: {error}',
+      troubleshootingHeader: 'Troubleshooting:',
+      reloadExtension: 'Reload the extension (chrome://extensions/)',
+      reopenPopup: 'Refresh the page and open the Popup again',
+      restartBrowser: 'Restart Chrome',
+      runHealthCheck: 'Run the system health check for more diagnostics'
+    },
+    import: {
+      buttonLabel: 'Import library',
+      resultTitle: 'Import results',
+      errorTitle: 'Import failed',
+      close: 'Close',
+      fallbackError: 'Import failed',
+      fileReadError: 'Could not read the file',
+      storageError: 'Saving failed. Please try again.',
+      staleConfirm: 'The import file ({exportedAt}) is older than your last import ({lastImportedAt}). Overwrite anyway?',
+      passphrasePrompt: 'This file is encrypted. Enter your sync passphrase:',
+      passphraseRetry: 'Wrong passphrase or damaged file. Please try again:',
+      summaryAdded: 'Added:',
+      summaryUpdated: 'Updated:',
+      summaryUnchanged: 'Unchanged:',
+      summaryRemoved: 'Removed:',
+      summaryAutoTagged: 'Auto-tagged:',
+      summaryUnit: 'books'
+    },
+    sync: {
+      preparing: 'Preparing sync data...',
+      emptyLibrary: 'Your library is empty. Extract your library first.',
+      noChanges: 'No changes since the last sync',
+      singleFrame: 'Single QR code. Scan it with the App.',
+      frames: {
+        one: '{count} frame. Scan it with the App.',
+        other: '{count} frames. Scan them with the App.'
+      },
+      encrypted: '{frames} (encrypted)',
+      delta: {
+        one: 'Delta sync of {count} change. {frames}',
+        other: 'Delta sync of {count} changes. {frames}'
+      },
+      completed: 'Playback finished. Play again if the App missed any frames.',
+      loadFailed: 'Could not read the library',
+      pairingCode: 'Pairing code: {code}'
+    }
+  }
+}
@@ -0,0 +1,723 @@
+'use strict'
+
+/**
+ * 日本語
+ *
+ * 鍵與 {param} 參數須與 zh-tw.js 一致；日文無單複數變化，只保留 zero 形式（空狀態文字）。
+ */
+module.exports = {
+  common: {
+    language: '言語',
+    listSeparator: '、',
+    sentenceSeparator: '　',
+    unknown: '不明',
+    unknownError: '不明なエラー',
+    retry: '再試行',
+    cancel: 'キャンセル',
+    readingStatus: {
+      unread: '未読',
+      reading: '読書中',
+      finished: '読了',
+      queued: '積読',
+      abandoned: '中断',
+      reference: '参考資料'
+    },
+    platforms: {
+      readmoo: 'Readmoo 讀墨',
+      'books-com-tw': '博客來 電子書',
+      kobo: '楽天Kobo'
+    }
+  },
+
+  overview: {
+    boot: {
+      initFailed: 'ページの初期化に失敗しました: {message}'
+    },
+    page: {
+      title: 'Readmoo 蔵書リスト',
+      totalBooks: '総冊数',
+      displayedBooks: '表示中',
+      searchPlaceholder: 'タイトル・著者・タグで検索… 例: status:reading tag:SF progress:>50 -tag:貸出中',
+      exportCsv: 'CSV をエクスポート',
+      exportGoodreads: 'Goodreads CSV をエクスポート',
+      exportStoryGraph: 'StoryGraph CSV をエクスポート',
+      exportJson: 'JSON をエクスポート',
+      exportEncryptedJson: '暗号化 JSON をエクスポート',
+      importJson: 'JSON をインポート',
+      selectAll: 'すべて選択',
+      reload: '再読み込み',
+      viewMode: '表示モード',
+      tableView: '表',
+      gridView: '表紙',
+      expandEditions: '版を展開',
+      sortLabel: '並べ替え：',
+      sort: {
+        relevance: '関連度',
+        asc: '昇順',
+        desc: '降順'
+      },
+      bulkBar: '選択した本を一括編集',
+      fileUploaderTitle: '書籍の JSON / CSV ファイルを読み込む（Goodreads・StoryGraph のエクスポートに対応）',
+      loadFile: 'ファイルを読み込む',
+      loadSample: 'サンプルデータを読み込む'
+    },
+    messages: {
+      defaultLoad: '読み込み中...',
+      reload: '書籍データを再読み込み中...',
+      emptyBooks: '書籍データがありません',
+      noDataExport: 'エクスポートするデータがありません',
+      fileParseError: 'ファイルの解析に失敗しました',
+      fileReadError: 'ファイルの読み込みに失敗しました',
+      invalidJson: '無効な JSON 形式です',
+      loadingFromStorage: 'ストレージから書籍データを読み込み中...',
+      loadFailed: '書籍データを読み込めません: {message}',
+      exportFailed: '{format} のエクスポートに失敗しました: {message}',
+      exportPassphrasePrompt: '同期パスワードを設定してください（このファイルのインポート時に同じパスワードが必要です）：',
+      exportPassphraseConfirm: 'もう一度同期パスワードを入力してください：',
+      exportPassphraseMismatch: '同期パスワードが一致しないため、エクスポートしませんでした'
+    },
+    table: {
+      columns: {
+        cover: '表紙',
+        title: 'タイトル',
+        author: '著者',
+        source: 'ストア',
+        progress: '進捗',
+        status: '状態'
+      },
+      selectBook: 'この本を選択',
+      unknownTitle: '不明なタイトル',
+      authorPlaceholder: '— 未入力',
+      authorTooltip: 'Readmoo の蔵書ページには著者欄がないため、手動で編集できます（v0.20.0 でタグによる編集に対応予定）'
+    },
+    grid: {
+      progressRing: '読書進捗 {percent}%'
+    },
+    tags: {
+      empty: '未分類',
+      more: 'ほか {count} 個のタグ',
+      expand: 'タグを展開',
+      collapse: 'タグを折りたたむ'
+    },
+    export: {
+      filenamePrefix: '書籍データ_',
+      encryptedFilenamePrefix: '書籍データ_暗号化_'
+    },
+    exporter: {
+      noDataCopy: 'コピーするデータがありません',
+      copySuccess: 'クリップボードにコピーしました',
+      copyFailed: 'コピーに失敗しました。ブラウザがクリップボードに対応しているか確認してください',
+      sourceHeader: 'ストア',
+      progressHeader: '読書進捗'
+    },
+    query: {
+      errorPosition: '{message}（{position} 文字目）',
+      fields: {
+        status: '読書状態',
+        tag: 'タグ名',
+        category: 'タグの分類',
+        source: 'ストア',
+        title: 'タイトルに含む',
+        author: '著者に含む',
+        publisher: '出版社に含む',
+        progress: '読書進捗（0–100）',
+        updated: '更新日',
+        extracted: '取得日'
+      },
+      errors: {
+        unclosedQuote: '引用符が閉じられていません',
+        unsupportedOperator: '「{field}」は比較演算子「{op}」に対応していません',
+        invalidProgress: '「{field}」は 0 から 100 の数値で指定してください',
+        invalidDate: '「{field}」の日付は YYYY、YYYY-MM、YYYY-MM-DD のいずれかで指定してください',
+        missingValue: '「{field}」の値がありません',
+        unknownField: '不明な項目「{field}」です。「{suggestion}」のことですか？',
+        missingAfterNegation: '「-」の後に条件がありません',
+        missingAfterOr: 'OR の後に条件がありません',
+        missingBeforeOr: 'OR の前に条件がありません',
+        emptyGroup: '括弧の中に条件がありません',
+        unclosedGroup: '括弧が閉じられていません',
+        unexpectedClose: '余分な閉じ括弧があります',
+        unknownStatus: '不明な読書状態「{value}」です。使用可能：{options}',
+        tagNotFound: 'タグ「{value}」が見つかりません',
+        categoryNotFound: '分類「{value}」が見つかりません',
+        unknownSource: '不明なストア「{value}」です。使用可能：{options}'
+      }
+    },
+    savedViews: {
+      title: '保存したビュー',
+      save: '現在のビューを保存',
+      empty: '保存したビューはありません',
+      promptName: 'ビュー名',
+      confirmDelete: 'ビュー「{name}」を削除しますか？',
+      delete: 'ビュー「{name}」を削除',
+      saved: 'ビュー「{name}」を保存しました',
+      deleted: 'ビュー「{name}」を削除しました',
+      errors: {
+        invalidName: 'ビュー名は空白にできず、長すぎてもいけません',
+        duplicateName: '同じ名前のビューがすでにあります',
+        notFound: 'このビューが見つかりません',
+        storage: 'ビューの保存に失敗しました'
+      }
+    },
+    bulk: {
+      applyStatus: '状態を適用',
+      tagLabel: 'タグ',
+      addTag: 'タグを追加',
+      removeTag: 'タグを削除',
+      moveTag: '分類へ移動',
+      moveTagHint: '同じ分類にある本の他のタグをこのタグに置き換えます',
+      deleteBooks: '本を削除',
+      statusPlaceholder: '状態を設定…',
+      tagPlaceholder: 'タグを選択…',
+      selection: '{count} 冊を選択中',
+      confirmDelete: '選択した {count} 冊を削除しますか？「元に戻す」で復元できます。',
+      undo: '元に戻す（{count} 冊）',
+      undone: '{count} 冊を元に戻しました',
+      undoneSkipped: '{count} 冊を元に戻しました。一括編集後に変更された {skipped} 冊はスキップしました',
+      done: {
+        setStatus: '読書状態を更新しました（{count} 冊）',
+        addTag: 'タグを追加しました（{count} 冊）',
+        removeTag: 'タグを削除しました（{count} 冊）',
+        moveTag: '分類へ移動しました（{count} 冊）',
+        delete: '削除しました（{count} 冊）'
+      },
+      errors: {
+        invalidStatus: '無効な読書状態です',
+        tagNotFound: 'タグが見つかりません',
+        nothingToUndo: '元に戻せる一括編集はありません',
+        undoConflict: '一括編集後にこれらの本が変更されたため、元に戻せません',
+        rollback: '一括編集に失敗したため、データを元に戻しました'
+      }
+    },
+    timeline: {
+      show: '読書統計',
+      hide: '読書統計を隠す',
+      empty: '進捗の記録がまだ足りません',
+      finishedPerMonth: '月ごとの読了数',
+      progressPerWeek: '週ごとの読書進捗',
+      readingDuration: '読み始めから読了まで',
+      weekLabel: '{date} の週',
+      finished: '{count} 冊',
+      progressPages: '{pages} ページ（{percent}%）',
+      progressPercent: '{percent}%',
+      days: '{count} 日'
+    },
+    workLinks: {
+      panel: '重複した本',
+      show: {
+        zero: '重複した本',
+        other: '重複した本（{count}）'
+      },
+      hide: '重複した本を隠す',
+      candidatesTitle: '重複の可能性がある本',
+      worksTitle: 'リンク済みの作品',
+      noCandidates: '確認待ちの重複はありません',
+      noWorks: 'リンクした作品はまだありません',
+      link: '同じ作品としてリンク',
+      dismiss: '別の本',
+      unlink: 'リンクを解除',
+      linked: '同じ作品としてリンクしました',
+      dismissed: 'この組み合わせをスキップしました',
+      unlinked: 'リンクを解除しました',
+      confirmUnlink: 'この作品の版のリンクを解除しますか？各版は別々に表示されます。',
+      failed: '操作に失敗しました。しばらくしてからもう一度お試しください',
+      editionCount: '{count} 版'
+    },
+    scheduledRefresh: {
+      show: '定期更新',
+      hide: '定期更新を隠す',
+      settingsTitle: 'スケジュール設定',
+      enabled: 'バックグラウンドで定期的に蔵書を再取得する',
+      interval: '更新頻度：',
+      platforms: '定期更新するストア',
+      lastRunTitle: '前回の更新',
+      intervals: {
+        6: '6 時間ごと',
+        12: '12 時間ごと',
+        24: '毎日',
+        72: '3 日ごと',
+        168: '毎週'
+      },
+      never: '定期更新はまだ実行されていません',
+      lastRun: '前回の更新：{time}',
+      summary: '新規購入 {added} 冊、進捗変化 {progressChanged} 冊、削除 {removed} 冊',
+      added: '新規購入',
+      progress: '進捗',
+      removed: '削除',
+      progressChange: '{title}（{from}% → {to}%）',
+      failed: '更新に失敗：{names}',
+      saved: 'スケジュール設定を保存しました',
+      noPlatform: 'ストアを 1 つ以上選択してください',
+      saveFailed: '保存に失敗しました。しばらくしてからもう一度お試しください',
+      notificationTitle: '蔵書の定期更新'
+    },
+    bookEditor: {
+      edit: 'タグと状態を編集',
+      done: '完了',
+      openDetails: '書籍の詳細',
+      close: '閉じる',
+      status: '読書状態',
+      statusUnset: '未設定',
+      manual: '手動',
+      manualHint: '手動で設定済み。読書の進捗では変更されません',
+      auto: '自動',
+      autoHint: '読書の進捗に応じて自動で更新されます',
+      tags: 'タグ',
+      noTags: 'タグはまだありません',
+      removeTag: 'タグ「{name}」を外す',
+      tagInput: 'タグを追加…',
+      tagInputLabel: 'タグを検索、または新しいタグ名を入力',
+      createTag: 'タグ「{name}」を作成',
+      newTagCategory: '新しいタグのカテゴリ',
+      noCategory: '先にタグ管理でカテゴリを作成してください',
+      noMatch: '一致するタグがありません',
+      annotations: '個人メモ',
+      rating: '評価',
+      ratingUnset: '未評価',
+      ratingOption: '星 {count}',
+      startedAt: '読み始めた日',
+      finishedAt: '読み終えた日',
+      notes: 'メモ',
+      notesPlaceholder: 'この本の感想を書き留めましょう…',
+      errors: {
+        bookNotFound: 'この本が見つかりません。削除された可能性があります',
+        tagNotFound: 'このタグが見つかりません。削除された可能性があります',
+        categoryNotFound: '選択したカテゴリは存在しません',
+        duplicateName: 'このカテゴリには同じ名前のタグがあります',
+        invalidStatus: '無効な読書状態です',
+        quotaExceeded: '保存容量がいっぱいです。先に空き容量を確保してください',
+        failed: '保存できませんでした。しばらくしてからもう一度お試しください',
+        invalidRating: '評価は星 1〜5 で指定してください',
+        invalidDate: '日付の形式が無効です',
+        invalidDateOrder: '読み終えた日は読み始めた日より前にできません',
+        notesTooLong: 'メモが長すぎます',
+        invalidAnnotation: 'このメモを保存できませんでした'
+      }
+    },
+    tagManager: {
+      show: 'タグ管理',
+      hide: 'タグ管理を閉じる',
+      search: 'カテゴリまたはタグを検索',
+      addRootCategory: 'カテゴリを追加',
+      rootDrop: 'カテゴリをここにドロップすると最上位に移動します',
+      empty: 'カテゴリはまだありません',
+      noMatch: '一致するカテゴリまたはタグはありません',
+      expand: 'カテゴリを展開',
+      collapse: 'カテゴリを折りたたむ',
+      bookCount: '{count} 冊',
+      color: 'カテゴリの色',
+      addChild: 'サブカテゴリを追加',
+      addTag: 'タグを追加',
+      rename: '名前を変更',
+      delete: '削除',
+      selectTag: 'タグを選択',
+      promptCategory: '新しいカテゴリ名：',
+      promptTag: '新しいタグ名：',
+      confirmDeleteCategory: 'カテゴリ「{name}」を削除しますか？配下のタグは「未分類」に移動します。',
+      confirmDeleteSubtree: 'カテゴリ「{name}」とすべてのサブカテゴリを削除しますか？サブカテゴリ内のタグも削除され、書籍から外れます。',
+      confirmDeleteTag: 'タグ「{name}」を削除しますか？{count} 冊の書籍から外れます。',
+      confirmMerge: '{count} 個のタグを「{name}」に統合しますか？元のタグは削除され、書籍は「{name}」を使います。',
+      confirmBatchDelete: '選択した {count} 個のタグを削除しますか？書籍から外れます。',
+      selection: '{count} 個のタグを選択中',
+      mergeTargetPlaceholder: '統合先…',
+      merge: '統合',
+      deleteSelected: '選択したタグを削除',
+      saved: '保存しました',
+      merged: '{count} 個のタグを統合し、{books} 冊を更新しました',
+      deleted: '{count} 個のタグを削除しました',
+      errors: {
+        duplicateName: '同じ階層に同じ名前があります',
+        circularReference: 'カテゴリを自分自身やそのサブカテゴリに移動することはできません',
+        maxDepth: 'カテゴリは最大 {max} 階層までです',
+        invalidParent: '移動先のカテゴリが存在しません',
+        hasChildren: 'サブカテゴリを先に処理してから削除してください',
+        systemProtected: '組み込みのカテゴリとタグは削除できません',
+        cascadePartial: '削除が完了しなかったため、カテゴリを元に戻しました',
+        notFound: '項目が見つかりません。削除された可能性があります',
+        nameRequired: '名前を入力してください',
+        quotaExceeded: '保存容量が不足しています。先にデータを整理してください',
+        failed: '操作に失敗しました。しばらくしてから再度お試しください'
+      }
+    },
+    taggingRules: {
+      show: '自動タグルール',
+      hide: '自動タグルールを閉じる',
+      add: 'ルールを追加',
+      previewAll: '有効なルールをプレビュー',
+      empty: 'ルールはまだありません。書名・著者・出版社などの条件で本に自動でタグを付けます',
+      enabled: '有効',
+      disabled: '（無効）',
+      edit: '編集',
+      preview: 'プレビュー',
+      delete: '削除',
+      name: 'ルール名',
+      value: '照合するテキスト',
+      addCondition: '条件を追加',
+      removeCondition: '条件を削除',
+      targetTags: '付けるタグ',
+      save: 'ルールを保存',
+      cancel: 'キャンセル',
+      match: {
+        all: 'すべての条件に一致',
+        any: 'いずれかの条件に一致'
+      },
+      fields: {
+        title: '書名',
+        authors: '著者',
+        publisher: '出版社',
+        source: 'ストア',
+        type: '種類'
+      },
+      operators: {
+        contains: 'を含む',
+        equals: 'と等しい',
+        startsWith: 'で始まる',
+        regex: 'が正規表現に一致'
+      },
+      conditionSummary: '{field}が「{value}」{operator}',
+      join: {
+        all: ' かつ ',
+        any: ' または '
+      },
+      summary: '{conditions} → {tags}',
+      confirmDelete: 'ルール「{name}」を削除しますか？付けたタグは本に残ります。',
+      previewRule: '{name}：{count} 冊にタグが付きます',
+      previewMore: 'ほか {count} 冊',
+      previewEmpty: 'これらのルールで変わる本はありません',
+      apply: '{count} 冊に適用',
+      saved: 'ルールを保存しました',
+      deleted: 'ルールを削除しました',
+      applied: '{count} 冊にタグを付けました。「元に戻す」で取り消せます',
+      errors: {
+        invalidName: '{max} 文字以内のルール名を入力してください',
+        duplicateName: '同じ名前のルールがすでにあります',
+        invalidCondition: 'すべての条件に照合テキストが必要です（最大 {max} 件）',
+        invalidPattern: '正規表現の構文が正しくありません',
+        noTargetTags: '付けるタグを 1 つ以上選んでください',
+        tagNotFound: '選んだタグは存在しません。選び直してください',
+        notFound: 'このルールが見つかりません。削除された可能性があります',
+        failed: '操作に失敗しました。もう一度お試しください'
+      }
+    },
+    classificationReview: {
+      show: '分類の提案',
+      hide: '分類の提案を隠す',
+      empty: '確認待ちの提案はありません。中国図書分類法に未分類の本には、書名・出版社・種類・既存のタグから提案します',
+      selectAll: 'すべて選択',
+      selected: '{count} 冊を選択中',
+      acceptSelected: '選択した提案を承認',
+      dismissSelected: '選択した提案を却下',
+      category: '分類',
+      accept: '承認',
+      dismiss: '却下',
+      confidence: '信頼度 {percent}%',
+      reasons: '根拠：{reasons}',
+      more: 'ほか {count} 冊（現在の提案を処理すると表示されます）',
+      accepted: '{count} 冊に分類を付けました。「元に戻す」で取り消せます',
+      acceptedWithTags: '{count} 冊に分類を付けました（分類タグを {created} 個作成）。「元に戻す」で取り消せます',
+      dismissed: '{count} 冊の提案を却下しました。今後は表示されません',
+      errors: {
+        categoryNotFound: '選んだ分類は存在しません。選び直してください',
+        quotaExceeded: '保存容量が不足しているため分類タグを作成できません',
+        failed: '操作に失敗しました。もう一度お試しください'
+      }
+    },
+    metadataEnrichment: {
+      title: '書誌情報の補完',
+      enabled: '書籍の詳細ページから著者・出版社・ISBN などを補完する',
+      hint: 'バックグラウンドで書籍ページを 1 冊ずつ読み込み、空欄のみを埋めます。手動で編集した内容は上書きしません。',
+      idle: '書誌情報はまだ補完されていません',
+      running: '補完中：{done} / {total} 冊',
+      paused: '一時停止中（残り {remaining} 冊）。しばらくすると自動で再開します',
+      completed: '{time} に完了：{enriched} 冊を補完、{failed} 冊が失敗',
+      saveFailed: '保存に失敗しました。しばらくしてからもう一度お試しください'
+    },
+    importFlow: {
+      modeTitle: 'インポート方法を選択',
+      modeDescription: '上書きは現在の蔵書を消去してからインポートデータを読み込みます。統合は現在の蔵書を残したまま、インポートデータを既存の本と統合します。',
+      overwrite: '上書き（現在の蔵書を消去）',
+      merge: '統合（現在の蔵書を保持）',
+      emptyFileTitle: '蔵書を消去しますか？',
+      emptyFileProceed: '消去する',
+      emptyFileConfirm: 'このファイルには書誌データが含まれていません。続行すると現在の蔵書 {count} 冊が消去され、元に戻せません。',
+      emptyFileConfirmEmptyLibrary: 'このファイルには書誌データが含まれていません。蔵書は空のため消去するデータはありません。続行しますか？',
+      previewFailed: '蔵書を読み込めなかったため、インポートは完了していません',
+      initFailed: 'インポート機能の初期化に失敗しました',
+      saving: 'インポートデータを保存中...',
+      quotaExceeded: '保存容量が不足しているため、インポートは完了していません',
+      saveFailed: '保存に失敗したため、元のデータに戻しました'
+    },
+    importFile: {
+      noFile: '先に JSON または CSV ファイルを選択してください',
+      invalidFormat: 'JSON または CSV 形式のファイルを選択してください',
+      tooLarge: 'ファイルが大きすぎます。{size}MB 未満のファイルを選択してください',
+      readFailed: 'ファイルの読み込み中にエラーが発生しました',
+      loadFailed: 'ファイルの読み込みに失敗しました：{message}',
+      emptyContent: 'ファイルの内容が空です',
+      invalidJson: 'JSON ファイルの形式が正しくありません',
+      invalidJsonShape: 'JSON ファイルには配列、または books プロパティを持つオブジェクトが必要です',
+      csvEmpty: '無効な CSV 形式：内容が空です',
+      csvMissingColumns: '無効な CSV 形式：必須の列（id または 書名）がありません'
+    },
+    importPreview: {
+      title: '統合内容の確認',
+      apply: 'チェックした項目を適用',
+      status: {
+        added: '追加',
+        updated: '更新',
+        unchanged: '変更なし'
+      },
+      resolution: {
+        incoming: 'インポートを採用',
+        local: 'ローカルを保持'
+      },
+      empty: 'インポートデータは現在の蔵書と同じです。適用する変更はありません',
+      emptyValue: '（空）',
+      summary: {
+        added: '追加 {count} 冊',
+        updated: '更新 {count} 冊',
+        conflicts: '競合 {count} 冊',
+        created: '新規タグ {tags} 個、分類 {categories} 個',
+        remapped: '既存のタグ {tags} 個、分類 {categories} 個に対応',
+        separator: '、'
+      },
+      change: '{field}：{from} → {to}',
+      addedTags: 'タグを {count} 個追加',
+      conflictFields: '競合する項目：{fields}',
+      bookTitle: '［{status}］{title}',
+      remap: {
+        created: '新規',
+        existing: '既存に対応',
+        renamed: '{kind}「{from}」→ {action}「{to}」',
+        same: '{kind}「{name}」→ {action}',
+        category: '分類',
+        tag: 'タグ'
+      }
+    }
+  },
+
+  popup: {
+    header: {
+      title: 'Book Overview',
+      subtitle: '蔵書管理ツール'
+    },
+    status: {
+      checking: '状態を確認中...',
+      initializing: '拡張機能を初期化しています。しばらくお待ちください',
+      contentScriptLoading: '蔵書ページに接続中',
+      contentScriptReloadHint: 'しばらく待つか、ページを再読み込みしてください',
+      nonReadmooPage: 'Readmoo のサイトを開いてください',
+      nonReadmooHint: 'この機能は Readmoo の蔵書ページで使用します',
+      currentAria: '現在の状態'
+    },
+    statusBadge: {
+      ready: '準備完了',
+      loading: '読み込み中',
+      disconnected: '未接続',
+      initializing: '初期化中',
+      idle: '待機',
+      extracting: '取得中',
+      complete: '完了',
+      cancelled: '取得を中止しました',
+      cancelFailed: '中止に失敗',
+      failed: '失敗',
+      error: 'エラー',
+      invalid: '無効',
+      testMode: 'テストモード'
+    },
+    statusMessage: {
+      cancelled: 'ユーザーが中止しました',
+      cancelledHint: '取得をもう一度開始できます',
+      readyToExtract: '取得の準備ができました',
+      readyToExtractHint: 'Readmoo の蔵書ページを開いてください',
+      cancelFailed: 'エラーが発生しました',
+      refreshAndRetry: 'ページを再読み込みしてから再試行してください',
+      refreshAndTryAgain: 'ページを再読み込みしてからもう一度お試しください',
+      testEnvironment: 'テスト環境',
+      testEnvironmentHint: 'バックグラウンドサービスの模擬チェックが完了しました',
+      extensionReady: '拡張機能の準備ができました',
+      extensionReadyHint: 'システム準備完了',
+      starting: '拡張機能を起動しています',
+      startingHint: '初期化中です。しばらくお待ちください',
+      disconnected: '拡張機能が接続されていません',
+      disconnectedHint: '再試行の上限に達しました。拡張機能を再読み込みしてください',
+      noTab: 'タブの情報を取得できません',
+      connected: '蔵書ページに接続しました',
+      connectedHint: '蔵書データを取得できます',
+      tabCheckFailed: 'ページの状態を確認できません',
+      extractionSucceeded: '取得に成功しました',
+      extractedBooks: '{count} 冊の取得に成功しました',
+      extractionStarted: 'データの取得が完了しました',
+      extractionFailed: '取得に失敗しました',
+      initFailed: '初期化に失敗しました',
+      interfaceError: '画面でエラーが発生しました'
+    },
+    background: {
+      unreachable: 'バックグラウンドサービスに接続できません',
+      timeout: 'バックグラウンドサービスが応答しません',
+      contextInvalidated: '拡張機能のコンテキストが無効になりました',
+      notStarted: 'バックグラウンドサービスが起動していません',
+      communicationError: '通信エラーが発生しました'
+    },
+    action: {
+      extract: '蔵書データを取得',
+      startExtraction: '[START] 蔵書データを取得',
+      settings: '拡張機能の設定',
+      help: '使い方',
+      viewLibrary: '蔵書を見る',
+      viewLibraryAria: '蔵書一覧ページを開いてすべての本を表示',
+      import: '蔵書をインポート',
+      importAria: 'JSON ファイルから蔵書データをインポート',
+      diagnostic: '診断モード'
+    },
+    extraction: {
+      inProgress: '蔵書データを取得中',
+      hint: 'ページを開いたままにし、ブラウザを閉じないでください',
+      progressHeader: '取得の進捗',
+      progressPlaceholder: '取得の準備中...'
+    },
+    results: {
+      header: '取得結果',
+      extractedLabel: '取得した本:',
+      extractedUnit: '冊',
+      timeLabel: '取得時刻:',
+      successRateLabel: '成功率:',
+      export: 'データをエクスポート',
+      viewResults: '結果を見る',
+      viewResultsAria: '取得結果の詳細を見る'
+    },
+    error: {
+      header: 'エラー',
+      defaultMessage: '不明なエラーが発生しました',
+      retry: '再試行',
+      reloadExtension: '拡張機能を再読み込み',
+      reloadExtensionShort: '拡張機能を再読み込み',
+      suggestionsLabel: '解決のための手順：',
+      initHeader: 'システムの初期化に失敗しました',
+      initDefaultMessage: '拡張機能の初期化中にエラーが発生しました',
+      forceReload: '拡張機能を強制的に再読み込み',
+      openExtensionPage: '拡張機能の管理ページを開く'
+    },
+    errorHandler: {
+      fallbackMessage: '予期しないエラーが発生しました。拡張機能を再読み込みしてください',
+      titles: {
+        generic: 'エラー',
+        system: 'システムエラー',
+        initialization: '初期化エラー',
+        network: 'ネットワークエラー',
+        chromeApi: 'Chrome 拡張機能のエラー',
+        systemInitialization: 'システム初期化エラー',
+        extraction: 'データ取得エラー'
+      },
+      actions: {
+        reloadExtension: '拡張機能を再読み込み',
+        refreshPage: 'ページを再読み込み',
+        viewDiagnostics: '診断情報を見る',
+        retryRequest: 'リクエストを再試行',
+        checkNetwork: 'ネットワーク接続を確認',
+        useCache: 'キャッシュデータを使用',
+        checkPermissions: '権限の設定を確認',
+        clearCache: 'キャッシュを消去',
+        checkVersion: '拡張機能のバージョンを確認',
+        contactSupport: 'サポートに連絡'
+      }
+    },
+    pageInfo: {
+      currentPageLabel: '現在のページ:',
+      currentPagePlaceholder: '検出中...',
+      detectedBooksLabel: '検出した本:',
+      extensionStatusLabel: '拡張機能の状態:',
+      nonBookstorePage: '蔵書ページではありません'
+    },
+    version: {
+      loading: '読み込み中...',
+      development: 'v{version} 開発版',
+      unknown: 'v?.?.? 不明なバージョン'
+    },
+    dialog: {
+      settingsPlaceholder: '設定機能は今後のバージョンで提供予定です',
+      helpText: '使い方：\n\n1. Readmoo の蔵書ページを開く\n2.「蔵書データを取得」をクリック\n3. 取得が完了するまで待つ\n\n詳しい説明は今後のバージョンで提供予定です',
+      noDataToExport: 'エクスポートするデータがありません。先に蔵書データを取得してください',
+      exported: '蔵書データを JSON 形式でエクスポートしました',
+      openLibraryFailed: '蔵書ページを開けません。しばらくしてからもう一度お試しください',
+      reportPlaceholder: '問題の報告機能は今後のバージョンで提供予定です'
+    },
+    navigation: {
+      sectionTitle: 'ストアへ移動',
+      goButtonAriaPrefix: '移動: '
+    },
+    diagnostic: {
+      header: '詳細診断:',
+      timeoutStopped: 'Background Service Worker が停止している可能性があります',
+      timeoutReload: '拡張機能を再読み込みして Service Worker を再起動してください',
+      contextInvalidated: '拡張機能のコンテキストが無効になりました',
+      contextReload: '拡張機能のページを再読み込みしてください',
+      notLoaded: 'Background Script が読み込まれていないか停止しています',
+      checkInstalled: '拡張機能が正しくインストールされ有効になっているか確認してください',
+      unknownError: '不明な通信エラー',
+      retryReload: '拡張機能を再読み込みしてください',
+      actionHint: '操作のヒント: ブラウザ右上の拡張機能アイコンをクリックし「再読み込み」を選択してください',
+      errorDetails: 'エラー詳細: {message}'
+    },
+    healthCheck: {
+      button: 'システムヘルスチェック',
+      checking: '[WAIT] チェック中...',
+      failed: 'ヘルスチェックに失敗しました: {message}',
+      resultsHeader: 'システムヘルスチェック結果：',
+      passed: '[OK] 合格: {count} 項目',
+      warnings: '[WARN] 警告: {count} 項目',
+      failedChecks: '[FAIL] 失敗: {count} 項目',
+      mainIssues: '主な問題：',
+      recommendations: '推奨される対処：'
+    },
+    initReport: {
+      trackerMissing: '初期化トラッカーが読み込まれていません',
+      title: '[CHECK] Popup 初期化レポート',
+      summaryHeader: '[STATS] 概要：',
+      totalSteps: '総ステップ数: {count}',
+      completedSteps: '完了ステップ: {count}',
+      failedSteps: '失敗ステップ: {count}',
+      runningSteps: '実行中ステップ: {count}',
+      totalDuration: '合計時間: {duration}ms',
+      stepsHeader: '[TIME] ステップ実行記録：',
+      stepDescription: '説明: {description}',
+      stepDuration: '所要時間: {duration}ms',
+      stepError: 'エラー: {error}',
+      troubleshootingHeader: 'トラブルシューティング：',
+      reloadExtension: '拡張機能を再読み込みする (chrome://extensions/)',
+      reopenPopup: 'ページを更新して Popup を開き直す',
+      restartBrowser: 'Chrome を再起動する',
+      runHealthCheck: 'システムヘルスチェックを実行して詳しい診断情報を得る'
+    },
+    import: {
+      buttonLabel: '蔵書をインポート',
+      resultTitle: 'インポート結果',
+      errorTitle: 'インポートに失敗しました',
+      close: '閉じる',
+      fallbackError: 'インポートに失敗しました',
+      fileReadError: 'ファイルの読み込みに失敗しました',
+      storageError: '保存に失敗しました。もう一度お試しください',
+      staleConfirm: 'インポートするファイル（{exportedAt}）は前回のインポート（{lastImportedAt}）より古いものです。上書きしますか？',
+      passphrasePrompt: 'このファイルは暗号化されています。同期パスワードを入力してください：',
+      passphraseRetry: '同期パスワードが違うか、ファイルが破損しています。もう一度入力してください：',
+      summaryAdded: '追加:',
+      summaryUpdated: '更新:',
+      summaryUnchanged: '変更なし:',
+      summaryRemoved: '削除:',
+      summaryAutoTagged: '自動タグ付け:',
+      summaryUnit: '冊'
+    },
+    sync: {
+      preparing: '同期データを準備しています...',
+      emptyLibrary: '蔵書がありません。先に蔵書を取得してください',
+      noChanges: '前回の同期から変更はありません',
+      singleFrame: 'QR コード 1 枚です。App でスキャンしてください',
+      frames: '全 {count} フレームです。App でスキャンしてください',
+      encrypted: '{frames}（暗号化済み）',
+      delta: '差分同期 {count} 件の変更。{frames}',
+      completed: '再生が完了しました。App で読み取れなかった場合は再生し直してください',
+      loadFailed: '蔵書の読み込みに失敗しました',
+      pairingCode: 'ペアリングコード：{code}'
+    }
+  }
+}
@@ -0,0 +1,725 @@
+'use strict'
+
+/**
+ * 繁體中文（預設語系）
+ *
+ * 其他語系須與本檔擁有相同的鍵、複數形式與 {param} 參數
+ * （tests/unit/core/i18n/ui-i18n.test.js 檢查）。
+ * 複數條目以 { zero?, one?, other } 物件表示，依 count 參數選擇。
+ */
+module.exports = {
+  common: {
+    language: '語言',
+    listSeparator: '、',
+    sentenceSeparator: '　',
+    unknown: '未知',
+    unknownError: '未知錯誤',
+    retry: '重試',
+    cancel: '取消',
+    readingStatus: {
+      unread: '未讀',
+      reading: '閱讀中',
+      finished: '已讀完',
+      queued: '待讀',
+      abandoned: '已放棄',
+      reference: '參考用'
+    },
+    platforms: {
+      readmoo: 'Readmoo 讀墨',
+      'books-com-tw': '博客來電子書',
+      kobo: '樂天 Kobo'
+    }
+  },
+
+  overview: {
+    boot: {
+      initFailed: '頁面初始化失敗: {message}'
+    },
+    page: {
+      title: 'Readmoo書籍目錄',
+      totalBooks: '總書籍數',
+      displayedBooks: '顯示中',
+      searchPlaceholder: '搜尋書名、作者、標籤… 例如 status:reading tag:科幻 progress:>50 -tag:已借出',
+      exportCsv: '匯出 CSV',
+      exportGoodreads: '匯出 Goodreads CSV',
+      exportStoryGraph: '匯出 StoryGraph CSV',
+      exportJson: '匯出 JSON',
+      exportEncryptedJson: '匯出加密 JSON',
+      importJson: '匯入 JSON',
+      selectAll: '選取全部',
+      reload: '重新載入',
+      viewMode: '檢視模式',
+      tableView: '表格',
+      gridView: '封面',
+      expandEditions: '展開版本',
+      sortLabel: '排序：',
+      sort: {
+        relevance: '相關度',
+        asc: '升冪',
+        desc: '降冪'
+      },
+      bulkBar: '批次編輯選取的書籍',
+      fileUploaderTitle: '載入書籍 JSON / CSV 檔案（支援 Goodreads、StoryGraph 匯出檔）',
+      loadFile: '載入檔案',
+      loadSample: '載入範例資料'
+    },
+    messages: {
+      defaultLoad: '載入中...',
+      reload: '重新載入書籍資料...',
+      emptyBooks: '目前沒有書籍資料',
+      noDataExport: '沒有資料可以匯出',
+      fileParseError: '檔案解析失敗',
+      fileReadError: '檔案讀取失敗',
+      invalidJson: '無效的 JSON 格式',
+      loadingFromStorage: '從儲存載入書籍資料...',
+      loadFailed: '無法載入書籍資料: {message}',
+      exportFailed: '{format} 匯出失敗: {message}',
+      exportPassphrasePrompt: '請設定同步密碼（匯入此檔案時需輸入相同密碼）：',
+      exportPassphraseConfirm: '請再次輸入同步密碼：',
+      exportPassphraseMismatch: '兩次輸入的同步密碼不一致，未匯出檔案'
+    },
+    table: {
+      columns: {
+        cover: '封面',
+        title: '書名',
+        author: '作者',
+        source: '書城來源',
+        progress: '進度',
+        status: '狀態'
+      },
+      selectBook: '選取此書',
+      unknownTitle: '未知書名',
+      authorPlaceholder: '— 待補',
+      authorTooltip: 'Readmoo 來源頁不提供作者欄位，可手動編輯（v0.20.0 將支援標籤化編輯）'
+    },
+    grid: {
+      progressRing: '閱讀進度 {percent}%'
+    },
+    tags: {
+      empty: '未分類',
+      more: '還有 {count} 個標籤',
+      expand: '展開標籤',
+      collapse: '收合標籤'
+    },
+    export: {
+      filenamePrefix: '書籍資料_',
+      encryptedFilenamePrefix: '書籍資料_加密_'
+    },
+    exporter: {
+      noDataCopy: '沒有資料可以複製',
+      copySuccess: '已複製到剪貼簿',
+      copyFailed: '複製失敗，請確認瀏覽器支援剪貼簿功能',
+      sourceHeader: '書城',
+      progressHeader: '閱讀進度'
+    },
+    query: {
+      errorPosition: '{message}（第 {position} 個字元）',
+      fields: {
+        status: '閱讀狀態',
+        tag: '標籤名稱',
+        category: '標籤分類',
+        source: '書城來源',
+        title: '書名包含',
+        author: '作者包含',
+        publisher: '出版社包含',
+        progress: '閱讀進度（0–100）',
+        updated: '更新日期',
+        extracted: '提取日期'
+      },
+      errors: {
+        unclosedQuote: '引號未閉合',
+        unsupportedOperator: '「{field}」不支援比較運算子「{op}」',
+        invalidProgress: '「{field}」必須是 0 到 100 之間的數字',
+        invalidDate: '「{field}」的日期格式應為 YYYY、YYYY-MM 或 YYYY-MM-DD',
+        missingValue: '「{field}」缺少值',
+        unknownField: '未知的欄位「{field}」，是否為「{suggestion}」？',
+        missingAfterNegation: '「-」後缺少條件',
+        missingAfterOr: 'OR 後缺少條件',
+        missingBeforeOr: 'OR 前缺少條件',
+        emptyGroup: '括號內沒有條件',
+        unclosedGroup: '括號未閉合',
+        unexpectedClose: '多餘的右括號',
+        unknownStatus: '未知的閱讀狀態「{value}」，可用：{options}',
+        tagNotFound: '找不到標籤「{value}」',
+        categoryNotFound: '找不到分類「{value}」',
+        unknownSource: '未知的書城「{value}」，可用：{options}'
+      }
+    },
+    savedViews: {
+      title: '已儲存檢視',
+      save: '儲存目前檢視',
+      empty: '尚未儲存任何檢視',
+      promptName: '檢視名稱',
+      confirmDelete: '確定要刪除檢視「{name}」？',
+      delete: '刪除檢視「{name}」',
+      saved: '已儲存檢視「{name}」',
+      deleted: '已刪除檢視「{name}」',
+      errors: {
+        invalidName: '檢視名稱不可為空白或過長',
+        duplicateName: '已有同名的檢視',
+        notFound: '找不到此檢視',
+        storage: '儲存檢視失敗'
+      }
+    },
+    bulk: {
+      applyStatus: '套用狀態',
+      tagLabel: '標籤',
+      addTag: '加入標籤',
+      removeTag: '移除標籤',
+      moveTag: '移至分類',
+      moveTagHint: '以此標籤取代書籍在同一分類下的其他標籤',
+      deleteBooks: '刪除書籍',
+      statusPlaceholder: '設定狀態…',
+      tagPlaceholder: '選擇標籤…',
+      selection: '已選取 {count} 本',
+      confirmDelete: '確定要刪除選取的 {count} 本書？可用「復原」還原。',
+      undo: '復原（{count} 本）',
+      undone: '已復原 {count} 本',
+      undoneSkipped: '已復原 {count} 本；{skipped} 本在批次編輯後又被修改，已略過',
+      done: {
+        setStatus: '已更新閱讀狀態（{count} 本）',
+        addTag: '已加入標籤（{count} 本）',
+        removeTag: '已移除標籤（{count} 本）',
+        moveTag: '已移至分類（{count} 本）',
+        delete: '已刪除（{count} 本）'
+      },
+      errors: {
+        invalidStatus: '無效的閱讀狀態',
+        tagNotFound: '找不到標籤',
+        nothingToUndo: '沒有可復原的批次編輯',
+        undoConflict: '這些書在批次編輯後又被修改，無法復原',
+        rollback: '批次編輯失敗，資料已還原'
+      }
+    },
+    timeline: {
+      show: '閱讀統計',
+      hide: '隱藏閱讀統計',
+      empty: '尚無足夠的進度紀錄',
+      finishedPerMonth: '每月讀完',
+      progressPerWeek: '每週閱讀進度',
+      readingDuration: '從開始閱讀到讀完',
+      weekLabel: '{date} 起',
+      finished: '{count} 本',
+      progressPages: '{pages} 頁（{percent}%）',
+      progressPercent: '{percent}%',
+      days: '{count} 天'
+    },
+    workLinks: {
+      panel: '重複書籍',
+      show: {
+        zero: '重複書籍',
+        other: '重複書籍（{count}）'
+      },
+      hide: '隱藏重複書籍',
+      candidatesTitle: '可能重複的書籍',
+      worksTitle: '已連結的作品',
+      noCandidates: '沒有待確認的重複書籍',
+      noWorks: '尚未連結任何作品',
+      link: '連結為同一作品',
+      dismiss: '不是同一本',
+      unlink: '取消連結',
+      linked: '已連結為同一作品',
+      dismissed: '已略過此配對',
+      unlinked: '已取消連結',
+      confirmUnlink: '確定取消此作品的版本連結？各版本將分開顯示。',
+      failed: '操作失敗，請稍後再試',
+      editionCount: '{count} 個版本'
+    },
+    scheduledRefresh: {
+      show: '排程更新',
+      hide: '隱藏排程更新',
+      settingsTitle: '排程設定',
+      enabled: '定期在背景重新提取書庫',
+      interval: '更新頻率：',
+      platforms: '排程更新的書城',
+      lastRunTitle: '上次更新',
+      intervals: {
+        6: '每 6 小時',
+        12: '每 12 小時',
+        24: '每天',
+        72: '每 3 天',
+        168: '每週'
+      },
+      never: '尚未執行排程更新',
+      lastRun: '上次更新：{time}',
+      summary: '新購 {added} 本、進度變動 {progressChanged} 本、移除 {removed} 本',
+      added: '新購',
+      progress: '進度',
+      removed: '移除',
+      progressChange: '{title}（{from}% → {to}%）',
+      failed: '更新失敗：{names}',
+      saved: '排程設定已儲存',
+      noPlatform: '請至少選擇一個書城',
+      saveFailed: '儲存失敗，請稍後再試',
+      notificationTitle: '書庫排程更新'
+    },
+    bookEditor: {
+      edit: '編輯標籤與狀態',
+      done: '完成',
+      openDetails: '書籍詳情',
+      close: '關閉',
+      status: '閱讀狀態',
+      statusUnset: '未設定',
+      manual: '手動',
+      manualHint: '手動設定，閱讀進度不會改變此狀態',
+      auto: '自動',
+      autoHint: '依閱讀進度自動更新',
+      tags: '標籤',
+      noTags: '尚無標籤',
+      removeTag: '移除標籤「{name}」',
+      tagInput: '加入標籤…',
+      tagInputLabel: '搜尋標籤或輸入新標籤名稱',
+      createTag: '建立標籤「{name}」',
+      newTagCategory: '新標籤的分類',
+      noCategory: '請先在標籤管理建立分類',
+      noMatch: '沒有符合的標籤',
+      annotations: '個人註記',
+      rating: '評分',
+      ratingUnset: '未評分',
+      ratingOption: '{count} 星',
+      startedAt: '開始日期',
+      finishedAt: '讀完日期',
+      notes: '筆記',
+      notesPlaceholder: '寫下這本書的心得…',
+      errors: {
+        bookNotFound: '找不到這本書，可能已被刪除',
+        tagNotFound: '找不到這個標籤，可能已被刪除',
+        categoryNotFound: '選擇的分類已不存在',
+        duplicateName: '此分類已有同名標籤',
+        invalidStatus: '無效的閱讀狀態',
+        quotaExceeded: '儲存空間已滿，請先釋出空間',
+        failed: '儲存失敗，請稍後再試',
+        invalidRating: '評分須為 1 到 5 星',
+        invalidDate: '日期格式無效',
+        invalidDateOrder: '讀完日期不能早於開始日期',
+        notesTooLong: '筆記超過長度上限',
+        invalidAnnotation: '無法儲存此註記'
+      }
+    },
+    tagManager: {
+      show: '標籤管理',
+      hide: '隱藏標籤管理',
+      search: '搜尋分類或標籤',
+      addRootCategory: '新增分類',
+      rootDrop: '將分類拖曳到此處移至最上層',
+      empty: '尚未建立任何分類',
+      noMatch: '沒有符合的分類或標籤',
+      expand: '展開分類',
+      collapse: '收合分類',
+      bookCount: '{count} 本',
+      color: '分類顏色',
+      addChild: '新增子分類',
+      addTag: '新增標籤',
+      rename: '重新命名',
+      delete: '刪除',
+      selectTag: '選取標籤',
+      promptCategory: '新分類名稱：',
+      promptTag: '新標籤名稱：',
+      confirmDeleteCategory: '刪除分類「{name}」？其下標籤將移至「未分類」。',
+      confirmDeleteSubtree: '刪除分類「{name}」與所有子分類？子分類內的標籤也會一併刪除並從書籍移除。',
+      confirmDeleteTag: '刪除標籤「{name}」？將從 {count} 本書移除。',
+      confirmMerge: '將 {count} 個標籤合併至「{name}」？原標籤會刪除，書籍改用「{name}」。',
+      confirmBatchDelete: '刪除選取的 {count} 個標籤？將從書籍移除。',
+      selection: '已選取 {count} 個標籤',
+      mergeTargetPlaceholder: '合併至…',
+      merge: '合併',
+      deleteSelected: '刪除選取標籤',
+      saved: '已儲存',
+      merged: '已合併 {count} 個標籤，更新 {books} 本書',
+      deleted: '已刪除 {count} 個標籤',
+      errors: {
+        duplicateName: '同一層已有相同名稱',
+        circularReference: '無法移入自己或自己的子分類',
+        maxDepth: '分類最多只能有 {max} 層',
+        invalidParent: '目標分類不存在',
+        hasChildren: '請先處理子分類後再刪除',
+        systemProtected: '系統分類與標籤無法刪除',
+        cascadePartial: '刪除未完成，已還原原本的分類',
+        notFound: '找不到此項目，可能已被刪除',
+        nameRequired: '請輸入名稱',
+        quotaExceeded: '儲存空間不足，請先清理資料',
+        failed: '操作失敗，請稍後再試'
+      }
+    },
+    taggingRules: {
+      show: '自動標籤規則',
+      hide: '隱藏自動標籤規則',
+      add: '新增規則',
+      previewAll: '預覽啟用中規則',
+      empty: '尚未建立規則。規則會依書名、作者、出版社等欄位自動為書加上標籤',
+      enabled: '啟用',
+      disabled: '（停用）',
+      edit: '編輯',
+      preview: '預覽',
+      delete: '刪除',
+      name: '規則名稱',
+      value: '比對文字',
+      addCondition: '新增條件',
+      removeCondition: '移除條件',
+      targetTags: '加上標籤',
+      save: '儲存規則',
+      cancel: '取消',
+      match: {
+        all: '符合全部條件',
+        any: '符合任一條件'
+      },
+      fields: {
+        title: '書名',
+        authors: '作者',
+        publisher: '出版社',
+        source: '書城',
+        type: '類型'
+      },
+      operators: {
+        contains: '包含',
+        equals: '等於',
+        startsWith: '開頭為',
+        regex: '符合正規表示式'
+      },
+      conditionSummary: '{field}{operator}「{value}」',
+      join: {
+        all: ' 且 ',
+        any: ' 或 '
+      },
+      summary: '{conditions} → {tags}',
+      confirmDelete: '刪除規則「{name}」？已加上的標籤會保留在書上。',
+      previewRule: '{name}：{count} 本書會加上標籤',
+      previewMore: '另有 {count} 本',
+      previewEmpty: '目前沒有書會因這些規則而變動',
+      apply: '套用至 {count} 本書',
+      saved: '已儲存規則',
+      deleted: '已刪除規則',
+      applied: '已為 {count} 本書加上標籤，可用「復原」還原',
+      errors: {
+        invalidName: '請輸入 {max} 字以內的規則名稱',
+        duplicateName: '已有同名規則',
+        invalidCondition: '每個條件都需要比對文字，最多 {max} 個條件',
+        invalidPattern: '正規表示式語法錯誤',
+        noTargetTags: '請至少選擇一個要加上的標籤',
+        tagNotFound: '選擇的標籤已不存在，請重新選擇',
+        notFound: '找不到此規則，可能已被刪除',
+        failed: '操作失敗，請重試'
+      }
+    },
+    classificationReview: {
+      show: '分類建議',
+      hide: '隱藏分類建議',
+      empty: '沒有待審核的建議。尚未歸入中文圖書分類法的書會依書名、出版社、類型與既有標籤提出建議',
+      selectAll: '全選',
+      selected: '已選 {count} 本',
+      acceptSelected: '接受選取的建議',
+      dismissSelected: '拒絕選取的建議',
+      category: '分類',
+      accept: '接受',
+      dismiss: '拒絕',
+      confidence: '信心 {percent}%',
+      reasons: '依據：{reasons}',
+      more: '另有 {count} 本，處理完目前的建議後列出',
+      accepted: '已為 {count} 本書加上分類，可用「復原」還原',
+      acceptedWithTags: '已為 {count} 本書加上分類（新建 {created} 個分類標籤），可用「復原」還原',
+      dismissed: '已拒絕 {count} 本書的建議，之後不再列出',
+      errors: {
+        categoryNotFound: '選擇的分類已不存在，請重新選擇',
+        quotaExceeded: '儲存空間不足，無法建立分類標籤',
+        failed: '操作失敗，請重試'
+      }
+    },
+    metadataEnrichment: {
+      title: '補齊書目資料',
+      enabled: '從書籍詳情頁補齊作者、出版社、ISBN 等資料',
+      hint: '在背景逐本讀取書城的書籍頁面，只填入空白欄位，不會覆寫手動編輯的資料。',
+      idle: '尚未補齊書目資料',
+      running: '補齊中：{done} / {total} 本',
+      paused: '已暫停，剩餘 {remaining} 本，稍後自動繼續',
+      completed: '{time} 完成：補齊 {enriched} 本、失敗 {failed} 本',
+      saveFailed: '儲存失敗，請稍後再試'
+    },
+    importFlow: {
+      modeTitle: '選擇匯入模式',
+      modeDescription: '覆蓋模式會清空現有書庫後完全載入匯入資料；合併模式保留現有書庫，將匯入資料與既有書籍合併。',
+      overwrite: '覆蓋（清空現有書庫）',
+      merge: '合併（保留現有書庫）',
+      emptyFileTitle: '確認清空書庫？',
+      emptyFileProceed: '確認清空',
+      emptyFileConfirm: '此檔案不包含任何書目資料。繼續將清空目前書庫中的 {count} 本書，且無法復原。',
+      emptyFileConfirmEmptyLibrary: '此檔案不包含任何書目資料。目前書庫為空，無資料可清空。仍要繼續嗎？',
+      previewFailed: '讀取書庫失敗，匯入未完成',
+      initFailed: '匯入功能初始化失敗',
+      saving: '正在儲存匯入資料...',
+      quotaExceeded: '儲存空間不足，匯入未完成',
+      saveFailed: '儲存失敗，已還原原有資料'
+    },
+    importFile: {
+      noFile: '請先選擇一個 JSON 或 CSV 檔案！',
+      invalidFormat: '請選擇 JSON 或 CSV 格式的檔案！',
+      tooLarge: '檔案過大，請選擇小於 {size}MB 的檔案！',
+      readFailed: '讀取檔案時發生錯誤',
+      loadFailed: '載入檔案失敗：{message}',
+      emptyContent: '檔案內容為空',
+      invalidJson: 'JSON 檔案格式不正確',
+      invalidJsonShape: 'JSON 檔案應該包含一個陣列或包含books屬性的物件',
+      csvEmpty: '無效的 CSV 格式：內容為空',
+      csvMissingColumns: '無效的 CSV 格式：缺少必要欄位（id 或 書名）'
+    },
+    importPreview: {
+      title: '確認合併內容',
+      apply: '套用勾選項目',
+      status: {
+        added: '新增',
+        updated: '更新',
+        unchanged: '無變動'
+      },
+      resolution: {
+        incoming: '採用匯入',
+        local: '保留本機'
+      },
+      empty: '匯入資料與目前書庫相同，沒有需要套用的變更',
+      emptyValue: '（空）',
+      summary: {
+        added: '新增 {count} 本',
+        updated: '更新 {count} 本',
+        conflicts: '衝突 {count} 本',
+        created: '新建標籤 {tags} 個、分類 {categories} 個',
+        remapped: '對應既有標籤 {tags} 個、分類 {categories} 個',
+        separator: '，'
+      },
+      change: '{field}：{from} → {to}',
+      addedTags: '新增標籤 {count} 個',
+      conflictFields: '衝突欄位：{fields}',
+      bookTitle: '［{status}］{title}',
+      remap: {
+        created: '新建',
+        existing: '對應既有',
+        renamed: '{kind}「{from}」→ {action}「{to}」',
+        same: '{kind}「{name}」→ {action}',
+        category: '分類',
+        tag: '標籤'
+      }
+    }
+  },
+
+  popup: {
+    header: {
+      title: 'Book Overview',
+      subtitle: '專業書目管理工具'
+    },
+    status: {
+      checking: '正在檢查狀態...',
+      initializing: '請稍候，正在初始化擴充功能',
+      contentScriptLoading: '正在連線書庫頁面',
+      contentScriptReloadHint: '請稍候或重新整理頁面',
+      nonReadmooPage: '請前往 Readmoo 網站',
+      nonReadmooHint: '需要在 Readmoo 書庫頁面使用此功能',
+      currentAria: '目前狀態'
+    },
+    statusBadge: {
+      ready: '就緒',
+      loading: '載入中',
+      disconnected: '未連線',
+      initializing: '初始化中',
+      idle: '待機',
+      extracting: '提取中',
+      complete: '完成',
+      cancelled: '提取已取消',
+      cancelFailed: '取消失敗',
+      failed: '失敗',
+      error: '錯誤',
+      invalid: '無效',
+      testMode: '測試模式'
+    },
+    statusMessage: {
+      cancelled: '使用者手動中止',
+      cancelledHint: '您可以重新開始提取',
+      readyToExtract: '準備開始提取',
+      readyToExtractHint: '請前往 Readmoo 書庫頁面',
+      cancelFailed: '發生錯誤',
+      refreshAndRetry: '請重新整理頁面後重試',
+      refreshAndTryAgain: '請重新整理頁面後再試',
+      testEnvironment: '測試環境',
+      testEnvironmentHint: '背景服務模擬檢查完成',
+      extensionReady: '擴充功能已就緒',
+      extensionReadyHint: '系統就緒',
+      starting: '擴充功能正在啟動',
+      startingHint: '系統初始化中，請稍候',
+      disconnected: '擴充功能未連線',
+      disconnectedHint: '重試已用盡，請重新載入擴充功能',
+      noTab: '無法取得標籤頁資訊',
+      connected: '已連線到書庫頁面',
+      connectedHint: '可以開始提取書庫資料',
+      tabCheckFailed: '無法檢查頁面狀態',
+      extractionSucceeded: '提取成功',
+      extractedBooks: '提取成功 {count} 本書籍',
+      extractionStarted: '資料提取完成',
+      extractionFailed: '提取失敗',
+      initFailed: '初始化失敗',
+      interfaceError: '界面發生錯誤'
+    },
+    background: {
+      unreachable: '背景服務無法連線',
+      timeout: '背景服務未回應',
+      contextInvalidated: '擴展上下文已失效',
+      notStarted: '背景服務未啟動',
+      communicationError: '通訊發生錯誤'
+    },
+    action: {
+      extract: '開始提取書庫資料',
+      startExtraction: '[START] 開始提取書庫資料',
+      settings: '擴充功能設定',
+      help: '使用說明',
+      viewLibrary: '檢視書庫',
+      viewLibraryAria: '開啟書庫總覽頁面檢視所有書籍',
+      import: '匯入書庫',
+      importAria: '從 JSON 檔案匯入書庫資料',
+      diagnostic: '診斷模式'
+    },
+    extraction: {
+      inProgress: '正在提取書庫資料',
+      hint: '請保持頁面開啟，不要關閉瀏覽器',
+      progressHeader: '提取進度',
+      progressPlaceholder: '準備開始提取...'
+    },
+    results: {
+      header: '提取結果',
+      extractedLabel: '已提取書籍:',
+      extractedUnit: '本',
+      timeLabel: '提取時間:',
+      successRateLabel: '成功率:',
+      export: '匯出資料',
+      viewResults: '查看結果',
+      viewResultsAria: '查看詳細的提取結果'
+    },
+    error: {
+      header: '錯誤訊息',
+      defaultMessage: '發生未知錯誤',
+      retry: '重試',
+      reloadExtension: '重新載入擴充功能',
+      reloadExtensionShort: '重新載入擴展',
+      suggestionsLabel: '建議解決步驟：',
+      initHeader: '系統初始化失敗',
+      initDefaultMessage: '擴充功能初始化過程中發生錯誤',
+      forceReload: '強制重新載入擴充功能',
+      openExtensionPage: '開啟擴充功能管理頁面'
+    },
+    errorHandler: {
+      fallbackMessage: '發生未預期的錯誤，請重新載入擴展',
+      titles: {
+        generic: '錯誤',
+        system: '系統錯誤',
+        initialization: '初始化錯誤',
+        network: '網路連線錯誤',
+        chromeApi: 'Chrome 擴展錯誤',
+        systemInitialization: '系統初始化錯誤',
+        extraction: '資料提取錯誤'
+      },
+      actions: {
+        reloadExtension: '重新載入擴展',
+        refreshPage: '重新整理頁面',
+        viewDiagnostics: '查看診斷',
+        retryRequest: '重試請求',
+        checkNetwork: '檢查網路連線',
+        useCache: '使用快取資料',
+        checkPermissions: '檢查權限設定',
+        clearCache: '清除快取',
+        checkVersion: '檢查擴展版本',
+        contactSupport: '聯絡技術支援'
+      }
+    },
+    pageInfo: {
+      currentPageLabel: '當前頁面:',
+      currentPagePlaceholder: '檢測中...',
+      detectedBooksLabel: '檢測到書籍:',
+      extensionStatusLabel: '擴充功能狀態:',
+      nonBookstorePage: '非書庫頁面'
+    },
+    version: {
+      loading: '載入中...',
+      development: 'v{version} 開發版本',
+      unknown: 'v?.?.? 未知版本'
+    },
+    dialog: {
+      settingsPlaceholder: '設定功能將在後續版本實現',
+      helpText: '使用說明：\n\n1. 前往 Readmoo 書庫頁面\n2. 點擊「開始提取書庫資料」\n3. 等待提取完成\n\n詳細說明將在後續版本提供',
+      noDataToExport: '尚無資料可匯出，請先執行書庫提取',
+      exported: '書庫資料已匯出為 JSON 格式',
+      openLibraryFailed: '無法開啟書庫頁面，請稍後再試',
+      reportPlaceholder: '問題回報功能將在後續版本實現'
+    },
+    navigation: {
+      sectionTitle: '前往書庫',
+      goButtonAriaPrefix: '前往 '
+    },
+    diagnostic: {
+      header: '詳細診斷:',
+      timeoutStopped: 'Background Service Worker 可能已停止運行',
+      timeoutReload: '建議重新載入擴展以重新啟動 Service Worker',
+      contextInvalidated: '擴展上下文已失效',
+      contextReload: '請重新載入擴展頁面',
+      notLoaded: 'Background Script 未載入或已停止',
+      checkInstalled: '檢查擴展是否正確安裝和啟用',
+      unknownError: '未知的通訊錯誤',
+      retryReload: '請嘗試重新載入擴展',
+      actionHint: '操作建議: 點擊瀏覽器右上角擴展圖示，選擇「重新載入」',
+      errorDetails: '錯誤詳情: {message}'
+    },
+    healthCheck: {
+      button: '系統健康檢查',
+      checking: '[WAIT] 檢查中...',
+      failed: '健康檢查失敗: {message}',
+      resultsHeader: '系統健康檢查結果：',
+      passed: '[OK] 通過: {count} 項',
+      warnings: '[WARN] 警告: {count} 項',
+      failedChecks: '[FAIL] 失敗: {count} 項',
+      mainIssues: '主要問題：',
+      recommendations: '建議解決方案：'
+    },
+    initReport: {
+      trackerMissing: '初始化追蹤器未載入',
+      title: '[CHECK] Popup 初始化詳細報告',
+      summaryHeader: '[STATS] 總體統計：',
+      totalSteps: '總步驟數: {count}',
+      completedSteps: '完成步驟: {count}',
+      failedSteps: '失敗步驟: {count}',
+      runningSteps: '執行中步驟: {count}',
+      totalDuration: '總耗時: {duration}ms',
+      stepsHeader: '[TIME] 詳細步驟執行記錄：',
+      stepDescription: '描述: {description}',
+      stepDuration: '耗時: {duration}ms',
+      stepError: '錯誤: {error}',
+      troubleshootingHeader: '故障排除建議：',
+      reloadExtension: '重新載入擴展 (chrome://extensions/)',
+      reopenPopup: '重新整理頁面並重新開啟 Popup',
+      restartBrowser: '重啟 Chrome 瀏覽器',
+      runHealthCheck: '執行系統健康檢查以獲得更多診斷資訊'
+    },
+    import: {
+      buttonLabel: '匯入書庫',
+      resultTitle: '匯入結果',
+      errorTitle: '匯入失敗',
+      close: '關閉',
+      fallbackError: '匯入失敗',
+      fileReadError: '檔案讀取失敗',
+      storageError: '儲存失敗，請重試',
+      staleConfirm: '匯入檔案（{exportedAt}）較本機上次匯入（{lastImportedAt}）舊，確定要覆蓋？',
+      passphrasePrompt: '此檔案已加密，請輸入同步密碼：',
+      passphraseRetry: '同步密碼錯誤或檔案已損毀，請重新輸入：',
+      summaryAdded: '新增:',
+      summaryUpdated: '更新:',
+      summaryUnchanged: '未變更:',
+      summaryRemoved: '移除:',
+      summaryAutoTagged: '自動加標籤:',
+      summaryUnit: '本'
+    },
+    sync: {
+      preparing: '正在準備同步資料...',
+      emptyLibrary: '書庫中沒有書籍，請先提取書庫資料',
+      noChanges: '自上次同步後沒有變更',
+      singleFrame: '單張 QR，請以 App 掃描',
+      frames: '共 {count} 幀，請以 App 掃描',
+      encrypted: '{frames}（已加密）',
+      delta: '增量同步 {count} 筆變更，{frames}',
+      completed: '播放完成，若 App 未收齊可重新播放',
+      loadFailed: '讀取書庫失敗',
+      pairingCode: '配對碼：{code}'
+    }
+  }
+}
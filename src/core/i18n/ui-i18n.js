@@ -0,0 +1,305 @@
+'use strict'
+
+/**
+ * UI 多語系層 - Popup 與 Overview 共用
+ *
+ * 負責功能：
+ * - 依目前語系查詢 locales/ 的文字（點分隔鍵、{param} 參數、複數形式）
+ * - 數字 / 日期依語系格式化（Intl）
+ * - 讀寫使用者的語系偏好（chrome.storage.local 的 preferredLanguage，與背景 I18nManager 同鍵）
+ * - 將 HTML 靜態文字（data-i18n / data-i18n-attr）替換為目前語系
+ * - defineLocalizedText：讓既有的 *_DISPLAY 常數改為依語系即時取值，使用點不變
+ *
+ * 設計考量：
+ * - 語系於頁面啟動時載入一次；切換語言後重新載入頁面，不做逐元素的即時重繪
+ * - 缺少的鍵依序退回預設語系（zh-tw），仍缺則回傳 [key]，缺鍵由 locale 完整性測試把關
+ * - 日誌與診斷模式的報告文字不經此層（開發者用途，維持中文）
+ */
+
+const zhTW = require('./locales/zh-tw')
+const enUS = require('./locales/en-us')
+const jaJP = require('./locales/ja-jp')
+
+const LOCALES = Object.freeze({
+  'zh-tw': zhTW,
+  'en-us': enUS,
+  'ja-jp': jaJP
+})
+
+const SUPPORTED_LOCALES = Object.freeze(Object.keys(LOCALES))
+const DEFAULT_LOCALE = 'zh-tw'
+const LOCALE_PREFERENCE_KEY = 'preferredLanguage'
+
+/**
+ * 語系代碼 → Intl 語言標籤 / 語言選單顯示名稱（以各自語言顯示）
+ */
+const INTL_TAGS = Object.freeze({ 'zh-tw': 'zh-TW', 'en-us': 'en-US', 'ja-jp': 'ja-JP' })
+const LOCALE_NAMES = Object.freeze({ 'zh-tw': '繁體中文', 'en-us': 'English', 'ja-jp': '日本語' })
+
+const PLURAL_FORMS = Object.freeze(['zero', 'one', 'two', 'few', 'many', 'other'])
+const PARAM_PATTERN = /\{(\w+)\}/g
+
+let currentLocale = DEFAULT_LOCALE
+
+/**
+ * 正規化語系代碼：zh / zh-TW → zh-tw、en → en-us、ja → ja-jp，不支援者回傳預設語系
+ * @param {string} code
+ * @returns {string}
+ */
+function normalizeLocale (code) {
+  if (typeof code !== 'string' || !code) return DEFAULT_LOCALE
+  const lower = code.toLowerCase().replace('_', '-')
+  if (LOCALES[lower]) return lower
+  const language = lower.split('-')[0]
+  return SUPPORTED_LOCALES.find(locale => locale.startsWith(`${language}-`)) || DEFAULT_LOCALE
+}
+
+/**
+ * 複數條目：只含複數形式鍵（須有 other）且值皆為字串的物件
+ * @param {*} value
+ * @returns {boolean}
+ */
+function isPluralEntry (value) {
+  if (!value || typeof value !== 'object' || typeof value.other !== 'string') return false
+  return Object.entries(value).every(([form, text]) => PLURAL_FORMS.includes(form) && typeof text === 'string')
+}
+
+function lookup (locale, key) {
+  let node = LOCALES[locale]
+  for (const part of key.split('.')) {
+    if (!node || typeof node !== 'object' || !(part in node)) return undefined
+    node = node[part]
+  }
+  return typeof node === 'string' || isPluralEntry(node) ? node : undefined
+}
+
+function selectPluralForm (entry, count, locale) {
+  if (typeof count !== 'number') return entry.other
+  if (count === 0 && entry.zero !== undefined) return entry.zero
+  const form = new Intl.PluralRules(INTL_TAGS[locale]).select(count)
+  return entry[form] !== undefined ? entry[form] : entry.other
+}
+
+/**
+ * 是否有此鍵的翻譯（目前語系或預設語系）
+ * @param {string} key
+ * @returns {boolean}
+ */
+function hasTranslation (key) {
+  return lookup(currentLocale, key) !== undefined || lookup(DEFAULT_LOCALE, key) !== undefined
+}
+
+/**
+ * 有翻譯時回傳翻譯，否則回傳 fallback（書城名稱等資料自帶顯示名稱的項目使用）
+ * @param {string} key
+ * @param {string} fallback
+ * @returns {string}
+ */
+function translateOr (key, fallback) {
+  return hasTranslation(key) ? t(key) : fallback
+}
+
+/**
+ * 依目前語系取得文字
+ *
+ * 條目為複數物件（{ zero?, one?, other }）時依 params.count 選擇形式；
+ * 數字參數以 Intl.NumberFormat 格式化（年份等不應分位的數字請先轉為字串）。
+ *
+ * @param {string} key - 點分隔鍵，如 'overview.bulk.selection'
+ * @param {Object} [params] - {param} 替換值
+ * @returns {string}
+ */
+function t (key, params = {}) {
+  let locale = currentLocale
+  let entry = lookup(locale, key)
+  if (entry === undefined && locale !== DEFAULT_LOCALE) {
+    locale = DEFAULT_LOCALE
+    entry = lookup(locale, key)
+  }
+  if (entry === undefined) return `[${key}]`
+
+  const template = typeof entry === 'string' ? entry : selectPluralForm(entry, params.count, locale)
+  return template.replace(PARAM_PATTERN, (match, name) => {
+    if (!(name in params)) return match
+    const value = params[name]
+    return typeof value === 'number' ? formatNumber(value) : String(value)
+  })
+}
+
+/**
+ * @param {number} value
+ * @param {Object} [options] - Intl.NumberFormat 選項
+ * @returns {string}
+ */
+function formatNumber (value, options) {
+  return new Intl.NumberFormat(INTL_TAGS[currentLocale], options).format(value)
+}
+
+/**
+ * @param {Date|number|string} value - Date、時間戳或 ISO 字串
+ * @param {Object} [options] - Intl.DateTimeFormat 選項，預設為日期加時間
+ * @returns {string}
+ */
+function formatDate (value, options = { dateStyle: 'medium', timeStyle: 'short' }) {
+  const date = value instanceof Date ? value : new Date(value)
+  return new Intl.DateTimeFormat(INTL_TAGS[currentLocale], options).format(date)
+}
+
+/**
+ * 以語系的列舉分隔符號串接（、/ , ）
+ * @param {Array<string>} items
+ * @returns {string}
+ */
+function formatList (items) {
+  return items.join(t('common.listSeparator'))
+}
+
+/**
+ * @returns {string} 目前語系代碼
+ */
+function getLocale () {
+  return currentLocale
+}
+
+/**
+ * @returns {string} 目前語系的 Intl 語言標籤（html lang 屬性使用）
+ */
+function getIntlTag () {
+  return INTL_TAGS[currentLocale]
+}
+
+/**
+ * 設定目前語系
+ * @param {string} code
+ * @returns {string} 正規化後的語系代碼
+ */
+function setLocale (code) {
+  currentLocale = normalizeLocale(code)
+  return currentLocale
+}
+
+/**
+ * 由儲存的偏好載入語系；未設定、無法讀取或不支援時使用預設語系
+ *
+ * @param {Object} [storage] - chrome.storage.local（Promise 形式的 get）
+ * @returns {Promise<string>} 套用的語系代碼
+ */
+async function loadLocalePreference (storage) {
+  let stored
+  try {
+    const result = storage && typeof storage.get === 'function'
+      ? await storage.get([LOCALE_PREFERENCE_KEY])
+      : null
+    stored = result && result[LOCALE_PREFERENCE_KEY]
+  } catch (error) {
+    stored = null
+  }
+  return setLocale(stored && LOCALES[stored] ? stored : DEFAULT_LOCALE)
+}
+
+/**
+ * 儲存語系偏好並套用
+ * @param {Object} storage - chrome.storage.local（Promise 形式的 set）
+ * @param {string} code
+ * @returns {Promise<string>} 儲存的語系代碼
+ */
+async function saveLocalePreference (storage, code) {
+  const locale = normalizeLocale(code)
+  await storage.set({ [LOCALE_PREFERENCE_KEY]: locale })
+  return setLocale(locale)
+}
+
+/**
+ * 將 root 內的靜態文字替換為目前語系
+ *
+ * - data-i18n="key"：替換 textContent
+ * - data-i18n-attr="placeholder:key,aria-label:key"：替換屬性
+ *
+ * @param {Document|Element} root
+ */
+function translateDocument (root) {
+  root.querySelectorAll('[data-i18n]').forEach(element => {
+    element.textContent = t(element.getAttribute('data-i18n'))
+  })
+  root.querySelectorAll('[data-i18n-attr]').forEach(element => {
+    element.getAttribute('data-i18n-attr').split(',').forEach(pair => {
+      const [attribute, key] = pair.split(':').map(part => part.trim())
+      if (attribute && key) element.setAttribute(attribute, t(key))
+    })
+  })
+  const documentElement = root.documentElement
+  if (documentElement) {
+    documentElement.setAttribute('lang', getIntlTag())
+  }
+}
+
+/**
+ * 語言選單：列出支援語系並選取目前語系，變更時儲存偏好
+ *
+ * @param {HTMLSelectElement} select
+ * @param {Object} options
+ * @param {Object} options.storage - chrome.storage.local
+ * @param {Function} [options.onChange] - (locale) => void，儲存後呼叫（通常重新載入頁面）
+ */
+function bindLanguageSelect (select, { storage, onChange } = {}) {
+  const doc = select.ownerDocument
+  select.replaceChildren(...SUPPORTED_LOCALES.map(locale => {
+    const option = doc.createElement('option')
+    option.value = locale
+    option.textContent = LOCALE_NAMES[locale]
+    return option
+  }))
+  select.value = currentLocale
+  select.addEventListener('change', async () => {
+    const locale = await saveLocalePreference(storage, select.value)
+    if (typeof onChange === 'function') onChange(locale)
+  })
+}
+
+/**
+ * 建立依語系即時取值的文字常數
+ *
+ * 字串值為翻譯鍵（讀取時以 t 取值）、函式值原樣保留、物件值遞迴處理；
+ * statics 為非文字常數（尺寸、CSS class 等）直接併入。回傳凍結物件。
+ *
+ * @param {Object} entries - 常數名 → 翻譯鍵 / 函式 / 巢狀物件
+ * @param {Object} [statics] - 常數名 → 固定值
+ * @returns {Object}
+ */
+function defineLocalizedText (entries, statics = {}) {
+  const target = { ...statics }
+  for (const [name, value] of Object.entries(entries)) {
+    if (typeof value === 'string') {
+      Object.defineProperty(target, name, { enumerable: true, get: () => t(value) })
+    } else if (value && typeof value === 'object') {
+      target[name] = defineLocalizedText(value)
+    } else {
+      target[name] = value
+    }
+  }
+  return Object.freeze(target)
+}
+
+module.exports = {
+  SUPPORTED_LOCALES,
+  DEFAULT_LOCALE,
+  LOCALE_PREFERENCE_KEY,
+  LOCALE_NAMES,
+  LOCALES,
+  isPluralEntry,
+  normalizeLocale,
+  hasTranslation,
+  t,
+  translateOr,
+  formatNumber,
+  formatDate,
+  formatList,
+  getLocale,
+  getIntlTag,
+  setLocale,
+  loadLocalePreference,
+  saveLocalePreference,
+  translateDocument,
+  bindLanguageSelect,
+  defineLocalizedText
+}
@@ -0,0 +1,254 @@
+/**
+ * 個人註記（Personal Annotations）：評分、筆記、開始 / 讀完日期
+ *
+ * Schema 4.0.0 新增的使用者擁有欄位，只由使用者在總覽頁編輯或經匯入寫入：
+ * - rating：1–5 整數星等，未評分的書不帶此欄位
+ * - notes：自由文字筆記（上限 NOTES_MAX_LENGTH 字）
+ * - startedAt / finishedAt：yyyy-mm-dd；編輯日期時 finishedAt 不得早於 startedAt
+ *
+ * 清除欄位即移除該屬性（不留 null / 空字串），匯出時未註記的書不帶這些欄位。
+ * 書城提取結果不提供註記：重新提取（手動或排程）以 carryOverAnnotations 保留書庫既有值。
+ */
+
+const ANNOTATION_FIELDS = Object.freeze(['rating', 'notes', 'startedAt', 'finishedAt'])
+
+const ANNOTATION_DATE_FIELDS = Object.freeze(['startedAt', 'finishedAt'])
+
+const RATING_MIN = 1
+const RATING_MAX = 5
+
+const NOTES_MAX_LENGTH = 5000
+
+/** 驗證失敗錯誤碼（adapter 原樣回傳給 UI） */
+const ANNOTATION_ERRORS = Object.freeze({
+  INVALID_FIELD: 'invalid_annotation_field',
+  INVALID_RATING: 'invalid_rating',
+  INVALID_DATE: 'invalid_date',
+  DATE_ORDER: 'invalid_date_order',
+  NOTES_TOO_LONG: 'notes_too_long'
+})
+
+function isEmptyValue (value) {
+  return value === undefined || value === null || (typeof value === 'string' && value.trim() === '')
+}
+
+/**
+ * 整理評分：1–5 的整數（含數字字串）；半星等非整數視為無效，不臆測進位方向
+ *
+ * @param {*} value
+ * @returns {number|null|undefined} null 表示清除，undefined 表示無效
+ */
+function normalizeRating (value) {
+  if (isEmptyValue(value)) return null
+  const rating = typeof value === 'string' ? Number(value.trim()) : value
+  if (!Number.isInteger(rating) || rating < RATING_MIN || rating > RATING_MAX) return undefined
+  return rating
+}
+
+/**
+ * 整理日期：接受 yyyy-mm-dd 與以其開頭的 ISO 字串，回傳 yyyy-mm-dd
+ *
+ * @param {*} value
+ * @returns {string|null|undefined} null 表示清除，undefined 表示無效
+ */
+function normalizeAnnotationDate (value) {
+  if (isEmptyValue(value)) return null
+  if (typeof value !== 'string') return undefined
+  const match = value.trim().match(/^(\d{4})-(\d{2})-(\d{2})(?:$|T)/)
+  if (!match) return undefined
+  const [, year, month, day] = match.map(Number)
+  const date = new Date(Date.UTC(year, month - 1, day))
+  if (date.getUTCMonth() !== month - 1 || date.getUTCDate() !== day) return undefined
+  return match.slice(1, 4).join('-')
+}
+
+/**
+ * 整理筆記：去除前後空白，保留內文換行
+ *
+ * @param {*} value
+ * @returns {string|null|undefined} null 表示清除，undefined 表示無效
+ */
+function normalizeNotes (value) {
+  if (isEmptyValue(value)) return null
+  if (typeof value !== 'string') return undefined
+  return value.trim()
+}
+
+/**
+ * 取得書籍目前的註記（僅含有值的欄位）
+ *
+ * @param {Object} book
+ * @returns {Object}
+ */
+function pickAnnotations (book) {
+  const annotations = {}
+  if (!book || typeof book !== 'object') return annotations
+  ANNOTATION_FIELDS.forEach(field => {
+    if (book[field] !== undefined) annotations[field] = book[field]
+  })
+  return annotations
+}
+
+/**
+ * @param {Object} book
+ * @returns {boolean}
+ */
+function hasAnnotations (book) {
+  return Object.keys(pickAnnotations(book)).length > 0
+}
+
+/**
+ * 回傳移除所有註記欄位的書籍副本
+ *
+ * @param {Object} book
+ * @returns {Object}
+ */
+function stripAnnotations (book) {
+  const stripped = { ...book }
+  ANNOTATION_FIELDS.forEach(field => { delete stripped[field] })
+  return stripped
+}
+
+/**
+ * 寬鬆整理外部來源的註記（匯入、遷移）：無效欄位丟棄，過長筆記截斷
+ *
+ * @param {Object} source - 含註記欄位的物件
+ * @returns {Object} 僅含有效值的註記
+ */
+function sanitizeAnnotations (source) {
+  const annotations = {}
+  if (!source || typeof source !== 'object') return annotations
+
+  const rating = normalizeRating(source.rating)
+  if (rating) annotations.rating = rating
+  const notes = normalizeNotes(source.notes)
+  if (notes) annotations.notes = notes.slice(0, NOTES_MAX_LENGTH)
+  ANNOTATION_DATE_FIELDS.forEach(field => {
+    const date = normalizeAnnotationDate(source[field])
+    if (date) annotations[field] = date
+  })
+  return annotations
+}
+
+/**
+ * 嚴格驗證使用者編輯的註記變更
+ *
+ * @param {Object} changes - 欄位 → 新值；空值（null、空字串）表示清除
+ * @returns {{ valid: true, changes: Object } | { valid: false, error: string }}
+ *   changes 的值已整理，清除的欄位為 null
+ */
+function validateAnnotationChanges (changes) {
+  if (!changes || typeof changes !== 'object' || Array.isArray(changes)) {
+    return { valid: false, error: ANNOTATION_ERRORS.INVALID_FIELD }
+  }
+
+  const normalized = {}
+  for (const [field, value] of Object.entries(changes)) {
+    let next
+    if (field === 'rating') {
+      next = normalizeRating(value)
+      if (next === undefined) return { valid: false, error: ANNOTATION_ERRORS.INVALID_RATING }
+    } else if (field === 'notes') {
+      next = normalizeNotes(value)
+      if (next === undefined) return { valid: false, error: ANNOTATION_ERRORS.INVALID_FIELD }
+      if (next !== null && next.length > NOTES_MAX_LENGTH) {
+        return { valid: false, error: ANNOTATION_ERRORS.NOTES_TOO_LONG }
+      }
+    } else if (ANNOTATION_DATE_FIELDS.includes(field)) {
+      next = normalizeAnnotationDate(value)
+      if (next === undefined) return { valid: false, error: ANNOTATION_ERRORS.INVALID_DATE }
+    } else {
+      return { valid: false, error: ANNOTATION_ERRORS.INVALID_FIELD }
+    }
+    normalized[field] = next
+  }
+  return { valid: true, changes: normalized }
+}
+
+/**
+ * 將已驗證的變更套用至書籍（就地修改）
+ *
+ * 本次變更含日期時檢查先後順序；只改其他欄位時不因既有日期阻擋。
+ *
+ * @param {Object} book
+ * @param {Object} changes - validateAnnotationChanges 回傳的 changes
+ * @returns {{ changed: boolean } | { error: string }}
+ */
+function applyAnnotationChanges (book, changes) {
+  const next = { ...pickAnnotations(book) }
+  Object.entries(changes).forEach(([field, value]) => {
+    if (value === null) delete next[field]
+    else next[field] = value
+  })
+
+  const touchesDates = ANNOTATION_DATE_FIELDS.some(field => field in changes)
+  if (touchesDates && next.startedAt && next.finishedAt && next.finishedAt < next.startedAt) {
+    return { error: ANNOTATION_ERRORS.DATE_ORDER }
+  }
+
+  let changed = false
+  ANNOTATION_FIELDS.forEach(field => {
+    if (book[field] === next[field]) return
+    changed = true
+    if (next[field] === undefined) delete book[field]
+    else book[field] = next[field]
+  })
+  return { changed }
+}
+
+/**
+ * 以書庫既有註記覆蓋新提取的書籍（書城不提供註記，提取結果中的同名欄位一律捨棄）
+ *
+ * @param {Array<Object>} previousBooks - 目前書庫
+ * @param {Array<Object>} nextBooks - 提取結果
+ * @returns {Array<Object>} 新陣列；未變動的書保持原物件
+ */
+function carryOverAnnotations (previousBooks, nextBooks) {
+  const previousById = new Map()
+  ;(Array.isArray(previousBooks) ? previousBooks : []).forEach(book => {
+    if (book && book.id && hasAnnotations(book)) previousById.set(book.id, book)
+  })
+  return nextBooks.map(book => {
+    if (!book || typeof book !== 'object') return book
+    const previous = previousById.get(book.id)
+    if (!previous && !hasAnnotations(book)) return book
+    return { ...stripAnnotations(book), ...pickAnnotations(previous) }
+  })
+}
+
+/**
+ * 平均評分（只計入已評分的書）
+ *
+ * @param {Array<Object>} books
+ * @returns {{ ratedCount: number, averageRating: number|null }} 四捨五入至小數一位，無評分時為 null
+ */
+function summarizeRatings (books) {
+  const ratings = books
+    .map(book => book && normalizeRating(book.rating))
+    .filter(rating => typeof rating === 'number')
+  return {
+    ratedCount: ratings.length,
+    averageRating: ratings.length === 0
+      ? null
+      : Math.round(ratings.reduce((sum, rating) => sum + rating, 0) / ratings.length * 10) / 10
+  }
+}
+
+module.exports = {
+  ANNOTATION_FIELDS,
+  ANNOTATION_DATE_FIELDS,
+  ANNOTATION_ERRORS,
+  RATING_MIN,
+  RATING_MAX,
+  NOTES_MAX_LENGTH,
+  normalizeRating,
+  normalizeAnnotationDate,
+  pickAnnotations,
+  hasAnnotations,
+  stripAnnotations,
+  sanitizeAnnotations,
+  validateAnnotationChanges,
+  applyAnnotationChanges,
+  carryOverAnnotations,
+  summarizeRatings
+}
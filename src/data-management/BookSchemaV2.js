@@ -4,9 +4,10 @@
  * PROP-007 tag-based model 核心模組。
  * 負責 Book 欄位驗證、ReadingStatus 列舉與自動狀態轉換。
  *
- * Schema version: 3.0.0
- * 變更：isNew/isFinished 布林 → readingStatus 列舉（6 種），
- *       新增 tagIds、isManualStatus、updatedAt 欄位。
+ * Schema version: 4.0.0
+ * 3.0.0：isNew/isFinished 布林 → readingStatus 列舉（6 種），
+ *        新增 tagIds、isManualStatus、updatedAt 欄位。
+ * 4.0.0：新增使用者註記 rating、notes、startedAt、finishedAt（見 BookAnnotationSchema）。
  */
 
 // === ReadingStatus 列舉 ===
@@ -22,6 +23,16 @@ const READING_STATUS = Object.freeze({
 
 const READING_STATUS_VALUES = Object.freeze(Object.values(READING_STATUS))
 
+// 各狀態的使用者可見標籤（匯出報表 / 工作表名稱等需要人類可讀名稱的場景）
+const READING_STATUS_LABELS = Object.freeze({
+  [READING_STATUS.UNREAD]: '未讀',
+  [READING_STATUS.READING]: '閱讀中',
+  [READING_STATUS.FINISHED]: '已讀完',
+  [READING_STATUS.QUEUED]: '待讀',
+  [READING_STATUS.ABANDONED]: '已放棄',
+  [READING_STATUS.REFERENCE]: '參考用'
+})
+
 /**
  * 判斷狀態是否為手動專用狀態（queued/abandoned/reference）
  * 手動專用狀態設定時 isManualStatus 必須為 true
@@ -41,8 +52,12 @@ function isAutoTrackableStatus (status) {
 // === Schema 定義 ===
 
 const { getRegisteredPlatforms } = require('../content/platform/platform-registry')
+const { RATING_MIN, RATING_MAX, NOTES_MAX_LENGTH } = require('./BookAnnotationSchema')
+
+const SCHEMA_VERSION = '4.0.0'
 
-const SCHEMA_VERSION = '3.0.0'
+// 註記日期格式（yyyy-mm-dd，與 <input type="date"> 值一致）
+const ANNOTATION_DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/
 
 // source 欄位允許值來自 PlatformRegistry，新增書城時自動納入（單一真實來源）
 const PLATFORM_NAMES = Object.freeze(getRegisteredPlatforms().map((platform) => platform.name))
@@ -65,9 +80,24 @@ const BOOK_SCHEMA_V2 = Object.freeze({
     tagIds: { type: 'array', required: false, default: [], items: 'string' },
     isManualStatus: { type: 'boolean', required: false, default: false },
 
+    // 書目補齊欄位（詳情頁提供，見 MetadataEnrichmentSchema；無預設值，未補齊的書不帶這些欄位）
+    isbn: { type: 'string', required: false },
+    pageCount: { type: 'number', required: false, min: 1 },
+    purchasedAt: { type: 'string', required: false },
+    description: { type: 'string', required: false },
+    // 使用者手動編輯過的欄位名稱，背景補齊書目時不覆寫
+    editedFields: { type: 'array', required: false, items: 'string' },
+
+    // 使用者註記（schema 4.0.0；無預設值，未註記的書不帶這些欄位，重新提取時不覆寫）
+    rating: { type: 'number', required: false, min: RATING_MIN, max: RATING_MAX },
+    notes: { type: 'string', required: false, maxLength: NOTES_MAX_LENGTH },
+    startedAt: { type: 'string', required: false, pattern: ANNOTATION_DATE_PATTERN },
+    finishedAt: { type: 'string', required: false, pattern: ANNOTATION_DATE_PATTERN },
+
     // 自動欄位
     extractedAt: { type: 'string', required: false, auto: true },
     updatedAt: { type: 'string', required: false, auto: true },
+    metadataEnrichedAt: { type: 'string', required: false, auto: true },
     source: { type: 'string', required: true, auto: true, enum: PLATFORM_NAMES }
   }
 })
@@ -252,6 +282,7 @@ function normalizeV1Progress (value) {
 const BookSchemaV2 = {
   READING_STATUS,
   READING_STATUS_VALUES,
+  READING_STATUS_LABELS,
   SCHEMA_VERSION,
   PLATFORM_NAMES,
   BOOK_SCHEMA_V2,
@@ -0,0 +1,334 @@
+/**
+ * 作品（Work）連結：跨書城重複書籍偵測與多版本合併顯示
+ *
+ * 各書城的書籍 id 由 stable-id-generator 依平台產生，同一本書在 Readmoo 與博客來各買一次時
+ * 會成為兩筆無關的書籍。本模組以正規化的書名 / 作者 / 出版社比對不同 source 的書籍並給出
+ * 信心分數；使用者確認後將多筆書籍連結為一個作品（work），每筆書籍為一個擁有的版本（edition）。
+ *
+ * 作品紀錄：{ id, bookIds, primaryBookId, createdAt, updatedAt }，存於 book_works。
+ * 使用者判定「不是同一本」的配對以 pairKey 存於 duplicate_dismissals，不再列為候選。
+ *
+ * 合併顯示時作品以代表書籍（主要版本的欄位 + 合併進度 / 狀態）出現一次，editions 保留各版本。
+ */
+
+const { READING_STATUS } = require('./BookSchemaV2')
+
+/** 列為候選的最低信心分數 */
+const DUPLICATE_MIN_CONFIDENCE = 0.5
+
+/** 信心分數權重：書名為必要條件，作者 / 出版社加減分 */
+const MATCH_WEIGHTS = Object.freeze({
+  TITLE_EXACT: 0.6,
+  TITLE_MAIN: 0.45,
+  AUTHOR_MATCH: 0.3,
+  AUTHOR_CONFLICT: -0.3,
+  PUBLISHER_MATCH: 0.1,
+  PUBLISHER_CONFLICT: -0.05
+})
+
+const MATCH_REASONS = Object.freeze({
+  TITLE_EXACT: 'title_exact',
+  TITLE_MAIN: 'title_main',
+  AUTHOR_MATCH: 'author_match',
+  AUTHOR_CONFLICT: 'author_conflict',
+  PUBLISHER_MATCH: 'publisher_match',
+  PUBLISHER_CONFLICT: 'publisher_conflict'
+})
+
+const BOOK_WORK_ERROR_CODES = Object.freeze({
+  TOO_FEW_BOOKS: 'too_few_books',
+  BOOK_NOT_FOUND: 'book_not_found',
+  NOT_FOUND: 'work_not_found'
+})
+
+/** 合併狀態的優先序：任一版本讀完即視為讀完，其次為閱讀中 */
+const STATUS_PRIORITY = Object.freeze([
+  READING_STATUS.FINISHED,
+  READING_STATUS.READING,
+  READING_STATUS.QUEUED,
+  READING_STATUS.UNREAD,
+  READING_STATUS.ABANDONED,
+  READING_STATUS.REFERENCE
+])
+
+function normalizeText (value) {
+  return String(value || '').normalize('NFKC').toLowerCase().replace(/[\s\p{P}\p{S}]/gu, '')
+}
+
+/** 主書名：去除系列括註與冒號後的副標 */
+function mainTitleKey (title) {
+  return normalizeText(String(title || '').replace(/[(（[［【].*$/, '').split(/[:：]/)[0])
+}
+
+/** v2 authors 陣列；舊資料的 author 字串以常見分隔符拆分 */
+function authorKeys (book) {
+  const authors = Array.isArray(book.authors) && book.authors.length > 0
+    ? book.authors
+    : String(book.author || '').split(/[,，、/;；]/)
+  return new Set(authors.map(normalizeText).filter(Boolean))
+}
+
+/**
+ * 配對鍵（兩本書 id 排序後以 | 相接，與順序無關）
+ *
+ * @param {string} idA
+ * @param {string} idB
+ * @returns {string}
+ */
+function pairKey (idA, idB) {
+  return [idA, idB].sort().join('|')
+}
+
+/**
+ * 比對兩本書，回傳信心分數與理由；書名不符時為 null
+ *
+ * @param {Object} a
+ * @param {Object} b
+ * @returns {{ confidence: number, reasons: string[] }|null}
+ */
+function scoreBookMatch (a, b) {
+  const reasons = []
+  let score
+  const titleA = normalizeText(a.title)
+  if (titleA && titleA === normalizeText(b.title)) {
+    score = MATCH_WEIGHTS.TITLE_EXACT
+    reasons.push(MATCH_REASONS.TITLE_EXACT)
+  } else if (mainTitleKey(a.title) && mainTitleKey(a.title) === mainTitleKey(b.title)) {
+    score = MATCH_WEIGHTS.TITLE_MAIN
+    reasons.push(MATCH_REASONS.TITLE_MAIN)
+  } else {
+    return null
+  }
+
+  // 作者 / 出版社：兩本都有資料時才加減分（Readmoo 書庫頁不提供作者）
+  const authorsA = authorKeys(a)
+  const authorsB = authorKeys(b)
+  if (authorsA.size > 0 && authorsB.size > 0) {
+    const shared = [...authorsA].some(author => authorsB.has(author))
+    score += shared ? MATCH_WEIGHTS.AUTHOR_MATCH : MATCH_WEIGHTS.AUTHOR_CONFLICT
+    reasons.push(shared ? MATCH_REASONS.AUTHOR_MATCH : MATCH_REASONS.AUTHOR_CONFLICT)
+  }
+
+  const publisherA = normalizeText(a.publisher)
+  const publisherB = normalizeText(b.publisher)
+  if (publisherA && publisherB) {
+    const same = publisherA === publisherB
+    score += same ? MATCH_WEIGHTS.PUBLISHER_MATCH : MATCH_WEIGHTS.PUBLISHER_CONFLICT
+    reasons.push(same ? MATCH_REASONS.PUBLISHER_MATCH : MATCH_REASONS.PUBLISHER_CONFLICT)
+  }
+
+  return { confidence: Math.round(Math.min(1, Math.max(0, score)) * 100) / 100, reasons }
+}
+
+/**
+ * 正規化作品紀錄；bookIds 少於兩筆時回傳 null
+ *
+ * @param {Object} work
+ * @returns {Object|null} { id, bookIds, primaryBookId, createdAt, updatedAt }
+ */
+function normalizeBookWork (work) {
+  if (!work || typeof work !== 'object' || typeof work.id !== 'string' || !work.id) return null
+  const bookIds = Array.isArray(work.bookIds)
+    ? [...new Set(work.bookIds.filter(id => typeof id === 'string' && id))]
+    : []
+  if (bookIds.length < 2) return null
+  return {
+    id: work.id,
+    bookIds,
+    primaryBookId: bookIds.includes(work.primaryBookId) ? work.primaryBookId : bookIds[0],
+    createdAt: work.createdAt || null,
+    updatedAt: work.updatedAt || work.createdAt || null
+  }
+}
+
+/**
+ * 建立書籍 id → 作品的查找表（只計入書庫中仍存在的版本，不足兩本的作品略過）
+ *
+ * @param {Array<Object>} works
+ * @param {Set<string>} [existingIds] - 書庫中的書籍 id；省略時不過濾
+ * @returns {Map<string, Object>} 作品的 bookIds 已過濾
+ */
+function indexBookWorks (works, existingIds) {
+  const index = new Map()
+  for (const raw of Array.isArray(works) ? works : []) {
+    const work = normalizeBookWork(raw)
+    if (!work) continue
+    const bookIds = existingIds ? work.bookIds.filter(id => existingIds.has(id)) : work.bookIds
+    if (bookIds.length < 2) continue
+    const present = {
+      ...work,
+      bookIds,
+      primaryBookId: bookIds.includes(work.primaryBookId) ? work.primaryBookId : bookIds[0]
+    }
+    bookIds.forEach(id => index.set(id, present))
+  }
+  return index
+}
+
+/**
+ * 找出跨書城的可能重複書籍
+ *
+ * 只比對 source 不同的書；已連結在同一作品或使用者已略過的配對不列出。
+ * 候選依信心分數由高至低排序。
+ *
+ * @param {Array<Object>} books
+ * @param {Object} [options]
+ * @param {Array<Object>} [options.works] - 既有作品
+ * @param {Array<string>} [options.dismissed] - 已略過的 pairKey
+ * @param {number} [options.minConfidence]
+ * @returns {Array<{ key: string, bookIds: string[], confidence: number, reasons: string[] }>}
+ */
+function findDuplicateCandidates (books, options = {}) {
+  const list = (Array.isArray(books) ? books : []).filter(b => b && b.id && b.title)
+  const workIndex = indexBookWorks(options.works, new Set(list.map(b => b.id)))
+  const dismissed = new Set(options.dismissed || [])
+  const minConfidence = options.minConfidence ?? DUPLICATE_MIN_CONFIDENCE
+
+  // 以主書名分桶，僅比對同桶書籍（完整書名相同者必同桶）
+  const buckets = new Map()
+  for (const book of list) {
+    const key = mainTitleKey(book.title)
+    if (!key) continue
+    if (!buckets.has(key)) buckets.set(key, [])
+    buckets.get(key).push(book)
+  }
+
+  const candidates = []
+  for (const bucket of buckets.values()) {
+    for (let i = 0; i < bucket.length; i++) {
+      for (let j = i + 1; j < bucket.length; j++) {
+        const a = bucket[i]
+        const b = bucket[j]
+        if ((a.source || 'readmoo') === (b.source || 'readmoo')) continue
+        const key = pairKey(a.id, b.id)
+        if (dismissed.has(key)) continue
+        const workA = workIndex.get(a.id)
+        if (workA && workA === workIndex.get(b.id)) continue
+        const match = scoreBookMatch(a, b)
+        if (!match || match.confidence < minConfidence) continue
+        candidates.push({ key, bookIds: [a.id, b.id], ...match })
+      }
+    }
+  }
+  return candidates.sort((x, y) => y.confidence - x.confidence || x.key.localeCompare(y.key))
+}
+
+/**
+ * 將連結中的書籍合併為一個作品（任一書籍已屬作品時併入該作品，多個作品一併合併）
+ *
+ * @param {Array<Object>} works - 既有作品
+ * @param {Array<string>} bookIds - 要連結的書籍
+ * @param {Object} meta - { id, now, primaryBookId? }：新作品 id、時間戳與指定主要版本
+ * @returns {{ works: Array<Object>, work: Object }}
+ */
+function linkBookWork (works, bookIds, meta) {
+  const existing = (Array.isArray(works) ? works : []).map(normalizeBookWork).filter(Boolean)
+  const touched = existing.filter(work => work.bookIds.some(id => bookIds.includes(id)))
+  const mergedIds = [...new Set([...touched.flatMap(work => work.bookIds), ...bookIds])]
+  const base = touched[0]
+  const work = {
+    id: base ? base.id : meta.id,
+    bookIds: mergedIds,
+    primaryBookId: mergedIds.includes(meta.primaryBookId)
+      ? meta.primaryBookId
+      : (base ? base.primaryBookId : mergedIds[0]),
+    createdAt: base ? base.createdAt : meta.now,
+    updatedAt: meta.now
+  }
+  return {
+    works: [...existing.filter(w => !touched.includes(w)), work],
+    work
+  }
+}
+
+/**
+ * 合併匯入的作品：與本地作品共用任一書籍時合併為同一作品（沿用本地 id），否則新增
+ *
+ * @param {Array<Object>} local
+ * @param {Array<Object>} incoming
+ * @returns {Array<Object>}
+ */
+function mergeBookWorks (local, incoming) {
+  let merged = (Array.isArray(local) ? local : []).map(normalizeBookWork).filter(Boolean)
+  for (const work of (Array.isArray(incoming) ? incoming : []).map(normalizeBookWork).filter(Boolean)) {
+    const overlaps = merged.some(existing => existing.bookIds.some(id => work.bookIds.includes(id)))
+    if (!overlaps) {
+      merged = [...merged, work]
+      continue
+    }
+    merged = linkBookWork(merged, work.bookIds, { id: work.id, now: work.updatedAt }).works
+  }
+  return merged
+}
+
+/**
+ * 合併多個版本的閱讀狀態與進度
+ *
+ * @param {Array<Object>} editions
+ * @returns {{ progress: number, readingStatus: string }} progress 取最高；狀態依 STATUS_PRIORITY
+ */
+function combineEditionProgress (editions) {
+  const progress = Math.max(0, ...editions.map(book => Number(book.progress) || 0))
+  const statuses = editions.map(book => book.readingStatus)
+  const readingStatus = STATUS_PRIORITY.find(status => statuses.includes(status)) || READING_STATUS.UNREAD
+  return { progress, readingStatus }
+}
+
+/**
+ * 將書籍清單中同一作品的版本合併為一筆代表書籍
+ *
+ * 代表書籍沿用主要版本的欄位（含 id），progress / readingStatus 為各版本合併值，
+ * tags 為各版本的聯集（書城來源欄顯示所有版本的書城），editions 為書庫中該作品的所有版本。
+ * 作品在清單中只出現於第一個符合版本的位置；未連結的書籍原樣保留。
+ *
+ * @param {Array<Object>} books - 要顯示的書籍（可為篩選結果）
+ * @param {Array<Object>} works
+ * @param {Array<Object>} [allBooks] - 完整書庫；代表書籍的合併值與 editions 涵蓋未在清單中的版本
+ * @returns {Array<Object>}
+ */
+function collapseBooksByWork (books, works, allBooks = books) {
+  const byId = new Map(allBooks.filter(b => b && b.id).map(b => [b.id, b]))
+  const workIndex = indexBookWorks(works, new Set(byId.keys()))
+  const emitted = new Set()
+  const result = []
+
+  for (const book of books) {
+    const work = book && workIndex.get(book.id)
+    if (!work) {
+      result.push(book)
+      continue
+    }
+    if (emitted.has(work.id)) continue
+    emitted.add(work.id)
+
+    const editions = work.bookIds.map(id => byId.get(id))
+    const primary = byId.get(work.primaryBookId)
+    const sourceTags = editions.flatMap(edition => (Array.isArray(edition.tags) ? edition.tags : [edition.source || 'readmoo']))
+    result.push({
+      ...primary,
+      ...combineEditionProgress(editions),
+      tags: [...new Set(sourceTags)],
+      workId: work.id,
+      editions
+    })
+  }
+  return result
+}
+
+const BookWorkSchema = {
+  DUPLICATE_MIN_CONFIDENCE,
+  MATCH_WEIGHTS,
+  MATCH_REASONS,
+  BOOK_WORK_ERROR_CODES,
+  pairKey,
+  scoreBookMatch,
+  normalizeBookWork,
+  indexBookWorks,
+  findDuplicateCandidates,
+  linkBookWork,
+  mergeBookWorks,
+  combineEditionProgress,
+  collapseBooksByWork
+}
+
+module.exports = BookWorkSchema
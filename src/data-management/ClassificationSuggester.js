@@ -0,0 +1,262 @@
+/**
+ * 中文圖書分類建議（離線）
+ *
+ * 以打包的關鍵詞權重模型（presets/classification-terms.json）為尚未歸類的書建議
+ * 賴永祥分類法類別：書名與書上既有 tag 名稱比對詞彙權重，再加上出版社與書籍類型
+ * （流式 / 版式）權重，以及使用者接受建議時在本機累積的學習權重。
+ *
+ * 「已歸類」指書上至少有一個 tag 屬於預裝主類子樹中的 category（含使用者自建子類）；
+ * 建議只指向仍存在的 category，模型次類被刪除時改算到其上層類別。
+ *
+ * 學習資料結構：{ publishers: { 出版社: { categoryId: 次數 } }, tags: { tagId: { categoryId: 次數 } } }
+ */
+
+const model = require('./presets/classification-terms.json')
+const { CHINESE_CLASSIFICATION_PRESETS, UNCATEGORIZED_CATEGORY_ID } = require('./presets/chinese-classification')
+
+/** 低於此分數的書不提出建議 */
+const CLASSIFICATION_MIN_SCORE = model.minScore
+
+/** 單一學習訊號可貢獻的權重上限，避免少數出版社壓過書名詞彙 */
+const LEARNED_WEIGHT_CAP = 3
+
+/** 學習次數上限（僅需排序強弱，不需無限累加） */
+const LEARNING_COUNT_MAX = 99
+
+/** 建議附帶的其他候選類別數 */
+const MAX_ALTERNATIVES = 3
+
+const PRESET_PARENT = new Map(CHINESE_CLASSIFICATION_PRESETS.map(node => [node.id, node.parentId]))
+
+const ROOT_CLASS_IDS = new Set(CHINESE_CLASSIFICATION_PRESETS
+  .filter(node => !node.parentId && node.id !== UNCATEGORIZED_CATEGORY_ID)
+  .map(node => node.id))
+
+function escapeRegExp (text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')
+}
+
+/**
+ * 建立詞彙比對函式：英數詞彙需落在詞界（避免 art 命中 start），中日文詞彙以子字串比對
+ *
+ * @param {string} term
+ * @returns {Function} (lowerCasedText) => boolean
+ */
+function createTermMatcher (term) {
+  const lower = term.toLowerCase()
+  if (!/^[\x20-\x7e]+$/.test(lower)) return text => text.includes(lower)
+  const pattern = new RegExp(`(^|[^a-z0-9])${escapeRegExp(lower)}(?=[^a-z0-9]|$)`)
+  return text => pattern.test(text)
+}
+
+const COMPILED_CLASSES = Object.entries(model.classes).map(([categoryId, entry]) => ({
+  categoryId,
+  terms: Object.entries(entry.terms || {}).map(([term, weight]) => ({ term, weight, matches: createTermMatcher(term) })),
+  publishers: Object.entries(entry.publishers || {}).map(([name, weight]) => ({ name: name.toLowerCase(), label: name, weight })),
+  types: entry.types || {}
+}))
+
+function normalizeCountMap (value) {
+  const result = {}
+  if (!value || typeof value !== 'object' || Array.isArray(value)) return result
+  Object.entries(value).forEach(([categoryId, count]) => {
+    if (categoryId && Number.isInteger(count) && count > 0) {
+      result[categoryId] = Math.min(count, LEARNING_COUNT_MAX)
+    }
+  })
+  return result
+}
+
+function normalizeLearningSection (value) {
+  const result = {}
+  if (!value || typeof value !== 'object' || Array.isArray(value)) return result
+  Object.entries(value).forEach(([key, counts]) => {
+    const normalized = normalizeCountMap(counts)
+    if (key && Object.keys(normalized).length > 0) result[key] = normalized
+  })
+  return result
+}
+
+/**
+ * 正規化儲存中的學習資料；格式錯誤時回傳空結構
+ *
+ * @param {Object} learning
+ * @returns {{ publishers: Object, tags: Object }}
+ */
+function normalizeClassificationLearning (learning) {
+  const source = learning && typeof learning === 'object' ? learning : {}
+  return {
+    publishers: normalizeLearningSection(source.publishers),
+    tags: normalizeLearningSection(source.tags)
+  }
+}
+
+function normalizePublisher (publisher) {
+  return typeof publisher === 'string' ? publisher.trim() : ''
+}
+
+/**
+ * 收集屬於分類法樹（預裝主類及其所有子孫）的 category id
+ *
+ * @param {Array<Object>} categories
+ * @returns {Set<string>}
+ */
+function collectClassificationCategoryIds (categories) {
+  const list = Array.isArray(categories) ? categories : []
+  const parentOf = new Map(list.map(category => [category.id, category.parentId || null]))
+  const result = new Set()
+  list.forEach(category => {
+    const visited = new Set()
+    let current = category.id
+    while (current && !visited.has(current)) {
+      if (ROOT_CLASS_IDS.has(current)) {
+        result.add(category.id)
+        return
+      }
+      visited.add(current)
+      current = parentOf.get(current)
+    }
+  })
+  return result
+}
+
+/**
+ * 將使用者接受的分類寫入學習資料（就地修改）：出版社與書上非分類 tag 各記一次
+ *
+ * @param {Object} learning - normalizeClassificationLearning 的結果
+ * @param {Object} book
+ * @param {string} categoryId
+ * @param {Set<string>} [ignoredTagIds] - 不納入學習的 tag（分類 tag 本身）
+ */
+function recordClassificationChoice (learning, book, categoryId, ignoredTagIds = new Set()) {
+  const bump = (section, key) => {
+    const counts = section[key] || (section[key] = {})
+    counts[categoryId] = Math.min((counts[categoryId] || 0) + 1, LEARNING_COUNT_MAX)
+  }
+  const publisher = normalizePublisher(book.publisher)
+  if (publisher) bump(learning.publishers, publisher)
+  ;(Array.isArray(book.tagIds) ? book.tagIds : []).forEach(tagId => {
+    if (!ignoredTagIds.has(tagId)) bump(learning.tags, tagId)
+  })
+}
+
+/**
+ * 將模型類別對應到仍存在的分類 category；已刪除時沿預裝樹往上找
+ */
+function resolveCategoryId (categoryId, classificationIds) {
+  let current = categoryId
+  while (current && !classificationIds.has(current)) current = PRESET_PARENT.get(current)
+  return current || null
+}
+
+function scoreBook (book, context) {
+  const { classificationIds, tagsById, learning } = context
+  const scores = new Map()
+  const add = (rawCategoryId, weight, reason) => {
+    const categoryId = resolveCategoryId(rawCategoryId, classificationIds)
+    if (!categoryId || weight <= 0) return
+    const entry = scores.get(categoryId) || { score: 0, reasons: [] }
+    entry.score += weight
+    if (!entry.reasons.includes(reason)) entry.reasons.push(reason)
+    scores.set(categoryId, entry)
+  }
+
+  const title = typeof book.title === 'string' ? book.title.toLowerCase() : ''
+  const publisher = normalizePublisher(book.publisher)
+  const lowerPublisher = publisher.toLowerCase()
+  const tagNames = (Array.isArray(book.tagIds) ? book.tagIds : [])
+    .map(id => tagsById.get(id))
+    .filter(tag => tag && typeof tag.name === 'string')
+    .map(tag => tag.name.toLowerCase())
+
+  COMPILED_CLASSES.forEach(entry => {
+    entry.terms.forEach(({ term, weight, matches }) => {
+      if (title && matches(title)) add(entry.categoryId, weight, term)
+      if (tagNames.some(name => matches(name))) add(entry.categoryId, weight, term)
+    })
+    entry.publishers.forEach(({ name, label, weight }) => {
+      if (lowerPublisher && lowerPublisher.includes(name)) add(entry.categoryId, weight, label)
+    })
+    if (typeof book.type === 'string' && entry.types[book.type]) {
+      add(entry.categoryId, entry.types[book.type], book.type)
+    }
+  })
+
+  if (publisher && learning.publishers[publisher]) {
+    Object.entries(learning.publishers[publisher]).forEach(([categoryId, count]) => {
+      add(categoryId, Math.min(count, LEARNED_WEIGHT_CAP), publisher)
+    })
+  }
+  ;(Array.isArray(book.tagIds) ? book.tagIds : []).forEach(tagId => {
+    const counts = learning.tags[tagId]
+    if (!counts) return
+    const label = tagsById.get(tagId) ? tagsById.get(tagId).name : tagId
+    Object.entries(counts).forEach(([categoryId, count]) => {
+      add(categoryId, Math.min(count, LEARNED_WEIGHT_CAP), label)
+    })
+  })
+
+  return scores
+}
+
+/**
+ * 為尚未歸類的書計算分類建議（純函式）
+ *
+ * @param {Array<Object>} books
+ * @param {Object} options
+ * @param {Array<Object>} options.categories - 現有 category（決定分類法樹與可建議的類別）
+ * @param {Array<Object>} options.tags - 現有 tag（判定是否已歸類、tag 名稱比對）
+ * @param {Object} [options.learning] - 本機學習資料
+ * @param {Iterable<string>} [options.dismissed] - 使用者已拒絕建議的書 id
+ * @returns {Array<{ bookId: string, categoryId: string, score: number, confidence: number,
+ *   reasons: string[], alternatives: Array<{ categoryId: string, score: number }> }>}
+ *   依信心度、分數由高至低排序；confidence 為最高分佔所有候選分數的比例（0–1）
+ */
+function suggestClassifications (books, options = {}) {
+  const classificationIds = collectClassificationCategoryIds(options.categories)
+  if (classificationIds.size === 0) return []
+  const tags = Array.isArray(options.tags) ? options.tags : []
+  const tagsById = new Map(tags.filter(tag => tag && tag.id).map(tag => [tag.id, tag]))
+  const classifiedTagIds = new Set(tags.filter(tag => tag && classificationIds.has(tag.categoryId)).map(tag => tag.id))
+  const dismissed = new Set(options.dismissed || [])
+  const context = {
+    classificationIds,
+    tagsById,
+    learning: normalizeClassificationLearning(options.learning)
+  }
+
+  const suggestions = []
+  ;(Array.isArray(books) ? books : []).forEach(book => {
+    if (!book || typeof book !== 'object' || !book.id || dismissed.has(book.id)) return
+    const tagIds = Array.isArray(book.tagIds) ? book.tagIds : []
+    if (tagIds.some(id => classifiedTagIds.has(id))) return
+
+    const ranked = [...scoreBook(book, context).entries()]
+      .map(([categoryId, entry]) => ({ categoryId, ...entry }))
+      .sort((a, b) => b.score - a.score)
+    if (ranked.length === 0 || ranked[0].score < CLASSIFICATION_MIN_SCORE) return
+
+    const total = ranked.reduce((sum, entry) => sum + entry.score, 0)
+    suggestions.push({
+      bookId: book.id,
+      categoryId: ranked[0].categoryId,
+      score: ranked[0].score,
+      confidence: Math.round((ranked[0].score / total) * 100) / 100,
+      reasons: ranked[0].reasons,
+      alternatives: ranked.slice(1, 1 + MAX_ALTERNATIVES).map(({ categoryId, score }) => ({ categoryId, score }))
+    })
+  })
+
+  return suggestions.sort((a, b) => b.confidence - a.confidence || b.score - a.score)
+}
+
+const ClassificationSuggester = {
+  CLASSIFICATION_MIN_SCORE,
+  LEARNED_WEIGHT_CAP,
+  normalizeClassificationLearning,
+  collectClassificationCategoryIds,
+  recordClassificationChoice,
+  suggestClassifications
+}
+
+module.exports = ClassificationSuggester
@@ -0,0 +1,255 @@
+/**
+ * 書目資料補齊（Metadata Enrichment）設定、佇列與欄位合併
+ *
+ * 書庫頁只提供書名、封面、進度與類型；使用者啟用補齊後，Service Worker 逐本抓取
+ * 書籍詳情頁（platform-registry 的 detailParserFactory），以本模組整理解析結果並填入書籍。
+ *
+ * 設定：{ enabled }，存於 metadata_enrichment_settings（預設停用）。
+ * 進度：{ status, queue, total, enriched, failed, failures, startedAt, updatedAt, completedAt }，
+ * 存於 metadata_enrichment_state；queue 為尚未寫回書庫的書籍 ID，Service Worker 中斷後由此續跑。
+ *
+ * 合併規則：只填入目前為空的欄位，且不碰使用者手動編輯過的欄位（book.editedFields），
+ * 已有值一律不覆寫；處理過的書記錄 metadataEnrichedAt，不再排入佇列。
+ *
+ * 重新提取（手動或排程）時書庫頁只提供部分欄位，以 pickRetainedMetadata / carryOverMetadata
+ * 沿用書庫既有的補齊結果、使用者編輯與 metadataEnrichedAt / editedFields。
+ */
+
+const METADATA_ENRICHMENT_KEYS = Object.freeze({
+  SETTINGS: 'metadata_enrichment_settings',
+  STATE: 'metadata_enrichment_state'
+})
+
+/** chrome.alarms 名稱：補齊進行中時定期喚醒 Service Worker 續跑佇列 */
+const METADATA_ENRICHMENT_ALARM = 'metadata-enrichment'
+
+/** 可由詳情頁補齊的書籍欄位 */
+const ENRICHABLE_FIELDS = Object.freeze(['authors', 'publisher', 'isbn', 'pageCount', 'purchasedAt', 'description'])
+
+const ENRICHMENT_STATUS = Object.freeze({
+  IDLE: 'idle',
+  RUNNING: 'running',
+  PAUSED: 'paused',
+  COMPLETED: 'completed'
+})
+
+/** 單本書抓取失敗達此次數後不再排入佇列 */
+const MAX_ENRICHMENT_ATTEMPTS = 3
+
+/** 簡介保留的最大字數 */
+const DESCRIPTION_MAX_LENGTH = 2000
+
+/**
+ * @param {Object} [settings]
+ * @returns {{ enabled: boolean }}
+ */
+function normalizeMetadataEnrichmentSettings (settings) {
+  return { enabled: Boolean(settings && settings.enabled === true) }
+}
+
+/**
+ * 正規化補齊進度；無效或缺少時回傳閒置狀態
+ *
+ * @param {Object} [state]
+ * @returns {Object}
+ */
+function normalizeEnrichmentState (state) {
+  const source = state && typeof state === 'object' ? state : {}
+  const count = value => (Number.isInteger(value) && value >= 0 ? value : 0)
+  return {
+    status: Object.values(ENRICHMENT_STATUS).includes(source.status) ? source.status : ENRICHMENT_STATUS.IDLE,
+    queue: Array.isArray(source.queue) ? source.queue.filter(id => typeof id === 'string' && id !== '') : [],
+    total: count(source.total),
+    enriched: count(source.enriched),
+    failed: count(source.failed),
+    failures: source.failures && typeof source.failures === 'object' && !Array.isArray(source.failures)
+      ? { ...source.failures }
+      : {},
+    startedAt: source.startedAt || null,
+    updatedAt: source.updatedAt || null,
+    completedAt: source.completedAt || null
+  }
+}
+
+/**
+ * 欄位是否為空（空字串、空陣列、0 頁、未定義）
+ */
+function isMissingValue (value) {
+  if (value === undefined || value === null) return true
+  if (typeof value === 'string') return value.trim() === ''
+  if (Array.isArray(value)) return value.length === 0
+  if (typeof value === 'number') return !(value > 0)
+  return false
+}
+
+function getEditedFields (book) {
+  return Array.isArray(book.editedFields) ? book.editedFields : []
+}
+
+/**
+ * 書籍是否還有可補齊的欄位（空值且未經使用者編輯）
+ *
+ * @param {Object} book
+ * @returns {boolean}
+ */
+function hasMissingMetadata (book) {
+  const edited = getEditedFields(book)
+  return ENRICHABLE_FIELDS.some(field => !edited.includes(field) && isMissingValue(book[field]))
+}
+
+/**
+ * 建立補齊佇列：尚未補齊過、仍有缺欄、失敗未達上限且能取得詳情頁的書籍
+ *
+ * @param {Array<Object>} books - 目前書庫
+ * @param {Object} failures - 書籍 ID → { attempts, reason }
+ * @param {Function} canEnrich - (book) => boolean，是否有對應書城的詳情頁
+ * @returns {string[]} 書籍 ID
+ */
+function buildEnrichmentQueue (books, failures, canEnrich) {
+  return books
+    .filter(book => book && book.id && !book.metadataEnrichedAt && hasMissingMetadata(book))
+    .filter(book => !failures[book.id] || failures[book.id].attempts < MAX_ENRICHMENT_ATTEMPTS)
+    .filter(book => canEnrich(book))
+    .map(book => book.id)
+}
+
+/**
+ * 整理 ISBN：移除連字號與空白，僅接受 ISBN-10 / ISBN-13
+ */
+function normalizeIsbn (value) {
+  const digits = String(value || '').replace(/^(e-?)?isbn[:：]?/i, '').replace(/[\s-]/g, '').toUpperCase()
+  return /^(\d{13}|\d{9}[\dX])$/.test(digits) ? digits : ''
+}
+
+function normalizePageCount (value) {
+  const match = String(value || '').replace(/,/g, '').match(/\d+/)
+  const pages = match ? Number(match[0]) : 0
+  return pages > 0 && pages < 100000 ? pages : undefined
+}
+
+/**
+ * 整理日期：接受 ISO 字串與 yyyy/mm/dd、yyyy-mm-dd、yyyy年m月d日，回傳 yyyy-mm-dd
+ */
+function normalizeDate (value) {
+  const match = String(value || '').match(/(\d{4})\s*[-/.年]\s*(\d{1,2})\s*[-/.月]\s*(\d{1,2})/)
+  if (!match) return ''
+  const [, year, month, day] = match
+  const date = new Date(Date.UTC(Number(year), Number(month) - 1, Number(day)))
+  if (date.getUTCMonth() !== Number(month) - 1) return ''
+  return date.toISOString().slice(0, 10)
+}
+
+function normalizeText (value, maxLength) {
+  const text = typeof value === 'string' ? value.replace(/\s+/g, ' ').trim() : ''
+  return maxLength && text.length > maxLength ? `${text.slice(0, maxLength - 1)}…` : text
+}
+
+/**
+ * 整理詳情頁解析結果，只保留格式正確且有值的欄位
+ *
+ * @param {Object} raw - 書城解析器的輸出
+ * @returns {Object} ENRICHABLE_FIELDS 的子集
+ */
+function normalizeDetailMetadata (raw) {
+  const source = raw && typeof raw === 'object' ? raw : {}
+  const authors = Array.isArray(source.authors)
+    ? [...new Set(source.authors.map(name => normalizeText(name)).filter(Boolean))]
+    : []
+  const metadata = {
+    authors,
+    publisher: normalizeText(source.publisher, 200),
+    isbn: normalizeIsbn(source.isbn),
+    pageCount: normalizePageCount(source.pageCount),
+    purchasedAt: normalizeDate(source.purchasedAt),
+    description: normalizeText(source.description, DESCRIPTION_MAX_LENGTH)
+  }
+  return Object.fromEntries(Object.entries(metadata).filter(([, value]) => !isMissingValue(value)))
+}
+
+/**
+ * 將補齊結果填入書籍（就地修改）
+ *
+ * 只填入空欄位且未經使用者編輯的欄位；無論是否填入都記錄 metadataEnrichedAt，
+ * 有填入時一併更新 updatedAt。
+ *
+ * @param {Object} book
+ * @param {Object} metadata - normalizeDetailMetadata 的輸出
+ * @param {string} enrichedAt - ISO 時間
+ * @returns {string[]} 實際填入的欄位
+ */
+function applyEnrichedMetadata (book, metadata, enrichedAt) {
+  const edited = getEditedFields(book)
+  const filled = ENRICHABLE_FIELDS.filter(field =>
+    !edited.includes(field) && isMissingValue(book[field]) && !isMissingValue(metadata[field]))
+
+  for (const field of filled) {
+    book[field] = Array.isArray(metadata[field]) ? [...metadata[field]] : metadata[field]
+  }
+  book.metadataEnrichedAt = enrichedAt
+  if (filled.length > 0) {
+    book.updatedAt = enrichedAt
+  }
+  return filled
+}
+
+/**
+ * 重新提取時應沿用的既有書目資料
+ *
+ * - 使用者編輯過的欄位一律沿用既有值（書城資料不覆蓋手動修改）
+ * - 其他書目欄位在提取結果為空時沿用既有值
+ * - metadataEnrichedAt / editedFields 沿用（提取結果不含這兩個欄位）
+ *
+ * @param {Object} previous - 書庫中的既有書籍
+ * @param {Object} next - 新提取的書籍
+ * @returns {Object} 應覆蓋在提取結果上的欄位
+ */
+function pickRetainedMetadata (previous, next) {
+  const edited = getEditedFields(previous)
+  const retained = {}
+  ENRICHABLE_FIELDS.forEach(field => {
+    if (edited.includes(field) || (isMissingValue(next[field]) && !isMissingValue(previous[field]))) {
+      retained[field] = Array.isArray(previous[field]) ? [...previous[field]] : previous[field]
+    }
+  })
+  if (previous.metadataEnrichedAt) retained.metadataEnrichedAt = previous.metadataEnrichedAt
+  if (edited.length > 0) retained.editedFields = [...edited]
+  return retained
+}
+
+/**
+ * 以書庫既有書目資料補上新提取的書籍（規則見 pickRetainedMetadata）
+ *
+ * @param {Array<Object>} previousBooks - 目前書庫
+ * @param {Array<Object>} nextBooks - 提取結果
+ * @returns {Array<Object>} 新陣列；無需沿用的書保持原物件
+ */
+function carryOverMetadata (previousBooks, nextBooks) {
+  const previousById = new Map()
+  ;(Array.isArray(previousBooks) ? previousBooks : []).forEach(book => {
+    if (book && book.id) previousById.set(book.id, book)
+  })
+  return nextBooks.map(book => {
+    if (!book || typeof book !== 'object') return book
+    const previous = previousById.get(book.id)
+    if (!previous) return book
+    const retained = pickRetainedMetadata(previous, book)
+    return Object.keys(retained).length > 0 ? { ...book, ...retained } : book
+  })
+}
+
+module.exports = {
+  METADATA_ENRICHMENT_KEYS,
+  METADATA_ENRICHMENT_ALARM,
+  ENRICHABLE_FIELDS,
+  ENRICHMENT_STATUS,
+  MAX_ENRICHMENT_ATTEMPTS,
+  normalizeMetadataEnrichmentSettings,
+  normalizeEnrichmentState,
+  isMissingValue,
+  pickRetainedMetadata,
+  carryOverMetadata,
+  hasMissingMetadata,
+  buildEnrichmentQueue,
+  normalizeDetailMetadata,
+  applyEnrichedMetadata
+}
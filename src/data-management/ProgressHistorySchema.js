@@ -0,0 +1,248 @@
+/**
+ * 閱讀進度歷程（Progress History）資料結構、記錄與統計
+ *
+ * 提取與匯入會以新值覆寫書籍的 progress / readingStatus，歷程另存於 progress_history key，
+ * 以書籍 id 分組，每筆為緊湊 tuple：[timestamp（Unix 秒）, progress（0-100 整數）, 狀態碼]。
+ *
+ * 記錄規則：書籍首次出現時記一筆基準；之後 progress 或 readingStatus 與最後一筆不同才追加。
+ * 保留上限：每本書最多 PROGRESS_HISTORY_LIMITS.MAX_ENTRIES_PER_BOOK 筆、最舊保留
+ * MAX_AGE_DAYS 天（最新一筆一律保留作為比較基準）；已不在書庫的書籍歷程一併移除。
+ *
+ * 統計：每月讀完本數、每週推進的進度（有 pageCount 時換算頁數）、每本書 reading → finished 天數。
+ */
+
+const { READING_STATUS, computeAutoStatusTransition, normalizeV1Progress } = require('./BookSchemaV2')
+
+const PROGRESS_HISTORY_LIMITS = Object.freeze({
+  MAX_ENTRIES_PER_BOOK: 60,
+  MAX_AGE_DAYS: 730
+})
+
+/** 閱讀狀態 ↔ 單字元狀態碼（tuple 第三欄） */
+const STATUS_CODES = Object.freeze({
+  [READING_STATUS.UNREAD]: 'u',
+  [READING_STATUS.READING]: 'r',
+  [READING_STATUS.FINISHED]: 'f',
+  [READING_STATUS.QUEUED]: 'q',
+  [READING_STATUS.ABANDONED]: 'a',
+  [READING_STATUS.REFERENCE]: 'x'
+})
+
+const STATUS_BY_CODE = Object.freeze(Object.fromEntries(
+  Object.entries(STATUS_CODES).map(([status, code]) => [code, status])
+))
+
+const DAY_SECONDS = 86400
+
+function toSeconds (timestamp) {
+  return Math.floor(timestamp / 1000)
+}
+
+function clampProgress (value) {
+  const progress = Math.round(normalizeV1Progress(value))
+  return Math.min(100, Math.max(0, progress))
+}
+
+/**
+ * 決定寫入後書籍的閱讀狀態
+ *
+ * 新紀錄帶 readingStatus 時以之為準；缺欄位時依 computeAutoStatusTransition 由前一狀態推導
+ * （unread → reading、reading → finished），無轉換則沿用前一狀態。
+ *
+ * @param {Object|null} previous - 寫入前的書籍紀錄
+ * @param {Object} next - 寫入後的書籍紀錄
+ * @returns {string}
+ */
+function resolveRecordedStatus (previous, next) {
+  if (STATUS_CODES[next.readingStatus]) return next.readingStatus
+  if (!previous) return READING_STATUS.UNREAD
+  const transition = computeAutoStatusTransition(previous, clampProgress(next.progress))
+  if (transition) return transition.readingStatus
+  return STATUS_CODES[previous.readingStatus] ? previous.readingStatus : READING_STATUS.UNREAD
+}
+
+/**
+ * 解開歷程 tuple
+ *
+ * @param {Array} entry - [timestamp, progress, statusCode]
+ * @returns {{ at: number, progress: number, readingStatus: string }} at 為毫秒
+ */
+function decodeEntry (entry) {
+  return {
+    at: entry[0] * 1000,
+    progress: entry[1],
+    readingStatus: STATUS_BY_CODE[entry[2]] || READING_STATUS.UNREAD
+  }
+}
+
+function isValidEntry (entry) {
+  return Array.isArray(entry) && entry.length === 3 &&
+    Number.isFinite(entry[0]) && Number.isFinite(entry[1]) && Boolean(STATUS_BY_CODE[entry[2]])
+}
+
+/**
+ * 正規化 storage 讀出的歷程（丟棄格式錯誤的 tuple 與空清單）
+ *
+ * @param {Object} history
+ * @returns {Object<string, Array>}
+ */
+function normalizeProgressHistory (history) {
+  const result = {}
+  if (!history || typeof history !== 'object' || Array.isArray(history)) return result
+  for (const [bookId, entries] of Object.entries(history)) {
+    const valid = Array.isArray(entries) ? entries.filter(isValidEntry) : []
+    if (valid.length > 0) result[bookId] = valid
+  }
+  return result
+}
+
+/**
+ * 套用保留上限：超過天數的舊紀錄與超出筆數的最舊紀錄移除，最新一筆一律保留
+ *
+ * @param {Object<string, Array>} history
+ * @param {number} now - 毫秒
+ * @param {Object} [limits]
+ * @returns {Object<string, Array>}
+ */
+function pruneProgressHistory (history, now, limits = PROGRESS_HISTORY_LIMITS) {
+  const cutoff = toSeconds(now) - limits.MAX_AGE_DAYS * DAY_SECONDS
+  const result = {}
+  for (const [bookId, entries] of Object.entries(history)) {
+    const latest = entries[entries.length - 1]
+    const kept = entries.slice(0, -1).filter(entry => entry[0] >= cutoff)
+    result[bookId] = [...kept, latest].slice(-limits.MAX_ENTRIES_PER_BOOK)
+  }
+  return result
+}
+
+/**
+ * 比對寫入前後的書籍，追加 progress / readingStatus 變動並套用保留上限（純函式）
+ *
+ * @param {Object<string, Array>} history - 目前歷程
+ * @param {Array<Object>} previousBooks - 寫入前的書庫
+ * @param {Array<Object>} nextBooks - 寫入後的書庫（不在此清單的書籍歷程會移除）
+ * @param {number} timestamp - 寫入時間（毫秒）
+ * @param {Object} [limits]
+ * @returns {{ history: Object<string, Array>, recorded: number }} recorded 為追加筆數
+ */
+function recordProgressChanges (history, previousBooks, nextBooks, timestamp, limits = PROGRESS_HISTORY_LIMITS) {
+  const current = normalizeProgressHistory(history)
+  const previousById = new Map((previousBooks || []).filter(b => b && b.id).map(b => [b.id, b]))
+  const next = {}
+  let recorded = 0
+
+  for (const book of nextBooks || []) {
+    if (!book || !book.id) continue
+    const entries = current[book.id] || []
+    const progress = clampProgress(book.progress)
+    const code = STATUS_CODES[resolveRecordedStatus(previousById.get(book.id) || null, book)]
+    const last = entries[entries.length - 1]
+    if (!last || last[1] !== progress || last[2] !== code) {
+      next[book.id] = [...entries, [toSeconds(timestamp), progress, code]]
+      recorded++
+    } else {
+      next[book.id] = entries
+    }
+  }
+
+  return { history: pruneProgressHistory(next, timestamp, limits), recorded }
+}
+
+function pad (value) {
+  return String(value).padStart(2, '0')
+}
+
+/** 本地時間的年月鍵，如 2026-10 */
+function monthKey (time) {
+  const date = new Date(time)
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}`
+}
+
+/** 本地時間所在週的週一日期鍵，如 2026-10-12 */
+function weekKey (time) {
+  const date = new Date(time)
+  date.setHours(0, 0, 0, 0)
+  date.setDate(date.getDate() - ((date.getDay() + 6) % 7))
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`
+}
+
+/**
+ * 由歷程計算閱讀統計
+ *
+ * - finishedPerMonth：由非 finished 轉為 finished 的次數，依月份分組（基準紀錄不計）
+ * - progressPerWeek：相鄰兩筆 progress 增加量依週分組；書籍有 pageCount 時另計頁數
+ * - readingDurations：每本書最近一次 reading → finished 經過天數（讀完前須連續為 reading）
+ *
+ * @param {Object<string, Array>} history
+ * @param {Array<Object>} [books] - 目前書庫，提供書名與 pageCount
+ * @returns {{
+ *   finishedPerMonth: Array<{ month: string, count: number }>,
+ *   progressPerWeek: Array<{ weekStart: string, percent: number, pages: number }>,
+ *   readingDurations: Array<{ bookId: string, title: string, startedAt: number, finishedAt: number, days: number }>
+ * }}
+ */
+function computeReadingStatistics (history, books = []) {
+  const bookById = new Map(books.filter(b => b && b.id).map(b => [b.id, b]))
+  const months = new Map()
+  const weeks = new Map()
+  const readingDurations = []
+
+  for (const [bookId, rawEntries] of Object.entries(normalizeProgressHistory(history))) {
+    const entries = rawEntries.map(decodeEntry)
+    const book = bookById.get(bookId)
+    const pageCount = book && Number(book.pageCount) > 0 ? Number(book.pageCount) : 0
+    let duration = null
+
+    for (let i = 1; i < entries.length; i++) {
+      const before = entries[i - 1]
+      const entry = entries[i]
+
+      const delta = entry.progress - before.progress
+      if (delta > 0) {
+        const week = weeks.get(weekKey(entry.at)) || { percent: 0, pages: 0 }
+        week.percent += delta
+        week.pages += pageCount ? Math.round(delta * pageCount / 100) : 0
+        weeks.set(weekKey(entry.at), week)
+      }
+
+      if (entry.readingStatus === READING_STATUS.FINISHED && before.readingStatus !== READING_STATUS.FINISHED) {
+        months.set(monthKey(entry.at), (months.get(monthKey(entry.at)) || 0) + 1)
+
+        let start = i - 1
+        while (start > 0 && entries[start - 1].readingStatus === READING_STATUS.READING) start--
+        duration = before.readingStatus === READING_STATUS.READING
+          ? { startedAt: entries[start].at, finishedAt: entry.at }
+          : null
+      }
+    }
+
+    if (duration) {
+      readingDurations.push({
+        bookId,
+        title: (book && book.title) || bookId,
+        ...duration,
+        days: Math.round((duration.finishedAt - duration.startedAt) / (DAY_SECONDS * 1000))
+      })
+    }
+  }
+
+  return {
+    finishedPerMonth: [...months.entries()].sort(([a], [b]) => a.localeCompare(b))
+      .map(([month, count]) => ({ month, count })),
+    progressPerWeek: [...weeks.entries()].sort(([a], [b]) => a.localeCompare(b))
+      .map(([weekStart, totals]) => ({ weekStart, ...totals })),
+    readingDurations: readingDurations.sort((a, b) => b.finishedAt - a.finishedAt)
+  }
+}
+
+const ProgressHistorySchema = {
+  PROGRESS_HISTORY_LIMITS,
+  STATUS_CODES,
+  decodeEntry,
+  normalizeProgressHistory,
+  pruneProgressHistory,
+  recordProgressChanges,
+  computeReadingStatistics
+}
+
+module.exports = ProgressHistorySchema
@@ -0,0 +1,139 @@
+/**
+ * 已儲存檢視（Saved View / 智慧書單）資料結構與正規化
+ *
+ * 一個已儲存檢視保存總覽頁的完整篩選狀態：搜尋框查詢、閱讀狀態、Tag 篩選（含 AND / OR）
+ * 與排序。書單成員不另存，每次書籍變動時依 filter 重新計算（智慧書單）。
+ *
+ * 匯入合併時以 id 比對、updatedAt 較新者勝（LWW），filter.tagIds 經合併的 tag id 重映射。
+ */
+
+const SAVED_VIEW_NAME_MAX_LENGTH = 50
+
+const SAVED_VIEW_SORT_KEYS = Object.freeze(['relevance', 'title', 'progress', 'source'])
+const SAVED_VIEW_SORT_DIRECTIONS = Object.freeze(['asc', 'desc'])
+const SAVED_VIEW_TAG_MODES = Object.freeze(['and', 'or'])
+
+const DEFAULT_SAVED_VIEW_FILTER = Object.freeze({
+  query: '',
+  readingStatus: null,
+  tagIds: Object.freeze([]),
+  tagMode: 'or',
+  sortKey: 'relevance',
+  sortDirection: 'asc'
+})
+
+const SAVED_VIEW_ERROR_CODES = Object.freeze({
+  INVALID_NAME: 'invalid_name',
+  DUPLICATE_NAME: 'duplicate_name',
+  NOT_FOUND: 'view_not_found'
+})
+
+function pickAllowed (value, allowed, fallback) {
+  return allowed.includes(value) ? value : fallback
+}
+
+/**
+ * 正規化篩選狀態（缺漏或無效的欄位以預設值補齊）
+ *
+ * @param {Object} [filter]
+ * @returns {{ query: string, readingStatus: string|null, tagIds: string[], tagMode: string,
+ *   sortKey: string, sortDirection: string }}
+ */
+function normalizeSavedViewFilter (filter) {
+  const source = filter && typeof filter === 'object' ? filter : {}
+  const tagIds = source.tagIds instanceof Set ? [...source.tagIds] : source.tagIds
+  return {
+    query: typeof source.query === 'string' ? source.query.trim() : DEFAULT_SAVED_VIEW_FILTER.query,
+    readingStatus: typeof source.readingStatus === 'string' && source.readingStatus ? source.readingStatus : null,
+    tagIds: Array.isArray(tagIds) ? [...new Set(tagIds.filter(id => typeof id === 'string' && id))] : [],
+    tagMode: pickAllowed(source.tagMode, SAVED_VIEW_TAG_MODES, DEFAULT_SAVED_VIEW_FILTER.tagMode),
+    sortKey: pickAllowed(source.sortKey, SAVED_VIEW_SORT_KEYS, DEFAULT_SAVED_VIEW_FILTER.sortKey),
+    sortDirection: pickAllowed(source.sortDirection, SAVED_VIEW_SORT_DIRECTIONS, DEFAULT_SAVED_VIEW_FILTER.sortDirection)
+  }
+}
+
+/**
+ * 正規化已儲存檢視；缺 id 或名稱時回傳 null
+ *
+ * @param {Object} view
+ * @returns {Object|null} { id, name, filter, createdAt, updatedAt }
+ */
+function normalizeSavedView (view) {
+  if (!view || typeof view !== 'object' || typeof view.id !== 'string' || !view.id) return null
+  const name = typeof view.name === 'string' ? view.name.trim().slice(0, SAVED_VIEW_NAME_MAX_LENGTH) : ''
+  if (!name) return null
+  return {
+    id: view.id,
+    name,
+    filter: normalizeSavedViewFilter(view.filter),
+    createdAt: view.createdAt || null,
+    updatedAt: view.updatedAt || view.createdAt || null
+  }
+}
+
+/**
+ * 比較兩個篩選狀態是否相同（tagIds 不計順序）
+ *
+ * @param {Object} a
+ * @param {Object} b
+ * @returns {boolean}
+ */
+function isSameSavedViewFilter (a, b) {
+  const left = normalizeSavedViewFilter(a)
+  const right = normalizeSavedViewFilter(b)
+  const sameTags = left.tagIds.length === right.tagIds.length &&
+    left.tagIds.every(id => right.tagIds.includes(id))
+  return sameTags && ['query', 'readingStatus', 'tagMode', 'sortKey', 'sortDirection']
+    .every(key => left[key] === right[key])
+}
+
+/**
+ * 合併匯入的已儲存檢視
+ *
+ * - 同 id：updatedAt 較新者勝（相同時保留本地）
+ * - 新 id：加入；名稱與本地其他檢視重複時加上「（匯入）」後綴
+ * - 匯入檢視的 filter.tagIds 經 tagIdMap（匯入 tag id → 本地 tag id）重映射
+ *
+ * @param {Array} local - 本地檢視
+ * @param {Array} incoming - 匯入檢視
+ * @param {Map<string, string>} [tagIdMap]
+ * @returns {Array} 合併後檢視
+ */
+function mergeSavedViews (local, incoming, tagIdMap = new Map()) {
+  const merged = new Map()
+  ;(Array.isArray(local) ? local : []).map(normalizeSavedView).filter(Boolean)
+    .forEach(view => merged.set(view.id, view))
+
+  ;(Array.isArray(incoming) ? incoming : []).map(normalizeSavedView).filter(Boolean).forEach(view => {
+    const remapped = {
+      ...view,
+      filter: { ...view.filter, tagIds: view.filter.tagIds.map(id => tagIdMap.get(id) || id) }
+    }
+    const existing = merged.get(view.id)
+    if (existing) {
+      if ((remapped.updatedAt || '') > (existing.updatedAt || '')) merged.set(view.id, remapped)
+      return
+    }
+    const nameTaken = [...merged.values()].some(other => other.name.toLowerCase() === remapped.name.toLowerCase())
+    merged.set(view.id, nameTaken
+      ? { ...remapped, name: `${remapped.name.slice(0, SAVED_VIEW_NAME_MAX_LENGTH - 4)}（匯入）` }
+      : remapped)
+  })
+
+  return [...merged.values()]
+}
+
+const SavedViewSchema = {
+  SAVED_VIEW_NAME_MAX_LENGTH,
+  SAVED_VIEW_SORT_KEYS,
+  SAVED_VIEW_SORT_DIRECTIONS,
+  SAVED_VIEW_TAG_MODES,
+  DEFAULT_SAVED_VIEW_FILTER,
+  SAVED_VIEW_ERROR_CODES,
+  normalizeSavedViewFilter,
+  normalizeSavedView,
+  isSameSavedViewFilter,
+  mergeSavedViews
+}
+
+module.exports = SavedViewSchema
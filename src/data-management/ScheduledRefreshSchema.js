@@ -0,0 +1,182 @@
+/**
+ * 排程重新提取（Scheduled Refresh）設定、書庫合併與變動摘要
+ *
+ * Service Worker 依 chrome.alarms 定期在背景分頁開啟各啟用書城的 libraryUrl 並提取書籍，
+ * 再以本模組將提取結果合併回書庫、比對變動，供通知與總覽頁顯示。
+ *
+ * 設定：{ enabled, intervalHours, platforms }，存於 scheduled_refresh_settings。
+ * 上次執行：{ ranAt, added, progressChanged, removed, failures }，存於 scheduled_refresh_last_run。
+ *
+ * 合併規則：只取代有成功提取的書城；既有書籍保留使用者資料（tagIds、手動狀態、個人註記），
+ * 書目補齊結果與使用者編輯過的書目欄位沿用既有值（MetadataEnrichmentSchema.pickRetainedMetadata），
+ * 進度依 computeAutoStatusTransition 推進狀態；該書城未再出現的書籍視為已移除。
+ */
+
+const BookSchemaV2 = require('./BookSchemaV2')
+const { stripAnnotations } = require('./BookAnnotationSchema')
+const { pickRetainedMetadata } = require('./MetadataEnrichmentSchema')
+
+const SCHEDULED_REFRESH_KEYS = Object.freeze({
+  SETTINGS: 'scheduled_refresh_settings',
+  LAST_RUN: 'scheduled_refresh_last_run'
+})
+
+/** chrome.alarms 名稱 */
+const SCHEDULED_REFRESH_ALARM = 'scheduled-refresh'
+
+/** 可選的排程間隔（小時） */
+const SCHEDULED_REFRESH_INTERVALS = Object.freeze([6, 12, 24, 72, 168])
+
+const DEFAULT_SCHEDULED_REFRESH_SETTINGS = Object.freeze({
+  enabled: false,
+  intervalHours: 24,
+  platforms: Object.freeze(['readmoo'])
+})
+
+/** 摘要中每類變動保留的書名數 */
+const SUMMARY_TITLE_LIMIT = 5
+
+/**
+ * 正規化排程設定（未知書城與無效間隔以預設值取代）
+ *
+ * @param {Object} [settings]
+ * @returns {{ enabled: boolean, intervalHours: number, platforms: string[] }}
+ */
+function normalizeScheduledRefreshSettings (settings) {
+  const source = settings && typeof settings === 'object' ? settings : {}
+  const platforms = Array.isArray(source.platforms)
+    ? [...new Set(source.platforms.filter(name => BookSchemaV2.PLATFORM_NAMES.includes(name)))]
+    : [...DEFAULT_SCHEDULED_REFRESH_SETTINGS.platforms]
+  return {
+    enabled: source.enabled === true,
+    intervalHours: SCHEDULED_REFRESH_INTERVALS.includes(source.intervalHours)
+      ? source.intervalHours
+      : DEFAULT_SCHEDULED_REFRESH_SETTINGS.intervalHours,
+    platforms
+  }
+}
+
+function bookSource (book) {
+  return book.source || 'readmoo'
+}
+
+/**
+ * 提取結果轉為書庫書籍（與 EXTRACTION.COMPLETED 相同：推導狀態、補預設值、書城標籤）
+ */
+function normalizeExtractedBook (book, source) {
+  const tags = Array.isArray(book.tags) ? book.tags : []
+  const normalized = BookSchemaV2.applyDefaults({
+    ...book,
+    source,
+    tags: [...new Set([...tags, source])],
+    readingStatus: BookSchemaV2.mapV1StatusToV2(book)
+  })
+  normalized.schemaVersion = BookSchemaV2.SCHEMA_VERSION
+  return normalized
+}
+
+/**
+ * 既有書籍套用新提取的資料：保留 tagIds、手動狀態與個人註記，進度變動時依自動轉換推進狀態
+ *
+ * 提取結果經 applyDefaults 後 authors / publisher 等為空值，若直接覆蓋會清掉書目補齊的結果，
+ * 而 metadataEnrichedAt 仍在使該書不再排入補齊佇列；故書目欄位只在提取到值且未經使用者編輯時才更新。
+ */
+function refreshExistingBook (existing, extracted) {
+  const { readingStatus, isManualStatus, tagIds, ...fields } = stripAnnotations(extracted)
+  Object.assign(fields, pickRetainedMetadata(existing, fields))
+  const transition = BookSchemaV2.computeAutoStatusTransition(existing, Number(fields.progress) || 0)
+  return {
+    ...existing,
+    ...fields,
+    tags: [...new Set([...(Array.isArray(existing.tags) ? existing.tags : []), ...fields.tags])],
+    ...(transition || {})
+  }
+}
+
+/**
+ * 將各書城的提取結果合併至書庫
+ *
+ * @param {Array<Object>} existingBooks - 目前書庫
+ * @param {Object<string, Array<Object>>} extractedBySource - 書城 → 提取到的書籍（僅含成功的書城）
+ * @returns {Array<Object>} 合併後的書庫；未提取的書城原樣保留
+ */
+function mergeExtractedBooks (existingBooks, extractedBySource) {
+  const refreshed = new Set(Object.keys(extractedBySource))
+  const existingById = new Map(existingBooks.map(book => [book.id, book]))
+  const kept = existingBooks.filter(book => !refreshed.has(bookSource(book)))
+  const incoming = []
+  for (const [source, books] of Object.entries(extractedBySource)) {
+    for (const raw of books) {
+      if (!raw || !raw.id) continue
+      const extracted = normalizeExtractedBook(raw, source)
+      const existing = existingById.get(extracted.id)
+      incoming.push(existing ? refreshExistingBook(existing, extracted) : extracted)
+    }
+  }
+  return [...kept, ...incoming]
+}
+
+function summarizeBook (book) {
+  return { id: book.id, title: book.title || book.id }
+}
+
+/**
+ * 比對合併前後的書庫：新購、進度變動與移除的書籍
+ *
+ * @param {Array<Object>} previousBooks
+ * @param {Array<Object>} nextBooks
+ * @returns {{ added: Array<Object>, progressChanged: Array<Object>, removed: Array<Object> }}
+ *   progressChanged 項目含 from / to
+ */
+function summarizeLibraryChanges (previousBooks, nextBooks) {
+  const previousById = new Map(previousBooks.map(book => [book.id, book]))
+  const nextIds = new Set(nextBooks.map(book => book.id))
+  const added = []
+  const progressChanged = []
+  for (const book of nextBooks) {
+    const previous = previousById.get(book.id)
+    if (!previous) {
+      added.push(summarizeBook(book))
+      continue
+    }
+    const from = Number(previous.progress) || 0
+    const to = Number(book.progress) || 0
+    if (from !== to) {
+      progressChanged.push({ ...summarizeBook(book), from, to })
+    }
+  }
+  const removed = previousBooks.filter(book => !nextIds.has(book.id)).map(summarizeBook)
+  return { added, progressChanged, removed }
+}
+
+/**
+ * 上次執行紀錄（書名清單截至 SUMMARY_TITLE_LIMIT，另存總數）
+ *
+ * @param {Object} changes - summarizeLibraryChanges 的結果
+ * @param {Array<{ platform: string, reason: string }>} failures
+ * @param {number} ranAt - 毫秒時間戳
+ * @returns {Object}
+ */
+function createLastRunRecord (changes, failures, ranAt) {
+  const entry = list => ({ count: list.length, books: list.slice(0, SUMMARY_TITLE_LIMIT) })
+  return {
+    ranAt,
+    added: entry(changes.added),
+    progressChanged: entry(changes.progressChanged),
+    removed: entry(changes.removed),
+    failures
+  }
+}
+
+const ScheduledRefreshSchema = {
+  SCHEDULED_REFRESH_KEYS,
+  SCHEDULED_REFRESH_ALARM,
+  SCHEDULED_REFRESH_INTERVALS,
+  DEFAULT_SCHEDULED_REFRESH_SETTINGS,
+  normalizeScheduledRefreshSettings,
+  mergeExtractedBooks,
+  summarizeLibraryChanges,
+  createLastRunRecord
+}
+
+module.exports = ScheduledRefreshSchema
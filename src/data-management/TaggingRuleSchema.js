@@ -0,0 +1,279 @@
+/**
+ * 自動標籤規則（Tagging Rule）資料結構、驗證與比對
+ *
+ * 一條規則由書籍欄位條件（書名、作者、出版社、書城、類型）與目標 tag 組成：
+ * 條件依 match（all = 全部符合 / any = 任一符合）判定，符合的書加上目標 tag。
+ * 規則只加 tag、不移除，已有的 tag 不重複加入；目標 tag 被刪除後該 id 於套用時略過。
+ *
+ * 啟用中的規則在提取（storeBookLibrary）與 JSON 匯入帶入新書時自動套用，
+ * 也可在總覽頁預覽每條規則會變動的書後手動重新套用（可復原）。
+ */
+
+const TAGGING_RULE_NAME_MAX_LENGTH = 50
+
+/** 單條規則的條件數上限 */
+const TAGGING_RULE_MAX_CONDITIONS = 10
+
+/** 條件值長度上限（含正規表示式） */
+const TAGGING_RULE_VALUE_MAX_LENGTH = 200
+
+const TAGGING_RULE_FIELDS = Object.freeze(['title', 'authors', 'publisher', 'source', 'type'])
+
+const TAGGING_RULE_OPERATORS = Object.freeze(['contains', 'equals', 'startsWith', 'regex'])
+
+const TAGGING_RULE_MATCH_MODES = Object.freeze(['all', 'any'])
+
+const TAGGING_RULE_ERROR_CODES = Object.freeze({
+  INVALID_NAME: 'invalid_name',
+  DUPLICATE_NAME: 'duplicate_name',
+  INVALID_CONDITION: 'invalid_condition',
+  INVALID_PATTERN: 'invalid_pattern',
+  NO_TARGET_TAGS: 'no_target_tags',
+  TAG_NOT_FOUND: 'tag_not_found',
+  NOT_FOUND: 'rule_not_found'
+})
+
+function pickAllowed (value, allowed, fallback) {
+  return allowed.includes(value) ? value : fallback
+}
+
+function normalizeTagIds (tagIds) {
+  return Array.isArray(tagIds) ? [...new Set(tagIds.filter(id => typeof id === 'string' && id))] : []
+}
+
+/**
+ * 建立正規表示式（不分大小寫）；語法錯誤回傳 null
+ *
+ * @param {string} pattern
+ * @returns {RegExp|null}
+ */
+function compilePattern (pattern) {
+  try {
+    return new RegExp(pattern, 'i')
+  } catch (err) {
+    return null
+  }
+}
+
+/**
+ * 正規化單一條件；欄位、運算子或值無效時回傳 null
+ *
+ * @param {Object} condition - { field, operator, value }
+ * @returns {{ field: string, operator: string, value: string }|null}
+ */
+function normalizeTaggingRuleCondition (condition) {
+  if (!condition || typeof condition !== 'object') return null
+  if (!TAGGING_RULE_FIELDS.includes(condition.field) || !TAGGING_RULE_OPERATORS.includes(condition.operator)) {
+    return null
+  }
+  const value = typeof condition.value === 'string' ? condition.value.trim() : ''
+  if (!value || value.length > TAGGING_RULE_VALUE_MAX_LENGTH) return null
+  return { field: condition.field, operator: condition.operator, value }
+}
+
+/**
+ * 正規化儲存中的規則；缺 id、名稱或有效條件時回傳 null
+ *
+ * @param {Object} rule
+ * @returns {Object|null} { id, name, enabled, match, conditions, tagIds, createdAt, updatedAt }
+ */
+function normalizeTaggingRule (rule) {
+  if (!rule || typeof rule !== 'object' || typeof rule.id !== 'string' || !rule.id) return null
+  const name = typeof rule.name === 'string' ? rule.name.trim().slice(0, TAGGING_RULE_NAME_MAX_LENGTH) : ''
+  const conditions = (Array.isArray(rule.conditions) ? rule.conditions : [])
+    .map(normalizeTaggingRuleCondition)
+    .filter(Boolean)
+    .slice(0, TAGGING_RULE_MAX_CONDITIONS)
+  if (!name || conditions.length === 0) return null
+  return {
+    id: rule.id,
+    name,
+    enabled: rule.enabled !== false,
+    match: pickAllowed(rule.match, TAGGING_RULE_MATCH_MODES, 'all'),
+    conditions,
+    tagIds: normalizeTagIds(rule.tagIds),
+    createdAt: rule.createdAt || null,
+    updatedAt: rule.updatedAt || rule.createdAt || null
+  }
+}
+
+/**
+ * 嚴格驗證使用者編輯的規則內容（名稱唯一性與 tag 是否存在由 adapter 檢查）
+ *
+ * @param {Object} input - { name, enabled?, match?, conditions, tagIds }
+ * @returns {{ valid: true, rule: Object } | { valid: false, error: string }}
+ *   rule 為 { name, enabled, match, conditions, tagIds }
+ */
+function validateTaggingRuleInput (input) {
+  const source = input && typeof input === 'object' ? input : {}
+  const name = typeof source.name === 'string' ? source.name.trim() : ''
+  if (!name || name.length > TAGGING_RULE_NAME_MAX_LENGTH) {
+    return { valid: false, error: TAGGING_RULE_ERROR_CODES.INVALID_NAME }
+  }
+
+  const rawConditions = Array.isArray(source.conditions) ? source.conditions : []
+  if (rawConditions.length === 0 || rawConditions.length > TAGGING_RULE_MAX_CONDITIONS) {
+    return { valid: false, error: TAGGING_RULE_ERROR_CODES.INVALID_CONDITION }
+  }
+  const conditions = []
+  for (const raw of rawConditions) {
+    const condition = normalizeTaggingRuleCondition(raw)
+    if (!condition) return { valid: false, error: TAGGING_RULE_ERROR_CODES.INVALID_CONDITION }
+    if (condition.operator === 'regex' && !compilePattern(condition.value)) {
+      return { valid: false, error: TAGGING_RULE_ERROR_CODES.INVALID_PATTERN }
+    }
+    conditions.push(condition)
+  }
+
+  const tagIds = normalizeTagIds(source.tagIds)
+  if (tagIds.length === 0) {
+    return { valid: false, error: TAGGING_RULE_ERROR_CODES.NO_TARGET_TAGS }
+  }
+
+  return {
+    valid: true,
+    rule: {
+      name,
+      enabled: source.enabled !== false,
+      match: pickAllowed(source.match, TAGGING_RULE_MATCH_MODES, 'all'),
+      conditions,
+      tagIds
+    }
+  }
+}
+
+/**
+ * 取得書籍欄位的比對值（作者為多值；舊資料只有 author 字串時以其代替）
+ *
+ * @param {Object} book
+ * @param {string} field
+ * @returns {string[]}
+ */
+function getFieldValues (book, field) {
+  if (field === 'authors') {
+    const authors = Array.isArray(book.authors) && book.authors.length > 0 ? book.authors : [book.author]
+    return authors.filter(author => typeof author === 'string' && author.trim())
+  }
+  const value = book[field]
+  return typeof value === 'string' && value.trim() ? [value] : []
+}
+
+function compileCondition (condition) {
+  const expected = condition.value.toLowerCase()
+  switch (condition.operator) {
+    case 'equals':
+      return value => value.trim().toLowerCase() === expected
+    case 'startsWith':
+      return value => value.trim().toLowerCase().startsWith(expected)
+    case 'regex': {
+      const pattern = compilePattern(condition.value)
+      return pattern ? value => pattern.test(value) : () => false
+    }
+    default:
+      return value => value.toLowerCase().includes(expected)
+  }
+}
+
+/**
+ * 將規則編譯為書籍判定函式（字串比對不分大小寫，正規表示式語法錯誤的條件永不成立）
+ *
+ * @param {Object} rule - 已正規化的規則
+ * @returns {Function} (book) => boolean
+ */
+function compileTaggingRule (rule) {
+  const tests = rule.conditions.map(condition => {
+    const test = compileCondition(condition)
+    return book => getFieldValues(book, condition.field).some(test)
+  })
+  return rule.match === 'any'
+    ? book => tests.some(test => test(book))
+    : book => tests.every(test => test(book))
+}
+
+/**
+ * 計算規則套用結果（純函式，不修改書籍）
+ *
+ * @param {Array<Object>} books
+ * @param {Array<Object>} rules - 依序套用；無效規則略過
+ * @param {Object} [options]
+ * @param {Set<string>} [options.existingTagIds] - 提供時略過不存在的目標 tag
+ * @returns {{ rules: Array<{ ruleId: string, bookIds: string[] }>, additions: Map<string, string[]> }}
+ *   rules[].bookIds 為該規則會新增 tag 的書；additions 為每本書合計要新增的 tag id
+ */
+function planTaggingRules (books, rules, options = {}) {
+  const { existingTagIds } = options
+  const additions = new Map()
+  const plannedRules = []
+
+  ;(Array.isArray(rules) ? rules : []).map(normalizeTaggingRule).filter(Boolean).forEach(rule => {
+    const tagIds = existingTagIds ? rule.tagIds.filter(id => existingTagIds.has(id)) : rule.tagIds
+    const bookIds = []
+    if (tagIds.length > 0) {
+      const matches = compileTaggingRule(rule)
+      ;(Array.isArray(books) ? books : []).forEach(book => {
+        if (!book || typeof book !== 'object' || !book.id || !matches(book)) return
+        const current = Array.isArray(book.tagIds) ? book.tagIds : []
+        const missing = tagIds.filter(id => !current.includes(id))
+        if (missing.length === 0) return
+        bookIds.push(book.id)
+        additions.set(book.id, [...new Set([...(additions.get(book.id) || []), ...missing])])
+      })
+    }
+    plannedRules.push({ ruleId: rule.id, bookIds })
+  })
+
+  return { rules: plannedRules, additions }
+}
+
+/**
+ * 將 planTaggingRules 的新增 tag 寫入書籍（就地修改）
+ *
+ * @param {Object} book
+ * @param {Map<string, string[]>} additions
+ * @returns {boolean} 是否有變動
+ */
+function applyTagAdditions (book, additions) {
+  const adding = additions.get(book.id)
+  if (!adding) return false
+  const current = Array.isArray(book.tagIds) ? book.tagIds : []
+  const added = adding.filter(id => !current.includes(id))
+  if (added.length === 0) return false
+  book.tagIds = [...current, ...added]
+  return true
+}
+
+/**
+ * 以 tagIdMap（舊 tag id → 新 tag id）重映射規則目標 tag，回傳是否有變動
+ *
+ * @param {Array<Object>} rules - 就地修改
+ * @param {Map<string, string>} tagIdMap
+ * @returns {boolean}
+ */
+function remapTaggingRuleTags (rules, tagIdMap) {
+  let changed = false
+  rules.forEach(rule => {
+    if (!rule.tagIds.some(id => tagIdMap.has(id))) return
+    rule.tagIds = [...new Set(rule.tagIds.map(id => tagIdMap.get(id) || id))]
+    changed = true
+  })
+  return changed
+}
+
+const TaggingRuleSchema = {
+  TAGGING_RULE_NAME_MAX_LENGTH,
+  TAGGING_RULE_MAX_CONDITIONS,
+  TAGGING_RULE_VALUE_MAX_LENGTH,
+  TAGGING_RULE_FIELDS,
+  TAGGING_RULE_OPERATORS,
+  TAGGING_RULE_MATCH_MODES,
+  TAGGING_RULE_ERROR_CODES,
+  normalizeTaggingRuleCondition,
+  normalizeTaggingRule,
+  validateTaggingRuleInput,
+  compileTaggingRule,
+  planTaggingRules,
+  applyTagAdditions,
+  remapTaggingRuleTags
+}
+
+module.exports = TaggingRuleSchema
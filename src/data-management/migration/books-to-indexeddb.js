@@ -0,0 +1,104 @@
+/**
+ * Storage Migration readmoo_books（chrome.storage.local）→ IndexedDB
+ *
+ * 需求：書庫單一 blob 受 chrome.storage.local 5MB 配額限制，且每次 tag 變更都需整包重寫；
+ * 遷移後書籍逐筆存於 IndexedDBBookStore，readmoo_books 只保留 header。
+ *
+ * 遷移步驟（依序）：
+ * 1. 讀取 IndexedDB meta 遷移標記，已存在 → 跳過匯入；若 readmoo_books 仍為舊 blob（header 未寫成，
+ *    或不認得 IndexedDB 的舊版程式碼又寫回整包），先將 blob 中書庫沒有的書補入，再改寫為 header
+ * 2. 讀取 readmoo_books（陣列或 { books: [...] }），略過缺 id 的書
+ * 3. 單一 IndexedDB transaction 寫入全部書籍與遷移標記
+ * 4. readmoo_books 改寫為 header（保留 extractionTimestamp 等欄位，移除 books）
+ *
+ * 失敗處理：
+ * - 步驟 3 失敗 → transaction abort，IndexedDB 無殘留，readmoo_books 未動，下次重試
+ * - 步驟 4 失敗 → 書籍已在 IndexedDB，下次執行由步驟 1 補寫 header
+ * - 步驟 1 補入時，書庫已有的 id 保留書庫版本（遷移後的編輯不被舊 blob 覆蓋）；
+ *   補入失敗則 readmoo_books 不動，下次重試
+ * 原始資料在 IndexedDB commit 前不會被改動，故不需另建 backup key。
+ *
+ * 冪等：多個頁面（popup / overview / background）同時觸發時，標記檢查與寫入位於同一
+ * transaction，只有一方會實際寫入。
+ */
+
+const { createLibraryHeader, isLibraryHeader } = require('../../storage/adapters/indexeddb-book-store')
+
+const MIGRATION_MARKER_KEY = 'legacy_migration'
+const LEGACY_BOOKS_KEY = 'readmoo_books'
+
+/**
+ * 取出舊紀錄中的書籍陣列
+ *
+ * @param {Array|Object|null} record
+ * @returns {Array}
+ */
+function extractLegacyBooks (record) {
+  if (Array.isArray(record)) return record
+  if (record && Array.isArray(record.books)) return record.books
+  return []
+}
+
+/**
+ * 取出舊紀錄中具有效 id 的書籍，缺 id 的書記錄警告後略過
+ *
+ * @param {Array|Object|null} record
+ * @param {object} logger
+ * @returns {Array}
+ */
+function extractImportableBooks (record, logger) {
+  return extractLegacyBooks(record).filter(book => {
+    if (book && (typeof book.id === 'string' || typeof book.id === 'number') && book.id !== '') return true
+    logger.warn(`書籍缺少 id，跳過: ${JSON.stringify(book)}`)
+    return false
+  })
+}
+
+/**
+ * 主遷移函式
+ *
+ * @param {object} storage - Chrome Storage API（get/set，Promise 形式）
+ * @param {IndexedDBBookStore} bookStore
+ * @param {object} logger - 日誌記錄器（info/warn/error）
+ * @returns {Promise<{migrated: boolean, bookCount?: number, mergedCount?: number, reason?: string, error?: string}>}
+ */
+async function migrateBooksToIndexedDB (storage, bookStore, logger) {
+  try {
+    const storageData = (await storage.get([LEGACY_BOOKS_KEY])) || {}
+    const record = storageData[LEGACY_BOOKS_KEY] || null
+
+    const marker = await bookStore.getMeta(MIGRATION_MARKER_KEY)
+    if (marker) {
+      if (record && !isLibraryHeader(record)) {
+        const mergedCount = await bookStore.addMissingBooks(extractImportableBooks(record, logger))
+        await storage.set({ [LEGACY_BOOKS_KEY]: createLibraryHeader(record, await bookStore.countBooks()) })
+        logger.warn(`IndexedDB 遷移已完成，補入舊 blob 中 ${mergedCount} 本書並補寫 readmoo_books header`)
+        return { migrated: false, reason: 'already_migrated', mergedCount }
+      }
+      return { migrated: false, reason: 'already_migrated' }
+    }
+
+    const books = extractImportableBooks(record, logger)
+
+    const imported = await bookStore.importLegacyBooks(books, MIGRATION_MARKER_KEY, {
+      migratedAt: new Date().toISOString(),
+      bookCount: books.length
+    })
+    if (!imported) {
+      return { migrated: false, reason: 'already_migrated' }
+    }
+
+    await storage.set({ [LEGACY_BOOKS_KEY]: createLibraryHeader(record, books.length) })
+    logger.info(`IndexedDB 遷移完成：${books.length} 本書`)
+    return { migrated: true, bookCount: books.length }
+  } catch (migrationError) {
+    logger.error(`IndexedDB 遷移失敗: ${migrationError.message}`)
+    return { migrated: false, error: migrationError.message }
+  }
+}
+
+module.exports = {
+  migrateBooksToIndexedDB,
+  extractLegacyBooks,
+  MIGRATION_MARKER_KEY
+}
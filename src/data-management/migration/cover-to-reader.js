@@ -20,15 +20,21 @@
  * 流程（仿 v1-to-v2.js）：
  *   1. 備份 readmoo_books → migration_backup_v3_1
  *   2. 套用合併規則（純函式 transformBooks）
- *   3. 寫入 readmoo_books + schema_version='3.1.0'
+ *   3. 寫回書籍 + schema_version='3.1.0'
  *   4. 任一階段失敗 → 從 backup 還原
  *
+ * readmoo_books 可為陣列、{ books } 或 IndexedDB header；header 時書籍經 getBookStore 取得的
+ * store 讀寫（見 library-books.js），id 改變的書刪除舊 id 後寫入新 id，失敗時 store 一併還原。
+ *
  * 範圍邊界：
  * - 本 module 僅實作 cover→reader id 轉換 + 4 個案例合併
  * - 不處理 cross-device sync conflict（case 5）
  * - 不變更 UI 標記呈現方式（屬後續 W6-012.5 UI ticket）
  */
 
+const { isSchemaVersionAtLeast } = require('./schema-version')
+const { loadLibraryBooks, saveLibraryBooks, restoreLibraryBooks } = require('./library-books')
+
 const TARGET_SCHEMA_VERSION = '3.1.0'
 const BACKUP_KEY = 'migration_backup_v3_1'
 const COVER_PREFIX = 'cover-'
@@ -217,11 +223,11 @@ function transformBooks (books, logger) {
 }
 
 /**
- * 備份原始書籍資料至 BACKUP_KEY
+ * 備份原始 readmoo_books 至 BACKUP_KEY
  */
-async function createBackup (storage, books, logger) {
+async function createBackup (storage, record, logger) {
   try {
-    await storage.set({ [BACKUP_KEY]: { readmoo_books: books } })
+    await storage.set({ [BACKUP_KEY]: { readmoo_books: record } })
     return { success: true }
   } catch (backupError) {
     const isQuotaError = backupError.message &&
@@ -254,34 +260,44 @@ async function rollbackMigration (storage, logger) {
  *
  * @param {object} storage - Chrome Storage API（get/set/remove）
  * @param {object} logger
+ * @param {object} [options]
+ * @param {Function} [options.getBookStore] - () => Promise<IndexedDBBookStore|null>，readmoo_books 為 header 時使用
  * @returns {Promise<{migrated: boolean, error?: string, stats?: object, reason?: string}>}
  */
-async function migrateCoverToReader (storage, logger) {
+async function migrateCoverToReader (storage, logger, options = {}) {
   logger.info('開始 Schema Migration cover-XXX → reader-XXX (3.1.0)')
 
   const storageData = await storage.get(['schema_version', 'readmoo_books'])
   const currentVersion = storageData.schema_version
 
-  if (currentVersion === TARGET_SCHEMA_VERSION) {
-    logger.info(`cover-to-reader 已完成 (schema_version=${TARGET_SCHEMA_VERSION})，跳過`)
+  if (isSchemaVersionAtLeast(currentVersion, TARGET_SCHEMA_VERSION)) {
+    logger.info(`cover-to-reader 已完成 (schema_version=${currentVersion})，跳過`)
     return { migrated: false, reason: 'already_migrated' }
   }
 
-  const books = storageData.readmoo_books || []
-  if (books.length === 0) {
+  const record = storageData.readmoo_books
+  let library
+  try {
+    library = await loadLibraryBooks(record, options.getBookStore)
+  } catch (loadError) {
+    logger.error(`cover-to-reader 無法讀取書庫: ${loadError.message}`)
+    return { migrated: false, error: loadError.message }
+  }
+
+  if (library.books.length === 0) {
     await storage.set({ schema_version: TARGET_SCHEMA_VERSION })
     logger.info('空書庫，直接升至 3.1.0')
     return { migrated: true, stats: { migrated: 0, manualReview: 0, duplicates: 0, unchanged: 0 } }
   }
 
-  const backupResult = await createBackup(storage, books, logger)
+  const backupResult = await createBackup(storage, record, logger)
   if (!backupResult.success) {
     return { migrated: false, error: backupResult.error }
   }
 
   try {
-    const { books: transformed, stats } = transformBooks(books, logger)
-    await storage.set({ readmoo_books: transformed })
+    const { books: transformed, stats } = transformBooks(library.books, logger)
+    await saveLibraryBooks(storage, library, transformed)
     await storage.set({ schema_version: TARGET_SCHEMA_VERSION })
     await storage.remove([BACKUP_KEY])
 
@@ -294,6 +310,7 @@ async function migrateCoverToReader (storage, logger) {
   } catch (migrationError) {
     logger.error(`cover-to-reader 失敗: ${migrationError.message}`)
     try {
+      await restoreLibraryBooks(library)
       await rollbackMigration(storage, logger)
     } catch (rollbackError) {
       logger.error(`回滾失敗: ${rollbackError.message}`)
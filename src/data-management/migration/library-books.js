@@ -0,0 +1,82 @@
+/**
+ * Schema migration step 共用的書庫讀寫
+ *
+ * 需求：書庫遷移至 IndexedDB 後 readmoo_books 只剩 header（見 books-to-indexeddb.js），
+ * 各 schema step 不能再把 readmoo_books 當成書籍陣列讀寫，否則 header 狀態下書籍不會被轉換。
+ *
+ * 兩種後端：
+ * - 內嵌：readmoo_books 為陣列或 { books }，寫回時保持原始結構；
+ *   備份與回滾沿用各 step 的 backup key
+ * - IndexedDB：書籍經 getBookStore() 取得的 store 讀寫，只寫入有變動的書並刪除轉換後
+ *   不再存在的 id（單一 transaction，失敗整批 abort）；readmoo_books 改寫為新的 header。
+ *   後續步驟失敗時由 restoreLibraryBooks 寫回讀取時的書籍（不另建 backup key，避免整個書庫寫進 chrome.storage）
+ */
+
+const { createLibraryHeader, isLibraryHeader } = require('../../storage/adapters/indexeddb-book-store')
+const { extractLegacyBooks } = require('./books-to-indexeddb')
+
+/**
+ * 讀取書庫
+ *
+ * @param {Array|Object|null} record - readmoo_books 紀錄
+ * @param {Function} [getBookStore] - () => Promise<IndexedDBBookStore|null>
+ * @returns {Promise<{record: Array|Object|null, books: Array, store: IndexedDBBookStore|null}>}
+ * @throws {Error} record 為 header 但無法開啟 store（不可只升版本號而略過書籍）
+ */
+async function loadLibraryBooks (record, getBookStore) {
+  if (!isLibraryHeader(record)) {
+    return { record, books: extractLegacyBooks(record), store: null }
+  }
+  const store = typeof getBookStore === 'function' ? await getBookStore() : null
+  if (!store) {
+    throw new Error('書庫已遷移至 IndexedDB，但目前無法開啟')
+  }
+  return { record, books: await store.getAllBooks(), store }
+}
+
+/**
+ * 以 toBooks 為目標，寫入與 fromBooks 不同的書並刪除不在 toBooks 中的 id
+ */
+async function applyBookDiff (store, fromBooks, toBooks) {
+  const current = new Map(fromBooks.map(book => [book.id, JSON.stringify(book)]))
+  const nextIds = new Set(toBooks.map(book => book.id))
+  const changed = toBooks.filter(book => current.get(book.id) !== JSON.stringify(book))
+  const deletedIds = [...current.keys()].filter(id => !nextIds.has(id))
+  await store.applyBookChanges(changed, deletedIds)
+}
+
+/**
+ * 寫回轉換後的書籍
+ *
+ * @param {object} storage - Chrome Storage API
+ * @param {{record: Array|Object|null, books: Array, store: IndexedDBBookStore|null}} library - loadLibraryBooks 的結果
+ * @param {Array} books - 轉換後的書籍
+ * @returns {Promise<void>}
+ */
+async function saveLibraryBooks (storage, library, books) {
+  const { record, store } = library
+  if (!store) {
+    const isBooksRecord = record && !Array.isArray(record) && typeof record === 'object'
+    await storage.set({ readmoo_books: isBooksRecord ? { ...record, books } : books })
+    return
+  }
+  await applyBookDiff(store, library.books, books)
+  await storage.set({ readmoo_books: createLibraryHeader(record, books.length) })
+}
+
+/**
+ * 將 IndexedDB 書庫還原為讀取時的狀態（內嵌後端由各 step 的 backup 還原，此處不動作）
+ *
+ * @param {{books: Array, store: IndexedDBBookStore|null}} library
+ * @returns {Promise<void>}
+ */
+async function restoreLibraryBooks (library) {
+  if (!library || !library.store) return
+  await applyBookDiff(library.store, await library.store.getAllBooks(), library.books)
+}
+
+module.exports = {
+  loadLibraryBooks,
+  saveLibraryBooks,
+  restoreLibraryBooks
+}
@@ -0,0 +1,49 @@
+/**
+ * storage schema_version 比較工具（供各 migration step 判斷是否已套用）
+ *
+ * MigrationService 依序執行全部 step，每個 step 須把「已達或超過自身目標版本」
+ * 視為已完成；只比對是否等於目標版本時，較新的 schema 會被舊 step 重新遷移。
+ */
+
+const SEMVER_PATTERN = /^\d+\.\d+\.\d+$/
+
+/**
+ * @param {*} version
+ * @returns {boolean} 是否為 x.y.z 格式
+ */
+function isValidSchemaVersion (version) {
+  return typeof version === 'string' && SEMVER_PATTERN.test(version)
+}
+
+/**
+ * 比較兩個 x.y.z 版本字串
+ *
+ * @param {string} a
+ * @param {string} b
+ * @returns {number} a < b 為負、相等為 0、a > b 為正
+ */
+function compareSchemaVersions (a, b) {
+  const left = a.split('.').map(Number)
+  const right = b.split('.').map(Number)
+  for (let i = 0; i < 3; i++) {
+    if (left[i] !== right[i]) return left[i] - right[i]
+  }
+  return 0
+}
+
+/**
+ * storage 的 schema_version 是否已達目標版本（格式無效或未設定視為未達）
+ *
+ * @param {*} version - storage 中的 schema_version
+ * @param {string} target
+ * @returns {boolean}
+ */
+function isSchemaVersionAtLeast (version, target) {
+  return isValidSchemaVersion(version) && compareSchemaVersions(version, target) >= 0
+}
+
+module.exports = {
+  isValidSchemaVersion,
+  compareSchemaVersions,
+  isSchemaVersionAtLeast
+}
@@ -16,12 +16,17 @@
  * - 單本書失敗 → 跳過繼續
  * - 寫入失敗 → 從 backup 還原
  * - 配額不足 → 中止遷移
+ *
+ * readmoo_books 可為陣列、{ books } 或 IndexedDB header；header 時書籍經 getBookStore 取得的
+ * store 讀寫（見 library-books.js），寫入失敗時 store 內的書籍一併還原。
  */
 
-const { mapV1StatusToV2, normalizeV1Progress, SCHEMA_VERSION } = require('../BookSchemaV2')
+const { mapV1StatusToV2, normalizeV1Progress } = require('../BookSchemaV2')
+const { isValidSchemaVersion, isSchemaVersionAtLeast } = require('./schema-version')
+const { loadLibraryBooks, saveLibraryBooks, restoreLibraryBooks } = require('./library-books')
 
-const TARGET_SCHEMA_VERSION = SCHEMA_VERSION
-const SEMVER_PATTERN = /^\d+\.\d+\.\d+$/
+// 本 step 的目標版本固定為 3.0.0；BookSchemaV2.SCHEMA_VERSION 之後的升版由後續 step 負責
+const TARGET_SCHEMA_VERSION = '3.0.0'
 
 /**
  * 預設 tag 分類資料
@@ -111,7 +116,7 @@ function migrateBook (book) {
  * 判斷是否需要執行遷移
  *
  * 需求：
- * - schema_version === '3.0.0' → 跳過
+ * - schema_version >= '3.0.0'（含後續 step 寫入的 3.1.0、4.0.0）→ 跳過
  * - 其他任何值（null, '2.0.0', 未知, 無效格式）→ 觸發遷移
  *
  * @param {string|null|undefined} schemaVersion
@@ -119,12 +124,12 @@ function migrateBook (book) {
  * @returns {{shouldMigrate: boolean, reason: string}}
  */
 function checkMigrationNeeded (schemaVersion, logger) {
-  if (schemaVersion === TARGET_SCHEMA_VERSION) {
+  if (isSchemaVersionAtLeast(schemaVersion, TARGET_SCHEMA_VERSION)) {
     return { shouldMigrate: false, reason: 'already_migrated' }
   }
 
   if (schemaVersion !== null && schemaVersion !== undefined) {
-    if (!SEMVER_PATTERN.test(schemaVersion)) {
+    if (!isValidSchemaVersion(schemaVersion)) {
       logger.error(`schema_version 格式無效: ${schemaVersion}`)
     } else if (schemaVersion !== '2.0.0') {
       logger.warn(`未知版本: ${schemaVersion}，將嘗試遷移`)
@@ -165,13 +170,13 @@ async function rollbackMigration (storage, logger) {
  * 備份原始書籍資料至 migration_backup
  *
  * @param {object} storage - Chrome Storage API
- * @param {Array} books - 原始書籍陣列
+ * @param {Array|Object} record - 原始 readmoo_books（書籍陣列、{ books } 或 IndexedDB header）
  * @param {object} logger
  * @returns {Promise<{success: boolean, error?: string}>}
  */
-async function createBackup (storage, books, logger) {
+async function createBackup (storage, record, logger) {
   try {
-    await storage.set({ migration_backup: { readmoo_books: books } })
+    await storage.set({ migration_backup: { readmoo_books: record } })
     return { success: true }
   } catch (backupError) {
     const isQuotaError = backupError.message &&
@@ -220,9 +225,10 @@ function convertBooks (books, logger) {
  *
  * @param {Error} migrationError - 遷移過程中的錯誤
  * @param {object} storage
+ * @param {object} library - loadLibraryBooks 的結果（IndexedDB 書庫一併還原）
  * @param {object} logger
  */
-async function handleMigrationError (migrationError, storage, logger) {
+async function handleMigrationError (migrationError, storage, library, logger) {
   const isQuotaError = migrationError.message &&
     migrationError.message.includes('QUOTA_BYTES')
   logger.error(isQuotaError
@@ -230,6 +236,7 @@ async function handleMigrationError (migrationError, storage, logger) {
     : `遷移失敗: ${migrationError.message}`)
 
   try {
+    await restoreLibraryBooks(library)
     await rollbackMigration(storage, logger)
   } catch (rollbackError) {
     logger.error(`回滾失敗: ${rollbackError.message}`)
@@ -243,9 +250,11 @@ async function handleMigrationError (migrationError, storage, logger) {
  *
  * @param {object} storage - Chrome Storage API（get/set/remove）
  * @param {object} logger - 日誌記錄器（info/warn/error/debug）
+ * @param {object} [options]
+ * @param {Function} [options.getBookStore] - () => Promise<IndexedDBBookStore|null>，readmoo_books 為 header 時使用
  * @returns {Promise<{migrated: boolean, error?: string, reason?: string}>}
  */
-async function migrateV1ToV2 (storage, logger) {
+async function migrateV1ToV2 (storage, logger, options = {}) {
   logger.info('開始 Schema Migration v1 → v2')
 
   const storageData = await storage.get(['schema_version', 'readmoo_books'])
@@ -259,9 +268,16 @@ async function migrateV1ToV2 (storage, logger) {
     return { migrated: false, reason }
   }
 
-  const books = storageData.readmoo_books || []
+  const record = storageData.readmoo_books || []
+  let library
+  try {
+    library = await loadLibraryBooks(record, options.getBookStore)
+  } catch (loadError) {
+    logger.error(`無法讀取書庫: ${loadError.message}`)
+    return { migrated: false, error: loadError.message }
+  }
 
-  const backupResult = await createBackup(storage, books, logger)
+  const backupResult = await createBackup(storage, record, logger)
   if (!backupResult.success) {
     return { migrated: false, error: backupResult.error }
   }
@@ -270,15 +286,15 @@ async function migrateV1ToV2 (storage, logger) {
     await storage.set({ tag_categories: DEFAULT_TAG_CATEGORIES })
     await storage.set({ tags: [] })
 
-    const migratedBooks = convertBooks(books, logger)
-    await storage.set({ readmoo_books: migratedBooks })
+    const migratedBooks = convertBooks(library.books, logger)
+    await saveLibraryBooks(storage, library, migratedBooks)
     await storage.set({ schema_version: TARGET_SCHEMA_VERSION })
     await storage.remove(['migration_backup'])
 
     logger.info(`遷移完成：${migratedBooks.length} 本書已轉換`)
     return { migrated: true }
   } catch (migrationError) {
-    await handleMigrationError(migrationError, storage, logger)
+    await handleMigrationError(migrationError, storage, library, logger)
     return { migrated: false, error: migrationError.message }
   }
 }
@@ -0,0 +1,174 @@
+/**
+ * Schema Migration 3.x → 4.0.0（Personal Annotations）
+ *
+ * 需求：schema 4.0.0 新增使用者註記欄位 rating / notes / startedAt / finishedAt
+ * （見 BookAnnotationSchema）。舊書籍本來就沒有這些欄位，遷移只需整理既有的同名殘值：
+ * - v1 提取流程（data-processing-service.normalizeRating）會寫入 rating: 0 或非整數評分
+ * - 舊版匯入可能帶入非字串 notes、非 yyyy-mm-dd 日期
+ * - 閱讀服務 CSV 匯入曾把讀完日期寫在 schema 外的 dateRead，改存為 finishedAt
+ * 無效值移除、有效值正規化，並將書籍的 schemaVersion 標記更新為 4.0.0。
+ *
+ * 流程（仿 cover-to-reader.js）：
+ *   1. 備份 readmoo_books → migration_backup_v4
+ *   2. 整理每本書的註記欄位（純函式 transformBooks）
+ *   3. 寫回書籍 + schema_version='4.0.0'
+ *   4. 任一階段失敗 → 從 backup 還原
+ *
+ * 書庫已遷移至 IndexedDB 時 readmoo_books 只是 header，書籍經 getBookStore 取得的 store
+ * 讀寫（見 library-books.js），失敗時 store 內的書籍一併還原；無法開啟 store 時不升版本號，下次重試。
+ */
+
+const {
+  ANNOTATION_FIELDS,
+  pickAnnotations,
+  stripAnnotations,
+  sanitizeAnnotations
+} = require('../BookAnnotationSchema')
+const { isSchemaVersionAtLeast } = require('./schema-version')
+const { loadLibraryBooks, saveLibraryBooks, restoreLibraryBooks } = require('./library-books')
+
+const TARGET_SCHEMA_VERSION = '4.0.0'
+const BACKUP_KEY = 'migration_backup_v4'
+
+/**
+ * 整理單本書的註記欄位
+ *
+ * @returns {{ book: object, cleaned: boolean }} cleaned 表示有欄位被移除或改寫
+ */
+function migrateBookAnnotations (book) {
+  const before = pickAnnotations(book)
+  const hasDateRead = book.dateRead !== undefined
+  const annotations = sanitizeAnnotations(
+    hasDateRead && before.finishedAt === undefined ? { ...before, finishedAt: book.dateRead } : before
+  )
+  const cleaned = hasDateRead || ANNOTATION_FIELDS.some(field => before[field] !== annotations[field])
+  const migrated = cleaned ? { ...stripAnnotations(book), ...annotations } : { ...book }
+  delete migrated.dateRead
+  if (migrated.schemaVersion !== undefined) {
+    migrated.schemaVersion = TARGET_SCHEMA_VERSION
+  }
+  return { book: migrated, cleaned }
+}
+
+/**
+ * 核心轉換邏輯（純函式，無 IO）
+ *
+ * @param {Array<object>} books
+ * @param {object} logger
+ * @returns {{books: Array<object>, stats: {cleaned: number, unchanged: number}}}
+ */
+function transformBooks (books, logger) {
+  const stats = { cleaned: 0, unchanged: 0 }
+  const result = []
+  for (const book of books) {
+    if (book === null || typeof book !== 'object') {
+      logger.warn('跳過非物件書籍')
+      continue
+    }
+    const { book: migrated, cleaned } = migrateBookAnnotations(book)
+    if (cleaned) stats.cleaned++
+    else stats.unchanged++
+    result.push(migrated)
+  }
+  return { books: result, stats }
+}
+
+/**
+ * 備份原始 readmoo_books 至 BACKUP_KEY
+ */
+async function createBackup (storage, record, logger) {
+  try {
+    await storage.set({ [BACKUP_KEY]: { readmoo_books: record } })
+    return { success: true }
+  } catch (backupError) {
+    const isQuotaError = backupError.message &&
+      backupError.message.includes('QUOTA_BYTES')
+    logger.error(isQuotaError
+      ? `配額不足: ${backupError.message}`
+      : `備份失敗: ${backupError.message}`)
+    return { success: false, error: backupError.message }
+  }
+}
+
+/**
+ * 從備份還原資料（任何階段失敗時呼叫）
+ */
+async function rollbackMigration (storage, logger) {
+  const backupData = await storage.get([BACKUP_KEY])
+  const backup = backupData[BACKUP_KEY]
+  if (!backup) {
+    logger.warn(`回滾失敗：找不到 ${BACKUP_KEY}`)
+    return { restored: false, reason: 'no_backup' }
+  }
+  await storage.set({ readmoo_books: backup.readmoo_books })
+  await storage.remove([BACKUP_KEY])
+  logger.info('v3-to-v4 回滾成功：已從 backup 還原')
+  return { restored: true }
+}
+
+/**
+ * 主遷移函式：3.x → 4.0.0
+ *
+ * @param {object} storage - Chrome Storage API（get/set/remove）
+ * @param {object} logger
+ * @param {object} [options]
+ * @param {Function} [options.getBookStore] - () => Promise<IndexedDBBookStore|null>，readmoo_books 為 header 時使用
+ * @returns {Promise<{migrated: boolean, error?: string, stats?: object, reason?: string}>}
+ */
+async function migrateV3ToV4 (storage, logger, options = {}) {
+  logger.info('開始 Schema Migration 3.x → 4.0.0（個人註記）')
+
+  const storageData = await storage.get(['schema_version', 'readmoo_books'])
+  const currentVersion = storageData.schema_version
+
+  if (isSchemaVersionAtLeast(currentVersion, TARGET_SCHEMA_VERSION)) {
+    logger.info(`v3-to-v4 已完成 (schema_version=${currentVersion})，跳過`)
+    return { migrated: false, reason: 'already_migrated' }
+  }
+
+  const record = storageData.readmoo_books
+  let library
+  try {
+    library = await loadLibraryBooks(record, options.getBookStore)
+  } catch (loadError) {
+    logger.error(`v3-to-v4 無法讀取書庫: ${loadError.message}`)
+    return { migrated: false, error: loadError.message }
+  }
+
+  if (library.books.length === 0) {
+    await storage.set({ schema_version: TARGET_SCHEMA_VERSION })
+    logger.info('空書庫，直接升至 4.0.0')
+    return { migrated: true, stats: { cleaned: 0, unchanged: 0 } }
+  }
+
+  const backupResult = await createBackup(storage, record, logger)
+  if (!backupResult.success) {
+    return { migrated: false, error: backupResult.error }
+  }
+
+  try {
+    const { books: transformed, stats } = transformBooks(library.books, logger)
+    await saveLibraryBooks(storage, library, transformed)
+    await storage.set({ schema_version: TARGET_SCHEMA_VERSION })
+    await storage.remove([BACKUP_KEY])
+
+    logger.info(`v3-to-v4 完成：cleaned=${stats.cleaned} unchanged=${stats.unchanged}`)
+    return { migrated: true, stats }
+  } catch (migrationError) {
+    logger.error(`v3-to-v4 失敗: ${migrationError.message}`)
+    try {
+      await restoreLibraryBooks(library)
+      await rollbackMigration(storage, logger)
+    } catch (rollbackError) {
+      logger.error(`回滾失敗: ${rollbackError.message}`)
+    }
+    return { migrated: false, error: migrationError.message }
+  }
+}
+
+module.exports = {
+  migrateV3ToV4,
+  transformBooks,
+  rollbackMigration,
+  TARGET_SCHEMA_VERSION
+}
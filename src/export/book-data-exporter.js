@@ -25,9 +25,22 @@
  */
 
 // 常數定義 - 分層組織架構
-const ErrorCodes = require('src/core/errors/ErrorCodes')
+const { ErrorCodes } = require('src/core/errors/ErrorCodes')
 // book-interchange-v1 canonical write 映射（foundation W4-031.2 純函式核心，消費 write 方向）
 const { mapV1BookToCanonical, buildTagTree } = require('src/export/book-interchange-v1-adapter')
+const { writeXlsx, encodeCellAddress, encodeRange, sanitizeSheetName } = require('src/export/xlsx-writer')
+const { buildZipArchiveAsync } = require('src/export/zip-writer')
+const { PdfDocument } = require('src/export/pdf-writer')
+const { loadDefaultPdfFont, resolvePdfFont } = require('src/export/pdf-default-font')
+const { renderReadingReport } = require('src/export/pdf-report-renderer')
+const { buildBundleManifest, BUNDLE_FILE_ROLES, MANIFEST_FILENAME } = require('src/export/bundle-manifest')
+const { buildReadingServiceCsv } = require('src/export/reading-service-csv-adapter')
+const { summarizeRatings } = require('src/data-management/BookAnnotationSchema')
+const {
+  READING_STATUS,
+  READING_STATUS_VALUES,
+  READING_STATUS_LABELS
+} = require('src/data-management/BookSchemaV2')
 
 const CONSTANTS = {
   // 配置管理
@@ -65,8 +78,35 @@ const CONSTANTS = {
       'id', 'title', 'authors', 'publisher',
       'progress', 'readingStatus', 'type', 'cover',
       'tagIds', 'isManualStatus',
+      'rating', 'notes', 'startedAt', 'finishedAt',
       'extractedAt', 'updatedAt', 'source'
-    ]
+    ],
+    // PDF 報告表格預設欄位
+    REPORT_V2: ['title', 'authors', 'publisher', 'readingStatus', 'progress']
+  },
+
+  // PDF 報告表格欄位標題與相對欄寬
+  REPORT_COLUMNS: {
+    title: { label: '書名', weight: 3 },
+    authors: { label: '作者', weight: 1.6 },
+    publisher: { label: '出版社', weight: 1.4 },
+    readingStatus: { label: '閱讀狀態', weight: 0.9 },
+    progress: { label: '進度', weight: 0.7 },
+    type: { label: '類型', weight: 0.8 },
+    tagIds: { label: '標籤', weight: 1.6 },
+    rating: { label: '評分', weight: 0.6 },
+    startedAt: { label: '開始日期', weight: 1 },
+    finishedAt: { label: '讀完日期', weight: 1 },
+    updatedAt: { label: '更新時間', weight: 1.4 }
+  },
+
+  // 日期欄位（Excel 匯出時寫為日期儲存格）
+  DATE_FIELDS: ['publishDate', 'extractedAt', 'updatedAt', 'createdAt', 'startedAt', 'finishedAt'],
+
+  // Excel 工作表版面（欄寬單位：字元數）
+  EXCEL: {
+    MIN_COLUMN_WIDTH: 8,
+    MAX_COLUMN_WIDTH: 60
   },
 
   // 範本系統
@@ -247,6 +287,15 @@ class BookDataExporter {
       return this._exportToCSVv2(options)
     }
 
+    // 閱讀服務匯出路徑：readingService === 'goodreads' | 'storygraph'（欄位映射見 reading-service-csv-adapter）
+    if (options.readingService) {
+      return this._executeExport('csv', () => buildReadingServiceCsv(this.books, {
+        service: options.readingService,
+        tags: options.tags || [],
+        tagCategories: options.tagCategories || []
+      }), options)
+    }
+
     return this._executeExport('csv', (opts) => {
       const fields = opts.fields || CONSTANTS.FIELDS.EXTENDED
       const delimiter = opts.delimiter || this.config.delimiter
@@ -566,6 +615,8 @@ class BookDataExporter {
    * @param {Object} options - 匯出選項
    * @param {string} options.formatVersion - 固定 '3.0.0'
    * @param {Object} [options.metadata] - 額外 metadata 欄位（覆蓋預設）
+   * @param {Array} [options.savedViews] - 已儲存檢視；非空時加入 root.savedViews
+   * @param {Array} [options.works] - 作品連結（跨書城版本）；非空時加入 root.works
    * @param {boolean} [options.pretty=true] - 是否美化輸出
    * @param {number} startTime - 效能計時起點
    * @returns {string} canonical JSON 字串
@@ -596,6 +647,12 @@ class BookDataExporter {
       books: canonicalBooks,
       tagTree
     }
+    if (Array.isArray(options.savedViews) && options.savedViews.length > 0) {
+      canonicalData.savedViews = options.savedViews
+    }
+    if (Array.isArray(options.works) && options.works.length > 0) {
+      canonicalData.works = options.works
+    }
 
     const jsonString = pretty
       ? JSON.stringify(canonicalData, null, 2)
@@ -610,7 +667,22 @@ class BookDataExporter {
   /**
    * 匯出為 Excel 格式
    *
+   * 產出真實 .xlsx（OOXML SpreadsheetML），由 xlsx-writer 序列化工作簿模型。
+   * 工作表來源優先序：
+   * 1. multiSheet + sheets：呼叫端明確指定每張工作表的 name / data（/ fields）
+   * 2. groupBy：依 'readingStatus' 或 'tagCategory' 自動分組為多張工作表
+   * 3. 預設：全部書籍置於單一工作表
+   *
    * @param {Object} options - 匯出選項
+   * @param {string} [options.sheetName='書籍清單'] - 單一工作表名稱
+   * @param {Array} [options.fields] - 匯出欄位（預設 EXTENDED）
+   * @param {boolean} [options.multiSheet] - 是否使用 options.sheets 產出多工作表
+   * @param {Array<{name: string, data: Array, fields?: Array}>} [options.sheets] - 多工作表定義
+   * @param {'readingStatus'|'tagCategory'} [options.groupBy] - 自動分組方式
+   * @param {Array} [options.tags=[]] - tag 陣列（groupBy 'tagCategory' 使用）
+   * @param {Array} [options.tagCategories=[]] - tag category 陣列（groupBy 'tagCategory' 使用）
+   * @param {Array<number>} [options.columnWidths] - 欄寬（字元數），未指定欄位自動估算
+   * @param {boolean} [options.freezeHeader=true] - 是否凍結標題列
    * @returns {ArrayBuffer} Excel 檔案資料
    */
   exportToExcel (options = {}) {
@@ -618,32 +690,37 @@ class BookDataExporter {
     this.updateProgress(0)
 
     try {
-      // 模擬 Excel 檔案生成（實際應用中會使用 xlsx 等函式庫）
       const sheetName = options.sheetName || '書籍清單'
       const fields = options.fields || CONSTANTS.FIELDS.EXTENDED
 
       // 創建工作簿資料結構
       const workbook = {
-        SheetNames: [sheetName],
+        SheetNames: [],
         Sheets: {}
       }
 
       this.updateProgress(25)
 
-      // 處理多工作表
-      if (options.multiSheet && options.sheets) {
-        workbook.SheetNames = options.sheets.map(sheet => sheet.name)
-        options.sheets.forEach(sheet => {
-          workbook.Sheets[sheet.name] = this.createExcelSheet(sheet.data, fields)
-        })
+      let sheetDefinitions
+      if (options.multiSheet && Array.isArray(options.sheets)) {
+        sheetDefinitions = options.sheets
+      } else if (options.groupBy) {
+        sheetDefinitions = this._buildGroupedSheets(options.groupBy, options)
       } else {
-        workbook.Sheets[sheetName] = this.createExcelSheet(this.books, fields)
+        sheetDefinitions = [{ name: sheetName, data: this.books }]
       }
 
+      const usedNames = new Set()
+      sheetDefinitions.forEach(sheet => {
+        const name = sanitizeSheetName(sheet.name, usedNames)
+        workbook.SheetNames.push(name)
+        workbook.Sheets[name] = this.createExcelSheet(sheet.data || [], sheet.fields || fields, options)
+      })
+
       this.updateProgress(75)
 
-      // 模擬轉換為 ArrayBuffer（實際會使用 XLSX.write）
-      const excelData = this.simulateExcelBuffer(workbook)
+      const bytes = writeXlsx(workbook)
+      const excelData = bytes.buffer.slice(bytes.byteOffset, bytes.byteOffset + bytes.byteLength)
 
       this.updateProgress(100)
 
@@ -657,21 +734,71 @@ class BookDataExporter {
     }
   }
 
+  /**
+   * 依分組方式建立多工作表定義
+   *
+   * - readingStatus：每個出現過的 v3 readingStatus 一張工作表（依列舉順序），名稱為中文標籤
+   * - tagCategory：每個 tag category 一張工作表，收錄帶有該分類下任一 tag 的書籍
+   *   （一本書可出現在多張工作表）；無任何已知 tag 的書籍歸入「未分類」
+   *
+   * @param {'readingStatus'|'tagCategory'} groupBy - 分組方式
+   * @param {Object} options - 匯出選項（tagCategory 需 tags / tagCategories）
+   * @returns {Array<{name: string, data: Array}>} 工作表定義
+   */
+  _buildGroupedSheets (groupBy, options) {
+    const validBooks = this.books.filter(book => book && typeof book === 'object')
+
+    if (groupBy === 'readingStatus') {
+      return READING_STATUS_VALUES
+        .map(status => ({
+          name: READING_STATUS_LABELS[status],
+          data: validBooks.filter(book => (book.readingStatus || READING_STATUS.UNREAD) === status)
+        }))
+        .filter(sheet => sheet.data.length > 0)
+    }
+
+    if (groupBy === 'tagCategory') {
+      const tagMap = new Map((options.tags || []).map(t => [t.id, t]))
+      const sheets = (options.tagCategories || []).map(category => ({
+        name: category.name,
+        data: validBooks.filter(book => (book.tagIds || [])
+          .some(id => tagMap.has(id) && tagMap.get(id).categoryId === category.id))
+      }))
+      const untagged = validBooks.filter(book => !(book.tagIds || []).some(id => tagMap.has(id)))
+      if (untagged.length > 0) {
+        sheets.push({ name: '未分類', data: untagged })
+      }
+      return sheets.filter(sheet => sheet.data.length > 0)
+    }
+
+    throw (() => {
+      const error = new Error(`Unsupported Excel groupBy: ${groupBy}`)
+      error.code = ErrorCodes.INVALID_DATA_FORMAT
+      error.details = { category: 'export', groupBy }
+      return error
+    })()
+  }
+
   /**
    * 創建 Excel 工作表
    *
+   * 標題列套用 header 樣式並預設凍結；DATE_FIELDS 中可解析的值寫為日期儲存格，
+   * 數值寫為數值儲存格，陣列以 '; ' 串接為字串。
+   *
    * @param {Array} data - 資料陣列
    * @param {Array} fields - 欄位陣列
+   * @param {Object} [options] - { columnWidths, freezeHeader }
    * @returns {Object} 工作表物件
    */
-  createExcelSheet (data, fields) {
+  createExcelSheet (data, fields, options = {}) {
     const sheet = {}
     const range = { s: { c: 0, r: 0 }, e: { c: fields.length - 1, r: data.length } }
+    const widths = fields.map(field => this._measureCellWidth(field))
 
     // 標題行
     fields.forEach((field, colIndex) => {
       const cellAddress = this.encodeCellAddress(0, colIndex)
-      sheet[cellAddress] = { v: field, t: 's' }
+      sheet[cellAddress] = { v: field, t: 's', s: 'header' }
     })
 
     // 資料行
@@ -681,75 +808,86 @@ class BookDataExporter {
         const value = item[field]
 
         if (value !== null && value !== undefined) {
+          let cell
           if (typeof value === 'number') {
-            sheet[cellAddress] = { v: value, t: 'n' }
+            cell = { v: value, t: 'n' }
+          } else if (typeof value === 'boolean') {
+            cell = { v: value, t: 'b' }
+          } else if (CONSTANTS.DATE_FIELDS.includes(field) && !Number.isNaN(Date.parse(value))) {
+            cell = { v: value, t: 'd' }
           } else if (Array.isArray(value)) {
-            sheet[cellAddress] = { v: value.join('; '), t: 's' }
+            cell = { v: value.join('; '), t: 's' }
           } else {
-            sheet[cellAddress] = { v: String(value), t: 's' }
+            cell = { v: String(value), t: 's' }
           }
+          sheet[cellAddress] = cell
+          widths[colIndex] = Math.max(widths[colIndex], this._measureCellWidth(cell.t === 'd' ? '0000-00-00 00:00' : cell.v))
         }
       })
     })
 
+    const columnWidths = options.columnWidths || []
     sheet['!ref'] = this.encodeRange(range)
+    sheet['!cols'] = widths.map((width, index) => ({
+      wch: columnWidths[index] || Math.min(CONSTANTS.EXCEL.MAX_COLUMN_WIDTH, Math.max(CONSTANTS.EXCEL.MIN_COLUMN_WIDTH, width + 2))
+    }))
+    if (options.freezeHeader !== false) {
+      sheet['!freeze'] = { rows: 1 }
+    }
     return sheet
   }
 
   /**
-   * 編碼儲存格位址
+   * 估算儲存格顯示寬度（字元數；CJK 等全形字元計為 2）
+   *
+   * @param {*} value - 儲存格值
+   * @returns {number} 顯示寬度
+   */
+  _measureCellWidth (value) {
+    let width = 0
+    for (const ch of String(value)) {
+      width += ch.charCodeAt(0) > 0x2E7F ? 2 : 1
+    }
+    return width
+  }
+
+  /**
+   * 編碼儲存格位址（委派 xlsx-writer）
    *
    * @param {number} row - 行號
    * @param {number} col - 列號
    * @returns {string} 儲存格位址
    */
   encodeCellAddress (row, col) {
-    let colName = ''
-    let colNum = col
-
-    while (colNum >= 0) {
-      colName = String.fromCharCode(65 + (colNum % 26)) + colName
-      colNum = Math.floor(colNum / 26) - 1
-    }
-
-    return colName + (row + 1)
+    return encodeCellAddress(row, col)
   }
 
   /**
-   * 編碼範圍
+   * 編碼範圍（委派 xlsx-writer）
    *
    * @param {Object} range - 範圍物件
    * @returns {string} 範圍字串
    */
   encodeRange (range) {
-    const start = this.encodeCellAddress(range.s.r, range.s.c)
-    const end = this.encodeCellAddress(range.e.r, range.e.c)
-    return `${start}:${end}`
-  }
-
-  /**
-   * 模擬 Excel Buffer
-   *
-   * @param {Object} workbook - 工作簿物件
-   * @returns {ArrayBuffer} 模擬的 Excel 資料
-   */
-  simulateExcelBuffer (workbook) {
-    // 實際應用中會使用 XLSX.write(workbook, {type: 'array'})
-    const jsonString = JSON.stringify(workbook)
-    const buffer = new ArrayBuffer(jsonString.length)
-    const view = new Uint8Array(buffer)
-
-    for (let i = 0; i < jsonString.length; i++) {
-      view[i] = jsonString.charCodeAt(i)
-    }
-
-    return buffer
+    return encodeRange(range)
   }
 
   /**
    * 匯出為 PDF 報告
    *
+   * 先組裝內容模型（書籍清單表格 + 選用的閱讀統計），再由 pdf-report-renderer 排版、
+   * pdf-writer 序列化為 PDF。字型由 resolvePdfFont 依報告文字決定：options.font 優先，
+   * 其次為已載入且涵蓋所有字元的打包字型（非同步入口匯出前 await loadDefaultPdfFont()）；
+   * 皆不符時使用閱讀器內建的繁體中文字型（見 pdf-writer 字型策略）。
+   *
    * @param {Object} options - 匯出選項
+   * @param {string} [options.title='書籍閱讀報告'] - 報告標題
+   * @param {Array} [options.fields] - 表格欄位（預設 REPORT_V2）
+   * @param {boolean} [options.includeStats=false] - 是否加入閱讀統計頁
+   * @param {boolean} [options.includeCharts=true] - 統計頁是否繪製各狀態圖表
+   * @param {Array} [options.tags=[]] - tag 陣列（tagIds 欄位顯示名稱用）
+   * @param {ArrayBuffer|Uint8Array|TrueTypeFont} [options.font] - 內嵌用 TrueType 字型（預設為已載入的打包字型）
+   * @param {Object} [options.style] - { fontSize, primaryColor, accentColor }
    * @returns {ArrayBuffer} PDF 檔案資料
    */
   exportToPDF (options = {}) {
@@ -777,8 +915,8 @@ class BookDataExporter {
       pdfContent.content.push({
         type: 'table',
         title: '書籍清單',
-        data: this.books,
-        fields: options.fields || CONSTANTS.FIELDS.READING
+        data: this.books.filter(book => book && typeof book === 'object'),
+        fields: options.fields || CONSTANTS.FIELDS.REPORT_V2
       })
 
       this.updateProgress(50)
@@ -794,8 +932,7 @@ class BookDataExporter {
 
       this.updateProgress(75)
 
-      // 模擬 PDF 生成（實際會使用 jsPDF 等函式庫）
-      const pdfData = this.simulatePDFBuffer(pdfContent, options.style)
+      const pdfData = this._renderPDFDocument(pdfContent, options)
 
       this.updateProgress(100)
 
@@ -812,39 +949,113 @@ class BookDataExporter {
   /**
    * 生成統計資訊
    *
-   * @returns {Object} 統計資料
+   * 依 v3 readingStatus 列舉分組；缺少 readingStatus 的書籍視為 unread（BookSchemaV2 預設值）。
+   * 平均進度四捨五入至小數一位，無書籍時為 0。
+   * 平均評分只計入有個人評分（rating）的書，無評分時為 null。
+   *
+   * @returns {{totalBooks: number, averageProgress: number, ratedCount: number, averageRating: number|null, byStatus: Object<string, {label: string, count: number, averageProgress: number}>}} 統計資料
    */
   generateStatistics () {
-    const stats = {
-      總書籍數: this.books.length,
-      已完成: this.books.filter(book => book.status === '已完成').length,
-      閱讀中: this.books.filter(book => book.status === '閱讀中').length,
-      未開始: this.books.filter(book => book.status === '未開始').length,
-      平均進度: this.books.reduce((sum, book) => sum + (book.progress || 0), 0) / this.books.length,
-      平均評分: this.books.reduce((sum, book) => sum + (book.rating || 0), 0) / this.books.length
-    }
+    const validBooks = this.books.filter(book => book && typeof book === 'object')
+    const averageProgressOf = (books) => books.length === 0
+      ? 0
+      : Math.round(books.reduce((sum, book) => sum + (Number(book.progress) || 0), 0) / books.length * 10) / 10
+
+    const byStatus = {}
+    READING_STATUS_VALUES.forEach(status => {
+      const books = validBooks.filter(book => (book.readingStatus || READING_STATUS.UNREAD) === status)
+      byStatus[status] = {
+        label: READING_STATUS_LABELS[status],
+        count: books.length,
+        averageProgress: averageProgressOf(books)
+      }
+    })
 
-    return stats
+    return {
+      totalBooks: validBooks.length,
+      averageProgress: averageProgressOf(validBooks),
+      ...summarizeRatings(validBooks),
+      byStatus
+    }
   }
 
   /**
-   * 模擬 PDF Buffer
+   * 將 PDF 內容模型排版並序列化
    *
-   * @param {Object} content - PDF 內容
-   * @param {Object} style - 樣式設定
-   * @returns {ArrayBuffer} 模擬的 PDF 資料
+   * @param {Object} pdfContent - exportToPDF 組裝的內容模型
+   * @param {Object} options - 匯出選項（font / style / includeCharts / tags）
+   * @returns {ArrayBuffer} PDF 檔案資料
    */
-  simulatePDFBuffer (content, style = {}) {
-    // 實際應用中會使用 jsPDF 生成真實的 PDF
-    const pdfString = JSON.stringify({ content, style })
-    const buffer = new ArrayBuffer(pdfString.length)
-    const view = new Uint8Array(buffer)
-
-    for (let i = 0; i < pdfString.length; i++) {
-      view[i] = pdfString.charCodeAt(i)
+  _renderPDFDocument (pdfContent, options) {
+    const table = pdfContent.content.find(block => block.type === 'table')
+    const statisticsBlock = pdfContent.content.find(block => block.type === 'statistics')
+    const tagMap = new Map((options.tags || []).map(t => [t.id, t]))
+    const columnOf = (field) => CONSTANTS.REPORT_COLUMNS[field] || { label: field, weight: 1 }
+
+    const report = {
+      title: pdfContent.title,
+      subtitle: `匯出時間：${this.formatDate(pdfContent.metadata.creationDate)}，共 ${table.data.length} 本`,
+      columns: table.fields.map(columnOf),
+      rows: table.data.map(book => table.fields.map(field => this._formatReportCell(book, field, tagMap))),
+      includeCharts: options.includeCharts !== false,
+      style: options.style
     }
 
-    return buffer
+    if (statisticsBlock) {
+      const stats = statisticsBlock.data
+      const byStatus = READING_STATUS_VALUES.map(status => stats.byStatus[status])
+      report.statistics = {
+        summary: [
+          { label: '總書籍數', value: `${stats.totalBooks} 本` },
+          { label: '平均進度', value: `${stats.averageProgress}%` },
+          ...(stats.ratedCount > 0 ? [{ label: '平均評分', value: `${stats.averageRating} / 5（${stats.ratedCount} 本）` }] : []),
+          ...byStatus.map(item => ({ label: item.label, value: `${item.count} 本` }))
+        ],
+        byStatus
+      }
+    }
+
+    const reportText = [
+      report.title,
+      report.subtitle,
+      ...report.columns.map(column => column.label),
+      ...report.rows.flat(),
+      ...(report.statistics ? report.statistics.summary.flatMap(item => [item.label, item.value]) : [])
+    ].join('')
+    const doc = new PdfDocument({
+      font: resolvePdfFont(options.font, reportText) || undefined,
+      title: pdfContent.title,
+      author: pdfContent.metadata.creator,
+      createdAt: pdfContent.metadata.creationDate
+    })
+    renderReadingReport(doc, report)
+    return doc.toBytes().buffer
+  }
+
+  /**
+   * 格式化 PDF 表格儲存格文字
+   *
+   * @param {Object} book - 書籍
+   * @param {string} field - 欄位名稱
+   * @param {Map} tagMap - tag id → tag
+   * @returns {string}
+   */
+  _formatReportCell (book, field, tagMap) {
+    const value = book[field]
+    if (value === null || value === undefined) return ''
+
+    switch (field) {
+      case 'readingStatus':
+        return READING_STATUS_LABELS[value] || String(value)
+      case 'progress':
+        return `${value}%`
+      case 'rating':
+        return `${value} / 5`
+      case 'tagIds':
+        return Array.isArray(value) ? this._resolveTagNames(value, tagMap) : ''
+      default:
+        return Array.isArray(value) ? value.join('、') : String(value)
+    }
   }
 
   /**
@@ -884,45 +1095,123 @@ class BookDataExporter {
   }
 
   /**
-   * 匯出為壓縮檔案
+   * 匯出為備份封存（ZIP bundle）
    *
-   * @param {Array} formats - 要壓縮的格式
-   * @param {Object} options - 壓縮選項
-   * @returns {ArrayBuffer} ZIP 檔案資料
+   * 封存內容（路徑皆相對於 options.folder）：
+   * - books.csv：v2 CSV（COMPLETE_V2 欄位集 + tagNames / tagCategories 衍生欄位）
+   * - books.json：canonical（book-interchange-v1 v3）JSON，匯入端由此還原書籍
+   * - books.xlsx / books.pdf：formats 含 'excel' / 'pdf' 時加入
+   * - tags.json：tagCategories / tags 扁平清單與 canonical tagTree，匯入端由此還原標籤
+   * - saved-views.json：總覽的已儲存檢視（options.savedViews 為陣列時加入）
+   * - works.json：跨書城作品連結（options.works 為陣列時加入）
+   * - README.txt：generateReadme 說明（includeReadme === false 時省略）
+   * - manifest.json：各檔案角色、大小與校驗碼（bundle-manifest）
+   *
+   * @param {Array<string>} [formats=['csv', 'json']] - 書籍資料格式（'csv' | 'json' | 'excel' | 'pdf'）
+   * @param {Object} [options] - 封存選項
+   * @param {string} [options.folder] - 封存內資料夾前綴
+   * @param {boolean} [options.includeReadme=true] - 是否加入 README.txt
+   * @param {Array} [options.tags=[]] - tag 陣列
+   * @param {Array} [options.tagCategories=[]] - tag category 陣列
+   * @param {Array} [options.savedViews] - 已儲存檢視
+   * @param {Array} [options.works] - 作品連結
+   * @param {'deflate'|'store'} [options.compression='deflate'] - 壓縮方式（見 zip-writer）
+   * @param {Object} [options.excel] - 轉交 exportToExcel 的選項
+   * @param {Object} [options.pdf] - 轉交 exportToPDF 的選項
+   * @returns {Promise<ArrayBuffer>} ZIP 檔案資料
    */
-  exportToZip (formats, options = {}) {
+  async exportToZip (formats = ['csv', 'json'], options = {}) {
     const startTime = performance.now()
+    this.updateProgress(0)
 
     try {
-      const batchResults = this.batchExport(formats, options)
-
-      // 模擬 ZIP 檔案創建（實際會使用 JSZip）
-      const zipData = {
-        files: {},
-        options: {
-          compression: 'DEFLATE',
-          compressionOptions: { level: 6 }
-        }
+      const tags = options.tags || []
+      const tagCategories = options.tagCategories || []
+      const createdAt = new Date().toISOString()
+      const files = []
+      const addFile = (path, role, content) => {
+        const data = typeof content === 'string' ? new TextEncoder().encode(content) : new Uint8Array(content)
+        files.push({ path, role, data })
+      }
+
+      // exportToPDF 為同步 API：封存含 PDF 時先載入打包字型（由 exportToPDF 內的 resolvePdfFont 取用）
+      if (formats.some(format => format.toLowerCase() === 'pdf')) {
+        await loadDefaultPdfFont()
       }
 
-      // 加入各格式檔案
-      Object.keys(batchResults).forEach(format => {
-        const filename = `books.${format}`
-        zipData.files[filename] = batchResults[format]
+      formats.forEach(format => {
+        switch (format.toLowerCase()) {
+          case 'csv':
+            addFile('books.csv', BUNDLE_FILE_ROLES.BOOKS_CSV, this.exportToCSV({
+              formatVersion: '2.0.0',
+              fieldPreset: 'COMPLETE_V2',
+              tags,
+              tagCategories
+            }))
+            break
+          case 'json':
+            addFile('books.json', BUNDLE_FILE_ROLES.BOOKS_JSON, this.exportToJSON({ formatVersion: '3.0.0' }))
+            break
+          case 'excel':
+            addFile('books.xlsx', BUNDLE_FILE_ROLES.BOOKS_XLSX, this.exportToExcel(options.excel))
+            break
+          case 'pdf':
+            addFile('books.pdf', BUNDLE_FILE_ROLES.BOOKS_PDF, this.exportToPDF(options.pdf))
+            break
+          default:
+            throw (() => {
+              const error = new Error(`Unsupported bundle format: ${format}`)
+              error.code = ErrorCodes.EXPORT_OPERATION_FAILED
+              error.details = { category: 'export', format }
+              return error
+            })()
+        }
       })
 
-      // 加入 README
-      if (options.includeReadme) {
-        zipData.files['README.txt'] = this.generateReadme()
+      // 標籤樹：匯入端還原需要扁平 tags / tagCategories；tagTree 供人工檢視與其他 consumer
+      const canonicalBooks = this.books
+        .filter(book => book && typeof book === 'object')
+        .map(book => mapV1BookToCanonical(book))
+      addFile('tags.json', BUNDLE_FILE_ROLES.TAGS, JSON.stringify({
+        tagCategories,
+        tags,
+        tagTree: buildTagTree(canonicalBooks)
+      }, null, 2))
+
+      if (Array.isArray(options.savedViews)) {
+        addFile('saved-views.json', BUNDLE_FILE_ROLES.SAVED_VIEWS, JSON.stringify({ savedViews: options.savedViews }, null, 2))
+      }
+
+      if (Array.isArray(options.works)) {
+        addFile('works.json', BUNDLE_FILE_ROLES.WORKS, JSON.stringify({ works: options.works }, null, 2))
       }
 
-      // 模擬轉換為 ArrayBuffer
-      const zipBuffer = this.simulateZipBuffer(zipData)
+      if (options.includeReadme !== false) {
+        addFile('README.txt', BUNDLE_FILE_ROLES.README, this.generateReadme([...files.map(file => file.path), MANIFEST_FILENAME]))
+      }
+
+      this.updateProgress(50)
+
+      const manifest = await buildBundleManifest(files, {
+        createdAt,
+        totalBooks: canonicalBooks.length
+      })
+      // manifest 不列入自身的檔案清單
+      files.push({ path: MANIFEST_FILENAME, data: new TextEncoder().encode(JSON.stringify(manifest, null, 2)) })
+
+      const prefix = options.folder ? `${String(options.folder).replace(/\/+$/, '')}/` : ''
+      const modifiedAt = new Date(createdAt)
+      const zipBytes = await buildZipArchiveAsync(
+        files.map(file => ({ name: prefix + file.path, data: file.data })),
+        { compression: options.compression, modifiedAt }
+      )
+
+      this.updateProgress(100)
 
       // 記錄匯出
       this.recordExport('zip', this.books.length, performance.now() - startTime)
 
-      return zipBuffer
+      return zipBytes.buffer
     } catch (error) {
       this.logError('ZIP export failed', error)
       throw error
@@ -957,9 +1246,23 @@ class BookDataExporter {
   /**
    * 生成 README 內容
    *
+   * @param {Array<string>} [fileNames] - 封存內檔案名稱；未指定時列出全部格式
    * @returns {string} README 內容
    */
-  generateReadme () {
+  generateReadme (fileNames = ['books.csv', 'books.json', 'books.xlsx', 'books.pdf']) {
+    const descriptions = {
+      'books.csv': 'CSV 格式的書籍清單',
+      'books.json': 'JSON 格式的書籍資料（book-interchange-v1，可匯入還原）',
+      'books.xlsx': 'Excel 格式的書籍清單',
+      'books.pdf': 'PDF 格式的書籍報告',
+      'tags.json': '標籤與標籤分類',
+      'manifest.json': '封存檔案清單與校驗碼'
+    }
+    const fileLines = fileNames
+      .filter(name => descriptions[name])
+      .map(name => `- ${name}: ${descriptions[name]}`)
+      .join('\n')
+
     return `書籍資料匯出檔案
 ================
 
@@ -968,39 +1271,19 @@ class BookDataExporter {
 匯出格式: 多種格式
 
 檔案說明:
-- books.csv: CSV 格式的書籍清單
-- books.json: JSON 格式的書籍資料
-- books.xlsx: Excel 格式的書籍清單
-- books.pdf: PDF 格式的書籍報告
+${fileLines}
 
 使用說明:
 1. CSV 檔案可用 Excel、Google Sheets 等軟體開啟
 2. JSON 檔案可用於程式開發或資料交換
 3. Excel 檔案支援進階格式化和公式
 4. PDF 檔案適合列印和分享
+5. 整個 ZIP 檔可於擴充功能的匯入面板直接匯入，還原書籍與標籤
 
 由 Book Overview生成
 `
   }
 
-  /**
-   * 模擬 ZIP Buffer
-   *
-   * @param {Object} zipData - ZIP 資料
-   * @returns {ArrayBuffer} 模擬的 ZIP 資料
-   */
-  simulateZipBuffer (zipData) {
-    const zipString = JSON.stringify(zipData)
-    const buffer = new ArrayBuffer(zipString.length)
-    const view = new Uint8Array(buffer)
-
-    for (let i = 0; i < zipString.length; i++) {
-      view[i] = zipString.charCodeAt(i)
-    }
-
-    return buffer
-  }
-
   /**
    * 觸發檔案下載
    *
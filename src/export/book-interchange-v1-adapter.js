@@ -17,6 +17,7 @@
  */
 
 const { isPlainObject, assertBookHasIdTitle } = require('./book-validation-helpers')
+const { pickAnnotations, sanitizeAnnotations } = require('../data-management/BookAnnotationSchema')
 
 // §7 readingStatus 六態正規化對照表（V1 ↔ canonical），一對一可逆
 const RS_V1_TO_CANONICAL = {
@@ -105,6 +106,12 @@ function mapV1BookToCanonical (v1Book) {
   carryIfPresent(canonical, v1Book, ['createdAt', 'updatedAt'])
   // crossPlatformId/dataFingerprint：V1 內部無來源 → 不輸出（不臆造空值，§G/spec §11）
 
+  // 個人註記（§4.1 annotations）：有註記的書才輸出，不臆造空物件
+  const annotations = pickAnnotations(v1Book)
+  if (Object.keys(annotations).length > 0) {
+    canonical.annotations = annotations
+  }
+
   // --- 固定欄位 → 單元素 tag（everything-as-tags）---
   canonical.tags.author = Array.isArray(v1Book.authors)
     ? v1Book.authors.map((name) => ({ id: genTagId('a', name), name }))
@@ -276,6 +283,9 @@ function mapCanonicalToV1Book (canonical) {
   convergeProgress(v1, canonical.progress) // U20
   carryIfPresent(v1, canonical, ['createdAt', 'updatedAt'])
 
+  // 個人註記還原至固定欄位；無效值（非整數評分、非日期字串等）丟棄
+  Object.assign(v1, sanitizeAnnotations(canonical.annotations))
+
   // 不還原（V1 carry+display）→ 進 _passthrough（不重推、不丟失，C1，U15）
   for (const category of CARRY_TAG_CATEGORIES) {
     if (Array.isArray(t[category]) && t[category].length > 0) {
@@ -0,0 +1,152 @@
+'use strict'
+
+/**
+ * 備份封存（ZIP bundle）manifest 模組
+ *
+ * 負責功能：
+ * - 產出 manifest.json 內容：封存格式版本、來源、書籍數與每個檔案的角色 / 大小 / 校驗碼
+ * - 匯入端依 manifest 驗證封存內容完整性（缺檔、大小不符、校驗碼不符）
+ *
+ * 設計考量：
+ * - 校驗碼優先使用 Web Crypto SHA-256；環境無 crypto.subtle 時退回 CRC32，
+ *   演算法名稱寫入 manifest.checksumAlgorithm，驗證端依宣告的演算法重算
+ * - manifest 內的 path 相對於 manifest.json 所在目錄（匯出可加資料夾前綴）
+ *
+ * @module bundle-manifest
+ */
+
+const { calculateCRC32 } = require('src/utils/crc32')
+
+const BUNDLE_FORMAT = 'book-overview-bundle'
+const BUNDLE_VERSION = '1.0.0'
+const MANIFEST_FILENAME = 'manifest.json'
+
+const CHECKSUM_ALGORITHMS = Object.freeze({
+  SHA256: 'SHA-256',
+  CRC32: 'CRC32'
+})
+
+// 封存內檔案角色；匯入端依角色而非檔名尋找還原來源
+const BUNDLE_FILE_ROLES = Object.freeze({
+  BOOKS_CSV: 'books-csv',
+  BOOKS_JSON: 'books-json',
+  BOOKS_XLSX: 'books-xlsx',
+  BOOKS_PDF: 'books-pdf',
+  TAGS: 'tags',
+  SAVED_VIEWS: 'saved-views',
+  WORKS: 'works',
+  README: 'readme'
+})
+
+function hasSubtleCrypto () {
+  return typeof crypto !== 'undefined' && crypto.subtle && typeof crypto.subtle.digest === 'function'
+}
+
+/**
+ * 取得目前環境可用的校驗演算法
+ *
+ * @returns {string} CHECKSUM_ALGORITHMS 值
+ */
+function resolveChecksumAlgorithm () {
+  return hasSubtleCrypto() ? CHECKSUM_ALGORITHMS.SHA256 : CHECKSUM_ALGORITHMS.CRC32
+}
+
+/**
+ * 計算位元組校驗碼（小寫 hex）
+ *
+ * @param {Uint8Array} bytes - 檔案內容
+ * @param {string} algorithm - CHECKSUM_ALGORITHMS 值
+ * @returns {Promise<string|null>} hex 字串；演算法不支援時為 null
+ */
+async function computeChecksum (bytes, algorithm) {
+  if (algorithm === CHECKSUM_ALGORITHMS.SHA256) {
+    if (!hasSubtleCrypto()) return null
+    const digest = new Uint8Array(await crypto.subtle.digest('SHA-256', bytes))
+    return Array.from(digest, b => b.toString(16).padStart(2, '0')).join('')
+  }
+  if (algorithm === CHECKSUM_ALGORITHMS.CRC32) {
+    return calculateCRC32(bytes).toString(16).padStart(8, '0')
+  }
+  return null
+}
+
+/**
+ * 產出 bundle manifest
+ *
+ * @param {Array<{path: string, role: string, data: Uint8Array}>} files - 封存內檔案（不含 manifest 本身）
+ * @param {Object} [meta] - 封存層級資訊
+ * @param {string} [meta.createdAt] - ISO8601 建立時間（預設現在）
+ * @param {number} [meta.totalBooks=0] - 書籍數
+ * @param {string} [meta.sourceApp='book-overview'] - 來源應用
+ * @returns {Promise<Object>} manifest 物件
+ */
+async function buildBundleManifest (files, meta = {}) {
+  const checksumAlgorithm = resolveChecksumAlgorithm()
+
+  const entries = []
+  for (const file of files) {
+    entries.push({
+      path: file.path,
+      role: file.role,
+      size: file.data.length,
+      checksum: await computeChecksum(file.data, checksumAlgorithm)
+    })
+  }
+
+  return {
+    format: BUNDLE_FORMAT,
+    bundleVersion: BUNDLE_VERSION,
+    createdAt: meta.createdAt || new Date().toISOString(),
+    sourceApp: meta.sourceApp || 'book-overview',
+    totalBooks: meta.totalBooks || 0,
+    checksumAlgorithm,
+    files: entries
+  }
+}
+
+/**
+ * 依 manifest 驗證封存檔案
+ *
+ * @param {Object} manifest - 已解析的 manifest.json
+ * @param {Map<string, Uint8Array>} filesByPath - 相對 manifest 目錄的 path → 內容
+ * @returns {Promise<{valid: boolean, errors: Array<{path: string|null, reason: string}>}>}
+ *   reason：'format' | 'missing' | 'size' | 'checksum' | 'unsupported-algorithm'
+ */
+async function verifyBundleManifest (manifest, filesByPath) {
+  if (!manifest || manifest.format !== BUNDLE_FORMAT || !Array.isArray(manifest.files)) {
+    return { valid: false, errors: [{ path: null, reason: 'format' }] }
+  }
+
+  const errors = []
+  for (const entry of manifest.files) {
+    const data = filesByPath.get(entry.path)
+    if (!data) {
+      errors.push({ path: entry.path, reason: 'missing' })
+      continue
+    }
+    if (data.length !== entry.size) {
+      errors.push({ path: entry.path, reason: 'size' })
+      continue
+    }
+    const actual = await computeChecksum(data, manifest.checksumAlgorithm)
+    if (actual === null) {
+      errors.push({ path: entry.path, reason: 'unsupported-algorithm' })
+    } else if (actual !== entry.checksum) {
+      errors.push({ path: entry.path, reason: 'checksum' })
+    }
+  }
+
+  return { valid: errors.length === 0, errors }
+}
+
+module.exports = {
+  BUNDLE_FORMAT,
+  BUNDLE_VERSION,
+  MANIFEST_FILENAME,
+  CHECKSUM_ALGORITHMS,
+  BUNDLE_FILE_ROLES,
+  resolveChecksumAlgorithm,
+  computeChecksum,
+  buildBundleManifest,
+  verifyBundleManifest
+}
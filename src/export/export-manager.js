@@ -35,6 +35,7 @@
 
 const { EXPORT_EVENTS, EXPORT_EVENT_PRIORITIES } = require('./export-events')
 const BookDataExporter = require('./book-data-exporter')
+const { loadDefaultPdfFont } = require('./pdf-default-font')
 const ErrorCodes = require('src/core/errors/ErrorCodes')
 
 /**
@@ -197,6 +198,8 @@ class ExportManager {
    * @private
    */
   async _handlePDFExport (exportData) {
+    // exportToPDF 為同步 API：先載入打包的 CJK 字型，供 exportToPDF 內的 resolvePdfFont 取用（失敗時退回 MSung-Light）
+    await loadDefaultPdfFont()
     return this._executeExport('pdf', exportData, (exporter, options) => {
       return exporter.exportToPDF(options)
     })
@@ -523,6 +526,10 @@ class ExportManager {
         })()
       }
 
+      if (formats.some(format => String(format).toLowerCase() === 'pdf')) {
+        await loadDefaultPdfFont()
+      }
+
       // 發送批量匯出開始事件
       this._emitBatchProgressEvents(formats)
 
@@ -11,7 +11,7 @@
  * - 繼承自 EventHandler 基底類別
  * - 專門處理 Excel 相關匯出事件
  * - 支援進度追蹤和錯誤處理
- * - 處理 ArrayBuffer 格式的匯出結果
+ * - 處理 ArrayBuffer 格式的匯出結果（xlsx-writer 產出的 OOXML .xlsx）
  *
  * @version 1.0.0
  * @since 2025-08-08
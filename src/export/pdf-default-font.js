@@ -0,0 +1,116 @@
+'use strict'
+
+/**
+ * PDF 報告預設內嵌字型載入模組
+ *
+ * 負責功能：
+ * - 讀取隨擴充功能打包的 Noto Sans TC 子集（src/export/fonts/，SIL OFL 1.1，授權見同目錄 OFL.txt）
+ * - 解析為 TrueTypeFont 並快取，供同步的 exportToPDF 直接內嵌子集字型
+ * - resolvePdfFont：exportToPDF 決定實際使用字型的唯一入口
+ *
+ * 設計考量：
+ * - 打包字型為 scripts/subset-pdf-font.js 產出的常用字子集（約 1.9 MB，完整字型約 7 MB），
+ *   內容含子集外字元時整份報告改用閱讀器內建字型，避免缺字顯示為方框
+ * - PdfDocument / exportToPDF 為同步 API，字型讀取（fetch 擴充功能內資源）為非同步，
+ *   故可能產出 PDF 的非同步入口（ExportManager 的 pdf / batch 匯出、exportToZip）匯出前
+ *   await loadDefaultPdfFont()；同步呼叫且尚未載入時 resolvePdfFont 回傳 null
+ * - 讀取或解析失敗時回傳 null 且不快取失敗結果，exporter 退回預定義字型 MSung-Light，
+ *   匯出不因字型問題中斷
+ * - 不直接 require('fs')：本模組會被 bundle 進 overview 頁面，Node 環境（測試）以 readFont 注入
+ *
+ * @module pdf-default-font
+ */
+
+const { TrueTypeFont } = require('src/export/truetype-font')
+
+/** 打包字型相對擴充功能根目錄的路徑（scripts/build.js 遞迴複製 src/） */
+const DEFAULT_PDF_FONT_PATH = 'src/export/fonts/NotoSansTC-Subset.ttf'
+
+let cachedFont = null
+let pendingLoad = null
+
+/**
+ * 以擴充功能資源 URL 讀取字型檔
+ *
+ * @param {string} path - 相對擴充功能根目錄的路徑
+ * @returns {Promise<ArrayBuffer>}
+ */
+async function fetchExtensionResource (path) {
+  if (typeof chrome === 'undefined' || !chrome.runtime || typeof chrome.runtime.getURL !== 'function' ||
+      typeof fetch !== 'function') {
+    throw new Error('無法讀取擴充功能資源：缺少 chrome.runtime.getURL 或 fetch')
+  }
+  const response = await fetch(chrome.runtime.getURL(path))
+  if (!response.ok) throw new Error(`字型讀取失敗：HTTP ${response.status}`)
+  return response.arrayBuffer()
+}
+
+/**
+ * 載入並快取預設 PDF 字型；已載入時直接回傳快取
+ *
+ * @param {Object} [options]
+ * @param {Function} [options.readFont] - (path) => Promise<ArrayBuffer|Uint8Array>，預設以 fetch 讀取擴充功能資源
+ * @returns {Promise<TrueTypeFont|null>} 讀取或解析失敗時為 null
+ */
+async function loadDefaultPdfFont (options = {}) {
+  if (cachedFont) return cachedFont
+  if (!pendingLoad) {
+    const readFont = options.readFont || fetchExtensionResource
+    pendingLoad = (async () => {
+      try {
+        cachedFont = new TrueTypeFont(await readFont(DEFAULT_PDF_FONT_PATH))
+      } catch (error) {
+        cachedFont = null
+      }
+      return cachedFont
+    })().finally(() => {
+      pendingLoad = null
+    })
+  }
+  return pendingLoad
+}
+
+/**
+ * 取得已載入的預設 PDF 字型（同步）
+ *
+ * @returns {TrueTypeFont|null} 尚未載入或載入失敗時為 null
+ */
+function getDefaultPdfFont () {
+  return cachedFont
+}
+
+/**
+ * 決定 PDF 內嵌字型
+ *
+ * 優先序：呼叫端指定的字型 → 已載入且涵蓋 text 所有字元的打包字型 → null（閱讀器內建 MSung-Light）。
+ * 空白與控制字元不需字形，不列入涵蓋檢查。
+ *
+ * @param {ArrayBuffer|Uint8Array|TrueTypeFont} [font] - 呼叫端指定的字型（options.font）
+ * @param {string} [text=''] - 報告中會繪製的文字
+ * @returns {ArrayBuffer|Uint8Array|TrueTypeFont|null}
+ */
+function resolvePdfFont (font, text = '') {
+  if (font) return font
+  if (!cachedFont) return null
+  for (const char of text) {
+    if (/\s|\p{Cc}/u.test(char)) continue
+    if (cachedFont.glyphIdForCodePoint(char.codePointAt(0)) === 0) return null
+  }
+  return cachedFont
+}
+
+/**
+ * 清除快取（測試用）
+ */
+function resetDefaultPdfFont () {
+  cachedFont = null
+  pendingLoad = null
+}
+
+module.exports = {
+  DEFAULT_PDF_FONT_PATH,
+  loadDefaultPdfFont,
+  getDefaultPdfFont,
+  resolvePdfFont,
+  resetDefaultPdfFont
+}
@@ -0,0 +1,209 @@
+'use strict'
+
+/**
+ * 閱讀報告 PDF 版面模組
+ *
+ * 負責功能：
+ * - 書籍清單表格：依頁面高度分頁，每頁重複標題列，欄寬依權重分配、過長文字截斷
+ * - 閱讀統計頁：總數 / 平均進度 / 各狀態書籍數摘要
+ * - 各狀態圖表：書籍數長條圖、平均進度長條圖
+ * - 頁尾頁碼（全部頁面繪製完成後補上）
+ *
+ * 本模組只處理版面；資料整理（欄位值格式化、統計計算）由 BookDataExporter 負責。
+ *
+ * @module pdf-report-renderer
+ */
+
+const LAYOUT = Object.freeze({
+  MARGIN: 40,
+  TITLE_SIZE: 20,
+  HEADING_SIZE: 14,
+  FOOTER_SIZE: 8,
+  ROW_HEIGHT_RATIO: 1.9,
+  CELL_PADDING: 4,
+  BAR_HEIGHT: 14,
+  BAR_GAP: 8,
+  CHART_LABEL_WIDTH: 70
+})
+
+const DEFAULT_STYLE = Object.freeze({
+  fontSize: 9,
+  primaryColor: '#333333',
+  accentColor: '#2b6cb0',
+  headerTextColor: '#ffffff',
+  stripeColor: '#f2f5f9',
+  gridColor: '#c8ced6'
+})
+
+/**
+ * 繪製閱讀報告
+ *
+ * @param {PdfDocument} doc - pdf-writer 文件
+ * @param {Object} report - 報告內容
+ * @param {string} report.title - 報告標題
+ * @param {string} [report.subtitle] - 標題下方說明（匯出時間、書籍數等）
+ * @param {Array<{label: string, weight?: number}>} report.columns - 表格欄位
+ * @param {Array<Array<string>>} report.rows - 已格式化的儲存格文字
+ * @param {Object} [report.statistics] - 統計頁內容
+ * @param {Array<{label: string, value: string}>} report.statistics.summary - 摘要列
+ * @param {Array<{label: string, count: number, averageProgress: number}>} report.statistics.byStatus - 各狀態資料
+ * @param {boolean} [report.includeCharts=true] - 統計頁是否繪製圖表
+ * @param {Object} [report.style] - 樣式覆寫（見 DEFAULT_STYLE）
+ */
+function renderReadingReport (doc, report) {
+  const style = { ...DEFAULT_STYLE, ...(report.style || {}) }
+
+  renderTable(doc, report, style)
+  if (report.statistics) {
+    renderStatistics(doc, report.statistics, report.includeCharts !== false, style)
+  }
+  renderPageNumbers(doc, style)
+}
+
+function renderTable (doc, report, style) {
+  const fontSize = style.fontSize
+  const rowHeight = fontSize * LAYOUT.ROW_HEIGHT_RATIO
+  let page = doc.addPage()
+  const contentWidth = page.width - LAYOUT.MARGIN * 2
+  const bottom = page.height - LAYOUT.MARGIN - LAYOUT.FOOTER_SIZE * 2
+
+  let y = LAYOUT.MARGIN + LAYOUT.TITLE_SIZE
+  page.drawText(report.title, LAYOUT.MARGIN, y, { size: LAYOUT.TITLE_SIZE, color: style.primaryColor })
+  y += LAYOUT.TITLE_SIZE * 0.6
+  if (report.subtitle) {
+    y += fontSize * 1.5
+    page.drawText(report.subtitle, LAYOUT.MARGIN, y, { size: fontSize, color: style.primaryColor })
+  }
+  y += fontSize * 1.5
+
+  const totalWeight = report.columns.reduce((sum, column) => sum + (column.weight || 1), 0)
+  const widths = report.columns.map(column => contentWidth * (column.weight || 1) / totalWeight)
+
+  const drawRow = (cells, top, rowStyle) => {
+    if (rowStyle.fill) {
+      page.drawRect(LAYOUT.MARGIN, top, contentWidth, rowHeight, { fill: rowStyle.fill })
+    }
+    let x = LAYOUT.MARGIN
+    cells.forEach((cell, i) => {
+      const text = doc.fitText(cell == null ? '' : cell, widths[i] - LAYOUT.CELL_PADDING * 2, fontSize)
+      page.drawText(text, x + LAYOUT.CELL_PADDING, top + rowHeight / 2 + fontSize * 0.35, {
+        size: fontSize,
+        color: rowStyle.color
+      })
+      x += widths[i]
+    })
+    page.drawLine(LAYOUT.MARGIN, top + rowHeight, LAYOUT.MARGIN + contentWidth, top + rowHeight, {
+      color: style.gridColor
+    })
+  }
+  const drawHeader = (top) => drawRow(report.columns.map(column => column.label), top, {
+    fill: style.accentColor,
+    color: style.headerTextColor
+  })
+
+  drawHeader(y)
+  y += rowHeight
+
+  report.rows.forEach((row, index) => {
+    if (y + rowHeight > bottom) {
+      page = doc.addPage()
+      y = LAYOUT.MARGIN
+      drawHeader(y)
+      y += rowHeight
+    }
+    drawRow(row, y, {
+      fill: index % 2 === 1 ? style.stripeColor : null,
+      color: style.primaryColor
+    })
+    y += rowHeight
+  })
+}
+
+function renderStatistics (doc, statistics, includeCharts, style) {
+  const page = doc.addPage()
+  const fontSize = style.fontSize
+  const lineHeight = fontSize * 1.8
+  let y = LAYOUT.MARGIN + LAYOUT.HEADING_SIZE
+
+  page.drawText('閱讀統計', LAYOUT.MARGIN, y, { size: LAYOUT.HEADING_SIZE, color: style.primaryColor })
+  y += lineHeight
+
+  statistics.summary.forEach(({ label, value }) => {
+    y += lineHeight
+    page.drawText(label, LAYOUT.MARGIN, y, { size: fontSize + 1, color: style.primaryColor })
+    page.drawText(value, LAYOUT.MARGIN + LAYOUT.CHART_LABEL_WIDTH + 40, y, {
+      size: fontSize + 1,
+      color: style.primaryColor,
+      align: 'right'
+    })
+  })
+
+  if (!includeCharts) return
+
+  y += lineHeight * 2
+  y = renderBarChart(page, {
+    title: '各狀態書籍數',
+    top: y,
+    items: statistics.byStatus.map(item => ({ label: item.label, value: item.count, text: String(item.count) })),
+    maxValue: Math.max(1, ...statistics.byStatus.map(item => item.count))
+  }, style)
+
+  y += lineHeight * 2
+  renderBarChart(page, {
+    title: '各狀態平均進度',
+    top: y,
+    items: statistics.byStatus.map(item => ({
+      label: item.label,
+      value: item.averageProgress,
+      text: `${item.averageProgress}%`
+    })),
+    maxValue: 100
+  }, style)
+}
+
+/**
+ * 繪製水平長條圖
+ *
+ * @returns {number} 圖表底部 y
+ */
+function renderBarChart (page, chart, style) {
+  const fontSize = style.fontSize
+  const barAreaLeft = LAYOUT.MARGIN + LAYOUT.CHART_LABEL_WIDTH
+  const barAreaWidth = page.width - LAYOUT.MARGIN * 2 - LAYOUT.CHART_LABEL_WIDTH - 40
+  let y = chart.top
+
+  page.drawText(chart.title, LAYOUT.MARGIN, y, { size: fontSize + 2, color: style.primaryColor })
+  y += LAYOUT.BAR_GAP * 1.5
+
+  chart.items.forEach(item => {
+    const barWidth = barAreaWidth * Math.max(0, item.value) / chart.maxValue
+    const baseline = y + LAYOUT.BAR_HEIGHT / 2 + fontSize * 0.35
+    page.drawText(item.label, LAYOUT.MARGIN, baseline, { size: fontSize, color: style.primaryColor })
+    page.drawRect(barAreaLeft, y, barAreaWidth, LAYOUT.BAR_HEIGHT, { fill: style.stripeColor })
+    if (barWidth > 0) {
+      page.drawRect(barAreaLeft, y, barWidth, LAYOUT.BAR_HEIGHT, { fill: style.accentColor })
+    }
+    page.drawText(item.text, barAreaLeft + barWidth + 4, baseline, { size: fontSize, color: style.primaryColor })
+    y += LAYOUT.BAR_HEIGHT + LAYOUT.BAR_GAP
+  })
+
+  page.drawLine(barAreaLeft, chart.top + LAYOUT.BAR_GAP, barAreaLeft, y - LAYOUT.BAR_GAP / 2, { color: style.gridColor })
+  return y
+}
+
+function renderPageNumbers (doc, style) {
+  const total = doc.pages.length
+  doc.pages.forEach((page, index) => {
+    page.drawText(`第 ${index + 1} / ${total} 頁`, page.width / 2, page.height - LAYOUT.MARGIN / 2, {
+      size: LAYOUT.FOOTER_SIZE,
+      color: style.primaryColor,
+      align: 'center'
+    })
+  })
+}
+
+module.exports = {
+  renderReadingReport,
+  LAYOUT,
+  DEFAULT_STYLE
+}
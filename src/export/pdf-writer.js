@@ -0,0 +1,514 @@
+'use strict'
+
+/**
+ * PDF 文件寫入模組（PDF 1.7 子集）
+ *
+ * 負責功能：
+ * - 頁面繪製：文字、矩形、線段（座標以頁面左上角為原點、y 向下，序列化時轉為 PDF 座標）
+ * - 文字量測（表格欄位截斷、置中對齊）
+ * - 序列化為完整 PDF：catalog / pages / fonts / content streams / info / xref / trailer
+ *
+ * 字型策略（繁體中文書名 / 作者）：
+ * - 提供 TrueType 字型時內嵌子集字型：Type0 + CIDFontType2（Identity-H，glyph id 即 CID）
+ *   + FontFile2 + ToUnicode（可複製 / 搜尋文字）
+ * - 未提供時使用 Adobe-CNS1 預定義字型 MSung-Light（UniCNS-UCS2-H），由閱讀器提供字形；
+ *   不內嵌字型，檔案小但外觀依閱讀器而定
+ *
+ * 設計考量：
+ * - 全部同步產出、content stream 不壓縮：exporter 的 exportToPDF 為同步 API
+ *
+ * @module pdf-writer
+ */
+
+const { TrueTypeFont } = require('src/export/truetype-font')
+
+// A4（pt）
+const PAGE_SIZES = Object.freeze({
+  A4: Object.freeze({ width: 595.28, height: 841.89 })
+})
+
+const FONT_RESOURCE_NAME = 'F1'
+
+// MSung-Light 字型描述值（Adobe Asian Font Pack 公開度量）
+const CNS1_FALLBACK_FONT = Object.freeze({
+  baseFont: 'MSung-Light',
+  encoding: 'UniCNS-UCS2-H',
+  ascent: 880,
+  descent: -120,
+  capHeight: 880,
+  bbox: [-160, -249, 1015, 1071],
+  stemV: 93
+})
+
+const textEncoder = new TextEncoder()
+
+/**
+ * 將 '#rrggbb' / '#rgb' 轉為 PDF 色彩運算元（0-1）
+ *
+ * @param {string} color - CSS hex 色碼
+ * @returns {string} 例如 '0.2 0.2 0.2'
+ */
+function colorToPdf (color) {
+  let hex = String(color || '#000000').replace('#', '')
+  if (hex.length === 3) hex = hex.split('').map(c => c + c).join('')
+  const value = parseInt(hex, 16)
+  if (hex.length !== 6 || Number.isNaN(value)) return '0 0 0'
+  return [16, 8, 0].map(shift => formatNumber(((value >> shift) & 0xff) / 255)).join(' ')
+}
+
+/**
+ * PDF 數值格式（最多 3 位小數、去除尾端 0）
+ *
+ * @param {number} value
+ * @returns {string}
+ */
+function formatNumber (value) {
+  return String(Math.round(value * 1000) / 1000)
+}
+
+function toHex (value, digits) {
+  return value.toString(16).toUpperCase().padStart(digits, '0')
+}
+
+/**
+ * 字串轉 PDF text string（UTF-16BE + BOM，hex 形式），供 Info 字典等非內容文字使用
+ *
+ * @param {string} text
+ * @returns {string} 例如 '<FEFF66F8>'
+ */
+function toPdfTextString (text) {
+  let hex = 'FEFF'
+  for (let i = 0; i < text.length; i++) {
+    hex += toHex(text.charCodeAt(i), 4)
+  }
+  return `<${hex}>`
+}
+
+function toPdfDate (date) {
+  const pad = (n) => String(n).padStart(2, '0')
+  return `D:${date.getUTCFullYear()}${pad(date.getUTCMonth() + 1)}${pad(date.getUTCDate())}` +
+    `${pad(date.getUTCHours())}${pad(date.getUTCMinutes())}${pad(date.getUTCSeconds())}Z`
+}
+
+/**
+ * 內嵌 TrueType 子集字型
+ */
+class EmbeddedFont {
+  /**
+   * @param {TrueTypeFont} font - 已解析字型
+   */
+  constructor (font) {
+    this.font = font
+    this.scale = 1000 / font.unitsPerEm
+    // glyph id → code point（ToUnicode 用）
+    this.usedGlyphs = new Map()
+  }
+
+  widthOf (codePoint) {
+    return this.font.advanceWidth(this.font.glyphIdForCodePoint(codePoint)) * this.scale
+  }
+
+  encode (text) {
+    let hex = ''
+    for (const char of text) {
+      const codePoint = char.codePointAt(0)
+      const glyphId = this.font.glyphIdForCodePoint(codePoint)
+      if (!this.usedGlyphs.has(glyphId)) this.usedGlyphs.set(glyphId, codePoint)
+      hex += toHex(glyphId, 4)
+    }
+    return `<${hex}>`
+  }
+
+  /**
+   * 寫入字型相關物件，回傳 Type0 字型物件編號
+   *
+   * @param {PdfObjectWriter} writer
+   * @returns {number}
+   */
+  writeObjects (writer) {
+    const font = this.font
+    const glyphIds = [...this.usedGlyphs.keys()].sort((a, b) => a - b)
+    const fontFile = font.subset(glyphIds)
+    // 子集字型名稱前綴（6 個大寫字母 + '+'），依 PDF 規範標示為子集
+    const baseFont = `BOOKOV+${font.postScriptName}`
+    const scaled = (value) => Math.round(value * this.scale)
+
+    const fontFileId = writer.addStream(fontFile, `/Length1 ${fontFile.length}`)
+    const descriptorId = writer.addObject(
+      `<< /Type /FontDescriptor /FontName /${baseFont} /Flags 4` +
+      ` /FontBBox [${font.bbox.map(scaled).join(' ')}] /ItalicAngle 0` +
+      ` /Ascent ${scaled(font.ascent)} /Descent ${scaled(font.descent)} /CapHeight ${scaled(font.capHeight)}` +
+      ` /StemV 80 /FontFile2 ${fontFileId} 0 R >>`
+    )
+
+    const widths = glyphIds.map(id => `${id} [${scaled(font.advanceWidth(id))}]`).join(' ')
+    const cidFontId = writer.addObject(
+      `<< /Type /Font /Subtype /CIDFontType2 /BaseFont /${baseFont}` +
+      ' /CIDSystemInfo << /Registry (Adobe) /Ordering (Identity) /Supplement 0 >>' +
+      ` /FontDescriptor ${descriptorId} 0 R /DW 1000 /W [${widths}] /CIDToGIDMap /Identity >>`
+    )
+
+    const toUnicodeId = writer.addStream(textEncoder.encode(this._buildToUnicode()))
+    return writer.addObject(
+      `<< /Type /Font /Subtype /Type0 /BaseFont /${baseFont} /Encoding /Identity-H` +
+      ` /DescendantFonts [${cidFontId} 0 R] /ToUnicode ${toUnicodeId} 0 R >>`
+    )
+  }
+
+  _buildToUnicode () {
+    const entries = [...this.usedGlyphs.entries()].filter(([glyphId]) => glyphId !== 0)
+    const lines = [
+      '/CIDInit /ProcSet findresource begin',
+      '12 dict begin',
+      'begincmap',
+      '/CIDSystemInfo << /Registry (Adobe) /Ordering (UCS) /Supplement 0 >> def',
+      '/CMapName /Adobe-Identity-UCS def',
+      '/CMapType 2 def',
+      '1 begincodespacerange',
+      '<0000> <FFFF>',
+      'endcodespacerange'
+    ]
+    // bfchar 每段最多 100 筆
+    for (let i = 0; i < entries.length; i += 100) {
+      const chunk = entries.slice(i, i + 100)
+      lines.push(`${chunk.length} beginbfchar`)
+      chunk.forEach(([glyphId, codePoint]) => {
+        let unicode = ''
+        for (const unit of String.fromCodePoint(codePoint)) {
+          for (let j = 0; j < unit.length; j++) unicode += toHex(unit.charCodeAt(j), 4)
+        }
+        lines.push(`<${toHex(glyphId, 4)}> <${unicode}>`)
+      })
+      lines.push('endbfchar')
+    }
+    lines.push('endcmap', 'CMapName currentdict /CMap defineresource pop', 'end', 'end')
+    return lines.join('\n')
+  }
+}
+
+/**
+ * Adobe-CNS1 預定義字型（不內嵌）
+ */
+class PredefinedCjkFont {
+  widthOf (codePoint) {
+    // Adobe-CNS1 CID 1-95 為半形拉丁字元（見 W 陣列），其餘視為全形
+    return codePoint >= 0x20 && codePoint <= 0x7e ? 500 : 1000
+  }
+
+  encode (text) {
+    let hex = ''
+    for (const char of text) {
+      const codePoint = char.codePointAt(0)
+      // UCS2 CMap 僅涵蓋 BMP
+      hex += toHex(codePoint > 0xFFFF ? 0x3F : codePoint, 4)
+    }
+    return `<${hex}>`
+  }
+
+  writeObjects (writer) {
+    const font = CNS1_FALLBACK_FONT
+    const descriptorId = writer.addObject(
+      `<< /Type /FontDescriptor /FontName /${font.baseFont} /Flags 6` +
+      ` /FontBBox [${font.bbox.join(' ')}] /ItalicAngle 0 /Ascent ${font.ascent}` +
+      ` /Descent ${font.descent} /CapHeight ${font.capHeight} /StemV ${font.stemV} >>`
+    )
+    const cidFontId = writer.addObject(
+      `<< /Type /Font /Subtype /CIDFontType0 /BaseFont /${font.baseFont}` +
+      ' /CIDSystemInfo << /Registry (Adobe) /Ordering (CNS1) /Supplement 0 >>' +
+      ` /FontDescriptor ${descriptorId} 0 R /DW 1000 /W [1 95 500] >>`
+    )
+    return writer.addObject(
+      `<< /Type /Font /Subtype /Type0 /BaseFont /${font.baseFont}-${font.encoding}` +
+      ` /Encoding /${font.encoding} /DescendantFonts [${cidFontId} 0 R] >>`
+    )
+  }
+}
+
+/**
+ * PDF 間接物件收集器：依加入順序編號，序列化時計算 xref 位移
+ */
+class PdfObjectWriter {
+  constructor () {
+    this.objects = []
+  }
+
+  /**
+   * 預留物件編號（物件內容稍後以 setObject 填入，供 Pages / Page 互相引用）
+   *
+   * @returns {number} 物件編號
+   */
+  reserve () {
+    this.objects.push(null)
+    return this.objects.length
+  }
+
+  setObject (id, body) {
+    this.objects[id - 1] = textEncoder.encode(body)
+  }
+
+  addObject (body) {
+    const id = this.reserve()
+    this.setObject(id, body)
+    return id
+  }
+
+  /**
+   * @param {Uint8Array} data - stream 內容
+   * @param {string} [extraEntries] - 額外的 stream 字典項目
+   * @returns {number} 物件編號
+   */
+  addStream (data, extraEntries = '') {
+    const id = this.reserve()
+    const head = textEncoder.encode(`<< /Length ${data.length}${extraEntries ? ' ' + extraEntries : ''} >>\nstream\n`)
+    const tail = textEncoder.encode('\nendstream')
+    const body = new Uint8Array(head.length + data.length + tail.length)
+    body.set(head, 0)
+    body.set(data, head.length)
+    body.set(tail, head.length + data.length)
+    this.objects[id - 1] = body
+    return id
+  }
+
+  /**
+   * @param {number} rootId - Catalog 物件編號
+   * @param {number} infoId - Info 物件編號
+   * @returns {Uint8Array}
+   */
+  serialize (rootId, infoId) {
+    // 第二行為二進位註解，提示傳輸工具以二進位處理
+    const header = new Uint8Array([...textEncoder.encode('%PDF-1.7\n%'), 0xE2, 0xE3, 0xCF, 0xD3, 0x0A])
+    const chunks = [header]
+    const offsets = []
+    let length = header.length
+
+    this.objects.forEach((body, index) => {
+      offsets.push(length)
+      const open = textEncoder.encode(`${index + 1} 0 obj\n`)
+      const close = textEncoder.encode('\nendobj\n')
+      chunks.push(open, body, close)
+      length += open.length + body.length + close.length
+    })
+
+    const xref = [
+      'xref',
+      `0 ${this.objects.length + 1}`,
+      '0000000000 65535 f ',
+      ...offsets.map(offset => `${String(offset).padStart(10, '0')} 00000 n `),
+      'trailer',
+      `<< /Size ${this.objects.length + 1} /Root ${rootId} 0 R /Info ${infoId} 0 R >>`,
+      'startxref',
+      String(length),
+      '%%EOF',
+      ''
+    ].join('\n')
+    chunks.push(textEncoder.encode(xref))
+
+    const output = new Uint8Array(chunks.reduce((sum, chunk) => sum + chunk.length, 0))
+    let offset = 0
+    for (const chunk of chunks) {
+      output.set(chunk, offset)
+      offset += chunk.length
+    }
+    return output
+  }
+}
+
+class PdfPage {
+  /**
+   * @param {PdfDocument} doc - 所屬文件
+   */
+  constructor (doc) {
+    this.doc = doc
+    this.width = doc.pageSize.width
+    this.height = doc.pageSize.height
+    this.operations = []
+  }
+
+  /**
+   * 繪製單行文字
+   *
+   * @param {string} text - 文字內容
+   * @param {number} x - 左緣（pt）
+   * @param {number} y - 基線距頁面頂端（pt）
+   * @param {Object} [options]
+   * @param {number} [options.size=10] - 字級（pt）
+   * @param {string} [options.color='#000000'] - 文字顏色
+   * @param {'left'|'center'|'right'} [options.align='left'] - x 為左緣 / 中心 / 右緣
+   */
+  drawText (text, x, y, options = {}) {
+    const value = String(text)
+    if (!value) return
+    const size = options.size || 10
+    let left = x
+    if (options.align === 'center') left = x - this.doc.measureText(value, size) / 2
+    if (options.align === 'right') left = x - this.doc.measureText(value, size)
+
+    this.operations.push(
+      `BT /${FONT_RESOURCE_NAME} ${formatNumber(size)} Tf ${colorToPdf(options.color)} rg` +
+      ` ${formatNumber(left)} ${formatNumber(this.height - y)} Td ${this.doc.font.encode(value)} Tj ET`
+    )
+  }
+
+  /**
+   * 繪製矩形
+   *
+   * @param {number} x - 左緣
+   * @param {number} y - 上緣距頁面頂端
+   * @param {number} width
+   * @param {number} height
+   * @param {Object} [options]
+   * @param {string} [options.fill] - 填色
+   * @param {string} [options.stroke] - 邊框色
+   * @param {number} [options.lineWidth=0.5] - 邊框寬度
+   */
+  drawRect (x, y, width, height, options = {}) {
+    const rect = `${formatNumber(x)} ${formatNumber(this.height - y - height)} ${formatNumber(width)} ${formatNumber(height)} re`
+    if (options.fill) {
+      this.operations.push(`${colorToPdf(options.fill)} rg ${rect} f`)
+    }
+    if (options.stroke) {
+      this.operations.push(`${formatNumber(options.lineWidth || 0.5)} w ${colorToPdf(options.stroke)} RG ${rect} S`)
+    }
+  }
+
+  /**
+   * 繪製線段
+   *
+   * @param {number} x1
+   * @param {number} y1 - 距頁面頂端
+   * @param {number} x2
+   * @param {number} y2 - 距頁面頂端
+   * @param {Object} [options]
+   * @param {string} [options.color='#000000']
+   * @param {number} [options.lineWidth=0.5]
+   */
+  drawLine (x1, y1, x2, y2, options = {}) {
+    this.operations.push(
+      `${formatNumber(options.lineWidth || 0.5)} w ${colorToPdf(options.color)} RG` +
+      ` ${formatNumber(x1)} ${formatNumber(this.height - y1)} m ${formatNumber(x2)} ${formatNumber(this.height - y2)} l S`
+    )
+  }
+}
+
+class PdfDocument {
+  /**
+   * @param {Object} [options]
+   * @param {ArrayBuffer|Uint8Array|TrueTypeFont} [options.font] - 內嵌用 TrueType 字型；未提供時使用 MSung-Light
+   * @param {'A4'} [options.pageSize='A4'] - 頁面尺寸
+   * @param {string} [options.title] - 文件標題（Info /Title）
+   * @param {string} [options.author] - 文件作者（Info /Author）
+   * @param {Date} [options.createdAt=new Date()] - 建立時間
+   * @throws {Error} code=INVALID_DATA_FORMAT：字型無法解析（見 TrueTypeFont）
+   */
+  constructor (options = {}) {
+    this.pageSize = PAGE_SIZES[options.pageSize] || PAGE_SIZES.A4
+    this.title = options.title || ''
+    this.author = options.author || ''
+    this.createdAt = options.createdAt || new Date()
+    this.pages = []
+
+    if (options.font) {
+      const font = options.font instanceof TrueTypeFont ? options.font : new TrueTypeFont(options.font)
+      this.font = new EmbeddedFont(font)
+    } else {
+      this.font = new PredefinedCjkFont()
+    }
+  }
+
+  /**
+   * 新增頁面
+   *
+   * @returns {PdfPage}
+   */
+  addPage () {
+    const page = new PdfPage(this)
+    this.pages.push(page)
+    return page
+  }
+
+  /**
+   * 量測文字寬度
+   *
+   * @param {string} text
+   * @param {number} size - 字級（pt）
+   * @returns {number} 寬度（pt）
+   */
+  measureText (text, size) {
+    let width = 0
+    for (const char of String(text)) {
+      width += this.font.widthOf(char.codePointAt(0))
+    }
+    return width * size / 1000
+  }
+
+  /**
+   * 截斷文字使其寬度不超過 maxWidth（超出時以 '…' 結尾）
+   *
+   * @param {string} text
+   * @param {number} maxWidth - 最大寬度（pt）
+   * @param {number} size - 字級（pt）
+   * @returns {string}
+   */
+  fitText (text, maxWidth, size) {
+    const value = String(text)
+    if (this.measureText(value, size) <= maxWidth) return value
+
+    const ellipsisWidth = this.measureText('…', size)
+    let result = ''
+    let width = 0
+    for (const char of value) {
+      const charWidth = this.measureText(char, size)
+      if (width + charWidth + ellipsisWidth > maxWidth) break
+      result += char
+      width += charWidth
+    }
+    return result + '…'
+  }
+
+  /**
+   * 序列化為 PDF 位元組
+   *
+   * @returns {Uint8Array}
+   */
+  toBytes () {
+    if (this.pages.length === 0) this.addPage()
+
+    const writer = new PdfObjectWriter()
+    const catalogId = writer.reserve()
+    const pagesId = writer.reserve()
+
+    const pageIds = this.pages.map(page => {
+      const contentId = writer.addStream(textEncoder.encode(page.operations.join('\n')))
+      const pageId = writer.reserve()
+      return { pageId, contentId }
+    })
+
+    // 字型物件需在全部文字 encode 之後寫入（內嵌子集依使用中的 glyph 產生）
+    const fontId = this.font.writeObjects(writer)
+
+    pageIds.forEach(({ pageId, contentId }) => {
+      writer.setObject(pageId,
+        `<< /Type /Page /Parent ${pagesId} 0 R /MediaBox [0 0 ${formatNumber(this.pageSize.width)} ${formatNumber(this.pageSize.height)}]` +
+        ` /Resources << /Font << /${FONT_RESOURCE_NAME} ${fontId} 0 R >> >> /Contents ${contentId} 0 R >>`
+      )
+    })
+    writer.setObject(pagesId,
+      `<< /Type /Pages /Kids [${pageIds.map(({ pageId }) => `${pageId} 0 R`).join(' ')}] /Count ${pageIds.length} >>`
+    )
+    writer.setObject(catalogId, `<< /Type /Catalog /Pages ${pagesId} 0 R >>`)
+
+    const infoId = writer.addObject(
+      `<< /Title ${toPdfTextString(this.title)} /Author ${toPdfTextString(this.author)}` +
+      ` /Creator ${toPdfTextString('Book Overview')} /CreationDate (${toPdfDate(this.createdAt)}) >>`
+    )
+
+    return writer.serialize(catalogId, infoId)
+  }
+}
+
+module.exports = {
+  PdfDocument,
+  PAGE_SIZES,
+  colorToPdf,
+  toPdfTextString
+}
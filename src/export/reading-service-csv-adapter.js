@@ -0,0 +1,465 @@
+'use strict'
+
+/**
+ * 閱讀服務 CSV 雙向 adapter（Goodreads library export / StoryGraph export，純函式）
+ *
+ * 匯入：CSV 列（已由 ContentParser 拆為 row × cell）→ 內部 v2 book model + tags / tagCategories。
+ * 匯出：內部 v2 books + tag 資料 → 各服務可匯入的 CSV 字串。
+ *
+ * 欄位映射：
+ * - 閱讀狀態：Goodreads Exclusive Shelf / StoryGraph Read Status ↔ readingStatus
+ *   （finished / reading / queued / abandoned；其餘狀態不臆造，維持 unread）
+ * - 書架（Goodreads Bookshelves）與標籤（StoryGraph Tags）→「書架」/「標籤」分類下的 tag
+ * - 評分（My Rating / Star Rating）→「評分」分類下的 ★N tag（StoryGraph 可為 ★4.5）；
+ *   整數評分同時寫入 book.rating，匯出時 book.rating 優先於 ★N tag
+ * - 讀完日期（Date Read / Last Date Read）→ book.finishedAt（YYYY-MM-DD）
+ * - ISBN 與服務端 id → book.identifiers（isbn / goodreads / storygraph）
+ *
+ * 比對既有書籍（避免重複建立）：ISBN（ISBN-10 / 13 互轉後比對）優先，其次書名 + 作者；
+ * 既有書無作者（Readmoo 書庫頁不提供作者欄位）時以書名唯一命中為準。
+ * 命中者沿用既有 id 與其餘欄位，僅覆寫服務提供的欄位，合併時不會新增重複書籍。
+ */
+
+const { COLORS } = require('../core/design-system/colors.js')
+const BookSchemaV2 = require('../data-management/BookSchemaV2')
+const { normalizeRating: normalizeAnnotationRating } = require('../data-management/BookAnnotationSchema')
+
+const { READING_STATUS } = BookSchemaV2
+
+const READING_SERVICES = Object.freeze({
+  GOODREADS: 'goodreads',
+  STORYGRAPH: 'storygraph'
+})
+
+const SERVICE_LABELS = Object.freeze({
+  [READING_SERVICES.GOODREADS]: 'Goodreads',
+  [READING_SERVICES.STORYGRAPH]: 'StoryGraph'
+})
+
+// 匯入 tag 分類（合併時依名稱對應既有分類，id 僅需在單次匯入內唯一）
+const SERVICE_CATEGORIES = Object.freeze({
+  SHELF: Object.freeze({ id: 'cat_reading_service_shelf', name: '書架' }),
+  TAG: Object.freeze({ id: 'cat_reading_service_tag', name: '標籤' }),
+  RATING: Object.freeze({ id: 'cat_reading_service_rating', name: '評分' })
+})
+
+const RATING_TAG_PATTERN = /^★(\d(?:\.\d+)?)$/
+
+const GOODREADS_HEADERS = Object.freeze([
+  'Book Id', 'Title', 'Author', 'Additional Authors', 'ISBN', 'ISBN13',
+  'My Rating', 'Publisher', 'Date Read', 'Bookshelves', 'Exclusive Shelf'
+])
+
+const STORYGRAPH_HEADERS = Object.freeze([
+  'Title', 'Authors', 'ISBN/UID', 'Read Status', 'Star Rating', 'Last Date Read', 'Tags'
+])
+
+// 服務狀態值 → readingStatus（Goodreads 自訂 exclusive shelf 常見的棄讀命名一併納入）
+const SERVICE_STATUS_TO_READING_STATUS = Object.freeze({
+  read: READING_STATUS.FINISHED,
+  'currently-reading': READING_STATUS.READING,
+  paused: READING_STATUS.READING,
+  'to-read': READING_STATUS.QUEUED,
+  'did-not-finish': READING_STATUS.ABANDONED,
+  dnf: READING_STATUS.ABANDONED,
+  abandoned: READING_STATUS.ABANDONED
+})
+
+const READING_STATUS_TO_SERVICE_STATUS = Object.freeze({
+  [READING_STATUS.FINISHED]: 'read',
+  [READING_STATUS.READING]: 'currently-reading',
+  [READING_STATUS.ABANDONED]: 'did-not-finish'
+})
+const DEFAULT_SERVICE_STATUS = 'to-read'
+
+// =============================================================================
+// 正規化 helper
+// =============================================================================
+
+// Goodreads 以 ="0123456789" 包裝 ISBN 防止試算表轉為數字
+function cleanIsbn (raw) {
+  const value = String(raw || '').replace(/^="?|"$/g, '').replace(/[\s-]/g, '').toUpperCase()
+  return /^(\d{9}[\dX]|\d{13})$/.test(value) ? value : ''
+}
+
+function isbn10To13 (isbn10) {
+  const core = '978' + isbn10.slice(0, 9)
+  let sum = 0
+  for (let i = 0; i < 12; i++) sum += Number(core[i]) * (i % 2 === 0 ? 1 : 3)
+  return core + ((10 - (sum % 10)) % 10)
+}
+
+// 比對用 ISBN 一律轉為 13 碼
+function isbnMatchKey (isbn) {
+  const clean = cleanIsbn(isbn)
+  if (clean === '') return ''
+  return clean.length === 10 ? isbn10To13(clean) : clean
+}
+
+function normalizeText (value) {
+  return String(value || '').normalize('NFKC').toLowerCase().replace(/[\s\p{P}\p{S}]/gu, '')
+}
+
+// 書名比對鍵：完整書名 + 去除系列括註與副標的主書名
+function titleMatchKeys (title) {
+  const keys = new Set()
+  const full = normalizeText(title)
+  if (full) keys.add(full)
+  const main = normalizeText(String(title || '').replace(/[(（[［].*$/, '').split(/[:：]/)[0])
+  if (main) keys.add(main)
+  return [...keys]
+}
+
+function splitList (raw) {
+  return String(raw || '').split(',').map(s => s.trim()).filter(s => s !== '')
+}
+
+// YYYY/MM/DD 或 YYYY-MM-DD → YYYY-MM-DD；無效值回 ''
+function normalizeDate (raw) {
+  const match = /^(\d{4})[/-](\d{1,2})[/-](\d{1,2})/.exec(String(raw || '').trim())
+  if (!match) return ''
+  return `${match[1]}-${match[2].padStart(2, '0')}-${match[3].padStart(2, '0')}`
+}
+
+function normalizeRating (raw) {
+  const rating = Number(raw)
+  return Number.isFinite(rating) && rating > 0 && rating <= 5 ? rating : 0
+}
+
+// FNV-1a：無服務端 id 時以書名 + 作者產生穩定 id，重複匯入同一檔案得到相同 id
+function stableHash (text) {
+  let hash = 0x811C9DC5
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i)
+    hash = Math.imul(hash, 0x01000193)
+  }
+  return (hash >>> 0).toString(36)
+}
+
+// =============================================================================
+// 偵測
+// =============================================================================
+
+/**
+ * 依 CSV header 判斷是否為閱讀服務匯出檔。
+ *
+ * @param {string[]} headerRow - CSV 第一列
+ * @returns {string|null} READING_SERVICES 之一，非服務格式回 null
+ */
+function detectReadingServiceCsv (headerRow) {
+  if (!Array.isArray(headerRow)) return null
+  const headers = new Set(headerRow.map(h => String(h).trim()))
+  if (headers.has('Book Id') && headers.has('Title') && headers.has('Exclusive Shelf')) {
+    return READING_SERVICES.GOODREADS
+  }
+  if (headers.has('Title') && headers.has('Read Status') && headers.has('ISBN/UID')) {
+    return READING_SERVICES.STORYGRAPH
+  }
+  return null
+}
+
+// =============================================================================
+// 匯入
+// =============================================================================
+
+function readGoodreadsRow (cell) {
+  const exclusiveShelf = cell('Exclusive Shelf').trim()
+  const statusShelves = new Set(Object.keys(SERVICE_STATUS_TO_READING_STATUS))
+  const additionalAuthors = splitList(cell('Additional Authors'))
+  const author = cell('Author').trim()
+  return {
+    serviceId: cell('Book Id').trim(),
+    title: cell('Title').trim(),
+    authors: author ? [author, ...additionalAuthors] : additionalAuthors,
+    isbn: cleanIsbn(cell('ISBN13')) || cleanIsbn(cell('ISBN')),
+    publisher: cell('Publisher').trim(),
+    rating: normalizeRating(cell('My Rating')),
+    dateRead: normalizeDate(cell('Date Read')),
+    readingStatus: SERVICE_STATUS_TO_READING_STATUS[exclusiveShelf] || null,
+    // 自訂 exclusive shelf（非閱讀狀態者）亦視為書架
+    shelves: [...new Set([...splitList(cell('Bookshelves')), exclusiveShelf])]
+      .filter(shelf => shelf !== '' && !statusShelves.has(shelf)),
+    tagCategory: SERVICE_CATEGORIES.SHELF
+  }
+}
+
+function readStoryGraphRow (cell) {
+  const uid = cell('ISBN/UID').trim()
+  const isbn = cleanIsbn(uid)
+  return {
+    serviceId: isbn ? '' : uid,
+    title: cell('Title').trim(),
+    authors: splitList(cell('Authors')),
+    isbn,
+    publisher: '',
+    rating: normalizeRating(cell('Star Rating')),
+    dateRead: normalizeDate(cell('Last Date Read')),
+    readingStatus: SERVICE_STATUS_TO_READING_STATUS[cell('Read Status').trim()] || null,
+    shelves: splitList(cell('Tags')),
+    tagCategory: SERVICE_CATEGORIES.TAG
+  }
+}
+
+/**
+ * 建立既有書籍比對索引。
+ *
+ * @param {Array<Object>} existingBooks - 目前書庫內部 v2 books
+ * @returns {{ byIsbn: Map, byTitle: Map }}
+ */
+function createBookMatchIndex (existingBooks) {
+  const byIsbn = new Map()
+  const byTitle = new Map()
+  for (const book of (Array.isArray(existingBooks) ? existingBooks : [])) {
+    if (!book || !book.id) continue
+    const isbn = isbnMatchKey((book.identifiers && book.identifiers.isbn) || book.isbn)
+    if (isbn && !byIsbn.has(isbn)) byIsbn.set(isbn, book)
+    for (const key of titleMatchKeys(book.title)) {
+      if (!byTitle.has(key)) byTitle.set(key, [])
+      byTitle.get(key).push(book)
+    }
+  }
+  return { byIsbn, byTitle }
+}
+
+/**
+ * 以 ISBN → 書名 + 作者 → 書名（既有書無作者且唯一）順序比對既有書籍。
+ *
+ * @param {{ byIsbn: Map, byTitle: Map }} index - createBookMatchIndex 結果
+ * @param {{ title: string, authors: string[], isbn: string }} entry - 服務 CSV 單列
+ * @param {Set} usedIds - 已被前列命中的既有 id（一本既有書只對應一列）
+ * @returns {Object|null} 命中的既有書
+ */
+function findExistingBook (index, entry, usedIds) {
+  const isbnHit = entry.isbn ? index.byIsbn.get(isbnMatchKey(entry.isbn)) : null
+  if (isbnHit && !usedIds.has(isbnHit.id)) return isbnHit
+
+  const authorKeys = new Set(entry.authors.map(normalizeText).filter(Boolean))
+  for (const key of titleMatchKeys(entry.title)) {
+    const candidates = (index.byTitle.get(key) || []).filter(book => !usedIds.has(book.id))
+    const byAuthor = candidates.find(book =>
+      Array.isArray(book.authors) && book.authors.some(a => authorKeys.has(normalizeText(a))))
+    if (byAuthor) return byAuthor
+    const authorless = candidates.filter(book => !Array.isArray(book.authors) || book.authors.length === 0)
+    if (authorless.length === 1) return authorless[0]
+  }
+  return null
+}
+
+/**
+ * 將閱讀服務 CSV 列轉換為內部 v2 三區段。
+ *
+ * @param {Array<Array<string>>} rows - 含 header 的 CSV 列
+ * @param {string} service - READING_SERVICES 之一
+ * @param {Object} [options]
+ * @param {Array<Object>} [options.existingBooks=[]] - 目前書庫，供比對避免重複
+ * @param {string} [options.timestamp] - 匯入時間（ISO），用於 updatedAt / tag 建立時間
+ * @returns {{ books: Array, tags: Array, tagCategories: Array, matchedCount: number }}
+ */
+function convertReadingServiceRows (rows, service, options = {}) {
+  const timestamp = options.timestamp || new Date().toISOString()
+  const headerRow = rows[0] || []
+  const readRow = service === READING_SERVICES.GOODREADS ? readGoodreadsRow : readStoryGraphRow
+  const index = createBookMatchIndex(options.existingBooks)
+  const usedIds = new Set()
+  const tagsByKey = new Map()
+  const usedCategories = new Set()
+
+  const tagIdFor = (category, name) => {
+    const key = `${category.id}\u0000${name.toLowerCase()}`
+    if (!tagsByKey.has(key)) {
+      usedCategories.add(category)
+      tagsByKey.set(key, {
+        id: `tag_${service}_${tagsByKey.size + 1}`,
+        name,
+        categoryId: category.id,
+        isSystem: false,
+        sortOrder: tagsByKey.size,
+        createdAt: timestamp,
+        updatedAt: timestamp
+      })
+    }
+    return tagsByKey.get(key).id
+  }
+
+  const books = []
+  let matchedCount = 0
+  for (const row of rows.slice(1)) {
+    const cell = name => {
+      const idx = headerRow.indexOf(name)
+      return idx === -1 || row[idx] === undefined ? '' : String(row[idx])
+    }
+    const entry = readRow(cell)
+    if (!entry.title) continue
+
+    const tagIds = entry.shelves.map(shelf => tagIdFor(entry.tagCategory, shelf))
+    if (entry.rating > 0) tagIds.push(tagIdFor(SERVICE_CATEGORIES.RATING, `★${entry.rating}`))
+
+    const identifiers = {}
+    if (entry.isbn) identifiers.isbn = entry.isbn
+    if (entry.serviceId) identifiers[service] = entry.serviceId
+
+    const serviceFields = { tagIds, updatedAt: timestamp }
+    if (entry.readingStatus) {
+      serviceFields.readingStatus = entry.readingStatus
+      serviceFields.isManualStatus = BookSchemaV2.isManualOnlyStatus(entry.readingStatus)
+      if (entry.readingStatus === READING_STATUS.FINISHED) serviceFields.progress = 100
+    }
+    if (normalizeAnnotationRating(entry.rating)) serviceFields.rating = entry.rating
+    if (entry.dateRead) serviceFields.finishedAt = entry.dateRead
+
+    const existing = findExistingBook(index, entry, usedIds)
+    if (existing) {
+      usedIds.add(existing.id)
+      matchedCount++
+      books.push({
+        ...existing,
+        ...serviceFields,
+        identifiers: { ...(existing.identifiers || {}), ...identifiers }
+      })
+      continue
+    }
+
+    const idSeed = entry.serviceId || entry.isbn || stableHash(`${entry.title}\u0000${entry.authors.join(',')}`)
+    books.push({
+      id: `${service}-${idSeed}`,
+      title: entry.title,
+      authors: entry.authors,
+      publisher: entry.publisher,
+      readingStatus: READING_STATUS.UNREAD,
+      isManualStatus: false,
+      progress: 0,
+      type: '',
+      cover: '',
+      extractedAt: timestamp,
+      identifiers,
+      ...serviceFields
+    })
+  }
+
+  const tagCategories = Object.values(SERVICE_CATEGORIES)
+    .filter(category => usedCategories.has(category))
+    .map((category, sortOrder) => ({
+      id: category.id,
+      name: category.name,
+      color: COLORS.tagDefault,
+      isSystem: false,
+      sortOrder,
+      createdAt: timestamp,
+      updatedAt: timestamp
+    }))
+
+  return { books, tags: [...tagsByKey.values()], tagCategories, matchedCount }
+}
+
+// =============================================================================
+// 匯出
+// =============================================================================
+
+function escapeCsvField (value) {
+  const text = value === undefined || value === null ? '' : String(value)
+  return /[",\r\n]/.test(text) ? '"' + text.replace(/"/g, '""') + '"' : text
+}
+
+// 解析書籍 tag：評分分類取 ★N 值（書籍有個人評分 book.rating 時以其為準），
+// 其餘 tag 名稱作為書架 / 標籤（逗號為清單分隔，移除）
+function resolveServiceTags (book, tagMap, ratingCategoryIds) {
+  let rating = 0
+  const names = []
+  for (const tagId of (Array.isArray(book.tagIds) ? book.tagIds : [])) {
+    const tag = tagMap.get(tagId)
+    if (!tag) continue
+    const ratingMatch = ratingCategoryIds.has(tag.categoryId) ? RATING_TAG_PATTERN.exec(tag.name) : null
+    if (ratingMatch) {
+      rating = Number(ratingMatch[1])
+    } else {
+      names.push(tag.name.replace(/,/g, ' ').trim())
+    }
+  }
+  return { rating: normalizeAnnotationRating(book.rating) || rating, names: names.filter(Boolean) }
+}
+
+// 讀完日期：schema 4.0.0 起為 finishedAt；dateRead 為遷移前閱讀服務匯入留下的舊欄位
+function toServiceDate (book) {
+  const date = normalizeDate(book.finishedAt || book.dateRead)
+  return date ? date.replace(/-/g, '/') : ''
+}
+
+function bookIsbn (book) {
+  return cleanIsbn((book.identifiers && book.identifiers.isbn) || book.isbn)
+}
+
+function goodreadsRow (book, resolved) {
+  const isbn = bookIsbn(book)
+  const authors = Array.isArray(book.authors) ? book.authors : []
+  const exclusiveShelf = READING_STATUS_TO_SERVICE_STATUS[book.readingStatus] || DEFAULT_SERVICE_STATUS
+  return [
+    (book.identifiers && book.identifiers.goodreads) || '',
+    book.title,
+    authors[0] || '',
+    authors.slice(1).join(', '),
+    isbn.length === 10 ? isbn : '',
+    isbn.length === 13 ? isbn : '',
+    Math.round(resolved.rating),
+    book.publisher || '',
+    toServiceDate(book),
+    [...resolved.names, exclusiveShelf].map(name => name.toLowerCase().replace(/\s+/g, '-')).join(', '),
+    exclusiveShelf
+  ]
+}
+
+function storyGraphRow (book, resolved) {
+  return [
+    book.title,
+    (Array.isArray(book.authors) ? book.authors : []).join(', '),
+    bookIsbn(book) || (book.identifiers && book.identifiers.storygraph) || '',
+    READING_STATUS_TO_SERVICE_STATUS[book.readingStatus] || DEFAULT_SERVICE_STATUS,
+    resolved.rating || '',
+    toServiceDate(book),
+    resolved.names.join(', ')
+  ]
+}
+
+/**
+ * 將內部 v2 books 匯出為閱讀服務可匯入的 CSV。
+ *
+ * @param {Array<Object>} books - 內部 v2 books
+ * @param {Object} options
+ * @param {string} options.service - READING_SERVICES 之一
+ * @param {Array<Object>} [options.tags=[]] - tag 陣列（解析書架 / 標籤 / 評分）
+ * @param {Array<Object>} [options.tagCategories=[]] - tag category 陣列（辨識「評分」分類）
+ * @returns {string} CSV 字串（CRLF 換行）
+ * @throws {Error} service 非 READING_SERVICES 之一
+ */
+function buildReadingServiceCsv (books, options = {}) {
+  const { service } = options
+  if (!Object.values(READING_SERVICES).includes(service)) {
+    throw new Error(`不支援的閱讀服務格式：${service}`)
+  }
+  const tagMap = new Map((options.tags || []).map(tag => [tag.id, tag]))
+  const ratingCategoryIds = new Set((options.tagCategories || [])
+    .filter(category => category.name === SERVICE_CATEGORIES.RATING.name)
+    .map(category => category.id))
+
+  const isGoodreads = service === READING_SERVICES.GOODREADS
+  const header = isGoodreads ? GOODREADS_HEADERS : STORYGRAPH_HEADERS
+  const toRow = isGoodreads ? goodreadsRow : storyGraphRow
+
+  const lines = [header.join(',')]
+  for (const book of (Array.isArray(books) ? books : [])) {
+    if (!book || typeof book !== 'object' || !book.title) continue
+    const resolved = resolveServiceTags(book, tagMap, ratingCategoryIds)
+    lines.push(toRow(book, resolved).map(escapeCsvField).join(','))
+  }
+  return lines.join('\r\n') + '\r\n'
+}
+
+module.exports = {
+  READING_SERVICES,
+  SERVICE_LABELS,
+  SERVICE_CATEGORIES,
+  detectReadingServiceCsv,
+  createBookMatchIndex,
+  findExistingBook,
+  convertReadingServiceRows,
+  buildReadingServiceCsv
+}
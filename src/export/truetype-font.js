@@ -0,0 +1,424 @@
+'use strict'
+
+/**
+ * TrueType 字型解析與子集化模組（PDF 內嵌字型用）
+ *
+ * 負責功能：
+ * - 解析 sfnt 表格：head / hhea / maxp / hmtx / loca / glyf / cmap（format 4、12）/ name / OS/2
+ * - 提供 code point → glyph id 查詢與 advance width
+ * - 產出只保留使用中 glyph 外框的子集字型（FontFile2 內嵌）
+ *
+ * 設計考量：
+ * - 子集化保留原 glyph id（未使用的 glyph 外框清空），PDF 端可直接以 CIDToGIDMap /Identity 對應，
+ *   不需重排 glyph 與重建 cmap；中文字型數 MB 的 glyf 表縮減為實際用到的字
+ * - 僅支援 glyf 外框（TrueType）；CFF 外框（'OTTO'）與字型集合（'ttcf'）拋出 INVALID_DATA_FORMAT
+ *
+ * @module truetype-font
+ */
+
+const { ErrorCodes } = require('src/core/errors/ErrorCodes')
+
+const SFNT_VERSION_TRUETYPE = 0x00010000
+const SFNT_VERSION_APPLE = 0x74727565 // 'true'
+const SFNT_VERSION_CFF = 0x4f54544f // 'OTTO'
+const SFNT_VERSION_COLLECTION = 0x74746366 // 'ttcf'
+
+const REQUIRED_TABLES = ['head', 'hhea', 'maxp', 'hmtx', 'loca', 'glyf', 'cmap']
+// 子集字型保留的表格（cmap / name 等由 PDF 字典提供，PDF 規範不要求內嵌）
+const SUBSET_TABLES = ['cvt ', 'fpgm', 'glyf', 'head', 'hhea', 'hmtx', 'loca', 'maxp', 'prep']
+
+// composite glyph component flags
+const ARG_1_AND_2_ARE_WORDS = 0x0001
+const WE_HAVE_A_SCALE = 0x0008
+const MORE_COMPONENTS = 0x0020
+const WE_HAVE_AN_X_AND_Y_SCALE = 0x0040
+const WE_HAVE_A_TWO_BY_TWO = 0x0080
+
+function makeFontError (message, details = {}) {
+  const error = new Error(message)
+  error.code = ErrorCodes.INVALID_DATA_FORMAT
+  error.details = { category: 'export', ...details }
+  return error
+}
+
+function toUint8Array (input) {
+  if (input instanceof ArrayBuffer) return new Uint8Array(input)
+  if (ArrayBuffer.isView(input)) return new Uint8Array(input.buffer, input.byteOffset, input.byteLength)
+  throw makeFontError('字型資料必須為 ArrayBuffer 或 Uint8Array')
+}
+
+/**
+ * 計算 sfnt 表格 checksum（以 big-endian uint32 累加，不足 4 bytes 補 0）
+ *
+ * @param {Uint8Array} bytes - 表格內容
+ * @returns {number} uint32 checksum
+ */
+function tableChecksum (bytes) {
+  let sum = 0
+  for (let i = 0; i < bytes.length; i += 4) {
+    const word = ((bytes[i] << 24) | ((bytes[i + 1] || 0) << 16) | ((bytes[i + 2] || 0) << 8) | (bytes[i + 3] || 0)) >>> 0
+    sum = (sum + word) >>> 0
+  }
+  return sum
+}
+
+class TrueTypeFont {
+  /**
+   * 解析 TrueType 字型
+   *
+   * @param {ArrayBuffer|Uint8Array} input - .ttf 位元組
+   * @throws {Error} code=INVALID_DATA_FORMAT：非 TrueType、CFF 外框、缺少必要表格
+   */
+  constructor (input) {
+    this.bytes = toUint8Array(input)
+    this.view = new DataView(this.bytes.buffer, this.bytes.byteOffset, this.bytes.byteLength)
+
+    if (this.bytes.length < 12) {
+      throw makeFontError('字型檔案過小')
+    }
+    const version = this.view.getUint32(0)
+    if (version === SFNT_VERSION_CFF) {
+      throw makeFontError('不支援 CFF 外框字型（.otf），請使用 TrueType 字型', { sfntVersion: 'OTTO' })
+    }
+    if (version === SFNT_VERSION_COLLECTION) {
+      throw makeFontError('不支援字型集合（.ttc），請使用單一 TrueType 字型', { sfntVersion: 'ttcf' })
+    }
+    if (version !== SFNT_VERSION_TRUETYPE && version !== SFNT_VERSION_APPLE) {
+      throw makeFontError('不是有效的 TrueType 字型')
+    }
+
+    this.tables = this._readTableDirectory()
+    const missing = REQUIRED_TABLES.filter(tag => !this.tables[tag])
+    if (missing.length > 0) {
+      throw makeFontError('TrueType 字型缺少必要表格', { missing })
+    }
+
+    this._parseMetrics()
+    this._parseLoca()
+    this._selectCmap()
+    this.postScriptName = this._readPostScriptName() || 'EmbeddedFont'
+    this._glyphCache = new Map()
+  }
+
+  _readTableDirectory () {
+    const numTables = this.view.getUint16(4)
+    const tables = {}
+    for (let i = 0; i < numTables; i++) {
+      const record = 12 + i * 16
+      const tag = String.fromCharCode(...this.bytes.subarray(record, record + 4))
+      const offset = this.view.getUint32(record + 8)
+      const length = this.view.getUint32(record + 12)
+      if (offset + length > this.bytes.length) {
+        throw makeFontError('TrueType 表格超出檔案範圍', { tag })
+      }
+      tables[tag] = { offset, length }
+    }
+    return tables
+  }
+
+  _parseMetrics () {
+    const head = this.tables.head.offset
+    this.unitsPerEm = this.view.getUint16(head + 18)
+    this.bbox = [
+      this.view.getInt16(head + 36),
+      this.view.getInt16(head + 38),
+      this.view.getInt16(head + 40),
+      this.view.getInt16(head + 42)
+    ]
+    this.indexToLocFormat = this.view.getInt16(head + 50)
+
+    const hhea = this.tables.hhea.offset
+    this.ascent = this.view.getInt16(hhea + 4)
+    this.descent = this.view.getInt16(hhea + 6)
+    this.numberOfHMetrics = this.view.getUint16(hhea + 34)
+
+    this.numGlyphs = this.view.getUint16(this.tables.maxp.offset + 4)
+
+    // OS/2 version >= 2 才有 sCapHeight
+    const os2 = this.tables['OS/2']
+    this.capHeight = os2 && os2.length >= 90 && this.view.getUint16(os2.offset) >= 2
+      ? this.view.getInt16(os2.offset + 88)
+      : this.ascent
+  }
+
+  _parseLoca () {
+    const { offset } = this.tables.loca
+    this.loca = new Uint32Array(this.numGlyphs + 1)
+    for (let i = 0; i <= this.numGlyphs; i++) {
+      this.loca[i] = this.indexToLocFormat === 0
+        ? this.view.getUint16(offset + i * 2) * 2
+        : this.view.getUint32(offset + i * 4)
+    }
+  }
+
+  /**
+   * 選擇 Unicode cmap 子表：優先 format 12（含 BMP 外字元），其次 format 4
+   */
+  _selectCmap () {
+    const cmap = this.tables.cmap.offset
+    const count = this.view.getUint16(cmap + 2)
+    let format4 = null
+    let format12 = null
+
+    for (let i = 0; i < count; i++) {
+      const record = cmap + 4 + i * 8
+      const platformId = this.view.getUint16(record)
+      const encodingId = this.view.getUint16(record + 2)
+      const subtable = cmap + this.view.getUint32(record + 4)
+      const isUnicode = platformId === 0 || (platformId === 3 && (encodingId === 1 || encodingId === 10))
+      if (!isUnicode) continue
+
+      const format = this.view.getUint16(subtable)
+      if (format === 12 && format12 === null) format12 = subtable
+      if (format === 4 && format4 === null) format4 = subtable
+    }
+
+    if (format12 === null && format4 === null) {
+      throw makeFontError('TrueType 字型缺少 Unicode cmap')
+    }
+    this.cmapFormat = format12 !== null ? 12 : 4
+    this.cmapOffset = format12 !== null ? format12 : format4
+  }
+
+  _readPostScriptName () {
+    const name = this.tables.name
+    if (!name) return null
+
+    const count = this.view.getUint16(name.offset + 2)
+    const stringOffset = name.offset + this.view.getUint16(name.offset + 4)
+    for (let i = 0; i < count; i++) {
+      const record = name.offset + 6 + i * 12
+      const platformId = this.view.getUint16(record)
+      const nameId = this.view.getUint16(record + 6)
+      if (nameId !== 6) continue
+
+      const length = this.view.getUint16(record + 8)
+      const start = stringOffset + this.view.getUint16(record + 10)
+      let value = ''
+      if (platformId === 3 || platformId === 0) {
+        for (let j = 0; j + 1 < length; j += 2) {
+          value += String.fromCharCode(this.view.getUint16(start + j))
+        }
+      } else {
+        value = String.fromCharCode(...this.bytes.subarray(start, start + length))
+      }
+      // PDF name 僅保留可安全使用的字元
+      const sanitized = value.replace(/[^A-Za-z0-9_-]/g, '')
+      if (sanitized) return sanitized
+    }
+    return null
+  }
+
+  /**
+   * 查詢 code point 對應的 glyph id（無對應時為 0，即 .notdef）
+   *
+   * @param {number} codePoint - Unicode code point
+   * @returns {number} glyph id
+   */
+  glyphIdForCodePoint (codePoint) {
+    if (this._glyphCache.has(codePoint)) {
+      return this._glyphCache.get(codePoint)
+    }
+    const glyphId = this.cmapFormat === 12
+      ? this._lookupFormat12(codePoint)
+      : this._lookupFormat4(codePoint)
+    this._glyphCache.set(codePoint, glyphId)
+    return glyphId
+  }
+
+  _lookupFormat4 (codePoint) {
+    if (codePoint > 0xFFFF) return 0
+    const base = this.cmapOffset
+    const segCount = this.view.getUint16(base + 6) / 2
+    const endCodes = base + 14
+    const startCodes = endCodes + segCount * 2 + 2
+    const idDeltas = startCodes + segCount * 2
+    const idRangeOffsets = idDeltas + segCount * 2
+
+    for (let i = 0; i < segCount; i++) {
+      if (this.view.getUint16(endCodes + i * 2) < codePoint) continue
+      const start = this.view.getUint16(startCodes + i * 2)
+      if (start > codePoint) return 0
+
+      const delta = this.view.getUint16(idDeltas + i * 2)
+      const rangeOffset = this.view.getUint16(idRangeOffsets + i * 2)
+      if (rangeOffset === 0) {
+        return (codePoint + delta) & 0xFFFF
+      }
+      const glyphAddress = idRangeOffsets + i * 2 + rangeOffset + (codePoint - start) * 2
+      const glyphId = this.view.getUint16(glyphAddress)
+      return glyphId === 0 ? 0 : (glyphId + delta) & 0xFFFF
+    }
+    return 0
+  }
+
+  _lookupFormat12 (codePoint) {
+    const base = this.cmapOffset
+    const groupCount = this.view.getUint32(base + 12)
+    let low = 0
+    let high = groupCount - 1
+    while (low <= high) {
+      const mid = (low + high) >> 1
+      const group = base + 16 + mid * 12
+      const start = this.view.getUint32(group)
+      const end = this.view.getUint32(group + 4)
+      if (codePoint < start) {
+        high = mid - 1
+      } else if (codePoint > end) {
+        low = mid + 1
+      } else {
+        return this.view.getUint32(group + 8) + (codePoint - start)
+      }
+    }
+    return 0
+  }
+
+  /**
+   * glyph advance width（字型單位）
+   *
+   * @param {number} glyphId - glyph id
+   * @returns {number}
+   */
+  advanceWidth (glyphId) {
+    const index = Math.min(glyphId, this.numberOfHMetrics - 1)
+    return this.view.getUint16(this.tables.hmtx.offset + index * 4)
+  }
+
+  /**
+   * 取得 glyph 外框資料（glyf 表內片段）
+   *
+   * @param {number} glyphId - glyph id
+   * @returns {Uint8Array} 空 glyph 時長度為 0
+   */
+  glyphData (glyphId) {
+    const glyf = this.tables.glyf.offset
+    return this.bytes.subarray(glyf + this.loca[glyphId], glyf + this.loca[glyphId + 1])
+  }
+
+  /**
+   * 列出 composite glyph 引用的 component glyph id
+   *
+   * @param {number} glyphId - glyph id
+   * @returns {Array<number>} simple glyph 時為空陣列
+   */
+  componentGlyphIds (glyphId) {
+    const data = this.glyphData(glyphId)
+    if (data.length < 10) return []
+    const view = new DataView(data.buffer, data.byteOffset, data.byteLength)
+    if (view.getInt16(0) >= 0) return []
+
+    const components = []
+    let offset = 10
+    let flags
+    do {
+      flags = view.getUint16(offset)
+      components.push(view.getUint16(offset + 2))
+      offset += 4 + ((flags & ARG_1_AND_2_ARE_WORDS) ? 4 : 2)
+      if (flags & WE_HAVE_A_SCALE) offset += 2
+      else if (flags & WE_HAVE_AN_X_AND_Y_SCALE) offset += 4
+      else if (flags & WE_HAVE_A_TWO_BY_TWO) offset += 8
+    } while ((flags & MORE_COMPONENTS) && offset + 4 <= data.length)
+    return components
+  }
+
+  /**
+   * 產出子集字型：保留 glyph id 編號，僅保留指定 glyph（含 composite 引用與 .notdef）的外框
+   *
+   * @param {Iterable<number>} glyphIds - 使用中的 glyph id
+   * @returns {Uint8Array} 可作為 PDF FontFile2 的 TrueType 位元組
+   */
+  subset (glyphIds) {
+    const keep = new Set([0])
+    const pending = [...glyphIds].filter(id => id > 0 && id < this.numGlyphs)
+    while (pending.length > 0) {
+      const glyphId = pending.pop()
+      if (keep.has(glyphId)) continue
+      keep.add(glyphId)
+      pending.push(...this.componentGlyphIds(glyphId))
+    }
+
+    // 新 glyf / loca（long format，每個 glyph 對齊 4 bytes）
+    const loca = new Uint8Array((this.numGlyphs + 1) * 4)
+    const locaView = new DataView(loca.buffer)
+    let glyfLength = 0
+    for (let i = 0; i < this.numGlyphs; i++) {
+      locaView.setUint32(i * 4, glyfLength)
+      if (keep.has(i)) glyfLength += (this.glyphData(i).length + 3) & ~3
+    }
+    locaView.setUint32(this.numGlyphs * 4, glyfLength)
+
+    const glyf = new Uint8Array(glyfLength)
+    for (const glyphId of keep) {
+      if (glyphId < this.numGlyphs) {
+        glyf.set(this.glyphData(glyphId), locaView.getUint32(glyphId * 4))
+      }
+    }
+
+    const head = this.bytes.slice(this.tables.head.offset, this.tables.head.offset + this.tables.head.length)
+    const headView = new DataView(head.buffer)
+    headView.setUint32(8, 0) // checkSumAdjustment，整檔組裝後回填
+    headView.setInt16(50, 1) // indexToLocFormat = long
+
+    const tables = {}
+    for (const tag of SUBSET_TABLES) {
+      if (tag === 'glyf') tables[tag] = glyf
+      else if (tag === 'loca') tables[tag] = loca
+      else if (tag === 'head') tables[tag] = head
+      else if (this.tables[tag]) {
+        const { offset, length } = this.tables[tag]
+        tables[tag] = this.bytes.subarray(offset, offset + length)
+      }
+    }
+
+    return writeSfnt(tables)
+  }
+}
+
+/**
+ * 將表格組裝為 sfnt 位元組（表格目錄依 tag 排序、表格 4 bytes 對齊），並回填 head.checkSumAdjustment
+ *
+ * @param {Object<string, Uint8Array>} tables - tag → 內容
+ * @returns {Uint8Array}
+ */
+function writeSfnt (tables) {
+  const tags = Object.keys(tables).sort()
+  const numTables = tags.length
+  const entrySelector = Math.floor(Math.log2(numTables))
+  const searchRange = Math.pow(2, entrySelector) * 16
+
+  const directorySize = 12 + numTables * 16
+  const totalSize = tags.reduce((sum, tag) => sum + ((tables[tag].length + 3) & ~3), directorySize)
+  const output = new Uint8Array(totalSize)
+  const view = new DataView(output.buffer)
+
+  view.setUint32(0, SFNT_VERSION_TRUETYPE)
+  view.setUint16(4, numTables)
+  view.setUint16(6, searchRange)
+  view.setUint16(8, entrySelector)
+  view.setUint16(10, numTables * 16 - searchRange)
+
+  let offset = directorySize
+  let headOffset = -1
+  tags.forEach((tag, i) => {
+    const data = tables[tag]
+    const record = 12 + i * 16
+    for (let j = 0; j < 4; j++) output[record + j] = tag.charCodeAt(j)
+    view.setUint32(record + 4, tableChecksum(data))
+    view.setUint32(record + 8, offset)
+    view.setUint32(record + 12, data.length)
+    output.set(data, offset)
+    if (tag === 'head') headOffset = offset
+    offset += (data.length + 3) & ~3
+  })
+
+  if (headOffset >= 0) {
+    view.setUint32(headOffset + 8, (0xB1B0AFBA - tableChecksum(output)) >>> 0)
+  }
+  return output
+}
+
+module.exports = {
+  TrueTypeFont,
+  tableChecksum,
+  writeSfnt
+}
@@ -0,0 +1,435 @@
+'use strict'
+
+/**
+ * XLSX（Office Open XML SpreadsheetML）寫入模組
+ *
+ * 負責功能：
+ * - 將工作簿資料模型序列化為 Excel 可直接開啟的 .xlsx 位元組
+ * - 共用字串表（sharedStrings.xml），相同字串只寫一次
+ * - 型別化儲存格：字串 / 數值 / 布林 / 日期（日期轉 Excel serial number 並套用日期格式）
+ * - 每張工作表的欄寬、凍結列設定
+ *
+ * 工作簿資料模型（與 BookDataExporter.createExcelSheet 產出一致，沿用 SheetJS 慣例）：
+ * {
+ *   SheetNames: ['書籍清單'],
+ *   Sheets: {
+ *     書籍清單: {
+ *       A1: { v: 'title', t: 's', s: 'header' },
+ *       B2: { v: 42, t: 'n' },
+ *       C2: { v: '2026-03-20T14:22:00.000Z', t: 'd' },
+ *       '!ref': 'A1:C2',
+ *       '!cols': [{ wch: 20 }, { wch: 12 }],
+ *       '!freeze': { rows: 1 }
+ *     }
+ *   }
+ * }
+ *
+ * 設計考量：
+ * - 純計算、同步；ZIP 封裝委派 zip-writer（stored entries，OOXML 不要求壓縮）
+ * - 儲存格位址編碼（encodeCellAddress / encodeRange）為本模組的單一真實來源，
+ *   BookDataExporter 的同名方法委派至此
+ *
+ * @module xlsx-writer
+ */
+
+const { buildZipArchive } = require('src/export/zip-writer')
+
+const XML_HEADER = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n'
+
+const NAMESPACES = Object.freeze({
+  MAIN: 'http://schemas.openxmlformats.org/spreadsheetml/2006/main',
+  RELATIONSHIPS: 'http://schemas.openxmlformats.org/officeDocument/2006/relationships',
+  PACKAGE_RELATIONSHIPS: 'http://schemas.openxmlformats.org/package/2006/relationships',
+  CONTENT_TYPES: 'http://schemas.openxmlformats.org/package/2006/content-types'
+})
+
+const RELATIONSHIP_TYPES = Object.freeze({
+  OFFICE_DOCUMENT: 'http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument',
+  WORKSHEET: 'http://schemas.openxmlformats.org/officeDocument/2006/relationships/worksheet',
+  STYLES: 'http://schemas.openxmlformats.org/officeDocument/2006/relationships/styles',
+  SHARED_STRINGS: 'http://schemas.openxmlformats.org/officeDocument/2006/relationships/sharedStrings'
+})
+
+const CONTENT_TYPES = Object.freeze({
+  WORKBOOK: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml',
+  WORKSHEET: 'application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml',
+  STYLES: 'application/vnd.openxmlformats-officedocument.spreadsheetml.styles+xml',
+  SHARED_STRINGS: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sharedStrings+xml',
+  RELATIONSHIPS: 'application/vnd.openxmlformats-package.relationships+xml'
+})
+
+// cellXfs 索引：順序必須與 buildStylesXml 內 <cellXfs> 一致
+const CELL_STYLES = Object.freeze({
+  default: 0,
+  header: 1,
+  date: 2
+})
+
+// 工作表名稱限制（Excel UI 規則）：最長 31 字、不可含 : \ / ? * [ ]
+const SHEET_NAME_MAX_LENGTH = 31
+const SHEET_NAME_INVALID_CHARS = /[:\\/?*[\]]/g
+
+// Excel 1900 date system：serial 0 = 1899-12-30（含 Lotus 1900 閏年相容偏移）
+const EXCEL_EPOCH_MS = Date.UTC(1899, 11, 30)
+const MS_PER_DAY = 86400000
+
+// XML 1.0 不允許的控制字元（保留 \t \n \r）
+// eslint-disable-next-line no-control-regex
+const XML_INVALID_CHARS = /[\u0000-\u0008\u000B\u000C\u000E-\u001F\uFFFE\uFFFF]/g
+
+/**
+ * 編碼儲存格位址（0-based row / col → A1 表示法）
+ *
+ * @param {number} row - 列索引（0-based）
+ * @param {number} col - 欄索引（0-based）
+ * @returns {string} 儲存格位址，例如 (0, 27) → 'AB1'
+ */
+function encodeCellAddress (row, col) {
+  let colName = ''
+  let colNum = col
+
+  while (colNum >= 0) {
+    colName = String.fromCharCode(65 + (colNum % 26)) + colName
+    colNum = Math.floor(colNum / 26) - 1
+  }
+
+  return colName + (row + 1)
+}
+
+/**
+ * 解碼儲存格位址（A1 表示法 → 0-based row / col）
+ *
+ * @param {string} address - 儲存格位址
+ * @returns {{ r: number, c: number } | null} 非法位址回傳 null
+ */
+function decodeCellAddress (address) {
+  const match = /^([A-Z]+)(\d+)$/.exec(address)
+  if (!match) {
+    return null
+  }
+
+  let col = 0
+  for (const ch of match[1]) {
+    col = col * 26 + (ch.charCodeAt(0) - 64)
+  }
+
+  return { r: parseInt(match[2], 10) - 1, c: col - 1 }
+}
+
+/**
+ * 編碼範圍
+ *
+ * @param {{ s: {r: number, c: number}, e: {r: number, c: number} }} range - 起訖儲存格
+ * @returns {string} 範圍字串，例如 'A1:D10'
+ */
+function encodeRange (range) {
+  const start = encodeCellAddress(range.s.r, range.s.c)
+  const end = encodeCellAddress(range.e.r, range.e.c)
+  return `${start}:${end}`
+}
+
+/**
+ * 將日期轉為 Excel serial number（UTC，含小數時間部分）
+ *
+ * @param {Date|string|number} value - Date、ISO 字串或 epoch 毫秒
+ * @returns {number|null} serial number；無法解析時回傳 null
+ */
+function dateToExcelSerial (value) {
+  const time = value instanceof Date ? value.getTime() : new Date(value).getTime()
+  if (Number.isNaN(time)) {
+    return null
+  }
+  return (time - EXCEL_EPOCH_MS) / MS_PER_DAY
+}
+
+/**
+ * 正規化工作表名稱，使其符合 Excel 限制並在工作簿內唯一（不分大小寫）
+ *
+ * @param {string} name - 原始名稱
+ * @param {Set<string>} [usedNames] - 已使用名稱（小寫），呼叫後會加入新名稱
+ * @returns {string} 合法且唯一的工作表名稱
+ */
+function sanitizeSheetName (name, usedNames = new Set()) {
+  let base = String(name || '').replace(SHEET_NAME_INVALID_CHARS, '_').replace(/^'+|'+$/g, '').trim()
+  if (base.length === 0) {
+    base = 'Sheet'
+  }
+  base = Array.from(base).slice(0, SHEET_NAME_MAX_LENGTH).join('')
+
+  let candidate = base
+  let counter = 2
+  while (usedNames.has(candidate.toLowerCase())) {
+    const suffix = ` (${counter++})`
+    candidate = Array.from(base).slice(0, SHEET_NAME_MAX_LENGTH - suffix.length).join('') + suffix
+  }
+
+  usedNames.add(candidate.toLowerCase())
+  return candidate
+}
+
+/**
+ * XML 文字 / 屬性跳脫（並移除 XML 1.0 非法控制字元）
+ *
+ * @param {*} value - 原始值
+ * @returns {string}
+ */
+function escapeXml (value) {
+  return String(value)
+    .replace(XML_INVALID_CHARS, '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+}
+
+/**
+ * 共用字串表：字串 → 索引，重複字串共用同一索引
+ */
+class SharedStringTable {
+  constructor () {
+    this.indexByValue = new Map()
+    this.values = []
+    this.referenceCount = 0
+  }
+
+  /**
+   * 取得字串索引（不存在時新增）
+   *
+   * @param {string} value - 字串
+   * @returns {number} 共用字串索引
+   */
+  indexOf (value) {
+    this.referenceCount++
+    let index = this.indexByValue.get(value)
+    if (index === undefined) {
+      index = this.values.length
+      this.values.push(value)
+      this.indexByValue.set(value, index)
+    }
+    return index
+  }
+
+  /**
+   * 產出 sharedStrings.xml
+   *
+   * @returns {string}
+   */
+  toXml () {
+    const items = this.values.map((value) => {
+      // 前後空白需 xml:space="preserve"，否則 Excel 會修剪
+      const preserve = /^\s|\s$/.test(value) ? ' xml:space="preserve"' : ''
+      return `<si><t${preserve}>${escapeXml(value)}</t></si>`
+    })
+    return XML_HEADER +
+      `<sst xmlns="${NAMESPACES.MAIN}" count="${this.referenceCount}" uniqueCount="${this.values.length}">` +
+      items.join('') +
+      '</sst>'
+  }
+}
+
+/**
+ * 產出單一儲存格的 <c> 元素
+ *
+ * @param {string} address - 儲存格位址
+ * @param {Object} cell - 儲存格 { v, t, s }
+ * @param {SharedStringTable} sharedStrings - 共用字串表
+ * @returns {string} <c> XML；值無效時回傳空字串
+ */
+function buildCellXml (address, cell, sharedStrings) {
+  const styleIndex = CELL_STYLES[cell.s] || 0
+  const styleAttr = styleIndex ? ` s="${styleIndex}"` : ''
+
+  switch (cell.t) {
+    case 'n': {
+      if (typeof cell.v !== 'number' || !Number.isFinite(cell.v)) {
+        return ''
+      }
+      return `<c r="${address}"${styleAttr}><v>${cell.v}</v></c>`
+    }
+    case 'b':
+      return `<c r="${address}" t="b"${styleAttr}><v>${cell.v ? 1 : 0}</v></c>`
+    case 'd': {
+      const serial = dateToExcelSerial(cell.v)
+      if (serial === null) {
+        // 無法解析的日期退回字串，避免資料遺失
+        return buildCellXml(address, { v: String(cell.v), t: 's', s: cell.s }, sharedStrings)
+      }
+      const dateStyle = cell.s ? styleAttr : ` s="${CELL_STYLES.date}"`
+      return `<c r="${address}"${dateStyle}><v>${serial}</v></c>`
+    }
+    default: {
+      const index = sharedStrings.indexOf(String(cell.v))
+      return `<c r="${address}" t="s"${styleAttr}><v>${index}</v></c>`
+    }
+  }
+}
+
+/**
+ * 產出工作表 XML
+ *
+ * @param {Object} sheet - 工作表模型
+ * @param {SharedStringTable} sharedStrings - 共用字串表
+ * @param {boolean} isFirstSheet - 是否為開啟時選取的工作表
+ * @returns {string} worksheet XML
+ */
+function buildWorksheetXml (sheet, sharedStrings, isFirstSheet) {
+  // 依列分組儲存格，並於列內依欄排序（OOXML 要求遞增順序）
+  const rows = new Map()
+  Object.keys(sheet).forEach((address) => {
+    if (address.startsWith('!')) {
+      return
+    }
+    const position = decodeCellAddress(address)
+    if (!position) {
+      return
+    }
+    if (!rows.has(position.r)) {
+      rows.set(position.r, [])
+    }
+    rows.get(position.r).push({ address, c: position.c, cell: sheet[address] })
+  })
+
+  const sheetData = Array.from(rows.keys())
+    .sort((a, b) => a - b)
+    .map((rowIndex) => {
+      const cells = rows.get(rowIndex)
+        .sort((a, b) => a.c - b.c)
+        .map(({ address, cell }) => buildCellXml(address, cell, sharedStrings))
+        .join('')
+      return `<row r="${rowIndex + 1}">${cells}</row>`
+    })
+    .join('')
+
+  const frozenRows = (sheet['!freeze'] && sheet['!freeze'].rows) || 0
+  const selectedAttr = isFirstSheet ? ' tabSelected="1"' : ''
+  const sheetView = frozenRows > 0
+    ? `<sheetView workbookViewId="0"${selectedAttr}>` +
+      `<pane ySplit="${frozenRows}" topLeftCell="${encodeCellAddress(frozenRows, 0)}" activePane="bottomLeft" state="frozen"/>` +
+      '<selection pane="bottomLeft"/>' +
+      '</sheetView>'
+    : `<sheetView workbookViewId="0"${selectedAttr}/>`
+
+  const columns = Array.isArray(sheet['!cols']) ? sheet['!cols'] : []
+  const colsXml = columns
+    .map((col, index) => {
+      if (!col || !(col.wch > 0)) {
+        return ''
+      }
+      return `<col min="${index + 1}" max="${index + 1}" width="${col.wch}" customWidth="1"/>`
+    })
+    .join('')
+
+  return XML_HEADER +
+    `<worksheet xmlns="${NAMESPACES.MAIN}" xmlns:r="${NAMESPACES.RELATIONSHIPS}">` +
+    (sheet['!ref'] ? `<dimension ref="${sheet['!ref']}"/>` : '') +
+    `<sheetViews>${sheetView}</sheetViews>` +
+    '<sheetFormatPr defaultRowHeight="15"/>' +
+    (colsXml ? `<cols>${colsXml}</cols>` : '') +
+    `<sheetData>${sheetData}</sheetData>` +
+    '</worksheet>'
+}
+
+/**
+ * 產出 styles.xml（預設 / 標題列粗體底色 / 日期格式三種 cellXfs）
+ *
+ * @returns {string}
+ */
+function buildStylesXml () {
+  return XML_HEADER +
+    `<styleSheet xmlns="${NAMESPACES.MAIN}">` +
+    '<numFmts count="1"><numFmt numFmtId="164" formatCode="yyyy-mm-dd hh:mm"/></numFmts>' +
+    '<fonts count="2">' +
+    '<font><sz val="11"/><name val="Calibri"/><family val="2"/></font>' +
+    '<font><b/><sz val="11"/><name val="Calibri"/><family val="2"/></font>' +
+    '</fonts>' +
+    '<fills count="3">' +
+    '<fill><patternFill patternType="none"/></fill>' +
+    '<fill><patternFill patternType="gray125"/></fill>' +
+    '<fill><patternFill patternType="solid"><fgColor rgb="FFE7E6E6"/><bgColor indexed="64"/></patternFill></fill>' +
+    '</fills>' +
+    '<borders count="1"><border><left/><right/><top/><bottom/><diagonal/></border></borders>' +
+    '<cellStyleXfs count="1"><xf numFmtId="0" fontId="0" fillId="0" borderId="0"/></cellStyleXfs>' +
+    '<cellXfs count="3">' +
+    '<xf numFmtId="0" fontId="0" fillId="0" borderId="0" xfId="0"/>' +
+    '<xf numFmtId="0" fontId="1" fillId="2" borderId="0" xfId="0" applyFont="1" applyFill="1"/>' +
+    '<xf numFmtId="164" fontId="0" fillId="0" borderId="0" xfId="0" applyNumberFormat="1"/>' +
+    '</cellXfs>' +
+    '<cellStyles count="1"><cellStyle name="Normal" xfId="0" builtinId="0"/></cellStyles>' +
+    '</styleSheet>'
+}
+
+/**
+ * 將工作簿模型寫為 .xlsx 位元組
+ *
+ * @param {Object} workbook - { SheetNames: string[], Sheets: Object<string, Object> }
+ * @param {Object} [options] - 寫入選項
+ * @param {Date} [options.modifiedAt] - ZIP entry 修改時間（測試可固定）
+ * @returns {Uint8Array} XLSX 位元組（ZIP 容器）
+ */
+function writeXlsx (workbook, options = {}) {
+  const usedNames = new Set()
+  const sheetNames = workbook.SheetNames.length > 0 ? workbook.SheetNames : ['Sheet1']
+  const sharedStrings = new SharedStringTable()
+
+  const sheets = sheetNames.map((name, index) => ({
+    name: sanitizeSheetName(name, usedNames),
+    path: `worksheets/sheet${index + 1}.xml`,
+    xml: buildWorksheetXml((workbook.Sheets && workbook.Sheets[name]) || {}, sharedStrings, index === 0)
+  }))
+
+  const contentTypesXml = XML_HEADER +
+    `<Types xmlns="${NAMESPACES.CONTENT_TYPES}">` +
+    `<Default Extension="rels" ContentType="${CONTENT_TYPES.RELATIONSHIPS}"/>` +
+    '<Default Extension="xml" ContentType="application/xml"/>' +
+    `<Override PartName="/xl/workbook.xml" ContentType="${CONTENT_TYPES.WORKBOOK}"/>` +
+    sheets.map(sheet => `<Override PartName="/xl/${sheet.path}" ContentType="${CONTENT_TYPES.WORKSHEET}"/>`).join('') +
+    `<Override PartName="/xl/styles.xml" ContentType="${CONTENT_TYPES.STYLES}"/>` +
+    `<Override PartName="/xl/sharedStrings.xml" ContentType="${CONTENT_TYPES.SHARED_STRINGS}"/>` +
+    '</Types>'
+
+  const rootRelsXml = XML_HEADER +
+    `<Relationships xmlns="${NAMESPACES.PACKAGE_RELATIONSHIPS}">` +
+    `<Relationship Id="rId1" Type="${RELATIONSHIP_TYPES.OFFICE_DOCUMENT}" Target="xl/workbook.xml"/>` +
+    '</Relationships>'
+
+  const workbookXml = XML_HEADER +
+    `<workbook xmlns="${NAMESPACES.MAIN}" xmlns:r="${NAMESPACES.RELATIONSHIPS}">` +
+    '<bookViews><workbookView activeTab="0"/></bookViews>' +
+    '<sheets>' +
+    sheets.map((sheet, index) => `<sheet name="${escapeXml(sheet.name)}" sheetId="${index + 1}" r:id="rId${index + 1}"/>`).join('') +
+    '</sheets>' +
+    '</workbook>'
+
+  const stylesRelId = sheets.length + 1
+  const workbookRelsXml = XML_HEADER +
+    `<Relationships xmlns="${NAMESPACES.PACKAGE_RELATIONSHIPS}">` +
+    sheets.map((sheet, index) => `<Relationship Id="rId${index + 1}" Type="${RELATIONSHIP_TYPES.WORKSHEET}" Target="${sheet.path}"/>`).join('') +
+    `<Relationship Id="rId${stylesRelId}" Type="${RELATIONSHIP_TYPES.STYLES}" Target="styles.xml"/>` +
+    `<Relationship Id="rId${stylesRelId + 1}" Type="${RELATIONSHIP_TYPES.SHARED_STRINGS}" Target="sharedStrings.xml"/>` +
+    '</Relationships>'
+
+  const entries = [
+    { name: '[Content_Types].xml', data: contentTypesXml },
+    { name: '_rels/.rels', data: rootRelsXml },
+    { name: 'xl/workbook.xml', data: workbookXml },
+    { name: 'xl/_rels/workbook.xml.rels', data: workbookRelsXml },
+    ...sheets.map(sheet => ({ name: `xl/${sheet.path}`, data: sheet.xml })),
+    { name: 'xl/styles.xml', data: buildStylesXml() },
+    // sharedStrings 必須在所有工作表序列化之後產出（收集完整字串表）
+    { name: 'xl/sharedStrings.xml', data: sharedStrings.toXml() }
+  ]
+
+  return buildZipArchive(entries, { modifiedAt: options.modifiedAt })
+}
+
+module.exports = {
+  CELL_STYLES,
+  SHEET_NAME_MAX_LENGTH,
+  encodeCellAddress,
+  decodeCellAddress,
+  encodeRange,
+  dateToExcelSerial,
+  sanitizeSheetName,
+  escapeXml,
+  writeXlsx
+}
@@ -0,0 +1,212 @@
+'use strict'
+
+/**
+ * ZIP 容器寫入模組（PKWARE APPNOTE 6.3 子集）
+ *
+ * 負責功能：
+ * - 將多個檔案 entry 組裝為單一 ZIP 位元組（local header + central directory + EOCD）
+ * - 檔名一律以 UTF-8 編碼並設定 general purpose bit 11，確保中文檔名跨平台正確
+ *
+ * 設計考量：
+ * - buildZipArchive 同步、僅 stored（method 0）：XLSX 等 OOXML 格式在 exporter 同步 API 內即需產出 ZIP
+ * - buildZipArchiveAsync 以平台 CompressionStream('deflate-raw') 產出 DEFLATE（method 8）entry；
+ *   環境不支援或壓縮後未變小時該 entry 退回 stored
+ * - ZIP64 不在範圍內（單檔 / 總量 < 4 GB）
+ *
+ * @module zip-writer
+ */
+
+const { calculateCRC32 } = require('src/utils/crc32')
+const { isCompressionSupported, compressBytes } = require('src/utils/compression-stream-utils')
+
+const ZIP_SIGNATURES = Object.freeze({
+  LOCAL_FILE_HEADER: 0x04034b50,
+  CENTRAL_DIRECTORY: 0x02014b50,
+  END_OF_CENTRAL_DIRECTORY: 0x06054b50
+})
+
+const ZIP_METHODS = Object.freeze({
+  STORED: 0,
+  DEFLATE: 8
+})
+
+// version needed to extract = 2.0；general purpose bit 11 = 檔名為 UTF-8
+const ZIP_VERSION = 20
+const ZIP_FLAG_UTF8 = 0x0800
+
+const LOCAL_HEADER_SIZE = 30
+const CENTRAL_HEADER_SIZE = 46
+const END_OF_CENTRAL_DIRECTORY_SIZE = 22
+
+const textEncoder = new TextEncoder()
+
+/**
+ * 將 entry 資料正規化為 Uint8Array
+ *
+ * @param {string|Uint8Array|ArrayBuffer} data - entry 內容
+ * @returns {Uint8Array}
+ */
+function toBytes (data) {
+  if (ArrayBuffer.isView(data)) {
+    return new Uint8Array(data.buffer, data.byteOffset, data.byteLength)
+  }
+  if (data instanceof ArrayBuffer) {
+    return new Uint8Array(data)
+  }
+  return textEncoder.encode(data === null || data === undefined ? '' : String(data))
+}
+
+/**
+ * 將 Date 轉為 MS-DOS 時間 / 日期欄位（本地時間，2 秒精度）
+ *
+ * DOS 日期起點為 1980 年；更早的日期夾到 1980-01-01。
+ *
+ * @param {Date} date - 檔案修改時間
+ * @returns {{ time: number, date: number }}
+ */
+function toDosDateTime (date) {
+  const year = Math.max(date.getFullYear(), 1980)
+  return {
+    time: (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2),
+    date: ((year - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate()
+  }
+}
+
+/**
+ * 組裝 ZIP 封存檔（全部 entry 以 stored 寫入）
+ *
+ * @param {Array<{name: string, data: (string|Uint8Array|ArrayBuffer), modifiedAt?: Date}>} entries - 檔案清單（順序即封存順序）
+ * @param {Object} [options] - 組裝選項
+ * @param {Date} [options.modifiedAt=new Date()] - entry 未指定 modifiedAt 時的預設修改時間
+ * @returns {Uint8Array} ZIP 位元組
+ */
+function buildZipArchive (entries, options = {}) {
+  const defaultModifiedAt = options.modifiedAt || new Date()
+
+  return assembleArchive(entries.map((entry) => {
+    const data = toBytes(entry.data)
+    return prepareEntry(entry, defaultModifiedAt, data, data, ZIP_METHODS.STORED)
+  }))
+}
+
+/**
+ * 組裝 ZIP 封存檔，可選 DEFLATE 壓縮
+ *
+ * @param {Array<{name: string, data: (string|Uint8Array|ArrayBuffer), modifiedAt?: Date}>} entries - 檔案清單（順序即封存順序）
+ * @param {Object} [options] - 組裝選項
+ * @param {'deflate'|'store'} [options.compression='deflate'] - 壓縮方式
+ * @param {Date} [options.modifiedAt=new Date()] - entry 未指定 modifiedAt 時的預設修改時間
+ * @returns {Promise<Uint8Array>} ZIP 位元組
+ */
+async function buildZipArchiveAsync (entries, options = {}) {
+  const defaultModifiedAt = options.modifiedAt || new Date()
+  const useDeflate = options.compression !== 'store' && isCompressionSupported('deflate-raw')
+
+  const prepared = []
+  for (const entry of entries) {
+    const data = toBytes(entry.data)
+    let stored = data
+    let method = ZIP_METHODS.STORED
+    if (useDeflate && data.length > 0) {
+      const deflated = await compressBytes(data, 'deflate-raw')
+      if (deflated.length < data.length) {
+        stored = deflated
+        method = ZIP_METHODS.DEFLATE
+      }
+    }
+    prepared.push(prepareEntry(entry, defaultModifiedAt, data, stored, method))
+  }
+
+  return assembleArchive(prepared)
+}
+
+/**
+ * 計算 entry 的 header 欄位值
+ *
+ * @param {Object} entry - 原始 entry
+ * @param {Date} defaultModifiedAt - 預設修改時間
+ * @param {Uint8Array} data - 未壓縮位元組（CRC32 / uncompressed size 依據）
+ * @param {Uint8Array} stored - 實際寫入封存的位元組
+ * @param {number} method - ZIP_METHODS 值
+ * @returns {Object} 組裝用 entry
+ */
+function prepareEntry (entry, defaultModifiedAt, data, stored, method) {
+  return {
+    nameBytes: textEncoder.encode(entry.name),
+    stored,
+    method,
+    uncompressedSize: data.length,
+    crc32: calculateCRC32(data),
+    dos: toDosDateTime(entry.modifiedAt || defaultModifiedAt)
+  }
+}
+
+/**
+ * 將已準備好的 entries 寫為 local headers + central directory + EOCD
+ *
+ * @param {Array<Object>} prepared - prepareEntry 產出
+ * @returns {Uint8Array} ZIP 位元組
+ */
+function assembleArchive (prepared) {
+  const localSize = prepared.reduce((sum, e) => sum + LOCAL_HEADER_SIZE + e.nameBytes.length + e.stored.length, 0)
+  const centralSize = prepared.reduce((sum, e) => sum + CENTRAL_HEADER_SIZE + e.nameBytes.length, 0)
+  const output = new Uint8Array(localSize + centralSize + END_OF_CENTRAL_DIRECTORY_SIZE)
+  const view = new DataView(output.buffer)
+
+  // Local file headers + 資料
+  let offset = 0
+  for (const entry of prepared) {
+    entry.localOffset = offset
+    view.setUint32(offset, ZIP_SIGNATURES.LOCAL_FILE_HEADER, true)
+    view.setUint16(offset + 4, ZIP_VERSION, true)
+    view.setUint16(offset + 6, ZIP_FLAG_UTF8, true)
+    view.setUint16(offset + 8, entry.method, true)
+    view.setUint16(offset + 10, entry.dos.time, true)
+    view.setUint16(offset + 12, entry.dos.date, true)
+    view.setUint32(offset + 14, entry.crc32, true)
+    view.setUint32(offset + 18, entry.stored.length, true)
+    view.setUint32(offset + 22, entry.uncompressedSize, true)
+    view.setUint16(offset + 26, entry.nameBytes.length, true)
+    view.setUint16(offset + 28, 0, true)
+    output.set(entry.nameBytes, offset + LOCAL_HEADER_SIZE)
+    output.set(entry.stored, offset + LOCAL_HEADER_SIZE + entry.nameBytes.length)
+    offset += LOCAL_HEADER_SIZE + entry.nameBytes.length + entry.stored.length
+  }
+
+  // Central directory
+  const centralOffset = offset
+  for (const entry of prepared) {
+    view.setUint32(offset, ZIP_SIGNATURES.CENTRAL_DIRECTORY, true)
+    view.setUint16(offset + 4, ZIP_VERSION, true)
+    view.setUint16(offset + 6, ZIP_VERSION, true)
+    view.setUint16(offset + 8, ZIP_FLAG_UTF8, true)
+    view.setUint16(offset + 10, entry.method, true)
+    view.setUint16(offset + 12, entry.dos.time, true)
+    view.setUint16(offset + 14, entry.dos.date, true)
+    view.setUint32(offset + 16, entry.crc32, true)
+    view.setUint32(offset + 20, entry.stored.length, true)
+    view.setUint32(offset + 24, entry.uncompressedSize, true)
+    view.setUint16(offset + 28, entry.nameBytes.length, true)
+    // extra length / comment length / disk number / internal attrs 皆為 0
+    view.setUint32(offset + 38, 0, true)
+    view.setUint32(offset + 42, entry.localOffset, true)
+    output.set(entry.nameBytes, offset + CENTRAL_HEADER_SIZE)
+    offset += CENTRAL_HEADER_SIZE + entry.nameBytes.length
+  }
+
+  // End of central directory record
+  view.setUint32(offset, ZIP_SIGNATURES.END_OF_CENTRAL_DIRECTORY, true)
+  view.setUint16(offset + 8, prepared.length, true)
+  view.setUint16(offset + 10, prepared.length, true)
+  view.setUint32(offset + 12, centralSize, true)
+  view.setUint32(offset + 16, centralOffset, true)
+
+  return output
+}
+
+module.exports = {
+  ZIP_SIGNATURES,
+  ZIP_METHODS,
+  buildZipArchive,
+  buildZipArchiveAsync
+}
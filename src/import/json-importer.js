@@ -1,13 +1,24 @@
 /**
  * JSON 匯入模組（App→Web 反向同步的 Extension 端，PROP-012 §2.2）
  *
- * 三公開函式：
+ * 四公開函式：
  *   parseAndValidate(fileContent)     — 同步，純函式（解析 + 格式驗證 + metadata 提取 + 空書攔截）
  *   checkStaleness(exportedAt)        — async，讀 chrome.storage.local 防舊蓋新
- *   executeImport(fileContent, opts?) — async，編排完整匯入流程
+ *   previewImport(fileContent, opts?) — async，dry-run 試算合併結果（逐本差異 / tag 重映射 / LWW 衝突）
+ *   executeImport(fileContent, opts?) — async，編排完整匯入流程（亦接受備份 ZIP bundle 位元組）
+ *
+ * 加密同步檔（sync-crypto encryptSyncFile 格式）由 executeImport 以 options.passphrase 先解密，
+ * 再走一般解析流程；未提供或密碼錯誤時回 PASSPHRASE_REQUIRED / DECRYPT_FAILED 供 UI 詢問密碼。
+ *
+ * 來源格式除 detectInterchangeSource 四來源外，另辨識 App 回傳的 format_version 3.0
+ * 增量同步信封（source='sync-delta'）：upsert 走 mergeAllData、刪除走 applyTombstones，
+ * 並將 App 回報的 acknowledged_sync_id 記入同步日誌作為下次增量的基準點。
+ *
+ * 合併後對本機原本沒有的新書套用啟用中的自動標籤規則（摘要 autoTagged）。
  *
  * 設計邊界：本模組為 export/storage 公開 API 的純消費者，不修改其介面。
- * 合併摘要採前後快照比對（mergeAllData 黑盒），TD-IMP-1 追蹤未來內部回傳 diff。
+ * 合併摘要採前後快照比對（mergeAllData 黑盒），TD-IMP-1 追蹤未來內部回傳 diff；
+ * 寫入前的逐筆差異由 previewImport（TagStorageAdapter.previewMerge）提供。
  */
 
 // 以模組物件持有依賴（非解構），使下游具名 export 可被測試 spy 攔截，
@@ -16,6 +27,11 @@ const formatDetector = require('../export/format-version-detector')
 const bookAdapter = require('../export/book-interchange-v1-adapter')
 const v1v2Converter = require('../export/v1-to-v2-converter')
 const TagStorageAdapter = require('../storage/adapters/tag-storage-adapter')
+const bundleManifest = require('../export/bundle-manifest')
+const zipReader = require('./zip-reader')
+const syncJsonBuilder = require('../sync/sync-json-builder')
+const syncJournal = require('../sync/sync-journal')
+const syncCrypto = require('../sync/sync-crypto')
 const { Logger } = require('../core/logging/Logger')
 
 const { STORAGE_KEYS } = TagStorageAdapter
@@ -28,11 +44,17 @@ const IMPORT_ERROR_CODES = {
   STALE_DATA: 'IMPORT_STALE_DATA',
   STORAGE_ERROR: 'IMPORT_STORAGE_ERROR',
   FILE_READ_ERROR: 'IMPORT_FILE_READ_ERROR',
-  EMPTY_BOOKS: 'IMPORT_EMPTY_BOOKS'
+  EMPTY_BOOKS: 'IMPORT_EMPTY_BOOKS',
+  BUNDLE_INVALID: 'IMPORT_BUNDLE_INVALID',
+  CHECKSUM_MISMATCH: 'IMPORT_CHECKSUM_MISMATCH',
+  PASSPHRASE_REQUIRED: 'IMPORT_PASSPHRASE_REQUIRED',
+  DECRYPT_FAILED: 'IMPORT_DECRYPT_FAILED'
 }
 
 const LAST_IMPORTED_AT_KEY = 'last_imported_at'
 
+const SYNC_DELTA_SOURCE = 'sync-delta'
+
 function makeError (code, message) {
   return { code, message: message || code }
 }
@@ -47,6 +69,34 @@ function extractBooksArray (data, source) {
   return []
 }
 
+/**
+ * 驗證增量同步信封結構並組成 ParseResult。
+ * 增量允許不含任何書籍（僅 tombstone 或無變更），故不套用空書攔截。
+ */
+function validateDeltaEnvelope (parsedData) {
+  const arrayFields = ['books', 'tags', 'tag_categories']
+  const hasInvalidArray = arrayFields.some(field => parsedData[field] !== undefined && !Array.isArray(parsedData[field]))
+  const tombstones = parsedData.tombstones
+  const hasInvalidTombstones = tombstones !== undefined && (tombstones === null || typeof tombstones !== 'object')
+  if (hasInvalidArray || hasInvalidTombstones) {
+    logger.warn('IMPORT_SYNC_DELTA_INVALID', { component: 'json-importer' })
+    return makeError(IMPORT_ERROR_CODES.UNKNOWN_FORMAT, '無法識別的檔案格式')
+  }
+
+  const meta = parsedData.sync_meta
+  const bookCount = (parsedData.books || []).length
+  return {
+    data: parsedData,
+    source: SYNC_DELTA_SOURCE,
+    metadata: {
+      exportedAt: meta.exported_at != null ? meta.exported_at : null,
+      sourceApp: meta.source_app != null ? meta.source_app : null,
+      totalBooks: bookCount
+    },
+    bookCount
+  }
+}
+
 /**
  * 解析 JSON 字串並驗證結構。
  *
@@ -67,6 +117,14 @@ function parseAndValidate (fileContent) {
     return makeError(IMPORT_ERROR_CODES.PARSE_ERROR, '檔案格式錯誤，無法解析 JSON')
   }
 
+  if (syncCrypto.isEncryptedSyncFile(parsedData)) {
+    return makeError(IMPORT_ERROR_CODES.PASSPHRASE_REQUIRED, '檔案已加密，請輸入同步密碼')
+  }
+
+  if (syncJsonBuilder.isDeltaSyncEnvelope(parsedData)) {
+    return validateDeltaEnvelope(parsedData)
+  }
+
   const source = formatDetector.detectInterchangeSource(parsedData)
   if (source === null) {
     logger.warn('IMPORT_UNKNOWN_FORMAT', { component: 'json-importer' })
@@ -165,14 +223,10 @@ async function checkStaleness (exportedAt) {
 }
 
 /**
- * 讀取本機書籍陣列（readmoo_books 可能是陣列或 { books: [...] }）。
+ * 讀取本機書籍陣列（readmoo_books 可能是陣列、{ books: [...] } 或指向 IndexedDB 的 header）。
  */
 async function loadLocalBooks () {
-  const raw = await getFromLocal(STORAGE_KEYS.READMOO_BOOKS)
-  if (!raw) return []
-  if (Array.isArray(raw)) return raw
-  if (raw.books && Array.isArray(raw.books)) return raw.books
-  return []
+  return TagStorageAdapter.loadStoredBooks(await getFromLocal(STORAGE_KEYS.READMOO_BOOKS))
 }
 
 /**
@@ -204,6 +258,129 @@ function convertBySource (parseResult) {
   }
 }
 
+/**
+ * 讀取備份 ZIP bundle（BookDataExporter.exportToZip 產出），依 manifest 驗證後取出還原來源。
+ *
+ * manifest.json 可位於資料夾內（匯出 folder 選項），檔案 path 相對於 manifest 所在目錄。
+ *
+ * @param {ArrayBuffer|Uint8Array} bytes - ZIP 位元組
+ * @returns {Promise<Object>} { fileContent, tags, tagCategories, savedViews?, works? } 或 ImportError { code, message }
+ */
+async function readBundle (bytes) {
+  const { MANIFEST_FILENAME, BUNDLE_FILE_ROLES } = bundleManifest
+  const decoder = new TextDecoder()
+
+  let entries
+  try {
+    entries = await zipReader.readZipArchive(bytes)
+  } catch (err) {
+    logger.warn('IMPORT_BUNDLE_READ_FAILED', { component: 'json-importer', error: err.message })
+    return makeError(IMPORT_ERROR_CODES.BUNDLE_INVALID, '備份檔案已損毀，無法讀取')
+  }
+
+  const manifestEntry = entries.find(e => e.name === MANIFEST_FILENAME || e.name.endsWith(`/${MANIFEST_FILENAME}`))
+  if (!manifestEntry) {
+    return makeError(IMPORT_ERROR_CODES.BUNDLE_INVALID, '備份檔案缺少 manifest.json')
+  }
+
+  let manifest
+  try {
+    manifest = JSON.parse(decoder.decode(manifestEntry.data))
+  } catch (err) {
+    return makeError(IMPORT_ERROR_CODES.BUNDLE_INVALID, '備份檔案的 manifest.json 無法解析')
+  }
+
+  const baseDir = manifestEntry.name.slice(0, -MANIFEST_FILENAME.length)
+  const filesByPath = new Map(entries
+    .filter(e => e.name.startsWith(baseDir))
+    .map(e => [e.name.slice(baseDir.length), e.data]))
+
+  const verification = await bundleManifest.verifyBundleManifest(manifest, filesByPath)
+  if (!verification.valid) {
+    logger.warn('IMPORT_BUNDLE_VERIFY_FAILED', { component: 'json-importer', errors: verification.errors })
+    if (verification.errors.some(e => e.reason === 'format')) {
+      return makeError(IMPORT_ERROR_CODES.BUNDLE_INVALID, '無法識別的備份檔案格式')
+    }
+    return makeError(IMPORT_ERROR_CODES.CHECKSUM_MISMATCH, '備份檔案內容不完整或已被修改')
+  }
+
+  const pathOfRole = role => {
+    const entry = manifest.files.find(f => f.role === role)
+    return entry ? entry.path : null
+  }
+
+  const booksPath = pathOfRole(BUNDLE_FILE_ROLES.BOOKS_JSON)
+  if (!booksPath) {
+    return makeError(IMPORT_ERROR_CODES.BUNDLE_INVALID, '備份檔案中沒有可還原的書籍資料')
+  }
+
+  let tags = []
+  let tagCategories = []
+  const tagsPath = pathOfRole(BUNDLE_FILE_ROLES.TAGS)
+  if (tagsPath) {
+    try {
+      const tagData = JSON.parse(decoder.decode(filesByPath.get(tagsPath)))
+      tags = Array.isArray(tagData.tags) ? tagData.tags : []
+      tagCategories = Array.isArray(tagData.tagCategories) ? tagData.tagCategories : []
+    } catch (err) {
+      return makeError(IMPORT_ERROR_CODES.BUNDLE_INVALID, '備份檔案的標籤資料無法解析')
+    }
+  }
+
+  const bundle = { fileContent: decoder.decode(filesByPath.get(booksPath)), tags, tagCategories }
+  const savedViewsPath = pathOfRole(BUNDLE_FILE_ROLES.SAVED_VIEWS)
+  if (savedViewsPath) {
+    try {
+      const viewData = JSON.parse(decoder.decode(filesByPath.get(savedViewsPath)))
+      bundle.savedViews = Array.isArray(viewData.savedViews) ? viewData.savedViews : []
+    } catch (err) {
+      return makeError(IMPORT_ERROR_CODES.BUNDLE_INVALID, '備份檔案的已儲存檢視無法解析')
+    }
+  }
+  const worksPath = pathOfRole(BUNDLE_FILE_ROLES.WORKS)
+  if (worksPath) {
+    try {
+      const workData = JSON.parse(decoder.decode(filesByPath.get(worksPath)))
+      bundle.works = Array.isArray(workData.works) ? workData.works : []
+    } catch (err) {
+      return makeError(IMPORT_ERROR_CODES.BUNDLE_INVALID, '備份檔案的作品連結無法解析')
+    }
+  }
+
+  return bundle
+}
+
+/**
+ * 加密同步檔以密碼解密為原始 JSON 字串；非加密檔原樣回傳。
+ *
+ * 無法解析的內容原樣交給 parseAndValidate 回報 PARSE_ERROR。
+ *
+ * @param {string} fileContent - 檔案文字內容
+ * @param {string} [passphrase] - 同步密碼
+ * @returns {Promise<Object>} { fileContent } 或 ImportError { code, message }
+ */
+async function decryptIfEncrypted (fileContent, passphrase) {
+  let parsed
+  try {
+    parsed = JSON.parse(fileContent)
+  } catch (err) {
+    return { fileContent }
+  }
+  if (!syncCrypto.isEncryptedSyncFile(parsed)) {
+    return { fileContent }
+  }
+  if (!passphrase) {
+    return makeError(IMPORT_ERROR_CODES.PASSPHRASE_REQUIRED, '檔案已加密，請輸入同步密碼')
+  }
+
+  try {
+    return { fileContent: await syncCrypto.decryptSyncFile(parsed, passphrase) }
+  } catch (err) {
+    logger.warn('IMPORT_DECRYPT_FAILED', { component: 'json-importer', error: err.message })
+    return makeError(IMPORT_ERROR_CODES.DECRYPT_FAILED, '同步密碼錯誤或檔案已損毀')
+  }
+}
+
 /**
  * 比對合併前後本機書籍，計算新增/更新/不變摘要。
  */
@@ -222,17 +399,227 @@ function computeSummary (beforeMap, afterBooks) {
   return { added, updated, unchanged, total }
 }
 
+/**
+ * 對本次匯入帶入的新書套用啟用中的自動標籤規則（TagStorageAdapter.autoTagBooks）。
+ *
+ * 合併已寫入，規則套用失敗只記錄警告、不使匯入失敗；有書被加上 tag 時於摘要附 autoTagged。
+ */
+async function autoTagNewBooks (beforeMap, afterBooks, summary) {
+  const newBookIds = afterBooks.filter(book => !beforeMap.has(book.id)).map(book => book.id)
+  if (newBookIds.length === 0) return summary
+  try {
+    const result = await TagStorageAdapter.autoTagBooks(newBookIds)
+    return result.affected > 0 ? { ...summary, autoTagged: result.affected } : summary
+  } catch (error) {
+    logger.warn('IMPORT_AUTO_TAG_FAILED', { component: 'json-importer', error: error.message })
+    return summary
+  }
+}
+
+/**
+ * 將增量信封的 tombstones（snake_case，deleted_at）轉為 applyTombstones 輸入。
+ */
+function readDeltaTombstones (tombstones) {
+  const toEntries = list => (Array.isArray(list) ? list : [])
+    .filter(entry => entry && entry.id != null)
+    .map(entry => ({ id: entry.id, deletedAt: entry.deleted_at || null }))
+  const source = tombstones || {}
+  return {
+    books: toEntries(source.books),
+    tags: toEntries(source.tags),
+    tagCategories: toEntries(source.tag_categories)
+  }
+}
+
+/**
+ * 套用 App 回傳的增量同步信封。
+ *
+ * 不做整檔防舊蓋新：upsert 由 mergeAllData 書級 LWW、刪除由 tombstone LWW 逐筆收斂，
+ * 較舊的增量不會覆蓋本機較新的記錄。upsert 與刪除經 applySyncDelta 同一筆交易寫入，
+ * 任一步失敗即整包回滾。
+ *
+ * @param {Object} parseResult - source='sync-delta' 的 ParseResult
+ * @param {Object} [selection] - 匯入預覽的使用者選擇（見 applySelection）
+ * @returns {Promise<Object>} ImportResult（summary 含 removed）
+ */
+async function applyDeltaImport (parseResult, selection) {
+  const { data } = parseResult
+  const meta = data.sync_meta
+  const { mergeData, mergeOptions } = applySelection(collectMergeData(parseResult, null), selection)
+  const { books, tags, tagCategories } = mergeData
+
+  const beforeBooks = await loadLocalBooks()
+  const beforeMap = new Map(beforeBooks.map(b => [b.id, b.updatedAt]))
+
+  const deltaResult = await TagStorageAdapter.applySyncDelta(
+    { books, tags, tagCategories },
+    readDeltaTombstones(data.tombstones),
+    mergeOptions
+  )
+  if (!deltaResult.success) {
+    logger.error('IMPORT_STORAGE_FAILED', { component: 'json-importer', error: deltaResult.error })
+    return { success: false, error: makeError(IMPORT_ERROR_CODES.STORAGE_ERROR, '儲存失敗，請重試') }
+  }
+
+  const afterBooks = await loadLocalBooks()
+  const summary = await autoTagNewBooks(beforeMap, afterBooks, {
+    ...computeSummary(beforeMap, afterBooks),
+    removed: deltaResult.removed.books
+  })
+
+  const importedAt = new Date().toISOString()
+  const updates = { [LAST_IMPORTED_AT_KEY]: importedAt }
+  if (meta.source_device) {
+    const journal = syncJournal.normalizeSyncJournal(await getFromLocal(syncJournal.SYNC_STORAGE_KEYS.JOURNAL))
+    const acknowledgedSyncId = meta.acknowledged_sync_id || null
+    const ack = syncJournal.acknowledgeSyncPoint(journal, meta.source_device, acknowledgedSyncId, importedAt)
+    if (acknowledgedSyncId && !ack.acknowledged) {
+      logger.warn('IMPORT_SYNC_ACK_UNKNOWN', { component: 'json-importer', syncId: acknowledgedSyncId })
+    }
+    updates[syncJournal.SYNC_STORAGE_KEYS.JOURNAL] = ack.journal
+  }
+  await setToLocal(updates)
+
+  return { success: true, summary, source: SYNC_DELTA_SOURCE, importedAt }
+}
+
+/**
+ * 讀取並解析匯入內容：備份 ZIP 取出 books.json、加密檔先解密，再經 parseAndValidate。
+ *
+ * @param {string|ArrayBuffer|Uint8Array} fileContent
+ * @param {Object} options - { passphrase? }
+ * @returns {Promise<Object>} { parseResult, bundle } 或 { error }
+ */
+async function prepareImport (fileContent, options) {
+  let content = fileContent
+  let bundle = null
+  if (typeof fileContent !== 'string' && zipReader.isZipArchive(fileContent)) {
+    bundle = await readBundle(fileContent)
+    if (bundle.code) {
+      return { error: bundle }
+    }
+    content = bundle.fileContent
+  } else if (typeof fileContent === 'string') {
+    const decrypted = await decryptIfEncrypted(fileContent, options.passphrase)
+    if (decrypted.code) {
+      return { error: decrypted }
+    }
+    content = decrypted.fileContent
+  }
+
+  const parseResult = parseAndValidate(content)
+  if (parseResult.code) {
+    return { error: parseResult }
+  }
+  return { parseResult, bundle }
+}
+
+/**
+ * 組成 mergeAllData 輸入：增量信封直接取 upsert 欄位，其餘來源經 convertBySource。
+ * bundle 的 tags.json 取代 convertBySource 的 tags / tagCategories（canonical 路徑不展開標籤，TD-IMP-2）。
+ * 已儲存檢視取自 bundle 的 saved-views.json 或 JSON root 的 savedViews；兩者皆無時不帶此欄位
+ * （mergeAllData 保留本地檢視）。作品連結（works.json / root.works）同理。
+ */
+function collectMergeData (parseResult, bundle) {
+  if (parseResult.source === SYNC_DELTA_SOURCE) {
+    const { data } = parseResult
+    return { books: data.books || [], tags: data.tags || [], tagCategories: data.tag_categories || [] }
+  }
+  const converted = convertBySource(parseResult)
+  const mergeData = {
+    books: converted.books,
+    tags: bundle ? bundle.tags : converted.tags,
+    tagCategories: bundle ? bundle.tagCategories : converted.tagCategories
+  }
+  const savedViews = bundle && bundle.savedViews ? bundle.savedViews : (parseResult.data && parseResult.data.savedViews)
+  if (Array.isArray(savedViews)) {
+    mergeData.savedViews = savedViews
+  }
+  const works = bundle && bundle.works ? bundle.works : (parseResult.data && parseResult.data.works)
+  if (Array.isArray(works)) {
+    mergeData.works = works
+  }
+  return mergeData
+}
+
+/**
+ * 依匯入預覽的使用者選擇篩選書籍（未指定 bookIds 時全部保留）。
+ *
+ * @param {Object} mergeData - { books, tags, tagCategories }
+ * @param {Object} [selection] - { bookIds?: Array, bookResolutions?: Object }
+ * @returns {{ mergeData: Object, mergeOptions: Object }}
+ */
+function applySelection (mergeData, selection) {
+  if (!selection) return { mergeData, mergeOptions: {} }
+  const accepted = Array.isArray(selection.bookIds) ? new Set(selection.bookIds) : null
+  return {
+    mergeData: accepted
+      ? { ...mergeData, books: mergeData.books.filter(book => accepted.has(book.id)) }
+      : mergeData,
+    mergeOptions: { bookResolutions: selection.bookResolutions || {} }
+  }
+}
+
+/**
+ * 匯入預覽（dry-run）：解析與轉換同 executeImport，以 previewMerge 試算合併結果，不寫入 storage。
+ *
+ * 預覽結果交由 UI 呈現逐本差異與 LWW 衝突裁決；使用者確認後以
+ * executeImport(fileContent, { selection }) 套用所選書籍與衝突裁決。
+ * 增量同步信封的 tombstone 不在預覽範圍（僅回報筆數，套用時仍逐筆 LWW）。
+ *
+ * @param {string|ArrayBuffer|Uint8Array} fileContent - 同 executeImport
+ * @param {Object} [options] - { passphrase?: string }
+ * @returns {Promise<Object>} { success, preview?, source?, metadata?, tombstoneCount?, error? }
+ */
+async function previewImport (fileContent, options = {}) {
+  const prepared = await prepareImport(fileContent, options)
+  if (prepared.error) {
+    return { success: false, error: prepared.error }
+  }
+
+  const { parseResult } = prepared
+  const previewResult = await TagStorageAdapter.previewMerge(collectMergeData(parseResult, prepared.bundle))
+  if (!previewResult.success) {
+    logger.error('IMPORT_PREVIEW_FAILED', { component: 'json-importer', error: previewResult.error })
+    return { success: false, error: makeError(IMPORT_ERROR_CODES.STORAGE_ERROR, '讀取本機資料失敗，請重試') }
+  }
+
+  const result = {
+    success: true,
+    preview: previewResult.preview,
+    source: parseResult.source,
+    metadata: parseResult.metadata
+  }
+  if (parseResult.source === SYNC_DELTA_SOURCE) {
+    const tombstones = readDeltaTombstones(parseResult.data.tombstones)
+    result.tombstoneCount = tombstones.books.length + tombstones.tags.length + tombstones.tagCategories.length
+  }
+  return result
+}
+
 /**
  * 完整匯入流程編排。
  *
- * @param {string} fileContent - File API 讀取的原始文字內容
- * @param {Object} [options] - { skipStalenessCheck?: boolean }
+ * 輸入為 ZIP 位元組時先經 readBundle 驗證並取出 books.json；
+ * bundle 的 tags.json 取代 convertBySource 的 tags / tagCategories（canonical 路徑不展開標籤，TD-IMP-2）。
+ * 增量同步信封改由 applyDeltaImport 套用（不經防舊蓋新檢查）。
+ * 加密同步檔先以 options.passphrase 解密，解密後的內容再依上述規則處理。
+ * options.selection 為匯入預覽的使用者選擇：僅合併 bookIds 內的書籍，bookResolutions 覆寫 LWW 裁決。
+ *
+ * @param {string|ArrayBuffer|Uint8Array} fileContent - File API 讀取的原始文字內容，或備份 ZIP 位元組
+ * @param {Object} [options] - { skipStalenessCheck?: boolean, passphrase?: string,
+ *   selection?: { bookIds?: Array, bookResolutions?: Object } }
  * @returns {Promise<Object>} ImportResult { success, summary?, source?, importedAt?, error? }
  */
 async function executeImport (fileContent, options = {}) {
-  const parseResult = parseAndValidate(fileContent)
-  if (parseResult.code) {
-    return { success: false, error: parseResult }
+  const prepared = await prepareImport(fileContent, options)
+  if (prepared.error) {
+    return { success: false, error: prepared.error }
+  }
+
+  const { parseResult } = prepared
+  if (parseResult.source === SYNC_DELTA_SOURCE) {
+    return applyDeltaImport(parseResult, options.selection)
   }
 
   const staleness = await checkStaleness(parseResult.metadata.exportedAt)
@@ -249,12 +636,12 @@ async function executeImport (fileContent, options = {}) {
     }
   }
 
-  const { books, tags, tagCategories } = convertBySource(parseResult)
+  const { mergeData, mergeOptions } = applySelection(collectMergeData(parseResult, prepared.bundle), options.selection)
 
   const beforeBooks = await loadLocalBooks()
   const beforeMap = new Map(beforeBooks.map(b => [b.id, b.updatedAt]))
 
-  const mergeResult = await TagStorageAdapter.mergeAllData({ books, tags, tagCategories })
+  const mergeResult = await TagStorageAdapter.mergeAllData(mergeData, mergeOptions)
   if (!mergeResult.success) {
     logger.error('IMPORT_STORAGE_FAILED', { component: 'json-importer', error: mergeResult.error })
     return {
@@ -264,7 +651,7 @@ async function executeImport (fileContent, options = {}) {
   }
 
   const afterBooks = await loadLocalBooks()
-  const summary = computeSummary(beforeMap, afterBooks)
+  const summary = await autoTagNewBooks(beforeMap, afterBooks, computeSummary(beforeMap, afterBooks))
 
   const importedAt = new Date().toISOString()
   await setToLocal({ [LAST_IMPORTED_AT_KEY]: importedAt })
@@ -276,5 +663,6 @@ module.exports = {
   parseAndValidate,
   checkStaleness,
   executeImport,
+  previewImport,
   IMPORT_ERROR_CODES
 }
@@ -0,0 +1,181 @@
+/**
+ * ZIP 封存讀取模組（匯入端，對應 src/export/zip-writer.js）
+ *
+ * 職責：依 EOCD → central directory 定位每個 entry，取出 stored / DEFLATE 內容並驗證 CRC32。
+ * 支援範圍與 writer 對齊：單一磁碟、非 ZIP64、未加密；其餘情況拋出 INVALID_DATA_FORMAT。
+ * 所有由封存內容讀出的 offset / 長度皆先對照資料長度檢查，截斷或損毀的檔案不會拋出原生 RangeError。
+ * 解壓縮輸出以 entry 宣告的 uncompressedSize 為上限，宣告值總和不得超過 MAX_UNCOMPRESSED_SIZE，
+ * 高壓縮比的惡意封存（zip bomb）在展開前或展開途中即中止。
+ */
+
+const { ErrorCodes } = require('../core/errors/ErrorCodes')
+const { calculateCRC32 } = require('../utils/crc32')
+const { decompressBytes, isCompressionSupported } = require('../utils/compression-stream-utils')
+
+const SIGNATURES = {
+  LOCAL_FILE_HEADER: 0x04034b50,
+  CENTRAL_DIRECTORY: 0x02014b50,
+  END_OF_CENTRAL_DIRECTORY: 0x06054b50
+}
+
+const METHOD_STORED = 0
+const METHOD_DEFLATE = 8
+const FLAG_ENCRYPTED = 0x0001
+
+const EOCD_MIN_SIZE = 22
+// EOCD 之後可能帶最長 65535 bytes 的封存註解
+const EOCD_MAX_SEARCH = EOCD_MIN_SIZE + 0xFFFF
+
+const CENTRAL_HEADER_SIZE = 46
+const LOCAL_HEADER_SIZE = 30
+
+// 整個封存解壓縮後的位元組上限（與匯出端 MAX_SIZE_MB 對齊）
+const MAX_UNCOMPRESSED_SIZE = 100 * 1024 * 1024
+
+function makeZipError (message, details = {}) {
+  const error = new Error(message)
+  error.code = ErrorCodes.INVALID_DATA_FORMAT
+  error.details = { category: 'import', ...details }
+  return error
+}
+
+function toUint8Array (input) {
+  if (input instanceof Uint8Array) return input
+  if (input instanceof ArrayBuffer) return new Uint8Array(input)
+  if (ArrayBuffer.isView(input)) return new Uint8Array(input.buffer, input.byteOffset, input.byteLength)
+  throw makeZipError('ZIP 資料必須為 ArrayBuffer 或 Uint8Array')
+}
+
+/**
+ * 判斷位元組是否以 ZIP local file header 簽章（PK\x03\x04）開頭。
+ *
+ * @param {ArrayBuffer|Uint8Array} input
+ * @returns {boolean}
+ */
+function isZipArchive (input) {
+  let bytes
+  try {
+    bytes = toUint8Array(input)
+  } catch (error) {
+    return false
+  }
+  return bytes.length >= 4 &&
+    bytes[0] === 0x50 && bytes[1] === 0x4b && bytes[2] === 0x03 && bytes[3] === 0x04
+}
+
+/**
+ * 由尾端往前搜尋 EOCD 記錄位置。
+ */
+function findEndOfCentralDirectory (view) {
+  const stop = Math.max(0, view.byteLength - EOCD_MAX_SEARCH)
+  for (let offset = view.byteLength - EOCD_MIN_SIZE; offset >= stop; offset--) {
+    if (view.getUint32(offset, true) === SIGNATURES.END_OF_CENTRAL_DIRECTORY) {
+      return offset
+    }
+  }
+  return -1
+}
+
+/**
+ * 讀取 ZIP 封存全部 entry（目錄 entry 略過）。
+ *
+ * @param {ArrayBuffer|Uint8Array} input - ZIP 位元組
+ * @param {Object} [options]
+ * @param {number} [options.maxUncompressedSize=MAX_UNCOMPRESSED_SIZE] - 全部 entry 解壓縮後的位元組上限
+ * @returns {Promise<Array<{name: string, data: Uint8Array}>>} 依 central directory 順序
+ * @throws {Error} code=INVALID_DATA_FORMAT：結構損毀、不支援的壓縮方式 / 加密、CRC32 不符、超過大小上限
+ */
+async function readZipArchive (input, options = {}) {
+  const maxUncompressedSize = options.maxUncompressedSize || MAX_UNCOMPRESSED_SIZE
+  const bytes = toUint8Array(input)
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength)
+  const decoder = new TextDecoder()
+
+  const eocd = bytes.length >= EOCD_MIN_SIZE ? findEndOfCentralDirectory(view) : -1
+  if (eocd < 0) {
+    throw makeZipError('不是有效的 ZIP 檔案')
+  }
+
+  const entryCount = view.getUint16(eocd + 10, true)
+  let offset = view.getUint32(eocd + 16, true)
+  const entries = []
+  let totalUncompressedSize = 0
+
+  for (let i = 0; i < entryCount; i++) {
+    if (offset + CENTRAL_HEADER_SIZE > bytes.length || view.getUint32(offset, true) !== SIGNATURES.CENTRAL_DIRECTORY) {
+      throw makeZipError('ZIP central directory 損毀', { entryIndex: i })
+    }
+
+    const flags = view.getUint16(offset + 8, true)
+    const method = view.getUint16(offset + 10, true)
+    const crc32 = view.getUint32(offset + 16, true)
+    const compressedSize = view.getUint32(offset + 20, true)
+    const uncompressedSize = view.getUint32(offset + 24, true)
+    const nameLength = view.getUint16(offset + 28, true)
+    const extraLength = view.getUint16(offset + 30, true)
+    const commentLength = view.getUint16(offset + 32, true)
+    const localOffset = view.getUint32(offset + 42, true)
+    const nameStart = offset + CENTRAL_HEADER_SIZE
+    offset = nameStart + nameLength + extraLength + commentLength
+    if (offset > bytes.length) {
+      throw makeZipError('ZIP central directory 損毀', { entryIndex: i })
+    }
+    const name = decoder.decode(bytes.subarray(nameStart, nameStart + nameLength))
+
+    if (name.endsWith('/')) continue
+
+    if (flags & FLAG_ENCRYPTED) {
+      throw makeZipError('不支援加密的 ZIP entry', { name })
+    }
+    if (localOffset + LOCAL_HEADER_SIZE > bytes.length ||
+        view.getUint32(localOffset, true) !== SIGNATURES.LOCAL_FILE_HEADER) {
+      throw makeZipError('ZIP local header 損毀', { name })
+    }
+
+    // local header 的 name / extra 長度可能與 central directory 不同，需各自讀取
+    const localNameLength = view.getUint16(localOffset + 26, true)
+    const localExtraLength = view.getUint16(localOffset + 28, true)
+    const dataStart = localOffset + LOCAL_HEADER_SIZE + localNameLength + localExtraLength
+    if (dataStart + compressedSize > bytes.length) {
+      throw makeZipError('ZIP entry 資料不完整', { name })
+    }
+    totalUncompressedSize += uncompressedSize
+    if (totalUncompressedSize > maxUncompressedSize) {
+      throw makeZipError('ZIP 解壓縮後超過大小上限', { name, limit: maxUncompressedSize })
+    }
+    const raw = bytes.subarray(dataStart, dataStart + compressedSize)
+
+    let data
+    if (method === METHOD_STORED) {
+      data = raw
+    } else if (method === METHOD_DEFLATE) {
+      if (!isCompressionSupported('deflate-raw')) {
+        throw makeZipError('瀏覽器不支援解壓縮 ZIP，請更新瀏覽器', { name })
+      }
+      try {
+        data = await decompressBytes(raw, 'deflate-raw', { maxLength: uncompressedSize })
+      } catch (error) {
+        if (error instanceof RangeError) {
+          throw makeZipError('ZIP entry 解壓縮後大小與宣告不符', { name, uncompressedSize })
+        }
+        throw makeZipError('ZIP entry 解壓縮失敗', { name, reason: error.message })
+      }
+    } else {
+      throw makeZipError('不支援的 ZIP 壓縮方式', { name, method })
+    }
+
+    if (data.length !== uncompressedSize || calculateCRC32(data) !== crc32) {
+      throw makeZipError('ZIP entry 校驗失敗', { name })
+    }
+
+    entries.push({ name, data })
+  }
+
+  return entries
+}
+
+module.exports = {
+  MAX_UNCOMPRESSED_SIZE,
+  isZipArchive,
+  readZipArchive
+}
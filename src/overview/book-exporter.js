@@ -10,19 +10,27 @@
  * - v1 JSON/CSV 匯出方法已於 W1-042.2 移除（被 BookDataExporter v2 取代）
  */
 
-// 複製配置常數
-const EXPORT_CONSTANTS = {
-  NO_DATA_EXPORT: '沒有資料可以匯出',
+const { t, defineLocalizedText } = require('src/core/i18n/ui-i18n')
+
+// 複製配置常數（文字依目前語系取值）
+const EXPORT_CONSTANTS = defineLocalizedText({
+  NO_DATA_EXPORT: 'overview.messages.noDataExport',
   // 無資料可複製時的提示（handleCopyText 早退路徑）
-  NO_DATA_COPY: '沒有資料可以複製',
+  NO_DATA_COPY: 'overview.exporter.noDataCopy',
   // 複製成功提示（navigator.clipboard.writeText 成功後）
-  COPY_SUCCESS: '已複製到剪貼簿',
+  COPY_SUCCESS: 'overview.exporter.copySuccess',
   // 複製失敗提示（剪貼簿 API 不支援或拋例外）
-  COPY_FAILED: '複製失敗，請確認瀏覽器支援剪貼簿功能',
-  // 複製純文字的 header 列，欄位順序須對應 generateCopyText 組裝順序
+  COPY_FAILED: 'overview.exporter.copyFailed'
+}, {
+  // 複製純文字的 header 列翻譯鍵，欄位順序須對應 generateCopyText 組裝順序
   // （title / _formatBookSource / progress / status）
-  COPY_TEXT_HEADERS: ['書名', '書城', '閱讀進度', '狀態']
-}
+  COPY_TEXT_HEADER_KEYS: Object.freeze([
+    'overview.table.columns.title',
+    'overview.exporter.sourceHeader',
+    'overview.exporter.progressHeader',
+    'overview.table.columns.status'
+  ])
+})
 
 class BookExporter {
   /**
@@ -84,7 +92,7 @@ class BookExporter {
   generateCopyText () {
     const books = this.getFilteredBooks()
     const rows = [
-      EXPORT_CONSTANTS.COPY_TEXT_HEADERS.join('\t'),
+      EXPORT_CONSTANTS.COPY_TEXT_HEADER_KEYS.map(key => t(key)).join('\t'),
       ...books.map(book => [
         book.title || '',
         this._formatBookSource(book),
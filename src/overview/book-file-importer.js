@@ -25,6 +25,8 @@
  * @property {Array<Object>} books          - 書籍陣列，必有，可能為空陣列
  * @property {Array<Object>} tagCategories  - tag 分類陣列，必有，可能為空陣列
  * @property {Array<Object>} tags           - tag 陣列，必有，可能為空陣列
+ * @property {Array<Object>} [savedViews]   - 已儲存檢視，僅 canonical JSON root 帶有時存在
+ * @property {Array<Object>} [works]        - 跨書城作品連結，僅 canonical JSON root 帶有時存在
  *
  * 不變式 INV-1：ImportResult 三欄位永遠存在且型別恆為陣列，
  * 任何路徑（v1 / v2 / CSV / 空物件）不得回傳 undefined / null。
@@ -54,13 +56,14 @@ class BookFileImporter {
    * @param {Object} [deps.validator] - 選用，FileValidator 實例（測試注入 stub）
    * @param {Object} [deps.reader] - 選用，FileContentReader 實例（測試注入 stub）
    * @param {Object} [deps.parser] - 選用，ContentParser 實例（測試注入 stub）
+   * @param {Function} [deps.getExistingBooks] - 選用，取得目前書庫 books（閱讀服務 CSV 比對既有書籍）
    */
-  constructor ({ document, showError, validator, reader, parser } = {}) {
+  constructor ({ document, showError, validator, reader, parser, getExistingBooks } = {}) {
     this.document = document
     this.showError = showError
 
     // Helper DI（順序：parser → validator → reader，reader 預設依賴 parser）
-    this.parser = parser || new ContentParser()
+    this.parser = parser || new ContentParser({ getExistingBooks })
     this.validator = validator || new FileValidator({ showError })
     this.reader = reader || new FileContentReader({
       parser: this.parser,
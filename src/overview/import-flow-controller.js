@@ -3,7 +3,8 @@
  *
  * 從 OverviewPageController 抽出的匯入流程模組，職責限縮於：
  * - promptImportMode：顯示模式選擇 modal，回傳使用者選擇的模式
- * - execute：完整匯入流程編排（驗證 → modal → 讀檔 → 持久化 → UI 更新）
+ * - promptMergePreview：合併模式寫入前顯示逐本差異預覽，回傳使用者的選擇
+ * - execute：完整匯入流程編排（驗證 → modal → 讀檔 → 預覽 → 持久化 → UI 更新）
  *
  * 設計考量：
  * - controller 委派：OverviewPageController.handleFileLoad / promptImportMode
@@ -19,6 +20,9 @@
  * - UI 更新（透過 onImportSuccess callback 反向通知 controller）
  */
 
+const { createImportPreviewRenderer } = require('./import-preview-renderer')
+const { t } = require('../core/i18n/ui-i18n')
+
 /**
  * 匯入模式 modal DOM 缺失的哨兵值（UC-04）。
  *
@@ -53,8 +57,15 @@ const IMPORT_MODE = {
  * @property {HTMLElement} [elements.emptyFileConfirmDesc] - Modal B 動態說明（aria-describedby 目標）
  * @property {HTMLElement} [elements.emptyFileConfirmProceedBtn] - Modal B 確認清空按鈕
  * @property {HTMLElement} [elements.emptyFileConfirmCancelBtn] - Modal B 取消按鈕
+ * @property {HTMLElement} [elements.importPreviewOverlay] - 合併預覽 modal 遮罩
+ * @property {HTMLElement} [elements.importPreviewModal] - 合併預覽 modal 容器
+ * @property {HTMLElement} [elements.importPreviewSummary] - 合併預覽摘要
+ * @property {HTMLElement} [elements.importPreviewList] - 合併預覽逐本差異清單容器
+ * @property {HTMLElement} [elements.importPreviewApplyBtn] - 合併預覽套用按鈕
+ * @property {HTMLElement} [elements.importPreviewCancelBtn] - 合併預覽取消按鈕
  * @property {Document} document - DOM 文檔（焦點管理用）
- * @property {Object} tagStorageAdapter - 模組參考，需含 replaceAllData / mergeAllData
+ * @property {Object} tagStorageAdapter - 模組參考，需含 replaceAllData / mergeAllData；
+ *   含 previewMerge 且合併預覽 modal DOM 齊備時，合併模式於寫入前先顯示預覽
  * @property {Function} showError - 顯示錯誤訊息
  * @property {Function} showLoading - 顯示載入狀態
  * @property {Function} onImportSuccess - 匯入成功的 UI 更新 callback(books)
@@ -107,6 +118,11 @@ class ImportFlowController {
 
     // W1-049：Modal B 開啟前的焦點元素（獨立變數，與 Modal A 隔離）
     this._emptyConfirmPreviousFocus = null
+
+    // 合併預覽 modal 單一實例保護與焦點還原（同 Modal A / B 模式，獨立變數）
+    this._mergePreviewPending = null
+    this._mergePreviewPreviousFocus = null
+    this._previewRenderer = null
   }
 
   /**
@@ -284,9 +300,9 @@ class ImportFlowController {
     // 動態填入說明文字（N>=1 與 N===0 文案差異）
     const count = Number.isInteger(currentBookCount) ? currentBookCount : 0
     if (count >= 1) {
-      desc.textContent = `此檔案不包含任何書目資料。繼續將清空目前書庫中的 ${count} 本書，且無法復原。`
+      desc.textContent = t('overview.importFlow.emptyFileConfirm', { count })
     } else {
-      desc.textContent = '此檔案不包含任何書目資料。目前書庫為空，無資料可清空。仍要繼續嗎？'
+      desc.textContent = t('overview.importFlow.emptyFileConfirmEmptyLibrary')
     }
 
     this._emptyConfirmPending = new Promise((resolve) => {
@@ -381,7 +397,123 @@ class ImportFlowController {
   }
 
   /**
-   * 執行完整匯入流程：驗證 → modal → 讀檔 → 持久化 → callback
+   * 合併預覽 modal 元素是否齊備（舊版頁面未含此 modal 時跳過預覽）
+   * @private
+   */
+  _hasMergePreviewModal () {
+    const e = this.elements
+    return Boolean(e.importPreviewOverlay && e.importPreviewModal && e.importPreviewSummary &&
+      e.importPreviewList && e.importPreviewApplyBtn && e.importPreviewCancelBtn)
+  }
+
+  /**
+   * 顯示合併預覽 modal，回傳使用者對逐本變更與衝突的選擇
+   *
+   * 業務情境：合併模式寫入前讓使用者檢視新增 / 更新的書、欄位差異與 tag 重映射，
+   * 可取消勾選個別書籍，或將 LWW 衝突改為保留本機 / 採用匯入。
+   *
+   * @param {Object} preview - TagStorageAdapter.previewMerge 的 preview
+   * @returns {Promise<{ bookIds: Array, bookResolutions: Object } | null>}
+   *   - 選擇物件：使用者按下套用
+   *   - null：使用者取消（取消鈕 / Esc / 點遮罩）或 modal DOM 缺失
+   *
+   * 設計：與 promptImportMode 相同，不用 async 以保證重複呼叫回傳同一 pending Promise。
+   */
+  promptMergePreview (preview) {
+    if (!this._hasMergePreviewModal()) {
+      // eslint-disable-next-line no-console
+      console.error('[ERROR] 合併預覽 modal 元素缺失，無法顯示預覽')
+      return Promise.resolve(null)
+    }
+
+    if (this._mergePreviewPending) {
+      return this._mergePreviewPending
+    }
+
+    const overlay = this.elements.importPreviewOverlay
+    const modal = this.elements.importPreviewModal
+    const list = this.elements.importPreviewList
+    const applyBtn = this.elements.importPreviewApplyBtn
+    const cancelBtn = this.elements.importPreviewCancelBtn
+
+    if (!this._previewRenderer) {
+      this._previewRenderer = createImportPreviewRenderer({ document: this.document })
+    }
+    this.elements.importPreviewSummary.textContent = this._previewRenderer.formatSummary(preview)
+    this._previewRenderer.render(list, preview)
+
+    this._mergePreviewPending = new Promise((resolve) => {
+      this._mergePreviewPreviousFocus =
+        (this.document && this.document.activeElement) || null
+
+      // Esc 取消；清單內含可聚焦的勾選框與選單，不做 focus trap 以免干擾清單內 Tab 導覽
+      const onKeydown = (event) => {
+        if (event.key === 'Escape') {
+          settle(null)
+        }
+      }
+
+      const onOverlayClick = (event) => {
+        if (event.target === overlay) {
+          settle(null)
+        }
+      }
+
+      const onApply = () => settle(this._previewRenderer.readSelection(list, preview))
+      const onCancel = () => settle(null)
+
+      // 統一收斂出口：移除監聽器 → 隱藏 modal → 清 pending 旗標 → 還原焦點 → resolve
+      const settle = (result) => {
+        applyBtn.removeEventListener('click', onApply)
+        cancelBtn.removeEventListener('click', onCancel)
+        overlay.removeEventListener('click', onOverlayClick)
+        modal.removeEventListener('keydown', onKeydown)
+
+        overlay.style.display = 'none'
+        this._mergePreviewPending = null
+
+        this._mergePreviewPreviousFocus?.focus?.()
+        this._mergePreviewPreviousFocus = null
+
+        resolve(result)
+      }
+
+      applyBtn.addEventListener('click', onApply)
+      cancelBtn.addEventListener('click', onCancel)
+      overlay.addEventListener('click', onOverlayClick)
+      modal.addEventListener('keydown', onKeydown)
+
+      overlay.style.display = 'flex'
+      applyBtn.focus()
+    })
+
+    return this._mergePreviewPending
+  }
+
+  /**
+   * 合併模式寫入前的預覽步驟
+   *
+   * @param {Object} payload - { books, tags, tagCategories }
+   * @returns {Promise<Object|null|undefined>}
+   *   - undefined：不提供預覽（adapter 無 previewMerge 或 modal DOM 缺失），照舊整批合併
+   *   - null：使用者取消或預覽讀取失敗（已 showError），中止匯入
+   *   - { bookIds, bookResolutions }：使用者選擇
+   * @private
+   */
+  async _reviewMerge (payload) {
+    if (typeof this.tagStorageAdapter.previewMerge !== 'function' || !this._hasMergePreviewModal()) {
+      return undefined
+    }
+    const previewResult = await this.tagStorageAdapter.previewMerge(payload)
+    if (!previewResult.success) {
+      this.showError(t('overview.importFlow.previewFailed'))
+      return null
+    }
+    return this.promptMergePreview(previewResult.preview)
+  }
+
+  /**
+   * 執行完整匯入流程：驗證 → modal → 讀檔 → 預覽 → 持久化 → callback
    *
    * 流程：
    * 1. 驗證階段（importer 處理，失敗會 throw）——先於 modal
@@ -390,6 +522,7 @@ class ImportFlowController {
    * 4. 取消分流：靜默中止——不讀檔、不寫 storage、UI 不變
    * 5. 讀檔：importer 回傳 ImportResult（INV-1 保證三欄位恆陣列）
    * 6. 依模式分流持久化：覆蓋走 replaceAllData，合併走 mergeAllData
+   *    （合併模式可用預覽時先經 promptMergePreview，只寫入使用者勾選的書並套用衝突裁決）
    * 7. 持久化成功才更新 UI；失敗中止並 showError
    *
    * @param {File} file - 使用者選取的檔案
@@ -413,7 +546,7 @@ class ImportFlowController {
 
     // 3. modal DOM 缺失分流：視為設計缺陷，showError 後中止
     if (mode === IMPORT_MODE_MODAL_MISSING) {
-      this.showError('匯入功能初始化失敗')
+      this.showError(t('overview.importFlow.initFailed'))
       return
     }
 
@@ -444,26 +577,54 @@ class ImportFlowController {
       }
     }
 
-    // 6.5 W1-049：showLoading 後移至此（持久化前），緊鄰 destructive 寫入
-    this.showLoading('正在儲存匯入資料...')
-
-    // 7. 依模式分流持久化：覆蓋走 replaceAllData，合併走 mergeAllData
-    const payload = {
+    let payload = {
       books: importResult.books,
       tags: importResult.tags,
       tagCategories: importResult.tagCategories
     }
-    const writeResult = mode === IMPORT_MODE.OVERWRITE
-      ? await this.tagStorageAdapter.replaceAllData(payload)
-      : await this.tagStorageAdapter.mergeAllData(payload)
+    // 已儲存檢視僅在匯入檔帶有時寫入，否則保留本地檢視
+    if (importResult.savedViews) {
+      payload.savedViews = importResult.savedViews
+    }
+    // 作品連結同理：匯入檔帶有時合併 / 取代，否則保留本地連結
+    if (importResult.works) {
+      payload.works = importResult.works
+    }
+
+    // 6.2 合併預覽：使用者取消則靜默中止；有選擇時僅寫入勾選的書並帶入衝突裁決
+    let mergeOptions = null
+    if (mode === IMPORT_MODE.MERGE) {
+      const selection = await this._reviewMerge(payload)
+      if (selection === null) {
+        return
+      }
+      if (selection) {
+        const accepted = new Set(selection.bookIds)
+        payload = { ...payload, books: payload.books.filter(book => accepted.has(book.id)) }
+        mergeOptions = { bookResolutions: selection.bookResolutions }
+      }
+    }
+
+    // 6.5 W1-049：showLoading 後移至此（持久化前），緊鄰 destructive 寫入
+    this.showLoading(t('overview.importFlow.saving'))
+
+    // 7. 依模式分流持久化：覆蓋走 replaceAllData，合併走 mergeAllData
+    let writeResult
+    if (mode === IMPORT_MODE.OVERWRITE) {
+      writeResult = await this.tagStorageAdapter.replaceAllData(payload)
+    } else if (mergeOptions) {
+      writeResult = await this.tagStorageAdapter.mergeAllData(payload, mergeOptions)
+    } else {
+      writeResult = await this.tagStorageAdapter.mergeAllData(payload)
+    }
 
     // 7. 持久化成功才更新 UI；失敗中止並 showError（覆蓋 / 合併共用，回傳契約對稱）
     if (writeResult.success === true) {
-      this.onImportSuccess(importResult.books)
+      this.onImportSuccess(payload.books)
     } else if (writeResult.error === 'quota_exceeded') {
-      this.showError('儲存空間不足，匯入未完成')
+      this.showError(t('overview.importFlow.quotaExceeded'))
     } else {
-      this.showError('儲存失敗，已還原原有資料')
+      this.showError(t('overview.importFlow.saveFailed'))
     }
   }
 }
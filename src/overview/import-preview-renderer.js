@@ -0,0 +1,208 @@
+'use strict'
+
+const { t, formatList, defineLocalizedText } = require('src/core/i18n/ui-i18n')
+
+/**
+ * 匯入預覽顯示常數
+ * RESOLUTION 的 key 與 TagStorageAdapter.BOOK_RESOLUTIONS 的值一致（選單 option value）
+ */
+const PREVIEW_LABELS = defineLocalizedText({
+  STATUS: {
+    added: 'overview.importPreview.status.added',
+    updated: 'overview.importPreview.status.updated',
+    unchanged: 'overview.importPreview.status.unchanged'
+  },
+  RESOLUTION: {
+    incoming: 'overview.importPreview.resolution.incoming',
+    local: 'overview.importPreview.resolution.local'
+  },
+  EMPTY: 'overview.importPreview.empty'
+})
+
+function formatValue (value) {
+  if (value === undefined || value === null || value === '') return t('overview.importPreview.emptyValue')
+  return typeof value === 'object' ? JSON.stringify(value) : String(value)
+}
+
+/**
+ * 建立 ImportPreviewRenderer 實例
+ *
+ * 負責功能：
+ * - 將 TagStorageAdapter.previewMerge 的預覽結果渲染為可勾選的逐本差異清單
+ * - 同 id 衝突提供「採用匯入 / 保留本機」選單（預設為 LWW 裁決結果）
+ * - 列出 tag / category 的新建與同名重映射
+ * - 讀回使用者選擇，轉為 mergeAllData 的 bookIds / bookResolutions
+ *
+ * 無變動且無衝突的書不列出，套用時一律納入（合併結果不變）。
+ *
+ * @param {Object} deps - 依賴注入
+ * @param {Document} deps.document - DOM 文檔物件
+ * @returns {Object} ImportPreviewRenderer
+ */
+function createImportPreviewRenderer (deps) {
+  if (!deps || typeof deps !== 'object') {
+    throw new TypeError('createImportPreviewRenderer requires deps object')
+  }
+  if (!deps.document) {
+    throw new TypeError('deps.document is required')
+  }
+
+  const doc = deps.document
+
+  function isReviewable (book) {
+    return book.status !== 'unchanged' || book.conflict !== null
+  }
+
+  /**
+   * 產生預覽摘要文字
+   *
+   * @param {Object} preview - computeMergePreview 回傳值
+   * @returns {string}
+   */
+  function formatSummary (preview) {
+    const { counts } = preview
+    const parts = [
+      t('overview.importPreview.summary.added', { count: counts.added }),
+      t('overview.importPreview.summary.updated', { count: counts.updated })
+    ]
+    if (counts.conflicts > 0) parts.push(t('overview.importPreview.summary.conflicts', { count: counts.conflicts }))
+    if (counts.tagsCreated + counts.categoriesCreated > 0) {
+      parts.push(t('overview.importPreview.summary.created', { tags: counts.tagsCreated, categories: counts.categoriesCreated }))
+    }
+    if (counts.tagsRemapped + counts.categoriesRemapped > 0) {
+      parts.push(t('overview.importPreview.summary.remapped', { tags: counts.tagsRemapped, categories: counts.categoriesRemapped }))
+    }
+    return parts.join(t('overview.importPreview.summary.separator'))
+  }
+
+  function createChangeList (book) {
+    const list = doc.createElement('ul')
+    list.className = 'import-preview-changes'
+    book.changes.forEach(change => {
+      const item = doc.createElement('li')
+      item.textContent = t('overview.importPreview.change', { field: change.field, from: formatValue(change.from), to: formatValue(change.to) })
+      list.appendChild(item)
+    })
+    if (book.status === 'updated' && book.addedTagIds.length > 0) {
+      const item = doc.createElement('li')
+      item.textContent = t('overview.importPreview.addedTags', { count: book.addedTagIds.length })
+      list.appendChild(item)
+    }
+    return list
+  }
+
+  function createConflictSelect (book) {
+    const select = doc.createElement('select')
+    select.className = 'import-preview-resolution'
+    select.dataset.bookId = book.id
+    select.title = t('overview.importPreview.conflictFields', { fields: formatList(book.conflict.fields) })
+    Object.entries(PREVIEW_LABELS.RESOLUTION).forEach(([value, text]) => {
+      const option = doc.createElement('option')
+      option.value = value
+      option.textContent = text
+      select.appendChild(option)
+    })
+    select.value = book.conflict.winner
+    return select
+  }
+
+  function createBookItem (book) {
+    const item = doc.createElement('li')
+    item.className = `import-preview-book import-preview-book--${book.status}`
+
+    const label = doc.createElement('label')
+    const checkbox = doc.createElement('input')
+    checkbox.type = 'checkbox'
+    checkbox.className = 'import-preview-accept'
+    checkbox.dataset.bookId = book.id
+    checkbox.checked = true
+    label.appendChild(checkbox)
+
+    const title = doc.createElement('span')
+    title.className = 'import-preview-title'
+    title.textContent = t('overview.importPreview.bookTitle', { status: PREVIEW_LABELS.STATUS[book.status], title: book.title || book.id })
+    label.appendChild(title)
+    item.appendChild(label)
+
+    if (book.conflict) {
+      item.appendChild(createConflictSelect(book))
+    }
+    if (book.status === 'updated') {
+      item.appendChild(createChangeList(book))
+    }
+    return item
+  }
+
+  function createRemapItem (record, kind) {
+    const item = doc.createElement('li')
+    item.className = 'import-preview-remap'
+    const action = t(record.status === 'created' ? 'overview.importPreview.remap.created' : 'overview.importPreview.remap.existing')
+    item.textContent = record.renamed
+      ? t('overview.importPreview.remap.renamed', { kind, from: record.incomingName, action, to: record.name })
+      : t('overview.importPreview.remap.same', { kind, name: record.name, action })
+    return item
+  }
+
+  /**
+   * 將預覽結果渲染至清單容器（清空既有內容）
+   *
+   * @param {HTMLElement} container - 清單容器
+   * @param {Object} preview - computeMergePreview 回傳值
+   */
+  function render (container, preview) {
+    container.textContent = ''
+    const reviewable = preview.books.filter(isReviewable)
+
+    if (reviewable.length === 0) {
+      const empty = doc.createElement('p')
+      empty.className = 'import-preview-empty'
+      empty.textContent = PREVIEW_LABELS.EMPTY
+      container.appendChild(empty)
+    } else {
+      const list = doc.createElement('ul')
+      list.className = 'import-preview-books'
+      reviewable.forEach(book => list.appendChild(createBookItem(book)))
+      container.appendChild(list)
+    }
+
+    const remaps = preview.tagCategories.map(record => createRemapItem(record, t('overview.importPreview.remap.category')))
+      .concat(preview.tags.map(record => createRemapItem(record, t('overview.importPreview.remap.tag'))))
+    if (remaps.length > 0) {
+      const list = doc.createElement('ul')
+      list.className = 'import-preview-remaps'
+      remaps.forEach(item => list.appendChild(item))
+      container.appendChild(list)
+    }
+  }
+
+  /**
+   * 讀回使用者選擇
+   *
+   * @param {HTMLElement} container - 已 render 的清單容器
+   * @param {Object} preview - 同 render 的預覽結果
+   * @returns {{ bookIds: Array, bookResolutions: Object }}
+   */
+  function readSelection (container, preview) {
+    const rejected = new Set()
+    container.querySelectorAll('.import-preview-accept').forEach(checkbox => {
+      if (!checkbox.checked) rejected.add(checkbox.dataset.bookId)
+    })
+    const bookResolutions = {}
+    container.querySelectorAll('.import-preview-resolution').forEach(select => {
+      if (!rejected.has(select.dataset.bookId)) {
+        bookResolutions[select.dataset.bookId] = select.value
+      }
+    })
+    // dataset 值為字串，以 String(id) 比對以容納數字 id
+    const bookIds = preview.books.map(book => book.id).filter(id => !rejected.has(String(id)))
+    return { bookIds, bookResolutions }
+  }
+
+  return {
+    formatSummary,
+    render,
+    readSelection
+  }
+}
+
+module.exports = { createImportPreviewRenderer, PREVIEW_LABELS }
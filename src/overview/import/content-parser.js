@@ -6,6 +6,7 @@
  * 負責功能：
  * - 純函式 content 解析（無 IO 無 state）
  * - JSON / CSV 解析、BOM 移除、版本偵測、三區段提取、book 驗證過濾
+ * - Goodreads / StoryGraph 匯出 CSV 辨識與轉換（委派 reading-service-csv-adapter）
  * - 封裝 BookFileImporter._handleFileContent 及其 ~22 個子 helper 邏輯
  *
  * 設計考量：
@@ -39,13 +40,23 @@ const {
 const {
   mapCanonicalToV1Book: defaultMapCanonicalToV1Book
 } = require('src/export/book-interchange-v1-adapter')
+const {
+  detectReadingServiceCsv,
+  convertReadingServiceRows
+} = require('src/export/reading-service-csv-adapter')
+const { hasAnnotations, stripAnnotations, sanitizeAnnotations } = require('src/data-management/BookAnnotationSchema')
+const { defineLocalizedText } = require('src/core/i18n/ui-i18n')
 
 // 模組常數（對齊 importer.js FILE_CONSTANTS）
 const DEFAULT_LARGE_DATASET_THRESHOLD = 1000
 
-const MESSAGES = {
-  INVALID_CSV: '無效的 CSV 格式'
-}
+const MESSAGES = defineLocalizedText({
+  EMPTY_CONTENT: 'overview.importFile.emptyContent',
+  INVALID_JSON: 'overview.importFile.invalidJson',
+  INVALID_JSON_SHAPE: 'overview.importFile.invalidJsonShape',
+  CSV_EMPTY: 'overview.importFile.csvEmpty',
+  CSV_MISSING_COLUMNS: 'overview.importFile.csvMissingColumns'
+})
 
 // CSV header → book 物件欄位的映射（等價搬遷自 importer.js CSV_HEADER_TO_FIELD L46-57）
 // W6-012.6.1 輸出: ['書名', '書城來源', '進度', '狀態', '封面URL', 'id', 'authors', 'tagIds']
@@ -57,7 +68,12 @@ const CSV_HEADER_TO_FIELD = {
   封面URL: 'cover',
   id: 'id',
   authors: 'authors',
-  tagIds: 'tagIds'
+  tagIds: 'tagIds',
+  // 個人註記（schema 4.0.0，與 v2 CSV 匯出 COMPLETE_V2 欄名相同）
+  rating: 'rating',
+  notes: 'notes',
+  startedAt: 'startedAt',
+  finishedAt: 'finishedAt'
 }
 
 class ContentParser {
@@ -72,6 +88,7 @@ class ContentParser {
    * @param {Function} [deps.mapCanonicalToV1Book] - canonical → 內部 v2 映射，預設 src/export/book-interchange-v1-adapter
    * @param {Function} [deps.dedupBooks] - id 主鍵 + 軟連結去重，預設 src/export/v1-to-v2-converter
    * @param {number} [deps.largeDatasetThreshold=1000] - 大型資料集警告閾值
+   * @param {Function} [deps.getExistingBooks] - 取得目前書庫 books，供閱讀服務 CSV 比對既有書籍；預設回 []
    */
   constructor (deps = {}) {
     this._detectFormatVersion = typeof deps.detectFormatVersion === 'function'
@@ -95,6 +112,9 @@ class ContentParser {
     this._largeDatasetThreshold = typeof deps.largeDatasetThreshold === 'number'
       ? deps.largeDatasetThreshold
       : DEFAULT_LARGE_DATASET_THRESHOLD
+    this._getExistingBooks = typeof deps.getExistingBooks === 'function'
+      ? deps.getExistingBooks
+      : () => []
   }
 
   /**
@@ -143,7 +163,7 @@ class ContentParser {
    */
   _validateAndCleanContent (content) {
     if (!content || content.trim() === '') {
-      const error = new Error('檔案內容為空')
+      const error = new Error(MESSAGES.EMPTY_CONTENT)
       error.code = ErrorCodes.VALIDATION_ERROR
       error.details = { category: 'validation' }
       throw error
@@ -176,7 +196,7 @@ class ContentParser {
       return JSON.parse(content)
     } catch (error) {
       if (error instanceof SyntaxError) {
-        const parseError = new Error('JSON 檔案格式不正確', { cause: error })
+        const parseError = new Error(MESSAGES.INVALID_JSON, { cause: error })
         parseError.code = ErrorCodes.PARSE_ERROR
         parseError.details = { category: 'parsing' }
         throw parseError
@@ -196,22 +216,30 @@ class ContentParser {
    * - authors 陣列以 ", " 分隔；tagIds 以 "; " 分隔
    * - 欄位順序容錯：依 header 名稱對應 field（非依固定位置）
    *
+   * Goodreads / StoryGraph 匯出檔依 header 辨識，轉為三區段物件（含書架 / 評分 tag），
+   * 並以 getExistingBooks 比對既有書籍避免重複。
+   *
    * @private
-   * @returns {Array} 解析後的 book 物件陣列
+   * @returns {Array|Object} 解析後的 book 物件陣列；閱讀服務 CSV 回 { books, tagCategories, tags }
    * @throws {Error} PARSE_ERROR：內容為空 / 缺必要欄位
    */
   _parseCSVContent (content) {
     const rows = this._parseCSVRows(content)
     if (rows.length === 0) {
-      const error = new Error(MESSAGES.INVALID_CSV + '：內容為空')
+      const error = new Error(MESSAGES.CSV_EMPTY)
       error.code = ErrorCodes.PARSE_ERROR
       error.details = { category: 'parsing' }
       throw error
     }
     const headerRow = rows[0]
+    const service = detectReadingServiceCsv(headerRow)
+    if (service) {
+      const dataRows = rows.filter((row, index) => index === 0 || !this._isBlankRow(row))
+      return convertReadingServiceRows(dataRows, service, { existingBooks: this._getExistingBooks() })
+    }
     const fieldNames = headerRow.map(h => CSV_HEADER_TO_FIELD[h] || null)
     if (!fieldNames.includes('id') || !fieldNames.includes('title')) {
-      const error = new Error(MESSAGES.INVALID_CSV + '：缺少必要欄位（id 或 書名）')
+      const error = new Error(MESSAGES.CSV_MISSING_COLUMNS)
       error.code = ErrorCodes.PARSE_ERROR
       error.details = { category: 'parsing' }
       throw error
@@ -343,6 +371,7 @@ class ContentParser {
 
   /**
    * 將 CSV cell 字串依欄位反序列化為對應型別。
+   * 個人註記欄位原樣保留字串，由 _processBookData 統一整理。
    * @private
    */
   _deserializeCSVField (field, raw) {
@@ -375,13 +404,30 @@ class ContentParser {
    */
   _processBookData (data, fileFormat = 'json') {
     const extracted = this._extractBooksFromData(data, fileFormat)
-    const validBooks = this._filterValidBooks(extracted.books)
+    const validBooks = this._filterValidBooks(extracted.books).map(book => this._sanitizeBookAnnotations(book))
     this._checkLargeDataset(validBooks)
-    return {
+    const result = {
       books: validBooks,
       tagCategories: extracted.tagCategories,
       tags: extracted.tags
     }
+    if (extracted.savedViews) {
+      result.savedViews = extracted.savedViews
+    }
+    if (extracted.works) {
+      result.works = extracted.works
+    }
+    return result
+  }
+
+  /**
+   * 整理個人註記（rating / notes / startedAt / finishedAt）：空白與無效值移除，
+   * 各來源（CSV 字串、v2 JSON 原樣欄位）寫入書庫前皆符合 BookAnnotationSchema
+   * @private
+   */
+  _sanitizeBookAnnotations (book) {
+    if (!hasAnnotations(book)) return book
+    return { ...stripAnnotations(book), ...sanitizeAnnotations(book) }
   }
 
   /**
@@ -430,6 +476,14 @@ class ContentParser {
   _extractBooksFromData (data, fileFormat = 'json') {
     // 頂層分流 1：CSV — 不走版本偵測（W1-048.7 決策 C2）
     if (fileFormat === 'csv') {
+      // 閱讀服務 CSV 已由 adapter 產出三區段
+      if (data && !Array.isArray(data) && Array.isArray(data.books)) {
+        return {
+          books: data.books,
+          tagCategories: this._normalizeToArray(data.tagCategories),
+          tags: this._normalizeToArray(data.tags)
+        }
+      }
       return {
         books: Array.isArray(data) ? data : [],
         tagCategories: [],
@@ -502,7 +556,7 @@ class ContentParser {
     }
 
     // JSON path E：throw — 既有錯誤契約（零回歸）
-    const error = new Error('JSON 檔案應該包含一個陣列或包含books屬性的物件')
+    const error = new Error(MESSAGES.INVALID_JSON_SHAPE)
     error.code = ErrorCodes.VALIDATION_ERROR
     error.details = { category: 'validation' }
     throw error
@@ -515,6 +569,7 @@ class ContentParser {
    * 多值/carry/未知欄位入 _passthrough，C1 無損），轉換失敗（缺 id/title）跳過，
    * 最後以 id 主鍵 + 軟連結 dedup（spec §8 C5）。tagCategories/tags 不在 canonical
    * 來源產出（tag 樹由 tagTree 重建屬後續範圍），回空陣列維持 INV-1。
+   * root 帶 savedViews 陣列（總覽已儲存檢視）或 works 陣列（跨書城作品連結）時原樣透傳。
    *
    * @private
    * @param {Object} data - canonical root（{format, books:[], tagTree?}）
@@ -530,11 +585,18 @@ class ContentParser {
         // 跳過缺 id/title 的書籍（與 convertV1ToV2Data 一致）
       }
     }
-    return {
+    const result = {
       books: this._dedupBooks(mapped),
       tagCategories: [],
       tags: []
     }
+    if (Array.isArray(data.savedViews)) {
+      result.savedViews = data.savedViews
+    }
+    if (Array.isArray(data.works)) {
+      result.works = data.works
+    }
+    return result
   }
 
   /**
@@ -23,9 +23,12 @@
  */
 
 const { ErrorCodes } = require('src/core/errors/ErrorCodes')
+const { t, defineLocalizedText } = require('src/core/i18n/ui-i18n')
 
-const ERROR_MSG_READ_FAILED = '讀取檔案時發生錯誤'
-const ERROR_MSG_LOAD_FAILED_PREFIX = '載入檔案失敗：'
+const ERROR_MESSAGES = defineLocalizedText({
+  READ_FAILED: 'overview.importFile.readFailed',
+  LOAD_FAILED: message => t('overview.importFile.loadFailed', { message })
+})
 
 class FileContentReader {
   /**
@@ -97,7 +100,7 @@ class FileContentReader {
       const result = this._parser.parse(e.target.result, fileFormat)
       resolve(result)
     } catch (error) {
-      this._notify(`${ERROR_MSG_LOAD_FAILED_PREFIX}${error.message}`)
+      this._notify(ERROR_MESSAGES.LOAD_FAILED(error.message))
       reject(error)
     }
   }
@@ -111,8 +114,8 @@ class FileContentReader {
    * @param {Function} reject - Promise reject
    */
   _handleError (reject) {
-    this._notify(ERROR_MSG_READ_FAILED)
-    const error = new Error(ERROR_MSG_READ_FAILED)
+    this._notify(ERROR_MESSAGES.READ_FAILED)
+    const error = new Error(ERROR_MESSAGES.READ_FAILED)
     error.code = ErrorCodes.UNKNOWN_ERROR
     error.details = { category: 'general' }
     reject(error)
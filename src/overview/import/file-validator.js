@@ -18,6 +18,7 @@
  */
 
 const { ErrorCodes } = require('src/core/errors/ErrorCodes')
+const { t } = require('src/core/i18n/ui-i18n')
 
 const DEFAULT_MAX_FILE_SIZE = 10 * 1024 * 1024 // 10MB
 
@@ -46,18 +47,18 @@ class FileValidator {
    */
   validate (file) {
     if (!file) {
-      this._notify('請先選擇一個 JSON 或 CSV 檔案！')
+      this._notify(t('overview.importFile.noFile'))
       throw this._buildValidationError('檔案不存在')
     }
 
     const format = this.detectFormat(file)
     if (format === null) {
-      this._notify('請選擇 JSON 或 CSV 格式的檔案！')
+      this._notify(t('overview.importFile.invalidFormat'))
       throw this._buildValidationError('檔案格式不正確')
     }
 
     if (typeof file.size === 'number' && file.size > this._maxFileSize) {
-      this._notify('檔案過大，請選擇小於 10MB 的檔案！')
+      this._notify(t('overview.importFile.tooLarge', { size: Math.round(this._maxFileSize / (1024 * 1024)) }))
       throw this._buildValidationError('檔案大小超出限制')
     }
   }
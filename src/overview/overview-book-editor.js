@@ -0,0 +1,763 @@
+'use strict'
+
+const { READING_STATUS_VALUES } = require('src/data-management/BookSchemaV2')
+const { TAG_TREE_MAX_DEPTH } = require('src/data-management/TagSchema')
+const {
+  RATING_MIN,
+  RATING_MAX,
+  NOTES_MAX_LENGTH,
+  normalizeRating
+} = require('src/data-management/BookAnnotationSchema')
+const { sanitizeColor } = require('src/overview/tag-cell-renderer')
+const { t, translateOr, formatList, defineLocalizedText } = require('src/core/i18n/ui-i18n')
+
+/**
+ * 單本書編輯器顯示常數
+ */
+const BOOK_EDITOR_DISPLAY = defineLocalizedText({
+  STATUS: 'overview.bookEditor.status',
+  STATUS_UNSET: 'overview.bookEditor.statusUnset',
+  MANUAL: 'overview.bookEditor.manual',
+  MANUAL_HINT: 'overview.bookEditor.manualHint',
+  AUTO: 'overview.bookEditor.auto',
+  AUTO_HINT: 'overview.bookEditor.autoHint',
+  TAGS: 'overview.bookEditor.tags',
+  NO_TAGS: 'overview.bookEditor.noTags',
+  TAG_INPUT: 'overview.bookEditor.tagInput',
+  TAG_INPUT_LABEL: 'overview.bookEditor.tagInputLabel',
+  NEW_TAG_CATEGORY: 'overview.bookEditor.newTagCategory',
+  NO_CATEGORY: 'overview.bookEditor.noCategory',
+  NO_MATCH: 'overview.bookEditor.noMatch',
+  DONE: 'overview.bookEditor.done',
+  ANNOTATIONS: 'overview.bookEditor.annotations',
+  RATING: 'overview.bookEditor.rating',
+  RATING_UNSET: 'overview.bookEditor.ratingUnset',
+  STARTED_AT: 'overview.bookEditor.startedAt',
+  FINISHED_AT: 'overview.bookEditor.finishedAt',
+  NOTES: 'overview.bookEditor.notes',
+  NOTES_PLACEHOLDER: 'overview.bookEditor.notesPlaceholder',
+  UNKNOWN_TITLE: 'overview.table.unknownTitle',
+  AUTHORS: 'overview.table.columns.author',
+  PROGRESS: 'overview.table.columns.progress',
+  REMOVE_TAG: name => t('overview.bookEditor.removeTag', { name }),
+  CREATE_TAG: name => t('overview.bookEditor.createTag', { name }),
+  RATING_OPTION: count => t('overview.bookEditor.ratingOption', { count })
+}, {
+  MAX_SUGGESTIONS: 8,
+  CATEGORY_PATH_SEPARATOR: ' / '
+})
+
+/**
+ * adapter 錯誤碼 → 編輯器訊息
+ */
+const BOOK_EDITOR_ERRORS = defineLocalizedText({
+  book_not_found: 'overview.bookEditor.errors.bookNotFound',
+  tag_not_found: 'overview.bookEditor.errors.tagNotFound',
+  category_not_found: 'overview.bookEditor.errors.categoryNotFound',
+  duplicate_name_in_category: 'overview.bookEditor.errors.duplicateName',
+  invalid_status: 'overview.bookEditor.errors.invalidStatus',
+  quota_exceeded: 'overview.bookEditor.errors.quotaExceeded',
+  invalid_rating: 'overview.bookEditor.errors.invalidRating',
+  invalid_date: 'overview.bookEditor.errors.invalidDate',
+  invalid_date_order: 'overview.bookEditor.errors.invalidDateOrder',
+  notes_too_long: 'overview.bookEditor.errors.notesTooLong',
+  invalid_annotation_field: 'overview.bookEditor.errors.invalidAnnotation',
+  failed: 'overview.bookEditor.errors.failed'
+})
+
+const TAG_INPUT_SELECTOR = '.book-tag-input'
+
+/**
+ * 取得分類完整路徑（根 → 葉），以 TAG_TREE_MAX_DEPTH 防止損壞資料造成無限迴圈
+ *
+ * @param {string} categoryId
+ * @param {Map<string, Object>} categoryById
+ * @returns {string} 例如「主題 / 科幻」，分類不存在回傳空字串
+ */
+function categoryPathOf (categoryId, categoryById) {
+  const names = []
+  let current = categoryById.get(categoryId)
+  while (current && names.length < TAG_TREE_MAX_DEPTH) {
+    names.unshift(current.name)
+    current = current.parentId ? categoryById.get(current.parentId) : null
+  }
+  return names.join(BOOK_EDITOR_DISPLAY.CATEGORY_PATH_SEPARATOR)
+}
+
+/**
+ * 依輸入文字自整棵分類樹挑選標籤建議
+ *
+ * 比對標籤名稱與分類路徑（不分大小寫）；名稱開頭相符者優先，其次名稱包含，最後僅路徑相符。
+ * 已掛在書上的標籤不列入建議。
+ *
+ * @param {Array<Object>} tags
+ * @param {Array<Object>} categories
+ * @param {Object} options
+ * @param {string} options.query - 輸入文字
+ * @param {string[]} [options.excludeIds] - 書籍已有的 tagIds
+ * @param {number} [options.limit]
+ * @returns {{ suggestions: Array<{ tag: Object, path: string }>, exactMatch: boolean }}
+ *   exactMatch 表示已有同名標籤（含已掛在書上者），此時不提供「建立」選項
+ */
+function suggestTags (tags, categories, { query, excludeIds = [], limit = BOOK_EDITOR_DISPLAY.MAX_SUGGESTIONS }) {
+  const needle = (query || '').trim().toLowerCase()
+  if (!needle) return { suggestions: [], exactMatch: false }
+
+  const categoryById = new Map(categories.map(category => [category.id, category]))
+  const excluded = new Set(excludeIds)
+  let exactMatch = false
+  const ranked = []
+
+  tags.forEach(tag => {
+    const name = (tag.name || '').toLowerCase()
+    if (name === needle) exactMatch = true
+    if (excluded.has(tag.id)) return
+    const path = categoryPathOf(tag.categoryId, categoryById)
+    let rank
+    if (name.startsWith(needle)) rank = 0
+    else if (name.includes(needle)) rank = 1
+    else if (path.toLowerCase().includes(needle)) rank = 2
+    else return
+    ranked.push({ tag, path, rank })
+  })
+
+  ranked.sort((a, b) => a.rank - b.rank || a.tag.name.localeCompare(b.tag.name) || a.path.localeCompare(b.path))
+  return {
+    suggestions: ranked.slice(0, limit).map(({ tag, path }) => ({ tag, path })),
+    exactMatch
+  }
+}
+
+/**
+ * 建立 OverviewBookEditor 實例
+ *
+ * 負責功能：
+ * - 單本書的閱讀狀態選單（READING_STATUS 六種狀態）與手動 / 自動標示
+ * - 標籤挑選器：自整棵分類樹自動完成、移除已有標籤、輸入新名稱時直接建立標籤
+ * - 書籍詳情面板（表格列與封面卡片皆可開啟），面板內提供同一組編輯器與個人註記（評分、日期、筆記）
+ *
+ * 每次變更立即寫入（setBookReadingStatus / addTagToBook / removeTagFromBook / createTag / setBookAnnotations），
+ * 成功後呼叫 onApplied，由控制器重新讀取書籍並套用目前篩選。
+ * 重新渲染後 restoreFocus 讓焦點回到剛才使用的控制項（標籤輸入框、評分或日期），可連續編輯。
+ *
+ * @param {Object} deps - 依賴注入
+ * @param {Document} deps.document - DOM 文檔物件
+ * @param {Object} deps.elements - 控制器的元素快取（bookDetailDrawer 等）
+ * @param {Object} deps.tagStorageAdapter - 模組參考，需含 setBookReadingStatus / addTagToBook / removeTagFromBook / createTag / setBookAnnotations
+ * @param {Function} deps.getTags - () => Array<Tag>
+ * @param {Function} deps.getCategories - () => Array<TagCategory>
+ * @param {Function} deps.getBook - (bookId) => Object|null，目前書庫中的書籍
+ * @param {Function} deps.onApplied - ({ bookId, tagsChanged }) => void|Promise<void>
+ * @returns {Object} OverviewBookEditor
+ */
+function createOverviewBookEditor (deps) {
+  if (!deps || typeof deps !== 'object') {
+    throw new TypeError('createOverviewBookEditor requires deps object')
+  }
+  for (const key of ['document', 'elements', 'tagStorageAdapter']) {
+    if (!deps[key]) {
+      throw new TypeError(`deps.${key} is required`)
+    }
+  }
+  for (const key of ['getTags', 'getCategories', 'getBook', 'onApplied']) {
+    if (typeof deps[key] !== 'function') {
+      throw new TypeError(`deps.${key} must be a function`)
+    }
+  }
+
+  const { document: doc, elements, tagStorageAdapter } = deps
+  let drawerBookId = null
+  let focusTarget = null
+  let newTagCategoryId = null
+  let busy = false
+
+  function describeError (code) {
+    return BOOK_EDITOR_ERRORS[code] || BOOK_EDITOR_ERRORS.failed
+  }
+
+  function createElement (tagName, className, text) {
+    const element = doc.createElement(tagName)
+    if (className) element.className = className
+    if (text !== undefined) element.textContent = text
+    return element
+  }
+
+  function createOption (value, text) {
+    const option = doc.createElement('option')
+    option.value = value
+    option.textContent = text
+    return option
+  }
+
+  function categoryIndex () {
+    return new Map(deps.getCategories().map(category => [category.id, category]))
+  }
+
+  /**
+   * 依序執行寫入：同時只處理一個變更，失敗時於該編輯器顯示訊息
+   *
+   * @param {HTMLElement} editor - .book-editor 元素
+   * @param {Function} operation - async () => adapter 結果
+   * @param {Object} [options]
+   * @param {boolean} [options.tagsChanged=false] - 是否新增了標籤（控制器需重新讀取標籤）
+   * @param {string} [options.focusSelector] - 重新渲染後焦點回到編輯器內符合此選擇器的元素
+   * @returns {Promise<boolean>}
+   */
+  async function run (editor, operation, { tagsChanged = false, focusSelector = null } = {}) {
+    if (busy) return false
+    busy = true
+    let result
+    try {
+      result = await operation()
+    } catch (error) {
+      result = { success: false, error: 'failed' }
+    } finally {
+      busy = false
+    }
+
+    const message = editor.querySelector('.book-editor-message')
+    if (!result || result.success === false) {
+      if (message) message.textContent = describeError(result && result.error)
+      return false
+    }
+    if (message) message.textContent = ''
+    focusTarget = focusSelector
+      ? { bookId: editor.dataset.bookId, scope: editor.dataset.scope, selector: focusSelector }
+      : null
+    await deps.onApplied({ bookId: editor.dataset.bookId, tagsChanged })
+    refresh()
+    return true
+  }
+
+  // --- 閱讀狀態 ---
+
+  function renderStatusMode (indicator, book) {
+    const manual = Boolean(book.isManualStatus)
+    indicator.hidden = !book.readingStatus
+    indicator.dataset.manual = String(manual)
+    indicator.textContent = manual ? BOOK_EDITOR_DISPLAY.MANUAL : BOOK_EDITOR_DISPLAY.AUTO
+    indicator.title = manual ? BOOK_EDITOR_DISPLAY.MANUAL_HINT : BOOK_EDITOR_DISPLAY.AUTO_HINT
+  }
+
+  /**
+   * 建立手動 / 自動標示（表格狀態欄也使用）
+   *
+   * @param {Object} book
+   * @returns {HTMLElement} span.book-status-mode
+   */
+  function createStatusMode (book) {
+    const indicator = createElement('span', 'book-status-mode')
+    renderStatusMode(indicator, book)
+    return indicator
+  }
+
+  function createStatusControl (book) {
+    const wrapper = createElement('div', 'book-status-editor')
+    const label = createElement('label', 'book-editor-label', BOOK_EDITOR_DISPLAY.STATUS)
+    const select = createElement('select', 'book-status-select')
+    select.setAttribute('aria-label', BOOK_EDITOR_DISPLAY.STATUS)
+    if (!book.readingStatus) {
+      const unset = createOption('', BOOK_EDITOR_DISPLAY.STATUS_UNSET)
+      unset.disabled = true
+      select.appendChild(unset)
+    }
+    READING_STATUS_VALUES.forEach(status => {
+      select.appendChild(createOption(status, translateOr(`common.readingStatus.${status}`, status)))
+    })
+    select.value = book.readingStatus || ''
+    wrapper.append(label, select, createStatusMode(book))
+    return wrapper
+  }
+
+  /**
+   * 手動設定閱讀狀態（經 computeManualStatusChange 決定手動 / 自動）
+   *
+   * @param {HTMLElement} editor - .book-editor 元素
+   * @param {string} status
+   * @returns {Promise<boolean>}
+   */
+  async function setStatus (editor, status) {
+    const bookId = editor.dataset.bookId
+    const ok = await run(editor, () => tagStorageAdapter.setBookReadingStatus(bookId, status))
+    if (!ok) {
+      const select = editor.querySelector('.book-status-select')
+      const book = deps.getBook(bookId)
+      if (select) select.value = (book && book.readingStatus) || ''
+    }
+    return ok
+  }
+
+  // --- 標籤 ---
+
+  function createTagList (book) {
+    const list = createElement('ul', 'book-tag-list')
+    const tagById = new Map(deps.getTags().map(tag => [tag.id, tag]))
+    const categoryById = categoryIndex()
+    const tags = (Array.isArray(book.tagIds) ? book.tagIds : []).map(id => tagById.get(id)).filter(Boolean)
+
+    if (tags.length === 0) {
+      list.appendChild(createElement('li', 'book-tags-empty', BOOK_EDITOR_DISPLAY.NO_TAGS))
+      return list
+    }
+
+    tags.forEach(tag => {
+      const item = createElement('li', 'book-tag-item')
+      item.dataset.tagId = tag.id
+      const category = categoryById.get(tag.categoryId)
+      const color = sanitizeColor(category && category.color)
+      const chip = createElement('span', 'book-tag-chip', tag.name)
+      chip.style.backgroundColor = `${color}20`
+      chip.style.color = color
+      chip.style.border = `1px solid ${color}40`
+      chip.title = categoryPathOf(tag.categoryId, categoryById)
+      const remove = createElement('button', 'book-tag-remove', '×')
+      remove.type = 'button'
+      remove.setAttribute('aria-label', BOOK_EDITOR_DISPLAY.REMOVE_TAG(tag.name))
+      chip.appendChild(remove)
+      item.appendChild(chip)
+      list.appendChild(item)
+    })
+    return list
+  }
+
+  /**
+   * 新標籤分類選單（依分類路徑排序）；保留上次選擇的分類
+   */
+  function createCategorySelect () {
+    const select = createElement('select', 'book-tag-category')
+    select.setAttribute('aria-label', BOOK_EDITOR_DISPLAY.NEW_TAG_CATEGORY)
+    select.title = BOOK_EDITOR_DISPLAY.NEW_TAG_CATEGORY
+    const categoryById = categoryIndex()
+    const options = [...categoryById.keys()]
+      .map(id => ({ id, path: categoryPathOf(id, categoryById) }))
+      .sort((a, b) => a.path.localeCompare(b.path))
+    options.forEach(({ id, path }) => select.appendChild(createOption(id, path)))
+    select.hidden = options.length === 0
+    if (options.some(option => option.id === newTagCategoryId)) {
+      select.value = newTagCategoryId
+    }
+    return select
+  }
+
+  function createTagPicker (book, scope) {
+    const picker = createElement('div', 'book-tag-picker')
+    const listId = `book-tag-suggestions-${scope}-${book.id}`
+    const input = createElement('input', 'book-tag-input')
+    input.type = 'text'
+    input.placeholder = BOOK_EDITOR_DISPLAY.TAG_INPUT
+    input.setAttribute('aria-label', BOOK_EDITOR_DISPLAY.TAG_INPUT_LABEL)
+    input.setAttribute('role', 'combobox')
+    input.setAttribute('aria-autocomplete', 'list')
+    input.setAttribute('aria-expanded', 'false')
+    input.setAttribute('aria-controls', listId)
+    input.setAttribute('autocomplete', 'off')
+    const suggestions = createElement('ul', 'book-tag-suggestions')
+    suggestions.id = listId
+    suggestions.setAttribute('role', 'listbox')
+    suggestions.hidden = true
+    picker.append(input, suggestions, createCategorySelect())
+    return picker
+  }
+
+  function createSuggestionItem (index, text, detail) {
+    const item = createElement('li', 'book-tag-suggestion')
+    item.setAttribute('role', 'option')
+    item.dataset.index = String(index)
+    item.appendChild(createElement('span', 'book-tag-suggestion-name', text))
+    if (detail) item.appendChild(createElement('span', 'book-tag-suggestion-path', detail))
+    return item
+  }
+
+  /**
+   * 依輸入框內容重建建議清單；輸入的名稱尚無同名標籤時最後一項為「建立標籤」
+   *
+   * @param {HTMLElement} editor - .book-editor 元素
+   */
+  function updateSuggestions (editor) {
+    const input = editor.querySelector('.book-tag-input')
+    const list = editor.querySelector('.book-tag-suggestions')
+    const book = deps.getBook(editor.dataset.bookId)
+    if (!input || !list || !book) return
+
+    const name = input.value.trim()
+    const { suggestions, exactMatch } = suggestTags(deps.getTags(), deps.getCategories(), {
+      query: name,
+      excludeIds: Array.isArray(book.tagIds) ? book.tagIds : []
+    })
+    const hasCategory = deps.getCategories().length > 0
+    const options = suggestions.map(({ tag, path }) => ({ type: 'tag', tagId: tag.id, text: tag.name, detail: path }))
+    if (name && !exactMatch) {
+      options.push(hasCategory
+        ? { type: 'create', name, text: BOOK_EDITOR_DISPLAY.CREATE_TAG(name) }
+        : { type: 'none', text: BOOK_EDITOR_DISPLAY.NO_CATEGORY })
+    }
+    if (name && options.length === 0) {
+      options.push({ type: 'none', text: BOOK_EDITOR_DISPLAY.NO_MATCH })
+    }
+
+    list.replaceChildren()
+    options.forEach((option, index) => {
+      const item = createSuggestionItem(index, option.text, option.detail)
+      item.dataset.type = option.type
+      if (option.tagId) item.dataset.tagId = option.tagId
+      if (option.type === 'create') item.dataset.name = option.name
+      if (option.type === 'none') item.setAttribute('aria-disabled', 'true')
+      list.appendChild(item)
+    })
+    list.hidden = options.length === 0
+    input.setAttribute('aria-expanded', String(!list.hidden))
+    setActiveSuggestion(editor, options.some(option => option.type !== 'none') ? 0 : -1)
+  }
+
+  function selectableSuggestions (editor) {
+    return [...editor.querySelectorAll('.book-tag-suggestion')].filter(item => item.dataset.type !== 'none')
+  }
+
+  function setActiveSuggestion (editor, index) {
+    const input = editor.querySelector('.book-tag-input')
+    const items = selectableSuggestions(editor)
+    items.forEach((item, i) => {
+      item.id = `${input.getAttribute('aria-controls')}-${i}`
+      item.classList.toggle('active', i === index)
+      item.setAttribute('aria-selected', String(i === index))
+    })
+    if (index >= 0 && items[index]) input.setAttribute('aria-activedescendant', items[index].id)
+    else input.removeAttribute('aria-activedescendant')
+  }
+
+  function closeSuggestions (editor) {
+    const list = editor.querySelector('.book-tag-suggestions')
+    const input = editor.querySelector('.book-tag-input')
+    if (list) list.hidden = true
+    if (input) {
+      input.setAttribute('aria-expanded', 'false')
+      input.removeAttribute('aria-activedescendant')
+    }
+  }
+
+  /**
+   * 將標籤加入書籍
+   *
+   * @param {HTMLElement} editor - .book-editor 元素
+   * @param {string} tagId
+   * @returns {Promise<boolean>}
+   */
+  async function addTag (editor, tagId) {
+    const bookId = editor.dataset.bookId
+    return run(editor, () => tagStorageAdapter.addTagToBook(bookId, tagId), { focusSelector: TAG_INPUT_SELECTOR })
+  }
+
+  /**
+   * 於指定分類建立新標籤並加入書籍
+   *
+   * @param {HTMLElement} editor - .book-editor 元素
+   * @param {string} name
+   * @param {string} categoryId
+   * @returns {Promise<boolean>}
+   */
+  async function createAndAddTag (editor, name, categoryId) {
+    const bookId = editor.dataset.bookId
+    newTagCategoryId = categoryId
+    return run(editor, async () => {
+      const tag = await tagStorageAdapter.createTag({ name, categoryId })
+      if (!tag || tag.success === false) return tag
+      return tagStorageAdapter.addTagToBook(bookId, tag.id)
+    }, { tagsChanged: true, focusSelector: TAG_INPUT_SELECTOR })
+  }
+
+  /**
+   * 從書籍移除標籤
+   *
+   * @param {HTMLElement} editor - .book-editor 元素
+   * @param {string} tagId
+   * @returns {Promise<boolean>}
+   */
+  async function removeTag (editor, tagId) {
+    const bookId = editor.dataset.bookId
+    return run(editor, () => tagStorageAdapter.removeTagFromBook(bookId, tagId), { focusSelector: TAG_INPUT_SELECTOR })
+  }
+
+  function pickSuggestion (editor, item) {
+    if (!item || item.dataset.type === 'none') return Promise.resolve(false)
+    closeSuggestions(editor)
+    if (item.dataset.type === 'create') {
+      const select = editor.querySelector('.book-tag-category')
+      return createAndAddTag(editor, item.dataset.name, select ? select.value : '')
+    }
+    return addTag(editor, item.dataset.tagId)
+  }
+
+  // --- 個人註記 ---
+
+  function createAnnotationField (labelText, control) {
+    const field = createElement('label', 'book-annotation-field')
+    field.append(createElement('span', 'book-editor-label', labelText), control)
+    return field
+  }
+
+  function createDateInput (field, value) {
+    const input = createElement('input', 'book-date-input')
+    input.type = 'date'
+    input.dataset.annotation = field
+    input.value = value || ''
+    return input
+  }
+
+  /**
+   * 建立個人註記區塊（評分、開始 / 讀完日期、筆記），僅詳情面板使用
+   *
+   * @param {Object} book
+   * @returns {HTMLElement} div.book-annotation-editor
+   */
+  function createAnnotationSection (book) {
+    const section = createElement('div', 'book-annotation-editor')
+
+    const rating = createElement('select', 'book-rating-select')
+    rating.dataset.annotation = 'rating'
+    rating.appendChild(createOption('', BOOK_EDITOR_DISPLAY.RATING_UNSET))
+    for (let value = RATING_MIN; value <= RATING_MAX; value++) {
+      rating.appendChild(createOption(String(value), BOOK_EDITOR_DISPLAY.RATING_OPTION(value)))
+    }
+    rating.value = String(normalizeRating(book.rating) || '')
+
+    const notes = createElement('textarea', 'book-notes-input')
+    notes.dataset.annotation = 'notes'
+    notes.maxLength = NOTES_MAX_LENGTH
+    notes.rows = 4
+    notes.placeholder = BOOK_EDITOR_DISPLAY.NOTES_PLACEHOLDER
+    notes.value = typeof book.notes === 'string' ? book.notes : ''
+
+    section.append(
+      createElement('span', 'book-editor-label', BOOK_EDITOR_DISPLAY.ANNOTATIONS),
+      createAnnotationField(BOOK_EDITOR_DISPLAY.RATING, rating),
+      createAnnotationField(BOOK_EDITOR_DISPLAY.STARTED_AT, createDateInput('startedAt', book.startedAt)),
+      createAnnotationField(BOOK_EDITOR_DISPLAY.FINISHED_AT, createDateInput('finishedAt', book.finishedAt)),
+      createAnnotationField(BOOK_EDITOR_DISPLAY.NOTES, notes)
+    )
+    return section
+  }
+
+  function annotationControlValue (book, field) {
+    if (!book) return ''
+    if (field === 'rating') return String(normalizeRating(book.rating) || '')
+    return typeof book[field] === 'string' ? book[field] : ''
+  }
+
+  /**
+   * 寫入單一註記欄位；空值表示清除。失敗時控制項還原為書庫目前的值
+   *
+   * 筆記於離開欄位（change）時才寫入，寫入後不搶回焦點；評分與日期寫入後焦點回到原控制項。
+   *
+   * @param {HTMLElement} editor - .book-editor 元素
+   * @param {string} field - rating / notes / startedAt / finishedAt
+   * @param {string} value
+   * @returns {Promise<boolean>}
+   */
+  async function setAnnotation (editor, field, value) {
+    const bookId = editor.dataset.bookId
+    const selector = `[data-annotation="${field}"]`
+    const ok = await run(editor, () => tagStorageAdapter.setBookAnnotations(bookId, { [field]: value }), {
+      focusSelector: field === 'notes' ? null : selector
+    })
+    if (!ok) {
+      const control = editor.querySelector(selector)
+      if (control) control.value = annotationControlValue(deps.getBook(bookId), field)
+    }
+    return ok
+  }
+
+  // --- 編輯器 ---
+
+  /**
+   * 建立單本書編輯器（閱讀狀態 + 標籤）
+   *
+   * @param {Object} book
+   * @param {string} scope - 'row'（表格展開列）或 'drawer'（詳情面板），用於重新渲染後還原焦點
+   * @param {Object} [options]
+   * @param {Function} [options.onDone] - 提供時顯示「完成」按鈕
+   * @param {boolean} [options.annotations=false] - 是否顯示個人註記區塊
+   * @returns {HTMLElement} div.book-editor
+   */
+  function createEditor (book, scope, { onDone, annotations = false } = {}) {
+    const editor = createElement('div', 'book-editor')
+    editor.dataset.bookId = book.id
+    editor.dataset.scope = scope
+
+    const tagSection = createElement('div', 'book-tag-editor')
+    tagSection.append(
+      createElement('span', 'book-editor-label', BOOK_EDITOR_DISPLAY.TAGS),
+      createTagList(book),
+      createTagPicker(book, scope)
+    )
+    editor.append(createStatusControl(book), tagSection)
+    if (annotations) editor.appendChild(createAnnotationSection(book))
+
+    if (typeof onDone === 'function') {
+      const done = createElement('button', 'book-editor-done', BOOK_EDITOR_DISPLAY.DONE)
+      done.type = 'button'
+      done.addEventListener('click', () => onDone())
+      editor.appendChild(done)
+    }
+    const message = createElement('p', 'book-editor-message')
+    message.setAttribute('role', 'status')
+    editor.appendChild(message)
+
+    bindEditor(editor)
+    return editor
+  }
+
+  function handleInputKey (editor, event) {
+    const items = selectableSuggestions(editor)
+    const active = items.findIndex(item => item.classList.contains('active'))
+    if (event.key === 'ArrowDown' || event.key === 'ArrowUp') {
+      if (items.length === 0) return
+      event.preventDefault()
+      const step = event.key === 'ArrowDown' ? 1 : -1
+      setActiveSuggestion(editor, (active + step + items.length) % items.length)
+    } else if (event.key === 'Enter') {
+      event.preventDefault()
+      pickSuggestion(editor, items[active])
+    } else if (event.key === 'Escape') {
+      event.target.value = ''
+      closeSuggestions(editor)
+    }
+  }
+
+  function bindEditor (editor) {
+    editor.addEventListener('change', (event) => {
+      if (event.target.classList.contains('book-status-select') && event.target.value) {
+        setStatus(editor, event.target.value)
+      } else if (event.target.classList.contains('book-tag-category')) {
+        newTagCategoryId = event.target.value
+      } else if (event.target.dataset.annotation) {
+        setAnnotation(editor, event.target.dataset.annotation, event.target.value)
+      }
+    })
+    editor.addEventListener('input', (event) => {
+      if (event.target.classList.contains('book-tag-input')) updateSuggestions(editor)
+    })
+    editor.addEventListener('keydown', (event) => {
+      if (event.target.classList.contains('book-tag-input')) handleInputKey(editor, event)
+    })
+    // mousedown 先於輸入框 focusout，避免建議清單在點選前被關閉
+    editor.addEventListener('mousedown', (event) => {
+      const item = event.target.closest('.book-tag-suggestion')
+      if (!item) return
+      event.preventDefault()
+      pickSuggestion(editor, item)
+    })
+    editor.addEventListener('click', (event) => {
+      const remove = event.target.closest('.book-tag-remove')
+      if (remove) removeTag(editor, remove.closest('.book-tag-item').dataset.tagId)
+    })
+    editor.addEventListener('focusout', (event) => {
+      if (event.target.classList.contains('book-tag-input')) closeSuggestions(editor)
+    })
+  }
+
+  /**
+   * 重新渲染後讓焦點回到剛才使用的控制項（標籤輸入框、評分或日期）
+   *
+   * 只在焦點因重新渲染而遺失（回到 body）時還原；使用者已移往其他元素則放棄還原。
+   */
+  function restoreFocus () {
+    if (!focusTarget) return
+    const active = doc.activeElement
+    if (active && active !== doc.body) {
+      const current = active.closest && active.closest('.book-editor')
+      if (!current || current.dataset.bookId !== focusTarget.bookId) focusTarget = null
+      return
+    }
+    const editor = [...doc.querySelectorAll('.book-editor')]
+      .find(el => el.dataset.bookId === focusTarget.bookId && el.dataset.scope === focusTarget.scope)
+    const control = editor && editor.querySelector(focusTarget.selector)
+    if (control) control.focus()
+  }
+
+  // --- 詳情面板 ---
+
+  function renderDrawer () {
+    const drawer = elements.bookDetailDrawer
+    if (!drawer || drawerBookId === null) return
+    const book = deps.getBook(drawerBookId)
+    if (!book) {
+      close()
+      return
+    }
+
+    if (elements.bookDetailTitle) elements.bookDetailTitle.textContent = book.title || BOOK_EDITOR_DISPLAY.UNKNOWN_TITLE
+    if (elements.bookDetailMeta) {
+      const meta = elements.bookDetailMeta
+      meta.replaceChildren()
+      const authors = Array.isArray(book.authors) ? book.authors.filter(Boolean) : []
+      if (authors.length > 0) {
+        meta.append(createElement('dt', null, BOOK_EDITOR_DISPLAY.AUTHORS), createElement('dd', null, formatList(authors)))
+      }
+      meta.append(createElement('dt', null, BOOK_EDITOR_DISPLAY.PROGRESS), createElement('dd', null, book.progress ? `${book.progress}%` : '-'))
+    }
+    if (elements.bookDetailEditor) {
+      elements.bookDetailEditor.replaceChildren(createEditor(book, 'drawer', { annotations: true }))
+    }
+  }
+
+  /**
+   * 開啟書籍詳情面板
+   *
+   * @param {string} bookId
+   */
+  function open (bookId) {
+    const drawer = elements.bookDetailDrawer
+    if (!drawer || !deps.getBook(bookId)) return
+    drawerBookId = bookId
+    renderDrawer()
+    drawer.hidden = false
+    if (elements.bookDetailCloseBtn) elements.bookDetailCloseBtn.focus()
+  }
+
+  /**
+   * 關閉書籍詳情面板
+   */
+  function close () {
+    drawerBookId = null
+    if (elements.bookDetailDrawer) elements.bookDetailDrawer.hidden = true
+    if (elements.bookDetailEditor) elements.bookDetailEditor.replaceChildren()
+  }
+
+  /**
+   * 書籍或標籤更新後重新渲染詳情面板並還原焦點
+   */
+  function refresh () {
+    renderDrawer()
+    restoreFocus()
+  }
+
+  function bind () {
+    if (elements.bookDetailCloseBtn) {
+      elements.bookDetailCloseBtn.addEventListener('click', () => close())
+    }
+    if (elements.bookDetailDrawer) {
+      elements.bookDetailDrawer.addEventListener('keydown', (event) => {
+        if (event.key === 'Escape' && !event.target.classList.contains('book-tag-input')) close()
+      })
+    }
+  }
+
+  return {
+    createEditor,
+    createStatusMode,
+    setStatus,
+    addTag,
+    createAndAddTag,
+    removeTag,
+    setAnnotation,
+    updateSuggestions,
+    restoreFocus,
+    open,
+    close,
+    refresh,
+    bind,
+    getOpenBookId: () => drawerBookId
+  }
+}
+
+module.exports = { createOverviewBookEditor, suggestTags, BOOK_EDITOR_DISPLAY }
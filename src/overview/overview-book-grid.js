@@ -0,0 +1,179 @@
+'use strict'
+
+const BookGridRenderer = require('src/ui/book-grid-renderer')
+const { t, translateOr, defineLocalizedText } = require('src/core/i18n/ui-i18n')
+
+/**
+ * 封面網格顯示常數
+ * 卡片尺寸需與 overview.css 的 .book-card 版面一致（虛擬滾動以固定尺寸計算位置）
+ */
+const GRID_DISPLAY = defineLocalizedText({
+  EMPTY_MESSAGE: 'overview.messages.emptyBooks'
+}, {
+  CARD_WIDTH: 180,
+  CARD_HEIGHT: 340,
+  SELECTED_CLASS: 'card-selected'
+})
+
+/**
+ * 建立 OverviewBookGrid 實例
+ *
+ * 負責功能：
+ * - 以 BookGridRenderer（虛擬滾動）顯示封面網格
+ * - 卡片加上選取 checkbox、閱讀狀態 badge 與 tag chips，進度以進度環顯示
+ * - 卡片的詳情按鈕開啟書籍詳情面板（閱讀狀態與標籤編輯）
+ * - 選取狀態與表格共用（由控制器的 selectedBookIds 決定）
+ *
+ * BookGridRenderer 於第一次 render 時才建立：網格隱藏時無法量測容器寬度。
+ *
+ * @param {Object} deps - 依賴注入
+ * @param {Document} deps.document - DOM 文檔物件
+ * @param {HTMLElement} deps.viewport - 滾動視窗（#bookGridViewport）
+ * @param {HTMLElement} deps.container - 卡片定位層（#bookGrid）
+ * @param {Object} deps.tagCellRenderer - createTagCellRenderer 實例
+ * @param {Function} deps.isSelected - (bookId) => boolean
+ * @param {Function} deps.onToggleSelect - (bookId) => void
+ * @param {Function} [deps.onOpenDetails] - (bookId) => void，提供時卡片顯示開啟詳情面板按鈕
+ * @returns {Object} OverviewBookGrid
+ */
+function createOverviewBookGrid (deps) {
+  if (!deps || typeof deps !== 'object') {
+    throw new TypeError('createOverviewBookGrid requires deps object')
+  }
+  for (const key of ['document', 'viewport', 'container', 'tagCellRenderer']) {
+    if (!deps[key]) {
+      throw new TypeError(`deps.${key} is required`)
+    }
+  }
+  for (const key of ['isSelected', 'onToggleSelect']) {
+    if (typeof deps[key] !== 'function') {
+      throw new TypeError(`deps.${key} must be a function`)
+    }
+  }
+
+  const { document: doc, viewport, container, tagCellRenderer } = deps
+  let renderer = null
+  let emptyElement = null
+
+  function createCheckbox (bookId) {
+    const checkbox = doc.createElement('input')
+    checkbox.type = 'checkbox'
+    checkbox.className = 'card-checkbox'
+    checkbox.setAttribute('data-book-id', bookId)
+    checkbox.setAttribute('aria-label', t('overview.table.selectBook'))
+    checkbox.checked = deps.isSelected(bookId)
+    checkbox.addEventListener('click', (e) => {
+      e.stopPropagation()
+      deps.onToggleSelect(bookId)
+    })
+    return checkbox
+  }
+
+  function createDetailButton (bookId) {
+    const button = doc.createElement('button')
+    button.className = 'book-detail-btn'
+    button.setAttribute('aria-label', t('overview.bookEditor.openDetails'))
+    button.title = t('overview.bookEditor.openDetails')
+    button.addEventListener('click', (e) => {
+      e.stopPropagation()
+      deps.onOpenDetails(bookId)
+    })
+    return button
+  }
+
+  function createTags (tagIds) {
+    const tags = doc.createElement('div')
+    tags.className = 'book-card-tags'
+    const tagCell = tagCellRenderer.createTagCell(tagIds || [])
+    while (tagCell.firstChild) {
+      tags.appendChild(tagCell.firstChild)
+    }
+    return tags
+  }
+
+  /**
+   * BookGridRenderer 的 decorateCard：補上 overview 專屬的卡片內容
+   */
+  function decorateCard (card, book) {
+    card.insertBefore(createCheckbox(book.id), card.firstChild)
+    if (deps.isSelected(book.id)) {
+      card.classList.add(GRID_DISPLAY.SELECTED_CLASS)
+    }
+
+    if (book.readingStatus) {
+      const badge = doc.createElement('span')
+      badge.className = 'reading-status-badge'
+      badge.setAttribute('data-status', book.readingStatus)
+      badge.textContent = translateOr(`common.readingStatus.${book.readingStatus}`, book.readingStatus)
+      card.appendChild(badge)
+    }
+
+    card.appendChild(createTags(book.tagIds))
+    if (typeof deps.onOpenDetails === 'function') {
+      card.appendChild(createDetailButton(book.id))
+    }
+  }
+
+  function ensureRenderer () {
+    if (!renderer) {
+      renderer = new BookGridRenderer(container, null, {
+        scrollContainer: viewport,
+        decorateCard,
+        progressStyle: 'ring',
+        cardWidth: GRID_DISPLAY.CARD_WIDTH,
+        cardHeight: GRID_DISPLAY.CARD_HEIGHT
+      }, doc)
+    }
+    return renderer
+  }
+
+  function setEmpty (isEmpty) {
+    if (!emptyElement) {
+      emptyElement = doc.createElement('p')
+      emptyElement.className = 'book-grid-empty'
+      emptyElement.textContent = GRID_DISPLAY.EMPTY_MESSAGE
+      viewport.insertBefore(emptyElement, viewport.firstChild)
+    }
+    emptyElement.hidden = !isEmpty
+  }
+
+  /**
+   * 以書籍清單重新渲染網格
+   *
+   * @param {Array} books - 已篩選排序的書籍
+   * @param {Object} [options]
+   * @param {boolean} [options.preserveScrollPosition] - 僅選取變動時保留捲動位置
+   */
+  function render (books, options = {}) {
+    const list = Array.isArray(books) ? books : []
+    setEmpty(list.length === 0)
+    ensureRenderer().updateBooks(list, options)
+  }
+
+  /**
+   * 更新單張卡片的選取視覺（不重新渲染整個網格）
+   *
+   * @param {string} bookId
+   * @param {boolean} selected
+   */
+  function setSelected (bookId, selected) {
+    const checkbox = [...container.querySelectorAll('input.card-checkbox')]
+      .find(input => input.getAttribute('data-book-id') === bookId)
+    if (!checkbox) return
+    checkbox.checked = selected
+    checkbox.closest('.book-card').classList.toggle(GRID_DISPLAY.SELECTED_CLASS, selected)
+  }
+
+  /**
+   * 網格由隱藏轉為顯示後重新量測寬度與可見範圍
+   */
+  function refreshLayout () {
+    if (!renderer) return
+    renderer.updateLayout()
+    renderer.renderVisibleBooks()
+  }
+
+  return { render, setSelected, refreshLayout }
+}
+
+module.exports = { createOverviewBookGrid, GRID_DISPLAY }
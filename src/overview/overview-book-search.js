@@ -0,0 +1,223 @@
+'use strict'
+
+const SearchIndexManager = require('src/ui/search/core/search-index-manager')
+const SearchEngine = require('src/ui/search/core/search-engine')
+const SearchResultFormatter = require('src/ui/search/formatter/search-result-formatter')
+const { Logger } = require('src/core/logging/Logger')
+
+/**
+ * Overview 搜尋配置常數
+ *
+ * FIELD_WEIGHTS 總和為 1，單欄位完全匹配（含 0.2 加成）不會觸及 SearchEngine 的 1.0 上限，
+ * 保留書名完全匹配 > 書名部分匹配 > 作者匹配的排序鑑別度。
+ * FUZZY_THRESHOLD 0.6：三字詞容忍一個錯字，二字詞不做模糊匹配（避免「大腦」命中「大海」）。
+ */
+const BOOK_SEARCH_CONFIG = Object.freeze({
+  FIELD_WEIGHTS: Object.freeze({
+    title: 0.4,
+    author: 0.25,
+    tags: 0.15,
+    publisher: 0.1,
+    categoryPaths: 0.1
+  }),
+  FUZZY_THRESHOLD: 0.6,
+  CATEGORY_PATH_SEPARATOR: ' / ',
+  // 分類樹深度防護（資料損壞形成循環時中止）
+  MAX_CATEGORY_DEPTH: 10
+})
+
+/**
+ * 搜尋模組內部事件不外送至頁面事件總線（索引每本書都會發事件，對頁面無意義）
+ */
+const SILENT_EVENT_BUS = Object.freeze({ emit () {} })
+
+/**
+ * 建立 Overview 書籍搜尋
+ *
+ * 負責功能：
+ * - 將書籍投影為搜尋文件（書名、作者、出版社、標籤名稱、分類路徑）
+ * - 以 SearchIndexManager 保存文件，書籍變動時只增量更新變動的書
+ * - 以 SearchEngine 計算相關度並排序（含逐詞錯字容忍）
+ * - 以 SearchResultFormatter 產生書名 / 作者的匹配片段
+ *
+ * 設計考量：
+ * - 同步 API：controller 的篩選管線（applyCurrentFilter）為同步流程
+ * - 增量比對以投影後的文件簽章為準：事件帶來的書籍多為新物件，參考比對會整批重建；
+ *   tag 改名同樣反映在簽章上，只重建受影響的書
+ *
+ * @param {Object} deps - 依賴注入
+ * @param {Function} deps.getTagById - (tagId) => Tag | undefined
+ * @param {Function} deps.getCategoryById - (categoryId) => TagCategory | undefined
+ * @param {Object} [deps.logger] - 日誌記錄器，預設建立 Logger('OverviewBookSearch')
+ * @returns {Object} OverviewBookSearch
+ */
+function createOverviewBookSearch (deps) {
+  if (!deps || typeof deps !== 'object') {
+    throw new TypeError('createOverviewBookSearch requires deps object')
+  }
+  if (typeof deps.getTagById !== 'function') {
+    throw new TypeError('deps.getTagById must be a function')
+  }
+  if (typeof deps.getCategoryById !== 'function') {
+    throw new TypeError('deps.getCategoryById must be a function')
+  }
+
+  const { getTagById, getCategoryById } = deps
+  const logger = deps.logger || new Logger('OverviewBookSearch', 'WARN')
+
+  const indexManager = new SearchIndexManager({ eventBus: SILENT_EVENT_BUS, logger })
+  const engine = new SearchEngine({
+    indexManager,
+    eventBus: SILENT_EVENT_BUS,
+    logger,
+    config: {
+      fuzzyThreshold: BOOK_SEARCH_CONFIG.FUZZY_THRESHOLD,
+      enableTokenFuzzySearch: true,
+      maxResults: Infinity
+    }
+  })
+  const formatter = new SearchResultFormatter({ eventBus: SILENT_EVENT_BUS, logger })
+
+  // bookId → 文件簽章，用於增量比對
+  const signatures = new Map()
+  let built = false
+
+  /**
+   * 取得分類完整路徑（根 → 葉）
+   * @param {string} categoryId
+   * @returns {string} 例如「主題 / 科幻」，分類不存在回傳空字串
+   */
+  function resolveCategoryPath (categoryId) {
+    const names = []
+    let current = getCategoryById(categoryId)
+    while (current && names.length < BOOK_SEARCH_CONFIG.MAX_CATEGORY_DEPTH) {
+      names.unshift(current.name)
+      current = current.parentId ? getCategoryById(current.parentId) : null
+    }
+    return names.join(BOOK_SEARCH_CONFIG.CATEGORY_PATH_SEPARATOR)
+  }
+
+  /**
+   * 將書籍投影為搜尋文件
+   * @param {Object} book
+   * @returns {Object} { id, title, author, publisher, tags, categoryPaths, book }
+   */
+  function toSearchDocument (book) {
+    const authors = Array.isArray(book.authors) ? book.authors.filter(a => typeof a === 'string') : []
+    const tags = []
+    const categoryPaths = []
+    for (const tagId of Array.isArray(book.tagIds) ? book.tagIds : []) {
+      const tag = getTagById(tagId)
+      if (!tag || typeof tag.name !== 'string') continue
+      tags.push(tag.name)
+      const path = resolveCategoryPath(tag.categoryId)
+      if (path && !categoryPaths.includes(path)) categoryPaths.push(path)
+    }
+
+    return {
+      id: book.id,
+      title: typeof book.title === 'string' ? book.title : '',
+      author: authors.length > 0 ? authors.join(' ') : (typeof book.author === 'string' ? book.author : ''),
+      publisher: typeof book.publisher === 'string' ? book.publisher : '',
+      tags,
+      categoryPaths,
+      book
+    }
+  }
+
+  function signatureOf (doc) {
+    return JSON.stringify([doc.title, doc.author, doc.publisher, doc.tags, doc.categoryPaths])
+  }
+
+  function hasId (book) {
+    return Boolean(book) && book.id !== undefined && book.id !== null && book.id !== ''
+  }
+
+  /**
+   * 同步索引與目前書籍清單
+   *
+   * 首次呼叫整批建立索引；之後只對新增、移除、文件內容變動的書做增量更新。
+   *
+   * @param {Array<Object>} books - 目前全部書籍
+   * @returns {{ added: number, updated: number, removed: number }} 本次增量變動數
+   */
+  function syncBooks (books) {
+    const list = Array.isArray(books) ? books.filter(hasId) : []
+
+    if (!built) {
+      const docs = list.map(toSearchDocument)
+      indexManager.buildIndex(docs)
+      docs.forEach(doc => signatures.set(doc.id, signatureOf(doc)))
+      built = true
+      return { added: docs.length, updated: 0, removed: 0 }
+    }
+
+    const changes = { added: 0, updated: 0, removed: 0 }
+    const seen = new Set()
+
+    for (const book of list) {
+      seen.add(book.id)
+      const doc = toSearchDocument(book)
+      const signature = signatureOf(doc)
+      const previous = indexManager.getIndexedBook(book.id)
+
+      if (!previous) {
+        indexManager.addBookToIndex(doc)
+        changes.added++
+      } else if (signatures.get(book.id) !== signature) {
+        indexManager.updateBookInIndex(previous, doc)
+        changes.updated++
+      } else {
+        // 內容未變，只更新文件指向的書籍物件（顯示用欄位如進度可能已變）
+        previous.book = book
+        continue
+      }
+      signatures.set(book.id, signature)
+    }
+
+    for (const bookId of indexManager.getIndexedBookIds()) {
+      if (seen.has(bookId)) continue
+      indexManager.removeBookFromIndex(indexManager.getIndexedBook(bookId))
+      signatures.delete(bookId)
+      changes.removed++
+    }
+
+    return changes
+  }
+
+  /**
+   * 依相關度搜尋
+   *
+   * @param {string} query - 搜尋字串
+   * @param {Array<Object>} books - 候選書籍（已套用其他篩選條件）
+   * @returns {Array<{ book: Object, score: number }>} 依相關度降序
+   */
+  function search (query, books) {
+    const docs = (Array.isArray(books) ? books : []).map(book => {
+      const indexed = hasId(book) ? indexManager.getIndexedBook(book.id) : null
+      return indexed && indexed.book === book ? indexed : toSearchDocument(book)
+    })
+    return engine.scoreBooks(query, docs, BOOK_SEARCH_CONFIG.FIELD_WEIGHTS)
+      .map(({ book: doc, score }) => ({ book: doc.book, score }))
+  }
+
+  /**
+   * 標示文字中與查詢相符的片段（委派 SearchResultFormatter）
+   *
+   * @param {string} text
+   * @param {string} query
+   * @returns {Array<{ text: string, matched: boolean }>}
+   */
+  function highlight (text, query) {
+    return formatter.highlightMatches(text, query)
+  }
+
+  return {
+    syncBooks,
+    search,
+    highlight,
+    getIndexStats: () => indexManager.getIndexStats()
+  }
+}
+
+module.exports = { createOverviewBookSearch, BOOK_SEARCH_CONFIG }
@@ -0,0 +1,235 @@
+'use strict'
+
+const { READING_STATUS_VALUES } = require('src/data-management/BookSchemaV2')
+const { t, translateOr, defineLocalizedText } = require('src/core/i18n/ui-i18n')
+
+/**
+ * 批次編輯列顯示常數
+ */
+const BULK_ACTION_LABELS = defineLocalizedText({
+  STATUS_PLACEHOLDER: 'overview.bulk.statusPlaceholder',
+  TAG_PLACEHOLDER: 'overview.bulk.tagPlaceholder',
+  UNCATEGORIZED: 'overview.tags.empty',
+  SELECTION: count => t('overview.bulk.selection', { count }),
+  CONFIRM_DELETE: count => t('overview.bulk.confirmDelete', { count }),
+  UNDO: count => t('overview.bulk.undo', { count }),
+  UNDONE: count => t('overview.bulk.undone', { count }),
+  UNDONE_SKIPPED: (count, skipped) => t('overview.bulk.undoneSkipped', { count, skipped })
+})
+
+/**
+ * 批次操作 → TagStorageAdapter 方法與完成訊息（done 接受影響的書籍數）
+ */
+const BULK_ACTIONS = Object.freeze({
+  setStatus: { method: 'bulkSetReadingStatus', args: status => [status], done: count => t('overview.bulk.done.setStatus', { count }) },
+  addTag: { method: 'bulkAddTags', args: tagId => [[tagId]], done: count => t('overview.bulk.done.addTag', { count }) },
+  removeTag: { method: 'bulkRemoveTags', args: tagId => [[tagId]], done: count => t('overview.bulk.done.removeTag', { count }) },
+  moveTag: { method: 'bulkMoveToCategory', args: tagId => [tagId], done: count => t('overview.bulk.done.moveTag', { count }) },
+  delete: { method: 'bulkDeleteBooks', args: () => [], done: count => t('overview.bulk.done.delete', { count }) }
+})
+
+const BULK_ERROR_MESSAGES = defineLocalizedText({
+  invalid_status: 'overview.bulk.errors.invalidStatus',
+  tag_not_found: 'overview.bulk.errors.tagNotFound',
+  nothing_to_undo: 'overview.bulk.errors.nothingToUndo',
+  undo_conflict: 'overview.bulk.errors.undoConflict',
+  rollback: 'overview.bulk.errors.rollback'
+})
+
+/**
+ * 建立 OverviewBulkActions 實例
+ *
+ * 負責功能：
+ * - 選取書籍時顯示批次編輯列（閱讀狀態、加入 / 移除標籤、移至分類、刪除）
+ * - 呼叫 TagStorageAdapter 的批次方法（每次操作為單一原子交易）
+ * - 提供最近一次批次編輯的復原
+ *
+ * 無選取書籍時隱藏編輯列；仍有可復原的操作時只保留復原按鈕。
+ *
+ * @param {Object} deps - 依賴注入
+ * @param {Document} deps.document - DOM 文檔物件
+ * @param {Object} deps.elements - 控制器的元素快取（bulkActionBar 等）
+ * @param {Object} deps.tagStorageAdapter - 模組參考，需含 bulk* 方法、getLastBulkOperation / loadLastBulkOperation 與 undoLastBulkOperation
+ * @param {Function} deps.getSelectedBookIds - () => string[]
+ * @param {Function} deps.getTags - () => Array<Tag>
+ * @param {Function} deps.getCategories - () => Array<TagCategory>
+ * @param {Function} deps.onApplied - (action, result) => void，寫入成功後由控制器重新載入書籍
+ * @param {Function} [deps.confirm] - (message) => boolean|Promise<boolean>，刪除前確認
+ * @returns {Object} OverviewBulkActions
+ */
+function createOverviewBulkActions (deps) {
+  if (!deps || typeof deps !== 'object') {
+    throw new TypeError('createOverviewBulkActions requires deps object')
+  }
+  for (const key of ['document', 'elements', 'tagStorageAdapter']) {
+    if (!deps[key]) {
+      throw new TypeError(`deps.${key} is required`)
+    }
+  }
+  for (const key of ['getSelectedBookIds', 'getTags', 'getCategories', 'onApplied']) {
+    if (typeof deps[key] !== 'function') {
+      throw new TypeError(`deps.${key} must be a function`)
+    }
+  }
+
+  const { document: doc, elements, tagStorageAdapter } = deps
+  const confirm = deps.confirm || (() => true)
+  let busy = false
+
+  function createOption (value, text) {
+    const option = doc.createElement('option')
+    option.value = value
+    option.textContent = text
+    return option
+  }
+
+  function renderStatusOptions () {
+    const select = elements.bulkStatusSelect
+    if (!select || select.options.length > 1) return
+    select.replaceChildren(createOption('', BULK_ACTION_LABELS.STATUS_PLACEHOLDER))
+    READING_STATUS_VALUES.forEach(status => {
+      select.appendChild(createOption(status, translateOr(`common.readingStatus.${status}`, status)))
+    })
+  }
+
+  /**
+   * 標籤選單依分類分組（optgroup），保留目前選取值
+   */
+  function renderTagOptions () {
+    const select = elements.bulkTagSelect
+    if (!select) return
+    const selected = select.value
+    const categoryNames = new Map(deps.getCategories().map(category => [category.id, category.name]))
+    const groups = new Map()
+    deps.getTags().forEach(tag => {
+      const name = categoryNames.get(tag.categoryId) || BULK_ACTION_LABELS.UNCATEGORIZED
+      if (!groups.has(name)) groups.set(name, [])
+      groups.get(name).push(tag)
+    })
+
+    select.replaceChildren(createOption('', BULK_ACTION_LABELS.TAG_PLACEHOLDER))
+    ;[...groups.keys()].sort((a, b) => a.localeCompare(b)).forEach(name => {
+      const group = doc.createElement('optgroup')
+      group.label = name
+      groups.get(name)
+        .sort((a, b) => a.name.localeCompare(b.name))
+        .forEach(tag => group.appendChild(createOption(tag.id, tag.name)))
+      select.appendChild(group)
+    })
+    select.value = [...select.options].some(option => option.value === selected) ? selected : ''
+  }
+
+  function setMessage (text) {
+    if (elements.bulkActionMessage) elements.bulkActionMessage.textContent = text
+  }
+
+  /**
+   * 依選取數量與復原紀錄同步編輯列顯示
+   */
+  function render () {
+    const bar = elements.bulkActionBar
+    if (!bar) return
+    const count = deps.getSelectedBookIds().length
+    const last = tagStorageAdapter.getLastBulkOperation()
+
+    bar.hidden = count === 0 && !last
+    if (elements.bulkActionControls) elements.bulkActionControls.hidden = count === 0
+    if (elements.bulkSelectionCount) elements.bulkSelectionCount.textContent = BULK_ACTION_LABELS.SELECTION(count)
+    if (elements.bulkUndoBtn) {
+      elements.bulkUndoBtn.hidden = !last
+      elements.bulkUndoBtn.textContent = last ? BULK_ACTION_LABELS.UNDO(last.count) : ''
+    }
+    renderStatusOptions()
+    renderTagOptions()
+  }
+
+  async function applyResult (action, result, doneMessage) {
+    if (!result || result.success !== true) {
+      setMessage(BULK_ERROR_MESSAGES[result && result.error] || BULK_ERROR_MESSAGES.rollback)
+      render()
+      return result
+    }
+    setMessage(doneMessage)
+    await deps.onApplied(action, result)
+    render()
+    return result
+  }
+
+  /**
+   * 對目前選取的書籍執行批次操作
+   *
+   * @param {string} action - BULK_ACTIONS 的 key
+   * @param {string} [value] - 閱讀狀態或 tag id
+   * @returns {Promise<Object|null>} adapter 回傳值；未選取、缺值、取消或執行中時為 null
+   */
+  async function execute (action, value) {
+    const spec = BULK_ACTIONS[action]
+    const bookIds = deps.getSelectedBookIds()
+    if (!spec || busy || bookIds.length === 0) return null
+    if (action !== 'delete' && !value) return null
+    if (action === 'delete' && !(await confirm(BULK_ACTION_LABELS.CONFIRM_DELETE(bookIds.length)))) return null
+
+    busy = true
+    try {
+      const result = await tagStorageAdapter[spec.method](bookIds, ...spec.args(value))
+      const done = result && result.success ? spec.done(result.affected) : ''
+      return await applyResult(action, result, done)
+    } finally {
+      busy = false
+    }
+  }
+
+  /**
+   * 復原最近一次批次編輯
+   *
+   * @returns {Promise<Object|null>} adapter 回傳值；執行中時為 null
+   */
+  async function undo () {
+    if (busy) return null
+    busy = true
+    try {
+      const result = await tagStorageAdapter.undoLastBulkOperation()
+      let done = ''
+      if (result && result.success) {
+        done = result.skipped > 0
+          ? BULK_ACTION_LABELS.UNDONE_SKIPPED(result.restored, result.skipped)
+          : BULK_ACTION_LABELS.UNDONE(result.restored)
+      }
+      return await applyResult('undo', result, done)
+    } finally {
+      busy = false
+    }
+  }
+
+  /**
+   * 取回頁面重新載入前的復原紀錄（同一瀏覽器工作階段內）並更新編輯列
+   *
+   * @returns {Promise<void>}
+   */
+  async function load () {
+    await tagStorageAdapter.loadLastBulkOperation()
+    render()
+  }
+
+  /**
+   * 綁定編輯列按鈕事件
+   */
+  function bind () {
+    const selectValue = key => (elements[key] ? elements[key].value : '')
+    const handlers = {
+      bulkStatusBtn: () => execute('setStatus', selectValue('bulkStatusSelect')),
+      bulkAddTagBtn: () => execute('addTag', selectValue('bulkTagSelect')),
+      bulkRemoveTagBtn: () => execute('removeTag', selectValue('bulkTagSelect')),
+      bulkMoveTagBtn: () => execute('moveTag', selectValue('bulkTagSelect')),
+      bulkDeleteBtn: () => execute('delete'),
+      bulkUndoBtn: () => undo()
+    }
+    Object.entries(handlers).forEach(([key, handler]) => {
+      if (elements[key]) elements[key].addEventListener('click', handler)
+    })
+  }
+
+  return { render, load, execute, undo, bind }
+}
+
+module.exports = { createOverviewBulkActions, BULK_ACTION_LABELS }
@@ -0,0 +1,398 @@
+'use strict'
+
+const { collectClassificationCategoryIds } = require('src/data-management/ClassificationSuggester')
+const { t, formatList, defineLocalizedText } = require('src/core/i18n/ui-i18n')
+
+/**
+ * 分類建議審核面板顯示常數
+ */
+const CLASSIFICATION_REVIEW_DISPLAY = defineLocalizedText({
+  SHOW: 'overview.classificationReview.show',
+  HIDE: 'overview.classificationReview.hide',
+  EMPTY: 'overview.classificationReview.empty',
+  CATEGORY: 'overview.classificationReview.category',
+  ACCEPT: 'overview.classificationReview.accept',
+  DISMISS: 'overview.classificationReview.dismiss',
+  CONFIDENCE: percent => t('overview.classificationReview.confidence', { percent }),
+  REASONS: reasons => t('overview.classificationReview.reasons', { reasons }),
+  SELECTED: count => t('overview.classificationReview.selected', { count }),
+  MORE: count => t('overview.classificationReview.more', { count }),
+  ACCEPTED: (count, created) => created > 0
+    ? t('overview.classificationReview.acceptedWithTags', { count, created })
+    : t('overview.classificationReview.accepted', { count }),
+  DISMISSED: count => t('overview.classificationReview.dismissed', { count })
+})
+
+/**
+ * adapter 錯誤碼 → 訊息
+ */
+const CLASSIFICATION_REVIEW_ERRORS = defineLocalizedText({
+  category_not_found: 'overview.classificationReview.errors.categoryNotFound',
+  quota_exceeded: 'overview.classificationReview.errors.quotaExceeded',
+  failed: 'overview.classificationReview.errors.failed'
+})
+
+/** 一次列出的建議上限（其餘處理完後重新讀取即會列出） */
+const ROW_LIMIT = 100
+
+/**
+ * 建立 OverviewClassificationReview 實例
+ *
+ * 負責功能：
+ * - 列出尚未歸類書籍的分類建議（書名、建議類別、信心度與依據）
+ * - 逐本改選類別後接受、或拒絕（之後不再建議）
+ * - 勾選多本後批次接受 / 拒絕
+ *
+ * 接受經 acceptClassificationSuggestions 加上分類 tag（可由選取列復原）並記入本機學習資料。
+ *
+ * @param {Object} deps - 依賴注入
+ * @param {Document} deps.document - DOM 文檔物件
+ * @param {Object} deps.elements - 控制器的元素快取（classificationReviewPanel、classificationList 等）
+ * @param {Object} deps.tagStorageAdapter - 模組參考，需含 getClassificationSuggestions /
+ *   acceptClassificationSuggestions / dismissClassificationSuggestions
+ * @param {Function} deps.getCategories - () => Array<TagCategory>
+ * @param {Function} deps.getBooks - () => Array，目前書庫（顯示書名）
+ * @param {Function} deps.onApplied - ({ booksChanged }) => void|Promise<void>
+ * @returns {Object} OverviewClassificationReview
+ */
+function createOverviewClassificationReview (deps) {
+  if (!deps || typeof deps !== 'object') {
+    throw new TypeError('createOverviewClassificationReview requires deps object')
+  }
+  for (const key of ['document', 'elements', 'tagStorageAdapter']) {
+    if (!deps[key]) {
+      throw new TypeError(`deps.${key} is required`)
+    }
+  }
+  for (const key of ['getCategories', 'getBooks', 'onApplied']) {
+    if (typeof deps[key] !== 'function') {
+      throw new TypeError(`deps.${key} must be a function`)
+    }
+  }
+
+  const { document: doc, elements, tagStorageAdapter } = deps
+  let suggestions = []
+  const choices = new Map()
+  const selected = new Set()
+  let busy = false
+
+  function isHidden () {
+    return Boolean(elements.classificationReviewPanel && elements.classificationReviewPanel.hidden)
+  }
+
+  function describeError (code) {
+    return CLASSIFICATION_REVIEW_ERRORS[code] || CLASSIFICATION_REVIEW_ERRORS.failed
+  }
+
+  function visibleSuggestions () {
+    return suggestions.slice(0, ROW_LIMIT)
+  }
+
+  function choiceOf (bookId) {
+    if (choices.has(bookId)) return choices.get(bookId)
+    const suggestion = suggestions.find(s => s.bookId === bookId)
+    return suggestion ? suggestion.categoryId : null
+  }
+
+  // --- 渲染 ---
+
+  function createButton (className, text) {
+    const button = doc.createElement('button')
+    button.type = 'button'
+    button.className = className
+    button.textContent = text
+    return button
+  }
+
+  /**
+   * 分類法樹中的 category（主類、次類與使用者自建子類），依名稱排序
+   */
+  function listCategoryOptions () {
+    const categories = deps.getCategories().filter(c => c && c.id)
+    const classificationIds = collectClassificationCategoryIds(categories)
+    return categories
+      .filter(c => classificationIds.has(c.id))
+      .sort((a, b) => a.name.localeCompare(b.name))
+  }
+
+  function createRow (suggestion, options, titleById) {
+    const item = doc.createElement('li')
+    item.className = 'classification-suggestion'
+    item.setAttribute('data-book-id', suggestion.bookId)
+    const checkbox = doc.createElement('input')
+    checkbox.type = 'checkbox'
+    checkbox.className = 'classification-select'
+    checkbox.checked = selected.has(suggestion.bookId)
+    const title = doc.createElement('span')
+    title.className = 'classification-title'
+    title.textContent = titleById.get(suggestion.bookId) || suggestion.bookId
+    checkbox.setAttribute('aria-label', title.textContent)
+    const select = doc.createElement('select')
+    select.className = 'classification-category'
+    select.setAttribute('aria-label', CLASSIFICATION_REVIEW_DISPLAY.CATEGORY)
+    options.forEach(category => {
+      const option = doc.createElement('option')
+      option.value = category.id
+      option.textContent = category.name
+      select.appendChild(option)
+    })
+    select.value = choiceOf(suggestion.bookId)
+    const confidence = doc.createElement('span')
+    confidence.className = 'classification-confidence'
+    confidence.textContent = CLASSIFICATION_REVIEW_DISPLAY.CONFIDENCE(Math.round(suggestion.confidence * 100))
+    const reasons = doc.createElement('span')
+    reasons.className = 'classification-reasons'
+    reasons.textContent = CLASSIFICATION_REVIEW_DISPLAY.REASONS(formatList(suggestion.reasons))
+    item.append(
+      checkbox,
+      title,
+      select,
+      confidence,
+      reasons,
+      createButton('classification-accept', CLASSIFICATION_REVIEW_DISPLAY.ACCEPT),
+      createButton('classification-dismiss', CLASSIFICATION_REVIEW_DISPLAY.DISMISS)
+    )
+    return item
+  }
+
+  function renderList () {
+    const list = elements.classificationList
+    if (!list) return
+    const options = listCategoryOptions()
+    const titleById = new Map(deps.getBooks().filter(book => book && book.id).map(book => [book.id, book.title || book.id]))
+    const items = visibleSuggestions().map(suggestion => createRow(suggestion, options, titleById))
+    if (suggestions.length > ROW_LIMIT) {
+      const more = doc.createElement('li')
+      more.className = 'classification-more'
+      more.textContent = CLASSIFICATION_REVIEW_DISPLAY.MORE(suggestions.length - ROW_LIMIT)
+      items.push(more)
+    }
+    if (suggestions.length === 0) {
+      const empty = doc.createElement('li')
+      empty.className = 'classification-empty'
+      empty.textContent = CLASSIFICATION_REVIEW_DISPLAY.EMPTY
+      items.push(empty)
+    }
+    list.replaceChildren(...items)
+  }
+
+  function renderSelection () {
+    const count = selected.size
+    if (elements.classificationSelectionCount) {
+      elements.classificationSelectionCount.textContent = CLASSIFICATION_REVIEW_DISPLAY.SELECTED(count)
+    }
+    if (elements.classificationAcceptBtn) elements.classificationAcceptBtn.disabled = count === 0
+    if (elements.classificationDismissBtn) elements.classificationDismissBtn.disabled = count === 0
+    if (elements.classificationSelectAll) {
+      const visible = visibleSuggestions()
+      elements.classificationSelectAll.checked = visible.length > 0 && visible.every(s => selected.has(s.bookId))
+      elements.classificationSelectAll.indeterminate = count > 0 && !elements.classificationSelectAll.checked
+    }
+  }
+
+  /**
+   * 重新渲染建議列表與批次操作狀態（面板隱藏時略過）
+   */
+  function render () {
+    if (isHidden()) return
+    renderList()
+    renderSelection()
+  }
+
+  // --- 操作 ---
+
+  function setMessage (text) {
+    if (elements.classificationMessage) elements.classificationMessage.textContent = text
+  }
+
+  /**
+   * 重新計算建議並渲染；已不在建議中的書移出選取與改選紀錄
+   *
+   * @returns {Promise<void>}
+   */
+  async function load () {
+    try {
+      suggestions = await tagStorageAdapter.getClassificationSuggestions()
+    } catch (error) {
+      suggestions = []
+      setMessage(describeError('failed'))
+    }
+    const remaining = new Set(suggestions.map(s => s.bookId))
+    ;[...selected].forEach(id => { if (!remaining.has(id)) selected.delete(id) })
+    ;[...choices.keys()].forEach(id => { if (!remaining.has(id)) choices.delete(id) })
+    render()
+  }
+
+  /**
+   * 執行 adapter 寫入並處理結果；同一時間只執行一個操作
+   *
+   * @param {Function} operation - () => Promise<Object>，adapter 回傳值
+   * @param {Object} options
+   * @param {boolean} [options.booksChanged=false] - 是否改動書籍的標籤
+   * @param {Function} options.done - (result) => string，成功訊息
+   * @returns {Promise<boolean>} 是否成功
+   */
+  async function run (operation, { booksChanged = false, done }) {
+    if (busy) return false
+    busy = true
+    let result
+    try {
+      result = await operation()
+    } catch (error) {
+      result = { success: false, error: 'failed' }
+    } finally {
+      busy = false
+    }
+    if (!result || result.success === false) {
+      setMessage(describeError(result && result.error))
+      return false
+    }
+    setMessage(done(result))
+    if (booksChanged) await deps.onApplied({ booksChanged })
+    await load()
+    return true
+  }
+
+  /**
+   * 改選某本書要接受的類別（只記在面板中，接受時才寫入）
+   *
+   * @param {string} bookId
+   * @param {string} categoryId
+   */
+  function setChoice (bookId, categoryId) {
+    choices.set(bookId, categoryId)
+  }
+
+  function setSelected (bookId, checked) {
+    if (checked) selected.add(bookId)
+    else selected.delete(bookId)
+    renderSelection()
+  }
+
+  /**
+   * 全選 / 取消全選目前列出的建議
+   *
+   * @param {boolean} checked
+   */
+  function selectAll (checked) {
+    visibleSuggestions().forEach(s => {
+      if (checked) selected.add(s.bookId)
+      else selected.delete(s.bookId)
+    })
+    render()
+  }
+
+  /**
+   * 接受指定書籍的建議（或改選後的類別）
+   *
+   * @param {string[]} bookIds
+   * @returns {Promise<boolean>}
+   */
+  async function acceptBooks (bookIds) {
+    const entries = bookIds
+      .map(bookId => ({ bookId, categoryId: choiceOf(bookId) }))
+      .filter(entry => entry.categoryId)
+    if (entries.length === 0) return false
+    return run(() => tagStorageAdapter.acceptClassificationSuggestions(entries), {
+      booksChanged: true,
+      done: result => CLASSIFICATION_REVIEW_DISPLAY.ACCEPTED(result.affected, result.createdTags)
+    })
+  }
+
+  /**
+   * 拒絕指定書籍的建議，之後不再列出
+   *
+   * @param {string[]} bookIds
+   * @returns {Promise<boolean>}
+   */
+  async function dismissBooks (bookIds) {
+    if (bookIds.length === 0) return false
+    return run(() => tagStorageAdapter.dismissClassificationSuggestions(bookIds), {
+      done: () => CLASSIFICATION_REVIEW_DISPLAY.DISMISSED(bookIds.length)
+    })
+  }
+
+  function acceptSelected () {
+    return acceptBooks([...selected])
+  }
+
+  function dismissSelected () {
+    return dismissBooks([...selected])
+  }
+
+  /**
+   * 開合審核面板；開啟時重新計算建議
+   *
+   * @param {boolean} [visible] - 未提供時切換
+   * @returns {Promise<void>}
+   */
+  async function toggle (visible) {
+    const panel = elements.classificationReviewPanel
+    if (!panel) return
+    const show = typeof visible === 'boolean' ? visible : panel.hidden
+    panel.hidden = !show
+    if (elements.classificationReviewBtn) {
+      elements.classificationReviewBtn.setAttribute('aria-expanded', String(show))
+      elements.classificationReviewBtn.textContent = show ? CLASSIFICATION_REVIEW_DISPLAY.HIDE : CLASSIFICATION_REVIEW_DISPLAY.SHOW
+    }
+    if (show) await load()
+  }
+
+  // --- 事件 ---
+
+  function rowBookId (event) {
+    const item = event.target.closest('.classification-suggestion')
+    return item ? item.getAttribute('data-book-id') : null
+  }
+
+  function handleListClick (event) {
+    const bookId = rowBookId(event)
+    if (!bookId) return
+    if (event.target.closest('.classification-accept')) acceptBooks([bookId])
+    else if (event.target.closest('.classification-dismiss')) dismissBooks([bookId])
+  }
+
+  function handleListChange (event) {
+    const bookId = rowBookId(event)
+    if (!bookId) return
+    if (event.target.classList.contains('classification-select')) setSelected(bookId, event.target.checked)
+    else if (event.target.classList.contains('classification-category')) setChoice(bookId, event.target.value)
+  }
+
+  /**
+   * 綁定面板開合、建議列表與批次操作
+   */
+  function bind () {
+    if (elements.classificationReviewBtn) {
+      elements.classificationReviewBtn.addEventListener('click', () => toggle())
+    }
+    if (elements.classificationSelectAll) {
+      elements.classificationSelectAll.addEventListener('change', (event) => selectAll(event.target.checked))
+    }
+    if (elements.classificationAcceptBtn) {
+      elements.classificationAcceptBtn.addEventListener('click', () => acceptSelected())
+    }
+    if (elements.classificationDismissBtn) {
+      elements.classificationDismissBtn.addEventListener('click', () => dismissSelected())
+    }
+    if (elements.classificationList) {
+      elements.classificationList.addEventListener('click', handleListClick)
+      elements.classificationList.addEventListener('change', handleListChange)
+    }
+  }
+
+  return {
+    render,
+    load,
+    toggle,
+    bind,
+    setChoice,
+    selectAll,
+    acceptBooks,
+    dismissBooks,
+    acceptSelected,
+    dismissSelected
+  }
+}
+
+module.exports = { createOverviewClassificationReview, CLASSIFICATION_REVIEW_DISPLAY }
@@ -0,0 +1,346 @@
+'use strict'
+
+const FilterEngine = require('src/ui/search/filter/filter-engine')
+const { parseLibraryQuery } = require('src/ui/search/query/library-query-parser')
+const { suggestQueryCompletions } = require('src/ui/search/query/library-query-suggester')
+const { READING_STATUS_VALUES, READING_STATUS_LABELS } = require('src/data-management/BookSchemaV2')
+const { t, translateOr, formatList } = require('src/core/i18n/ui-i18n')
+const { getRegisteredPlatforms } = require('src/content/platform/platform-registry')
+const { Logger } = require('src/core/logging/Logger')
+
+/**
+ * 查詢欄位 → 書籍資料欄位
+ */
+const LIBRARY_QUERY_CONFIG = Object.freeze({
+  DATE_FIELDS: Object.freeze({
+    updated: 'updatedAt',
+    extracted: 'extractedAt'
+  }),
+  PROGRESS_MIN: 0,
+  PROGRESS_MAX: 100,
+  // 分類樹深度防護（資料損壞形成循環時中止）
+  MAX_CATEGORY_DEPTH: 10
+})
+
+const SILENT_EVENT_BUS = Object.freeze({ emit () {} })
+
+function sameText (a, b) {
+  return typeof a === 'string' && typeof b === 'string' && a.toLowerCase() === b.toLowerCase()
+}
+
+/**
+ * 閱讀狀態 / 書城的顯示名稱（依目前語系）；查詢值也接受這些名稱
+ */
+function statusLabel (status) {
+  return translateOr(`common.readingStatus.${status}`, READING_STATUS_LABELS[status] || status)
+}
+
+function platformLabel (config) {
+  return translateOr(`common.platforms.${config.name}`, config.displayName || config.name)
+}
+
+function bookFieldText (book, field) {
+  if (field === 'author') {
+    return Array.isArray(book.authors) && book.authors.length > 0
+      ? book.authors.join(' ')
+      : (book.author || '')
+  }
+  return typeof book[field] === 'string' ? book[field] : ''
+}
+
+function keepMatched (books, matched) {
+  const set = new Set(matched)
+  return books.filter(book => set.has(book))
+}
+
+/**
+ * 建立 Overview 書庫查詢
+ *
+ * 負責功能：
+ * - 將查詢語法樹編譯為 FilterEngine 篩選條件與全文搜尋節點
+ * - 狀態篩選列、Tag 篩選列與搜尋框查詢併為同一條 AND 管線執行
+ * - 全文字詞以 OverviewBookSearch 做相關度排序與錯字容忍
+ * - 提供搜尋框自動完成建議（欄位、狀態、標籤、分類、書城）
+ *
+ * 設計考量：
+ * - 同步執行：使用 FilterEngine.matchBooks，配合 controller 的同步篩選管線
+ * - 否定的全文字詞排除「同一字詞搜尋會命中」的書，與正向搜尋語意對稱
+ * - 查詢有錯誤時不套用查詢（篩選列條件照常），錯誤交由搜尋框就地顯示
+ *
+ * @param {Object} deps - 依賴注入
+ * @param {Object} deps.bookSearch - OverviewBookSearch（已同步索引）
+ * @param {Function} deps.getTags - () => Tag[]
+ * @param {Function} deps.getCategories - () => TagCategory[]
+ * @param {Object} [deps.logger] - 日誌記錄器，預設建立 Logger('OverviewLibraryQuery')
+ * @returns {Object} OverviewLibraryQuery
+ */
+function createOverviewLibraryQuery (deps) {
+  if (!deps || typeof deps !== 'object') {
+    throw new TypeError('createOverviewLibraryQuery requires deps object')
+  }
+  if (!deps.bookSearch || typeof deps.bookSearch.search !== 'function') {
+    throw new TypeError('deps.bookSearch must provide search()')
+  }
+  if (typeof deps.getTags !== 'function') {
+    throw new TypeError('deps.getTags must be a function')
+  }
+  if (typeof deps.getCategories !== 'function') {
+    throw new TypeError('deps.getCategories must be a function')
+  }
+
+  const { bookSearch, getTags, getCategories } = deps
+  const logger = deps.logger || new Logger('OverviewLibraryQuery', 'WARN')
+  const platforms = getRegisteredPlatforms()
+
+  const filterEngine = new FilterEngine({
+    eventBus: SILENT_EVENT_BUS,
+    logger,
+    config: { enableEvents: false, enableCaching: false, enableStatistics: false },
+    categoryResolver: resolveCategoryTagIds
+  })
+
+  /**
+   * 分類 → 該分類與所有子分類下的 tagIds
+   * @param {string} categoryId
+   * @returns {string[]}
+   */
+  function resolveCategoryTagIds (categoryId) {
+    const categories = getCategories()
+    const categoryIds = new Set([categoryId])
+    for (let depth = 0; depth < LIBRARY_QUERY_CONFIG.MAX_CATEGORY_DEPTH; depth++) {
+      const before = categoryIds.size
+      categories.forEach(category => {
+        if (category.parentId && categoryIds.has(category.parentId)) categoryIds.add(category.id)
+      })
+      if (categoryIds.size === before) break
+    }
+    return getTags().filter(tag => categoryIds.has(tag.categoryId)).map(tag => tag.id)
+  }
+
+  function compileError (message, term) {
+    return { message, start: term.start, end: term.end }
+  }
+
+  /**
+   * 編譯單一欄位條件
+   * @returns {{ node: Object } | { error: Object }}
+   */
+  function compileTerm (term) {
+    const { field, value, op } = term
+
+    if (field === null || field === 'title' || field === 'author' || field === 'publisher') {
+      return { node: { type: 'text', field, value, quoted: term.quoted } }
+    }
+
+    if (field === 'status') {
+      const readingStatus = READING_STATUS_VALUES.find(status => sameText(status, value) || READING_STATUS_LABELS[status] === value || sameText(statusLabel(status), value))
+      if (!readingStatus) {
+        return { error: compileError(t('overview.query.errors.unknownStatus', { value, options: formatList(READING_STATUS_VALUES) }), term) }
+      }
+      return { node: { type: 'filter', criteria: { readingStatus } } }
+    }
+
+    if (field === 'tag') {
+      const tagIds = getTags().filter(tag => sameText(tag.name, value)).map(tag => tag.id)
+      if (tagIds.length === 0) {
+        return { error: compileError(t('overview.query.errors.tagNotFound', { value }), term) }
+      }
+      return { node: { type: 'filter', criteria: { tagIds, tagOperator: 'OR' } } }
+    }
+
+    if (field === 'category') {
+      const categoryIds = getCategories().filter(category => sameText(category.name, value)).map(category => category.id)
+      if (categoryIds.length === 0) {
+        return { error: compileError(t('overview.query.errors.categoryNotFound', { value }), term) }
+      }
+      // 分類下沒有任何標籤時 FilterEngine 不篩選，此處明確視為無結果
+      if (categoryIds.every(id => resolveCategoryTagIds(id).length === 0)) {
+        return { node: { type: 'none' } }
+      }
+      return { node: { type: 'filter', criteria: { tagCategoryIds: categoryIds } } }
+    }
+
+    if (field === 'source') {
+      const platform = platforms.find(config => sameText(config.name, value) || sameText(config.displayName, value) || sameText(platformLabel(config), value))
+      if (!platform) {
+        return { error: compileError(t('overview.query.errors.unknownSource', { value, options: formatList(platforms.map(config => config.name)) }), term) }
+      }
+      return { node: { type: 'filter', criteria: { source: platform.name } } }
+    }
+
+    if (field === 'progress') {
+      const { PROGRESS_MIN, PROGRESS_MAX } = LIBRARY_QUERY_CONFIG
+      const n = term.number
+      const progressRange = {
+        '=': { min: n, max: n },
+        '>': { min: n, max: PROGRESS_MAX, minExclusive: true },
+        '>=': { min: n, max: PROGRESS_MAX },
+        '<': { min: PROGRESS_MIN, max: n, maxExclusive: true },
+        '<=': { min: PROGRESS_MIN, max: n }
+      }[op]
+      return { node: { type: 'filter', criteria: { progressRange } } }
+    }
+
+    // 日期欄位：值為整年 / 整月 / 整日期間，比較以期間端點計算
+    const { from, to } = term.period
+    const range = {
+      '=': { after: from, before: to },
+      '>': { after: to + 1 },
+      '>=': { after: from },
+      '<': { before: from - 1 },
+      '<=': { before: to }
+    }[op]
+    return { node: { type: 'filter', criteria: { dateRange: { field: LIBRARY_QUERY_CONFIG.DATE_FIELDS[field], ...range } } } }
+  }
+
+  /**
+   * 將語法樹編譯為執行計畫
+   *
+   * AND 群組內未加引號的全文字詞合併為單一搜尋，與一般多詞搜尋的評分一致。
+   *
+   * @param {Object} ast
+   * @param {Array} errors - 收集編譯錯誤
+   * @returns {Object} 執行計畫節點
+   */
+  function compile (ast, errors) {
+    if (ast.type === 'term') {
+      const compiled = compileTerm(ast)
+      if (compiled.error) {
+        errors.push(compiled.error)
+        return { type: 'none' }
+      }
+      return compiled.node
+    }
+    if (ast.type === 'not') {
+      return { type: 'not', child: compile(ast.child, errors) }
+    }
+    if (ast.type === 'or') {
+      return { type: 'or', children: ast.children.map(child => compile(child, errors)) }
+    }
+
+    const words = []
+    const children = []
+    for (const child of ast.children) {
+      if (child.type === 'term' && child.field === null && !child.quoted) {
+        words.push(child.value)
+      } else {
+        children.push(compile(child, errors))
+      }
+    }
+    if (words.length > 0) {
+      children.unshift({ type: 'text', field: null, value: words.join(' '), quoted: false })
+    }
+    return { type: 'and', children }
+  }
+
+  /**
+   * 執行計畫節點；結果保留輸入順序
+   */
+  function evaluate (node, books) {
+    switch (node.type) {
+      case 'filter':
+        return filterEngine.matchBooks(books, node.criteria)
+      case 'none':
+        return []
+      case 'text':
+        if (node.field === null) {
+          return keepMatched(books, bookSearch.search(node.value, books).map(result => result.book))
+        }
+        return books.filter(book => bookFieldText(book, node.field).toLowerCase().includes(node.value.toLowerCase()))
+      case 'and':
+        return node.children.reduce((remaining, child) => evaluate(child, remaining), books)
+      case 'or':
+        return keepMatched(books, node.children.flatMap(child => evaluate(child, books)))
+      case 'not': {
+        const excluded = new Set(evaluate(node.child, books))
+        return books.filter(book => !excluded.has(book))
+      }
+      default:
+        return books
+    }
+  }
+
+  /**
+   * 收集正向（非否定）的全文字詞
+   * @returns {{ search: string[], highlight: string[] }}
+   */
+  function collectPositiveText (node, collected = { search: [], highlight: [] }) {
+    if (node.type === 'text') {
+      if (node.field === null) collected.search.push(node.value)
+      if (node.field === null || node.field === 'title' || node.field === 'author') collected.highlight.push(node.value)
+    } else if (node.type === 'and' || node.type === 'or') {
+      node.children.forEach(child => collectPositiveText(child, collected))
+    }
+    return collected
+  }
+
+  /**
+   * 執行書庫查詢
+   *
+   * @param {Array<Object>} books - 全部書籍
+   * @param {Object} [options]
+   * @param {string} [options.query] - 搜尋框查詢字串
+   * @param {string|null} [options.readingStatus] - 狀態篩選列
+   * @param {Iterable<string>} [options.tagIds] - Tag 篩選列已選 tag
+   * @param {'and'|'or'} [options.tagMode] - Tag 篩選列模式
+   * @returns {{ books: Array<Object>, relevance: Map<Object, number>|null, highlightQuery: string, errors: Array<Object> }}
+   *   relevance：有全文字詞時為書籍 → 相關度名次；errors：查詢語法或值錯誤（此時查詢不套用）
+   */
+  function run (books, options = {}) {
+    const stages = []
+    if (options.readingStatus) {
+      stages.push({ type: 'filter', criteria: { readingStatus: options.readingStatus } })
+    }
+    const tagIds = options.tagIds ? [...options.tagIds] : []
+    if (tagIds.length > 0) {
+      stages.push({ type: 'filter', criteria: { tagIds, tagOperator: options.tagMode === 'and' ? 'AND' : 'OR' } })
+    }
+
+    const parsed = parseLibraryQuery(options.query || '')
+    const errors = [...parsed.errors]
+    let queryPlan = null
+    if (parsed.ast) {
+      const compileErrors = []
+      const compiled = compile(parsed.ast, compileErrors)
+      errors.push(...compileErrors)
+      if (compileErrors.length === 0) queryPlan = compiled
+    }
+    if (queryPlan) stages.push(queryPlan)
+
+    const matched = evaluate({ type: 'and', children: stages }, Array.isArray(books) ? books : [])
+
+    const text = queryPlan ? collectPositiveText(queryPlan) : { search: [], highlight: [] }
+    if (text.search.length === 0) {
+      return { books: matched, relevance: null, highlightQuery: text.highlight.join(' '), errors }
+    }
+
+    const ranked = bookSearch.search(text.search.join(' '), matched).map(result => result.book)
+    const rankedSet = new Set(ranked)
+    const ordered = [...ranked, ...matched.filter(book => !rankedSet.has(book))]
+    return {
+      books: ordered,
+      relevance: new Map(ordered.map((book, rank) => [book, rank])),
+      highlightQuery: text.highlight.join(' '),
+      errors
+    }
+  }
+
+  /**
+   * 搜尋框自動完成建議
+   * @param {string} input
+   * @returns {Array<{ value: string, label: string }>}
+   */
+  function suggest (input) {
+    const uniqueNames = items => [...new Set(items.map(item => item.name).filter(name => typeof name === 'string'))]
+    return suggestQueryCompletions(input, {
+      status: READING_STATUS_VALUES.map(status => ({ value: status, label: statusLabel(status) })),
+      tag: uniqueNames(getTags()),
+      category: uniqueNames(getCategories()),
+      source: platforms.map(config => ({ value: config.name, label: platformLabel(config) }))
+    })
+  }
+
+  return { run, suggest }
+}
+
+module.exports = { createOverviewLibraryQuery, LIBRARY_QUERY_CONFIG }
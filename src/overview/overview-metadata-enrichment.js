@@ -0,0 +1,141 @@
+'use strict'
+
+const {
+  METADATA_ENRICHMENT_KEYS,
+  ENRICHMENT_STATUS,
+  normalizeMetadataEnrichmentSettings,
+  normalizeEnrichmentState
+} = require('src/data-management/MetadataEnrichmentSchema')
+const { t, formatDate, defineLocalizedText } = require('src/core/i18n/ui-i18n')
+
+/**
+ * 書目補齊區塊顯示常數
+ */
+const METADATA_ENRICHMENT_DISPLAY = defineLocalizedText({
+  IDLE: 'overview.metadataEnrichment.idle',
+  RUNNING: ({ total, queue }) => t('overview.metadataEnrichment.running', { done: total - queue.length, total }),
+  PAUSED: ({ queue }) => t('overview.metadataEnrichment.paused', { remaining: queue.length }),
+  COMPLETED: ({ completedAt, enriched, failed }) => t('overview.metadataEnrichment.completed', {
+    time: formatDate(completedAt),
+    enriched,
+    failed
+  }),
+  SAVE_FAILED: 'overview.metadataEnrichment.saveFailed'
+})
+
+/**
+ * 建立 OverviewMetadataEnrichment 實例
+ *
+ * 負責功能：
+ * - 讀寫 metadata_enrichment_settings（是否啟用）；Service Worker 監聽此設定開始或停止補齊
+ * - 顯示 metadata_enrichment_state 的補齊進度（進行中 / 暫停 / 完成）
+ *
+ * 區塊位於排程更新面板內，開合由 OverviewScheduledRefresh 負責。
+ * 設定或進度於背景變動時，控制器經 setSettings / setState 同步。
+ *
+ * @param {Object} deps - 依賴注入
+ * @param {Object} deps.elements - 控制器的元素快取（metadataEnrichmentEnabled 等）
+ * @param {Object} deps.storage - chrome.storage.local（Promise 形式的 get / set）
+ * @returns {Object} OverviewMetadataEnrichment
+ */
+function createOverviewMetadataEnrichment (deps) {
+  if (!deps || typeof deps !== 'object') {
+    throw new TypeError('createOverviewMetadataEnrichment requires deps object')
+  }
+  for (const key of ['elements', 'storage']) {
+    if (!deps[key]) {
+      throw new TypeError(`deps.${key} is required`)
+    }
+  }
+
+  const { elements, storage } = deps
+  let settings = normalizeMetadataEnrichmentSettings()
+  let state = normalizeEnrichmentState()
+
+  function renderSettings () {
+    if (elements.metadataEnrichmentEnabled) {
+      elements.metadataEnrichmentEnabled.checked = settings.enabled
+    }
+  }
+
+  function describeState () {
+    switch (state.status) {
+      case ENRICHMENT_STATUS.RUNNING:
+        return METADATA_ENRICHMENT_DISPLAY.RUNNING(state)
+      case ENRICHMENT_STATUS.PAUSED:
+        return METADATA_ENRICHMENT_DISPLAY.PAUSED(state)
+      case ENRICHMENT_STATUS.COMPLETED:
+        return METADATA_ENRICHMENT_DISPLAY.COMPLETED(state)
+      default:
+        return METADATA_ENRICHMENT_DISPLAY.IDLE
+    }
+  }
+
+  function renderState () {
+    if (elements.metadataEnrichmentStatus) {
+      elements.metadataEnrichmentStatus.textContent = describeState()
+    }
+  }
+
+  /**
+   * 讀取設定與進度並渲染
+   */
+  async function load () {
+    const stored = (await storage.get([METADATA_ENRICHMENT_KEYS.SETTINGS, METADATA_ENRICHMENT_KEYS.STATE])) || {}
+    setSettings(stored[METADATA_ENRICHMENT_KEYS.SETTINGS])
+    setState(stored[METADATA_ENRICHMENT_KEYS.STATE])
+  }
+
+  function setSettings (value) {
+    settings = normalizeMetadataEnrichmentSettings(value)
+    renderSettings()
+  }
+
+  function setState (value) {
+    state = normalizeEnrichmentState(value)
+    renderState()
+  }
+
+  function getSettings () {
+    return { ...settings }
+  }
+
+  /**
+   * 儲存啟用勾選；失敗時還原勾選並顯示訊息
+   *
+   * @returns {Promise<boolean>} 是否已儲存
+   */
+  async function save () {
+    const next = normalizeMetadataEnrichmentSettings({
+      enabled: elements.metadataEnrichmentEnabled ? elements.metadataEnrichmentEnabled.checked : settings.enabled
+    })
+    try {
+      await storage.set({ [METADATA_ENRICHMENT_KEYS.SETTINGS]: next })
+    } catch (error) {
+      renderSettings()
+      if (elements.metadataEnrichmentStatus) {
+        elements.metadataEnrichmentStatus.textContent = METADATA_ENRICHMENT_DISPLAY.SAVE_FAILED
+      }
+      return false
+    }
+    settings = next
+    return true
+  }
+
+  function bind () {
+    if (elements.metadataEnrichmentEnabled) {
+      elements.metadataEnrichmentEnabled.addEventListener('change', () => save())
+    }
+  }
+
+  return {
+    load,
+    setSettings,
+    setState,
+    getSettings,
+    save,
+    bind
+  }
+}
+
+module.exports = { createOverviewMetadataEnrichment, METADATA_ENRICHMENT_DISPLAY }
@@ -33,36 +33,60 @@ const { BookExporter } = require('src/overview/book-exporter')
 const { BookFileImporter } = require('src/overview/book-file-importer')
 const { ImportFlowController } = require('src/overview/import-flow-controller')
 const { createTagCellRenderer } = require('src/overview/tag-cell-renderer')
+const { createOverviewBookSearch } = require('src/overview/overview-book-search')
+const { createOverviewLibraryQuery } = require('src/overview/overview-library-query')
+const { createOverviewBulkActions } = require('src/overview/overview-bulk-actions')
+const { createOverviewBookGrid } = require('src/overview/overview-book-grid')
+const { createOverviewSavedViews } = require('src/overview/overview-saved-views')
+const { createOverviewReadingTimeline } = require('src/overview/overview-reading-timeline')
+const { createOverviewWorkLinks, WORK_LINKS_DISPLAY } = require('src/overview/overview-work-links')
+const { createOverviewScheduledRefresh } = require('src/overview/overview-scheduled-refresh')
+const { SCHEDULED_REFRESH_KEYS } = require('src/data-management/ScheduledRefreshSchema')
+const { createOverviewMetadataEnrichment } = require('src/overview/overview-metadata-enrichment')
+const { createOverviewTagManager } = require('src/overview/overview-tag-manager')
+const { createOverviewTaggingRules } = require('src/overview/overview-tagging-rules')
+const { createOverviewClassificationReview } = require('src/overview/overview-classification-review')
+const { createOverviewBookEditor } = require('src/overview/overview-book-editor')
+const { METADATA_ENRICHMENT_KEYS } = require('src/data-management/MetadataEnrichmentSchema')
+const { normalizeSavedViewFilter } = require('src/data-management/SavedViewSchema')
 // v2 匯出器（Interchange Format v2）：book-data-exporter.js 使用 default export
 const BookDataExporter = require('src/export/book-data-exporter')
+const { encryptSyncFile } = require('src/sync/sync-crypto')
 // Tag 資料來源（v2 匯出需要 tags / tagCategories 頂層區段）
 const TagStorageAdapter = require('src/storage/adapters/tag-storage-adapter')
+const { isLibraryHeader } = require('src/storage/adapters/indexeddb-book-store')
+const { READING_SERVICES, SERVICE_LABELS } = require('src/export/reading-service-csv-adapter')
+const { t, formatList, defineLocalizedText } = require('src/core/i18n/ui-i18n')
 
 // 常數定義
 const CONSTANTS = {
   // 控制器配置
   PRIORITY: 2,
 
-  // UI 訊息
-  MESSAGES: {
-    DEFAULT_LOAD: '載入中...',
-    RELOAD: '重新載入書籍資料...',
-    EMPTY_BOOKS: '目前沒有書籍資料',
-    NO_DATA_EXPORT: '沒有資料可以匯出',
-    FILE_PARSE_ERROR: '檔案解析失敗',
-    FILE_READ_ERROR: '檔案讀取失敗',
-    INVALID_JSON: '無效的 JSON 格式'
-  },
+  // UI 訊息（依目前語系取值）
+  MESSAGES: defineLocalizedText({
+    DEFAULT_LOAD: 'overview.messages.defaultLoad',
+    RELOAD: 'overview.messages.reload',
+    EMPTY_BOOKS: 'overview.messages.emptyBooks',
+    NO_DATA_EXPORT: 'overview.messages.noDataExport',
+    FILE_PARSE_ERROR: 'overview.messages.fileParseError',
+    FILE_READ_ERROR: 'overview.messages.fileReadError',
+    INVALID_JSON: 'overview.messages.invalidJson',
+    EXPORT_PASSPHRASE_PROMPT: 'overview.messages.exportPassphrasePrompt',
+    EXPORT_PASSPHRASE_CONFIRM: 'overview.messages.exportPassphraseConfirm',
+    EXPORT_PASSPHRASE_MISMATCH: 'overview.messages.exportPassphraseMismatch'
+  }),
 
   // 表格配置
-  TABLE: {
+  TABLE: defineLocalizedText({
+    // 作者欄位 placeholder（W1-061 ANA 結論：Readmoo library 頁 DOM 不提供作者，屬 source data limitation）
+    AUTHOR_PLACEHOLDER: 'overview.table.authorPlaceholder',
+    AUTHOR_TOOLTIP: 'overview.table.authorTooltip'
+  }, {
     COLUMNS: 8,
     COVER_SIZE: { WIDTH: 50, HEIGHT: 75 },
-    DEFAULT_COVER: '',
-    // 作者欄位 placeholder（W1-061 ANA 結論：Readmoo library 頁 DOM 不提供作者，屬 source data limitation）
-    AUTHOR_PLACEHOLDER: '— 待補',
-    AUTHOR_TOOLTIP: 'Readmoo 來源頁不提供作者欄位，可手動編輯（v0.20.0 將支援標籤化編輯）'
-  },
+    DEFAULT_COVER: ''
+  }),
 
   // 事件配置
   EVENTS: {
@@ -79,23 +103,47 @@ const CONSTANTS = {
     LOADING_TEXT: '.loading-text'
   },
 
+  // 檢視模式（表格 / 封面網格），偏好存於 chrome.storage.local
+  VIEW: {
+    TABLE: 'table',
+    GRID: 'grid',
+    PREFERENCES_KEY: 'overview_preferences'
+  },
+
+  // 搜尋配置
+  SEARCH: {
+    // 排序選單預設值：有搜尋詞時依相關度排序，無搜尋詞時退回書名升冪
+    DEFAULT_SORT: 'relevance',
+    HIGHLIGHT_CLASS: 'search-highlight'
+  },
+
   // v2 匯出配置（Interchange Format v2）
-  EXPORT_V2: {
+  EXPORT_V2: defineLocalizedText({
+    FILENAME_PREFIX: 'overview.export.filenamePrefix'
+  }, {
     FORMAT_VERSION: '2.0.0',
     // COMPLETE_V2 涵蓋全部 v2 書籍欄位，最大化規格合規（含 readingStatus/tagIds/source 等）
     FIELD_PRESET: 'COMPLETE_V2',
     JSON_MIME: 'application/json;charset=utf-8;',
-    CSV_MIME: 'text/csv;charset=utf-8;',
-    FILENAME_PREFIX: '書籍資料_'
-  },
+    CSV_MIME: 'text/csv;charset=utf-8;'
+  }),
 
   // v3 canonical 匯出配置（book-interchange-v1 everything-as-tags）
   // exporter 以 options.formatVersion === '3.0.0' 觸發 _exportToJSONCanonical 路徑。
   // v3 不需 storage tags/tagCategories：tagTree 由 book 物件自身欄位（tagIds/authors/source）
   // 經 mapV1BookToCanonical 衍生（everything-as-tags），故 handleExportJSONv3 無 storage 載入步驟。
-  EXPORT_V3: {
+  // 加密匯出沿用 v3 內容，以 sync-crypto encryptSyncFile 包成加密同步檔（popup 匯入時輸入同一密碼解密）。
+  EXPORT_V3: defineLocalizedText({
+    ENCRYPTED_FILENAME_PREFIX: 'overview.export.encryptedFilenamePrefix'
+  }, {
     FORMAT_VERSION: '3.0.0',
     JSON_MIME: 'application/json;charset=utf-8;'
+  }),
+
+  // 閱讀服務 CSV 匯出按鈕 → 服務格式
+  READING_SERVICE_EXPORT_BUTTONS: {
+    exportGoodreadsBtn: READING_SERVICES.GOODREADS,
+    exportStoryGraphBtn: READING_SERVICES.STORYGRAPH
   }
 }
 
@@ -123,6 +171,11 @@ class OverviewPageController extends EventHandlerClass {
     this.filteredBooks = []
     this.isLoading = false
     this.searchTerm = ''
+    // 搜尋框原始查詢（保留大小寫：OR 關鍵字與欄位值需區分）
+    this.searchQuery = ''
+    // 目前查詢中需標示的正向全文字詞（不含 status: 等篩選條件）
+    this.searchHighlightQuery = ''
+    this.searchErrors = []
     this.statusFilter = null
     this.tagFilterState = { selectedTagIds: new Set(), mode: 'or' }
     this.tagMap = new Map()
@@ -131,6 +184,12 @@ class OverviewPageController extends EventHandlerClass {
     // 選取狀態（W6-012.7.1）：以 bookId 為唯一識別，UI 從此 Set 計算 checked / row-selected
     this.selectedBookIds = new Set()
 
+    // 檢視模式：表格與封面網格共用 filteredBooks 與 selectedBookIds
+    this.viewMode = CONSTANTS.VIEW.TABLE
+
+    // 表格展開列：bookId → 'view'（標籤 chips）或 'edit'（列內編輯器）；重新渲染後依此還原
+    this.expandedRows = new Map()
+
     // 初始化 Tag Cell Renderer
     this.tagCellRenderer = createTagCellRenderer({
       getTagById: id => this.tagMap.get(id),
@@ -138,6 +197,19 @@ class OverviewPageController extends EventHandlerClass {
       document: this.document
     })
 
+    // 初始化書籍搜尋（多欄位相關度排序 + 增量索引）
+    this.bookSearch = createOverviewBookSearch({
+      getTagById: id => this.tagMap.get(id),
+      getCategoryById: id => this.categoryMap.get(id)
+    })
+
+    // 初始化書庫查詢（查詢語法 + 狀態 / Tag 篩選列的單一篩選管線）
+    this.libraryQuery = createOverviewLibraryQuery({
+      bookSearch: this.bookSearch,
+      getTags: () => [...this.tagMap.values()],
+      getCategories: () => [...this.categoryMap.values()]
+    })
+
     // 初始化匯出模組
     // selection-aware DI（W6-012.7.2）：當 selectedBookIds 非空時，匯出/copy 僅針對選取項；
     // 為空時退回全量 filteredBooks，維持向後相容。getFilteredBooks 僅由 book-exporter
@@ -151,9 +223,11 @@ class OverviewPageController extends EventHandlerClass {
     })
 
     // 初始化檔案載入模組
+    // getExistingBooks：Goodreads / StoryGraph CSV 匯入時比對目前書庫，避免建立重複書籍
     this.bookFileImporter = new BookFileImporter({
       document: this.document,
-      showError: (msg) => this.showError(msg)
+      showError: (msg) => this.showError(msg),
+      getExistingBooks: () => this.currentBooks
     })
 
     // 初始化 DOM 元素引用（importFlowController 依賴 this.elements，故須先建立）
@@ -178,6 +252,125 @@ class OverviewPageController extends EventHandlerClass {
       confirmEmptyFileOverwriteFn: (n) => this.confirmEmptyFileOverwrite(n)
     })
 
+    // 初始化批次編輯列：對 selectedBookIds 執行狀態 / 標籤 / 刪除批次操作與復原
+    this.bulkActions = createOverviewBulkActions({
+      document: this.document,
+      elements: this.elements,
+      tagStorageAdapter: TagStorageAdapter,
+      // 選取的作品代表書籍展開為所有版本，批次操作作用於每個版本
+      getSelectedBookIds: () => this.workLinks.expandBookIds([...this.selectedBookIds]),
+      getTags: () => [...this.tagMap.values()],
+      getCategories: () => [...this.categoryMap.values()],
+      onApplied: () => this._handleBulkEditApplied(),
+      confirm: (message) => this.document.defaultView.confirm(message)
+    })
+
+    // 初始化封面網格（頁面缺少網格容器時只提供表格檢視）
+    this.bookGrid = this.elements.bookGrid && this.elements.bookGridViewport
+      ? createOverviewBookGrid({
+        document: this.document,
+        viewport: this.elements.bookGridViewport,
+        container: this.elements.bookGrid,
+        tagCellRenderer: this.tagCellRenderer,
+        isSelected: id => this.selectedBookIds.has(id),
+        onToggleSelect: id => this.handleRowCheckboxToggle(id),
+        onOpenDetails: id => this.bookEditor.open(id)
+      })
+      : null
+
+    // 初始化已儲存檢視側欄（智慧書單：計數隨書籍與標籤變動重新計算）
+    this.savedViews = createOverviewSavedViews({
+      document: this.document,
+      elements: this.elements,
+      tagStorageAdapter: TagStorageAdapter,
+      getFilterState: () => this.getFilterState(),
+      applyFilter: (filter) => this.applyFilterState(filter),
+      countBooks: (filter) => this.countBooksMatching(filter),
+      prompt: (message, defaultValue) => this.document.defaultView.prompt(message, defaultValue),
+      confirm: (message) => this.document.defaultView.confirm(message)
+    })
+
+    // 初始化閱讀統計面板（進度歷程由提取 / 匯入記錄；書名與頁數取自目前書庫）
+    this.readingTimeline = createOverviewReadingTimeline({
+      document: this.document,
+      elements: this.elements,
+      tagStorageAdapter: TagStorageAdapter,
+      getBooks: () => this.currentBooks
+    })
+
+    // 初始化重複書籍審核（跨書城作品連結；同一作品於清單、搜尋與匯出只出現一次）
+    this.workLinks = createOverviewWorkLinks({
+      document: this.document,
+      elements: this.elements,
+      tagStorageAdapter: TagStorageAdapter,
+      getBooks: () => this.currentBooks,
+      onChange: () => this.applyCurrentFilter(),
+      confirm: (message) => this.document.defaultView.confirm(message)
+    })
+
+    // 初始化排程更新設定（Service Worker 依此設定以 chrome.alarms 定期重新提取）
+    this.scheduledRefresh = typeof chrome !== 'undefined' && chrome.storage
+      ? createOverviewScheduledRefresh({
+        document: this.document,
+        elements: this.elements,
+        storage: chrome.storage.local
+      })
+      : null
+
+    // 初始化書目補齊設定（Service Worker 依此設定逐本抓取詳情頁補齊作者、ISBN 等欄位）
+    this.metadataEnrichment = typeof chrome !== 'undefined' && chrome.storage
+      ? createOverviewMetadataEnrichment({
+        elements: this.elements,
+        storage: chrome.storage.local
+      })
+      : null
+
+    // 初始化標籤管理面板（分類樹重組、改名、顏色與合併；寫入後重新讀取標籤，改動書籍標籤時一併重新讀取書籍）
+    this.tagManager = createOverviewTagManager({
+      document: this.document,
+      elements: this.elements,
+      tagStorageAdapter: TagStorageAdapter,
+      getTags: () => [...this.tagMap.values()],
+      getCategories: () => [...this.categoryMap.values()],
+      getBooks: () => this.currentBooks,
+      onApplied: ({ booksChanged }) => this._handleTagManagerApplied(booksChanged),
+      prompt: (message, defaultValue) => this.document.defaultView.prompt(message, defaultValue),
+      confirm: (message) => this.document.defaultView.confirm(message)
+    })
+
+    // 初始化自動標籤規則面板（條件編輯、預覽與立即套用；套用後重新讀取書籍並更新復原按鈕）
+    this.taggingRules = createOverviewTaggingRules({
+      document: this.document,
+      elements: this.elements,
+      tagStorageAdapter: TagStorageAdapter,
+      getTags: () => [...this.tagMap.values()],
+      getCategories: () => [...this.categoryMap.values()],
+      getBooks: () => this.currentBooks,
+      onApplied: () => this._handleBulkEditApplied(),
+      confirm: (message) => this.document.defaultView.confirm(message)
+    })
+
+    // 初始化分類建議審核面板（接受建議可能建立分類標籤，寫入後重新讀取標籤與書籍並更新復原按鈕）
+    this.classificationReview = createOverviewClassificationReview({
+      document: this.document,
+      elements: this.elements,
+      tagStorageAdapter: TagStorageAdapter,
+      getCategories: () => [...this.categoryMap.values()],
+      getBooks: () => this.currentBooks,
+      onApplied: ({ booksChanged }) => this._handleTagManagerApplied(booksChanged)
+    })
+
+    // 初始化單本書編輯（表格展開列與詳情面板：閱讀狀態、標籤挑選；寫入後重新讀取書籍並套用篩選）
+    this.bookEditor = createOverviewBookEditor({
+      document: this.document,
+      elements: this.elements,
+      tagStorageAdapter: TagStorageAdapter,
+      getTags: () => [...this.tagMap.values()],
+      getCategories: () => [...this.categoryMap.values()],
+      getBook: id => this.currentBooks.find(book => this._getBookId(book) === id) || null,
+      onApplied: ({ tagsChanged }) => this._handleBookEditApplied(tagsChanged)
+    })
+
     // 設置事件監聽器
     this.setupEventListeners()
   }
@@ -207,11 +400,11 @@ class OverviewPageController extends EventHandlerClass {
       // 統計相關元素
       statistics: ['totalBooks', 'displayedBooks'],
       // 搜尋相關元素
-      search: ['searchBox'],
+      search: ['searchBox', 'searchQueryError', 'searchSuggestions'],
       // 表格相關元素
       table: ['tableBody', 'booksTable'],
       // 操作按鈕元素
-      buttons: ['exportCSVBtn', 'exportJSONBtn', 'importJSONBtn', 'copyTextBtn', 'selectAllBtn', 'reloadBtn', 'selectAllHeaderCheckbox'],
+      buttons: ['exportCSVBtn', 'exportGoodreadsBtn', 'exportStoryGraphBtn', 'exportJSONBtn', 'exportEncryptedJSONBtn', 'importJSONBtn', 'copyTextBtn', 'selectAllBtn', 'reloadBtn', 'selectAllHeaderCheckbox'],
       // 檔案載入相關元素
       fileLoad: ['fileUploader', 'jsonFileInput', 'loadFileBtn', 'loadSampleBtn', 'sortSelect', 'sortDirection'],
       // 狀態顯示元素
@@ -219,7 +412,29 @@ class OverviewPageController extends EventHandlerClass {
       // 匯入模式選擇 modal 元素（UC-04 Modal A）
       importMode: ['importModeOverlay', 'importModeModal', 'importModeTitle', 'importModeOverwriteBtn', 'importModeMergeBtn', 'importModeCancelBtn'],
       // 空檔案覆蓋二次確認 modal 元素（UC-04 Modal B / W1-049）
-      emptyFileConfirm: ['emptyFileConfirmOverlay', 'emptyFileConfirmModal', 'emptyFileConfirmTitle', 'emptyFileConfirmDesc', 'emptyFileConfirmProceedBtn', 'emptyFileConfirmCancelBtn']
+      emptyFileConfirm: ['emptyFileConfirmOverlay', 'emptyFileConfirmModal', 'emptyFileConfirmTitle', 'emptyFileConfirmDesc', 'emptyFileConfirmProceedBtn', 'emptyFileConfirmCancelBtn'],
+      // 合併預覽 modal 元素（合併模式寫入前的逐本差異與衝突裁決）
+      importPreview: ['importPreviewOverlay', 'importPreviewModal', 'importPreviewTitle', 'importPreviewSummary', 'importPreviewList', 'importPreviewApplyBtn', 'importPreviewCancelBtn'],
+      // 批次編輯列元素（選取書籍時顯示）
+      // 檢視模式切換與封面網格元素
+      view: ['tableViewBtn', 'gridViewBtn', 'bookGridViewport', 'bookGrid'],
+      // 已儲存檢視側欄元素
+      savedViews: ['savedViewsPanel', 'savedViewsList', 'saveViewBtn', 'savedViewsMessage'],
+      // 閱讀統計面板元素
+      readingTimeline: ['readingTimelineBtn', 'readingTimelinePanel', 'finishedPerMonthList', 'progressPerWeekList', 'readingDurationList'],
+      // 重複書籍審核面板元素
+      workLinks: ['duplicateReviewBtn', 'duplicateReviewPanel', 'duplicateCandidateList', 'linkedWorkList', 'duplicateReviewMessage', 'expandEditionsToggle'],
+      // 排程更新面板元素
+      scheduledRefresh: ['scheduledRefreshBtn', 'scheduledRefreshPanel', 'scheduledRefreshEnabled', 'scheduledRefreshInterval', 'scheduledRefreshPlatforms', 'scheduledRefreshLastRun', 'scheduledRefreshChanges', 'scheduledRefreshMessage'],
+      // 書目補齊區塊元素（位於排程更新面板內）
+      metadataEnrichment: ['metadataEnrichmentEnabled', 'metadataEnrichmentStatus'],
+      // 標籤管理面板元素
+      tagManager: ['tagManagerBtn', 'tagManagerPanel', 'tagManagerSearch', 'tagManagerAddRootBtn', 'tagBatchActions', 'tagSelectionCount', 'tagMergeTargetSelect', 'tagMergeBtn', 'tagBatchDeleteBtn', 'tagTreeRootDrop', 'tagTree', 'tagManagerMessage'],
+      taggingRules: ['taggingRulesBtn', 'taggingRulesPanel', 'taggingRulesAddBtn', 'taggingRulesPreviewBtn', 'taggingRuleList', 'taggingRuleEditor', 'taggingRulesPreview', 'taggingRulesMessage'],
+      classificationReview: ['classificationReviewBtn', 'classificationReviewPanel', 'classificationSelectAll', 'classificationSelectionCount', 'classificationAcceptBtn', 'classificationDismissBtn', 'classificationList', 'classificationMessage'],
+      // 書籍詳情面板元素
+      bookDetail: ['bookDetailDrawer', 'bookDetailCloseBtn', 'bookDetailTitle', 'bookDetailMeta', 'bookDetailEditor'],
+      bulkEdit: ['bulkActionBar', 'bulkActionControls', 'bulkSelectionCount', 'bulkStatusSelect', 'bulkStatusBtn', 'bulkTagSelect', 'bulkAddTagBtn', 'bulkRemoveTagBtn', 'bulkMoveTagBtn', 'bulkDeleteBtn', 'bulkUndoBtn', 'bulkActionMessage']
     }
 
     // 批量取得元素引用
@@ -253,8 +468,40 @@ class OverviewPageController extends EventHandlerClass {
     if (typeof chrome !== 'undefined' && chrome.storage && chrome.storage.onChanged) {
       chrome.storage.onChanged.addListener((changes, area) => {
         try {
+          if (area === 'local' && (changes.tags || changes.tag_categories)) {
+            this._applyTagDataChanges(changes)
+          }
+          if (area === 'local' && changes[TagStorageAdapter.STORAGE_KEYS.SAVED_VIEWS]) {
+            this.savedViews.setViews(changes[TagStorageAdapter.STORAGE_KEYS.SAVED_VIEWS].newValue)
+          }
+          if (area === 'local' && changes[TagStorageAdapter.STORAGE_KEYS.PROGRESS_HISTORY]) {
+            this.readingTimeline.setHistory(changes[TagStorageAdapter.STORAGE_KEYS.PROGRESS_HISTORY].newValue)
+          }
+          if (area === 'local' && changes[TagStorageAdapter.STORAGE_KEYS.BOOK_WORKS]) {
+            this.workLinks.setWorks(changes[TagStorageAdapter.STORAGE_KEYS.BOOK_WORKS].newValue)
+          }
+          if (area === 'local' && changes[TagStorageAdapter.STORAGE_KEYS.DUPLICATE_DISMISSALS]) {
+            this.workLinks.setDismissed(changes[TagStorageAdapter.STORAGE_KEYS.DUPLICATE_DISMISSALS].newValue)
+          }
+          if (area === 'local' && this.scheduledRefresh && changes[SCHEDULED_REFRESH_KEYS.SETTINGS]) {
+            this.scheduledRefresh.setSettings(changes[SCHEDULED_REFRESH_KEYS.SETTINGS].newValue)
+          }
+          if (area === 'local' && this.scheduledRefresh && changes[SCHEDULED_REFRESH_KEYS.LAST_RUN]) {
+            this.scheduledRefresh.setLastRun(changes[SCHEDULED_REFRESH_KEYS.LAST_RUN].newValue)
+          }
+          if (area === 'local' && this.metadataEnrichment && changes[METADATA_ENRICHMENT_KEYS.SETTINGS]) {
+            this.metadataEnrichment.setSettings(changes[METADATA_ENRICHMENT_KEYS.SETTINGS].newValue)
+          }
+          if (area === 'local' && this.metadataEnrichment && changes[METADATA_ENRICHMENT_KEYS.STATE]) {
+            this.metadataEnrichment.setState(changes[METADATA_ENRICHMENT_KEYS.STATE].newValue)
+          }
           if (area === 'local' && changes.readmoo_books && changes.readmoo_books.newValue) {
             const newValue = changes.readmoo_books.newValue
+            if (isLibraryHeader(newValue)) {
+              // 書庫位於 IndexedDB：header 變動僅為通知，書籍需另行讀取
+              this._reloadStoredBooks(newValue)
+              return
+            }
             const books = Array.isArray(newValue.books) ? newValue.books : []
             this._updateBooksData(books)
             this.updateDisplay()
@@ -274,6 +521,7 @@ class OverviewPageController extends EventHandlerClass {
     if (this.elements.searchBox) {
       this.elements.searchBox.addEventListener('input', (e) => {
         this.handleSearchInput(e.target.value)
+        this.updateSearchSuggestions(e.target.value)
       })
     }
 
@@ -292,6 +540,15 @@ class OverviewPageController extends EventHandlerClass {
       })
     }
 
+    // 閱讀服務 CSV 匯出鈕：Goodreads / StoryGraph 可匯入格式（書架 / 評分由 tags 解析）
+    Object.entries(CONSTANTS.READING_SERVICE_EXPORT_BUTTONS).forEach(([elementId, service]) => {
+      if (this.elements[elementId]) {
+        this.elements[elementId].addEventListener('click', () => {
+          this.handleExportReadingServiceCSV(service)
+        })
+      }
+    })
+
     // 「匯出 JSON」鈕（W4-001 → W4-007）：v3 canonical（book-interchange-v1）為唯一 JSON 匯出入口，
     // 觸發 exporter _exportToJSONCanonical 路徑（everything-as-tags + tagTree）。
     // v2 匯出 UI 已於 W4-007 移除（reality-test：v2 對 APP everything-as-tags 多值資料有損，無前向消費者）。
@@ -301,6 +558,12 @@ class OverviewPageController extends EventHandlerClass {
       })
     }
 
+    if (this.elements.exportEncryptedJSONBtn) {
+      this.elements.exportEncryptedJSONBtn.addEventListener('click', () => {
+        this.handleExportEncryptedJSON()
+      })
+    }
+
     // 複製為文字按鈕（W6-012.7.3）：與 exportCSV/exportJSON 行為一致
     // selection-aware：透過 bookExporter.getFilteredBooks DI 自動尊重 selectedBookIds
     // （W6-012.7.2 已注入 selection-aware getter）
@@ -347,6 +610,46 @@ class OverviewPageController extends EventHandlerClass {
         this.handleSelectAllToggle()
       })
     }
+
+    // 檢視模式切換
+    const viewButtons = { tableViewBtn: CONSTANTS.VIEW.TABLE, gridViewBtn: CONSTANTS.VIEW.GRID }
+    Object.entries(viewButtons).forEach(([key, mode]) => {
+      if (this.elements[key]) {
+        this.elements[key].addEventListener('click', () => this.setViewMode(mode))
+      }
+    })
+
+    // 批次編輯列按鈕（狀態 / 標籤 / 刪除 / 復原）
+    this.bulkActions.bind()
+
+    // 已儲存檢視側欄（儲存 / 套用 / 刪除）
+    this.savedViews.bind()
+
+    // 閱讀統計面板開合
+    this.readingTimeline.bind()
+
+    // 重複書籍審核（連結 / 略過 / 取消連結）與展開版本切換
+    this.workLinks.bind()
+
+    // 排程更新設定（啟用 / 間隔 / 書城）
+    if (this.scheduledRefresh) {
+      this.scheduledRefresh.bind()
+    }
+
+    // 書目補齊啟用勾選
+    if (this.metadataEnrichment) {
+      this.metadataEnrichment.bind()
+    }
+
+    // 標籤管理面板（開合 / 搜尋 / 樹狀操作 / 拖曳 / 合併）
+    this.tagManager.bind()
+
+    // 自動標籤規則面板（開合 / 規則編輯 / 預覽與套用）
+    this.taggingRules.bind()
+    this.classificationReview.bind()
+
+    // 書籍詳情面板（關閉按鈕 / Esc）
+    this.bookEditor.bind()
   }
 
   /**
@@ -371,8 +674,9 @@ class OverviewPageController extends EventHandlerClass {
       displayedIds.forEach(id => this.selectedBookIds.add(id))
     }
 
-    this.renderBooksTable(this.filteredBooks)
+    this.renderBooks(this.filteredBooks, { preserveScrollPosition: true })
     this._syncHeaderCheckboxState()
+    this.bulkActions.render()
   }
 
   /**
@@ -389,6 +693,22 @@ class OverviewPageController extends EventHandlerClass {
     // 只 toggle 該 row 的視覺，不 re-render 整表（效能 + 不打斷使用者）
     this._updateRowSelectedClass(bookId)
     this._syncHeaderCheckboxState()
+    this.bulkActions.render()
+  }
+
+  /**
+   * 批次編輯寫入後重新載入書籍，並移除已不存在（被刪除）的選取
+   *
+   * @returns {Promise<void>}
+   * @private
+   */
+  async _handleBulkEditApplied () {
+    await this.loadBooksFromChromeStorage()
+    const existingIds = new Set(this.currentBooks.map(b => this._getBookId(b)))
+    this.selectedBookIds.forEach(id => {
+      if (!existingIds.has(id)) this.selectedBookIds.delete(id)
+    })
+    this._syncHeaderCheckboxState()
   }
 
   /**
@@ -419,6 +739,10 @@ class OverviewPageController extends EventHandlerClass {
    * @private
    */
   _updateRowSelectedClass (bookId) {
+    if (this.viewMode === CONSTANTS.VIEW.GRID && this.bookGrid) {
+      this.bookGrid.setSelected(bookId, this.selectedBookIds.has(bookId))
+      return
+    }
     if (!this.elements.tableBody) return
     const checkbox = this.elements.tableBody.querySelector(
       `input.row-checkbox[data-book-id="${bookId}"]`
@@ -475,13 +799,14 @@ class OverviewPageController extends EventHandlerClass {
     }
 
     try {
-      this.showLoading('從儲存載入書籍資料...')
+      this.showLoading(t('overview.messages.loadingFromStorage'))
 
       const result = await chrome.storage.local.get(['readmoo_books'])
+      const record = result.readmoo_books
 
-      if (result.readmoo_books && result.readmoo_books.books) {
-        const books = result.readmoo_books.books
-        const timestamp = result.readmoo_books.extractionTimestamp
+      if (record && (record.books || isLibraryHeader(record))) {
+        const books = await TagStorageAdapter.loadStoredBooks(record)
+        const timestamp = record.extractionTimestamp
 
         // Logger 後備方案: UI Component 資訊記錄
         // 設計理念: Overview 頁面載入時的關鍵資訊需要用戶可見
@@ -492,6 +817,8 @@ class OverviewPageController extends EventHandlerClass {
 
         this._updateBooksData(books)
         this.updateDisplay()
+        // 標籤名稱與分類供搜尋及標籤欄顯示；不阻塞書籍顯示
+        this.refreshTagData()
       } else {
         // Logger 後備方案: UI Component 狀態記錄
         // 設計理念: 空資料狀態需要明確記錄，便於使用者理解和開發者除錯
@@ -501,7 +828,7 @@ class OverviewPageController extends EventHandlerClass {
         console.log('Chrome Storage 中沒有書籍資料')
         this.hideLoading()
         // 顯示空資料狀態，但不顯示錯誤
-        this.renderBooksTable([])
+        this.renderBooks([])
       }
     } catch (error) {
       // Logger 後備方案: UI Component 關鍵錯誤記錄
@@ -510,10 +837,113 @@ class OverviewPageController extends EventHandlerClass {
       // 使用場景: 頁面核心功能無法運作時的錯誤追蹤
       // eslint-disable-next-line no-console
       console.error('[ERROR] 從 Chrome Storage 載入書籍資料失敗:', error)
-      this.showError('無法載入書籍資料: ' + error.message)
+      this.showError(t('overview.messages.loadFailed', { message: error.message }))
     }
   }
 
+  /**
+   * 依 IndexedDB header 變動重新讀取書籍並更新顯示
+   *
+   * @param {Object} header - readmoo_books header
+   * @private
+   */
+  async _reloadStoredBooks (header) {
+    try {
+      const books = await TagStorageAdapter.loadStoredBooks(header)
+      this._updateBooksData(books)
+      this.updateDisplay()
+    } catch (error) {
+      // eslint-disable-next-line no-console
+      console.warn('[WARNING] 讀取書庫失敗:', error)
+    }
+  }
+
+  /**
+   * 重新讀取標籤與分類，更新 tagMap / categoryMap
+   *
+   * 標籤名稱與分類路徑供搜尋索引及標籤欄顯示使用；讀取完成後若有資料變動則重新套用篩選。
+   * 讀取失敗不影響書籍顯示。
+   *
+   * @returns {Promise<void>}
+   */
+  async refreshTagData () {
+    try {
+      const { tags, tagCategories } = await this._loadTagData()
+      this._setTagData(tags, tagCategories)
+    } catch (error) {
+      // eslint-disable-next-line no-console
+      console.warn('[WARNING] 讀取標籤資料失敗:', error)
+    }
+  }
+
+  /**
+   * 套用 chrome.storage 的 tags / tag_categories 變動
+   *
+   * @param {Object} changes - chrome.storage.onChanged 的 changes
+   * @private
+   */
+  _applyTagDataChanges (changes) {
+    const tags = changes.tags ? changes.tags.newValue : [...this.tagMap.values()]
+    const tagCategories = changes.tag_categories ? changes.tag_categories.newValue : [...this.categoryMap.values()]
+    this._setTagData(tags, tagCategories)
+  }
+
+  /**
+   * 重建 tagMap / categoryMap，兩者原本皆為空且新資料也為空時不重新渲染
+   *
+   * @param {Array} tags
+   * @param {Array} tagCategories
+   * @private
+   */
+  _setTagData (tags, tagCategories) {
+    const tagList = Array.isArray(tags) ? tags : []
+    const categoryList = Array.isArray(tagCategories) ? tagCategories : []
+    const hadData = this.tagMap.size > 0 || this.categoryMap.size > 0
+
+    this.tagMap = new Map(tagList.filter(tag => tag && tag.id).map(tag => [tag.id, tag]))
+    this.categoryMap = new Map(categoryList.filter(category => category && category.id).map(category => [category.id, category]))
+
+    if (hadData || this.tagMap.size > 0 || this.categoryMap.size > 0) {
+      this.applyCurrentFilter()
+      // 檢視的 tag: / category: 條件依標籤名稱解析，標籤變動後重新計數
+      this.savedViews.refreshCounts()
+    }
+    this.bulkActions.render()
+    this.tagManager.render()
+    this.taggingRules.render()
+    this.classificationReview.render()
+  }
+
+  /**
+   * 標籤管理寫入後重新讀取標籤；合併或刪除標籤改動書籍時一併重新讀取書籍
+   *
+   * @param {boolean} booksChanged
+   * @returns {Promise<void>}
+   * @private
+   */
+  async _handleTagManagerApplied (booksChanged) {
+    await this.refreshTagData()
+    if (booksChanged) {
+      await this._handleBulkEditApplied()
+    }
+  }
+
+  /**
+   * 單本書編輯寫入後重新讀取書籍並套用目前篩選；建立了新標籤時先重新讀取標籤
+   *
+   * @param {boolean} tagsChanged
+   * @returns {Promise<void>}
+   * @private
+   */
+  async _handleBookEditApplied (tagsChanged) {
+    if (tagsChanged) {
+      await this.refreshTagData()
+    }
+    await this.loadBooksFromChromeStorage()
+    // 狀態與標籤可能不再符合目前篩選：依篩選條件重新計算顯示中的書籍
+    this.applyCurrentFilter()
+  }
+
   /**
    * 處理提取完成事件
    *
@@ -539,6 +969,8 @@ class OverviewPageController extends EventHandlerClass {
   handleBooksUpdate (eventData) {
     if (this._validateEventData(eventData, 'books')) {
       this._updateBooksData(eventData.books)
+      // 搜尋索引只更新新增 / 移除 / 內容變動的書，不整批重建
+      this.bookSearch.syncBooks(eventData.books)
       this.applyCurrentFilter()
     }
   }
@@ -554,10 +986,31 @@ class OverviewPageController extends EventHandlerClass {
    * - 更新統計資訊
    */
   handleSearchInput (searchTerm) {
-    this.searchTerm = searchTerm.toLowerCase().trim()
+    this.searchQuery = searchTerm.trim()
+    this.searchTerm = this.searchQuery.toLowerCase()
     this.applyCurrentFilter()
   }
 
+  /**
+   * 依搜尋框內容更新自動完成建議（datalist）
+   *
+   * 建議為補全後的完整查詢字串：欄位名稱、閱讀狀態、標籤名稱、分類與書城。
+   *
+   * @param {string} input - 搜尋框內容
+   */
+  updateSearchSuggestions (input) {
+    const datalist = this.elements.searchSuggestions
+    if (!datalist) return
+
+    datalist.textContent = ''
+    for (const suggestion of this.libraryQuery.suggest(input)) {
+      const option = this.document.createElement('option')
+      option.value = suggestion.value
+      option.label = suggestion.label
+      datalist.appendChild(option)
+    }
+  }
+
   /**
    * 設定 readingStatus 篩選條件
    *
@@ -591,36 +1044,178 @@ class OverviewPageController extends EventHandlerClass {
     this.applyCurrentFilter()
   }
 
+  // ========== 已儲存檢視 ==========
+
+  /**
+   * 取得目前完整的篩選狀態（搜尋框查詢、閱讀狀態、Tag 篩選與排序）
+   *
+   * @returns {Object} SavedViewFilter
+   */
+  getFilterState () {
+    return normalizeSavedViewFilter({
+      query: this.searchQuery,
+      readingStatus: this.statusFilter,
+      tagIds: this.tagFilterState.selectedTagIds,
+      tagMode: this.tagFilterState.mode,
+      sortKey: this.elements.sortSelect ? this.elements.sortSelect.value : CONSTANTS.SEARCH.DEFAULT_SORT,
+      sortDirection: this.elements.sortDirection ? this.elements.sortDirection.value : 'asc'
+    })
+  }
+
+  /**
+   * 還原已儲存檢視的篩選狀態
+   *
+   * 搜尋框與排序選單同步顯示檢視的值；閱讀狀態與 Tag 篩選同 setStatusFilter / setTagFilter，
+   * 全部設定完成後只套用一次篩選。
+   *
+   * @param {Object} filter - SavedViewFilter
+   */
+  applyFilterState (filter) {
+    const state = normalizeSavedViewFilter(filter)
+    if (this.elements.searchBox) this.elements.searchBox.value = state.query
+    if (this.elements.sortSelect) this.elements.sortSelect.value = state.sortKey
+    if (this.elements.sortDirection) this.elements.sortDirection.value = state.sortDirection
+    this.searchQuery = state.query
+    this.searchTerm = state.query.toLowerCase()
+    this.statusFilter = state.readingStatus
+    this.setTagFilter(new Set(state.tagIds), state.tagMode)
+  }
+
+  /**
+   * 計算符合篩選狀態的書籍數（已儲存檢視的即時計數）
+   *
+   * @param {Object} filter - SavedViewFilter
+   * @returns {number|null} 查詢語法有錯誤時為 null
+   */
+  countBooksMatching (filter) {
+    const state = normalizeSavedViewFilter(filter)
+    if (state.query) {
+      this.bookSearch.syncBooks(this.currentBooks)
+    }
+    const result = this.libraryQuery.run(this.currentBooks, {
+      query: state.query,
+      readingStatus: state.readingStatus,
+      tagIds: state.tagIds,
+      tagMode: state.tagMode
+    })
+    return result.errors.length > 0 ? null : this.workLinks.collapse(result.books).length
+  }
+
+  /**
+   * 讀取已儲存檢視並顯示於側欄（讀取失敗不影響書籍顯示）
+   *
+   * @returns {Promise<void>}
+   */
+  async loadSavedViews () {
+    try {
+      await this.savedViews.load()
+    } catch (error) {
+      // eslint-disable-next-line no-console
+      console.warn('[WARNING] 讀取已儲存檢視失敗:', error)
+    }
+  }
+
+  /**
+   * 讀取進度歷程並顯示閱讀統計（讀取失敗不影響書籍顯示）
+   *
+   * @returns {Promise<void>}
+   */
+  async loadProgressHistory () {
+    try {
+      await this.readingTimeline.load()
+    } catch (error) {
+      // eslint-disable-next-line no-console
+      console.warn('[WARNING] 讀取進度歷程失敗:', error)
+    }
+  }
+
+  /**
+   * 讀取作品連結並合併顯示同一作品的版本（讀取失敗時各版本分開顯示）
+   *
+   * @returns {Promise<void>}
+   */
+  async loadBookWorks () {
+    try {
+      await this.workLinks.load()
+    } catch (error) {
+      // eslint-disable-next-line no-console
+      console.warn('[WARNING] 讀取作品連結失敗:', error)
+    }
+  }
+
+  /**
+   * 取回同一瀏覽器工作階段內的批次編輯復原紀錄（讀取失敗時不顯示復原按鈕）
+   *
+   * @returns {Promise<void>}
+   */
+  async loadBulkUndo () {
+    try {
+      await this.bulkActions.load()
+    } catch (error) {
+      // eslint-disable-next-line no-console
+      console.warn('[WARNING] 讀取批次編輯復原紀錄失敗:', error)
+    }
+  }
+
+  /**
+   * 讀取排程更新設定與上次執行摘要（讀取失敗時顯示預設設定）
+   *
+   * @returns {Promise<void>}
+   */
+  async loadScheduledRefresh () {
+    if (!this.scheduledRefresh) return
+    try {
+      await this.scheduledRefresh.load()
+    } catch (error) {
+      // eslint-disable-next-line no-console
+      console.warn('[WARNING] 讀取排程更新設定失敗:', error)
+    }
+  }
+
+  /**
+   * 讀取書目補齊設定與進度（讀取失敗時顯示預設設定）
+   *
+   * @returns {Promise<void>}
+   */
+  async loadMetadataEnrichment () {
+    if (!this.metadataEnrichment) return
+    try {
+      await this.metadataEnrichment.load()
+    } catch (error) {
+      // eslint-disable-next-line no-console
+      console.warn('[WARNING] 讀取書目補齊設定失敗:', error)
+    }
+  }
+
   /**
    * 應用當前篩選條件
    *
-   * 篩選管線：狀態篩選 → Tag 篩選 → 文字搜尋 → 排序
+   * 狀態篩選列、Tag 篩選列與搜尋框查詢語法編譯為同一條篩選管線（OverviewLibraryQuery），再排序。
+   *
+   * 查詢語法支援欄位條件（status: / tag: / author: / progress:>50 ...）、否定、OR 與括號；
+   * 全文字詞比對書名、作者、出版社、標籤名稱與分類路徑並容忍錯字。
+   * 排序為「相關度」時依全文搜尋評分排序（不受升降冪影響），無全文字詞則退回書名排序。
+   * 查詢有錯誤時於搜尋框下方顯示，查詢本身不套用。
+   * 篩選以各版本比對後再依作品合併（任一版本符合即顯示該作品），作品的相關度取其版本的最佳名次。
    */
   applyCurrentFilter () {
-    // 狀態篩選
-    const statusFiltered = this.statusFilter
-      ? this.currentBooks.filter(book => book.readingStatus === this.statusFilter)
-      : [...this.currentBooks]
-
-    // Tag 篩選
-    const tagFiltered = this.tagFilterState.selectedTagIds.size === 0
-      ? statusFiltered
-      : statusFiltered.filter(book => {
-        const bookTagIds = book.tagIds || []
-        if (bookTagIds.length === 0) return false
-        if (this.tagFilterState.mode === 'and') {
-          return [...this.tagFilterState.selectedTagIds].every(id => bookTagIds.includes(id))
-        }
-        return bookTagIds.some(id => this.tagFilterState.selectedTagIds.has(id))
-      })
+    if (this.searchQuery) {
+      this.bookSearch.syncBooks(this.currentBooks)
+    }
 
-    // 文字搜尋
-    const base = !this.searchTerm
-      ? tagFiltered
-      : tagFiltered.filter(book => book.title && book.title.toLowerCase().includes(this.searchTerm))
+    const result = this.libraryQuery.run(this.currentBooks, {
+      query: this.searchQuery,
+      readingStatus: this.statusFilter,
+      tagIds: this.tagFilterState.selectedTagIds,
+      tagMode: this.tagFilterState.mode
+    })
+    const base = this.workLinks.collapse(result.books)
+    const relevanceRank = this._rankCollapsedBooks(base, result.relevance)
+    this.searchHighlightQuery = result.highlightQuery
+    this._renderSearchErrors(result.errors)
 
     // 排序
-    const sortKey = this.elements.sortSelect ? this.elements.sortSelect.value : 'title'
+    const sortKey = this.elements.sortSelect ? this.elements.sortSelect.value : CONSTANTS.SEARCH.DEFAULT_SORT
     const direction = this.elements.sortDirection ? this.elements.sortDirection.value : 'asc'
     const sign = direction === 'desc' ? -1 : 1
 
@@ -628,7 +1223,10 @@ class OverviewPageController extends EventHandlerClass {
     const getSource = (b) => this._formatBookSource(b)
 
     const compare = (a, b) => {
-      if (sortKey === 'title') {
+      if (sortKey === CONSTANTS.SEARCH.DEFAULT_SORT && relevanceRank) {
+        return relevanceRank.get(a) - relevanceRank.get(b)
+      }
+      if (sortKey === 'title' || sortKey === CONSTANTS.SEARCH.DEFAULT_SORT) {
         return normalizeTitle(a.title).localeCompare(normalizeTitle(b.title)) * sign
       }
       if (sortKey === 'progress') {
@@ -642,8 +1240,26 @@ class OverviewPageController extends EventHandlerClass {
       return 0
     }
 
-    this.filteredBooks = base.sort(compare)
+    this.filteredBooks = [...base].sort(compare)
     this.updateDisplay()
+    this.savedViews.render()
+  }
+
+  /**
+   * 作品代表書籍為新物件，相關度名次改以其符合版本中的最佳名次
+   *
+   * @param {Array<Object>} books - 合併後的書籍
+   * @param {Map<Object, number>|null} relevance - 以版本物件為鍵的名次
+   * @returns {Map<Object, number>|null}
+   * @private
+   */
+  _rankCollapsedBooks (books, relevance) {
+    if (!relevance) return relevance
+    return new Map(books.map(book => {
+      if (!Array.isArray(book.editions)) return [book, relevance.get(book)]
+      const ranks = book.editions.map(edition => relevance.get(edition)).filter(rank => rank !== undefined)
+      return [book, Math.min(...ranks)]
+    }))
   }
 
   // ========== Tag 顯示方法 ==========
@@ -687,7 +1303,7 @@ class OverviewPageController extends EventHandlerClass {
    */
   updateDisplay () {
     this.updateStatistics(this.filteredBooks)
-    this.renderBooksTable(this.filteredBooks)
+    this.renderBooks(this.filteredBooks)
     this.hideLoading()
     this.hideError()
   }
@@ -711,6 +1327,75 @@ class OverviewPageController extends EventHandlerClass {
     }
   }
 
+  /**
+   * 依目前檢視模式渲染書籍（表格或封面網格）
+   *
+   * @param {Array} books - 要顯示的書籍陣列
+   * @param {Object} [options]
+   * @param {boolean} [options.preserveScrollPosition] - 網格保留捲動位置（選取變動時）
+   */
+  renderBooks (books, options = {}) {
+    if (this.viewMode === CONSTANTS.VIEW.GRID && this.bookGrid) {
+      this.bookGrid.render(books, options)
+      return
+    }
+    this.renderBooksTable(books)
+  }
+
+  /**
+   * 切換表格 / 封面網格檢視
+   *
+   * 兩種檢視共用 filteredBooks（篩選、排序）與 selectedBookIds；切換後依目前結果重新渲染。
+   * 頁面沒有網格容器時忽略切換至網格。
+   *
+   * @param {string} mode - CONSTANTS.VIEW.TABLE 或 CONSTANTS.VIEW.GRID
+   * @param {Object} [options]
+   * @param {boolean} [options.persist=true] - 是否寫入偏好設定
+   * @returns {Promise<void>}
+   */
+  async setViewMode (mode, { persist = true } = {}) {
+    const { TABLE, GRID, PREFERENCES_KEY } = CONSTANTS.VIEW
+    if (mode !== TABLE && mode !== GRID) return
+    if (mode === GRID && !this.bookGrid) return
+
+    this.viewMode = mode
+    const isGrid = mode === GRID
+    if (this.elements.booksTable) this.elements.booksTable.hidden = isGrid
+    if (this.elements.bookGridViewport) this.elements.bookGridViewport.hidden = !isGrid
+    if (this.elements.tableViewBtn) this.elements.tableViewBtn.setAttribute('aria-pressed', String(!isGrid))
+    if (this.elements.gridViewBtn) this.elements.gridViewBtn.setAttribute('aria-pressed', String(isGrid))
+    this.renderBooks(this.filteredBooks)
+
+    if (!persist || typeof chrome === 'undefined' || !chrome.storage) return
+    try {
+      const stored = (await chrome.storage.local.get([PREFERENCES_KEY])) || {}
+      await chrome.storage.local.set({ [PREFERENCES_KEY]: { ...stored[PREFERENCES_KEY], viewMode: mode } })
+    } catch (error) {
+      // eslint-disable-next-line no-console
+      console.warn('[WARNING] 儲存檢視偏好失敗:', error)
+    }
+  }
+
+  /**
+   * 讀取檢視偏好並套用（頁面初始化、載入書籍前呼叫）
+   *
+   * @returns {Promise<void>}
+   */
+  async loadViewPreference () {
+    if (typeof chrome === 'undefined' || !chrome.storage) return
+    try {
+      const { PREFERENCES_KEY } = CONSTANTS.VIEW
+      const stored = (await chrome.storage.local.get([PREFERENCES_KEY])) || {}
+      const preferences = stored[PREFERENCES_KEY]
+      if (preferences && preferences.viewMode) {
+        await this.setViewMode(preferences.viewMode, { persist: false })
+      }
+    } catch (error) {
+      // eslint-disable-next-line no-console
+      console.warn('[WARNING] 讀取檢視偏好失敗:', error)
+    }
+  }
+
   /**
    * 渲染書籍表格
    *
@@ -734,6 +1419,7 @@ class OverviewPageController extends EventHandlerClass {
 
     this.renderBookRows(books)
     this._syncHeaderCheckboxState()
+    this.bookEditor.restoreFocus()
   }
 
   /**
@@ -758,6 +1444,11 @@ class OverviewPageController extends EventHandlerClass {
     books.forEach(book => {
       const row = this.createBookRow(book)
       this.elements.tableBody.appendChild(row)
+      // 重新渲染（例如列內編輯寫入後）時還原展開列
+      const mode = this.expandedRows.get(this._getBookId(book))
+      if (mode) {
+        this._toggleTagExpandRow(row, book, row.querySelector('.expand-toggle-btn'), mode)
+      }
     })
   }
 
@@ -785,7 +1476,7 @@ class OverviewPageController extends EventHandlerClass {
       checkbox.type = 'checkbox'
       checkbox.className = 'row-checkbox'
       checkbox.setAttribute('data-book-id', bookId)
-      checkbox.setAttribute('aria-label', '選取此書')
+      checkbox.setAttribute('aria-label', t('overview.table.selectBook'))
       if (this.selectedBookIds.has(bookId)) {
         checkbox.checked = true
         row.classList.add('row-selected')
@@ -806,7 +1497,7 @@ class OverviewPageController extends EventHandlerClass {
       if (isSafeUrl) {
         const img = this.document.createElement('img')
         img.src = book.cover
-        img.alt = '封面'
+        img.alt = t('overview.table.columns.cover')
         img.style.width = `${CONSTANTS.TABLE.COVER_SIZE.WIDTH}px`
         img.style.height = `${CONSTANTS.TABLE.COVER_SIZE.HEIGHT}px`
         img.style.objectFit = 'cover'
@@ -822,7 +1513,14 @@ class OverviewPageController extends EventHandlerClass {
     // title, author, source, progress 欄位：使用 textContent 自動逸出
     const titleCell = this.document.createElement('td')
     titleCell.className = 'book-title-cell'
-    titleCell.textContent = rowData.title
+    this._appendHighlightedText(titleCell, rowData.title)
+    // 作品代表書籍：標示合併顯示的版本數
+    if (Array.isArray(book.editions)) {
+      const editionBadge = this.document.createElement('span')
+      editionBadge.className = 'edition-count-badge'
+      editionBadge.textContent = WORK_LINKS_DISPLAY.EDITION_COUNT(book.editions.length)
+      titleCell.appendChild(editionBadge)
+    }
     row.appendChild(titleCell)
 
     // author 欄位（W1-061.2）：authors=[] 時顯示 placeholder + tooltip 提示 source limitation
@@ -835,7 +1533,7 @@ class OverviewPageController extends EventHandlerClass {
       authorCell.setAttribute('title', CONSTANTS.TABLE.AUTHOR_TOOLTIP)
       authorCell.setAttribute('data-source-limited', 'authors')
     } else {
-      authorCell.textContent = rowData.authors
+      this._appendHighlightedText(authorCell, rowData.authors)
     }
     row.appendChild(authorCell)
 
@@ -850,6 +1548,9 @@ class OverviewPageController extends EventHandlerClass {
     // status 欄位：badge HTML 由內部生成（_formatBookRowData），非使用者輸入
     const statusCell = this.document.createElement('td')
     statusCell.innerHTML = rowData.status
+    if (book.readingStatus) {
+      statusCell.appendChild(this.bookEditor.createStatusMode(book))
+    }
     row.appendChild(statusCell)
 
     // 展開按鈕欄位：點擊切換標籤展開行
@@ -857,7 +1558,7 @@ class OverviewPageController extends EventHandlerClass {
     expandCell.className = 'expand-col'
     const expandBtn = this.document.createElement('button')
     expandBtn.className = 'expand-toggle-btn'
-    expandBtn.setAttribute('aria-label', '展開標籤')
+    expandBtn.setAttribute('aria-label', t('overview.tags.expand'))
     expandBtn.textContent = ''
     expandBtn.classList.add('expand-toggle-btn--collapsed')
     expandBtn.addEventListener('click', (e) => {
@@ -865,6 +1566,17 @@ class OverviewPageController extends EventHandlerClass {
       this._toggleTagExpandRow(row, book, expandBtn)
     })
     expandCell.appendChild(expandBtn)
+    if (bookId) {
+      const detailBtn = this.document.createElement('button')
+      detailBtn.className = 'book-detail-btn'
+      detailBtn.setAttribute('aria-label', t('overview.bookEditor.openDetails'))
+      detailBtn.title = t('overview.bookEditor.openDetails')
+      detailBtn.addEventListener('click', (e) => {
+        e.stopPropagation()
+        this.bookEditor.open(bookId)
+      })
+      expandCell.appendChild(detailBtn)
+    }
     row.appendChild(expandCell)
 
     row.dataset.expanded = 'false'
@@ -873,10 +1585,17 @@ class OverviewPageController extends EventHandlerClass {
   }
 
   /**
+   * 切換書籍的標籤展開列
+   *
+   * @param {HTMLElement} row - 書籍資料行
+   * @param {Object} book
+   * @param {HTMLElement} toggleBtn - 展開按鈕
+   * @param {string} [mode='view'] - 展開時的內容：'view' 顯示標籤 chips，'edit' 顯示列內編輯器
    * @private
    */
-  _toggleTagExpandRow (row, book, toggleBtn) {
+  _toggleTagExpandRow (row, book, toggleBtn, mode = 'view') {
     const isExpanded = row.dataset.expanded === 'true'
+    const bookId = this._getBookId(book)
 
     if (isExpanded) {
       const expandRow = row.nextElementSibling
@@ -884,26 +1603,64 @@ class OverviewPageController extends EventHandlerClass {
         expandRow.remove()
       }
       row.dataset.expanded = 'false'
+      this.expandedRows.delete(bookId)
       toggleBtn.textContent = ''
       toggleBtn.classList.remove('expand-toggle-btn--expanded')
       toggleBtn.classList.add('expand-toggle-btn--collapsed')
-      toggleBtn.setAttribute('aria-label', '展開標籤')
+      toggleBtn.setAttribute('aria-label', t('overview.tags.expand'))
     } else {
       const expandRow = this.document.createElement('tr')
       expandRow.className = 'tag-expand-row'
       const expandTd = this.document.createElement('td')
       expandTd.setAttribute('colspan', CONSTANTS.TABLE.COLUMNS)
-      const tagCell = this.tagCellRenderer.createTagCell(book.tagIds || [])
-      while (tagCell.firstChild) {
-        expandTd.appendChild(tagCell.firstChild)
-      }
+      this._renderTagExpandContent(expandTd, book, mode)
       expandRow.appendChild(expandTd)
       row.parentNode.insertBefore(expandRow, row.nextSibling)
       row.dataset.expanded = 'true'
+      if (bookId) this.expandedRows.set(bookId, mode)
       toggleBtn.textContent = ''
       toggleBtn.classList.remove('expand-toggle-btn--collapsed')
       toggleBtn.classList.add('expand-toggle-btn--expanded')
-      toggleBtn.setAttribute('aria-label', '收合標籤')
+      toggleBtn.setAttribute('aria-label', t('overview.tags.collapse'))
+    }
+  }
+
+  /**
+   * 填入展開列內容：檢視模式為標籤 chips 與「編輯」按鈕，編輯模式為列內編輯器
+   *
+   * @param {HTMLElement} expandTd
+   * @param {Object} book
+   * @param {string} mode - 'view' 或 'edit'
+   * @private
+   */
+  _renderTagExpandContent (expandTd, book, mode) {
+    const bookId = this._getBookId(book)
+    const setMode = (next) => {
+      this.expandedRows.set(bookId, next)
+      this._renderTagExpandContent(expandTd, book, next)
+    }
+    expandTd.replaceChildren()
+
+    if (mode === 'edit' && bookId) {
+      expandTd.appendChild(this.bookEditor.createEditor(book, 'row', { onDone: () => setMode('view') }))
+      return
+    }
+
+    const tagCell = this.tagCellRenderer.createTagCell(book.tagIds || [])
+    while (tagCell.firstChild) {
+      expandTd.appendChild(tagCell.firstChild)
+    }
+    if (bookId) {
+      const editBtn = this.document.createElement('button')
+      editBtn.className = 'book-edit-btn'
+      editBtn.textContent = t('overview.bookEditor.edit')
+      editBtn.addEventListener('click', (e) => {
+        e.stopPropagation()
+        setMode('edit')
+        const input = expandTd.querySelector('.book-tag-input')
+        if (input) input.focus()
+      })
+      expandTd.appendChild(editBtn)
     }
   }
 
@@ -976,31 +1733,81 @@ class OverviewPageController extends EventHandlerClass {
    *
    * 與 v2 路徑差異：v3 為 everything-as-tags，tagTree 由 book 物件自身欄位衍生，
    * 不需另傳 storage 的 tags/tagCategories 頂層區段，故無 _loadTagData 步驟。
+   * 已儲存檢視（側欄已載入的清單）附於 root.savedViews。
+   * 作品代表書籍展開為各版本，作品連結附於 root.works，匯入後可還原合併顯示。
    * selection-aware：透過 _getBooksForExport() 尊重 selectedBookIds。
    *
    * @returns {Promise<void>}
    */
   async handleExportJSONv3 () {
-    const books = this._getBooksForExport()
+    const books = this.workLinks.expandEditions(this._getBooksForExport())
     if (!books || books.length === 0) {
       alert(CONSTANTS.MESSAGES.NO_DATA_EXPORT)
       return
     }
 
     try {
-      const exporter = new BookDataExporter(books)
-      const json = exporter.exportToJSON({
-        formatVersion: CONSTANTS.EXPORT_V3.FORMAT_VERSION
-      })
-      this._triggerExportDownload(json, 'json', CONSTANTS.EXPORT_V3.JSON_MIME)
+      this._triggerExportDownload(this._buildExportJSONv3(books), 'json', CONSTANTS.EXPORT_V3.JSON_MIME)
     } catch (error) {
       // 匯出失敗（序列化或 canonical 映射錯誤，如書缺 id/title）須讓使用者可見
       // eslint-disable-next-line no-console
       console.error('[ERROR] v3 canonical JSON 匯出失敗:', error)
-      this.showError('JSON 匯出失敗: ' + (error && error.message ? error.message : error))
+      this.showError(t('overview.messages.exportFailed', { format: 'JSON', message: error && error.message ? error.message : error }))
+    }
+  }
+
+  /**
+   * 處理加密 JSON 匯出
+   *
+   * 內容與 handleExportJSONv3 相同，經 encryptSyncFile（gzip → AES-256-GCM → base64）包成加密同步檔；
+   * popup 匯入時偵測為加密檔並詢問同一組密碼。密碼須輸入兩次一致才匯出，
+   * 避免打錯字後檔案無法還原；取消任一次輸入即不匯出。
+   *
+   * @returns {Promise<void>}
+   */
+  async handleExportEncryptedJSON () {
+    const books = this.workLinks.expandEditions(this._getBooksForExport())
+    if (!books || books.length === 0) {
+      alert(CONSTANTS.MESSAGES.NO_DATA_EXPORT)
+      return
+    }
+
+    const view = this.document.defaultView
+    const passphrase = view.prompt(CONSTANTS.MESSAGES.EXPORT_PASSPHRASE_PROMPT, '')
+    if (!passphrase) return
+    const confirmation = view.prompt(CONSTANTS.MESSAGES.EXPORT_PASSPHRASE_CONFIRM, '')
+    if (confirmation === null) return
+    if (confirmation !== passphrase) {
+      this.showError(CONSTANTS.MESSAGES.EXPORT_PASSPHRASE_MISMATCH)
+      return
+    }
+
+    try {
+      const content = await encryptSyncFile(this._buildExportJSONv3(books), passphrase)
+      this._triggerExportDownload(content, 'json', CONSTANTS.EXPORT_V3.JSON_MIME, CONSTANTS.EXPORT_V3.ENCRYPTED_FILENAME_PREFIX)
+    } catch (error) {
+      // eslint-disable-next-line no-console
+      console.error('[ERROR] 加密 JSON 匯出失敗:', error)
+      this.showError(t('overview.messages.exportFailed', { format: 'JSON', message: error && error.message ? error.message : error }))
     }
   }
 
+  /**
+   * 產生 v3 canonical JSON（一般與加密匯出共用）
+   *
+   * @param {Array<Object>} books - 已展開版本的匯出書籍
+   * @returns {string}
+   */
+  _buildExportJSONv3 (books) {
+    const exporter = new BookDataExporter(books)
+    // 已儲存檢視隨書庫一併匯出（root.savedViews），匯入時依 id 合併
+    return exporter.exportToJSON({
+      formatVersion: CONSTANTS.EXPORT_V3.FORMAT_VERSION,
+      savedViews: this.savedViews.getViews(),
+      works: this.workLinks.getWorks()
+    })
+  }
+
   // ========== v2 CSV 匯出方法（委派至 BookDataExporter，Interchange Format v2） ==========
   // 註：v2 JSON 匯出方法（handleExportJSONv2）已於 W4-007 移除（v3 為唯一 JSON 匯出入口，
   // reality-test 確認 v2 JSON 無前向消費者）。CSV v2 仍為 spreadsheet 受眾的主要匯出格式，保留。
@@ -1036,7 +1843,35 @@ class OverviewPageController extends EventHandlerClass {
     } catch (error) {
       // eslint-disable-next-line no-console
       console.error('[ERROR] v2 CSV 匯出失敗:', error)
-      this.showError('CSV 匯出失敗: ' + (error && error.message ? error.message : error))
+      this.showError(t('overview.messages.exportFailed', { format: 'CSV', message: error && error.message ? error.message : error }))
+    }
+  }
+
+  /**
+   * 處理閱讀服務 CSV 匯出（Goodreads / StoryGraph）
+   *
+   * 書架 / 標籤 / 評分由 tagIds 解析，需讀取 storage 的 tags / tagCategories；
+   * selection-aware：透過 _getBooksForExport() 尊重 selectedBookIds。
+   *
+   * @param {string} service - READING_SERVICES 之一
+   * @returns {Promise<void>}
+   */
+  async handleExportReadingServiceCSV (service) {
+    const books = this._getBooksForExport()
+    if (!books || books.length === 0) {
+      alert(CONSTANTS.MESSAGES.NO_DATA_EXPORT)
+      return
+    }
+
+    try {
+      const { tags, tagCategories } = await this._loadTagData()
+      const exporter = new BookDataExporter(books)
+      const csv = exporter.exportToCSV({ readingService: service, tags, tagCategories })
+      this._triggerExportDownload(csv, 'csv', CONSTANTS.EXPORT_V2.CSV_MIME, `${service}_`)
+    } catch (error) {
+      // eslint-disable-next-line no-console
+      console.error(`[ERROR] ${SERVICE_LABELS[service]} CSV 匯出失敗:`, error)
+      this.showError(t('overview.messages.exportFailed', { format: `${SERVICE_LABELS[service]} CSV`, message: error && error.message ? error.message : error }))
     }
   }
 
@@ -1089,11 +1924,12 @@ class OverviewPageController extends EventHandlerClass {
    * @param {string} content - 檔案內容
    * @param {string} extension - 副檔名（不含點，如 'json' / 'csv'）
    * @param {string} mimeType - MIME 類型
+   * @param {string} [filenamePrefix] - 檔名前綴，預設 EXPORT_V2.FILENAME_PREFIX
    */
-  _triggerExportDownload (content, extension, mimeType) {
+  _triggerExportDownload (content, extension, mimeType, filenamePrefix = CONSTANTS.EXPORT_V2.FILENAME_PREFIX) {
     const blob = new Blob([content], { type: mimeType })
     const date = new Date().toISOString().slice(0, 10)
-    const filename = `${CONSTANTS.EXPORT_V2.FILENAME_PREFIX}${date}.${extension}`
+    const filename = `${filenamePrefix}${date}.${extension}`
 
     const link = this.document.createElement('a')
     const url = URL.createObjectURL(blob)
@@ -1192,7 +2028,11 @@ class OverviewPageController extends EventHandlerClass {
    */
   _updateBooksData (books) {
     this.currentBooks = books
-    this.filteredBooks = [...books]
+    this.filteredBooks = this.workLinks.collapse([...books])
+    this.savedViews.refreshCounts()
+    this.readingTimeline.render()
+    this.workLinks.renderReview()
+    this.tagManager.render()
   }
 
   /**
@@ -1240,6 +2080,32 @@ class OverviewPageController extends EventHandlerClass {
     return emptyRow
   }
 
+  /**
+   * 將文字寫入儲存格，搜尋中時以 <mark> 標示匹配片段
+   *
+   * 片段一律以 textContent 寫入，儲存格的 textContent 與未標示時相同。
+   *
+   * @param {HTMLElement} cell - 目標儲存格
+   * @param {string} text - 顯示文字
+   * @private
+   */
+  _appendHighlightedText (cell, text) {
+    if (!this.searchHighlightQuery) {
+      cell.textContent = text
+      return
+    }
+    for (const segment of this.bookSearch.highlight(text, this.searchHighlightQuery)) {
+      if (segment.matched) {
+        const mark = this.document.createElement('mark')
+        mark.className = CONSTANTS.SEARCH.HIGHLIGHT_CLASS
+        mark.textContent = segment.text
+        cell.appendChild(mark)
+      } else {
+        cell.appendChild(this.document.createTextNode(segment.text))
+      }
+    }
+  }
+
   /**
    * 格式化書籍行資料
    * @private
@@ -1253,20 +2119,20 @@ class OverviewPageController extends EventHandlerClass {
     // - Array 空 / undefined / null：標記為 missing，由 createBookRow 顯示 placeholder + tooltip
     const authorsArray = Array.isArray(book.authors) ? book.authors : []
     const authorIsMissing = authorsArray.length === 0
-    const authors = authorIsMissing ? '' : authorsArray.join('、')
+    const authors = authorIsMissing ? '' : formatList(authorsArray)
 
     return {
       cover: book.cover
-        ? `<img src="${book.cover}" alt="封面" style="width: ${WIDTH}px; height: ${HEIGHT}px; object-fit: cover;">`
+        ? `<img src="${book.cover}" alt="${t('overview.table.columns.cover')}" style="width: ${WIDTH}px; height: ${HEIGHT}px; object-fit: cover;">`
         : CONSTANTS.TABLE.DEFAULT_COVER,
-      title: book.title || '未知書名',
+      title: book.title || t('overview.table.unknownTitle'),
       authors,
       authorIsMissing,
       source: this._formatBookSource(book),
       progress: book.progress ? `${book.progress}%` : '-',
       status: readingStatus
         ? `<span class="reading-status-badge" data-status="${readingStatus}">${readingStatus}</span>`
-        : (book.status || '未知')
+        : (book.status || t('common.unknown'))
     }
   }
 
@@ -1307,11 +2173,38 @@ class OverviewPageController extends EventHandlerClass {
    */
   _resetSearchState () {
     this.searchTerm = ''
+    this.searchQuery = ''
+    this.searchHighlightQuery = ''
+    this._renderSearchErrors([])
     if (this.elements.searchBox) {
       this.elements.searchBox.value = ''
     }
   }
 
+  /**
+   * 於搜尋框下方顯示查詢錯誤
+   *
+   * @param {Array<{ message: string, start: number, end: number }>} errors - 查詢錯誤，空陣列表示清除
+   * @private
+   */
+  _renderSearchErrors (errors) {
+    this.searchErrors = errors
+    const { searchBox, searchQueryError } = this.elements
+    const [first] = errors
+
+    if (searchBox && typeof searchBox.setAttribute === 'function') {
+      if (first) {
+        searchBox.setAttribute('aria-invalid', 'true')
+      } else {
+        searchBox.removeAttribute('aria-invalid')
+      }
+    }
+    if (searchQueryError) {
+      searchQueryError.textContent = first ? t('overview.query.errorPosition', { message: first.message, position: first.start + 1 }) : ''
+      searchQueryError.hidden = !first
+    }
+  }
+
   /**
    * 發送儲存載入請求
    * @private
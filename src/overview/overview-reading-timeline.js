@@ -0,0 +1,204 @@
+'use strict'
+
+const { computeReadingStatistics, normalizeProgressHistory } = require('src/data-management/ProgressHistorySchema')
+const { t, formatDate, defineLocalizedText } = require('src/core/i18n/ui-i18n')
+
+/**
+ * 閱讀統計面板顯示常數
+ */
+const TIMELINE_DISPLAY = defineLocalizedText({
+  EMPTY: 'overview.timeline.empty',
+  SHOW: 'overview.timeline.show',
+  HIDE: 'overview.timeline.hide',
+  // month 為 YYYY-MM、weekStart 為 YYYY-MM-DD（UTC 日期），以 UTC 格式化避免時區位移
+  MONTH_LABEL: month => formatDate(Date.UTC(Number(month.slice(0, 4)), Number(month.slice(5)) - 1, 1), { year: 'numeric', month: 'long', timeZone: 'UTC' }),
+  WEEK_LABEL: weekStart => t('overview.timeline.weekLabel', {
+    date: formatDate(`${weekStart}T00:00:00Z`, { month: '2-digit', day: '2-digit', timeZone: 'UTC' })
+  }),
+  FINISHED: count => t('overview.timeline.finished', { count }),
+  PROGRESS: ({ percent, pages }) => (pages > 0
+    ? t('overview.timeline.progressPages', { pages, percent })
+    : t('overview.timeline.progressPercent', { percent })),
+  DAYS: days => t('overview.timeline.days', { count: days })
+}, {
+  MONTHS: 12,
+  WEEKS: 12,
+  DURATIONS: 10
+})
+
+/**
+ * 建立 OverviewReadingTimeline 實例
+ *
+ * 負責功能：
+ * - 讀取 progress_history（提取 / 匯入時記錄的進度歷程）
+ * - 顯示每月讀完本數、每週推進進度（有 pageCount 的書換算頁數）、每本書由閱讀中到讀完的天數
+ * - 統計面板開合
+ *
+ * 書名與頁數取自目前書庫，控制器於書籍變動時呼叫 render。
+ *
+ * @param {Object} deps - 依賴注入
+ * @param {Document} deps.document - DOM 文檔物件
+ * @param {Object} deps.elements - 控制器的元素快取（readingTimelinePanel 等）
+ * @param {Object} deps.tagStorageAdapter - 模組參考，需含 getProgressHistory
+ * @param {Function} deps.getBooks - () => Array，目前書庫
+ * @returns {Object} OverviewReadingTimeline
+ */
+function createOverviewReadingTimeline (deps) {
+  if (!deps || typeof deps !== 'object') {
+    throw new TypeError('createOverviewReadingTimeline requires deps object')
+  }
+  for (const key of ['document', 'elements', 'tagStorageAdapter']) {
+    if (!deps[key]) {
+      throw new TypeError(`deps.${key} is required`)
+    }
+  }
+  if (typeof deps.getBooks !== 'function') {
+    throw new TypeError('deps.getBooks must be a function')
+  }
+
+  const { document: doc, elements, tagStorageAdapter } = deps
+  let history = {}
+
+  function createEmptyItem () {
+    const empty = doc.createElement('li')
+    empty.className = 'timeline-empty'
+    empty.textContent = TIMELINE_DISPLAY.EMPTY
+    return empty
+  }
+
+  /**
+   * 長條列：標籤、依最大值比例的長條、數值
+   */
+  function renderBars (list, rows, maxValue) {
+    if (!list) return
+    if (rows.length === 0) {
+      list.replaceChildren(createEmptyItem())
+      return
+    }
+    list.replaceChildren(...rows.map(row => {
+      const item = doc.createElement('li')
+      item.className = 'timeline-bar'
+      const label = doc.createElement('span')
+      label.className = 'timeline-bar-label'
+      label.textContent = row.label
+      const bar = doc.createElement('span')
+      bar.className = 'timeline-bar-fill'
+      bar.style.width = `${maxValue > 0 ? Math.round(row.value / maxValue * 100) : 0}%`
+      const value = doc.createElement('span')
+      value.className = 'timeline-bar-value'
+      value.textContent = row.text
+      item.append(label, bar, value)
+      return item
+    }))
+  }
+
+  function renderDurations (list, durations) {
+    if (!list) return
+    if (durations.length === 0) {
+      list.replaceChildren(createEmptyItem())
+      return
+    }
+    list.replaceChildren(...durations.map(entry => {
+      const item = doc.createElement('li')
+      item.className = 'timeline-duration'
+      item.setAttribute('data-book-id', entry.bookId)
+      const title = doc.createElement('span')
+      title.className = 'timeline-duration-title'
+      title.textContent = entry.title
+      const days = doc.createElement('span')
+      days.className = 'timeline-duration-days'
+      days.textContent = TIMELINE_DISPLAY.DAYS(entry.days)
+      item.append(title, days)
+      return item
+    }))
+  }
+
+  /**
+   * 依目前歷程與書庫計算統計
+   *
+   * @returns {Object} computeReadingStatistics 的結果
+   */
+  function getStatistics () {
+    return computeReadingStatistics(history, deps.getBooks())
+  }
+
+  /**
+   * 重新渲染統計（僅顯示最近 MONTHS 個月 / WEEKS 週 / DURATIONS 本）
+   */
+  function render () {
+    const stats = getStatistics()
+    const months = stats.finishedPerMonth.slice(-TIMELINE_DISPLAY.MONTHS)
+    const weeks = stats.progressPerWeek.slice(-TIMELINE_DISPLAY.WEEKS)
+
+    renderBars(elements.finishedPerMonthList, months.map(m => ({
+      label: TIMELINE_DISPLAY.MONTH_LABEL(m.month),
+      value: m.count,
+      text: TIMELINE_DISPLAY.FINISHED(m.count)
+    })), Math.max(0, ...months.map(m => m.count)))
+
+    // 有頁數時以頁數為長條比例，否則以百分點
+    const usePages = weeks.some(w => w.pages > 0)
+    renderBars(elements.progressPerWeekList, weeks.map(w => ({
+      label: TIMELINE_DISPLAY.WEEK_LABEL(w.weekStart),
+      value: usePages ? w.pages : w.percent,
+      text: TIMELINE_DISPLAY.PROGRESS(w)
+    })), Math.max(0, ...weeks.map(w => (usePages ? w.pages : w.percent))))
+
+    renderDurations(elements.readingDurationList, stats.readingDurations.slice(0, TIMELINE_DISPLAY.DURATIONS))
+  }
+
+  /**
+   * 以外部資料取代歷程（storage 變動）
+   *
+   * @param {Object} nextHistory
+   */
+  function setHistory (nextHistory) {
+    history = normalizeProgressHistory(nextHistory)
+    render()
+  }
+
+  /**
+   * 從 storage 讀取歷程
+   *
+   * @returns {Promise<void>}
+   */
+  async function load () {
+    setHistory(await tagStorageAdapter.getProgressHistory())
+  }
+
+  /**
+   * 開合統計面板
+   *
+   * @param {boolean} [visible] - 未提供時切換
+   */
+  function toggle (visible) {
+    const panel = elements.readingTimelinePanel
+    if (!panel) return
+    const show = typeof visible === 'boolean' ? visible : panel.hidden
+    panel.hidden = !show
+    if (elements.readingTimelineBtn) {
+      elements.readingTimelineBtn.setAttribute('aria-expanded', String(show))
+      elements.readingTimelineBtn.textContent = show ? TIMELINE_DISPLAY.HIDE : TIMELINE_DISPLAY.SHOW
+    }
+  }
+
+  /**
+   * 綁定面板開合按鈕
+   */
+  function bind () {
+    if (elements.readingTimelineBtn) {
+      elements.readingTimelineBtn.addEventListener('click', () => toggle())
+    }
+  }
+
+  return {
+    load,
+    setHistory,
+    render,
+    toggle,
+    bind,
+    getStatistics
+  }
+}
+
+module.exports = { createOverviewReadingTimeline, TIMELINE_DISPLAY }
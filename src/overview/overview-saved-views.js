@@ -0,0 +1,237 @@
+'use strict'
+
+const { isSameSavedViewFilter, normalizeSavedView, SAVED_VIEW_ERROR_CODES } = require('src/data-management/SavedViewSchema')
+const { t, formatNumber, defineLocalizedText } = require('src/core/i18n/ui-i18n')
+
+/**
+ * 已儲存檢視側欄顯示常數
+ */
+const SAVED_VIEW_LABELS = defineLocalizedText({
+  EMPTY: 'overview.savedViews.empty',
+  PROMPT_NAME: 'overview.savedViews.promptName',
+  CONFIRM_DELETE: name => t('overview.savedViews.confirmDelete', { name }),
+  DELETE: name => t('overview.savedViews.delete', { name }),
+  SAVED: name => t('overview.savedViews.saved', { name }),
+  DELETED: name => t('overview.savedViews.deleted', { name })
+}, {
+  // 檢視的查詢語法有錯誤（如引用的標籤已刪除）時無法計數
+  COUNT_UNAVAILABLE: '—'
+})
+
+const SAVED_VIEW_ERROR_MESSAGES = defineLocalizedText({
+  [SAVED_VIEW_ERROR_CODES.INVALID_NAME]: 'overview.savedViews.errors.invalidName',
+  [SAVED_VIEW_ERROR_CODES.DUPLICATE_NAME]: 'overview.savedViews.errors.duplicateName',
+  [SAVED_VIEW_ERROR_CODES.NOT_FOUND]: 'overview.savedViews.errors.notFound',
+  storage_error: 'overview.savedViews.errors.storage'
+})
+
+/**
+ * 建立 OverviewSavedViews 實例
+ *
+ * 負責功能：
+ * - 側欄列出已儲存檢視與各自符合的書籍數（智慧書單）
+ * - 將目前的搜尋、狀態、Tag 篩選與排序儲存為具名檢視
+ * - 點選檢視時還原其完整篩選狀態；目前狀態與某檢視相同時標示為作用中
+ *
+ * 書單成員不落地：refreshCounts 依目前書庫重新計算，控制器於書籍或標籤變動時呼叫。
+ *
+ * @param {Object} deps - 依賴注入
+ * @param {Document} deps.document - DOM 文檔物件
+ * @param {Object} deps.elements - 控制器的元素快取（savedViewsList 等）
+ * @param {Object} deps.tagStorageAdapter - 模組參考，需含 getAllSavedViews / saveSavedView / deleteSavedView
+ * @param {Function} deps.getFilterState - () => SavedViewFilter，目前的篩選狀態
+ * @param {Function} deps.applyFilter - (filter) => void，套用檢視的篩選狀態
+ * @param {Function} deps.countBooks - (filter) => number|null，符合篩選的書籍數
+ * @param {Function} [deps.prompt] - (message, defaultValue) => string|null|Promise，詢問檢視名稱
+ * @param {Function} [deps.confirm] - (message) => boolean|Promise<boolean>，刪除前確認
+ * @returns {Object} OverviewSavedViews
+ */
+function createOverviewSavedViews (deps) {
+  if (!deps || typeof deps !== 'object') {
+    throw new TypeError('createOverviewSavedViews requires deps object')
+  }
+  for (const key of ['document', 'elements', 'tagStorageAdapter']) {
+    if (!deps[key]) {
+      throw new TypeError(`deps.${key} is required`)
+    }
+  }
+  for (const key of ['getFilterState', 'applyFilter', 'countBooks']) {
+    if (typeof deps[key] !== 'function') {
+      throw new TypeError(`deps.${key} must be a function`)
+    }
+  }
+
+  const { document: doc, elements, tagStorageAdapter } = deps
+  const prompt = deps.prompt || (() => null)
+  const confirm = deps.confirm || (() => true)
+  let views = []
+  let counts = new Map()
+
+  function setMessage (text) {
+    if (elements.savedViewsMessage) elements.savedViewsMessage.textContent = text
+  }
+
+  function createViewItem (view, currentFilter) {
+    const item = doc.createElement('li')
+    item.className = 'saved-view-item'
+    item.setAttribute('data-view-id', view.id)
+
+    const applyButton = doc.createElement('button')
+    applyButton.type = 'button'
+    applyButton.className = 'saved-view-apply'
+    const name = doc.createElement('span')
+    name.className = 'saved-view-name'
+    name.textContent = view.name
+    const count = doc.createElement('span')
+    count.className = 'saved-view-count'
+    const value = counts.get(view.id)
+    count.textContent = typeof value === 'number' ? formatNumber(value) : SAVED_VIEW_LABELS.COUNT_UNAVAILABLE
+    applyButton.append(name, count)
+
+    if (isSameSavedViewFilter(currentFilter, view.filter)) {
+      item.classList.add('saved-view-active')
+      applyButton.setAttribute('aria-current', 'true')
+    }
+
+    const deleteButton = doc.createElement('button')
+    deleteButton.type = 'button'
+    deleteButton.className = 'saved-view-delete'
+    deleteButton.setAttribute('aria-label', SAVED_VIEW_LABELS.DELETE(view.name))
+    deleteButton.textContent = '×'
+
+    item.append(applyButton, deleteButton)
+    return item
+  }
+
+  /**
+   * 重新渲染側欄清單（作用中標示依目前篩選狀態）
+   */
+  function render () {
+    const list = elements.savedViewsList
+    if (!list) return
+    if (views.length === 0) {
+      const empty = doc.createElement('li')
+      empty.className = 'saved-views-empty'
+      empty.textContent = SAVED_VIEW_LABELS.EMPTY
+      list.replaceChildren(empty)
+      return
+    }
+    const currentFilter = deps.getFilterState()
+    list.replaceChildren(...views.map(view => createViewItem(view, currentFilter)))
+  }
+
+  /**
+   * 依目前書庫重新計算每個檢視的書籍數並重新渲染
+   */
+  function refreshCounts () {
+    counts = new Map(views.map(view => [view.id, deps.countBooks(view.filter)]))
+    render()
+  }
+
+  /**
+   * 以外部資料取代檢視清單（storage 變動、匯入）
+   *
+   * @param {Array} nextViews
+   */
+  function setViews (nextViews) {
+    views = (Array.isArray(nextViews) ? nextViews : []).map(normalizeSavedView).filter(Boolean)
+    refreshCounts()
+  }
+
+  /**
+   * 從 storage 讀取檢視清單
+   *
+   * @returns {Promise<void>}
+   */
+  async function load () {
+    setViews(await tagStorageAdapter.getAllSavedViews())
+  }
+
+  /**
+   * 將目前篩選狀態儲存為新檢視
+   *
+   * @returns {Promise<Object|null>} 儲存後的檢視；取消或失敗時為 null
+   */
+  async function saveCurrent () {
+    const name = await prompt(SAVED_VIEW_LABELS.PROMPT_NAME, '')
+    if (typeof name !== 'string' || !name.trim()) return null
+
+    const result = await tagStorageAdapter.saveSavedView({ name, filter: deps.getFilterState() })
+    if (!result || result.success === false) {
+      setMessage(SAVED_VIEW_ERROR_MESSAGES[result && result.error] || SAVED_VIEW_ERROR_MESSAGES.storage_error)
+      return null
+    }
+    setViews([...views, result])
+    setMessage(SAVED_VIEW_LABELS.SAVED(result.name))
+    return result
+  }
+
+  /**
+   * 套用檢視的篩選狀態
+   *
+   * @param {string} viewId
+   * @returns {boolean} 是否找到並套用
+   */
+  function apply (viewId) {
+    const view = views.find(v => v.id === viewId)
+    if (!view) return false
+    deps.applyFilter(view.filter)
+    render()
+    return true
+  }
+
+  /**
+   * 刪除檢視
+   *
+   * @param {string} viewId
+   * @returns {Promise<boolean>} 是否已刪除
+   */
+  async function remove (viewId) {
+    const view = views.find(v => v.id === viewId)
+    if (!view || !(await confirm(SAVED_VIEW_LABELS.CONFIRM_DELETE(view.name)))) return false
+
+    const result = await tagStorageAdapter.deleteSavedView(viewId)
+    if (!result || result.success !== true) {
+      setMessage(SAVED_VIEW_ERROR_MESSAGES[result && result.error] || SAVED_VIEW_ERROR_MESSAGES.storage_error)
+      return false
+    }
+    setViews(views.filter(v => v.id !== viewId))
+    setMessage(SAVED_VIEW_LABELS.DELETED(view.name))
+    return true
+  }
+
+  /**
+   * 綁定側欄事件（儲存按鈕、清單內的套用 / 刪除）
+   */
+  function bind () {
+    if (elements.saveViewBtn) {
+      elements.saveViewBtn.addEventListener('click', () => saveCurrent())
+    }
+    if (elements.savedViewsList) {
+      elements.savedViewsList.addEventListener('click', (e) => {
+        const item = e.target.closest('.saved-view-item')
+        if (!item) return
+        const viewId = item.getAttribute('data-view-id')
+        if (e.target.closest('.saved-view-delete')) {
+          remove(viewId)
+        } else if (e.target.closest('.saved-view-apply')) {
+          apply(viewId)
+        }
+      })
+    }
+  }
+
+  return {
+    load,
+    setViews,
+    refreshCounts,
+    render,
+    saveCurrent,
+    apply,
+    remove,
+    bind,
+    getViews: () => [...views]
+  }
+}
+
+module.exports = { createOverviewSavedViews, SAVED_VIEW_LABELS }
@@ -0,0 +1,238 @@
+'use strict'
+
+const {
+  SCHEDULED_REFRESH_KEYS,
+  SCHEDULED_REFRESH_INTERVALS,
+  normalizeScheduledRefreshSettings
+} = require('src/data-management/ScheduledRefreshSchema')
+const { getRegisteredPlatforms } = require('src/content/platform/platform-registry')
+const { t, translateOr, formatDate, formatList, defineLocalizedText } = require('src/core/i18n/ui-i18n')
+
+/**
+ * 排程更新面板顯示常數
+ */
+const SCHEDULED_REFRESH_DISPLAY = defineLocalizedText({
+  SHOW: 'overview.scheduledRefresh.show',
+  HIDE: 'overview.scheduledRefresh.hide',
+  INTERVALS: Object.fromEntries(SCHEDULED_REFRESH_INTERVALS.map(hours => [hours, `overview.scheduledRefresh.intervals.${hours}`])),
+  NEVER: 'overview.scheduledRefresh.never',
+  LAST_RUN: time => t('overview.scheduledRefresh.lastRun', { time: formatDate(time) }),
+  SUMMARY: ({ added, progressChanged, removed }) => t('overview.scheduledRefresh.summary', {
+    added: added.count,
+    progressChanged: progressChanged.count,
+    removed: removed.count
+  }),
+  ADDED: 'overview.scheduledRefresh.added',
+  PROGRESS: 'overview.scheduledRefresh.progress',
+  REMOVED: 'overview.scheduledRefresh.removed',
+  PROGRESS_CHANGE: ({ title, from, to }) => t('overview.scheduledRefresh.progressChange', { title, from, to }),
+  FAILED: names => t('overview.scheduledRefresh.failed', { names: formatList(names) }),
+  SAVED: 'overview.scheduledRefresh.saved',
+  NO_PLATFORM: 'overview.scheduledRefresh.noPlatform',
+  SAVE_FAILED: 'overview.scheduledRefresh.saveFailed'
+})
+
+/**
+ * 書城顯示名稱：依語系翻譯，未翻譯時使用 platform-registry 的 displayName
+ * @param {Object} platform
+ * @returns {string}
+ */
+function getPlatformLabel (platform) {
+  return translateOr(`common.platforms.${platform.name}`, platform.displayName || platform.name)
+}
+
+/**
+ * 建立 OverviewScheduledRefresh 實例
+ *
+ * 負責功能：
+ * - 讀寫 scheduled_refresh_settings（啟用、間隔、書城）；Service Worker 監聽此設定同步 alarm
+ * - 顯示上次排程更新的時間、新購 / 進度變動 / 移除的書籍與失敗的書城
+ * - 設定面板開合
+ *
+ * 設定或上次執行紀錄於其他頁面變動時，控制器經 setSettings / setLastRun 同步。
+ *
+ * @param {Object} deps - 依賴注入
+ * @param {Document} deps.document - DOM 文檔物件
+ * @param {Object} deps.elements - 控制器的元素快取（scheduledRefreshPanel 等）
+ * @param {Object} deps.storage - chrome.storage.local（Promise 形式的 get / set）
+ * @param {Array<Object>} [deps.platforms] - 可排程的書城，預設為 platform-registry 的註冊書城
+ * @returns {Object} OverviewScheduledRefresh
+ */
+function createOverviewScheduledRefresh (deps) {
+  if (!deps || typeof deps !== 'object') {
+    throw new TypeError('createOverviewScheduledRefresh requires deps object')
+  }
+  for (const key of ['document', 'elements', 'storage']) {
+    if (!deps[key]) {
+      throw new TypeError(`deps.${key} is required`)
+    }
+  }
+
+  const { document: doc, elements, storage } = deps
+  const platforms = (deps.platforms || getRegisteredPlatforms()).filter(platform => platform.libraryUrl)
+  let settings = normalizeScheduledRefreshSettings()
+  let lastRun = null
+
+  function showMessage (text) {
+    if (elements.scheduledRefreshMessage) {
+      elements.scheduledRefreshMessage.textContent = text
+    }
+  }
+
+  function renderSettings () {
+    if (elements.scheduledRefreshEnabled) {
+      elements.scheduledRefreshEnabled.checked = settings.enabled
+    }
+    if (elements.scheduledRefreshInterval) {
+      elements.scheduledRefreshInterval.replaceChildren(...SCHEDULED_REFRESH_INTERVALS.map(hours => {
+        const option = doc.createElement('option')
+        option.value = String(hours)
+        option.textContent = SCHEDULED_REFRESH_DISPLAY.INTERVALS[hours]
+        return option
+      }))
+      elements.scheduledRefreshInterval.value = String(settings.intervalHours)
+    }
+    if (elements.scheduledRefreshPlatforms) {
+      elements.scheduledRefreshPlatforms.replaceChildren(...platforms.map(platform => {
+        const label = doc.createElement('label')
+        label.className = 'scheduled-refresh-platform'
+        const checkbox = doc.createElement('input')
+        checkbox.type = 'checkbox'
+        checkbox.value = platform.name
+        checkbox.checked = settings.platforms.includes(platform.name)
+        label.append(checkbox, ` ${getPlatformLabel(platform)}`)
+        return label
+      }))
+    }
+  }
+
+  function createChangeItem (kind, text) {
+    const item = doc.createElement('li')
+    item.className = 'scheduled-refresh-change'
+    const badge = doc.createElement('span')
+    badge.className = 'scheduled-refresh-change-kind'
+    badge.textContent = kind
+    item.append(badge, ` ${text}`)
+    return item
+  }
+
+  function renderLastRun () {
+    const summary = elements.scheduledRefreshLastRun
+    const list = elements.scheduledRefreshChanges
+    if (!lastRun) {
+      if (summary) summary.textContent = SCHEDULED_REFRESH_DISPLAY.NEVER
+      if (list) list.replaceChildren()
+      return
+    }
+
+    if (summary) {
+      const lines = [SCHEDULED_REFRESH_DISPLAY.LAST_RUN(lastRun.ranAt), SCHEDULED_REFRESH_DISPLAY.SUMMARY(lastRun)]
+      if (lastRun.failures.length > 0) {
+        const names = lastRun.failures.map(failure => {
+          const platform = platforms.find(p => p.name === failure.platform)
+          return platform ? getPlatformLabel(platform) : failure.platform
+        })
+        lines.push(SCHEDULED_REFRESH_DISPLAY.FAILED(names))
+      }
+      summary.textContent = lines.join(t('common.sentenceSeparator'))
+    }
+    if (list) {
+      list.replaceChildren(
+        ...lastRun.added.books.map(book => createChangeItem(SCHEDULED_REFRESH_DISPLAY.ADDED, book.title)),
+        ...lastRun.progressChanged.books.map(book => createChangeItem(SCHEDULED_REFRESH_DISPLAY.PROGRESS, SCHEDULED_REFRESH_DISPLAY.PROGRESS_CHANGE(book))),
+        ...lastRun.removed.books.map(book => createChangeItem(SCHEDULED_REFRESH_DISPLAY.REMOVED, book.title))
+      )
+    }
+  }
+
+  /**
+   * 讀取設定與上次執行紀錄並渲染
+   */
+  async function load () {
+    const stored = (await storage.get([SCHEDULED_REFRESH_KEYS.SETTINGS, SCHEDULED_REFRESH_KEYS.LAST_RUN])) || {}
+    setSettings(stored[SCHEDULED_REFRESH_KEYS.SETTINGS])
+    setLastRun(stored[SCHEDULED_REFRESH_KEYS.LAST_RUN])
+  }
+
+  function setSettings (value) {
+    settings = normalizeScheduledRefreshSettings(value)
+    renderSettings()
+  }
+
+  function setLastRun (value) {
+    lastRun = value && typeof value === 'object' && value.ranAt ? value : null
+    renderLastRun()
+  }
+
+  function getSettings () {
+    return { ...settings, platforms: settings.platforms.slice() }
+  }
+
+  /**
+   * 由面板表單讀出設定並儲存；啟用時至少需選擇一個書城
+   *
+   * @returns {Promise<boolean>} 是否已儲存
+   */
+  async function save () {
+    const checked = elements.scheduledRefreshPlatforms
+      ? [...elements.scheduledRefreshPlatforms.querySelectorAll('input[type="checkbox"]:checked')].map(input => input.value)
+      : settings.platforms
+    const next = normalizeScheduledRefreshSettings({
+      enabled: elements.scheduledRefreshEnabled ? elements.scheduledRefreshEnabled.checked : settings.enabled,
+      intervalHours: elements.scheduledRefreshInterval ? Number(elements.scheduledRefreshInterval.value) : settings.intervalHours,
+      platforms: checked
+    })
+    if (next.enabled && next.platforms.length === 0) {
+      showMessage(SCHEDULED_REFRESH_DISPLAY.NO_PLATFORM)
+      renderSettings()
+      return false
+    }
+
+    try {
+      await storage.set({ [SCHEDULED_REFRESH_KEYS.SETTINGS]: next })
+    } catch (error) {
+      showMessage(SCHEDULED_REFRESH_DISPLAY.SAVE_FAILED)
+      return false
+    }
+    settings = next
+    showMessage(SCHEDULED_REFRESH_DISPLAY.SAVED)
+    return true
+  }
+
+  function toggle (visible) {
+    const panel = elements.scheduledRefreshPanel
+    if (!panel) return
+    const show = typeof visible === 'boolean' ? visible : panel.hidden
+    panel.hidden = !show
+    if (elements.scheduledRefreshBtn) {
+      elements.scheduledRefreshBtn.setAttribute('aria-expanded', String(show))
+      elements.scheduledRefreshBtn.textContent = show ? SCHEDULED_REFRESH_DISPLAY.HIDE : SCHEDULED_REFRESH_DISPLAY.SHOW
+    }
+  }
+
+  /**
+   * 綁定面板開合；啟用、間隔與書城變更時立即儲存
+   */
+  function bind () {
+    if (elements.scheduledRefreshBtn) {
+      elements.scheduledRefreshBtn.addEventListener('click', () => toggle())
+    }
+    for (const key of ['scheduledRefreshEnabled', 'scheduledRefreshInterval', 'scheduledRefreshPlatforms']) {
+      if (elements[key]) {
+        elements[key].addEventListener('change', () => save())
+      }
+    }
+  }
+
+  return {
+    load,
+    setSettings,
+    setLastRun,
+    getSettings,
+    save,
+    toggle,
+    bind
+  }
+}
+
+module.exports = { createOverviewScheduledRefresh, SCHEDULED_REFRESH_DISPLAY }
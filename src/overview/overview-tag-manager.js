@@ -0,0 +1,950 @@
+'use strict'
+
+const { TAG_TREE_MAX_DEPTH, TAG_CATEGORY_ERROR_CODES, depthOfParent } = require('src/data-management/TagSchema')
+const { t, defineLocalizedText } = require('src/core/i18n/ui-i18n')
+
+/**
+ * 標籤管理面板顯示常數
+ */
+const TAG_MANAGER_DISPLAY = defineLocalizedText({
+  SHOW: 'overview.tagManager.show',
+  HIDE: 'overview.tagManager.hide',
+  EMPTY: 'overview.tagManager.empty',
+  NO_MATCH: 'overview.tagManager.noMatch',
+  UNCATEGORIZED: 'overview.tags.empty',
+  EXPAND: 'overview.tagManager.expand',
+  COLLAPSE: 'overview.tagManager.collapse',
+  BOOK_COUNT: count => t('overview.tagManager.bookCount', { count }),
+  COLOR: 'overview.tagManager.color',
+  ADD_CHILD: 'overview.tagManager.addChild',
+  ADD_TAG: 'overview.tagManager.addTag',
+  RENAME: 'overview.tagManager.rename',
+  DELETE: 'overview.tagManager.delete',
+  SELECT_TAG: 'overview.tagManager.selectTag',
+  PROMPT_CATEGORY: 'overview.tagManager.promptCategory',
+  PROMPT_TAG: 'overview.tagManager.promptTag',
+  CONFIRM_DELETE_CATEGORY: name => t('overview.tagManager.confirmDeleteCategory', { name }),
+  CONFIRM_DELETE_SUBTREE: name => t('overview.tagManager.confirmDeleteSubtree', { name }),
+  CONFIRM_DELETE_TAG: (name, count) => t('overview.tagManager.confirmDeleteTag', { name, count }),
+  CONFIRM_MERGE: (count, name) => t('overview.tagManager.confirmMerge', { count, name }),
+  CONFIRM_BATCH_DELETE: count => t('overview.tagManager.confirmBatchDelete', { count }),
+  SELECTION: count => t('overview.tagManager.selection', { count }),
+  MERGE_TARGET: 'overview.tagManager.mergeTargetPlaceholder',
+  SAVED: 'overview.tagManager.saved',
+  MERGED: (count, books) => t('overview.tagManager.merged', { count, books }),
+  DELETED: count => t('overview.tagManager.deleted', { count })
+})
+
+/**
+ * adapter 錯誤碼 → 行內訊息（樹防護錯誤碼來自 TagSchema.TAG_CATEGORY_ERROR_CODES）
+ */
+const TAG_MANAGER_ERRORS = defineLocalizedText({
+  [TAG_CATEGORY_ERROR_CODES.DUPLICATE_NAME]: 'overview.tagManager.errors.duplicateName',
+  duplicate_name_in_category: 'overview.tagManager.errors.duplicateName',
+  [TAG_CATEGORY_ERROR_CODES.CIRCULAR_REFERENCE]: 'overview.tagManager.errors.circularReference',
+  [TAG_CATEGORY_ERROR_CODES.MAX_DEPTH_EXCEEDED]: () => t('overview.tagManager.errors.maxDepth', { max: TAG_TREE_MAX_DEPTH }),
+  [TAG_CATEGORY_ERROR_CODES.INVALID_PARENT_REFERENCE]: 'overview.tagManager.errors.invalidParent',
+  has_children: 'overview.tagManager.errors.hasChildren',
+  system_protected: 'overview.tagManager.errors.systemProtected',
+  cannot_delete_system: 'overview.tagManager.errors.systemProtected',
+  cascade_partial: 'overview.tagManager.errors.cascadePartial',
+  not_found: 'overview.tagManager.errors.notFound',
+  tag_not_found: 'overview.tagManager.errors.notFound',
+  'name is required': 'overview.tagManager.errors.nameRequired',
+  quota_exceeded: 'overview.tagManager.errors.quotaExceeded',
+  failed: 'overview.tagManager.errors.failed'
+})
+
+const ROOT_KEY = 'root'
+
+function describeError (code) {
+  const message = TAG_MANAGER_ERRORS[code] || TAG_MANAGER_ERRORS.failed
+  return typeof message === 'function' ? message() : message
+}
+
+function parentOf (category) {
+  return category.parentId == null ? null : category.parentId
+}
+
+/**
+ * 建立 OverviewTagManager 實例
+ *
+ * 負責功能：
+ * - 以可收合的分類樹顯示所有分類與標籤，並顯示各標籤 / 分類的書籍數
+ * - 拖曳分類改變父節點、拖曳標籤移至其他分類（移動前先檢查循環與 TAG_TREE_MAX_DEPTH）
+ * - 行內重新命名、分類顏色、新增 / 刪除分類與標籤
+ * - 勾選多個標籤後合併至另一標籤或批次刪除
+ *
+ * 失敗時於該列顯示 adapter 錯誤碼對應的行內訊息（重複名稱、循環引用、超過層數等）。
+ * 寫入成功後呼叫 onApplied，由控制器重新讀取標籤（改動書籍標籤時一併重新讀取書籍）。
+ *
+ * @param {Object} deps - 依賴注入
+ * @param {Document} deps.document - DOM 文檔物件
+ * @param {Object} deps.elements - 控制器的元素快取（tagManagerPanel、tagTree 等）
+ * @param {Object} deps.tagStorageAdapter - 模組參考，需含 createTagCategory / moveTagCategory / mergeTags 等
+ * @param {Function} deps.getTags - () => Array<Tag>
+ * @param {Function} deps.getCategories - () => Array<TagCategory>
+ * @param {Function} deps.getBooks - () => Array，目前書庫（計算書籍數）
+ * @param {Function} deps.onApplied - ({ booksChanged }) => void|Promise<void>
+ * @param {Function} [deps.prompt] - (message, defaultValue) => string|null，新增時輸入名稱
+ * @param {Function} [deps.confirm] - (message) => boolean，刪除與合併前確認
+ * @returns {Object} OverviewTagManager
+ */
+function createOverviewTagManager (deps) {
+  if (!deps || typeof deps !== 'object') {
+    throw new TypeError('createOverviewTagManager requires deps object')
+  }
+  for (const key of ['document', 'elements', 'tagStorageAdapter']) {
+    if (!deps[key]) {
+      throw new TypeError(`deps.${key} is required`)
+    }
+  }
+  for (const key of ['getTags', 'getCategories', 'getBooks', 'onApplied']) {
+    if (typeof deps[key] !== 'function') {
+      throw new TypeError(`deps.${key} must be a function`)
+    }
+  }
+
+  const { document: doc, elements, tagStorageAdapter } = deps
+  const promptFn = typeof deps.prompt === 'function' ? deps.prompt : () => null
+  const confirmFn = typeof deps.confirm === 'function' ? deps.confirm : () => true
+  const expandedIds = new Set()
+  const selectedTagIds = new Set()
+  let query = ''
+  let editingKey = null
+  let rowError = null
+  let dragging = null
+  let busy = false
+
+  // --- 樹狀資料 ---
+
+  /**
+   * 依目前分類與標籤建立查找表（parentId 指向不存在分類的節點視為根節點）
+   */
+  function buildIndex () {
+    const categories = deps.getCategories().filter(category => category && category.id)
+    const tags = deps.getTags().filter(tag => tag && tag.id)
+    const categoryById = new Map(categories.map(category => [category.id, category]))
+    const bySortOrder = (a, b) => (a.sortOrder || 0) - (b.sortOrder || 0) || String(a.name).localeCompare(String(b.name))
+
+    const childrenByParent = new Map()
+    categories.forEach(category => {
+      const parentId = categoryById.has(parentOf(category)) ? parentOf(category) : null
+      if (!childrenByParent.has(parentId)) childrenByParent.set(parentId, [])
+      childrenByParent.get(parentId).push(category)
+    })
+    childrenByParent.forEach(list => list.sort(bySortOrder))
+
+    const tagsByCategory = new Map()
+    tags.forEach(tag => {
+      const categoryId = categoryById.has(tag.categoryId) ? tag.categoryId : null
+      if (!tagsByCategory.has(categoryId)) tagsByCategory.set(categoryId, [])
+      tagsByCategory.get(categoryId).push(tag)
+    })
+    tagsByCategory.forEach(list => list.sort(bySortOrder))
+
+    return { categories, tags, categoryById, tagById: new Map(tags.map(tag => [tag.id, tag])), childrenByParent, tagsByCategory }
+  }
+
+  /**
+   * 祖先鏈（由父到根，不含自身；遇環即停）
+   */
+  function ancestorIds (categoryId, categoryById) {
+    const result = []
+    const visited = new Set([categoryId])
+    let cursor = categoryById.get(categoryId)
+    while (cursor && parentOf(cursor) !== null && !visited.has(parentOf(cursor))) {
+      const parentId = parentOf(cursor)
+      visited.add(parentId)
+      result.push(parentId)
+      cursor = categoryById.get(parentId)
+    }
+    return result
+  }
+
+  /**
+   * 子樹所有分類 id（含自身）
+   */
+  function subtreeIds (categoryId, index) {
+    const result = new Set()
+    const visit = (id) => {
+      if (result.has(id)) return
+      result.add(id)
+      ;(index.childrenByParent.get(id) || []).forEach(child => visit(child.id))
+    }
+    visit(categoryId)
+    return result
+  }
+
+  /**
+   * 子樹最大相對深度（單一節點為 0）
+   */
+  function subtreeHeight (categoryId, index, visited = new Set()) {
+    if (visited.has(categoryId)) return 0
+    visited.add(categoryId)
+    const children = index.childrenByParent.get(categoryId) || []
+    return children.reduce((max, child) => Math.max(max, subtreeHeight(child.id, index, visited) + 1), 0)
+  }
+
+  /**
+   * 各標籤的書籍數，與各分類子樹內（不重複計算）的書籍數
+   */
+  function countBooks (index) {
+    const tagCounts = new Map()
+    const categoryCounts = new Map()
+    deps.getBooks().forEach(book => {
+      if (!book || !Array.isArray(book.tagIds)) return
+      const categoryIds = new Set()
+      new Set(book.tagIds).forEach(tagId => {
+        const tag = index.tagById.get(tagId)
+        if (!tag) return
+        tagCounts.set(tagId, (tagCounts.get(tagId) || 0) + 1)
+        if (index.categoryById.has(tag.categoryId)) {
+          categoryIds.add(tag.categoryId)
+          ancestorIds(tag.categoryId, index.categoryById).forEach(id => categoryIds.add(id))
+        }
+      })
+      categoryIds.forEach(id => categoryCounts.set(id, (categoryCounts.get(id) || 0) + 1))
+    })
+    return { tagCounts, categoryCounts }
+  }
+
+  /**
+   * 搜尋時可見的分類與標籤：分類名稱符合時顯示整個子樹，標籤名稱符合時顯示該標籤與其祖先
+   *
+   * @returns {Object|null} { categoryIds, tagIds }；無搜尋字串時為 null（全部顯示）
+   */
+  function computeVisibility (index) {
+    const needle = query.trim().toLowerCase()
+    if (needle === '') return null
+    const categoryIds = new Set()
+    const tagIds = new Set()
+    const revealAncestors = (categoryId) => {
+      if (!index.categoryById.has(categoryId)) return
+      categoryIds.add(categoryId)
+      ancestorIds(categoryId, index.categoryById).forEach(id => categoryIds.add(id))
+    }
+    index.categories
+      .filter(category => String(category.name).toLowerCase().includes(needle))
+      .forEach(category => {
+        revealAncestors(category.id)
+        subtreeIds(category.id, index).forEach(id => {
+          categoryIds.add(id)
+          ;(index.tagsByCategory.get(id) || []).forEach(tag => tagIds.add(tag.id))
+        })
+      })
+    index.tags
+      .filter(tag => String(tag.name).toLowerCase().includes(needle))
+      .forEach(tag => {
+        tagIds.add(tag.id)
+        revealAncestors(tag.categoryId)
+      })
+    return { categoryIds, tagIds }
+  }
+
+  /**
+   * 移動前檢查：循環引用、同層重複名稱、移動後子樹超過 TAG_TREE_MAX_DEPTH
+   *
+   * @returns {string|null} 錯誤碼；可移動時為 null
+   */
+  function checkCategoryMove (categoryId, parentId, index) {
+    const category = index.categoryById.get(categoryId)
+    if (!category) return 'not_found'
+    if (parentId !== null && subtreeIds(categoryId, index).has(parentId)) {
+      return TAG_CATEGORY_ERROR_CODES.CIRCULAR_REFERENCE
+    }
+    const name = String(category.name).trim().toLowerCase()
+    const siblings = index.categories.filter(c => c.id !== categoryId && parentOf(c) === parentId)
+    if (siblings.some(c => String(c.name).trim().toLowerCase() === name)) {
+      return TAG_CATEGORY_ERROR_CODES.DUPLICATE_NAME
+    }
+    if (depthOfParent(parentId, index.categories) + 1 + subtreeHeight(categoryId, index) > TAG_TREE_MAX_DEPTH) {
+      return TAG_CATEGORY_ERROR_CODES.MAX_DEPTH_EXCEEDED
+    }
+    return null
+  }
+
+  // --- 渲染 ---
+
+  function createButton (className, text) {
+    const button = doc.createElement('button')
+    button.type = 'button'
+    button.className = className
+    button.textContent = text
+    return button
+  }
+
+  function createName (key, name) {
+    if (editingKey === key) {
+      const input = doc.createElement('input')
+      input.type = 'text'
+      input.className = 'tag-tree-rename-input'
+      input.value = name
+      return input
+    }
+    const span = doc.createElement('span')
+    span.className = 'tag-tree-name'
+    span.textContent = name
+    return span
+  }
+
+  function createCount (count) {
+    const span = doc.createElement('span')
+    span.className = 'tag-tree-count'
+    span.textContent = TAG_MANAGER_DISPLAY.BOOK_COUNT(count || 0)
+    return span
+  }
+
+  function appendRowError (row, key) {
+    if (!rowError || rowError.key !== key) return
+    const error = doc.createElement('span')
+    error.className = 'tag-tree-error'
+    error.setAttribute('role', 'alert')
+    error.textContent = rowError.text
+    row.appendChild(error)
+  }
+
+  function createTagItem (tag, counts) {
+    const key = `tag:${tag.id}`
+    const item = doc.createElement('li')
+    item.className = 'tag-tree-tag'
+    item.setAttribute('role', 'treeitem')
+    item.setAttribute('data-tag-id', tag.id)
+    const row = doc.createElement('div')
+    row.className = 'tag-tree-row'
+    row.draggable = true
+    const select = doc.createElement('input')
+    select.type = 'checkbox'
+    select.className = 'tag-tree-select'
+    select.checked = selectedTagIds.has(tag.id)
+    select.setAttribute('aria-label', TAG_MANAGER_DISPLAY.SELECT_TAG)
+    row.append(
+      select,
+      createName(key, tag.name),
+      createCount(counts.tagCounts.get(tag.id)),
+      createButton('tag-tree-rename', TAG_MANAGER_DISPLAY.RENAME),
+      createButton('tag-tree-delete', TAG_MANAGER_DISPLAY.DELETE)
+    )
+    appendRowError(row, key)
+    item.appendChild(row)
+    return item
+  }
+
+  function createCategoryItem (category, index, counts, visibility, visited) {
+    const key = `category:${category.id}`
+    const expanded = visibility !== null || expandedIds.has(category.id)
+    const item = doc.createElement('li')
+    item.className = 'tag-tree-category'
+    item.setAttribute('role', 'treeitem')
+    item.setAttribute('data-category-id', category.id)
+    item.setAttribute('aria-expanded', String(expanded))
+
+    const row = doc.createElement('div')
+    row.className = 'tag-tree-row'
+    row.draggable = true
+    const toggle = createButton('tag-tree-toggle', expanded ? '▾' : '▸')
+    toggle.setAttribute('aria-label', expanded ? TAG_MANAGER_DISPLAY.COLLAPSE : TAG_MANAGER_DISPLAY.EXPAND)
+    const color = doc.createElement('input')
+    color.type = 'color'
+    color.className = 'tag-tree-color'
+    color.value = category.color || '#000000'
+    color.setAttribute('aria-label', TAG_MANAGER_DISPLAY.COLOR)
+    row.append(
+      toggle,
+      color,
+      createName(key, category.name),
+      createCount(counts.categoryCounts.get(category.id)),
+      createButton('tag-tree-add-child', TAG_MANAGER_DISPLAY.ADD_CHILD),
+      createButton('tag-tree-add-tag', TAG_MANAGER_DISPLAY.ADD_TAG),
+      createButton('tag-tree-rename', TAG_MANAGER_DISPLAY.RENAME),
+      createButton('tag-tree-delete', TAG_MANAGER_DISPLAY.DELETE)
+    )
+    appendRowError(row, key)
+    item.appendChild(row)
+
+    const children = doc.createElement('ul')
+    children.className = 'tag-tree-children'
+    children.setAttribute('role', 'group')
+    children.hidden = !expanded
+    if (expanded) {
+      children.append(...createBranch(category.id, index, counts, visibility, visited))
+    }
+    item.appendChild(children)
+    return item
+  }
+
+  /**
+   * 建立某父節點下的子分類與直屬標籤（父節點為 null 時為根層與無分類的標籤）
+   */
+  function createBranch (parentId, index, counts, visibility, visited) {
+    const categories = (index.childrenByParent.get(parentId) || [])
+      .filter(category => !visited.has(category.id) && (!visibility || visibility.categoryIds.has(category.id)))
+    categories.forEach(category => visited.add(category.id))
+    const tags = (index.tagsByCategory.get(parentId) || [])
+      .filter(tag => !visibility || visibility.tagIds.has(tag.id))
+    return [
+      ...categories.map(category => createCategoryItem(category, index, counts, visibility, visited)),
+      ...tags.map(tag => createTagItem(tag, counts))
+    ]
+  }
+
+  function renderToolbar (index) {
+    ;[...selectedTagIds].forEach(id => {
+      if (!index.tagById.has(id)) selectedTagIds.delete(id)
+    })
+    if (elements.tagSelectionCount) {
+      elements.tagSelectionCount.textContent = TAG_MANAGER_DISPLAY.SELECTION(selectedTagIds.size)
+    }
+    if (elements.tagBatchActions) {
+      elements.tagBatchActions.hidden = selectedTagIds.size === 0
+    }
+    const select = elements.tagMergeTargetSelect
+    if (!select) return
+    const selected = select.value
+    const placeholder = doc.createElement('option')
+    placeholder.value = ''
+    placeholder.textContent = TAG_MANAGER_DISPLAY.MERGE_TARGET
+    const options = index.tags
+      .filter(tag => !selectedTagIds.has(tag.id))
+      .map(tag => {
+        const category = index.categoryById.get(tag.categoryId)
+        const option = doc.createElement('option')
+        option.value = tag.id
+        option.textContent = `${category ? category.name : TAG_MANAGER_DISPLAY.UNCATEGORIZED} / ${tag.name}`
+        return option
+      })
+      .sort((a, b) => a.textContent.localeCompare(b.textContent))
+    select.replaceChildren(placeholder, ...options)
+    select.value = options.some(option => option.value === selected) ? selected : ''
+  }
+
+  /**
+   * 重新渲染分類樹與批次操作列（面板隱藏時略過）
+   */
+  function render () {
+    const tree = elements.tagTree
+    if (!tree || (elements.tagManagerPanel && elements.tagManagerPanel.hidden)) return
+    const index = buildIndex()
+    const visibility = computeVisibility(index)
+    const items = createBranch(null, index, countBooks(index), visibility, new Set())
+    if (items.length === 0) {
+      const empty = doc.createElement('li')
+      empty.className = 'tag-tree-empty'
+      empty.textContent = visibility ? TAG_MANAGER_DISPLAY.NO_MATCH : TAG_MANAGER_DISPLAY.EMPTY
+      items.push(empty)
+    }
+    tree.replaceChildren(...items)
+    renderToolbar(index)
+
+    const input = tree.querySelector('.tag-tree-rename-input')
+    if (input) {
+      input.focus()
+      input.select()
+    }
+  }
+
+  // --- 操作 ---
+
+  function setMessage (text) {
+    if (elements.tagManagerMessage) elements.tagManagerMessage.textContent = text
+  }
+
+  /**
+   * 顯示錯誤：屬於某列時顯示於該列，否則顯示於面板訊息列
+   */
+  function showError (key, code) {
+    const text = describeError(code)
+    if (key === ROOT_KEY) {
+      rowError = null
+      setMessage(text)
+    } else {
+      rowError = { key, text }
+      setMessage('')
+    }
+    render()
+    return false
+  }
+
+  /**
+   * 執行 adapter 寫入並處理結果；同一時間只執行一個操作
+   *
+   * @param {string} key - 失敗時顯示訊息的列（ROOT_KEY 為面板訊息列）
+   * @param {Function} operation - () => Promise<Object>，adapter 回傳值
+   * @param {Object} [options]
+   * @param {boolean} [options.booksChanged=false] - 是否改動書籍的標籤
+   * @param {Function} [options.done] - (result) => string，成功訊息
+   * @returns {Promise<boolean>} 是否成功
+   */
+  async function run (key, operation, { booksChanged = false, done } = {}) {
+    if (busy) return false
+    busy = true
+    let result
+    try {
+      result = await operation()
+    } catch (error) {
+      result = { success: false, error: 'failed' }
+    } finally {
+      busy = false
+    }
+    if (!result || result.success === false) {
+      return showError(key, result && result.error)
+    }
+    rowError = null
+    setMessage(done ? done(result) : TAG_MANAGER_DISPLAY.SAVED)
+    await deps.onApplied({ booksChanged })
+    render()
+    return true
+  }
+
+  function askName (message, defaultValue = '') {
+    const name = promptFn(message, defaultValue)
+    return typeof name === 'string' && name.trim() !== '' ? name.trim() : null
+  }
+
+  /**
+   * 新增分類（parentId 為 null 時新增於最上層）
+   *
+   * @param {string|null} [parentId=null]
+   * @returns {Promise<boolean>}
+   */
+  async function addCategory (parentId = null) {
+    const name = askName(TAG_MANAGER_DISPLAY.PROMPT_CATEGORY)
+    if (!name) return false
+    const index = buildIndex()
+    if (parentId !== null && depthOfParent(parentId, index.categories) + 1 > TAG_TREE_MAX_DEPTH) {
+      return showError(`category:${parentId}`, TAG_CATEGORY_ERROR_CODES.MAX_DEPTH_EXCEEDED)
+    }
+    const key = parentId === null ? ROOT_KEY : `category:${parentId}`
+    const ok = await run(key, () => tagStorageAdapter.createTagCategory({ name, parentId }))
+    if (ok && parentId !== null) {
+      expandedIds.add(parentId)
+      render()
+    }
+    return ok
+  }
+
+  /**
+   * 於分類下新增標籤
+   *
+   * @param {string} categoryId
+   * @returns {Promise<boolean>}
+   */
+  async function addTag (categoryId) {
+    const name = askName(TAG_MANAGER_DISPLAY.PROMPT_TAG)
+    if (!name) return false
+    const ok = await run(`category:${categoryId}`, () => tagStorageAdapter.createTag({ name, categoryId }))
+    if (ok) {
+      expandedIds.add(categoryId)
+      render()
+    }
+    return ok
+  }
+
+  /**
+   * 開始行內重新命名
+   *
+   * @param {string} key - `category:<id>` 或 `tag:<id>`
+   */
+  function startRename (key) {
+    editingKey = key
+    rowError = null
+    render()
+  }
+
+  function cancelRename () {
+    if (editingKey === null) return
+    editingKey = null
+    render()
+  }
+
+  /**
+   * 送出行內重新命名；名稱未變時只結束編輯
+   *
+   * @param {string} key - `category:<id>` 或 `tag:<id>`
+   * @param {string} value - 新名稱
+   * @returns {Promise<boolean>}
+   */
+  async function commitRename (key, value) {
+    if (editingKey !== key) return false
+    editingKey = null
+    const [kind, id] = [key.slice(0, key.indexOf(':')), key.slice(key.indexOf(':') + 1)]
+    const index = buildIndex()
+    const current = kind === 'category' ? index.categoryById.get(id) : index.tagById.get(id)
+    const name = String(value == null ? '' : value).trim()
+    if (current && current.name === name) {
+      render()
+      return true
+    }
+    if (name === '') return showError(key, 'name is required')
+    return run(key, () => (kind === 'category'
+      ? tagStorageAdapter.renameTagCategory(id, name)
+      : tagStorageAdapter.renameTag(id, name)))
+  }
+
+  /**
+   * 變更分類顏色
+   *
+   * @param {string} categoryId
+   * @param {string} color - #rrggbb
+   * @returns {Promise<boolean>}
+   */
+  async function setCategoryColor (categoryId, color) {
+    return run(`category:${categoryId}`, () => tagStorageAdapter.updateTagCategory(categoryId, { color }))
+  }
+
+  /**
+   * 移動分類至新父節點；先於本地檢查循環、重複名稱與層數，再交由 adapter 寫入
+   *
+   * @param {string} categoryId
+   * @param {string|null} parentId - null 為移至最上層
+   * @returns {Promise<boolean>}
+   */
+  async function moveCategory (categoryId, parentId) {
+    const index = buildIndex()
+    const category = index.categoryById.get(categoryId)
+    const targetId = parentId === undefined ? null : parentId
+    if (category && parentOf(category) === targetId) return false
+    const key = `category:${categoryId}`
+    const error = checkCategoryMove(categoryId, targetId, index)
+    if (error) return showError(key, error)
+    const ok = await run(key, () => tagStorageAdapter.moveTagCategory(categoryId, targetId))
+    if (ok && targetId !== null) {
+      expandedIds.add(targetId)
+      render()
+    }
+    return ok
+  }
+
+  /**
+   * 將標籤移至其他分類（目標分類已有同名標籤時拒絕）
+   *
+   * @param {string[]} tagIds
+   * @param {string} categoryId
+   * @returns {Promise<boolean>}
+   */
+  async function moveTags (tagIds, categoryId) {
+    const index = buildIndex()
+    const moving = tagIds.map(id => index.tagById.get(id)).filter(tag => tag && tag.categoryId !== categoryId)
+    if (moving.length === 0 || !index.categoryById.has(categoryId)) return false
+    const existing = new Set((index.tagsByCategory.get(categoryId) || []).map(tag => tag.name.toLowerCase()))
+    const names = moving.map(tag => tag.name.toLowerCase())
+    if (names.some((name, i) => existing.has(name) || names.indexOf(name) !== i)) {
+      return showError(`tag:${moving[0].id}`, 'duplicate_name_in_category')
+    }
+    const ok = await run(`tag:${moving[0].id}`, async () => {
+      const result = await tagStorageAdapter.batchMoveTags(moving.map(tag => tag.id), categoryId)
+      return result.failed > 0 ? { success: false, error: 'not_found' } : { success: true }
+    })
+    if (ok) {
+      expandedIds.add(categoryId)
+      render()
+    }
+    return ok
+  }
+
+  /**
+   * 刪除分類（確認後）：有子分類時整個子樹（含其下標籤）一併刪除，否則其下標籤移至「未分類」
+   *
+   * @param {string} categoryId
+   * @returns {Promise<boolean>}
+   */
+  async function deleteCategory (categoryId) {
+    const index = buildIndex()
+    const category = index.categoryById.get(categoryId)
+    if (!category) return false
+    const hasChildren = (index.childrenByParent.get(categoryId) || []).length > 0
+    const message = hasChildren
+      ? TAG_MANAGER_DISPLAY.CONFIRM_DELETE_SUBTREE(category.name)
+      : TAG_MANAGER_DISPLAY.CONFIRM_DELETE_CATEGORY(category.name)
+    if (!confirmFn(message)) return false
+    return run(
+      `category:${categoryId}`,
+      () => tagStorageAdapter.deleteTagCategory(categoryId, { cascadeSubtree: hasChildren }),
+      { booksChanged: hasChildren }
+    )
+  }
+
+  /**
+   * 刪除標籤（確認後，並從書籍移除）
+   *
+   * @param {string} tagId
+   * @returns {Promise<boolean>}
+   */
+  async function deleteTag (tagId) {
+    const index = buildIndex()
+    const tag = index.tagById.get(tagId)
+    if (!tag) return false
+    const count = countBooks(index).tagCounts.get(tagId) || 0
+    if (!confirmFn(TAG_MANAGER_DISPLAY.CONFIRM_DELETE_TAG(tag.name, count))) return false
+    return run(`tag:${tagId}`, () => tagStorageAdapter.deleteTag(tagId), { booksChanged: true })
+  }
+
+  /**
+   * 勾選 / 取消勾選標籤（合併與批次刪除的對象）
+   *
+   * @param {string} tagId
+   * @param {boolean} selected
+   */
+  function setTagSelected (tagId, selected) {
+    if (selected) selectedTagIds.add(tagId)
+    else selectedTagIds.delete(tagId)
+    render()
+  }
+
+  /**
+   * 將勾選的標籤合併至目標標籤（確認後）
+   *
+   * @param {string} targetTagId
+   * @returns {Promise<boolean>}
+   */
+  async function mergeSelected (targetTagId) {
+    const index = buildIndex()
+    const target = index.tagById.get(targetTagId)
+    const sourceIds = [...selectedTagIds].filter(id => id !== targetTagId)
+    if (!target || sourceIds.length === 0) return false
+    if (!confirmFn(TAG_MANAGER_DISPLAY.CONFIRM_MERGE(sourceIds.length, target.name))) return false
+    const ok = await run(ROOT_KEY, () => tagStorageAdapter.mergeTags(sourceIds, targetTagId), {
+      booksChanged: true,
+      done: result => TAG_MANAGER_DISPLAY.MERGED(result.merged, result.affected)
+    })
+    if (ok) {
+      selectedTagIds.clear()
+      render()
+    }
+    return ok
+  }
+
+  /**
+   * 批次刪除勾選的標籤（確認後）
+   *
+   * @returns {Promise<boolean>}
+   */
+  async function deleteSelected () {
+    const tagIds = [...selectedTagIds]
+    if (tagIds.length === 0 || !confirmFn(TAG_MANAGER_DISPLAY.CONFIRM_BATCH_DELETE(tagIds.length))) return false
+    const ok = await run(ROOT_KEY, async () => {
+      const result = await tagStorageAdapter.batchDeleteTags(tagIds)
+      return result && result.success === false ? result : { success: true, deleted: result.deleted }
+    }, {
+      booksChanged: true,
+      done: result => TAG_MANAGER_DISPLAY.DELETED(result.deleted)
+    })
+    if (ok) {
+      selectedTagIds.clear()
+      render()
+    }
+    return ok
+  }
+
+  /**
+   * 展開 / 收合分類
+   *
+   * @param {string} categoryId
+   */
+  function toggleCategory (categoryId) {
+    if (expandedIds.has(categoryId)) expandedIds.delete(categoryId)
+    else expandedIds.add(categoryId)
+    render()
+  }
+
+  /**
+   * 設定搜尋字串（比對分類與標籤名稱）
+   *
+   * @param {string} value
+   */
+  function setQuery (value) {
+    query = typeof value === 'string' ? value : ''
+    render()
+  }
+
+  /**
+   * 開合管理面板
+   *
+   * @param {boolean} [visible] - 未提供時切換
+   */
+  function toggle (visible) {
+    const panel = elements.tagManagerPanel
+    if (!panel) return
+    const show = typeof visible === 'boolean' ? visible : panel.hidden
+    panel.hidden = !show
+    if (elements.tagManagerBtn) {
+      elements.tagManagerBtn.setAttribute('aria-expanded', String(show))
+      elements.tagManagerBtn.textContent = show ? TAG_MANAGER_DISPLAY.HIDE : TAG_MANAGER_DISPLAY.SHOW
+    }
+    render()
+  }
+
+  // --- 事件 ---
+
+  function keyOf (item) {
+    if (item.classList.contains('tag-tree-category')) return `category:${item.getAttribute('data-category-id')}`
+    return `tag:${item.getAttribute('data-tag-id')}`
+  }
+
+  function handleTreeClick (event) {
+    const item = event.target.closest('.tag-tree-category, .tag-tree-tag')
+    if (!item) return
+    const key = keyOf(item)
+    const categoryId = item.getAttribute('data-category-id')
+    const tagId = item.getAttribute('data-tag-id')
+    if (event.target.closest('.tag-tree-toggle')) toggleCategory(categoryId)
+    else if (event.target.closest('.tag-tree-add-child')) addCategory(categoryId)
+    else if (event.target.closest('.tag-tree-add-tag')) addTag(categoryId)
+    else if (event.target.closest('.tag-tree-rename')) startRename(key)
+    else if (event.target.closest('.tag-tree-delete')) {
+      if (categoryId) deleteCategory(categoryId)
+      else deleteTag(tagId)
+    }
+  }
+
+  function handleTreeChange (event) {
+    const item = event.target.closest('.tag-tree-category, .tag-tree-tag')
+    if (!item) return
+    if (event.target.classList.contains('tag-tree-color')) {
+      setCategoryColor(item.getAttribute('data-category-id'), event.target.value)
+    } else if (event.target.classList.contains('tag-tree-select')) {
+      setTagSelected(item.getAttribute('data-tag-id'), event.target.checked)
+    }
+  }
+
+  function handleRenameKey (event) {
+    if (!event.target.classList.contains('tag-tree-rename-input')) return
+    const item = event.target.closest('.tag-tree-category, .tag-tree-tag')
+    if (event.key === 'Enter') {
+      event.preventDefault()
+      commitRename(keyOf(item), event.target.value)
+    } else if (event.key === 'Escape') {
+      event.preventDefault()
+      cancelRename()
+    }
+  }
+
+  function handleRenameBlur (event) {
+    if (!event.target.classList.contains('tag-tree-rename-input')) return
+    const item = event.target.closest('.tag-tree-category, .tag-tree-tag')
+    if (item) commitRename(keyOf(item), event.target.value)
+  }
+
+  function handleDragStart (event) {
+    const row = event.target.closest('.tag-tree-row')
+    const item = row && row.parentElement
+    if (!item) return
+    dragging = item.classList.contains('tag-tree-category')
+      ? { kind: 'category', id: item.getAttribute('data-category-id') }
+      : { kind: 'tag', id: item.getAttribute('data-tag-id') }
+    if (event.dataTransfer) {
+      event.dataTransfer.effectAllowed = 'move'
+      event.dataTransfer.setData('text/plain', `${dragging.kind}:${dragging.id}`)
+    }
+  }
+
+  /**
+   * 拖曳目標：分類列（成為其子分類 / 移入該分類）或最上層放置區（僅分類）
+   *
+   * @returns {Object|null} { parentId, element }
+   */
+  function dropTargetOf (event, current) {
+    if (!current) return null
+    if (elements.tagTreeRootDrop && elements.tagTreeRootDrop.contains(event.target)) {
+      return current.kind === 'category' ? { parentId: null, element: elements.tagTreeRootDrop } : null
+    }
+    const row = event.target.closest('.tag-tree-row')
+    const item = row && row.parentElement
+    if (!item || !item.classList.contains('tag-tree-category')) return null
+    return { parentId: item.getAttribute('data-category-id'), element: row }
+  }
+
+  function clearDropHighlight () {
+    doc.querySelectorAll('.tag-tree-drop-target').forEach(element => element.classList.remove('tag-tree-drop-target'))
+  }
+
+  function handleDragOver (event) {
+    const target = dropTargetOf(event, dragging)
+    if (!target) return
+    event.preventDefault()
+    if (event.dataTransfer) event.dataTransfer.dropEffect = 'move'
+    clearDropHighlight()
+    target.element.classList.add('tag-tree-drop-target')
+  }
+
+  function handleDrop (event) {
+    const current = dragging
+    const target = dropTargetOf(event, current)
+    dragging = null
+    clearDropHighlight()
+    if (!target) return
+    event.preventDefault()
+    if (current.kind === 'category') {
+      moveCategory(current.id, target.parentId)
+    } else if (target.parentId !== null) {
+      moveTags(selectedTagIds.has(current.id) ? [...selectedTagIds] : [current.id], target.parentId)
+    }
+  }
+
+  /**
+   * 綁定面板開合、搜尋、樹狀操作、拖曳與批次操作
+   */
+  function bind () {
+    if (elements.tagManagerBtn) {
+      elements.tagManagerBtn.addEventListener('click', () => toggle())
+    }
+    if (elements.tagManagerSearch) {
+      elements.tagManagerSearch.addEventListener('input', (event) => setQuery(event.target.value))
+    }
+    if (elements.tagManagerAddRootBtn) {
+      elements.tagManagerAddRootBtn.addEventListener('click', () => addCategory(null))
+    }
+    if (elements.tagMergeBtn) {
+      elements.tagMergeBtn.addEventListener('click', () => {
+        if (elements.tagMergeTargetSelect) mergeSelected(elements.tagMergeTargetSelect.value)
+      })
+    }
+    if (elements.tagBatchDeleteBtn) {
+      elements.tagBatchDeleteBtn.addEventListener('click', () => deleteSelected())
+    }
+    const dropZones = [elements.tagTree, elements.tagTreeRootDrop].filter(Boolean)
+    dropZones.forEach(zone => {
+      zone.addEventListener('dragover', handleDragOver)
+      zone.addEventListener('drop', handleDrop)
+    })
+    const tree = elements.tagTree
+    if (!tree) return
+    tree.addEventListener('click', handleTreeClick)
+    tree.addEventListener('change', handleTreeChange)
+    tree.addEventListener('dblclick', (event) => {
+      const name = event.target.closest('.tag-tree-name')
+      const item = name && name.closest('.tag-tree-category, .tag-tree-tag')
+      if (item) startRename(keyOf(item))
+    })
+    tree.addEventListener('keydown', handleRenameKey)
+    tree.addEventListener('focusout', handleRenameBlur)
+    tree.addEventListener('dragstart', handleDragStart)
+    tree.addEventListener('dragend', () => {
+      dragging = null
+      clearDropHighlight()
+    })
+  }
+
+  return {
+    render,
+    toggle,
+    bind,
+    setQuery,
+    toggleCategory,
+    addCategory,
+    addTag,
+    startRename,
+    cancelRename,
+    commitRename,
+    setCategoryColor,
+    moveCategory,
+    moveTags,
+    deleteCategory,
+    deleteTag,
+    setTagSelected,
+    mergeSelected,
+    deleteSelected
+  }
+}
+
+module.exports = { createOverviewTagManager, TAG_MANAGER_DISPLAY }
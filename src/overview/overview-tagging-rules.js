@@ -0,0 +1,676 @@
+'use strict'
+
+const {
+  TAGGING_RULE_FIELDS,
+  TAGGING_RULE_OPERATORS,
+  TAGGING_RULE_MATCH_MODES,
+  TAGGING_RULE_MAX_CONDITIONS,
+  TAGGING_RULE_NAME_MAX_LENGTH,
+  TAGGING_RULE_VALUE_MAX_LENGTH,
+  TAGGING_RULE_ERROR_CODES
+} = require('src/data-management/TaggingRuleSchema')
+const { t, defineLocalizedText } = require('src/core/i18n/ui-i18n')
+
+/**
+ * 自動標籤規則面板顯示常數
+ */
+const TAGGING_RULES_DISPLAY = defineLocalizedText({
+  SHOW: 'overview.taggingRules.show',
+  HIDE: 'overview.taggingRules.hide',
+  EMPTY: 'overview.taggingRules.empty',
+  ENABLED: 'overview.taggingRules.enabled',
+  DISABLED: 'overview.taggingRules.disabled',
+  EDIT: 'overview.taggingRules.edit',
+  PREVIEW: 'overview.taggingRules.preview',
+  DELETE: 'overview.taggingRules.delete',
+  NAME: 'overview.taggingRules.name',
+  VALUE: 'overview.taggingRules.value',
+  ADD_CONDITION: 'overview.taggingRules.addCondition',
+  REMOVE_CONDITION: 'overview.taggingRules.removeCondition',
+  TARGET_TAGS: 'overview.taggingRules.targetTags',
+  UNCATEGORIZED: 'overview.tags.empty',
+  SAVE: 'overview.taggingRules.save',
+  CANCEL: 'overview.taggingRules.cancel',
+  MATCH: mode => t(`overview.taggingRules.match.${mode}`),
+  FIELD: field => t(`overview.taggingRules.fields.${field}`),
+  OPERATOR: operator => t(`overview.taggingRules.operators.${operator}`),
+  CONDITION: (field, operator, value) => t('overview.taggingRules.conditionSummary', { field, operator, value }),
+  JOIN: mode => t(`overview.taggingRules.join.${mode}`),
+  SUMMARY: (conditions, tags) => t('overview.taggingRules.summary', { conditions, tags }),
+  CONFIRM_DELETE: name => t('overview.taggingRules.confirmDelete', { name }),
+  PREVIEW_RULE: (name, count) => t('overview.taggingRules.previewRule', { name, count }),
+  PREVIEW_MORE: count => t('overview.taggingRules.previewMore', { count }),
+  PREVIEW_EMPTY: 'overview.taggingRules.previewEmpty',
+  APPLY: count => t('overview.taggingRules.apply', { count }),
+  SAVED: 'overview.taggingRules.saved',
+  DELETED: 'overview.taggingRules.deleted',
+  APPLIED: count => t('overview.taggingRules.applied', { count })
+})
+
+/**
+ * adapter 錯誤碼 → 訊息（錯誤碼來自 TaggingRuleSchema.TAGGING_RULE_ERROR_CODES）
+ */
+const TAGGING_RULES_ERRORS = defineLocalizedText({
+  [TAGGING_RULE_ERROR_CODES.INVALID_NAME]: () => t('overview.taggingRules.errors.invalidName', { max: TAGGING_RULE_NAME_MAX_LENGTH }),
+  [TAGGING_RULE_ERROR_CODES.DUPLICATE_NAME]: 'overview.taggingRules.errors.duplicateName',
+  [TAGGING_RULE_ERROR_CODES.INVALID_CONDITION]: () => t('overview.taggingRules.errors.invalidCondition', { max: TAGGING_RULE_MAX_CONDITIONS }),
+  [TAGGING_RULE_ERROR_CODES.INVALID_PATTERN]: 'overview.taggingRules.errors.invalidPattern',
+  [TAGGING_RULE_ERROR_CODES.NO_TARGET_TAGS]: 'overview.taggingRules.errors.noTargetTags',
+  [TAGGING_RULE_ERROR_CODES.TAG_NOT_FOUND]: 'overview.taggingRules.errors.tagNotFound',
+  [TAGGING_RULE_ERROR_CODES.NOT_FOUND]: 'overview.taggingRules.errors.notFound',
+  failed: 'overview.taggingRules.errors.failed'
+})
+
+/** 預覽每條規則最多列出的書名數 */
+const PREVIEW_TITLE_LIMIT = 20
+
+function describeError (code) {
+  const message = TAGGING_RULES_ERRORS[code] || TAGGING_RULES_ERRORS.failed
+  return typeof message === 'function' ? message() : message
+}
+
+function createEmptyCondition () {
+  return { field: 'title', operator: 'contains', value: '' }
+}
+
+/**
+ * 建立 OverviewTaggingRules 實例
+ *
+ * 負責功能：
+ * - 列出自動標籤規則（條件摘要、目標標籤、啟用切換）
+ * - 條件編輯器：書名 / 作者 / 出版社 / 書城 / 類型 × 包含 / 等於 / 開頭為 / 正規表示式，
+ *   符合全部或任一條件，目標標籤多選
+ * - 預覽單條或所有啟用中規則會變動的書，確認後立即套用（經 runTaggingRules，可由選取列復原）
+ *
+ * 啟用中的規則另於提取與 JSON 匯入帶入新書時由 adapter 自動套用，本面板不參與。
+ *
+ * @param {Object} deps - 依賴注入
+ * @param {Document} deps.document - DOM 文檔物件
+ * @param {Object} deps.elements - 控制器的元素快取（taggingRulesPanel、taggingRuleList 等）
+ * @param {Object} deps.tagStorageAdapter - 模組參考，需含 getAllTaggingRules / saveTaggingRule /
+ *   deleteTaggingRule / previewTaggingRules / runTaggingRules
+ * @param {Function} deps.getTags - () => Array<Tag>
+ * @param {Function} deps.getCategories - () => Array<TagCategory>
+ * @param {Function} deps.getBooks - () => Array，目前書庫（預覽顯示書名）
+ * @param {Function} deps.onApplied - ({ booksChanged }) => void|Promise<void>
+ * @param {Function} [deps.confirm] - (message) => boolean，刪除前確認
+ * @returns {Object} OverviewTaggingRules
+ */
+function createOverviewTaggingRules (deps) {
+  if (!deps || typeof deps !== 'object') {
+    throw new TypeError('createOverviewTaggingRules requires deps object')
+  }
+  for (const key of ['document', 'elements', 'tagStorageAdapter']) {
+    if (!deps[key]) {
+      throw new TypeError(`deps.${key} is required`)
+    }
+  }
+  for (const key of ['getTags', 'getCategories', 'getBooks', 'onApplied']) {
+    if (typeof deps[key] !== 'function') {
+      throw new TypeError(`deps.${key} must be a function`)
+    }
+  }
+
+  const { document: doc, elements, tagStorageAdapter } = deps
+  const confirmFn = typeof deps.confirm === 'function' ? deps.confirm : () => true
+  let rules = []
+  let draft = null
+  let preview = null
+  let busy = false
+
+  function isHidden () {
+    return Boolean(elements.taggingRulesPanel && elements.taggingRulesPanel.hidden)
+  }
+
+  // --- 渲染 ---
+
+  function createButton (className, text) {
+    const button = doc.createElement('button')
+    button.type = 'button'
+    button.className = className
+    button.textContent = text
+    return button
+  }
+
+  function createSelect (className, values, labelOf, selected) {
+    const select = doc.createElement('select')
+    select.className = className
+    values.forEach(value => {
+      const option = doc.createElement('option')
+      option.value = value
+      option.textContent = labelOf(value)
+      select.appendChild(option)
+    })
+    select.value = selected
+    return select
+  }
+
+  /**
+   * 標籤顯示名稱「分類 / 標籤」，依名稱排序；已刪除的標籤不列出
+   */
+  function listTagOptions () {
+    const categoryById = new Map(deps.getCategories().filter(c => c && c.id).map(c => [c.id, c]))
+    return deps.getTags()
+      .filter(tag => tag && tag.id)
+      .map(tag => {
+        const category = categoryById.get(tag.categoryId)
+        return { id: tag.id, label: `${category ? category.name : TAGGING_RULES_DISPLAY.UNCATEGORIZED} / ${tag.name}` }
+      })
+      .sort((a, b) => a.label.localeCompare(b.label))
+  }
+
+  function describeRule (rule) {
+    const conditions = rule.conditions
+      .map(c => TAGGING_RULES_DISPLAY.CONDITION(TAGGING_RULES_DISPLAY.FIELD(c.field), TAGGING_RULES_DISPLAY.OPERATOR(c.operator), c.value))
+      .join(TAGGING_RULES_DISPLAY.JOIN(rule.match))
+    const tagById = new Map(deps.getTags().filter(tag => tag && tag.id).map(tag => [tag.id, tag]))
+    const tags = rule.tagIds.filter(id => tagById.has(id)).map(id => tagById.get(id).name).join(', ')
+    return TAGGING_RULES_DISPLAY.SUMMARY(conditions, tags)
+  }
+
+  function createRuleItem (rule) {
+    const item = doc.createElement('li')
+    item.className = 'tagging-rule'
+    item.setAttribute('data-rule-id', rule.id)
+    const enabled = doc.createElement('input')
+    enabled.type = 'checkbox'
+    enabled.className = 'tagging-rule-enabled'
+    enabled.checked = rule.enabled
+    enabled.setAttribute('aria-label', TAGGING_RULES_DISPLAY.ENABLED)
+    const name = doc.createElement('span')
+    name.className = 'tagging-rule-name'
+    name.textContent = rule.enabled ? rule.name : `${rule.name}${TAGGING_RULES_DISPLAY.DISABLED}`
+    const summary = doc.createElement('span')
+    summary.className = 'tagging-rule-summary'
+    summary.textContent = describeRule(rule)
+    item.append(
+      enabled,
+      name,
+      summary,
+      createButton('tagging-rule-edit', TAGGING_RULES_DISPLAY.EDIT),
+      createButton('tagging-rule-preview', TAGGING_RULES_DISPLAY.PREVIEW),
+      createButton('tagging-rule-delete', TAGGING_RULES_DISPLAY.DELETE)
+    )
+    return item
+  }
+
+  function renderList () {
+    const list = elements.taggingRuleList
+    if (!list) return
+    const items = rules.map(createRuleItem)
+    if (items.length === 0) {
+      const empty = doc.createElement('li')
+      empty.className = 'tagging-rule-empty'
+      empty.textContent = TAGGING_RULES_DISPLAY.EMPTY
+      items.push(empty)
+    }
+    list.replaceChildren(...items)
+  }
+
+  function createConditionRow (condition, index) {
+    const row = doc.createElement('div')
+    row.className = 'tagging-rule-condition'
+    row.setAttribute('data-condition-index', String(index))
+    const field = createSelect('tagging-rule-field', TAGGING_RULE_FIELDS, TAGGING_RULES_DISPLAY.FIELD, condition.field)
+    field.setAttribute('data-draft', 'field')
+    const operator = createSelect('tagging-rule-operator', TAGGING_RULE_OPERATORS, TAGGING_RULES_DISPLAY.OPERATOR, condition.operator)
+    operator.setAttribute('data-draft', 'operator')
+    const value = doc.createElement('input')
+    value.type = 'text'
+    value.className = 'tagging-rule-value'
+    value.value = condition.value
+    value.maxLength = TAGGING_RULE_VALUE_MAX_LENGTH
+    value.placeholder = TAGGING_RULES_DISPLAY.VALUE
+    value.setAttribute('aria-label', TAGGING_RULES_DISPLAY.VALUE)
+    value.setAttribute('data-draft', 'value')
+    const remove = createButton('tagging-rule-remove-condition', '×')
+    remove.setAttribute('aria-label', TAGGING_RULES_DISPLAY.REMOVE_CONDITION)
+    remove.disabled = draft.conditions.length <= 1
+    row.append(field, operator, value, remove)
+    return row
+  }
+
+  function renderEditor () {
+    const container = elements.taggingRuleEditor
+    if (!container) return
+    container.hidden = draft === null
+    if (draft === null) {
+      container.replaceChildren()
+      return
+    }
+
+    const header = doc.createElement('div')
+    header.className = 'tagging-rule-editor-header'
+    const name = doc.createElement('input')
+    name.type = 'text'
+    name.className = 'tagging-rule-name-input'
+    name.value = draft.name
+    name.maxLength = TAGGING_RULE_NAME_MAX_LENGTH
+    name.placeholder = TAGGING_RULES_DISPLAY.NAME
+    name.setAttribute('aria-label', TAGGING_RULES_DISPLAY.NAME)
+    name.setAttribute('data-draft', 'name')
+    const match = createSelect('tagging-rule-match', TAGGING_RULE_MATCH_MODES, TAGGING_RULES_DISPLAY.MATCH, draft.match)
+    match.setAttribute('data-draft', 'match')
+    const enabledLabel = doc.createElement('label')
+    const enabled = doc.createElement('input')
+    enabled.type = 'checkbox'
+    enabled.checked = draft.enabled
+    enabled.setAttribute('data-draft', 'enabled')
+    enabledLabel.append(enabled, ` ${TAGGING_RULES_DISPLAY.ENABLED}`)
+    header.append(name, match, enabledLabel)
+
+    const conditions = draft.conditions.map(createConditionRow)
+    const addCondition = createButton('tagging-rule-add-condition', TAGGING_RULES_DISPLAY.ADD_CONDITION)
+    addCondition.disabled = draft.conditions.length >= TAGGING_RULE_MAX_CONDITIONS
+
+    const tagsLabel = doc.createElement('label')
+    tagsLabel.className = 'tagging-rule-tags-label'
+    tagsLabel.textContent = TAGGING_RULES_DISPLAY.TARGET_TAGS
+    const tags = doc.createElement('select')
+    tags.className = 'tagging-rule-tags'
+    tags.multiple = true
+    tags.setAttribute('data-draft', 'tagIds')
+    tags.setAttribute('aria-label', TAGGING_RULES_DISPLAY.TARGET_TAGS)
+    listTagOptions().forEach(({ id, label }) => {
+      const option = doc.createElement('option')
+      option.value = id
+      option.textContent = label
+      option.selected = draft.tagIds.includes(id)
+      tags.appendChild(option)
+    })
+    tagsLabel.appendChild(tags)
+
+    const actions = doc.createElement('div')
+    actions.className = 'tagging-rule-editor-actions'
+    actions.append(
+      createButton('tagging-rule-save export-btn', TAGGING_RULES_DISPLAY.SAVE),
+      createButton('tagging-rule-cancel export-btn', TAGGING_RULES_DISPLAY.CANCEL)
+    )
+
+    container.replaceChildren(header, ...conditions, addCondition, tagsLabel, actions)
+  }
+
+  function renderPreview () {
+    const container = elements.taggingRulesPreview
+    if (!container) return
+    container.hidden = preview === null
+    if (preview === null) {
+      container.replaceChildren()
+      return
+    }
+
+    const titleById = new Map(deps.getBooks().filter(book => book && book.id).map(book => [book.id, book.title || book.id]))
+    const sections = preview.rules.filter(entry => entry.bookIds.length > 0).map(entry => {
+      const section = doc.createElement('div')
+      section.className = 'tagging-rules-preview-rule'
+      section.setAttribute('data-rule-id', entry.ruleId)
+      const heading = doc.createElement('p')
+      heading.className = 'tagging-rules-preview-heading'
+      heading.textContent = TAGGING_RULES_DISPLAY.PREVIEW_RULE(entry.name, entry.bookIds.length)
+      const list = doc.createElement('ul')
+      list.className = 'tagging-rules-preview-books'
+      entry.bookIds.slice(0, PREVIEW_TITLE_LIMIT).forEach(id => {
+        const item = doc.createElement('li')
+        item.textContent = titleById.get(id) || id
+        list.appendChild(item)
+      })
+      if (entry.bookIds.length > PREVIEW_TITLE_LIMIT) {
+        const more = doc.createElement('li')
+        more.className = 'tagging-rules-preview-more'
+        more.textContent = TAGGING_RULES_DISPLAY.PREVIEW_MORE(entry.bookIds.length - PREVIEW_TITLE_LIMIT)
+        list.appendChild(more)
+      }
+      section.append(heading, list)
+      return section
+    })
+
+    if (preview.affected === 0) {
+      const empty = doc.createElement('p')
+      empty.className = 'tagging-rules-preview-empty'
+      empty.textContent = TAGGING_RULES_DISPLAY.PREVIEW_EMPTY
+      container.replaceChildren(empty)
+      return
+    }
+    const actions = doc.createElement('div')
+    actions.className = 'tagging-rule-editor-actions'
+    actions.append(
+      createButton('tagging-rules-apply export-btn', TAGGING_RULES_DISPLAY.APPLY(preview.affected)),
+      createButton('tagging-rules-preview-close export-btn', TAGGING_RULES_DISPLAY.CANCEL)
+    )
+    container.replaceChildren(...sections, actions)
+  }
+
+  /**
+   * 重新渲染規則列表、編輯器與預覽（面板隱藏時略過）
+   */
+  function render () {
+    if (isHidden()) return
+    renderList()
+    renderEditor()
+    renderPreview()
+  }
+
+  // --- 操作 ---
+
+  function setMessage (text) {
+    if (elements.taggingRulesMessage) elements.taggingRulesMessage.textContent = text
+  }
+
+  /**
+   * 重新讀取規則並渲染
+   *
+   * @returns {Promise<void>}
+   */
+  async function load () {
+    try {
+      rules = await tagStorageAdapter.getAllTaggingRules()
+    } catch (error) {
+      rules = []
+      setMessage(describeError('failed'))
+    }
+    render()
+  }
+
+  /**
+   * 執行 adapter 寫入並處理結果；同一時間只執行一個操作
+   *
+   * @param {Function} operation - () => Promise<Object>，adapter 回傳值
+   * @param {Object} [options]
+   * @param {boolean} [options.booksChanged=false] - 是否改動書籍的標籤
+   * @param {Function} [options.done] - (result) => string，成功訊息
+   * @returns {Promise<boolean>} 是否成功
+   */
+  async function run (operation, { booksChanged = false, done } = {}) {
+    if (busy) return false
+    busy = true
+    let result
+    try {
+      result = await operation()
+    } catch (error) {
+      result = { success: false, error: 'failed' }
+    } finally {
+      busy = false
+    }
+    if (!result || result.success === false) {
+      setMessage(describeError(result && result.error))
+      render()
+      return false
+    }
+    setMessage(done ? done(result) : TAGGING_RULES_DISPLAY.SAVED)
+    if (booksChanged) await deps.onApplied({ booksChanged })
+    await load()
+    return true
+  }
+
+  /**
+   * 開啟新規則編輯器
+   */
+  function startCreate () {
+    draft = { name: '', enabled: true, match: 'all', conditions: [createEmptyCondition()], tagIds: [] }
+    setMessage('')
+    render()
+  }
+
+  /**
+   * 以既有規則開啟編輯器
+   *
+   * @param {string} ruleId
+   */
+  function startEdit (ruleId) {
+    const rule = rules.find(r => r.id === ruleId)
+    if (!rule) return
+    draft = {
+      id: rule.id,
+      name: rule.name,
+      enabled: rule.enabled,
+      match: rule.match,
+      conditions: rule.conditions.map(c => ({ ...c })),
+      tagIds: [...rule.tagIds]
+    }
+    setMessage('')
+    render()
+  }
+
+  function cancelEdit () {
+    draft = null
+    render()
+  }
+
+  /**
+   * 更新編輯中的規則（不重新渲染，避免輸入中失去焦點）
+   *
+   * @param {string} key - name / match / enabled / tagIds，或條件欄位 field / operator / value
+   * @param {*} value
+   * @param {number} [conditionIndex] - 條件欄位所屬的條件
+   */
+  function updateDraft (key, value, conditionIndex) {
+    if (!draft) return
+    if (conditionIndex !== undefined) {
+      const condition = draft.conditions[conditionIndex]
+      if (condition) condition[key] = value
+      return
+    }
+    draft[key] = value
+  }
+
+  function addCondition () {
+    if (!draft || draft.conditions.length >= TAGGING_RULE_MAX_CONDITIONS) return
+    draft.conditions.push(createEmptyCondition())
+    render()
+  }
+
+  function removeCondition (index) {
+    if (!draft || draft.conditions.length <= 1) return
+    draft.conditions.splice(index, 1)
+    render()
+  }
+
+  /**
+   * 儲存編輯中的規則；成功後關閉編輯器
+   *
+   * @returns {Promise<boolean>}
+   */
+  async function saveDraft () {
+    if (!draft) return false
+    const input = draft
+    const ok = await run(() => tagStorageAdapter.saveTaggingRule(input))
+    if (ok) {
+      draft = null
+      render()
+    }
+    return ok
+  }
+
+  /**
+   * 切換規則啟用狀態（只影響提取 / 匯入時的自動套用與「預覽啟用中規則」）
+   *
+   * @param {string} ruleId
+   * @param {boolean} enabled
+   * @returns {Promise<boolean>}
+   */
+  async function setRuleEnabled (ruleId, enabled) {
+    const rule = rules.find(r => r.id === ruleId)
+    if (!rule) return false
+    return run(() => tagStorageAdapter.saveTaggingRule({ ...rule, enabled }))
+  }
+
+  /**
+   * 刪除規則（確認後）；已加上的標籤保留在書上
+   *
+   * @param {string} ruleId
+   * @returns {Promise<boolean>}
+   */
+  async function deleteRule (ruleId) {
+    const rule = rules.find(r => r.id === ruleId)
+    if (!rule || !confirmFn(TAGGING_RULES_DISPLAY.CONFIRM_DELETE(rule.name))) return false
+    const ok = await run(() => tagStorageAdapter.deleteTaggingRule(ruleId), { done: () => TAGGING_RULES_DISPLAY.DELETED })
+    if (ok && draft && draft.id === ruleId) {
+      draft = null
+      render()
+    }
+    return ok
+  }
+
+  /**
+   * 預覽規則會變動的書（未指定 ruleIds 時為所有啟用中的規則）
+   *
+   * @param {string[]} [ruleIds]
+   * @returns {Promise<boolean>}
+   */
+  async function showPreview (ruleIds) {
+    if (busy) return false
+    busy = true
+    let result
+    try {
+      result = await tagStorageAdapter.previewTaggingRules(ruleIds)
+    } catch (error) {
+      result = { success: false, error: 'failed' }
+    } finally {
+      busy = false
+    }
+    if (!result || result.success === false) {
+      setMessage(describeError(result && result.error))
+      return false
+    }
+    preview = { ruleIds, rules: result.rules, affected: result.affected }
+    setMessage('')
+    render()
+    return true
+  }
+
+  function closePreview () {
+    preview = null
+    render()
+  }
+
+  /**
+   * 套用目前預覽的規則；成功後重新讀取書籍（控制器更新復原按鈕）
+   *
+   * @returns {Promise<boolean>}
+   */
+  async function applyPreview () {
+    if (!preview) return false
+    const { ruleIds } = preview
+    const ok = await run(() => tagStorageAdapter.runTaggingRules(ruleIds), {
+      booksChanged: true,
+      done: result => TAGGING_RULES_DISPLAY.APPLIED(result.affected)
+    })
+    if (ok) {
+      preview = null
+      render()
+    }
+    return ok
+  }
+
+  /**
+   * 開合規則面板；開啟時重新讀取規則
+   *
+   * @param {boolean} [visible] - 未提供時切換
+   * @returns {Promise<void>}
+   */
+  async function toggle (visible) {
+    const panel = elements.taggingRulesPanel
+    if (!panel) return
+    const show = typeof visible === 'boolean' ? visible : panel.hidden
+    panel.hidden = !show
+    if (elements.taggingRulesBtn) {
+      elements.taggingRulesBtn.setAttribute('aria-expanded', String(show))
+      elements.taggingRulesBtn.textContent = show ? TAGGING_RULES_DISPLAY.HIDE : TAGGING_RULES_DISPLAY.SHOW
+    }
+    if (show) await load()
+  }
+
+  // --- 事件 ---
+
+  function handleListClick (event) {
+    const item = event.target.closest('.tagging-rule')
+    if (!item) return
+    const ruleId = item.getAttribute('data-rule-id')
+    if (event.target.closest('.tagging-rule-edit')) startEdit(ruleId)
+    else if (event.target.closest('.tagging-rule-preview')) showPreview([ruleId])
+    else if (event.target.closest('.tagging-rule-delete')) deleteRule(ruleId)
+  }
+
+  function handleListChange (event) {
+    if (!event.target.classList.contains('tagging-rule-enabled')) return
+    const item = event.target.closest('.tagging-rule')
+    if (item) setRuleEnabled(item.getAttribute('data-rule-id'), event.target.checked)
+  }
+
+  function handleEditorInput (event) {
+    const key = event.target.getAttribute('data-draft')
+    if (!key) return
+    const row = event.target.closest('.tagging-rule-condition')
+    const conditionIndex = row ? Number(row.getAttribute('data-condition-index')) : undefined
+    let value = event.target.value
+    if (key === 'enabled') value = event.target.checked
+    if (key === 'tagIds') value = [...event.target.selectedOptions].map(option => option.value)
+    updateDraft(key, value, conditionIndex)
+  }
+
+  function handleEditorClick (event) {
+    if (event.target.closest('.tagging-rule-add-condition')) {
+      addCondition()
+    } else if (event.target.closest('.tagging-rule-remove-condition')) {
+      const row = event.target.closest('.tagging-rule-condition')
+      removeCondition(Number(row.getAttribute('data-condition-index')))
+    } else if (event.target.closest('.tagging-rule-save')) {
+      saveDraft()
+    } else if (event.target.closest('.tagging-rule-cancel')) {
+      cancelEdit()
+    }
+  }
+
+  function handlePreviewClick (event) {
+    if (event.target.closest('.tagging-rules-apply')) applyPreview()
+    else if (event.target.closest('.tagging-rules-preview-close')) closePreview()
+  }
+
+  /**
+   * 綁定面板開合、規則列表、編輯器與預覽操作
+   */
+  function bind () {
+    if (elements.taggingRulesBtn) {
+      elements.taggingRulesBtn.addEventListener('click', () => toggle())
+    }
+    if (elements.taggingRulesAddBtn) {
+      elements.taggingRulesAddBtn.addEventListener('click', () => startCreate())
+    }
+    if (elements.taggingRulesPreviewBtn) {
+      elements.taggingRulesPreviewBtn.addEventListener('click', () => showPreview())
+    }
+    if (elements.taggingRuleList) {
+      elements.taggingRuleList.addEventListener('click', handleListClick)
+      elements.taggingRuleList.addEventListener('change', handleListChange)
+    }
+    if (elements.taggingRuleEditor) {
+      elements.taggingRuleEditor.addEventListener('input', handleEditorInput)
+      elements.taggingRuleEditor.addEventListener('change', handleEditorInput)
+      elements.taggingRuleEditor.addEventListener('click', handleEditorClick)
+    }
+    if (elements.taggingRulesPreview) {
+      elements.taggingRulesPreview.addEventListener('click', handlePreviewClick)
+    }
+  }
+
+  return {
+    render,
+    load,
+    toggle,
+    bind,
+    startCreate,
+    startEdit,
+    cancelEdit,
+    updateDraft,
+    addCondition,
+    removeCondition,
+    saveDraft,
+    setRuleEnabled,
+    deleteRule,
+    showPreview,
+    closePreview,
+    applyPreview
+  }
+}
+
+module.exports = { createOverviewTaggingRules, TAGGING_RULES_DISPLAY }
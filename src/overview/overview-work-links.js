@@ -0,0 +1,396 @@
+'use strict'
+
+const {
+  findDuplicateCandidates,
+  collapseBooksByWork,
+  indexBookWorks,
+  normalizeBookWork
+} = require('src/data-management/BookWorkSchema')
+const { getRegisteredPlatforms } = require('src/content/platform/platform-registry')
+const { t, translateOr, formatNumber, formatList, defineLocalizedText } = require('src/core/i18n/ui-i18n')
+
+/**
+ * 重複書籍審核面板顯示常數
+ */
+const WORK_LINKS_DISPLAY = defineLocalizedText({
+  SHOW: count => t('overview.workLinks.show', { count }),
+  HIDE: 'overview.workLinks.hide',
+  NO_CANDIDATES: 'overview.workLinks.noCandidates',
+  NO_WORKS: 'overview.workLinks.noWorks',
+  CONFIDENCE: confidence => formatNumber(confidence, { style: 'percent' }),
+  LINK: 'overview.workLinks.link',
+  DISMISS: 'overview.workLinks.dismiss',
+  UNLINK: 'overview.workLinks.unlink',
+  LINKED: 'overview.workLinks.linked',
+  DISMISSED: 'overview.workLinks.dismissed',
+  UNLINKED: 'overview.workLinks.unlinked',
+  CONFIRM_UNLINK: 'overview.workLinks.confirmUnlink',
+  FAILED: 'overview.workLinks.failed',
+  EDITION_COUNT: count => t('overview.workLinks.editionCount', { count })
+})
+
+const PLATFORM_DISPLAY_NAMES = new Map(getRegisteredPlatforms().map(platform => [platform.name, platform.displayName || platform.name]))
+
+/**
+ * 建立 OverviewWorkLinks 實例
+ *
+ * 負責功能：
+ * - 讀取 book_works / duplicate_dismissals
+ * - 列出跨書城的可能重複書籍（信心分數），連結為同一作品或略過
+ * - 列出已連結的作品並可取消連結
+ * - 書籍清單合併顯示：同一作品只出現一次（合併進度 / 狀態），「展開版本」時各版本分開顯示
+ *
+ * 作品或展開狀態變動時呼叫 onChange，由控制器重新套用篩選。
+ *
+ * @param {Object} deps - 依賴注入
+ * @param {Document} deps.document - DOM 文檔物件
+ * @param {Object} deps.elements - 控制器的元素快取（duplicateReviewPanel 等）
+ * @param {Object} deps.tagStorageAdapter - 模組參考，需含 getBookWorks / linkBooksAsWork 等
+ * @param {Function} deps.getBooks - () => Array，目前書庫
+ * @param {Function} deps.onChange - 作品或展開狀態變動時呼叫
+ * @param {Function} [deps.confirm] - (message) => boolean，取消連結前確認
+ * @returns {Object} OverviewWorkLinks
+ */
+function createOverviewWorkLinks (deps) {
+  if (!deps || typeof deps !== 'object') {
+    throw new TypeError('createOverviewWorkLinks requires deps object')
+  }
+  for (const key of ['document', 'elements', 'tagStorageAdapter']) {
+    if (!deps[key]) {
+      throw new TypeError(`deps.${key} is required`)
+    }
+  }
+  for (const key of ['getBooks', 'onChange']) {
+    if (typeof deps[key] !== 'function') {
+      throw new TypeError(`deps.${key} must be a function`)
+    }
+  }
+
+  const { document: doc, elements, tagStorageAdapter } = deps
+  const confirmFn = typeof deps.confirm === 'function' ? deps.confirm : () => true
+  let works = []
+  let dismissed = []
+  let expanded = false
+
+  function showMessage (text) {
+    if (elements.duplicateReviewMessage) {
+      elements.duplicateReviewMessage.textContent = text
+    }
+  }
+
+  function getBookMap () {
+    return new Map(deps.getBooks().filter(book => book && book.id).map(book => [book.id, book]))
+  }
+
+  function createEmptyItem (text) {
+    const empty = doc.createElement('li')
+    empty.className = 'duplicate-empty'
+    empty.textContent = text
+    return empty
+  }
+
+  function createButton (className, text) {
+    const button = doc.createElement('button')
+    button.type = 'button'
+    button.className = className
+    button.textContent = text
+    return button
+  }
+
+  /**
+   * 版本摘要：書名、作者 / 出版社與書城
+   */
+  function createEdition (book) {
+    const edition = doc.createElement('div')
+    edition.className = 'duplicate-edition'
+    edition.setAttribute('data-book-id', book.id)
+    const title = doc.createElement('span')
+    title.className = 'duplicate-edition-title'
+    title.textContent = book.title || book.id
+    const meta = doc.createElement('span')
+    meta.className = 'duplicate-edition-meta'
+    const authors = Array.isArray(book.authors) && book.authors.length > 0 ? formatList(book.authors) : (book.author || '')
+    meta.textContent = [authors, book.publisher].filter(Boolean).join(' / ')
+    const source = doc.createElement('span')
+    source.className = 'duplicate-edition-source'
+    const sourceName = book.source || 'readmoo'
+    source.textContent = translateOr(`common.platforms.${sourceName}`, PLATFORM_DISPLAY_NAMES.get(sourceName) || sourceName)
+    edition.append(title, meta, source)
+    return edition
+  }
+
+  /**
+   * 目前書庫的重複候選（已略過與已連結的配對除外）
+   *
+   * @returns {Array<Object>} findDuplicateCandidates 的結果
+   */
+  function getCandidates () {
+    return findDuplicateCandidates(deps.getBooks(), { works, dismissed })
+  }
+
+  function renderCandidates (candidates, bookMap) {
+    const list = elements.duplicateCandidateList
+    if (!list) return
+    if (candidates.length === 0) {
+      list.replaceChildren(createEmptyItem(WORK_LINKS_DISPLAY.NO_CANDIDATES))
+      return
+    }
+    list.replaceChildren(...candidates.map(candidate => {
+      const item = doc.createElement('li')
+      item.className = 'duplicate-candidate'
+      item.setAttribute('data-candidate-key', candidate.key)
+      const confidence = doc.createElement('span')
+      confidence.className = 'duplicate-confidence'
+      confidence.textContent = WORK_LINKS_DISPLAY.CONFIDENCE(candidate.confidence)
+      item.append(confidence, ...candidate.bookIds.map(id => createEdition(bookMap.get(id))))
+      item.append(
+        createButton('duplicate-link-btn', WORK_LINKS_DISPLAY.LINK),
+        createButton('duplicate-dismiss-btn', WORK_LINKS_DISPLAY.DISMISS)
+      )
+      return item
+    }))
+  }
+
+  function renderWorks (bookMap) {
+    const list = elements.linkedWorkList
+    if (!list) return
+    const present = [...new Set(indexBookWorks(works, new Set(bookMap.keys())).values())]
+    if (present.length === 0) {
+      list.replaceChildren(createEmptyItem(WORK_LINKS_DISPLAY.NO_WORKS))
+      return
+    }
+    list.replaceChildren(...present.map(work => {
+      const item = doc.createElement('li')
+      item.className = 'linked-work'
+      item.setAttribute('data-work-id', work.id)
+      item.append(...work.bookIds.map(id => createEdition(bookMap.get(id))))
+      item.append(createButton('linked-work-unlink-btn', WORK_LINKS_DISPLAY.UNLINK))
+      return item
+    }))
+  }
+
+  /**
+   * 重新渲染候選清單、已連結作品與按鈕上的候選數
+   */
+  function renderReview () {
+    const bookMap = getBookMap()
+    const candidates = getCandidates()
+    renderCandidates(candidates, bookMap)
+    renderWorks(bookMap)
+    const button = elements.duplicateReviewBtn
+    if (button && button.getAttribute('aria-expanded') !== 'true') {
+      button.textContent = WORK_LINKS_DISPLAY.SHOW(candidates.length)
+    }
+  }
+
+  /**
+   * 以外部資料取代作品（storage 變動）
+   *
+   * @param {Array<Object>} nextWorks
+   */
+  function setWorks (nextWorks) {
+    works = (Array.isArray(nextWorks) ? nextWorks : []).map(normalizeBookWork).filter(Boolean)
+    renderReview()
+    deps.onChange()
+  }
+
+  /**
+   * 以外部資料取代已略過的配對（storage 變動）
+   *
+   * @param {Array<string>} nextDismissed
+   */
+  function setDismissed (nextDismissed) {
+    dismissed = Array.isArray(nextDismissed) ? nextDismissed.filter(key => typeof key === 'string') : []
+    renderReview()
+  }
+
+  /**
+   * 從 storage 讀取作品與已略過的配對
+   *
+   * @returns {Promise<void>}
+   */
+  async function load () {
+    const [storedWorks, storedDismissed] = await Promise.all([
+      tagStorageAdapter.getBookWorks(),
+      tagStorageAdapter.getDuplicateDismissals()
+    ])
+    dismissed = Array.isArray(storedDismissed) ? storedDismissed : []
+    setWorks(storedWorks)
+  }
+
+  /**
+   * 合併顯示：同一作品只保留一筆代表書籍；展開版本時原樣回傳
+   *
+   * @param {Array<Object>} books - 篩選結果
+   * @returns {Array<Object>}
+   */
+  function collapse (books) {
+    if (expanded || works.length === 0) return books
+    return collapseBooksByWork(books, works, deps.getBooks())
+  }
+
+  /**
+   * 將代表書籍的 id 展開為作品所有版本的 id（批次編輯作用於每個版本）
+   *
+   * @param {Array<string>} bookIds
+   * @returns {Array<string>}
+   */
+  function expandBookIds (bookIds) {
+    if (expanded || works.length === 0) return bookIds
+    const index = indexBookWorks(works, new Set(getBookMap().keys()))
+    return [...new Set(bookIds.flatMap(id => (index.has(id) ? index.get(id).bookIds : [id])))]
+  }
+
+  /**
+   * 將代表書籍展開為各版本（JSON 匯出保留每一筆書籍）
+   *
+   * @param {Array<Object>} books
+   * @returns {Array<Object>}
+   */
+  function expandEditions (books) {
+    return books.flatMap(book => (Array.isArray(book.editions) ? book.editions : [book]))
+  }
+
+  function isExpanded () {
+    return expanded
+  }
+
+  /**
+   * 切換「展開版本」
+   *
+   * @param {boolean} value
+   */
+  function setExpanded (value) {
+    expanded = Boolean(value)
+    if (elements.expandEditionsToggle) {
+      elements.expandEditionsToggle.checked = expanded
+    }
+    deps.onChange()
+  }
+
+  /**
+   * 連結候選配對為同一作品
+   *
+   * @param {string} candidateKey
+   * @returns {Promise<boolean>}
+   */
+  async function link (candidateKey) {
+    const candidate = getCandidates().find(entry => entry.key === candidateKey)
+    if (!candidate) return false
+    const result = await tagStorageAdapter.linkBooksAsWork(candidate.bookIds)
+    if (!result || result.success === false) {
+      showMessage(WORK_LINKS_DISPLAY.FAILED)
+      return false
+    }
+    setWorks(await tagStorageAdapter.getBookWorks())
+    showMessage(WORK_LINKS_DISPLAY.LINKED)
+    return true
+  }
+
+  /**
+   * 略過候選配對（不再列出）
+   *
+   * @param {string} candidateKey
+   * @returns {Promise<boolean>}
+   */
+  async function dismiss (candidateKey) {
+    const candidate = getCandidates().find(entry => entry.key === candidateKey)
+    if (!candidate) return false
+    const result = await tagStorageAdapter.dismissDuplicateCandidate(...candidate.bookIds)
+    if (!result || result.success === false) {
+      showMessage(WORK_LINKS_DISPLAY.FAILED)
+      return false
+    }
+    setDismissed(await tagStorageAdapter.getDuplicateDismissals())
+    showMessage(WORK_LINKS_DISPLAY.DISMISSED)
+    return true
+  }
+
+  /**
+   * 取消作品連結（確認後）
+   *
+   * @param {string} workId
+   * @returns {Promise<boolean>}
+   */
+  async function unlink (workId) {
+    if (!confirmFn(WORK_LINKS_DISPLAY.CONFIRM_UNLINK)) return false
+    const result = await tagStorageAdapter.unlinkBookWork(workId)
+    if (!result || result.success === false) {
+      showMessage(WORK_LINKS_DISPLAY.FAILED)
+      return false
+    }
+    setWorks(await tagStorageAdapter.getBookWorks())
+    showMessage(WORK_LINKS_DISPLAY.UNLINKED)
+    return true
+  }
+
+  /**
+   * 開合審核面板
+   *
+   * @param {boolean} [visible] - 未提供時切換
+   */
+  function toggle (visible) {
+    const panel = elements.duplicateReviewPanel
+    if (!panel) return
+    const show = typeof visible === 'boolean' ? visible : panel.hidden
+    panel.hidden = !show
+    if (elements.duplicateReviewBtn) {
+      elements.duplicateReviewBtn.setAttribute('aria-expanded', String(show))
+      elements.duplicateReviewBtn.textContent = show ? WORK_LINKS_DISPLAY.HIDE : WORK_LINKS_DISPLAY.SHOW(getCandidates().length)
+    }
+  }
+
+  /**
+   * 綁定面板開合、候選 / 作品操作與「展開版本」切換
+   */
+  function bind () {
+    if (elements.duplicateReviewBtn) {
+      elements.duplicateReviewBtn.addEventListener('click', () => toggle())
+    }
+    if (elements.duplicateCandidateList) {
+      elements.duplicateCandidateList.addEventListener('click', (event) => {
+        const item = event.target.closest('.duplicate-candidate')
+        if (!item) return
+        const key = item.getAttribute('data-candidate-key')
+        if (event.target.closest('.duplicate-link-btn')) link(key)
+        if (event.target.closest('.duplicate-dismiss-btn')) dismiss(key)
+      })
+    }
+    if (elements.linkedWorkList) {
+      elements.linkedWorkList.addEventListener('click', (event) => {
+        const item = event.target.closest('.linked-work')
+        if (item && event.target.closest('.linked-work-unlink-btn')) {
+          unlink(item.getAttribute('data-work-id'))
+        }
+      })
+    }
+    if (elements.expandEditionsToggle) {
+      elements.expandEditionsToggle.addEventListener('change', (event) => setExpanded(event.target.checked))
+    }
+  }
+
+  function getWorks () {
+    return works.slice()
+  }
+
+  return {
+    load,
+    setWorks,
+    setDismissed,
+    renderReview,
+    getCandidates,
+    collapse,
+    expandBookIds,
+    expandEditions,
+    isExpanded,
+    setExpanded,
+    link,
+    dismiss,
+    unlink,
+    toggle,
+    bind,
+    getWorks
+  }
+}
+
+module.exports = { createOverviewWorkLinks, WORK_LINKS_DISPLAY }
@@ -21,6 +21,7 @@ const { Logger } = require('src/core/logging/Logger')
 const { ErrorCodes } = require('src/core/errors/ErrorCodes')
 const EventBus = require('src/core/event-bus')
 const { OverviewPageController } = require('src/overview/overview-page-controller')
+const { t, loadLocalePreference, translateDocument, bindLanguageSelect } = require('src/core/i18n/ui-i18n')
 
 ;(function () {
   'use strict'
@@ -185,7 +186,7 @@ const { OverviewPageController } = require('src/overview/overview-page-controlle
     const errorMessage = document.getElementById('errorMessage')
 
     if (errorContainer && errorMessage) {
-      errorMessage.textContent = `頁面初始化失敗: ${error.message}`
+      errorMessage.textContent = t('overview.boot.initFailed', { message: error.message })
       errorContainer.style.display = 'block'
 
       // 設定重試按鈕
@@ -198,7 +199,24 @@ const { OverviewPageController } = require('src/overview/overview-page-controlle
       }
     } else {
       // 降級處理：使用 alert
-      alert(`Overview 頁面初始化失敗: ${error.message}`)
+      alert(t('overview.boot.initFailed', { message: error.message }))
+    }
+  }
+
+  /**
+   * 套用介面語言
+   *
+   * 依儲存的語言偏好替換 overview.html 的靜態文字，並綁定語言選單；
+   * 切換語言後重新載入頁面，使控制器與各面板以新語系重新渲染。
+   */
+  async function applyInterfaceLanguage () {
+    const storage = typeof chrome !== 'undefined' && chrome.storage ? chrome.storage.local : null
+    await loadLocalePreference(storage)
+    translateDocument(document)
+
+    const languageSelect = document.getElementById('languageSelect')
+    if (languageSelect && storage) {
+      bindLanguageSelect(languageSelect, { storage, onChange: () => window.location.reload() })
     }
   }
 
@@ -207,6 +225,9 @@ const { OverviewPageController } = require('src/overview/overview-page-controlle
    */
   async function initializeOverviewPage () {
     try {
+      // Step 0: 套用介面語言（控制器的顯示文字於渲染時依此語系取值）
+      await applyInterfaceLanguage()
+
       // 顯示載入狀態
       const loadingIndicator = document.getElementById('loadingIndicator')
       if (loadingIndicator) {
@@ -221,7 +242,12 @@ const { OverviewPageController } = require('src/overview/overview-page-controlle
       // Step 2: 初始化控制器
       await initializeOverviewController()
 
-      // Step 3: 嘗試載入儲存的資料
+      // Step 3: 先套用檢視偏好（表格 / 封面網格），避免以錯誤檢視渲染整個書庫
+      if (overviewController && typeof overviewController.loadViewPreference === 'function') {
+        await overviewController.loadViewPreference()
+      }
+
+      // Step 4: 嘗試載入儲存的資料
       if (overviewController && typeof overviewController.loadBooksFromChromeStorage === 'function') {
         // 使用控制器的 Chrome Storage 載入方法
         await overviewController.loadBooksFromChromeStorage()
@@ -233,6 +259,36 @@ const { OverviewPageController } = require('src/overview/overview-page-controlle
         })
       }
 
+      // Step 5: 載入已儲存檢視（計數依已載入的書庫計算）
+      if (overviewController && typeof overviewController.loadSavedViews === 'function') {
+        await overviewController.loadSavedViews()
+      }
+
+      // Step 6: 載入進度歷程（閱讀統計的書名與頁數取自已載入的書庫）
+      if (overviewController && typeof overviewController.loadProgressHistory === 'function') {
+        await overviewController.loadProgressHistory()
+      }
+
+      // Step 7: 載入作品連結（同一作品的多個版本合併顯示，需在書庫載入後套用）
+      if (overviewController && typeof overviewController.loadBookWorks === 'function') {
+        await overviewController.loadBookWorks()
+      }
+
+      // Step 8: 載入排程更新設定與上次執行摘要
+      if (overviewController && typeof overviewController.loadScheduledRefresh === 'function') {
+        await overviewController.loadScheduledRefresh()
+      }
+
+      // Step 9: 載入書目補齊設定與進度
+      if (overviewController && typeof overviewController.loadMetadataEnrichment === 'function') {
+        await overviewController.loadMetadataEnrichment()
+      }
+
+      // Step 10: 取回頁面重新載入前的批次編輯復原紀錄
+      if (overviewController && typeof overviewController.loadBulkUndo === 'function') {
+        await overviewController.loadBulkUndo()
+      }
+
       // 隱藏載入狀態
       if (loadingIndicator) {
         loadingIndicator.style.display = 'none'
@@ -2,14 +2,16 @@
 
 const { createTagResolver } = require('../ui/search/tag-resolver')
 const { COLORS } = require('../core/design-system/colors.js')
+const { t, defineLocalizedText } = require('../core/i18n/ui-i18n')
 
 /**
  * Tag 顯示配置常數
  * 控制 tag cell 的顯示行為
  */
-const TAG_DISPLAY = Object.freeze({
-  MAX_VISIBLE: 3,
-  EMPTY_LABEL: '未分類'
+const TAG_DISPLAY = defineLocalizedText({
+  EMPTY_LABEL: 'overview.tags.empty'
+}, {
+  MAX_VISIBLE: 3
 })
 
 /**
@@ -101,7 +103,7 @@ function createTagCellRenderer (deps) {
     if (remaining > 0) {
       const more = doc.createElement('span')
       more.className = 'tag-chip tag-chip--more'
-      more.title = `還有 ${remaining} 個標籤`
+      more.title = t('overview.tags.more', { count: remaining })
       more.textContent = `+${remaining}`
       container.appendChild(more)
     }
@@ -133,4 +135,4 @@ function createTagCellRenderer (deps) {
   }
 }
 
-module.exports = { createTagCellRenderer, TAG_DISPLAY }
+module.exports = { createTagCellRenderer, sanitizeColor, TAG_DISPLAY }
@@ -3,7 +3,7 @@
  *
  * 職責：綁定匯入按鈕與隱藏 file input，讀取選取檔案後串接
  * src/import/json-importer.js 的 executeImport 編排匯入流程，
- * 並依結果更新摘要、處理防舊蓋新確認與錯誤回呼。
+ * 並依結果更新摘要、處理防舊蓋新確認、加密檔密碼詢問與錯誤回呼。
  *
  * 對應 ticket 1.2.0-W1-007 Phase 2（N1, N2, N3, E1-E5, I1）。
  */
@@ -11,23 +11,32 @@
 import { Logger } from '../../core/logging/Logger.js'
 import { executeImport, IMPORT_ERROR_CODES } from '../../import/json-importer.js'
 import FileReaderFactory from '../../utils/file-reader-factory.js'
+import { t, defineLocalizedText } from '../../core/i18n/ui-i18n.js'
 
 const logger = new Logger('ImportPanel')
 
-const IMPORT_MESSAGES = {
-  BUTTON_LABEL: '匯入書庫',
-  RESULT_TITLE: '匯入結果',
-  ERROR_TITLE: '匯入失敗',
-  CLOSE: '關閉',
-  FALLBACK_ERROR: '匯入失敗',
-  FILE_READ_ERROR: '檔案讀取失敗',
-  STORAGE_ERROR: '儲存失敗，請重試',
+const IMPORT_MESSAGES = defineLocalizedText({
+  BUTTON_LABEL: 'popup.import.buttonLabel',
+  RESULT_TITLE: 'popup.import.resultTitle',
+  ERROR_TITLE: 'popup.import.errorTitle',
+  CLOSE: 'popup.import.close',
+  FALLBACK_ERROR: 'popup.import.fallbackError',
+  FILE_READ_ERROR: 'popup.import.fileReadError',
+  STORAGE_ERROR: 'popup.import.storageError',
   STALE_CONFIRM: (exportedAt, lastImportedAt) =>
-    '匯入檔案（' + exportedAt + '）較本機上次匯入（' + lastImportedAt + '）舊，確定要覆蓋？',
-  SUMMARY_ADDED: '新增:',
-  SUMMARY_UPDATED: '更新:',
-  SUMMARY_UNCHANGED: '未變更:',
-  SUMMARY_UNIT: '本'
+    t('popup.import.staleConfirm', { exportedAt, lastImportedAt }),
+  PASSPHRASE_PROMPT: 'popup.import.passphrasePrompt',
+  PASSPHRASE_RETRY: 'popup.import.passphraseRetry',
+  SUMMARY_ADDED: 'popup.import.summaryAdded',
+  SUMMARY_UPDATED: 'popup.import.summaryUpdated',
+  SUMMARY_UNCHANGED: 'popup.import.summaryUnchanged',
+  SUMMARY_REMOVED: 'popup.import.summaryRemoved',
+  SUMMARY_AUTO_TAGGED: 'popup.import.summaryAutoTagged',
+  SUMMARY_UNIT: 'popup.import.summaryUnit'
+})
+
+function isZipFile (file) {
+  return file.type === 'application/zip' || /\.zip$/i.test(file.name || '')
 }
 
 export class ImportPanel {
@@ -91,12 +100,17 @@ export class ImportPanel {
       this._showError({ code: IMPORT_ERROR_CODES.FILE_READ_ERROR, message: IMPORT_MESSAGES.FILE_READ_ERROR })
       this.isProcessing = false
     }
-    reader.readAsText(file)
+    // 備份 ZIP bundle 以位元組交給 executeImport；其餘視為 JSON 文字
+    if (isZipFile(file)) {
+      reader.readAsArrayBuffer(file)
+    } else {
+      reader.readAsText(file)
+    }
   }
 
   /**
    * 讀檔完成後執行匯入流程並更新 UI；無論成敗最後清除 isProcessing。
-   * @param {string} content - 檔案文字內容
+   * @param {string|ArrayBuffer} content - 檔案文字內容，或備份 ZIP 位元組
    * @returns {Promise<void>}
    */
   async _processContent (content) {
@@ -112,12 +126,13 @@ export class ImportPanel {
   }
 
   /**
-   * 依匯入結果分流：成功顯示摘要 / STALE_DATA 走確認流程 / 其他錯誤回呼 onError。
+   * 依匯入結果分流：成功顯示摘要 / STALE_DATA 走確認流程 / 加密檔詢問密碼 / 其他錯誤回呼 onError。
    * @param {Object} result - executeImport 回傳的 ImportResult
-   * @param {string} content - 原始檔案內容（STALE_DATA 重試用）
+   * @param {string} content - 原始檔案內容（重試用）
+   * @param {Object} [options] - 本次 executeImport 的選項（重試時沿用，例如已輸入的密碼）
    * @returns {Promise<void>}
    */
-  async _handleImportResult (result, content) {
+  async _handleImportResult (result, content, options = {}) {
     if (result.success) {
       this._showResult(result.summary)
       return
@@ -125,20 +140,46 @@ export class ImportPanel {
 
     const error = result.error || {}
     if (error.code === IMPORT_ERROR_CODES.STALE_DATA) {
-      await this._handleStaleData(result, content)
+      await this._handleStaleData(result, content, options)
+      return
+    }
+    if (error.code === IMPORT_ERROR_CODES.PASSPHRASE_REQUIRED || error.code === IMPORT_ERROR_CODES.DECRYPT_FAILED) {
+      await this._handlePassphrase(error, content, options)
       return
     }
 
     this._showError(error)
   }
 
+  /**
+   * 加密檔密碼流程：prompt 輸入後帶 passphrase 重新匯入（密碼錯誤時再次詢問）；取消則 reset。
+   * @param {Object} error - PASSPHRASE_REQUIRED / DECRYPT_FAILED
+   * @param {string} content
+   * @param {Object} options
+   * @returns {Promise<void>}
+   */
+  async _handlePassphrase (error, content, options) {
+    const message = error.code === IMPORT_ERROR_CODES.DECRYPT_FAILED
+      ? IMPORT_MESSAGES.PASSPHRASE_RETRY
+      : IMPORT_MESSAGES.PASSPHRASE_PROMPT
+    const passphrase = window.prompt(message)
+    if (!passphrase) {
+      this.reset()
+      return
+    }
+
+    const retryOptions = { ...options, passphrase }
+    await this._handleImportResult(await executeImport(content, retryOptions), content, retryOptions)
+  }
+
   /**
    * 防舊蓋新確認流程：confirm 確認後以 skipStalenessCheck 重新匯入；取消則 reset。
    * @param {Object} result - 含 staleness 的 STALE_DATA 結果
    * @param {string} content
+   * @param {Object} [options] - 沿用的 executeImport 選項
    * @returns {Promise<void>}
    */
-  async _handleStaleData (result, content) {
+  async _handleStaleData (result, content, options = {}) {
     const staleness = result.staleness || {}
     const message = IMPORT_MESSAGES.STALE_CONFIRM(staleness.exportedAt, staleness.lastImportedAt)
 
@@ -147,7 +188,7 @@ export class ImportPanel {
       return
     }
 
-    const retryResult = await executeImport(content, { skipStalenessCheck: true })
+    const retryResult = await executeImport(content, { ...options, skipStalenessCheck: true })
     if (retryResult.success) {
       this._showResult(retryResult.summary)
     } else {
@@ -156,8 +197,8 @@ export class ImportPanel {
   }
 
   /**
-   * 顯示匯入結果摘要（新增/更新/未變更）。
-   * @param {Object} summary - { added, updated, unchanged }
+   * 顯示匯入結果摘要（新增/更新/未變更；增量同步有刪除時加列移除，新書套用自動標籤規則時加列）。
+   * @param {Object} summary - { added, updated, unchanged, removed?, autoTagged? }
    */
   _showResult (summary) {
     const safe = summary || {}
@@ -169,6 +210,8 @@ export class ImportPanel {
         [IMPORT_MESSAGES.SUMMARY_UPDATED, safe.updated || 0],
         [IMPORT_MESSAGES.SUMMARY_UNCHANGED, safe.unchanged || 0]
       ]
+      if (safe.removed > 0) lines.push([IMPORT_MESSAGES.SUMMARY_REMOVED, safe.removed])
+      if (safe.autoTagged > 0) lines.push([IMPORT_MESSAGES.SUMMARY_AUTO_TAGGED, safe.autoTagged])
       lines.forEach(([label, count], i) => {
         const b = document.createElement('strong')
         b.textContent = label
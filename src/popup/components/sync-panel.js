@@ -1,26 +1,68 @@
 /**
  * SyncPanel — 同步到 App 的 Popup UI 控制器（Presentation 層，有狀態）
  *
- * 職責：綁定同步/停止按鈕事件，串接書庫讀取 → QR 編碼 → Canvas 輪播，
+ * 職責：綁定同步/停止按鈕事件，串接書庫讀取 → 增量計算 → QR 編碼 → Canvas 輪播，
  * 並依流程狀態更新 UI（按鈕顯示、狀態文字、Canvas 可見性）。
  *
- * 依賴 src/sync/qr-encoder.js（encodeBookDataToQRFrames）與
- * src/popup/services/sync-qr-renderer.js（SyncQRRenderer）。
+ * 同步內容為 format_version 3.0 信封：已配對裝置皆確認過同步點時只輸出之後的變更與
+ * tombstone，否則輸出全量；本次同步點記入同步日誌待 App 回傳確認。
+ *
+ * 勾選加密時以使用者輸入的密碼（未輸入則產生一次性配對碼並顯示）加密 QR 內容，
+ * App 端須輸入相同密碼 / 配對碼才能還原。
+ *
+ * 勾選容錯傳輸時改用噴泉碼 frame（FRAME_VERSIONS.FOUNTAIN，App 端須支援版本 0x02），
+ * 漏掃任意幀不必等下一輪；此選擇記入 chrome.storage.local，下次開啟沿用。
+ *
+ * 依賴 src/sync/qr-encoder.js（encodeBookDataToQRFrames）、src/sync/sync-json-builder.js /
+ * sync-journal.js（增量信封與同步點）與 src/popup/services/sync-qr-renderer.js（SyncQRRenderer）。
  *
  * 對應 ticket 1.2.0-W1-001 Phase 2 群組 G（場景 N11, E1-UI, E2-UI, E7, I1, I2）。
  */
 
 import { Logger } from '../../core/logging/Logger.js'
-import { encodeBookDataToQRFrames } from '../../sync/qr-encoder.js'
-import { buildSyncJSON } from '../../sync/sync-json-builder.js'
+import { encodeBookDataToQRFrames, FRAME_VERSIONS } from '../../sync/qr-encoder.js'
+import { buildDeltaSyncJSON } from '../../sync/sync-json-builder.js'
+import { generatePairingCode } from '../../sync/sync-crypto.js'
+import {
+  SYNC_STORAGE_KEYS,
+  createSyncId,
+  normalizeSyncJournal,
+  resolveSyncBase,
+  addPendingSyncPoint
+} from '../../sync/sync-journal.js'
 import { SyncQRRenderer } from '../services/sync-qr-renderer.js'
 import { STORAGE_KEYS } from '../../background/constants/module-constants.js'
+import TagStorageAdapter from '../../storage/adapters/tag-storage-adapter.js'
+import { isLibraryHeader } from '../../storage/adapters/indexeddb-book-store.js'
+import { t, defineLocalizedText } from '../../core/i18n/ui-i18n.js'
 
 const logger = new Logger('SyncPanel')
 
+const SYNC_MESSAGES = defineLocalizedText({
+  PREPARING: 'popup.sync.preparing',
+  EMPTY_LIBRARY: 'popup.sync.emptyLibrary',
+  NO_CHANGES: 'popup.sync.noChanges',
+  SINGLE_FRAME: 'popup.sync.singleFrame',
+  FRAMES: count => t('popup.sync.frames', { count }),
+  ENCRYPTED: frames => t('popup.sync.encrypted', { frames }),
+  DELTA: (count, frames) => t('popup.sync.delta', { count, frames }),
+  COMPLETED: 'popup.sync.completed',
+  LOAD_FAILED: 'popup.sync.loadFailed',
+  PAIRING_CODE: code => t('popup.sync.pairingCode', { code })
+})
+
+const { STORAGE_KEYS: TAG_STORAGE_KEYS } = TagStorageAdapter
+
+/** 同步面板的使用者設定（chrome.storage.local） */
+export const SYNC_SETTING_KEYS = Object.freeze({
+  FOUNTAIN_FRAMES: 'sync_fountain_frames'
+})
+
 export class SyncPanel {
   /**
-   * @param {Object} elements - { syncContainer, qrCanvas, syncStatus, syncButton, stopButton }
+   * @param {Object} elements - { syncContainer, qrCanvas, syncStatus, syncButton, stopButton,
+   *   encryptToggle?, passphraseInput?, pairingCode?, fountainToggle? }
+   *   （encryptToggle 等三者缺省時不加密；fountainToggle 缺省時依已儲存的設定）
    */
   constructor (elements) {
     this.elements = elements
@@ -30,47 +72,76 @@ export class SyncPanel {
     this.startSync = this.startSync.bind(this)
     this.stopSync = this.stopSync.bind(this)
     this.handleComplete = this.handleComplete.bind(this)
+    this.handleFountainToggle = this.handleFountainToggle.bind(this)
   }
 
   /**
-   * 綁定事件並建立渲染器。
+   * 綁定事件、還原容錯傳輸設定並建立渲染器。
    * @returns {Promise<void>}
    */
   async initialize () {
     this.elements.syncButton.addEventListener('click', this.startSync)
     this.elements.stopButton.addEventListener('click', this.stopSync)
+    const { fountainToggle } = this.elements
+    if (fountainToggle) {
+      const stored = (await chrome.storage.local.get([SYNC_SETTING_KEYS.FOUNTAIN_FRAMES])) || {}
+      fountainToggle.checked = stored[SYNC_SETTING_KEYS.FOUNTAIN_FRAMES] === true
+      fountainToggle.addEventListener('change', this.handleFountainToggle)
+    }
     this.renderer = new SyncQRRenderer(this.elements.qrCanvas, {
       onComplete: this.handleComplete
     })
   }
 
   /**
-   * 觸發完整同步流程：讀書庫 → 壓縮切塊 QR → 啟動輪播。
+   * 觸發同步流程：讀書庫與同步日誌 → 增量信封 → 壓縮切塊 QR → 記錄同步點 → 啟動輪播。
    * @returns {Promise<void>}
    */
   async startSync () {
     if (this.isProcessing) return
     this.isProcessing = true
-    this._setStatus('正在準備同步資料...')
+    this._setStatus(SYNC_MESSAGES.PREPARING)
 
     try {
-      const books = await this._loadBooks()
-      if (books.length === 0) {
-        this._setStatus('書庫中沒有書籍，請先提取書庫資料')
+      const state = await this._loadSyncState()
+      if (state.library.books.length === 0) {
+        this._setStatus(SYNC_MESSAGES.EMPTY_LIBRARY)
         this._showCanvas(false)
         return
       }
 
-      const jsonString = buildSyncJSON(books)
-      const result = await encodeBookDataToQRFrames(jsonString)
+      const base = resolveSyncBase(state.journal)
+      const delta = buildDeltaSyncJSON(state.library, {
+        deviceId: state.deviceId,
+        syncId: createSyncId('sync'),
+        base
+      })
+      if (base && delta.changeCount === 0) {
+        this._setStatus(SYNC_MESSAGES.NO_CHANGES)
+        this._showCanvas(false)
+        return
+      }
+
+      const passphrase = this._resolvePassphrase()
+      const result = await encodeBookDataToQRFrames(delta.json, {
+        frameVersion: this._resolveFrameVersion(state.fountainFrames),
+        ...(passphrase ? { passphrase } : {})
+      })
+      await chrome.storage.local.set({
+        [SYNC_STORAGE_KEYS.DEVICE_ID]: state.deviceId,
+        [SYNC_STORAGE_KEYS.JOURNAL]: addPendingSyncPoint(state.journal, delta.syncPoint)
+      })
 
       this._showCanvas(true)
       this._toggleButtons(true)
       this.renderer.start(result.frames, result.isStatic)
-      this._setStatus(result.isStatic ? '單張 QR，請以 App 掃描' : '共 ' + result.frames.length + ' 幀，請以 App 掃描')
+      const scanText = result.isStatic ? SYNC_MESSAGES.SINGLE_FRAME : SYNC_MESSAGES.FRAMES(result.frames.length)
+      const frameText = passphrase ? SYNC_MESSAGES.ENCRYPTED(scanText) : scanText
+      this._setStatus(base ? SYNC_MESSAGES.DELTA(delta.changeCount, frameText) : frameText)
     } catch (error) {
       logger.error('同步流程失敗：' + error.message, { component: 'SyncPanel' })
       this._setStatus(error.message)
+      this._showPairingCode('')
       this._showCanvas(false)
       this._toggleButtons(false)
     } finally {
@@ -84,27 +155,94 @@ export class SyncPanel {
     this._showCanvas(false)
     this._toggleButtons(false)
     this._setStatus('')
+    this._showPairingCode('')
   }
 
   /** 循環播放完成回呼。 */
   handleComplete () {
-    this._setStatus('播放完成，若 App 未收齊可重新播放')
+    this._setStatus(SYNC_MESSAGES.COMPLETED)
     this._toggleButtons(false)
   }
 
   /**
-   * 讀取書庫 books 陣列（chrome.storage.local.readmoo_books.books）。
-   * @returns {Promise<Array>}
+   * 容錯傳輸勾選變更：記入設定供下次開啟沿用。
+   * @returns {Promise<void>}
    */
-  async _loadBooks () {
+  async handleFountainToggle () {
     try {
-      const data = await chrome.storage.local.get([STORAGE_KEYS.READMOO_BOOKS])
-      const stored = data && data[STORAGE_KEYS.READMOO_BOOKS]
-      return (stored && stored.books) || []
+      await chrome.storage.local.set({ [SYNC_SETTING_KEYS.FOUNTAIN_FRAMES]: this.elements.fountainToggle.checked })
+    } catch (error) {
+      logger.error('儲存同步設定失敗：' + error.message, { component: 'SyncPanel' })
+    }
+  }
+
+  /**
+   * 一次讀取書庫（books / tags / tag_categories）、本機裝置 id、同步日誌與容錯傳輸設定。
+   * 本機尚無裝置 id 時產生新 id，於同步點寫入時一併保存。
+   * @returns {Promise<{ library: Object, deviceId: string, journal: Object, fountainFrames: boolean }>}
+   */
+  async _loadSyncState () {
+    try {
+      const data = (await chrome.storage.local.get([
+        STORAGE_KEYS.READMOO_BOOKS,
+        TAG_STORAGE_KEYS.TAGS,
+        TAG_STORAGE_KEYS.TAG_CATEGORIES,
+        SYNC_STORAGE_KEYS.DEVICE_ID,
+        SYNC_STORAGE_KEYS.JOURNAL,
+        SYNC_SETTING_KEYS.FOUNTAIN_FRAMES
+      ])) || {}
+      const stored = data[STORAGE_KEYS.READMOO_BOOKS]
+      return {
+        library: {
+          // 書庫遷移至 IndexedDB 後 readmoo_books 僅為 header，書籍另行讀取
+          books: isLibraryHeader(stored) ? await TagStorageAdapter.loadStoredBooks(stored) : (stored && stored.books) || [],
+          tags: data[TAG_STORAGE_KEYS.TAGS] || [],
+          tagCategories: data[TAG_STORAGE_KEYS.TAG_CATEGORIES] || []
+        },
+        deviceId: data[SYNC_STORAGE_KEYS.DEVICE_ID] || createSyncId('ext'),
+        journal: normalizeSyncJournal(data[SYNC_STORAGE_KEYS.JOURNAL]),
+        fountainFrames: data[SYNC_SETTING_KEYS.FOUNTAIN_FRAMES] === true
+      }
     } catch (error) {
       logger.error('讀取書庫失敗：' + error.message, { component: 'SyncPanel' })
-      throw new Error('讀取書庫失敗')
+      throw new Error(SYNC_MESSAGES.LOAD_FAILED)
+    }
+  }
+
+  /**
+   * 取得本次加密密碼：未勾選加密回 null；勾選但未輸入密碼時產生一次性配對碼並顯示。
+   * @returns {string|null}
+   */
+  _resolvePassphrase () {
+    const { encryptToggle, passphraseInput } = this.elements
+    if (!encryptToggle || !encryptToggle.checked) {
+      this._showPairingCode('')
+      return null
     }
+
+    const typed = passphraseInput ? passphraseInput.value.trim() : ''
+    if (typed) {
+      this._showPairingCode('')
+      return typed
+    }
+    const pairingCode = generatePairingCode()
+    this._showPairingCode(SYNC_MESSAGES.PAIRING_CODE(pairingCode))
+    return pairingCode
+  }
+
+  /**
+   * 取得本次 frame 格式：有勾選框時以畫面勾選為準，否則依已儲存的設定。
+   * @param {boolean} storedFountainFrames - 已儲存的容錯傳輸設定
+   * @returns {number} FRAME_VERSIONS.FOUNTAIN 或 FRAME_VERSIONS.SEQUENTIAL
+   */
+  _resolveFrameVersion (storedFountainFrames) {
+    const { fountainToggle } = this.elements
+    const useFountain = fountainToggle ? fountainToggle.checked : storedFountainFrames
+    return useFountain ? FRAME_VERSIONS.FOUNTAIN : FRAME_VERSIONS.SEQUENTIAL
+  }
+
+  _showPairingCode (text) {
+    if (this.elements.pairingCode) this.elements.pairingCode.textContent = text
   }
 
   _setStatus (text) {
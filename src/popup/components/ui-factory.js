@@ -8,6 +8,8 @@
  * 對應 ticket 1.2.0-W2-003.1。
  */
 
+const { EXTRACTION_TEXT, RESULTS_TEXT, ERROR_TEXT } = require('../constants/ui-text')
+
 const BUTTON_VARIANTS = ['primary', 'secondary', 'danger']
 const BUTTON_SIZES = { NORMAL: 'normal', SMALL: 'small' }
 const STATUS_DOT_CLASS = { loading: 'loading', error: 'error', ready: null }
@@ -147,7 +149,7 @@ function createProgressSection ({ percentage = 0, text } = {}) {
   const header = document.createElement('div')
   header.classList.add('progress-header')
   const strong = document.createElement('strong')
-  strong.textContent = '提取進度'
+  strong.textContent = EXTRACTION_TEXT.PROGRESS_HEADER
   const percentageSpan = document.createElement('span')
   percentageSpan.textContent = `${percentage}%`
   header.appendChild(strong)
@@ -218,18 +220,18 @@ function appendLabeledValue (parent, label, value, suffix = '') {
 function createResultsSection ({ bookCount, time, successRate, onExport, onView } = {}) {
   const infoText = document.createElement('div')
   infoText.classList.add('info-text')
-  appendLabeledValue(infoText, '已提取書籍:', bookCount, ' 本')
+  appendLabeledValue(infoText, RESULTS_TEXT.EXTRACTED_LABEL, bookCount, ' ' + RESULTS_TEXT.EXTRACTED_UNIT)
   infoText.appendChild(document.createElement('br'))
-  appendLabeledValue(infoText, '提取時間:', time)
+  appendLabeledValue(infoText, RESULTS_TEXT.TIME_LABEL, time)
   infoText.appendChild(document.createElement('br'))
-  appendLabeledValue(infoText, '成功率:', successRate)
+  appendLabeledValue(infoText, RESULTS_TEXT.SUCCESS_RATE_LABEL, successRate)
 
-  const exportBtn = createButton({ variant: 'secondary', text: '匯出資料', size: 'small', onClick: onExport })
-  const viewBtn = createButton({ variant: 'secondary', text: '查看結果', size: 'small', onClick: onView })
+  const exportBtn = createButton({ variant: 'secondary', text: RESULTS_TEXT.EXPORT, size: 'small', onClick: onExport })
+  const viewBtn = createButton({ variant: 'secondary', text: RESULTS_TEXT.VIEW_RESULTS, size: 'small', onClick: onView })
 
   return createCard({
     variant: 'default',
-    title: '提取結果',
+    title: RESULTS_TEXT.HEADER,
     content: infoText,
     actions: [exportBtn, viewBtn]
   })
@@ -250,12 +252,12 @@ function createErrorSection ({ message, onRetry, onReload, suggestions } = {}) {
   errorMessage.classList.add('error-message')
   if (message !== undefined) errorMessage.textContent = message
 
-  const retryBtn = createButton({ variant: 'primary', text: '重試', size: 'small', onClick: onRetry })
-  const reloadBtn = createButton({ variant: 'secondary', text: '重新載入擴展', size: 'small', onClick: onReload })
+  const retryBtn = createButton({ variant: 'primary', text: ERROR_TEXT.RETRY, size: 'small', onClick: onRetry })
+  const reloadBtn = createButton({ variant: 'secondary', text: ERROR_TEXT.RELOAD_EXTENSION_SHORT, size: 'small', onClick: onReload })
 
   const card = createCard({
     variant: 'error',
-    title: '錯誤訊息',
+    title: ERROR_TEXT.HEADER,
     content: errorMessage,
     actions: [retryBtn, reloadBtn]
   })
@@ -267,7 +269,7 @@ function createErrorSection ({ message, onRetry, onReload, suggestions } = {}) {
     const infoText = document.createElement('div')
     infoText.classList.add('info-text')
     const strong = document.createElement('strong')
-    strong.textContent = '建議解決步驟：'
+    strong.textContent = ERROR_TEXT.SUGGESTIONS_LABEL
     infoText.appendChild(strong)
 
     const list = document.createElement('ol')
@@ -17,6 +17,12 @@ const BOOKSTORE_LIST = Object.freeze([
     name: '博客來',
     url: 'https://viewer-ebook.books.com.tw/viewer/index.html?readlist=all',
     enabled: false
+  },
+  {
+    id: 'kobo',
+    name: '樂天 Kobo',
+    url: 'https://www.kobo.com/tw/zh/library/books',
+    enabled: false
   }
 ])
 
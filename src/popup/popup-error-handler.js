@@ -45,6 +45,19 @@ const MessageDictionary = (() => {
   return (typeof window !== 'undefined' && window.MessageDictionary) || null
 })()
 
+// 使用者可見的錯誤標題 / 建議動作依介面語言取值（user-019）；
+// 診斷模式與 GitHub 回報範本屬開發者用途，維持中文不經 i18n。
+const t = (() => {
+  if (typeof require !== 'undefined') {
+    try {
+      return require('src/core/i18n/ui-i18n').t
+    } catch (e) {
+      return (typeof window !== 'undefined' && window.UiI18n && window.UiI18n.t) || (key => key)
+    }
+  }
+  return (typeof window !== 'undefined' && window.UiI18n && window.UiI18n.t) || (key => key)
+})()
+
 // PopupErrorHandler local dict（W1-117）：
 // 此模組獨立於 popup.js，使用自己的 MessageDictionary 注入 Logger。
 // 業務情境：W1-117 將 popup-specific key 從 GlobalMessages 移除後，
@@ -102,9 +115,9 @@ try {
 
   // 備用錯誤訊息函數
   getUserErrorMessage = (errorType, defaultMessage) => ({
-    title: '系統錯誤',
-    message: defaultMessage || '發生未預期的錯誤，請重新載入擴展',
-    actions: ['重新載入擴展', '重新整理頁面'],
+    title: t('popup.errorHandler.titles.system'),
+    message: defaultMessage || t('popup.errorHandler.fallbackMessage'),
+    actions: [t('popup.errorHandler.actions.reloadExtension'), t('popup.errorHandler.actions.refreshPage')],
     severity: 'error'
   })
 }
@@ -151,19 +164,19 @@ class PopupErrorHandler {
     // 錯誤恢復策略映射
     this.recoveryStrategies = {
       NETWORK_ERROR: {
-        strategies: ['重試請求', '檢查網路連線', '使用快取資料'],
+        strategies: [t('popup.errorHandler.actions.retryRequest'), t('popup.errorHandler.actions.checkNetwork'), t('popup.errorHandler.actions.useCache')],
         priority: 'high',
         autoRetry: true,
         maxRetries: 3
       },
       CHROME_API_ERROR: {
-        strategies: ['重新載入擴展', '檢查權限設定'],
+        strategies: [t('popup.errorHandler.actions.reloadExtension'), t('popup.errorHandler.actions.checkPermissions')],
         priority: 'critical',
         autoRetry: false,
         maxRetries: 1
       },
       SYSTEM_INITIALIZATION_ERROR: {
-        strategies: ['重新載入擴展', '清除快取', '檢查擴展版本'],
+        strategies: [t('popup.errorHandler.actions.reloadExtension'), t('popup.errorHandler.actions.clearCache'), t('popup.errorHandler.actions.checkVersion')],
         priority: 'critical',
         autoRetry: false,
         maxRetries: 1
@@ -299,9 +312,9 @@ class PopupErrorHandler {
 
     const userMessage = getUserErrorMessage('SYSTEM_INITIALIZATION_ERROR', error.message)
     const errorData = {
-      title: '初始化錯誤',
+      title: t('popup.errorHandler.titles.initialization'),
       message: userMessage.message + (error.message ? `: ${error.message}` : ''),
-      actions: ['重新載入擴展', '查看診斷'],
+      actions: [t('popup.errorHandler.actions.reloadExtension'), t('popup.errorHandler.actions.viewDiagnostics')],
       severity: 'error'
     }
 
@@ -390,7 +403,7 @@ class PopupErrorHandler {
   showUserFriendlyError (errorInfo) {
     const userMessage = getUserErrorMessage(errorInfo.type, errorInfo.data?.technicalMessage)
     const errorData = {
-      title: userMessage.title || '錯誤',
+      title: userMessage.title || t('popup.errorHandler.titles.generic'),
       message: userMessage.message,
       actions: userMessage.actions || [],
       severity: userMessage.severity || 'error'
@@ -814,7 +827,7 @@ ${JSON.stringify(diagnosticData, null, 2)}
   getRecoveryStrategy (error) {
     const errorType = error.type || 'UNKNOWN_ERROR'
     return this.recoveryStrategies[errorType] || {
-      strategies: ['聯絡技術支援'],
+      strategies: [t('popup.errorHandler.actions.contactSupport')],
       priority: 'low',
       autoRetry: false,
       maxRetries: 0
@@ -904,13 +917,13 @@ ${JSON.stringify(diagnosticData, null, 2)}
    */
   _getErrorTitle (errorType) {
     const titles = {
-      NETWORK_ERROR: '網路連線錯誤',
-      CHROME_API_ERROR: 'Chrome 擴展錯誤',
-      SYSTEM_INITIALIZATION_ERROR: '系統初始化錯誤',
-      EXTRACTION_ERROR: '資料提取錯誤'
+      NETWORK_ERROR: t('popup.errorHandler.titles.network'),
+      CHROME_API_ERROR: t('popup.errorHandler.titles.chromeApi'),
+      SYSTEM_INITIALIZATION_ERROR: t('popup.errorHandler.titles.systemInitialization'),
+      EXTRACTION_ERROR: t('popup.errorHandler.titles.extraction')
     }
 
-    return titles[errorType] || '系統錯誤'
+    return titles[errorType] || t('popup.errorHandler.titles.system')
   }
 
   /**
@@ -33,6 +33,16 @@ if (!uiFactoryExports && typeof window !== 'undefined' && window.PopupUIFactory)
 }
 const { createStatusIndicator, createProgressSection, createResultsSection, createErrorSection } = uiFactoryExports || {}
 
+// ui-i18n — 狀態文字與 ARIA 標籤依介面語言取值（user-019）；獨立 <script> 載入時改用 window.UiI18n
+const t = (() => {
+  if (typeof require !== 'undefined') {
+    try {
+      return require('src/core/i18n/ui-i18n').t
+    } catch (_e) { /* bundle 外 */ }
+  }
+  return (typeof window !== 'undefined' && window.UiI18n && window.UiI18n.t) || (key => key)
+})()
+
 // 常數定義
 const STATUS_TYPES = {
   LOADING: 'loading',
@@ -513,10 +523,10 @@ class PopupUIComponents {
     this.hideError()
 
     // 重置狀態
-    this.updateStatus('loading', '檢查狀態中...', '初始化中')
+    this.updateStatus('loading', t('popup.status.checking'), t('popup.statusBadge.initializing'))
 
     // 重置進度
-    this.updateProgress(0, '', '準備開始...')
+    this.updateProgress(0, '', t('popup.extraction.progressPlaceholder'))
 
     // 重置結果按鈕
     if (this.exportBtn) {
@@ -595,13 +605,13 @@ class PopupUIComponents {
       this.progressBar.setAttribute('aria-valuemin', '0')
       this.progressBar.setAttribute('aria-valuemax', '100')
       this.progressBar.setAttribute('aria-valuenow', '0')
-      this.progressBar.setAttribute('aria-label', '提取進度')
+      this.progressBar.setAttribute('aria-label', t('popup.extraction.progressHeader'))
     }
 
     // 設定狀態區域的標籤
     if (this.statusText) {
       this.statusText.setAttribute('aria-live', 'polite')
-      this.statusText.setAttribute('aria-label', '目前狀態')
+      this.statusText.setAttribute('aria-label', t('popup.status.currentAria'))
     }
 
     // 設定錯誤區域的標籤
@@ -78,14 +78,16 @@ const ErrorCodes = (() => {
       return (typeof window !== 'undefined' && window.ErrorCodes) || {
         UNKNOWN_ERROR: 'UNKNOWN_ERROR',
         CHROME_ERROR: 'CHROME_ERROR',
-        OPERATION_ERROR: 'OPERATION_ERROR'
+        OPERATION_ERROR: 'OPERATION_ERROR',
+        TIMEOUT_ERROR: 'TIMEOUT_ERROR'
       }
     }
   }
   return (typeof window !== 'undefined' && window.ErrorCodes) || {
     UNKNOWN_ERROR: 'UNKNOWN_ERROR',
     CHROME_ERROR: 'CHROME_ERROR',
-    OPERATION_ERROR: 'OPERATION_ERROR'
+    OPERATION_ERROR: 'OPERATION_ERROR',
+    TIMEOUT_ERROR: 'TIMEOUT_ERROR'
   }
 })()
 
@@ -136,6 +138,28 @@ if (typeof require !== 'undefined') {
   uiFactory = (typeof window !== 'undefined' && window.PopupUIFactory) || null
 }
 
+// ui-i18n — 使用者可見文字依介面語言取值（user-019）
+let uiI18n
+if (typeof require !== 'undefined') {
+  try {
+    uiI18n = require('src/core/i18n/ui-i18n')
+  } catch (e) {
+    uiI18n = (typeof window !== 'undefined' && window.UiI18n) || null
+  }
+} else {
+  uiI18n = (typeof window !== 'undefined' && window.UiI18n) || null
+}
+
+/**
+ * 依介面語言取得顯示文字；i18n 層未載入時回傳鍵值本身
+ * @param {string} key
+ * @param {Object} [params]
+ * @returns {string}
+ */
+function t (key, params) {
+  return uiI18n ? uiI18n.t(key, params) : key
+}
+
 // bookstore-config — 書城清單 SSOT（1.4.2-W1-001）
 let BOOKSTORE_LIST
 if (typeof require !== 'undefined') {
@@ -214,19 +238,20 @@ const MESSAGE_TYPES = popupConstants.MESSAGE_TYPES
  * 預設訊息常數
  *
  * 由 constants/ui-text.js 的功能分類重組為扁平 MESSAGES，維持既有使用點鍵名。
+ * 以 getter 轉接，使讀取時取得目前介面語言的文字。
  */
-const MESSAGES = {
-  SETTINGS_PLACEHOLDER: popupConstants.DIALOG_TEXT.SETTINGS_PLACEHOLDER,
-  HELP_TEXT: popupConstants.DIALOG_TEXT.HELP_TEXT,
-  STATUS_CHECKING: popupConstants.STATUS_TEXT.CHECKING,
-  STATUS_INITIALIZING: popupConstants.STATUS_TEXT.INITIALIZING,
-  CONTENT_SCRIPT_LOADING: popupConstants.STATUS_TEXT.CONTENT_SCRIPT_LOADING,
-  CONTENT_SCRIPT_RELOAD_HINT: popupConstants.STATUS_TEXT.CONTENT_SCRIPT_RELOAD_HINT,
-  NON_READMOO_PAGE: popupConstants.STATUS_TEXT.NON_READMOO_PAGE,
-  NON_READMOO_HINT: popupConstants.STATUS_TEXT.NON_READMOO_HINT,
-  EXTRACTION_IN_PROGRESS: popupConstants.EXTRACTION_TEXT.IN_PROGRESS,
-  EXTRACTION_HINT: popupConstants.EXTRACTION_TEXT.HINT
-}
+const MESSAGES = Object.freeze({
+  get SETTINGS_PLACEHOLDER () { return popupConstants.DIALOG_TEXT.SETTINGS_PLACEHOLDER },
+  get HELP_TEXT () { return popupConstants.DIALOG_TEXT.HELP_TEXT },
+  get STATUS_CHECKING () { return popupConstants.STATUS_TEXT.CHECKING },
+  get STATUS_INITIALIZING () { return popupConstants.STATUS_TEXT.INITIALIZING },
+  get CONTENT_SCRIPT_LOADING () { return popupConstants.STATUS_TEXT.CONTENT_SCRIPT_LOADING },
+  get CONTENT_SCRIPT_RELOAD_HINT () { return popupConstants.STATUS_TEXT.CONTENT_SCRIPT_RELOAD_HINT },
+  get NON_READMOO_PAGE () { return popupConstants.STATUS_TEXT.NON_READMOO_PAGE },
+  get NON_READMOO_HINT () { return popupConstants.STATUS_TEXT.NON_READMOO_HINT },
+  get EXTRACTION_IN_PROGRESS () { return popupConstants.EXTRACTION_TEXT.IN_PROGRESS },
+  get EXTRACTION_HINT () { return popupConstants.EXTRACTION_TEXT.HINT }
+})
 
 /**
  * 配置常數
@@ -294,6 +319,26 @@ function applyStaticUIText () {
   setText('openExtensionPageBtn', ERROR_TEXT.OPEN_EXTENSION_PAGE)
   setText('exportBtn', RESULTS_TEXT.EXPORT)
   setText('viewResultsBtn', RESULTS_TEXT.VIEW_RESULTS)
+
+  // 其餘標示 data-i18n 的靜態文字（頁面資訊 / 結果欄位標籤等）
+  if (uiI18n) uiI18n.translateDocument(document)
+}
+
+/**
+ * 載入介面語言偏好並綁定語言選單
+ *
+ * 須於 applyStaticUIText 之前執行；切換語言後重新載入 popup 以新語系重新渲染。
+ * storage 不可用（或測試 mock 不回傳 Promise）時維持預設語系。
+ */
+async function applyInterfaceLanguage () {
+  if (!uiI18n) return
+  const storage = typeof chrome !== 'undefined' && chrome.storage ? chrome.storage.local : null
+  await uiI18n.loadLocalePreference(storage)
+
+  const languageSelect = document.getElementById('languageSelect')
+  if (languageSelect && storage) {
+    uiI18n.bindLanguageSelect(languageSelect, { storage, onChange: () => window.location.reload() })
+  }
 }
 
 // ==================== DOM 元素管理 ====================
@@ -437,12 +482,12 @@ function updateVersionDisplay () {
     const manifest = chrome.runtime.getManifest()
     const version = manifest.version
     const isDevelopment = version.includes('dev') || version.startsWith('0.')
-    const versionText = isDevelopment ? `v${version} 開發版本` : `v${version}`
+    const versionText = isDevelopment ? t('popup.version.development', { version }) : `v${version}`
 
     elements.versionDisplay.textContent = versionText
   } catch (error) {
     popupLogger.warn('VERSION_ERROR', { error: error.message })
-    elements.versionDisplay.textContent = 'v?.?.? 未知版本'
+    elements.versionDisplay.textContent = t('popup.version.unknown')
   }
 }
 
@@ -561,7 +606,7 @@ function exportResults () {
     // 備用方案：直接處理匯出
     const data = window.extractedBooks || []
     if (data.length === 0) {
-      window.alert('尚無資料可匯出，請先執行書庫提取')
+      window.alert(t('popup.dialog.noDataToExport'))
       return
     }
 
@@ -575,7 +620,7 @@ function exportResults () {
     a.click()
     URL.revokeObjectURL(url)
 
-    window.alert('書庫資料已匯出為 JSON 格式')
+    window.alert(t('popup.dialog.exported'))
   }
 }
 
@@ -603,7 +648,7 @@ function handleExtractionError (message, error) {
 
   // 更新錯誤訊息
   if (elements.errorMessage) {
-    elements.errorMessage.textContent = message || '發生未知錯誤'
+    elements.errorMessage.textContent = message || popupConstants.ERROR_TEXT.DEFAULT_MESSAGE
   }
 
   // 記錄詳細錯誤資訊
@@ -612,7 +657,7 @@ function handleExtractionError (message, error) {
   }
 
   // 重置按鈕狀態
-  updateButtonState(false, '[START] 開始提取書庫資料')
+  updateButtonState(false, t('popup.action.startExtraction'))
 }
 
 /**
@@ -676,8 +721,8 @@ function sendCancelToContentScript () {
  */
 function resetExtractionUI () {
   hideProgress()
-  updateButtonState(false, '[START] 開始提取書庫資料')
-  updateStatus('提取已取消', '使用者手動中止', '您可以重新開始提取', STATUS_TYPES.WARNING)
+  updateButtonState(false, t('popup.action.startExtraction'))
+  updateStatus(STATUS_BADGE.CANCELLED, t('popup.statusMessage.cancelled'), t('popup.statusMessage.cancelledHint'), STATUS_TYPES.WARNING)
 }
 
 /**
@@ -694,7 +739,7 @@ function cleanupExtractionState () {
  */
 function showCancellationRecovery () {
   setTimeout(() => {
-    updateStatus(STATUS_BADGE.READY, '準備開始提取', '請前往 Readmoo 書庫頁面', STATUS_TYPES.READY)
+    updateStatus(STATUS_BADGE.READY, t('popup.statusMessage.readyToExtract'), t('popup.statusMessage.readyToExtractHint'), STATUS_TYPES.READY)
   }, 3000)
 }
 
@@ -717,7 +762,7 @@ function cancelExtraction () {
     showCancellationRecovery()
   } catch (error) {
     Logger.error('Cancel extraction failed', { error })
-    updateStatus('取消失敗', '發生錯誤', '請重新整理頁面後重試', STATUS_TYPES.ERROR)
+    updateStatus(STATUS_BADGE.CANCEL_FAILED, t('popup.statusMessage.cancelFailed'), t('popup.statusMessage.refreshAndRetry'), STATUS_TYPES.ERROR)
   }
 }
 
@@ -732,7 +777,7 @@ function createBackgroundTimeoutPromise () {
     setTimeout(() => {
       const error = (() => {
         const err = new Error('Background Service Worker 連線超時 (2秒)')
-        err.code = ErrorCodes.CHROME_ERROR
+        err.code = ErrorCodes.TIMEOUT_ERROR
         err.details = { values: ['2'], category: 'general' }
         return err
       })()
@@ -748,7 +793,7 @@ function createBackgroundTimeoutPromise () {
  */
 function handleTestEnvironmentResponse (response) {
   Logger.info('[LOG] Test environment - processing mock response')
-  updateStatus('測試模式', '測試環境', '背景服務模擬檢查完成', STATUS_TYPES.READY)
+  updateStatus(STATUS_BADGE.TEST_MODE, t('popup.statusMessage.testEnvironment'), t('popup.statusMessage.testEnvironmentHint'), STATUS_TYPES.READY)
   return response && response.success !== false
 }
 
@@ -760,7 +805,7 @@ function handleSuccessfulBackgroundResponse (response) {
   if (response.eventSystem) {
     Logger.info('事件系統狀態', { eventSystem: response.eventSystem })
   }
-  updateStatus(STATUS_BADGE.READY, '擴充功能已就緒', '系統就緒', STATUS_TYPES.READY)
+  updateStatus(STATUS_BADGE.READY, t('popup.statusMessage.extensionReady'), t('popup.statusMessage.extensionReadyHint'), STATUS_TYPES.READY)
 }
 
 /**
@@ -769,29 +814,30 @@ function handleSuccessfulBackgroundResponse (response) {
  * @returns {Object} 包含 userMessage 和 diagnosticInfo 的物件
  */
 function generateErrorDiagnostic (error) {
-  let userMessage = '背景服務無法連線'
-  let diagnosticInfo = '詳細診斷:\n'
-
-  if (error.message.includes('超時')) {
-    userMessage = '背景服務未回應'
-    diagnosticInfo += '• Background Service Worker 可能已停止運行\n'
-    diagnosticInfo += '• 建議重新載入擴展以重新啟動 Service Worker\n'
+  let userMessage = t('popup.background.unreachable')
+  let diagnosticInfo = t('popup.diagnostic.header') + '\n'
+
+  // 超時以錯誤碼判斷：訊息文字僅供開發者閱讀，不作為分支依據
+  if (error.code === ErrorCodes.TIMEOUT_ERROR) {
+    userMessage = t('popup.background.timeout')
+    diagnosticInfo += `• ${t('popup.diagnostic.timeoutStopped')}\n`
+    diagnosticInfo += `• ${t('popup.diagnostic.timeoutReload')}\n`
   } else if (error.message.includes('Extension context invalidated')) {
-    userMessage = '擴展上下文已失效'
-    diagnosticInfo += '• 擴展上下文已失效\n'
-    diagnosticInfo += '• 請重新載入擴展頁面\n'
+    userMessage = t('popup.background.contextInvalidated')
+    diagnosticInfo += `• ${t('popup.diagnostic.contextInvalidated')}\n`
+    diagnosticInfo += `• ${t('popup.diagnostic.contextReload')}\n`
   } else if (error.message.includes('receiving end does not exist')) {
-    userMessage = '背景服務未啟動'
-    diagnosticInfo += '• Background Script 未載入或已停止\n'
-    diagnosticInfo += '• 檢查擴展是否正確安裝和啟用\n'
+    userMessage = t('popup.background.notStarted')
+    diagnosticInfo += `• ${t('popup.diagnostic.notLoaded')}\n`
+    diagnosticInfo += `• ${t('popup.diagnostic.checkInstalled')}\n`
   } else {
-    userMessage = '通訊發生錯誤'
-    diagnosticInfo += '• 未知的通訊錯誤\n'
-    diagnosticInfo += '• 請嘗試重新載入擴展\n'
+    userMessage = t('popup.background.communicationError')
+    diagnosticInfo += `• ${t('popup.diagnostic.unknownError')}\n`
+    diagnosticInfo += `• ${t('popup.diagnostic.retryReload')}\n`
   }
 
-  diagnosticInfo += '\n操作建議: 點擊瀏覽器右上角擴展圖示，選擇「重新載入」'
-  diagnosticInfo += '\n錯誤詳情: ' + error.message
+  diagnosticInfo += '\n' + t('popup.diagnostic.actionHint')
+  diagnosticInfo += '\n' + t('popup.diagnostic.errorDetails', { message: error.message })
 
   return { userMessage, diagnosticInfo }
 }
@@ -846,7 +892,7 @@ function handleHandshakeResponse (response) {
     return true
   }
   if (response && response.success && response.initializing) {
-    updateStatus('初始化中', '擴充功能正在啟動', '系統初始化中，請稍候', STATUS_TYPES.LOADING)
+    updateStatus(STATUS_BADGE.INITIALIZING, t('popup.statusMessage.starting'), t('popup.statusMessage.startingHint'), STATUS_TYPES.LOADING)
   }
   return null
 }
@@ -895,11 +941,11 @@ function checkBackgroundStatus () {
       if (done) return
       if (attempt >= HANDSHAKE_CONFIG.MAX_RETRY_ATTEMPTS) {
         Logger.error('Background Service Worker 連線失敗', { retryCount: attempt })
-        updateStatus(STATUS_BADGE.DISCONNECTED, '擴充功能未連線', '重試已用盡，請重新載入擴充功能', STATUS_TYPES.ERROR)
+        updateStatus(STATUS_BADGE.DISCONNECTED, t('popup.statusMessage.disconnected'), t('popup.statusMessage.disconnectedHint'), STATUS_TYPES.ERROR)
         finish(false)
         return
       }
-      updateStatus('初始化中', '擴充功能正在啟動', '系統初始化中，請稍候', STATUS_TYPES.LOADING)
+      updateStatus(STATUS_BADGE.INITIALIZING, t('popup.statusMessage.starting'), t('popup.statusMessage.startingHint'), STATUS_TYPES.LOADING)
       retryTimerId = setTimeout(() => {
         retryTimerId = null
         handleAttempt(attempt + 1, delay * HANDSHAKE_CONFIG.RETRY_BACKOFF_MULTIPLIER)
@@ -936,7 +982,7 @@ async function checkCurrentTab () {
     const [tab] = await chrome.tabs.query({ active: true, currentWindow: true })
 
     if (!tab) {
-      updateStatus('無效', '無法取得標籤頁資訊', '請重新整理頁面後再試', STATUS_TYPES.ERROR)
+      updateStatus(STATUS_BADGE.INVALID, t('popup.statusMessage.noTab'), t('popup.statusMessage.refreshAndTryAgain'), STATUS_TYPES.ERROR)
       return null
     }
 
@@ -955,7 +1001,7 @@ async function checkCurrentTab () {
 
     elements.pageInfo.textContent = isBookstorePage
       ? `${matchedStore.name} (${new URL(tab.url).pathname}${new URL(tab.url).hash})`
-      : '非書庫頁面'
+      : t('popup.pageInfo.nonBookstorePage')
 
     elements.extractBtn.style.display = isBookstorePage ? '' : 'none'
 
@@ -970,23 +1016,23 @@ async function checkCurrentTab () {
           } else {
             elements.bookCount.textContent = '0'
           }
-          updateStatus('就緒', '已連線到書庫頁面', '可以開始提取書庫資料', STATUS_TYPES.READY)
+          updateStatus(STATUS_BADGE.READY, t('popup.statusMessage.connected'), t('popup.statusMessage.connectedHint'), STATUS_TYPES.READY)
           updateButtonState(false)
           return tab
         }
       } catch (error) {
         Logger.info('Content Script 尚未就緒', { error })
-        updateStatus('載入中', MESSAGES.CONTENT_SCRIPT_LOADING, MESSAGES.CONTENT_SCRIPT_RELOAD_HINT, STATUS_TYPES.LOADING)
+        updateStatus(STATUS_BADGE.LOADING, MESSAGES.CONTENT_SCRIPT_LOADING, MESSAGES.CONTENT_SCRIPT_RELOAD_HINT, STATUS_TYPES.LOADING)
       }
     } else {
-      updateStatus('待機', MESSAGES.NON_READMOO_PAGE, MESSAGES.NON_READMOO_HINT, STATUS_TYPES.READY)
+      updateStatus(STATUS_BADGE.IDLE, MESSAGES.NON_READMOO_PAGE, MESSAGES.NON_READMOO_HINT, STATUS_TYPES.READY)
       updateButtonState(true)
     }
 
     return tab
   } catch (error) {
     Logger.error('檢查標籤頁時發生錯誤', { error })
-    updateStatus('錯誤', '無法檢查頁面狀態', error.message, STATUS_TYPES.ERROR)
+    updateStatus(STATUS_BADGE.ERROR, t('popup.statusMessage.tabCheckFailed'), error.message, STATUS_TYPES.ERROR)
     return null
   }
 }
@@ -1012,7 +1058,8 @@ async function checkCurrentTab () {
  * 設計考量：
  * - 監聽器一次性：popup 生命週期短，本次提取結果顯示完即可解除
  * - storage area 限定 local：與 background 寫入位置（chrome.storage.local）一致
- * - newValue 缺失或非陣列時不誤更新，保留既有狀態避免錯誤回饋
+ * - newValue 缺失或無書籍數（books 陣列 / IndexedDB header 的 bookCount）時不誤更新，
+ *   保留既有狀態避免錯誤回饋
  *
  * @returns {void}
  */
@@ -1026,10 +1073,12 @@ function setupExtractionCompletionListener () {
     if (!changes || !changes.readmoo_books) return
 
     const newValue = changes.readmoo_books.newValue
-    if (!newValue || !Array.isArray(newValue.books)) return
+    if (!newValue) return
 
-    const bookCount = newValue.books.length
-    updateStatus('完成', '提取成功', `提取成功 ${bookCount} 本書籍`, STATUS_TYPES.READY)
+    // 書庫遷移至 IndexedDB 後 readmoo_books 只含 header（bookCount，無 books）
+    const bookCount = Array.isArray(newValue.books) ? newValue.books.length : newValue.bookCount
+    if (typeof bookCount !== 'number') return
+    updateStatus(STATUS_BADGE.COMPLETE, t('popup.statusMessage.extractionSucceeded'), t('popup.statusMessage.extractedBooks', { count: bookCount }), STATUS_TYPES.READY)
     if (elements.bookCount) {
       elements.bookCount.textContent = String(bookCount)
     }
@@ -1080,7 +1129,7 @@ async function startExtraction () {
   if (!tab) return
 
   try {
-    updateStatus('提取中', MESSAGES.EXTRACTION_IN_PROGRESS, MESSAGES.EXTRACTION_HINT, STATUS_TYPES.LOADING)
+    updateStatus(STATUS_BADGE.EXTRACTING, MESSAGES.EXTRACTION_IN_PROGRESS, MESSAGES.EXTRACTION_HINT, STATUS_TYPES.LOADING)
     updateButtonState(true)
 
     // 提取結果由 background 異步寫入 chrome.storage.local.readmoo_books，
@@ -1090,7 +1139,7 @@ async function startExtraction () {
     const response = await chrome.tabs.sendMessage(tab.id, { type: MESSAGE_TYPES.START_EXTRACTION })
 
     if (response && response.success) {
-      updateStatus('完成', '資料提取完成', response.message, STATUS_TYPES.READY)
+      updateStatus(STATUS_BADGE.COMPLETE, t('popup.statusMessage.extractionStarted'), response.message, STATUS_TYPES.READY)
 
       if (response.booksDetected !== undefined) {
         elements.bookCount.textContent = response.booksDetected
@@ -1100,7 +1149,7 @@ async function startExtraction () {
       isFinalStatus = true
     } else {
       const error = (() => {
-        const err = new Error(response?.error || '未知錯誤')
+        const err = new Error(response?.error || t('common.unknownError'))
         err.code = ErrorCodes.OPERATION_ERROR
         err.details = { category: 'general', response }
         return err
@@ -1109,7 +1158,7 @@ async function startExtraction () {
     }
   } catch (error) {
     Logger.error('提取過程發生錯誤', { error })
-    updateStatus('失敗', '提取失敗', error.message, STATUS_TYPES.ERROR)
+    updateStatus(STATUS_BADGE.FAILED, t('popup.statusMessage.extractionFailed'), error.message, STATUS_TYPES.ERROR)
     // W1-062.1：提取失敗為終態，保持失敗訊息直到用戶再次點擊提取
     isFinalStatus = true
   } finally {
@@ -1189,7 +1238,7 @@ async function openLibraryOverview () {
     }
   } catch (error) {
     Logger.error('無法開啟書庫頁面', { error })
-    window.alert('無法開啟書庫頁面，請稍後再試')
+    window.alert(t('popup.dialog.openLibraryFailed'))
   }
 }
 
@@ -1229,7 +1278,7 @@ function setupEventListeners () {
 
   if (elements.reportBtn) {
     elements.reportBtn.addEventListener('click', () => {
-      window.alert('問題回報功能將在後續版本實現')
+      window.alert(t('popup.dialog.reportPlaceholder'))
     })
   }
 
@@ -1385,6 +1434,9 @@ async function initialize () {
       initializationTracker.completeStep('dom_ready', 'DOM 元素已就緒')
     }
 
+    // 介面語言須先載入，後續顯示文字才會取得對應語系
+    await applyInterfaceLanguage()
+
     // 以集中常數覆寫 HTML 靜態 UI 文字，使 constants/ui-text.js 成為運行時來源
     applyStaticUIText()
 
@@ -1492,7 +1544,7 @@ async function initialize () {
       })
     } else {
       // 備用錯誤處理
-      updateStatus('錯誤', '初始化失敗', error.message, STATUS_TYPES.ERROR)
+      updateStatus(STATUS_BADGE.ERROR, t('popup.statusMessage.initFailed'), error.message, STATUS_TYPES.ERROR)
     }
 
     // 顯示初始化報告按鈕
@@ -1578,17 +1630,17 @@ async function initializeDiagnosticEnhancer () {
       if (healthCheckBtn) {
         healthCheckBtn.addEventListener('click', async () => {
           healthCheckBtn.disabled = true
-          healthCheckBtn.textContent = '[WAIT] 檢查中...'
+          healthCheckBtn.textContent = t('popup.healthCheck.checking')
 
           try {
             const healthReport = await diagnosticEnhancer.performSystemHealthCheck()
             displayHealthCheckResults(healthReport)
           } catch (error) {
             Logger.error('健康檢查錯誤', { error })
-            alert('健康檢查失敗: ' + error.message)
+            alert(t('popup.healthCheck.failed', { message: error.message }))
           } finally {
             healthCheckBtn.disabled = false
-            healthCheckBtn.textContent = '系統健康檢查'
+            healthCheckBtn.textContent = t('popup.healthCheck.button')
           }
         })
       }
@@ -1599,15 +1651,15 @@ async function initializeDiagnosticEnhancer () {
 function displayHealthCheckResults (healthReport) {
   const { summary, checks, recommendations } = healthReport
 
-  let statusText = '系統健康檢查結果：\n'
-  statusText += `[OK] 通過: ${summary.passed} 項\n`
-  statusText += `[WARN] 警告: ${summary.warnings} 項\n`
-  statusText += `[FAIL] 失敗: ${summary.failed} 項\n\n`
+  let statusText = t('popup.healthCheck.resultsHeader') + '\n'
+  statusText += t('popup.healthCheck.passed', { count: summary.passed }) + '\n'
+  statusText += t('popup.healthCheck.warnings', { count: summary.warnings }) + '\n'
+  statusText += t('popup.healthCheck.failedChecks', { count: summary.failed }) + '\n\n'
 
   // 顯示主要問題
   const failedChecks = Object.values(checks).filter(check => check.status === 'failed')
   if (failedChecks.length > 0) {
-    statusText += '主要問題：\n'
+    statusText += t('popup.healthCheck.mainIssues') + '\n'
     failedChecks.forEach(check => {
       statusText += `• ${check.name}: ${check.details.join(', ')}\n`
     })
@@ -1616,7 +1668,7 @@ function displayHealthCheckResults (healthReport) {
 
   // 顯示建議
   if (recommendations.length > 0) {
-    statusText += '建議解決方案：\n'
+    statusText += t('popup.healthCheck.recommendations') + '\n'
     recommendations.slice(0, 3).forEach((rec, index) => {
       statusText += `${index + 1}. ${rec.action}\n`
     })
@@ -1648,26 +1700,26 @@ function displayHealthCheckResults (healthReport) {
  */
 function showInitializationReport () {
   if (!initializationTracker) {
-    alert('初始化追蹤器未載入')
+    alert(t('popup.initReport.trackerMissing'))
     return
   }
 
   const report = initializationTracker.getInitializationReport()
 
-  let reportText = '[CHECK] Popup 初始化詳細報告\n\n'
+  let reportText = t('popup.initReport.title') + '\n\n'
 
   // 基本統計
-  reportText += '[STATS] 總體統計：\n'
-  reportText += `• 總步驟數: ${report.summary.totalSteps}\n`
-  reportText += `• 完成步驟: ${report.summary.completedSteps}\n`
-  reportText += `• 失敗步驟: ${report.summary.failedSteps}\n`
-  reportText += `• 執行中步驟: ${report.summary.runningSteps}\n`
+  reportText += t('popup.initReport.summaryHeader') + '\n'
+  reportText += `• ${t('popup.initReport.totalSteps', { count: report.summary.totalSteps })}\n`
+  reportText += `• ${t('popup.initReport.completedSteps', { count: report.summary.completedSteps })}\n`
+  reportText += `• ${t('popup.initReport.failedSteps', { count: report.summary.failedSteps })}\n`
+  reportText += `• ${t('popup.initReport.runningSteps', { count: report.summary.runningSteps })}\n`
 
   if (report.totalDuration) {
-    reportText += `• 總耗時: ${report.totalDuration}ms\n`
+    reportText += `• ${t('popup.initReport.totalDuration', { duration: report.totalDuration })}\n`
   }
 
-  reportText += '\n[TIME] 詳細步驟執行記錄：\n'
+  reportText += '\n' + t('popup.initReport.stepsHeader') + '\n'
 
   // 步驟詳情
   report.steps.forEach((step, index) => {
@@ -1678,14 +1730,14 @@ function showInitializationReport () {
         : step.status === 'running' ? '[RUNNING]' : '[PAUSE]'
 
     reportText += `${index + 1}. ${statusIcon} ${step.name}\n`
-    reportText += `   描述: ${step.description}\n`
+    reportText += `   ${t('popup.initReport.stepDescription', { description: step.description })}\n`
 
     if (step.duration) {
-      reportText += `   耗時: ${step.duration}ms\n`
+      reportText += `   ${t('popup.initReport.stepDuration', { duration: step.duration })}\n`
     }
 
     if (step.error) {
-      reportText += `   錯誤: ${step.error}\n`
+      reportText += `   ${t('popup.initReport.stepError', { error: step.error })}\n`
     }
 
     reportText += '\n'
@@ -1693,11 +1745,11 @@ function showInitializationReport () {
 
   // 如果有失敗，提供建議
   if (report.summary.failedSteps > 0) {
-    reportText += '故障排除建議：\n'
-    reportText += '1. 重新載入擴展 (chrome://extensions/)\n'
-    reportText += '2. 重新整理頁面並重新開啟 Popup\n'
-    reportText += '3. 重啟 Chrome 瀏覽器\n'
-    reportText += '4. 執行系統健康檢查以獲得更多診斷資訊\n'
+    reportText += t('popup.initReport.troubleshootingHeader') + '\n'
+    const suggestions = ['reloadExtension', 'reopenPopup', 'restartBrowser', 'runHealthCheck']
+    suggestions.forEach((key, index) => {
+      reportText += `${index + 1}. ${t(`popup.initReport.${key}`)}\n`
+    })
   }
 
   // 在錯誤容器中顯示報告
@@ -1731,7 +1783,7 @@ function handleGlobalError (event) {
     })
   } else {
     // 備用的基本錯誤處理
-    updateStatus('錯誤', '界面發生錯誤', event.error.message, STATUS_TYPES.ERROR)
+    updateStatus(STATUS_BADGE.ERROR, t('popup.statusMessage.interfaceError'), event.error.message, STATUS_TYPES.ERROR)
   }
 }
 
@@ -0,0 +1,401 @@
+/**
+ * IndexedDBBookStore - IndexedDB 書籍儲存
+ *
+ * 負責功能：
+ * - 以每本書一筆 record（keyPath: id）儲存書籍，單本更新不需重寫整個書庫
+ * - 提供 source / readingStatus / tagIds（multiEntry）次要索引查詢
+ * - 批次寫入（putBooks / deleteBooks / replaceAllBooks）於單一 readwrite transaction 完成，
+ *   任一筆失敗整批 abort，不留半套資料
+ * - meta store 保存遷移標記等書庫層級資訊
+ *
+ * 設計考量：
+ * - chrome.storage.local 單一 readmoo_books blob 受 5MB 配額限制，且每次 tag 變更都需整包序列化；
+ *   IndexedDB 無此配額且支援逐筆寫入
+ * - indexedDB factory 由 constructor 注入（預設 globalThis.indexedDB），便於測試替換
+ * - transaction 內不 await 非 IndexedDB 的 Promise（否則 transaction 會自動 commit），
+ *   故 work 函式以同步方式發出 request，結果於 oncomplete 時讀取
+ *
+ * 使用情境：
+ * - TagStorageAdapter 的書籍讀寫後端（見 tag-storage-adapter.js getBookStore）
+ * - 一次性遷移：src/data-management/migration/books-to-indexeddb.js
+ *
+ * @version 1.0.0
+ */
+
+const { ErrorCodes } = require('src/core/errors/ErrorCodes')
+
+const DB_NAME = 'readmoo_book_store'
+const DB_VERSION = 1
+
+const OBJECT_STORES = Object.freeze({
+  BOOKS: 'books',
+  META: 'meta'
+})
+
+/** 書籍次要索引（名稱即 keyPath） */
+const BOOK_INDEXES = Object.freeze({
+  SOURCE: 'source',
+  READING_STATUS: 'readingStatus',
+  TAG_IDS: 'tagIds'
+})
+
+/**
+ * 遷移後 chrome.storage.local readmoo_books 只保留 header（不含 books），
+ * storage 欄位標示書籍實際存放於 IndexedDB。header 仍會隨書庫寫入更新，
+ * 使既有 chrome.storage.onChanged 監聽者可得知書庫變動。
+ */
+const LIBRARY_HEADER_BACKEND = 'indexeddb'
+
+/**
+ * 由舊 readmoo_books 紀錄（陣列或 { books, ...meta }）建立 header
+ *
+ * revision 每次建立遞增：同一毫秒內的連續寫入 updatedAt 可能相同，
+ * 遞增值確保 header 內容必定改變，chrome.storage.onChanged 才會通知其他頁面。
+ *
+ * @param {Array|Object|null} record - 原 readmoo_books 值或既有 header
+ * @param {number} bookCount
+ * @returns {Object} { ...meta, storage, bookCount, revision, updatedAt }
+ */
+function createLibraryHeader (record, bookCount) {
+  const meta = {}
+  if (record && !Array.isArray(record) && typeof record === 'object') {
+    Object.keys(record).forEach(key => {
+      if (key !== 'books') meta[key] = record[key]
+    })
+  }
+  return {
+    ...meta,
+    storage: LIBRARY_HEADER_BACKEND,
+    bookCount,
+    revision: (Number(meta.revision) || 0) + 1,
+    updatedAt: new Date().toISOString()
+  }
+}
+
+/**
+ * @param {*} record - readmoo_books 值
+ * @returns {boolean} 是否為指向 IndexedDB 的 header
+ */
+function isLibraryHeader (record) {
+  return Boolean(record && !Array.isArray(record) && record.storage === LIBRARY_HEADER_BACKEND)
+}
+
+function createStoreError (message, cause) {
+  const detail = cause && cause.message ? `: ${cause.message}` : ''
+  const error = new Error(`${message}${detail}`)
+  error.code = ErrorCodes.STORAGE_ERROR
+  if (cause) error.cause = cause
+  return error
+}
+
+function isValidBookId (id) {
+  return (typeof id === 'string' && id !== '') || typeof id === 'number'
+}
+
+function assertBooksHaveIds (books) {
+  const invalid = books.find(book => !book || !isValidBookId(book.id))
+  if (invalid !== undefined) {
+    throw createStoreError('書籍缺少有效 id，批次寫入中止')
+  }
+}
+
+class IndexedDBBookStore {
+  /**
+   * @param {Object} [options]
+   * @param {IDBFactory} [options.indexedDB] - IndexedDB factory（預設 globalThis.indexedDB）
+   * @param {string} [options.dbName] - 資料庫名稱（預設 readmoo_book_store）
+   */
+  constructor (options = {}) {
+    this.factory = options.indexedDB || (typeof indexedDB !== 'undefined' ? indexedDB : null)
+    this.dbName = options.dbName || DB_NAME
+    this._dbPromise = null
+  }
+
+  /**
+   * 目前執行環境是否可使用 IndexedDB
+   *
+   * @param {IDBFactory} [factory]
+   * @returns {boolean}
+   */
+  static isSupported (factory = (typeof indexedDB !== 'undefined' ? indexedDB : null)) {
+    return Boolean(factory && typeof factory.open === 'function')
+  }
+
+  /**
+   * 開啟資料庫（重複呼叫共用同一連線）
+   *
+   * @returns {Promise<IDBDatabase>}
+   */
+  open () {
+    if (this._dbPromise) return this._dbPromise
+    if (!IndexedDBBookStore.isSupported(this.factory)) {
+      return Promise.reject(createStoreError('IndexedDB 不可用'))
+    }
+
+    this._dbPromise = new Promise((resolve, reject) => {
+      const request = this.factory.open(this.dbName, DB_VERSION)
+      request.onupgradeneeded = (event) => {
+        const db = request.result
+        if (event.oldVersion < 1) {
+          const books = db.createObjectStore(OBJECT_STORES.BOOKS, { keyPath: 'id' })
+          books.createIndex(BOOK_INDEXES.SOURCE, BOOK_INDEXES.SOURCE, { unique: false })
+          books.createIndex(BOOK_INDEXES.READING_STATUS, BOOK_INDEXES.READING_STATUS, { unique: false })
+          books.createIndex(BOOK_INDEXES.TAG_IDS, BOOK_INDEXES.TAG_IDS, { unique: false, multiEntry: true })
+          db.createObjectStore(OBJECT_STORES.META, { keyPath: 'key' })
+        }
+      }
+      request.onsuccess = () => {
+        const db = request.result
+        // 其他頁面升級 schema 時釋放連線，下次操作重新開啟
+        db.onversionchange = () => this.close()
+        resolve(db)
+      }
+      request.onerror = () => {
+        this._dbPromise = null
+        reject(createStoreError('開啟書籍資料庫失敗', request.error))
+      }
+    })
+    return this._dbPromise
+  }
+
+  /**
+   * 關閉連線
+   */
+  close () {
+    const pending = this._dbPromise
+    this._dbPromise = null
+    if (pending) {
+      pending.then(db => db.close(), () => {})
+    }
+  }
+
+  /**
+   * 於單一 transaction 執行 work；work 同步發出 request，可回傳讀取結果的函式
+   *
+   * @param {string[]} storeNames
+   * @param {'readonly'|'readwrite'} mode
+   * @param {Function} work - (tx) => (() => result) | void
+   * @returns {Promise<*>} transaction complete 後的結果
+   * @private
+   */
+  async _run (storeNames, mode, work) {
+    const db = await this.open()
+    return new Promise((resolve, reject) => {
+      let readResult = () => undefined
+      let tx
+      try {
+        tx = db.transaction(storeNames, mode)
+      } catch (error) {
+        reject(createStoreError('建立 transaction 失敗', error))
+        return
+      }
+      tx.oncomplete = () => resolve(readResult())
+      // request 錯誤會冒泡並使 transaction abort，統一於 onabort 回報
+      tx.onabort = () => reject(createStoreError('書籍資料庫寫入失敗，已復原', tx.error))
+      try {
+        const outcome = work(tx)
+        if (typeof outcome === 'function') readResult = outcome
+      } catch (error) {
+        try { tx.abort() } catch (_) { /* transaction 已結束 */ }
+        reject(createStoreError('書籍資料庫操作失敗', error))
+      }
+    })
+  }
+
+  /**
+   * @returns {Promise<Array>} 所有書籍
+   */
+  getAllBooks () {
+    return this._run([OBJECT_STORES.BOOKS], 'readonly', (tx) => {
+      const request = tx.objectStore(OBJECT_STORES.BOOKS).getAll()
+      return () => request.result || []
+    })
+  }
+
+  /**
+   * @param {string|number} bookId
+   * @returns {Promise<Object|null>}
+   */
+  getBook (bookId) {
+    if (!isValidBookId(bookId)) return Promise.resolve(null)
+    return this._run([OBJECT_STORES.BOOKS], 'readonly', (tx) => {
+      const request = tx.objectStore(OBJECT_STORES.BOOKS).get(bookId)
+      return () => request.result || null
+    })
+  }
+
+  /**
+   * 以次要索引查詢書籍
+   *
+   * @param {string} indexName - BOOK_INDEXES 之一
+   * @param {*} value - 索引值（tagIds 索引為單一 tagId）
+   * @returns {Promise<Array>}
+   */
+  getBooksByIndex (indexName, value) {
+    if (!Object.values(BOOK_INDEXES).includes(indexName)) {
+      return Promise.reject(createStoreError(`未知的書籍索引：${indexName}`))
+    }
+    return this._run([OBJECT_STORES.BOOKS], 'readonly', (tx) => {
+      const request = tx.objectStore(OBJECT_STORES.BOOKS).index(indexName).getAll(value)
+      return () => request.result || []
+    })
+  }
+
+  /**
+   * @returns {Promise<number>}
+   */
+  countBooks () {
+    return this._run([OBJECT_STORES.BOOKS], 'readonly', (tx) => {
+      const request = tx.objectStore(OBJECT_STORES.BOOKS).count()
+      return () => request.result || 0
+    })
+  }
+
+  /**
+   * 批次新增或覆寫書籍（同一 transaction，失敗整批 abort）
+   *
+   * @param {Array} books
+   * @returns {Promise<void>}
+   */
+  async putBooks (books) {
+    assertBooksHaveIds(books)
+    if (books.length === 0) return
+    await this._run([OBJECT_STORES.BOOKS], 'readwrite', (tx) => {
+      const store = tx.objectStore(OBJECT_STORES.BOOKS)
+      books.forEach(book => store.put(book))
+    })
+  }
+
+  /**
+   * 批次刪除書籍（不存在的 id 忽略）
+   *
+   * @param {Array<string|number>} bookIds
+   * @returns {Promise<void>}
+   */
+  async deleteBooks (bookIds) {
+    const ids = bookIds.filter(isValidBookId)
+    if (ids.length === 0) return
+    await this._run([OBJECT_STORES.BOOKS], 'readwrite', (tx) => {
+      const store = tx.objectStore(OBJECT_STORES.BOOKS)
+      ids.forEach(id => store.delete(id))
+    })
+  }
+
+  /**
+   * 同一 transaction 內寫入與刪除書籍（增量儲存用，失敗整批 abort）
+   *
+   * @param {Array} books - 新增或覆寫的書籍
+   * @param {Array<string|number>} [deletedIds=[]] - 刪除的書籍 id（不存在的 id 忽略）
+   * @returns {Promise<void>}
+   */
+  async applyBookChanges (books, deletedIds = []) {
+    assertBooksHaveIds(books)
+    const ids = deletedIds.filter(isValidBookId)
+    if (books.length === 0 && ids.length === 0) return
+    await this._run([OBJECT_STORES.BOOKS], 'readwrite', (tx) => {
+      const store = tx.objectStore(OBJECT_STORES.BOOKS)
+      ids.forEach(id => store.delete(id))
+      books.forEach(book => store.put(book))
+    })
+  }
+
+  /**
+   * 以 books 取代整個書庫（清空與寫入在同一 transaction）
+   *
+   * @param {Array} books
+   * @returns {Promise<void>}
+   */
+  async replaceAllBooks (books) {
+    assertBooksHaveIds(books)
+    await this._run([OBJECT_STORES.BOOKS], 'readwrite', (tx) => {
+      const store = tx.objectStore(OBJECT_STORES.BOOKS)
+      store.clear()
+      books.forEach(book => store.put(book))
+    })
+  }
+
+  /**
+   * @param {string} key
+   * @returns {Promise<*>} meta 值，不存在回 null
+   */
+  getMeta (key) {
+    return this._run([OBJECT_STORES.META], 'readonly', (tx) => {
+      const request = tx.objectStore(OBJECT_STORES.META).get(key)
+      return () => (request.result ? request.result.value : null)
+    })
+  }
+
+  /**
+   * @param {string} key
+   * @param {*} value
+   * @returns {Promise<void>}
+   */
+  async setMeta (key, value) {
+    await this._run([OBJECT_STORES.META], 'readwrite', (tx) => {
+      tx.objectStore(OBJECT_STORES.META).put({ key, value })
+    })
+  }
+
+  /**
+   * 補入書庫中尚未存在的書籍（已存在的 id 保留書庫版本）；讀取與寫入在同一 transaction
+   *
+   * @param {Array} books
+   * @returns {Promise<number>} 實際補入的本數
+   */
+  async addMissingBooks (books) {
+    assertBooksHaveIds(books)
+    if (books.length === 0) return 0
+    return this._run([OBJECT_STORES.BOOKS], 'readwrite', (tx) => {
+      let added = 0
+      const store = tx.objectStore(OBJECT_STORES.BOOKS)
+      const request = store.getAll()
+      request.onsuccess = () => {
+        const existing = new Set((request.result || []).map(book => book.id))
+        books.forEach(book => {
+          if (existing.has(book.id)) return
+          existing.add(book.id)
+          store.put(book)
+          added++
+        })
+      }
+      return () => added
+    })
+  }
+
+  /**
+   * 一次性匯入舊書庫：meta[markerKey] 不存在時，於同一 transaction 寫入書籍與標記。
+   * 標記已存在（其他頁面已完成遷移）時不寫入，避免覆蓋遷移後的新資料。
+   *
+   * @param {Array} books
+   * @param {string} markerKey
+   * @param {*} markerValue
+   * @returns {Promise<boolean>} 是否實際寫入
+   */
+  async importLegacyBooks (books, markerKey, markerValue) {
+    assertBooksHaveIds(books)
+    return this._run([OBJECT_STORES.BOOKS, OBJECT_STORES.META], 'readwrite', (tx) => {
+      let imported = false
+      const meta = tx.objectStore(OBJECT_STORES.META)
+      const request = meta.get(markerKey)
+      request.onsuccess = () => {
+        if (request.result) return
+        const store = tx.objectStore(OBJECT_STORES.BOOKS)
+        books.forEach(book => store.put(book))
+        meta.put({ key: markerKey, value: markerValue })
+        imported = true
+      }
+      return () => imported
+    })
+  }
+}
+
+module.exports = {
+  IndexedDBBookStore,
+  DB_NAME,
+  DB_VERSION,
+  OBJECT_STORES,
+  BOOK_INDEXES,
+  LIBRARY_HEADER_BACKEND,
+  createLibraryHeader,
+  isLibraryHeader
+}
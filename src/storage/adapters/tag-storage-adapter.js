@@ -5,28 +5,52 @@
  * 以及配額管理和原子操作一致性保證。
  *
  * Storage Key 結構：
- * - readmoo_books: 書籍陣列（v2 欄位含 tagIds）
+ * - readmoo_books: 書籍陣列（v2 欄位含 tagIds）；遷移至 IndexedDB 後僅保留 header
+ *   （storage: 'indexeddb'、bookCount 等，不含 books）
  * - tag_categories: 類別陣列
  * - tags: 標籤陣列
  * - schema_version: BookSchemaV2.SCHEMA_VERSION
+ * - progress_history: 每本書的閱讀進度歷程（ProgressHistorySchema，提取與匯入寫入書籍時記錄）
+ * - book_works / duplicate_dismissals: 跨書城作品連結與已略過的重複候選（BookWorkSchema）
+ *
+ * 書籍後端：環境支援 IndexedDB 時，書籍逐筆存於 IndexedDBBookStore（首次使用時自動
+ * 遷移舊 readmoo_books），否則沿用 chrome.storage.local 單一 blob。
  *
  * 規格來源：docs/spec/data-management/data-management.md
  *
  * @version 1.0.0
  */
 
-const { SCHEMA_VERSION: BOOK_SCHEMA_VERSION } = require('../../data-management/BookSchemaV2')
+const { SCHEMA_VERSION: BOOK_SCHEMA_VERSION, computeManualStatusChange } = require('../../data-management/BookSchemaV2')
 
 const { COLORS } = require('../../core/design-system/colors.js')
 
 const TagSchema = require('../../data-management/TagSchema')
 
+const SavedViewSchema = require('../../data-management/SavedViewSchema')
+
+const ProgressHistorySchema = require('../../data-management/ProgressHistorySchema')
+
+const BookWorkSchema = require('../../data-management/BookWorkSchema')
+
+const BookAnnotationSchema = require('../../data-management/BookAnnotationSchema')
+
+const MetadataEnrichmentSchema = require('../../data-management/MetadataEnrichmentSchema')
+
+const TaggingRuleSchema = require('../../data-management/TaggingRuleSchema')
+
+const ClassificationSuggester = require('../../data-management/ClassificationSuggester')
+
 const {
   UNCATEGORIZED_CATEGORY_ID,
   UNCATEGORIZED_CATEGORY_NAME,
   CHINESE_CLASSIFICATION_PRESETS
 } = require('../../data-management/presets/chinese-classification')
 
+const { IndexedDBBookStore, BOOK_INDEXES, createLibraryHeader, isLibraryHeader } = require('./indexeddb-book-store')
+
+const { migrateBooksToIndexedDB, extractLegacyBooks } = require('../../data-management/migration/books-to-indexeddb')
+
 const { Logger } = require('../../core/logging/Logger')
 // 顯式指向 messages/index 避免與同層 messages.js（legacy 基礎字典）衝突解析
 const { MessageDictionary } = require('../../core/messages/index')
@@ -46,9 +70,16 @@ const tagStorageAdapterMessages = new MessageDictionary({
   MERGE_TAGIDS_TRUNCATED: "merge: book '{bookId}' tagIds 聯集超 {limit} 截斷",
   MERGE_BLOCKED_QUOTA: 'mergeAllData blocked: quota exceeded',
   MERGE_FAILED_AFTER_ROLLBACK: 'mergeAllData failed after rollback',
+  TOMBSTONE_BLOCKED_QUOTA: 'applyTombstones blocked: quota exceeded',
+  TOMBSTONE_FAILED_AFTER_ROLLBACK: 'applyTombstones failed after rollback',
+  SYNC_DELTA_BLOCKED_QUOTA: 'applySyncDelta blocked: quota exceeded',
+  SYNC_DELTA_FAILED_AFTER_ROLLBACK: 'applySyncDelta failed after rollback',
   CASCADE_DELETE_FAILED: 'deleteTagCategory cascade failed, rolled back: {error}',
   PRESET_INIT_BLOCKED_QUOTA: 'initializePresets blocked: quota exceeded',
-  PRESET_INIT_FAILED: 'initializePresets failed: {error}'
+  PRESET_INIT_FAILED: 'initializePresets failed: {error}',
+  BOOK_STORE_FALLBACK: 'IndexedDB 書籍儲存不可用，改用 chrome.storage: {error}',
+  UNDO_RECORD_PERSIST_FAILED: '復原紀錄寫入 session storage 失敗: {error}',
+  UNDO_RECORD_LOAD_FAILED: '復原紀錄讀取 session storage 失敗: {error}'
 })
 
 const logger = new Logger('[tag-storage-adapter]', 'INFO', tagStorageAdapterMessages)
@@ -59,7 +90,16 @@ const STORAGE_KEYS = {
   // CATEGORIES 為 TAG_CATEGORIES 的別名（樹狀 model 測試/契約以 CATEGORIES 指稱同一 key）
   CATEGORIES: 'tag_categories',
   TAGS: 'tags',
-  SCHEMA_VERSION: 'schema_version'
+  SCHEMA_VERSION: 'schema_version',
+  SAVED_VIEWS: 'saved_views',
+  PROGRESS_HISTORY: 'progress_history',
+  BOOK_WORKS: 'book_works',
+  DUPLICATE_DISMISSALS: 'duplicate_dismissals',
+  TAGGING_RULES: 'tagging_rules',
+  CLASSIFICATION_LEARNING: 'classification_learning',
+  CLASSIFICATION_DISMISSALS: 'classification_dismissals',
+  // chrome.storage.session：瀏覽器關閉即清除，供同一工作階段內重新載入頁面後復原
+  LAST_BULK_OPERATION: 'last_bulk_operation'
 }
 
 /** Chrome Storage local 配額上限 (5MB) */
@@ -256,18 +296,155 @@ async function loadTags () {
   return (await loadFromStorage(STORAGE_KEYS.TAGS)) || []
 }
 
+async function loadSavedViews () {
+  const views = await loadFromStorage(STORAGE_KEYS.SAVED_VIEWS)
+  return Array.isArray(views) ? views.map(SavedViewSchema.normalizeSavedView).filter(Boolean) : []
+}
+
+async function loadTaggingRules () {
+  const rules = await loadFromStorage(STORAGE_KEYS.TAGGING_RULES)
+  return Array.isArray(rules) ? rules.map(TaggingRuleSchema.normalizeTaggingRule).filter(Boolean) : []
+}
+
+async function loadBookWorks () {
+  const works = await loadFromStorage(STORAGE_KEYS.BOOK_WORKS)
+  return Array.isArray(works) ? works.map(BookWorkSchema.normalizeBookWork).filter(Boolean) : []
+}
+
+async function loadDuplicateDismissals () {
+  const dismissed = await loadFromStorage(STORAGE_KEYS.DUPLICATE_DISMISSALS)
+  return Array.isArray(dismissed) ? dismissed.filter(key => typeof key === 'string') : []
+}
+
+async function loadClassificationLearning () {
+  return ClassificationSuggester.normalizeClassificationLearning(await loadFromStorage(STORAGE_KEYS.CLASSIFICATION_LEARNING))
+}
+
+async function loadClassificationDismissals () {
+  const dismissed = await loadFromStorage(STORAGE_KEYS.CLASSIFICATION_DISMISSALS)
+  return Array.isArray(dismissed) ? dismissed.filter(id => typeof id === 'string') : []
+}
+
+async function loadProgressHistory () {
+  return ProgressHistorySchema.normalizeProgressHistory(await loadFromStorage(STORAGE_KEYS.PROGRESS_HISTORY))
+}
+
+/**
+ * 比對寫入前後書庫，計算追加 progress / readingStatus 變動後的歷程
+ *
+ * @param {Array<Object>} previousBooks
+ * @param {Array<Object>} nextBooks
+ * @param {number} [timestamp] - 毫秒，預設為現在
+ * @returns {Promise<{ previous: Object, next: Object }>} previous 供回滾快照使用
+ */
+async function computeProgressHistory (previousBooks, nextBooks, timestamp = Date.now()) {
+  const previous = await loadProgressHistory()
+  const { history } = ProgressHistorySchema.recordProgressChanges(previous, previousBooks, nextBooks, timestamp)
+  return { previous, next: history }
+}
+
+// --- 書籍儲存後端（IndexedDB 優先，chrome.storage 備援） ---
+
+let bookStorePromise = null
+
+/** 供遷移模組使用的 Promise 形式 storage（沿用雙模式 load/save 輔助） */
+const legacyStorage = {
+  async get (keys) {
+    const result = {}
+    for (const key of keys) {
+      result[key] = await loadFromStorage(key)
+    }
+    return result
+  },
+  set: (items) => saveToStorage(items)
+}
+
+/** 遷移模組採純字串日誌，經 Logger.direct 輸出 */
+const migrationLogger = {
+  info: (message) => logger.direct('INFO', message),
+  warn: (message) => logger.direct('WARN', message),
+  error: (message) => logger.direct('ERROR', message)
+}
+
+/**
+ * 完成一次性遷移後啟用 store；遷移失敗時本次 session 退回 chrome.storage
+ * （舊資料在 IndexedDB commit 前不會被改動，退回後資料仍完整）
+ *
+ * @param {IndexedDBBookStore} store
+ * @returns {Promise<IndexedDBBookStore|null>}
+ */
+async function activateBookStore (store) {
+  const result = await migrateBooksToIndexedDB(legacyStorage, store, migrationLogger)
+  if (result.error) {
+    logger.warn('BOOK_STORE_FALLBACK', { error: result.error })
+    store.close()
+    return null
+  }
+  return store
+}
+
+/**
+ * 取得目前的書籍 store（惰性建立，同一頁面共用）
+ *
+ * @returns {Promise<IndexedDBBookStore|null>} 不支援 IndexedDB 時為 null
+ */
+function getBookStore () {
+  if (!bookStorePromise) {
+    bookStorePromise = IndexedDBBookStore.isSupported()
+      ? activateBookStore(new IndexedDBBookStore())
+      : Promise.resolve(null)
+  }
+  return bookStorePromise
+}
+
+/**
+ * 指定書籍後端（測試或需自訂 IndexedDB factory 時使用）
+ *
+ * @param {IndexedDBBookStore|null} store - null 表示使用 chrome.storage
+ * @returns {Promise<IndexedDBBookStore|null>} 遷移完成後實際啟用的 store
+ */
+function useBookStore (store) {
+  bookStorePromise = store ? activateBookStore(store) : Promise.resolve(null)
+  return bookStorePromise
+}
+
 async function loadBooks () {
-  const raw = await loadFromStorage(STORAGE_KEYS.READMOO_BOOKS)
-  if (!raw) return []
+  const store = await getBookStore()
+  if (store) return store.getAllBooks()
   // readmoo_books 可能是 { books: [...] } 或直接陣列
-  if (Array.isArray(raw)) return raw
-  if (raw.books && Array.isArray(raw.books)) return raw.books
-  return []
+  return extractLegacyBooks(await loadFromStorage(STORAGE_KEYS.READMOO_BOOKS))
+}
+
+/**
+ * 以 books 為書庫目標狀態，只寫入與 store 現況不同的書並刪除不在 books 中的書
+ * （同一 transaction；批次編輯、復原、合併匯入等只改到少數書時不重寫整個書庫）
+ *
+ * @param {IndexedDBBookStore} store
+ * @param {Array} books
+ * @returns {Promise<void>}
+ */
+async function writeBookChanges (store, books) {
+  const current = new Map((await store.getAllBooks()).map(book => [book.id, JSON.stringify(book)]))
+  const nextIds = new Set(books.map(book => book && book.id))
+  const changed = books.filter(book => !book || current.get(book.id) !== JSON.stringify(book))
+  const deletedIds = [...current.keys()].filter(id => !nextIds.has(id))
+  await store.applyBookChanges(changed, deletedIds)
 }
 
 async function saveBooksWrapper (books) {
-  // 保持原始結構格式
+  const store = await getBookStore()
   const raw = await loadFromStorage(STORAGE_KEYS.READMOO_BOOKS)
+  if (store) {
+    await writeBookChanges(store, books)
+    // 更新 header，讓監聽 readmoo_books 的頁面得知書庫變動
+    await saveToStorage({ [STORAGE_KEYS.READMOO_BOOKS]: createLibraryHeader(raw, books.length) })
+    return
+  }
+  if (isLibraryHeader(raw)) {
+    // 書庫已遷移但本次無法開啟 IndexedDB：拒寫，避免兩處資料分歧
+    throw new Error('書庫已遷移至 IndexedDB，但目前無法開啟')
+  }
+  // 保持原始結構格式
   if (raw && !Array.isArray(raw) && raw.books) {
     await saveToStorage({ [STORAGE_KEYS.READMOO_BOOKS]: { ...raw, books } })
   } else {
@@ -275,6 +452,144 @@ async function saveBooksWrapper (books) {
   }
 }
 
+/**
+ * 將個別書籍寫入 IndexedDB，並更新 readmoo_books header（書數不變，revision / updatedAt 遞增）
+ *
+ * 只改少數書的寫入不重寫書庫，但仍須讓監聽 readmoo_books 的其他頁面（總覽、popup）得知變動。
+ *
+ * @param {IndexedDBBookStore} store
+ * @param {Array<Object>} books - 已存在於書庫的書
+ * @returns {Promise<void>}
+ */
+async function putStoredBooks (store, books) {
+  await store.putBooks(books)
+  const raw = await loadFromStorage(STORAGE_KEYS.READMOO_BOOKS)
+  const bookCount = isLibraryHeader(raw) ? raw.bookCount : await store.countBooks()
+  await saveToStorage({ [STORAGE_KEYS.READMOO_BOOKS]: createLibraryHeader(raw, bookCount) })
+}
+
+/**
+ * 讀取單本書（IndexedDB 後端只讀該筆 record）
+ *
+ * @param {string} bookId
+ * @returns {Promise<Object|null>}
+ */
+async function loadBook (bookId) {
+  const store = await getBookStore()
+  if (store) return store.getBook(bookId)
+  const books = await loadBooks()
+  return books.find(b => b.id === bookId) || null
+}
+
+/**
+ * 讀取、修改並寫回單本書
+ *
+ * IndexedDB 後端只讀寫該筆 record（另更新 header）；chrome.storage 後端仍需整包讀寫。
+ * mutate 回傳 { success: false } 時不寫入。
+ *
+ * @param {string} bookId
+ * @param {Function} mutate - async (book) => result
+ * @returns {Promise<Object>} mutate 的回傳值，或 { success: false, error: 'book_not_found' }
+ */
+async function updateStoredBook (bookId, mutate) {
+  const store = await getBookStore()
+  const books = store ? null : await loadBooks()
+  const book = store ? await store.getBook(bookId) : books.find(b => b.id === bookId)
+  if (!book) {
+    return { success: false, error: 'book_not_found' }
+  }
+
+  const result = await mutate(book)
+  if (result.success) {
+    if (store) await putStoredBooks(store, [book])
+    else await saveBooksWrapper(books)
+  }
+  return result
+}
+
+/**
+ * 讀取、逐本修改並一次寫回多本書（背景補齊書目資料使用）
+ *
+ * 與 runBulkBookEdit 不同：不建立復原紀錄，updatedAt 由 mutate 決定。
+ * IndexedDB 後端只讀寫指定的書（另更新 header）；chrome.storage 後端整包讀寫。
+ * 寫入前重新讀取書庫，mutate 看到的是最新資料（期間的使用者編輯不會被舊資料蓋回）。
+ *
+ * @param {string[]} bookIds
+ * @param {Function} mutate - (book) => boolean，就地修改並回傳是否有變動
+ * @returns {Promise<Object>} { success: true, affected }
+ */
+async function updateStoredBooks (bookIds, mutate) {
+  const ids = new Set(normalizeBookIds(bookIds))
+  return operationLock.run(async () => {
+    const store = await getBookStore()
+    const books = store
+      ? (await Promise.all([...ids].map(id => store.getBook(id)))).filter(Boolean)
+      : await loadBooks()
+    const changed = books.filter(book => ids.has(book.id) && mutate(book))
+
+    if (changed.length > 0) {
+      if (store) await putStoredBooks(store, changed)
+      else await saveBooksWrapper(books)
+    }
+    return { success: true, affected: changed.length }
+  })
+}
+
+/**
+ * 由 readmoo_books 紀錄取得書籍陣列（供直接讀取 chrome.storage 的頁面使用）
+ *
+ * header 紀錄自 IndexedDB 讀取；舊格式（陣列或 { books }）直接取出。
+ *
+ * @param {Array|Object|null} record - chrome.storage.local readmoo_books 值
+ * @returns {Promise<Array>}
+ */
+async function loadStoredBooks (record) {
+  if (!isLibraryHeader(record)) return extractLegacyBooks(record)
+  const store = await getBookStore()
+  return store ? store.getAllBooks() : []
+}
+
+/**
+ * 清空書籍（IndexedDB 後端；chrome.storage 的 readmoo_books 由呼叫端移除）
+ *
+ * @returns {Promise<void>}
+ */
+async function clearStoredBooks () {
+  const store = await getBookStore()
+  if (store) await store.replaceAllBooks([])
+}
+
+/**
+ * 以提取結果取代書庫，回傳應寫入 readmoo_books 的紀錄
+ *
+ * IndexedDB 後端：書籍寫入 store，回傳不含 books 的 header；
+ * chrome.storage 後端：回傳 record（books 已保留註記），由呼叫端照舊寫入。
+ * 兩種後端皆先與既有書庫比對，記錄 progress / readingStatus 變動至 progress_history；
+ * 書城不提供個人註記，rating / notes / 日期一律沿用書庫既有值（BookAnnotationSchema.carryOverAnnotations）；
+ * 書目補齊結果、使用者編輯過的書目欄位與 metadataEnrichedAt / editedFields 亦沿用（MetadataEnrichmentSchema.carryOverMetadata）。
+ * 書庫原本沒有的新書套用啟用中的自動標籤規則（createAutoTagger）。
+ *
+ * @param {Object} record - { books, extractionTimestamp?, ...meta }
+ * @returns {Promise<Object>}
+ */
+async function storeBookLibrary (record) {
+  const store = await getBookStore()
+  const previousBooks = await loadBooks()
+  const previousIds = new Set(previousBooks.map(book => book.id))
+  const autoTag = await createAutoTagger()
+  const extracted = MetadataEnrichmentSchema.carryOverMetadata(previousBooks, extractLegacyBooks(record))
+  const books = BookAnnotationSchema.carryOverAnnotations(previousBooks, extracted).map(book => {
+    if (!autoTag || !book || previousIds.has(book.id)) return book
+    const tagged = { ...book, tagIds: Array.isArray(book.tagIds) ? [...book.tagIds] : [] }
+    return autoTag(tagged) ? tagged : book
+  })
+  const history = await computeProgressHistory(previousBooks, books, record.extractionTimestamp || Date.now())
+  await saveToStorage({ [STORAGE_KEYS.PROGRESS_HISTORY]: history.next })
+  if (!store) return Array.isArray(record) ? books : { ...record, books }
+  await writeBookChanges(store, books)
+  return createLibraryHeader(record, books.length)
+}
+
 // --- 互斥鎖（簡易 Promise-based） ---
 
 const operationLock = {
@@ -296,11 +611,17 @@ const operationLock = {
 /**
  * snapshot key 名稱到 STORAGE_KEYS 的對映
  * 用於 withAtomicRollback 泛用回滾迴圈
- * 注意：'books' 使用 saveBooksWrapper 特殊處理（需保持原始結構格式）
+ * 注意：'books' 使用 saveBooksWrapper 特殊處理（需保持原始結構格式；
+ * IndexedDB 後端以單一 transaction 寫回與快照不同的書）
  */
 const SNAPSHOT_KEY_TO_STORAGE_KEY = {
   categories: STORAGE_KEYS.TAG_CATEGORIES,
-  tags: STORAGE_KEYS.TAGS
+  tags: STORAGE_KEYS.TAGS,
+  savedViews: STORAGE_KEYS.SAVED_VIEWS,
+  taggingRules: STORAGE_KEYS.TAGGING_RULES,
+  classificationLearning: STORAGE_KEYS.CLASSIFICATION_LEARNING,
+  progressHistory: STORAGE_KEYS.PROGRESS_HISTORY,
+  works: STORAGE_KEYS.BOOK_WORKS
 }
 
 // --- 原子回滾輔助 ---
@@ -951,8 +1272,7 @@ async function getTagsByCategory (categoryId) {
  * @returns {Promise<Array>}
  */
 async function getTagsForBook (bookId) {
-  const books = await loadBooks()
-  const book = books.find(b => b.id === bookId)
+  const book = await loadBook(bookId)
   if (!book || !book.tagIds || book.tagIds.length === 0) {
     return []
   }
@@ -989,6 +1309,40 @@ async function updateTag (tagId, updates) {
   })
 }
 
+/**
+ * 重新命名 tag
+ * 業務規則：name 必填，同 category 內 name 唯一（大小寫不敏感，與 createTag 相同）
+ *
+ * @param {string} tagId
+ * @param {string} newName
+ * @returns {Promise<Object>} { success: true, tag } 或 { success: false, error }
+ */
+async function renameTag (tagId, newName) {
+  return operationLock.run(async () => {
+    const name = typeof newName === 'string' ? newName.trim() : ''
+    if (name === '') {
+      return { success: false, error: 'name is required' }
+    }
+
+    const tags = await loadTags()
+    const tag = tags.find(t => t.id === tagId)
+    if (!tag) {
+      return { success: false, error: 'not_found' }
+    }
+    const isDuplicate = tags.some(
+      t => t.id !== tagId && t.categoryId === tag.categoryId && t.name.toLowerCase() === name.toLowerCase()
+    )
+    if (isDuplicate) {
+      return { success: false, error: 'duplicate_name_in_category' }
+    }
+
+    tag.name = name
+    tag.updatedAt = new Date().toISOString()
+    await saveToStorage({ [STORAGE_KEYS.TAGS]: tags })
+    return { success: true, tag: { ...tag } }
+  })
+}
+
 /**
  * 刪除 tag（cascade 移除書籍引用）
  * 業務規則：isSystem=true 不可刪除
@@ -1153,6 +1507,66 @@ async function batchDeleteTags (tagIds) {
   })
 }
 
+/**
+ * 合併 tag：來源 tag 的書籍引用改為目標 tag（去重），再刪除來源 tag。
+ *
+ * 不存在的來源 id 與目標自身略過；來源含系統 tag 時整批拒絕（與 deleteTag 相同保護）。
+ * 書籍、自動標籤規則與 tag 以單一 withAtomicRollback 交易寫回。
+ *
+ * @param {string[]} sourceTagIds - 要併入目標的 tag id 陣列
+ * @param {string} targetTagId - 保留的 tag id
+ * @returns {Promise<Object>} { success: true, merged, affected } 或 { success: false, error }
+ */
+async function mergeTags (sourceTagIds, targetTagId) {
+  return operationLock.run(async () => {
+    const tags = await loadTags()
+    if (!tags.some(t => t.id === targetTagId)) {
+      return { success: false, error: 'tag_not_found' }
+    }
+
+    const ids = new Set(Array.isArray(sourceTagIds) ? sourceTagIds : [])
+    ids.delete(targetTagId)
+    const sources = tags.filter(t => ids.has(t.id))
+    if (sources.some(t => t.isSystem)) {
+      return { success: false, error: 'cannot_delete_system' }
+    }
+    if (sources.length === 0) {
+      return { success: true, merged: 0, affected: 0 }
+    }
+
+    const sourceIds = new Set(sources.map(t => t.id))
+    const currentBooks = await loadBooks()
+    const taggingRules = await loadTaggingRules()
+    return withAtomicRollback(
+      { tags, books: currentBooks, taggingRules },
+      async () => {
+        // Step 1: 書籍引用改為目標 tag
+        const now = new Date().toISOString()
+        let affected = 0
+        for (const book of currentBooks) {
+          if (!book.tagIds || !book.tagIds.some(tid => sourceIds.has(tid))) continue
+          book.tagIds = [...new Set(book.tagIds.map(tid => (sourceIds.has(tid) ? targetTagId : tid)))]
+          book.updatedAt = now
+          affected += 1
+        }
+        if (affected > 0) await saveBooksWrapper(currentBooks)
+
+        // Step 2: 自動標籤規則的目標 tag 改為目標 tag
+        const tagIdMap = new Map([...sourceIds].map(id => [id, targetTagId]))
+        if (TaggingRuleSchema.remapTaggingRuleTags(taggingRules, tagIdMap)) {
+          await saveToStorage({ [STORAGE_KEYS.TAGGING_RULES]: taggingRules })
+        }
+
+        // Step 3: 刪除來源 tag
+        await saveToStorage({ [STORAGE_KEYS.TAGS]: tags.filter(t => !sourceIds.has(t.id)) })
+
+        return { success: true, merged: sourceIds.size, affected }
+      },
+      'mergeTags'
+    )
+  })
+}
+
 // ==========================================
 // Book-Tag 關聯操作
 // ==========================================
@@ -1172,21 +1586,15 @@ async function addTagToBook (bookId, tagId) {
       return { success: false, error: 'tag_not_found' }
     }
 
-    const books = await loadBooks()
-    const book = books.find(b => b.id === bookId)
-    if (!book) {
-      return { success: false, error: 'book_not_found' }
-    }
-
-    if (!book.tagIds) {
-      book.tagIds = []
-    }
-    if (!book.tagIds.includes(tagId)) {
-      book.tagIds.push(tagId)
-    }
-
-    await saveBooksWrapper(books)
-    return { success: true, tagIds: [...book.tagIds] }
+    return updateStoredBook(bookId, async (book) => {
+      if (!book.tagIds) {
+        book.tagIds = []
+      }
+      if (!book.tagIds.includes(tagId)) {
+        book.tagIds.push(tagId)
+      }
+      return { success: true, tagIds: [...book.tagIds] }
+    })
   })
 }
 
@@ -1199,18 +1607,12 @@ async function addTagToBook (bookId, tagId) {
  */
 async function removeTagFromBook (bookId, tagId) {
   return operationLock.run(async () => {
-    const books = await loadBooks()
-    const book = books.find(b => b.id === bookId)
-    if (!book) {
-      return { success: false, error: 'book_not_found' }
-    }
-
-    if (book.tagIds) {
-      book.tagIds = book.tagIds.filter(tid => tid !== tagId)
-    }
-
-    await saveBooksWrapper(books)
-    return { success: true, tagIds: [...(book.tagIds || [])] }
+    return updateStoredBook(bookId, async (book) => {
+      if (book.tagIds) {
+        book.tagIds = book.tagIds.filter(tid => tid !== tagId)
+      }
+      return { success: true, tagIds: [...(book.tagIds || [])] }
+    })
   })
 }
 
@@ -1224,76 +1626,939 @@ async function removeTagFromBook (bookId, tagId) {
  */
 async function setBookTags (bookId, tagIds) {
   return operationLock.run(async () => {
-    const books = await loadBooks()
-    const book = books.find(b => b.id === bookId)
-    if (!book) {
-      return { success: false, error: 'book_not_found' }
-    }
+    return updateStoredBook(bookId, async (book) => {
+      const allTags = await loadTags()
+      const validTagIds = new Set(allTags.map(t => t.id))
+      const validatedTagIds = tagIds.filter(tid => validTagIds.has(tid))
+
+      // 如果有無效 tagId 且全部無效，回傳錯誤；部分無效則跳過
+      if (tagIds.length > 0 && validatedTagIds.length === 0) {
+        return { success: false, error: 'no_valid_tags' }
+      }
 
-    const allTags = await loadTags()
-    const validTagIds = new Set(allTags.map(t => t.id))
-    const validatedTagIds = tagIds.filter(tid => validTagIds.has(tid))
+      book.tagIds = [...new Set(validatedTagIds)]
+      return { success: true, tagIds: [...book.tagIds] }
+    })
+  })
+}
 
-    // 如果有無效 tagId 且全部無效，回傳錯誤；部分無效則跳過
-    if (tagIds.length > 0 && validatedTagIds.length === 0) {
-      return { success: false, error: 'no_valid_tags' }
-    }
+/**
+ * 手動設定單本書的閱讀狀態（總覽列內編輯 / 詳情面板）
+ * 業務規則：經 computeManualStatusChange 決定 isManualStatus；狀態未變時不更新 updatedAt
+ *
+ * @param {string} bookId
+ * @param {string} status - READING_STATUS_VALUES 之一
+ * @returns {Promise<Object>} { success, changed, readingStatus, isManualStatus } 或 { success: false, error }
+ */
+async function setBookReadingStatus (bookId, status) {
+  const change = computeManualStatusChange(status)
+  if (!change) {
+    return { success: false, error: 'invalid_status' }
+  }
 
-    book.tagIds = [...new Set(validatedTagIds)]
-    await saveBooksWrapper(books)
-    return { success: true, tagIds: [...book.tagIds] }
+  return operationLock.run(async () => {
+    return updateStoredBook(bookId, async (book) => {
+      if (book.readingStatus === change.readingStatus && book.isManualStatus === change.isManualStatus) {
+        return { success: true, changed: false, ...change }
+      }
+      book.readingStatus = change.readingStatus
+      book.isManualStatus = change.isManualStatus
+      book.updatedAt = new Date().toISOString()
+      return { success: true, changed: true, ...change }
+    })
+  })
+}
+
+/**
+ * 編輯單本書的個人註記（評分、筆記、開始 / 讀完日期；詳情面板）
+ * 業務規則：驗證與套用見 BookAnnotationSchema；空值清除欄位；內容未變時不更新 updatedAt
+ *
+ * @param {string} bookId
+ * @param {Object} changes - 欄位 → 新值，例如 { rating: 4 }、{ notes: '' }
+ * @returns {Promise<Object>} { success, changed, annotations } 或 { success: false, error }
+ */
+async function setBookAnnotations (bookId, changes) {
+  const validation = BookAnnotationSchema.validateAnnotationChanges(changes)
+  if (!validation.valid) {
+    return { success: false, error: validation.error }
+  }
+
+  return operationLock.run(async () => {
+    return updateStoredBook(bookId, async (book) => {
+      const applied = BookAnnotationSchema.applyAnnotationChanges(book, validation.changes)
+      if (applied.error) {
+        return { success: false, error: applied.error }
+      }
+      if (applied.changed) {
+        book.updatedAt = new Date().toISOString()
+      }
+      return { success: true, changed: applied.changed, annotations: BookAnnotationSchema.pickAnnotations(book) }
+    })
   })
 }
 
 /**
- * 查詢含特定 tag 的所有書籍
+ * 查詢含特定 tag 的所有書籍（IndexedDB 後端走 tagIds 索引）
  *
  * @param {string} tagId
  * @returns {Promise<Array>}
  */
 async function getBooksByTag (tagId) {
+  const store = await getBookStore()
+  if (store) return store.getBooksByIndex(BOOK_INDEXES.TAG_IDS, tagId)
   const books = await loadBooks()
   return books.filter(b => b.tagIds && b.tagIds.includes(tagId))
 }
 
 // ==========================================
-// 配額管理
+// 書籍批次編輯（總覽選取列）
 // ==========================================
 
 /**
- * 取得配額狀態
- * @returns {Promise<Object>}
+ * 最近一次批次編輯的復原紀錄（僅保留一筆，新的批次編輯覆蓋舊紀錄）
+ *
+ * 格式：{ operation, at, changes, removed }
+ * - changes：[{ id, before, after }]，只記錄該次操作改動的欄位（before 缺少的欄位表示原本不存在）
+ * - removed：被刪除的書的完整拷貝
+ *
+ * 記憶體快取供 getLastBulkOperation 同步讀取；同時寫入 chrome.storage.session
+ * （不支援時只存在記憶體），頁面重新載入後由 loadLastBulkOperation 取回。
  */
-async function getQuotaStatus () {
-  const bytesUsed = await getBytesInUse()
-  const usageRatio = bytesUsed / MAX_STORAGE_SIZE
-  return {
-    bytesUsed,
-    maxSize: MAX_STORAGE_SIZE,
-    usageRatio,
-    level: (await checkQuotaLevel()).level
-  }
-}
-
-// ==========================================
-// 引用完整性檢查
-// ==========================================
+let lastBulkOperation = null
 
 /**
- * 執行引用完整性檢查並自動修復
- * - 移除書籍 tagIds 中不存在的 tagId
- * - tag 的 categoryId 引用不存在時，移至預設 category 或刪除
+ * 讀取 chrome.storage.session（不支援時回傳 null）
  *
- * @returns {Promise<Object>} 修復結果
+ * @param {string} key
+ * @returns {Promise<*>}
  */
-async function checkReferentialIntegrity () {
-  return operationLock.run(async () => {
-    const tags = await loadTags()
-    const categories = await loadCategories()
-    const books = await loadBooks()
+function loadFromSession (key) {
+  const session = chrome.storage && chrome.storage.session
+  if (!session) return Promise.resolve(null)
+  return new Promise((resolve, reject) => {
+    session.get([key], (result) => {
+      const lastError = readLastError()
+      if (lastError) reject(new Error(lastError))
+      else resolve((result && result[key]) || null)
+    })
+  })
+}
 
-    const validTagIds = new Set(tags.map(t => t.id))
-    const validCategoryIds = new Set(categories.map(c => c.id))
+/**
+ * 寫入 chrome.storage.session（不支援時略過）；value 為 null 時移除該 key
+ *
+ * @param {string} key
+ * @param {*} value
+ * @returns {Promise<void>}
+ */
+function saveToSession (key, value) {
+  const session = chrome.storage && chrome.storage.session
+  if (!session) return Promise.resolve()
+  return new Promise((resolve, reject) => {
+    const done = () => {
+      const lastError = readLastError()
+      if (lastError) reject(new Error(lastError))
+      else resolve()
+    }
+    if (value === null) session.remove([key], done)
+    else session.set({ [key]: value }, done)
+  })
+}
+
+/**
+ * 更新復原紀錄（記憶體與 session）；session 寫入失敗只記錄警告，不影響已完成的編輯
+ *
+ * @param {Object|null} record
+ * @returns {Promise<void>}
+ */
+async function setLastBulkOperation (record) {
+  lastBulkOperation = record
+  try {
+    await saveToSession(STORAGE_KEYS.LAST_BULK_OPERATION, record)
+  } catch (error) {
+    logger.warn('UNDO_RECORD_PERSIST_FAILED', { error: error.message })
+  }
+}
+
+/**
+ * 比對單本書變更前後，只記錄有差異的欄位（updatedAt 除外）
+ *
+ * @param {Object} original - 變更前拷貝
+ * @param {Object} updated - 變更後的書
+ * @returns {{ id: string, before: Object, after: Object }}
+ */
+function recordUndoChange (original, updated) {
+  const before = {}
+  const after = {}
+  const keys = new Set([...Object.keys(original), ...Object.keys(updated)])
+  keys.delete('updatedAt')
+  keys.forEach(key => {
+    if (JSON.stringify(original[key]) === JSON.stringify(updated[key])) return
+    if (key in original) before[key] = original[key]
+    if (key in updated) after[key] = JSON.parse(JSON.stringify(updated[key]))
+  })
+  return { id: updated.id, before, after }
+}
+
+/**
+ * 復原紀錄中單本書改動的欄位名稱
+ */
+function changedFieldsOf (change) {
+  return [...new Set([...Object.keys(change.before), ...Object.keys(change.after)])]
+}
+
+function normalizeBookIds (bookIds) {
+  if (!Array.isArray(bookIds)) return []
+  return [...new Set(bookIds.filter(id => typeof id === 'string' && id !== ''))]
+}
+
+/**
+ * 對選取書籍逐本套用 mutate，以單一 withAtomicRollback 交易寫回
+ *
+ * mutate(book) 就地修改並回傳是否有變動；有變動的書更新 updatedAt 並納入復原紀錄。
+ * 無任何變動時不寫入，也不覆蓋既有的復原紀錄。
+ *
+ * @param {string} operation - 操作名稱（復原紀錄與錯誤日誌）
+ * @param {string[]} bookIds
+ * @param {Function} mutate - (book) => boolean
+ * @returns {Promise<Object>} { success, affected, missing } 或回滾結果
+ */
+async function runBulkBookEdit (operation, bookIds, mutate) {
+  const ids = new Set(normalizeBookIds(bookIds))
+  const books = await loadBooks()
+  const now = new Date().toISOString()
+
+  return withAtomicRollback(
+    { books },
+    async () => {
+      const changes = []
+      let found = 0
+      for (const book of books) {
+        if (!ids.has(book.id)) continue
+        found += 1
+        const original = JSON.parse(JSON.stringify(book))
+        if (mutate(book)) {
+          book.updatedAt = now
+          changes.push(recordUndoChange(original, book))
+        }
+      }
+
+      if (changes.length > 0) {
+        await saveBooksWrapper(books)
+        await setLastBulkOperation({ operation, at: now, changes, removed: [] })
+      }
+      return { success: true, affected: changes.length, missing: ids.size - found }
+    },
+    operation
+  )
+}
+
+/**
+ * 批次設定閱讀狀態（經 computeManualStatusChange，與單本手動設定同規則）
+ *
+ * @param {string[]} bookIds
+ * @param {string} status - READING_STATUS_VALUES 之一
+ * @returns {Promise<Object>} { success, affected, missing } 或 { success: false, error: 'invalid_status' }
+ */
+async function bulkSetReadingStatus (bookIds, status) {
+  const change = computeManualStatusChange(status)
+  if (!change) {
+    return { success: false, error: 'invalid_status' }
+  }
+
+  return operationLock.run(() => runBulkBookEdit('bulkSetReadingStatus', bookIds, (book) => {
+    if (book.readingStatus === change.readingStatus && book.isManualStatus === change.isManualStatus) {
+      return false
+    }
+    book.readingStatus = change.readingStatus
+    book.isManualStatus = change.isManualStatus
+    return true
+  }))
+}
+
+/**
+ * 驗證 tagIds 皆存在，回傳去重後的清單；任一不存在時回傳 null
+ */
+async function resolveExistingTagIds (tagIds) {
+  const ids = [...new Set(Array.isArray(tagIds) ? tagIds : [])]
+  if (ids.length === 0) return null
+  const existing = new Set((await loadTags()).map(t => t.id))
+  return ids.every(id => existing.has(id)) ? ids : null
+}
+
+/**
+ * 批次加入 tag（已有的不重複加入）
+ *
+ * @param {string[]} bookIds
+ * @param {string[]} tagIds - 皆須存在
+ * @returns {Promise<Object>} { success, affected, missing } 或 { success: false, error: 'tag_not_found' }
+ */
+async function bulkAddTags (bookIds, tagIds) {
+  return operationLock.run(async () => {
+    const ids = await resolveExistingTagIds(tagIds)
+    if (!ids) {
+      return { success: false, error: 'tag_not_found' }
+    }
+
+    return runBulkBookEdit('bulkAddTags', bookIds, (book) => {
+      const current = book.tagIds || []
+      const added = ids.filter(id => !current.includes(id))
+      if (added.length === 0) return false
+      book.tagIds = [...current, ...added]
+      return true
+    })
+  })
+}
+
+/**
+ * 批次移除 tag（冪等；不驗證 tag 是否存在，以便清除殘留引用）
+ *
+ * @param {string[]} bookIds
+ * @param {string[]} tagIds
+ * @returns {Promise<Object>} { success, affected, missing }
+ */
+async function bulkRemoveTags (bookIds, tagIds) {
+  return operationLock.run(() => {
+    const removing = new Set(Array.isArray(tagIds) ? tagIds : [])
+    return runBulkBookEdit('bulkRemoveTags', bookIds, (book) => {
+      if (!book.tagIds || !book.tagIds.some(id => removing.has(id))) return false
+      book.tagIds = book.tagIds.filter(id => !removing.has(id))
+      return true
+    })
+  })
+}
+
+/**
+ * 批次移至分類：以目標 tag 取代書籍在同一 category 下的其他 tag
+ *
+ * 例：「狀況」分類下有「已借出」「收藏」，移至「收藏」後書籍只保留「收藏」，
+ * 其他分類的 tag 不受影響。
+ *
+ * @param {string[]} bookIds
+ * @param {string} tagId - 目標 tag，其 categoryId 即目標分類
+ * @returns {Promise<Object>} { success, affected, missing } 或 { success: false, error: 'tag_not_found' }
+ */
+async function bulkMoveToCategory (bookIds, tagId) {
+  return operationLock.run(async () => {
+    const tags = await loadTags()
+    const target = tags.find(t => t.id === tagId)
+    if (!target) {
+      return { success: false, error: 'tag_not_found' }
+    }
+    const siblingIds = new Set(tags.filter(t => t.categoryId === target.categoryId).map(t => t.id))
+
+    return runBulkBookEdit('bulkMoveToCategory', bookIds, (book) => {
+      const current = book.tagIds || []
+      const next = [...current.filter(id => !siblingIds.has(id)), tagId]
+      if (next.length === current.length && next.every(id => current.includes(id))) return false
+      book.tagIds = next
+      return true
+    })
+  })
+}
+
+/**
+ * 批次刪除書籍
+ *
+ * @param {string[]} bookIds
+ * @returns {Promise<Object>} { success, affected, missing } 或回滾結果
+ */
+async function bulkDeleteBooks (bookIds) {
+  return operationLock.run(async () => {
+    const ids = new Set(normalizeBookIds(bookIds))
+    const books = await loadBooks()
+    const removed = books.filter(b => ids.has(b.id))
+    if (removed.length === 0) {
+      return { success: true, affected: 0, missing: ids.size }
+    }
+
+    return withAtomicRollback(
+      { books },
+      async () => {
+        await saveBooksWrapper(books.filter(b => !ids.has(b.id)))
+        await setLastBulkOperation({
+          operation: 'bulkDeleteBooks',
+          at: new Date().toISOString(),
+          changes: [],
+          removed: JSON.parse(JSON.stringify(removed))
+        })
+        return { success: true, affected: removed.length, missing: ids.size - removed.length }
+      },
+      'bulkDeleteBooks'
+    )
+  })
+}
+
+/**
+ * 取得最近一次批次編輯的摘要（供 UI 顯示復原按鈕）
+ *
+ * @returns {{ operation: string, count: number, at: string }|null}
+ */
+function getLastBulkOperation () {
+  if (!lastBulkOperation) return null
+  const { operation, changes, removed, at } = lastBulkOperation
+  return { operation, count: changes.length + removed.length, at }
+}
+
+/**
+ * 由 chrome.storage.session 取回復原紀錄（頁面載入時呼叫；讀取失敗視為無紀錄）
+ *
+ * @returns {Promise<{ operation: string, count: number, at: string }|null>} 同 getLastBulkOperation
+ */
+async function loadLastBulkOperation () {
+  try {
+    const record = await loadFromSession(STORAGE_KEYS.LAST_BULK_OPERATION)
+    if (record && Array.isArray(record.changes) && Array.isArray(record.removed)) {
+      lastBulkOperation = record
+    }
+  } catch (error) {
+    logger.warn('UNDO_RECORD_LOAD_FAILED', { error: error.message })
+  }
+  return getLastBulkOperation()
+}
+
+/**
+ * 復原最近一次批次編輯
+ *
+ * 只還原該次操作改動的欄位，其他欄位保留現值（批次編輯後對其他欄位的修改不被蓋回）；
+ * 被刪除的書重新加入。批次編輯後這些欄位又被修改過的書（或被刪除後又重新出現的書）略過不還原。
+ * 還原的書 updatedAt 更新為現在，讓同步時復原結果優先於先前的批次變更。完成後清除復原紀錄。
+ *
+ * @returns {Promise<Object>} { success, operation, restored, skipped }；
+ *   無紀錄時 { success: false, error: 'nothing_to_undo' }，全部略過時 { success: false, error: 'undo_conflict', skipped }
+ */
+async function undoLastBulkOperation () {
+  return operationLock.run(async () => {
+    const record = lastBulkOperation
+    if (!record) {
+      return { success: false, error: 'nothing_to_undo' }
+    }
+
+    const books = await loadBooks()
+    const now = new Date().toISOString()
+    const byId = new Map(books.map(b => [b.id, b]))
+    const restoredById = new Map()
+    let skipped = 0
+
+    record.changes.forEach(change => {
+      const current = byId.get(change.id)
+      const fields = changedFieldsOf(change)
+      if (!current || fields.some(key => JSON.stringify(current[key]) !== JSON.stringify(change.after[key]))) {
+        skipped += 1
+        return
+      }
+      const restored = { ...current, updatedAt: now }
+      fields.forEach(key => {
+        if (key in change.before) restored[key] = JSON.parse(JSON.stringify(change.before[key]))
+        else delete restored[key]
+      })
+      restoredById.set(change.id, restored)
+    })
+    const readded = record.removed.filter(book => {
+      if (!byId.has(book.id)) return true
+      skipped += 1
+      return false
+    }).map(book => ({ ...book, updatedAt: now }))
+
+    const restoredCount = restoredById.size + readded.length
+    if (restoredCount === 0) {
+      await setLastBulkOperation(null)
+      return { success: false, error: 'undo_conflict', skipped }
+    }
+
+    return withAtomicRollback(
+      { books },
+      async () => {
+        await saveBooksWrapper([...books.map(b => restoredById.get(b.id) || b), ...readded])
+        await setLastBulkOperation(null)
+        return { success: true, operation: record.operation, restored: restoredCount, skipped }
+      },
+      'undoLastBulkOperation'
+    )
+  })
+}
+
+// ==========================================
+// 已儲存檢視（總覽智慧書單）
+// ==========================================
+
+/**
+ * 取得所有已儲存檢視（依建立順序）
+ * @returns {Promise<Array>}
+ */
+async function getAllSavedViews () {
+  return loadSavedViews()
+}
+
+/**
+ * 建立或更新已儲存檢視
+ *
+ * 業務規則：name 必填且不分大小寫唯一；有 id 時更新既有檢視（不存在回 view_not_found），
+ * 無 id 時新建。filter 經 SavedViewSchema 正規化。
+ *
+ * @param {Object} input - { id?, name, filter }
+ * @returns {Promise<Object>} 儲存後的檢視或 { success: false, error }
+ */
+async function saveSavedView (input) {
+  return operationLock.run(async () => {
+    const { SAVED_VIEW_ERROR_CODES, SAVED_VIEW_NAME_MAX_LENGTH } = SavedViewSchema
+    const name = input && typeof input.name === 'string' ? input.name.trim() : ''
+    if (!name || name.length > SAVED_VIEW_NAME_MAX_LENGTH) {
+      return { success: false, error: SAVED_VIEW_ERROR_CODES.INVALID_NAME }
+    }
+
+    const views = await loadSavedViews()
+    const existing = input.id ? views.find(v => v.id === input.id) : null
+    if (input.id && !existing) {
+      return { success: false, error: SAVED_VIEW_ERROR_CODES.NOT_FOUND }
+    }
+    if (views.some(v => v.id !== input.id && v.name.toLowerCase() === name.toLowerCase())) {
+      return { success: false, error: SAVED_VIEW_ERROR_CODES.DUPLICATE_NAME }
+    }
+
+    const now = new Date().toISOString()
+    const view = {
+      id: existing ? existing.id : `view_${Date.now()}-${Math.random().toString(36).slice(2, 8)}`,
+      name,
+      filter: SavedViewSchema.normalizeSavedViewFilter(input.filter),
+      createdAt: existing ? existing.createdAt : now,
+      updatedAt: now
+    }
+
+    const next = existing ? views.map(v => (v.id === view.id ? view : v)) : [...views, view]
+    await saveToStorage({ [STORAGE_KEYS.SAVED_VIEWS]: next })
+    return view
+  })
+}
+
+/**
+ * 刪除已儲存檢視
+ * @param {string} viewId
+ * @returns {Promise<{ success: boolean, error?: string }>}
+ */
+async function deleteSavedView (viewId) {
+  return operationLock.run(async () => {
+    const views = await loadSavedViews()
+    if (!views.some(v => v.id === viewId)) {
+      return { success: false, error: SavedViewSchema.SAVED_VIEW_ERROR_CODES.NOT_FOUND }
+    }
+    await saveToStorage({ [STORAGE_KEYS.SAVED_VIEWS]: views.filter(v => v.id !== viewId) })
+    return { success: true }
+  })
+}
+
+// ==========================================
+// 自動標籤規則
+// ==========================================
+
+/**
+ * 取得所有自動標籤規則（依建立順序）
+ * @returns {Promise<Array>}
+ */
+async function getAllTaggingRules () {
+  return loadTaggingRules()
+}
+
+/**
+ * 建立或更新自動標籤規則
+ *
+ * 業務規則：內容經 TaggingRuleSchema.validateTaggingRuleInput 驗證；name 不分大小寫唯一；
+ * 目標 tag 皆須存在。有 id 時更新既有規則（不存在回 rule_not_found），無 id 時新建。
+ *
+ * @param {Object} input - { id?, name, enabled?, match?, conditions, tagIds }
+ * @returns {Promise<Object>} 儲存後的規則或 { success: false, error }
+ */
+async function saveTaggingRule (input) {
+  return operationLock.run(async () => {
+    const { TAGGING_RULE_ERROR_CODES } = TaggingRuleSchema
+    const validation = TaggingRuleSchema.validateTaggingRuleInput(input)
+    if (!validation.valid) {
+      return { success: false, error: validation.error }
+    }
+
+    const rules = await loadTaggingRules()
+    const existing = input.id ? rules.find(r => r.id === input.id) : null
+    if (input.id && !existing) {
+      return { success: false, error: TAGGING_RULE_ERROR_CODES.NOT_FOUND }
+    }
+    const { name } = validation.rule
+    if (rules.some(r => r.id !== input.id && r.name.toLowerCase() === name.toLowerCase())) {
+      return { success: false, error: TAGGING_RULE_ERROR_CODES.DUPLICATE_NAME }
+    }
+    if (!(await resolveExistingTagIds(validation.rule.tagIds))) {
+      return { success: false, error: TAGGING_RULE_ERROR_CODES.TAG_NOT_FOUND }
+    }
+
+    const now = new Date().toISOString()
+    const rule = {
+      id: existing ? existing.id : `rule_${Date.now()}-${Math.random().toString(36).slice(2, 8)}`,
+      ...validation.rule,
+      createdAt: existing ? existing.createdAt : now,
+      updatedAt: now
+    }
+
+    const next = existing ? rules.map(r => (r.id === rule.id ? rule : r)) : [...rules, rule]
+    await saveToStorage({ [STORAGE_KEYS.TAGGING_RULES]: next })
+    return rule
+  })
+}
+
+/**
+ * 刪除自動標籤規則（已由規則加上的 tag 保留在書上）
+ * @param {string} ruleId
+ * @returns {Promise<{ success: boolean, error?: string }>}
+ */
+async function deleteTaggingRule (ruleId) {
+  return operationLock.run(async () => {
+    const rules = await loadTaggingRules()
+    if (!rules.some(r => r.id === ruleId)) {
+      return { success: false, error: TaggingRuleSchema.TAGGING_RULE_ERROR_CODES.NOT_FOUND }
+    }
+    await saveToStorage({ [STORAGE_KEYS.TAGGING_RULES]: rules.filter(r => r.id !== ruleId) })
+    return { success: true }
+  })
+}
+
+/**
+ * 依 ruleIds 挑選規則並對目前書庫試算；未指定 ruleIds 時取所有啟用中的規則
+ *
+ * 指定 ruleIds 時停用中的規則也會納入（手動重新套用單條規則）。
+ */
+async function planStoredTaggingRules (ruleIds) {
+  const rules = await loadTaggingRules()
+  const selected = Array.isArray(ruleIds)
+    ? rules.filter(rule => ruleIds.includes(rule.id))
+    : rules.filter(rule => rule.enabled)
+  const existingTagIds = new Set((await loadTags()).map(t => t.id))
+  const plan = TaggingRuleSchema.planTaggingRules(await loadBooks(), selected, { existingTagIds })
+  const names = new Map(selected.map(rule => [rule.id, rule.name]))
+  return {
+    rules: plan.rules.map(entry => ({ ...entry, name: names.get(entry.ruleId) })),
+    additions: plan.additions
+  }
+}
+
+/**
+ * 預覽規則套用結果（不寫入）
+ *
+ * @param {string[]} [ruleIds] - 未指定時預覽所有啟用中的規則
+ * @returns {Promise<Object>} { success: true, rules: [{ ruleId, name, bookIds }], affected }
+ *   rules[].bookIds 為該規則會新增 tag 的書；affected 為合計會變動的書數
+ */
+async function previewTaggingRules (ruleIds) {
+  const { rules, additions } = await planStoredTaggingRules(ruleIds)
+  return { success: true, rules, affected: additions.size }
+}
+
+/**
+ * 立即對整個書庫套用規則（經 runBulkBookEdit，可由 undoLastBulkOperation 復原）
+ *
+ * @param {string[]} [ruleIds] - 未指定時套用所有啟用中的規則
+ * @returns {Promise<Object>} { success, affected, missing, rules } 或回滾結果
+ */
+async function runTaggingRules (ruleIds) {
+  return operationLock.run(async () => {
+    const { rules, additions } = await planStoredTaggingRules(ruleIds)
+    const result = await runBulkBookEdit('runTaggingRules', [...additions.keys()], (book) =>
+      TaggingRuleSchema.applyTagAdditions(book, additions))
+    return result.success ? { ...result, rules } : result
+  })
+}
+
+/**
+ * 建立套用啟用中規則的 mutate；無啟用規則時回傳 null
+ *
+ * @returns {Promise<Function|null>} (book) => boolean，就地加入 tag 並回傳是否有變動
+ */
+async function createAutoTagger () {
+  const rules = (await loadTaggingRules()).filter(rule => rule.enabled)
+  if (rules.length === 0) return null
+  const existingTagIds = new Set((await loadTags()).map(t => t.id))
+  return (book) => TaggingRuleSchema.applyTagAdditions(
+    book,
+    TaggingRuleSchema.planTaggingRules([book], rules, { existingTagIds }).additions
+  )
+}
+
+/**
+ * 對指定書籍套用啟用中的規則（JSON 匯入帶入新書後呼叫）
+ *
+ * 不建立復原紀錄；有新增 tag 的書更新 updatedAt，使下次同步以本機版本為準。
+ *
+ * @param {string[]} bookIds
+ * @returns {Promise<Object>} { success: true, affected }
+ */
+async function autoTagBooks (bookIds) {
+  const autoTag = await createAutoTagger()
+  if (!autoTag) return { success: true, affected: 0 }
+  const now = new Date().toISOString()
+  return updateStoredBooks(bookIds, (book) => {
+    if (!autoTag(book)) return false
+    book.updatedAt = now
+    return true
+  })
+}
+
+// ==========================================
+// 分類建議（中文圖書分類法）
+// ==========================================
+
+/**
+ * 為尚未歸類的書計算分類建議（已拒絕的書不列出）
+ *
+ * @returns {Promise<Array>} ClassificationSuggester.suggestClassifications 的結果
+ */
+async function getClassificationSuggestions () {
+  return ClassificationSuggester.suggestClassifications(await loadBooks(), {
+    categories: await loadCategories(),
+    tags: await loadTags(),
+    learning: await loadClassificationLearning(),
+    dismissed: await loadClassificationDismissals()
+  })
+}
+
+/**
+ * 接受分類建議：為每本書加上所選類別的分類 tag，並記入本機學習資料
+ *
+ * 業務規則：分類 tag 為該 category 下與 category 同名的 tag，不存在時建立；
+ * 書籍變更經 runBulkBookEdit（可由 undoLastBulkOperation 復原），新建的 tag 與
+ * 學習資料在書籍寫入失敗時一併回滾。categoryId 須屬於分類法樹。
+ *
+ * @param {Array<{ bookId: string, categoryId: string }>} entries - 同一本書重複時以最後一筆為準
+ * @returns {Promise<Object>} { success, affected, missing, createdTags } 或 { success: false, error }
+ */
+async function acceptClassificationSuggestions (entries) {
+  return operationLock.run(async () => {
+    const choices = new Map()
+    ;(Array.isArray(entries) ? entries : []).forEach(entry => {
+      if (entry && typeof entry.bookId === 'string' && entry.bookId && typeof entry.categoryId === 'string') {
+        choices.set(entry.bookId, entry.categoryId)
+      }
+    })
+    if (choices.size === 0) {
+      return { success: true, affected: 0, missing: 0, createdTags: 0 }
+    }
+
+    const categories = await loadCategories()
+    const classificationIds = ClassificationSuggester.collectClassificationCategoryIds(categories)
+    if ([...choices.values()].some(id => !classificationIds.has(id))) {
+      return { success: false, error: 'category_not_found' }
+    }
+    const quota = await checkQuotaLevel()
+    if (quota.level === 'blocked') {
+      return { success: false, error: 'quota_exceeded' }
+    }
+
+    const tags = await loadTags()
+    const learning = await loadClassificationLearning()
+
+    return withAtomicRollback(
+      { tags, classificationLearning: learning },
+      async () => {
+        const now = new Date().toISOString()
+        const classTagIds = new Map()
+        let createdTags = 0
+        new Set(choices.values()).forEach(categoryId => {
+          const { name } = categories.find(c => c.id === categoryId)
+          let tag = tags.find(t => t.categoryId === categoryId && t.name.toLowerCase() === name.toLowerCase())
+          if (!tag) {
+            tag = {
+              id: `tag_${Date.now()}-${Math.random().toString(36).slice(2, 8)}`,
+              name,
+              categoryId,
+              isSystem: false,
+              sortOrder: tags.filter(t => t.categoryId === categoryId).length,
+              createdAt: now,
+              updatedAt: now
+            }
+            tags.push(tag)
+            createdTags += 1
+          }
+          classTagIds.set(categoryId, tag.id)
+        })
+        if (createdTags > 0) {
+          await saveToStorage({ [STORAGE_KEYS.TAGS]: tags })
+        }
+
+        const classificationTagIds = new Set(tags.filter(t => classificationIds.has(t.categoryId)).map(t => t.id))
+        const result = await runBulkBookEdit('acceptClassificationSuggestions', [...choices.keys()], (book) => {
+          const categoryId = choices.get(book.id)
+          ClassificationSuggester.recordClassificationChoice(learning, book, categoryId, classificationTagIds)
+          const tagId = classTagIds.get(categoryId)
+          const current = Array.isArray(book.tagIds) ? book.tagIds : []
+          if (current.includes(tagId)) return false
+          book.tagIds = [...current, tagId]
+          return true
+        })
+        if (!result.success) {
+          throw new Error(result.cause || result.error)
+        }
+
+        await saveToStorage({ [STORAGE_KEYS.CLASSIFICATION_LEARNING]: learning })
+        return { ...result, createdTags }
+      },
+      'acceptClassificationSuggestions'
+    )
+  })
+}
+
+/**
+ * 拒絕分類建議：之後不再為這些書提出建議（書籍本身不變）
+ *
+ * @param {string[]} bookIds
+ * @returns {Promise<{ success: boolean, dismissed: number }>} dismissed 為本次新增的書數
+ */
+async function dismissClassificationSuggestions (bookIds) {
+  return operationLock.run(async () => {
+    const dismissed = await loadClassificationDismissals()
+    const known = new Set(dismissed)
+    const added = normalizeBookIds(bookIds).filter(id => !known.has(id))
+    if (added.length > 0) {
+      await saveToStorage({ [STORAGE_KEYS.CLASSIFICATION_DISMISSALS]: [...dismissed, ...added] })
+    }
+    return { success: true, dismissed: added.length }
+  })
+}
+
+// ==========================================
+// 作品連結（跨書城重複書籍）
+// ==========================================
+
+/**
+ * 取得所有作品連結
+ * @returns {Promise<Array>}
+ */
+async function getBookWorks () {
+  return loadBookWorks()
+}
+
+/**
+ * 將書籍連結為同一作品的多個版本
+ *
+ * 業務規則：至少兩本不同的書且皆存在於書庫；任一書籍已屬某作品時併入該作品
+ * （涉及多個作品時一併合併），否則建立新作品。primaryBookId 決定合併顯示時沿用的欄位。
+ *
+ * @param {string[]} bookIds
+ * @param {Object} [options] - { primaryBookId }
+ * @returns {Promise<Object>} 連結後的作品或 { success: false, error }
+ */
+async function linkBooksAsWork (bookIds, options = {}) {
+  return operationLock.run(async () => {
+    const ids = normalizeBookIds(bookIds)
+    if (ids.length < 2) {
+      return { success: false, error: BookWorkSchema.BOOK_WORK_ERROR_CODES.TOO_FEW_BOOKS }
+    }
+    const existingIds = new Set((await loadBooks()).map(b => b.id))
+    if (!ids.every(id => existingIds.has(id))) {
+      return { success: false, error: BookWorkSchema.BOOK_WORK_ERROR_CODES.BOOK_NOT_FOUND }
+    }
+
+    const { works, work } = BookWorkSchema.linkBookWork(await loadBookWorks(), ids, {
+      id: `work_${Date.now()}-${Math.random().toString(36).slice(2, 8)}`,
+      now: new Date().toISOString(),
+      primaryBookId: options.primaryBookId
+    })
+    await saveToStorage({ [STORAGE_KEYS.BOOK_WORKS]: works })
+    return work
+  })
+}
+
+/**
+ * 取消作品連結（書籍本身不變）
+ * @param {string} workId
+ * @returns {Promise<{ success: boolean, error?: string }>}
+ */
+async function unlinkBookWork (workId) {
+  return operationLock.run(async () => {
+    const works = await loadBookWorks()
+    if (!works.some(w => w.id === workId)) {
+      return { success: false, error: BookWorkSchema.BOOK_WORK_ERROR_CODES.NOT_FOUND }
+    }
+    await saveToStorage({ [STORAGE_KEYS.BOOK_WORKS]: works.filter(w => w.id !== workId) })
+    return { success: true }
+  })
+}
+
+/**
+ * 取得已略過的重複候選（BookWorkSchema.pairKey 清單）
+ * @returns {Promise<string[]>}
+ */
+async function getDuplicateDismissals () {
+  return loadDuplicateDismissals()
+}
+
+/**
+ * 略過重複候選：使用者判定兩本書不是同一作品，之後不再列出
+ *
+ * @param {string} bookIdA
+ * @param {string} bookIdB
+ * @returns {Promise<{ success: boolean }>}
+ */
+async function dismissDuplicateCandidate (bookIdA, bookIdB) {
+  return operationLock.run(async () => {
+    const dismissed = await loadDuplicateDismissals()
+    const key = BookWorkSchema.pairKey(bookIdA, bookIdB)
+    if (!dismissed.includes(key)) {
+      await saveToStorage({ [STORAGE_KEYS.DUPLICATE_DISMISSALS]: [...dismissed, key] })
+    }
+    return { success: true }
+  })
+}
+
+// ==========================================
+// 閱讀進度歷程
+// ==========================================
+
+/**
+ * 取得所有書籍的進度歷程（bookId → [timestamp 秒, progress, 狀態碼] tuple 陣列）
+ *
+ * 由提取（storeBookLibrary）與匯入（replaceAllData / mergeAllData）寫入書籍時記錄，
+ * 格式與保留上限見 ProgressHistorySchema。
+ *
+ * @returns {Promise<Object<string, Array>>}
+ */
+async function getProgressHistory () {
+  return loadProgressHistory()
+}
+
+// ==========================================
+// 配額管理
+// ==========================================
+
+/**
+ * 取得配額狀態
+ * @returns {Promise<Object>}
+ */
+async function getQuotaStatus () {
+  const bytesUsed = await getBytesInUse()
+  const usageRatio = bytesUsed / MAX_STORAGE_SIZE
+  return {
+    bytesUsed,
+    maxSize: MAX_STORAGE_SIZE,
+    usageRatio,
+    level: (await checkQuotaLevel()).level
+  }
+}
+
+// ==========================================
+// 引用完整性檢查
+// ==========================================
+
+/**
+ * 執行引用完整性檢查並自動修復
+ * - 移除書籍 tagIds 中不存在的 tagId
+ * - tag 的 categoryId 引用不存在時，移至預設 category 或刪除
+ *
+ * @returns {Promise<Object>} 修復結果
+ */
+async function checkReferentialIntegrity () {
+  return operationLock.run(async () => {
+    const tags = await loadTags()
+    const categories = await loadCategories()
+    const books = await loadBooks()
+
+    const validTagIds = new Set(tags.map(t => t.id))
+    const validCategoryIds = new Set(categories.map(c => c.id))
 
     let booksFixed = 0
     let tagsFixed = 0
@@ -1354,6 +2619,7 @@ async function initializeSchema () {
  *
  * 語意 = 清空後載入（SPEC-EXPORT-V2 §8.1）。三個 storage key 一併取代，
  * 空集合也覆蓋為 []（不保留舊值）。
+ * 進度歷程（progress_history）不取代，依寫入前後書籍比對追加變動，並隨同一快照回滾。
  *
  * 設計：複用既有基礎設施，不新增機制——
  * - operationLock.run：與其他 storage 操作序列化互斥
@@ -1365,12 +2631,14 @@ async function initializeSchema () {
  * @param {Array<Object>} data.books          - v2 書籍陣列
  * @param {Array<Object>} data.tags           - v2 tag 陣列
  * @param {Array<Object>} data.tagCategories  - v2 tag category 陣列
+ * @param {Array<Object>} [data.savedViews]   - 已儲存檢視；未提供時保留本地檢視
+ * @param {Array<Object>} [data.works]        - 作品連結；未提供時保留本地連結
  * @returns {Promise<{ success: boolean, error?: string,
- *                      counts?: { books: number, tags: number, tagCategories: number } }>}
+ *                      counts?: { books: number, tags: number, tagCategories: number, savedViews?: number, works?: number } }>}
  *   success=true：三 key 寫入完成，counts 回報寫入筆數
  *   success=false：error 為 'quota_exceeded' | 'storage_error'
  */
-async function replaceAllData ({ books, tags, tagCategories }) {
+async function replaceAllData ({ books, tags, tagCategories, savedViews, works }) {
   return operationLock.run(async () => {
     // 步驟 A：配額前置攔截——blocked 時不寫入任何 key
     const quota = await checkQuotaLevel()
@@ -1385,14 +2653,36 @@ async function replaceAllData ({ books, tags, tagCategories }) {
     const previousBooks = await loadBooks()
     const previousTags = await loadTags()
     const previousCategories = await loadCategories()
-
-    // 步驟 C：原子寫入（包入回滾機制），依序寫三 key
+    const snapshot = { books: previousBooks, tags: previousTags, categories: previousCategories }
+    const nextViews = Array.isArray(savedViews)
+      ? savedViews.map(SavedViewSchema.normalizeSavedView).filter(Boolean)
+      : null
+    if (nextViews) {
+      snapshot.savedViews = await loadSavedViews()
+    }
+    const nextWorks = Array.isArray(works)
+      ? works.map(BookWorkSchema.normalizeBookWork).filter(Boolean)
+      : null
+    if (nextWorks) {
+      snapshot.works = await loadBookWorks()
+    }
+    const history = await computeProgressHistory(previousBooks, books)
+    snapshot.progressHistory = history.previous
+
+    // 步驟 C：原子寫入（包入回滾機制），依序寫三 key 與進度歷程（有匯入檢視時連同 saved_views）
     const result = await withAtomicRollback(
-      { books: previousBooks, tags: previousTags, categories: previousCategories },
+      snapshot,
       async () => {
         await saveBooksWrapper(books)
         await saveToStorage({ [STORAGE_KEYS.TAGS]: tags })
         await saveToStorage({ [STORAGE_KEYS.TAG_CATEGORIES]: tagCategories })
+        await saveToStorage({ [STORAGE_KEYS.PROGRESS_HISTORY]: history.next })
+        if (nextViews) {
+          await saveToStorage({ [STORAGE_KEYS.SAVED_VIEWS]: nextViews })
+        }
+        if (nextWorks) {
+          await saveToStorage({ [STORAGE_KEYS.BOOK_WORKS]: nextWorks })
+        }
         return { success: true }
       },
       'replaceAllData'
@@ -1400,14 +2690,14 @@ async function replaceAllData ({ books, tags, tagCategories }) {
 
     // 步驟 D：判定終點
     if (result.success === true) {
-      return {
-        success: true,
-        counts: {
-          books: books.length,
-          tags: tags.length,
-          tagCategories: tagCategories.length
-        }
+      const counts = {
+        books: books.length,
+        tags: tags.length,
+        tagCategories: tagCategories.length
       }
+      if (nextViews) counts.savedViews = nextViews.length
+      if (nextWorks) counts.works = nextWorks.length
+      return { success: true, counts }
     }
 
     // withAtomicRollback 已完成回滾並回傳 { success:false, error:'rollback' }；
@@ -1573,6 +2863,14 @@ function computeScopedCategoryMerge (input) {
   return { categories: resultCategories, tags: localTags.concat(incomingTags) }
 }
 
+/**
+ * 匯入預覽中使用者對同 id 書衝突的裁決（覆寫 LWW）。
+ */
+const BOOK_RESOLUTIONS = Object.freeze({
+  INCOMING: 'incoming',
+  LOCAL: 'local'
+})
+
 function makeTagKey (categoryId, name) {
   return JSON.stringify([categoryId, name.toLowerCase()])
 }
@@ -1591,14 +2889,18 @@ function makeTagKey (categoryId, name) {
  * 合併語意：同 id 更新（其餘欄位以匯入覆蓋、tagIds 取聯集）、新 id 新增、永不刪除本地。
  * 合併不修復本地破損：本地既有孤兒 tagId 在聯集後原樣保留（修復屬 checkReferentialIntegrity 職責）。
  *
+ * 同 id 書的純量欄位預設走 LWW；options.bookResolutions 可逐本指定取哪一方（匯入預覽中
+ * 使用者覆寫衝突裁決），tagIds 聯集不受影響。
+ *
  * @param {Object} local - 本地現況 { books, tags, tagCategories }
  * @param {Object} incoming - 匯入資料 { books, tags, tagCategories }
  * @param {Object} idGenerators - { nextCategoryId, nextTagId } 兩個無參數函式
+ * @param {Object} [options] - { bookResolutions: { [bookId]: 'incoming' | 'local' } }
  * @returns {{ books: Array, tags: Array, tagCategories: Array,
  *             remap: { categoryIdMap: Map, tagIdMap: Map,
  *                      categoryRemapToExisting: number, tagRemapToExisting: number } }}
  */
-function computeMergeResult (local, incoming, idGenerators) {
+function computeMergeResult (local, incoming, idGenerators, options = {}) {
   // 物件形式 overload（樹狀 model A3-2 scoped merge）：
   // computeMergeResult({ localCategories, incomingCategories, localTags, incomingTags })
   // 與既有三參數形式（local, incoming, idGenerators）並存，由首參數欄位辨識。
@@ -1704,6 +3006,7 @@ function computeMergeResult (local, incoming, idGenerators) {
   }
 
   // === 階段 3：book tagIds 重映射 + 同 id 聯集 ===
+  const bookResolutions = (options && options.bookResolutions) || {}
   // localBookById 初始即含全部本地書，保證本地未匹配書原樣保留
   const localBookById = new Map()
   for (const book of localBooks) {
@@ -1735,7 +3038,13 @@ function computeMergeResult (local, incoming, idGenerators) {
         unionTagIds = unionTagIds.slice(0, TagSchema.MAX_TAGS_PER_BOOK)
       }
       // remappedTagIds 已重映射，傳入 LWW 的 incoming 視圖須帶重映射後 tagIds
-      const lwwWinner = resolveBookConflictByLWW(localBook, { ...impBook, tagIds: remappedTagIds })
+      const incomingView = { ...impBook, tagIds: remappedTagIds }
+      const resolution = bookResolutions[impBook.id]
+      const lwwWinner = resolution === BOOK_RESOLUTIONS.INCOMING
+        ? incomingView
+        : resolution === BOOK_RESOLUTIONS.LOCAL
+          ? { ...localBook }
+          : resolveBookConflictByLWW(localBook, incomingView)
       // tagIds 不受 LWW 勝負影響，一律覆寫為聯集結果
       localBookById.set(impBook.id, { ...lwwWinner, tagIds: unionTagIds })
     } else {
@@ -1769,6 +3078,7 @@ function computeMergeResult (local, incoming, idGenerators) {
  *
  * 語意 = 同 id 更新、新 id 新增，永不清空本地（SPEC-EXPORT-V2 §8.2）。與覆蓋模式
  * replaceAllData 對稱：合併計算（computeMergeResult 純函式）+ storage I/O 編排。
+ * 合併後書籍的 progress / readingStatus 變動同樣追加至進度歷程。
  *
  * 設計：複用既有基礎設施，不新增機制——
  * - operationLock.run：與其他 storage 操作序列化互斥
@@ -1780,68 +3090,448 @@ function computeMergeResult (local, incoming, idGenerators) {
  * @param {Array<Object>} data.books          - 匯入的 v2 書籍陣列
  * @param {Array<Object>} data.tags           - 匯入的 v2 tag 陣列
  * @param {Array<Object>} data.tagCategories  - 匯入的 v2 tag category 陣列
+ * @param {Array<Object>} [data.savedViews]   - 匯入的已儲存檢視（SavedViewSchema.mergeSavedViews，tagIds 依 tag 重映射）
+ * @param {Array<Object>} [data.works]        - 匯入的作品連結（BookWorkSchema.mergeBookWorks，共用書籍的作品合併）
+ * @param {Object} [options] - { bookResolutions }：匯入預覽中使用者的衝突裁決（見 computeMergeResult）
  * @returns {Promise<{ success: boolean, error?: string,
  *                      counts?: { books: number, tags: number, tagCategories: number },
  *                      remap?: { categories: number, tags: number } }>}
  *   success=true：合併結果原子寫回三 key，counts 為合併後筆數，remap 為重映射統計
  *   success=false：error 為 'quota_exceeded' | 'storage_error'
  */
-async function mergeAllData ({ books, tags, tagCategories }) {
+async function mergeAllData (data, options = {}) {
+  return operationLock.run(() => runMergeAllData(data, options))
+}
+
+/**
+ * mergeAllData 本體（呼叫端須已持有 operationLock；applySyncDelta 於同一鎖內接續套用 tombstone）
+ */
+async function runMergeAllData ({ books, tags, tagCategories, savedViews, works }, options = {}) {
+  // 步驟 A：配額前置攔截——blocked 時不讀、不算、不寫
+  const quota = await checkQuotaLevel()
+  if (quota.level === 'blocked') {
+    logger.error('MERGE_BLOCKED_QUOTA')
+    return { success: false, error: 'quota_exceeded' }
+  }
+
+  // 步驟 B：讀本地三 key 現況作為合併輸入
+  const previousBooks = await loadBooks()
+  const previousTags = await loadTags()
+  const previousCategories = await loadCategories()
+
+  // 步驟 C：計算合併結果（純函式，注入正式 id 產生器）
+  const idGenerators = {
+    nextCategoryId: () => `cat_${Date.now()}-${Math.random().toString(36).slice(2, 8)}`,
+    nextTagId: () => `tag_${Date.now()}-${Math.random().toString(36).slice(2, 8)}`
+  }
+  const merged = computeMergeResult(
+    { books: previousBooks, tags: previousTags, tagCategories: previousCategories },
+    { books, tags, tagCategories },
+    idGenerators,
+    options
+  )
+
+  const snapshot = { books: previousBooks, tags: previousTags, categories: previousCategories }
+  let mergedViews = null
+  if (Array.isArray(savedViews)) {
+    snapshot.savedViews = await loadSavedViews()
+    mergedViews = SavedViewSchema.mergeSavedViews(snapshot.savedViews, savedViews, merged.remap.tagIdMap)
+  }
+  let mergedWorks = null
+  if (Array.isArray(works)) {
+    snapshot.works = await loadBookWorks()
+    mergedWorks = BookWorkSchema.mergeBookWorks(snapshot.works, works)
+  }
+  const history = await computeProgressHistory(previousBooks, merged.books)
+  snapshot.progressHistory = history.previous
+
+  // 步驟 D：原子寫回（快照 key 名對齊 SNAPSHOT_KEY_TO_STORAGE_KEY）
+  const result = await withAtomicRollback(
+    snapshot,
+    async () => {
+      await saveBooksWrapper(merged.books)
+      await saveToStorage({ [STORAGE_KEYS.TAGS]: merged.tags })
+      await saveToStorage({ [STORAGE_KEYS.TAG_CATEGORIES]: merged.tagCategories })
+      await saveToStorage({ [STORAGE_KEYS.PROGRESS_HISTORY]: history.next })
+      if (mergedViews) {
+        await saveToStorage({ [STORAGE_KEYS.SAVED_VIEWS]: mergedViews })
+      }
+      if (mergedWorks) {
+        await saveToStorage({ [STORAGE_KEYS.BOOK_WORKS]: mergedWorks })
+      }
+      return { success: true }
+    },
+    'mergeAllData'
+  )
+
+  // 步驟 E：判定終點
+  if (result.success === true) {
+    const counts = {
+      books: merged.books.length,
+      tags: merged.tags.length,
+      tagCategories: merged.tagCategories.length
+    }
+    if (mergedViews) counts.savedViews = mergedViews.length
+    if (mergedWorks) counts.works = mergedWorks.length
+    return {
+      success: true,
+      counts,
+      remap: {
+        categories: merged.remap.categoryRemapToExisting,
+        tags: merged.remap.tagRemapToExisting
+      }
+    }
+  }
+
+  // withAtomicRollback 已完成回滾並回傳 { success:false, error:'rollback' }；
+  // 對外統一轉為 'storage_error'，'rollback' 為實作細節不外洩。
+  logger.error('MERGE_FAILED_AFTER_ROLLBACK')
+  return { success: false, error: 'storage_error' }
+}
+
+// ==========================================
+// 合併預覽（dry-run）
+// ==========================================
+
+// 書籍差異比對略過的欄位：tagIds 另以聯集計算，updatedAt 為 LWW 判定依據而非內容
+const PREVIEW_IGNORED_BOOK_FIELDS = new Set(['tagIds', 'updatedAt'])
+
+function isSameValue (a, b) {
+  return JSON.stringify(a) === JSON.stringify(b)
+}
+
+function diffBookFields (before, after) {
+  const fields = new Set([...Object.keys(before), ...Object.keys(after)])
+  const changes = []
+  for (const field of fields) {
+    if (PREVIEW_IGNORED_BOOK_FIELDS.has(field)) continue
+    if (!isSameValue(before[field], after[field])) {
+      changes.push({ field, from: before[field], to: after[field] })
+    }
+  }
+  return changes
+}
+
+/**
+ * 合併預覽純函式：以 computeMergeResult 試算合併結果，整理為逐筆差異供使用者檢視。
+ *
+ * 書籍狀態：
+ * - added：本地無此 id
+ * - updated：合併後純量欄位或 tagIds 有變動
+ * - unchanged：合併後與本地相同
+ * 同 id 且匯入與本地純量欄位不同者帶 conflict，winner 為 LWW 裁決結果；
+ * winner 為 local 時 changes 不含被捨棄的匯入值（見 conflict.fields）。
+ *
+ * tag / category 列出每筆匯入記錄的去向：remapped（同名對應至既有本地 id）或 created（新建，
+ * 實際 id 於寫入時產生，預覽中 localId 為 null）；renamed 表示名稱經大小寫收斂或截斷後與匯入不同。
+ *
+ * @param {Object} local - 本地現況 { books, tags, tagCategories }
+ * @param {Object} incoming - 匯入資料 { books, tags, tagCategories }
+ * @returns {{ books: Array, tags: Array, tagCategories: Array, counts: Object }}
+ */
+function computeMergePreview (local, incoming) {
+  let previewSeq = 0
+  const previewIds = new Set()
+  const nextPreviewId = prefix => () => {
+    const id = `preview_${prefix}_${++previewSeq}`
+    previewIds.add(id)
+    return id
+  }
+  const merged = computeMergeResult(local, incoming, {
+    nextCategoryId: nextPreviewId('cat'),
+    nextTagId: nextPreviewId('tag')
+  })
+
+  const localBookById = new Map(((local && local.books) || []).map(book => [book.id, book]))
+  const mergedBookById = new Map(merged.books.map(book => [book.id, book]))
+  const counts = {
+    added: 0,
+    updated: 0,
+    unchanged: 0,
+    conflicts: 0,
+    categoriesCreated: 0,
+    categoriesRemapped: 0,
+    tagsCreated: 0,
+    tagsRemapped: 0
+  }
+
+  const books = []
+  const seenBookIds = new Set()
+  for (const impBook of ((incoming && incoming.books) || [])) {
+    if (impBook.id === undefined || impBook.id === null || seenBookIds.has(impBook.id)) continue
+    seenBookIds.add(impBook.id)
+    const after = mergedBookById.get(impBook.id)
+    const before = localBookById.get(impBook.id)
+
+    if (!before) {
+      counts.added++
+      books.push({ id: impBook.id, title: after.title, status: 'added', changes: [], addedTagIds: after.tagIds || [], conflict: null })
+      continue
+    }
+
+    const beforeTagIds = new Set(before.tagIds || [])
+    const addedTagIds = (after.tagIds || []).filter(tid => !beforeTagIds.has(tid))
+    const changes = diffBookFields(before, after)
+    const conflictFields = diffBookFields(before, impBook).map(change => change.field)
+    const conflict = conflictFields.length === 0
+      ? null
+      : {
+          winner: changes.length === 0 ? BOOK_RESOLUTIONS.LOCAL : BOOK_RESOLUTIONS.INCOMING,
+          fields: conflictFields,
+          localUpdatedAt: before.updatedAt || null,
+          incomingUpdatedAt: impBook.updatedAt || null
+        }
+    if (conflict) counts.conflicts++
+
+    const status = changes.length > 0 || addedTagIds.length > 0 ? 'updated' : 'unchanged'
+    counts[status]++
+    books.push({ id: impBook.id, title: after.title, status, changes, addedTagIds, conflict })
+  }
+
+  const describeRemap = (records, idMap, resultRecords, createdKey, remappedKey) => {
+    const resultById = new Map(resultRecords.map(record => [record.id, record]))
+    return records.filter(record => idMap.has(record.id)).map(record => {
+      const targetId = idMap.get(record.id)
+      const target = resultById.get(targetId)
+      const created = previewIds.has(targetId)
+      counts[created ? createdKey : remappedKey]++
+      return {
+        incomingId: record.id,
+        localId: created ? null : targetId,
+        name: target.name,
+        incomingName: record.name,
+        status: created ? 'created' : 'remapped',
+        renamed: target.name !== record.name
+      }
+    })
+  }
+
+  const tagCategories = describeRemap((incoming && incoming.tagCategories) || [], merged.remap.categoryIdMap,
+    merged.tagCategories, 'categoriesCreated', 'categoriesRemapped')
+  const tags = describeRemap((incoming && incoming.tags) || [], merged.remap.tagIdMap,
+    merged.tags, 'tagsCreated', 'tagsRemapped')
+
+  return { books, tags, tagCategories, counts }
+}
+
+/**
+ * 合併預覽（dry-run）：讀取本地現況試算 mergeAllData 的結果，不寫入 storage。
+ *
+ * @param {Object} data - 與 mergeAllData 相同的 { books, tags, tagCategories }
+ * @returns {Promise<{ success: boolean, preview?: Object, error?: string }>}
+ *   preview 結構見 computeMergePreview
+ */
+async function previewMerge ({ books, tags, tagCategories }) {
+  try {
+    const local = { books: await loadBooks(), tags: await loadTags(), tagCategories: await loadCategories() }
+    return { success: true, preview: computeMergePreview(local, { books, tags, tagCategories }) }
+  } catch (error) {
+    logger.error('MERGE_PREVIEW_FAILED', { error: error.message })
+    return { success: false, error: 'storage_error' }
+  }
+}
+
+// ==========================================
+// 增量同步 tombstone 套用（format_version 3.0）
+// ==========================================
+
+/**
+ * tombstone 是否勝過本地記錄：本地在刪除後仍有編輯（updatedAt 較新）則保留本地。
+ *
+ * 時間判定與 resolveBookConflictByLWW 對稱——平手或本地無時間時刪除（最後寫入優先）。
+ *
+ * @param {Object} localRecord - 本地同 id 記錄
+ * @param {Object} tombstone - { id, deletedAt }
+ * @returns {boolean}
+ */
+function isTombstoneNewer (localRecord, tombstone) {
+  const localTime = localRecord.updatedAt ? Date.parse(localRecord.updatedAt) : NaN
+  const deletedTime = tombstone.deletedAt ? Date.parse(tombstone.deletedAt) : NaN
+  if (Number.isNaN(localTime) || Number.isNaN(deletedTime)) return true
+  return deletedTime >= localTime
+}
+
+/**
+ * tombstone 套用計算純函式：自本地三集合移除 tombstone 指向的記錄。
+ *
+ * 規則：
+ * - 書籍：tombstone 較新（isTombstoneNewer）才移除
+ * - tag：isSystem 不刪；刪除後自所有書籍 tagIds 移除引用（同 deleteTag cascade）
+ * - category：isSystem、仍有存活子類或存活 tag 者不刪（不做隱式 cascade，
+ *   對端刪除整個子樹時會一併送出子類與 tag 的 tombstone）
+ *
+ * 不存在於本地的 tombstone 直接忽略（冪等，重播同一增量無副作用）。
+ *
+ * @param {Object} local - 本地現況 { books, tags, tagCategories }
+ * @param {Object} tombstones - { books, tags, tagCategories }，元素為 { id, deletedAt }
+ * @returns {{ books: Array, tags: Array, tagCategories: Array,
+ *             removed: { books: number, tags: number, tagCategories: number },
+ *             skipped: { books: number, tags: number, tagCategories: number } }}
+ */
+function computeTombstoneResult (local, tombstones) {
+  const removed = { books: 0, tags: 0, tagCategories: 0 }
+  const skipped = { books: 0, tags: 0, tagCategories: 0 }
+
+  const removeFrom = (records, entries, field, canRemove) => {
+    const byId = new Map((entries || []).map(entry => [entry.id, entry]))
+    return records.filter(record => {
+      const tombstone = byId.get(record.id)
+      if (!tombstone) return true
+      if (canRemove(record, tombstone)) {
+        removed[field]++
+        return false
+      }
+      skipped[field]++
+      return true
+    })
+  }
+
+  const books = removeFrom(local.books || [], tombstones.books, 'books', isTombstoneNewer)
+  const tags = removeFrom(local.tags || [], tombstones.tags, 'tags',
+    (tag, tombstone) => !tag.isSystem && isTombstoneNewer(tag, tombstone))
+
+  // tag 刪除 cascade：移除書籍引用（僅在確實有 tag 被刪時重建書籍物件）
+  const survivingTagIds = new Set(tags.map(t => t.id))
+  const deletedTagIds = new Set((local.tags || []).map(t => t.id).filter(id => !survivingTagIds.has(id)))
+  const resultBooks = deletedTagIds.size === 0
+    ? books
+    : books.map(book => (book.tagIds || []).some(tid => deletedTagIds.has(tid))
+      ? { ...book, tagIds: book.tagIds.filter(tid => !deletedTagIds.has(tid)) }
+      : book)
+
+  // category 依「先刪子類」順序反覆收斂：同批刪除父子時，子類移除後父類才成為可刪
+  let categories = local.tagCategories || []
+  const categoryTombstones = new Map((tombstones.tagCategories || []).map(entry => [entry.id, entry]))
+  let progressed = true
+  while (progressed) {
+    progressed = false
+    const referencedIds = new Set([
+      ...tags.map(t => t.categoryId),
+      ...categories.map(c => c.parentId).filter(Boolean)
+    ])
+    const next = categories.filter(category => {
+      const tombstone = categoryTombstones.get(category.id)
+      if (!tombstone || category.isSystem || referencedIds.has(category.id)) return true
+      return !isTombstoneNewer(category, tombstone)
+    })
+    if (next.length < categories.length) {
+      removed.tagCategories += categories.length - next.length
+      categories = next
+      progressed = true
+    }
+  }
+  const remainingCategoryIds = new Set(categories.map(c => c.id))
+  skipped.tagCategories = [...categoryTombstones.keys()].filter(id => remainingCategoryIds.has(id)).length
+
+  return { books: resultBooks, tags, tagCategories: categories, removed, skipped }
+}
+
+/**
+ * 套用增量同步 tombstone：移除對端已刪除的書籍 / tag / category。
+ *
+ * 與 mergeAllData 相同的 storage 編排：operationLock 序列化、checkQuotaLevel 前置攔截、
+ * withAtomicRollback 三 key 原子寫回。無任何記錄被移除時不寫入。
+ *
+ * @param {Object} tombstones
+ * @param {Array<{id: string, deletedAt: string}>} [tombstones.books]
+ * @param {Array<{id: string, deletedAt: string}>} [tombstones.tags]
+ * @param {Array<{id: string, deletedAt: string}>} [tombstones.tagCategories]
+ * @returns {Promise<{ success: boolean, error?: string,
+ *                      removed?: { books: number, tags: number, tagCategories: number },
+ *                      skipped?: { books: number, tags: number, tagCategories: number } }>}
+ */
+async function applyTombstones (tombstones) {
+  return operationLock.run(() => runApplyTombstones(tombstones))
+}
+
+/**
+ * applyTombstones 本體（呼叫端須已持有 operationLock）
+ */
+async function runApplyTombstones (tombstones) {
+  const quota = await checkQuotaLevel()
+  if (quota.level === 'blocked') {
+    logger.error('TOMBSTONE_BLOCKED_QUOTA')
+    return { success: false, error: 'quota_exceeded' }
+  }
+
+  const previousBooks = await loadBooks()
+  const previousTags = await loadTags()
+  const previousCategories = await loadCategories()
+
+  const result = computeTombstoneResult(
+    { books: previousBooks, tags: previousTags, tagCategories: previousCategories },
+    tombstones || {}
+  )
+  const { removed, skipped } = result
+  if (removed.books + removed.tags + removed.tagCategories === 0) {
+    return { success: true, removed, skipped }
+  }
+
+  const writeResult = await withAtomicRollback(
+    { books: previousBooks, tags: previousTags, categories: previousCategories },
+    async () => {
+      await saveBooksWrapper(result.books)
+      await saveToStorage({ [STORAGE_KEYS.TAGS]: result.tags })
+      await saveToStorage({ [STORAGE_KEYS.TAG_CATEGORIES]: result.tagCategories })
+      return { success: true }
+    },
+    'applyTombstones'
+  )
+
+  if (writeResult.success === true) {
+    return { success: true, removed, skipped }
+  }
+  logger.error('TOMBSTONE_FAILED_AFTER_ROLLBACK')
+  return { success: false, error: 'storage_error' }
+}
+
+/**
+ * 套用增量同步信封：upsert（mergeAllData）與刪除（applyTombstones）為同一筆交易。
+ *
+ * 兩步於同一個 operationLock 範圍內依序執行，外層 withAtomicRollback 以兩步之前的快照
+ * 回滾：tombstone 失敗（回傳失敗或拋錯）時連同已寫入的 upsert 一併還原，
+ * 避免書庫停在「已合併、未刪除」的中間狀態。無 upsert 時略過合併步驟。
+ *
+ * @param {Object} data - { books, tags, tagCategories }（同 mergeAllData）
+ * @param {Object} tombstones - 同 applyTombstones
+ * @param {Object} [options] - 同 mergeAllData（bookResolutions）
+ * @returns {Promise<{ success: boolean, error?: string,
+ *                      removed?: { books: number, tags: number, tagCategories: number },
+ *                      skipped?: { books: number, tags: number, tagCategories: number } }>}
+ *   success=false：error 為 'quota_exceeded' | 'storage_error'
+ */
+async function applySyncDelta (data, tombstones, options = {}) {
   return operationLock.run(async () => {
-    // 步驟 A：配額前置攔截——blocked 時不讀、不算、不寫
     const quota = await checkQuotaLevel()
     if (quota.level === 'blocked') {
-      logger.error('MERGE_BLOCKED_QUOTA')
+      logger.error('SYNC_DELTA_BLOCKED_QUOTA')
       return { success: false, error: 'quota_exceeded' }
     }
 
-    // 步驟 B：讀本地三 key 現況作為合併輸入
-    const previousBooks = await loadBooks()
-    const previousTags = await loadTags()
-    const previousCategories = await loadCategories()
-
-    // 步驟 C：計算合併結果（純函式，注入正式 id 產生器）
-    const idGenerators = {
-      nextCategoryId: () => `cat_${Date.now()}-${Math.random().toString(36).slice(2, 8)}`,
-      nextTagId: () => `tag_${Date.now()}-${Math.random().toString(36).slice(2, 8)}`
+    const hasUpserts = data.books.length + data.tags.length + data.tagCategories.length > 0
+    const snapshot = {
+      books: await loadBooks(),
+      tags: await loadTags(),
+      categories: await loadCategories(),
+      progressHistory: await loadProgressHistory()
     }
-    const merged = computeMergeResult(
-      { books: previousBooks, tags: previousTags, tagCategories: previousCategories },
-      { books, tags, tagCategories },
-      idGenerators
-    )
 
-    // 步驟 D：原子寫回（快照 key 名對齊 SNAPSHOT_KEY_TO_STORAGE_KEY）
     const result = await withAtomicRollback(
-      { books: previousBooks, tags: previousTags, categories: previousCategories },
+      snapshot,
       async () => {
-        await saveBooksWrapper(merged.books)
-        await saveToStorage({ [STORAGE_KEYS.TAGS]: merged.tags })
-        await saveToStorage({ [STORAGE_KEYS.TAG_CATEGORIES]: merged.tagCategories })
-        return { success: true }
+        if (hasUpserts) {
+          const mergeResult = await runMergeAllData(data, options)
+          if (!mergeResult.success) throw new Error(`merge: ${mergeResult.error}`)
+        }
+        const tombstoneResult = await runApplyTombstones(tombstones)
+        if (!tombstoneResult.success) throw new Error(`tombstones: ${tombstoneResult.error}`)
+        return tombstoneResult
       },
-      'mergeAllData'
+      'applySyncDelta'
     )
 
-    // 步驟 E：判定終點
-    if (result.success === true) {
-      return {
-        success: true,
-        counts: {
-          books: merged.books.length,
-          tags: merged.tags.length,
-          tagCategories: merged.tagCategories.length
-        },
-        remap: {
-          categories: merged.remap.categoryRemapToExisting,
-          tags: merged.remap.tagRemapToExisting
-        }
-      }
-    }
-
-    // withAtomicRollback 已完成回滾並回傳 { success:false, error:'rollback' }；
-    // 對外統一轉為 'storage_error'，'rollback' 為實作細節不外洩。
-    logger.error('MERGE_FAILED_AFTER_ROLLBACK')
+    if (result.success === true) return result
+    logger.error('SYNC_DELTA_FAILED_AFTER_ROLLBACK')
     return { success: false, error: 'storage_error' }
   })
 }
@@ -1874,19 +3564,61 @@ const TagStorageAdapter = {
   getTagsByCategory,
   getTagsForBook,
   updateTag,
+  renameTag,
   deleteTag,
 
-  // Tag 管理 UI 服務（搜尋 / 批量，場景組 F）
+  // Tag 管理 UI 服務（搜尋 / 批量 / 合併，場景組 F）
   searchTags,
   batchMoveTags,
   batchDeleteTags,
+  mergeTags,
 
   // Book-Tag 關聯
   addTagToBook,
   removeTagFromBook,
   setBookTags,
+  setBookReadingStatus,
+  setBookAnnotations,
   getBooksByTag,
 
+  // 書籍批次編輯與復原（總覽選取列）
+  bulkSetReadingStatus,
+  bulkAddTags,
+  bulkRemoveTags,
+  bulkMoveToCategory,
+  bulkDeleteBooks,
+  getLastBulkOperation,
+  loadLastBulkOperation,
+  undoLastBulkOperation,
+
+  // 已儲存檢視（總覽智慧書單）
+  getAllSavedViews,
+  saveSavedView,
+  deleteSavedView,
+
+  // 自動標籤規則
+  getAllTaggingRules,
+  saveTaggingRule,
+  deleteTaggingRule,
+  previewTaggingRules,
+  runTaggingRules,
+  autoTagBooks,
+
+  // 分類建議（中文圖書分類法）
+  getClassificationSuggestions,
+  acceptClassificationSuggestions,
+  dismissClassificationSuggestions,
+
+  // 作品連結（跨書城重複書籍）
+  getBookWorks,
+  linkBooksAsWork,
+  unlinkBookWork,
+  getDuplicateDismissals,
+  dismissDuplicateCandidate,
+
+  // 閱讀進度歷程
+  getProgressHistory,
+
   // 配額管理
   getQuotaStatus,
   checkQuotaLevel,
@@ -1905,11 +3637,29 @@ const TagStorageAdapter = {
   mergeAllData,
   computeMergeResult,
 
+  // 合併預覽（dry-run）與選擇性套用的衝突裁決值
+  previewMerge,
+  computeMergePreview,
+  BOOK_RESOLUTIONS,
+
+  // 增量同步 tombstone 套用與計算純函式（format_version 3.0）
+  applyTombstones,
+  computeTombstoneResult,
+  applySyncDelta,
+
   // 常數（供外部使用）
   STORAGE_KEYS,
   MAX_STORAGE_SIZE,
   QUOTA_THRESHOLDS,
-  TAG_CATEGORY_OPERATION_ERROR_CODES
+  TAG_CATEGORY_OPERATION_ERROR_CODES,
+
+  // 書籍後端（IndexedDB / chrome.storage）
+  getBookStore,
+  useBookStore,
+  loadStoredBooks,
+  storeBookLibrary,
+  updateStoredBooks,
+  clearStoredBooks
 }
 
 module.exports = TagStorageAdapter
@@ -0,0 +1,204 @@
+/**
+ * 噴泉碼編解碼模組 — QR frame 版本 0x02 的抹除容錯核心（純計算，無 DOM / 狀態 I/O）
+ *
+ * 職責：將壓縮資料切為 K 個等長 source block，產生任意數量的編碼符號（symbol）；
+ * 接收端收到任意「足夠」的符號子集即可還原，漏掃單幀不必等待下一輪。
+ *
+ * 編碼規則（SPEC-009 §Fountain，App 端須逐位元一致，故全程僅用整數運算）：
+ * - 系統碼：symbol_id < K 的符號即第 symbol_id 個 source block
+ * - 修復符號：symbol_id >= K 時以 symbol_id 為種子的 PRNG 依序對 block 0..K-1 各抽一次，
+ *   最高位元為 1 者納入（隨機線性噴泉碼）；全未納入時改取 next() % K 單一 block。
+ *   payload 為納入 block 的 XOR
+ * - PRNG：狀態自 seed 起每次加 0x9E3779B9（Weyl 序列），輸出為其 murmur3 fmix32 雜湊。
+ *   不用 xorshift 類線性產生器：其輸出位元皆為種子的 GF(2) 線性函數，修復符號的秩會卡在 32
+ *
+ * 不採 LT 稀疏度分布：QR 輪播的 K 通常僅數百，稀疏符號在無前置碼時需大量額外符號才能
+ * 涵蓋所有 block；密度 1/2 的符號配合高斯消去，收到約 K+2 個符號即可高機率還原。
+ *
+ * 解碼採增量 GF(2) 高斯消去：每收到一個符號即對既有 pivot 化簡，秩達 K 時回代還原。
+ */
+
+/**
+ * murmur3 fmix32：非線性雜湊，使相鄰狀態的輸出互不相關。
+ *
+ * @param {number} value - uint32
+ * @returns {number} uint32
+ */
+function fmix32 (value) {
+  let h = value >>> 0
+  h ^= h >>> 16
+  h = Math.imul(h, 0x85EBCA6B)
+  h ^= h >>> 13
+  h = Math.imul(h, 0xC2B2AE35)
+  h ^= h >>> 16
+  return h >>> 0
+}
+
+/**
+ * 建立計數器式 PRNG。
+ *
+ * @param {number} seed - uint32 種子（symbol_id）
+ * @returns {function(): number} 每次呼叫回傳下一個 uint32
+ */
+export function createSymbolRandom (seed) {
+  let state = seed >>> 0
+  return () => {
+    state = (state + 0x9E3779B9) >>> 0
+    return fmix32(state)
+  }
+}
+
+/**
+ * 依 symbol_id 決定該符號涵蓋的 source block 索引。
+ *
+ * @param {number} symbolId - 編碼符號 id
+ * @param {number} sourceBlocks - K
+ * @returns {number[]} 遞增且不重複的 block 索引
+ */
+export function symbolBlockIndices (symbolId, sourceBlocks) {
+  if (symbolId < sourceBlocks) return [symbolId]
+
+  const next = createSymbolRandom(symbolId)
+  const indices = []
+  for (let index = 0; index < sourceBlocks; index++) {
+    if (next() >>> 31) indices.push(index)
+  }
+  return indices.length > 0 ? indices : [next() % sourceBlocks]
+}
+
+/**
+ * 將資料切為 K 個等長 source block（最後一塊補 0）。
+ *
+ * @param {Uint8Array} data - 壓縮後資料
+ * @param {number} blockSize - 每塊長度（= frame payload 長度）
+ * @returns {Uint8Array[]}
+ */
+export function splitSourceBlocks (data, blockSize) {
+  const count = Math.max(1, Math.ceil(data.length / blockSize))
+  const blocks = []
+  for (let i = 0; i < count; i++) {
+    const block = new Uint8Array(blockSize)
+    block.set(data.subarray(i * blockSize, (i + 1) * blockSize))
+    blocks.push(block)
+  }
+  return blocks
+}
+
+/**
+ * 產生單一編碼符號 payload。
+ *
+ * @param {Uint8Array[]} blocks - splitSourceBlocks 結果
+ * @param {number} symbolId - 編碼符號 id
+ * @returns {Uint8Array}
+ */
+export function encodeSymbol (blocks, symbolId) {
+  const indices = symbolBlockIndices(symbolId, blocks.length)
+  const payload = blocks[indices[0]].slice()
+  for (const index of indices.slice(1)) {
+    const block = blocks[index]
+    for (let i = 0; i < payload.length; i++) payload[i] ^= block[i]
+  }
+  return payload
+}
+
+/**
+ * 噴泉碼解碼器（增量 GF(2) 高斯消去）。
+ *
+ * pivots[c] 為 leading bit 在第 c 欄的列：係數以 Uint32Array bitset 表示，
+ * 資料以 4-byte 對齊緩衝區保存，XOR 以 32-bit word 進行。
+ */
+export class FountainDecoder {
+  /**
+   * @param {number} sourceBlocks - K
+   * @param {number} blockSize - source block 長度
+   */
+  constructor (sourceBlocks, blockSize) {
+    this.sourceBlocks = sourceBlocks
+    this.blockSize = blockSize
+    this.rank = 0
+    this.receivedCount = 0
+    this.pivots = new Array(sourceBlocks).fill(null)
+    this.seenSymbols = new Set()
+    this._coefWords = Math.ceil(sourceBlocks / 32)
+    this._dataWords = Math.ceil(blockSize / 4)
+    this._solved = false
+  }
+
+  /** 秩達 K 即可還原 */
+  get isComplete () {
+    return this.rank === this.sourceBlocks
+  }
+
+  /**
+   * 加入一個編碼符號。
+   *
+   * @param {number} symbolId - 編碼符號 id
+   * @param {Uint8Array} payload - 長度須為 blockSize
+   * @returns {boolean} 是否提升秩（重複或線性相依符號回 false）
+   */
+  addSymbol (symbolId, payload) {
+    if (this.isComplete || this.seenSymbols.has(symbolId) || payload.length !== this.blockSize) return false
+    this.seenSymbols.add(symbolId)
+    this.receivedCount++
+
+    const coef = new Uint32Array(this._coefWords)
+    for (const index of symbolBlockIndices(symbolId, this.sourceBlocks)) {
+      coef[index >>> 5] |= 1 << (index & 31)
+    }
+    const dataBytes = new Uint8Array(this._dataWords * 4)
+    dataBytes.set(payload)
+    const data = new Uint32Array(dataBytes.buffer)
+
+    for (let col = 0; col < this.sourceBlocks; col++) {
+      if ((coef[col >>> 5] & (1 << (col & 31))) === 0) continue
+      const pivot = this.pivots[col]
+      if (pivot === null) {
+        this.pivots[col] = { coef, data }
+        this.rank++
+        return true
+      }
+      xorWords(coef, pivot.coef)
+      xorWords(data, pivot.data)
+    }
+    return false
+  }
+
+  /**
+   * 回代還原原始資料。
+   *
+   * @param {number} totalSize - 原始資料長度（截去最後一塊補 0）
+   * @returns {Uint8Array}
+   * @throws {Error} 尚未收齊
+   */
+  getData (totalSize) {
+    if (!this.isComplete) {
+      throw new Error('同步資料尚未收齊')
+    }
+    if (!this._solved) {
+      // 由高欄往低欄消去：處理第 col 欄時，其後各欄 pivot 已化為單一 bit
+      for (let col = this.sourceBlocks - 1; col >= 0; col--) {
+        const pivot = this.pivots[col]
+        for (let other = col + 1; other < this.sourceBlocks; other++) {
+          if (pivot.coef[other >>> 5] & (1 << (other & 31))) {
+            xorWords(pivot.coef, this.pivots[other].coef)
+            xorWords(pivot.data, this.pivots[other].data)
+          }
+        }
+      }
+      this._solved = true
+    }
+
+    const result = new Uint8Array(totalSize)
+    for (let i = 0; i < this.sourceBlocks; i++) {
+      const offset = i * this.blockSize
+      if (offset >= totalSize) break
+      const block = new Uint8Array(this.pivots[i].data.buffer, 0, this.blockSize)
+      result.set(block.subarray(0, Math.min(this.blockSize, totalSize - offset)), offset)
+    }
+    return result
+  }
+}
+
+function xorWords (target, source) {
+  for (let i = 0; i < target.length; i++) target[i] ^= source[i]
+}
@@ -4,31 +4,37 @@
  * 職責：書庫 JSON → gzip 壓縮 → CRC32 校驗 → 切塊加 frame header → QR 物件。
  * Canvas 輪播渲染由 src/popup/services/sync-qr-renderer.js 負責，兩者不互相依賴。
  *
- * 本檔涵蓋群組 A（壓縮）、B（CRC32）、C（切塊 + frame header）、D（QR 編碼）。
+ * 本檔涵蓋群組 A（壓縮）、B（CRC32）、C（切塊 + frame header）、D（QR 編碼）；
+ * 群組 C 另提供噴泉碼 frame（版本 0x02，src/sync/fountain-codec.js），漏掃任意幀不必等下一輪。
+ * frame header 格式與解碼端共用 src/sync/qr-frame-format.js。
+ * 提供 passphrase 時於壓縮與切塊之間加密（src/sync/sync-crypto.js），frame 標記 ENCRYPTED 旗標。
  */
 
 import { Logger } from '../core/logging/Logger.js'
 import qrcode from 'qrcode-generator'
+import { calculateCRC32 } from '../utils/crc32.js'
+import { isDeltaSyncEnvelope } from './sync-json-builder.js'
+import { FRAME_VERSIONS, writeFrame } from './qr-frame-format.js'
+import { encodeSymbol, splitSourceBlocks } from './fountain-codec.js'
+import { encryptSyncPayload } from './sync-crypto.js'
 
 const logger = new Logger('QREncoder')
 
-// 群組 B：CRC32 查找表（模組層級常數，載入時計算一次）
-const CRC32_TABLE = buildCRC32Table()
-
 // 群組 D：QR type number 上限。type 25 ECL M 的 Byte 模式容量約 1273 bytes，
-// 涵蓋單幀最大 815 bytes（800 payload + 15 header）；超過則 make() 拋出，
+// 涵蓋單幀最大 817 bytes（800 payload + 17 bytes 噴泉碼 header）；超過則 make() 拋出，
 // 對應 Phase 1 場景 E4「frame 超過 QR 容量」。
 const QR_MAX_TYPE_NUMBER = 25
 const QR_DEFAULT_EC_LEVEL = 'M'
 
-// 群組 C：frame header 固定 15 bytes（magic 2 + version 1 + total_frames 2 +
-// frame_index 2 + total_size 4 + crc32 4）；App 端 PROP-014 §3 二進位格式。
-const FRAME_HEADER_SIZE = 15
-const FRAME_MAGIC_0 = 0x51
-const FRAME_MAGIC_1 = 0x52
-const FRAME_VERSION = 0x01
+// 群組 C：header 欄位定義見 qr-frame-format.js；App 端 PROP-014 §3 二進位格式。
 const DEFAULT_CHUNK_SIZE = 800
 
+// 噴泉碼修復符號比例：K 個系統符號之外再產生 ceil(K * ratio) 個修復符號，
+// 每輪播放漏掃比例低於此值時通常一輪即可收齊。
+const DEFAULT_REPAIR_RATIO = 0.5
+
+export { FRAME_VERSIONS }
+
 /**
  * 群組 A：gzip 壓縮 JSON 字串。
  *
@@ -93,19 +99,9 @@ function concatChunks (chunks, totalLength) {
   return result
 }
 
-/**
- * 群組 B：計算 CRC32 校驗值（32-bit unsigned）。
- *
- * @param {Uint8Array} data - 輸入位元組
- * @returns {number} CRC32 值（0 ~ 0xFFFFFFFF）
- */
-export function calculateCRC32 (data) {
-  let crc = 0xFFFFFFFF
-  for (let i = 0; i < data.length; i++) {
-    crc = CRC32_TABLE[(crc ^ data[i]) & 0xFF] ^ (crc >>> 8)
-  }
-  return (crc ^ 0xFFFFFFFF) >>> 0
-}
+// 群組 B：CRC32 校驗值（32-bit unsigned）。實作與 ZIP 匯出共用 src/utils/crc32.js，
+// 此處 re-export 維持既有 import 路徑。
+export { calculateCRC32 }
 
 /**
  * 群組 C：將壓縮資料切塊並加上 15 bytes frame header。
@@ -113,11 +109,12 @@ export function calculateCRC32 (data) {
  * 每幀 = 15 bytes header + payload（最後一幀允許 < chunkSize）。CRC32 與
  * total_size 取自整段壓縮資料，所有幀共用，供 App 端組裝後校驗完整性。
  *
- * @param {Uint8Array} compressedData - gzip 壓縮後的位元組
+ * @param {Uint8Array} compressedData - gzip 壓縮後的位元組（或其加密容器）
  * @param {number} [chunkSize=800] - 每幀 payload 上限
+ * @param {Object} [options] - { encrypted: false }：payload 為加密容器時標記 frame 旗標
  * @returns {Uint8Array[]} 含 header 的 frame 陣列
  */
-export function createFrames (compressedData, chunkSize = DEFAULT_CHUNK_SIZE) {
+export function createFrames (compressedData, chunkSize = DEFAULT_CHUNK_SIZE, options = {}) {
   const totalSize = compressedData.length
   const crc32 = calculateCRC32(compressedData)
   const totalFrames = Math.ceil(totalSize / chunkSize)
@@ -126,24 +123,52 @@ export function createFrames (compressedData, chunkSize = DEFAULT_CHUNK_SIZE) {
   for (let i = 0; i < totalFrames; i++) {
     const offset = i * chunkSize
     const chunk = compressedData.subarray(offset, offset + chunkSize)
-
-    const frame = new Uint8Array(FRAME_HEADER_SIZE + chunk.length)
-    const view = new DataView(frame.buffer)
-    frame[0] = FRAME_MAGIC_0
-    frame[1] = FRAME_MAGIC_1
-    frame[2] = FRAME_VERSION
-    view.setUint16(3, totalFrames, false)
-    view.setUint16(5, i, false)
-    view.setUint32(7, totalSize, false)
-    view.setUint32(11, crc32, false)
-    frame.set(chunk, FRAME_HEADER_SIZE)
-
-    frames.push(frame)
+    frames.push(writeFrame({
+      version: FRAME_VERSIONS.SEQUENTIAL,
+      encrypted: Boolean(options.encrypted),
+      totalFrames,
+      frameIndex: i,
+      totalSize,
+      crc32
+    }, chunk))
   }
 
   return frames
 }
 
+/**
+ * 群組 C（噴泉碼）：將壓縮資料編為 K 個系統符號 + 修復符號，加上 17 bytes frame header。
+ *
+ * 所有 frame payload 等長（chunkSize，最後一塊補 0，解碼端依 total_size 截斷）。
+ * 接收端收到任意足夠的符號子集即可還原（見 fountain-codec.js）。
+ *
+ * @param {Uint8Array} compressedData - gzip 壓縮後的位元組（或其加密容器）
+ * @param {Object} [options] - { chunkSize: 800, repairRatio: 0.5, encrypted: false }
+ * @returns {Uint8Array[]} 含 header 的 frame 陣列（symbol_id 0 起連號）
+ */
+export function createFountainFrames (compressedData, options = {}) {
+  const chunkSize = options.chunkSize || DEFAULT_CHUNK_SIZE
+  const repairRatio = options.repairRatio !== undefined ? options.repairRatio : DEFAULT_REPAIR_RATIO
+  const totalSize = compressedData.length
+  const crc32 = calculateCRC32(compressedData)
+  const blocks = splitSourceBlocks(compressedData, chunkSize)
+  const sourceBlocks = blocks.length
+  const symbolCount = sourceBlocks + Math.ceil(sourceBlocks * repairRatio)
+
+  const frames = []
+  for (let symbolId = 0; symbolId < symbolCount; symbolId++) {
+    frames.push(writeFrame({
+      version: FRAME_VERSIONS.FOUNTAIN,
+      encrypted: Boolean(options.encrypted),
+      sourceBlocks,
+      symbolId,
+      totalSize,
+      crc32
+    }, encodeSymbol(blocks, symbolId)))
+  }
+  return frames
+}
+
 /**
  * 群組 D：將 frame 二進位編碼為 QR 物件（Byte 模式）。
  *
@@ -172,46 +197,40 @@ export function encodeFrameToQR (frameData, options = {}) {
 /**
  * 群組 E：完整管線 — JSON 字串 → gzip 壓縮 → 切塊加 header → 逐幀 QR 編碼。
  *
- * 空書庫（books 陣列為空或缺失）阻止流程並拋出 Error，對應 Phase 1 場景 E1。
- * 壓縮後 <= chunkSize 時 isStatic=true 且僅產出單幀，供渲染器靜態顯示。
+ * 空書庫（books 陣列為空或缺失）阻止流程並拋出 Error，對應 Phase 1 場景 E1；
+ * format_version 3.0 增量信封可僅含 tombstone，不套用此檢查（是否有變更由呼叫端判定）。
+ * 壓縮後 <= chunkSize 時 isStatic=true 且僅產出單幀，供渲染器靜態顯示（不產生修復符號）。
+ * frameVersion 為 FRAME_VERSIONS.FOUNTAIN 時改用噴泉碼 frame（App 端須支援版本 0x02）。
+ * 提供 passphrase 時壓縮資料先經 AES-GCM 加密再切塊，isStatic 依加密後長度判定。
  *
  * @param {string} jsonString - 同步用 JSON 字串（含 books 陣列）
- * @param {Object} [options] - { chunkSize: 800, errorCorrectionLevel: 'M' }
- * @returns {Promise<{frames: Object[], totalSize: number, isStatic: boolean}>}
- * @throws {Error} 書庫為空、壓縮失敗或 QR 編碼失敗
+ * @param {Object} [options] - { chunkSize: 800, errorCorrectionLevel: 'M',
+ *   frameVersion: FRAME_VERSIONS.SEQUENTIAL, repairRatio: 0.5, passphrase, iterations }
+ * @returns {Promise<{frames: Object[], totalSize: number, isStatic: boolean, encrypted: boolean}>}
+ * @throws {Error} 書庫為空、壓縮 / 加密失敗或 QR 編碼失敗
  */
 export async function encodeBookDataToQRFrames (jsonString, options = {}) {
   const parsed = JSON.parse(jsonString)
-  if (!Array.isArray(parsed.books) || parsed.books.length === 0) {
+  const isDelta = isDeltaSyncEnvelope(parsed)
+  if (!isDelta && (!Array.isArray(parsed.books) || parsed.books.length === 0)) {
     logger.error('書庫為空，無法產生 QR', { component: 'QREncoder' })
     throw new Error('書庫中沒有書籍，請先提取書庫資料')
   }
 
   const chunkSize = options.chunkSize || DEFAULT_CHUNK_SIZE
   const compressed = await compressData(jsonString)
-  const isStatic = compressed.length <= chunkSize
-
-  const rawFrames = createFrames(compressed, chunkSize)
+  const encrypted = Boolean(options.passphrase)
+  const payload = encrypted
+    ? await encryptSyncPayload(compressed, options.passphrase, { iterations: options.iterations })
+    : compressed
+  const isStatic = payload.length <= chunkSize
+
+  const rawFrames = options.frameVersion === FRAME_VERSIONS.FOUNTAIN
+    ? createFountainFrames(payload, { chunkSize, repairRatio: isStatic ? 0 : options.repairRatio, encrypted })
+    : createFrames(payload, chunkSize, { encrypted })
   const frames = rawFrames.map((frame) => encodeFrameToQR(frame, options))
 
-  return { frames, totalSize: compressed.length, isStatic }
-}
-
-/**
- * 建構 CRC32 查找表（256 entries，IEEE 802.3 多項式 0xEDB88320）。
- *
- * @returns {Uint32Array} 256 entry 查找表
- */
-function buildCRC32Table () {
-  const table = new Uint32Array(256)
-  for (let i = 0; i < 256; i++) {
-    let c = i
-    for (let j = 0; j < 8; j++) {
-      c = (c & 1) ? (0xEDB88320 ^ (c >>> 1)) : (c >>> 1)
-    }
-    table[i] = c >>> 0
-  }
-  return table
+  return { frames, totalSize: payload.length, isStatic, encrypted }
 }
 
 /**
@@ -0,0 +1,161 @@
+/**
+ * QR frame 解碼模組 — App 端接收流程的 JS 參考實作（純邏輯，無相機 / DOM）
+ *
+ * 職責：逐幀接收 frame 位元組（版本 0x01 循序切塊或 0x02 噴泉碼），收齊後校驗 CRC32
+ * 並 gunzip 還原同步 JSON。供單元測試驗證編碼 → 解碼往返，也作為 App 端移植的對照。
+ * frame 帶 ENCRYPTED 旗標時 getPayload 取得的是加密容器，須先以 decryptSyncPayload 解密。
+ *
+ * 第一個有效 frame 決定本次傳輸（版本 / 加密旗標 / total_size / crc32）；其後不屬同一傳輸的
+ * frame 一律忽略（相機可能掃到前一次的殘影或其他 QR）。
+ */
+
+import { calculateCRC32 } from '../utils/crc32.js'
+import { decompressBytes, isCompressionSupported } from '../utils/compression-stream-utils.js'
+import { FRAME_VERSIONS, parseFrame } from './qr-frame-format.js'
+import { FountainDecoder } from './fountain-codec.js'
+
+export const FRAME_REJECT_REASONS = Object.freeze({
+  MALFORMED: 'malformed',
+  SESSION_MISMATCH: 'session-mismatch',
+  // 重複 frame，或噴泉碼符號與已收符號線性相依（未帶來新資訊）
+  REDUNDANT: 'redundant'
+})
+
+export class QRFrameDecoder {
+  constructor () {
+    this.session = null
+    this.slots = null
+    this.fountain = null
+    this.received = 0
+  }
+
+  /** 是否已收齊可還原 */
+  get isComplete () {
+    if (!this.session) return false
+    if (this.fountain) return this.fountain.isComplete
+    return this.received === this.session.totalFrames
+  }
+
+  /** 本次傳輸是否為加密容器 */
+  get isEncrypted () {
+    return Boolean(this.session && this.session.encrypted)
+  }
+
+  /**
+   * 接收進度：循序 frame 為已收幀數 / 總幀數；噴泉碼為目前秩 / source block 數。
+   *
+   * @returns {{ received: number, required: number }}
+   */
+  get progress () {
+    if (!this.session) return { received: 0, required: 0 }
+    if (this.fountain) return { received: this.fountain.rank, required: this.fountain.sourceBlocks }
+    return { received: this.received, required: this.session.totalFrames }
+  }
+
+  /**
+   * 加入一個掃描到的 frame。
+   *
+   * @param {Uint8Array} frame - frame 位元組（含 header）
+   * @returns {{ accepted: boolean, complete: boolean, reason?: string }}
+   */
+  addFrame (frame) {
+    const parsed = parseFrame(frame)
+    if (!parsed || !this._isValidHeader(parsed)) return this._reject(FRAME_REJECT_REASONS.MALFORMED)
+
+    if (!this.session) {
+      this._startSession(parsed)
+    } else if (parsed.version !== this.session.version || parsed.encrypted !== this.session.encrypted ||
+      parsed.totalSize !== this.session.totalSize || parsed.crc32 !== this.session.crc32) {
+      return this._reject(FRAME_REJECT_REASONS.SESSION_MISMATCH)
+    }
+
+    const accepted = parsed.version === FRAME_VERSIONS.FOUNTAIN
+      ? this._addFountainFrame(parsed)
+      : this._addSequentialFrame(parsed)
+    if (!accepted) return this._reject(FRAME_REJECT_REASONS.REDUNDANT)
+
+    return { accepted: true, complete: this.isComplete }
+  }
+
+  /**
+   * 取出還原後的傳輸資料並校驗 CRC32。
+   *
+   * @returns {Uint8Array} gzip 壓縮資料；isEncrypted 時為加密容器
+   * @throws {Error} 尚未收齊或校驗失敗
+   */
+  getPayload () {
+    if (!this.isComplete) {
+      throw new Error('同步資料尚未收齊')
+    }
+
+    let payload
+    if (this.fountain) {
+      payload = this.fountain.getData(this.session.totalSize)
+    } else {
+      payload = new Uint8Array(this.session.totalSize)
+      let offset = 0
+      for (const chunk of this.slots) {
+        payload.set(chunk, offset)
+        offset += chunk.length
+      }
+    }
+
+    if (calculateCRC32(payload) !== this.session.crc32) {
+      throw new Error('同步資料校驗失敗')
+    }
+    return payload
+  }
+
+  _isValidHeader (parsed) {
+    if (parsed.version === FRAME_VERSIONS.FOUNTAIN) {
+      return parsed.sourceBlocks > 0 && parsed.payload.length > 0 &&
+        parsed.sourceBlocks * parsed.payload.length >= parsed.totalSize
+    }
+    return parsed.totalFrames > 0 && parsed.frameIndex < parsed.totalFrames
+  }
+
+  _startSession (parsed) {
+    this.session = {
+      version: parsed.version,
+      encrypted: parsed.encrypted,
+      totalSize: parsed.totalSize,
+      crc32: parsed.crc32,
+      totalFrames: parsed.totalFrames
+    }
+    if (parsed.version === FRAME_VERSIONS.FOUNTAIN) {
+      this.fountain = new FountainDecoder(parsed.sourceBlocks, parsed.payload.length)
+    } else {
+      this.slots = new Array(parsed.totalFrames).fill(null)
+    }
+  }
+
+  _addSequentialFrame (parsed) {
+    if (parsed.totalFrames !== this.session.totalFrames || this.slots[parsed.frameIndex] !== null) return false
+    this.slots[parsed.frameIndex] = parsed.payload.slice()
+    this.received++
+    return true
+  }
+
+  _addFountainFrame (parsed) {
+    if (parsed.sourceBlocks !== this.fountain.sourceBlocks) return false
+    return this.fountain.addSymbol(parsed.symbolId, parsed.payload)
+  }
+
+  _reject (reason) {
+    return { accepted: false, complete: this.isComplete, reason }
+  }
+}
+
+/**
+ * gunzip 還原同步 JSON 字串（對應 qr-encoder compressData）。
+ *
+ * @param {Uint8Array} compressedData - gzip 壓縮資料
+ * @returns {Promise<string>}
+ * @throws {Error} DecompressionStream 不可用或資料損毀
+ */
+export async function decompressData (compressedData) {
+  if (!isCompressionSupported('gzip')) {
+    throw new Error('解壓縮功能不可用，請更新瀏覽器')
+  }
+  return new TextDecoder().decode(await decompressBytes(compressedData, 'gzip'))
+}
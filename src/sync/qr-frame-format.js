@@ -0,0 +1,103 @@
+/**
+ * QR 同步 frame header 格式 — 編碼端（qr-encoder）與解碼端（qr-frame-decoder）共用（純計算）
+ *
+ * 兩種 frame 版本（SPEC-009）：
+ * - 0x01 SEQUENTIAL：固定切塊，15 bytes header
+ *   [0-1] magic | [2] version | [3-4] total_frames | [5-6] frame_index | [7-10] total_size | [11-14] crc32
+ * - 0x02 FOUNTAIN：噴泉碼編碼符號，17 bytes header
+ *   [0-1] magic | [2] version | [3-4] source_blocks | [5-8] symbol_id | [9-12] total_size | [13-16] crc32
+ *
+ * 所有多位元組欄位為 big-endian；total_size / crc32 取自整段傳輸資料（gzip 壓縮資料，
+ * 加密時為加密容器）。
+ *
+ * version byte 最高位元為旗標 ENCRYPTED（0x80）：payload 為 sync-crypto 加密容器。
+ * 不支援加密的舊版解碼端會視為未知版本而拒收，不會誤把密文當 gzip。
+ */
+
+export const FRAME_MAGIC = 0x5152
+
+export const FRAME_VERSIONS = Object.freeze({
+  SEQUENTIAL: 0x01,
+  FOUNTAIN: 0x02
+})
+
+export const FRAME_FLAGS = Object.freeze({
+  ENCRYPTED: 0x80
+})
+
+const FRAME_VERSION_MASK = 0x7F
+
+export const FRAME_HEADER_SIZES = Object.freeze({
+  [FRAME_VERSIONS.SEQUENTIAL]: 15,
+  [FRAME_VERSIONS.FOUNTAIN]: 17
+})
+
+/**
+ * 建立含 header 的 frame 並寫入 payload。
+ *
+ * @param {Object} header - SEQUENTIAL：{ version, totalFrames, frameIndex, totalSize, crc32 }；
+ *   FOUNTAIN：{ version, sourceBlocks, symbolId, totalSize, crc32 }；兩者皆可帶 encrypted 旗標
+ * @param {Uint8Array} payload - frame payload
+ * @returns {Uint8Array}
+ */
+export function writeFrame (header, payload) {
+  const headerSize = FRAME_HEADER_SIZES[header.version]
+  const frame = new Uint8Array(headerSize + payload.length)
+  const view = new DataView(frame.buffer)
+  view.setUint16(0, FRAME_MAGIC, false)
+  frame[2] = header.version | (header.encrypted ? FRAME_FLAGS.ENCRYPTED : 0)
+
+  if (header.version === FRAME_VERSIONS.FOUNTAIN) {
+    view.setUint16(3, header.sourceBlocks, false)
+    view.setUint32(5, header.symbolId, false)
+    view.setUint32(9, header.totalSize, false)
+    view.setUint32(13, header.crc32, false)
+  } else {
+    view.setUint16(3, header.totalFrames, false)
+    view.setUint16(5, header.frameIndex, false)
+    view.setUint32(7, header.totalSize, false)
+    view.setUint32(11, header.crc32, false)
+  }
+
+  frame.set(payload, headerSize)
+  return frame
+}
+
+/**
+ * 解析 frame header。
+ *
+ * @param {Uint8Array} frame - frame 位元組
+ * @returns {Object|null} header 欄位 + encrypted + payload（subarray）；magic / version / 長度不符時回 null
+ */
+export function parseFrame (frame) {
+  if (!ArrayBuffer.isView(frame) || frame.length < 3) return null
+  const view = new DataView(frame.buffer, frame.byteOffset, frame.byteLength)
+  if (view.getUint16(0, false) !== FRAME_MAGIC) return null
+
+  const version = frame[2] & FRAME_VERSION_MASK
+  const encrypted = (frame[2] & FRAME_FLAGS.ENCRYPTED) !== 0
+  const headerSize = FRAME_HEADER_SIZES[version]
+  if (headerSize === undefined || frame.length < headerSize) return null
+
+  const payload = frame.subarray(headerSize)
+  if (version === FRAME_VERSIONS.FOUNTAIN) {
+    return {
+      version,
+      encrypted,
+      sourceBlocks: view.getUint16(3, false),
+      symbolId: view.getUint32(5, false),
+      totalSize: view.getUint32(9, false),
+      crc32: view.getUint32(13, false),
+      payload
+    }
+  }
+  return {
+    version,
+    encrypted,
+    totalFrames: view.getUint16(3, false),
+    frameIndex: view.getUint16(5, false),
+    totalSize: view.getUint32(7, false),
+    crc32: view.getUint32(11, false),
+    payload
+  }
+}
@@ -0,0 +1,214 @@
+/**
+ * 同步資料加密模組 — QR frame 與加密 JSON 檔共用的 AES-GCM 容器（純計算，無 DOM / storage）
+ *
+ * 職責：以配對密碼（使用者自訂或 SyncPanel 顯示的一次性配對碼）經 PBKDF2 推導金鑰，
+ * 將 gzip 壓縮後的同步資料加密為自描述容器。拍下螢幕或取得檔案者沒有密碼即無法還原書庫。
+ *
+ * 容器格式（SPEC-012，所有多位元組欄位 big-endian）：
+ *   [0] container_version 0x01 | [1-4] PBKDF2 iterations | [5-20] salt | [21-32] iv | [33-] ciphertext + 16 bytes tag
+ *
+ * 加密 JSON 檔以 base64 包裝同一容器（encryptSyncFile / decryptSyncFile），
+ * 故 QR 與檔案兩條路徑的解密流程一致。
+ */
+
+import { compressBytes, decompressBytes, isCompressionSupported } from '../utils/compression-stream-utils.js'
+
+export const ENCRYPTION_CONTAINER_VERSION = 0x01
+
+export const ENCRYPTION_DEFAULTS = Object.freeze({
+  ITERATIONS: 600000,
+  SALT_BYTES: 16,
+  IV_BYTES: 12
+})
+
+// 解密端接受的 iterations 上限：防止竄改容器以超大值拖垮解密端
+const MAX_ITERATIONS = 10000000
+
+const CONTAINER_HEADER_SIZE = 1 + 4 + ENCRYPTION_DEFAULTS.SALT_BYTES + ENCRYPTION_DEFAULTS.IV_BYTES
+const GCM_TAG_BYTES = 16
+
+// 配對碼字元集：去除 0/O、1/I/L 等易混淆字元
+const PAIRING_CODE_ALPHABET = '23456789ABCDEFGHJKMNPQRSTUVWXYZ'
+const PAIRING_CODE_LENGTH = 10
+
+const ENCRYPTED_FILE_MARKER = 'encrypted_sync'
+
+/**
+ * 執行環境是否支援 WebCrypto AES-GCM / PBKDF2。
+ *
+ * @returns {boolean}
+ */
+export function isEncryptionSupported () {
+  return typeof crypto !== 'undefined' && Boolean(crypto.subtle) &&
+    typeof crypto.subtle.deriveKey === 'function'
+}
+
+/**
+ * 產生一次性配對碼（10 字元，以 '-' 分為兩組方便輸入）。
+ *
+ * @returns {string} 例如 'K7QX2-M9FHT'
+ */
+export function generatePairingCode () {
+  const bytes = crypto.getRandomValues(new Uint8Array(PAIRING_CODE_LENGTH))
+  const chars = Array.from(bytes, b => PAIRING_CODE_ALPHABET[b % PAIRING_CODE_ALPHABET.length])
+  const half = PAIRING_CODE_LENGTH / 2
+  return chars.slice(0, half).join('') + '-' + chars.slice(half).join('')
+}
+
+async function deriveKey (passphrase, salt, iterations) {
+  const material = await crypto.subtle.importKey(
+    'raw',
+    new TextEncoder().encode(passphrase.normalize('NFC')),
+    'PBKDF2',
+    false,
+    ['deriveKey']
+  )
+  return crypto.subtle.deriveKey(
+    { name: 'PBKDF2', salt, iterations, hash: 'SHA-256' },
+    material,
+    { name: 'AES-GCM', length: 256 },
+    false,
+    ['encrypt', 'decrypt']
+  )
+}
+
+function assertPassphrase (passphrase) {
+  if (typeof passphrase !== 'string' || passphrase.length === 0) {
+    throw new Error('請輸入同步密碼')
+  }
+  if (!isEncryptionSupported()) {
+    throw new Error('加密功能不可用，請更新瀏覽器')
+  }
+}
+
+/**
+ * 加密同步資料為容器位元組。
+ *
+ * @param {Uint8Array} data - gzip 壓縮後資料
+ * @param {string} passphrase - 配對密碼
+ * @param {Object} [options] - { iterations: 600000 }
+ * @returns {Promise<Uint8Array>} 加密容器
+ * @throws {Error} 未提供密碼或 WebCrypto 不可用
+ */
+export async function encryptSyncPayload (data, passphrase, options = {}) {
+  assertPassphrase(passphrase)
+  const iterations = options.iterations || ENCRYPTION_DEFAULTS.ITERATIONS
+  const salt = crypto.getRandomValues(new Uint8Array(ENCRYPTION_DEFAULTS.SALT_BYTES))
+  const iv = crypto.getRandomValues(new Uint8Array(ENCRYPTION_DEFAULTS.IV_BYTES))
+
+  const key = await deriveKey(passphrase, salt, iterations)
+  const ciphertext = new Uint8Array(await crypto.subtle.encrypt({ name: 'AES-GCM', iv }, key, data))
+
+  const container = new Uint8Array(CONTAINER_HEADER_SIZE + ciphertext.length)
+  const view = new DataView(container.buffer)
+  container[0] = ENCRYPTION_CONTAINER_VERSION
+  view.setUint32(1, iterations, false)
+  container.set(salt, 5)
+  container.set(iv, 5 + salt.length)
+  container.set(ciphertext, CONTAINER_HEADER_SIZE)
+  return container
+}
+
+/**
+ * 解密容器位元組。
+ *
+ * @param {Uint8Array} container - encryptSyncPayload 產出的容器
+ * @param {string} passphrase - 配對密碼
+ * @returns {Promise<Uint8Array>} gzip 壓縮資料
+ * @throws {Error} 容器格式錯誤、密碼錯誤或資料遭竄改（AES-GCM tag 驗證失敗）
+ */
+export async function decryptSyncPayload (container, passphrase) {
+  assertPassphrase(passphrase)
+  if (!ArrayBuffer.isView(container) || container.length < CONTAINER_HEADER_SIZE + GCM_TAG_BYTES ||
+    container[0] !== ENCRYPTION_CONTAINER_VERSION) {
+    throw new Error('加密同步資料格式錯誤')
+  }
+
+  const view = new DataView(container.buffer, container.byteOffset, container.byteLength)
+  const iterations = view.getUint32(1, false)
+  if (iterations === 0 || iterations > MAX_ITERATIONS) {
+    throw new Error('加密同步資料格式錯誤')
+  }
+  const salt = container.slice(5, 5 + ENCRYPTION_DEFAULTS.SALT_BYTES)
+  const iv = container.slice(5 + ENCRYPTION_DEFAULTS.SALT_BYTES, CONTAINER_HEADER_SIZE)
+
+  const key = await deriveKey(passphrase, salt, iterations)
+  try {
+    return new Uint8Array(await crypto.subtle.decrypt({ name: 'AES-GCM', iv }, key, container.subarray(CONTAINER_HEADER_SIZE)))
+  } catch (error) {
+    throw new Error('同步密碼錯誤或資料已損毀')
+  }
+}
+
+function bytesToBase64 (bytes) {
+  let binary = ''
+  for (let i = 0; i < bytes.length; i += 0x8000) {
+    binary += String.fromCharCode.apply(null, bytes.subarray(i, i + 0x8000))
+  }
+  return btoa(binary)
+}
+
+function base64ToBytes (text) {
+  const binary = atob(text)
+  const bytes = new Uint8Array(binary.length)
+  for (let i = 0; i < binary.length; i++) bytes[i] = binary.charCodeAt(i)
+  return bytes
+}
+
+/**
+ * 判斷解析後 JSON 是否為加密同步檔。
+ *
+ * @param {*} data - 解析後 JSON
+ * @returns {boolean}
+ */
+export function isEncryptedSyncFile (data) {
+  return data !== null && typeof data === 'object' && !Array.isArray(data) &&
+    data[ENCRYPTED_FILE_MARKER] === ENCRYPTION_CONTAINER_VERSION && typeof data.payload === 'string'
+}
+
+function assertGzipSupported () {
+  if (!isCompressionSupported('gzip')) {
+    throw new Error('壓縮功能不可用，請更新瀏覽器')
+  }
+}
+
+/**
+ * 將同步 JSON 字串加密為 JSON 檔內容（gzip → 加密容器 → base64）。
+ *
+ * @param {string} jsonString - 同步 JSON 字串
+ * @param {string} passphrase - 配對密碼
+ * @param {Object} [options] - { iterations: 600000 }
+ * @returns {Promise<string>} 加密 JSON 檔內容
+ */
+export async function encryptSyncFile (jsonString, passphrase, options = {}) {
+  assertGzipSupported()
+  const compressed = await compressBytes(new TextEncoder().encode(jsonString), 'gzip')
+  const container = await encryptSyncPayload(compressed, passphrase, options)
+  return JSON.stringify({
+    [ENCRYPTED_FILE_MARKER]: ENCRYPTION_CONTAINER_VERSION,
+    cipher: 'AES-256-GCM',
+    kdf: 'PBKDF2-SHA256',
+    compression: 'gzip',
+    payload: bytesToBase64(container)
+  })
+}
+
+/**
+ * 解密加密同步檔為原始 JSON 字串。
+ *
+ * @param {Object} data - 解析後的加密同步檔（isEncryptedSyncFile 為 true）
+ * @param {string} passphrase - 配對密碼
+ * @returns {Promise<string>} 同步 JSON 字串
+ * @throws {Error} 格式錯誤、密碼錯誤或資料遭竄改
+ */
+export async function decryptSyncFile (data, passphrase) {
+  let container
+  try {
+    container = base64ToBytes(data.payload)
+  } catch (error) {
+    throw new Error('加密同步資料格式錯誤')
+  }
+  const compressed = await decryptSyncPayload(container, passphrase)
+  assertGzipSupported()
+  return new TextDecoder().decode(await decompressBytes(compressed, 'gzip'))
+}
@@ -0,0 +1,110 @@
+/**
+ * 同步日誌模組 — 增量同步的配對裝置與同步點狀態（純計算，無 storage I/O）
+ *
+ * 職責：維護 chrome.storage.local 內 sync_journal 的資料結構轉換；讀寫由呼叫端
+ * （SyncPanel / json-importer）一次完成，本模組只負責「舊日誌 → 新日誌」。
+ *
+ * 日誌結構：
+ * - pending：Extension 已輸出、尚待 App 確認的同步點（保留最近 MAX_PENDING_SYNC_POINTS 筆）
+ * - devices：已配對 App 裝置 → { lastSeenAt, acknowledged }，acknowledged 為該裝置確認收到的同步點
+ *
+ * 同步點 = { syncId, until, bookIds, tagIds, tagCategoryIds }：until 為變更游標，
+ * id 清單供下次比對現況推導 tombstone（見 sync-json-builder computeSyncDelta）。
+ */
+
+export const SYNC_STORAGE_KEYS = Object.freeze({
+  DEVICE_ID: 'sync_device_id',
+  JOURNAL: 'sync_journal'
+})
+
+export const MAX_PENDING_SYNC_POINTS = 5
+
+/**
+ * 產生 id（本機裝置 / 同步點共用格式，對齊 tag-storage-adapter id 產生器）。
+ *
+ * @param {string} prefix - 'ext' | 'sync'
+ * @returns {string}
+ */
+export function createSyncId (prefix) {
+  return `${prefix}_${Date.now()}-${Math.random().toString(36).slice(2, 8)}`
+}
+
+/**
+ * 將 storage 讀出值正規化為日誌結構（缺漏或損毀時回空日誌）。
+ *
+ * @param {*} raw - storage 內 sync_journal 值
+ * @returns {{ devices: Object, pending: Array }}
+ */
+export function normalizeSyncJournal (raw) {
+  const devices = raw && raw.devices && typeof raw.devices === 'object' ? raw.devices : {}
+  const pending = raw && Array.isArray(raw.pending) ? raw.pending : []
+  return { devices: { ...devices }, pending: pending.slice() }
+}
+
+/**
+ * 解析下次增量的基準點。
+ *
+ * QR 為廣播媒介（任一已配對裝置皆可能掃描），故以所有裝置中最舊的確認游標為 since、
+ * 各裝置已知 id 的聯集推導 tombstone。無配對裝置或任一裝置尚未確認時回 null（全量）。
+ *
+ * @param {Object} journal - normalizeSyncJournal 結果
+ * @returns {{ since: string, bookIds: Array, tagIds: Array, tagCategoryIds: Array }|null}
+ */
+export function resolveSyncBase (journal) {
+  const devices = Object.values(journal.devices)
+  if (devices.length === 0 || devices.some(device => !device.acknowledged)) return null
+
+  const points = devices.map(device => device.acknowledged)
+  const oldest = points.reduce((min, point) => Date.parse(point.until) < Date.parse(min.until) ? point : min)
+  const union = field => [...new Set(points.flatMap(point => point[field] || []))]
+
+  return {
+    since: oldest.until,
+    bookIds: union('bookIds'),
+    tagIds: union('tagIds'),
+    tagCategoryIds: union('tagCategoryIds')
+  }
+}
+
+/**
+ * 加入待確認同步點，超過上限時捨棄最舊者。
+ *
+ * @param {Object} journal - normalizeSyncJournal 結果
+ * @param {Object} syncPoint - buildDeltaSyncJSON 回傳的 syncPoint
+ * @returns {Object} 新日誌
+ */
+export function addPendingSyncPoint (journal, syncPoint) {
+  return {
+    devices: journal.devices,
+    pending: [...journal.pending, syncPoint].slice(-MAX_PENDING_SYNC_POINTS)
+  }
+}
+
+/**
+ * 記錄 App 裝置回報，並在 acknowledgedSyncId 對應待確認同步點時升級為該裝置的確認點。
+ *
+ * 同一同步點可被多台裝置確認，故 pending 不因確認而移除（僅依上限輪替）。
+ *
+ * @param {Object} journal - normalizeSyncJournal 結果
+ * @param {string} deviceId - App 裝置 id（sync_meta.source_device）
+ * @param {string|null} acknowledgedSyncId - App 回報已套用的同步點 id
+ * @param {string} seenAt - 回報時間（ISO8601）
+ * @returns {{ journal: Object, acknowledged: boolean }}
+ */
+export function acknowledgeSyncPoint (journal, deviceId, acknowledgedSyncId, seenAt) {
+  const previous = journal.devices[deviceId] || { acknowledged: null }
+  const point = acknowledgedSyncId
+    ? journal.pending.find(p => p.syncId === acknowledgedSyncId)
+    : null
+
+  return {
+    journal: {
+      devices: {
+        ...journal.devices,
+        [deviceId]: { lastSeenAt: seenAt, acknowledged: point || previous.acknowledged }
+      },
+      pending: journal.pending
+    },
+    acknowledged: Boolean(point)
+  }
+}
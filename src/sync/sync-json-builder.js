@@ -1,10 +1,24 @@
 /**
  * 同步 JSON 建構模組 — Web→App 同步格式的 Domain 知識（純計算，無 DOM / 狀態）
  *
- * 職責：將書庫 books 陣列包裝為 App 端約定的同步 JSON 字串
- * （format_version 2.0 + sync_meta）。格式契約對應 PROP-014 同步協定。
+ * 職責：將書庫資料包裝為 App 端約定的同步 JSON 字串。格式契約對應 PROP-014 同步協定：
+ * - format_version 2.0：全量快照（buildSyncJSON）
+ * - format_version 3.0：增量信封（buildDeltaSyncJSON），僅含同步點之後的變更與 tombstone，
+ *   雙向共用（App 回傳的增量由 json-importer 套用），契約見 SPEC-011
  */
 
+export const SYNC_FORMAT_VERSION = Object.freeze({
+  SNAPSHOT: '2.0',
+  DELTA: '3.0'
+})
+
+export const SYNC_MODES = Object.freeze({
+  FULL: 'full',
+  DELTA: 'delta'
+})
+
+const SOURCE_APP = 'chrome-extension'
+
 /**
  * 包裝 books 為同步用 JSON 字串。
  *
@@ -13,12 +27,142 @@
  */
 export function buildSyncJSON (books) {
   return JSON.stringify({
-    format_version: '2.0',
+    format_version: SYNC_FORMAT_VERSION.SNAPSHOT,
     books,
     sync_meta: {
       exported_at: new Date().toISOString(),
-      source_app: 'chrome-extension',
+      source_app: SOURCE_APP,
       book_count: books.length
     }
   })
 }
+
+/**
+ * 取得記錄的變更時間（書籍與 tag / category 共用）。
+ *
+ * 優先序 updatedAt > extractedAt > addedAt，與 cover-to-reader 新舊比對一致。
+ *
+ * @param {Object} record - 書籍 / tag / category
+ * @returns {number|null} epoch 毫秒；無可用時間回 null
+ */
+export function getChangedAt (record) {
+  const value = record && (record.updatedAt || record.extractedAt || record.addedAt)
+  if (!value) return null
+  const time = Date.parse(value)
+  return isNaN(time) ? null : time
+}
+
+/**
+ * 依同步基準點篩出單一集合的變更與刪除。
+ *
+ * 無時間戳的記錄一律視為變更（寧可重送，App 端以 id upsert 為冪等）。
+ * 刪除以「基準點已知 id 不在現況」判定，不依賴各刪除入口額外記錄。
+ */
+function diffCollection (records, since, knownIds, deletedAt) {
+  const currentIds = new Set()
+  const changed = []
+  for (const record of records) {
+    if (!record || record.id == null) continue
+    currentIds.add(record.id)
+    const changedAt = getChangedAt(record)
+    if (changedAt === null || changedAt > since) changed.push(record)
+  }
+  const tombstones = (knownIds || [])
+    .filter(id => !currentIds.has(id))
+    .map(id => ({ id, deleted_at: deletedAt }))
+  return { changed, tombstones, ids: [...currentIds] }
+}
+
+/**
+ * 計算書庫相對同步基準點的增量。
+ *
+ * @param {Object} library - { books, tags, tagCategories }
+ * @param {Object|null} base - sync-journal resolveSyncBase 結果；null 表示全量
+ * @param {string} until - 本次同步點時間（ISO8601），作為 tombstone deleted_at
+ * @returns {{ books: Array, tags: Array, tagCategories: Array,
+ *             tombstones: { books: Array, tags: Array, tag_categories: Array },
+ *             ids: { bookIds: Array, tagIds: Array, tagCategoryIds: Array } }}
+ */
+export function computeSyncDelta (library, base, until) {
+  const since = base && base.since ? Date.parse(base.since) : -Infinity
+  const books = diffCollection(library.books || [], since, base && base.bookIds, until)
+  const tags = diffCollection(library.tags || [], since, base && base.tagIds, until)
+  const tagCategories = diffCollection(library.tagCategories || [], since, base && base.tagCategoryIds, until)
+
+  return {
+    books: books.changed,
+    tags: tags.changed,
+    tagCategories: tagCategories.changed,
+    tombstones: {
+      books: books.tombstones,
+      tags: tags.tombstones,
+      tag_categories: tagCategories.tombstones
+    },
+    ids: {
+      bookIds: books.ids,
+      tagIds: tags.ids,
+      tagCategoryIds: tagCategories.ids
+    }
+  }
+}
+
+/**
+ * 建構 format_version 3.0 增量同步信封。
+ *
+ * base 為 null 時輸出全量（sync_mode=full，無 tombstone），供首次配對或尚有裝置未確認時使用。
+ * 回傳的 syncPoint 由呼叫端記入 sync-journal 待確認清單，App 回傳 acknowledged_sync_id 後生效。
+ *
+ * @param {Object} library - { books, tags, tagCategories }
+ * @param {Object} options
+ * @param {string} options.deviceId - 本機裝置 id（sync_meta.source_device）
+ * @param {string} options.syncId - 本次同步點 id
+ * @param {Object|null} [options.base=null] - 同步基準點
+ * @param {Date} [options.now=new Date()] - 同步點時間
+ * @returns {{ json: string, syncPoint: Object, changeCount: number }}
+ */
+export function buildDeltaSyncJSON (library, options) {
+  const base = options.base || null
+  const until = (options.now || new Date()).toISOString()
+  const delta = computeSyncDelta(library, base, until)
+
+  const tombstoneCount = delta.tombstones.books.length + delta.tombstones.tags.length +
+    delta.tombstones.tag_categories.length
+  const changeCount = delta.books.length + delta.tags.length + delta.tagCategories.length + tombstoneCount
+
+  const json = JSON.stringify({
+    format_version: SYNC_FORMAT_VERSION.DELTA,
+    sync_mode: base ? SYNC_MODES.DELTA : SYNC_MODES.FULL,
+    books: delta.books,
+    tags: delta.tags,
+    tag_categories: delta.tagCategories,
+    tombstones: delta.tombstones,
+    sync_meta: {
+      exported_at: until,
+      source_app: SOURCE_APP,
+      source_device: options.deviceId,
+      sync_id: options.syncId,
+      since: base ? base.since : null,
+      until,
+      book_count: delta.books.length,
+      tombstone_count: tombstoneCount
+    }
+  })
+
+  return {
+    json,
+    syncPoint: { syncId: options.syncId, until, ...delta.ids },
+    changeCount
+  }
+}
+
+/**
+ * 判斷解析後資料是否為 format_version 3.x 增量同步信封。
+ *
+ * @param {*} data - 解析後 JSON
+ * @returns {boolean}
+ */
+export function isDeltaSyncEnvelope (data) {
+  return data !== null && typeof data === 'object' && !Array.isArray(data) &&
+    typeof data.format_version === 'string' && data.format_version.startsWith('3.') &&
+    data.sync_meta !== null && typeof data.sync_meta === 'object'
+}
@@ -37,6 +37,7 @@
 const UI_HANDLER_CONFIG = require('./config/ui-handler-config')
 const ErrorCodes = require('src/core/errors/ErrorCodes')
 const { Logger } = require('src/core/logging/Logger')
+const { t, formatList } = require('src/core/i18n/ui-i18n')
 
 class BookGridRenderer {
   /**
@@ -45,6 +46,9 @@ class BookGridRenderer {
    * @param {HTMLElement} container - 渲染容器
    * @param {Object} eventBus - 事件總線
    * @param {Object} options - 配置選項，預設為空物件
+   * @param {HTMLElement} [options.scrollContainer] - 滾動視窗；預設為 container 本身。
+   *   指定時 container 只作為卡片定位層（高度設為網格總高度），滾動與可見高度由此元素計算
+   * @param {Function} [options.decorateCard] - (card, book) => void，卡片內容建立後的擴充點
    * @param {Document|null} document - 文檔對象，支援依賴注入。
    *                                   在測試環境中可注入 mock document，
    *                                   在瀏覽器環境中會自動使用 window.document
@@ -67,6 +71,10 @@ class BookGridRenderer {
     this.container = container
     this.eventBus = eventBus
 
+    const { scrollContainer = null, decorateCard = null, ...configOptions } = options
+    this.scrollContainer = scrollContainer || container
+    this.decorateCard = typeof decorateCard === 'function' ? decorateCard : null
+
     // 依賴注入模式 - 支援測試環境的 DOM 模擬
     // 這個設計遵循依賴注入原則，使得組件可以在不同環境中運作：
     // 1. 瀏覽器環境：自動使用 window.document
@@ -87,7 +95,7 @@ class BookGridRenderer {
     this.renderedBooks = []
 
     // 初始化配置
-    this.initializeConfig(options)
+    this.initializeConfig(configOptions)
 
     // 初始化統計
     this.initializeStats()
@@ -145,6 +153,9 @@ class BookGridRenderer {
       virtualScrolling: true,
       bufferSize: 5,
 
+      // 進度顯示：'bar' 進度條 / 'ring' 進度環
+      progressStyle: 'bar',
+
       // 效能配置
       throttleDelay: 100,
       renderBatchSize: 10,
@@ -180,6 +191,7 @@ class BookGridRenderer {
         BOOK_AUTHOR: 'book-author',
         PROGRESS_CONTAINER: 'progress-container',
         PROGRESS_BAR: 'progress-bar',
+        PROGRESS_RING: 'progress-ring',
         DEFAULT_COVER: 'default-cover'
       },
 
@@ -221,7 +233,9 @@ class BookGridRenderer {
     this.containerHeight = 0
     this.totalHeight = 0
     this.cardPool = [] // DOM 元素池
+    this.renderedCards = new Map() // 書籍索引 → 卡片，滾動時重用仍在可見範圍內的卡片
     this.throttleTimer = null
+    this.scrollFrame = null
   }
 
   /**
@@ -235,7 +249,7 @@ class BookGridRenderer {
 
     // 容器滾動事件
     this.boundHandleScroll = this.handleScroll.bind(this)
-    this.container.addEventListener?.('scroll', this.boundHandleScroll)
+    this.scrollContainer.addEventListener?.('scroll', this.boundHandleScroll)
 
     // 視窗大小變化事件
     this.boundHandleResize = this.handleResize.bind(this)
@@ -290,19 +304,27 @@ class BookGridRenderer {
    * @returns {Array} 位置陣列
    */
   calculatePositions (books, columns) {
-    const positions = []
-    const { cardWidth, cardHeight, gap } = this.config
-
-    books.forEach((book, index) => {
-      const row = Math.floor(index / columns)
-      const col = index % columns
-      const x = col * (cardWidth + gap) + gap
-      const y = row * (cardHeight + gap) + gap
+    return books.map((book, index) => this.calculatePosition(index, columns))
+  }
 
-      positions.push({ row, col, x, y })
-    })
+  /**
+   * 計算單一索引的卡片位置（虛擬滾動只計算可見範圍）
+   *
+   * @param {number} index - 書籍索引
+   * @param {number} columns - 欄位數量
+   * @returns {Object} 位置 {row, col, x, y}
+   */
+  calculatePosition (index, columns) {
+    const { cardWidth, cardHeight, gap } = this.config
+    const row = Math.floor(index / columns)
+    const col = index % columns
 
-    return positions
+    return {
+      row,
+      col,
+      x: col * (cardWidth + gap) + gap,
+      y: row * (cardHeight + gap) + gap
+    }
   }
 
   /**
@@ -339,7 +361,9 @@ class BookGridRenderer {
   updateLayout () {
     const rect = this.container.getBoundingClientRect()
     const containerWidth = rect.width
-    const containerHeight = rect.height
+    const containerHeight = this.scrollContainer === this.container
+      ? rect.height
+      : this.scrollContainer.getBoundingClientRect().height
 
     this.currentColumns = this.calculateColumns(containerWidth)
     this.containerHeight = containerHeight
@@ -373,8 +397,9 @@ class BookGridRenderer {
       this.populateBookCard(card, book)
 
       // 添加狀態樣式
-      if (book.status && typeof book.status === 'string') {
-        card.classList.add(`${STATUS_PREFIX}${book.status}`)
+      const status = book.status || book.readingStatus
+      if (status && typeof status === 'string') {
+        card.classList.add(`${STATUS_PREFIX}${status}`)
       }
 
       return card
@@ -454,9 +479,15 @@ class BookGridRenderer {
 
       // 創建進度指示器
       if (this.shouldShowProgress(book)) {
-        const progressContainer = this.createProgressContainer(book, CLASSES)
+        const progressContainer = this.config.progressStyle === 'ring'
+          ? this.createProgressRing(book, CLASSES)
+          : this.createProgressContainer(book, CLASSES)
         card.appendChild(progressContainer)
       }
+
+      if (this.decorateCard) {
+        this.decorateCard(card, book)
+      }
     } catch (error) {
       // eslint-disable-next-line no-console
       Logger.warn(`[BookGridRenderer] Failed to populate card for book ${book.id}`, { error })
@@ -474,9 +505,10 @@ class BookGridRenderer {
     const coverContainer = this.document.createElement('div')
     coverContainer.classList.add(CLASSES.BOOK_COVER)
 
-    if (book.coverImage && typeof book.coverImage === 'string') {
+    const coverUrl = book.coverImage || book.cover
+    if (coverUrl && typeof coverUrl === 'string') {
       const coverImg = this.document.createElement('img')
-      coverImg.src = book.coverImage
+      coverImg.src = coverUrl
       coverImg.alt = book.title || 'Book cover'
       coverImg.loading = 'lazy' // 延遲載入優化
 
@@ -545,12 +577,15 @@ class BookGridRenderer {
       infoContainer.appendChild(title)
     }
 
-    // 添加作者
-    if (book.author && typeof book.author === 'string') {
+    // 添加作者（單一 author 字串或 v2 authors 陣列）
+    const authorText = typeof book.author === 'string'
+      ? book.author
+      : (Array.isArray(book.authors) ? formatList(book.authors) : '')
+    if (authorText) {
       const author = this.document.createElement('p')
       author.classList.add(CLASSES.BOOK_AUTHOR)
-      author.textContent = this.truncateText(book.author, 30)
-      author.title = book.author // 完整作者名作為 tooltip
+      author.textContent = this.truncateText(authorText, 30)
+      author.title = authorText // 完整作者名作為 tooltip
       infoContainer.appendChild(author)
     }
 
@@ -586,6 +621,31 @@ class BookGridRenderer {
     return progressContainer
   }
 
+  /**
+   * 創建進度環（progressStyle: 'ring'）
+   *
+   * 以 CSS 變數 --progress 提供百分比，環形外觀由樣式表（conic-gradient）繪製
+   *
+   * @param {Object} book - 書籍資料
+   * @param {Object} CLASSES - CSS 類別常數
+   * @returns {HTMLElement} 進度環元素
+   */
+  createProgressRing (book, CLASSES) {
+    const normalizedProgress = this.normalizeProgress(book.progress)
+    const ring = this.document.createElement('div')
+    ring.classList.add(CLASSES.PROGRESS_RING)
+    ring.setAttribute('role', 'img')
+    ring.setAttribute('aria-label', t('overview.grid.progressRing', { percent: normalizedProgress }))
+    ring.style.setProperty?.('--progress', String(normalizedProgress))
+
+    const progressText = this.document.createElement('span')
+    progressText.classList.add('progress-text')
+    progressText.textContent = `${normalizedProgress}%`
+    ring.appendChild(progressText)
+
+    return ring
+  }
+
   /**
    * 檢查是否應該顯示進度
    *
@@ -646,17 +706,34 @@ class BookGridRenderer {
 
   /**
    * 處理滾動事件
+   *
+   * 有 requestAnimationFrame 時每個畫格最多更新一次（滾動中持續補上卡片）；
+   * 否則退回延遲 throttleDelay 的防抖
    */
   handleScroll () {
     this.stats.scrollEvents++
 
+    const update = () => {
+      this.scrollTop = this.scrollContainer.scrollTop
+      this.updateVisibleRange()
+    }
+
+    if (typeof requestAnimationFrame !== 'undefined') {
+      if (this.scrollFrame) return
+      this.scrollFrame = requestAnimationFrame(() => {
+        this.scrollFrame = null
+        update()
+        this.renderVisibleRange()
+      })
+      return
+    }
+
     if (this.throttleTimer) {
       clearTimeout(this.throttleTimer)
     }
 
     this.throttleTimer = setTimeout(() => {
-      this.scrollTop = this.container.scrollTop
-      this.updateVisibleRange()
+      update()
       this.renderVisibleBooks()
     }, this.config.throttleDelay)
   }
@@ -696,79 +773,94 @@ class BookGridRenderer {
   renderVisibleBooks () {
     const startTime = performance.now()
 
-    // 清除現有渲染
-    this.clearRenderedBooks()
-
-    // 渲染可見範圍內的書籍
-    const visibleBooks = this.books.slice(this.visibleRange.start, this.visibleRange.end)
-    const positions = this.calculatePositions(this.books, this.currentColumns)
-
     if (typeof requestAnimationFrame !== 'undefined') {
       requestAnimationFrame(() => {
-        this.renderBookBatch(visibleBooks, positions, this.visibleRange.start)
+        this.renderVisibleRange()
 
         // 更新統計
         this.stats.renderTime = performance.now() - startTime
-        this.stats.renderedBooks = visibleBooks.length
         this.stats.lastRenderTime = Date.now()
 
         this.notifyRenderComplete()
       })
     } else {
-      this.renderBookBatch(visibleBooks, positions, this.visibleRange.start)
+      this.renderVisibleRange()
       this.stats.renderTime = performance.now() - startTime
-      this.stats.renderedBooks = visibleBooks.length
     }
   }
 
   /**
-   * 批次渲染書籍
+   * 渲染可見範圍內的書籍
    *
-   * @param {Array} books - 書籍陣列
-   * @param {Array} positions - 位置陣列
-   * @param {number} startIndex - 開始索引
-   */
-  renderBookBatch (books, positions, startIndex) {
-    books.forEach((book, index) => {
-      const globalIndex = startIndex + index
-      const position = positions[globalIndex]
-
-      if (position && this.isValidBook(book)) {
-        const card = this.createBookCard(book)
+   * 仍在範圍內的卡片只更新位置，離開範圍的移除，新進入的才建立；
+   * 資料更新時由 updateBooks 先清空，避免沿用舊內容
+   */
+  renderVisibleRange () {
+    const { start, end } = this.visibleRange
+    const cards = new Map()
+
+    this.renderedCards.forEach((card, index) => {
+      if (index >= start && index < end && card.parentNode === this.container) {
+        cards.set(index, card)
+      } else {
+        this.removeCard(card)
+      }
+    })
 
-        // 設定位置
-        card.style.left = `${position.x}px`
-        card.style.top = `${position.y}px`
+    for (let index = start; index < end; index++) {
+      const book = this.books[index]
+      let card = cards.get(index)
 
+      if (!card) {
+        if (!this.isValidBook(book)) continue
+        card = this.createBookCard(book)
         try {
           this.container.appendChild(card)
-          this.renderedBooks.push(card)
         } catch (error) {
           // eslint-disable-next-line no-console
           Logger.warn('Failed to append book card', { error })
+          continue
         }
+        cards.set(index, card)
       }
-    })
+
+      // 設定位置（欄數變化時既有卡片也需重新定位）
+      const position = this.calculatePosition(index, this.currentColumns)
+      card.style.left = `${position.x}px`
+      card.style.top = `${position.y}px`
+    }
+
+    this.renderedCards = cards
+    this.renderedBooks = [...cards.values()]
+    this.stats.renderedBooks = cards.size
 
     // 設定容器總高度
     this.container.style.height = `${this.totalHeight}px`
   }
 
+  /**
+   * 移除單一卡片
+   *
+   * @param {HTMLElement} card - 卡片元素
+   */
+  removeCard (card) {
+    try {
+      if (card.parentNode === this.container) {
+        this.container.removeChild(card)
+      }
+    } catch (error) {
+      // eslint-disable-next-line no-console
+      Logger.warn('Failed to remove book card', { error })
+    }
+  }
+
   /**
    * 清除已渲染的書籍
    */
   clearRenderedBooks () {
-    this.renderedBooks.forEach(card => {
-      try {
-        if (card.parentNode === this.container) {
-          this.container.removeChild(card)
-        }
-      } catch (error) {
-        // eslint-disable-next-line no-console
-        Logger.warn('Failed to remove book card', { error })
-      }
-    })
+    this.renderedBooks.forEach(card => this.removeCard(card))
     this.renderedBooks = []
+    this.renderedCards = new Map()
   }
 
   /**
@@ -782,16 +874,17 @@ class BookGridRenderer {
     this.books = this.validateAndFilterBooks(books)
     this.stats.totalBooks = this.books.length
 
-    // 更新佈局
-    this.updateLayout()
-
     // 保持滾動位置（如果需要）
     if (!options.preserveScrollPosition) {
-      this.container.scrollTop = 0
+      this.scrollContainer.scrollTop = 0
       this.scrollTop = 0
     }
 
-    // 重新渲染
+    // 更新佈局
+    this.updateLayout()
+
+    // 重新渲染：書籍內容可能已變動，不重用舊卡片
+    this.clearRenderedBooks()
     this.renderVisibleBooks()
   }
 
@@ -873,7 +966,7 @@ class BookGridRenderer {
       this.eventBus.off('UI.BOOKS.FILTER', this.handleBooksFilter)
     }
 
-    this.container.removeEventListener?.('scroll', this.boundHandleScroll)
+    this.scrollContainer.removeEventListener?.('scroll', this.boundHandleScroll)
     if (typeof window !== 'undefined') {
       window.removeEventListener?.('resize', this.boundHandleResize)
     }
@@ -882,6 +975,9 @@ class BookGridRenderer {
     if (this.throttleTimer) {
       clearTimeout(this.throttleTimer)
     }
+    if (this.scrollFrame && typeof cancelAnimationFrame !== 'undefined') {
+      cancelAnimationFrame(this.scrollFrame)
+    }
 
     // 清除渲染內容
     this.clearRenderedBooks()
@@ -890,6 +986,7 @@ class BookGridRenderer {
     this.books = []
     this.renderedBooks = []
     this.container = null
+    this.scrollContainer = null
     this.eventBus = null
   }
 
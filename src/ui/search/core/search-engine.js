@@ -102,6 +102,7 @@ class SearchEngine {
       fuzzyThreshold: 0.5,
       maxResults: 1000,
       enableWeightedSearch: true,
+      enableTokenFuzzySearch: false,
       performanceWarningThreshold: 1000, // 1秒
       ...config
     }
@@ -457,6 +458,21 @@ class SearchEngine {
    * @returns {Promise<Array>} 帶評分的搜尋結果 [{ book, score }]
    */
   async searchWithScoring (query, books, fieldWeights = null) {
+    return this.scoreBooks(query, books, fieldWeights)
+  }
+
+  /**
+   * 帶評分的搜尋（同步版本）
+   *
+   * 供需在同一呼叫堆疊內完成篩選管線的呼叫端使用（例如 Overview 頁面的
+   * applyCurrentFilter）；searchWithScoring 為其 async 包裝。
+   *
+   * @param {string} query - 搜尋查詢
+   * @param {Array} books - 書籍陣列
+   * @param {Object} fieldWeights - 欄位權重；鍵為書籍欄位名，值可為字串或字串陣列欄位
+   * @returns {Array} 帶評分的搜尋結果 [{ book, score }]，依評分降序
+   */
+  scoreBooks (query, books, fieldWeights = null) {
     const defaultWeights = { title: 1.0, author: 0.8, tags: 0.6 }
     const weights = fieldWeights || defaultWeights
 
@@ -487,33 +503,26 @@ class SearchEngine {
 
   /**
    * 計算書籍評分
+   *
+   * 依 weights 的每個欄位加權：字串欄位直接評分，陣列欄位取其中最高分的項目。
    * @private
    */
   _calculateBookScore (book, query, weights) {
     let score = 0
 
-    // 書名匹配評分
-    if (book.title && typeof book.title === 'string') {
-      const titleScore = this._calculateFieldScore(book.title, query)
-      score += titleScore * weights.title
-    }
-
-    // 作者匹配評分
-    if (book.author && typeof book.author === 'string') {
-      const authorScore = this._calculateFieldScore(book.author, query)
-      score += authorScore * weights.author
-    }
-
-    // 標籤匹配評分
-    if (book.tags && Array.isArray(book.tags)) {
-      let maxTagScore = 0
-      for (const tag of book.tags) {
-        if (typeof tag === 'string') {
-          const tagScore = this._calculateFieldScore(tag, query)
-          maxTagScore = Math.max(maxTagScore, tagScore)
+    for (const [field, weight] of Object.entries(weights)) {
+      const value = book[field]
+      if (typeof value === 'string' && value) {
+        score += this._calculateFieldScore(value, query) * weight
+      } else if (Array.isArray(value)) {
+        let maxItemScore = 0
+        for (const item of value) {
+          if (typeof item === 'string') {
+            maxItemScore = Math.max(maxItemScore, this._calculateFieldScore(item, query))
+          }
         }
+        score += maxItemScore * weight
       }
-      score += maxTagScore * weights.tags
     }
 
     return Math.min(score, 1.0) // 評分上限為 1.0
@@ -557,13 +566,44 @@ class SearchEngine {
 
     // 模糊匹配支援
     if (this.config.enableFuzzySearch && score < this.config.fuzzyThreshold) {
-      const fuzzyScore = this._calculateFuzzyScore(normalizedField, query)
+      const fuzzyScore = this.config.enableTokenFuzzySearch
+        ? Math.max(this._calculateFuzzyScore(normalizedField, query), this._calculateTokenFuzzyScore(normalizedField, queryWords))
+        : this._calculateFuzzyScore(normalizedField, query)
       score = Math.max(score, fuzzyScore)
     }
 
     return Math.min(score, 1.0)
   }
 
+  /**
+   * 計算逐詞模糊匹配評分
+   *
+   * 整欄位編輯距離無法容忍長書名中的單字錯字（「javascrpt」對「JavaScript 大全」），
+   * 故將欄位依空白與標點切詞，每個查詢詞取最相近的欄位詞，再取平均。
+   * 含數字的查詢詞（「CSS3」、「ES6」）多為版本或型號，只做包含比對不容錯。
+   * 需以 config.enableTokenFuzzySearch 開啟。
+   * @private
+   */
+  _calculateTokenFuzzyScore (normalizedField, queryWords) {
+    const fieldTokens = normalizedField.split(/[\s,，、/／:：;；·・]+/).filter(token => token.length > 0)
+    if (fieldTokens.length === 0 || queryWords.length === 0) return 0
+
+    let total = 0
+    for (const word of queryWords) {
+      const exactOnly = /\d/.test(word)
+      let best = 0
+      for (const token of fieldTokens) {
+        if (token.includes(word)) {
+          best = 1
+          break
+        }
+        if (!exactOnly) best = Math.max(best, this._calculateFuzzyScore(token, word))
+      }
+      total += best
+    }
+    return total / queryWords.length
+  }
+
   /**
    * 計算模糊匹配評分
    * @private
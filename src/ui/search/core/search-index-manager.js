@@ -55,6 +55,9 @@ class SearchIndexManager {
     this.authorIndex = new Map()
     this.tagIndex = new Map()
 
+    // 已索引書籍（bookId → book），供呼叫端取回索引時的書籍文件並做增量比對
+    this.indexedBooks = new Map()
+
     // 初始化統計資料
     this._initializeStats()
 
@@ -159,6 +162,7 @@ class SearchIndexManager {
       this.titleIndex.clear()
       this.authorIndex.clear()
       this.tagIndex.clear()
+      this.indexedBooks.clear()
 
       // 建構索引
       let validBookCount = 0
@@ -166,6 +170,7 @@ class SearchIndexManager {
         if (!book) continue
 
         this._indexBook(book)
+        this._trackBook(book)
         validBookCount++
       }
 
@@ -272,6 +277,35 @@ class SearchIndexManager {
     }
   }
 
+  /**
+   * 記錄已索引書籍（無 id 的書籍只進分詞索引）
+   * @private
+   */
+  _trackBook (book) {
+    if (book.id !== undefined && book.id !== null) {
+      this.indexedBooks.set(book.id, book)
+    }
+  }
+
+  /**
+   * 取得已索引的書籍
+   *
+   * @param {string} bookId - 書籍 ID
+   * @returns {Object|null} 索引時傳入的書籍物件
+   */
+  getIndexedBook (bookId) {
+    return this.indexedBooks.get(bookId) || null
+  }
+
+  /**
+   * 取得所有已索引書籍的 ID
+   *
+   * @returns {Array<string>} 書籍 ID 陣列
+   */
+  getIndexedBookIds () {
+    return Array.from(this.indexedBooks.keys())
+  }
+
   /**
    * 通用索引新增方法
    * @private
@@ -292,6 +326,7 @@ class SearchIndexManager {
     if (!book) return
 
     this._indexBook(book)
+    this._trackBook(book)
     this.stats.totalBooks++
 
     this.eventBus.emit('SEARCH.INDEX.UPDATED', {
@@ -311,6 +346,9 @@ class SearchIndexManager {
     if (!book) return
 
     this._removeFromAllIndexes(book)
+    if (book.id !== undefined && book.id !== null) {
+      this.indexedBooks.delete(book.id)
+    }
     this.stats.totalBooks = Math.max(0, this.stats.totalBooks - 1)
 
     this.eventBus.emit('SEARCH.INDEX.UPDATED', {
@@ -409,6 +447,7 @@ class SearchIndexManager {
     this.titleIndex.clear()
     this.authorIndex.clear()
     this.tagIndex.clear()
+    this.indexedBooks.clear()
     this.stats.totalBooks = 0
 
     this.eventBus.emit('SEARCH.INDEX.CLEARED', {
@@ -148,7 +148,10 @@ class FilterEngine {
         lastReadAfter: 0,
         lastReadBefore: 0,
         tagIds: 0,
-        tagCategoryIds: 0
+        tagCategoryIds: 0,
+        readingStatus: 0,
+        source: 0,
+        dateRange: 0
       }
     }
   }
@@ -268,18 +271,35 @@ class FilterEngine {
    * @private
    */
   async _applyFilterLogic (books, filters) {
-    let filteredBooks = [...books]
-
     // 過濾無效書籍
-    filteredBooks = filteredBooks.filter(book => this._isValidBook(book))
+    const validBooks = books.filter(book => this._isValidBook(book))
+
+    return this.matchBooks(validBooks, filters)
+  }
+
+  /**
+   * 同步套用篩選條件（不經快取、統計與事件）
+   *
+   * 供同步篩選管線（如 Overview 查詢語法）逐條件呼叫；不做書籍有效性檢查，
+   * 輸入順序保留於結果中。
+   *
+   * @param {Array} books - 書籍陣列
+   * @param {Object} filters - 篩選條件（與 applyFilters 相同）
+   * @returns {Array} 符合條件的書籍
+   */
+  matchBooks (books, filters) {
+    let filteredBooks = [...books]
 
     // 建立篩選步驟管道，按照選擇性最高的條件優先執行以提升效能
     const filterSteps = [
       { condition: filters.status, method: this._applyStatusFilter.bind(this), args: [filters.status] },
+      { condition: filters.readingStatus, method: this._applyReadingStatusFilter.bind(this), args: [filters.readingStatus] },
+      { condition: filters.source, method: this._applySourceFilter.bind(this), args: [filters.source] },
       { condition: filters.category, method: this._applyCategoryFilter.bind(this), args: [filters.category] },
       { condition: filters.progressRange, method: this._applyProgressRangeFilter.bind(this), args: [filters.progressRange] },
       { condition: filters.lastReadAfter, method: this._applyDateFilter.bind(this), args: [filters.lastReadAfter, 'after'] },
       { condition: filters.lastReadBefore, method: this._applyDateFilter.bind(this), args: [filters.lastReadBefore, 'before'] },
+      { condition: filters.dateRange, method: this._applyDateRangeFilter.bind(this), args: [filters.dateRange] },
       // tag 篩選
       { condition: filters.tagIds && filters.tagIds.length > 0, method: this._applyTagFilter.bind(this), args: [filters.tagIds, filters.tagOperator || 'OR'] },
       { condition: filters.tagCategoryIds && filters.tagCategoryIds.length > 0 && this._categoryResolver, method: this._applyTagCategoryFilter.bind(this), args: [filters.tagCategoryIds, this._categoryResolver] }
@@ -324,6 +344,22 @@ class FilterEngine {
     return books.filter(book => book.status === status)
   }
 
+  /**
+   * 應用 readingStatus 篩選（Book Schema v2 欄位）
+   * @private
+   */
+  _applyReadingStatusFilter (books, readingStatus) {
+    return books.filter(book => book.readingStatus === readingStatus)
+  }
+
+  /**
+   * 應用書城來源篩選
+   * @private
+   */
+  _applySourceFilter (books, source) {
+    return books.filter(book => book.source === source)
+  }
+
   /**
    * 應用分類篩選
    * @private
@@ -334,6 +370,8 @@ class FilterEngine {
 
   /**
    * 應用進度範圍篩選
+   *
+   * minExclusive / maxExclusive 為 true 時不含端點（查詢語法的 > / <）。
    * @private
    */
   _applyProgressRangeFilter (books, progressRange) {
@@ -341,7 +379,7 @@ class FilterEngine {
       return books
     }
 
-    const { min, max } = progressRange
+    const { min, max, minExclusive = false, maxExclusive = false } = progressRange
 
     if (typeof min !== 'number' || typeof max !== 'number') {
       return books
@@ -354,7 +392,9 @@ class FilterEngine {
 
     return books.filter(book => {
       const progress = typeof book.progress === 'number' ? book.progress : 0
-      return progress >= min && progress <= max
+      const aboveMin = minExclusive ? progress > min : progress >= min
+      const belowMax = maxExclusive ? progress < max : progress <= max
+      return aboveMin && belowMax
     })
   }
 
@@ -402,6 +442,37 @@ class FilterEngine {
     })
   }
 
+  /**
+   * 依任意日期欄位的區間篩選（端點皆包含）
+   *
+   * @param {Array} books - 書籍陣列
+   * @param {Object} dateRange - { field, after?, before? }，after / before 為可被 Date 解析的值
+   * @returns {Array} 篩選後的書籍；欄位缺值或無法解析的書籍不符合
+   * @private
+   */
+  _applyDateRangeFilter (books, dateRange) {
+    if (!dateRange || typeof dateRange !== 'object' || !dateRange.field) {
+      return books
+    }
+
+    const after = dateRange.after !== undefined ? new Date(dateRange.after).getTime() : -Infinity
+    const before = dateRange.before !== undefined ? new Date(dateRange.before).getTime() : Infinity
+    if (isNaN(after) || isNaN(before)) {
+      const dateError = new Error('無效的日期格式')
+      dateError.code = ErrorCodes.VALIDATION_ERROR
+      dateError.details = { category: 'ui' }
+      throw dateError
+    }
+
+    return books.filter(book => {
+      if (!book[dateRange.field]) {
+        return false
+      }
+      const time = new Date(book[dateRange.field]).getTime()
+      return !isNaN(time) && time >= after && time <= before
+    })
+  }
+
   /**
    * 依 tagIds 篩選書籍
    * @param {Array} books - 書籍陣列
@@ -471,7 +542,7 @@ class FilterEngine {
    * @private
    */
   _handleUnknownFilters (filters) {
-    const knownFilters = ['status', 'category', 'progressRange', 'lastReadAfter', 'lastReadBefore', 'tagIds', 'tagOperator', 'tagCategoryIds']
+    const knownFilters = ['status', 'readingStatus', 'source', 'category', 'progressRange', 'lastReadAfter', 'lastReadBefore', 'dateRange', 'tagIds', 'tagOperator', 'tagCategoryIds']
 
     for (const key in filters) {
       if (!knownFilters.includes(key)) {
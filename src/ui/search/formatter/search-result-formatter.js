@@ -298,6 +298,58 @@ class SearchResultFormatter {
     return Math.min(score, 1) // 確保分數不超過 1
   }
 
+  /**
+   * 標示文字中與查詢相符的片段
+   *
+   * 完整查詢與各查詢詞皆視為匹配（不分大小寫），重疊或相鄰的區段合併。
+   * 回傳片段陣列而非 HTML 字串，由呼叫端以 textContent 組裝 DOM，避免注入。
+   *
+   * @param {string} text - 原始文字
+   * @param {string} query - 搜尋查詢
+   * @returns {Array<{ text: string, matched: boolean }>} 依序串接即為原文
+   */
+  highlightMatches (text, query) {
+    if (typeof text !== 'string' || text === '') return []
+
+    const normalizedQuery = typeof query === 'string' ? query.toLowerCase().trim() : ''
+    if (!normalizedQuery) return [{ text, matched: false }]
+
+    const lowerText = text.toLowerCase()
+    const needles = [normalizedQuery, ...normalizedQuery.split(/\s+/)]
+      .filter((needle, index, all) => needle.length > 0 && all.indexOf(needle) === index)
+
+    const ranges = []
+    for (const needle of needles) {
+      let from = lowerText.indexOf(needle)
+      while (from !== -1) {
+        ranges.push([from, from + needle.length])
+        from = lowerText.indexOf(needle, from + needle.length)
+      }
+    }
+    if (ranges.length === 0) return [{ text, matched: false }]
+
+    ranges.sort((a, b) => a[0] - b[0])
+    const merged = [ranges[0]]
+    for (const [start, end] of ranges.slice(1)) {
+      const last = merged[merged.length - 1]
+      if (start <= last[1]) {
+        last[1] = Math.max(last[1], end)
+      } else {
+        merged.push([start, end])
+      }
+    }
+
+    const segments = []
+    let cursor = 0
+    for (const [start, end] of merged) {
+      if (start > cursor) segments.push({ text: text.slice(cursor, start), matched: false })
+      segments.push({ text: text.slice(start, end), matched: true })
+      cursor = end
+    }
+    if (cursor < text.length) segments.push({ text: text.slice(cursor), matched: false })
+    return segments
+  }
+
   /**
    * 取得統計資料
    *
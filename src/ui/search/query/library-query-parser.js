@@ -0,0 +1,390 @@
+'use strict'
+
+/**
+ * 書庫查詢語法解析器
+ *
+ * 將搜尋框輸入解析為查詢語法樹（AST），語法：
+ *
+ *   status:reading tag:科幻 author:"劉慈欣" progress:>50 -tag:已借出
+ *   (tag:科幻 OR tag:奇幻) updated:>=2026-01
+ *
+ * - 空白分隔的條件為 AND；大寫 OR 分隔的條件群組為 OR；括號可分組
+ * - 前綴「-」為否定，可作用於單一條件或括號群組
+ * - 雙引號包住含空白的值，\" 表示引號本身
+ * - progress 與日期欄位支援 > >= < <= = 比較
+ * - 未帶欄位的字詞為全文搜尋
+ *
+ * 本模組只處理語法與值的格式，不解析 tag 名稱、狀態等資料相依的值（由呼叫端編譯）。
+ * 解析錯誤以 { message, start, end } 回報（start / end 為輸入字串索引），供搜尋框就地顯示。
+ */
+
+const { t, defineLocalizedText } = require('../../../core/i18n/ui-i18n')
+
+/**
+ * 可查詢欄位
+ *
+ * valueType：
+ * - keyword：值由呼叫端比對既有資料（狀態、標籤、分類、書城）
+ * - text：欄位內文字包含比對
+ * - number / date：支援比較運算子
+ */
+const QUERY_FIELDS = Object.freeze({
+  status: defineLocalizedText({ description: 'overview.query.fields.status' }, { valueType: 'keyword', aliases: Object.freeze(['狀態']) }),
+  tag: defineLocalizedText({ description: 'overview.query.fields.tag' }, { valueType: 'keyword', aliases: Object.freeze(['標籤']) }),
+  category: defineLocalizedText({ description: 'overview.query.fields.category' }, { valueType: 'keyword', aliases: Object.freeze(['分類']) }),
+  source: defineLocalizedText({ description: 'overview.query.fields.source' }, { valueType: 'keyword', aliases: Object.freeze(['書城']) }),
+  title: defineLocalizedText({ description: 'overview.query.fields.title' }, { valueType: 'text', aliases: Object.freeze(['書名']) }),
+  author: defineLocalizedText({ description: 'overview.query.fields.author' }, { valueType: 'text', aliases: Object.freeze(['作者']) }),
+  publisher: defineLocalizedText({ description: 'overview.query.fields.publisher' }, { valueType: 'text', aliases: Object.freeze(['出版社']) }),
+  progress: defineLocalizedText({ description: 'overview.query.fields.progress' }, { valueType: 'number', aliases: Object.freeze(['進度']) }),
+  updated: defineLocalizedText({ description: 'overview.query.fields.updated' }, { valueType: 'date', aliases: Object.freeze(['更新']) }),
+  extracted: defineLocalizedText({ description: 'overview.query.fields.extracted' }, { valueType: 'date', aliases: Object.freeze(['提取']) })
+})
+
+const COMPARISON_OPERATORS = Object.freeze(['>=', '<=', '>', '<', '='])
+
+const OR_KEYWORD = 'OR'
+
+// 欄位名稱拼錯的容忍距離（超過則視為一般文字，例如「Re:Zero」）
+const FIELD_SUGGESTION_MAX_DISTANCE = 2
+
+const FIELD_NAME_LOOKUP = new Map()
+for (const [name, def] of Object.entries(QUERY_FIELDS)) {
+  FIELD_NAME_LOOKUP.set(name, name)
+  def.aliases.forEach(alias => FIELD_NAME_LOOKUP.set(alias, name))
+}
+
+/**
+ * 將欄位名稱或別名轉為標準欄位名稱
+ * @param {string} name
+ * @returns {string|null} 標準欄位名稱，未知時回傳 null
+ */
+function resolveQueryField (name) {
+  if (typeof name !== 'string') return null
+  return FIELD_NAME_LOOKUP.get(name.toLowerCase()) || FIELD_NAME_LOOKUP.get(name) || null
+}
+
+function isColon (char) {
+  return char === ':' || char === '：'
+}
+
+function isWhitespace (char) {
+  return /\s/.test(char)
+}
+
+function isTermBoundary (char) {
+  return char === undefined || isWhitespace(char) || char === '(' || char === ')'
+}
+
+function editDistance (a, b) {
+  const previous = Array.from({ length: b.length + 1 }, (_, j) => j)
+  for (let i = 1; i <= a.length; i++) {
+    let diagonal = previous[0]
+    previous[0] = i
+    for (let j = 1; j <= b.length; j++) {
+      const current = previous[j]
+      previous[j] = a[i - 1] === b[j - 1]
+        ? diagonal
+        : Math.min(diagonal, previous[j - 1], previous[j]) + 1
+      diagonal = current
+    }
+  }
+  return previous[b.length]
+}
+
+/**
+ * 找出最接近的欄位名稱（只比對英文欄位名）
+ * @param {string} name
+ * @returns {string|null}
+ */
+function suggestFieldName (name) {
+  if (!/^[a-z]{3,}$/i.test(name)) return null
+  let best = null
+  let bestDistance = Infinity
+  for (const field of Object.keys(QUERY_FIELDS)) {
+    const distance = editDistance(name.toLowerCase(), field)
+    if (distance < bestDistance) {
+      best = field
+      bestDistance = distance
+    }
+  }
+  return bestDistance <= FIELD_SUGGESTION_MAX_DISTANCE ? best : null
+}
+
+function queryError (message, start, end) {
+  return { message, start, end }
+}
+
+/**
+ * 讀取雙引號字串
+ * @param {string} input
+ * @param {number} start - 開頭引號索引
+ * @returns {{ value: string, end: number } | { error: Object }}
+ */
+function readQuoted (input, start) {
+  let value = ''
+  for (let i = start + 1; i < input.length; i++) {
+    const char = input[i]
+    if (char === '\\' && (input[i + 1] === '"' || input[i + 1] === '\\')) {
+      value += input[i + 1]
+      i++
+    } else if (char === '"') {
+      return { value, end: i + 1 }
+    } else {
+      value += char
+    }
+  }
+  return { error: queryError(t('overview.query.errors.unclosedQuote'), start, input.length) }
+}
+
+function readBareWord (input, start) {
+  let end = start
+  while (!isTermBoundary(input[end])) end++
+  return { value: input.slice(start, end), end }
+}
+
+/**
+ * 解析日期值為期間（本地時區）
+ *
+ * YYYY / YYYY-MM / YYYY-MM-DD 分別代表整年、整月、整日。
+ *
+ * @param {string} value
+ * @returns {{ from: number, to: number } | null} epoch 毫秒，to 為期間最後一毫秒
+ */
+function parseDatePeriod (value) {
+  const match = /^(\d{4})(?:-(\d{1,2})(?:-(\d{1,2}))?)?$/.exec(value)
+  if (!match) return null
+  const year = Number(match[1])
+  const month = match[2] ? Number(match[2]) : null
+  const day = match[3] ? Number(match[3]) : null
+
+  if (month !== null && (month < 1 || month > 12)) return null
+  const from = new Date(year, month === null ? 0 : month - 1, day === null ? 1 : day)
+  if (day !== null && from.getDate() !== day) return null
+
+  const next = day !== null
+    ? new Date(year, month - 1, day + 1)
+    : month !== null ? new Date(year, month, 1) : new Date(year + 1, 0, 1)
+  return { from: from.getTime(), to: next.getTime() - 1 }
+}
+
+/**
+ * 驗證欄位條件的運算子與值，補上解析後的數值 / 期間
+ * @returns {Object|null} 錯誤，無錯誤回傳 null
+ */
+function validateFieldTerm (term) {
+  const { valueType } = QUERY_FIELDS[term.field]
+
+  if (term.op !== '=' && valueType !== 'number' && valueType !== 'date') {
+    return queryError(t('overview.query.errors.unsupportedOperator', { field: term.fieldName, op: term.op }), term.start, term.end)
+  }
+
+  if (valueType === 'number') {
+    const match = /^(\d+(?:\.\d+)?)%?$/.exec(term.value)
+    const number = match ? Number(match[1]) : NaN
+    if (isNaN(number) || number > 100) {
+      return queryError(t('overview.query.errors.invalidProgress', { field: term.fieldName }), term.start, term.end)
+    }
+    term.number = number
+  }
+
+  if (valueType === 'date') {
+    const period = parseDatePeriod(term.value)
+    if (!period) {
+      return queryError(t('overview.query.errors.invalidDate', { field: term.fieldName }), term.start, term.end)
+    }
+    term.period = period
+  }
+
+  return null
+}
+
+/**
+ * 讀取單一條件（欄位條件或全文字詞）
+ * @returns {{ token: Object, end: number } | { error: Object }}
+ */
+function readTerm (input, start) {
+  if (input[start] === '"') {
+    const quoted = readQuoted(input, start)
+    if (quoted.error) return quoted
+    return {
+      token: { kind: 'term', field: null, op: '=', value: quoted.value, quoted: true, start, end: quoted.end },
+      end: quoted.end
+    }
+  }
+
+  let nameEnd = start
+  while (!isTermBoundary(input[nameEnd]) && !isColon(input[nameEnd]) && input[nameEnd] !== '"') nameEnd++
+  const fieldName = input.slice(start, nameEnd)
+
+  if (fieldName && isColon(input[nameEnd])) {
+    const field = resolveQueryField(fieldName)
+
+    if (field) {
+      let cursor = nameEnd + 1
+      const op = COMPARISON_OPERATORS.find(candidate => input.startsWith(candidate, cursor)) || '='
+      if (input.startsWith(op, cursor)) cursor += op.length
+
+      const read = input[cursor] === '"' ? readQuoted(input, cursor) : readBareWord(input, cursor)
+      if (read.error) return read
+      const quoted = input[cursor] === '"'
+      if (!quoted && read.value === '') {
+        return { error: queryError(t('overview.query.errors.missingValue', { field: fieldName }), start, read.end) }
+      }
+
+      const term = { kind: 'term', field, fieldName, op, value: read.value, quoted, start, end: read.end }
+      const error = validateFieldTerm(term)
+      if (error) return { error }
+      return { token: term, end: read.end }
+    }
+
+    const suggestion = suggestFieldName(fieldName)
+    if (suggestion) {
+      return { error: queryError(t('overview.query.errors.unknownField', { field: fieldName, suggestion }), start, nameEnd + 1) }
+    }
+  }
+
+  // 一般字詞（含冒號的未知欄位視為文字，例如「Re:Zero」）
+  const word = readBareWord(input, start)
+  if (word.value === OR_KEYWORD) {
+    return { token: { kind: 'or', start, end: word.end }, end: word.end }
+  }
+  return {
+    token: { kind: 'term', field: null, op: '=', value: word.value, quoted: false, start, end: word.end },
+    end: word.end
+  }
+}
+
+/**
+ * 斷詞
+ * @param {string} input
+ * @returns {{ tokens: Array<Object>, error: Object|null }}
+ */
+function tokenize (input) {
+  const tokens = []
+  let i = 0
+
+  while (i < input.length) {
+    const char = input[i]
+    if (isWhitespace(char)) {
+      i++
+    } else if (char === '(' || char === ')') {
+      tokens.push({ kind: char === '(' ? 'lparen' : 'rparen', start: i, end: i + 1 })
+      i++
+    } else if (char === '-') {
+      if (isWhitespace(input[i + 1]) || input[i + 1] === undefined || input[i + 1] === ')') {
+        return { tokens, error: queryError(t('overview.query.errors.missingAfterNegation'), i, i + 1) }
+      }
+      tokens.push({ kind: 'not', start: i, end: i + 1 })
+      i++
+    } else {
+      const read = readTerm(input, i)
+      if (read.error) return { tokens, error: read.error }
+      tokens.push(read.token)
+      i = read.end
+    }
+  }
+
+  return { tokens, error: null }
+}
+
+/**
+ * 遞迴下降語法分析
+ *
+ *   or    := and ( OR and )*
+ *   and   := unary+
+ *   unary := '-' unary | '(' or ')' | term
+ */
+function createTokenParser (tokens, inputLength) {
+  let position = 0
+
+  const peek = () => tokens[position]
+  const fail = (message, start, end) => {
+    const error = new Error(message)
+    error.queryError = queryError(message, start, end)
+    throw error
+  }
+
+  function parseOr () {
+    const children = [parseAnd()]
+    while (peek() && peek().kind === 'or') {
+      const orToken = tokens[position++]
+      if (!peek() || peek().kind === 'or' || peek().kind === 'rparen') {
+        fail(t('overview.query.errors.missingAfterOr'), orToken.start, orToken.end)
+      }
+      children.push(parseAnd())
+    }
+    return children.length === 1 ? children[0] : { type: 'or', children }
+  }
+
+  function parseAnd () {
+    const children = []
+    while (peek() && peek().kind !== 'or' && peek().kind !== 'rparen') {
+      children.push(parseUnary())
+    }
+    if (children.length === 0) {
+      const token = peek()
+      if (token && token.kind === 'or') fail(t('overview.query.errors.missingBeforeOr'), token.start, token.end)
+      fail(t('overview.query.errors.emptyGroup'), token ? token.start : inputLength, token ? token.end : inputLength)
+    }
+    return children.length === 1 ? children[0] : { type: 'and', children }
+  }
+
+  function parseUnary () {
+    const token = tokens[position++]
+    if (token.kind === 'not') {
+      if (!peek() || peek().kind === 'or' || peek().kind === 'rparen') {
+        fail(t('overview.query.errors.missingAfterNegation'), token.start, token.end)
+      }
+      return { type: 'not', child: parseUnary() }
+    }
+    if (token.kind === 'lparen') {
+      const inner = parseOr()
+      const closing = tokens[position++]
+      if (!closing || closing.kind !== 'rparen') {
+        fail(t('overview.query.errors.unclosedGroup'), token.start, inputLength)
+      }
+      return inner
+    }
+    const { kind, ...term } = token
+    return { type: 'term', ...term }
+  }
+
+  return {
+    parse () {
+      const ast = parseOr()
+      if (peek()) {
+        fail(t('overview.query.errors.unexpectedClose'), peek().start, peek().end)
+      }
+      return ast
+    }
+  }
+}
+
+/**
+ * 解析書庫查詢字串
+ *
+ * @param {string} input - 搜尋框輸入
+ * @returns {{ valid: boolean, ast: Object|null, errors: Array<{ message: string, start: number, end: number }> }}
+ *   ast 節點：{ type: 'and'|'or', children } / { type: 'not', child } /
+ *   { type: 'term', field, fieldName, op, value, quoted, number?, period?, start, end }（field 為 null 表示全文字詞）
+ */
+function parseLibraryQuery (input) {
+  const text = typeof input === 'string' ? input : ''
+  const { tokens, error } = tokenize(text)
+  if (error) {
+    return { valid: false, ast: null, errors: [error] }
+  }
+  if (tokens.length === 0) {
+    return { valid: true, ast: null, errors: [] }
+  }
+
+  try {
+    return { valid: true, ast: createTokenParser(tokens, text.length).parse(), errors: [] }
+  } catch (parseError) {
+    if (!parseError.queryError) throw parseError
+    return { valid: false, ast: null, errors: [parseError.queryError] }
+  }
+}
+
+module.exports = { parseLibraryQuery, resolveQueryField, QUERY_FIELDS, COMPARISON_OPERATORS }
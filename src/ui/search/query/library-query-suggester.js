@@ -0,0 +1,119 @@
+'use strict'
+
+const { resolveQueryField, QUERY_FIELDS, COMPARISON_OPERATORS } = require('./library-query-parser')
+
+const SUGGESTER_DEFAULTS = Object.freeze({
+  LIMIT: 8
+})
+
+/**
+ * 值需要加引號的字元：空白、括號、引號，或開頭為否定符號
+ */
+function quoteIfNeeded (value) {
+  if (!/[\s()"]/.test(value) && !value.startsWith('-')) return value
+  return `"${value.replace(/\\/g, '\\\\').replace(/"/g, '\\"')}"`
+}
+
+/**
+ * 找出游標所在（輸入結尾）條件的起始索引；引號內的空白不視為分隔
+ * @param {string} input
+ * @returns {number}
+ */
+function findCurrentTermStart (input) {
+  let start = 0
+  let inQuote = false
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i]
+    if (char === '\\' && inQuote) {
+      i++
+    } else if (char === '"') {
+      inQuote = !inQuote
+    } else if (!inQuote && (/\s/.test(char) || char === '(' || char === ')')) {
+      start = i + 1
+    }
+  }
+  return start
+}
+
+function normalizeCandidate (candidate) {
+  return typeof candidate === 'string'
+    ? { value: candidate, label: candidate }
+    : { value: String(candidate.value), label: candidate.label || String(candidate.value) }
+}
+
+/**
+ * 依部分輸入排序候選：開頭相符優先，其次包含
+ */
+function rankCandidates (candidates, partial) {
+  const needle = partial.toLowerCase()
+  const prefixed = []
+  const contained = []
+  for (const candidate of candidates) {
+    const haystacks = [candidate.value, candidate.label].map(text => text.toLowerCase())
+    if (haystacks.some(text => text.startsWith(needle))) {
+      prefixed.push(candidate)
+    } else if (haystacks.some(text => text.includes(needle))) {
+      contained.push(candidate)
+    }
+  }
+  return [...prefixed, ...contained]
+}
+
+/**
+ * 產生搜尋框自動完成建議
+ *
+ * 只補全輸入結尾的條件：
+ * - 未輸入冒號時補全欄位名稱（status: / tag: / 作者: ...）
+ * - 已輸入「欄位:」時補全該欄位的值（狀態、標籤名稱、分類、書城）
+ * 建議值為補全後的完整查詢字串，可直接寫回搜尋框。
+ *
+ * @param {string} input - 目前搜尋框內容
+ * @param {Object<string, Array<string|{value: string, label?: string}>>} valuesByField - 標準欄位名稱 → 可選值
+ * @param {Object} [options]
+ * @param {number} [options.limit] - 建議數量上限
+ * @returns {Array<{ value: string, label: string }>}
+ */
+function suggestQueryCompletions (input, valuesByField = {}, options = {}) {
+  const text = typeof input === 'string' ? input : ''
+  const limit = options.limit || SUGGESTER_DEFAULTS.LIMIT
+  const termStart = findCurrentTermStart(text)
+  const before = text.slice(0, termStart)
+  let term = text.slice(termStart)
+  let negation = ''
+
+  if (term.startsWith('-')) {
+    negation = '-'
+    term = term.slice(1)
+  }
+
+  const fieldMatch = /^([^:：\s"]+)([:：])(.*)$/.exec(term)
+  if (fieldMatch) {
+    const [, fieldName, colon, rest] = fieldMatch
+    const field = resolveQueryField(fieldName)
+    if (!field) return []
+
+    const op = COMPARISON_OPERATORS.find(candidate => rest.startsWith(candidate)) || ''
+    const partial = rest.slice(op.length).replace(/^"/, '')
+    const candidates = (valuesByField[field] || []).map(normalizeCandidate)
+
+    return rankCandidates(candidates, partial)
+      .slice(0, limit)
+      .map(candidate => ({
+        value: `${before}${negation}${fieldName}${colon}${op}${quoteIfNeeded(candidate.value)} `,
+        label: candidate.label
+      }))
+  }
+
+  if (term === '') return []
+
+  const suggestions = []
+  for (const [field, def] of Object.entries(QUERY_FIELDS)) {
+    const name = [field, ...def.aliases].find(candidate => candidate.toLowerCase().startsWith(term.toLowerCase()))
+    if (name) {
+      suggestions.push({ value: `${before}${negation}${name}:`, label: def.description })
+    }
+  }
+  return suggestions.slice(0, limit)
+}
+
+module.exports = { suggestQueryCompletions, SUGGESTER_DEFAULTS }
@@ -0,0 +1,105 @@
+/**
+ * Compression Streams API 位元組工具
+ *
+ * 業務情境：
+ * - ZIP 匯出 / 匯入需要 raw DEFLATE（無 zlib / gzip header）壓縮與解壓縮
+ * - Chrome 80+ 原生提供 CompressionStream / DecompressionStream（'gzip' / 'deflate' / 'deflate-raw'），
+ *   不需打包第三方壓縮函式庫
+ *
+ * 設計決策：
+ * - 僅包裝「整段位元組 → 整段位元組」的轉換；串流式處理不在範圍內（匯出檔案皆可整段放入記憶體）
+ * - 是否可用由 caller 以 isCompressionSupported 判斷後決定退路（例如 ZIP 改用 stored），
+ *   本模組不自行降級
+ */
+
+/**
+ * 判斷執行環境是否支援指定格式的壓縮串流
+ *
+ * @param {'gzip'|'deflate'|'deflate-raw'} format - 壓縮格式
+ * @returns {boolean}
+ */
+function isCompressionSupported (format) {
+  if (typeof CompressionStream === 'undefined' || typeof DecompressionStream === 'undefined') {
+    return false
+  }
+  try {
+    // eslint-disable-next-line no-new
+    new CompressionStream(format)
+    return true
+  } catch (error) {
+    return false
+  }
+}
+
+/**
+ * 將位元組寫入 transform stream 並收集全部輸出
+ *
+ * @param {Uint8Array} bytes - 輸入位元組
+ * @param {{ writable: WritableStream, readable: ReadableStream }} transform - CompressionStream / DecompressionStream
+ * @param {number} [maxLength=Infinity] - 輸出位元組上限；超過即取消串流
+ * @returns {Promise<Uint8Array>} 轉換後位元組
+ * @throws {RangeError} 輸出超過 maxLength
+ */
+async function pipeThroughTransform (bytes, transform, maxLength = Infinity) {
+  const writer = transform.writable.getWriter()
+  const writeDone = writer.write(bytes).then(() => writer.close())
+  // 讀取端先失敗時（資料損毀）寫入端同樣 reject；預先掛 handler 避免 unhandled rejection，
+  // 錯誤仍由讀取迴圈或下方 await writeDone 拋出
+  writeDone.catch(() => {})
+
+  const reader = transform.readable.getReader()
+  const chunks = []
+  let totalLength = 0
+  for (;;) {
+    const { value, done } = await reader.read()
+    if (done) break
+    totalLength += value.length
+    if (totalLength > maxLength) {
+      // 不再讀取剩餘輸出：高壓縮比資料（zip bomb）不會整段展開進記憶體
+      await reader.cancel().catch(() => {})
+      throw new RangeError(`輸出超過上限 ${maxLength} bytes`)
+    }
+    chunks.push(value)
+  }
+  await writeDone
+
+  const result = new Uint8Array(totalLength)
+  let offset = 0
+  for (const chunk of chunks) {
+    result.set(chunk, offset)
+    offset += chunk.length
+  }
+  return result
+}
+
+/**
+ * 壓縮位元組
+ *
+ * @param {Uint8Array} bytes - 原始位元組
+ * @param {'gzip'|'deflate'|'deflate-raw'} [format='deflate-raw'] - 壓縮格式
+ * @returns {Promise<Uint8Array>} 壓縮後位元組
+ */
+function compressBytes (bytes, format = 'deflate-raw') {
+  return pipeThroughTransform(bytes, new CompressionStream(format))
+}
+
+/**
+ * 解壓縮位元組
+ *
+ * @param {Uint8Array} bytes - 壓縮位元組
+ * @param {'gzip'|'deflate'|'deflate-raw'} [format='deflate-raw'] - 壓縮格式
+ * @param {Object} [options]
+ * @param {number} [options.maxLength] - 解壓縮後位元組上限（不可信任的輸入應指定）
+ * @returns {Promise<Uint8Array>} 解壓縮後位元組
+ * @throws {TypeError} 壓縮資料損毀時由 DecompressionStream 拋出
+ * @throws {RangeError} 解壓縮後超過 options.maxLength
+ */
+function decompressBytes (bytes, format = 'deflate-raw', options = {}) {
+  return pipeThroughTransform(bytes, new DecompressionStream(format), options.maxLength)
+}
+
+module.exports = {
+  isCompressionSupported,
+  compressBytes,
+  decompressBytes
+}
@@ -0,0 +1,49 @@
+/**
+ * CRC32 校驗工具（IEEE 802.3 多項式 0xEDB88320）
+ *
+ * 共用於 QR 同步幀（src/sync/qr-encoder.js）與 ZIP 容器（src/export/zip-writer.js）。
+ * 兩者的校驗值必須與外部實作（App 端解碼器、unzip / Excel）逐位元一致，
+ * 故集中於單一實作避免查找表或位移邏輯各自漂移。
+ */
+
+// 查找表（模組層級常數，載入時計算一次）
+const CRC32_TABLE = buildCRC32Table()
+
+/**
+ * 計算 CRC32 校驗值（32-bit unsigned）。
+ *
+ * 傳入 previous 可對分段資料累計計算：
+ * calculateCRC32(b, calculateCRC32(a)) === calculateCRC32(a + b)
+ *
+ * @param {Uint8Array} data - 輸入位元組
+ * @param {number} [previous=0] - 前一段資料的 CRC32 值
+ * @returns {number} CRC32 值（0 ~ 0xFFFFFFFF）
+ */
+function calculateCRC32 (data, previous = 0) {
+  let crc = (previous ^ 0xFFFFFFFF) >>> 0
+  for (let i = 0; i < data.length; i++) {
+    crc = CRC32_TABLE[(crc ^ data[i]) & 0xFF] ^ (crc >>> 8)
+  }
+  return (crc ^ 0xFFFFFFFF) >>> 0
+}
+
+/**
+ * 建構 CRC32 查找表（256 entries）。
+ *
+ * @returns {Uint32Array} 256 entry 查找表
+ */
+function buildCRC32Table () {
+  const table = new Uint32Array(256)
+  for (let i = 0; i < 256; i++) {
+    let c = i
+    for (let j = 0; j < 8; j++) {
+      c = (c & 1) ? (0xEDB88320 ^ (c >>> 1)) : (c >>> 1)
+    }
+    table[i] = c >>> 0
+  }
+  return table
+}
+
+module.exports = {
+  calculateCRC32
+}
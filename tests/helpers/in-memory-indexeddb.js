@@ -0,0 +1,229 @@
+/**
+ * 記憶體版 IndexedDB 測試輔助
+ *
+ * jsdom 未實作 IndexedDB；本檔只實作 IndexedDBBookStore 用到的子集：
+ * open（onupgradeneeded / onsuccess）、createObjectStore（inline keyPath）、createIndex（含 multiEntry）、
+ * transaction（readonly / readwrite、oncomplete / onabort、abort）、
+ * objectStore 的 get / getAll / count / put / delete / clear 與 index.getAll。
+ *
+ * transaction 語意：request 於下一個 macrotask 依序執行，寫入先套用在工作副本，
+ * 全部 request 完成後才 commit；任一 request 失敗或呼叫 abort 則丟棄工作副本。
+ *
+ * 使用方式：
+ * ```javascript
+ * const { createInMemoryIndexedDB } = require('@tests/helpers/in-memory-indexeddb')
+ * const idb = createInMemoryIndexedDB()
+ * const store = new IndexedDBBookStore({ indexedDB: idb })
+ * idb.failPut = (value) => value.id === 'b2' // 模擬單筆寫入失敗
+ * ```
+ */
+
+'use strict'
+
+function clone (value) {
+  return value === undefined ? undefined : JSON.parse(JSON.stringify(value))
+}
+
+function createDomError (name, message) {
+  const error = new Error(message)
+  error.name = name
+  return error
+}
+
+/** IndexedDB key 排序：number < string */
+function compareKeys (a, b) {
+  if (typeof a !== typeof b) return typeof a === 'number' ? -1 : 1
+  if (a < b) return -1
+  return a > b ? 1 : 0
+}
+
+function sortedValues (records) {
+  return [...records.entries()]
+    .sort(([a], [b]) => compareKeys(a, b))
+    .map(([, value]) => clone(value))
+}
+
+function createRequest () {
+  return { result: undefined, error: null, onsuccess: null, onerror: null }
+}
+
+function createTransaction (database, storeNames, mode) {
+  const working = new Map(storeNames.map(name => {
+    if (!database.stores.has(name)) throw createDomError('NotFoundError', `No object store: ${name}`)
+    return [name, new Map(database.stores.get(name).records)]
+  }))
+  const queue = []
+  let finished = false
+
+  const tx = { mode, error: null, oncomplete: null, onabort: null, onerror: null }
+
+  function finish (aborted) {
+    if (finished) return
+    finished = true
+    if (aborted) {
+      if (tx.onabort) tx.onabort()
+      return
+    }
+    if (mode === 'readwrite') {
+      working.forEach((records, name) => { database.stores.get(name).records = records })
+    }
+    if (tx.oncomplete) tx.oncomplete()
+  }
+
+  function processQueue () {
+    while (queue.length > 0 && !finished) {
+      const { request, run } = queue.shift()
+      try {
+        request.result = run()
+      } catch (error) {
+        request.error = error
+        tx.error = error
+        if (request.onerror) request.onerror()
+        finish(true)
+        return
+      }
+      if (request.onsuccess) request.onsuccess()
+    }
+    finish(false)
+  }
+
+  function enqueue (run) {
+    if (finished) throw createDomError('TransactionInactiveError', 'Transaction has finished')
+    const request = createRequest()
+    if (queue.length === 0) setTimeout(processQueue, 0)
+    queue.push({ request, run })
+    return request
+  }
+
+  function requireWritable () {
+    if (mode !== 'readwrite') throw createDomError('ReadOnlyError', 'Transaction is read-only')
+  }
+
+  tx.abort = () => {
+    if (finished) throw createDomError('InvalidStateError', 'Transaction has finished')
+    tx.error = tx.error || createDomError('AbortError', 'Transaction aborted')
+    queue.length = 0
+    setTimeout(() => finish(true), 0)
+  }
+
+  tx.objectStore = (name) => {
+    if (!working.has(name)) throw createDomError('NotFoundError', `Store not in transaction: ${name}`)
+    const schema = database.stores.get(name)
+    const records = () => working.get(name)
+
+    return {
+      get: (key) => enqueue(() => clone(records().get(key))),
+      getAll: () => enqueue(() => sortedValues(records())),
+      count: () => enqueue(() => records().size),
+      put: (value) => {
+        requireWritable()
+        const key = value ? value[schema.keyPath] : undefined
+        if (typeof key !== 'string' && typeof key !== 'number') {
+          throw createDomError('DataError', 'Evaluating the object store key path did not yield a value')
+        }
+        const stored = clone(value)
+        return enqueue(() => {
+          if (database.factory.failPut && database.factory.failPut(stored)) {
+            throw createDomError('ConstraintError', `Simulated put failure: ${key}`)
+          }
+          records().set(key, stored)
+          return key
+        })
+      },
+      delete: (key) => {
+        requireWritable()
+        return enqueue(() => { records().delete(key) })
+      },
+      clear: () => {
+        requireWritable()
+        return enqueue(() => { records().clear() })
+      },
+      index: (indexName) => {
+        const index = schema.indexes.get(indexName)
+        if (!index) throw createDomError('NotFoundError', `No index: ${indexName}`)
+        return {
+          getAll: (query) => enqueue(() => {
+            const matched = new Map()
+            records().forEach((value, key) => {
+              const indexed = value[index.keyPath]
+              const hit = index.multiEntry && Array.isArray(indexed)
+                ? indexed.includes(query)
+                : indexed === query
+              if (hit) matched.set(key, value)
+            })
+            return sortedValues(matched)
+          })
+        }
+      }
+    }
+  }
+
+  return tx
+}
+
+function createConnection (database) {
+  const connection = {
+    version: database.version,
+    onversionchange: null,
+    closed: false,
+    createObjectStore (name, options = {}) {
+      const schema = { keyPath: options.keyPath, indexes: new Map(), records: new Map() }
+      database.stores.set(name, schema)
+      return {
+        createIndex (indexName, keyPath, indexOptions = {}) {
+          schema.indexes.set(indexName, { keyPath, multiEntry: Boolean(indexOptions.multiEntry) })
+        }
+      }
+    },
+    transaction (storeNames, mode = 'readonly') {
+      if (connection.closed) throw createDomError('InvalidStateError', 'Connection is closed')
+      const names = Array.isArray(storeNames) ? storeNames : [storeNames]
+      return createTransaction(database, names, mode)
+    },
+    close () {
+      connection.closed = true
+    }
+  }
+  return connection
+}
+
+/**
+ * 建立記憶體版 IndexedDB factory
+ *
+ * @returns {{ open: Function, failPut: Function|null, databases: Map }}
+ */
+function createInMemoryIndexedDB () {
+  const factory = {
+    databases: new Map(),
+    /** 設定後，回傳 true 的 put 於執行時失敗並使 transaction abort */
+    failPut: null,
+    open (name, version = 1) {
+      const request = createRequest()
+      request.onupgradeneeded = null
+      setTimeout(() => {
+        let database = factory.databases.get(name)
+        const oldVersion = database ? database.version : 0
+        if (!database) {
+          database = { factory, version: 0, stores: new Map() }
+          factory.databases.set(name, database)
+        }
+        if (version < oldVersion) {
+          request.error = createDomError('VersionError', 'Requested version is lower than current')
+          if (request.onerror) request.onerror()
+          return
+        }
+        request.result = createConnection(database)
+        if (version > oldVersion) {
+          database.version = version
+          request.result.version = version
+          if (request.onupgradeneeded) request.onupgradeneeded({ oldVersion, newVersion: version })
+        }
+        if (request.onsuccess) request.onsuccess()
+      }, 0)
+      return request
+    }
+  }
+  return factory
+}
+
+module.exports = { createInMemoryIndexedDB }
@@ -0,0 +1,216 @@
+/**
+ * 測試用最小 TrueType 字型產生器
+ *
+ * 產出可被 src/export/truetype-font 解析的 sfnt 位元組（外框資料僅為結構正確的佔位內容），
+ * 避免測試依賴系統字型或將數 MB 的中文字型放入 repo。
+ *
+ * glyph 配置：
+ * - 0 .notdef（simple）
+ * - 1 'A'（simple，advance 600）
+ * - 2 '三'（simple，advance 1000）
+ * - 3 '體'（composite，引用 glyph 2 與 4）
+ * - 4 component-only（不在 cmap）
+ * - 5 '書'（simple，不同於其他測試字元，用於驗證子集排除）
+ *
+ * 使用方式：
+ * ```javascript
+ * const { buildTestFont, TEST_FONT_GLYPHS } = require('@tests/helpers/truetype-test-font')
+ * const font = new TrueTypeFont(buildTestFont())
+ * ```
+ */
+
+'use strict'
+
+const UNITS_PER_EM = 1000
+
+const TEST_FONT_GLYPHS = Object.freeze({
+  NOTDEF: 0,
+  LATIN_A: 1,
+  CJK_SAN: 2,
+  CJK_TI_COMPOSITE: 3,
+  COMPONENT: 4,
+  CJK_SHU: 5
+})
+
+const ADVANCE_WIDTHS = [500, 600, 1000, 1000, 1000, 1000]
+
+// code point → glyph id（依 code point 排序，供 cmap format 4 分段）
+const CMAP = [
+  [0x41, TEST_FONT_GLYPHS.LATIN_A],
+  [0x4E09, TEST_FONT_GLYPHS.CJK_SAN],
+  [0x66F8, TEST_FONT_GLYPHS.CJK_SHU],
+  [0x9AD4, TEST_FONT_GLYPHS.CJK_TI_COMPOSITE]
+]
+
+function bytesOf (size, fill) {
+  const bytes = new Uint8Array(size)
+  const view = new DataView(bytes.buffer)
+  fill(view)
+  return bytes
+}
+
+// simple glyph：numberOfContours=1 + bbox + 佔位內容（長度不同以便辨識）
+function simpleGlyph (marker, length) {
+  return bytesOf(length, view => {
+    view.setInt16(0, 1)
+    view.setInt16(6, 500)
+    view.setInt16(8, 700)
+    for (let i = 10; i < length; i++) view.setUint8(i, marker)
+  })
+}
+
+// composite glyph：兩個 component，第一個使用 word 參數 + scale
+function compositeGlyph (firstComponent, secondComponent) {
+  return bytesOf(30, view => {
+    view.setInt16(0, -1)
+    // component 1：ARG_1_AND_2_ARE_WORDS | WE_HAVE_A_SCALE | MORE_COMPONENTS
+    view.setUint16(10, 0x0001 | 0x0008 | 0x0020)
+    view.setUint16(12, firstComponent)
+    view.setInt16(14, 0)
+    view.setInt16(16, 0)
+    view.setInt16(18, 0x4000)
+    // component 2：byte 參數、無 scale
+    view.setUint16(20, 0x0000)
+    view.setUint16(22, secondComponent)
+    view.setInt8(24, 10)
+    view.setInt8(25, 10)
+  })
+}
+
+function buildGlyphs () {
+  return [
+    simpleGlyph(0xA0, 12),
+    simpleGlyph(0xA1, 14),
+    simpleGlyph(0xA2, 16),
+    compositeGlyph(TEST_FONT_GLYPHS.CJK_SAN, TEST_FONT_GLYPHS.COMPONENT),
+    simpleGlyph(0xA4, 12),
+    simpleGlyph(0xA5, 18)
+  ]
+}
+
+function buildCmap () {
+  const segments = [...CMAP.map(([code, glyphId]) => ({ start: code, end: code, glyphId })), { start: 0xFFFF, end: 0xFFFF, glyphId: 0 }]
+  const segCount = segments.length
+  const subtableLength = 16 + segCount * 8
+  const subtable = bytesOf(subtableLength, view => {
+    view.setUint16(0, 4)
+    view.setUint16(2, subtableLength)
+    view.setUint16(6, segCount * 2)
+    segments.forEach((segment, i) => {
+      view.setUint16(14 + i * 2, segment.end)
+      view.setUint16(16 + segCount * 2 + i * 2, segment.start)
+      const delta = segment.start === 0xFFFF ? 1 : (segment.glyphId - segment.start) & 0xFFFF
+      view.setUint16(16 + segCount * 4 + i * 2, delta)
+      view.setUint16(16 + segCount * 6 + i * 2, 0)
+    })
+  })
+
+  const header = bytesOf(12, view => {
+    view.setUint16(2, 1)
+    view.setUint16(4, 3) // platform Windows
+    view.setUint16(6, 1) // Unicode BMP
+    view.setUint32(8, 12)
+  })
+  const cmap = new Uint8Array(header.length + subtable.length)
+  cmap.set(header)
+  cmap.set(subtable, header.length)
+  return cmap
+}
+
+function buildName (postScriptName) {
+  const stringBytes = new Uint8Array(postScriptName.length * 2)
+  const stringView = new DataView(stringBytes.buffer)
+  for (let i = 0; i < postScriptName.length; i++) stringView.setUint16(i * 2, postScriptName.charCodeAt(i))
+
+  const name = new Uint8Array(18 + stringBytes.length)
+  const view = new DataView(name.buffer)
+  view.setUint16(2, 1)
+  view.setUint16(4, 18)
+  view.setUint16(6, 3)
+  view.setUint16(8, 1)
+  view.setUint16(10, 0x0409)
+  view.setUint16(12, 6)
+  view.setUint16(14, stringBytes.length)
+  view.setUint16(16, 0)
+  name.set(stringBytes, 18)
+  return name
+}
+
+/**
+ * 產生測試字型
+ *
+ * @param {Object} [options]
+ * @param {string} [options.postScriptName='TestSans-Regular'] - name table PostScript 名稱
+ * @param {number} [options.sfntVersion=0x00010000] - 可改為 0x4F54544F（'OTTO'）測試 CFF 拒絕
+ * @returns {Uint8Array}
+ */
+function buildTestFont (options = {}) {
+  const glyphs = buildGlyphs()
+  const numGlyphs = glyphs.length
+
+  const glyfLength = glyphs.reduce((sum, glyph) => sum + glyph.length, 0)
+  const glyf = new Uint8Array(glyfLength)
+  const loca = new Uint8Array((numGlyphs + 1) * 2)
+  const locaView = new DataView(loca.buffer)
+  let offset = 0
+  glyphs.forEach((glyph, i) => {
+    locaView.setUint16(i * 2, offset / 2)
+    glyf.set(glyph, offset)
+    offset += glyph.length
+  })
+  locaView.setUint16(numGlyphs * 2, offset / 2)
+
+  const tables = {
+    head: bytesOf(54, view => {
+      view.setUint32(0, 0x00010000)
+      view.setUint32(12, 0x5F0F3CF5)
+      view.setUint16(18, UNITS_PER_EM)
+      view.setInt16(36, -50)
+      view.setInt16(38, -120)
+      view.setInt16(40, 1000)
+      view.setInt16(42, 880)
+      view.setInt16(50, 0)
+    }),
+    hhea: bytesOf(36, view => {
+      view.setUint32(0, 0x00010000)
+      view.setInt16(4, 880)
+      view.setInt16(6, -120)
+      view.setUint16(34, numGlyphs)
+    }),
+    maxp: bytesOf(6, view => {
+      view.setUint32(0, 0x00005000)
+      view.setUint16(4, numGlyphs)
+    }),
+    hmtx: bytesOf(numGlyphs * 4, view => {
+      ADVANCE_WIDTHS.forEach((width, i) => view.setUint16(i * 4, width))
+    }),
+    cmap: buildCmap(),
+    loca,
+    glyf,
+    name: buildName(options.postScriptName || 'TestSans-Regular')
+  }
+
+  const tags = Object.keys(tables).sort()
+  const directorySize = 12 + tags.length * 16
+  const totalSize = tags.reduce((sum, tag) => sum + ((tables[tag].length + 3) & ~3), directorySize)
+  const output = new Uint8Array(totalSize)
+  const view = new DataView(output.buffer)
+  view.setUint32(0, options.sfntVersion || 0x00010000)
+  view.setUint16(4, tags.length)
+
+  let tableOffset = directorySize
+  tags.forEach((tag, i) => {
+    const record = 12 + i * 16
+    for (let j = 0; j < 4; j++) output[record + j] = tag.charCodeAt(j)
+    view.setUint32(record + 8, tableOffset)
+    view.setUint32(record + 12, tables[tag].length)
+    output.set(tables[tag], tableOffset)
+    tableOffset += (tables[tag].length + 3) & ~3
+  })
+  return output
+}
+
+module.exports = {
+  buildTestFont,
+  TEST_FONT_GLYPHS
+}
@@ -0,0 +1,69 @@
+/**
+ * ZIP 測試讀取輔助函數
+ *
+ * 依 central directory 解析 zip-writer 產出的 stored entries，供匯出測試驗證
+ * 封存內容（XLSX parts、匯出套件檔案）而不引入第三方 unzip 套件。
+ *
+ * 使用方式：
+ * ```javascript
+ * const { readStoredEntries, readStoredText } = require('@tests/helpers/zip-test-reader')
+ * const entries = readStoredEntries(new Uint8Array(arrayBuffer))
+ * const xml = readStoredText(entries, 'xl/workbook.xml')
+ * ```
+ */
+
+'use strict'
+
+/**
+ * 依 central directory 解析 stored entries
+ *
+ * @param {Uint8Array} bytes - ZIP 位元組
+ * @returns {Array<{name: string, flags: number, method: number, crc32: number, localSignature: number, data: Uint8Array}>}
+ */
+function readStoredEntries (bytes) {
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength)
+  const eocd = bytes.length - 22
+  const count = view.getUint16(eocd + 10, true)
+  let offset = view.getUint32(eocd + 16, true)
+  const entries = []
+
+  for (let i = 0; i < count; i++) {
+    const flags = view.getUint16(offset + 8, true)
+    const method = view.getUint16(offset + 10, true)
+    const crc32 = view.getUint32(offset + 16, true)
+    const size = view.getUint32(offset + 24, true)
+    const nameLength = view.getUint16(offset + 28, true)
+    const localOffset = view.getUint32(offset + 42, true)
+    const name = new TextDecoder().decode(bytes.subarray(offset + 46, offset + 46 + nameLength))
+    const localNameLength = view.getUint16(localOffset + 26, true)
+    const dataStart = localOffset + 30 + localNameLength
+    entries.push({
+      name,
+      flags,
+      method,
+      crc32,
+      localSignature: view.getUint32(localOffset, true),
+      data: bytes.subarray(dataStart, dataStart + size)
+    })
+    offset += 46 + nameLength
+  }
+
+  return entries
+}
+
+/**
+ * 取得指定 entry 的 UTF-8 文字內容
+ *
+ * @param {Array} entries - readStoredEntries 結果
+ * @param {string} name - entry 名稱
+ * @returns {string|null} entry 不存在時回傳 null
+ */
+function readStoredText (entries, name) {
+  const entry = entries.find(e => e.name === name)
+  return entry ? new TextDecoder().decode(entry.data) : null
+}
+
+module.exports = {
+  readStoredEntries,
+  readStoredText
+}
@@ -115,7 +115,10 @@ describe('Data Flow End-to-End Integration', () => {
       expect(chrome.storage.local.set).toHaveBeenCalled()
 
       // 驗證儲存的資料結構正確
-      const setCall = chrome.storage.local.set.mock.calls[0][0]
+      // storeBookLibrary 先寫入 progress_history，書庫紀錄為其後的 readmoo_books 寫入
+      const setCall = chrome.storage.local.set.mock.calls
+        .map(([items]) => items)
+        .find(items => 'readmoo_books' in items)
       expect(setCall).toHaveProperty('readmoo_books')
       expect(setCall.readmoo_books).toHaveProperty('books')
       expect(setCall.readmoo_books).toHaveProperty('extractionTimestamp')
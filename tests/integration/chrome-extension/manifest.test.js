@@ -134,6 +134,9 @@ describe('Chrome Extension Manifest V3 Configuration', () => {
       // 1.4.2-W2-007：openLibraryOverview 需 tabs.query 跨視窗比對 overview URL
       // 以聚焦既有頁並刷新，故需要 tabs 權限
       expect(manifest.permissions).toContain('tabs')
+      // 排程重新提取：chrome.alarms 定期觸發，完成後以系統通知摘要變動
+      expect(manifest.permissions).toContain('alarms')
+      expect(manifest.permissions).toContain('notifications')
     })
 
     test('應該配置 Readmoo 網站的 host permissions', () => {
@@ -0,0 +1,153 @@
+/**
+ * 同步面板噴泉碼 frame 整合測試
+ *
+ * 驗證鏈：SyncPanel 勾選容錯傳輸 → 真實 qr-encoder 以 FRAME_VERSIONS.FOUNTAIN 產生 frame
+ *   → QRFrameDecoder（App 端參考實作）在漏掃部分 frame 後仍還原同步 JSON。
+ *
+ * 只替換 qrcode-generator（記錄寫入 QR 的 frame 位元組，取代相機掃描）與 SyncQRRenderer（Canvas 輪播）；
+ * 書庫讀取、增量信封、壓縮、加密與 frame 格式皆走正式路徑。
+ *
+ * jsdom 不提供 CompressionStream / DecompressionStream 與 crypto.subtle，
+ * 測試期間掛上 Node 內建 stream/web / webcrypto 實作。
+ */
+
+'use strict'
+
+jest.mock('qrcode-generator', () => jest.fn(() => ({
+  frameData: null,
+  addData (data) { this.frameData = data },
+  make () {}
+})))
+
+jest.mock('src/popup/services/sync-qr-renderer', () => ({
+  SyncQRRenderer: jest.fn()
+}))
+
+const { SyncPanel } = require('src/popup/components/sync-panel')
+const { SyncQRRenderer } = require('src/popup/services/sync-qr-renderer')
+const { QRFrameDecoder, decompressData } = require('src/sync/qr-frame-decoder')
+const { parseFrame, FRAME_VERSIONS } = require('src/sync/qr-frame-format')
+const { decryptSyncPayload } = require('src/sync/sync-crypto')
+
+const originalCrypto = global.crypto
+
+function createElement (extra = {}) {
+  return {
+    style: { display: '' },
+    textContent: '',
+    _handlers: {},
+    addEventListener (event, handler) { this._handlers[event] = handler },
+    click () { if (this._handlers.click) return this._handlers.click() },
+    ...extra
+  }
+}
+
+// 書名含雜湊碼使 gzip 後仍跨多個 frame
+function buildBooks (count) {
+  return Array.from({ length: count }, (_, i) => ({
+    id: `book-${i}`,
+    title: `書籍 ${i} ${(Math.imul(i + 1, 0x9E3779B1) >>> 0).toString(36)}`,
+    progress: i % 100
+  }))
+}
+
+function toFrameBytes (qr) {
+  return Uint8Array.from(qr.frameData, char => char.charCodeAt(0))
+}
+
+describe('SyncPanel 噴泉碼 frame 整合', () => {
+  let storage
+  let rendererStart
+  let elements
+
+  beforeAll(() => {
+    const { CompressionStream, DecompressionStream } = require('stream/web')
+    global.CompressionStream = CompressionStream
+    global.DecompressionStream = DecompressionStream
+    Object.defineProperty(global, 'crypto', { value: require('crypto').webcrypto, configurable: true })
+  })
+
+  afterAll(() => {
+    delete global.CompressionStream
+    delete global.DecompressionStream
+    Object.defineProperty(global, 'crypto', { value: originalCrypto, configurable: true })
+  })
+
+  beforeEach(async () => {
+    storage = { readmoo_books: { books: buildBooks(300) } }
+    chrome.storage.local.get = jest.fn(async keys => Object.fromEntries(keys.filter(key => key in storage).map(key => [key, storage[key]])))
+    chrome.storage.local.set = jest.fn(async items => { Object.assign(storage, items) })
+
+    rendererStart = jest.fn()
+    SyncQRRenderer.mockImplementation(() => ({ start: rendererStart, stop: jest.fn() }))
+
+    elements = {
+      syncContainer: createElement(),
+      qrCanvas: createElement(),
+      syncStatus: createElement(),
+      syncButton: createElement(),
+      stopButton: createElement(),
+      fountainToggle: createElement({ checked: false })
+    }
+  })
+
+  test('勾選容錯傳輸後輸出 0x02 frame，漏掃部分 frame 仍可還原書庫', async () => {
+    const panel = new SyncPanel(elements)
+    await panel.initialize()
+    elements.fountainToggle.checked = true
+    await elements.fountainToggle._handlers.change()
+
+    await elements.syncButton.click()
+
+    expect(rendererStart).toHaveBeenCalledTimes(1)
+    const frames = rendererStart.mock.calls[0][0].map(toFrameBytes)
+    expect(frames.length).toBeGreaterThan(2)
+    expect(frames.every(frame => parseFrame(frame).version === FRAME_VERSIONS.FOUNTAIN)).toBe(true)
+
+    // 漏掃第一幀（系統符號）：噴泉碼以修復符號補足
+    const decoder = new QRFrameDecoder()
+    for (const frame of frames.slice(1)) {
+      decoder.addFrame(frame)
+      if (decoder.isComplete) break
+    }
+    expect(decoder.isComplete).toBe(true)
+
+    const synced = JSON.parse(await decompressData(decoder.getPayload()))
+    expect(synced.books.map(book => book.id)).toEqual(storage.readmoo_books.books.map(book => book.id))
+    expect(storage.sync_fountain_frames).toBe(true)
+  })
+
+  test('設定已開啟時重新開啟面板仍輸出 0x02 frame，並可與加密併用', async () => {
+    storage.sync_fountain_frames = true
+    elements.encryptToggle = { checked: true }
+    elements.passphraseInput = { value: '同步密碼' }
+    const panel = new SyncPanel(elements)
+    await panel.initialize()
+
+    await elements.syncButton.click()
+
+    expect(elements.fountainToggle.checked).toBe(true)
+    const frames = rendererStart.mock.calls[0][0].map(toFrameBytes)
+    const decoder = new QRFrameDecoder()
+    for (const frame of frames) {
+      decoder.addFrame(frame)
+      if (decoder.isComplete) break
+    }
+    expect(parseFrame(frames[0]).version).toBe(FRAME_VERSIONS.FOUNTAIN)
+    expect(decoder.isEncrypted).toBe(true)
+
+    const compressed = await decryptSyncPayload(decoder.getPayload(), '同步密碼')
+    const synced = JSON.parse(await decompressData(compressed))
+    expect(synced.books).toHaveLength(300)
+  })
+
+  test('未勾選時維持循序 frame（0x01）', async () => {
+    const panel = new SyncPanel(elements)
+    await panel.initialize()
+
+    await elements.syncButton.click()
+
+    const frames = rendererStart.mock.calls[0][0].map(toFrameBytes)
+    expect(frames.every(frame => parseFrame(frame).version === FRAME_VERSIONS.SEQUENTIAL)).toBe(true)
+  })
+})
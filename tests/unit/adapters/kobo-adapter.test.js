@@ -0,0 +1,254 @@
+/**
+ * KoboAdapter 測試
+ *
+ * 測試範圍：
+ * - 平台識別與頁面檢測（國家 / 語系前綴書庫路徑、域名邊界比對）
+ * - parseBookElement：書名 / 作者 / 封面 / 商品 ID / 穩定 ID / 閱讀進度
+ * - extractAllBooks：「載入更多」分頁與 lazy 捲動兩種載入模式
+ * - PlatformRegistry 註冊
+ *
+ * Fixture：以 HTML 字串建立 Kobo 書庫頁 DOM（jsdom）。
+ */
+
+const LIBRARY_URL = 'https://www.kobo.com/tw/zh/library/books'
+
+function bookItemHtml ({ productId, title, author, cover, progress, readNowId }) {
+  return `
+    <li class="library-item"${productId ? ` data-product-id="${productId}"` : ''}>
+      <a class="item-link" href="/tw/zh/ebook/${encodeURIComponent(title)}">
+        <div class="item-image"><img data-src="${cover}" src="/images/placeholder.png"></div>
+        <h2 class="item-title">${title}</h2>
+      </a>
+      <p class="item-author">${author}</p>
+      <div class="item-progress">${progress}</div>
+      ${readNowId ? `<a class="read-now" href="https://www.kobo.com/tw/zh/ReadNow/${readNowId}">閱讀</a>` : ''}
+    </li>`
+}
+
+const FIXTURE_BOOKS = [
+  {
+    productId: '3f1c2a9e-8b7d-4c6e-9a10-5d2e7f8b1c34',
+    title: '三體',
+    author: '作者：劉慈欣',
+    cover: 'https://cdn.kobo.com/book-images/3f1c2a9e/353/569/90/False/santi.jpg',
+    progress: '已讀 45%'
+  },
+  {
+    readNowId: 'a0b1c2d3-e4f5-4a6b-8c7d-9e0f1a2b3c4d',
+    title: 'Atomic Habits',
+    author: 'by James Clear',
+    cover: 'https://cdn.kobo.com/book-images/a0b1c2d3/353/569/90/False/atomic.jpg',
+    progress: '已讀完'
+  },
+  {
+    title: '人類大歷史',
+    author: '哈拉瑞',
+    cover: 'https://cdn.kobo.com/book-images/none/353/569/90/False/sapiens.jpg',
+    progress: ''
+  }
+]
+
+function renderLibrary (books, { loadMore = false } = {}) {
+  document.body.innerHTML = `
+    <main>
+      <ul class="library-items">${books.map(bookItemHtml).join('')}</ul>
+      ${loadMore ? '<div class="library-load-more"><button type="button">載入更多</button></div>' : ''}
+    </main>`
+  return document.querySelector('.library-items')
+}
+
+describe('KoboAdapter', () => {
+  let createKoboAdapter
+  let adapter
+
+  beforeEach(() => {
+    jest.resetModules()
+    createKoboAdapter = require('src/content/adapters/kobo-adapter')
+    adapter = createKoboAdapter()
+  })
+
+  afterEach(() => {
+    document.body.innerHTML = ''
+    jest.restoreAllMocks()
+  })
+
+  describe('平台識別方法', () => {
+    test('平台名稱、書庫 URL 與登入需求', () => {
+      expect(adapter.getPlatformName()).toBe('kobo')
+      expect(adapter.getLibraryUrl()).toBe(LIBRARY_URL)
+      expect(adapter.requiresLogin()).toBe(true)
+      expect(adapter.getLoginCheckSelector()).toBe('.library-items')
+    })
+
+    test('繼承 PlatformAdapterInterface', () => {
+      const PlatformAdapterInterface = require('src/content/platform/platform-adapter-interface')
+      expect(adapter).toBeInstanceOf(PlatformAdapterInterface)
+    })
+  })
+
+  describe('頁面檢測', () => {
+    test.each([
+      ['https://www.kobo.com/tw/zh/library/books', true],
+      ['https://kobo.com/jp/ja/library', true],
+      ['https://evilkobo.com/tw/zh/library', false],
+      ['not-a-url', false]
+    ])('isValidDomain(%s) → %s', (url, expected) => {
+      expect(adapter.isValidDomain(url)).toBe(expected)
+    })
+
+    test.each([
+      ['https://www.kobo.com/tw/zh/library/books', 'library'],
+      ['https://www.kobo.com/us/en/library', 'library'],
+      ['https://www.kobo.com/tw/zh/ebook/santi', 'unknown'],
+      ['https://www.kobo.com/librarything', 'unknown'],
+      ['https://readmoo.com/tw/zh/library', 'unknown']
+    ])('getPageType(%s) → %s', async (url, expected) => {
+      expect(await adapter.getPageType(url)).toBe(expected)
+      expect(await adapter.isExtractablePage(url)).toBe(expected === 'library')
+    })
+
+    test('checkPageReady 在書籍與容器出現後回傳 true', async () => {
+      renderLibrary(FIXTURE_BOOKS)
+      expect(await adapter.checkPageReady()).toBe(true)
+      expect(adapter.getBookCount()).toBe(3)
+    })
+  })
+
+  describe('parseBookElement', () => {
+    let elements
+
+    beforeEach(() => {
+      renderLibrary(FIXTURE_BOOKS)
+      elements = adapter.getBookElements()
+    })
+
+    test('data-product-id 產生 reader 策略穩定 ID，並提取各欄位', () => {
+      const book = adapter.parseBookElement(elements[0])
+
+      expect(book).toMatchObject({
+        id: 'reader-3f1c2a9e-8b7d-4c6e-9a10-5d2e7f8b1c34',
+        title: '三體',
+        author: '劉慈欣',
+        coverUrl: FIXTURE_BOOKS[0].cover,
+        readProgress: 45,
+        source: 'kobo',
+        identifiers: { productId: '3f1c2a9e-8b7d-4c6e-9a10-5d2e7f8b1c34', primarySource: 'reader-link' }
+      })
+      expect(book.url).toBe('https://www.kobo.com/tw/zh/ebook/%E4%B8%89%E9%AB%94')
+    })
+
+    test('無 data-product-id 時從 ReadNow 連結取商品 ID；「已讀完」為 100', () => {
+      const book = adapter.parseBookElement(elements[1])
+
+      expect(book.id).toBe('reader-a0b1c2d3-e4f5-4a6b-8c7d-9e0f1a2b3c4d')
+      expect(book.author).toBe('James Clear')
+      expect(book.readProgress).toBe(100)
+    })
+
+    test('無商品 ID 時退回書名策略，同一本書重複解析 ID 相同', () => {
+      const first = adapter.parseBookElement(elements[2])
+      const second = createKoboAdapter().parseBookElement(elements[2])
+
+      expect(first.identifiers.primarySource).toBe('title')
+      expect(first.id).toMatch(/^title-/)
+      expect(second.id).toBe(first.id)
+      expect(first.readProgress).toBe(0)
+    })
+
+    test.each([
+      ['45% read', null, 45],
+      ['読了', null, 100],
+      ['', '62.6', 63],
+      ['進度 180%', null, 100]
+    ])('進度文字「%s」/ aria-valuenow %s → %d', (text, ariaValue, expected) => {
+      const el = elements[2]
+      const progress = el.querySelector('.item-progress')
+      progress.textContent = text
+      if (ariaValue !== null) {
+        const bar = document.createElement('div')
+        bar.setAttribute('role', 'progressbar')
+        bar.setAttribute('aria-valuenow', ariaValue)
+        progress.appendChild(bar)
+      }
+
+      expect(adapter.parseBookElement(el).readProgress).toBe(expected)
+    })
+  })
+
+  describe('sanitizeData', () => {
+    test('過濾不安全 URL 並移除 HTML 標籤', () => {
+      const result = adapter.sanitizeData({
+        title: '<img src=x onerror=alert(1)>書名',
+        author: '<b>作者</b>',
+        coverUrl: 'javascript:alert(1)',
+        url: 'data:text/html,<script>alert(1)</script>'
+      })
+
+      expect(result).toEqual({ title: '書名', author: '作者', coverUrl: '', url: '' })
+    })
+  })
+
+  describe('extractAllBooks', () => {
+    beforeEach(() => {
+      jest.spyOn(adapter, 'waitForRenderSettle').mockResolvedValue()
+    })
+
+    test('「載入更多」分頁：點擊至按鈕消失後解析全部書籍', async () => {
+      const container = renderLibrary(FIXTURE_BOOKS.slice(0, 1), { loadMore: true })
+      const button = document.querySelector('.library-load-more button')
+      const pages = [FIXTURE_BOOKS.slice(1, 2), FIXTURE_BOOKS.slice(2)]
+      button.addEventListener('click', () => {
+        container.insertAdjacentHTML('beforeend', pages.shift().map(bookItemHtml).join(''))
+        if (pages.length === 0) button.style.display = 'none'
+      })
+
+      const books = await adapter.extractAllBooks()
+
+      expect(books.map(book => book.title)).toEqual(['三體', 'Atomic Habits', '人類大歷史'])
+      expect(adapter.getStats()).toEqual({ totalExtracted: 3, successCount: 3, failCount: 0 })
+    })
+
+    test('無「載入更多」按鈕時以捲動 lazy 載入', async () => {
+      const container = renderLibrary(FIXTURE_BOOKS.slice(0, 2))
+      const pending = [FIXTURE_BOOKS[2]]
+      jest.spyOn(adapter, '_scrollStep').mockImplementation(async () => {
+        const next = pending.shift()
+        if (next) container.insertAdjacentHTML('beforeend', bookItemHtml(next))
+      })
+
+      const books = await adapter.extractAllBooks()
+
+      expect(books).toHaveLength(3)
+      expect(adapter._scrollStep).toHaveBeenCalledTimes(2)
+    })
+
+    test('reset 後統計歸零', async () => {
+      renderLibrary(FIXTURE_BOOKS)
+      await adapter.extractAllBooks()
+      adapter.reset()
+
+      expect(adapter.getStats().totalExtracted).toBe(0)
+    })
+  })
+})
+
+describe('PlatformRegistry Kobo 配置', () => {
+  let PlatformRegistry
+
+  beforeEach(() => {
+    jest.resetModules()
+    PlatformRegistry = require('src/content/platform/platform-registry')
+  })
+
+  test('detect 識別 Kobo 書庫頁並建立 adapter', () => {
+    const result = PlatformRegistry.detect(LIBRARY_URL)
+
+    expect(result.config.name).toBe('kobo')
+    expect(result.createAdapter().getPlatformName()).toBe('kobo')
+  })
+
+  test('getAllMatchPatterns 包含 Kobo pattern，evilkobo.com 不誤判', () => {
+    expect(PlatformRegistry.getAllMatchPatterns()).toContain('*://*.kobo.com/*')
+    expect(PlatformRegistry.detect('https://evilkobo.com/tw/zh/library')).toBeNull()
+  })
+})
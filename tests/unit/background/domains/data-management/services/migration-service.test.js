@@ -12,9 +12,12 @@
  *    - step.run 回傳 { error } → 中止後續 + 回報 failed
  *    - applies 拋例外 → 中止後續 + 回報 failed.phase='applies'
  * 5. 預設 v1-to-v2 step 整合（透過 mock storage 驗證真實 migrateV1ToV2 被呼叫）
+ * 6. 書庫位於 IndexedDB（readmoo_books 為 header）時預設 steps 經注入的 store 轉換書籍
  */
 
 const MigrationService = require('src/background/domains/data-management/services/migration-service')
+const { IndexedDBBookStore } = require('src/storage/adapters/indexeddb-book-store')
+const { createInMemoryIndexedDB } = require('@tests/helpers/in-memory-indexeddb')
 
 describe('MigrationService', () => {
   let mockStorage
@@ -212,15 +215,17 @@ describe('MigrationService', () => {
       const report = await svc.migrate('0.17.0', '0.18.0')
 
       expect(report.success).toBe(true)
-      // W6-012.2.2.2 後預設 2 步：v1-to-v2 + cover-to-reader
-      expect(report.executed).toHaveLength(2)
+      // 預設 3 步：v1-to-v2 + cover-to-reader + v3-to-v4
+      expect(report.executed).toHaveLength(3)
       const v1ToV2 = report.executed.find(e => e.id === 'v1-to-v2')
       expect(v1ToV2.result.migrated).toBe(false)
       expect(v1ToV2.result.reason).toBe('already_migrated')
       const coverToReader = report.executed.find(e => e.id === 'cover-to-reader')
-      // 空書庫情境：cover-to-reader 直接升至 3.1.0
+      // 空書庫情境：cover-to-reader 直接升至 3.1.0，v3-to-v4 再升至 4.0.0
       expect(coverToReader.result.migrated).toBe(true)
-      expect(storage._store.schema_version).toBe('3.1.0')
+      const v3ToV4 = report.executed.find(e => e.id === 'v3-to-v4')
+      expect(v3ToV4.result.migrated).toBe(true)
+      expect(storage._store.schema_version).toBe('4.0.0')
     })
 
     it('schema_version 未設定時應觸發遷移並寫入新版本', async () => {
@@ -235,8 +240,8 @@ describe('MigrationService', () => {
       expect(report.success).toBe(true)
       const v1ToV2 = report.executed.find(e => e.id === 'v1-to-v2')
       expect(v1ToV2.result.migrated).toBe(true)
-      // W6-012.2.2.2 後 cover-to-reader 接續執行，最終 schema_version=3.1.0
-      expect(storage._store.schema_version).toBe('3.1.0')
+      // cover-to-reader 與 v3-to-v4 接續執行，最終 schema_version=4.0.0
+      expect(storage._store.schema_version).toBe('4.0.0')
       expect(storage._store.readmoo_books[0]).toMatchObject({
         id: 'b1',
         readingStatus: expect.any(String),
@@ -244,4 +249,26 @@ describe('MigrationService', () => {
       })
     })
   })
+
+  describe('migrate - IndexedDB 書庫', () => {
+    it('readmoo_books 為 header 時依序轉換 store 內的書籍並升至 4.0.0', async () => {
+      const bookStore = new IndexedDBBookStore({ indexedDB: createInMemoryIndexedDB() })
+      await bookStore.putBooks([
+        { id: 'cover-x', title: 't1', isNew: false, isFinished: true, progress: 100, identifiers: { privacyBookId: 'p1' }, rating: 0, dateRead: '2025-06-01' }
+      ])
+      const storage = createMockStorage({ readmoo_books: { storage: 'indexeddb', bookCount: 1 } })
+      const svc = new MigrationService({ storage, logger: mockLogger, getBookStore: async () => bookStore })
+
+      const report = await svc.migrate(null, '0.18.0')
+
+      expect(report.success).toBe(true)
+      const books = await bookStore.getAllBooks()
+      expect(books).toHaveLength(1)
+      expect(books[0]).toMatchObject({ id: 'reader-p1', readingStatus: 'finished', finishedAt: '2025-06-01' })
+      expect(books[0]).not.toHaveProperty('rating')
+      expect(books[0]).not.toHaveProperty('isFinished')
+      expect(storage._store.readmoo_books).toEqual(expect.objectContaining({ storage: 'indexeddb', bookCount: 1 }))
+      expect(storage._store.schema_version).toBe('4.0.0')
+    })
+  })
 })
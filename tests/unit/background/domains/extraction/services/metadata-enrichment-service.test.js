@@ -0,0 +1,217 @@
+/**
+ * MetadataEnrichmentService 測試
+ *
+ * 測試範圍：
+ * - syncAlarm：啟用時建立續跑 alarm，停用時清除
+ * - run：限速逐本抓取詳情頁、分批寫回（只填空欄位）、記錄失敗、完成後記錄進度
+ * - 續跑：中斷後從已儲存的佇列繼續；429 時暫停並保留未處理的書；停用後停止
+ * - ExtractionStateService 作業追蹤與 host 權限過濾
+ *
+ * Mock 策略：注入的 chrome 物件（Promise 形式 API）、fetch 與 tagStorageAdapter；
+ * 進度使用真實 ExtractionStateService 與 Readmoo 詳情頁解析器。
+ */
+
+const MetadataEnrichmentService = require('src/background/domains/extraction/services/metadata-enrichment-service')
+const ExtractionStateService = require('src/background/domains/extraction/services/extraction-state-service')
+const {
+  METADATA_ENRICHMENT_KEYS,
+  METADATA_ENRICHMENT_ALARM,
+  ENRICHMENT_STATUS
+} = require('src/data-management/MetadataEnrichmentSchema')
+
+const silentLogger = { log: () => {}, warn: () => {}, error: () => {} }
+
+function detailPage (fields) {
+  return `<script type="application/ld+json">${JSON.stringify({ '@type': 'Book', ...fields })}</script>`
+}
+
+function readmooBook (id, extra = {}) {
+  return { id, title: `書 ${id}`, source: 'readmoo', identifiers: { readerLinkId: `21000000000000${id}` }, authors: [], publisher: '', ...extra }
+}
+
+function createChrome (store, { permitted = ['https://readmoo.com/*'] } = {}) {
+  const alarms = {}
+  return {
+    alarms: {
+      get: jest.fn(async name => alarms[name]),
+      create: jest.fn(async (name, info) => { alarms[name] = { name, ...info } }),
+      clear: jest.fn(async name => delete alarms[name])
+    },
+    permissions: {
+      contains: jest.fn(async ({ origins }) => origins.every(origin => permitted.includes(origin)))
+    },
+    storage: {
+      local: {
+        get: jest.fn(async keys => Object.fromEntries(keys.filter(key => key in store).map(key => [key, store[key]]))),
+        set: jest.fn(async items => { Object.assign(store, items) })
+      }
+    }
+  }
+}
+
+/**
+ * tagStorageAdapter 假物件：updateStoredBooks 作用於 store.readmoo_books.books
+ */
+function createTagStorageAdapter (store) {
+  return {
+    loadStoredBooks: jest.fn(async record => record.books),
+    updateStoredBooks: jest.fn(async (ids, mutate) => {
+      const changed = store.readmoo_books.books.filter(book => ids.includes(book.id) && mutate(book))
+      return { success: true, affected: changed.length }
+    })
+  }
+}
+
+function htmlResponse (html, status = 200) {
+  return { ok: status >= 200 && status < 300, status, text: async () => html }
+}
+
+describe('MetadataEnrichmentService', () => {
+  let store
+  let extractionStateService
+  let pages
+
+  function createService (overrides = {}) {
+    return new MetadataEnrichmentService({
+      chrome: createChrome(store),
+      tagStorageAdapter: createTagStorageAdapter(store),
+      extractionStateService,
+      fetch: jest.fn(async url => pages[url] || htmlResponse('', 404)),
+      logger: silentLogger,
+      delay: jest.fn(async () => {}),
+      now: () => Date.UTC(2026, 9, 19),
+      config: { batchSize: 2 },
+      ...overrides
+    })
+  }
+
+  const urlOf = id => `https://readmoo.com/book/21000000000000${id}`
+
+  beforeEach(() => {
+    store = {
+      [METADATA_ENRICHMENT_KEYS.SETTINGS]: { enabled: true },
+      readmoo_books: {
+        books: [
+          readmooBook('1', { publisher: '使用者填的出版社' }),
+          readmooBook('2'),
+          readmooBook('3', { editedFields: ['authors'] }),
+          { id: 'kb1', title: '沙丘', source: 'kobo', url: 'https://www.kobo.com/tw/zh/ebook/dune', authors: [] }
+        ]
+      }
+    }
+    pages = {
+      [urlOf('1')]: htmlResponse(detailPage({ author: '劉慈欣', publisher: '貓頭鷹', isbn: '9789862624281' })),
+      [urlOf('2')]: htmlResponse('<html>找不到書籍</html>'),
+      [urlOf('3')]: htmlResponse(detailPage({ author: '不應覆寫', numberOfPages: 320 }))
+    }
+    extractionStateService = new ExtractionStateService({ logger: silentLogger })
+  })
+
+  test('缺少必要依賴時拋出 TypeError', () => {
+    expect(() => new MetadataEnrichmentService({ chrome: {}, tagStorageAdapter: {} })).toThrow(TypeError)
+  })
+
+  test('syncAlarm：啟用時建立續跑 alarm，停用時清除', async () => {
+    const service = createService()
+
+    expect(await service.syncAlarm()).toEqual({ name: METADATA_ENRICHMENT_ALARM, periodInMinutes: 15 })
+
+    store[METADATA_ENRICHMENT_KEYS.SETTINGS] = { enabled: false }
+    expect(await service.syncAlarm()).toBeNull()
+    expect(service.chrome.alarms.clear).toHaveBeenCalledWith(METADATA_ENRICHMENT_ALARM)
+  })
+
+  test('run：逐本抓取有權限書城的詳情頁，只填空欄位並記錄失敗與進度', async () => {
+    const service = createService()
+
+    const state = await service.run()
+
+    expect(service.fetch.mock.calls.map(([url]) => url)).toEqual([urlOf('1'), urlOf('2'), urlOf('3')])
+    expect(service.fetch).toHaveBeenCalledWith(urlOf('1'), expect.objectContaining({ credentials: 'include' }))
+    expect(service.delay).toHaveBeenCalledTimes(2)
+    expect(service.delay).toHaveBeenCalledWith(3000)
+
+    const [book1, book2, book3, kobo] = store.readmoo_books.books
+    expect(book1).toEqual(expect.objectContaining({
+      authors: ['劉慈欣'],
+      publisher: '使用者填的出版社',
+      isbn: '9789862624281',
+      metadataEnrichedAt: '2026-10-19T00:00:00.000Z'
+    }))
+    expect(book2.metadataEnrichedAt).toBeUndefined()
+    expect(book3).toEqual(expect.objectContaining({ authors: [], pageCount: 320 }))
+    expect(kobo.metadataEnrichedAt).toBeUndefined()
+
+    expect(state).toEqual(expect.objectContaining({
+      status: ENRICHMENT_STATUS.COMPLETED,
+      queue: [],
+      total: 3,
+      enriched: 2,
+      failed: 1,
+      failures: { 2: { attempts: 1, reason: 'no_metadata' } }
+    }))
+    expect(store[METADATA_ENRICHMENT_KEYS.STATE]).toEqual(state)
+    expect(service.tagStorageAdapter.updateStoredBooks).toHaveBeenCalledTimes(2)
+
+    const [job] = [...extractionStateService.jobHistory.values()]
+    expect(job).toEqual(expect.objectContaining({
+      type: 'metadata-enrichment',
+      state: 'completed',
+      result: { enriched: 2, failed: 1 }
+    }))
+    expect(job.progress).toEqual(expect.objectContaining({ current: 3, total: 3 }))
+  })
+
+  test('書城回應 429 時暫停並保留未處理的書；再次執行時從佇列續跑', async () => {
+    pages[urlOf('2')] = htmlResponse('', 429)
+    const service = createService()
+
+    const paused = await service.run()
+
+    expect(paused).toEqual(expect.objectContaining({ status: ENRICHMENT_STATUS.PAUSED, queue: ['2', '3'], enriched: 1 }))
+    expect(store.readmoo_books.books[0].authors).toEqual(['劉慈欣'])
+
+    pages[urlOf('2')] = htmlResponse(detailPage({ publisher: '春天出版' }))
+    service.fetch.mockClear()
+    const resumed = await service.run()
+
+    expect(service.fetch.mock.calls.map(([url]) => url)).toEqual([urlOf('2'), urlOf('3')])
+    expect(resumed).toEqual(expect.objectContaining({ status: ENRICHMENT_STATUS.COMPLETED, total: 3, enriched: 3, failed: 0 }))
+  })
+
+  test('執行中停用時於下一本前停止；設定停用時不執行', async () => {
+    const service = createService()
+    service.fetch.mockImplementationOnce(async url => {
+      store[METADATA_ENRICHMENT_KEYS.SETTINGS] = { enabled: false }
+      return pages[url]
+    })
+
+    const state = await service.run()
+
+    expect(service.fetch).toHaveBeenCalledTimes(1)
+    expect(state).toEqual(expect.objectContaining({ status: ENRICHMENT_STATUS.PAUSED, queue: ['2', '3'] }))
+    expect([...extractionStateService.jobHistory.values()].map(job => job.state)).toEqual(['cancelled'])
+
+    service.fetch.mockClear()
+    await service.run()
+    expect(service.fetch).not.toHaveBeenCalled()
+  })
+
+  test('handleAlarm 只處理本服務的 alarm；無書可補時不建立作業', async () => {
+    store.readmoo_books.books = []
+    const service = createService()
+
+    expect(await service.handleAlarm({ name: 'scheduled-refresh' })).toBeNull()
+    expect(await service.handleAlarm({ name: METADATA_ENRICHMENT_ALARM })).toEqual(expect.objectContaining({ status: ENRICHMENT_STATUS.IDLE }))
+    expect(extractionStateService.stats.totalJobs).toBe(0)
+  })
+
+  test('取得 Kobo host 權限後一併排入 Kobo 書籍', async () => {
+    const service = createService({ chrome: createChrome(store, { permitted: ['https://readmoo.com/*', 'https://www.kobo.com/*'] }) })
+
+    const state = await service.run()
+
+    expect(service.fetch).toHaveBeenCalledWith('https://www.kobo.com/tw/zh/ebook/dune', expect.anything())
+    expect(state.total).toBe(4)
+  })
+})
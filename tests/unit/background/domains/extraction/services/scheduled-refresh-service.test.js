@@ -0,0 +1,203 @@
+/**
+ * ScheduledRefreshService 測試
+ *
+ * 測試範圍：
+ * - syncAlarm：依設定建立 / 清除 alarm，間隔未變時沿用
+ * - run：背景分頁開啟書庫頁、重試提取、關閉分頁、合併書庫、記錄上次執行並以系統通知摘要
+ * - 通知文字依儲存的語系偏好（preferredLanguage）
+ * - handleAlarm：只處理本服務的 alarm，設定停用時不執行；進行中的執行共用結果
+ *
+ * Mock 策略：注入的 chrome 物件（Promise 形式 API）與 tagStorageAdapter；
+ * 通知使用真實 NotificationService，驗證系統通知經 chrome.notifications 顯示。
+ */
+
+const ScheduledRefreshService = require('src/background/domains/extraction/services/scheduled-refresh-service')
+const NotificationService = require('src/background/domains/user-experience/services/notification-service')
+const {
+  SCHEDULED_REFRESH_KEYS,
+  SCHEDULED_REFRESH_ALARM
+} = require('src/data-management/ScheduledRefreshSchema')
+const { getRegisteredPlatforms } = require('src/content/platform/platform-registry')
+const { setLocale, DEFAULT_LOCALE, LOCALE_PREFERENCE_KEY } = require('src/core/i18n/ui-i18n')
+
+const PLATFORMS = getRegisteredPlatforms()
+const urlOf = name => PLATFORMS.find(platform => platform.name === name).libraryUrl
+
+const silentLogger = { log: () => {}, warn: () => {}, error: () => {} }
+
+/**
+ * chrome 假物件：storage / alarms 存於記憶體；tabs.sendMessage 依分頁 URL 交給 responders
+ */
+function createChrome (store, responders = {}) {
+  const alarms = {}
+  const tabUrls = new Map()
+  let nextTabId = 1
+  return {
+    alarms: {
+      get: jest.fn(async name => alarms[name]),
+      create: jest.fn(async (name, info) => { alarms[name] = { name, ...info } }),
+      clear: jest.fn(async name => delete alarms[name])
+    },
+    storage: {
+      local: {
+        get: jest.fn(async keys => Object.fromEntries(keys.filter(key => key in store).map(key => [key, store[key]]))),
+        set: jest.fn(async items => { Object.assign(store, items) })
+      }
+    },
+    tabs: {
+      create: jest.fn(async ({ url }) => {
+        const id = nextTabId++
+        tabUrls.set(id, url)
+        return { id, url, status: 'loading' }
+      }),
+      get: jest.fn(async id => ({ id, status: 'complete' })),
+      sendMessage: jest.fn(async (tabId, message) => responders[tabUrls.get(tabId)](message)),
+      remove: jest.fn(async id => { tabUrls.delete(id) }),
+      onUpdated: { addListener: jest.fn(), removeListener: jest.fn() }
+    }
+  }
+}
+
+describe('ScheduledRefreshService', () => {
+  let store
+  let tagStorageAdapter
+  let notificationService
+
+  function createService (chromeApi) {
+    return new ScheduledRefreshService({
+      chrome: chromeApi,
+      tagStorageAdapter,
+      notificationService,
+      logger: silentLogger,
+      delay: async () => {},
+      now: () => 5000
+    })
+  }
+
+  beforeEach(() => {
+    store = {
+      [SCHEDULED_REFRESH_KEYS.SETTINGS]: { enabled: true, intervalHours: 12, platforms: ['readmoo', 'kobo'] },
+      readmoo_books: {
+        books: [
+          { id: 'rm1', title: '三體', source: 'readmoo', tags: ['readmoo'], tagIds: ['tag-scifi'], progress: 10, readingStatus: 'reading' },
+          { id: 'rm2', title: '已退書', source: 'readmoo', tags: ['readmoo'], tagIds: [], progress: 0, readingStatus: 'unread' },
+          { id: 'kb1', title: '沙丘', source: 'kobo', tags: ['kobo'], tagIds: [], progress: 50, readingStatus: 'reading' }
+        ]
+      }
+    }
+    tagStorageAdapter = {
+      loadStoredBooks: jest.fn(async record => record.books),
+      storeBookLibrary: jest.fn(async record => record)
+    }
+    notificationService = new NotificationService({ logger: silentLogger })
+  })
+
+  afterEach(async () => {
+    await notificationService.clearAllNotifications()
+    setLocale(DEFAULT_LOCALE)
+  })
+
+  test('缺少 tagStorageAdapter 時拋出 TypeError', () => {
+    let caught
+    try {
+      // eslint-disable-next-line no-new
+      new ScheduledRefreshService({ chrome: createChrome(store) })
+    } catch (error) {
+      caught = error
+    }
+    expect(caught).toBeInstanceOf(TypeError)
+    expect(caught.message).toContain('tagStorageAdapter')
+  })
+
+  test('syncAlarm 依間隔建立 alarm，間隔未變時沿用，停用時清除', async () => {
+    const chromeApi = createChrome(store)
+    const service = createService(chromeApi)
+
+    expect(await service.syncAlarm()).toEqual({ name: SCHEDULED_REFRESH_ALARM, periodInMinutes: 720 })
+    await service.syncAlarm()
+    expect(chromeApi.alarms.create).toHaveBeenCalledTimes(1)
+    expect(chromeApi.alarms.create).toHaveBeenCalledWith(SCHEDULED_REFRESH_ALARM, { delayInMinutes: 720, periodInMinutes: 720 })
+
+    store[SCHEDULED_REFRESH_KEYS.SETTINGS] = { enabled: false }
+
+    expect(await service.syncAlarm()).toBeNull()
+    expect(chromeApi.alarms.clear).toHaveBeenCalledWith(SCHEDULED_REFRESH_ALARM)
+  })
+
+  test('run 於背景分頁提取啟用的書城並關閉分頁；失敗的書城保留原書並於通知列出', async () => {
+    chrome.notifications.create.mockClear()
+    const readmooResponses = [
+      () => Promise.reject(new Error('Could not establish connection')),
+      () => ({ success: true, books: [{ id: 'rm1', title: '三體', progress: 100 }, { id: 'rm3', title: '新書', progress: 0 }] })
+    ]
+    const chromeApi = createChrome(store, {
+      [urlOf('readmoo')]: () => readmooResponses.shift()(),
+      [urlOf('kobo')]: () => ({ success: true, books: [] })
+    })
+
+    const lastRun = await createService(chromeApi).run()
+
+    expect(chromeApi.tabs.create.mock.calls.map(([options]) => options)).toEqual([
+      { url: urlOf('readmoo'), active: false },
+      { url: urlOf('kobo'), active: false }
+    ])
+    expect(chromeApi.tabs.remove).toHaveBeenCalledTimes(2)
+    expect(chromeApi.tabs.sendMessage).toHaveBeenCalledWith(1, { type: 'EXTRACT_ALL_BOOKS' })
+
+    expect(store.readmoo_books.books.map(book => book.id)).toEqual(['kb1', 'rm1', 'rm3'])
+    expect(store.readmoo_books.books[1]).toMatchObject({ tagIds: ['tag-scifi'], progress: 100, readingStatus: 'finished' })
+    expect(lastRun).toMatchObject({
+      ranAt: 5000,
+      added: { count: 1, books: [{ id: 'rm3', title: '新書' }] },
+      progressChanged: { count: 1, books: [{ id: 'rm1', title: '三體', from: 10, to: 100 }] },
+      removed: { count: 1, books: [{ id: 'rm2', title: '已退書' }] },
+      failures: [{ platform: 'kobo', reason: 'no_books' }]
+    })
+    expect(store[SCHEDULED_REFRESH_KEYS.LAST_RUN]).toEqual(lastRun)
+
+    expect(chrome.notifications.create).toHaveBeenCalledWith(expect.any(String), expect.objectContaining({
+      type: 'basic',
+      title: '書庫排程更新',
+      message: '新購 1 本、進度變動 1 本、移除 1 本　更新失敗：樂天 Kobo'
+    }))
+  })
+
+  test('通知標題與內容依儲存的語系偏好', async () => {
+    chrome.notifications.create.mockClear()
+    store[LOCALE_PREFERENCE_KEY] = 'en-us'
+    const chromeApi = createChrome(store, {
+      [urlOf('readmoo')]: () => ({ success: true, books: [{ id: 'rm1', title: '三體', progress: 100 }] }),
+      [urlOf('kobo')]: () => ({ success: true, books: [] })
+    })
+
+    await createService(chromeApi).run()
+
+    expect(chrome.notifications.create).toHaveBeenCalledWith(expect.any(String), expect.objectContaining({
+      title: 'Scheduled library refresh',
+      message: '0 new, 1 progress changes, 1 removed Refresh failed: Rakuten Kobo'
+    }))
+  })
+
+  test('handleAlarm 略過其他 alarm 與已停用的設定；重複觸發共用進行中的執行', async () => {
+    const chromeApi = createChrome(store, {
+      [urlOf('readmoo')]: () => ({ success: true, books: store.readmoo_books.books.slice(0, 2) }),
+      [urlOf('kobo')]: () => ({ success: true, books: store.readmoo_books.books.slice(2) })
+    })
+    const service = createService(chromeApi)
+
+    expect(await service.handleAlarm({ name: 'other' })).toBeNull()
+
+    const [first, second] = await Promise.all([
+      service.handleAlarm({ name: SCHEDULED_REFRESH_ALARM }),
+      service.handleAlarm({ name: SCHEDULED_REFRESH_ALARM })
+    ])
+    expect(first).toBe(second)
+    expect(chromeApi.tabs.create).toHaveBeenCalledTimes(2)
+    expect(first.added.count + first.progressChanged.count + first.removed.count).toBe(0)
+
+    store[SCHEDULED_REFRESH_KEYS.SETTINGS] = { enabled: false, platforms: ['readmoo'] }
+
+    expect(await service.handleAlarm({ name: SCHEDULED_REFRESH_ALARM })).toBeNull()
+    expect(chromeApi.tabs.create).toHaveBeenCalledTimes(2)
+  })
+})
@@ -22,7 +22,7 @@
  *   isManualStatus / schemaVersion）。
  *
  * 第 8 項欄位名鎖定結論：
- *   - 「per-book schema 版本欄位」採 camelCase `schemaVersion`，值 '3.0.0'。
+ *   - 「per-book schema 版本欄位」採 camelCase `schemaVersion`，值 '4.0.0'。
  *   - 依據：consumer 掃描（src/overview/、src/export/）無任何「逐本書」讀取
  *     schema 版本的點。export 模組的 `schemaVersion` 位於 metadata 物件
  *     （非逐本書）；tag-storage-adapter 的 `schema_version` 是 storage 頂層
@@ -156,8 +156,8 @@ describe('event-coordinator BookSchemaV2 model 轉換層（RED）', () => {
       expect(book.readingStatus).toBe('reading')
       expect(book.tagIds).toEqual([])
       expect(book.isManualStatus).toBe(false)
-      // 第 8 項鎖定：per-book 欄位名 = camelCase schemaVersion，值 '3.0.0'
-      expect(book.schemaVersion).toBe('3.0.0')
+      // 第 8 項鎖定：per-book 欄位名 = camelCase schemaVersion，值 '4.0.0'
+      expect(book.schemaVersion).toBe('4.0.0')
       expect(book.schemaVersion).toBe(BookSchemaV2.SCHEMA_VERSION)
     })
 
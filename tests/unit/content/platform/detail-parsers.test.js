@@ -0,0 +1,129 @@
+/**
+ * 書籍詳情頁解析器測試
+ *
+ * 測試範圍：
+ * - 各書城 getDetailUrl：由 identifiers / url 推導詳情頁，無法推導時為 null
+ * - parseDetailPage：JSON-LD 優先，meta 標籤與商品資訊列備援
+ * - detail-page-utils：HTML 實體、不合法 JSON-LD
+ * - platform-registry 的 detailParserFactory 皆提供解析器介面
+ */
+
+const readmooParser = require('src/content/platform/detail-parsers/readmoo-detail-parser')
+const koboParser = require('src/content/platform/detail-parsers/kobo-detail-parser')
+const booksComTwParser = require('src/content/platform/detail-parsers/books-com-tw-detail-parser')
+const { decodeEntities, readJsonLdNodes } = require('src/content/platform/detail-parsers/detail-page-utils')
+const { getRegisteredPlatforms } = require('src/content/platform/platform-registry')
+
+const READMOO_JSON_LD_PAGE = `
+<html><head>
+  <meta property="og:description" content="meta 簡介">
+  <script type="application/ld+json">
+    {"@context":"https://schema.org","@type":"Book","name":"三體",
+     "author":[{"@type":"Person","name":"劉慈欣"}],
+     "publisher":{"@type":"Organization","name":"貓頭鷹"},
+     "isbn":"9789862624281","numberOfPages":416,
+     "description":"文化大革命&amp;如火如荼進行"}
+  </script>
+</head><body>
+  <ul class="product-info"><li>購買日期：2024/03/05</li></ul>
+</body></html>`
+
+const READMOO_INFO_ROWS_PAGE = `
+<html><head><meta name="description" content="只有 meta 簡介"></head><body>
+  <script type="application/ld+json">{ not json }</script>
+  <ul>
+    <li><span>作者</span>：<a>伊坂幸太郎</a>、<a>王華懋</a> 著</li>
+    <li>出版社：獨步文化</li>
+    <li>ISBN：<span>978-986-6562-12-3</span></li>
+    <li>頁數</li><li>320</li>
+  </ul>
+</body></html>`
+
+describe('Readmoo 詳情頁解析器', () => {
+  test('getDetailUrl 使用閱讀器 ID，其次由 url 取出；以書名產生 ID 的書無法推導', () => {
+    expect(readmooParser.getDetailUrl({ identifiers: { readerLinkId: '210123456789000101' } }))
+      .toBe('https://readmoo.com/book/210123456789000101')
+    expect(readmooParser.getDetailUrl({ identifiers: { readerLinkId: '' }, url: 'https://readmoo.com/api/reader/210999999999000101' }))
+      .toBe('https://readmoo.com/book/210999999999000101')
+    expect(readmooParser.getDetailUrl({ identifiers: { readerLinkId: 'title-abc' } })).toBeNull()
+  })
+
+  test('JSON-LD 提供作者、出版社、ISBN、頁數與簡介；購買日期取自商品資訊列', () => {
+    expect(readmooParser.parseDetailPage(READMOO_JSON_LD_PAGE)).toEqual({
+      authors: ['劉慈欣'],
+      publisher: '貓頭鷹',
+      isbn: '9789862624281',
+      pageCount: 416,
+      purchasedAt: '2024/03/05',
+      description: '文化大革命&如火如荼進行'
+    })
+  })
+
+  test('無可用 JSON-LD 時改讀商品資訊列與 meta 簡介', () => {
+    expect(readmooParser.parseDetailPage(READMOO_INFO_ROWS_PAGE)).toEqual({
+      authors: ['伊坂幸太郎', '王華懋'],
+      publisher: '獨步文化',
+      isbn: '978-986-6562-12-3',
+      pageCount: '320',
+      purchasedAt: '',
+      description: '只有 meta 簡介'
+    })
+  })
+})
+
+describe('Kobo 與博客來詳情頁解析器', () => {
+  test('Kobo 僅接受電子書商品頁 url', () => {
+    const url = 'https://www.kobo.com/tw/zh/ebook/three-body'
+    expect(koboParser.getDetailUrl({ url })).toBe(url)
+    expect(koboParser.getDetailUrl({ url: 'https://www.kobo.com/tw/zh/library/books' })).toBeNull()
+  })
+
+  test('Kobo 讀取 @graph 內的 Book 節點', () => {
+    const html = `<script type="application/ld+json">{"@graph":[{"@type":"WebPage"},
+      {"@type":"Book","author":"Frank Herbert","isbn":"9780441013593"}]}</script>`
+
+    expect(koboParser.parseDetailPage(html)).toEqual(expect.objectContaining({
+      authors: ['Frank Herbert'],
+      isbn: '9780441013593'
+    }))
+  })
+
+  test('博客來由商品 url 或 productId 推導，書櫃頁提取的書無商品編號', () => {
+    expect(booksComTwParser.getDetailUrl({ url: 'https://www.books.com.tw/products/E050012345?sloc=main' }))
+      .toBe('https://www.books.com.tw/products/E050012345')
+    expect(booksComTwParser.getDetailUrl({ identifiers: { productId: 'E050054321' } }))
+      .toBe('https://www.books.com.tw/products/E050054321')
+    expect(booksComTwParser.getDetailUrl({ title: '沙丘', source: 'books-com-tw' })).toBeNull()
+  })
+
+  test('博客來讀取「標籤：值」商品資訊列', () => {
+    const html = '<ul><li>作者： 法蘭克．赫伯特</li><li>出版社：<a>遠流</a></li><li>ISBN：9789573287</li></ul>'
+
+    expect(booksComTwParser.parseDetailPage(html)).toEqual(expect.objectContaining({
+      authors: ['法蘭克．赫伯特'],
+      publisher: '遠流',
+      isbn: '9789573287'
+    }))
+  })
+})
+
+describe('detail-page-utils', () => {
+  test('decodeEntities 解碼具名與數字實體，未知實體原樣保留', () => {
+    expect(decodeEntities('A&amp;B &#x4E09;&#39; &unknown;')).toBe("A&B 三' &unknown;")
+  })
+
+  test('readJsonLdNodes 略過不合法的 JSON 區塊', () => {
+    const html = '<script type="application/ld+json">{bad</script><script type="application/ld+json">{"@type":"Product","name":"x"}</script>'
+    expect(readJsonLdNodes(html)).toEqual([{ '@type': 'Product', name: 'x' }])
+  })
+})
+
+describe('platform-registry detailParserFactory', () => {
+  test.each(getRegisteredPlatforms().map(platform => [platform.name, platform]))('%s 提供詳情頁網域與解析器', (name, platform) => {
+    const parser = platform.detailParserFactory()
+
+    expect(parser.DETAIL_ORIGINS.length).toBeGreaterThan(0)
+    expect(typeof parser.getDetailUrl).toBe('function')
+    expect(typeof parser.parseDetailPage).toBe('function')
+  })
+})
@@ -0,0 +1,260 @@
+/**
+ * UI 多語系層測試
+ *
+ * 測試範圍：
+ * - locale 完整性：每個語系的鍵、複數形式（zero）與 {param} 參數須與預設語系 zh-tw 一致
+ * - 原始碼與 HTML 使用的翻譯鍵皆存在於預設語系
+ * - t：參數替換、複數選擇、缺鍵退回
+ * - 數字 / 日期格式化、defineLocalizedText 即時取值
+ * - translateDocument、語系偏好的載入與語言選單
+ */
+
+const fs = require('fs')
+const path = require('path')
+const {
+  SUPPORTED_LOCALES,
+  DEFAULT_LOCALE,
+  LOCALE_PREFERENCE_KEY,
+  LOCALES,
+  isPluralEntry,
+  normalizeLocale,
+  t,
+  formatNumber,
+  formatDate,
+  formatList,
+  getLocale,
+  setLocale,
+  loadLocalePreference,
+  translateDocument,
+  bindLanguageSelect,
+  defineLocalizedText
+} = require('src/core/i18n/ui-i18n')
+
+const SRC_ROOT = path.resolve(__dirname, '../../../../src')
+const PARAM_PATTERN = /\{(\w+)\}/g
+
+/**
+ * 將語系物件攤平為 點分隔鍵 → 條目（字串或複數物件）
+ */
+function flatten (node, prefix = '', result = {}) {
+  for (const [name, value] of Object.entries(node)) {
+    const key = prefix ? `${prefix}.${name}` : name
+    if (typeof value === 'string' || isPluralEntry(value)) {
+      result[key] = value
+    } else {
+      flatten(value, key, result)
+    }
+  }
+  return result
+}
+
+function paramsOf (entry) {
+  const texts = typeof entry === 'string' ? [entry] : Object.values(entry)
+  return [...new Set(texts.flatMap(text => [...text.matchAll(PARAM_PATTERN)].map(match => match[1])))].sort()
+}
+
+function listFiles (dir, extensions) {
+  return fs.readdirSync(dir, { withFileTypes: true }).flatMap(entry => {
+    const fullPath = path.join(dir, entry.name)
+    if (entry.isDirectory()) return listFiles(fullPath, extensions)
+    return extensions.includes(path.extname(entry.name)) ? [fullPath] : []
+  })
+}
+
+function createStorage (initial = {}) {
+  const data = { ...initial }
+  return {
+    data,
+    get: jest.fn(async keys => Object.fromEntries(keys.filter(key => key in data).map(key => [key, data[key]]))),
+    set: jest.fn(async items => { Object.assign(data, items) })
+  }
+}
+
+describe('locale 完整性', () => {
+  const reference = flatten(LOCALES[DEFAULT_LOCALE])
+  const otherLocales = SUPPORTED_LOCALES.filter(locale => locale !== DEFAULT_LOCALE)
+
+  test('支援繁體中文、英文與日文', () => {
+    expect(SUPPORTED_LOCALES).toEqual(['zh-tw', 'en-us', 'ja-jp'])
+  })
+
+  test.each(otherLocales)('%s 沒有缺少或多出的鍵', locale => {
+    const keys = Object.keys(flatten(LOCALES[locale]))
+    const referenceKeys = Object.keys(reference)
+
+    expect(referenceKeys.filter(key => !keys.includes(key))).toEqual([])
+    expect(keys.filter(key => !referenceKeys.includes(key))).toEqual([])
+  })
+
+  test.each(otherLocales)('%s 的 {param} 參數與空狀態（zero）形式與 zh-tw 一致', locale => {
+    const entries = flatten(LOCALES[locale])
+    const mismatched = Object.entries(reference).filter(([key, entry]) => {
+      const translated = entries[key]
+      if (translated === undefined) return false
+      const zeroMismatch = typeof entry === 'object' && entry.zero !== undefined &&
+        (typeof translated !== 'object' || translated.zero === undefined)
+      return zeroMismatch || paramsOf(entry).join() !== paramsOf(translated).join()
+    }).map(([key]) => key)
+
+    expect(mismatched).toEqual([])
+  })
+
+  test('原始碼與 HTML 引用的翻譯鍵皆存在', () => {
+    const referenceKeys = new Set(Object.keys(reference))
+    const used = new Set()
+    for (const file of listFiles(SRC_ROOT, ['.js', '.html'])) {
+      const content = fs.readFileSync(file, 'utf8')
+      for (const match of content.matchAll(/'((?:overview|common|popup)\.[a-zA-Z]+\.[\w.-]+)'/g)) {
+        used.add(match[1])
+      }
+      if (file.endsWith('.html')) {
+        for (const match of content.matchAll(/data-i18n(?:-attr)?="([^"]+)"/g)) {
+          match[1].split(',').forEach(pair => used.add(pair.split(':').pop().trim()))
+        }
+      }
+    }
+
+    expect(used.size).toBeGreaterThan(100)
+    expect([...used].filter(key => !referenceKeys.has(key))).toEqual([])
+  })
+
+  test.each(SUPPORTED_LOCALES)('%s 定義 overview 匯入流程（驗證 / 讀取 / 解析）使用的每個鍵', locale => {
+    const keys = flatten(LOCALES[locale])
+    const used = new Set()
+    for (const file of listFiles(path.join(SRC_ROOT, 'overview/import'), ['.js'])) {
+      const content = fs.readFileSync(file, 'utf8')
+      for (const match of content.matchAll(/'(overview\.[a-zA-Z]+\.[\w.-]+)'/g)) {
+        used.add(match[1])
+      }
+    }
+
+    expect([...used]).toEqual(expect.arrayContaining([
+      'overview.importFile.noFile',
+      'overview.importFile.tooLarge',
+      'overview.importFile.loadFailed',
+      'overview.importFile.csvMissingColumns'
+    ]))
+    expect([...used].filter(key => keys[key] === undefined)).toEqual([])
+  })
+})
+
+describe('t 與格式化', () => {
+  afterEach(() => {
+    setLocale(DEFAULT_LOCALE)
+  })
+
+  test('替換參數並以語系格式化數字', () => {
+    expect(t('overview.bulk.selection', { count: 3 })).toBe('已選取 3 本')
+
+    setLocale('en-us')
+    expect(t('overview.bulk.selection', { count: 1200 })).toBe('1,200 books selected')
+  })
+
+  test('依 count 選擇複數形式；count 為 0 時優先使用 zero', () => {
+    setLocale('en-us')
+    expect(t('overview.bulk.selection', { count: 1 })).toBe('1 book selected')
+    expect(t('overview.workLinks.show', { count: 0 })).toBe('Duplicates')
+    expect(t('overview.workLinks.show', { count: 2 })).toBe('Duplicates (2)')
+
+    setLocale('ja-jp')
+    expect(t('overview.bulk.selection', { count: 1 })).toBe('1 冊を選択中')
+  })
+
+  test('目前語系缺鍵時退回 zh-tw，皆缺時回傳 [key]', () => {
+    setLocale('ja-jp')
+    const jaTags = LOCALES['ja-jp'].overview.tags
+    const original = jaTags.expand
+    delete jaTags.expand
+    try {
+      expect(t('overview.tags.expand')).toBe('展開標籤')
+    } finally {
+      jaTags.expand = original
+    }
+    expect(t('overview.no.such.key')).toBe('[overview.no.such.key]')
+  })
+
+  test('normalizeLocale 接受大小寫與語言代碼，不支援者退回預設語系', () => {
+    expect(normalizeLocale('ja')).toBe('ja-jp')
+    expect(normalizeLocale('en_US')).toBe('en-us')
+    expect(normalizeLocale('fr-fr')).toBe(DEFAULT_LOCALE)
+    expect(normalizeLocale(undefined)).toBe(DEFAULT_LOCALE)
+  })
+
+  test('formatNumber / formatDate / formatList 依語系輸出', () => {
+    const date = Date.UTC(2026, 9, 1)
+    const options = { year: 'numeric', month: 'long', timeZone: 'UTC' }
+
+    expect(formatNumber(0.9, { style: 'percent' })).toBe('90%')
+    expect(formatDate(date, options)).toBe('2026年10月')
+    expect(formatList(['甲', '乙'])).toBe('甲、乙')
+
+    setLocale('en-us')
+    expect(formatDate(date, options)).toBe('October 2026')
+    expect(formatList(['A', 'B'])).toBe('A, B')
+  })
+
+  test('defineLocalizedText 於讀取時取目前語系，函式與 statics 原樣保留', () => {
+    const TEXT = defineLocalizedText({
+      EMPTY: 'overview.tags.empty',
+      MORE: count => t('overview.tags.more', { count }),
+      NESTED: { DELETE: 'overview.bulk.deleteBooks' }
+    }, { MAX_VISIBLE: 3 })
+
+    expect(TEXT.EMPTY).toBe('未分類')
+    setLocale('en-us')
+    expect(TEXT.EMPTY).toBe('Uncategorized')
+    expect(TEXT.MORE(2)).toBe('2 more tags')
+    expect(TEXT.NESTED.DELETE).toBe('Delete books')
+    expect(TEXT.MAX_VISIBLE).toBe(3)
+    expect(Object.isFrozen(TEXT)).toBe(true)
+  })
+})
+
+describe('頁面與語系偏好', () => {
+  afterEach(() => {
+    setLocale(DEFAULT_LOCALE)
+    document.body.innerHTML = ''
+  })
+
+  test('translateDocument 替換 data-i18n 文字與 data-i18n-attr 屬性並設定 lang', () => {
+    document.body.innerHTML = `
+      <button id="btn" data-i18n="overview.page.reload">重新載入</button>
+      <input id="search" data-i18n-attr="placeholder:overview.page.searchPlaceholder, aria-label:overview.page.viewMode">`
+    setLocale('ja-jp')
+
+    translateDocument(document)
+
+    expect(document.getElementById('btn').textContent).toBe('再読み込み')
+    expect(document.getElementById('search').getAttribute('aria-label')).toBe('表示モード')
+    expect(document.getElementById('search').getAttribute('placeholder')).toContain('検索')
+    expect(document.documentElement.getAttribute('lang')).toBe('ja-JP')
+  })
+
+  test('loadLocalePreference 套用儲存的語系；未設定、不支援或讀取失敗時使用預設語系', async () => {
+    expect(await loadLocalePreference(createStorage({ [LOCALE_PREFERENCE_KEY]: 'ja-jp' }))).toBe('ja-jp')
+    expect(getLocale()).toBe('ja-jp')
+
+    expect(await loadLocalePreference(createStorage({ [LOCALE_PREFERENCE_KEY]: 'fr-fr' }))).toBe(DEFAULT_LOCALE)
+    expect(await loadLocalePreference({ get: jest.fn(async () => { throw new Error('unavailable') }) })).toBe(DEFAULT_LOCALE)
+    expect(await loadLocalePreference(null)).toBe(DEFAULT_LOCALE)
+  })
+
+  test('bindLanguageSelect 列出語系並於變更時儲存偏好', async () => {
+    document.body.innerHTML = '<select id="languageSelect"></select>'
+    const select = document.getElementById('languageSelect')
+    const storage = createStorage()
+    const onChange = jest.fn()
+
+    bindLanguageSelect(select, { storage, onChange })
+    expect([...select.options].map(option => option.textContent)).toEqual(['繁體中文', 'English', '日本語'])
+    expect(select.value).toBe(DEFAULT_LOCALE)
+
+    select.value = 'en-us'
+    select.dispatchEvent(new Event('change'))
+    await new Promise(resolve => setTimeout(resolve, 0))
+
+    expect(storage.data[LOCALE_PREFERENCE_KEY]).toBe('en-us')
+    expect(onChange).toHaveBeenCalledWith('en-us')
+    expect(getLocale()).toBe('en-us')
+  })
+})
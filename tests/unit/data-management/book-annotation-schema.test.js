@@ -0,0 +1,122 @@
+/**
+ * BookAnnotationSchema 單元測試
+ *
+ * 覆蓋評分 / 日期 / 筆記的正規化、編輯驗證、套用與重新提取時的沿用規則
+ */
+
+const {
+  ANNOTATION_ERRORS,
+  NOTES_MAX_LENGTH,
+  normalizeRating,
+  normalizeAnnotationDate,
+  sanitizeAnnotations,
+  validateAnnotationChanges,
+  applyAnnotationChanges,
+  carryOverAnnotations,
+  summarizeRatings
+} = require('src/data-management/BookAnnotationSchema')
+
+describe('BookAnnotationSchema', () => {
+  describe('normalizeRating', () => {
+    test.each([
+      [3, 3],
+      ['5', 5],
+      ['', null],
+      [null, null],
+      [0, undefined],
+      [6, undefined],
+      [4.5, undefined],
+      ['abc', undefined]
+    ])('%p → %p', (input, expected) => {
+      expect(normalizeRating(input)).toBe(expected)
+    })
+  })
+
+  describe('normalizeAnnotationDate', () => {
+    test.each([
+      ['2026-03-01', '2026-03-01'],
+      ['2026-03-01T10:00:00.000Z', '2026-03-01'],
+      ['', null],
+      ['2026-02-30', undefined],
+      ['2026/03/01', undefined],
+      [20260301, undefined]
+    ])('%p → %p', (input, expected) => {
+      expect(normalizeAnnotationDate(input)).toBe(expected)
+    })
+  })
+
+  describe('sanitizeAnnotations', () => {
+    test('丟棄無效值並截斷過長筆記', () => {
+      const result = sanitizeAnnotations({
+        rating: 7,
+        notes: 'x'.repeat(NOTES_MAX_LENGTH + 10),
+        startedAt: 'yesterday',
+        finishedAt: '2026-01-02'
+      })
+      expect(result).toEqual({ notes: 'x'.repeat(NOTES_MAX_LENGTH), finishedAt: '2026-01-02' })
+    })
+  })
+
+  describe('validateAnnotationChanges', () => {
+    test('整理有效變更，空值轉為 null（清除）', () => {
+      expect(validateAnnotationChanges({ rating: '4', notes: '  ', startedAt: '2026-01-01' })).toEqual({
+        valid: true,
+        changes: { rating: 4, notes: null, startedAt: '2026-01-01' }
+      })
+    })
+
+    test.each([
+      [{ rating: 4.5 }, ANNOTATION_ERRORS.INVALID_RATING],
+      [{ finishedAt: '2026-13-01' }, ANNOTATION_ERRORS.INVALID_DATE],
+      [{ notes: 'x'.repeat(NOTES_MAX_LENGTH + 1) }, ANNOTATION_ERRORS.NOTES_TOO_LONG],
+      [{ title: 'x' }, ANNOTATION_ERRORS.INVALID_FIELD],
+      [null, ANNOTATION_ERRORS.INVALID_FIELD]
+    ])('%p → %s', (changes, error) => {
+      expect(validateAnnotationChanges(changes)).toEqual({ valid: false, error })
+    })
+  })
+
+  describe('applyAnnotationChanges', () => {
+    test('設定與清除欄位並回報是否變更', () => {
+      const book = { id: 'b1', rating: 3, notes: '舊筆記' }
+      expect(applyAnnotationChanges(book, { rating: 5, notes: null })).toEqual({ changed: true })
+      expect(book).toEqual({ id: 'b1', rating: 5 })
+      expect(applyAnnotationChanges(book, { rating: 5 })).toEqual({ changed: false })
+    })
+
+    test('讀完日期早於開始日期時拒絕且不修改書籍', () => {
+      const book = { id: 'b1', startedAt: '2026-03-01' }
+      expect(applyAnnotationChanges(book, { finishedAt: '2026-02-01' })).toEqual({ error: ANNOTATION_ERRORS.DATE_ORDER })
+      expect(book).toEqual({ id: 'b1', startedAt: '2026-03-01' })
+    })
+
+    test('只改評分時不因既有日期順序阻擋', () => {
+      const book = { id: 'b1', startedAt: '2026-03-01', finishedAt: '2026-02-01' }
+      expect(applyAnnotationChanges(book, { rating: 2 })).toEqual({ changed: true })
+    })
+  })
+
+  describe('carryOverAnnotations', () => {
+    test('沿用書庫既有註記並捨棄提取結果中的同名欄位', () => {
+      const previous = [{ id: 'a', rating: 4, notes: '筆記' }, { id: 'b', title: '舊' }]
+      const extracted = [{ id: 'a', title: 'A', rating: 1 }, { id: 'b', title: 'B', notes: '書城' }, { id: 'c', title: 'C' }]
+
+      const result = carryOverAnnotations(previous, extracted)
+
+      expect(result[0]).toEqual({ id: 'a', title: 'A', rating: 4, notes: '筆記' })
+      expect(result[1]).toEqual({ id: 'b', title: 'B' })
+      expect(result[2]).toBe(extracted[2])
+    })
+  })
+
+  describe('summarizeRatings', () => {
+    test('只計入已評分書籍，四捨五入至小數一位', () => {
+      expect(summarizeRatings([{ rating: 5 }, { rating: 4 }, { rating: 4 }, {}, { rating: 0 }]))
+        .toEqual({ ratedCount: 3, averageRating: 4.3 })
+    })
+
+    test('無評分時 averageRating 為 null', () => {
+      expect(summarizeRatings([{}])).toEqual({ ratedCount: 0, averageRating: null })
+    })
+  })
+})
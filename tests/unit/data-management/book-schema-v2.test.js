@@ -99,8 +99,8 @@ function createValidTag (overrides = {}) {
 // ============================================================
 
 describe('Book Schema v2 定義', () => {
-  test('Schema 版本為 3.0.0', () => {
-    expect(SCHEMA_VERSION).toBe('3.0.0')
+  test('Schema 版本為 4.0.0', () => {
+    expect(SCHEMA_VERSION).toBe('4.0.0')
   })
 
   test('Schema 不再硬編碼 platform（書城來源由 source 動態識別）', () => {
@@ -0,0 +1,113 @@
+/**
+ * BookWorkSchema 測試
+ *
+ * 測試範圍：
+ * - scoreBookMatch：完整 / 主書名、作者與出版社加減分
+ * - findDuplicateCandidates：只比對不同 source、略過已略過與已連結的配對
+ * - linkBookWork / mergeBookWorks：與既有作品合併
+ * - collapseBooksByWork：代表書籍的合併進度、狀態、書城與位置
+ */
+
+const {
+  MATCH_REASONS,
+  pairKey,
+  scoreBookMatch,
+  findDuplicateCandidates,
+  linkBookWork,
+  mergeBookWorks,
+  collapseBooksByWork
+} = require('src/data-management/BookWorkSchema')
+
+const READMOO = { id: 'rm1', title: '三體', authors: ['劉慈欣'], publisher: '貓頭鷹', source: 'readmoo', progress: 40, readingStatus: 'reading', tags: ['readmoo'] }
+const BOOKS_TW = { id: 'bk1', title: '三體 ', authors: ['劉 慈欣'], publisher: '貓頭鷹', source: 'books-com-tw', progress: 0, readingStatus: 'unread', tags: ['books-com-tw'] }
+const KOBO = { id: 'kb1', title: '三體（全新版）', source: 'kobo', progress: 100, readingStatus: 'finished', tags: ['kobo'] }
+
+describe('scoreBookMatch', () => {
+  test('書名正規化後相同、作者與出版社相符時信心最高', () => {
+    expect(scoreBookMatch(READMOO, BOOKS_TW)).toEqual({
+      confidence: 1,
+      reasons: [MATCH_REASONS.TITLE_EXACT, MATCH_REASONS.AUTHOR_MATCH, MATCH_REASONS.PUBLISHER_MATCH]
+    })
+  })
+
+  test('主書名相同且缺作者時僅計書名分數；作者衝突扣分；書名不同回傳 null', () => {
+    expect(scoreBookMatch(READMOO, KOBO)).toEqual({ confidence: 0.45, reasons: [MATCH_REASONS.TITLE_MAIN] })
+    expect(scoreBookMatch(READMOO, { ...BOOKS_TW, authors: ['別人'] }).confidence).toBe(0.4)
+    expect(scoreBookMatch(READMOO, { title: '沙丘' })).toBeNull()
+  })
+})
+
+describe('findDuplicateCandidates', () => {
+  test('只列出不同書城且達最低信心的配對，依信心排序', () => {
+    const candidates = findDuplicateCandidates([
+      READMOO,
+      BOOKS_TW,
+      KOBO,
+      { id: 'rm2', title: '三體', source: 'readmoo' }
+    ])
+
+    // 同為 Readmoo 的 rm1 / rm2 不比對；僅主書名相同且無作者的 kobo 版本（0.45）未達門檻
+    expect(candidates.map(c => [c.key, c.confidence])).toEqual([
+      [pairKey('rm1', 'bk1'), 1],
+      [pairKey('rm2', 'bk1'), 0.6]
+    ])
+  })
+
+  test('已略過或已在同一作品的配對不列出', () => {
+    const books = [READMOO, BOOKS_TW, { ...KOBO, title: '三體' }]
+    const works = [{ id: 'w1', bookIds: ['rm1', 'kb1'] }]
+
+    const candidates = findDuplicateCandidates(books, { works, dismissed: [pairKey('bk1', 'rm1')] })
+
+    expect(candidates.map(c => c.key)).toEqual([pairKey('bk1', 'kb1')])
+  })
+})
+
+describe('linkBookWork / mergeBookWorks', () => {
+  test('任一書籍已屬作品時併入該作品並保留其 id 與主要版本', () => {
+    const works = [{ id: 'w1', bookIds: ['rm1', 'bk1'], primaryBookId: 'bk1', createdAt: 't0' }]
+
+    const { works: next, work } = linkBookWork(works, ['kb1', 'rm1'], { id: 'w-new', now: 't1' })
+
+    expect(next).toHaveLength(1)
+    expect(work).toEqual({ id: 'w1', bookIds: ['rm1', 'bk1', 'kb1'], primaryBookId: 'bk1', createdAt: 't0', updatedAt: 't1' })
+  })
+
+  test('匯入的作品與本地共用書籍時合併，其餘新增；不足兩本的作品丟棄', () => {
+    const local = [{ id: 'w1', bookIds: ['rm1', 'bk1'] }]
+    const incoming = [{ id: 'w9', bookIds: ['bk1', 'kb1'] }, { id: 'w8', bookIds: ['a', 'b'] }, { id: 'w7', bookIds: ['c'] }]
+
+    const merged = mergeBookWorks(local, incoming)
+
+    expect(merged.map(w => [w.id, w.bookIds])).toEqual([['w1', ['rm1', 'bk1', 'kb1']], ['w8', ['a', 'b']]])
+  })
+})
+
+describe('collapseBooksByWork', () => {
+  const works = [{ id: 'w1', bookIds: ['rm1', 'bk1', 'kb1'], primaryBookId: 'rm1' }]
+  const other = { id: 'x', title: '沙丘' }
+
+  test('作品於第一個符合版本的位置出現一次，合併進度、狀態與書城', () => {
+    const collapsed = collapseBooksByWork([other, BOOKS_TW, READMOO, KOBO], works)
+
+    expect(collapsed).toHaveLength(2)
+    expect(collapsed[0]).toBe(other)
+    expect(collapsed[1]).toMatchObject({
+      id: 'rm1',
+      title: '三體',
+      progress: 100,
+      readingStatus: 'finished',
+      tags: ['readmoo', 'books-com-tw', 'kobo'],
+      workId: 'w1'
+    })
+    expect(collapsed[1].editions.map(b => b.id)).toEqual(['rm1', 'bk1', 'kb1'])
+  })
+
+  test('清單只含部分版本時，代表書籍仍涵蓋完整書庫中的版本', () => {
+    const collapsed = collapseBooksByWork([BOOKS_TW], works, [READMOO, BOOKS_TW, other])
+
+    expect(collapsed).toHaveLength(1)
+    expect(collapsed[0]).toMatchObject({ id: 'rm1', progress: 40, readingStatus: 'reading' })
+    expect(collapsed[0].editions.map(b => b.id)).toEqual(['rm1', 'bk1'])
+  })
+})
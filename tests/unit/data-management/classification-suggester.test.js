@@ -0,0 +1,135 @@
+/**
+ * ClassificationSuggester 單元測試
+ *
+ * 覆蓋詞彙比對（中日文子字串 / 英數詞界）、出版社與類型權重、已歸類判定、
+ * 已刪除類別沿預裝樹上移、本機學習權重與學習資料正規化
+ */
+
+const {
+  CLASSIFICATION_MIN_SCORE,
+  normalizeClassificationLearning,
+  collectClassificationCategoryIds,
+  recordClassificationChoice,
+  suggestClassifications
+} = require('src/data-management/ClassificationSuggester')
+const { CHINESE_CLASSIFICATION_PRESETS } = require('src/data-management/presets/chinese-classification')
+
+const categories = CHINESE_CLASSIFICATION_PRESETS.map(node => ({ ...node }))
+
+function suggest (books, options = {}) {
+  return suggestClassifications(books, { categories, tags: [], ...options })
+}
+
+describe('ClassificationSuggester', () => {
+  describe('collectClassificationCategoryIds', () => {
+    test('包含預裝主類、次類與使用者自建子類，不含未分類與其他樹', () => {
+      const ids = collectClassificationCategoryIds([
+        ...categories,
+        { id: 'sys_cat_uncategorized', parentId: null },
+        { id: 'c-manga', parentId: 'sys_cat_9' },
+        { id: 'c-shonen', parentId: 'c-manga' },
+        { id: 'c-topic', parentId: null }
+      ])
+
+      expect(ids.has('sys_cat_9')).toBe(true)
+      expect(ids.has('sys_cat_12')).toBe(true)
+      expect(ids.has('c-shonen')).toBe(true)
+      expect(ids.has('sys_cat_uncategorized')).toBe(false)
+      expect(ids.has('c-topic')).toBe(false)
+    })
+  })
+
+  describe('suggestClassifications', () => {
+    test('書名詞彙、出版社與類型權重合計，附上依據', () => {
+      const [suggestion] = suggest([{ id: 'b1', title: '海賊王 Vol. 1', publisher: '東立出版社', type: '版式' }])
+
+      expect(suggestion).toMatchObject({ bookId: 'b1', categoryId: 'sys_cat_9', score: 4, confidence: 1 })
+      expect(suggestion.reasons).toEqual(['vol.', '東立', '版式'])
+    })
+
+    test('英數詞彙需落在詞界；中日文詞彙以子字串比對', () => {
+      expect(suggest([{ id: 'b1', title: 'The Art of Start' }])[0].categoryId).toBe('sys_cat_9')
+      expect(suggest([{ id: 'b2', title: 'Startup Smart' }])).toEqual([])
+      expect(suggest([{ id: 'b3', title: '論語別裁' }])[0].categoryId).toBe('sys_cat_12')
+    })
+
+    test('分數低於門檻時不建議', () => {
+      expect(CLASSIFICATION_MIN_SCORE).toBeGreaterThan(1)
+      expect(suggest([{ id: 'b1', title: '人類大歷史' }])).toEqual([])
+    })
+
+    test('書上既有 tag 名稱也納入比對；已有分類 tag 的書略過', () => {
+      const tags = [
+        { id: 't-sf', name: '科幻', categoryId: 'c-topic' },
+        { id: 't-class', name: '8 語言文學類', categoryId: 'sys_cat_8' },
+        { id: 't-novel', name: '長篇小說', categoryId: 'c-topic' }
+      ]
+      const result = suggest([
+        { id: 'b1', title: '三體', tagIds: ['t-sf', 't-novel'] },
+        { id: 'b2', title: '百年孤寂 小說', tagIds: ['t-class'] }
+      ], { categories: [...categories, { id: 'c-topic', parentId: null }], tags })
+
+      expect(result.map(s => [s.bookId, s.categoryId])).toEqual([['b1', 'sys_cat_8']])
+    })
+
+    test('模型次類被刪除時改算到上層類別；已拒絕的書不再建議', () => {
+      const withoutSubclass = categories.filter(c => c.id !== 'sys_cat_12')
+      const books = [{ id: 'b1', title: '論語別裁' }, { id: 'b2', title: '莊子讀本' }]
+
+      expect(suggest(books, { categories: withoutSubclass, dismissed: ['b2'] }))
+        .toEqual([expect.objectContaining({ bookId: 'b1', categoryId: 'sys_cat_1' })])
+    })
+
+    test('依信心度排序並列出其他候選', () => {
+      const result = suggest([
+        { id: 'b1', title: '二戰與史記' },
+        { id: 'b2', title: '聖經故事' }
+      ])
+
+      expect(result.map(s => s.bookId)).toEqual(['b2', 'b1'])
+      expect(result[1]).toMatchObject({
+        categoryId: 'sys_cat_6',
+        confidence: 0.5,
+        alternatives: [{ categoryId: 'sys_cat_7', score: 3 }]
+      })
+    })
+
+    test('沒有分類法樹時不建議', () => {
+      expect(suggestClassifications([{ id: 'b1', title: '漫畫' }], { categories: [], tags: [] })).toEqual([])
+    })
+  })
+
+  describe('本機學習', () => {
+    test('recordClassificationChoice 記錄出版社與非分類 tag', () => {
+      const learning = normalizeClassificationLearning(null)
+      const book = { id: 'b1', publisher: ' 遠流 ', tagIds: ['t-topic', 't-class'] }
+
+      recordClassificationChoice(learning, book, 'sys_cat_7', new Set(['t-class']))
+      recordClassificationChoice(learning, book, 'sys_cat_7', new Set(['t-class']))
+
+      expect(learning).toEqual({
+        publishers: { 遠流: { sys_cat_7: 2 } },
+        tags: { 't-topic': { sys_cat_7: 2 } }
+      })
+    })
+
+    test('學習權重讓原本不足門檻的書得到建議，權重有上限', () => {
+      const learning = { publishers: { 遠流: { sys_cat_7: 10 } }, tags: {} }
+      const [suggestion] = suggest([{ id: 'b1', title: '無名之書', publisher: '遠流' }], { learning })
+
+      expect(suggestion).toMatchObject({ categoryId: 'sys_cat_7', score: 3, reasons: ['遠流'] })
+    })
+
+    test('學習指向已刪除或非分類法 category 時略過', () => {
+      const learning = { publishers: { 遠流: { 'c-gone': 5 } }, tags: {} }
+      expect(suggest([{ id: 'b1', title: '無名之書', publisher: '遠流' }], { learning })).toEqual([])
+    })
+
+    test('normalizeClassificationLearning 丟棄無效計數', () => {
+      expect(normalizeClassificationLearning({
+        publishers: { 遠流: { sys_cat_7: 2, sys_cat_8: -1, sys_cat_9: 'x' }, 空: {} },
+        tags: []
+      })).toEqual({ publishers: { 遠流: { sys_cat_7: 2 } }, tags: {} })
+    })
+  })
+})
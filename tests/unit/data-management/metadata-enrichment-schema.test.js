@@ -0,0 +1,138 @@
+/**
+ * MetadataEnrichmentSchema 測試
+ *
+ * 測試範圍：
+ * - normalizeEnrichmentState：無效進度回傳閒置狀態
+ * - buildEnrichmentQueue：只排入未補齊、仍有缺欄、失敗未達上限且有詳情頁的書
+ * - normalizeDetailMetadata：ISBN / 頁數 / 日期格式整理與空值移除
+ * - applyEnrichedMetadata：只填空欄位、不覆寫使用者編輯
+ * - carryOverMetadata：重新提取時沿用補齊結果、使用者編輯與 metadataEnrichedAt / editedFields
+ */
+
+const {
+  ENRICHMENT_STATUS,
+  MAX_ENRICHMENT_ATTEMPTS,
+  normalizeEnrichmentState,
+  buildEnrichmentQueue,
+  normalizeDetailMetadata,
+  applyEnrichedMetadata,
+  carryOverMetadata
+} = require('src/data-management/MetadataEnrichmentSchema')
+
+describe('normalizeEnrichmentState', () => {
+  test('未設定或無效時回傳閒置狀態；無效佇列項目移除', () => {
+    expect(normalizeEnrichmentState()).toEqual(expect.objectContaining({
+      status: ENRICHMENT_STATUS.IDLE, queue: [], total: 0, enriched: 0, failed: 0, failures: {}
+    }))
+    expect(normalizeEnrichmentState({ status: 'unknown', queue: ['a', '', 3], total: -1 }))
+      .toEqual(expect.objectContaining({ status: ENRICHMENT_STATUS.IDLE, queue: ['a'], total: 0 }))
+  })
+})
+
+describe('buildEnrichmentQueue', () => {
+  test('略過已補齊、欄位齊全、已編輯欄位以外無缺欄、失敗達上限與無詳情頁的書', () => {
+    const complete = { authors: ['劉慈欣'], publisher: '貓頭鷹', isbn: '9789862624', pageCount: 300, purchasedAt: '2024-01-01', description: '簡介' }
+    const books = [
+      { id: 'missing', title: '缺欄', authors: [] },
+      { id: 'enriched', title: '已補齊', metadataEnrichedAt: '2026-10-01T00:00:00.000Z' },
+      { id: 'complete', title: '齊全', ...complete },
+      { id: 'edited', title: '已編輯', ...complete, description: '', editedFields: ['description'] },
+      { id: 'failedOnce', title: '失敗一次' },
+      { id: 'failedMax', title: '失敗上限' },
+      { id: 'noDetail', title: '無詳情頁' }
+    ]
+    const failures = {
+      failedOnce: { attempts: 1, reason: 'http_500' },
+      failedMax: { attempts: MAX_ENRICHMENT_ATTEMPTS, reason: 'no_metadata' }
+    }
+
+    expect(buildEnrichmentQueue(books, failures, book => book.id !== 'noDetail')).toEqual(['missing', 'failedOnce'])
+  })
+})
+
+describe('normalizeDetailMetadata', () => {
+  test('整理 ISBN、頁數與日期，無效與空值的欄位移除', () => {
+    expect(normalizeDetailMetadata({
+      authors: [' 劉慈欣 ', '劉慈欣', ''],
+      publisher: '貓頭鷹出版',
+      isbn: 'ISBN：978-986-262-428-1',
+      pageCount: '共 1,024 頁',
+      purchasedAt: '2024年3月5日',
+      description: '  地球   往事  '
+    })).toEqual({
+      authors: ['劉慈欣'],
+      publisher: '貓頭鷹出版',
+      isbn: '9789862624281',
+      pageCount: 1024,
+      purchasedAt: '2024-03-05',
+      description: '地球 往事'
+    })
+
+    expect(normalizeDetailMetadata({ authors: [], isbn: '12345', pageCount: 0, purchasedAt: '2024/02/30', description: '' })).toEqual({})
+    expect(normalizeDetailMetadata({ isbn: '0-306-40615-x' })).toEqual({ isbn: '030640615X' })
+  })
+})
+
+describe('applyEnrichedMetadata', () => {
+  const METADATA = { authors: ['劉慈欣'], publisher: '貓頭鷹', isbn: '9789862624281', pageCount: 416 }
+
+  test('只填入空欄位並記錄 metadataEnrichedAt 與 updatedAt', () => {
+    const book = { id: 'b1', authors: [], publisher: '既有出版社', updatedAt: '2026-01-01T00:00:00.000Z' }
+
+    const filled = applyEnrichedMetadata(book, METADATA, '2026-10-19T00:00:00.000Z')
+
+    expect(filled).toEqual(['authors', 'isbn', 'pageCount'])
+    expect(book).toEqual(expect.objectContaining({
+      authors: ['劉慈欣'],
+      publisher: '既有出版社',
+      isbn: '9789862624281',
+      pageCount: 416,
+      metadataEnrichedAt: '2026-10-19T00:00:00.000Z',
+      updatedAt: '2026-10-19T00:00:00.000Z'
+    }))
+  })
+
+  test('使用者編輯過的欄位即使為空也不填入；無填入時不更新 updatedAt', () => {
+    const book = { id: 'b1', authors: [], publisher: '', isbn: 'x', pageCount: 1, editedFields: ['authors', 'publisher'], updatedAt: 'before' }
+
+    expect(applyEnrichedMetadata(book, METADATA, 'after')).toEqual([])
+    expect(book.authors).toEqual([])
+    expect(book.updatedAt).toBe('before')
+    expect(book.metadataEnrichedAt).toBe('after')
+  })
+})
+
+describe('carryOverMetadata', () => {
+  const previous = [{
+    id: 'b1',
+    authors: ['劉慈欣'],
+    publisher: '貓頭鷹',
+    isbn: '9789862624281',
+    metadataEnrichedAt: '2026-10-01T00:00:00.000Z',
+    editedFields: ['isbn']
+  }]
+
+  test('提取為空的欄位與編輯過的欄位沿用既有值，提取到的新值更新未編輯欄位', () => {
+    const [book] = carryOverMetadata(previous, [{ id: 'b1', authors: [], publisher: '新出版社', isbn: '9789573317241' }])
+
+    expect(book).toEqual({
+      id: 'b1',
+      authors: ['劉慈欣'],
+      publisher: '新出版社',
+      isbn: '9789862624281',
+      metadataEnrichedAt: '2026-10-01T00:00:00.000Z',
+      editedFields: ['isbn']
+    })
+    expect(book.authors).not.toBe(previous[0].authors)
+  })
+
+  test('新書與無可沿用資料的書保持原物件', () => {
+    const fresh = { id: 'b2', authors: [] }
+    const plain = { id: 'b3', title: 'x' }
+
+    const result = carryOverMetadata([...previous, { id: 'b3', title: 'x' }], [fresh, plain])
+
+    expect(result[0]).toBe(fresh)
+    expect(result[1]).toBe(plain)
+  })
+})
@@ -0,0 +1,141 @@
+/**
+ * Storage Migration readmoo_books → IndexedDB 單元測試
+ *
+ * - t1 { books } 紀錄遷移：書籍寫入 IndexedDB，readmoo_books 改為保留 meta 的 header
+ * - t2 陣列格式 + 缺 id 書籍跳過
+ * - t3 冪等：已遷移時跳過且不寫 storage
+ * - t4 IndexedDB 寫入失敗：readmoo_books 不動，可重試
+ * - t5 標記已存在但 header 未寫入：補寫 header
+ * - t6 標記已存在但 readmoo_books 又被寫回整包：補入書庫沒有的書、保留書庫既有版本後補寫 header
+ */
+
+const {
+  migrateBooksToIndexedDB,
+  MIGRATION_MARKER_KEY
+} = require('src/data-management/migration/books-to-indexeddb')
+const { IndexedDBBookStore } = require('src/storage/adapters/indexeddb-book-store')
+const { createInMemoryIndexedDB } = require('@tests/helpers/in-memory-indexeddb')
+
+describe('books-to-indexeddb migration', () => {
+  let idb
+  let bookStore
+  let logger
+
+  function createMockStorage (initialData = {}) {
+    const store = { ...initialData }
+    return {
+      get: jest.fn((keys) => {
+        const result = {}
+        keys.forEach(k => { if (k in store) result[k] = store[k] })
+        return Promise.resolve(result)
+      }),
+      set: jest.fn((items) => {
+        Object.assign(store, items)
+        return Promise.resolve()
+      }),
+      _store: store
+    }
+  }
+
+  beforeEach(() => {
+    idb = createInMemoryIndexedDB()
+    bookStore = new IndexedDBBookStore({ indexedDB: idb })
+    logger = { info: jest.fn(), warn: jest.fn(), error: jest.fn() }
+  })
+
+  test('t1 { books } 紀錄遷移至 IndexedDB，readmoo_books 只留 header', async () => {
+    const storage = createMockStorage({
+      readmoo_books: {
+        books: [{ id: 'b1', title: '三體', tagIds: ['t1'] }, { id: 'b2', title: '原子習慣' }],
+        extractionTimestamp: 1760000000000,
+        extractionCount: 2
+      }
+    })
+
+    const result = await migrateBooksToIndexedDB(storage, bookStore, logger)
+
+    expect(result).toEqual({ migrated: true, bookCount: 2 })
+    expect((await bookStore.getAllBooks()).map(b => b.id)).toEqual(['b1', 'b2'])
+    expect(await bookStore.getMeta(MIGRATION_MARKER_KEY)).toMatchObject({ bookCount: 2 })
+    const header = storage._store.readmoo_books
+    expect(header).toMatchObject({ storage: 'indexeddb', bookCount: 2, extractionTimestamp: 1760000000000, extractionCount: 2 })
+    expect(header.books).toBeUndefined()
+  })
+
+  test('t2 陣列格式遷移，缺 id 書籍跳過', async () => {
+    const storage = createMockStorage({ readmoo_books: [{ id: 'b1' }, { title: '無 id' }, null] })
+
+    const result = await migrateBooksToIndexedDB(storage, bookStore, logger)
+
+    expect(result.bookCount).toBe(1)
+    expect(logger.warn).toHaveBeenCalledTimes(2)
+    expect(storage._store.readmoo_books).toMatchObject({ storage: 'indexeddb', bookCount: 1 })
+  })
+
+  test('t3 已遷移時跳過，不覆寫 IndexedDB 與 storage', async () => {
+    const storage = createMockStorage({ readmoo_books: { books: [{ id: 'b1' }] } })
+    await migrateBooksToIndexedDB(storage, bookStore, logger)
+    await bookStore.putBooks([{ id: 'b2' }])
+    storage.set.mockClear()
+
+    const result = await migrateBooksToIndexedDB(storage, bookStore, logger)
+
+    expect(result).toEqual({ migrated: false, reason: 'already_migrated' })
+    expect(storage.set).not.toHaveBeenCalled()
+    expect(await bookStore.countBooks()).toBe(2)
+  })
+
+  test('t4 IndexedDB 寫入失敗時 readmoo_books 不動，之後可重試', async () => {
+    const original = { books: [{ id: 'b1' }, { id: 'b2' }] }
+    const storage = createMockStorage({ readmoo_books: original })
+    idb.failPut = (book) => book.id === 'b2'
+
+    const failed = await migrateBooksToIndexedDB(storage, bookStore, logger)
+
+    expect(failed.migrated).toBe(false)
+    expect(failed.error).toBeDefined()
+    expect(storage.set).not.toHaveBeenCalled()
+    expect(await bookStore.countBooks()).toBe(0)
+    expect(await bookStore.getMeta(MIGRATION_MARKER_KEY)).toBeNull()
+
+    idb.failPut = null
+    expect((await migrateBooksToIndexedDB(storage, bookStore, logger)).migrated).toBe(true)
+  })
+
+  test('t5 標記已存在但 readmoo_books 仍為舊 blob 時補寫 header', async () => {
+    await bookStore.importLegacyBooks([{ id: 'b1' }], MIGRATION_MARKER_KEY, { bookCount: 1 })
+    const storage = createMockStorage({ readmoo_books: { books: [{ id: 'b1' }], extractionCount: 1 } })
+
+    const result = await migrateBooksToIndexedDB(storage, bookStore, logger)
+
+    expect(result.reason).toBe('already_migrated')
+    expect(storage._store.readmoo_books).toMatchObject({ storage: 'indexeddb', bookCount: 1, extractionCount: 1 })
+    expect(storage._store.readmoo_books.books).toBeUndefined()
+  })
+  test('t6 標記已存在時舊 blob 中書庫沒有的書補入，已存在的書保留書庫版本', async () => {
+    await bookStore.importLegacyBooks([{ id: 'b1', title: '書庫版本' }], MIGRATION_MARKER_KEY, { bookCount: 1 })
+    const storage = createMockStorage({
+      readmoo_books: { books: [{ id: 'b1', title: '舊 blob 版本' }, { id: 'b2', title: '新書' }, { title: '缺 id' }] }
+    })
+
+    const result = await migrateBooksToIndexedDB(storage, bookStore, logger)
+
+    expect(result).toEqual({ migrated: false, reason: 'already_migrated', mergedCount: 1 })
+    expect(await bookStore.getBook('b1')).toEqual({ id: 'b1', title: '書庫版本' })
+    expect(await bookStore.getBook('b2')).toEqual({ id: 'b2', title: '新書' })
+    expect(storage._store.readmoo_books).toMatchObject({ storage: 'indexeddb', bookCount: 2 })
+    expect(storage._store.readmoo_books.books).toBeUndefined()
+  })
+
+  test('t6 補入失敗時 readmoo_books 不動', async () => {
+    await bookStore.importLegacyBooks([{ id: 'b1' }], MIGRATION_MARKER_KEY, { bookCount: 1 })
+    const storage = createMockStorage({ readmoo_books: [{ id: 'b2' }] })
+    idb.failPut = () => true
+
+    const result = await migrateBooksToIndexedDB(storage, bookStore, logger)
+
+    expect(result.error).toBeDefined()
+    expect(storage.set).not.toHaveBeenCalled()
+    expect(storage._store.readmoo_books).toEqual([{ id: 'b2' }])
+  })
+})
@@ -8,6 +8,7 @@
  * - t4 case 4 同 privacyBookId 多筆：取新覆寫舊 + tag 並集
  * - t5 atomicity：寫入失敗整批回滾
  * - t6 schema_version 升至 3.1.0：寫入正確
+ * - t7 readmoo_books 為 { books } 或 IndexedDB header：經對應後端讀寫，失敗時一併還原
  */
 
 const {
@@ -16,6 +17,8 @@ const {
   rollbackMigration,
   TARGET_SCHEMA_VERSION
 } = require('src/data-management/migration/cover-to-reader')
+const { IndexedDBBookStore } = require('src/storage/adapters/indexeddb-book-store')
+const { createInMemoryIndexedDB } = require('@tests/helpers/in-memory-indexeddb')
 
 describe('cover-to-reader migration', () => {
   let mockStorage
@@ -330,6 +333,71 @@ describe('cover-to-reader migration', () => {
     })
   })
 
+  // ──────────────────────────────────────────────────────────────────
+  // t7 書庫格式：{ books } 紀錄與 IndexedDB header
+  // ──────────────────────────────────────────────────────────────────
+  describe('書庫格式', () => {
+    test('{ books } 紀錄遷移後保留結構與其他欄位', async () => {
+      mockStorage = createMockStorage({
+        schema_version: '3.0.0',
+        readmoo_books: { books: [createCoverBook()], extractionTimestamp: 123 }
+      })
+
+      const result = await migrateCoverToReader(mockStorage, mockLogger)
+
+      expect(result.migrated).toBe(true)
+      expect(mockStorage._store.readmoo_books.extractionTimestamp).toBe(123)
+      expect(mockStorage._store.readmoo_books.books.map(book => book.id)).toEqual(['reader-pbk-001'])
+    })
+
+    describe('IndexedDB header', () => {
+      const header = { storage: 'indexeddb', bookCount: 2 }
+      let bookStore
+
+      beforeEach(async () => {
+        bookStore = new IndexedDBBookStore({ indexedDB: createInMemoryIndexedDB() })
+        await bookStore.putBooks([createCoverBook(), createCoverBook({ id: 'reader-keep', identifiers: {} })])
+      })
+
+      test('經 store 改寫 id：刪除舊 id、寫入新 id，header 更新書籍數', async () => {
+        mockStorage = createMockStorage({ schema_version: '3.0.0', readmoo_books: header })
+
+        const result = await migrateCoverToReader(mockStorage, mockLogger, { getBookStore: async () => bookStore })
+
+        expect(result.migrated).toBe(true)
+        expect((await bookStore.getAllBooks()).map(book => book.id).sort()).toEqual(['reader-keep', 'reader-pbk-001'])
+        expect(await bookStore.getBook('cover-abc123')).toBeNull()
+        expect(mockStorage._store.readmoo_books).toEqual(expect.objectContaining({ storage: 'indexeddb', bookCount: 2 }))
+        expect(mockStorage._store.schema_version).toBe('3.1.0')
+      })
+
+      test('schema_version 寫入失敗時 store 還原為原始書籍', async () => {
+        const originals = await bookStore.getAllBooks()
+        mockStorage = createMockStorage({ schema_version: '3.0.0', readmoo_books: header })
+        const set = mockStorage.set.getMockImplementation()
+        mockStorage.set.mockImplementation((items) => {
+          if ('schema_version' in items) return Promise.reject(new Error('write failed'))
+          return set(items)
+        })
+
+        const result = await migrateCoverToReader(mockStorage, mockLogger, { getBookStore: async () => bookStore })
+
+        expect(result).toEqual({ migrated: false, error: 'write failed' })
+        expect(await bookStore.getAllBooks()).toEqual(originals)
+        expect(mockStorage._store.readmoo_books).toEqual(header)
+      })
+
+      test('未提供 store 時回報錯誤且不升版本號', async () => {
+        mockStorage = createMockStorage({ schema_version: '3.0.0', readmoo_books: header })
+
+        const result = await migrateCoverToReader(mockStorage, mockLogger)
+
+        expect(result.migrated).toBe(false)
+        expect(mockStorage._store.schema_version).toBe('3.0.0')
+      })
+    })
+  })
+
   // ──────────────────────────────────────────────────────────────────
   // 純函式：transformBooks 直接呼叫（不經 storage）
   // ──────────────────────────────────────────────────────────────────
@@ -0,0 +1,219 @@
+/**
+ * Schema Migration 3.x → 4.0.0（個人註記）單元測試
+ *
+ * - 整理既有註記殘值：rating 0 / 非整數移除、日期正規化為 yyyy-mm-dd
+ * - 閱讀服務匯入的 dateRead 改存為 finishedAt
+ * - readmoo_books 為 { books } 結構的處理
+ * - readmoo_books 為 IndexedDB header 時經 store 讀寫書籍；無法開啟 store 時不升版本號
+ * - 寫入失敗整批回滾（含 IndexedDB 書籍）、已達 4.0.0 時冪等跳過
+ */
+
+const {
+  migrateV3ToV4,
+  transformBooks,
+  rollbackMigration,
+  TARGET_SCHEMA_VERSION
+} = require('src/data-management/migration/v3-to-v4')
+const { IndexedDBBookStore } = require('src/storage/adapters/indexeddb-book-store')
+const { createInMemoryIndexedDB } = require('@tests/helpers/in-memory-indexeddb')
+
+describe('v3-to-v4 migration', () => {
+  let mockStorage
+  let mockLogger
+
+  function createMockStorage (initialData = {}) {
+    const store = { ...initialData }
+    return {
+      get: jest.fn((keys) => {
+        const result = {}
+        ;(Array.isArray(keys) ? keys : [keys]).forEach(k => {
+          if (k in store) result[k] = store[k]
+        })
+        return Promise.resolve(result)
+      }),
+      set: jest.fn((items) => {
+        Object.assign(store, items)
+        return Promise.resolve()
+      }),
+      remove: jest.fn((keys) => {
+        ;(Array.isArray(keys) ? keys : [keys]).forEach(k => delete store[k])
+        return Promise.resolve()
+      }),
+      _store: store
+    }
+  }
+
+  function createBook (overrides = {}) {
+    return {
+      id: 'reader-001',
+      title: '範例書籍',
+      readingStatus: 'finished',
+      tagIds: [],
+      schemaVersion: '3.0.0',
+      ...overrides
+    }
+  }
+
+  beforeEach(() => {
+    mockLogger = { info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() }
+  })
+
+  describe('transformBooks 純函式', () => {
+    test('無效評分移除、日期正規化，schemaVersion 升至 4.0.0', () => {
+      const { books, stats } = transformBooks([
+        createBook({ id: 'a', rating: 0, startedAt: '2026-01-05T08:00:00.000Z' }),
+        createBook({ id: 'b', rating: 4.5, notes: '  好看  ' }),
+        createBook({ id: 'c', rating: 5, finishedAt: '2026-02-01' })
+      ], mockLogger)
+
+      expect(books[0]).not.toHaveProperty('rating')
+      expect(books[0].startedAt).toBe('2026-01-05')
+      expect(books[1]).not.toHaveProperty('rating')
+      expect(books[1].notes).toBe('好看')
+      expect(books[2]).toMatchObject({ rating: 5, finishedAt: '2026-02-01' })
+      expect(books.every(book => book.schemaVersion === '4.0.0')).toBe(true)
+      expect(stats).toEqual({ cleaned: 2, unchanged: 1 })
+    })
+
+    test('dateRead 改存為 finishedAt；已有 finishedAt 時保留既有值', () => {
+      const { books } = transformBooks([
+        createBook({ id: 'a', dateRead: '2025-12-31' }),
+        createBook({ id: 'b', dateRead: '2025-12-31', finishedAt: '2026-01-02' })
+      ], mockLogger)
+
+      expect(books[0].finishedAt).toBe('2025-12-31')
+      expect(books[1].finishedAt).toBe('2026-01-02')
+      expect(books[0]).not.toHaveProperty('dateRead')
+      expect(books[1]).not.toHaveProperty('dateRead')
+    })
+
+    test('非物件書籍被跳過', () => {
+      const { books } = transformBooks([null, 'x', createBook()], mockLogger)
+      expect(books).toHaveLength(1)
+      expect(mockLogger.warn).toHaveBeenCalled()
+    })
+  })
+
+  describe('migrateV3ToV4', () => {
+    test('陣列書庫：寫回整理後書籍並升至 4.0.0、刪除 backup', async () => {
+      mockStorage = createMockStorage({
+        schema_version: '3.1.0',
+        readmoo_books: [createBook({ rating: '4' })]
+      })
+
+      const result = await migrateV3ToV4(mockStorage, mockLogger)
+
+      expect(result.migrated).toBe(true)
+      expect(mockStorage._store.readmoo_books[0].rating).toBe(4)
+      expect(mockStorage._store.schema_version).toBe(TARGET_SCHEMA_VERSION)
+      expect(mockStorage._store.migration_backup_v4).toBeUndefined()
+    })
+
+    test('{ books } 結構保留其他欄位', async () => {
+      mockStorage = createMockStorage({
+        schema_version: '3.1.0',
+        readmoo_books: { books: [createBook({ rating: 9 })], extractionTimestamp: 123 }
+      })
+
+      await migrateV3ToV4(mockStorage, mockLogger)
+
+      expect(mockStorage._store.readmoo_books.extractionTimestamp).toBe(123)
+      expect(mockStorage._store.readmoo_books.books[0]).not.toHaveProperty('rating')
+    })
+
+    describe('IndexedDB 書庫（readmoo_books 為 header）', () => {
+      const header = { storage: 'indexeddb', bookCount: 2, extractionTimestamp: 123 }
+      let bookStore
+
+      beforeEach(async () => {
+        bookStore = new IndexedDBBookStore({ indexedDB: createInMemoryIndexedDB() })
+        await bookStore.putBooks([
+          createBook({ id: 'b1', rating: 0, dateRead: '2024-03-05' }),
+          createBook({ id: 'b2', rating: 4 })
+        ])
+      })
+
+      test('經 store 整理書籍並升至 4.0.0，header 保留 meta', async () => {
+        mockStorage = createMockStorage({ schema_version: '3.1.0', readmoo_books: header })
+
+        const result = await migrateV3ToV4(mockStorage, mockLogger, { getBookStore: async () => bookStore })
+
+        expect(result).toEqual({ migrated: true, stats: { cleaned: 1, unchanged: 1 } })
+        const b1 = await bookStore.getBook('b1')
+        expect(b1).not.toHaveProperty('rating')
+        expect(b1).not.toHaveProperty('dateRead')
+        expect(b1.finishedAt).toBe('2024-03-05')
+        expect(b1.schemaVersion).toBe(TARGET_SCHEMA_VERSION)
+        expect((await bookStore.getBook('b2')).schemaVersion).toBe(TARGET_SCHEMA_VERSION)
+        expect(mockStorage._store.readmoo_books).toEqual(expect.objectContaining({ storage: 'indexeddb', bookCount: 2, extractionTimestamp: 123 }))
+        expect(mockStorage._store.schema_version).toBe(TARGET_SCHEMA_VERSION)
+        expect(mockStorage._store.migration_backup_v4).toBeUndefined()
+      })
+
+      test('無法開啟 store 時回報錯誤且不升版本號', async () => {
+        mockStorage = createMockStorage({ schema_version: '3.1.0', readmoo_books: header })
+
+        const result = await migrateV3ToV4(mockStorage, mockLogger, { getBookStore: async () => null })
+
+        expect(result.migrated).toBe(false)
+        expect(result.error).toContain('IndexedDB')
+        expect(mockStorage._store.schema_version).toBe('3.1.0')
+        expect(mockStorage.set).not.toHaveBeenCalled()
+      })
+
+      test('升版本號失敗時還原 store 內的書籍與 header', async () => {
+        const originals = await bookStore.getAllBooks()
+        mockStorage = createMockStorage({ schema_version: '3.1.0', readmoo_books: header })
+        const set = mockStorage.set.getMockImplementation()
+        mockStorage.set.mockImplementation((items) => {
+          if ('schema_version' in items) return Promise.reject(new Error('write failed'))
+          return set(items)
+        })
+
+        const result = await migrateV3ToV4(mockStorage, mockLogger, { getBookStore: async () => bookStore })
+
+        expect(result).toEqual({ migrated: false, error: 'write failed' })
+        expect(await bookStore.getAllBooks()).toEqual(originals)
+        expect(mockStorage._store.readmoo_books).toEqual(header)
+        expect(mockStorage._store.schema_version).toBe('3.1.0')
+      })
+    })
+
+    test('schema_version 已達 4.0.0 時跳過（冪等性）', async () => {
+      mockStorage = createMockStorage({
+        schema_version: '4.0.0',
+        readmoo_books: [createBook({ rating: 0 })]
+      })
+
+      const result = await migrateV3ToV4(mockStorage, mockLogger)
+
+      expect(result).toEqual({ migrated: false, reason: 'already_migrated' })
+      expect(mockStorage._store.readmoo_books[0].rating).toBe(0)
+    })
+
+    test('寫入失敗時從 backup 還原', async () => {
+      const original = [createBook({ rating: 0 })]
+      mockStorage = createMockStorage({ schema_version: '3.1.0', readmoo_books: original })
+      const set = mockStorage.set.getMockImplementation()
+      mockStorage.set.mockImplementation((items) => {
+        if ('schema_version' in items) return Promise.reject(new Error('write failed'))
+        return set(items)
+      })
+
+      const result = await migrateV3ToV4(mockStorage, mockLogger)
+
+      expect(result.migrated).toBe(false)
+      expect(result.error).toBe('write failed')
+      expect(mockStorage._store.readmoo_books).toEqual(original)
+      expect(mockStorage._store.schema_version).toBe('3.1.0')
+    })
+  })
+
+  describe('rollbackMigration', () => {
+    test('無 backup 時回傳 reason=no_backup', async () => {
+      mockStorage = createMockStorage({})
+      const result = await rollbackMigration(mockStorage, mockLogger)
+      expect(result).toEqual({ restored: false, reason: 'no_backup' })
+    })
+  })
+})
@@ -0,0 +1,109 @@
+/**
+ * ProgressHistorySchema 測試
+ *
+ * 測試範圍：
+ * - recordProgressChanges：首次基準、僅在 progress / readingStatus 變動時追加、缺狀態時自動轉換、移除已刪書籍
+ * - pruneProgressHistory：保留天數與筆數上限，最新一筆一律保留
+ * - computeReadingStatistics：每月讀完、每週進度（含頁數）、reading → finished 天數
+ */
+
+const {
+  PROGRESS_HISTORY_LIMITS,
+  recordProgressChanges,
+  pruneProgressHistory,
+  computeReadingStatistics
+} = require('src/data-management/ProgressHistorySchema')
+
+const DAY = 86400 * 1000
+// 2026-10-05（週一）中午，避開時區造成的日期偏移
+const T0 = Date.UTC(2026, 9, 5, 12)
+const sec = ms => Math.floor(ms / 1000)
+
+describe('recordProgressChanges', () => {
+  test('首次出現記錄基準，之後僅在 progress 或狀態變動時追加', () => {
+    const books = [{ id: 'b1', progress: 0, readingStatus: 'unread' }]
+    const first = recordProgressChanges({}, [], books, T0)
+
+    expect(first.history).toEqual({ b1: [[sec(T0), 0, 'u']] })
+    expect(first.recorded).toBe(1)
+
+    const unchanged = recordProgressChanges(first.history, books, books, T0 + DAY)
+    expect(unchanged.recorded).toBe(0)
+
+    const reading = [{ id: 'b1', progress: 35.6, readingStatus: 'reading' }]
+    const second = recordProgressChanges(first.history, books, reading, T0 + DAY)
+    expect(second.history.b1).toEqual([[sec(T0), 0, 'u'], [sec(T0 + DAY), 36, 'r']])
+  })
+
+  test('新紀錄缺 readingStatus 時依 computeAutoStatusTransition 推導；手動狀態不轉換', () => {
+    const previous = [
+      { id: 'b1', progress: 80, readingStatus: 'reading' },
+      { id: 'b2', progress: 80, readingStatus: 'abandoned', isManualStatus: true }
+    ]
+    const { history } = recordProgressChanges({}, previous, [{ id: 'b1', progress: 100 }, { id: 'b2', progress: 100 }], T0)
+
+    expect(history.b1[0][2]).toBe('f')
+    expect(history.b2[0][2]).toBe('a')
+  })
+
+  test('不在書庫中的書籍歷程移除，格式錯誤的 tuple 丟棄', () => {
+    const history = { gone: [[sec(T0), 10, 'r']], b1: [[sec(T0), 10, 'r'], ['bad']] }
+
+    const result = recordProgressChanges(history, [], [{ id: 'b1', progress: 10, readingStatus: 'reading' }], T0 + DAY)
+
+    expect(result.history).toEqual({ b1: [[sec(T0), 10, 'r']] })
+  })
+})
+
+describe('pruneProgressHistory', () => {
+  test('超過保留天數的紀錄移除，但保留最新一筆', () => {
+    const old = T0 - (PROGRESS_HISTORY_LIMITS.MAX_AGE_DAYS + 1) * DAY
+    const history = {
+      b1: [[sec(old), 10, 'r'], [sec(T0), 20, 'r']],
+      b2: [[sec(old), 50, 'r']]
+    }
+
+    expect(pruneProgressHistory(history, T0)).toEqual({ b1: [[sec(T0), 20, 'r']], b2: [[sec(old), 50, 'r']] })
+  })
+
+  test('每本書超過筆數上限時保留最新的紀錄', () => {
+    const entries = Array.from({ length: 5 }, (_, i) => [sec(T0) + i, i, 'r'])
+
+    const pruned = pruneProgressHistory({ b1: entries }, T0, { MAX_ENTRIES_PER_BOOK: 3, MAX_AGE_DAYS: 30 })
+
+    expect(pruned.b1.map(e => e[1])).toEqual([2, 3, 4])
+  })
+})
+
+describe('computeReadingStatistics', () => {
+  const history = {
+    // 10/05 基準（未讀），10/06 開始讀，10/07 推進，10/14 讀完
+    b1: [[sec(T0), 0, 'u'], [sec(T0 + DAY), 20, 'r'], [sec(T0 + 2 * DAY), 60, 'r'], [sec(T0 + 9 * DAY), 100, 'f']],
+    // 首筆即為 finished：基準紀錄不計讀完
+    b2: [[sec(T0), 100, 'f']],
+    // 由未讀直接標為讀完：計入每月讀完，但無閱讀天數
+    b3: [[sec(T0), 0, 'u'], [sec(T0 + 30 * DAY), 100, 'f']]
+  }
+  const books = [{ id: 'b1', title: '三體', pageCount: 300 }, { id: 'b3', title: '沙丘' }]
+
+  test('每月讀完本數不計基準紀錄', () => {
+    expect(computeReadingStatistics(history, books).finishedPerMonth).toEqual([
+      { month: '2026-10', count: 1 },
+      { month: '2026-11', count: 1 }
+    ])
+  })
+
+  test('每週進度依週一分組，有 pageCount 的書換算頁數', () => {
+    expect(computeReadingStatistics(history, books).progressPerWeek).toEqual([
+      { weekStart: '2026-10-05', percent: 60, pages: 180 },
+      { weekStart: '2026-10-12', percent: 40, pages: 120 },
+      { weekStart: '2026-11-02', percent: 100, pages: 0 }
+    ])
+  })
+
+  test('閱讀天數由連續 reading 的首筆起算至讀完', () => {
+    expect(computeReadingStatistics(history, books).readingDurations).toEqual([
+      { bookId: 'b1', title: '三體', startedAt: T0 + DAY, finishedAt: T0 + 9 * DAY, days: 8 }
+    ])
+  })
+})
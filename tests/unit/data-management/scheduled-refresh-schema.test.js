@@ -0,0 +1,106 @@
+/**
+ * ScheduledRefreshSchema 測試
+ *
+ * 測試範圍：
+ * - normalizeScheduledRefreshSettings：無效間隔與未知書城
+ * - mergeExtractedBooks：只取代提取成功的書城、保留標籤與手動狀態、自動狀態轉換、不以空值覆蓋書目補齊欄位
+ * - summarizeLibraryChanges / createLastRunRecord：新購、進度變動、移除與書名上限
+ */
+
+const {
+  DEFAULT_SCHEDULED_REFRESH_SETTINGS,
+  normalizeScheduledRefreshSettings,
+  mergeExtractedBooks,
+  summarizeLibraryChanges,
+  createLastRunRecord
+} = require('src/data-management/ScheduledRefreshSchema')
+
+describe('normalizeScheduledRefreshSettings', () => {
+  test('未設定時回傳預設值；無效間隔改用預設、未知與重複書城移除', () => {
+    expect(normalizeScheduledRefreshSettings()).toEqual({ ...DEFAULT_SCHEDULED_REFRESH_SETTINGS, platforms: ['readmoo'] })
+    expect(normalizeScheduledRefreshSettings({ enabled: true, intervalHours: 5, platforms: ['kobo', 'unknown', 'kobo'] }))
+      .toEqual({ enabled: true, intervalHours: 24, platforms: ['kobo'] })
+  })
+})
+
+describe('mergeExtractedBooks', () => {
+  const EXISTING = [
+    { id: 'rm1', title: '三體', source: 'readmoo', tags: ['readmoo'], tagIds: ['tag-scifi'], progress: 0, readingStatus: 'unread', isManualStatus: false },
+    { id: 'rm2', title: '沙丘', source: 'readmoo', tags: ['readmoo'], tagIds: [], progress: 30, readingStatus: 'abandoned', isManualStatus: true },
+    { id: 'rm3', title: '已退書', source: 'readmoo', tags: ['readmoo'], tagIds: [], progress: 10, readingStatus: 'reading' },
+    { id: 'bk1', title: '原子習慣', source: 'books-com-tw', tags: ['books-com-tw'], tagIds: [], progress: 50, readingStatus: 'reading' }
+  ]
+
+  test('既有書籍保留標籤與手動狀態並依進度推進狀態；新書正規化；未再出現的書移除；未提取的書城保留', () => {
+    const merged = mergeExtractedBooks(EXISTING, {
+      readmoo: [
+        { id: 'rm1', title: '三體', progress: 20 },
+        { id: 'rm2', title: '沙丘', progress: 60 },
+        { id: 'rm4', title: '新書', progress: 100 }
+      ]
+    })
+
+    expect(merged.map(book => book.id)).toEqual(['bk1', 'rm1', 'rm2', 'rm4'])
+    expect(merged[1]).toMatchObject({ tagIds: ['tag-scifi'], progress: 20, readingStatus: 'reading', tags: ['readmoo'] })
+    expect(merged[2]).toMatchObject({ progress: 60, readingStatus: 'abandoned', isManualStatus: true })
+    expect(merged[3]).toMatchObject({ source: 'readmoo', tags: ['readmoo'], tagIds: [], readingStatus: 'finished' })
+    expect(merged[0]).toBe(EXISTING[3])
+  })
+
+  test('提取結果缺少的書目欄位保留既有補齊值，提取到值時才更新', () => {
+    const enriched = {
+      ...EXISTING[0],
+      authors: ['劉慈欣'],
+      publisher: '貓頭鷹',
+      isbn: '9789862624281',
+      pageCount: 400,
+      metadataEnrichedAt: '2026-10-01T00:00:00.000Z'
+    }
+
+    const [merged] = mergeExtractedBooks([enriched], {
+      readmoo: [{ id: 'rm1', title: '三體', progress: 20, authors: [], publisher: '', isbn: '9789573317241' }]
+    })
+
+    expect(merged).toMatchObject({
+      authors: ['劉慈欣'],
+      publisher: '貓頭鷹',
+      isbn: '9789573317241',
+      pageCount: 400,
+      metadataEnrichedAt: '2026-10-01T00:00:00.000Z',
+      progress: 20
+    })
+  })
+
+  test('使用者編輯過的書目欄位不被提取結果覆蓋，editedFields 沿用', () => {
+    const edited = { ...EXISTING[0], publisher: '自訂出版社', editedFields: ['publisher'] }
+
+    const [merged] = mergeExtractedBooks([edited], {
+      readmoo: [{ id: 'rm1', title: '三體', progress: 20, publisher: '書城出版社' }]
+    })
+
+    expect(merged).toMatchObject({ publisher: '自訂出版社', editedFields: ['publisher'] })
+  })
+})
+
+describe('summarizeLibraryChanges / createLastRunRecord', () => {
+  test('列出新購、進度變動（含前後值）與移除的書籍；紀錄保留總數與前 5 本書名', () => {
+    const previous = [{ id: 'a', title: 'A', progress: 10 }, { id: 'b', title: 'B', progress: 50 }]
+    const next = [
+      { id: 'a', title: 'A', progress: 40 },
+      ...Array.from({ length: 6 }, (_, i) => ({ id: `n${i}`, title: `N${i}` }))
+    ]
+
+    const changes = summarizeLibraryChanges(previous, next)
+
+    expect(changes.progressChanged).toEqual([{ id: 'a', title: 'A', from: 10, to: 40 }])
+    expect(changes.removed).toEqual([{ id: 'b', title: 'B' }])
+    expect(changes.added).toHaveLength(6)
+
+    const record = createLastRunRecord(changes, [{ platform: 'kobo', reason: 'tab_load_timeout' }], 1000)
+
+    expect(record.ranAt).toBe(1000)
+    expect(record.added.count).toBe(6)
+    expect(record.added.books.map(book => book.id)).toEqual(['n0', 'n1', 'n2', 'n3', 'n4'])
+    expect(record.failures).toEqual([{ platform: 'kobo', reason: 'tab_load_timeout' }])
+  })
+})
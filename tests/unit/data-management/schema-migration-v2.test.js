@@ -11,9 +11,12 @@
  * 5. 邊界條件
  * 6. 備份與回滾
  * 7. 冪等性
+ * 8. 書庫格式（{ books } 紀錄、IndexedDB header）
  */
 
 const { migrateV1ToV2, migrateReadingStatus, normalizeProgress, rollbackMigration } = require('src/data-management/migration/v1-to-v2')
+const { IndexedDBBookStore } = require('src/storage/adapters/indexeddb-book-store')
+const { createInMemoryIndexedDB } = require('@tests/helpers/in-memory-indexeddb')
 
 describe('Schema Migration v1 → v2', () => {
   let mockStorage
@@ -142,9 +145,19 @@ describe('Schema Migration v1 → v2', () => {
       expect(result.reason).toBe('already_migrated')
     })
 
+    test('schema_version 高於 3.0.0（如 "4.0.0"）時應跳過遷移', async () => {
+      mockStorage = createMockStorage(
+        createV1StorageData([createV1Book()], '4.0.0')
+      )
+
+      const result = await migrateV1ToV2(mockStorage, mockLogger)
+      expect(result.migrated).toBe(false)
+      expect(result.reason).toBe('already_migrated')
+    })
+
     test('schema_version 為未知值時應記錄 warning 並嘗試遷移（視為 v1）', async () => {
       mockStorage = createMockStorage(
-        createV1StorageData([createV1Book()], '99.0.0')
+        createV1StorageData([createV1Book()], '2.5.0')
       )
 
       const result = await migrateV1ToV2(mockStorage, mockLogger)
@@ -624,4 +637,56 @@ describe('Schema Migration v1 → v2', () => {
       expect(mockStorage._store.schema_version).toBe('3.0.0')
     })
   })
+
+  // ============================================================
+  // 群組 9：書庫格式
+  // 功能職責：readmoo_books 為 { books } 或 IndexedDB header 時經對應後端讀寫
+  // 跨群組依賴：依賴群組 4、7
+  // ============================================================
+  describe('書庫格式', () => {
+    beforeEach(() => {
+      // in-memory IndexedDB 以 setTimeout 排程 request
+      jest.useRealTimers()
+    })
+
+    test('{ books } 紀錄遷移後保留結構與其他欄位', async () => {
+      mockStorage = createMockStorage({
+        schema_version: null,
+        readmoo_books: { books: [createV1Book({ progress: 50 })], extractionTimestamp: 123 }
+      })
+
+      const result = await migrateV1ToV2(mockStorage, mockLogger)
+
+      expect(result.migrated).toBe(true)
+      expect(mockStorage._store.readmoo_books.extractionTimestamp).toBe(123)
+      expect(mockStorage._store.readmoo_books.books[0].readingStatus).toBe('reading')
+    })
+
+    test('IndexedDB header：經 store 轉換書籍，失敗時 store 還原', async () => {
+      const header = { storage: 'indexeddb', bookCount: 1 }
+      const bookStore = new IndexedDBBookStore({ indexedDB: createInMemoryIndexedDB() })
+      await bookStore.putBooks([createV1Book({ isFinished: true })])
+      const options = { getBookStore: async () => bookStore }
+
+      mockStorage = createMockStorage({ schema_version: null, readmoo_books: header })
+      const set = mockStorage.set.getMockImplementation()
+      mockStorage.set.mockImplementation((items) => {
+        if ('schema_version' in items) return Promise.reject(new Error('Write failed'))
+        return set(items)
+      })
+      expect((await migrateV1ToV2(mockStorage, mockLogger, options)).migrated).toBe(false)
+      expect(await bookStore.getBook('book-001')).toEqual(createV1Book({ isFinished: true }))
+      expect(mockStorage._store.readmoo_books).toEqual(header)
+
+      mockStorage = createMockStorage({ schema_version: null, readmoo_books: header })
+      const result = await migrateV1ToV2(mockStorage, mockLogger, options)
+
+      expect(result.migrated).toBe(true)
+      const book = await bookStore.getBook('book-001')
+      expect(book.readingStatus).toBe('finished')
+      expect(book).not.toHaveProperty('isFinished')
+      expect(mockStorage._store.readmoo_books).toEqual(expect.objectContaining({ storage: 'indexeddb', bookCount: 1 }))
+      expect(mockStorage._store.schema_version).toBe('3.0.0')
+    })
+  })
 })
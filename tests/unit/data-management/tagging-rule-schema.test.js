@@ -0,0 +1,196 @@
+/**
+ * TaggingRuleSchema 單元測試
+ *
+ * 覆蓋規則正規化、編輯驗證、各欄位 / 運算子比對、all / any 模式與套用試算
+ */
+
+const {
+  TAGGING_RULE_ERROR_CODES,
+  TAGGING_RULE_MAX_CONDITIONS,
+  normalizeTaggingRule,
+  validateTaggingRuleInput,
+  compileTaggingRule,
+  planTaggingRules,
+  applyTagAdditions,
+  remapTaggingRuleTags
+} = require('src/data-management/TaggingRuleSchema')
+
+function createRule (overrides = {}) {
+  return {
+    id: 'r1',
+    name: '漫畫',
+    match: 'all',
+    conditions: [{ field: 'title', operator: 'contains', value: '漫畫' }],
+    tagIds: ['t-comic'],
+    ...overrides
+  }
+}
+
+describe('TaggingRuleSchema', () => {
+  describe('normalizeTaggingRule', () => {
+    test('補齊預設值並丟棄無效條件', () => {
+      const rule = normalizeTaggingRule({
+        id: 'r1',
+        name: '  漫畫  ',
+        match: 'unknown',
+        conditions: [
+          { field: 'title', operator: 'contains', value: ' 漫畫 ' },
+          { field: 'isbn', operator: 'contains', value: 'x' },
+          { field: 'title', operator: 'contains', value: '' }
+        ],
+        tagIds: ['t1', 't1', 3]
+      })
+
+      expect(rule).toEqual({
+        id: 'r1',
+        name: '漫畫',
+        enabled: true,
+        match: 'all',
+        conditions: [{ field: 'title', operator: 'contains', value: '漫畫' }],
+        tagIds: ['t1'],
+        createdAt: null,
+        updatedAt: null
+      })
+    })
+
+    test.each([
+      [null],
+      [{ name: '無 id', conditions: [{ field: 'title', operator: 'contains', value: 'x' }] }],
+      [{ id: 'r1', name: ' ', conditions: [{ field: 'title', operator: 'contains', value: 'x' }] }],
+      [{ id: 'r1', name: '無條件', conditions: [] }]
+    ])('%p → null', (input) => {
+      expect(normalizeTaggingRule(input)).toBeNull()
+    })
+  })
+
+  describe('validateTaggingRuleInput', () => {
+    test('整理有效輸入', () => {
+      expect(validateTaggingRuleInput({
+        name: ' Vol. ',
+        enabled: false,
+        match: 'any',
+        conditions: [{ field: 'title', operator: 'regex', value: 'vol\\.\\s*\\d+' }],
+        tagIds: ['t1']
+      })).toEqual({
+        valid: true,
+        rule: {
+          name: 'Vol.',
+          enabled: false,
+          match: 'any',
+          conditions: [{ field: 'title', operator: 'regex', value: 'vol\\.\\s*\\d+' }],
+          tagIds: ['t1']
+        }
+      })
+    })
+
+    const condition = { field: 'title', operator: 'contains', value: 'x' }
+    test.each([
+      [{ name: '', conditions: [condition], tagIds: ['t1'] }, TAGGING_RULE_ERROR_CODES.INVALID_NAME],
+      [{ name: 'x'.repeat(51), conditions: [condition], tagIds: ['t1'] }, TAGGING_RULE_ERROR_CODES.INVALID_NAME],
+      [{ name: 'a', conditions: [], tagIds: ['t1'] }, TAGGING_RULE_ERROR_CODES.INVALID_CONDITION],
+      [{ name: 'a', conditions: Array(TAGGING_RULE_MAX_CONDITIONS + 1).fill(condition), tagIds: ['t1'] }, TAGGING_RULE_ERROR_CODES.INVALID_CONDITION],
+      [{ name: 'a', conditions: [{ field: 'title', operator: 'contains', value: ' ' }], tagIds: ['t1'] }, TAGGING_RULE_ERROR_CODES.INVALID_CONDITION],
+      [{ name: 'a', conditions: [{ field: 'title', operator: 'regex', value: '(' }], tagIds: ['t1'] }, TAGGING_RULE_ERROR_CODES.INVALID_PATTERN],
+      [{ name: 'a', conditions: [condition], tagIds: [] }, TAGGING_RULE_ERROR_CODES.NO_TARGET_TAGS],
+      [null, TAGGING_RULE_ERROR_CODES.INVALID_NAME]
+    ])('%p → %s', (input, error) => {
+      expect(validateTaggingRuleInput(input)).toEqual({ valid: false, error })
+    })
+  })
+
+  describe('compileTaggingRule', () => {
+    const book = {
+      id: 'b1',
+      title: '進擊的巨人 Vol. 3',
+      authors: ['諫山創'],
+      publisher: '東立出版社',
+      source: 'readmoo',
+      type: 'comic'
+    }
+
+    test.each([
+      ['title', 'contains', 'vol.', true],
+      ['title', 'equals', '進擊的巨人', false],
+      ['title', 'startsWith', '進擊', true],
+      ['title', 'regex', 'vol\\.\\s*\\d+$', true],
+      ['authors', 'equals', '諫山創', true],
+      ['publisher', 'contains', '東立', true],
+      ['source', 'equals', 'READMOO', true],
+      ['type', 'equals', 'novel', false]
+    ])('%s %s %p → %p', (field, operator, value, expected) => {
+      const matches = compileTaggingRule(normalizeTaggingRule(createRule({ conditions: [{ field, operator, value }] })))
+      expect(matches(book)).toBe(expected)
+    })
+
+    test('舊資料只有 author 字串時作者條件仍可比對', () => {
+      const matches = compileTaggingRule(normalizeTaggingRule(createRule({
+        conditions: [{ field: 'authors', operator: 'contains', value: '村上' }]
+      })))
+      expect(matches({ id: 'b2', author: '村上春樹' })).toBe(true)
+    })
+
+    test('all 需全部成立，any 任一成立即可', () => {
+      const conditions = [
+        { field: 'title', operator: 'contains', value: '漫畫' },
+        { field: 'publisher', operator: 'contains', value: '東立' }
+      ]
+      const target = { id: 'b1', title: '漫畫入門', publisher: '遠流' }
+      expect(compileTaggingRule(normalizeTaggingRule(createRule({ conditions })))(target)).toBe(false)
+      expect(compileTaggingRule(normalizeTaggingRule(createRule({ conditions, match: 'any' })))(target)).toBe(true)
+    })
+  })
+
+  describe('planTaggingRules', () => {
+    const books = [
+      { id: 'b1', title: '海賊王漫畫 1', tagIds: [] },
+      { id: 'b2', title: '漫畫史', tagIds: ['t-comic'] },
+      { id: 'b3', title: '小說', tagIds: [] }
+    ]
+
+    test('列出每條規則會新增 tag 的書，已有 tag 的書略過', () => {
+      const plan = planTaggingRules(books, [
+        createRule({ tagIds: ['t-comic', 't-new'] }),
+        createRule({ id: 'r2', name: '小說', conditions: [{ field: 'title', operator: 'contains', value: '小說' }], tagIds: ['t-novel'] })
+      ])
+
+      expect(plan.rules).toEqual([
+        { ruleId: 'r1', bookIds: ['b1', 'b2'] },
+        { ruleId: 'r2', bookIds: ['b3'] }
+      ])
+      expect(plan.additions.get('b1')).toEqual(['t-comic', 't-new'])
+      expect(plan.additions.get('b2')).toEqual(['t-new'])
+    })
+
+    test('existingTagIds 略過已刪除的目標 tag；全部失效的規則不變動任何書', () => {
+      const plan = planTaggingRules(books, [createRule({ tagIds: ['t-gone'] })], { existingTagIds: new Set(['t-comic']) })
+      expect(plan.rules).toEqual([{ ruleId: 'r1', bookIds: [] }])
+      expect(plan.additions.size).toBe(0)
+    })
+
+    test('不修改傳入的書籍', () => {
+      planTaggingRules(books, [createRule()])
+      expect(books[0].tagIds).toEqual([])
+    })
+  })
+
+  describe('applyTagAdditions', () => {
+    test('加入缺少的 tag 並回報是否變動', () => {
+      const book = { id: 'b1', tagIds: ['t1'] }
+      const additions = new Map([['b1', ['t1', 't2']]])
+      expect(applyTagAdditions(book, additions)).toBe(true)
+      expect(book.tagIds).toEqual(['t1', 't2'])
+      expect(applyTagAdditions(book, additions)).toBe(false)
+      expect(applyTagAdditions({ id: 'b2' }, additions)).toBe(false)
+    })
+  })
+
+  describe('remapTaggingRuleTags', () => {
+    test('重映射目標 tag 並去重', () => {
+      const rules = [createRule({ tagIds: ['t-a', 't-b'] }), createRule({ id: 'r2', tagIds: ['t-c'] })]
+      expect(remapTaggingRuleTags(rules, new Map([['t-a', 't-b']]))).toBe(true)
+      expect(rules[0].tagIds).toEqual(['t-b'])
+      expect(rules[1].tagIds).toEqual(['t-c'])
+      expect(remapTaggingRuleTags(rules, new Map([['t-x', 't-y']]))).toBe(false)
+    })
+  })
+})
@@ -0,0 +1,128 @@
+/**
+ * BookDataExporter 備份封存（ZIP bundle）匯出測試
+ *
+ * 範圍：
+ * - exportToZip 回傳真實 ZIP：books.csv / books.json（canonical v3）/ tags.json / README.txt / manifest.json
+ * - folder 前綴、includeReadme=false、excel 格式加入
+ * - manifest 校驗碼：無 Web Crypto 時 CRC32、有 crypto.subtle 時 SHA-256
+ * - 有 CompressionStream 時以 DEFLATE 寫入
+ *
+ * 註：本檔為功能正確性測試，不含計時/精度斷言（test-assertion-design-rules）。
+ */
+
+'use strict'
+
+const BookDataExporter = require('src/export/book-data-exporter')
+const { ErrorCodes } = require('src/core/errors/ErrorCodes')
+const { readZipArchive } = require('src/import/zip-reader')
+const { verifyBundleManifest, BUNDLE_FORMAT, CHECKSUM_ALGORITHMS } = require('src/export/bundle-manifest')
+
+const mockBooks = [
+  { id: 'book-001', title: '三體', authors: ['劉慈欣'], readingStatus: 'reading', progress: 45, tagIds: ['tag-scifi'] },
+  { id: 'book-002', title: '原子習慣', authors: ['James Clear'], readingStatus: 'finished', progress: 100, tagIds: [] }
+]
+const tagCategories = [{ id: 'cat-genre', name: '類型' }]
+const tags = [{ id: 'tag-scifi', name: '科幻', categoryId: 'cat-genre' }]
+
+async function unpack (arrayBuffer) {
+  const entries = await readZipArchive(arrayBuffer)
+  return new Map(entries.map(e => [e.name, e.data]))
+}
+
+const decodeJSON = (bytes) => JSON.parse(new TextDecoder().decode(bytes))
+
+describe('BookDataExporter ZIP bundle 匯出', () => {
+  let exporter
+
+  beforeEach(() => {
+    exporter = new BookDataExporter(mockBooks)
+  })
+
+  test('預設封存包含 CSV、canonical JSON、標籤、README 與 manifest', async () => {
+    const zipData = await exporter.exportToZip(['csv', 'json'], { tags, tagCategories })
+
+    expect(zipData).toBeInstanceOf(ArrayBuffer)
+    const files = await unpack(zipData)
+    expect(Array.from(files.keys())).toEqual(['books.csv', 'books.json', 'tags.json', 'README.txt', 'manifest.json'])
+
+    const booksJson = decodeJSON(files.get('books.json'))
+    expect(booksJson.format).toBe('book-interchange-v1')
+    expect(booksJson.formatVersion).toBe('3.0.0')
+    expect(booksJson.books).toHaveLength(2)
+
+    const csv = new TextDecoder().decode(files.get('books.csv'))
+    expect(csv.split('\n')[0]).toContain('tagNames')
+    expect(csv).toContain('科幻')
+
+    const tagData = decodeJSON(files.get('tags.json'))
+    expect(tagData.tags).toEqual(tags)
+    expect(tagData.tagCategories).toEqual(tagCategories)
+    expect(tagData.tagTree).toBeDefined()
+
+    expect(new TextDecoder().decode(files.get('README.txt'))).toContain('- manifest.json')
+  })
+
+  test('manifest 列出各檔案角色且校驗碼可驗證（無 Web Crypto 時使用 CRC32）', async () => {
+    const files = await unpack(await exporter.exportToZip(['csv', 'json'], { tags, tagCategories }))
+    const manifest = decodeJSON(files.get('manifest.json'))
+
+    expect(manifest.format).toBe(BUNDLE_FORMAT)
+    expect(manifest.totalBooks).toBe(2)
+    expect(manifest.checksumAlgorithm).toBe(CHECKSUM_ALGORITHMS.CRC32)
+    expect(manifest.files.map(f => [f.path, f.role])).toEqual([
+      ['books.csv', 'books-csv'],
+      ['books.json', 'books-json'],
+      ['tags.json', 'tags'],
+      ['README.txt', 'readme']
+    ])
+    await expect(verifyBundleManifest(manifest, files)).resolves.toEqual({ valid: true, errors: [] })
+  })
+
+  test('folder 前綴套用至全部 entry，includeReadme=false 省略 README', async () => {
+    const files = await unpack(await exporter.exportToZip(['json'], { folder: 'book-data/', includeReadme: false }))
+
+    expect(Array.from(files.keys())).toEqual(['book-data/books.json', 'book-data/tags.json', 'book-data/manifest.json'])
+  })
+
+  test("formats 含 'excel' 時加入 books.xlsx", async () => {
+    const files = await unpack(await exporter.exportToZip(['json', 'excel']))
+    expect(Array.from(files.get('books.xlsx').subarray(0, 2))).toEqual([0x50, 0x4b])
+  })
+
+  test('不支援的格式拋出 EXPORT_OPERATION_FAILED', async () => {
+    await expect(exporter.exportToZip(['docx'])).rejects.toMatchObject({
+      code: ErrorCodes.EXPORT_OPERATION_FAILED
+    })
+  })
+
+  describe('平台 API 可用時', () => {
+    const originalCrypto = global.crypto
+
+    beforeAll(() => {
+      const { CompressionStream, DecompressionStream } = require('stream/web')
+      global.CompressionStream = CompressionStream
+      global.DecompressionStream = DecompressionStream
+      Object.defineProperty(global, 'crypto', { value: require('crypto').webcrypto, configurable: true })
+    })
+
+    afterAll(() => {
+      delete global.CompressionStream
+      delete global.DecompressionStream
+      Object.defineProperty(global, 'crypto', { value: originalCrypto, configurable: true })
+    })
+
+    test('以 DEFLATE 壓縮並使用 SHA-256 校驗碼', async () => {
+      const zipData = await exporter.exportToZip(['csv', 'json'], { tags, tagCategories })
+      const view = new DataView(zipData)
+      const centralOffset = view.getUint32(zipData.byteLength - 22 + 16, true)
+      // books.csv 為 central directory 第一筆
+      expect(view.getUint16(centralOffset + 10, true)).toBe(8)
+
+      const files = await unpack(zipData)
+      const manifest = decodeJSON(files.get('manifest.json'))
+      expect(manifest.checksumAlgorithm).toBe(CHECKSUM_ALGORITHMS.SHA256)
+      expect(manifest.files[0].checksum).toMatch(/^[0-9a-f]{64}$/)
+      await expect(verifyBundleManifest(manifest, files)).resolves.toEqual({ valid: true, errors: [] })
+    })
+  })
+})
@@ -0,0 +1,141 @@
+/**
+ * BookDataExporter Excel（OOXML .xlsx）匯出測試
+ *
+ * 範圍：
+ * - exportToExcel 回傳真實 XLSX（ZIP 容器 + SpreadsheetML parts）
+ * - 單工作表名稱、凍結標題列、欄寬（自訂 / 自動估算）
+ * - 日期欄位寫為日期儲存格、數值寫為數值儲存格
+ * - multiSheet + sheets 明確指定多工作表
+ * - groupBy 'readingStatus' / 'tagCategory' 自動分組工作表
+ *
+ * 註：本檔為功能正確性測試，不含計時/精度斷言（test-assertion-design-rules）。
+ */
+
+'use strict'
+
+const BookDataExporter = require('src/export/book-data-exporter')
+const { ErrorCodes } = require('src/core/errors/ErrorCodes')
+const { readStoredEntries, readStoredText } = require('@tests/helpers/zip-test-reader')
+
+const mockBooksV2 = [
+  {
+    id: 'book-001',
+    title: '三體',
+    authors: ['劉慈欣'],
+    publisher: '貓頭鷹',
+    readingStatus: 'reading',
+    progress: 45,
+    tagIds: ['tag-scifi'],
+    updatedAt: '2026-01-01T00:00:00.000Z'
+  },
+  {
+    id: 'book-002',
+    title: '原子習慣',
+    authors: ['James Clear'],
+    publisher: '方智出版社',
+    readingStatus: 'finished',
+    progress: 100,
+    tagIds: ['tag-self'],
+    updatedAt: '2026-02-01T00:00:00.000Z'
+  },
+  {
+    id: 'book-003',
+    title: '未分類的書',
+    authors: [],
+    publisher: '',
+    readingStatus: 'finished',
+    progress: 100,
+    tagIds: []
+  }
+]
+
+const tagCategories = [
+  { id: 'cat-genre', name: '類型' },
+  { id: 'cat-empty', name: '空分類' }
+]
+const tags = [
+  { id: 'tag-scifi', name: '科幻', categoryId: 'cat-genre' },
+  { id: 'tag-self', name: '自我成長', categoryId: 'cat-genre' }
+]
+
+function unpack (arrayBuffer) {
+  return readStoredEntries(new Uint8Array(arrayBuffer))
+}
+
+function sheetNamesOf (entries) {
+  const workbookXml = readStoredText(entries, 'xl/workbook.xml')
+  return Array.from(workbookXml.matchAll(/<sheet name="([^"]+)"/g)).map(m => m[1])
+}
+
+describe('BookDataExporter Excel 匯出', () => {
+  let exporter
+
+  beforeEach(() => {
+    exporter = new BookDataExporter(mockBooksV2)
+  })
+
+  test('回傳以 ZIP 簽章開頭的 ArrayBuffer', () => {
+    const excelData = exporter.exportToExcel()
+
+    expect(excelData).toBeInstanceOf(ArrayBuffer)
+    expect(Array.from(new Uint8Array(excelData, 0, 4))).toEqual([0x50, 0x4b, 0x03, 0x04])
+  })
+
+  test('單工作表使用 sheetName 並凍結標題列', () => {
+    const entries = unpack(exporter.exportToExcel({ sheetName: '我的書籍清單' }))
+
+    expect(sheetNamesOf(entries)).toEqual(['我的書籍清單'])
+    expect(readStoredText(entries, 'xl/worksheets/sheet1.xml')).toContain('state="frozen"')
+  })
+
+  test('freezeHeader=false 不輸出凍結窗格', () => {
+    const entries = unpack(exporter.exportToExcel({ freezeHeader: false }))
+    expect(readStoredText(entries, 'xl/worksheets/sheet1.xml')).not.toContain('state="frozen"')
+  })
+
+  test('columnWidths 指定的欄寬優先，未指定欄位自動估算', () => {
+    const sheet = exporter.createExcelSheet(mockBooksV2, ['id', 'title', 'publisher'], { columnWidths: [30] })
+
+    expect(sheet['!cols'][0]).toEqual({ wch: 30 })
+    // '方智出版社' 5 個全形字 = 10 + 2 padding
+    expect(sheet['!cols'][2]).toEqual({ wch: 12 })
+  })
+
+  test('日期欄位寫為日期儲存格、progress 寫為數值儲存格', () => {
+    const sheet = exporter.createExcelSheet(mockBooksV2, ['progress', 'updatedAt'])
+
+    expect(sheet.A2).toEqual({ v: 45, t: 'n' })
+    expect(sheet.B2).toEqual({ v: '2026-01-01T00:00:00.000Z', t: 'd' })
+    expect(sheet.A1).toEqual({ v: 'progress', t: 's', s: 'header' })
+  })
+
+  test('multiSheet + sheets 產出對應的多張工作表', () => {
+    const sheets = [
+      { name: '閱讀中書籍', data: mockBooksV2.slice(0, 1) },
+      { name: '已讀完書籍', data: mockBooksV2.slice(1) }
+    ]
+    const entries = unpack(exporter.exportToExcel({ multiSheet: true, sheets }))
+
+    expect(sheetNamesOf(entries)).toEqual(['閱讀中書籍', '已讀完書籍'])
+    expect(readStoredText(entries, 'xl/worksheets/sheet2.xml')).toContain('<dimension ref="A1:H3"/>')
+  })
+
+  test("groupBy 'readingStatus' 依狀態列舉順序分頁，略過無書籍的狀態", () => {
+    const entries = unpack(exporter.exportToExcel({ groupBy: 'readingStatus' }))
+    expect(sheetNamesOf(entries)).toEqual(['閱讀中', '已讀完'])
+  })
+
+  test("groupBy 'tagCategory' 依分類分頁並收容無 tag 書籍", () => {
+    const grouped = exporter._buildGroupedSheets('tagCategory', { tags, tagCategories })
+
+    expect(grouped.map(sheet => sheet.name)).toEqual(['類型', '未分類'])
+    expect(grouped[0].data.map(book => book.id)).toEqual(['book-001', 'book-002'])
+    expect(grouped[1].data.map(book => book.id)).toEqual(['book-003'])
+  })
+
+  test('不支援的 groupBy 拋出 INVALID_DATA_FORMAT', () => {
+    expect(() => exporter.exportToExcel({ groupBy: 'publisher' })).toThrow(expect.objectContaining({
+      code: ErrorCodes.INVALID_DATA_FORMAT
+    }))
+  })
+})
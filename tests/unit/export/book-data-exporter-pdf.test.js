@@ -0,0 +1,115 @@
+/**
+ * BookDataExporter PDF 報告匯出測試
+ *
+ * 範圍：
+ * - exportToPDF 回傳真實 PDF（%PDF header、xref、分頁）
+ * - 書籍清單表格分頁、統計頁、各狀態圖表開關
+ * - 中文文字以 CJK 字型編碼；提供 TrueType 時內嵌子集字型
+ * - generateStatistics 依 v3 readingStatus 列舉統計
+ *
+ * 註：本檔為功能正確性測試，不含計時/精度斷言（test-assertion-design-rules）。
+ */
+
+'use strict'
+
+const BookDataExporter = require('src/export/book-data-exporter')
+const { buildTestFont } = require('@tests/helpers/truetype-test-font')
+
+const mockBooks = [
+  { id: 'book-001', title: '三體', authors: ['劉慈欣'], readingStatus: 'reading', progress: 45 },
+  { id: 'book-002', title: '原子習慣', authors: ['James Clear'], readingStatus: 'finished', progress: 100 },
+  { id: 'book-003', title: '沉默的巡禮', authors: [], readingStatus: 'finished', progress: 90 },
+  { id: 'book-004', title: '未標狀態的書', progress: 0 }
+]
+
+function asLatin1 (arrayBuffer) {
+  return Array.from(new Uint8Array(arrayBuffer), b => String.fromCharCode(b)).join('')
+}
+
+/** 預定義 CJK 字型以 UTF-16BE hex 編碼文字 */
+function utf16Hex (text) {
+  return Array.from(text, c => c.charCodeAt(0).toString(16).toUpperCase().padStart(4, '0')).join('')
+}
+
+function pageCountOf (pdf) {
+  return Number(pdf.match(/\/Type \/Pages \/Kids \[[^\]]*\] \/Count (\d+)/)[1])
+}
+
+describe('BookDataExporter PDF 匯出', () => {
+  let exporter
+
+  beforeEach(() => {
+    exporter = new BookDataExporter(mockBooks)
+  })
+
+  test('回傳 %PDF 開頭的 ArrayBuffer', () => {
+    const pdfData = exporter.exportToPDF()
+
+    expect(pdfData).toBeInstanceOf(ArrayBuffer)
+    expect(asLatin1(pdfData).startsWith('%PDF-')).toBe(true)
+  })
+
+  test('表格包含中文標題欄與書名、readingStatus 顯示為中文標籤', () => {
+    const pdf = asLatin1(exporter.exportToPDF({ title: '我的書籍閱讀報告' }))
+
+    expect(pdf).toContain(utf16Hex('我的書籍閱讀報告'))
+    expect(pdf).toContain(utf16Hex('書名'))
+    expect(pdf).toContain(utf16Hex('三體'))
+    expect(pdf).toContain(utf16Hex('已讀完'))
+  })
+
+  test('書籍超過一頁時分頁並於每頁重複標題列', () => {
+    const manyBooks = Array.from({ length: 120 }, (_, i) => ({ id: `b-${i}`, title: `書籍 ${i}`, readingStatus: 'unread' }))
+    const pdf = asLatin1(new BookDataExporter(manyBooks).exportToPDF())
+
+    const pages = pageCountOf(pdf)
+    expect(pages).toBeGreaterThan(1)
+    expect(pdf.split(`<${utf16Hex('書名')}> Tj`).length - 1).toBe(pages)
+  })
+
+  test('includeStats 加入統計頁與各狀態圖表，includeCharts=false 省略圖表', () => {
+    const withCharts = asLatin1(exporter.exportToPDF({ includeStats: true }))
+    const withoutCharts = asLatin1(exporter.exportToPDF({ includeStats: true, includeCharts: false }))
+
+    expect(pageCountOf(withCharts)).toBe(2)
+    expect(withCharts).toContain(utf16Hex('閱讀統計'))
+    expect(withCharts).toContain(utf16Hex('各狀態書籍數'))
+    expect(withCharts).toContain(utf16Hex('各狀態平均進度'))
+    expect(withoutCharts).toContain(utf16Hex('閱讀統計'))
+    expect(withoutCharts).not.toContain(utf16Hex('各狀態書籍數'))
+  })
+
+  test('提供 TrueType 字型時內嵌子集字型', () => {
+    const pdf = asLatin1(exporter.exportToPDF({ font: buildTestFont() }))
+
+    expect(pdf).toContain('/Subtype /CIDFontType2')
+    expect(pdf).toMatch(/\/FontFile2 \d+ 0 R/)
+  })
+
+  test('style 色彩套用於標題列', () => {
+    const pdf = asLatin1(exporter.exportToPDF({ style: { accentColor: '#ff0000' } }))
+    expect(pdf).toMatch(/1 0 0 rg [\d.]+ [\d.]+ [\d.]+ [\d.]+ re f/)
+  })
+})
+
+describe('generateStatistics', () => {
+  test('依 readingStatus 列舉計數與平均進度，缺少狀態視為 unread', () => {
+    const stats = new BookDataExporter(mockBooks).generateStatistics()
+
+    expect(stats.totalBooks).toBe(4)
+    expect(stats.averageProgress).toBe(58.8)
+    expect(stats.byStatus.finished).toEqual({ label: '已讀完', count: 2, averageProgress: 95 })
+    expect(stats.byStatus.reading).toEqual({ label: '閱讀中', count: 1, averageProgress: 45 })
+    expect(stats.byStatus.unread.count).toBe(1)
+    expect(stats.byStatus.abandoned).toEqual({ label: '已放棄', count: 0, averageProgress: 0 })
+  })
+
+  test('無書籍時平均進度為 0', () => {
+    expect(new BookDataExporter([]).generateStatistics()).toMatchObject({ totalBooks: 0, averageProgress: 0, averageRating: null })
+  })
+
+  test('平均評分只計入已評分的書', () => {
+    const rated = mockBooks.map((book, i) => (i < 3 ? { ...book, rating: [5, 4, 4][i] } : book))
+    expect(new BookDataExporter(rated).generateStatistics()).toMatchObject({ ratedCount: 3, averageRating: 4.3 })
+  })
+})
@@ -443,25 +443,23 @@ describe('BookDataExporter 書籍資料匯出器測試 (TDD循環 #29)', () => {
       expect(batchExport).toHaveProperty('excel')
     })
 
-    test('應該能創建壓縮檔案', () => {
-      // eslint-disable-next-line no-unused-vars
-      const zipData = exporter.exportToZip(['csv', 'json'])
+    test('應該能創建壓縮檔案', async () => {
+      const zipData = await exporter.exportToZip(['csv', 'json'])
 
-      expect(zipData).toBeDefined()
-      expect(zipData instanceof ArrayBuffer || typeof zipData === 'object').toBe(true)
+      expect(zipData).toBeInstanceOf(ArrayBuffer)
+      expect(Array.from(new Uint8Array(zipData, 0, 4))).toEqual([0x50, 0x4b, 0x03, 0x04])
     })
 
-    test('應該能設定壓縮檔案名稱和結構', () => {
-      // eslint-disable-next-line no-unused-vars
+    test('應該能設定壓縮檔案名稱和結構', async () => {
       const options = {
         zipName: 'my-books-export.zip',
         folder: 'book-data',
         includeReadme: true
       }
 
-      // eslint-disable-next-line no-unused-vars
-      const zipData = exporter.exportToZip(['csv', 'json'], options)
-      expect(zipData).toBeDefined()
+      const zipData = await exporter.exportToZip(['csv', 'json'], options)
+      const entryName = new TextDecoder().decode(new Uint8Array(zipData, 30, 'book-data/'.length))
+      expect(entryName).toBe('book-data/')
     })
 
     test('應該能按分類分組匯出', () => {
@@ -1120,6 +1118,7 @@ describe('BookDataExporter 書籍資料匯出器測試 (TDD循環 #29)', () => {
         'id', 'title', 'authors', 'publisher',
         'progress', 'readingStatus', 'type', 'cover',
         'tagIds', 'isManualStatus',
+        'rating', 'notes', 'startedAt', 'finishedAt',
         'extractedAt', 'updatedAt', 'source',
         'tagNames', 'tagCategories'
       ]
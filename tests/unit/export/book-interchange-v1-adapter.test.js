@@ -306,6 +306,23 @@ describe('mapCanonicalToV1Book (Group C — read 映射 + 多值收斂)', () =>
   })
 })
 
+describe('個人註記（§4.1 annotations）', () => {
+  test('write 端僅有註記的書輸出 annotations，read 端還原為 V1 欄位', () => {
+    const canonical = mapV1BookToCanonical(makeV1Book({ rating: 4, notes: '重讀', finishedAt: '2026-03-07' }))
+    expect(canonical.annotations).toEqual({ rating: 4, notes: '重讀', finishedAt: '2026-03-07' })
+    expect(mapV1BookToCanonical(makeV1Book())).not.toHaveProperty('annotations')
+
+    expect(mapCanonicalToV1Book(canonical)).toMatchObject({ rating: 4, notes: '重讀', finishedAt: '2026-03-07' })
+  })
+
+  test('read 端捨棄無效註記值', () => {
+    const result = mapCanonicalToV1Book(makeCanonicalBook({ annotations: { rating: 9, startedAt: '2026-02-30', notes: '留' } }))
+    expect(result.notes).toBe('留')
+    expect(result).not.toHaveProperty('rating')
+    expect(result).not.toHaveProperty('startedAt')
+  })
+})
+
 describe('normalizeReadingStatus 子函式（§7 雙向查表）', () => {
   test('C-N1: normalizeReadingStatusToCanonical 六態查表', () => {
     expect(normalizeReadingStatusToCanonical('unread')).toBe('not_started')
@@ -0,0 +1,135 @@
+/**
+ * PDF 預設內嵌字型載入測試
+ *
+ * 範圍：
+ * - 讀取打包的 Noto Sans TC 子集並快取（同時呼叫只讀一次）
+ * - 讀取失敗回傳 null、不快取失敗結果
+ * - 打包子集的大小與常用字涵蓋
+ * - resolvePdfFont 優先序與子集外字元退回閱讀器內建字型
+ * - 載入後 exportToPDF 未提供 options.font 時內嵌打包字型；exportToZip 含 PDF 時自行載入
+ */
+
+'use strict'
+
+const fs = require('fs')
+const path = require('path')
+const {
+  DEFAULT_PDF_FONT_PATH,
+  loadDefaultPdfFont,
+  getDefaultPdfFont,
+  resolvePdfFont,
+  resetDefaultPdfFont
+} = require('src/export/pdf-default-font')
+const BookDataExporter = require('src/export/book-data-exporter')
+
+const readFont = jest.fn(async relativePath => fs.readFileSync(path.join(__dirname, '../../..', relativePath)))
+// 不在 Big5 常用字內的 CJK 擴充 A 字元
+const UNCOVERED_CHAR = '\u3400'
+
+function asLatin1 (arrayBuffer) {
+  return Array.from(new Uint8Array(arrayBuffer), b => String.fromCharCode(b)).join('')
+}
+
+describe('pdf-default-font', () => {
+  beforeEach(() => {
+    resetDefaultPdfFont()
+    readFont.mockClear()
+  })
+
+  afterAll(() => {
+    resetDefaultPdfFont()
+  })
+
+  test('載入打包字型並快取，同時呼叫只讀取一次', async () => {
+    const [font, again] = await Promise.all([loadDefaultPdfFont({ readFont }), loadDefaultPdfFont({ readFont })])
+
+    expect(readFont).toHaveBeenCalledTimes(1)
+    expect(readFont).toHaveBeenCalledWith(DEFAULT_PDF_FONT_PATH)
+    expect(font).toBe(again)
+    expect(font.postScriptName).toBe('NotoSansTC-Regular')
+    expect(font.glyphIdForCodePoint('讀'.codePointAt(0))).toBeGreaterThan(0)
+    expect(getDefaultPdfFont()).toBe(font)
+    expect(await loadDefaultPdfFont({ readFont })).toBe(font)
+    expect(readFont).toHaveBeenCalledTimes(1)
+  })
+
+  test('讀取失敗時回傳 null，下次呼叫重新讀取', async () => {
+    const failing = jest.fn().mockRejectedValue(new Error('not found'))
+
+    expect(await loadDefaultPdfFont({ readFont: failing })).toBeNull()
+    expect(getDefaultPdfFont()).toBeNull()
+
+    expect(await loadDefaultPdfFont({ readFont })).not.toBeNull()
+    expect(failing).toHaveBeenCalledTimes(1)
+  })
+
+  test('未在擴充功能環境時以預設讀取方式回傳 null', async () => {
+    expect(await loadDefaultPdfFont()).toBeNull()
+  })
+
+  test('載入後 exportToPDF 預設內嵌打包字型', async () => {
+    const exporter = new BookDataExporter([{ id: 'b1', title: '三體', authors: ['劉慈欣'], readingStatus: 'reading', progress: 45 }])
+    expect(asLatin1(exporter.exportToPDF())).toContain('/BaseFont /MSung-Light')
+
+    await loadDefaultPdfFont({ readFont })
+    const pdf = asLatin1(exporter.exportToPDF())
+
+    expect(pdf).toMatch(/\/BaseFont \/[A-Z]{6}\+NotoSansTC-Regular/)
+    expect(pdf).toMatch(/\/FontFile2 \d+ 0 R/)
+    expect(pdf).not.toContain('MSung-Light')
+  })
+
+  test('打包字型為常用字子集：遠小於完整字型且涵蓋報告用字、英數與假名', async () => {
+    const size = fs.statSync(path.join(__dirname, '../../..', DEFAULT_PDF_FONT_PATH)).size
+    expect(size).toBeLessThan(2.5 * 1024 * 1024)
+
+    const font = await loadDefaultPdfFont({ readFont })
+    const text = '書籍閱讀報告清單統計匯出時間共本總平均進度評分第頁各狀態數未讀中已完成放棄想讀Readmoo 2024-03-05 あア，。（）／'
+    const missing = [...text].filter(char => char !== ' ' && font.glyphIdForCodePoint(char.codePointAt(0)) === 0)
+    expect(missing).toEqual([])
+    expect(font.glyphIdForCodePoint(UNCOVERED_CHAR.codePointAt(0))).toBe(0)
+  })
+
+  test('resolvePdfFont：指定字型優先，其次為涵蓋全部文字的打包字型', async () => {
+    const custom = new Uint8Array([1])
+    expect(resolvePdfFont(custom, UNCOVERED_CHAR)).toBe(custom)
+    expect(resolvePdfFont(undefined, '三體')).toBeNull()
+
+    const font = await loadDefaultPdfFont({ readFont })
+    expect(resolvePdfFont(undefined, '三體\n劉慈欣')).toBe(font)
+    expect(resolvePdfFont(undefined, `三體${UNCOVERED_CHAR}`)).toBeNull()
+  })
+
+  test('報告含子集外字元時 exportToPDF 改用閱讀器內建字型', async () => {
+    await loadDefaultPdfFont({ readFont })
+    const exporter = new BookDataExporter([{ id: 'b1', title: `書名${UNCOVERED_CHAR}`, readingStatus: 'reading', progress: 45 }])
+
+    const pdf = asLatin1(exporter.exportToPDF())
+
+    expect(pdf).toContain('/BaseFont /MSung-Light')
+    expect(pdf).not.toContain('NotoSansTC')
+  })
+
+  test('exportToZip 含 PDF 時於匯出前自行載入打包字型', async () => {
+    const originalChrome = global.chrome
+    const originalFetch = global.fetch
+    global.chrome = { runtime: { getURL: relativePath => `chrome-extension://test/${relativePath}` } }
+    global.fetch = jest.fn(async url => ({
+      ok: true,
+      arrayBuffer: async () => readFont(url.replace('chrome-extension://test/', ''))
+    }))
+    try {
+      const exporter = new BookDataExporter([{ id: 'b1', title: '三體', readingStatus: 'reading', progress: 45 }])
+      await exporter.exportToZip(['csv'])
+      expect(global.fetch).not.toHaveBeenCalled()
+
+      await exporter.exportToZip(['csv', 'pdf'])
+
+      expect(global.fetch).toHaveBeenCalledWith(`chrome-extension://test/${DEFAULT_PDF_FONT_PATH}`)
+      expect(getDefaultPdfFont()).not.toBeNull()
+    } finally {
+      global.chrome = originalChrome
+      global.fetch = originalFetch
+    }
+  })
+})
@@ -0,0 +1,113 @@
+/**
+ * pdf-writer 測試
+ *
+ * 範圍：
+ * - 文件結構：header、xref 位移指向對應物件、trailer / startxref
+ * - 預定義 CJK 字型（MSung-Light / UniCNS-UCS2-H）與 UTF-16 文字編碼
+ * - 內嵌 TrueType 子集字型：CIDFontType2 / FontFile2 / ToUnicode / W 陣列
+ * - 座標轉換（左上原點 → PDF 左下原點）、色彩、文字量測與截斷
+ *
+ * 註：本檔為功能正確性測試，不含計時/精度斷言（test-assertion-design-rules）。
+ */
+
+'use strict'
+
+const { PdfDocument, colorToPdf, toPdfTextString } = require('src/export/pdf-writer')
+const { buildTestFont, TEST_FONT_GLYPHS } = require('@tests/helpers/truetype-test-font')
+
+function asLatin1 (bytes) {
+  return Array.from(bytes, b => String.fromCharCode(b)).join('')
+}
+
+describe('PdfDocument', () => {
+  describe('文件結構', () => {
+    test('xref 位移指向每個物件、startxref 指向 xref', () => {
+      const doc = new PdfDocument({ title: '書籍閱讀報告' })
+      doc.addPage().drawText('Hello', 40, 60)
+      doc.addPage()
+      const pdf = asLatin1(doc.toBytes())
+
+      expect(pdf.startsWith('%PDF-1.7\n')).toBe(true)
+      expect(pdf.trimEnd().endsWith('%%EOF')).toBe(true)
+
+      const startxref = Number(pdf.match(/startxref\n(\d+)/)[1])
+      expect(pdf.slice(startxref, startxref + 4)).toBe('xref')
+
+      const offsets = pdf.slice(startxref).match(/(\d{10}) 00000 n /g).map(line => Number(line.slice(0, 10)))
+      offsets.forEach((offset, index) => {
+        expect(pdf.slice(offset).startsWith(`${index + 1} 0 obj`)).toBe(true)
+      })
+      expect(pdf).toContain('/Count 2')
+      expect(pdf).toContain(`/Title ${toPdfTextString('書籍閱讀報告')}`)
+    })
+
+    test('未新增頁面時仍輸出一頁空白頁', () => {
+      const pdf = asLatin1(new PdfDocument().toBytes())
+      expect(pdf).toContain('/Count 1')
+    })
+  })
+
+  describe('預定義 CJK 字型', () => {
+    test('使用 MSung-Light 並以 UTF-16 code unit 編碼文字', () => {
+      const doc = new PdfDocument()
+      doc.addPage().drawText('三體 A', 40, 60, { size: 12 })
+      const pdf = asLatin1(doc.toBytes())
+
+      expect(pdf).toContain('/Encoding /UniCNS-UCS2-H')
+      expect(pdf).toContain('/Ordering (CNS1)')
+      expect(pdf).toContain('<4E099AD400200041> Tj')
+      expect(pdf).not.toContain('/FontFile2')
+    })
+
+    test('量測：ASCII 半形、中文全形', () => {
+      const doc = new PdfDocument()
+      expect(doc.measureText('AB', 10)).toBe(10)
+      expect(doc.measureText('三體', 10)).toBe(20)
+    })
+  })
+
+  describe('內嵌 TrueType 字型', () => {
+    test('以 glyph id 編碼文字並內嵌子集字型與 ToUnicode', () => {
+      const doc = new PdfDocument({ font: buildTestFont() })
+      doc.addPage().drawText('三A', 40, 60)
+      const pdf = asLatin1(doc.toBytes())
+
+      expect(pdf).toContain('<00020001> Tj')
+      expect(pdf).toContain('/Subtype /CIDFontType2')
+      expect(pdf).toContain('/CIDToGIDMap /Identity')
+      expect(pdf).toContain('/BaseFont /BOOKOV+TestSans-Regular')
+      expect(pdf).toMatch(/\/FontFile2 \d+ 0 R/)
+      expect(pdf).toContain(`/W [${TEST_FONT_GLYPHS.LATIN_A} [600] ${TEST_FONT_GLYPHS.CJK_SAN} [1000]]`)
+      expect(pdf).toContain('<0002> <4E09>')
+    })
+
+    test('量測依字型 advance width', () => {
+      const doc = new PdfDocument({ font: buildTestFont() })
+      expect(doc.measureText('A三', 10)).toBe(16)
+    })
+  })
+
+  describe('繪圖', () => {
+    test('y 座標由頁面頂端轉為 PDF 底端原點，色彩轉為 0-1', () => {
+      const doc = new PdfDocument()
+      const page = doc.addPage()
+      page.drawRect(10, 20, 100, 30, { fill: '#ff0000' })
+      page.drawLine(0, 0, 50, 0, { color: '#000' })
+
+      expect(page.operations[0]).toBe(`1 0 0 rg 10 ${Math.round((page.height - 50) * 1000) / 1000} 100 30 re f`)
+      expect(page.operations[1]).toContain(`0 ${Math.round(page.height * 1000) / 1000} m`)
+    })
+
+    test('colorToPdf 支援 3 / 6 位 hex，無效值退回黑色', () => {
+      expect(colorToPdf('#336699')).toBe('0.2 0.4 0.6')
+      expect(colorToPdf('#fff')).toBe('1 1 1')
+      expect(colorToPdf('not-a-color')).toBe('0 0 0')
+    })
+
+    test('fitText 超出寬度時截斷並加上省略號', () => {
+      const doc = new PdfDocument()
+      expect(doc.fitText('三體', 100, 10)).toBe('三體')
+      expect(doc.fitText('三體死神永生', 40, 10)).toBe('三體死…')
+    })
+  })
+})
@@ -0,0 +1,266 @@
+/**
+ * 閱讀服務 CSV adapter 測試（Goodreads / StoryGraph）
+ *
+ * 測試範圍：
+ * - header 偵測
+ * - 匯入：閱讀狀態、書架 / 標籤 / 評分 tag、讀完日期、ISBN 映射
+ * - 既有書籍比對：ISBN-10 / 13 互轉、書名 + 作者、無作者書名唯一命中；命中者沿用既有 id 與欄位
+ * - 匯出：狀態 / 書架 / 評分回寫，匯出檔可再被偵測並匯入（round-trip）
+ *
+ * 註：本檔為功能正確性測試，不含計時/精度斷言（test-assertion-design-rules）。
+ */
+
+'use strict'
+
+const {
+  READING_SERVICES,
+  detectReadingServiceCsv,
+  convertReadingServiceRows,
+  buildReadingServiceCsv
+} = require('src/export/reading-service-csv-adapter')
+const { ContentParser } = require('src/overview/import/content-parser')
+
+const TIMESTAMP = '2026-10-19T00:00:00.000Z'
+
+const GOODREADS_HEADER = [
+  'Book Id', 'Title', 'Author', 'Author l-f', 'Additional Authors', 'ISBN', 'ISBN13', 'My Rating',
+  'Average Rating', 'Publisher', 'Date Read', 'Date Added', 'Bookshelves', 'Exclusive Shelf'
+]
+
+function goodreadsRow (values) {
+  return GOODREADS_HEADER.map(name => values[name] || '')
+}
+
+const STORYGRAPH_HEADER = [
+  'Title', 'Authors', 'Contributors', 'ISBN/UID', 'Format', 'Read Status', 'Date Added',
+  'Last Date Read', 'Dates Read', 'Read Count', 'Moods', 'Star Rating', 'Review', 'Tags', 'Owned?'
+]
+
+function storyGraphRow (values) {
+  return STORYGRAPH_HEADER.map(name => values[name] || '')
+}
+
+function parseCsv (text) {
+  return new ContentParser()._parseCSVRows(text)
+}
+
+describe('detectReadingServiceCsv', () => {
+  test('依 header 辨識 Goodreads / StoryGraph，其餘格式回 null', () => {
+    expect(detectReadingServiceCsv(GOODREADS_HEADER)).toBe(READING_SERVICES.GOODREADS)
+    expect(detectReadingServiceCsv(STORYGRAPH_HEADER)).toBe(READING_SERVICES.STORYGRAPH)
+    expect(detectReadingServiceCsv(['書名', 'id'])).toBeNull()
+  })
+})
+
+describe('匯入 Goodreads', () => {
+  test('映射狀態、書架、評分、讀完日期與 ISBN', () => {
+    const rows = [GOODREADS_HEADER, goodreadsRow({
+      'Book Id': '40121378',
+      Title: 'Atomic Habits',
+      Author: 'James Clear',
+      ISBN: '="0735211299"',
+      ISBN13: '="9780735211292"',
+      'My Rating': '5',
+      Publisher: 'Avery',
+      'Date Read': '2026/03/07',
+      Bookshelves: 'self-help, favorites',
+      'Exclusive Shelf': 'read'
+    })]
+
+    const result = convertReadingServiceRows(rows, READING_SERVICES.GOODREADS, { timestamp: TIMESTAMP })
+
+    expect(result.books).toHaveLength(1)
+    const [book] = result.books
+    expect(book).toMatchObject({
+      id: 'goodreads-40121378',
+      title: 'Atomic Habits',
+      authors: ['James Clear'],
+      publisher: 'Avery',
+      readingStatus: 'finished',
+      isManualStatus: false,
+      progress: 100,
+      rating: 5,
+      finishedAt: '2026-03-07',
+      identifiers: { isbn: '9780735211292', goodreads: '40121378' },
+      updatedAt: TIMESTAMP
+    })
+    const tagNames = book.tagIds.map(id => result.tags.find(tag => tag.id === id).name)
+    expect(tagNames).toEqual(['self-help', 'favorites', '★5'])
+    expect(result.tagCategories.map(c => c.name)).toEqual(['書架', '評分'])
+  })
+
+  test('to-read 與自訂棄讀書架映射為手動狀態', () => {
+    const rows = [
+      GOODREADS_HEADER,
+      goodreadsRow({ 'Book Id': '1', Title: 'A', 'Exclusive Shelf': 'to-read', Bookshelves: 'to-read' }),
+      goodreadsRow({ 'Book Id': '2', Title: 'B', 'Exclusive Shelf': 'did-not-finish' })
+    ]
+
+    const { books, tags } = convertReadingServiceRows(rows, READING_SERVICES.GOODREADS, { timestamp: TIMESTAMP })
+
+    expect(books.map(b => [b.readingStatus, b.isManualStatus])).toEqual([['queued', true], ['abandoned', true]])
+    expect(tags).toEqual([])
+  })
+})
+
+describe('匯入 StoryGraph', () => {
+  test('映射狀態、標籤與半星評分；非 ISBN 的 UID 存為 storygraph id', () => {
+    const rows = [STORYGRAPH_HEADER, storyGraphRow({
+      Title: 'Piranesi',
+      Authors: 'Susanna Clarke',
+      'ISBN/UID': 'sg-8f2a',
+      'Read Status': 'currently-reading',
+      'Star Rating': '4.5',
+      Tags: 'fantasy, library'
+    })]
+
+    const { books, tags, tagCategories } = convertReadingServiceRows(rows, READING_SERVICES.STORYGRAPH, { timestamp: TIMESTAMP })
+
+    expect(books[0]).toMatchObject({
+      id: 'storygraph-sg-8f2a',
+      readingStatus: 'reading',
+      identifiers: { storygraph: 'sg-8f2a' }
+    })
+    expect(tags.map(t => t.name)).toEqual(['fantasy', 'library', '★4.5'])
+    expect(tagCategories.map(c => c.name)).toEqual(['標籤', '評分'])
+  })
+})
+
+describe('比對既有書籍', () => {
+  const existingBooks = [
+    { id: 'rm-1', title: '原子習慣：細微改變帶來巨大成就的實證法則', authors: [], cover: 'c1.jpg', source: 'readmoo', identifiers: { isbn: '9789861755267' } },
+    { id: 'rm-2', title: '被討厭的勇氣', authors: ['岸見一郎'], cover: 'c2.jpg', source: 'readmoo', readingStatus: 'unread' },
+    { id: 'rm-3', title: '挪威的森林', authors: [], cover: 'c3.jpg', source: 'readmoo' }
+  ]
+
+  test('ISBN、書名 + 作者、無作者書名依序命中，沿用既有 id 與欄位', () => {
+    const rows = [
+      GOODREADS_HEADER,
+      goodreadsRow({ 'Book Id': '10', Title: 'Atomic Habits', ISBN: '="9861755267"', 'Exclusive Shelf': 'read' }),
+      goodreadsRow({ 'Book Id': '11', Title: '被討厭的勇氣 (Courage, #1)', Author: '岸見一郎', 'Exclusive Shelf': 'currently-reading' }),
+      goodreadsRow({ 'Book Id': '12', Title: '挪威的森林', Author: '村上春樹', 'Exclusive Shelf': 'to-read' }),
+      goodreadsRow({ 'Book Id': '13', Title: '新書', Author: '某人', 'Exclusive Shelf': 'to-read' })
+    ]
+
+    const result = convertReadingServiceRows(rows, READING_SERVICES.GOODREADS, { existingBooks, timestamp: TIMESTAMP })
+
+    expect(result.books.map(b => b.id)).toEqual(['rm-1', 'rm-2', 'rm-3', 'goodreads-13'])
+    expect(result.matchedCount).toBe(3)
+    expect(result.books[0]).toMatchObject({
+      title: existingBooks[0].title,
+      cover: 'c1.jpg',
+      source: 'readmoo',
+      readingStatus: 'finished',
+      identifiers: { isbn: '9861755267', goodreads: '10' }
+    })
+    expect(result.books[1].readingStatus).toBe('reading')
+  })
+
+  test('既有書有作者但不符時不以書名命中', () => {
+    const rows = [
+      GOODREADS_HEADER,
+      goodreadsRow({ 'Book Id': '20', Title: '被討厭的勇氣', Author: '另一位作者', 'Exclusive Shelf': 'read' })
+    ]
+
+    const { books } = convertReadingServiceRows(rows, READING_SERVICES.GOODREADS, { existingBooks, timestamp: TIMESTAMP })
+
+    expect(books[0].id).toBe('goodreads-20')
+  })
+})
+
+describe('匯出', () => {
+  const tagCategories = [
+    { id: 'cat_a', name: '書架' },
+    { id: 'cat_r', name: '評分' }
+  ]
+  const tags = [
+    { id: 't1', name: 'sci-fi', categoryId: 'cat_a' },
+    { id: 't2', name: '★4', categoryId: 'cat_r' }
+  ]
+  const books = [{
+    id: 'rm-9',
+    title: '三體, 地球往事',
+    authors: ['劉慈欣', '另一位'],
+    readingStatus: 'finished',
+    finishedAt: '2026-01-02',
+    identifiers: { isbn: '9787536692930' },
+    tagIds: ['t1', 't2']
+  }]
+
+  test('Goodreads CSV 寫出 exclusive shelf、書架與評分，並可再匯入', () => {
+    const csv = buildReadingServiceCsv(books, { service: READING_SERVICES.GOODREADS, tags, tagCategories })
+    const rows = parseCsv(csv)
+
+    expect(rows[0]).toContain('Exclusive Shelf')
+    const record = Object.fromEntries(rows[0].map((name, i) => [name, rows[1][i]]))
+    expect(record).toMatchObject({
+      Title: '三體, 地球往事',
+      Author: '劉慈欣',
+      'Additional Authors': '另一位',
+      ISBN13: '9787536692930',
+      'My Rating': '4',
+      'Date Read': '2026/01/02',
+      Bookshelves: 'sci-fi, read',
+      'Exclusive Shelf': 'read'
+    })
+
+    const reimported = convertReadingServiceRows(rows, detectReadingServiceCsv(rows[0]), { existingBooks: books, timestamp: TIMESTAMP })
+    expect(reimported.books[0].id).toBe('rm-9')
+    expect(reimported.tags.map(t => t.name)).toEqual(['sci-fi', '★4'])
+  })
+
+  test('StoryGraph CSV 寫出狀態、標籤與評分', () => {
+    const csv = buildReadingServiceCsv(books, { service: READING_SERVICES.STORYGRAPH, tags, tagCategories })
+    const rows = parseCsv(csv)
+    const record = Object.fromEntries(rows[0].map((name, i) => [name, rows[1][i]]))
+
+    expect(record).toEqual({
+      Title: '三體, 地球往事',
+      Authors: '劉慈欣, 另一位',
+      'ISBN/UID': '9787536692930',
+      'Read Status': 'read',
+      'Star Rating': '4',
+      'Last Date Read': '2026/01/02',
+      Tags: 'sci-fi'
+    })
+  })
+
+  test('書籍有個人評分時優先於評分標籤；舊資料的 dateRead 仍寫出為讀完日期', () => {
+    const [book] = books
+    const legacy = { ...book, rating: 2, finishedAt: undefined, dateRead: '2025-12-31' }
+    const rows = parseCsv(buildReadingServiceCsv([legacy], { service: READING_SERVICES.GOODREADS, tags, tagCategories }))
+    const record = Object.fromEntries(rows[0].map((name, i) => [name, rows[1][i]]))
+
+    expect(record).toMatchObject({ 'My Rating': '2', 'Date Read': '2025/12/31' })
+  })
+
+  test('不支援的服務格式拋錯', () => {
+    let error = null
+    try {
+      buildReadingServiceCsv(books, { service: 'librarything' })
+    } catch (e) {
+      error = e
+    }
+
+    expect(error.message).toContain('不支援的閱讀服務格式')
+  })
+})
+
+describe('ContentParser 接線', () => {
+  test('CSV 匯入辨識 Goodreads 匯出檔並以 getExistingBooks 比對', () => {
+    const parser = new ContentParser({
+      getExistingBooks: () => [{ id: 'rm-1', title: 'Dune', authors: ['Frank Herbert'], cover: '' }]
+    })
+    const csv = [
+      GOODREADS_HEADER.join(','),
+      goodreadsRow({ 'Book Id': '234225', Title: 'Dune', Author: 'Frank Herbert', 'My Rating': '4', 'Exclusive Shelf': 'read' }).join(','),
+      ''
+    ].join('\n')
+
+    const result = parser.parse(csv, 'csv')
+
+    expect(result.books.map(b => [b.id, b.readingStatus])).toEqual([['rm-1', 'finished']])
+    expect(result.tags.map(t => t.name)).toEqual(['★4'])
+    expect(result.tagCategories.map(c => c.name)).toEqual(['評分'])
+  })
+})
@@ -0,0 +1,108 @@
+/**
+ * truetype-font 測試
+ *
+ * 範圍：
+ * - 表格解析：unitsPerEm / ascent / descent / PostScript 名稱
+ * - cmap format 4 查詢、advance width
+ * - composite glyph component 解析
+ * - 子集化：保留 glyph id、僅保留使用中外框（含 component 與 .notdef）、checksum 正確
+ * - 非 TrueType / CFF 外框拒絕
+ *
+ * 字型來源：tests/helpers/truetype-test-font（合成的最小字型）
+ *
+ * 註：本檔為功能正確性測試，不含計時/精度斷言（test-assertion-design-rules）。
+ */
+
+'use strict'
+
+const { TrueTypeFont, tableChecksum } = require('src/export/truetype-font')
+const { ErrorCodes } = require('src/core/errors/ErrorCodes')
+const { buildTestFont, TEST_FONT_GLYPHS } = require('@tests/helpers/truetype-test-font')
+
+/** 讀取 sfnt 表格目錄與 long loca，取出各 glyph 外框長度 */
+function readSubsetGlyphLengths (bytes) {
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength)
+  const tables = {}
+  for (let i = 0; i < view.getUint16(4); i++) {
+    const record = 12 + i * 16
+    tables[String.fromCharCode(...bytes.subarray(record, record + 4))] = view.getUint32(record + 8)
+  }
+  const numGlyphs = view.getUint16(tables.maxp + 4)
+  const lengths = []
+  for (let i = 0; i < numGlyphs; i++) {
+    lengths.push(view.getUint32(tables.loca + (i + 1) * 4) - view.getUint32(tables.loca + i * 4))
+  }
+  return { tables, lengths, indexToLocFormat: view.getInt16(tables.head + 50) }
+}
+
+describe('TrueTypeFont', () => {
+  let font
+
+  beforeEach(() => {
+    font = new TrueTypeFont(buildTestFont())
+  })
+
+  test('解析字型度量與 PostScript 名稱', () => {
+    expect(font.unitsPerEm).toBe(1000)
+    expect(font.ascent).toBe(880)
+    expect(font.descent).toBe(-120)
+    expect(font.numGlyphs).toBe(6)
+    expect(font.postScriptName).toBe('TestSans-Regular')
+  })
+
+  test('cmap 查詢 code point 對應 glyph，未收錄字元為 0', () => {
+    expect(font.glyphIdForCodePoint(0x41)).toBe(TEST_FONT_GLYPHS.LATIN_A)
+    expect(font.glyphIdForCodePoint('三'.codePointAt(0))).toBe(TEST_FONT_GLYPHS.CJK_SAN)
+    expect(font.glyphIdForCodePoint('體'.codePointAt(0))).toBe(TEST_FONT_GLYPHS.CJK_TI_COMPOSITE)
+    expect(font.glyphIdForCodePoint('龍'.codePointAt(0))).toBe(0)
+  })
+
+  test('advanceWidth 依 hmtx 回傳', () => {
+    expect(font.advanceWidth(TEST_FONT_GLYPHS.LATIN_A)).toBe(600)
+    expect(font.advanceWidth(TEST_FONT_GLYPHS.CJK_SAN)).toBe(1000)
+  })
+
+  test('composite glyph 列出 component glyph id', () => {
+    expect(font.componentGlyphIds(TEST_FONT_GLYPHS.CJK_TI_COMPOSITE))
+      .toEqual([TEST_FONT_GLYPHS.CJK_SAN, TEST_FONT_GLYPHS.COMPONENT])
+    expect(font.componentGlyphIds(TEST_FONT_GLYPHS.LATIN_A)).toEqual([])
+  })
+
+  describe('subset', () => {
+    test('保留使用中 glyph、composite component 與 .notdef，其餘外框清空', () => {
+      const subset = font.subset([TEST_FONT_GLYPHS.CJK_TI_COMPOSITE])
+      const { lengths, indexToLocFormat } = readSubsetGlyphLengths(subset)
+
+      expect(indexToLocFormat).toBe(1)
+      expect(lengths[TEST_FONT_GLYPHS.NOTDEF]).toBeGreaterThan(0)
+      expect(lengths[TEST_FONT_GLYPHS.CJK_TI_COMPOSITE]).toBeGreaterThan(0)
+      expect(lengths[TEST_FONT_GLYPHS.CJK_SAN]).toBeGreaterThan(0)
+      expect(lengths[TEST_FONT_GLYPHS.COMPONENT]).toBeGreaterThan(0)
+      expect(lengths[TEST_FONT_GLYPHS.LATIN_A]).toBe(0)
+      expect(lengths[TEST_FONT_GLYPHS.CJK_SHU]).toBe(0)
+    })
+
+    test('僅保留 PDF 內嵌所需表格且整檔 checksum 符合 sfnt 規範', () => {
+      const subset = font.subset([TEST_FONT_GLYPHS.LATIN_A])
+      const { tables } = readSubsetGlyphLengths(subset)
+
+      expect(Object.keys(tables).sort()).toEqual(['glyf', 'head', 'hhea', 'hmtx', 'loca', 'maxp'])
+      expect(tableChecksum(subset)).toBe(0xB1B0AFBA)
+    })
+  })
+
+  describe('格式驗證', () => {
+    test('CFF 外框字型拋出 INVALID_DATA_FORMAT', () => {
+      expect(() => new TrueTypeFont(buildTestFont({ sfntVersion: 0x4F54544F }))).toThrow(expect.objectContaining({
+        code: ErrorCodes.INVALID_DATA_FORMAT,
+        details: expect.objectContaining({ sfntVersion: 'OTTO' })
+      }))
+    })
+
+    test('非字型資料拋出 INVALID_DATA_FORMAT', () => {
+      expect(() => new TrueTypeFont(new TextEncoder().encode('not a font file'))).toThrow(expect.objectContaining({
+        code: ErrorCodes.INVALID_DATA_FORMAT
+      }))
+    })
+  })
+})
@@ -0,0 +1,177 @@
+/**
+ * xlsx-writer 測試
+ *
+ * 範圍：
+ * - OOXML 套件結構：[Content_Types].xml / rels / workbook / worksheets / styles / sharedStrings
+ * - 共用字串去重與 count / uniqueCount
+ * - 型別化儲存格：數值、布林、日期（Excel serial + 日期樣式）
+ * - 凍結標題列、欄寬
+ * - 工作表名稱正規化（非法字元、長度上限、唯一性）
+ * - 位址編碼 / 解碼
+ *
+ * 註：本檔為功能正確性測試，不含計時/精度斷言（test-assertion-design-rules）。
+ */
+
+'use strict'
+
+const {
+  writeXlsx,
+  encodeCellAddress,
+  decodeCellAddress,
+  encodeRange,
+  dateToExcelSerial,
+  sanitizeSheetName,
+  escapeXml,
+  SHEET_NAME_MAX_LENGTH
+} = require('src/export/xlsx-writer')
+const { readStoredEntries, readStoredText } = require('@tests/helpers/zip-test-reader')
+
+function buildSampleWorkbook () {
+  return {
+    SheetNames: ['書籍清單'],
+    Sheets: {
+      書籍清單: {
+        A1: { v: 'title', t: 's', s: 'header' },
+        B1: { v: 'progress', t: 's', s: 'header' },
+        C1: { v: 'updatedAt', t: 's', s: 'header' },
+        A2: { v: '三體', t: 's' },
+        B2: { v: 45.5, t: 'n' },
+        C2: { v: '2026-01-01T12:00:00.000Z', t: 'd' },
+        A3: { v: '三體', t: 's' },
+        B3: { v: 100, t: 'n' },
+        D3: { v: true, t: 'b' },
+        '!ref': 'A1:D3',
+        '!cols': [{ wch: 20 }, { wch: 10 }],
+        '!freeze': { rows: 1 }
+      }
+    }
+  }
+}
+
+describe('xlsx-writer', () => {
+  describe('套件結構', () => {
+    test('產出包含所有必要 OOXML parts 的 ZIP', () => {
+      const entries = readStoredEntries(writeXlsx(buildSampleWorkbook()))
+      const names = entries.map(e => e.name)
+
+      expect(names).toEqual([
+        '[Content_Types].xml',
+        '_rels/.rels',
+        'xl/workbook.xml',
+        'xl/_rels/workbook.xml.rels',
+        'xl/worksheets/sheet1.xml',
+        'xl/styles.xml',
+        'xl/sharedStrings.xml'
+      ])
+    })
+
+    test('Content Types 與 workbook rels 列出每張工作表', () => {
+      const workbook = {
+        SheetNames: ['A', 'B'],
+        Sheets: { A: { A1: { v: 'x', t: 's' } }, B: { A1: { v: 'y', t: 's' } } }
+      }
+      const entries = readStoredEntries(writeXlsx(workbook))
+
+      const contentTypes = readStoredText(entries, '[Content_Types].xml')
+      expect(contentTypes).toContain('PartName="/xl/worksheets/sheet1.xml"')
+      expect(contentTypes).toContain('PartName="/xl/worksheets/sheet2.xml"')
+
+      const rels = readStoredText(entries, 'xl/_rels/workbook.xml.rels')
+      expect(rels).toContain('Id="rId2"')
+      expect(rels).toContain('Target="worksheets/sheet2.xml"')
+      expect(rels).toContain('Id="rId3"')
+      expect(rels).toContain('Target="styles.xml"')
+
+      const workbookXml = readStoredText(entries, 'xl/workbook.xml')
+      expect(workbookXml).toContain('<sheet name="A" sheetId="1" r:id="rId1"/>')
+      expect(workbookXml).toContain('<sheet name="B" sheetId="2" r:id="rId2"/>')
+    })
+  })
+
+  describe('儲存格', () => {
+    let sheetXml
+    let sharedStringsXml
+
+    beforeEach(() => {
+      const entries = readStoredEntries(writeXlsx(buildSampleWorkbook()))
+      sheetXml = readStoredText(entries, 'xl/worksheets/sheet1.xml')
+      sharedStringsXml = readStoredText(entries, 'xl/sharedStrings.xml')
+    })
+
+    test('重複字串共用同一 sharedStrings 索引', () => {
+      expect(sharedStringsXml).toContain('count="5" uniqueCount="4"')
+      expect(sheetXml).toContain('<c r="A2" t="s"><v>3</v></c>')
+      expect(sheetXml).toContain('<c r="A3" t="s"><v>3</v></c>')
+    })
+
+    test('標題列套用 header 樣式', () => {
+      expect(sheetXml).toContain('<c r="A1" t="s" s="1"><v>0</v></c>')
+    })
+
+    test('數值與布林寫為型別化儲存格', () => {
+      expect(sheetXml).toContain('<c r="B2"><v>45.5</v></c>')
+      expect(sheetXml).toContain('<c r="D3" t="b"><v>1</v></c>')
+    })
+
+    test('日期寫為 Excel serial 並套用日期樣式', () => {
+      expect(sheetXml).toContain('<c r="C2" s="2"><v>46023.5</v></c>')
+    })
+
+    test('凍結標題列與欄寬', () => {
+      expect(sheetXml).toContain('<pane ySplit="1" topLeftCell="A2" activePane="bottomLeft" state="frozen"/>')
+      expect(sheetXml).toContain('<col min="1" max="1" width="20" customWidth="1"/>')
+      expect(sheetXml).toContain('<col min="2" max="2" width="10" customWidth="1"/>')
+    })
+
+    test('列內儲存格依欄遞增排序', () => {
+      const workbook = {
+        SheetNames: ['S'],
+        Sheets: { S: { C1: { v: 3, t: 'n' }, A1: { v: 1, t: 'n' }, AA1: { v: 27, t: 'n' } } }
+      }
+      const xml = readStoredText(readStoredEntries(writeXlsx(workbook)), 'xl/worksheets/sheet1.xml')
+      expect(xml).toContain('<row r="1"><c r="A1"><v>1</v></c><c r="C1"><v>3</v></c><c r="AA1"><v>27</v></c></row>')
+    })
+
+    test('字串中的 XML 特殊字元與控制字元被跳脫 / 移除', () => {
+      expect(escapeXml('a<b>&"c"\u0001')).toBe('a&lt;b&gt;&amp;&quot;c&quot;')
+    })
+  })
+
+  describe('位址與日期工具', () => {
+    test('encodeCellAddress / decodeCellAddress 互為反函數', () => {
+      expect(encodeCellAddress(0, 0)).toBe('A1')
+      expect(encodeCellAddress(9, 25)).toBe('Z10')
+      expect(encodeCellAddress(0, 26)).toBe('AA1')
+      expect(decodeCellAddress('AA1')).toEqual({ r: 0, c: 26 })
+      expect(decodeCellAddress('a1')).toBeNull()
+    })
+
+    test('encodeRange 產出起訖範圍', () => {
+      expect(encodeRange({ s: { r: 0, c: 0 }, e: { r: 9, c: 3 } })).toBe('A1:D10')
+    })
+
+    test('dateToExcelSerial 對應 1900 date system', () => {
+      expect(dateToExcelSerial('1900-03-01T00:00:00.000Z')).toBe(61)
+      expect(dateToExcelSerial(new Date('2026-01-01T00:00:00.000Z'))).toBe(46023)
+      expect(dateToExcelSerial('not-a-date')).toBeNull()
+    })
+  })
+
+  describe('sanitizeSheetName', () => {
+    test('替換非法字元', () => {
+      expect(sanitizeSheetName('科幻/奇幻[精選]')).toBe('科幻_奇幻_精選_')
+    })
+
+    test('截斷至長度上限', () => {
+      const name = sanitizeSheetName('書'.repeat(40))
+      expect(Array.from(name).length).toBe(SHEET_NAME_MAX_LENGTH)
+    })
+
+    test('重複名稱（不分大小寫）加上序號', () => {
+      const used = new Set()
+      expect(sanitizeSheetName('Books', used)).toBe('Books')
+      expect(sanitizeSheetName('books', used)).toBe('books (2)')
+      expect(sanitizeSheetName('', used)).toBe('Sheet')
+    })
+  })
+})
@@ -0,0 +1,70 @@
+/**
+ * zip-writer 測試
+ *
+ * 範圍：
+ * - local header / central directory / EOCD 簽章與位移一致
+ * - stored entry 內容可原樣取回，CRC32 與內容相符
+ * - UTF-8 檔名（general purpose bit 11）
+ * - 分段 CRC32 累計（src/utils/crc32 previous 參數）
+ *
+ * 註：本檔為功能正確性測試，不含計時/精度斷言（test-assertion-design-rules）。
+ */
+
+'use strict'
+
+const { buildZipArchive, ZIP_SIGNATURES } = require('src/export/zip-writer')
+const { calculateCRC32 } = require('src/utils/crc32')
+const { readStoredEntries } = require('@tests/helpers/zip-test-reader')
+
+describe('buildZipArchive', () => {
+  test('產出以 local header 簽章開頭、EOCD 結尾的位元組', () => {
+    const zip = buildZipArchive([{ name: 'a.txt', data: 'hello' }])
+    const view = new DataView(zip.buffer)
+
+    expect(view.getUint32(0, true)).toBe(ZIP_SIGNATURES.LOCAL_FILE_HEADER)
+    expect(view.getUint32(zip.length - 22, true)).toBe(ZIP_SIGNATURES.END_OF_CENTRAL_DIRECTORY)
+  })
+
+  test('stored entries 可原樣取回且 CRC32 相符', () => {
+    const binary = new Uint8Array([0, 1, 2, 250, 255])
+    const zip = buildZipArchive([
+      { name: 'books.csv', data: 'title\n三體\n' },
+      { name: 'raw.bin', data: binary }
+    ])
+
+    const entries = readStoredEntries(zip)
+    expect(entries.map(e => e.name)).toEqual(['books.csv', 'raw.bin'])
+    expect(new TextDecoder().decode(entries[0].data)).toBe('title\n三體\n')
+    expect(Array.from(entries[1].data)).toEqual(Array.from(binary))
+    entries.forEach(entry => {
+      expect(entry.localSignature).toBe(ZIP_SIGNATURES.LOCAL_FILE_HEADER)
+      expect(entry.method).toBe(0)
+      expect(entry.crc32).toBe(calculateCRC32(entry.data))
+    })
+  })
+
+  test('中文檔名以 UTF-8 編碼並設定 bit 11', () => {
+    const zip = buildZipArchive([{ name: '書籍清單.txt', data: '' }])
+    const [entry] = readStoredEntries(zip)
+
+    expect(entry.name).toBe('書籍清單.txt')
+    expect(entry.flags & 0x0800).toBe(0x0800)
+  })
+
+  test('空 entry 清單產出僅含 EOCD 的合法封存', () => {
+    const zip = buildZipArchive([])
+    expect(zip.length).toBe(22)
+    expect(readStoredEntries(zip)).toEqual([])
+  })
+})
+
+describe('calculateCRC32 分段累計', () => {
+  test('分兩段計算結果等於整段計算', () => {
+    const encoder = new TextEncoder()
+    const whole = calculateCRC32(encoder.encode('123456789'))
+    const partial = calculateCRC32(encoder.encode('6789'), calculateCRC32(encoder.encode('12345')))
+
+    expect(whole).toBe(0xCBF43926)
+    expect(partial).toBe(whole)
+  })
+})
@@ -0,0 +1,126 @@
+/**
+ * executeImport 備份 ZIP bundle 還原測試
+ *
+ * 功能職責：executeImport 接受 BookDataExporter.exportToZip 產出的位元組，
+ * 依 manifest 驗證後以 books.json 還原書籍、以 tags.json 還原標籤。
+ * 跨群組依賴：mergeAllData（Mock）、chrome.storage.local（Mock）
+ */
+
+const tagStorage = require('src/storage/adapters/tag-storage-adapter')
+const BookDataExporter = require('src/export/book-data-exporter')
+const { buildZipArchive } = require('src/export/zip-writer')
+const { readZipArchive } = require('src/import/zip-reader')
+const { executeImport, IMPORT_ERROR_CODES } = require('src/import/json-importer')
+
+const books = [
+  { id: 'book-001', title: '三體', readingStatus: 'reading', progress: 45, tagIds: ['tag-scifi'] },
+  { id: 'book-002', title: '原子習慣', readingStatus: 'finished', progress: 100, tagIds: [] }
+]
+const tagCategories = [{ id: 'cat-genre', name: '類型' }]
+const tags = [{ id: 'tag-scifi', name: '科幻', categoryId: 'cat-genre' }]
+
+let store
+
+beforeEach(() => {
+  store = {}
+  chrome.storage.local.get.mockImplementation((keys, callback) => {
+    const result = {}
+    const keyList = Array.isArray(keys) ? keys : [keys]
+    keyList.forEach(key => { result[key] = key in store ? store[key] : null })
+    callback(result)
+  })
+  chrome.storage.local.set.mockImplementation((items, callback) => {
+    Object.assign(store, items)
+    if (callback) callback()
+  })
+  jest.spyOn(tagStorage, 'mergeAllData').mockImplementation(async (data) => {
+    store.readmoo_books = data.books
+    return { success: true }
+  })
+})
+
+afterEach(() => {
+  jest.restoreAllMocks()
+})
+
+async function exportBundle (options = {}) {
+  return new BookDataExporter(books).exportToZip(['csv', 'json'], { tags, tagCategories, ...options })
+}
+
+/** 解開 bundle、以 mutate 修改 entries 後重新封存（stored） */
+async function repack (zipData, mutate) {
+  const entries = await readZipArchive(zipData)
+  return buildZipArchive(mutate(entries))
+}
+
+describe('executeImport：ZIP bundle', () => {
+  test('由 books.json 還原書籍、由 tags.json 還原標籤', async () => {
+    const result = await executeImport(await exportBundle())
+
+    expect(result.success).toBe(true)
+    expect(result.source).toBe('canonical')
+    expect(result.summary.added).toBe(2)
+
+    const merged = tagStorage.mergeAllData.mock.calls[0][0]
+    expect(merged.books.map(b => b.id)).toEqual(['book-001', 'book-002'])
+    expect(merged.books[0].tagIds).toEqual(['tag-scifi'])
+    expect(merged.tags).toEqual(tags)
+    expect(merged.tagCategories).toEqual(tagCategories)
+  })
+
+  test('由 saved-views.json 還原已儲存檢視；bundle 無此檔時不帶 savedViews', async () => {
+    const savedViews = [{ id: 'view-1', name: '在讀科幻', filter: { readingStatus: 'reading', tagIds: ['tag-scifi'] } }]
+
+    await executeImport(await exportBundle({ savedViews }), { skipStalenessCheck: true })
+    await executeImport(await exportBundle(), { skipStalenessCheck: true })
+
+    expect(tagStorage.mergeAllData.mock.calls[0][0].savedViews).toEqual(savedViews)
+    expect(tagStorage.mergeAllData.mock.calls[1][0]).not.toHaveProperty('savedViews')
+  })
+
+  test('由 works.json 還原作品連結', async () => {
+    const works = [{ id: 'work-1', bookIds: ['book-001', 'book-002'], primaryBookId: 'book-001' }]
+
+    await executeImport(await exportBundle({ works }), { skipStalenessCheck: true })
+
+    expect(tagStorage.mergeAllData.mock.calls[0][0].works).toEqual(works)
+  })
+
+  test('manifest 位於資料夾內時依相對路徑取檔', async () => {
+    const result = await executeImport(new Uint8Array(await exportBundle({ folder: 'backup' })))
+    expect(result.success).toBe(true)
+  })
+
+  test('檔案內容遭修改 → CHECKSUM_MISMATCH，不寫入儲存', async () => {
+    const tampered = await repack(await exportBundle(), entries => entries.map(entry =>
+      entry.name === 'tags.json'
+        ? { name: entry.name, data: new TextEncoder().encode('{"tags": [], "tagCategories": []}') }
+        : entry
+    ))
+
+    const result = await executeImport(tampered)
+
+    expect(result.success).toBe(false)
+    expect(result.error.code).toBe(IMPORT_ERROR_CODES.CHECKSUM_MISMATCH)
+    expect(tagStorage.mergeAllData).not.toHaveBeenCalled()
+  })
+
+  test('缺少 manifest.json → BUNDLE_INVALID', async () => {
+    const withoutManifest = await repack(await exportBundle(), entries =>
+      entries.filter(entry => entry.name !== 'manifest.json'))
+
+    const result = await executeImport(withoutManifest)
+
+    expect(result.success).toBe(false)
+    expect(result.error.code).toBe(IMPORT_ERROR_CODES.BUNDLE_INVALID)
+  })
+
+  test('ZIP 結構損毀 → BUNDLE_INVALID', async () => {
+    const truncated = new Uint8Array(await exportBundle()).subarray(0, 64)
+
+    const result = await executeImport(truncated)
+
+    expect(result.success).toBe(false)
+    expect(result.error.code).toBe(IMPORT_ERROR_CODES.BUNDLE_INVALID)
+  })
+})
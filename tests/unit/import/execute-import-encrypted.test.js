@@ -0,0 +1,105 @@
+/**
+ * executeImport 加密同步檔測試（SPEC-012）
+ *
+ * 功能職責：executeImport 辨識 sync-crypto 加密 JSON 檔，以 options.passphrase 解密後
+ * 走一般匯入流程；未提供密碼回 PASSPHRASE_REQUIRED，密碼錯誤回 DECRYPT_FAILED。
+ * 跨群組依賴：sync-crypto（實際加解密）、tag-storage-adapter（實際執行）、chrome.storage.local（有狀態 Mock）
+ *
+ * jsdom 不提供 crypto.subtle 與 CompressionStream，測試期間掛上 Node 內建 webcrypto / stream/web。
+ */
+
+const { executeImport, parseAndValidate, IMPORT_ERROR_CODES } = require('src/import/json-importer')
+const { encryptSyncFile } = require('src/sync/sync-crypto')
+
+const PASSPHRASE = 'K7QX2-M9FHT'
+const originalCrypto = global.crypto
+
+let store
+
+beforeAll(() => {
+  const { CompressionStream, DecompressionStream } = require('stream/web')
+  global.CompressionStream = CompressionStream
+  global.DecompressionStream = DecompressionStream
+  Object.defineProperty(global, 'crypto', { value: require('crypto').webcrypto, configurable: true })
+})
+
+afterAll(() => {
+  delete global.CompressionStream
+  delete global.DecompressionStream
+  Object.defineProperty(global, 'crypto', { value: originalCrypto, configurable: true })
+})
+
+beforeEach(() => {
+  store = {
+    readmoo_books: { books: [] },
+    tags: [],
+    tag_categories: []
+  }
+  delete chrome.runtime.lastError
+  chrome.storage.local.get.mockImplementation((keys, callback) => {
+    const result = {}
+    const keyList = Array.isArray(keys) ? keys : [keys]
+    keyList.forEach(key => { result[key] = key in store ? JSON.parse(JSON.stringify(store[key])) : null })
+    callback(result)
+  })
+  chrome.storage.local.set.mockImplementation((items, callback) => {
+    Object.keys(items).forEach(key => { store[key] = JSON.parse(JSON.stringify(items[key])) })
+    if (callback) callback()
+  })
+})
+
+function encryptedSnapshot () {
+  return encryptSyncFile(JSON.stringify({
+    format_version: '2.0',
+    books: [
+      { id: 'b1', title: '三體', progress: 40, updatedAt: '2026-10-05T00:00:00.000Z' },
+      { id: 'b2', title: '原子習慣', progress: 100, updatedAt: '2026-10-05T00:00:00.000Z' }
+    ],
+    sync_meta: { exported_at: '2026-10-05T00:00:00.000Z', source_app: 'flutter-app', book_count: 2 }
+  }), PASSPHRASE, { iterations: 1000 })
+}
+
+describe('加密同步檔', () => {
+  test('parseAndValidate 直接遇到加密檔時要求密碼', async () => {
+    const result = parseAndValidate(await encryptedSnapshot())
+
+    expect(result.code).toBe(IMPORT_ERROR_CODES.PASSPHRASE_REQUIRED)
+  })
+
+  test('未提供密碼 → PASSPHRASE_REQUIRED，書庫不變', async () => {
+    const result = await executeImport(await encryptedSnapshot())
+
+    expect(result.success).toBe(false)
+    expect(result.error.code).toBe(IMPORT_ERROR_CODES.PASSPHRASE_REQUIRED)
+    expect(store.readmoo_books.books).toHaveLength(0)
+  })
+
+  test('密碼錯誤 → DECRYPT_FAILED', async () => {
+    const result = await executeImport(await encryptedSnapshot(), { passphrase: 'wrong' })
+
+    expect(result.success).toBe(false)
+    expect(result.error.code).toBe(IMPORT_ERROR_CODES.DECRYPT_FAILED)
+  })
+
+  test('以正確密碼解密後匯入書籍', async () => {
+    const result = await executeImport(await encryptedSnapshot(), { passphrase: PASSPHRASE })
+
+    expect(result.success).toBe(true)
+    expect(result.summary.added).toBe(2)
+    expect(store.readmoo_books.books.map(b => b.id).sort()).toEqual(['b1', 'b2'])
+    expect(store.last_imported_at).toBe(result.importedAt)
+  })
+
+  test('未加密檔案忽略 passphrase 照常匯入', async () => {
+    const plain = JSON.stringify({
+      format_version: '2.0',
+      books: [{ id: 'b3', title: '人類大歷史', progress: 0 }],
+      sync_meta: { exported_at: '2026-10-05T00:00:00.000Z' }
+    })
+
+    const result = await executeImport(plain, { passphrase: PASSPHRASE })
+
+    expect(result.success).toBe(true)
+    expect(result.summary.added).toBe(1)
+  })
+})
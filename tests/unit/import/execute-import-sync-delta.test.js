@@ -0,0 +1,156 @@
+/**
+ * executeImport 增量同步信封測試（App→Extension，format_version 3.0）
+ *
+ * 功能職責：executeImport 辨識 App 回傳的增量信封，以 applySyncDelta 於同一筆交易套用
+ * upsert 與刪除（任一步失敗整包回滾），並以 acknowledged_sync_id 更新同步日誌的裝置確認點。
+ * 跨群組依賴：tag-storage-adapter（實際執行）、chrome.storage.local（有狀態 Mock）
+ */
+
+const { executeImport, parseAndValidate, IMPORT_ERROR_CODES } = require('src/import/json-importer')
+const { buildDeltaSyncJSON } = require('src/sync/sync-json-builder')
+const {
+  SYNC_STORAGE_KEYS,
+  addPendingSyncPoint,
+  normalizeSyncJournal,
+  resolveSyncBase
+} = require('src/sync/sync-journal')
+
+let store
+
+beforeEach(() => {
+  store = {
+    readmoo_books: {
+      books: [
+        { id: 'b1', title: '三體', progress: 10, updatedAt: '2026-10-01T00:00:00.000Z', tagIds: [] },
+        { id: 'b2', title: '原子習慣', progress: 50, updatedAt: '2026-10-01T00:00:00.000Z', tagIds: [] }
+      ]
+    },
+    tags: [],
+    tag_categories: []
+  }
+  delete chrome.runtime.lastError
+  chrome.storage.local.get.mockImplementation((keys, callback) => {
+    const result = {}
+    const keyList = Array.isArray(keys) ? keys : [keys]
+    keyList.forEach(key => { result[key] = key in store ? JSON.parse(JSON.stringify(store[key])) : null })
+    callback(result)
+  })
+  chrome.storage.local.set.mockImplementation((items, callback) => {
+    Object.keys(items).forEach(key => { store[key] = JSON.parse(JSON.stringify(items[key])) })
+    if (callback) callback()
+  })
+})
+
+function appDelta (overrides = {}) {
+  return JSON.stringify({
+    format_version: '3.0',
+    sync_mode: 'delta',
+    books: [{ id: 'b1', title: '三體', progress: 80, updatedAt: '2026-10-05T00:00:00.000Z', tagIds: [] }],
+    tags: [],
+    tag_categories: [],
+    tombstones: { books: [{ id: 'b2', deleted_at: '2026-10-05T00:00:00.000Z' }], tags: [], tag_categories: [] },
+    sync_meta: {
+      exported_at: '2026-10-05T00:00:00.000Z',
+      source_app: 'flutter-app',
+      source_device: 'app_phone',
+      since: '2026-10-01T00:00:00.000Z',
+      until: '2026-10-05T00:00:00.000Z',
+      book_count: 1,
+      tombstone_count: 1,
+      ...overrides
+    }
+  })
+}
+
+describe('parseAndValidate：增量信封', () => {
+  test('辨識為 sync-delta，僅含 tombstone 時不視為空書', () => {
+    const result = parseAndValidate(JSON.stringify({
+      format_version: '3.0',
+      books: [],
+      tombstones: { books: [{ id: 'b2', deleted_at: '2026-10-05T00:00:00.000Z' }] },
+      sync_meta: { exported_at: '2026-10-05T00:00:00.000Z', source_app: 'flutter-app' }
+    }))
+
+    expect(result.source).toBe('sync-delta')
+    expect(result.bookCount).toBe(0)
+    expect(result.metadata.sourceApp).toBe('flutter-app')
+  })
+
+  test('欄位型別錯誤 → UNKNOWN_FORMAT', () => {
+    const result = parseAndValidate(JSON.stringify({ format_version: '3.0', books: {}, sync_meta: {} }))
+    expect(result.code).toBe(IMPORT_ERROR_CODES.UNKNOWN_FORMAT)
+  })
+})
+
+describe('executeImport：增量信封', () => {
+  test('套用 upsert 與 tombstone，摘要含 removed', async () => {
+    const result = await executeImport(appDelta())
+
+    expect(result.success).toBe(true)
+    expect(result.source).toBe('sync-delta')
+    expect(result.summary).toEqual({ added: 0, updated: 1, unchanged: 0, total: 1, removed: 1 })
+    expect(store.readmoo_books.books).toEqual([expect.objectContaining({ id: 'b1', progress: 80 })])
+  })
+
+  test('不經整檔防舊蓋新：較舊的增量仍以逐筆 LWW 套用', async () => {
+    store.last_imported_at = '2026-12-01T00:00:00.000Z'
+
+    const result = await executeImport(appDelta())
+
+    expect(result.success).toBe(true)
+  })
+
+  test('acknowledged_sync_id 對應 Extension 同步點 → 下次增量以該點為基準', async () => {
+    const { syncPoint } = buildDeltaSyncJSON({ books: store.readmoo_books.books }, {
+      deviceId: 'ext_local', syncId: 'sync_ext_1', now: new Date('2026-10-02T00:00:00.000Z')
+    })
+    store[SYNC_STORAGE_KEYS.JOURNAL] = addPendingSyncPoint(normalizeSyncJournal(null), syncPoint)
+
+    await executeImport(appDelta({ acknowledged_sync_id: 'sync_ext_1' }))
+
+    const journal = normalizeSyncJournal(store[SYNC_STORAGE_KEYS.JOURNAL])
+    expect(journal.devices.app_phone.acknowledged.syncId).toBe('sync_ext_1')
+    expect(resolveSyncBase(journal)).toEqual(expect.objectContaining({
+      since: '2026-10-02T00:00:00.000Z',
+      bookIds: ['b1', 'b2']
+    }))
+  })
+
+  test('未帶 acknowledged_sync_id 時登錄裝置但維持全量基準', async () => {
+    await executeImport(appDelta())
+
+    const journal = normalizeSyncJournal(store[SYNC_STORAGE_KEYS.JOURNAL])
+    expect(journal.devices.app_phone.acknowledged).toBeNull()
+    expect(resolveSyncBase(journal)).toBeNull()
+  })
+
+  test('tombstone 步驟拋錯 → STORAGE_ERROR，已寫入的 upsert 一併回滾', async () => {
+    const original = JSON.parse(JSON.stringify(store.readmoo_books))
+    const readFromStore = chrome.storage.local.get.getMockImplementation()
+    let upsertWritten = false
+    let failed = false
+    chrome.storage.local.set.mockImplementation((items, callback) => {
+      if (items.readmoo_books) upsertWritten = true
+      Object.keys(items).forEach(key => { store[key] = JSON.parse(JSON.stringify(items[key])) })
+      if (callback) callback()
+    })
+    // upsert 寫入後的第一次書庫讀取即 tombstone 步驟讀本地書庫：使其拋錯一次
+    chrome.storage.local.get.mockImplementation((keys, callback) => {
+      const keyList = Array.isArray(keys) ? keys : [keys]
+      if (upsertWritten && !failed && keyList.includes('readmoo_books')) {
+        failed = true
+        throw new Error('storage read failed')
+      }
+      return readFromStore(keys, callback)
+    })
+
+    const result = await executeImport(appDelta())
+
+    expect(failed).toBe(true)
+    expect(result.success).toBe(false)
+    expect(result.error.code).toBe(IMPORT_ERROR_CODES.STORAGE_ERROR)
+    expect(store.readmoo_books).toEqual(original)
+    expect(store.last_imported_at).toBeUndefined()
+    expect(store[SYNC_STORAGE_KEYS.JOURNAL]).toBeUndefined()
+  })
+})
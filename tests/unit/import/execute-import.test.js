@@ -190,6 +190,50 @@ describe('executeImport（測試群組 C）', () => {
     })
   })
 
+  describe('自動標籤規則', () => {
+    const COMIC_RULE = {
+      id: 'rule-comic',
+      name: '漫畫',
+      conditions: [{ field: 'title', operator: 'contains', value: '漫畫' }],
+      tagIds: ['t-comic']
+    }
+
+    beforeEach(() => {
+      store.tags = [{ id: 't-comic', name: '漫畫', categoryId: 'c1' }]
+      store.tagging_rules = [COMIC_RULE]
+    })
+
+    test('只對本次新增的書套用啟用中規則，摘要附 autoTagged', async () => {
+      seedLocalBooks([{ id: 'old-comic', title: '舊漫畫', updatedAt: '2026-06-20T00:00:00Z', tagIds: [] }])
+      const fileContent = JSON.stringify({
+        format: 'book-interchange-v1',
+        metadata: {},
+        books: [
+          { id: 'old-comic', title: '舊漫畫', updatedAt: '2026-06-20T00:00:00Z', tags: {} },
+          { id: 'new-comic', title: '新漫畫', updatedAt: '2026-06-20T00:00:00Z', tags: {} },
+          { id: 'new-novel', title: '小說', updatedAt: '2026-06-20T00:00:00Z', tags: {} }
+        ]
+      })
+
+      const result = await executeImport(fileContent)
+
+      expect(result.summary).toEqual({ added: 2, updated: 0, unchanged: 1, total: 3, autoTagged: 1 })
+      const byId = new Map(store.readmoo_books.map(book => [book.id, book]))
+      expect(byId.get('new-comic').tagIds).toEqual(['t-comic'])
+      expect(byId.get('old-comic').tagIds).toEqual([])
+    })
+
+    test('規則套用失敗不影響匯入結果', async () => {
+      jest.spyOn(tagStorage, 'autoTagBooks').mockRejectedValue(new Error('boom'))
+      const fileContent = createCanonicalJSON({ bookCount: 1, exportedAt: null })
+
+      const result = await executeImport(fileContent)
+
+      expect(result.success).toBe(true)
+      expect(result.summary.autoTagged).toBeUndefined()
+    })
+  })
+
   describe('C3：last_imported_at 持久化', () => {
     test('C3-4：首次寫入 → chrome.storage.local 含 last_imported_at', async () => {
       const fileContent = createCanonicalJSON({ bookCount: 1, exportedAt: null })
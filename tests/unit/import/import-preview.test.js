@@ -0,0 +1,86 @@
+/**
+ * previewImport 與 executeImport selection 測試
+ *
+ * 功能職責：previewImport 以 dry-run 試算合併結果且不寫入 storage；
+ * executeImport 帶 options.selection 時只合併勾選書籍，並以 bookResolutions 覆寫 LWW 裁決。
+ * 跨群組依賴：tag-storage-adapter（實際執行）、chrome.storage.local（有狀態 Mock）
+ */
+
+const { executeImport, previewImport } = require('src/import/json-importer')
+
+let store
+
+beforeEach(() => {
+  store = {
+    readmoo_books: {
+      books: [{ id: 'b1', title: '三體', progress: 90, tagIds: [], updatedAt: '2026-10-10T00:00:00.000Z' }]
+    },
+    tags: [],
+    tag_categories: []
+  }
+  delete chrome.runtime.lastError
+  chrome.storage.local.get.mockImplementation((keys, callback) => {
+    const result = {}
+    const keyList = Array.isArray(keys) ? keys : [keys]
+    keyList.forEach(key => { result[key] = key in store ? JSON.parse(JSON.stringify(store[key])) : null })
+    callback(result)
+  })
+  chrome.storage.local.set.mockImplementation((items, callback) => {
+    Object.keys(items).forEach(key => { store[key] = JSON.parse(JSON.stringify(items[key])) })
+    if (callback) callback()
+  })
+})
+
+function snapshot () {
+  return JSON.stringify({
+    format_version: '2.0',
+    books: [
+      { id: 'b1', title: '三體', progress: 40, updatedAt: '2026-10-05T00:00:00.000Z' },
+      { id: 'b2', title: '原子習慣', progress: 100, updatedAt: '2026-10-05T00:00:00.000Z' },
+      { id: 'b3', title: '人類大歷史', progress: 0, updatedAt: '2026-10-05T00:00:00.000Z' }
+    ],
+    sync_meta: { exported_at: '2026-10-05T00:00:00.000Z', source_app: 'flutter-app', book_count: 3 }
+  })
+}
+
+describe('previewImport', () => {
+  test('回報逐本狀態與 LWW 衝突，不寫入 storage', async () => {
+    const result = await previewImport(snapshot())
+
+    expect(result.success).toBe(true)
+    expect(result.preview.books.map(b => [b.id, b.status])).toEqual([
+      ['b1', 'unchanged'], ['b2', 'added'], ['b3', 'added']
+    ])
+    expect(result.preview.books[0].conflict).toMatchObject({ winner: 'local', fields: ['progress'] })
+    expect(chrome.storage.local.set).not.toHaveBeenCalled()
+  })
+
+  test('格式錯誤時回傳解析錯誤', async () => {
+    const result = await previewImport('not json')
+
+    expect(result.success).toBe(false)
+    expect(result.error.code).toBeDefined()
+  })
+})
+
+describe('executeImport selection', () => {
+  test('只合併勾選書籍，衝突改採匯入值', async () => {
+    const result = await executeImport(snapshot(), {
+      selection: { bookIds: ['b1', 'b2'], bookResolutions: { b1: 'incoming' } }
+    })
+
+    expect(result.success).toBe(true)
+    const books = store.readmoo_books.books
+    expect(books.map(b => b.id).sort()).toEqual(['b1', 'b2'])
+    expect(books.find(b => b.id === 'b1').progress).toBe(40)
+    expect(result.summary.added).toBe(1)
+  })
+
+  test('未提供 selection 時整批合併並依 LWW 保留較新的本地', async () => {
+    await executeImport(snapshot())
+
+    const books = store.readmoo_books.books
+    expect(books).toHaveLength(3)
+    expect(books.find(b => b.id === 'b1').progress).toBe(90)
+  })
+})
@@ -0,0 +1,162 @@
+/**
+ * zip-reader 測試
+ *
+ * 範圍：
+ * - zip-writer 產出的 stored / DEFLATE entries 可完整讀回（round-trip）
+ * - CRC32 不符、非 ZIP 資料拋出 INVALID_DATA_FORMAT
+ * - 解壓縮輸出超過宣告大小、宣告大小總和超過上限時中止（zip bomb）
+ * - isZipArchive 簽章判斷
+ *
+ * jsdom 不提供 CompressionStream / DecompressionStream，測試期間掛上 Node 內建 stream/web 實作。
+ *
+ * 註：本檔為功能正確性測試，不含計時/精度斷言（test-assertion-design-rules）。
+ */
+
+'use strict'
+
+const { readZipArchive, isZipArchive, MAX_UNCOMPRESSED_SIZE } = require('src/import/zip-reader')
+const { buildZipArchive, buildZipArchiveAsync, ZIP_METHODS } = require('src/export/zip-writer')
+const { ErrorCodes } = require('src/core/errors/ErrorCodes')
+
+const decode = (bytes) => new TextDecoder().decode(bytes)
+
+beforeAll(() => {
+  const { CompressionStream, DecompressionStream } = require('stream/web')
+  global.CompressionStream = CompressionStream
+  global.DecompressionStream = DecompressionStream
+})
+
+afterAll(() => {
+  delete global.CompressionStream
+  delete global.DecompressionStream
+})
+
+describe('readZipArchive', () => {
+  test('讀回 stored entries 與中文檔名', async () => {
+    const zip = buildZipArchive([
+      { name: '書籍/books.csv', data: 'title\n三體\n' },
+      { name: 'raw.bin', data: new Uint8Array([0, 255]) }
+    ])
+
+    const entries = await readZipArchive(zip)
+
+    expect(entries.map(e => e.name)).toEqual(['書籍/books.csv', 'raw.bin'])
+    expect(decode(entries[0].data)).toBe('title\n三體\n')
+    expect(Array.from(entries[1].data)).toEqual([0, 255])
+  })
+
+  test('讀回 DEFLATE entries（接受 ArrayBuffer 輸入）', async () => {
+    const text = '三體,劉慈欣\n'.repeat(200)
+    const zip = await buildZipArchiveAsync([{ name: 'books.csv', data: text }])
+
+    // central directory 第一筆的 method 欄位
+    const view = new DataView(zip.buffer)
+    const centralOffset = view.getUint32(zip.length - 22 + 16, true)
+    expect(view.getUint16(centralOffset + 10, true)).toBe(ZIP_METHODS.DEFLATE)
+
+    const entries = await readZipArchive(zip.buffer)
+    expect(decode(entries[0].data)).toBe(text)
+  })
+
+  test('內容與 CRC32 不符時拋出 INVALID_DATA_FORMAT', async () => {
+    const zip = buildZipArchive([{ name: 'a.txt', data: 'hello' }])
+    // 竄改 local header 後的第一個內容位元組（30 bytes header + 5 bytes 檔名）
+    zip[35] ^= 0xff
+
+    await expect(readZipArchive(zip)).rejects.toMatchObject({
+      code: ErrorCodes.INVALID_DATA_FORMAT,
+      details: expect.objectContaining({ name: 'a.txt' })
+    })
+  })
+
+  test('entry 資料範圍超出檔案時拋出 INVALID_DATA_FORMAT', async () => {
+    const zip = buildZipArchive([{ name: 'a.txt', data: 'hello world' }])
+    const view = new DataView(zip.buffer)
+    const centralOffset = view.getUint32(zip.length - 22 + 16, true)
+    // 將 compressed size 改為超出檔案長度
+    view.setUint32(centralOffset + 20, zip.length * 2, true)
+
+    await expect(readZipArchive(zip)).rejects.toMatchObject({
+      code: ErrorCodes.INVALID_DATA_FORMAT,
+      details: expect.objectContaining({ name: 'a.txt' })
+    })
+  })
+
+  test.each([
+    ['local header offset 超出檔案', (view, centralOffset) => view.setUint32(centralOffset + 42, 0xFFFFFFF0, true)],
+    ['central directory 檔名長度超出檔案', (view, centralOffset) => view.setUint16(centralOffset + 28, 0xFFFF, true)],
+    ['central directory offset 超出檔案', (view, centralOffset, length) => view.setUint32(length - 22 + 16, length + 100, true)]
+  ])('%s時拋出 INVALID_DATA_FORMAT', async (_, corrupt) => {
+    const zip = buildZipArchive([{ name: 'a.txt', data: 'hello' }])
+    const view = new DataView(zip.buffer)
+    corrupt(view, view.getUint32(zip.length - 22 + 16, true), zip.length)
+
+    await expect(readZipArchive(zip)).rejects.toMatchObject({ code: ErrorCodes.INVALID_DATA_FORMAT })
+  })
+
+  test('DEFLATE 解壓縮輸出超過宣告的 uncompressedSize 時中止', async () => {
+    // 1 MB 相同字元壓縮後僅約 1 KB；宣告大小竄改為 1 KB
+    const zip = await buildZipArchiveAsync([{ name: 'books.json', data: 'a'.repeat(1024 * 1024) }])
+    const view = new DataView(zip.buffer)
+    const centralOffset = view.getUint32(zip.length - 22 + 16, true)
+    expect(view.getUint32(centralOffset + 20, true)).toBeLessThan(1024 * 16)
+    view.setUint32(centralOffset + 24, 1024, true)
+
+    await expect(readZipArchive(zip)).rejects.toMatchObject({
+      code: ErrorCodes.INVALID_DATA_FORMAT,
+      message: 'ZIP entry 解壓縮後大小與宣告不符',
+      details: expect.objectContaining({ name: 'books.json', uncompressedSize: 1024 })
+    })
+  })
+
+  test('宣告的解壓縮大小超過上限時不解壓縮', async () => {
+    const zip = await buildZipArchiveAsync([{ name: 'books.json', data: 'a'.repeat(4096) }])
+    const view = new DataView(zip.buffer)
+    const centralOffset = view.getUint32(zip.length - 22 + 16, true)
+    view.setUint32(centralOffset + 24, MAX_UNCOMPRESSED_SIZE + 1, true)
+    const OriginalDecompressionStream = global.DecompressionStream
+    const created = jest.fn()
+    global.DecompressionStream = class extends OriginalDecompressionStream {
+      constructor (format) {
+        super(format)
+        created(format)
+      }
+    }
+
+    try {
+      await expect(readZipArchive(zip)).rejects.toMatchObject({
+        code: ErrorCodes.INVALID_DATA_FORMAT,
+        details: expect.objectContaining({ name: 'books.json', limit: MAX_UNCOMPRESSED_SIZE })
+      })
+      expect(created).not.toHaveBeenCalled()
+    } finally {
+      global.DecompressionStream = OriginalDecompressionStream
+    }
+  })
+
+  test('所有 entry 解壓縮後的總大小計入上限', async () => {
+    const zip = buildZipArchive([
+      { name: 'a.txt', data: 'x'.repeat(600) },
+      { name: 'b.txt', data: 'y'.repeat(600) }
+    ])
+
+    expect(await readZipArchive(zip, { maxUncompressedSize: 1200 })).toHaveLength(2)
+    await expect(readZipArchive(zip, { maxUncompressedSize: 1000 })).rejects.toMatchObject({
+      code: ErrorCodes.INVALID_DATA_FORMAT,
+      details: expect.objectContaining({ name: 'b.txt', limit: 1000 })
+    })
+  })
+
+  test('非 ZIP 資料拋出 INVALID_DATA_FORMAT', async () => {
+    const bytes = new TextEncoder().encode('{"books": []}')
+    await expect(readZipArchive(bytes)).rejects.toMatchObject({ code: ErrorCodes.INVALID_DATA_FORMAT })
+  })
+})
+
+describe('isZipArchive', () => {
+  test('依 local header 簽章判斷', () => {
+    expect(isZipArchive(buildZipArchive([{ name: 'a', data: '' }]))).toBe(true)
+    expect(isZipArchive(new TextEncoder().encode('PK'))).toBe(false)
+    expect(isZipArchive('PK\u0003\u0004')).toBe(false)
+  })
+})
@@ -0,0 +1,159 @@
+/**
+ * 合併預覽 modal 測試（ImportFlowController.promptMergePreview）
+ *
+ * 測試範圍：
+ * - 預覽渲染：摘要、逐本勾選框、衝突裁決選單（預設為 LWW 結果）、tag 重映射清單
+ * - 套用：取消勾選的書不寫入，衝突裁決帶入 mergeAllData options
+ * - 取消：不寫 storage、modal 關閉
+ * - 預覽不可用（adapter 無 previewMerge 或 modal DOM 缺失）：照舊整批合併
+ *
+ * Mock 策略：jsdom 真實 DOM 事件 + 外部依賴 mock（bookFileImporter / tagStorageAdapter），
+ * 不 mock 被測 API。
+ *
+ * @jest-environment jsdom
+ */
+
+const { ImportFlowController } = require('src/overview/import-flow-controller')
+
+const PREVIEW_IDS = [
+  'importPreviewOverlay', 'importPreviewModal', 'importPreviewSummary',
+  'importPreviewList', 'importPreviewApplyBtn', 'importPreviewCancelBtn'
+]
+
+function mountPreviewModal () {
+  document.body.innerHTML = `
+    <div id="importPreviewOverlay" class="modal-overlay" style="display: none;">
+      <div id="importPreviewModal" class="modal-dialog" role="dialog" aria-modal="true">
+        <p id="importPreviewSummary"></p>
+        <div id="importPreviewList"></div>
+        <button id="importPreviewApplyBtn">套用勾選項目</button>
+        <button id="importPreviewCancelBtn">取消</button>
+      </div>
+    </div>`
+  return Object.fromEntries(PREVIEW_IDS.map(id => [id, document.getElementById(id)]))
+}
+
+const preview = {
+  books: [
+    {
+      id: 'b1',
+      title: '三體',
+      status: 'updated',
+      changes: [{ field: 'progress', from: 10, to: 80 }],
+      addedTagIds: [],
+      conflict: { winner: 'incoming', fields: ['progress'], localUpdatedAt: null, incomingUpdatedAt: null }
+    },
+    { id: 'b2', title: '原子習慣', status: 'added', changes: [], addedTagIds: [], conflict: null },
+    { id: 'b3', title: '人類大歷史', status: 'unchanged', changes: [], addedTagIds: [], conflict: null }
+  ],
+  tags: [{ incomingId: 't_in', localId: 't1', name: '科幻', incomingName: '科幻', status: 'remapped', renamed: false }],
+  tagCategories: [],
+  counts: { added: 1, updated: 1, unchanged: 1, conflicts: 1, categoriesCreated: 0, categoriesRemapped: 0, tagsCreated: 0, tagsRemapped: 1 }
+}
+
+describe('ImportFlowController 合併預覽', () => {
+  let elements
+  let tagStorageAdapter
+  let onImportSuccess
+  let importResult
+
+  const buildController = (overrides = {}) => new ImportFlowController({
+    bookFileImporter: { validate: jest.fn(), read: jest.fn().mockResolvedValue(importResult) },
+    elements,
+    document,
+    tagStorageAdapter,
+    showError: jest.fn(),
+    showLoading: jest.fn(),
+    onImportSuccess,
+    promptImportModeFn: jest.fn().mockResolvedValue('merge'),
+    ...overrides
+  })
+
+  // 等待 execute 內的 previewMerge / modal 開啟
+  const flush = () => new Promise(resolve => setTimeout(resolve, 0))
+
+  beforeEach(() => {
+    elements = mountPreviewModal()
+    importResult = {
+      books: [{ id: 'b1' }, { id: 'b2' }, { id: 'b3' }],
+      tags: [{ id: 't_in', name: '科幻', categoryId: 'c1' }],
+      tagCategories: []
+    }
+    tagStorageAdapter = {
+      previewMerge: jest.fn().mockResolvedValue({ success: true, preview }),
+      mergeAllData: jest.fn().mockResolvedValue({ success: true }),
+      replaceAllData: jest.fn()
+    }
+    onImportSuccess = jest.fn()
+  })
+
+  test('渲染摘要、可審閱書籍與衝突選單，無變動書不列出', async () => {
+    const controller = buildController()
+    controller.execute({})
+    await flush()
+
+    expect(elements.importPreviewOverlay.style.display).toBe('flex')
+    expect(elements.importPreviewSummary.textContent).toContain('新增 1 本')
+    expect(elements.importPreviewSummary.textContent).toContain('衝突 1 本')
+    const checkboxes = elements.importPreviewList.querySelectorAll('.import-preview-accept')
+    expect(Array.from(checkboxes, c => c.dataset.bookId)).toEqual(['b1', 'b2'])
+    expect(elements.importPreviewList.querySelector('.import-preview-resolution').value).toBe('incoming')
+    expect(elements.importPreviewList.textContent).toContain('progress：10 → 80')
+    expect(elements.importPreviewList.textContent).toContain('標籤「科幻」→ 對應既有')
+    expect(tagStorageAdapter.mergeAllData).not.toHaveBeenCalled()
+
+    elements.importPreviewCancelBtn.click()
+    await flush()
+  })
+
+  test('套用時排除取消勾選的書，並帶入衝突裁決', async () => {
+    const controller = buildController()
+    const done = controller.execute({})
+    await flush()
+
+    elements.importPreviewList.querySelector('[data-book-id="b2"]').checked = false
+    elements.importPreviewList.querySelector('.import-preview-resolution').value = 'local'
+    elements.importPreviewApplyBtn.click()
+    await done
+
+    expect(tagStorageAdapter.mergeAllData).toHaveBeenCalledWith(
+      { books: [{ id: 'b1' }, { id: 'b3' }], tags: importResult.tags, tagCategories: [] },
+      { bookResolutions: { b1: 'local' } }
+    )
+    expect(onImportSuccess).toHaveBeenCalledWith([{ id: 'b1' }, { id: 'b3' }])
+    expect(elements.importPreviewOverlay.style.display).toBe('none')
+  })
+
+  test('取消時不寫入 storage', async () => {
+    const controller = buildController()
+    const done = controller.execute({})
+    await flush()
+
+    elements.importPreviewModal.dispatchEvent(new KeyboardEvent('keydown', { key: 'Escape' }))
+    await done
+
+    expect(tagStorageAdapter.mergeAllData).not.toHaveBeenCalled()
+    expect(onImportSuccess).not.toHaveBeenCalled()
+  })
+
+  test('預覽讀取失敗時 showError 並中止', async () => {
+    tagStorageAdapter.previewMerge.mockResolvedValue({ success: false, error: 'storage_error' })
+    const showError = jest.fn()
+
+    await buildController({ showError }).execute({})
+
+    expect(showError).toHaveBeenCalledWith('讀取書庫失敗，匯入未完成')
+    expect(tagStorageAdapter.mergeAllData).not.toHaveBeenCalled()
+  })
+
+  test('modal DOM 缺失時跳過預覽，照舊整批合併', async () => {
+    elements = {}
+
+    await buildController().execute({})
+
+    expect(tagStorageAdapter.previewMerge).not.toHaveBeenCalled()
+    expect(tagStorageAdapter.mergeAllData).toHaveBeenCalledWith({
+      books: importResult.books, tags: importResult.tags, tagCategories: []
+    })
+  })
+})
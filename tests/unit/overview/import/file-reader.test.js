@@ -25,6 +25,7 @@
 
 const { FileContentReader } = require('src/overview/import/file-reader')
 const { ErrorCodes } = require('src/core/errors/ErrorCodes')
+const { setLocale, DEFAULT_LOCALE } = require('src/core/i18n/ui-i18n')
 const {
   createFakeFileReader,
   createStubReaderFactory,
@@ -294,6 +295,30 @@ describe('FileContentReader', () => {
 
       expect(showError).toHaveBeenCalledWith('載入檔案失敗：JSON 檔案格式不正確')
     })
+
+    test('英文介面下 showError 使用英文前綴', async () => {
+      setLocale('en-us')
+      try {
+        const parser = {
+          parse: jest.fn(() => { throw new Error('Unexpected token') })
+        }
+        const showError = jest.fn()
+        const { factory, reader } = createStubReaderFactory()
+        const instance = new FileContentReader({
+          parser,
+          readerFactory: factory,
+          showError
+        })
+
+        const promise = instance.read(makeFile('books.json', 'application/json'))
+        reader._triggerLoad('invalid')
+        await promise.catch(() => {})
+
+        expect(showError).toHaveBeenCalledWith('Could not load the file: Unexpected token')
+      } finally {
+        setLocale(DEFAULT_LOCALE)
+      }
+    })
   })
 
   describe('read(file) - readerFactory 預設（globalThis.FileReader fallback）', () => {
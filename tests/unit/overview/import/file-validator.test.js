@@ -14,6 +14,7 @@
 
 const { FileValidator } = require('src/overview/import/file-validator')
 const { ErrorCodes } = require('src/core/errors/ErrorCodes')
+const { setLocale, DEFAULT_LOCALE } = require('src/core/i18n/ui-i18n')
 
 /**
  * 建立測試用 File 物件
@@ -159,6 +160,19 @@ describe('FileValidator', () => {
       expect(showError).toHaveBeenCalledWith('檔案過大，請選擇小於 10MB 的檔案！')
     })
 
+    test('英文介面下 showError 收到英文訊息', () => {
+      setLocale('en-us')
+      try {
+        const showError = jest.fn()
+        const validator = new FileValidator({ showError })
+        const file = makeFile('books.json', 'application/json', TEN_MB + 1)
+        expect(() => validator.validate(file)).toThrow()
+        expect(showError).toHaveBeenCalledWith('The file is too large. Choose a file smaller than 10MB.')
+      } finally {
+        setLocale(DEFAULT_LOCALE)
+      }
+    })
+
     test('自訂 maxFileSize 生效:5MB 限制下 6MB 觸發錯誤', () => {
       const FIVE_MB = 5 * 1024 * 1024
       const SIX_MB = 6 * 1024 * 1024
@@ -0,0 +1,369 @@
+/**
+ * OverviewBookEditor 測試
+ *
+ * 測試範圍：
+ * - 依賴驗證
+ * - suggestTags：比對標籤名稱與分類路徑、排序、排除書上已有標籤、同名判斷
+ * - 閱讀狀態選單（六種狀態 + 手動 / 自動標示），變更立即寫入；失敗時還原並顯示訊息
+ * - 標籤挑選器：自動完成加入、建立新標籤後加入、移除
+ * - 詳情面板開啟 / 關閉、寫入後依最新書籍重新渲染
+ * - 詳情面板個人註記：評分 / 日期選定即寫入並保留焦點，驗證失敗時還原控制項
+ * - OverviewPageController 整合：展開列編輯、寫入後重新套用篩選並保留展開列
+ */
+
+const { createOverviewBookEditor, suggestTags, BOOK_EDITOR_DISPLAY } = require('src/overview/overview-book-editor')
+const { READING_STATUS_VALUES } = require('src/data-management/BookSchemaV2')
+const { validateAnnotationChanges, applyAnnotationChanges } = require('src/data-management/BookAnnotationSchema')
+
+const DRAWER_HTML = `
+  <aside id="bookDetailDrawer" hidden>
+    <h2 id="bookDetailTitle"></h2>
+    <button id="bookDetailCloseBtn">關閉</button>
+    <dl id="bookDetailMeta"></dl>
+    <div id="bookDetailEditor"></div>
+  </aside>`
+
+const ELEMENT_IDS = ['bookDetailDrawer', 'bookDetailTitle', 'bookDetailCloseBtn', 'bookDetailMeta', 'bookDetailEditor']
+
+const byId = id => document.getElementById(id)
+
+function createData () {
+  return {
+    // 主題 > 文學 > 小說；收藏
+    categories: [
+      { id: 'theme', name: '主題', parentId: null, color: '#336699' },
+      { id: 'lit', name: '文學', parentId: 'theme' },
+      { id: 'novel', name: '小說', parentId: 'lit' },
+      { id: 'col', name: '收藏', parentId: null }
+    ],
+    tags: [
+      { id: 'scifi', name: '科幻', categoryId: 'novel' },
+      { id: 'sf', name: 'SF', categoryId: 'novel' },
+      { id: 'mystery', name: '推理小說', categoryId: 'lit' },
+      { id: 'first', name: '初版', categoryId: 'col' }
+    ],
+    books: [
+      { id: 'b1', title: '三體', authors: ['劉慈欣'], progress: 40, readingStatus: 'reading', isManualStatus: false, tagIds: ['scifi'] }
+    ]
+  }
+}
+
+function createAdapter (data) {
+  const findBook = id => data.books.find(book => book.id === id)
+  return {
+    setBookReadingStatus: jest.fn(async (id, status) => {
+      Object.assign(findBook(id), { readingStatus: status, isManualStatus: ['queued', 'abandoned', 'reference'].includes(status) })
+      return { success: true, changed: true }
+    }),
+    addTagToBook: jest.fn(async (id, tagId) => {
+      findBook(id).tagIds.push(tagId)
+      return { success: true }
+    }),
+    removeTagFromBook: jest.fn(async (id, tagId) => {
+      findBook(id).tagIds = findBook(id).tagIds.filter(tid => tid !== tagId)
+      return { success: true }
+    }),
+    createTag: jest.fn(async ({ name, categoryId }) => {
+      const tag = { id: `new-${name}`, name, categoryId }
+      data.tags.push(tag)
+      return tag
+    }),
+    setBookAnnotations: jest.fn(async (id, changes) => {
+      const validation = validateAnnotationChanges(changes)
+      if (!validation.valid) return { success: false, error: validation.error }
+      const applied = applyAnnotationChanges(findBook(id), validation.changes)
+      return applied.error ? { success: false, error: applied.error } : { success: true, changed: applied.changed }
+    })
+  }
+}
+
+describe('suggestTags', () => {
+  test('比對標籤名稱與分類路徑，名稱開頭相符者優先，排除書上已有標籤', () => {
+    const { tags, categories } = createData()
+
+    const byName = suggestTags(tags, categories, { query: '小說', excludeIds: [] })
+    // 「推理小說」名稱包含；科幻 / SF 僅分類路徑（主題 / 文學 / 小說）相符
+    expect(byName.suggestions.map(({ tag }) => tag.id)).toEqual(['mystery', 'sf', 'scifi'])
+    expect(byName.suggestions[1].path).toBe('主題 / 文學 / 小說')
+
+    // 僅路徑相符者依名稱排序
+    const excluded = suggestTags(tags, categories, { query: '主題', excludeIds: ['scifi'] })
+    expect(excluded.suggestions.map(({ tag }) => tag.id)).toEqual(['sf', 'mystery'])
+  })
+
+  test('同名（不分大小寫）標籤存在時 exactMatch 為 true，即使已在書上', () => {
+    const { tags, categories } = createData()
+
+    expect(suggestTags(tags, categories, { query: ' sf ', excludeIds: ['sf'] })).toEqual({ suggestions: [], exactMatch: true })
+    expect(suggestTags(tags, categories, { query: '奇幻' }).exactMatch).toBe(false)
+    expect(suggestTags(tags, categories, { query: '' })).toEqual({ suggestions: [], exactMatch: false })
+  })
+})
+
+describe('createOverviewBookEditor', () => {
+  let data
+  let adapter
+  let onApplied
+
+  function create () {
+    document.body.innerHTML = DRAWER_HTML
+    data = createData()
+    adapter = createAdapter(data)
+    onApplied = jest.fn(async () => {})
+    const editor = createOverviewBookEditor({
+      document,
+      elements: Object.fromEntries(ELEMENT_IDS.map(id => [id, byId(id)])),
+      tagStorageAdapter: adapter,
+      getTags: () => data.tags,
+      getCategories: () => data.categories,
+      getBook: id => data.books.find(book => book.id === id) || null,
+      onApplied
+    })
+    editor.bind()
+    return editor
+  }
+
+  function mountEditor (editor, scope = 'row') {
+    const element = editor.createEditor(data.books[0], scope)
+    document.body.appendChild(element)
+    return element
+  }
+
+  function type (element, value) {
+    const input = element.querySelector('.book-tag-input')
+    input.value = value
+    input.dispatchEvent(new Event('input', { bubbles: true }))
+    return input
+  }
+
+  afterEach(() => {
+    document.body.innerHTML = ''
+  })
+
+  test('缺少依賴時拋出 TypeError', () => {
+    let caught
+    try {
+      createOverviewBookEditor({ document, elements: {}, tagStorageAdapter: {}, getTags: () => [], getCategories: () => [] })
+    } catch (error) {
+      caught = error
+    }
+    expect(caught).toBeInstanceOf(TypeError)
+    expect(caught.message).toContain('getBook')
+  })
+
+  test('狀態選單列出六種狀態；改為手動狀態時立即寫入並更新標示', async () => {
+    const editor = create()
+    const element = mountEditor(editor)
+    const select = element.querySelector('.book-status-select')
+
+    expect([...select.options].map(option => option.value)).toEqual(READING_STATUS_VALUES)
+    expect(select.value).toBe('reading')
+    expect(element.querySelector('.book-status-mode').textContent).toBe(BOOK_EDITOR_DISPLAY.AUTO)
+
+    select.value = 'abandoned'
+    expect(await editor.setStatus(element, 'abandoned')).toBe(true)
+
+    expect(adapter.setBookReadingStatus).toHaveBeenCalledWith('b1', 'abandoned')
+    expect(onApplied).toHaveBeenCalledWith({ bookId: 'b1', tagsChanged: false })
+    const refreshed = editor.createEditor(data.books[0], 'row')
+    expect(refreshed.querySelector('.book-status-mode').textContent).toBe(BOOK_EDITOR_DISPLAY.MANUAL)
+    expect(refreshed.querySelector('.book-status-mode').dataset.manual).toBe('true')
+  })
+
+  test('狀態寫入失敗時還原選單並顯示訊息', async () => {
+    const editor = create()
+    const element = mountEditor(editor)
+    adapter.setBookReadingStatus.mockResolvedValueOnce({ success: false, error: 'book_not_found' })
+    const select = element.querySelector('.book-status-select')
+
+    select.value = 'finished'
+    expect(await editor.setStatus(element, 'finished')).toBe(false)
+
+    expect(select.value).toBe('reading')
+    expect(element.querySelector('.book-editor-message').textContent).toBe('找不到這本書，可能已被刪除')
+    expect(onApplied).not.toHaveBeenCalled()
+  })
+
+  test('輸入文字顯示跨分類樹建議，方向鍵選擇後 Enter 加入', async () => {
+    const editor = create()
+    const element = mountEditor(editor)
+
+    const input = type(element, '小說')
+    const items = [...element.querySelectorAll('.book-tag-suggestion')]
+    expect(items.map(item => item.querySelector('.book-tag-suggestion-name').textContent))
+      .toEqual(['推理小說', 'SF', BOOK_EDITOR_DISPLAY.CREATE_TAG('小說')])
+    expect(items[1].querySelector('.book-tag-suggestion-path').textContent).toBe('主題 / 文學 / 小說')
+    expect(input.getAttribute('aria-expanded')).toBe('true')
+
+    input.dispatchEvent(new KeyboardEvent('keydown', { key: 'ArrowDown', bubbles: true }))
+    input.dispatchEvent(new KeyboardEvent('keydown', { key: 'Enter', bubbles: true }))
+    await Promise.resolve()
+
+    expect(adapter.addTagToBook).toHaveBeenCalledWith('b1', 'sf')
+  })
+
+  test('沒有同名標籤時於選擇的分類建立標籤並加入書籍', async () => {
+    const editor = create()
+    const element = mountEditor(editor)
+    const category = element.querySelector('.book-tag-category')
+    expect([...category.options].map(option => option.textContent))
+      .toEqual(['主題', '主題 / 文學', '主題 / 文學 / 小說', '收藏'].sort((a, b) => a.localeCompare(b)))
+    category.value = 'col'
+    category.dispatchEvent(new Event('change', { bubbles: true }))
+
+    type(element, '簽名本')
+    const createItem = [...element.querySelectorAll('.book-tag-suggestion')].find(item => item.dataset.type === 'create')
+    createItem.dispatchEvent(new MouseEvent('mousedown', { bubbles: true }))
+    await new Promise(resolve => setTimeout(resolve, 0))
+
+    expect(adapter.createTag).toHaveBeenCalledWith({ name: '簽名本', categoryId: 'col' })
+    expect(adapter.addTagToBook).toHaveBeenCalledWith('b1', 'new-簽名本')
+    expect(onApplied).toHaveBeenCalledWith({ bookId: 'b1', tagsChanged: true })
+    // 重新渲染的編輯器沿用上次選擇的分類
+    expect(mountEditor(editor).querySelector('.book-tag-category').value).toBe('col')
+  })
+
+  test('建立標籤失敗（同分類重名）時顯示訊息且不加入書籍', async () => {
+    const editor = create()
+    const element = mountEditor(editor)
+    adapter.createTag.mockResolvedValueOnce({ success: false, error: 'duplicate_name_in_category' })
+
+    expect(await editor.createAndAddTag(element, '科幻 ', 'novel')).toBe(false)
+
+    expect(adapter.addTagToBook).not.toHaveBeenCalled()
+    expect(element.querySelector('.book-editor-message').textContent).toBe('此分類已有同名標籤')
+  })
+
+  test('移除按鈕自書籍移除標籤', async () => {
+    const editor = create()
+    const element = mountEditor(editor)
+    const remove = element.querySelector('[data-tag-id="scifi"] .book-tag-remove')
+    expect(remove.getAttribute('aria-label')).toBe(BOOK_EDITOR_DISPLAY.REMOVE_TAG('科幻'))
+
+    remove.click()
+    await Promise.resolve()
+
+    expect(adapter.removeTagFromBook).toHaveBeenCalledWith('b1', 'scifi')
+  })
+
+  test('詳情面板顯示書籍資訊與編輯器，寫入後依最新資料重新渲染，關閉按鈕關閉', async () => {
+    const editor = create()
+
+    editor.open('b1')
+
+    expect(byId('bookDetailDrawer').hidden).toBe(false)
+    expect(byId('bookDetailTitle').textContent).toBe('三體')
+    expect(byId('bookDetailMeta').textContent).toContain('劉慈欣')
+    expect(editor.getOpenBookId()).toBe('b1')
+
+    const element = byId('bookDetailEditor').querySelector('.book-editor')
+    element.querySelector('.book-tag-input').focus()
+    await editor.addTag(element, 'first')
+
+    const chips = [...byId('bookDetailEditor').querySelectorAll('.book-tag-chip')].map(chip => chip.firstChild.textContent)
+    expect(chips).toEqual(['科幻', '初版'])
+    expect(document.activeElement).toBe(byId('bookDetailEditor').querySelector('.book-tag-input'))
+
+    byId('bookDetailCloseBtn').click()
+    expect(byId('bookDetailDrawer').hidden).toBe(true)
+    expect(editor.getOpenBookId()).toBeNull()
+  })
+
+  test('詳情面板的評分選定即寫入，重新渲染後顯示新值並保留焦點；列內編輯器不含註記', async () => {
+    const editor = create()
+    expect(mountEditor(editor).querySelector('.book-annotation-editor')).toBeNull()
+
+    editor.open('b1')
+    const rating = byId('bookDetailEditor').querySelector('.book-rating-select')
+    expect([...rating.options].map(option => option.textContent))
+      .toEqual([BOOK_EDITOR_DISPLAY.RATING_UNSET, ...[1, 2, 3, 4, 5].map(BOOK_EDITOR_DISPLAY.RATING_OPTION)])
+    expect(rating.value).toBe('')
+
+    rating.focus()
+    rating.value = '4'
+    rating.dispatchEvent(new Event('change', { bubbles: true }))
+    await new Promise(resolve => setTimeout(resolve, 0))
+
+    expect(adapter.setBookAnnotations).toHaveBeenCalledWith('b1', { rating: '4' })
+    expect(data.books[0].rating).toBe(4)
+    const rerendered = byId('bookDetailEditor').querySelector('.book-rating-select')
+    expect(rerendered.value).toBe('4')
+    expect(document.activeElement).toBe(rerendered)
+  })
+
+  test('讀完日期早於開始日期時顯示訊息並還原日期欄', async () => {
+    const editor = create()
+    data.books[0].startedAt = '2026-03-01'
+    editor.open('b1')
+    const element = byId('bookDetailEditor').querySelector('.book-editor')
+    const finished = element.querySelector('[data-annotation="finishedAt"]')
+    expect(element.querySelector('[data-annotation="startedAt"]').value).toBe('2026-03-01')
+
+    finished.value = '2026-02-20'
+    expect(await editor.setAnnotation(element, 'finishedAt', '2026-02-20')).toBe(false)
+
+    expect(finished.value).toBe('')
+    expect(element.querySelector('.book-editor-message').textContent).toBe('讀完日期不能早於開始日期')
+    expect(data.books[0].finishedAt).toBeUndefined()
+    expect(onApplied).not.toHaveBeenCalled()
+  })
+})
+
+describe('OverviewPageController 單本書編輯整合', () => {
+  const TagStorageAdapter = require('src/storage/adapters/tag-storage-adapter')
+  let controller
+  let books
+
+  beforeEach(() => {
+    document.body.innerHTML = `<table><tbody id="tableBody"></tbody></table>${DRAWER_HTML}`
+    const { OverviewPageController } = require('src/overview/overview-page-controller')
+    controller = new OverviewPageController({ on: jest.fn(), emit: jest.fn() }, document)
+    books = [
+      { id: 'b1', title: '三體', readingStatus: 'reading', isManualStatus: false, tagIds: [] },
+      { id: 'b2', title: '沙丘', readingStatus: 'reading', isManualStatus: false, tagIds: [] }
+    ]
+    controller.currentBooks = books
+    controller.filteredBooks = [...books]
+    jest.spyOn(controller, 'loadBooksFromChromeStorage').mockImplementation(async () => {
+      controller.currentBooks = books.map(book => ({ ...book }))
+    })
+  })
+
+  afterEach(() => {
+    document.body.innerHTML = ''
+    jest.restoreAllMocks()
+  })
+
+  test('狀態欄顯示手動 / 自動標示；展開列編輯狀態後重新套用篩選並保留展開列', async () => {
+    jest.spyOn(TagStorageAdapter, 'setBookReadingStatus').mockImplementation(async (id, status) => {
+      Object.assign(books.find(book => book.id === id), { readingStatus: status, isManualStatus: true })
+      return { success: true, changed: true }
+    })
+    controller.setStatusFilter('reading')
+    expect(document.querySelectorAll('#tableBody .book-status-mode')[0].textContent).toBe(BOOK_EDITOR_DISPLAY.AUTO)
+
+    document.querySelector('#tableBody .expand-toggle-btn').click()
+    document.querySelector('.tag-expand-row .book-edit-btn').click()
+    const editor = document.querySelector('.tag-expand-row .book-editor')
+    expect(editor.dataset.bookId).toBe('b1')
+
+    await controller.bookEditor.setStatus(editor, 'queued')
+
+    expect(TagStorageAdapter.setBookReadingStatus).toHaveBeenCalledWith('b1', 'queued')
+    expect(controller.filteredBooks.map(book => book.id)).toEqual(['b2'])
+
+    controller.setStatusFilter(null)
+    const expanded = document.querySelector('.tag-expand-row .book-editor')
+    expect(expanded.dataset.bookId).toBe('b1')
+    expect(expanded.querySelector('.book-status-select').value).toBe('queued')
+  })
+
+  test('列上的詳情按鈕開啟詳情面板', () => {
+    controller.renderBooksTable(books)
+
+    document.querySelectorAll('#tableBody .book-detail-btn')[1].click()
+
+    expect(byId('bookDetailDrawer').hidden).toBe(false)
+    expect(byId('bookDetailTitle').textContent).toBe('沙丘')
+  })
+})
@@ -0,0 +1,201 @@
+/**
+ * OverviewBookGrid 測試
+ *
+ * 測試範圍：
+ * - 卡片內容：選取 checkbox、閱讀狀態 badge、tag chips、進度環
+ * - 虛擬滾動：5,000 本書只渲染可見範圍，滾動後重用仍可見的卡片
+ * - OverviewPageController 整合：檢視切換、偏好保存與讀取、與表格共用篩選與選取
+ */
+
+const { createOverviewBookGrid } = require('src/overview/overview-book-grid')
+const { createTagCellRenderer } = require('src/overview/tag-cell-renderer')
+const { setLocale } = require('src/core/i18n/ui-i18n')
+
+const TAGS = new Map([['t1', { id: 't1', name: '科幻', categoryId: 'c1' }]])
+const CATEGORIES = new Map([['c1', { id: 'c1', name: '主題', color: '#2196F3' }]])
+
+function createBooks (count) {
+  return Array.from({ length: count }, (_, i) => ({
+    id: `b${i}`,
+    title: `書籍 ${i}`,
+    authors: ['作者'],
+    readingStatus: i % 2 === 0 ? 'reading' : 'finished',
+    progress: i % 101,
+    tagIds: i % 3 === 0 ? ['t1'] : []
+  }))
+}
+
+function sizeElement (element, width, height) {
+  element.getBoundingClientRect = () => ({ width, height, top: 0, left: 0, right: width, bottom: height })
+}
+
+function nextFrame () {
+  return new Promise(resolve => setTimeout(resolve, 40))
+}
+
+describe('createOverviewBookGrid', () => {
+  let viewport
+  let container
+  let selected
+  let onToggleSelect
+  let grid
+
+  beforeEach(() => {
+    document.body.innerHTML = '<div id="bookGridViewport"><div id="bookGrid"></div></div>'
+    viewport = document.getElementById('bookGridViewport')
+    container = document.getElementById('bookGrid')
+    sizeElement(viewport, 1000, 700)
+    sizeElement(container, 1000, 0)
+    selected = new Set(['b0'])
+    onToggleSelect = jest.fn()
+    grid = createOverviewBookGrid({
+      document,
+      viewport,
+      container,
+      tagCellRenderer: createTagCellRenderer({
+        getTagById: id => TAGS.get(id),
+        getCategoryById: id => CATEGORIES.get(id),
+        document
+      }),
+      isSelected: id => selected.has(id),
+      onToggleSelect
+    })
+  })
+
+  afterEach(() => {
+    document.body.innerHTML = ''
+  })
+
+  test('缺少依賴時拋出 TypeError', () => {
+    let caught
+    try {
+      createOverviewBookGrid({ document, viewport, container })
+    } catch (error) {
+      caught = error
+    }
+    expect(caught).toBeInstanceOf(TypeError)
+    expect(caught.message).toContain('tagCellRenderer')
+  })
+
+  test('卡片顯示選取狀態、狀態 badge、tag chips 與進度環', async () => {
+    grid.render(createBooks(3))
+    await nextFrame()
+
+    const card = container.querySelector('.book-card[data-book-id="b0"]')
+    expect(card.classList.contains('card-selected')).toBe(true)
+    expect(card.querySelector('.card-checkbox').checked).toBe(true)
+    expect(card.querySelector('.reading-status-badge').textContent).toBe('閱讀中')
+    expect(card.querySelector('.book-card-tags .tag-chip').textContent).toBe('科幻')
+    expect(card.querySelector('.progress-ring').getAttribute('aria-label')).toBe('閱讀進度 0%')
+    expect(card.querySelector('.book-author').textContent).toBe('作者')
+
+    container.querySelector('.book-card[data-book-id="b1"] .card-checkbox').click()
+    expect(onToggleSelect).toHaveBeenCalledWith('b1')
+  })
+
+  test('進度環 aria-label 依介面語言輸出', async () => {
+    setLocale('en-us')
+    try {
+      grid.render(createBooks(1))
+      await nextFrame()
+    } finally {
+      setLocale('zh-tw')
+    }
+
+    expect(container.querySelector('.progress-ring').getAttribute('aria-label')).toBe('Reading progress 0%')
+  })
+
+  test('5,000 本書只渲染可見範圍，滾動後補上新範圍並移除離開的卡片', async () => {
+    grid.render(createBooks(5000))
+    await nextFrame()
+
+    const initialCards = container.querySelectorAll('.book-card')
+    expect(initialCards.length).toBeGreaterThan(0)
+    expect(initialCards.length).toBeLessThan(100)
+    expect(parseInt(container.style.height, 10)).toBeGreaterThan(100000)
+
+    viewport.scrollTop = 360 * 500
+    viewport.dispatchEvent(new Event('scroll'))
+    await nextFrame()
+
+    const indexes = [...container.querySelectorAll('.book-card')]
+      .map(card => Number(card.getAttribute('data-book-id').slice(1)))
+    expect(Math.min(...indexes)).toBeGreaterThan(1000)
+    expect(indexes.length).toBeLessThan(100)
+    expect(new Set(indexes).size).toBe(indexes.length)
+  })
+
+  test('setSelected 只更新該卡片；無書籍時顯示空狀態', async () => {
+    grid.render(createBooks(3))
+    await nextFrame()
+
+    grid.setSelected('b1', true)
+    expect(container.querySelector('.book-card[data-book-id="b1"]').classList.contains('card-selected')).toBe(true)
+
+    grid.render([])
+    await nextFrame()
+    expect(viewport.querySelector('.book-grid-empty').hidden).toBe(false)
+    expect(container.querySelectorAll('.book-card')).toHaveLength(0)
+  })
+})
+
+describe('OverviewPageController 檢視切換', () => {
+  let controller
+
+  beforeEach(() => {
+    document.body.innerHTML = `
+      <button id="tableViewBtn" aria-pressed="true"></button>
+      <button id="gridViewBtn" aria-pressed="false"></button>
+      <input id="searchBox">
+      <table id="booksTable"><tbody id="tableBody"></tbody></table>
+      <div id="bookGridViewport" hidden><div id="bookGrid"></div></div>`
+    chrome.storage.local.get.mockResolvedValue({})
+    chrome.storage.local.set.mockResolvedValue()
+    const { OverviewPageController } = require('src/overview/overview-page-controller')
+    controller = new OverviewPageController({ on: jest.fn(), emit: jest.fn() }, document)
+    controller.currentBooks = createBooks(4)
+    controller.filteredBooks = [...controller.currentBooks]
+  })
+
+  afterEach(() => {
+    document.body.innerHTML = ''
+    chrome.storage.local.get.mockReset()
+    chrome.storage.local.set.mockReset()
+  })
+
+  test('切換至網格時隱藏表格、渲染卡片並保存偏好', async () => {
+    await controller.setViewMode('grid')
+    await nextFrame()
+
+    expect(document.getElementById('booksTable').hidden).toBe(true)
+    expect(document.getElementById('bookGridViewport').hidden).toBe(false)
+    expect(document.getElementById('gridViewBtn').getAttribute('aria-pressed')).toBe('true')
+    expect(document.querySelectorAll('#bookGrid .book-card').length).toBeGreaterThan(0)
+    expect(chrome.storage.local.set).toHaveBeenCalledWith({ overview_preferences: { viewMode: 'grid' } })
+  })
+
+  test('讀取偏好套用檢視但不重複寫入', async () => {
+    chrome.storage.local.get.mockResolvedValue({ overview_preferences: { viewMode: 'grid' } })
+
+    await controller.loadViewPreference()
+
+    expect(controller.viewMode).toBe('grid')
+    expect(chrome.storage.local.set).not.toHaveBeenCalled()
+  })
+
+  test('網格與表格共用篩選與選取', async () => {
+    await controller.setViewMode('grid')
+    controller.setStatusFilter('finished')
+    await nextFrame()
+
+    const ids = [...document.querySelectorAll('#bookGrid .book-card')].map(card => card.getAttribute('data-book-id'))
+    expect(ids).toEqual(['b1', 'b3'])
+
+    document.querySelector('#bookGrid .book-card[data-book-id="b3"] .card-checkbox').click()
+    expect([...controller.selectedBookIds]).toEqual(['b3'])
+    expect(document.querySelector('#bookGrid .book-card[data-book-id="b3"]').classList.contains('card-selected')).toBe(true)
+
+    await controller.setViewMode('table')
+    expect(document.querySelector('#tableBody tr.row-selected .row-checkbox').getAttribute('data-book-id')).toBe('b3')
+  })
+})
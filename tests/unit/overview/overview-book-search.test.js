@@ -0,0 +1,199 @@
+/**
+ * OverviewBookSearch 測試
+ *
+ * 測試範圍：
+ * - 多欄位相關度排序（書名 > 作者 > 出版社 / 標籤 / 分類路徑）
+ * - 錯字容忍（逐詞模糊比對）
+ * - 增量索引：只更新新增 / 移除 / 內容變動的書
+ * - 匹配片段標示
+ * - OverviewPageController 整合：排序、<mark> 標示、BOOKS.UPDATE 增量更新
+ */
+
+const { createOverviewBookSearch } = require('src/overview/overview-book-search')
+
+const TAGS = new Map([
+  ['t1', { id: 't1', name: '科幻', categoryId: 'c2' }],
+  ['t2', { id: 't2', name: '心理學', categoryId: 'c1' }]
+])
+const CATEGORIES = new Map([
+  ['c1', { id: 'c1', name: '主題', parentId: null }],
+  ['c2', { id: 'c2', name: '文學', parentId: 'c1' }]
+])
+
+function createBooks () {
+  return [
+    { id: 'b1', title: '三體', authors: ['劉慈欣'], publisher: '貓頭鷹', tagIds: ['t1'] },
+    { id: 'b2', title: '原子習慣', authors: ['James Clear'], publisher: '方智', tagIds: ['t2'] },
+    { id: 'b3', title: '三體評論集', authors: ['王小明'], publisher: '遠流', tagIds: [] },
+    { id: 'b4', title: '快思慢想', authors: ['Daniel Kahneman'], publisher: '天下文化', tagIds: ['t2'] }
+  ]
+}
+
+function createSearch () {
+  return createOverviewBookSearch({
+    getTagById: id => TAGS.get(id),
+    getCategoryById: id => CATEGORIES.get(id)
+  })
+}
+
+describe('createOverviewBookSearch', () => {
+  let search
+  let books
+
+  beforeEach(() => {
+    search = createSearch()
+    books = createBooks()
+    search.syncBooks(books)
+  })
+
+  test('缺少依賴時拋出 TypeError', () => {
+    let caught
+    try {
+      createOverviewBookSearch({ getTagById: () => null })
+    } catch (error) {
+      caught = error
+    }
+    expect(caught).toBeInstanceOf(TypeError)
+    expect(caught.message).toContain('getCategoryById')
+  })
+
+  test('書名完全匹配排在部分匹配之前', () => {
+    const ids = search.search('三體', books).map(result => result.book.id)
+
+    expect(ids).toEqual(['b1', 'b3'])
+  })
+
+  test.each([
+    ['作者', 'kahneman', 'b4'],
+    ['出版社', '天下文化', 'b4'],
+    ['標籤名稱', '科幻', 'b1'],
+    ['分類路徑', '文學', 'b1']
+  ])('比對%s（%s）', (_, query, expectedId) => {
+    const results = search.search(query, books)
+
+    expect(results.map(result => result.book.id)).toContain(expectedId)
+    expect(results[0].book.id).toBe(expectedId)
+  })
+
+  test('分類路徑包含上層分類，同一分類下的標籤皆命中', () => {
+    const ids = search.search('主題', books).map(result => result.book.id).sort()
+
+    expect(ids).toEqual(['b1', 'b2', 'b4'])
+  })
+
+  test('容忍作者名錯字', () => {
+    const results = search.search('kahnemen', books)
+
+    expect(results.map(result => result.book.id)).toEqual(['b4'])
+  })
+
+  test('不相關查詢不回傳結果', () => {
+    expect(search.search('資料庫', books)).toEqual([])
+  })
+
+  test('只搜尋傳入的候選書籍', () => {
+    const ids = search.search('三體', books.slice(2)).map(result => result.book.id)
+
+    expect(ids).toEqual(['b3'])
+  })
+
+  describe('增量索引', () => {
+    test('內容未變的新物件不重建', () => {
+      expect(search.syncBooks(createBooks())).toEqual({ added: 0, updated: 0, removed: 0 })
+    })
+
+    test('只更新新增、移除與內容變動的書', () => {
+      const next = createBooks().filter(book => book.id !== 'b3')
+      next[0].title = '三體 II'
+      next.push({ id: 'b5', title: '人類大歷史', authors: ['哈拉瑞'], tagIds: [] })
+
+      expect(search.syncBooks(next)).toEqual({ added: 1, updated: 1, removed: 1 })
+      expect(search.getIndexStats().totalBooks).toBe(4)
+      expect(search.search('人類大歷史', next).map(result => result.book.id)).toEqual(['b5'])
+      expect(search.search('三體', next).map(result => result.book.title)).toEqual(['三體 II'])
+    })
+
+    test('內容未變時結果回傳最新的書籍物件', () => {
+      const next = createBooks()
+      next[0].progress = 80
+      search.syncBooks(next)
+
+      expect(search.search('三體', next)[0].book).toBe(next[0])
+    })
+  })
+
+  describe('highlight', () => {
+    test('標示不分大小寫的匹配片段', () => {
+      expect(search.highlight('James Clear', 'clear')).toEqual([
+        { text: 'James ', matched: false },
+        { text: 'Clear', matched: true }
+      ])
+    })
+
+    test('多詞查詢分別標示', () => {
+      const segments = search.highlight('Daniel Kahneman', 'daniel kahneman')
+
+      expect(segments.filter(segment => segment.matched).map(segment => segment.text).join('|')).toBe('Daniel Kahneman')
+    })
+  })
+})
+
+describe('OverviewPageController 搜尋整合', () => {
+  let controller
+
+  beforeEach(() => {
+    document.body.innerHTML = `
+      <input id="searchBox">
+      <select id="sortSelect">
+        <option value="relevance">相關度</option>
+        <option value="title">書名</option>
+      </select>
+      <select id="sortDirection"><option value="asc">升冪</option><option value="desc">降冪</option></select>
+      <table><tbody id="tableBody"></tbody></table>`
+    const { OverviewPageController } = require('src/overview/overview-page-controller')
+    controller = new OverviewPageController({ on: jest.fn(), emit: jest.fn() }, document)
+    controller.tagMap = new Map(TAGS)
+    controller.categoryMap = new Map(CATEGORIES)
+    controller.currentBooks = createBooks()
+  })
+
+  afterEach(() => {
+    document.body.innerHTML = ''
+  })
+
+  test('依相關度排序，降冪不影響相關度順序', () => {
+    document.getElementById('sortDirection').value = 'desc'
+    controller.handleSearchInput('三體')
+
+    expect(controller.filteredBooks.map(book => book.id)).toEqual(['b1', 'b3'])
+  })
+
+  test('無搜尋詞時相關度退回書名排序', () => {
+    controller.handleSearchInput('')
+
+    expect(controller.filteredBooks.map(book => book.title))
+      .toEqual([...controller.currentBooks.map(book => book.title)].sort((a, b) => a.localeCompare(b)))
+  })
+
+  test('書名與作者匹配片段以 <mark> 標示，儲存格文字不變', () => {
+    controller.handleSearchInput('clear')
+
+    const row = document.querySelector('#tableBody tr')
+    const authorCell = [...row.children].find(cell => cell.querySelector('mark'))
+    expect(authorCell.textContent).toBe('James Clear')
+    expect(authorCell.querySelector('mark').textContent).toBe('Clear')
+  })
+
+  test('BOOKS.UPDATE 增量更新索引', () => {
+    controller.handleSearchInput('三體')
+    const spy = jest.spyOn(controller.bookSearch, 'syncBooks')
+    const next = createBooks()
+    next.push({ id: 'b5', title: '三體 III', authors: ['劉慈欣'], tagIds: [] })
+
+    controller.handleBooksUpdate({ books: next })
+
+    expect(spy.mock.results[0].value).toEqual({ added: 1, updated: 0, removed: 0 })
+    expect(controller.filteredBooks[0].id).toBe('b1')
+    expect(controller.filteredBooks.map(book => book.id).sort()).toEqual(['b1', 'b3', 'b5'])
+  })
+})
@@ -0,0 +1,242 @@
+/**
+ * OverviewBulkActions 測試
+ *
+ * 測試範圍：
+ * - 依賴驗證
+ * - 編輯列顯示：選取數量、狀態選單、依分類分組的標籤選單、復原按鈕
+ * - 批次操作呼叫 TagStorageAdapter 對應方法，成功後通知控制器重新載入
+ * - 刪除前確認、錯誤訊息
+ * - 復原：略過本數提示、頁面載入時取回 session 中的復原紀錄
+ * - OverviewPageController 整合：選取變動時更新編輯列，刪除後移除已不存在的選取
+ */
+
+const { createOverviewBulkActions } = require('src/overview/overview-bulk-actions')
+
+const BAR_HTML = `
+  <div id="bulkActionBar" hidden>
+    <div id="bulkActionControls">
+      <span id="bulkSelectionCount"></span>
+      <select id="bulkStatusSelect"></select>
+      <button id="bulkStatusBtn"></button>
+      <select id="bulkTagSelect"></select>
+      <button id="bulkAddTagBtn"></button>
+      <button id="bulkRemoveTagBtn"></button>
+      <button id="bulkMoveTagBtn"></button>
+      <button id="bulkDeleteBtn"></button>
+    </div>
+    <button id="bulkUndoBtn" hidden></button>
+    <span id="bulkActionMessage"></span>
+  </div>`
+
+const ELEMENT_IDS = ['bulkActionBar', 'bulkActionControls', 'bulkSelectionCount', 'bulkStatusSelect', 'bulkStatusBtn', 'bulkTagSelect', 'bulkAddTagBtn', 'bulkRemoveTagBtn', 'bulkMoveTagBtn', 'bulkDeleteBtn', 'bulkUndoBtn', 'bulkActionMessage']
+
+const TAGS = [
+  { id: 't1', name: '科幻', categoryId: 'c1' },
+  { id: 't2', name: '奇幻', categoryId: 'c1' },
+  { id: 't3', name: '已借出', categoryId: 'c2' },
+  { id: 't4', name: '孤兒', categoryId: 'missing' }
+]
+const CATEGORIES = [{ id: 'c1', name: '文學' }, { id: 'c2', name: '狀況' }]
+
+function createAdapter () {
+  let last = null
+  const record = operation => async (bookIds) => {
+    last = { operation, count: bookIds.length, at: '2026-10-19T00:00:00.000Z' }
+    return { success: true, affected: bookIds.length, missing: 0 }
+  }
+  return {
+    bulkSetReadingStatus: jest.fn(record('bulkSetReadingStatus')),
+    bulkAddTags: jest.fn(record('bulkAddTags')),
+    bulkRemoveTags: jest.fn(record('bulkRemoveTags')),
+    bulkMoveToCategory: jest.fn(async () => ({ success: false, error: 'tag_not_found' })),
+    bulkDeleteBooks: jest.fn(record('bulkDeleteBooks')),
+    getLastBulkOperation: jest.fn(() => last),
+    loadLastBulkOperation: jest.fn(async () => {
+      last = last || { operation: 'bulkAddTags', count: 2, at: '2026-10-19T00:00:00.000Z' }
+      return last
+    }),
+    undoLastBulkOperation: jest.fn(async () => {
+      const restored = last.count
+      last = null
+      return { success: true, operation: 'bulkAddTags', restored }
+    })
+  }
+}
+
+describe('createOverviewBulkActions', () => {
+  let selected
+  let adapter
+  let deps
+  let bulkActions
+
+  const el = id => document.getElementById(id)
+
+  beforeEach(() => {
+    document.body.innerHTML = BAR_HTML
+    selected = []
+    adapter = createAdapter()
+    deps = {
+      document,
+      elements: Object.fromEntries(ELEMENT_IDS.map(id => [id, el(id)])),
+      tagStorageAdapter: adapter,
+      getSelectedBookIds: () => selected,
+      getTags: () => TAGS,
+      getCategories: () => CATEGORIES,
+      onApplied: jest.fn(),
+      confirm: jest.fn(() => true)
+    }
+    bulkActions = createOverviewBulkActions(deps)
+  })
+
+  afterEach(() => {
+    document.body.innerHTML = ''
+  })
+
+  test('缺少依賴時拋出 TypeError', () => {
+    let caught
+    try {
+      createOverviewBulkActions({ ...deps, onApplied: null })
+    } catch (error) {
+      caught = error
+    }
+    expect(caught).toBeInstanceOf(TypeError)
+    expect(caught.message).toContain('onApplied')
+  })
+
+  test('無選取時隱藏；選取後顯示數量、狀態與分組標籤選單', () => {
+    bulkActions.render()
+    expect(el('bulkActionBar').hidden).toBe(true)
+
+    selected = ['b1', 'b2']
+    bulkActions.render()
+
+    expect(el('bulkActionBar').hidden).toBe(false)
+    expect(el('bulkSelectionCount').textContent).toBe('已選取 2 本')
+    expect([...el('bulkStatusSelect').options].map(o => o.value)).toContain('abandoned')
+    const groups = [...el('bulkTagSelect').querySelectorAll('optgroup')]
+    expect(groups.map(g => g.label)).toEqual(['文學', '未分類', '狀況'].sort((a, b) => a.localeCompare(b)))
+    expect([...groups.find(g => g.label === '文學').children].map(o => o.textContent)).toEqual(['奇幻', '科幻'].sort((a, b) => a.localeCompare(b)))
+  })
+
+  test('套用後呼叫 adapter 並通知控制器，顯示復原按鈕', async () => {
+    selected = ['b1', 'b2']
+    bulkActions.render()
+    el('bulkTagSelect').value = 't3'
+
+    bulkActions.bind()
+    el('bulkAddTagBtn').click()
+    await new Promise(resolve => setTimeout(resolve, 0))
+
+    expect(adapter.bulkAddTags).toHaveBeenCalledWith(['b1', 'b2'], ['t3'])
+    expect(deps.onApplied).toHaveBeenCalledWith('addTag', expect.objectContaining({ affected: 2 }))
+    expect(el('bulkActionMessage').textContent).toBe('已加入標籤（2 本）')
+    expect(el('bulkUndoBtn').hidden).toBe(false)
+    expect(el('bulkUndoBtn').textContent).toBe('復原（2 本）')
+  })
+
+  test('未選值時不執行；狀態透過 bulkSetReadingStatus 套用', async () => {
+    selected = ['b1']
+
+    expect(await bulkActions.execute('setStatus', '')).toBeNull()
+    await bulkActions.execute('setStatus', 'finished')
+
+    expect(adapter.bulkSetReadingStatus).toHaveBeenCalledTimes(1)
+    expect(adapter.bulkSetReadingStatus).toHaveBeenCalledWith(['b1'], 'finished')
+  })
+
+  test('刪除前確認，取消時不刪除', async () => {
+    selected = ['b1', 'b2', 'b3']
+    deps.confirm.mockReturnValueOnce(false)
+
+    expect(await bulkActions.execute('delete')).toBeNull()
+    expect(deps.confirm).toHaveBeenCalledWith(expect.stringContaining('3 本書'))
+    expect(adapter.bulkDeleteBooks).not.toHaveBeenCalled()
+
+    await bulkActions.execute('delete')
+    expect(adapter.bulkDeleteBooks).toHaveBeenCalledWith(['b1', 'b2', 'b3'])
+  })
+
+  test('失敗時顯示錯誤訊息且不通知控制器', async () => {
+    selected = ['b1']
+
+    await bulkActions.execute('moveTag', 'ghost')
+
+    expect(el('bulkActionMessage').textContent).toBe('找不到標籤')
+    expect(deps.onApplied).not.toHaveBeenCalled()
+  })
+
+  test('復原後選取為空時隱藏編輯列', async () => {
+    selected = ['b1']
+    await bulkActions.execute('removeTag', 't1')
+    selected = []
+    bulkActions.render()
+    expect(el('bulkActionBar').hidden).toBe(false)
+    expect(el('bulkActionControls').hidden).toBe(true)
+
+    await bulkActions.undo()
+
+    expect(el('bulkActionMessage').textContent).toBe('已復原 1 本')
+    expect(el('bulkActionBar').hidden).toBe(true)
+  })
+
+  test('部分書籍略過時顯示略過本數；全部略過時顯示無法復原', async () => {
+    adapter.undoLastBulkOperation.mockResolvedValueOnce({ success: true, operation: 'bulkAddTags', restored: 1, skipped: 2 })
+    await bulkActions.undo()
+    expect(el('bulkActionMessage').textContent).toBe('已復原 1 本；2 本在批次編輯後又被修改，已略過')
+
+    adapter.undoLastBulkOperation.mockResolvedValueOnce({ success: false, error: 'undo_conflict', skipped: 1 })
+    await bulkActions.undo()
+    expect(el('bulkActionMessage').textContent).toBe('這些書在批次編輯後又被修改，無法復原')
+    expect(deps.onApplied).toHaveBeenCalledTimes(1)
+  })
+
+  test('load 取回復原紀錄後顯示復原按鈕', async () => {
+    expect(el('bulkUndoBtn').hidden).toBe(true)
+
+    await bulkActions.load()
+
+    expect(adapter.loadLastBulkOperation).toHaveBeenCalled()
+    expect(el('bulkActionBar').hidden).toBe(false)
+    expect(el('bulkUndoBtn').hidden).toBe(false)
+  })
+})
+
+describe('OverviewPageController 批次編輯整合', () => {
+  const TagStorageAdapter = require('src/storage/adapters/tag-storage-adapter')
+  let controller
+
+  beforeEach(() => {
+    document.body.innerHTML = `${BAR_HTML}<table><tbody id="tableBody"></tbody></table>`
+    const { OverviewPageController } = require('src/overview/overview-page-controller')
+    controller = new OverviewPageController({ on: jest.fn(), emit: jest.fn() }, document)
+    controller.currentBooks = [{ id: 'b1', title: '三體' }, { id: 'b2', title: '原子習慣' }]
+    controller.filteredBooks = [...controller.currentBooks]
+  })
+
+  afterEach(() => {
+    document.body.innerHTML = ''
+    jest.restoreAllMocks()
+  })
+
+  test('勾選書籍時顯示編輯列', () => {
+    controller.handleRowCheckboxToggle('b1')
+
+    expect(document.getElementById('bulkActionBar').hidden).toBe(false)
+    expect(document.getElementById('bulkSelectionCount').textContent).toBe('已選取 1 本')
+  })
+
+  test('刪除後重新載入書籍並移除已不存在的選取', async () => {
+    controller.handleSelectAllToggle()
+    jest.spyOn(window, 'confirm').mockReturnValue(true)
+    jest.spyOn(TagStorageAdapter, 'bulkDeleteBooks').mockResolvedValue({ success: true, affected: 1, missing: 0 })
+    jest.spyOn(controller, 'loadBooksFromChromeStorage').mockImplementation(async () => {
+      controller.currentBooks = [{ id: 'b2', title: '原子習慣' }]
+    })
+
+    await controller.bulkActions.execute('delete')
+
+    expect(TagStorageAdapter.bulkDeleteBooks).toHaveBeenCalledWith(['b1', 'b2'])
+    expect(controller.loadBooksFromChromeStorage).toHaveBeenCalled()
+    expect([...controller.selectedBookIds]).toEqual(['b2'])
+  })
+})
@@ -0,0 +1,147 @@
+/**
+ * OverviewClassificationReview 測試
+ *
+ * 測試範圍：
+ * - 依賴驗證
+ * - 開啟面板時讀取建議，顯示書名、預選類別、信心度與依據
+ * - 改選類別後接受；接受後通知控制器重新讀取
+ * - 全選後批次接受 / 拒絕；adapter 錯誤碼顯示於訊息列
+ * - 超過列出上限時顯示剩餘本數
+ */
+
+const { createOverviewClassificationReview, CLASSIFICATION_REVIEW_DISPLAY } = require('src/overview/overview-classification-review')
+
+const PANEL_HTML = `
+  <button id="classificationReviewBtn" aria-expanded="false">分類建議</button>
+  <section id="classificationReviewPanel" hidden>
+    <input type="checkbox" id="classificationSelectAll">
+    <span id="classificationSelectionCount"></span>
+    <button id="classificationAcceptBtn" disabled>接受</button>
+    <button id="classificationDismissBtn" disabled>拒絕</button>
+    <ul id="classificationList"></ul>
+    <span id="classificationMessage"></span>
+  </section>`
+
+const ELEMENT_IDS = ['classificationReviewBtn', 'classificationReviewPanel', 'classificationSelectAll', 'classificationSelectionCount', 'classificationAcceptBtn', 'classificationDismissBtn', 'classificationList', 'classificationMessage']
+
+const byId = id => document.getElementById(id)
+const flush = () => new Promise(resolve => setTimeout(resolve, 0))
+const row = bookId => document.querySelector(`[data-book-id="${bookId}"]`)
+
+function createSuggestions () {
+  return [
+    { bookId: 'b1', categoryId: 'sys_cat_9', score: 4, confidence: 1, reasons: ['vol.', '東立'], alternatives: [] },
+    { bookId: 'b2', categoryId: 'sys_cat_12', score: 3, confidence: 0.75, reasons: ['論語'], alternatives: [{ categoryId: 'sys_cat_1', score: 1 }] }
+  ]
+}
+
+function createAdapter (suggestions) {
+  return {
+    getClassificationSuggestions: jest.fn(async () => suggestions),
+    acceptClassificationSuggestions: jest.fn(async entries => ({ success: true, affected: entries.length, missing: 0, createdTags: 1 })),
+    dismissClassificationSuggestions: jest.fn(async bookIds => ({ success: true, dismissed: bookIds.length }))
+  }
+}
+
+describe('createOverviewClassificationReview', () => {
+  let deps
+
+  async function create (overrides = {}) {
+    document.body.innerHTML = PANEL_HTML
+    deps = {
+      document,
+      elements: Object.fromEntries(ELEMENT_IDS.map(id => [id, byId(id)])),
+      tagStorageAdapter: createAdapter(createSuggestions()),
+      getCategories: () => [
+        { id: 'sys_cat_1', name: '1 哲學類', parentId: null },
+        { id: 'sys_cat_12', name: '12 中國哲學', parentId: 'sys_cat_1' },
+        { id: 'sys_cat_9', name: '9 藝術類', parentId: null },
+        { id: 'c-topic', name: '主題', parentId: null }
+      ],
+      getBooks: () => [{ id: 'b1', title: '海賊王 Vol. 1' }, { id: 'b2', title: '論語別裁' }],
+      onApplied: jest.fn(),
+      ...overrides
+    }
+    const panel = createOverviewClassificationReview(deps)
+    panel.bind()
+    await panel.toggle(true)
+    return panel
+  }
+
+  afterEach(() => {
+    document.body.innerHTML = ''
+  })
+
+  test('缺少依賴時拋出 TypeError', () => {
+    expect(() => createOverviewClassificationReview()).toThrow(TypeError)
+    expect(() => createOverviewClassificationReview({ document, elements: {}, tagStorageAdapter: {} })).toThrow(TypeError)
+  })
+
+  test('開啟面板時列出建議；類別選單只含分類法樹並預選建議類別', async () => {
+    await create()
+
+    expect(byId('classificationReviewBtn').getAttribute('aria-expanded')).toBe('true')
+    expect(row('b2').querySelector('.classification-title').textContent).toBe('論語別裁')
+    const select = row('b2').querySelector('.classification-category')
+    expect([...select.options].map(option => option.value)).toEqual(['sys_cat_1', 'sys_cat_12', 'sys_cat_9'])
+    expect(select.value).toBe('sys_cat_12')
+    expect(row('b2').querySelector('.classification-confidence').textContent).toBe(CLASSIFICATION_REVIEW_DISPLAY.CONFIDENCE(75))
+    expect(byId('classificationAcceptBtn').disabled).toBe(true)
+  })
+
+  test('改選類別後接受單本，通知控制器並重新讀取建議', async () => {
+    await create()
+    const select = row('b2').querySelector('.classification-category')
+    select.value = 'sys_cat_1'
+    select.dispatchEvent(new Event('change', { bubbles: true }))
+    row('b2').querySelector('.classification-accept').click()
+    await flush()
+
+    expect(deps.tagStorageAdapter.acceptClassificationSuggestions).toHaveBeenCalledWith([{ bookId: 'b2', categoryId: 'sys_cat_1' }])
+    expect(deps.onApplied).toHaveBeenCalledWith({ booksChanged: true })
+    expect(deps.tagStorageAdapter.getClassificationSuggestions).toHaveBeenCalledTimes(2)
+    expect(byId('classificationMessage').textContent).toBe(CLASSIFICATION_REVIEW_DISPLAY.ACCEPTED(1, 1))
+  })
+
+  test('全選後批次接受與拒絕', async () => {
+    const panel = await create()
+    byId('classificationSelectAll').checked = true
+    byId('classificationSelectAll').dispatchEvent(new Event('change', { bubbles: true }))
+
+    expect(byId('classificationSelectionCount').textContent).toBe(CLASSIFICATION_REVIEW_DISPLAY.SELECTED(2))
+    expect(byId('classificationAcceptBtn').disabled).toBe(false)
+
+    byId('classificationDismissBtn').click()
+    await flush()
+    expect(deps.tagStorageAdapter.dismissClassificationSuggestions).toHaveBeenCalledWith(['b1', 'b2'])
+    expect(deps.onApplied).not.toHaveBeenCalled()
+    expect(byId('classificationMessage').textContent).toBe(CLASSIFICATION_REVIEW_DISPLAY.DISMISSED(2))
+
+    await panel.acceptSelected()
+    expect(deps.tagStorageAdapter.acceptClassificationSuggestions).toHaveBeenCalledWith([
+      { bookId: 'b1', categoryId: 'sys_cat_9' },
+      { bookId: 'b2', categoryId: 'sys_cat_12' }
+    ])
+  })
+
+  test('接受失敗時顯示錯誤碼對應訊息且不通知控制器', async () => {
+    const panel = await create()
+    deps.tagStorageAdapter.acceptClassificationSuggestions.mockResolvedValue({ success: false, error: 'category_not_found' })
+
+    expect(await panel.acceptBooks(['b1'])).toBe(false)
+    expect(byId('classificationMessage').textContent).toBe('選擇的分類已不存在，請重新選擇')
+    expect(deps.onApplied).not.toHaveBeenCalled()
+  })
+
+  test('超過列出上限時只列前 100 本並顯示剩餘本數；沒有建議時顯示提示', async () => {
+    const many = Array.from({ length: 105 }, (_, i) => ({ bookId: `b${i}`, categoryId: 'sys_cat_9', score: 3, confidence: 1, reasons: ['漫畫'], alternatives: [] }))
+    const panel = await create({ tagStorageAdapter: createAdapter(many) })
+
+    expect(document.querySelectorAll('.classification-suggestion')).toHaveLength(100)
+    expect(document.querySelector('.classification-more').textContent).toBe(CLASSIFICATION_REVIEW_DISPLAY.MORE(5))
+
+    deps.tagStorageAdapter.getClassificationSuggestions.mockResolvedValue([])
+    await panel.load()
+    expect(byId('classificationList').textContent).toBe(CLASSIFICATION_REVIEW_DISPLAY.EMPTY)
+  })
+})
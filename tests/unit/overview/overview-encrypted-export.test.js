@@ -0,0 +1,128 @@
+/**
+ * OverviewPageController 加密 JSON 匯出測試
+ *
+ * 測試範圍：
+ * - 匯出加密 JSON：兩次輸入同一密碼 → 下載內容為 sync-crypto 加密檔，
+ *   以同一密碼經 json-importer executeImport（popup 匯入路徑）還原書庫
+ * - 兩次密碼不一致或取消輸入時不匯出
+ *
+ * jsdom 不提供 crypto.subtle 與 CompressionStream，測試期間掛上 Node 內建 webcrypto / stream/web。
+ */
+
+const { isEncryptedSyncFile } = require('src/sync/sync-crypto')
+const { executeImport, IMPORT_ERROR_CODES } = require('src/import/json-importer')
+
+const PASSPHRASE = 'K7QX2-M9FHT'
+const originalCrypto = global.crypto
+
+const BOOKS = [
+  { id: 'b1', title: '三體', authors: ['劉慈欣'], progress: 40, readingStatus: 'reading', tags: ['readmoo'] },
+  { id: 'b2', title: '原子習慣', authors: ['James Clear'], progress: 100, readingStatus: 'finished', tags: ['readmoo'] }
+]
+
+describe('OverviewPageController 加密 JSON 匯出', () => {
+  let controller
+  let store
+  let prompt
+  let downloads
+
+  beforeAll(() => {
+    const { CompressionStream, DecompressionStream } = require('stream/web')
+    global.CompressionStream = CompressionStream
+    global.DecompressionStream = DecompressionStream
+    Object.defineProperty(global, 'crypto', { value: require('crypto').webcrypto, configurable: true })
+  })
+
+  afterAll(() => {
+    delete global.CompressionStream
+    delete global.DecompressionStream
+    Object.defineProperty(global, 'crypto', { value: originalCrypto, configurable: true })
+  })
+
+  beforeEach(() => {
+    document.body.innerHTML = `
+      <button id="exportEncryptedJSONBtn">匯出加密 JSON</button>
+      <table><tbody id="tableBody"></tbody></table>`
+    const { OverviewPageController } = require('src/overview/overview-page-controller')
+    controller = new OverviewPageController({ on: jest.fn(), emit: jest.fn() }, document)
+    controller._updateBooksData(BOOKS)
+
+    prompt = jest.spyOn(window, 'prompt')
+    downloads = []
+    jest.spyOn(controller, '_triggerExportDownload').mockImplementation((content, extension, mimeType, prefix) => {
+      downloads.push({ content, extension, mimeType, prefix })
+    })
+    jest.spyOn(controller, 'showError').mockImplementation(() => {})
+
+    store = { readmoo_books: { books: [] }, tags: [], tag_categories: [] }
+    delete chrome.runtime.lastError
+    chrome.storage.local.get.mockImplementation((keys, callback) => {
+      const result = {}
+      const keyList = Array.isArray(keys) ? keys : [keys]
+      keyList.forEach(key => { result[key] = key in store ? JSON.parse(JSON.stringify(store[key])) : null })
+      callback(result)
+    })
+    chrome.storage.local.set.mockImplementation((items, callback) => {
+      Object.keys(items).forEach(key => { store[key] = JSON.parse(JSON.stringify(items[key])) })
+      if (callback) callback()
+    })
+  })
+
+  afterEach(() => {
+    document.body.innerHTML = ''
+    chrome.storage.onChanged.clearListeners()
+    jest.restoreAllMocks()
+  })
+
+  test('兩次輸入同一密碼 → 下載加密檔，以同一密碼經匯入流程還原書庫', async () => {
+    prompt.mockReturnValue(PASSPHRASE)
+
+    await controller.handleExportEncryptedJSON()
+
+    expect(prompt).toHaveBeenCalledTimes(2)
+    expect(downloads).toHaveLength(1)
+    const { content, extension, prefix } = downloads[0]
+    expect(extension).toBe('json')
+    expect(prefix).toBe('書籍資料_加密_')
+    expect(isEncryptedSyncFile(JSON.parse(content))).toBe(true)
+    expect(content).not.toContain('三體')
+
+    const locked = await executeImport(content)
+    expect(locked.error.code).toBe(IMPORT_ERROR_CODES.PASSPHRASE_REQUIRED)
+
+    const result = await executeImport(content, { passphrase: PASSPHRASE })
+    expect(result.success).toBe(true)
+    expect(store.readmoo_books.books.map(book => [book.id, book.title, book.progress]).sort()).toEqual([
+      ['b1', '三體', 40],
+      ['b2', '原子習慣', 100]
+    ])
+  })
+
+  test('按鈕點擊觸發加密匯出', async () => {
+    const handler = jest.spyOn(controller, 'handleExportEncryptedJSON').mockResolvedValue()
+
+    document.getElementById('exportEncryptedJSONBtn').click()
+
+    expect(handler).toHaveBeenCalledTimes(1)
+  })
+
+  test('兩次密碼不一致 → 顯示錯誤且不匯出', async () => {
+    prompt.mockReturnValueOnce(PASSPHRASE).mockReturnValueOnce('K7QX2-M9FHX')
+
+    await controller.handleExportEncryptedJSON()
+
+    expect(downloads).toHaveLength(0)
+    expect(controller.showError).toHaveBeenCalledWith('兩次輸入的同步密碼不一致，未匯出檔案')
+  })
+
+  test('取消輸入密碼 → 不匯出也不顯示錯誤', async () => {
+    prompt.mockReturnValueOnce(null)
+    await controller.handleExportEncryptedJSON()
+
+    prompt.mockReturnValueOnce(PASSPHRASE).mockReturnValueOnce(null)
+    await controller.handleExportEncryptedJSON()
+
+    expect(downloads).toHaveLength(0)
+    expect(controller.showError).not.toHaveBeenCalled()
+  })
+})
@@ -0,0 +1,183 @@
+/**
+ * OverviewLibraryQuery 測試
+ *
+ * 測試範圍：
+ * - 查詢語法編譯為 FilterEngine 條件：狀態、標籤、分類（含子分類）、書城、進度、日期
+ * - 否定、OR 群組與全文字詞（相關度排序、否定排除）
+ * - 狀態 / Tag 篩選列與查詢併為單一管線
+ * - 資料相依的值錯誤（未知標籤、狀態、書城）
+ * - 自動完成建議
+ * - OverviewPageController 整合：搜尋框就地錯誤顯示
+ */
+
+const { createOverviewBookSearch } = require('src/overview/overview-book-search')
+const { createOverviewLibraryQuery } = require('src/overview/overview-library-query')
+
+const TAGS = [
+  { id: 't1', name: '科幻', categoryId: 'c2' },
+  { id: 't2', name: '已借出', categoryId: 'c3' },
+  { id: 't3', name: '心理學', categoryId: 'c1' },
+  { id: 't4', name: '奇幻', categoryId: 'c2' }
+]
+const CATEGORIES = [
+  { id: 'c1', name: '主題', parentId: null },
+  { id: 'c2', name: '文學', parentId: 'c1' },
+  { id: 'c3', name: '狀況', parentId: null },
+  { id: 'c4', name: '空分類', parentId: null }
+]
+
+function createBooks () {
+  return [
+    { id: 'b1', title: '三體', authors: ['劉慈欣'], readingStatus: 'reading', progress: 60, source: 'books-com-tw', tagIds: ['t1'], updatedAt: '2026-02-10T08:00:00.000Z' },
+    { id: 'b2', title: '三體 II 黑暗森林', authors: ['劉慈欣'], readingStatus: 'reading', progress: 30, source: 'books-com-tw', tagIds: ['t1', 't2'], updatedAt: '2026-03-01T08:00:00.000Z' },
+    { id: 'b3', title: '快思慢想', authors: ['Daniel Kahneman'], readingStatus: 'finished', progress: 100, source: 'readmoo', tagIds: ['t3'], updatedAt: '2025-12-31T08:00:00.000Z' },
+    { id: 'b4', title: '魔戒', authors: ['托爾金'], readingStatus: 'queued', progress: 0, source: 'kobo', tagIds: ['t4'] },
+    { id: 'b5', title: '原子習慣', authors: ['James Clear'], readingStatus: 'unread', source: 'readmoo', tagIds: [] }
+  ]
+}
+
+describe('createOverviewLibraryQuery', () => {
+  let books
+  let libraryQuery
+
+  function ids (query, options = {}) {
+    const result = libraryQuery.run(books, { query, ...options })
+    expect(result.errors).toEqual([])
+    return result.books.map(book => book.id)
+  }
+
+  beforeEach(() => {
+    books = createBooks()
+    const bookSearch = createOverviewBookSearch({
+      getTagById: id => TAGS.find(tag => tag.id === id),
+      getCategoryById: id => CATEGORIES.find(category => category.id === id)
+    })
+    bookSearch.syncBooks(books)
+    libraryQuery = createOverviewLibraryQuery({ bookSearch, getTags: () => TAGS, getCategories: () => CATEGORIES })
+  })
+
+  test('缺少依賴時拋出 TypeError', () => {
+    let caught
+    try {
+      createOverviewLibraryQuery({ bookSearch: { search () {} }, getTags: () => [] })
+    } catch (error) {
+      caught = error
+    }
+    expect(caught).toBeInstanceOf(TypeError)
+    expect(caught.message).toContain('getCategories')
+  })
+
+  test('需求範例查詢', () => {
+    expect(ids('status:reading tag:科幻 author:"劉慈欣" progress:>50 source:books-com-tw -tag:已借出')).toEqual(['b1'])
+  })
+
+  test.each([
+    ['status:閱讀中', ['b1', 'b2']],
+    ['tag:科幻 OR tag:奇幻', ['b1', 'b2', 'b4']],
+    ['category:主題', ['b1', 'b2', 'b3', 'b4']],
+    ['category:空分類', []],
+    ['source:"樂天 Kobo"', ['b4']],
+    ['progress:>=60', ['b1', 'b3']],
+    ['progress:<30', ['b4', 'b5']],
+    ['updated:2026-02', ['b1']],
+    ['updated:>2026-02-10', ['b2']],
+    ['updated:<2026', ['b3']],
+    ['-(status:reading OR status:finished)', ['b4', 'b5']],
+    ['author:kahneman', ['b3']],
+    ['-三體', ['b3', 'b4', 'b5']]
+  ])('「%s」', (query, expected) => {
+    expect(ids(query)).toEqual(expected)
+  })
+
+  test('全文字詞依相關度排序並回傳名次與標示字詞', () => {
+    const result = libraryQuery.run(books, { query: '三體 status:reading' })
+
+    expect(result.books.map(book => book.id)).toEqual(['b1', 'b2'])
+    expect(result.relevance.get(books[0])).toBe(0)
+    expect(result.highlightQuery).toBe('三體')
+  })
+
+  test('無全文字詞時不排序，標示字詞只含書名 / 作者條件', () => {
+    const result = libraryQuery.run(books, { query: 'author:劉慈欣 tag:科幻' })
+
+    expect(result.relevance).toBeNull()
+    expect(result.highlightQuery).toBe('劉慈欣')
+  })
+
+  test('狀態與 Tag 篩選列和查詢併為同一管線', () => {
+    expect(ids('progress:>0', { readingStatus: 'reading' })).toEqual(['b1', 'b2'])
+    expect(ids('', { tagIds: new Set(['t1', 't2']), tagMode: 'and' })).toEqual(['b2'])
+    expect(ids('-tag:已借出', { tagIds: new Set(['t1', 't4']), tagMode: 'or' })).toEqual(['b1', 'b4'])
+  })
+
+  test.each([
+    ['tag:不存在', '找不到標籤「不存在」', 0],
+    ['status:busy', '未知的閱讀狀態「busy」', 0],
+    ['三體 source:amazon', '未知的書城「amazon」', 3],
+    ['category:無', '找不到分類「無」', 0]
+  ])('值錯誤「%s」時回報位置且不套用查詢', (query, message, start) => {
+    const result = libraryQuery.run(books, { query, readingStatus: 'reading' })
+
+    expect(result.errors[0].message).toContain(message)
+    expect(result.errors[0].start).toBe(start)
+    expect(result.books.map(book => book.id)).toEqual(['b1', 'b2'])
+  })
+
+  test('自動完成包含狀態、標籤與書城', () => {
+    expect(libraryQuery.suggest('-tag:借').map(s => s.value)).toEqual(['-tag:已借出 '])
+    expect(libraryQuery.suggest('status:fin')).toEqual([{ value: 'status:finished ', label: '已讀完' }])
+    expect(libraryQuery.suggest('source:ko').map(s => s.value)).toEqual(['source:kobo '])
+  })
+})
+
+describe('OverviewPageController 查詢語法整合', () => {
+  let controller
+
+  beforeEach(() => {
+    document.body.innerHTML = `
+      <input id="searchBox">
+      <datalist id="searchSuggestions"></datalist>
+      <p id="searchQueryError" hidden></p>
+      <table><tbody id="tableBody"></tbody></table>`
+    const { OverviewPageController } = require('src/overview/overview-page-controller')
+    controller = new OverviewPageController({ on: jest.fn(), emit: jest.fn() }, document)
+    controller.tagMap = new Map(TAGS.map(tag => [tag.id, tag]))
+    controller.categoryMap = new Map(CATEGORIES.map(category => [category.id, category]))
+    controller.currentBooks = createBooks()
+  })
+
+  afterEach(() => {
+    document.body.innerHTML = ''
+  })
+
+  test('查詢錯誤顯示於搜尋框下方，修正後清除', () => {
+    controller.handleSearchInput('tag:科幻 OR')
+
+    const errorElement = document.getElementById('searchQueryError')
+    expect(errorElement.hidden).toBe(false)
+    expect(errorElement.textContent).toContain('OR 後缺少條件（第 8 個字元）')
+    expect(document.getElementById('searchBox').getAttribute('aria-invalid')).toBe('true')
+    expect(controller.filteredBooks).toHaveLength(5)
+
+    controller.handleSearchInput('tag:科幻 OR tag:奇幻')
+
+    expect(errorElement.hidden).toBe(true)
+    expect(document.getElementById('searchBox').hasAttribute('aria-invalid')).toBe(false)
+    expect(controller.filteredBooks.map(book => book.id).sort()).toEqual(['b1', 'b2', 'b4'])
+  })
+
+  test('狀態篩選列與查詢同時套用；篩選條件不標示', () => {
+    controller.setStatusFilter('reading')
+    controller.handleSearchInput('tag:已借出')
+
+    expect(controller.filteredBooks.map(book => book.id)).toEqual(['b2'])
+    expect(document.querySelector('#tableBody mark')).toBeNull()
+  })
+
+  test('輸入時更新 datalist 建議', () => {
+    controller.updateSearchSuggestions('tag:奇')
+
+    const options = [...document.querySelectorAll('#searchSuggestions option')]
+    expect(options.map(option => option.value)).toEqual(['tag:奇幻 '])
+  })
+})
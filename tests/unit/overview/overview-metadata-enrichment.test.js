@@ -0,0 +1,94 @@
+/**
+ * OverviewMetadataEnrichment 測試
+ *
+ * 測試範圍：
+ * - 依賴驗證
+ * - 載入啟用設定與補齊進度（閒置 / 進行中 / 暫停 / 完成）
+ * - 勾選變更時儲存；儲存失敗時還原勾選並提示
+ */
+
+const { createOverviewMetadataEnrichment, METADATA_ENRICHMENT_DISPLAY } = require('src/overview/overview-metadata-enrichment')
+const { METADATA_ENRICHMENT_KEYS, ENRICHMENT_STATUS } = require('src/data-management/MetadataEnrichmentSchema')
+
+const PANEL_HTML = `
+  <input type="checkbox" id="metadataEnrichmentEnabled">
+  <p id="metadataEnrichmentStatus"></p>`
+
+const ELEMENT_IDS = ['metadataEnrichmentEnabled', 'metadataEnrichmentStatus']
+
+const byId = id => document.getElementById(id)
+
+function createStorage (initial = {}) {
+  const data = { ...initial }
+  return {
+    data,
+    get: jest.fn(async keys => Object.fromEntries(keys.filter(key => key in data).map(key => [key, data[key]]))),
+    set: jest.fn(async items => { Object.assign(data, items) })
+  }
+}
+
+describe('createOverviewMetadataEnrichment', () => {
+  function create (storage) {
+    document.body.innerHTML = PANEL_HTML
+    return createOverviewMetadataEnrichment({
+      elements: Object.fromEntries(ELEMENT_IDS.map(id => [id, byId(id)])),
+      storage
+    })
+  }
+
+  afterEach(() => {
+    document.body.innerHTML = ''
+  })
+
+  test('缺少依賴時拋出 TypeError', () => {
+    let caught
+    try {
+      createOverviewMetadataEnrichment({ elements: {} })
+    } catch (error) {
+      caught = error
+    }
+    expect(caught).toBeInstanceOf(TypeError)
+    expect(caught.message).toContain('storage')
+  })
+
+  test('載入後顯示啟用勾選與補齊進度；背景更新進度時同步顯示', async () => {
+    const enrichment = create(createStorage({
+      [METADATA_ENRICHMENT_KEYS.SETTINGS]: { enabled: true },
+      [METADATA_ENRICHMENT_KEYS.STATE]: { status: ENRICHMENT_STATUS.RUNNING, queue: ['b3', 'b4'], total: 5 }
+    }))
+
+    await enrichment.load()
+
+    expect(byId('metadataEnrichmentEnabled').checked).toBe(true)
+    expect(byId('metadataEnrichmentStatus').textContent).toBe('補齊中：3 / 5 本')
+
+    enrichment.setState({ status: ENRICHMENT_STATUS.PAUSED, queue: ['b4'], total: 5 })
+    expect(byId('metadataEnrichmentStatus').textContent).toBe('已暫停，剩餘 1 本，稍後自動繼續')
+
+    enrichment.setState({ status: ENRICHMENT_STATUS.COMPLETED, total: 5, enriched: 4, failed: 1, completedAt: '2026-10-19T00:00:00.000Z' })
+    expect(byId('metadataEnrichmentStatus').textContent).toContain('補齊 4 本、失敗 1 本')
+
+    enrichment.setState(null)
+    expect(byId('metadataEnrichmentStatus').textContent).toBe(METADATA_ENRICHMENT_DISPLAY.IDLE)
+  })
+
+  test('勾選變更時儲存；儲存失敗時還原勾選並提示', async () => {
+    const storage = createStorage()
+    const enrichment = create(storage)
+    enrichment.bind()
+    await enrichment.load()
+    expect(byId('metadataEnrichmentEnabled').checked).toBe(false)
+
+    byId('metadataEnrichmentEnabled').checked = true
+    expect(await enrichment.save()).toBe(true)
+    expect(storage.data[METADATA_ENRICHMENT_KEYS.SETTINGS]).toEqual({ enabled: true })
+
+    storage.set.mockRejectedValueOnce(new Error('quota'))
+    byId('metadataEnrichmentEnabled').checked = false
+    expect(await enrichment.save()).toBe(false)
+
+    expect(byId('metadataEnrichmentEnabled').checked).toBe(true)
+    expect(byId('metadataEnrichmentStatus').textContent).toBe(METADATA_ENRICHMENT_DISPLAY.SAVE_FAILED)
+    expect(enrichment.getSettings()).toEqual({ enabled: true })
+  })
+})
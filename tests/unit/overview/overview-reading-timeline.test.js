@@ -0,0 +1,130 @@
+/**
+ * OverviewReadingTimeline 測試
+ *
+ * 測試範圍：
+ * - 依賴驗證
+ * - 每月讀完、每週進度（頁數 / 百分點）、閱讀天數的渲染與空狀態
+ * - 面板開合
+ * - OverviewPageController 整合：載入歷程、progress_history 變動時重新渲染
+ */
+
+const { createOverviewReadingTimeline } = require('src/overview/overview-reading-timeline')
+
+const PANEL_HTML = `
+  <button id="readingTimelineBtn" aria-expanded="false">閱讀統計</button>
+  <section id="readingTimelinePanel" hidden>
+    <ul id="finishedPerMonthList"></ul>
+    <ul id="progressPerWeekList"></ul>
+    <ul id="readingDurationList"></ul>
+  </section>`
+
+const ELEMENT_IDS = ['readingTimelineBtn', 'readingTimelinePanel', 'finishedPerMonthList', 'progressPerWeekList', 'readingDurationList']
+
+const DAY = 86400
+// 2026-10-05（週一）中午 UTC，Unix 秒
+const T0 = Date.UTC(2026, 9, 5, 12) / 1000
+
+const HISTORY = {
+  b1: [[T0, 0, 'u'], [T0 + DAY, 30, 'r'], [T0 + 8 * DAY, 100, 'f']],
+  b2: [[T0, 10, 'r'], [T0 + 2 * DAY, 50, 'r']]
+}
+
+const BOOKS = [
+  { id: 'b1', title: '三體', pageCount: 200, progress: 100, readingStatus: 'finished' },
+  { id: 'b2', title: '沙丘', progress: 50, readingStatus: 'reading' }
+]
+
+const texts = selector => [...document.querySelectorAll(selector)].map(el => el.textContent)
+
+describe('createOverviewReadingTimeline', () => {
+  let deps
+  let timeline
+
+  beforeEach(() => {
+    document.body.innerHTML = PANEL_HTML
+    deps = {
+      document,
+      elements: Object.fromEntries(ELEMENT_IDS.map(id => [id, document.getElementById(id)])),
+      tagStorageAdapter: { getProgressHistory: jest.fn(async () => HISTORY) },
+      getBooks: () => BOOKS
+    }
+    timeline = createOverviewReadingTimeline(deps)
+  })
+
+  afterEach(() => {
+    document.body.innerHTML = ''
+  })
+
+  test('缺少依賴時拋出 TypeError', () => {
+    let caught
+    try {
+      createOverviewReadingTimeline({ ...deps, getBooks: undefined })
+    } catch (error) {
+      caught = error
+    }
+    expect(caught).toBeInstanceOf(TypeError)
+    expect(caught.message).toContain('getBooks')
+  })
+
+  test('無歷程時三區皆顯示空狀態', () => {
+    timeline.render()
+
+    expect(texts('.timeline-empty')).toHaveLength(3)
+  })
+
+  test('載入後顯示每月讀完、每週進度與閱讀天數', async () => {
+    await timeline.load()
+
+    expect(texts('#finishedPerMonthList .timeline-bar-value')).toEqual(['1 本'])
+    expect(texts('#finishedPerMonthList .timeline-bar-label')).toEqual(['2026年10月'])
+    // 10/05 週：三體 30%（60 頁）+ 沙丘 40%；10/12 週：三體 70%（140 頁）
+    expect(texts('#progressPerWeekList .timeline-bar-label')).toEqual(['10/05 起', '10/12 起'])
+    expect(texts('#progressPerWeekList .timeline-bar-value')).toEqual(['60 頁（70%）', '140 頁（70%）'])
+    expect(document.querySelector('#progressPerWeekList .timeline-bar-fill').style.width).toBe('43%')
+    expect(texts('#readingDurationList .timeline-duration-title')).toEqual(['三體'])
+    expect(texts('#readingDurationList .timeline-duration-days')).toEqual(['7 天'])
+  })
+
+  test('按鈕開合面板並更新 aria-expanded', () => {
+    timeline.bind()
+    const button = document.getElementById('readingTimelineBtn')
+    const panel = document.getElementById('readingTimelinePanel')
+
+    button.click()
+    expect(panel.hidden).toBe(false)
+    expect(button.getAttribute('aria-expanded')).toBe('true')
+
+    button.click()
+    expect(panel.hidden).toBe(true)
+    expect(button.textContent).toBe('閱讀統計')
+  })
+})
+
+describe('OverviewPageController 閱讀統計整合', () => {
+  const TagStorageAdapter = require('src/storage/adapters/tag-storage-adapter')
+  let controller
+
+  beforeEach(async () => {
+    document.body.innerHTML = `${PANEL_HTML}<table><tbody id="tableBody"></tbody></table>`
+    jest.spyOn(TagStorageAdapter, 'getProgressHistory').mockResolvedValue({ b2: HISTORY.b2 })
+    const { OverviewPageController } = require('src/overview/overview-page-controller')
+    controller = new OverviewPageController({ on: jest.fn(), emit: jest.fn() }, document)
+    controller._updateBooksData(BOOKS)
+    await controller.loadProgressHistory()
+  })
+
+  afterEach(() => {
+    document.body.innerHTML = ''
+    chrome.storage.onChanged.clearListeners()
+    jest.restoreAllMocks()
+  })
+
+  test('載入歷程後顯示統計；progress_history 變動時重新渲染', () => {
+    expect(texts('#progressPerWeekList .timeline-bar-value')).toEqual(['40%'])
+    expect(texts('#readingDurationList .timeline-empty')).toHaveLength(1)
+
+    chrome.storage.onChanged.callListeners({ progress_history: { newValue: HISTORY } }, 'local')
+
+    expect(texts('#readingDurationList .timeline-duration-title')).toEqual(['三體'])
+  })
+})
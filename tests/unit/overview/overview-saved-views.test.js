@@ -0,0 +1,213 @@
+/**
+ * OverviewSavedViews 測試
+ *
+ * 測試範圍：
+ * - 依賴驗證
+ * - 側欄清單：名稱、即時計數、作用中標示、空狀態
+ * - 儲存目前篩選狀態、套用、刪除（含錯誤訊息）
+ * - OverviewPageController 整合：還原完整篩選狀態、書籍變動時重新計數、JSON 匯出 / 匯入帶 savedViews
+ */
+
+const { createOverviewSavedViews } = require('src/overview/overview-saved-views')
+
+const SIDEBAR_HTML = `
+  <aside id="savedViewsPanel">
+    <ul id="savedViewsList"></ul>
+    <button id="saveViewBtn"></button>
+    <p id="savedViewsMessage"></p>
+  </aside>`
+
+const ELEMENT_IDS = ['savedViewsPanel', 'savedViewsList', 'saveViewBtn', 'savedViewsMessage']
+
+const VIEWS = [
+  { id: 'v1', name: '閱讀中', filter: { readingStatus: 'reading' } },
+  { id: 'v2', name: '壞查詢', filter: { query: 'tag:不存在' } }
+]
+
+function createAdapter (views) {
+  let stored = [...views]
+  return {
+    getAllSavedViews: jest.fn(async () => stored),
+    saveSavedView: jest.fn(async (input) => {
+      if (stored.some(v => v.name === input.name.trim())) return { success: false, error: 'duplicate_name' }
+      const view = { id: `v${stored.length + 1}`, name: input.name.trim(), filter: input.filter }
+      stored = [...stored, view]
+      return view
+    }),
+    deleteSavedView: jest.fn(async (id) => {
+      stored = stored.filter(v => v.id !== id)
+      return { success: true }
+    })
+  }
+}
+
+describe('createOverviewSavedViews', () => {
+  let deps
+  let savedViews
+  let currentFilter
+
+  const list = () => document.getElementById('savedViewsList')
+  const names = () => [...list().querySelectorAll('.saved-view-name')].map(el => el.textContent)
+  const countOf = id => list().querySelector(`[data-view-id="${id}"] .saved-view-count`).textContent
+
+  beforeEach(() => {
+    document.body.innerHTML = SIDEBAR_HTML
+    currentFilter = { readingStatus: null }
+    deps = {
+      document,
+      elements: Object.fromEntries(ELEMENT_IDS.map(id => [id, document.getElementById(id)])),
+      tagStorageAdapter: createAdapter(VIEWS),
+      getFilterState: () => currentFilter,
+      applyFilter: jest.fn(filter => { currentFilter = filter }),
+      countBooks: jest.fn(filter => (filter.query ? null : 3)),
+      prompt: jest.fn(() => '已讀完'),
+      confirm: jest.fn(() => true)
+    }
+    savedViews = createOverviewSavedViews(deps)
+  })
+
+  afterEach(() => {
+    document.body.innerHTML = ''
+  })
+
+  test('缺少依賴時拋出 TypeError', () => {
+    let caught
+    try {
+      createOverviewSavedViews({ ...deps, countBooks: undefined })
+    } catch (error) {
+      caught = error
+    }
+    expect(caught).toBeInstanceOf(TypeError)
+    expect(caught.message).toContain('countBooks')
+  })
+
+  test('無檢視時顯示空狀態；載入後列出名稱與計數，無法計數時顯示破折號', async () => {
+    savedViews.render()
+    expect(list().textContent).toBe('尚未儲存任何檢視')
+
+    await savedViews.load()
+
+    expect(names()).toEqual(['閱讀中', '壞查詢'])
+    expect(countOf('v1')).toBe('3')
+    expect(countOf('v2')).toBe('—')
+  })
+
+  test('點選檢視時套用其篩選並標示為作用中', async () => {
+    await savedViews.load()
+    savedViews.bind()
+
+    list().querySelector('[data-view-id="v1"] .saved-view-apply').click()
+
+    expect(deps.applyFilter).toHaveBeenCalledWith(expect.objectContaining({ readingStatus: 'reading' }))
+    const active = list().querySelector('.saved-view-active')
+    expect(active.getAttribute('data-view-id')).toBe('v1')
+    expect(active.querySelector('.saved-view-apply').getAttribute('aria-current')).toBe('true')
+  })
+
+  test('refreshCounts 依目前書庫重新計算', async () => {
+    await savedViews.load()
+    deps.countBooks.mockImplementation(() => 7)
+
+    savedViews.refreshCounts()
+
+    expect(countOf('v1')).toBe('7')
+  })
+
+  test('儲存目前檢視；取消輸入時不儲存，重名時顯示錯誤', async () => {
+    await savedViews.load()
+    currentFilter = { readingStatus: 'finished' }
+
+    const view = await savedViews.saveCurrent()
+
+    expect(deps.tagStorageAdapter.saveSavedView).toHaveBeenCalledWith({ name: '已讀完', filter: currentFilter })
+    expect(view.name).toBe('已讀完')
+    expect(names()).toContain('已讀完')
+    expect(document.getElementById('savedViewsMessage').textContent).toBe('已儲存檢視「已讀完」')
+
+    deps.prompt.mockReturnValueOnce(null)
+    expect(await savedViews.saveCurrent()).toBeNull()
+
+    expect(await savedViews.saveCurrent()).toBeNull()
+    expect(document.getElementById('savedViewsMessage').textContent).toBe('已有同名的檢視')
+    expect(deps.tagStorageAdapter.saveSavedView).toHaveBeenCalledTimes(2)
+  })
+
+  test('刪除前確認，取消時保留', async () => {
+    await savedViews.load()
+    deps.confirm.mockReturnValueOnce(false)
+
+    expect(await savedViews.remove('v1')).toBe(false)
+    expect(deps.confirm).toHaveBeenCalledWith('確定要刪除檢視「閱讀中」？')
+
+    expect(await savedViews.remove('v1')).toBe(true)
+    expect(names()).toEqual(['壞查詢'])
+  })
+})
+
+describe('OverviewPageController 已儲存檢視整合', () => {
+  const TagStorageAdapter = require('src/storage/adapters/tag-storage-adapter')
+  const BookDataExporter = require('src/export/book-data-exporter')
+  const { ContentParser } = require('src/overview/import/content-parser')
+  let controller
+
+  const BOOKS = [
+    { id: 'b1', title: '三體', authors: ['劉慈欣'], readingStatus: 'reading', progress: 30, tagIds: ['t1'] },
+    { id: 'b2', title: '沙丘', authors: ['赫伯特'], readingStatus: 'reading', progress: 80, tagIds: ['t1'] },
+    { id: 'b3', title: '原子習慣', authors: ['克利爾'], readingStatus: 'finished', progress: 100, tagIds: [] }
+  ]
+
+  beforeEach(async () => {
+    document.body.innerHTML = `${SIDEBAR_HTML}
+      <input id="searchBox">
+      <select id="sortSelect"><option value="relevance"></option><option value="title"></option><option value="progress"></option></select>
+      <select id="sortDirection"><option value="asc"></option><option value="desc"></option></select>
+      <table><tbody id="tableBody"></tbody></table>`
+    jest.spyOn(TagStorageAdapter, 'getAllSavedViews').mockResolvedValue([
+      { id: 'v1', name: '在讀科幻', filter: { readingStatus: 'reading', tagIds: ['t1'], sortKey: 'progress', sortDirection: 'desc' } }
+    ])
+    const { OverviewPageController } = require('src/overview/overview-page-controller')
+    controller = new OverviewPageController({ on: jest.fn(), emit: jest.fn() }, document)
+    controller._setTagData([{ id: 't1', name: '科幻', categoryId: 'c1' }], [{ id: 'c1', name: '主題' }])
+    controller._updateBooksData(BOOKS)
+    await controller.loadSavedViews()
+  })
+
+  afterEach(() => {
+    document.body.innerHTML = ''
+    jest.restoreAllMocks()
+  })
+
+  test('套用檢視還原狀態、Tag 篩選與排序；與檢視不同時取消作用中標示', () => {
+    controller.savedViews.apply('v1')
+
+    expect(controller.statusFilter).toBe('reading')
+    expect([...controller.tagFilterState.selectedTagIds]).toEqual(['t1'])
+    expect(document.getElementById('sortSelect').value).toBe('progress')
+    expect(controller.filteredBooks.map(b => b.id)).toEqual(['b2', 'b1'])
+    expect(document.querySelector('.saved-view-active')).not.toBeNull()
+
+    controller.setStatusFilter(null)
+    expect(document.querySelector('.saved-view-active')).toBeNull()
+  })
+
+  test('書籍變動時重新計算檢視計數', () => {
+    const count = () => document.querySelector('[data-view-id="v1"] .saved-view-count').textContent
+    expect(count()).toBe('2')
+
+    controller.handleBooksUpdate({ books: [...BOOKS, { id: 'b4', title: '基地', readingStatus: 'reading', tagIds: ['t1'] }] })
+
+    expect(count()).toBe('3')
+  })
+
+  test('JSON 匯出帶 savedViews，canonical 匯入時透傳', () => {
+    jest.spyOn(controller, '_triggerExportDownload').mockImplementation(() => {})
+    const exportSpy = jest.spyOn(BookDataExporter.prototype, 'exportToJSON')
+
+    controller.handleExportJSONv3()
+
+    expect(exportSpy.mock.calls[0][0].savedViews.map(v => v.id)).toEqual(['v1'])
+    const json = exportSpy.mock.results[0].value
+    const imported = new ContentParser()._processBookData(JSON.parse(json))
+    expect(imported.savedViews.map(v => v.name)).toEqual(['在讀科幻'])
+  })
+})
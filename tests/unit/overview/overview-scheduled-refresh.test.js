@@ -0,0 +1,139 @@
+/**
+ * OverviewScheduledRefresh 測試
+ *
+ * 測試範圍：
+ * - 依賴驗證
+ * - 載入設定（間隔選項、書城勾選）與上次執行摘要
+ * - 變更啟用 / 間隔 / 書城時儲存；啟用但未選書城時不儲存
+ * - OverviewPageController 整合：其他頁面更新上次執行紀錄時同步顯示
+ */
+
+const { createOverviewScheduledRefresh, SCHEDULED_REFRESH_DISPLAY } = require('src/overview/overview-scheduled-refresh')
+const { SCHEDULED_REFRESH_KEYS } = require('src/data-management/ScheduledRefreshSchema')
+
+const PANEL_HTML = `
+  <button id="scheduledRefreshBtn" aria-expanded="false">排程更新</button>
+  <section id="scheduledRefreshPanel" hidden>
+    <input type="checkbox" id="scheduledRefreshEnabled">
+    <select id="scheduledRefreshInterval"></select>
+    <div id="scheduledRefreshPlatforms"></div>
+    <span id="scheduledRefreshMessage"></span>
+    <p id="scheduledRefreshLastRun"></p>
+    <ul id="scheduledRefreshChanges"></ul>
+  </section>`
+
+const ELEMENT_IDS = ['scheduledRefreshBtn', 'scheduledRefreshPanel', 'scheduledRefreshEnabled', 'scheduledRefreshInterval', 'scheduledRefreshPlatforms', 'scheduledRefreshMessage', 'scheduledRefreshLastRun', 'scheduledRefreshChanges']
+
+const LAST_RUN = {
+  ranAt: Date.UTC(2026, 9, 1, 2, 0),
+  added: { count: 1, books: [{ id: 'rm3', title: '新書' }] },
+  progressChanged: { count: 1, books: [{ id: 'rm1', title: '三體', from: 10, to: 40 }] },
+  removed: { count: 0, books: [] },
+  failures: [{ platform: 'kobo', reason: 'tab_load_timeout' }]
+}
+
+const byId = id => document.getElementById(id)
+const texts = selector => [...document.querySelectorAll(selector)].map(el => el.textContent)
+
+function createStorage (initial = {}) {
+  const data = { ...initial }
+  return {
+    data,
+    get: jest.fn(async keys => Object.fromEntries(keys.filter(key => key in data).map(key => [key, data[key]]))),
+    set: jest.fn(async items => { Object.assign(data, items) })
+  }
+}
+
+describe('createOverviewScheduledRefresh', () => {
+  let deps
+
+  function create (storage) {
+    document.body.innerHTML = PANEL_HTML
+    deps = {
+      document,
+      elements: Object.fromEntries(ELEMENT_IDS.map(id => [id, byId(id)])),
+      storage
+    }
+    return createOverviewScheduledRefresh(deps)
+  }
+
+  afterEach(() => {
+    document.body.innerHTML = ''
+  })
+
+  test('缺少依賴時拋出 TypeError', () => {
+    let caught
+    try {
+      createOverviewScheduledRefresh({ document, elements: {} })
+    } catch (error) {
+      caught = error
+    }
+    expect(caught).toBeInstanceOf(TypeError)
+    expect(caught.message).toContain('storage')
+  })
+
+  test('載入後顯示設定、各書城勾選與上次執行的摘要與變動書名', async () => {
+    const scheduledRefresh = create(createStorage({
+      [SCHEDULED_REFRESH_KEYS.SETTINGS]: { enabled: true, intervalHours: 72, platforms: ['kobo'] },
+      [SCHEDULED_REFRESH_KEYS.LAST_RUN]: LAST_RUN
+    }))
+
+    await scheduledRefresh.load()
+
+    expect(byId('scheduledRefreshEnabled').checked).toBe(true)
+    expect(byId('scheduledRefreshInterval').value).toBe('72')
+    expect(texts('#scheduledRefreshInterval option')).toEqual(['每 6 小時', '每 12 小時', '每天', '每 3 天', '每週'])
+    const platforms = [...document.querySelectorAll('#scheduledRefreshPlatforms input')]
+    expect(platforms.filter(input => input.checked).map(input => input.value)).toEqual(['kobo'])
+    expect(byId('scheduledRefreshLastRun').textContent).toContain('新購 1 本、進度變動 1 本、移除 0 本')
+    expect(byId('scheduledRefreshLastRun').textContent).toContain('更新失敗：樂天 Kobo')
+    expect(texts('.scheduled-refresh-change')).toEqual(['新購 新書', '進度 三體（10% → 40%）'])
+  })
+
+  test('變更設定時立即儲存；啟用但未選書城時提示且不儲存', async () => {
+    const storage = createStorage()
+    const scheduledRefresh = create(storage)
+    scheduledRefresh.bind()
+    await scheduledRefresh.load()
+    expect(byId('scheduledRefreshLastRun').textContent).toBe(SCHEDULED_REFRESH_DISPLAY.NEVER)
+
+    byId('scheduledRefreshEnabled').checked = true
+    byId('scheduledRefreshInterval').value = '6'
+    expect(await scheduledRefresh.save()).toBe(true)
+
+    expect(storage.data[SCHEDULED_REFRESH_KEYS.SETTINGS]).toEqual({ enabled: true, intervalHours: 6, platforms: ['readmoo'] })
+    expect(byId('scheduledRefreshMessage').textContent).toBe(SCHEDULED_REFRESH_DISPLAY.SAVED)
+
+    document.querySelector('#scheduledRefreshPlatforms input[value="readmoo"]').checked = false
+    expect(await scheduledRefresh.save()).toBe(false)
+
+    expect(storage.set).toHaveBeenCalledTimes(1)
+    expect(byId('scheduledRefreshMessage').textContent).toBe(SCHEDULED_REFRESH_DISPLAY.NO_PLATFORM)
+    expect(document.querySelector('#scheduledRefreshPlatforms input[value="readmoo"]').checked).toBe(true)
+  })
+})
+
+describe('OverviewPageController 排程更新整合', () => {
+  beforeEach(() => {
+    document.body.innerHTML = PANEL_HTML
+    const { OverviewPageController } = require('src/overview/overview-page-controller')
+    // eslint-disable-next-line no-new
+    new OverviewPageController({ on: jest.fn(), emit: jest.fn() }, document)
+  })
+
+  afterEach(() => {
+    document.body.innerHTML = ''
+    chrome.storage.onChanged.clearListeners()
+  })
+
+  test('按鈕開合面板；上次執行紀錄變動時同步顯示', () => {
+    byId('scheduledRefreshBtn').click()
+
+    expect(byId('scheduledRefreshPanel').hidden).toBe(false)
+    expect(byId('scheduledRefreshBtn').textContent).toBe(SCHEDULED_REFRESH_DISPLAY.HIDE)
+
+    chrome.storage.onChanged.callListeners({ [SCHEDULED_REFRESH_KEYS.LAST_RUN]: { newValue: LAST_RUN } }, 'local')
+
+    expect(texts('.scheduled-refresh-change')).toHaveLength(2)
+  })
+})
@@ -0,0 +1,303 @@
+/**
+ * OverviewTagManager 測試
+ *
+ * 測試範圍：
+ * - 依賴驗證
+ * - 分類樹預設收合；展開後顯示子分類、標籤與書籍數（分類為子樹內不重複的書籍數）
+ * - 搜尋：分類名稱符合時顯示子樹，標籤名稱符合時顯示祖先
+ * - 拖曳移動分類：循環引用與超過 TAG_TREE_MAX_DEPTH 時不寫入並顯示行內訊息；adapter 錯誤顯示於該列
+ * - 行內重新命名（Enter 送出、Esc 取消）、分類顏色
+ * - 勾選標籤後合併與批次刪除
+ */
+
+const { createOverviewTagManager, TAG_MANAGER_DISPLAY } = require('src/overview/overview-tag-manager')
+
+const PANEL_HTML = `
+  <button id="tagManagerBtn" aria-expanded="false">標籤管理</button>
+  <section id="tagManagerPanel" hidden>
+    <input id="tagManagerSearch">
+    <button id="tagManagerAddRootBtn">新增分類</button>
+    <div id="tagBatchActions" hidden>
+      <span id="tagSelectionCount"></span>
+      <select id="tagMergeTargetSelect"></select>
+      <button id="tagMergeBtn">合併</button>
+      <button id="tagBatchDeleteBtn">刪除</button>
+    </div>
+    <div id="tagTreeRootDrop"></div>
+    <ul id="tagTree"></ul>
+    <span id="tagManagerMessage"></span>
+  </section>`
+
+const ELEMENT_IDS = ['tagManagerBtn', 'tagManagerPanel', 'tagManagerSearch', 'tagManagerAddRootBtn', 'tagBatchActions', 'tagSelectionCount', 'tagMergeTargetSelect', 'tagMergeBtn', 'tagBatchDeleteBtn', 'tagTreeRootDrop', 'tagTree', 'tagManagerMessage']
+
+const byId = id => document.getElementById(id)
+const categoryRow = id => document.querySelector(`[data-category-id="${id}"] > .tag-tree-row`)
+const tagRow = id => document.querySelector(`[data-tag-id="${id}"] > .tag-tree-row`)
+const visibleNames = () => [...document.querySelectorAll('#tagTree .tag-tree-name')].map(el => el.textContent)
+
+function createData () {
+  return {
+    // 主題 > 文學 > 小說 > 短篇（4 層）；收藏 > 珍本（2 層）
+    categories: [
+      { id: 'theme', name: '主題', parentId: null, color: '#336699', sortOrder: 0 },
+      { id: 'lit', name: '文學', parentId: 'theme', sortOrder: 1 },
+      { id: 'novel', name: '小說', parentId: 'lit', sortOrder: 2 },
+      { id: 'short', name: '短篇', parentId: 'novel', sortOrder: 3 },
+      { id: 'col', name: '收藏', parentId: null, sortOrder: 4 },
+      { id: 'rare', name: '珍本', parentId: 'col', sortOrder: 5 }
+    ],
+    tags: [
+      { id: 'scifi', name: '科幻', categoryId: 'lit' },
+      { id: 'sf', name: 'SF', categoryId: 'lit' },
+      { id: 'first', name: '初版', categoryId: 'rare' }
+    ],
+    books: [
+      { id: 'b1', tagIds: ['scifi', 'sf'] },
+      { id: 'b2', tagIds: ['scifi'] },
+      { id: 'b3', tagIds: ['sf', 'first'] }
+    ]
+  }
+}
+
+function createAdapter (data) {
+  return {
+    createTagCategory: jest.fn(async ({ name, parentId }) => {
+      data.categories.push({ id: `new-${name}`, name, parentId, sortOrder: data.categories.length })
+      return { success: true, id: `new-${name}` }
+    }),
+    createTag: jest.fn(async ({ name, categoryId }) => ({ id: 'tag-new', name, categoryId })),
+    moveTagCategory: jest.fn(async (id, parentId) => {
+      data.categories.find(category => category.id === id).parentId = parentId
+      return { success: true }
+    }),
+    renameTagCategory: jest.fn(async () => ({ success: true })),
+    renameTag: jest.fn(async () => ({ success: true })),
+    updateTagCategory: jest.fn(async () => ({ success: true })),
+    deleteTagCategory: jest.fn(async () => ({ success: true })),
+    deleteTag: jest.fn(async () => ({ success: true })),
+    batchMoveTags: jest.fn(async tagIds => ({ moved: tagIds.length, failed: 0 })),
+    batchDeleteTags: jest.fn(async tagIds => ({ deleted: tagIds.length, failed: 0 })),
+    mergeTags: jest.fn(async sourceIds => ({ success: true, merged: sourceIds.length, affected: 2 }))
+  }
+}
+
+describe('createOverviewTagManager', () => {
+  let data
+  let deps
+
+  function create (overrides = {}) {
+    document.body.innerHTML = PANEL_HTML
+    data = createData()
+    deps = {
+      document,
+      elements: Object.fromEntries(ELEMENT_IDS.map(id => [id, byId(id)])),
+      tagStorageAdapter: createAdapter(data),
+      getTags: () => data.tags,
+      getCategories: () => data.categories,
+      getBooks: () => data.books,
+      onApplied: jest.fn(),
+      prompt: jest.fn(() => '新分類'),
+      confirm: jest.fn(() => true),
+      ...overrides
+    }
+    const manager = createOverviewTagManager(deps)
+    manager.bind()
+    manager.toggle(true)
+    return manager
+  }
+
+  afterEach(() => {
+    document.body.innerHTML = ''
+  })
+
+  test('缺少依賴時拋出 TypeError', () => {
+    let caught
+    try {
+      createOverviewTagManager({ document, elements: {}, tagStorageAdapter: {} })
+    } catch (error) {
+      caught = error
+    }
+    expect(caught).toBeInstanceOf(TypeError)
+    expect(caught.message).toContain('getTags')
+  })
+
+  test('分類樹預設收合；展開後顯示子分類、標籤與書籍數', () => {
+    create()
+
+    expect(byId('tagManagerBtn').textContent).toBe(TAG_MANAGER_DISPLAY.HIDE)
+    expect(visibleNames()).toEqual(['主題', '收藏'])
+    expect(categoryRow('theme').querySelector('.tag-tree-count').textContent).toBe('3 本')
+    expect(categoryRow('theme').querySelector('.tag-tree-color').value).toBe('#336699')
+
+    categoryRow('theme').querySelector('.tag-tree-toggle').click()
+    categoryRow('lit').querySelector('.tag-tree-toggle').click()
+
+    expect(visibleNames()).toEqual(['主題', '文學', '小說', 'SF', '科幻', '收藏'])
+    expect(tagRow('scifi').querySelector('.tag-tree-count').textContent).toBe('2 本')
+    expect(categoryRow('lit').querySelector('.tag-tree-count').textContent).toBe('3 本')
+    expect(document.querySelector('[data-category-id="lit"]').getAttribute('aria-expanded')).toBe('true')
+  })
+
+  test('搜尋分類名稱顯示整個子樹，搜尋標籤名稱顯示其祖先', () => {
+    const manager = create()
+
+    manager.setQuery('收藏')
+    expect(visibleNames()).toEqual(['收藏', '珍本', '初版'])
+
+    manager.setQuery('科幻')
+    expect(visibleNames()).toEqual(['主題', '文學', '科幻'])
+
+    manager.setQuery('不存在')
+    expect(byId('tagTree').textContent).toBe(TAG_MANAGER_DISPLAY.NO_MATCH)
+  })
+
+  test('拖曳分類到另一分類列時移動；循環引用與超過層數不寫入並顯示行內訊息', async () => {
+    const manager = create()
+    const drag = (source, target) => {
+      source.dispatchEvent(new Event('dragstart', { bubbles: true }))
+      target.dispatchEvent(new Event('drop', { bubbles: true, cancelable: true }))
+    }
+
+    expect(await manager.moveCategory('theme', 'short')).toBe(false)
+    expect(categoryRow('theme').querySelector('.tag-tree-error').textContent).toBe('無法移入自己或自己的子分類')
+
+    expect(await manager.moveCategory('col', 'novel')).toBe(false)
+    expect(categoryRow('col').querySelector('.tag-tree-error').textContent).toBe('分類最多只能有 4 層')
+    expect(deps.tagStorageAdapter.moveTagCategory).not.toHaveBeenCalled()
+
+    drag(categoryRow('col'), categoryRow('theme'))
+    await new Promise(resolve => setTimeout(resolve, 0))
+
+    expect(deps.tagStorageAdapter.moveTagCategory).toHaveBeenCalledWith('col', 'theme')
+    expect(deps.onApplied).toHaveBeenCalledWith({ booksChanged: false })
+    expect(document.querySelector('.tag-tree-error')).toBeNull()
+
+    deps.tagStorageAdapter.moveTagCategory.mockResolvedValueOnce({ success: false, error: 'duplicate_name' })
+    drag(categoryRow('col'), byId('tagTreeRootDrop'))
+    await new Promise(resolve => setTimeout(resolve, 0))
+
+    expect(deps.tagStorageAdapter.moveTagCategory).toHaveBeenLastCalledWith('col', null)
+    expect(categoryRow('col').querySelector('.tag-tree-error').textContent).toBe('同一層已有相同名稱')
+  })
+
+  test('拖曳標籤到分類列時移入該分類；目標已有同名標籤時拒絕', async () => {
+    const manager = create()
+    manager.toggleCategory('theme')
+    manager.toggleCategory('lit')
+
+    data.tags.push({ id: 'sf2', name: 'sf', categoryId: 'rare' })
+    expect(await manager.moveTags(['sf'], 'rare')).toBe(false)
+    expect(tagRow('sf').querySelector('.tag-tree-error').textContent).toBe('同一層已有相同名稱')
+
+    tagRow('scifi').dispatchEvent(new Event('dragstart', { bubbles: true }))
+    categoryRow('col').dispatchEvent(new Event('drop', { bubbles: true, cancelable: true }))
+    await new Promise(resolve => setTimeout(resolve, 0))
+
+    expect(deps.tagStorageAdapter.batchMoveTags).toHaveBeenCalledWith(['scifi'], 'col')
+  })
+
+  test('雙擊名稱行內改名：Enter 送出、Esc 取消；adapter 錯誤顯示於該列', async () => {
+    create()
+    const nameOf = id => categoryRow(id).querySelector('.tag-tree-name')
+
+    nameOf('col').dispatchEvent(new MouseEvent('dblclick', { bubbles: true }))
+    let input = categoryRow('col').querySelector('.tag-tree-rename-input')
+    expect(input.value).toBe('收藏')
+    input.value = '藏書'
+    input.dispatchEvent(new KeyboardEvent('keydown', { key: 'Escape', bubbles: true }))
+    expect(nameOf('col').textContent).toBe('收藏')
+    expect(deps.tagStorageAdapter.renameTagCategory).not.toHaveBeenCalled()
+
+    deps.tagStorageAdapter.renameTagCategory.mockResolvedValueOnce({ success: false, error: 'duplicate_name' })
+    categoryRow('col').querySelector('.tag-tree-rename').click()
+    input = categoryRow('col').querySelector('.tag-tree-rename-input')
+    input.value = ' 主題 '
+    input.dispatchEvent(new KeyboardEvent('keydown', { key: 'Enter', bubbles: true }))
+    await new Promise(resolve => setTimeout(resolve, 0))
+
+    expect(deps.tagStorageAdapter.renameTagCategory).toHaveBeenCalledWith('col', '主題')
+    expect(categoryRow('col').querySelector('.tag-tree-error').textContent).toBe('同一層已有相同名稱')
+  })
+
+  test('變更顏色寫入分類；新增子分類後展開父分類', async () => {
+    const manager = create()
+
+    const color = categoryRow('col').querySelector('.tag-tree-color')
+    color.value = '#ff0000'
+    color.dispatchEvent(new Event('change', { bubbles: true }))
+    await new Promise(resolve => setTimeout(resolve, 0))
+    expect(deps.tagStorageAdapter.updateTagCategory).toHaveBeenCalledWith('col', { color: '#ff0000' })
+
+    expect(await manager.addCategory('col')).toBe(true)
+    expect(deps.tagStorageAdapter.createTagCategory).toHaveBeenCalledWith({ name: '新分類', parentId: 'col' })
+    expect(visibleNames()).toEqual(['主題', '收藏', '珍本', '新分類'])
+
+    expect(await manager.addCategory('short')).toBe(false)
+    expect(categoryRow('short')).toBeNull()
+    expect(deps.tagStorageAdapter.createTagCategory).toHaveBeenCalledTimes(1)
+  })
+
+  test('有子分類的分類確認後整個子樹刪除', async () => {
+    const manager = create()
+
+    expect(await manager.deleteCategory('col')).toBe(true)
+
+    expect(deps.confirm).toHaveBeenCalledWith(TAG_MANAGER_DISPLAY.CONFIRM_DELETE_SUBTREE('收藏'))
+    expect(deps.tagStorageAdapter.deleteTagCategory).toHaveBeenCalledWith('col', { cascadeSubtree: true })
+    expect(deps.onApplied).toHaveBeenCalledWith({ booksChanged: true })
+  })
+
+  test('勾選標籤後合併至目標標籤並重新讀取書籍；批次刪除', async () => {
+    const manager = create()
+    manager.toggleCategory('theme')
+    manager.toggleCategory('lit')
+
+    const select = tagRow('sf').querySelector('.tag-tree-select')
+    select.checked = true
+    select.dispatchEvent(new Event('change', { bubbles: true }))
+
+    expect(byId('tagBatchActions').hidden).toBe(false)
+    expect(byId('tagSelectionCount').textContent).toBe('已選取 1 個標籤')
+    expect([...byId('tagMergeTargetSelect').options].map(option => option.value)).toEqual(['', 'scifi', 'first'])
+
+    byId('tagMergeTargetSelect').value = 'scifi'
+    byId('tagMergeBtn').click()
+    await new Promise(resolve => setTimeout(resolve, 0))
+
+    expect(deps.tagStorageAdapter.mergeTags).toHaveBeenCalledWith(['sf'], 'scifi')
+    expect(deps.onApplied).toHaveBeenCalledWith({ booksChanged: true })
+    expect(byId('tagManagerMessage').textContent).toBe('已合併 1 個標籤，更新 2 本書')
+    expect(byId('tagBatchActions').hidden).toBe(true)
+
+    manager.setTagSelected('first', true)
+    expect(await manager.deleteSelected()).toBe(true)
+    expect(deps.tagStorageAdapter.batchDeleteTags).toHaveBeenCalledWith(['first'])
+    expect(byId('tagManagerMessage').textContent).toBe('已刪除 1 個標籤')
+  })
+})
+
+describe('OverviewPageController 標籤管理整合', () => {
+  beforeEach(() => {
+    document.body.innerHTML = PANEL_HTML
+    const { OverviewPageController } = require('src/overview/overview-page-controller')
+    // eslint-disable-next-line no-new
+    new OverviewPageController({ on: jest.fn(), emit: jest.fn() }, document)
+  })
+
+  afterEach(() => {
+    document.body.innerHTML = ''
+    chrome.storage.onChanged.clearListeners()
+  })
+
+  test('按鈕開合面板；其他頁面變動標籤時重新渲染分類樹', () => {
+    byId('tagManagerBtn').click()
+
+    expect(byId('tagManagerPanel').hidden).toBe(false)
+    expect(byId('tagTree').textContent).toBe(TAG_MANAGER_DISPLAY.EMPTY)
+
+    const { categories, tags } = createData()
+    chrome.storage.onChanged.callListeners({ tag_categories: { newValue: categories }, tags: { newValue: tags } }, 'local')
+
+    expect(visibleNames()).toEqual(['主題', '收藏'])
+  })
+})
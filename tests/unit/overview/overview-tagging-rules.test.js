@@ -0,0 +1,207 @@
+/**
+ * OverviewTaggingRules 測試
+ *
+ * 測試範圍：
+ * - 依賴驗證
+ * - 開啟面板時讀取規則並顯示條件摘要與目標標籤
+ * - 條件編輯器：新增條件、選擇目標標籤後儲存；adapter 錯誤碼顯示於訊息列
+ * - 啟用切換、刪除確認
+ * - 預覽單條規則會變動的書，套用後通知控制器重新讀取書籍
+ */
+
+const { createOverviewTaggingRules, TAGGING_RULES_DISPLAY } = require('src/overview/overview-tagging-rules')
+
+const PANEL_HTML = `
+  <button id="taggingRulesBtn" aria-expanded="false">自動標籤規則</button>
+  <section id="taggingRulesPanel" hidden>
+    <button id="taggingRulesAddBtn">新增規則</button>
+    <button id="taggingRulesPreviewBtn">預覽</button>
+    <ul id="taggingRuleList"></ul>
+    <div id="taggingRuleEditor" hidden></div>
+    <div id="taggingRulesPreview" hidden></div>
+    <span id="taggingRulesMessage"></span>
+  </section>`
+
+const ELEMENT_IDS = ['taggingRulesBtn', 'taggingRulesPanel', 'taggingRulesAddBtn', 'taggingRulesPreviewBtn', 'taggingRuleList', 'taggingRuleEditor', 'taggingRulesPreview', 'taggingRulesMessage']
+
+const byId = id => document.getElementById(id)
+const flush = () => new Promise(resolve => setTimeout(resolve, 0))
+
+function setValue (element, value, type = 'input') {
+  element.value = value
+  element.dispatchEvent(new Event(type, { bubbles: true }))
+}
+
+function createRules () {
+  return [{
+    id: 'rule-comic',
+    name: '漫畫',
+    enabled: true,
+    match: 'any',
+    conditions: [
+      { field: 'title', operator: 'contains', value: '漫畫' },
+      { field: 'publisher', operator: 'equals', value: '東立出版社' }
+    ],
+    tagIds: ['t-comic', 't-gone']
+  }]
+}
+
+function createAdapter (rules) {
+  return {
+    getAllTaggingRules: jest.fn(async () => rules),
+    saveTaggingRule: jest.fn(async input => ({ ...input, id: input.id || 'rule-new' })),
+    deleteTaggingRule: jest.fn(async () => ({ success: true })),
+    previewTaggingRules: jest.fn(async () => ({
+      success: true,
+      rules: [{ ruleId: 'rule-comic', name: '漫畫', bookIds: ['b1', 'b2'] }],
+      affected: 2
+    })),
+    runTaggingRules: jest.fn(async () => ({ success: true, affected: 2, missing: 0 }))
+  }
+}
+
+describe('createOverviewTaggingRules', () => {
+  let deps
+
+  async function create (overrides = {}) {
+    document.body.innerHTML = PANEL_HTML
+    deps = {
+      document,
+      elements: Object.fromEntries(ELEMENT_IDS.map(id => [id, byId(id)])),
+      tagStorageAdapter: createAdapter(createRules()),
+      getTags: () => [
+        { id: 't-comic', name: '漫畫', categoryId: 'c1' },
+        { id: 't-tongli', name: '東立', categoryId: 'c1' }
+      ],
+      getCategories: () => [{ id: 'c1', name: '類型' }],
+      getBooks: () => [{ id: 'b1', title: '海賊王 1' }, { id: 'b2', title: '漫畫原理' }],
+      onApplied: jest.fn(),
+      confirm: jest.fn(() => true),
+      ...overrides
+    }
+    const panel = createOverviewTaggingRules(deps)
+    panel.bind()
+    await panel.toggle(true)
+    return panel
+  }
+
+  afterEach(() => {
+    document.body.innerHTML = ''
+  })
+
+  test('缺少依賴時拋出 TypeError', () => {
+    expect(() => createOverviewTaggingRules()).toThrow(TypeError)
+    expect(() => createOverviewTaggingRules({ document, elements: {}, tagStorageAdapter: {} })).toThrow(TypeError)
+  })
+
+  test('開啟面板時讀取規則並顯示條件摘要與仍存在的目標標籤', async () => {
+    await create()
+
+    expect(deps.tagStorageAdapter.getAllTaggingRules).toHaveBeenCalled()
+    expect(byId('taggingRulesBtn').getAttribute('aria-expanded')).toBe('true')
+    const summary = document.querySelector('[data-rule-id="rule-comic"] .tagging-rule-summary').textContent
+    expect(summary).toBe(TAGGING_RULES_DISPLAY.SUMMARY(
+      [
+        TAGGING_RULES_DISPLAY.CONDITION(TAGGING_RULES_DISPLAY.FIELD('title'), TAGGING_RULES_DISPLAY.OPERATOR('contains'), '漫畫'),
+        TAGGING_RULES_DISPLAY.CONDITION(TAGGING_RULES_DISPLAY.FIELD('publisher'), TAGGING_RULES_DISPLAY.OPERATOR('equals'), '東立出版社')
+      ].join(TAGGING_RULES_DISPLAY.JOIN('any')),
+      '漫畫'
+    ))
+  })
+
+  test('新增規則：填寫條件與目標標籤後儲存並關閉編輯器', async () => {
+    await create()
+    byId('taggingRulesAddBtn').click()
+    const editor = byId('taggingRuleEditor')
+    expect(editor.hidden).toBe(false)
+
+    setValue(editor.querySelector('.tagging-rule-name-input'), 'Vol.')
+    editor.querySelector('.tagging-rule-add-condition').click()
+    const rows = editor.querySelectorAll('.tagging-rule-condition')
+    expect(rows).toHaveLength(2)
+    setValue(rows[0].querySelector('.tagging-rule-operator'), 'regex', 'change')
+    setValue(rows[0].querySelector('.tagging-rule-value'), 'vol\\.\\s*\\d+')
+    setValue(rows[1].querySelector('.tagging-rule-field'), 'publisher', 'change')
+    setValue(rows[1].querySelector('.tagging-rule-value'), '東立')
+    const tags = editor.querySelector('.tagging-rule-tags')
+    tags.querySelector('option[value="t-tongli"]').selected = true
+    tags.dispatchEvent(new Event('change', { bubbles: true }))
+
+    editor.querySelector('.tagging-rule-save').click()
+    await flush()
+
+    expect(deps.tagStorageAdapter.saveTaggingRule).toHaveBeenCalledWith({
+      name: 'Vol.',
+      enabled: true,
+      match: 'all',
+      conditions: [
+        { field: 'title', operator: 'regex', value: 'vol\\.\\s*\\d+' },
+        { field: 'publisher', operator: 'contains', value: '東立' }
+      ],
+      tagIds: ['t-tongli']
+    })
+    expect(editor.hidden).toBe(true)
+    expect(byId('taggingRulesMessage').textContent).toBe(TAGGING_RULES_DISPLAY.SAVED)
+  })
+
+  test('儲存失敗時保留編輯內容並顯示錯誤碼對應訊息', async () => {
+    const panel = await create()
+    deps.tagStorageAdapter.saveTaggingRule.mockResolvedValue({ success: false, error: 'invalid_pattern' })
+    panel.startEdit('rule-comic')
+
+    expect(await panel.saveDraft()).toBe(false)
+    expect(byId('taggingRuleEditor').hidden).toBe(false)
+    expect(byId('taggingRuleEditor').querySelector('.tagging-rule-name-input').value).toBe('漫畫')
+    expect(byId('taggingRulesMessage').textContent).toBe('正規表示式語法錯誤')
+  })
+
+  test('取消勾選啟用時以 enabled: false 儲存規則', async () => {
+    await create()
+    const checkbox = document.querySelector('[data-rule-id="rule-comic"] .tagging-rule-enabled')
+    checkbox.checked = false
+    checkbox.dispatchEvent(new Event('change', { bubbles: true }))
+    await flush()
+
+    expect(deps.tagStorageAdapter.saveTaggingRule).toHaveBeenCalledWith(expect.objectContaining({ id: 'rule-comic', enabled: false }))
+  })
+
+  test('刪除前確認；取消時不刪除', async () => {
+    const panel = await create()
+    deps.confirm.mockReturnValueOnce(false)
+
+    expect(await panel.deleteRule('rule-comic')).toBe(false)
+    expect(deps.tagStorageAdapter.deleteTaggingRule).not.toHaveBeenCalled()
+    expect(await panel.deleteRule('rule-comic')).toBe(true)
+    expect(deps.tagStorageAdapter.deleteTaggingRule).toHaveBeenCalledWith('rule-comic')
+  })
+
+  test('預覽單條規則列出書名，套用後通知控制器重新讀取書籍', async () => {
+    await create()
+    document.querySelector('[data-rule-id="rule-comic"] .tagging-rule-preview').click()
+    await flush()
+
+    const preview = byId('taggingRulesPreview')
+    expect(deps.tagStorageAdapter.previewTaggingRules).toHaveBeenCalledWith(['rule-comic'])
+    expect(preview.hidden).toBe(false)
+    expect([...preview.querySelectorAll('.tagging-rules-preview-books li')].map(li => li.textContent))
+      .toEqual(['海賊王 1', '漫畫原理'])
+
+    preview.querySelector('.tagging-rules-apply').click()
+    await flush()
+
+    expect(deps.tagStorageAdapter.runTaggingRules).toHaveBeenCalledWith(['rule-comic'])
+    expect(deps.onApplied).toHaveBeenCalledWith({ booksChanged: true })
+    expect(preview.hidden).toBe(true)
+    expect(byId('taggingRulesMessage').textContent).toBe(TAGGING_RULES_DISPLAY.APPLIED(2))
+  })
+
+  test('沒有書會變動時預覽顯示提示且無套用按鈕', async () => {
+    const panel = await create()
+    deps.tagStorageAdapter.previewTaggingRules.mockResolvedValue({ success: true, rules: [], affected: 0 })
+
+    await panel.showPreview()
+
+    expect(byId('taggingRulesPreview').textContent).toBe(TAGGING_RULES_DISPLAY.PREVIEW_EMPTY)
+    expect(byId('taggingRulesPreview').querySelector('.tagging-rules-apply')).toBeNull()
+  })
+})
@@ -0,0 +1,199 @@
+/**
+ * OverviewWorkLinks 測試
+ *
+ * 測試範圍：
+ * - 依賴驗證
+ * - 候選清單（信心分數、書城）與連結 / 略過 / 取消連結
+ * - 合併顯示與展開版本、代表書籍 id 展開
+ * - OverviewPageController 整合：清單與搜尋只出現一次、批次編輯作用於所有版本、JSON 匯出展開版本並帶 works
+ */
+
+const { createOverviewWorkLinks } = require('src/overview/overview-work-links')
+
+const PANEL_HTML = `
+  <button id="duplicateReviewBtn" aria-expanded="false">重複書籍</button>
+  <input type="checkbox" id="expandEditionsToggle">
+  <section id="duplicateReviewPanel" hidden>
+    <ul id="duplicateCandidateList"></ul>
+    <ul id="linkedWorkList"></ul>
+    <span id="duplicateReviewMessage"></span>
+  </section>`
+
+const ELEMENT_IDS = ['duplicateReviewBtn', 'expandEditionsToggle', 'duplicateReviewPanel', 'duplicateCandidateList', 'linkedWorkList', 'duplicateReviewMessage']
+
+const BOOKS = [
+  { id: 'rm1', title: '三體', authors: ['劉慈欣'], source: 'readmoo', tags: ['readmoo'], progress: 40, readingStatus: 'reading' },
+  { id: 'bk1', title: '三體', authors: ['劉慈欣'], source: 'books-com-tw', tags: ['books-com-tw'], progress: 0, readingStatus: 'unread' },
+  { id: 'x1', title: '沙丘', authors: ['赫伯特'], source: 'readmoo', tags: ['readmoo'], progress: 80, readingStatus: 'reading' }
+]
+
+const WORK = { id: 'w1', bookIds: ['rm1', 'bk1'], primaryBookId: 'rm1' }
+
+const texts = selector => [...document.querySelectorAll(selector)].map(el => el.textContent)
+
+function createAdapter (state = {}) {
+  const adapter = {
+    works: state.works || [],
+    dismissed: state.dismissed || [],
+    getBookWorks: jest.fn(async () => adapter.works),
+    getDuplicateDismissals: jest.fn(async () => adapter.dismissed),
+    linkBooksAsWork: jest.fn(async (bookIds) => {
+      adapter.works = [{ id: 'w-new', bookIds, primaryBookId: bookIds[0] }]
+      return adapter.works[0]
+    }),
+    unlinkBookWork: jest.fn(async (workId) => {
+      adapter.works = adapter.works.filter(w => w.id !== workId)
+      return { success: true }
+    }),
+    dismissDuplicateCandidate: jest.fn(async (a, b) => {
+      adapter.dismissed = [[a, b].sort().join('|')]
+      return { success: true }
+    })
+  }
+  return adapter
+}
+
+describe('createOverviewWorkLinks', () => {
+  let deps
+  let workLinks
+
+  beforeEach(() => {
+    document.body.innerHTML = PANEL_HTML
+    deps = {
+      document,
+      elements: Object.fromEntries(ELEMENT_IDS.map(id => [id, document.getElementById(id)])),
+      tagStorageAdapter: createAdapter(),
+      getBooks: () => BOOKS,
+      onChange: jest.fn(),
+      confirm: jest.fn(() => true)
+    }
+    workLinks = createOverviewWorkLinks(deps)
+  })
+
+  afterEach(() => {
+    document.body.innerHTML = ''
+  })
+
+  test('缺少依賴時拋出 TypeError', () => {
+    let caught
+    try {
+      createOverviewWorkLinks({ ...deps, onChange: undefined })
+    } catch (error) {
+      caught = error
+    }
+    expect(caught).toBeInstanceOf(TypeError)
+    expect(caught.message).toContain('onChange')
+  })
+
+  test('載入後列出候選的信心分數與各版本書城，按鈕顯示候選數', async () => {
+    await workLinks.load()
+
+    expect(texts('.duplicate-confidence')).toEqual(['90%'])
+    expect(texts('.duplicate-candidate .duplicate-edition-source')).toEqual(['Readmoo 讀墨', '博客來電子書'])
+    expect(texts('#linkedWorkList .duplicate-empty')).toEqual(['尚未連結任何作品'])
+    expect(document.getElementById('duplicateReviewBtn').textContent).toBe('重複書籍（1）')
+  })
+
+  test('點選連結後候選移至已連結作品並通知重新篩選；取消連結需確認', async () => {
+    workLinks.bind()
+    await workLinks.load()
+    deps.onChange.mockClear()
+
+    await workLinks.link('bk1|rm1')
+
+    expect(deps.tagStorageAdapter.linkBooksAsWork).toHaveBeenCalledWith(['rm1', 'bk1'])
+    expect(texts('#duplicateCandidateList .duplicate-empty')).toEqual(['沒有待確認的重複書籍'])
+    expect(document.querySelectorAll('.linked-work .duplicate-edition')).toHaveLength(2)
+    expect(deps.onChange).toHaveBeenCalled()
+
+    deps.confirm.mockReturnValueOnce(false)
+    expect(await workLinks.unlink('w-new')).toBe(false)
+    expect(await workLinks.unlink('w-new')).toBe(true)
+    expect(texts('.duplicate-confidence')).toEqual(['90%'])
+  })
+
+  test('略過的配對不再列出', async () => {
+    await workLinks.load()
+
+    expect(await workLinks.dismiss('bk1|rm1')).toBe(true)
+
+    expect(deps.tagStorageAdapter.dismissDuplicateCandidate).toHaveBeenCalledWith('rm1', 'bk1')
+    expect(document.querySelector('.duplicate-candidate')).toBeNull()
+    expect(document.getElementById('duplicateReviewMessage').textContent).toBe('已略過此配對')
+  })
+
+  test('合併顯示與展開版本；代表書籍 id 展開為所有版本', () => {
+    workLinks.setWorks([WORK])
+
+    expect(workLinks.collapse(BOOKS).map(b => b.id)).toEqual(['rm1', 'x1'])
+    expect(workLinks.expandBookIds(['rm1', 'x1'])).toEqual(['rm1', 'bk1', 'x1'])
+    expect(workLinks.expandEditions(workLinks.collapse(BOOKS)).map(b => b.id)).toEqual(['rm1', 'bk1', 'x1'])
+
+    workLinks.setExpanded(true)
+
+    expect(document.getElementById('expandEditionsToggle').checked).toBe(true)
+    expect(workLinks.collapse(BOOKS)).toBe(BOOKS)
+    expect(workLinks.expandBookIds(['rm1'])).toEqual(['rm1'])
+  })
+})
+
+describe('OverviewPageController 作品連結整合', () => {
+  const TagStorageAdapter = require('src/storage/adapters/tag-storage-adapter')
+  const BookDataExporter = require('src/export/book-data-exporter')
+  let controller
+
+  beforeEach(async () => {
+    document.body.innerHTML = `${PANEL_HTML}
+      <input id="searchBox">
+      <select id="sortSelect"><option value="relevance"></option><option value="title"></option></select>
+      <table><tbody id="tableBody"></tbody></table>`
+    jest.spyOn(TagStorageAdapter, 'getBookWorks').mockResolvedValue([WORK])
+    jest.spyOn(TagStorageAdapter, 'getDuplicateDismissals').mockResolvedValue([])
+    const { OverviewPageController } = require('src/overview/overview-page-controller')
+    controller = new OverviewPageController({ on: jest.fn(), emit: jest.fn() }, document)
+    controller._updateBooksData(BOOKS)
+    await controller.loadBookWorks()
+  })
+
+  afterEach(() => {
+    document.body.innerHTML = ''
+    chrome.storage.onChanged.clearListeners()
+    jest.restoreAllMocks()
+  })
+
+  test('作品於清單與搜尋結果只出現一次，顯示版本數與合併進度；展開版本時分開顯示', () => {
+    expect(controller.filteredBooks.map(b => b.id)).toEqual(['rm1', 'x1'])
+    expect(texts('.edition-count-badge')).toEqual(['2 個版本'])
+    expect(controller.filteredBooks[0]).toMatchObject({ progress: 40, readingStatus: 'reading' })
+
+    controller.handleSearchInput('三體')
+    expect(controller.filteredBooks.map(b => b.id)).toEqual(['rm1'])
+
+    document.getElementById('expandEditionsToggle').click()
+    expect(controller.filteredBooks.map(b => b.id).sort()).toEqual(['bk1', 'rm1'])
+    expect(document.querySelector('.edition-count-badge')).toBeNull()
+  })
+
+  test('book_works 變動時重新合併', () => {
+    chrome.storage.onChanged.callListeners({ book_works: { newValue: [] } }, 'local')
+
+    expect(controller.filteredBooks.map(b => b.id)).toEqual(['rm1', 'bk1', 'x1'])
+  })
+
+  test('選取作品時批次編輯與 JSON 匯出涵蓋所有版本，匯出帶 works', async () => {
+    const bulkSpy = jest.spyOn(TagStorageAdapter, 'bulkSetReadingStatus').mockResolvedValue({ success: false, error: 'rollback' })
+    controller.handleRowCheckboxToggle('rm1')
+
+    await controller.bulkActions.execute('setStatus', 'finished')
+    expect(bulkSpy).toHaveBeenCalledWith(['rm1', 'bk1'], 'finished')
+
+    jest.spyOn(controller, '_triggerExportDownload').mockImplementation(() => {})
+    const exportSpy = jest.spyOn(BookDataExporter.prototype, 'exportToJSON')
+
+    controller.handleExportJSONv3()
+
+    const exported = JSON.parse(exportSpy.mock.results[0].value)
+    expect(exported.books.map(b => b.id)).toEqual(['rm1', 'bk1'])
+    expect(exported.works).toEqual([expect.objectContaining({ id: 'w1', bookIds: ['rm1', 'bk1'] })])
+  })
+})
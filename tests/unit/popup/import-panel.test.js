@@ -5,6 +5,7 @@
  * - N1：Happy Path — 點擊匯入 → 選檔 → executeImport → 顯示合併摘要
  * - N2：防舊蓋新 — STALE_DATA → confirm → skipStalenessCheck 重新匯入
  * - N3：防舊蓋新取消 — STALE_DATA → confirm 取消 → reset
+ * - N4：加密檔 — PASSPHRASE_REQUIRED → prompt → 帶 passphrase 重新匯入；密碼錯誤再次詢問、取消 reset
  * - E1：解析錯誤 — PARSE_ERROR → showError
  * - E2：未知格式 — UNKNOWN_FORMAT → showError
  * - E3：空書籍 — EMPTY_BOOKS → showError
@@ -26,7 +27,9 @@ jest.mock('src/import/json-importer', () => ({
     STALE_DATA: 'IMPORT_STALE_DATA',
     STORAGE_ERROR: 'IMPORT_STORAGE_ERROR',
     FILE_READ_ERROR: 'IMPORT_FILE_READ_ERROR',
-    EMPTY_BOOKS: 'IMPORT_EMPTY_BOOKS'
+    EMPTY_BOOKS: 'IMPORT_EMPTY_BOOKS',
+    PASSPHRASE_REQUIRED: 'IMPORT_PASSPHRASE_REQUIRED',
+    DECRYPT_FAILED: 'IMPORT_DECRYPT_FAILED'
   }
 }))
 
@@ -65,6 +68,7 @@ function createElements () {
 function createFakeFileReader (content) {
   const fr = {
     readAsText: jest.fn(),
+    readAsArrayBuffer: jest.fn(),
     onload: null,
     onerror: null,
     result: null
@@ -104,6 +108,7 @@ describe('ImportPanel', () => {
 
     executeImport.mockReset()
     window.confirm = jest.fn()
+    window.prompt = jest.fn()
   })
 
   describe('N1：Happy Path — 匯入成功顯示摘要', () => {
@@ -129,6 +134,22 @@ describe('ImportPanel', () => {
       expect(executeImport).toHaveBeenCalledWith(VALID_JSON)
       expect(elements.resultContainer.style.display).toBe('block')
     })
+
+    test('選擇 .zip 備份檔時以 ArrayBuffer 讀取並交給 executeImport', async () => {
+      const zipBytes = new ArrayBuffer(8)
+      fakeFileReader = createFakeFileReader(zipBytes)
+      executeImport.mockResolvedValue({ success: true, summary: { added: 2, updated: 0, unchanged: 0 } })
+
+      const file = new File([new Uint8Array(zipBytes)], 'books-backup.zip', { type: '' })
+      await panel.handleFileSelected({ target: { files: [file] } })
+      fakeFileReader._triggerLoad()
+
+      await new Promise(resolve => setTimeout(resolve, 0))
+
+      expect(fakeFileReader.readAsArrayBuffer).toHaveBeenCalledWith(file)
+      expect(fakeFileReader.readAsText).not.toHaveBeenCalled()
+      expect(executeImport).toHaveBeenCalledWith(zipBytes)
+    })
   })
 
   describe('N2：防舊蓋新 — 確認後重新匯入', () => {
@@ -185,6 +206,67 @@ describe('ImportPanel', () => {
     })
   })
 
+  describe('N4：加密檔 — 詢問同步密碼', () => {
+    const passphraseRequired = {
+      success: false,
+      error: { code: IMPORT_ERROR_CODES.PASSPHRASE_REQUIRED, message: '檔案已加密，請輸入同步密碼' }
+    }
+
+    async function selectFile () {
+      const file = new Blob([VALID_JSON], { type: 'application/json' })
+      await panel.handleFileSelected({ target: { files: [file] } })
+      fakeFileReader._triggerLoad()
+      await new Promise(resolve => setTimeout(resolve, 0))
+    }
+
+    test('輸入密碼後帶 passphrase 重新匯入並顯示摘要', async () => {
+      executeImport
+        .mockResolvedValueOnce(passphraseRequired)
+        .mockResolvedValueOnce({ success: true, summary: { added: 2, updated: 0, unchanged: 0 } })
+      window.prompt.mockReturnValue('K7QX2-M9FHT')
+
+      await selectFile()
+
+      expect(executeImport).toHaveBeenLastCalledWith(VALID_JSON, { passphrase: 'K7QX2-M9FHT' })
+      expect(elements.resultContainer.style.display).toBe('block')
+    })
+
+    test('密碼錯誤時再次詢問，取消則 reset 不顯示錯誤', async () => {
+      executeImport
+        .mockResolvedValueOnce(passphraseRequired)
+        .mockResolvedValueOnce({
+          success: false,
+          error: { code: IMPORT_ERROR_CODES.DECRYPT_FAILED, message: '同步密碼錯誤或檔案已損毀' }
+        })
+      window.prompt.mockReturnValueOnce('wrong').mockReturnValueOnce(null)
+
+      await selectFile()
+
+      expect(window.prompt).toHaveBeenCalledTimes(2)
+      expect(window.prompt.mock.calls[1][0]).toContain('密碼錯誤')
+      expect(executeImport).toHaveBeenCalledTimes(2)
+      expect(onErrorSpy).not.toHaveBeenCalled()
+      expect(elements.fileInput.value).toBe('')
+    })
+
+    test('解密後遇到防舊蓋新時，確認重新匯入沿用 passphrase', async () => {
+      executeImport
+        .mockResolvedValueOnce(passphraseRequired)
+        .mockResolvedValueOnce({
+          success: false,
+          error: { code: IMPORT_ERROR_CODES.STALE_DATA, message: '匯入檔案較舊' },
+          staleness: { isStale: true, exportedAt: '2026-06-20', lastImportedAt: '2026-06-21' }
+        })
+        .mockResolvedValueOnce({ success: true, summary: { added: 0, updated: 1, unchanged: 0 } })
+      window.prompt.mockReturnValue('K7QX2-M9FHT')
+      window.confirm.mockReturnValue(true)
+
+      await selectFile()
+
+      expect(executeImport).toHaveBeenLastCalledWith(VALID_JSON, { passphrase: 'K7QX2-M9FHT', skipStalenessCheck: true })
+    })
+  })
+
   describe('E1-E4：錯誤處理 — 顯示錯誤卡片', () => {
     const errorCases = [
       { code: IMPORT_ERROR_CODES.PARSE_ERROR, message: '檔案格式錯誤，無法解析 JSON' },
@@ -0,0 +1,68 @@
+/**
+ * popup 診斷訊息多語系測試
+ *
+ * 驗證 generateErrorDiagnostic 的詳細診斷文字依介面語言輸出，
+ * 而非固定為繁體中文（user-019）。
+ *
+ * @jest-environment jsdom
+ */
+
+const { createCompleteChromeAPIMock } = require('@tests/mocks/chrome-mock-factory')
+
+function loadPopup (locale) {
+  jest.isolateModules(() => {
+    require('src/core/i18n/ui-i18n').setLocale(locale)
+    require('src/popup/popup')
+  })
+}
+
+describe('popup 診斷訊息多語系', () => {
+  beforeEach(() => {
+    jest.useFakeTimers()
+    global.chrome = createCompleteChromeAPIMock()
+    document.body.innerHTML = '<div id="errorContainer"></div><span id="errorMessage"></span>'
+  })
+
+  afterEach(() => {
+    jest.useRealTimers()
+    jest.restoreAllMocks()
+  })
+
+  test('預設語系輸出繁體中文診斷與錯誤詳情', () => {
+    loadPopup('zh-tw')
+
+    const { diagnosticInfo } = window.generateErrorDiagnostic(new Error('Extension context invalidated.'))
+
+    expect(diagnosticInfo).toBe(
+      '詳細診斷:\n• 擴展上下文已失效\n• 請重新載入擴展頁面\n' +
+      '\n操作建議: 點擊瀏覽器右上角擴展圖示，選擇「重新載入」' +
+      '\n錯誤詳情: Extension context invalidated.'
+    )
+  })
+
+  test('英文介面輸出英文診斷文字', () => {
+    loadPopup('en-us')
+
+    const { userMessage, diagnosticInfo } = window.generateErrorDiagnostic(new Error('Could not establish connection. receiving end does not exist'))
+
+    expect(userMessage).toBe('The background service is not running')
+    expect(diagnosticInfo).toContain('Diagnostic details:\n• The Background Script is not loaded or has stopped\n')
+    expect(diagnosticInfo).toContain('\nError details: Could not establish connection. receiving end does not exist')
+    expect(diagnosticInfo).not.toMatch(/[一-鿿]/)
+  })
+
+  test('連線超時以錯誤碼判斷，不依賴訊息文字', async () => {
+    loadPopup('en-us')
+
+    const timeout = window.createBackgroundTimeoutPromise()
+    jest.advanceTimersByTime(2000)
+    const error = await timeout.catch(err => err)
+
+    expect(error.code).toBe('TIMEOUT_ERROR')
+    expect(window.generateErrorDiagnostic(error).userMessage).toBe('The background service is not responding')
+
+    const renamed = Object.assign(new Error('Background Service Worker timed out'), { code: error.code })
+    expect(window.generateErrorDiagnostic(renamed).userMessage).toBe('The background service is not responding')
+    expect(window.generateErrorDiagnostic(new Error('連線超時')).userMessage).toBe('Communication error')
+  })
+})
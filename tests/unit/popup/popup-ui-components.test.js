@@ -359,7 +359,7 @@ describe('Popup UI 組件測試 (TDD循環 #25)', () => {
       const statusText = document.getElementById('statusText')
       // eslint-disable-next-line no-unused-vars
       const statusInfo = document.getElementById('statusInfo')
-      expect(statusText.textContent).toBe('檢查狀態中...')
+      expect(statusText.textContent).toBe('正在檢查狀態...')
       expect(statusInfo.textContent).toBe('初始化中')
     })
 
@@ -424,5 +424,24 @@ describe('Popup UI 組件測試 (TDD循環 #25)', () => {
       expect(progressBar.hasAttribute('aria-valuemin')).toBe(true)
       expect(progressBar.hasAttribute('aria-valuemax')).toBe(true)
     })
+
+    test('狀態文字與 ARIA 標籤依介面語言輸出', () => {
+      const { setLocale, DEFAULT_LOCALE } = require('src/core/i18n/ui-i18n')
+      const { PopupUIComponents } = require('src/popup/popup-ui-components')
+      const uiComponents = new PopupUIComponents(document)
+
+      setLocale('en-us')
+      try {
+        uiComponents.setAccessibilityLabels()
+        uiComponents.resetAll()
+
+        expect(document.getElementById('progressBar').getAttribute('aria-label')).toBe('Extraction progress')
+        expect(document.getElementById('statusText').getAttribute('aria-label')).toBe('Current status')
+        expect(document.getElementById('statusText').textContent).not.toMatch(/[一-鿿]/)
+        expect(document.getElementById('statusInfo').textContent).not.toMatch(/[一-鿿]/)
+      } finally {
+        setLocale(DEFAULT_LOCALE)
+      }
+    })
   })
 })
@@ -8,6 +8,10 @@
  * - 場景 E7：書庫讀取失敗顯示錯誤 + Logger.error
  * - 場景 I1：使用者中途停止 → renderer.stop + UI 回初始狀態
  * - 場景 I2：循環播放完成 → 顯示重新播放提示
+ * - 增量同步：同步點寫入同步日誌、已確認且無變更時不輸出 QR
+ * - 加密同步：勾選加密時以自訂密碼或一次性配對碼加密，未勾選不帶 passphrase
+ * - 容錯傳輸：勾選時以噴泉碼 frame 編碼，設定記入 storage 並於下次開啟還原
+ * - 多語系：狀態訊息依介面語系輸出
  *
  * Mock 策略（Phase 2 測試設計）：Mock qr-encoder（encodeBookDataToQRFrames）
  * 與 SyncQRRenderer，隔離 encoder/renderer 內部行為，專注驗證 UI 互動與
@@ -21,16 +25,18 @@
 'use strict'
 
 jest.mock('src/sync/qr-encoder', () => ({
-  encodeBookDataToQRFrames: jest.fn()
+  encodeBookDataToQRFrames: jest.fn(),
+  FRAME_VERSIONS: jest.requireActual('src/sync/qr-frame-format').FRAME_VERSIONS
 }))
 
 jest.mock('src/popup/services/sync-qr-renderer', () => ({
   SyncQRRenderer: jest.fn()
 }))
 
-const { SyncPanel } = require('src/popup/components/sync-panel')
-const { encodeBookDataToQRFrames } = require('src/sync/qr-encoder')
+const { SyncPanel, SYNC_SETTING_KEYS } = require('src/popup/components/sync-panel')
+const { encodeBookDataToQRFrames, FRAME_VERSIONS } = require('src/sync/qr-encoder')
 const { SyncQRRenderer } = require('src/popup/services/sync-qr-renderer')
+const { setLocale } = require('src/core/i18n/ui-i18n')
 
 function createElement () {
   return {
@@ -56,6 +62,11 @@ function mockStorageBooks (books) {
   chrome.storage.local.get = jest.fn(async () => ({ readmoo_books: { books } }))
 }
 
+function mockStorage (data) {
+  chrome.storage.local.get = jest.fn(async () => data)
+  chrome.storage.local.set = jest.fn(async () => {})
+}
+
 describe('SyncPanel', () => {
   let elements
   let panel
@@ -196,4 +207,170 @@ describe('SyncPanel', () => {
     resolveEncode({ frames: [{}], totalSize: 400, isStatic: true })
     await firstClick
   })
+
+  describe('增量同步', () => {
+    const syncedBook = { id: 'b1', title: '書1', updatedAt: '2026-10-01T00:00:00.000Z' }
+    const ackedJournal = {
+      devices: {
+        app_phone: {
+          lastSeenAt: '2026-10-03T00:00:00.000Z',
+          acknowledged: { syncId: 'sync_1', until: '2026-10-02T00:00:00.000Z', bookIds: ['b1'], tagIds: [], tagCategoryIds: [] }
+        }
+      },
+      pending: []
+    }
+
+    test('首次同步輸出全量信封並記錄待確認同步點與本機裝置 id', async () => {
+      mockStorage({ readmoo_books: { books: [syncedBook] } })
+      encodeBookDataToQRFrames.mockResolvedValue({ frames: [{}], totalSize: 400, isStatic: true })
+
+      await elements.syncButton.click()
+
+      const envelope = JSON.parse(encodeBookDataToQRFrames.mock.calls[0][0])
+      expect(envelope.format_version).toBe('3.0')
+      expect(envelope.sync_mode).toBe('full')
+
+      const saved = chrome.storage.local.set.mock.calls[0][0]
+      expect(saved.sync_device_id).toBe(envelope.sync_meta.source_device)
+      expect(saved.sync_journal.pending).toEqual([expect.objectContaining({ syncId: envelope.sync_meta.sync_id, bookIds: ['b1'] })])
+    })
+
+    test('已確認裝置：僅輸出基準點後的變更，狀態顯示變更筆數', async () => {
+      mockStorage({
+        readmoo_books: { books: [syncedBook, { id: 'b2', title: '書2', updatedAt: '2026-10-05T00:00:00.000Z' }] },
+        sync_device_id: 'ext_local',
+        sync_journal: ackedJournal
+      })
+      encodeBookDataToQRFrames.mockResolvedValue({ frames: [{}], totalSize: 400, isStatic: true })
+
+      await elements.syncButton.click()
+
+      const envelope = JSON.parse(encodeBookDataToQRFrames.mock.calls[0][0])
+      expect(envelope.sync_mode).toBe('delta')
+      expect(envelope.books.map(b => b.id)).toEqual(['b2'])
+      expect(envelope.sync_meta.source_device).toBe('ext_local')
+      expect(elements.syncStatus.textContent).toContain('1 筆變更')
+    })
+
+    test('已確認且無變更時提示並不啟動 renderer', async () => {
+      mockStorage({ readmoo_books: { books: [syncedBook] }, sync_journal: ackedJournal })
+
+      await elements.syncButton.click()
+
+      expect(encodeBookDataToQRFrames).not.toHaveBeenCalled()
+      expect(rendererInstance.start).not.toHaveBeenCalled()
+      expect(elements.syncStatus.textContent).toContain('沒有變更')
+    })
+  })
+
+  describe('加密同步', () => {
+    beforeEach(() => {
+      elements.encryptToggle = { checked: true }
+      elements.passphraseInput = { value: '' }
+      elements.pairingCode = createElement()
+      mockStorage({ readmoo_books: { books: [{ id: 'b1', title: '書1' }] } })
+      encodeBookDataToQRFrames.mockResolvedValue({ frames: [{}], totalSize: 400, isStatic: true, encrypted: true })
+    })
+
+    test('未輸入密碼時產生一次性配對碼並顯示', async () => {
+      await elements.syncButton.click()
+
+      const { passphrase } = encodeBookDataToQRFrames.mock.calls[0][1]
+      expect(passphrase).toMatch(/^[2-9A-Z]{5}-[2-9A-Z]{5}$/)
+      expect(elements.pairingCode.textContent).toBe('配對碼：' + passphrase)
+      expect(elements.syncStatus.textContent).toContain('已加密')
+    })
+
+    test('輸入自訂密碼時以該密碼加密且不顯示配對碼', async () => {
+      elements.passphraseInput.value = '  我的同步密碼  '
+
+      await elements.syncButton.click()
+
+      expect(encodeBookDataToQRFrames.mock.calls[0][1]).toEqual({ frameVersion: FRAME_VERSIONS.SEQUENTIAL, passphrase: '我的同步密碼' })
+      expect(elements.pairingCode.textContent).toBe('')
+    })
+
+    test('未勾選加密時不帶 passphrase，停止後清除配對碼', async () => {
+      elements.encryptToggle.checked = false
+
+      await elements.syncButton.click()
+      expect(encodeBookDataToQRFrames.mock.calls[0][1]).toEqual({ frameVersion: FRAME_VERSIONS.SEQUENTIAL })
+
+      elements.encryptToggle.checked = true
+      await elements.syncButton.click()
+      expect(elements.pairingCode.textContent).toContain('配對碼')
+
+      panel.stopSync()
+      expect(elements.pairingCode.textContent).toBe('')
+    })
+  })
+
+  describe('容錯傳輸（噴泉碼 frame）', () => {
+    beforeEach(() => {
+      mockStorage({ readmoo_books: { books: [{ id: 'b1', title: '書1' }] } })
+      encodeBookDataToQRFrames.mockResolvedValue({ frames: [{}, {}], totalSize: 2000, isStatic: false })
+    })
+
+    test('勾選時以 FOUNTAIN 編碼，取消勾選回到循序 frame', async () => {
+      elements.fountainToggle = { checked: true }
+
+      await elements.syncButton.click()
+      expect(encodeBookDataToQRFrames.mock.calls[0][1].frameVersion).toBe(FRAME_VERSIONS.FOUNTAIN)
+
+      elements.fountainToggle.checked = false
+      await elements.syncButton.click()
+      expect(encodeBookDataToQRFrames.mock.calls[1][1].frameVersion).toBe(FRAME_VERSIONS.SEQUENTIAL)
+    })
+
+    test('無勾選框時依已儲存的設定', async () => {
+      mockStorage({ readmoo_books: { books: [{ id: 'b1', title: '書1' }] }, [SYNC_SETTING_KEYS.FOUNTAIN_FRAMES]: true })
+
+      await elements.syncButton.click()
+
+      expect(encodeBookDataToQRFrames.mock.calls[0][1].frameVersion).toBe(FRAME_VERSIONS.FOUNTAIN)
+    })
+
+    test('初始化時還原勾選狀態，變更時寫入設定', async () => {
+      mockStorage({ [SYNC_SETTING_KEYS.FOUNTAIN_FRAMES]: true })
+      const fountainToggle = { ...createElement(), checked: false }
+      const restored = new SyncPanel({ ...createElements(), fountainToggle })
+      await restored.initialize()
+
+      expect(fountainToggle.checked).toBe(true)
+
+      fountainToggle.checked = false
+      await fountainToggle._handlers.change()
+      expect(chrome.storage.local.set).toHaveBeenCalledWith({ [SYNC_SETTING_KEYS.FOUNTAIN_FRAMES]: false })
+    })
+  })
+
+  describe('多語系', () => {
+    afterEach(() => {
+      setLocale('zh-tw')
+    })
+
+    test('英文介面時增量同步、加密與配對碼訊息皆為英文', async () => {
+      setLocale('en-us')
+      elements.encryptToggle = { checked: true }
+      elements.passphraseInput = { value: '' }
+      elements.pairingCode = createElement()
+      mockStorage({
+        readmoo_books: { books: [{ id: 'b1', title: '書1', updatedAt: '2026-10-05T00:00:00.000Z' }] },
+        sync_journal: {
+          devices: { app_phone: { acknowledged: { syncId: 'sync_1', until: '2026-10-02T00:00:00.000Z', bookIds: [], tagIds: [], tagCategoryIds: [] } } },
+          pending: []
+        }
+      })
+      encodeBookDataToQRFrames.mockResolvedValue({ frames: [{}, {}], totalSize: 2000, isStatic: false, encrypted: true })
+
+      await elements.syncButton.click()
+
+      const { passphrase } = encodeBookDataToQRFrames.mock.calls[0][1]
+      expect(elements.syncStatus.textContent).toBe('Delta sync of 1 change. 2 frames. Scan them with the App. (encrypted)')
+      expect(elements.pairingCode.textContent).toBe('Pairing code: ' + passphrase)
+
+      capturedOnComplete()
+      expect(elements.syncStatus.textContent).toBe('Playback finished. Play again if the App missed any frames.')
+    })
+  })
 })
@@ -0,0 +1,54 @@
+/**
+ * subset-pdf-font.js 單元測試
+ *
+ * 涵蓋：
+ * 1. buildPdfFontCharset：含英數、假名與 Big5 常用字，不含常用字外的 CJK 字元
+ * 2. buildSubsetFont：重新編號後的字型可再被 TrueTypeFont 解析，字元對應的外框與寬度不變
+ *
+ * 以打包的子集字型作為輸入（完整字型不隨 repo 提供），再取更小的子集驗證。
+ */
+
+'use strict'
+
+const fs = require('fs')
+const path = require('path')
+
+const { buildPdfFontCharset, buildSubsetFont } = require('../../../scripts/subset-pdf-font')
+const { TrueTypeFont } = require('src/export/truetype-font')
+const { DEFAULT_PDF_FONT_PATH } = require('src/export/pdf-default-font')
+
+const source = new TrueTypeFont(fs.readFileSync(path.resolve(__dirname, '../../..', DEFAULT_PDF_FONT_PATH)))
+
+describe('subset-pdf-font', () => {
+  test('buildPdfFontCharset 涵蓋英數、假名與 Big5 常用字', () => {
+    const charset = new Set(buildPdfFontCharset())
+
+    for (const char of 'Az09あア，書讀籍龜ㄅ') {
+      expect(charset.has(char.codePointAt(0))).toBe(true)
+    }
+    expect(charset.has(0x3400)).toBe(false)
+    expect(charset.size).toBeGreaterThan(5401)
+  })
+
+  test('buildSubsetFont 重新編號 glyph 並保留外框、寬度與字型名稱', () => {
+    const text = 'AB 書籍あ'
+    const codePoints = [...new Set([...text].map(char => char.codePointAt(0)))].sort((a, b) => a - b)
+
+    const { bytes, glyphCount, missing } = buildSubsetFont(source, [...codePoints, 0x3400])
+    const subset = new TrueTypeFont(bytes)
+
+    expect(missing).toEqual([0x3400])
+    expect(glyphCount).toBe(subset.numGlyphs)
+    expect(subset.numGlyphs).toBeLessThanOrEqual(codePoints.length + 1)
+    expect(subset.postScriptName).toBe(source.postScriptName)
+    for (const cp of codePoints) {
+      const from = source.glyphIdForCodePoint(cp)
+      const to = subset.glyphIdForCodePoint(cp)
+      expect(to).toBeGreaterThan(0)
+      expect(subset.advanceWidth(to)).toBe(source.advanceWidth(from))
+      const outline = source.glyphData(from)
+      expect(Array.from(subset.glyphData(to).subarray(0, outline.length))).toEqual(Array.from(outline))
+    }
+    expect(subset.glyphIdForCodePoint(0x3400)).toBe(0)
+  })
+})
@@ -0,0 +1,132 @@
+/**
+ * IndexedDBBookStore 測試
+ *
+ * 測試範圍：
+ * - 逐筆讀寫：putBooks / getBook / getAllBooks / countBooks / deleteBooks
+ * - 次要索引：source、readingStatus、tagIds（multiEntry）
+ * - 批次寫入原子性：單筆失敗整批 abort、缺 id 拒寫
+ * - replaceAllBooks 清空與寫入同一 transaction
+ * - applyBookChanges 寫入與刪除同一 transaction
+ * - importLegacyBooks 依遷移標記冪等
+ * - addMissingBooks 只補入不存在的 id
+ *
+ * Mock 策略：以 tests/helpers/in-memory-indexeddb 取代瀏覽器 IndexedDB（jsdom 未實作）。
+ */
+
+'use strict'
+
+const { IndexedDBBookStore, BOOK_INDEXES } = require('src/storage/adapters/indexeddb-book-store')
+const { ErrorCodes } = require('src/core/errors/ErrorCodes')
+const { createInMemoryIndexedDB } = require('@tests/helpers/in-memory-indexeddb')
+
+const books = [
+  { id: 'b1', title: '三體', source: 'readmoo', readingStatus: 'finished', tagIds: ['t1', 't2'] },
+  { id: 'b2', title: '原子習慣', source: 'books-com-tw', readingStatus: 'reading', tagIds: ['t2'] },
+  { id: 'b3', title: '人類大歷史', source: 'readmoo', readingStatus: 'reading', tagIds: [] }
+]
+
+async function captureError (promise) {
+  try {
+    await promise
+  } catch (error) {
+    return error
+  }
+  return null
+}
+
+describe('IndexedDBBookStore', () => {
+  let idb
+  let store
+
+  beforeEach(async () => {
+    idb = createInMemoryIndexedDB()
+    store = new IndexedDBBookStore({ indexedDB: idb })
+    await store.putBooks(books)
+  })
+
+  test('isSupported 依 factory 是否提供 open 判斷', () => {
+    expect(IndexedDBBookStore.isSupported(idb)).toBe(true)
+    expect(IndexedDBBookStore.isSupported(null)).toBe(false)
+  })
+
+  test('逐筆讀寫與刪除', async () => {
+    expect(await store.getBook('b2')).toEqual(books[1])
+    expect(await store.getBook('missing')).toBeNull()
+    expect((await store.getAllBooks()).map(b => b.id)).toEqual(['b1', 'b2', 'b3'])
+
+    await store.putBooks([{ ...books[1], readingStatus: 'finished' }])
+    await store.deleteBooks(['b3', 'missing'])
+
+    expect((await store.getBook('b2')).readingStatus).toBe('finished')
+    expect(await store.countBooks()).toBe(2)
+  })
+
+  test('以 source / readingStatus / tagIds 索引查詢', async () => {
+    const ids = async (index, value) => (await store.getBooksByIndex(index, value)).map(b => b.id)
+
+    expect(await ids(BOOK_INDEXES.SOURCE, 'readmoo')).toEqual(['b1', 'b3'])
+    expect(await ids(BOOK_INDEXES.READING_STATUS, 'reading')).toEqual(['b2', 'b3'])
+    expect(await ids(BOOK_INDEXES.TAG_IDS, 't2')).toEqual(['b1', 'b2'])
+
+    const error = await captureError(store.getBooksByIndex('title', '三體'))
+    expect(error.message).toContain('未知的書籍索引')
+  })
+
+  test('批次寫入任一筆失敗時整批不寫入', async () => {
+    idb.failPut = (book) => book.id === 'b5'
+
+    const error = await captureError(store.putBooks([
+      { id: 'b4', title: '新書' },
+      { id: 'b5', title: '失敗書' }
+    ]))
+
+    expect(error.code).toBe(ErrorCodes.STORAGE_ERROR)
+    expect(await store.getBook('b4')).toBeNull()
+    expect(await store.countBooks()).toBe(3)
+  })
+
+  test('缺 id 的書使整批拒寫', async () => {
+    const error = await captureError(store.putBooks([{ id: 'b4' }, { title: '無 id' }]))
+
+    expect(error.message).toContain('缺少有效 id')
+    expect(await store.getBook('b4')).toBeNull()
+  })
+
+  test('replaceAllBooks 失敗時保留原書庫', async () => {
+    idb.failPut = (book) => book.id === 'x2'
+    await captureError(store.replaceAllBooks([{ id: 'x1' }, { id: 'x2' }]))
+    expect(await store.countBooks()).toBe(3)
+
+    idb.failPut = null
+    await store.replaceAllBooks([{ id: 'x1' }])
+    expect((await store.getAllBooks()).map(b => b.id)).toEqual(['x1'])
+  })
+
+  test('applyBookChanges 寫入與刪除同一 transaction，失敗時皆不生效', async () => {
+    idb.failPut = (book) => book.id === 'x1'
+    await captureError(store.applyBookChanges([{ id: 'x1' }], ['b1']))
+    expect((await store.getAllBooks()).map(b => b.id)).toEqual(['b1', 'b2', 'b3'])
+
+    idb.failPut = null
+    await store.applyBookChanges([{ id: 'b2', title: '改' }, { id: 'x1' }], ['b1', 'missing'])
+    expect((await store.getAllBooks()).map(b => b.id)).toEqual(['b2', 'b3', 'x1'])
+    expect((await store.getBook('b2')).title).toBe('改')
+  })
+
+  test('importLegacyBooks 只在遷移標記不存在時寫入', async () => {
+    const fresh = new IndexedDBBookStore({ indexedDB: createInMemoryIndexedDB() })
+
+    expect(await fresh.importLegacyBooks(books, 'legacy_migration', { bookCount: 3 })).toBe(true)
+    expect(await fresh.importLegacyBooks([{ id: 'other' }], 'legacy_migration', { bookCount: 1 })).toBe(false)
+
+    expect(await fresh.getMeta('legacy_migration')).toEqual({ bookCount: 3 })
+    expect((await fresh.getAllBooks()).map(b => b.id)).toEqual(['b1', 'b2', 'b3'])
+  })
+  test('addMissingBooks 只補入書庫沒有的 id，既有書保留原值', async () => {
+    expect(await store.addMissingBooks([{ id: 'b1', title: '舊版' }, { id: 'b4', title: '新書' }, { id: 'b4', title: '重複' }])).toBe(1)
+
+    expect((await store.getBook('b1')).title).toBe('三體')
+    expect(await store.getBook('b4')).toEqual({ id: 'b4', title: '新書' })
+    expect(await store.countBooks()).toBe(4)
+  })
+})
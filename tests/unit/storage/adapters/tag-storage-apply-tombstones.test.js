@@ -0,0 +1,124 @@
+/**
+ * tag-storage-adapter tombstone 套用測試（增量同步 format_version 3.0）
+ *
+ * 測試對象：
+ *   - computeTombstoneResult 純函式：書籍 LWW、tag cascade、category 參照保護
+ *   - applyTombstones 公開 API：原子寫回、無移除時不寫入
+ */
+
+const TagStorageAdapter = require('src/storage/adapters/tag-storage-adapter')
+
+const { STORAGE_KEYS, computeTombstoneResult } = TagStorageAdapter
+
+const DELETED_AT = '2026-10-10T00:00:00.000Z'
+
+function createStorageMock (initial) {
+  const store = JSON.parse(JSON.stringify(initial))
+  delete chrome.runtime.lastError
+  chrome.storage.local.get.mockImplementation((keys, callback) => {
+    const result = {}
+    const keyList = Array.isArray(keys) ? keys : [keys]
+    keyList.forEach(key => {
+      result[key] = store[key] !== undefined ? JSON.parse(JSON.stringify(store[key])) : undefined
+    })
+    callback(result)
+  })
+  chrome.storage.local.set.mockImplementation((items, callback) => {
+    Object.keys(items).forEach(key => { store[key] = JSON.parse(JSON.stringify(items[key])) })
+    if (callback) callback()
+  })
+  return store
+}
+
+describe('computeTombstoneResult', () => {
+  test('書籍 tombstone 較新時移除，本地刪除後仍有編輯則保留', () => {
+    const local = {
+      books: [
+        { id: 'b1', updatedAt: '2026-10-01T00:00:00.000Z' },
+        { id: 'b2', updatedAt: '2026-10-11T00:00:00.000Z' },
+        { id: 'b3' }
+      ]
+    }
+    const result = computeTombstoneResult(local, {
+      books: [{ id: 'b1', deletedAt: DELETED_AT }, { id: 'b2', deletedAt: DELETED_AT }, { id: 'b-missing', deletedAt: DELETED_AT }]
+    })
+
+    expect(result.books.map(b => b.id)).toEqual(['b2', 'b3'])
+    expect(result.removed.books).toBe(1)
+    expect(result.skipped.books).toBe(1)
+  })
+
+  test('刪除 tag 時自書籍 tagIds 移除引用，系統 tag 不刪', () => {
+    const local = {
+      books: [{ id: 'b1', tagIds: ['tag-a', 'tag-sys'] }],
+      tags: [{ id: 'tag-a', categoryId: 'cat-1' }, { id: 'tag-sys', categoryId: 'cat-1', isSystem: true }],
+      tagCategories: [{ id: 'cat-1' }]
+    }
+    const result = computeTombstoneResult(local, {
+      tags: [{ id: 'tag-a', deletedAt: DELETED_AT }, { id: 'tag-sys', deletedAt: DELETED_AT }]
+    })
+
+    expect(result.tags.map(t => t.id)).toEqual(['tag-sys'])
+    expect(result.books[0].tagIds).toEqual(['tag-sys'])
+    expect(result.removed.tags).toBe(1)
+    expect(result.skipped.tags).toBe(1)
+  })
+
+  test('category 仍被存活 tag / 子類參照時不刪；同批刪除子樹時由葉至根收斂', () => {
+    const local = {
+      tags: [{ id: 'tag-keep', categoryId: 'cat-used' }],
+      tagCategories: [
+        { id: 'cat-root' },
+        { id: 'cat-child', parentId: 'cat-root' },
+        { id: 'cat-used' }
+      ]
+    }
+    const result = computeTombstoneResult(local, {
+      tagCategories: [
+        { id: 'cat-root', deletedAt: DELETED_AT },
+        { id: 'cat-child', deletedAt: DELETED_AT },
+        { id: 'cat-used', deletedAt: DELETED_AT }
+      ]
+    })
+
+    expect(result.tagCategories.map(c => c.id)).toEqual(['cat-used'])
+    expect(result.removed.tagCategories).toBe(2)
+    expect(result.skipped.tagCategories).toBe(1)
+  })
+})
+
+describe('applyTombstones', () => {
+  test('原子寫回三 key 並回傳移除統計', async () => {
+    const store = createStorageMock({
+      [STORAGE_KEYS.READMOO_BOOKS]: { books: [{ id: 'b1', tagIds: ['tag-a'] }, { id: 'b2', tagIds: [] }] },
+      [STORAGE_KEYS.TAGS]: [{ id: 'tag-a', categoryId: 'cat-1' }],
+      [STORAGE_KEYS.TAG_CATEGORIES]: [{ id: 'cat-1' }]
+    })
+
+    const result = await TagStorageAdapter.applyTombstones({
+      books: [{ id: 'b2', deletedAt: DELETED_AT }],
+      tags: [{ id: 'tag-a', deletedAt: DELETED_AT }],
+      tagCategories: [{ id: 'cat-1', deletedAt: DELETED_AT }]
+    })
+
+    expect(result).toEqual({
+      success: true,
+      removed: { books: 1, tags: 1, tagCategories: 1 },
+      skipped: { books: 0, tags: 0, tagCategories: 0 }
+    })
+    expect(store[STORAGE_KEYS.READMOO_BOOKS]).toEqual({ books: [{ id: 'b1', tagIds: [] }] })
+    expect(store[STORAGE_KEYS.TAGS]).toEqual([])
+    expect(store[STORAGE_KEYS.TAG_CATEGORIES]).toEqual([])
+  })
+
+  test('tombstone 皆不存在於本地時不寫入', async () => {
+    createStorageMock({ [STORAGE_KEYS.READMOO_BOOKS]: [{ id: 'b1' }] })
+    chrome.storage.local.set.mockClear()
+
+    const result = await TagStorageAdapter.applyTombstones({ books: [{ id: 'b-missing', deletedAt: DELETED_AT }] })
+
+    expect(result.success).toBe(true)
+    expect(result.removed.books).toBe(0)
+    expect(chrome.storage.local.set).not.toHaveBeenCalled()
+  })
+})
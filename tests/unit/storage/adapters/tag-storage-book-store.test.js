@@ -0,0 +1,266 @@
+/**
+ * tag-storage-adapter IndexedDB 書籍後端測試
+ *
+ * 測試對象：
+ *   - useBookStore：首次啟用自動遷移 readmoo_books，之後書籍讀寫走 IndexedDB
+ *   - 單本 tag 操作與 updateStoredBooks 只寫指定 record，readmoo_books 只更新 header（revision 遞增），
+ *     其他頁面經 chrome.storage.onChanged 得知變動
+ *   - getBooksByTag 走 tagIds 索引
+ *   - 整批儲存（saveBooksWrapper）只寫入有變動的書、刪除移除的書，不整庫重寫
+ *   - withAtomicRollback：cascade 刪除失敗時整批還原 IndexedDB 書籍
+ *   - loadStoredBooks / storeBookLibrary：header 紀錄的讀寫
+ *
+ * Mock 策略：chrome.storage.local 有狀態 Mock + tests/helpers/in-memory-indexeddb。
+ */
+
+const TagStorageAdapter = require('src/storage/adapters/tag-storage-adapter')
+const { IndexedDBBookStore } = require('src/storage/adapters/indexeddb-book-store')
+const { createInMemoryIndexedDB } = require('@tests/helpers/in-memory-indexeddb')
+
+const { STORAGE_KEYS } = TagStorageAdapter
+
+let store
+let idb
+let bookStore
+
+beforeEach(async () => {
+  store = {
+    readmoo_books: {
+      books: [
+        { id: 'b1', title: '三體', tagIds: ['t1'] },
+        { id: 'b2', title: '原子習慣', tagIds: [] }
+      ],
+      extractionTimestamp: 1760000000000
+    },
+    tags: [{ id: 't1', name: '科幻', categoryId: 'c1' }, { id: 't2', name: '自我成長', categoryId: 'c1' }],
+    tag_categories: [{ id: 'c1', name: '主題' }]
+  }
+  delete chrome.runtime.lastError
+  chrome.storage.local.get.mockImplementation((keys, callback) => {
+    const result = {}
+    const keyList = Array.isArray(keys) ? keys : [keys]
+    keyList.forEach(key => { result[key] = key in store ? JSON.parse(JSON.stringify(store[key])) : undefined })
+    callback(result)
+  })
+  chrome.storage.local.set.mockImplementation((items, callback) => {
+    Object.keys(items).forEach(key => { store[key] = JSON.parse(JSON.stringify(items[key])) })
+    if (callback) callback()
+  })
+
+  idb = createInMemoryIndexedDB()
+  bookStore = new IndexedDBBookStore({ indexedDB: idb })
+  await TagStorageAdapter.useBookStore(bookStore)
+  chrome.storage.local.set.mockClear()
+})
+
+afterEach(async () => {
+  await TagStorageAdapter.useBookStore(null)
+})
+
+function writtenKeys () {
+  return chrome.storage.local.set.mock.calls.flatMap(([items]) => Object.keys(items))
+}
+
+describe('useBookStore', () => {
+  test('啟用時遷移書籍，readmoo_books 改為 header', async () => {
+    expect((await bookStore.getAllBooks()).map(b => b.id)).toEqual(['b1', 'b2'])
+    expect(store.readmoo_books).toMatchObject({ storage: 'indexeddb', bookCount: 2, extractionTimestamp: 1760000000000 })
+    expect(store.readmoo_books.books).toBeUndefined()
+  })
+
+  test('IndexedDB 遷移失敗時退回 chrome.storage', async () => {
+    const failing = createInMemoryIndexedDB()
+    failing.failPut = () => true
+    store.readmoo_books = { books: [{ id: 'b9', tagIds: [] }] }
+
+    const active = await TagStorageAdapter.useBookStore(new IndexedDBBookStore({ indexedDB: failing }))
+    const result = await TagStorageAdapter.addTagToBook('b9', 't2')
+
+    expect(active).toBeNull()
+    expect(result).toEqual({ success: true, tagIds: ['t2'] })
+    expect(store.readmoo_books.books[0].tagIds).toEqual(['t2'])
+  })
+})
+
+describe('Book-Tag 關聯（IndexedDB 後端）', () => {
+  test('addTagToBook / setBookTags 只寫該筆 record，readmoo_books 只更新 header', async () => {
+    const { revision } = store.readmoo_books
+    expect(await TagStorageAdapter.addTagToBook('b2', 't2')).toEqual({ success: true, tagIds: ['t2'] })
+    expect(await TagStorageAdapter.setBookTags('b1', ['t1', 't2', 'ghost'])).toEqual({ success: true, tagIds: ['t1', 't2'] })
+
+    expect(store.readmoo_books).toMatchObject({ storage: 'indexeddb', bookCount: 2, revision: revision + 2, extractionTimestamp: 1760000000000 })
+    expect(store.readmoo_books.books).toBeUndefined()
+    expect((await bookStore.getBook('b2')).tagIds).toEqual(['t2'])
+    expect((await TagStorageAdapter.getBooksByTag('t2')).map(b => b.id)).toEqual(['b1', 'b2'])
+    expect((await TagStorageAdapter.getTagsForBook('b1')).map(t => t.name)).toEqual(['科幻', '自我成長'])
+  })
+
+  test('書籍不存在時回 book_not_found', async () => {
+    expect(await TagStorageAdapter.removeTagFromBook('missing', 't1')).toEqual({ success: false, error: 'book_not_found' })
+  })
+
+  test('updateStoredBooks 只讀寫指定且有變動的書', async () => {
+    const result = await TagStorageAdapter.updateStoredBooks(['b1', 'b2', 'missing'], book => {
+      if (book.id !== 'b1') return false
+      book.isbn = '9789862624281'
+      return true
+    })
+
+    expect(result).toEqual({ success: true, affected: 1 })
+    expect(writtenKeys().filter(key => key === STORAGE_KEYS.READMOO_BOOKS)).toHaveLength(1)
+    expect(store.readmoo_books.books).toBeUndefined()
+    expect((await bookStore.getBook('b1')).isbn).toBe('9789862624281')
+    expect((await bookStore.getBook('b2')).isbn).toBeUndefined()
+  })
+
+  test('單本寫入後另一頁面經 storage.onChanged 收到 header 並讀到新資料', async () => {
+    const listeners = []
+    // 模擬 chrome.storage：值有變動才通知監聽者（header 內容相同時不會觸發 onChanged）
+    chrome.storage.local.set.mockImplementation((items, callback) => {
+      const changes = {}
+      Object.keys(items).forEach(key => {
+        if (JSON.stringify(store[key]) !== JSON.stringify(items[key])) {
+          changes[key] = { oldValue: store[key], newValue: items[key] }
+        }
+        store[key] = JSON.parse(JSON.stringify(items[key]))
+      })
+      if (callback) callback()
+      if (Object.keys(changes).length > 0) listeners.forEach(listener => listener(changes, 'local'))
+    })
+    const received = []
+    // 另一頁面：與總覽相同，收到 header 後自 IndexedDB 重新讀取書庫
+    listeners.push((changes, area) => {
+      if (area === 'local' && changes.readmoo_books) {
+        received.push(TagStorageAdapter.loadStoredBooks(changes.readmoo_books.newValue))
+      }
+    })
+
+    await TagStorageAdapter.addTagToBook('b2', 't2')
+    await TagStorageAdapter.updateStoredBooks(['b1'], book => {
+      book.isbn = '9789862624281'
+      return true
+    })
+
+    expect(received).toHaveLength(2)
+    const [afterTag, afterUpdate] = await Promise.all(received)
+    expect(afterTag.find(b => b.id === 'b2').tagIds).toEqual(['t2'])
+    expect(afterUpdate.find(b => b.id === 'b1').isbn).toBe('9789862624281')
+  })
+})
+
+describe('整批儲存（IndexedDB 後端）', () => {
+  test('批次編輯只寫入有變動的書，批次刪除只刪除指定的書', async () => {
+    const applySpy = jest.spyOn(bookStore, 'applyBookChanges')
+    const replaceSpy = jest.spyOn(bookStore, 'replaceAllBooks')
+
+    await TagStorageAdapter.bulkAddTags(['b1', 'b2'], ['t1'])
+    expect(applySpy).toHaveBeenLastCalledWith([expect.objectContaining({ id: 'b2', tagIds: ['t1'] })], [])
+
+    await TagStorageAdapter.bulkDeleteBooks(['b1'])
+    expect(applySpy).toHaveBeenLastCalledWith([], ['b1'])
+    expect((await bookStore.getAllBooks()).map(b => b.id)).toEqual(['b2'])
+    expect(store.readmoo_books).toMatchObject({ storage: 'indexeddb', bookCount: 1 })
+    expect(replaceSpy).not.toHaveBeenCalled()
+  })
+})
+
+describe('withAtomicRollback（IndexedDB 後端）', () => {
+  test('deleteTag 寫入 tags 失敗時還原 IndexedDB 書籍', async () => {
+    let failTagsWrite = true
+    chrome.storage.local.set.mockImplementation((items, callback) => {
+      if (STORAGE_KEYS.TAGS in items && failTagsWrite) {
+        failTagsWrite = false
+        chrome.runtime.lastError = { message: 'QUOTA_BYTES quota exceeded' }
+        callback()
+        delete chrome.runtime.lastError
+        return
+      }
+      Object.keys(items).forEach(key => { store[key] = JSON.parse(JSON.stringify(items[key])) })
+      if (callback) callback()
+    })
+
+    const result = await TagStorageAdapter.deleteTag('t1')
+
+    expect(result).toMatchObject({ success: false, error: 'rollback' })
+    expect((await bookStore.getBook('b1')).tagIds).toEqual(['t1'])
+    expect(store.tags.map(t => t.id)).toEqual(['t1', 't2'])
+  })
+
+  test('整批寫入成功時更新 header 書籍數', async () => {
+    const result = await TagStorageAdapter.replaceAllData({
+      books: [{ id: 'n1', title: '新書', tagIds: [] }],
+      tags: [],
+      tagCategories: []
+    })
+
+    expect(result.success).toBe(true)
+    expect((await bookStore.getAllBooks()).map(b => b.id)).toEqual(['n1'])
+    expect(store.readmoo_books).toMatchObject({ storage: 'indexeddb', bookCount: 1 })
+  })
+})
+
+describe('header 紀錄讀寫', () => {
+  test('loadStoredBooks 依紀錄格式讀取', async () => {
+    expect((await TagStorageAdapter.loadStoredBooks(store.readmoo_books)).map(b => b.id)).toEqual(['b1', 'b2'])
+    expect(await TagStorageAdapter.loadStoredBooks({ books: [{ id: 'x' }] })).toEqual([{ id: 'x' }])
+    expect(await TagStorageAdapter.loadStoredBooks(null)).toEqual([])
+  })
+
+  test('storeBookLibrary 將提取結果寫入 IndexedDB 並回傳 header', async () => {
+    const header = await TagStorageAdapter.storeBookLibrary({
+      books: [{ id: 'e1' }, { id: 'e2' }, { id: 'e3' }],
+      extractionCount: 3
+    })
+
+    expect(header).toMatchObject({ storage: 'indexeddb', bookCount: 3, extractionCount: 3 })
+    expect(header.books).toBeUndefined()
+    expect(await bookStore.countBooks()).toBe(3)
+  })
+
+  test('storeBookLibrary 沿用既有書籍的個人註記', async () => {
+    await TagStorageAdapter.setBookAnnotations('b1', { rating: 4, notes: '好看' })
+
+    await TagStorageAdapter.storeBookLibrary({ books: [{ id: 'b1', title: '三體', rating: 1 }, { id: 'e1' }] })
+
+    expect(await bookStore.getBook('b1')).toMatchObject({ rating: 4, notes: '好看' })
+    expect((await bookStore.getBook('e1')).rating).toBeUndefined()
+  })
+
+  test('storeBookLibrary 沿用書目補齊結果、使用者編輯的欄位與 editedFields', async () => {
+    await bookStore.putBooks([{
+      id: 'b1',
+      title: '三體',
+      tagIds: ['t1'],
+      authors: ['劉慈欣'],
+      publisher: '貓頭鷹',
+      isbn: '9789862624281',
+      pageCount: 400,
+      purchasedAt: '2024-05-01',
+      description: '文化大革命期間…',
+      metadataEnrichedAt: '2026-10-01T00:00:00.000Z',
+      editedFields: ['isbn']
+    }])
+
+    await TagStorageAdapter.storeBookLibrary({
+      books: [{ id: 'b1', title: '三體', authors: [], publisher: '', isbn: '9789573317241', progress: 30 }]
+    })
+
+    expect(await bookStore.getBook('b1')).toMatchObject({
+      authors: ['劉慈欣'],
+      publisher: '貓頭鷹',
+      isbn: '9789862624281',
+      pageCount: 400,
+      purchasedAt: '2024-05-01',
+      description: '文化大革命期間…',
+      metadataEnrichedAt: '2026-10-01T00:00:00.000Z',
+      editedFields: ['isbn'],
+      progress: 30
+    })
+  })
+
+  test('clearStoredBooks 清空 IndexedDB 書籍', async () => {
+    await TagStorageAdapter.clearStoredBooks()
+
+    expect(await bookStore.countBooks()).toBe(0)
+  })
+})
@@ -0,0 +1,125 @@
+/**
+ * tag-storage-adapter 作品連結測試
+ *
+ * 測試對象：
+ *   - linkBooksAsWork / unlinkBookWork / getBookWorks：驗證書籍存在、併入既有作品
+ *   - dismissDuplicateCandidate / getDuplicateDismissals：配對鍵與順序無關、不重複寫入
+ *   - replaceAllData / mergeAllData：有 works 時取代 / 合併，未提供時保留本地連結
+ *
+ * Mock 策略：chrome.storage.local 有狀態 Mock + tests/helpers/in-memory-indexeddb。
+ */
+
+const TagStorageAdapter = require('src/storage/adapters/tag-storage-adapter')
+const { IndexedDBBookStore } = require('src/storage/adapters/indexeddb-book-store')
+const { createInMemoryIndexedDB } = require('@tests/helpers/in-memory-indexeddb')
+
+let store
+
+beforeEach(async () => {
+  store = {
+    readmoo_books: {
+      books: [
+        { id: 'rm1', title: '三體', source: 'readmoo', tagIds: [] },
+        { id: 'bk1', title: '三體', source: 'books-com-tw', tagIds: [] },
+        { id: 'kb1', title: '三體', source: 'kobo', tagIds: [] }
+      ]
+    },
+    tags: [],
+    tag_categories: []
+  }
+  delete chrome.runtime.lastError
+  chrome.storage.local.get.mockImplementation((keys, callback) => {
+    const result = {}
+    const keyList = Array.isArray(keys) ? keys : [keys]
+    keyList.forEach(key => { result[key] = key in store ? JSON.parse(JSON.stringify(store[key])) : undefined })
+    callback(result)
+  })
+  chrome.storage.local.set.mockImplementation((items, callback) => {
+    Object.keys(items).forEach(key => { store[key] = JSON.parse(JSON.stringify(items[key])) })
+    if (callback) callback()
+  })
+
+  await TagStorageAdapter.useBookStore(new IndexedDBBookStore({ indexedDB: createInMemoryIndexedDB() }))
+})
+
+afterEach(async () => {
+  await TagStorageAdapter.useBookStore(null)
+})
+
+describe('作品連結', () => {
+  test('linkBooksAsWork 建立作品，再連結其中一本時併入同一作品', async () => {
+    const work = await TagStorageAdapter.linkBooksAsWork(['rm1', 'bk1'], { primaryBookId: 'bk1' })
+
+    expect(work).toMatchObject({ bookIds: ['rm1', 'bk1'], primaryBookId: 'bk1' })
+    expect(work.id).toMatch(/^work_/)
+
+    const merged = await TagStorageAdapter.linkBooksAsWork(['kb1', 'rm1'])
+
+    expect(merged.id).toBe(work.id)
+    expect(await TagStorageAdapter.getBookWorks()).toEqual([
+      expect.objectContaining({ id: work.id, bookIds: ['rm1', 'bk1', 'kb1'], primaryBookId: 'bk1' })
+    ])
+  })
+
+  test('書籍不足兩本或不在書庫時不寫入', async () => {
+    expect(await TagStorageAdapter.linkBooksAsWork(['rm1', 'rm1'])).toEqual({ success: false, error: 'too_few_books' })
+    expect(await TagStorageAdapter.linkBooksAsWork(['rm1', 'missing'])).toEqual({ success: false, error: 'book_not_found' })
+    expect(store.book_works).toBeUndefined()
+  })
+
+  test('unlinkBookWork 移除作品；不存在的作品回傳錯誤', async () => {
+    const work = await TagStorageAdapter.linkBooksAsWork(['rm1', 'bk1'])
+
+    expect(await TagStorageAdapter.unlinkBookWork(work.id)).toEqual({ success: true })
+    expect(await TagStorageAdapter.getBookWorks()).toEqual([])
+    expect(await TagStorageAdapter.unlinkBookWork(work.id)).toEqual({ success: false, error: 'work_not_found' })
+  })
+
+  test('dismissDuplicateCandidate 以排序後的配對鍵記錄一次', async () => {
+    await TagStorageAdapter.dismissDuplicateCandidate('rm1', 'bk1')
+    await TagStorageAdapter.dismissDuplicateCandidate('bk1', 'rm1')
+
+    expect(await TagStorageAdapter.getDuplicateDismissals()).toEqual(['bk1|rm1'])
+  })
+})
+
+describe('匯入寫入作品連結', () => {
+  const BOOKS = [
+    { id: 'rm1', title: '三體', source: 'readmoo' },
+    { id: 'bk1', title: '三體', source: 'books-com-tw' },
+    { id: 'kb1', title: '三體', source: 'kobo' }
+  ]
+
+  beforeEach(() => {
+    store.book_works = [{ id: 'w-local', bookIds: ['rm1', 'bk1'], primaryBookId: 'rm1' }]
+  })
+
+  test('replaceAllData 有 works 時取代，未提供時保留本地連結', async () => {
+    await TagStorageAdapter.replaceAllData({ books: BOOKS, tags: [], tagCategories: [] })
+    expect(store.book_works.map(w => w.id)).toEqual(['w-local'])
+
+    const result = await TagStorageAdapter.replaceAllData({
+      books: BOOKS,
+      tags: [],
+      tagCategories: [],
+      works: [{ id: 'w-import', bookIds: ['bk1', 'kb1'] }]
+    })
+
+    expect(result.counts.works).toBe(1)
+    expect(store.book_works.map(w => w.id)).toEqual(['w-import'])
+  })
+
+  test('mergeAllData 與本地共用書籍的作品合併為本地作品', async () => {
+    const result = await TagStorageAdapter.mergeAllData({
+      books: BOOKS,
+      tags: [],
+      tagCategories: [],
+      works: [{ id: 'w-import', bookIds: ['bk1', 'kb1'] }]
+    })
+
+    expect(result.success).toBe(true)
+    expect(store.book_works).toEqual([
+      expect.objectContaining({ id: 'w-local', bookIds: ['rm1', 'bk1', 'kb1'], primaryBookId: 'rm1' })
+    ])
+  })
+})
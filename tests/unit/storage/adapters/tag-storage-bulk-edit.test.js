@@ -0,0 +1,254 @@
+/**
+ * tag-storage-adapter 書籍批次編輯測試
+ *
+ * 測試對象：
+ *   - bulkSetReadingStatus：經 computeManualStatusChange 設定狀態與 isManualStatus
+ *   - bulkAddTags / bulkRemoveTags / bulkMoveToCategory：tag 驗證與同分類取代
+ *   - bulkDeleteBooks：刪除選取書籍
+ *   - undoLastBulkOperation：只還原該次改動的欄位（含被刪除的書），之後又被修改的書略過
+ *   - loadLastBulkOperation：復原紀錄存於 chrome.storage.session，重新載入頁面後可取回
+ *   - withAtomicRollback：寫入失敗時整批還原
+ *
+ * Mock 策略：chrome.storage.local 有狀態 Mock + tests/helpers/in-memory-indexeddb。
+ */
+
+const TagStorageAdapter = require('src/storage/adapters/tag-storage-adapter')
+const { IndexedDBBookStore } = require('src/storage/adapters/indexeddb-book-store')
+const { createInMemoryIndexedDB } = require('@tests/helpers/in-memory-indexeddb')
+
+let store
+let idb
+let bookStore
+
+beforeEach(async () => {
+  store = {
+    readmoo_books: {
+      books: [
+        { id: 'b1', title: '三體', readingStatus: 'reading', tagIds: ['t1', 't3'], updatedAt: '2026-01-01T00:00:00.000Z' },
+        { id: 'b2', title: '原子習慣', readingStatus: 'unread', tagIds: [], updatedAt: '2026-01-01T00:00:00.000Z' },
+        { id: 'b3', title: '快思慢想', readingStatus: 'finished', tagIds: ['t2'], updatedAt: '2026-01-01T00:00:00.000Z' }
+      ]
+    },
+    tags: [
+      { id: 't1', name: '科幻', categoryId: 'c1' },
+      { id: 't2', name: '心理學', categoryId: 'c1' },
+      { id: 't3', name: '已借出', categoryId: 'c2' }
+    ],
+    tag_categories: [{ id: 'c1', name: '主題' }, { id: 'c2', name: '狀況' }]
+  }
+  delete chrome.runtime.lastError
+  chrome.storage.local.get.mockImplementation((keys, callback) => {
+    const result = {}
+    const keyList = Array.isArray(keys) ? keys : [keys]
+    keyList.forEach(key => { result[key] = key in store ? JSON.parse(JSON.stringify(store[key])) : undefined })
+    callback(result)
+  })
+  chrome.storage.local.set.mockImplementation((items, callback) => {
+    Object.keys(items).forEach(key => { store[key] = JSON.parse(JSON.stringify(items[key])) })
+    if (callback) callback()
+  })
+
+  idb = createInMemoryIndexedDB()
+  bookStore = new IndexedDBBookStore({ indexedDB: idb })
+  await TagStorageAdapter.useBookStore(bookStore)
+})
+
+afterEach(async () => {
+  await TagStorageAdapter.useBookStore(null)
+})
+
+async function bookById (id) {
+  return bookStore.getBook(id)
+}
+
+describe('批次編輯', () => {
+  test('bulkSetReadingStatus 設定狀態並更新 updatedAt，未變動的書不計入', async () => {
+    const result = await TagStorageAdapter.bulkSetReadingStatus(['b1', 'b2', 'missing'], 'abandoned')
+
+    expect(result).toEqual({ success: true, affected: 2, missing: 1 })
+    const b1 = await bookById('b1')
+    expect(b1).toMatchObject({ readingStatus: 'abandoned', isManualStatus: true })
+    expect(b1.updatedAt).not.toBe('2026-01-01T00:00:00.000Z')
+    expect((await bookById('b3')).readingStatus).toBe('finished')
+  })
+
+  test('bulkSetReadingStatus 無效狀態不寫入', async () => {
+    expect(await TagStorageAdapter.bulkSetReadingStatus(['b1'], 'busy')).toEqual({ success: false, error: 'invalid_status' })
+    expect((await bookById('b1')).readingStatus).toBe('reading')
+  })
+
+  test('bulkAddTags / bulkRemoveTags 去重且冪等', async () => {
+    expect(await TagStorageAdapter.bulkAddTags(['b1', 'b2'], ['t1'])).toMatchObject({ success: true, affected: 1 })
+    expect((await bookById('b2')).tagIds).toEqual(['t1'])
+    expect((await bookById('b1')).tagIds).toEqual(['t1', 't3'])
+
+    expect(await TagStorageAdapter.bulkRemoveTags(['b1', 'b2', 'b3'], ['t1'])).toMatchObject({ success: true, affected: 2 })
+    expect((await bookById('b1')).tagIds).toEqual(['t3'])
+    expect((await bookById('b2')).tagIds).toEqual([])
+  })
+
+  test('bulkAddTags 有不存在的 tag 時整批拒絕', async () => {
+    expect(await TagStorageAdapter.bulkAddTags(['b2'], ['t1', 'ghost'])).toEqual({ success: false, error: 'tag_not_found' })
+    expect((await bookById('b2')).tagIds).toEqual([])
+  })
+
+  test('bulkMoveToCategory 取代同分類的其他 tag，保留其他分類', async () => {
+    const result = await TagStorageAdapter.bulkMoveToCategory(['b1', 'b2', 'b3'], 't2')
+
+    expect(result).toMatchObject({ success: true, affected: 2 })
+    expect((await bookById('b1')).tagIds).toEqual(['t3', 't2'])
+    expect((await bookById('b2')).tagIds).toEqual(['t2'])
+    expect((await bookById('b3')).tagIds).toEqual(['t2'])
+  })
+
+  test('bulkDeleteBooks 刪除選取書籍並更新 header 書籍數', async () => {
+    expect(await TagStorageAdapter.bulkDeleteBooks(['b1', 'b3'])).toEqual({ success: true, affected: 2, missing: 0 })
+
+    expect((await bookStore.getAllBooks()).map(b => b.id)).toEqual(['b2'])
+    expect(store.readmoo_books).toMatchObject({ storage: 'indexeddb', bookCount: 1 })
+  })
+})
+
+describe('undoLastBulkOperation', () => {
+  test('還原標籤變更，第二次復原回 nothing_to_undo', async () => {
+    await TagStorageAdapter.bulkMoveToCategory(['b1', 'b3'], 't2')
+    expect(TagStorageAdapter.getLastBulkOperation()).toMatchObject({ operation: 'bulkMoveToCategory', count: 1 })
+
+    expect(await TagStorageAdapter.undoLastBulkOperation()).toEqual({ success: true, operation: 'bulkMoveToCategory', restored: 1, skipped: 0 })
+    expect((await bookById('b1')).tagIds).toEqual(['t1', 't3'])
+    expect((await bookById('b1')).updatedAt).not.toBe('2026-01-01T00:00:00.000Z')
+
+    expect(TagStorageAdapter.getLastBulkOperation()).toBeNull()
+    expect(await TagStorageAdapter.undoLastBulkOperation()).toEqual({ success: false, error: 'nothing_to_undo' })
+  })
+
+  test('還原被刪除的書', async () => {
+    await TagStorageAdapter.bulkDeleteBooks(['b2'])
+
+    const result = await TagStorageAdapter.undoLastBulkOperation()
+
+    expect(result).toMatchObject({ success: true, restored: 1 })
+    expect(await bookById('b2')).toMatchObject({ title: '原子習慣', readingStatus: 'unread' })
+    expect(await bookStore.countBooks()).toBe(3)
+  })
+
+  test('只保留最近一次，無變動的批次不覆蓋紀錄', async () => {
+    await TagStorageAdapter.bulkSetReadingStatus(['b2'], 'queued')
+    await TagStorageAdapter.bulkAddTags(['b1'], ['t1'])
+
+    expect(TagStorageAdapter.getLastBulkOperation().operation).toBe('bulkSetReadingStatus')
+
+    await TagStorageAdapter.bulkAddTags(['b2'], ['t1'])
+    await TagStorageAdapter.undoLastBulkOperation()
+
+    expect((await bookById('b2'))).toMatchObject({ readingStatus: 'queued', tagIds: [] })
+  })
+
+  test('只還原該次改動的欄位，批次編輯後其他欄位的修改保留', async () => {
+    await TagStorageAdapter.bulkSetReadingStatus(['b1', 'b2'], 'finished')
+    await TagStorageAdapter.addTagToBook('b2', 't1')
+
+    expect(await TagStorageAdapter.undoLastBulkOperation()).toMatchObject({ success: true, restored: 2, skipped: 0 })
+    expect(await bookById('b2')).toMatchObject({ readingStatus: 'unread', tagIds: ['t1'] })
+    expect((await bookById('b2')).isManualStatus).toBeUndefined()
+  })
+
+  test('改動的欄位之後又被修改的書略過；全部略過時回 undo_conflict 並清除紀錄', async () => {
+    await TagStorageAdapter.bulkAddTags(['b1', 'b2'], ['t2'])
+    await TagStorageAdapter.setBookTags('b2', ['t1'])
+
+    expect(await TagStorageAdapter.undoLastBulkOperation()).toMatchObject({ success: true, restored: 1, skipped: 1 })
+    expect((await bookById('b1')).tagIds).toEqual(['t1', 't3'])
+    expect((await bookById('b2')).tagIds).toEqual(['t1'])
+
+    await TagStorageAdapter.bulkAddTags(['b3'], ['t3'])
+    await TagStorageAdapter.setBookTags('b3', [])
+    expect(await TagStorageAdapter.undoLastBulkOperation()).toEqual({ success: false, error: 'undo_conflict', skipped: 1 })
+    expect((await bookById('b3')).tagIds).toEqual([])
+    expect(TagStorageAdapter.getLastBulkOperation()).toBeNull()
+  })
+
+  test('被刪除的書已重新出現時不以舊資料覆蓋', async () => {
+    await TagStorageAdapter.bulkDeleteBooks(['b2', 'b3'])
+    await bookStore.putBooks([{ id: 'b2', title: '原子習慣（重新提取）', tagIds: [] }])
+
+    expect(await TagStorageAdapter.undoLastBulkOperation()).toMatchObject({ success: true, restored: 1, skipped: 1 })
+    expect((await bookById('b2')).title).toBe('原子習慣（重新提取）')
+    expect((await bookById('b3')).title).toBe('快思慢想')
+  })
+})
+
+describe('loadLastBulkOperation（chrome.storage.session）', () => {
+  let session
+
+  beforeEach(() => {
+    session = {}
+    chrome.storage.session = {
+      get: jest.fn((keys, callback) => {
+        const result = {}
+        keys.forEach(key => { if (key in session) result[key] = JSON.parse(JSON.stringify(session[key])) })
+        callback(result)
+      }),
+      set: jest.fn((items, callback) => {
+        Object.keys(items).forEach(key => { session[key] = JSON.parse(JSON.stringify(items[key])) })
+        callback()
+      }),
+      remove: jest.fn((keys, callback) => {
+        keys.forEach(key => { delete session[key] })
+        callback()
+      })
+    }
+  })
+
+  afterEach(() => {
+    delete chrome.storage.session
+  })
+
+  test('重新載入頁面（新的模組實例）後取回紀錄並可復原，復原後移除', async () => {
+    await TagStorageAdapter.bulkAddTags(['b2'], ['t1'])
+    expect(session[TagStorageAdapter.STORAGE_KEYS.LAST_BULK_OPERATION]).toMatchObject({
+      operation: 'bulkAddTags',
+      changes: [{ id: 'b2', before: { tagIds: [] }, after: { tagIds: ['t1'] } }]
+    })
+
+    let reloaded
+    jest.isolateModules(() => {
+      reloaded = require('src/storage/adapters/tag-storage-adapter')
+    })
+    await reloaded.useBookStore(bookStore)
+    expect(reloaded.getLastBulkOperation()).toBeNull()
+    expect(await reloaded.loadLastBulkOperation()).toMatchObject({ operation: 'bulkAddTags', count: 1 })
+
+    expect(await reloaded.undoLastBulkOperation()).toMatchObject({ success: true, restored: 1 })
+    expect((await bookById('b2')).tagIds).toEqual([])
+    expect(session).toEqual({})
+    await reloaded.useBookStore(null)
+  })
+})
+
+describe('withAtomicRollback（批次編輯）', () => {
+  test('寫入 header 失敗時還原 IndexedDB 書籍且不留復原紀錄', async () => {
+    await TagStorageAdapter.bulkAddTags(['b2'], ['t3'])
+    await TagStorageAdapter.undoLastBulkOperation()
+
+    let failHeaderWrite = true
+    chrome.storage.local.set.mockImplementation((items, callback) => {
+      if ('readmoo_books' in items && failHeaderWrite) {
+        failHeaderWrite = false
+        chrome.runtime.lastError = { message: 'QUOTA_BYTES quota exceeded' }
+        callback()
+        delete chrome.runtime.lastError
+        return
+      }
+      Object.keys(items).forEach(key => { store[key] = JSON.parse(JSON.stringify(items[key])) })
+      if (callback) callback()
+    })
+
+    const result = await TagStorageAdapter.bulkSetReadingStatus(['b1', 'b2'], 'finished')
+
+    expect(result).toMatchObject({ success: false, error: 'rollback' })
+    expect((await bookById('b1')).readingStatus).toBe('reading')
+    expect((await bookById('b2')).readingStatus).toBe('unread')
+    expect(TagStorageAdapter.getLastBulkOperation()).toBeNull()
+  })
+})
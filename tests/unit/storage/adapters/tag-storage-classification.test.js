@@ -0,0 +1,139 @@
+/**
+ * tag-storage-adapter 分類建議測試
+ *
+ * 測試對象：
+ *   - getClassificationSuggestions：只列尚未歸類、未拒絕的書
+ *   - acceptClassificationSuggestions：建立 / 沿用分類 tag、可復原、記入學習資料、失敗回滾
+ *   - dismissClassificationSuggestions：拒絕後不再建議
+ *
+ * Mock 策略：chrome.storage.local 有狀態 Mock + tests/helpers/in-memory-indexeddb。
+ */
+
+const TagStorageAdapter = require('src/storage/adapters/tag-storage-adapter')
+const { IndexedDBBookStore } = require('src/storage/adapters/indexeddb-book-store')
+const { createInMemoryIndexedDB } = require('@tests/helpers/in-memory-indexeddb')
+const { CHINESE_CLASSIFICATION_PRESETS } = require('src/data-management/presets/chinese-classification')
+
+let store
+let bookStore
+
+beforeEach(async () => {
+  store = {
+    readmoo_books: {
+      books: [
+        { id: 'b1', title: '海賊王 Vol. 1', publisher: '東立出版社', tagIds: ['t-topic'] },
+        { id: 'b2', title: '論語別裁', publisher: '老古', tagIds: [] },
+        { id: 'b3', title: '聖經故事', tagIds: ['t-class-2'] },
+        { id: 'b4', title: '原子習慣', tagIds: [] }
+      ]
+    },
+    tags: [
+      { id: 't-topic', name: '少年', categoryId: 'c-topic' },
+      { id: 't-class-2', name: '2 宗教類', categoryId: 'sys_cat_2' }
+    ],
+    tag_categories: [
+      ...CHINESE_CLASSIFICATION_PRESETS.map(node => ({ ...node, isSystem: true })),
+      { id: 'c-topic', name: '主題', parentId: null }
+    ]
+  }
+  delete chrome.runtime.lastError
+  chrome.storage.local.get.mockImplementation((keys, callback) => {
+    const result = {}
+    const keyList = Array.isArray(keys) ? keys : [keys]
+    keyList.forEach(key => { result[key] = key in store ? JSON.parse(JSON.stringify(store[key])) : undefined })
+    callback(result)
+  })
+  chrome.storage.local.set.mockImplementation((items, callback) => {
+    Object.keys(items).forEach(key => { store[key] = JSON.parse(JSON.stringify(items[key])) })
+    if (callback) callback()
+  })
+
+  bookStore = new IndexedDBBookStore({ indexedDB: createInMemoryIndexedDB() })
+  await TagStorageAdapter.useBookStore(bookStore)
+})
+
+afterEach(async () => {
+  await TagStorageAdapter.useBookStore(null)
+})
+
+async function tagIdsOf (bookId) {
+  return (await bookStore.getBook(bookId)).tagIds
+}
+
+describe('getClassificationSuggestions', () => {
+  test('已有分類 tag 或未達門檻的書不列出', async () => {
+    const suggestions = await TagStorageAdapter.getClassificationSuggestions()
+
+    expect(suggestions.map(s => [s.bookId, s.categoryId])).toEqual([
+      ['b1', 'sys_cat_9'],
+      ['b2', 'sys_cat_12']
+    ])
+  })
+})
+
+describe('acceptClassificationSuggestions', () => {
+  test('建立與類別同名的分類 tag 並加到書上，可復原', async () => {
+    const result = await TagStorageAdapter.acceptClassificationSuggestions([
+      { bookId: 'b1', categoryId: 'sys_cat_9' },
+      { bookId: 'b2', categoryId: 'sys_cat_1' }
+    ])
+
+    expect(result).toMatchObject({ success: true, affected: 2, missing: 0, createdTags: 2 })
+    const artTag = store.tags.find(t => t.categoryId === 'sys_cat_9')
+    expect(artTag).toMatchObject({ name: '9 藝術類', isSystem: false })
+    expect(await tagIdsOf('b1')).toEqual(['t-topic', artTag.id])
+    expect(TagStorageAdapter.getLastBulkOperation()).toMatchObject({ operation: 'acceptClassificationSuggestions', count: 2 })
+    expect(await TagStorageAdapter.getClassificationSuggestions()).toEqual([])
+
+    await TagStorageAdapter.undoLastBulkOperation()
+    expect(await tagIdsOf('b1')).toEqual(['t-topic'])
+  })
+
+  test('沿用既有的同名分類 tag', async () => {
+    const result = await TagStorageAdapter.acceptClassificationSuggestions([{ bookId: 'b4', categoryId: 'sys_cat_2' }])
+
+    expect(result).toMatchObject({ success: true, affected: 1, createdTags: 0 })
+    expect(await tagIdsOf('b4')).toEqual(['t-class-2'])
+    expect(store.tags).toHaveLength(2)
+  })
+
+  test('記入出版社與既有 tag 的學習資料，之後同出版社的書得到建議', async () => {
+    await TagStorageAdapter.acceptClassificationSuggestions([{ bookId: 'b1', categoryId: 'sys_cat_9' }])
+
+    expect(store.classification_learning).toEqual({
+      publishers: { 東立出版社: { sys_cat_9: 1 } },
+      tags: { 't-topic': { sys_cat_9: 1 } }
+    })
+
+    await bookStore.putBooks([{ id: 'b5', title: '無名之書', publisher: '東立出版社', tagIds: ['t-topic'] }])
+    const suggestions = await TagStorageAdapter.getClassificationSuggestions()
+    expect(suggestions.find(s => s.bookId === 'b5')).toMatchObject({ categoryId: 'sys_cat_9', score: 4 })
+  })
+
+  test('類別不屬於分類法樹時拒絕且不寫入', async () => {
+    expect(await TagStorageAdapter.acceptClassificationSuggestions([{ bookId: 'b1', categoryId: 'c-topic' }]))
+      .toEqual({ success: false, error: 'category_not_found' })
+    expect(store.tags).toHaveLength(2)
+  })
+
+  test('寫入書籍失敗時新建的 tag 與學習資料一併回滾', async () => {
+    jest.spyOn(bookStore, 'applyBookChanges').mockRejectedValueOnce(new Error('disk full'))
+
+    const result = await TagStorageAdapter.acceptClassificationSuggestions([{ bookId: 'b1', categoryId: 'sys_cat_9' }])
+
+    expect(result).toMatchObject({ success: false, error: 'rollback' })
+    expect(store.tags.map(t => t.id)).toEqual(['t-topic', 't-class-2'])
+    expect(store.classification_learning).toEqual({ publishers: {}, tags: {} })
+    expect(await tagIdsOf('b1')).toEqual(['t-topic'])
+  })
+})
+
+describe('dismissClassificationSuggestions', () => {
+  test('拒絕後不再列出，重複拒絕不重複記錄', async () => {
+    expect(await TagStorageAdapter.dismissClassificationSuggestions(['b1', 'b1'])).toEqual({ success: true, dismissed: 1 })
+    expect(await TagStorageAdapter.dismissClassificationSuggestions(['b1'])).toEqual({ success: true, dismissed: 0 })
+
+    expect(store.classification_dismissals).toEqual(['b1'])
+    expect((await TagStorageAdapter.getClassificationSuggestions()).map(s => s.bookId)).toEqual(['b2'])
+  })
+})
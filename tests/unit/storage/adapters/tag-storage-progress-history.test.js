@@ -0,0 +1,106 @@
+/**
+ * tag-storage-adapter 閱讀進度歷程測試
+ *
+ * 測試對象：
+ *   - storeBookLibrary：提取寫入書庫時記錄 progress / readingStatus 變動
+ *   - mergeAllData / replaceAllData：匯入寫入時記錄變動，寫入失敗時歷程隨快照回滾
+ *   - getProgressHistory：讀取歷程
+ *
+ * Mock 策略：chrome.storage.local 有狀態 Mock + tests/helpers/in-memory-indexeddb。
+ */
+
+const TagStorageAdapter = require('src/storage/adapters/tag-storage-adapter')
+const { IndexedDBBookStore } = require('src/storage/adapters/indexeddb-book-store')
+const { createInMemoryIndexedDB } = require('@tests/helpers/in-memory-indexeddb')
+
+const T0 = Date.UTC(2026, 9, 5, 12)
+const sec = ms => Math.floor(ms / 1000)
+
+let store
+
+beforeEach(async () => {
+  store = {
+    readmoo_books: { books: [{ id: 'b1', title: '三體', progress: 40, readingStatus: 'reading', tagIds: [] }] },
+    tags: [],
+    tag_categories: [],
+    progress_history: { b1: [[sec(T0), 40, 'r']] }
+  }
+  delete chrome.runtime.lastError
+  chrome.storage.local.get.mockImplementation((keys, callback) => {
+    const result = {}
+    const keyList = Array.isArray(keys) ? keys : [keys]
+    keyList.forEach(key => { result[key] = key in store ? JSON.parse(JSON.stringify(store[key])) : undefined })
+    callback(result)
+  })
+  chrome.storage.local.set.mockImplementation((items, callback) => {
+    Object.keys(items).forEach(key => { store[key] = JSON.parse(JSON.stringify(items[key])) })
+    if (callback) callback()
+  })
+
+  await TagStorageAdapter.useBookStore(new IndexedDBBookStore({ indexedDB: createInMemoryIndexedDB() }))
+})
+
+afterEach(async () => {
+  await TagStorageAdapter.useBookStore(null)
+  jest.restoreAllMocks()
+})
+
+describe('閱讀進度歷程記錄', () => {
+  test('storeBookLibrary 以提取時間記錄變動的書與新書，未變動的書不追加', async () => {
+    const extractedAt = T0 + 86400 * 1000
+
+    await TagStorageAdapter.storeBookLibrary({
+      books: [
+        { id: 'b1', progress: 100, readingStatus: 'finished' },
+        { id: 'b2', progress: 0, readingStatus: 'unread' }
+      ],
+      extractionTimestamp: extractedAt
+    })
+    await TagStorageAdapter.storeBookLibrary({
+      books: [{ id: 'b1', progress: 100, readingStatus: 'finished' }, { id: 'b2', progress: 0, readingStatus: 'unread' }],
+      extractionTimestamp: extractedAt + 1000
+    })
+
+    expect(await TagStorageAdapter.getProgressHistory()).toEqual({
+      b1: [[sec(T0), 40, 'r'], [sec(extractedAt), 100, 'f']],
+      b2: [[sec(extractedAt), 0, 'u']]
+    })
+  })
+
+  test('mergeAllData 記錄合併後的進度變動', async () => {
+    const result = await TagStorageAdapter.mergeAllData({
+      books: [{ id: 'b1', title: '三體', progress: 75, readingStatus: 'reading', updatedAt: '2099-01-01T00:00:00.000Z' }],
+      tags: [],
+      tagCategories: []
+    })
+
+    expect(result.success).toBe(true)
+    expect(store.progress_history.b1.map(entry => entry[1])).toEqual([40, 75])
+  })
+
+  test('replaceAllData 寫入失敗時進度歷程隨快照回滾', async () => {
+    const originalSet = chrome.storage.local.set.getMockImplementation()
+    let failed = false
+    chrome.storage.local.set.mockImplementation((items, callback) => {
+      // saved_views 在進度歷程之後寫入：此時失敗才能驗證歷程被還原（回滾寫入不再失敗）
+      if (items.saved_views && !failed) {
+        failed = true
+        chrome.runtime.lastError = { message: 'write failed' }
+        callback()
+        delete chrome.runtime.lastError
+        return
+      }
+      originalSet(items, callback)
+    })
+
+    const result = await TagStorageAdapter.replaceAllData({
+      books: [{ id: 'b1', progress: 90, readingStatus: 'reading' }],
+      tags: [],
+      tagCategories: [],
+      savedViews: [{ id: 'v1', name: '在讀', filter: {} }]
+    })
+
+    expect(result).toEqual({ success: false, error: 'storage_error' })
+    expect(store.progress_history).toEqual({ b1: [[sec(T0), 40, 'r']] })
+  })
+})
@@ -0,0 +1,127 @@
+/**
+ * tag-storage-adapter 已儲存檢視測試
+ *
+ * 測試對象：
+ *   - saveSavedView / getAllSavedViews / deleteSavedView：名稱驗證、唯一性、filter 正規化
+ *   - replaceAllData：有 savedViews 時取代，未提供時保留本地檢視
+ *   - mergeAllData：id 比對 LWW、新檢視同名加後綴、tagIds 依標籤合併重映射
+ *
+ * Mock 策略：chrome.storage.local 有狀態 Mock + tests/helpers/in-memory-indexeddb。
+ */
+
+const TagStorageAdapter = require('src/storage/adapters/tag-storage-adapter')
+const { IndexedDBBookStore } = require('src/storage/adapters/indexeddb-book-store')
+const { createInMemoryIndexedDB } = require('@tests/helpers/in-memory-indexeddb')
+
+let store
+
+const LOCAL_VIEW = {
+  id: 'view-local',
+  name: '在讀科幻',
+  filter: { readingStatus: 'reading', tagIds: ['t1'], tagMode: 'and', sortKey: 'progress', sortDirection: 'desc', query: '' },
+  createdAt: '2026-01-01T00:00:00.000Z',
+  updatedAt: '2026-01-01T00:00:00.000Z'
+}
+
+beforeEach(async () => {
+  store = {
+    readmoo_books: { books: [{ id: 'b1', title: '三體', tagIds: ['t1'] }] },
+    tags: [{ id: 't1', name: '科幻', categoryId: 'c1' }],
+    tag_categories: [{ id: 'c1', name: '主題' }],
+    saved_views: [LOCAL_VIEW]
+  }
+  delete chrome.runtime.lastError
+  chrome.storage.local.get.mockImplementation((keys, callback) => {
+    const result = {}
+    const keyList = Array.isArray(keys) ? keys : [keys]
+    keyList.forEach(key => { result[key] = key in store ? JSON.parse(JSON.stringify(store[key])) : undefined })
+    callback(result)
+  })
+  chrome.storage.local.set.mockImplementation((items, callback) => {
+    Object.keys(items).forEach(key => { store[key] = JSON.parse(JSON.stringify(items[key])) })
+    if (callback) callback()
+  })
+
+  await TagStorageAdapter.useBookStore(new IndexedDBBookStore({ indexedDB: createInMemoryIndexedDB() }))
+})
+
+afterEach(async () => {
+  await TagStorageAdapter.useBookStore(null)
+})
+
+describe('已儲存檢視 CRUD', () => {
+  test('saveSavedView 新建時正規化 filter 並附上 id 與時間', async () => {
+    const view = await TagStorageAdapter.saveSavedView({
+      name: '  待讀  ',
+      filter: { readingStatus: 'queued', tagIds: new Set(['t1', 't1']), sortKey: 'unknown' }
+    })
+
+    expect(view).toMatchObject({
+      name: '待讀',
+      filter: { query: '', readingStatus: 'queued', tagIds: ['t1'], tagMode: 'or', sortKey: 'relevance', sortDirection: 'asc' }
+    })
+    expect(view.id).toMatch(/^view_/)
+    expect((await TagStorageAdapter.getAllSavedViews()).map(v => v.name)).toEqual(['在讀科幻', '待讀'])
+  })
+
+  test('名稱空白或與其他檢視重複（不分大小寫）時拒絕', async () => {
+    expect(await TagStorageAdapter.saveSavedView({ name: ' ', filter: {} })).toEqual({ success: false, error: 'invalid_name' })
+    expect(await TagStorageAdapter.saveSavedView({ name: '在讀科幻', filter: {} })).toEqual({ success: false, error: 'duplicate_name' })
+    expect(store.saved_views).toHaveLength(1)
+  })
+
+  test('有 id 時更新既有檢視並保留 createdAt；不存在的 id 回 view_not_found', async () => {
+    const updated = await TagStorageAdapter.saveSavedView({ id: 'view-local', name: '在讀科幻', filter: { query: 'tag:科幻' } })
+
+    expect(updated.createdAt).toBe(LOCAL_VIEW.createdAt)
+    expect(updated.updatedAt).not.toBe(LOCAL_VIEW.updatedAt)
+    expect(store.saved_views[0].filter.query).toBe('tag:科幻')
+    expect(await TagStorageAdapter.saveSavedView({ id: 'ghost', name: 'x', filter: {} })).toEqual({ success: false, error: 'view_not_found' })
+  })
+
+  test('deleteSavedView 移除檢視', async () => {
+    expect(await TagStorageAdapter.deleteSavedView('view-local')).toEqual({ success: true })
+    expect(await TagStorageAdapter.getAllSavedViews()).toEqual([])
+    expect(await TagStorageAdapter.deleteSavedView('view-local')).toEqual({ success: false, error: 'view_not_found' })
+  })
+})
+
+describe('匯入時的已儲存檢視', () => {
+  const payload = {
+    books: [{ id: 'b2', title: '沙丘', tagIds: ['imported-scifi'] }],
+    tags: [{ id: 'imported-scifi', name: '科幻', categoryId: 'imported-c1' }],
+    tagCategories: [{ id: 'imported-c1', name: '主題' }]
+  }
+
+  test('replaceAllData 未提供 savedViews 時保留本地檢視', async () => {
+    const result = await TagStorageAdapter.replaceAllData(payload)
+
+    expect(result.counts).not.toHaveProperty('savedViews')
+    expect(store.saved_views).toEqual([LOCAL_VIEW])
+  })
+
+  test('replaceAllData 以匯入檢視取代本地檢視', async () => {
+    const incoming = [{ id: 'view-2', name: '沙丘系列', filter: { query: '沙丘' } }]
+
+    const result = await TagStorageAdapter.replaceAllData({ ...payload, savedViews: incoming })
+
+    expect(result.counts.savedViews).toBe(1)
+    expect(store.saved_views.map(v => v.id)).toEqual(['view-2'])
+  })
+
+  test('mergeAllData 依 updatedAt 合併、同名新檢視加後綴，tagIds 重映射至本地標籤', async () => {
+    const result = await TagStorageAdapter.mergeAllData({
+      ...payload,
+      savedViews: [
+        { ...LOCAL_VIEW, filter: { ...LOCAL_VIEW.filter, sortDirection: 'asc' }, updatedAt: '2025-12-31T00:00:00.000Z' },
+        { id: 'view-other', name: '在讀科幻', filter: { tagIds: ['imported-scifi'] }, updatedAt: '2026-02-01T00:00:00.000Z' }
+      ]
+    })
+
+    expect(result.counts.savedViews).toBe(2)
+    const [local, other] = store.saved_views
+    expect(local.filter.sortDirection).toBe('desc')
+    expect(other.name).toBe('在讀科幻（匯入）')
+    expect(other.filter.tagIds).toEqual(['t1'])
+  })
+})
@@ -0,0 +1,89 @@
+/**
+ * tag-storage-adapter 標籤改名與合併測試
+ *
+ * 測試對象：
+ *   - renameTag：同分類重名拒絕（大小寫不敏感），不同分類同名允許
+ *   - mergeTags：書籍引用改為目標 tag（去重）並刪除來源 tag；系統 tag 不可為來源
+ *
+ * Mock 策略：chrome.storage.local 有狀態 Mock + tests/helpers/in-memory-indexeddb。
+ */
+
+const TagStorageAdapter = require('src/storage/adapters/tag-storage-adapter')
+const { IndexedDBBookStore } = require('src/storage/adapters/indexeddb-book-store')
+const { createInMemoryIndexedDB } = require('@tests/helpers/in-memory-indexeddb')
+
+let store
+let bookStore
+
+beforeEach(async () => {
+  store = {
+    readmoo_books: {
+      books: [
+        { id: 'b1', title: '三體', tagIds: ['t1', 't2'], updatedAt: '2026-01-01T00:00:00.000Z' },
+        { id: 'b2', title: '沙丘', tagIds: ['t2'], updatedAt: '2026-01-01T00:00:00.000Z' },
+        { id: 'b3', title: '快思慢想', tagIds: ['t3'], updatedAt: '2026-01-01T00:00:00.000Z' }
+      ]
+    },
+    tags: [
+      { id: 't1', name: '科幻', categoryId: 'c1' },
+      { id: 't2', name: 'SF', categoryId: 'c1' },
+      { id: 't3', name: '心理學', categoryId: 'c2' },
+      { id: 'sys', name: '系統', categoryId: 'c2', isSystem: true }
+    ],
+    tag_categories: [{ id: 'c1', name: '文學' }, { id: 'c2', name: '科學' }]
+  }
+  delete chrome.runtime.lastError
+  chrome.storage.local.get.mockImplementation((keys, callback) => {
+    const result = {}
+    const keyList = Array.isArray(keys) ? keys : [keys]
+    keyList.forEach(key => { result[key] = key in store ? JSON.parse(JSON.stringify(store[key])) : undefined })
+    callback(result)
+  })
+  chrome.storage.local.set.mockImplementation((items, callback) => {
+    Object.keys(items).forEach(key => { store[key] = JSON.parse(JSON.stringify(items[key])) })
+    if (callback) callback()
+  })
+
+  bookStore = new IndexedDBBookStore({ indexedDB: createInMemoryIndexedDB() })
+  await TagStorageAdapter.useBookStore(bookStore)
+})
+
+afterEach(async () => {
+  await TagStorageAdapter.useBookStore(null)
+})
+
+describe('renameTag', () => {
+  test('同分類重名（大小寫不敏感）拒絕，不同分類同名允許', async () => {
+    expect(await TagStorageAdapter.renameTag('t2', ' 科幻 ')).toEqual({ success: false, error: 'duplicate_name_in_category' })
+    expect(await TagStorageAdapter.renameTag('t2', '')).toEqual({ success: false, error: 'name is required' })
+    expect(await TagStorageAdapter.renameTag('missing', 'x')).toEqual({ success: false, error: 'not_found' })
+
+    const result = await TagStorageAdapter.renameTag('t3', '科幻')
+
+    expect(result).toMatchObject({ success: true, tag: { id: 't3', name: '科幻' } })
+    expect(store.tags.find(tag => tag.id === 't3').name).toBe('科幻')
+  })
+})
+
+describe('mergeTags', () => {
+  test('來源 tag 的書籍改掛目標 tag（去重）並刪除來源 tag', async () => {
+    const result = await TagStorageAdapter.mergeTags(['t2', 't1', 'missing'], 't1')
+
+    expect(result).toEqual({ success: true, merged: 1, affected: 2 })
+    expect(store.tags.map(tag => tag.id)).toEqual(['t1', 't3', 'sys'])
+    const b1 = await bookStore.getBook('b1')
+    expect(b1.tagIds).toEqual(['t1'])
+    expect(b1.updatedAt).not.toBe('2026-01-01T00:00:00.000Z')
+    expect((await bookStore.getBook('b2')).tagIds).toEqual(['t1'])
+    expect((await bookStore.getBook('b3')).tagIds).toEqual(['t3'])
+  })
+
+  test('目標不存在或來源含系統 tag 時不寫入', async () => {
+    expect(await TagStorageAdapter.mergeTags(['t2'], 'missing')).toEqual({ success: false, error: 'tag_not_found' })
+    expect(await TagStorageAdapter.mergeTags(['t2', 'sys'], 't1')).toEqual({ success: false, error: 'cannot_delete_system' })
+    expect(await TagStorageAdapter.mergeTags([], 't1')).toEqual({ success: true, merged: 0, affected: 0 })
+
+    expect(store.tags).toHaveLength(4)
+    expect((await bookStore.getBook('b2')).tagIds).toEqual(['t2'])
+  })
+})
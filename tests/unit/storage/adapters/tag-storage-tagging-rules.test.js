@@ -0,0 +1,206 @@
+/**
+ * tag-storage-adapter 自動標籤規則測試
+ *
+ * 測試對象：
+ *   - saveTaggingRule / getAllTaggingRules / deleteTaggingRule：驗證、名稱唯一性、目標 tag 存在
+ *   - previewTaggingRules：不寫入；指定 ruleIds 時含停用規則
+ *   - runTaggingRules：整庫套用並可由 undoLastBulkOperation 復原
+ *   - storeBookLibrary：只對書庫原本沒有的新書自動套用啟用中規則
+ *   - autoTagBooks：匯入後對指定書籍套用
+ *   - mergeTags：規則目標 tag 隨合併重映射
+ *
+ * Mock 策略：chrome.storage.local 有狀態 Mock + tests/helpers/in-memory-indexeddb。
+ */
+
+const TagStorageAdapter = require('src/storage/adapters/tag-storage-adapter')
+const { IndexedDBBookStore } = require('src/storage/adapters/indexeddb-book-store')
+const { createInMemoryIndexedDB } = require('@tests/helpers/in-memory-indexeddb')
+
+let store
+let bookStore
+
+const COMIC_RULE = {
+  id: 'rule-comic',
+  name: '漫畫',
+  enabled: true,
+  match: 'any',
+  conditions: [
+    { field: 'title', operator: 'contains', value: '漫畫' },
+    { field: 'title', operator: 'regex', value: 'vol\\.\\s*\\d+' }
+  ],
+  tagIds: ['t-comic'],
+  createdAt: '2026-01-01T00:00:00.000Z',
+  updatedAt: '2026-01-01T00:00:00.000Z'
+}
+
+const PUBLISHER_RULE = {
+  id: 'rule-publisher',
+  name: '東立',
+  enabled: false,
+  match: 'all',
+  conditions: [{ field: 'publisher', operator: 'equals', value: '東立出版社' }],
+  tagIds: ['t-tongli'],
+  createdAt: '2026-01-02T00:00:00.000Z',
+  updatedAt: '2026-01-02T00:00:00.000Z'
+}
+
+beforeEach(async () => {
+  store = {
+    readmoo_books: {
+      books: [
+        { id: 'b1', title: '海賊王 Vol. 1', publisher: '東立出版社', tagIds: [] },
+        { id: 'b2', title: '漫畫原理', publisher: '遠流', tagIds: ['t-comic'] },
+        { id: 'b3', title: '原子習慣', publisher: '方智', tagIds: [] }
+      ]
+    },
+    tags: [
+      { id: 't-comic', name: '漫畫', categoryId: 'c1' },
+      { id: 't-tongli', name: '東立', categoryId: 'c1' },
+      { id: 't-manga', name: 'Manga', categoryId: 'c1' }
+    ],
+    tag_categories: [{ id: 'c1', name: '主題' }],
+    tagging_rules: [COMIC_RULE, PUBLISHER_RULE]
+  }
+  delete chrome.runtime.lastError
+  chrome.storage.local.get.mockImplementation((keys, callback) => {
+    const result = {}
+    const keyList = Array.isArray(keys) ? keys : [keys]
+    keyList.forEach(key => { result[key] = key in store ? JSON.parse(JSON.stringify(store[key])) : undefined })
+    callback(result)
+  })
+  chrome.storage.local.set.mockImplementation((items, callback) => {
+    Object.keys(items).forEach(key => { store[key] = JSON.parse(JSON.stringify(items[key])) })
+    if (callback) callback()
+  })
+
+  bookStore = new IndexedDBBookStore({ indexedDB: createInMemoryIndexedDB() })
+  await TagStorageAdapter.useBookStore(bookStore)
+})
+
+afterEach(async () => {
+  await TagStorageAdapter.useBookStore(null)
+})
+
+async function tagIdsOf (bookId) {
+  return (await bookStore.getBook(bookId)).tagIds
+}
+
+describe('自動標籤規則 CRUD', () => {
+  test('saveTaggingRule 新建時驗證條件並附上 id 與時間', async () => {
+    const rule = await TagStorageAdapter.saveTaggingRule({
+      name: '  東立漫畫  ',
+      conditions: [{ field: 'publisher', operator: 'contains', value: ' 東立 ' }],
+      tagIds: ['t-tongli']
+    })
+
+    expect(rule).toMatchObject({
+      name: '東立漫畫',
+      enabled: true,
+      match: 'all',
+      conditions: [{ field: 'publisher', operator: 'contains', value: '東立' }],
+      tagIds: ['t-tongli']
+    })
+    expect(rule.id).toMatch(/^rule_/)
+    expect((await TagStorageAdapter.getAllTaggingRules()).map(r => r.name)).toEqual(['漫畫', '東立', '東立漫畫'])
+  })
+
+  test('名稱重複、正規表示式錯誤、目標 tag 不存在時拒絕且不寫入', async () => {
+    const condition = { field: 'title', operator: 'contains', value: 'x' }
+    expect(await TagStorageAdapter.saveTaggingRule({ name: '漫畫', conditions: [condition], tagIds: ['t-comic'] }))
+      .toEqual({ success: false, error: 'duplicate_name' })
+    expect(await TagStorageAdapter.saveTaggingRule({ name: 'a', conditions: [{ field: 'title', operator: 'regex', value: '[' }], tagIds: ['t-comic'] }))
+      .toEqual({ success: false, error: 'invalid_pattern' })
+    expect(await TagStorageAdapter.saveTaggingRule({ name: 'a', conditions: [condition], tagIds: ['t-gone'] }))
+      .toEqual({ success: false, error: 'tag_not_found' })
+    expect(store.tagging_rules).toHaveLength(2)
+  })
+
+  test('有 id 時更新既有規則並保留 createdAt；不存在的 id 回 rule_not_found', async () => {
+    const updated = await TagStorageAdapter.saveTaggingRule({ ...PUBLISHER_RULE, enabled: true })
+
+    expect(updated.createdAt).toBe(PUBLISHER_RULE.createdAt)
+    expect(store.tagging_rules[1].enabled).toBe(true)
+    expect(await TagStorageAdapter.saveTaggingRule({ ...PUBLISHER_RULE, id: 'ghost', name: 'x' }))
+      .toEqual({ success: false, error: 'rule_not_found' })
+  })
+
+  test('deleteTaggingRule 移除規則，書上已有的 tag 保留', async () => {
+    expect(await TagStorageAdapter.deleteTaggingRule('rule-comic')).toEqual({ success: true })
+    expect(store.tagging_rules.map(r => r.id)).toEqual(['rule-publisher'])
+    expect(await tagIdsOf('b2')).toEqual(['t-comic'])
+    expect(await TagStorageAdapter.deleteTaggingRule('rule-comic')).toEqual({ success: false, error: 'rule_not_found' })
+  })
+})
+
+describe('預覽與立即套用', () => {
+  test('previewTaggingRules 預設只含啟用中規則，不寫入書籍', async () => {
+    const result = await TagStorageAdapter.previewTaggingRules()
+
+    expect(result).toEqual({
+      success: true,
+      rules: [{ ruleId: 'rule-comic', name: '漫畫', bookIds: ['b1'] }],
+      affected: 1
+    })
+    expect(await tagIdsOf('b1')).toEqual([])
+  })
+
+  test('指定 ruleIds 時停用中的規則也可預覽', async () => {
+    const result = await TagStorageAdapter.previewTaggingRules(['rule-publisher'])
+    expect(result.rules).toEqual([{ ruleId: 'rule-publisher', name: '東立', bookIds: ['b1'] }])
+  })
+
+  test('runTaggingRules 加上 tag 並可復原', async () => {
+    const result = await TagStorageAdapter.runTaggingRules(['rule-comic', 'rule-publisher'])
+
+    expect(result).toMatchObject({ success: true, affected: 1, missing: 0 })
+    expect(await tagIdsOf('b1')).toEqual(['t-comic', 't-tongli'])
+    expect(TagStorageAdapter.getLastBulkOperation()).toMatchObject({ operation: 'runTaggingRules', count: 1 })
+
+    await TagStorageAdapter.undoLastBulkOperation()
+    expect(await tagIdsOf('b1')).toEqual([])
+  })
+})
+
+describe('新書自動套用', () => {
+  test('storeBookLibrary 只對書庫原本沒有的書套用啟用中規則', async () => {
+    await TagStorageAdapter.storeBookLibrary({
+      books: [
+        { id: 'b3', title: '原子習慣 漫畫版', tagIds: [] },
+        { id: 'b4', title: '鬼滅之刃 Vol. 2', publisher: '東立出版社', tagIds: [] },
+        { id: 'b5', title: '百年孤寂', tagIds: [] }
+      ],
+      extractionTimestamp: 1760000000000
+    })
+
+    expect(await tagIdsOf('b3')).toEqual([])
+    expect(await tagIdsOf('b4')).toEqual(['t-comic'])
+    expect(await tagIdsOf('b5')).toEqual([])
+  })
+
+  test('autoTagBooks 對指定書籍套用並更新 updatedAt，不建立復原紀錄', async () => {
+    const before = TagStorageAdapter.getLastBulkOperation()
+
+    const result = await TagStorageAdapter.autoTagBooks(['b1', 'b3'])
+
+    expect(result).toEqual({ success: true, affected: 1 })
+    const book = await bookStore.getBook('b1')
+    expect(book.tagIds).toEqual(['t-comic'])
+    expect(book.updatedAt).toEqual(expect.any(String))
+    expect(TagStorageAdapter.getLastBulkOperation()).toEqual(before)
+  })
+
+  test('無啟用規則時 autoTagBooks 不寫入', async () => {
+    store.tagging_rules = [PUBLISHER_RULE]
+    expect(await TagStorageAdapter.autoTagBooks(['b1'])).toEqual({ success: true, affected: 0 })
+    expect(await tagIdsOf('b1')).toEqual([])
+  })
+})
+
+describe('mergeTags', () => {
+  test('規則目標 tag 改為合併目標', async () => {
+    await TagStorageAdapter.mergeTags(['t-comic'], 't-manga')
+
+    expect(store.tagging_rules[0].tagIds).toEqual(['t-manga'])
+    expect(store.tagging_rules[1].tagIds).toEqual(['t-tongli'])
+  })
+})
@@ -602,6 +602,63 @@ describe('Book-Tag 關聯操作', () => {
     })
   })
 
+  describe('setBookReadingStatus', () => {
+    test('手動狀態設定 isManualStatus，恢復自動追蹤的狀態清除標記', async () => {
+      seedBooks(store, [
+        createMockBookV2({ id: 'book_1', readingStatus: 'reading', isManualStatus: false })
+      ])
+
+      const result = await TagStorageAdapter.setBookReadingStatus('book_1', 'reference')
+
+      expect(result).toEqual({ success: true, changed: true, readingStatus: 'reference', isManualStatus: true })
+      expect(store.readmoo_books[0]).toMatchObject({ readingStatus: 'reference', isManualStatus: true })
+
+      const back = await TagStorageAdapter.setBookReadingStatus('book_1', 'finished')
+      expect(back).toMatchObject({ success: true, readingStatus: 'finished', isManualStatus: false })
+      expect(store.readmoo_books[0].isManualStatus).toBe(false)
+    })
+
+    test('無效狀態或書籍不存在時回傳錯誤', async () => {
+      seedBooks(store, [createMockBookV2({ id: 'book_1', readingStatus: 'reading' })])
+
+      expect(await TagStorageAdapter.setBookReadingStatus('book_1', 'busy')).toEqual({ success: false, error: 'invalid_status' })
+      expect(await TagStorageAdapter.setBookReadingStatus('book_nonexistent', 'queued')).toEqual({ success: false, error: 'book_not_found' })
+      expect(store.readmoo_books[0].readingStatus).toBe('reading')
+    })
+  })
+
+  describe('setBookAnnotations', () => {
+    test('設定評分與日期，空值清除欄位', async () => {
+      const result = await TagStorageAdapter.setBookAnnotations('book_1', { rating: '5', startedAt: '2026-03-01' })
+
+      expect(result).toEqual({ success: true, changed: true, annotations: { rating: 5, startedAt: '2026-03-01' } })
+      expect(store.readmoo_books[0]).toMatchObject({ rating: 5, startedAt: '2026-03-01' })
+
+      const cleared = await TagStorageAdapter.setBookAnnotations('book_1', { rating: '' })
+      expect(cleared.annotations).toEqual({ startedAt: '2026-03-01' })
+      expect(store.readmoo_books[0].rating).toBeUndefined()
+    })
+
+    test('內容未變時不更新 updatedAt', async () => {
+      seedBooks(store, [createMockBookV2({ id: 'book_1', rating: 3, updatedAt: '2026-01-01T00:00:00.000Z' })])
+
+      const result = await TagStorageAdapter.setBookAnnotations('book_1', { rating: 3 })
+
+      expect(result.changed).toBe(false)
+      expect(store.readmoo_books[0].updatedAt).toBe('2026-01-01T00:00:00.000Z')
+    })
+
+    test('驗證失敗或書籍不存在時回傳錯誤且不寫入', async () => {
+      seedBooks(store, [createMockBookV2({ id: 'book_1', startedAt: '2026-03-01' })])
+
+      expect(await TagStorageAdapter.setBookAnnotations('book_1', { rating: 6 })).toEqual({ success: false, error: 'invalid_rating' })
+      expect(await TagStorageAdapter.setBookAnnotations('book_1', { finishedAt: '2026-02-01' })).toEqual({ success: false, error: 'invalid_date_order' })
+      expect(await TagStorageAdapter.setBookAnnotations('book_1', { title: 'x' })).toEqual({ success: false, error: 'invalid_annotation_field' })
+      expect(await TagStorageAdapter.setBookAnnotations('book_nonexistent', { rating: 2 })).toEqual({ success: false, error: 'book_not_found' })
+      expect(store.readmoo_books[0].finishedAt).toBeUndefined()
+    })
+  })
+
   describe('getBooksByTag', () => {
     test('應回傳含特定 tagId 的所有書籍', async () => {
       seedBooks(store, [
@@ -984,11 +1041,11 @@ describe('Schema Version 驗證', () => {
     store = createStorageMock()
   })
 
-  test('tag storage 初始化後 schema_version 應為 "3.0.0"', async () => {
+  test('tag storage 初始化後 schema_version 應為 "4.0.0"', async () => {
     await TagStorageAdapter.initializeSchema()
 
     const version = store.schema_version
 
-    expect(version).toBe('3.0.0')
+    expect(version).toBe('4.0.0')
   })
 })
@@ -0,0 +1,135 @@
+/**
+ * tag-storage-adapter 合併預覽（dry-run）與衝突裁決測試
+ *
+ * 測試對象：
+ *   - computeMergePreview 純函式：逐本狀態（added / updated / unchanged）、欄位差異、
+ *     LWW 衝突標記、tag / category 新建與同名重映射
+ *   - computeMergeResult options.bookResolutions：使用者裁決覆寫 LWW，tagIds 聯集不受影響
+ *
+ * 測試遵循 test-assertion-design 規則：無計時硬門檻；純資料轉換以結構斷言。
+ */
+
+const TagStorageAdapter = require('src/storage/adapters/tag-storage-adapter')
+
+const { computeMergePreview, computeMergeResult, BOOK_RESOLUTIONS } = TagStorageAdapter
+
+const makeBook = (id, overrides = {}) => ({
+  id,
+  title: `書籍 ${id}`,
+  progress: 0,
+  tagIds: [],
+  updatedAt: '2026-01-01T00:00:00.000Z',
+  ...overrides
+})
+
+const makeCategory = (id, name) => ({ id, name, color: '#333333', isSystem: false, sortOrder: 0 })
+const makeTag = (id, name, categoryId) => ({ id, name, categoryId, isSystem: false, sortOrder: 0 })
+
+function makeIdGenerators () {
+  let n = 0
+  return { nextCategoryId: () => `cat_${++n}`, nextTagId: () => `tag_${++n}` }
+}
+
+describe('computeMergePreview — 逐本差異', () => {
+  test('新書為 added、較新匯入為 updated 並列出欄位差異、相同內容為 unchanged', () => {
+    const local = {
+      books: [
+        makeBook('b1', { progress: 10 }),
+        makeBook('b2', { progress: 50 })
+      ],
+      tags: [],
+      tagCategories: []
+    }
+    const incoming = {
+      books: [
+        makeBook('b1', { progress: 80, updatedAt: '2026-02-01T00:00:00.000Z' }),
+        makeBook('b2', { progress: 50 }),
+        makeBook('b3')
+      ],
+      tags: [],
+      tagCategories: []
+    }
+
+    const preview = computeMergePreview(local, incoming)
+
+    expect(preview.books.map(b => [b.id, b.status])).toEqual([
+      ['b1', 'updated'], ['b2', 'unchanged'], ['b3', 'added']
+    ])
+    expect(preview.books[0].changes).toEqual([{ field: 'progress', from: 10, to: 80 }])
+    expect(preview.books[0].conflict).toEqual({
+      winner: BOOK_RESOLUTIONS.INCOMING,
+      fields: ['progress'],
+      localUpdatedAt: '2026-01-01T00:00:00.000Z',
+      incomingUpdatedAt: '2026-02-01T00:00:00.000Z'
+    })
+    expect(preview.books[1].conflict).toBeNull()
+    expect(preview.counts).toMatchObject({ added: 1, updated: 1, unchanged: 1, conflicts: 1 })
+  })
+
+  test('本地較新時 LWW 保留本地：無欄位變更但標記衝突', () => {
+    const local = { books: [makeBook('b1', { progress: 90, updatedAt: '2026-03-01T00:00:00.000Z' })], tags: [], tagCategories: [] }
+    const incoming = { books: [makeBook('b1', { progress: 20 })], tags: [], tagCategories: [] }
+
+    const [book] = computeMergePreview(local, incoming).books
+
+    expect(book.status).toBe('unchanged')
+    expect(book.changes).toEqual([])
+    expect(book.conflict.winner).toBe(BOOK_RESOLUTIONS.LOCAL)
+    expect(book.conflict.fields).toEqual(['progress'])
+  })
+
+  test('tag / category 同名對應既有 id，新名稱標記為新建且 localId 為 null', () => {
+    const local = {
+      books: [makeBook('b1')],
+      tags: [makeTag('t_local', '科幻', 'c_local')],
+      tagCategories: [makeCategory('c_local', '類型')]
+    }
+    const incoming = {
+      books: [makeBook('b1', { tagIds: ['t_in', 't_new'] })],
+      tags: [makeTag('t_in', '科幻', 'c_in'), makeTag('t_new', '推理', 'c_in')],
+      tagCategories: [makeCategory('c_in', '類型')]
+    }
+
+    const preview = computeMergePreview(local, incoming)
+
+    expect(preview.tagCategories).toEqual([
+      { incomingId: 'c_in', localId: 'c_local', name: '類型', incomingName: '類型', status: 'remapped', renamed: false }
+    ])
+    expect(preview.tags.map(t => [t.incomingId, t.status, t.localId])).toEqual([
+      ['t_in', 'remapped', 't_local'], ['t_new', 'created', null]
+    ])
+    expect(preview.books[0].status).toBe('updated')
+    expect(preview.books[0].addedTagIds).toHaveLength(2)
+    expect(preview.counts).toMatchObject({ categoriesRemapped: 1, tagsRemapped: 1, tagsCreated: 1 })
+  })
+})
+
+describe('computeMergeResult — bookResolutions 覆寫 LWW', () => {
+  const local = { books: [makeBook('b1', { progress: 90, updatedAt: '2026-03-01T00:00:00.000Z', tagIds: ['t1'] })], tags: [makeTag('t1', '科幻', 'c1')], tagCategories: [makeCategory('c1', '類型')] }
+  const incoming = { books: [makeBook('b1', { progress: 20 })], tags: [], tagCategories: [] }
+
+  test('未指定時依 LWW 保留較新的本地', () => {
+    const merged = computeMergeResult(local, incoming, makeIdGenerators())
+
+    expect(merged.books[0].progress).toBe(90)
+  })
+
+  test('指定 incoming 時採用匯入值，tagIds 仍為聯集', () => {
+    const merged = computeMergeResult(local, incoming, makeIdGenerators(), {
+      bookResolutions: { b1: BOOK_RESOLUTIONS.INCOMING }
+    })
+
+    expect(merged.books[0].progress).toBe(20)
+    expect(merged.books[0].tagIds).toEqual(['t1'])
+  })
+
+  test('指定 local 時保留本地值', () => {
+    const newerIncoming = { books: [makeBook('b1', { progress: 20, updatedAt: '2026-05-01T00:00:00.000Z' })], tags: [], tagCategories: [] }
+
+    const merged = computeMergeResult(local, newerIncoming, makeIdGenerators(), {
+      bookResolutions: { b1: BOOK_RESOLUTIONS.LOCAL }
+    })
+
+    expect(merged.books[0].progress).toBe(90)
+  })
+})
@@ -0,0 +1,138 @@
+/**
+ * 噴泉碼編解碼測試（fountain-codec）
+ *
+ * 範圍：
+ * - PRNG / 符號 block 索引決定性（App 端須逐位元一致）
+ * - 系統符號即 source block、修復符號為多 block XOR
+ * - FountainDecoder：系統符號全收、僅修復符號、隨機漏收皆可還原；重複符號不提升秩
+ *
+ * 註：隨機漏收以固定種子 PRNG 選擇，結果可重現；不含計時斷言（test-assertion-design-rules）。
+ */
+
+'use strict'
+
+const {
+  FountainDecoder,
+  createSymbolRandom,
+  encodeSymbol,
+  splitSourceBlocks,
+  symbolBlockIndices
+} = require('src/sync/fountain-codec')
+
+function captureError (fn) {
+  try {
+    fn()
+  } catch (error) {
+    return error
+  }
+  return null
+}
+
+function makeData (length) {
+  const data = new Uint8Array(length)
+  for (let i = 0; i < length; i++) data[i] = (i * 31 + 7) & 0xFF
+  return data
+}
+
+function encodeAll (data, blockSize, symbolCount) {
+  const blocks = splitSourceBlocks(data, blockSize)
+  return {
+    blocks,
+    symbols: Array.from({ length: symbolCount }, (_, id) => ({ id, payload: encodeSymbol(blocks, id) }))
+  }
+}
+
+describe('PRNG 與符號索引', () => {
+  test('相同種子產生相同序列（跨平台對照向量）', () => {
+    const next = createSymbolRandom(42)
+    const sequence = [next(), next(), next()]
+
+    expect(sequence).toEqual([939911724, 3948730756, 321366731])
+    const again = createSymbolRandom(42)
+    expect([again(), again(), again()]).toEqual(sequence)
+  })
+
+  test('系統符號對應單一 block，修復符號索引不重複且在範圍內', () => {
+    expect(symbolBlockIndices(3, 10)).toEqual([3])
+
+    for (let id = 10; id < 200; id++) {
+      const indices = symbolBlockIndices(id, 10)
+      expect(new Set(indices).size).toBe(indices.length)
+      indices.forEach(index => expect(index).toBeLessThan(10))
+    }
+  })
+
+  test('單一 block 時修復符號仍涵蓋該 block', () => {
+    for (let id = 1; id < 50; id++) {
+      expect(symbolBlockIndices(id, 1)).toEqual([0])
+    }
+  })
+})
+
+describe('encodeSymbol', () => {
+  test('最後一塊補 0 至 blockSize', () => {
+    const blocks = splitSourceBlocks(makeData(250), 100)
+    expect(blocks).toHaveLength(3)
+    expect(blocks[2].subarray(50)).toEqual(new Uint8Array(50))
+  })
+
+  test('修復符號為所涵蓋 block 的 XOR', () => {
+    const blocks = splitSourceBlocks(makeData(1000), 100)
+    const id = 25
+    const expected = new Uint8Array(100)
+    symbolBlockIndices(id, 10).forEach(index => blocks[index].forEach((b, i) => { expected[i] ^= b }))
+
+    expect(encodeSymbol(blocks, id)).toEqual(expected)
+  })
+})
+
+describe('FountainDecoder', () => {
+  const data = makeData(4096)
+  const blockSize = 128
+  const sourceBlocks = 32
+
+  test('收齊全部系統符號即可還原', () => {
+    const { symbols } = encodeAll(data, blockSize, sourceBlocks)
+    const decoder = new FountainDecoder(sourceBlocks, blockSize)
+    symbols.forEach(s => decoder.addSymbol(s.id, s.payload))
+
+    expect(decoder.isComplete).toBe(true)
+    expect(decoder.getData(data.length)).toEqual(data)
+  })
+
+  test('只收修復符號也能還原', () => {
+    const { symbols } = encodeAll(data, blockSize, sourceBlocks * 4)
+    const decoder = new FountainDecoder(sourceBlocks, blockSize)
+    for (const s of symbols.slice(sourceBlocks)) {
+      decoder.addSymbol(s.id, s.payload)
+      if (decoder.isComplete) break
+    }
+
+    expect(decoder.isComplete).toBe(true)
+    // 修復符號須彼此線性獨立（PRNG 不可為 GF(2) 線性），額外符號僅需少量
+    expect(decoder.receivedCount).toBeLessThan(sourceBlocks + 10)
+    expect(decoder.getData(data.length)).toEqual(data)
+  })
+
+  test('漏收約三成符號時以修復符號補齊', () => {
+    const { symbols } = encodeAll(data, blockSize, Math.ceil(sourceBlocks * 1.6))
+    const drop = createSymbolRandom(7)
+    const decoder = new FountainDecoder(sourceBlocks, blockSize)
+    symbols.filter(() => drop() % 10 >= 3).forEach(s => decoder.addSymbol(s.id, s.payload))
+
+    expect(decoder.isComplete).toBe(true)
+    expect(decoder.getData(data.length)).toEqual(data)
+  })
+
+  test('重複符號不提升秩；未收齊時 getData 拋錯', () => {
+    const { symbols } = encodeAll(data, blockSize, 2)
+    const decoder = new FountainDecoder(sourceBlocks, blockSize)
+
+    expect(decoder.addSymbol(symbols[0].id, symbols[0].payload)).toBe(true)
+    expect(decoder.addSymbol(symbols[0].id, symbols[0].payload)).toBe(false)
+    expect(decoder.rank).toBe(1)
+    const error = captureError(() => decoder.getData(data.length))
+    expect(error).toBeInstanceOf(Error)
+    expect(error.message).toContain('尚未收齊')
+  })
+})
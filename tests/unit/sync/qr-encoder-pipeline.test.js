@@ -6,6 +6,8 @@
  * - 場景 N6：小書庫，壓縮後 <= 800 bytes → frames=1, isStatic=true
  * - 場景 E1：空書庫 → 拋出 Error 不產出 QR + Logger.error
  * - 場景 B5：壓縮後恰好 800 bytes → isStatic=true, frames=1
+ * - 增量信封（format_version 3.0）僅含 tombstone 時不視為空書庫
+ * - passphrase：壓縮資料加密後再切塊，isStatic 依加密容器長度判定
  *
  * Mock 策略（Phase 2 測試設計）：以可控輸出長度的 CompressionStream mock
  * 取代真實 gzip，使「壓縮後位元組長度」成為可預測的測試輸入，藉此精準
@@ -130,6 +132,19 @@ describe('encodeBookDataToQRFrames', () => {
     expect(error.message).toContain('書庫中沒有書籍')
   })
 
+  test('增量信封僅含 tombstone（books 為空）仍可編碼', async () => {
+    globalThis.CompressionStream = createFixedLengthCompressionStreamMock(300)
+    const json = JSON.stringify({
+      format_version: '3.0',
+      books: [],
+      tombstones: { books: [{ id: 'b1', deleted_at: '2026-10-05T00:00:00.000Z' }] },
+      sync_meta: {}
+    })
+
+    const result = await encodeBookDataToQRFrames(json)
+    expect(result.frames.length).toBe(1)
+  })
+
   test('chunkSize 選項可覆寫切塊邊界', async () => {
     globalThis.CompressionStream = createFixedLengthCompressionStreamMock(600)
 
@@ -138,4 +153,22 @@ describe('encodeBookDataToQRFrames', () => {
     expect(result.frames.length).toBe(2)
     expect(result.isStatic).toBe(false)
   })
+
+  test('提供 passphrase 時依加密容器（+49 bytes）切塊', async () => {
+    const originalCrypto = globalThis.crypto
+    Object.defineProperty(globalThis, 'crypto', { value: require('crypto').webcrypto, configurable: true })
+    globalThis.CompressionStream = createFixedLengthCompressionStreamMock(780)
+
+    try {
+      const result = await encodeBookDataToQRFrames(buildSyncJSON(20), { passphrase: 'pass', iterations: 1000 })
+
+      // 33 bytes 容器 header + 16 bytes GCM tag 使 780 bytes 超出單幀
+      expect(result.encrypted).toBe(true)
+      expect(result.totalSize).toBe(780 + 49)
+      expect(result.isStatic).toBe(false)
+      expect(result.frames.length).toBe(2)
+    } finally {
+      Object.defineProperty(globalThis, 'crypto', { value: originalCrypto, configurable: true })
+    }
+  })
 })
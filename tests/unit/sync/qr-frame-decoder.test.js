@@ -0,0 +1,189 @@
+/**
+ * QR frame 解碼測試（qr-frame-decoder）
+ *
+ * 範圍：
+ * - 編碼 → 解碼往返：循序 frame（0x01）與噴泉碼 frame（0x02）還原同步 JSON
+ * - 噴泉碼漏掃：丟棄部分 frame（含系統符號）仍可於一輪內還原
+ * - 拒收：非 frame 位元組、不同傳輸的 frame、重複 frame
+ * - 校驗：payload 遭竄改時 getPayload 拋出 CRC 錯誤
+ * - 加密 frame：ENCRYPTED 旗標、解碼後以配對密碼解密還原
+ *
+ * jsdom 不提供 CompressionStream / DecompressionStream 與 crypto.subtle，
+ * 測試期間掛上 Node 內建 stream/web / webcrypto 實作。
+ *
+ * 註：本檔為功能正確性測試，不含計時/精度斷言（test-assertion-design-rules）。
+ */
+
+'use strict'
+
+const { compressData, createFrames, createFountainFrames } = require('src/sync/qr-encoder')
+const { QRFrameDecoder, FRAME_REJECT_REASONS, decompressData } = require('src/sync/qr-frame-decoder')
+const { parseFrame, FRAME_VERSIONS, FRAME_FLAGS } = require('src/sync/qr-frame-format')
+const { encryptSyncPayload, decryptSyncPayload } = require('src/sync/sync-crypto')
+
+const originalCrypto = global.crypto
+
+beforeAll(() => {
+  const { CompressionStream, DecompressionStream } = require('stream/web')
+  global.CompressionStream = CompressionStream
+  global.DecompressionStream = DecompressionStream
+  Object.defineProperty(global, 'crypto', { value: require('crypto').webcrypto, configurable: true })
+})
+
+afterAll(() => {
+  delete global.CompressionStream
+  delete global.DecompressionStream
+  Object.defineProperty(global, 'crypto', { value: originalCrypto, configurable: true })
+})
+
+// 書名含雜湊碼使 gzip 後仍跨多個 frame；固定內容使漏掃案例可重現
+function buildSyncJson (count) {
+  const books = Array.from({ length: count }, (_, i) => ({
+    id: `book-${i}`,
+    title: `書籍 ${i} ${(Math.imul(i + 1, 0x9E3779B1) >>> 0).toString(36)}`,
+    progress: i % 100
+  }))
+  return JSON.stringify({ format_version: '2.0', books, sync_meta: { book_count: count } })
+}
+
+function captureError (fn) {
+  try {
+    fn()
+  } catch (error) {
+    return error
+  }
+  return null
+}
+
+function feed (decoder, frames) {
+  for (const frame of frames) {
+    decoder.addFrame(frame)
+    if (decoder.isComplete) break
+  }
+}
+
+describe('循序 frame（0x01）', () => {
+  test('亂序收齊後還原原始 JSON', async () => {
+    const json = buildSyncJson(200)
+    const frames = createFrames(await compressData(json), 200)
+    const decoder = new QRFrameDecoder()
+
+    feed(decoder, frames.slice().reverse())
+
+    expect(decoder.isComplete).toBe(true)
+    expect(await decompressData(decoder.getPayload())).toBe(json)
+  })
+
+  test('重複 frame 以 redundant 拒收，進度不變', async () => {
+    const frames = createFrames(await compressData(buildSyncJson(200)), 200)
+    const decoder = new QRFrameDecoder()
+
+    expect(decoder.addFrame(frames[0])).toEqual({ accepted: true, complete: false })
+    expect(decoder.addFrame(frames[0])).toEqual({
+      accepted: false, complete: false, reason: FRAME_REJECT_REASONS.REDUNDANT
+    })
+    expect(decoder.progress).toEqual({ received: 1, required: frames.length })
+  })
+})
+
+describe('噴泉碼 frame（0x02）', () => {
+  test('header 為 17 bytes 且 symbol_id 連號', async () => {
+    const frames = createFountainFrames(await compressData(buildSyncJson(200)), { chunkSize: 200 })
+    const parsed = frames.map(parseFrame)
+    const sourceBlocks = parsed[0].sourceBlocks
+
+    expect(frames).toHaveLength(sourceBlocks + Math.ceil(sourceBlocks * 0.5))
+    parsed.forEach((header, i) => {
+      expect(header.version).toBe(FRAME_VERSIONS.FOUNTAIN)
+      expect(header.symbolId).toBe(i)
+      expect(header.payload).toHaveLength(200)
+    })
+    expect(frames[0]).toHaveLength(217)
+  })
+
+  test('漏掃約四分之一 frame（含系統符號）仍可還原', async () => {
+    const json = buildSyncJson(300)
+    const frames = createFountainFrames(await compressData(json), { chunkSize: 200 })
+    const decoder = new QRFrameDecoder()
+
+    feed(decoder, frames.filter((_, i) => i % 4 !== 1))
+
+    expect(decoder.isComplete).toBe(true)
+    expect(decoder.progress.received).toBe(decoder.progress.required)
+    expect(await decompressData(decoder.getPayload())).toBe(json)
+  })
+
+  test('未收齊時 getPayload 拋錯', async () => {
+    const frames = createFountainFrames(await compressData(buildSyncJson(200)), { chunkSize: 200 })
+    const decoder = new QRFrameDecoder()
+    decoder.addFrame(frames[0])
+
+    expect(decoder.isComplete).toBe(false)
+    const error = captureError(() => decoder.getPayload())
+    expect(error).toBeInstanceOf(Error)
+    expect(error.message).toContain('尚未收齊')
+  })
+})
+
+describe('拒收與校驗', () => {
+  test('非 frame 位元組以 malformed 拒收', () => {
+    const decoder = new QRFrameDecoder()
+
+    expect(decoder.addFrame(new Uint8Array([1, 2, 3, 4])).reason).toBe(FRAME_REJECT_REASONS.MALFORMED)
+    expect(decoder.addFrame('QR')).toMatchObject({ accepted: false, reason: FRAME_REJECT_REASONS.MALFORMED })
+  })
+
+  test('第一個 frame 決定傳輸，其他傳輸的 frame 以 session-mismatch 拒收', async () => {
+    const current = createFountainFrames(await compressData(buildSyncJson(200)), { chunkSize: 200 })
+    const previous = createFrames(await compressData(buildSyncJson(200)), 200)
+    const decoder = new QRFrameDecoder()
+
+    decoder.addFrame(current[0])
+
+    expect(decoder.addFrame(previous[0]).reason).toBe(FRAME_REJECT_REASONS.SESSION_MISMATCH)
+  })
+
+  test('payload 遭竄改時 CRC 校驗失敗', async () => {
+    const frames = createFrames(await compressData(buildSyncJson(50)), 200)
+    const tampered = frames.map(frame => frame.slice())
+    tampered[0][20] ^= 0xFF
+    const decoder = new QRFrameDecoder()
+
+    feed(decoder, tampered)
+
+    expect(decoder.isComplete).toBe(true)
+    const error = captureError(() => decoder.getPayload())
+    expect(error).toBeInstanceOf(Error)
+    expect(error.message).toContain('校驗失敗')
+  })
+})
+
+describe('加密 frame', () => {
+  test('ENCRYPTED 旗標隨 frame 傳遞，收齊後以配對密碼解密還原', async () => {
+    const json = buildSyncJson(200)
+    const container = await encryptSyncPayload(await compressData(json), 'K7QX2-M9FHT', { iterations: 1000 })
+    const frames = createFountainFrames(container, { chunkSize: 200, encrypted: true })
+    const decoder = new QRFrameDecoder()
+
+    expect(frames[0][2]).toBe(FRAME_VERSIONS.FOUNTAIN | FRAME_FLAGS.ENCRYPTED)
+    expect(parseFrame(frames[0])).toMatchObject({ version: FRAME_VERSIONS.FOUNTAIN, encrypted: true })
+
+    feed(decoder, frames)
+
+    expect(decoder.isEncrypted).toBe(true)
+    const compressed = await decryptSyncPayload(decoder.getPayload(), 'K7QX2-M9FHT')
+    expect(await decompressData(compressed)).toBe(json)
+  })
+
+  test('加密與未加密 frame 不混入同一傳輸', async () => {
+    const compressed = await compressData(buildSyncJson(200))
+    const plain = createFrames(compressed, 200)
+    const flagged = createFrames(compressed, 200, { encrypted: true })
+    const decoder = new QRFrameDecoder()
+
+    decoder.addFrame(plain[0])
+
+    expect(decoder.isEncrypted).toBe(false)
+    expect(decoder.addFrame(flagged[1]).reason).toBe(FRAME_REJECT_REASONS.SESSION_MISMATCH)
+  })
+})
@@ -0,0 +1,141 @@
+/**
+ * 同步資料加密測試（sync-crypto）
+ *
+ * 範圍：
+ * - 加密容器：往返還原、header 欄位、每次加密 salt / iv 不同
+ * - 密碼錯誤、容器遭竄改、格式錯誤皆拋錯
+ * - 加密 JSON 檔：往返還原原始 JSON、isEncryptedSyncFile 辨識
+ * - 一次性配對碼格式
+ *
+ * jsdom 不提供 crypto.subtle 與 CompressionStream，測試期間掛上 Node 內建 webcrypto / stream/web；
+ * PBKDF2 iterations 以小值加速（正式預設 600000）。
+ *
+ * 註：本檔為功能正確性測試，不含計時/精度斷言（test-assertion-design-rules）。
+ */
+
+'use strict'
+
+const {
+  ENCRYPTION_CONTAINER_VERSION,
+  decryptSyncFile,
+  decryptSyncPayload,
+  encryptSyncFile,
+  encryptSyncPayload,
+  generatePairingCode,
+  isEncryptedSyncFile
+} = require('src/sync/sync-crypto')
+
+const ITERATIONS = 1000
+const originalCrypto = global.crypto
+
+beforeAll(() => {
+  const { CompressionStream, DecompressionStream } = require('stream/web')
+  global.CompressionStream = CompressionStream
+  global.DecompressionStream = DecompressionStream
+  Object.defineProperty(global, 'crypto', { value: require('crypto').webcrypto, configurable: true })
+})
+
+afterAll(() => {
+  delete global.CompressionStream
+  delete global.DecompressionStream
+  Object.defineProperty(global, 'crypto', { value: originalCrypto, configurable: true })
+})
+
+async function captureError (promise) {
+  try {
+    await promise
+  } catch (error) {
+    return error
+  }
+  return null
+}
+
+const data = new Uint8Array(Array.from({ length: 300 }, (_, i) => (i * 13) & 0xFF))
+
+describe('加密容器', () => {
+  test('以相同密碼解密還原原始資料', async () => {
+    const container = await encryptSyncPayload(data, '我的密碼', { iterations: ITERATIONS })
+
+    expect(container[0]).toBe(ENCRYPTION_CONTAINER_VERSION)
+    expect(new DataView(container.buffer).getUint32(1, false)).toBe(ITERATIONS)
+    // header 33 bytes + 密文（與明文等長）+ 16 bytes tag
+    expect(container.length).toBe(33 + data.length + 16)
+    expect(await decryptSyncPayload(container, '我的密碼')).toEqual(data)
+  })
+
+  test('同一資料每次加密的 salt / iv 與密文皆不同', async () => {
+    const first = await encryptSyncPayload(data, 'pass', { iterations: ITERATIONS })
+    const second = await encryptSyncPayload(data, 'pass', { iterations: ITERATIONS })
+
+    expect(first.subarray(5, 33)).not.toEqual(second.subarray(5, 33))
+    expect(first.subarray(33)).not.toEqual(second.subarray(33))
+  })
+
+  test('密碼錯誤時拋錯', async () => {
+    const container = await encryptSyncPayload(data, 'right', { iterations: ITERATIONS })
+    const error = await captureError(decryptSyncPayload(container, 'wrong'))
+
+    expect(error).toBeInstanceOf(Error)
+    expect(error.message).toContain('同步密碼錯誤')
+  })
+
+  test('密文遭竄改時 tag 驗證失敗', async () => {
+    const container = await encryptSyncPayload(data, 'pass', { iterations: ITERATIONS })
+    container[40] ^= 0x01
+    const error = await captureError(decryptSyncPayload(container, 'pass'))
+
+    expect(error.message).toContain('資料已損毀')
+  })
+
+  test('容器版本、長度或 iterations 不合法時拋格式錯誤', async () => {
+    const container = await encryptSyncPayload(data, 'pass', { iterations: ITERATIONS })
+    const badVersion = container.slice()
+    badVersion[0] = 0x02
+    const badIterations = container.slice()
+    new DataView(badIterations.buffer).setUint32(1, 0xFFFFFFFF, false)
+
+    for (const input of [badVersion, badIterations, container.subarray(0, 40)]) {
+      const error = await captureError(decryptSyncPayload(input, 'pass'))
+      expect(error.message).toContain('格式錯誤')
+    }
+  })
+
+  test('未提供密碼時拒絕加密', async () => {
+    const error = await captureError(encryptSyncPayload(data, ''))
+
+    expect(error.message).toContain('請輸入同步密碼')
+  })
+})
+
+describe('加密 JSON 檔', () => {
+  test('往返還原原始 JSON，檔案內不含明文', async () => {
+    const json = JSON.stringify({ format_version: '2.0', books: [{ id: 'b1', title: '三體' }] })
+    const fileContent = await encryptSyncFile(json, 'K7QX2-M9FHT', { iterations: ITERATIONS })
+    const parsed = JSON.parse(fileContent)
+
+    expect(isEncryptedSyncFile(parsed)).toBe(true)
+    expect(fileContent).not.toContain('三體')
+    expect(await decryptSyncFile(parsed, 'K7QX2-M9FHT')).toBe(json)
+  })
+
+  test('一般同步 JSON 不視為加密檔', () => {
+    expect(isEncryptedSyncFile({ format_version: '2.0', books: [] })).toBe(false)
+    expect(isEncryptedSyncFile({ encrypted_sync: 1 })).toBe(false)
+    expect(isEncryptedSyncFile(null)).toBe(false)
+  })
+
+  test('payload 非 base64 時拋格式錯誤', async () => {
+    const error = await captureError(decryptSyncFile({ encrypted_sync: 1, payload: '%%%' }, 'pass'))
+
+    expect(error.message).toContain('格式錯誤')
+  })
+})
+
+describe('generatePairingCode', () => {
+  test('10 字元分兩組且不含易混淆字元', () => {
+    const code = generatePairingCode()
+
+    expect(code).toMatch(/^[2-9A-HJKMNP-Z]{5}-[2-9A-HJKMNP-Z]{5}$/)
+    expect(generatePairingCode()).not.toBe(code)
+  })
+})
@@ -0,0 +1,111 @@
+/**
+ * sync-journal 測試（增量同步配對裝置與同步點）
+ *
+ * 範圍：
+ * - normalizeSyncJournal：缺漏 / 損毀值回空日誌
+ * - resolveSyncBase：無裝置或未確認 → 全量；多裝置取最舊游標與 id 聯集
+ * - addPendingSyncPoint：待確認清單上限輪替
+ * - acknowledgeSyncPoint：確認點升級、未知 sync id 不覆蓋既有確認點
+ */
+
+'use strict'
+
+const {
+  MAX_PENDING_SYNC_POINTS,
+  acknowledgeSyncPoint,
+  addPendingSyncPoint,
+  createSyncId,
+  normalizeSyncJournal,
+  resolveSyncBase
+} = require('src/sync/sync-journal')
+
+function syncPoint (syncId, until, bookIds = []) {
+  return { syncId, until, bookIds, tagIds: [], tagCategoryIds: [] }
+}
+
+describe('normalizeSyncJournal', () => {
+  test('缺漏或損毀值回空日誌', () => {
+    expect(normalizeSyncJournal(null)).toEqual({ devices: {}, pending: [] })
+    expect(normalizeSyncJournal({ devices: 'x', pending: {} })).toEqual({ devices: {}, pending: [] })
+  })
+})
+
+describe('createSyncId', () => {
+  test('以前綴區分裝置與同步點', () => {
+    expect(createSyncId('ext')).toMatch(/^ext_\d+-[a-z0-9]+$/)
+    expect(createSyncId('sync')).not.toBe(createSyncId('sync'))
+  })
+})
+
+describe('resolveSyncBase', () => {
+  test('無配對裝置時回 null（全量）', () => {
+    expect(resolveSyncBase(normalizeSyncJournal(null))).toBeNull()
+  })
+
+  test('任一裝置尚未確認時回 null（全量）', () => {
+    const journal = {
+      devices: {
+        app_a: { lastSeenAt: 't', acknowledged: syncPoint('s1', '2026-10-01T00:00:00.000Z') },
+        app_b: { lastSeenAt: 't', acknowledged: null }
+      },
+      pending: []
+    }
+    expect(resolveSyncBase(journal)).toBeNull()
+  })
+
+  test('多裝置取最舊確認游標與已知 id 聯集', () => {
+    const journal = {
+      devices: {
+        app_a: { lastSeenAt: 't', acknowledged: syncPoint('s2', '2026-10-05T00:00:00.000Z', ['b1', 'b2']) },
+        app_b: { lastSeenAt: 't', acknowledged: syncPoint('s1', '2026-10-01T00:00:00.000Z', ['b1', 'b3']) }
+      },
+      pending: []
+    }
+    expect(resolveSyncBase(journal)).toEqual({
+      since: '2026-10-01T00:00:00.000Z',
+      bookIds: ['b1', 'b2', 'b3'],
+      tagIds: [],
+      tagCategoryIds: []
+    })
+  })
+})
+
+describe('addPendingSyncPoint', () => {
+  test('超過上限時捨棄最舊的待確認同步點', () => {
+    let journal = normalizeSyncJournal(null)
+    for (let i = 0; i <= MAX_PENDING_SYNC_POINTS; i++) {
+      journal = addPendingSyncPoint(journal, syncPoint(`s${i}`, '2026-10-01T00:00:00.000Z'))
+    }
+    expect(journal.pending).toHaveLength(MAX_PENDING_SYNC_POINTS)
+    expect(journal.pending[0].syncId).toBe('s1')
+  })
+})
+
+describe('acknowledgeSyncPoint', () => {
+  const pendingPoint = syncPoint('s1', '2026-10-01T00:00:00.000Z', ['b1'])
+  const journal = { devices: {}, pending: [pendingPoint] }
+
+  test('待確認同步點升級為裝置確認點，pending 保留供其他裝置確認', () => {
+    const result = acknowledgeSyncPoint(journal, 'app_a', 's1', '2026-10-02T00:00:00.000Z')
+
+    expect(result.acknowledged).toBe(true)
+    expect(result.journal.devices.app_a).toEqual({ lastSeenAt: '2026-10-02T00:00:00.000Z', acknowledged: pendingPoint })
+    expect(result.journal.pending).toEqual([pendingPoint])
+  })
+
+  test('未帶確認 id 時仍登錄裝置，acknowledged 為 null', () => {
+    const result = acknowledgeSyncPoint(journal, 'app_a', null, '2026-10-02T00:00:00.000Z')
+
+    expect(result.acknowledged).toBe(false)
+    expect(result.journal.devices.app_a.acknowledged).toBeNull()
+  })
+
+  test('未知 sync id 不覆蓋裝置既有確認點', () => {
+    const acked = acknowledgeSyncPoint(journal, 'app_a', 's1', '2026-10-02T00:00:00.000Z').journal
+    const result = acknowledgeSyncPoint(acked, 'app_a', 'expired', '2026-10-03T00:00:00.000Z')
+
+    expect(result.acknowledged).toBe(false)
+    expect(result.journal.devices.app_a.acknowledged).toEqual(pendingPoint)
+    expect(result.journal.devices.app_a.lastSeenAt).toBe('2026-10-03T00:00:00.000Z')
+  })
+})
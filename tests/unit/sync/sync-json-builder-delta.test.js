@@ -0,0 +1,150 @@
+/**
+ * sync-json-builder 增量信封測試（format_version 3.0）
+ *
+ * 範圍：
+ * - computeSyncDelta：依同步基準點篩選變更、以已知 id 推導 tombstone
+ * - buildDeltaSyncJSON：信封結構、全量 / 增量模式、同步點 id 清單
+ * - isDeltaSyncEnvelope：3.x 信封辨識，2.0 快照不誤判
+ *
+ * 註：以固定 now 注入時間，不使用計時門檻斷言（test-assertion-design-rules）。
+ */
+
+'use strict'
+
+const {
+  buildDeltaSyncJSON,
+  buildSyncJSON,
+  computeSyncDelta,
+  getChangedAt,
+  isDeltaSyncEnvelope,
+  SYNC_FORMAT_VERSION
+} = require('src/sync/sync-json-builder')
+
+const SINCE = '2026-10-01T00:00:00.000Z'
+const NOW = new Date('2026-10-10T00:00:00.000Z')
+
+const library = {
+  books: [
+    { id: 'b-old', title: '舊書', updatedAt: '2026-09-01T00:00:00.000Z' },
+    { id: 'b-new', title: '新書', updatedAt: '2026-10-05T00:00:00.000Z' },
+    { id: 'b-extracted', title: '剛提取', extractedAt: '2026-10-06T00:00:00.000Z' },
+    { id: 'b-untimed', title: '無時間戳' }
+  ],
+  tags: [
+    { id: 'tag-a', name: '科幻', categoryId: 'cat-1', updatedAt: '2026-09-01T00:00:00.000Z' },
+    { id: 'tag-b', name: '推理', categoryId: 'cat-1', updatedAt: '2026-10-02T00:00:00.000Z' }
+  ],
+  tagCategories: [
+    { id: 'cat-1', name: '類型', updatedAt: '2026-09-01T00:00:00.000Z' }
+  ]
+}
+
+describe('getChangedAt', () => {
+  test('優先序 updatedAt > extractedAt > addedAt，無效時間回 null', () => {
+    expect(getChangedAt({ updatedAt: SINCE, extractedAt: '2020-01-01T00:00:00Z' })).toBe(Date.parse(SINCE))
+    expect(getChangedAt({ addedAt: SINCE })).toBe(Date.parse(SINCE))
+    expect(getChangedAt({ updatedAt: 'not-a-date' })).toBeNull()
+    expect(getChangedAt({})).toBeNull()
+  })
+})
+
+describe('computeSyncDelta', () => {
+  test('無基準點時全部記錄視為變更、無 tombstone', () => {
+    const delta = computeSyncDelta(library, null, NOW.toISOString())
+
+    expect(delta.books).toHaveLength(4)
+    expect(delta.tags).toHaveLength(2)
+    expect(delta.tombstones).toEqual({ books: [], tags: [], tag_categories: [] })
+  })
+
+  test('僅輸出 since 之後變更的記錄，無時間戳者一律輸出', () => {
+    const base = { since: SINCE, bookIds: [], tagIds: [], tagCategoryIds: [] }
+    const delta = computeSyncDelta(library, base, NOW.toISOString())
+
+    expect(delta.books.map(b => b.id)).toEqual(['b-new', 'b-extracted', 'b-untimed'])
+    expect(delta.tags.map(t => t.id)).toEqual(['tag-b'])
+    expect(delta.tagCategories).toEqual([])
+  })
+
+  test('基準點已知但現況不存在的 id 產生 tombstone', () => {
+    const base = {
+      since: SINCE,
+      bookIds: ['b-old', 'b-deleted'],
+      tagIds: ['tag-a', 'tag-gone'],
+      tagCategoryIds: ['cat-1', 'cat-gone']
+    }
+    const until = NOW.toISOString()
+    const delta = computeSyncDelta(library, base, until)
+
+    expect(delta.tombstones.books).toEqual([{ id: 'b-deleted', deleted_at: until }])
+    expect(delta.tombstones.tags).toEqual([{ id: 'tag-gone', deleted_at: until }])
+    expect(delta.tombstones.tag_categories).toEqual([{ id: 'cat-gone', deleted_at: until }])
+    expect(delta.ids.bookIds).toEqual(['b-old', 'b-new', 'b-extracted', 'b-untimed'])
+  })
+})
+
+describe('buildDeltaSyncJSON', () => {
+  test('全量模式：sync_mode=full、since=null、同步點含現況 id', () => {
+    const { json, syncPoint, changeCount } = buildDeltaSyncJSON(library, {
+      deviceId: 'ext_1', syncId: 'sync_1', now: NOW
+    })
+    const envelope = JSON.parse(json)
+
+    expect(envelope.format_version).toBe(SYNC_FORMAT_VERSION.DELTA)
+    expect(envelope.sync_mode).toBe('full')
+    expect(envelope.books).toHaveLength(4)
+    expect(envelope.tag_categories).toHaveLength(1)
+    expect(envelope.sync_meta).toEqual({
+      exported_at: NOW.toISOString(),
+      source_app: 'chrome-extension',
+      source_device: 'ext_1',
+      sync_id: 'sync_1',
+      since: null,
+      until: NOW.toISOString(),
+      book_count: 4,
+      tombstone_count: 0
+    })
+    expect(changeCount).toBe(7)
+    expect(syncPoint).toEqual({
+      syncId: 'sync_1',
+      until: NOW.toISOString(),
+      bookIds: ['b-old', 'b-new', 'b-extracted', 'b-untimed'],
+      tagIds: ['tag-a', 'tag-b'],
+      tagCategoryIds: ['cat-1']
+    })
+  })
+
+  test('增量模式：sync_mode=delta、計入 tombstone 數量', () => {
+    const base = { since: SINCE, bookIds: ['b-deleted'], tagIds: [], tagCategoryIds: [] }
+    const { json, changeCount } = buildDeltaSyncJSON(library, {
+      deviceId: 'ext_1', syncId: 'sync_2', base, now: NOW
+    })
+    const envelope = JSON.parse(json)
+
+    expect(envelope.sync_mode).toBe('delta')
+    expect(envelope.sync_meta.since).toBe(SINCE)
+    expect(envelope.sync_meta.book_count).toBe(3)
+    expect(envelope.sync_meta.tombstone_count).toBe(1)
+    expect(changeCount).toBe(5)
+  })
+
+  test('基準點後無變更時 changeCount 為 0', () => {
+    const base = { since: NOW.toISOString(), bookIds: ['b-old'], tagIds: [], tagCategoryIds: [] }
+    const { changeCount } = buildDeltaSyncJSON({ books: [library.books[0]] }, {
+      deviceId: 'ext_1', syncId: 'sync_3', base, now: NOW
+    })
+    expect(changeCount).toBe(0)
+  })
+})
+
+describe('isDeltaSyncEnvelope', () => {
+  test('辨識 3.x 信封，2.0 快照與非物件不誤判', () => {
+    const { json } = buildDeltaSyncJSON(library, { deviceId: 'ext_1', syncId: 'sync_1', now: NOW })
+
+    expect(isDeltaSyncEnvelope(JSON.parse(json))).toBe(true)
+    expect(isDeltaSyncEnvelope(JSON.parse(buildSyncJSON(library.books)))).toBe(false)
+    expect(isDeltaSyncEnvelope({ format_version: '3.0' })).toBe(false)
+    expect(isDeltaSyncEnvelope([])).toBe(false)
+    expect(isDeltaSyncEnvelope(null)).toBe(false)
+  })
+})
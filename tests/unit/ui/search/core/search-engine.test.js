@@ -204,6 +204,7 @@ describe('SearchEngine - TDD 循環 2/8', () => {
         fuzzyThreshold: 0.5,
         maxResults: 1000,
         enableWeightedSearch: true,
+        enableTokenFuzzySearch: false,
         performanceWarningThreshold: 1000
       })
     })
@@ -497,6 +498,22 @@ describe('SearchEngine - TDD 循環 2/8', () => {
       expect(results[0].title).toBe('Python 機器學習')
       expect(results[0].progress).toBe(100)
     })
+
+    test('scoreBooks 同步評分，逐詞模糊比對容忍錯字', () => {
+      const tokenEngine = new (require('src/ui/search/core/search-engine'))({
+        indexManager: mockIndexManager,
+        eventBus: mockEventBus,
+        logger: mockLogger,
+        config: { enableTokenFuzzySearch: true, fuzzyThreshold: 0.6 }
+      })
+
+      const fuzzy = tokenEngine.scoreBooks('flanagen', mockBooks, { author: 1.0 })
+      const versioned = tokenEngine.scoreBooks('python3', mockBooks, { title: 1.0 })
+
+      expect(fuzzy.map(result => result.book.id)).toEqual(['book-001'])
+      // 含數字的查詢詞不容錯
+      expect(versioned).toEqual([])
+    })
   })
 
   describe('5. Index-Based Search Optimization', () => {
@@ -17,6 +17,7 @@
  * 12. Tag Filtering - Tag 篩選（v0.17.2 PROP-007）
  * 13. TagCategory Filtering - TagCategory 分類篩選（v0.17.2 PROP-007）
  * 14. Tag + Existing Filter Combination - Tag 與現有篩選組合（v0.17.2 PROP-007）
+ * 15. matchBooks - 同步篩選與 readingStatus / source / dateRange 條件
  */
 
 // eslint-disable-next-line no-unused-vars
@@ -988,6 +989,53 @@ describe('FilterEngine', () => {
     })
   })
 
+  describe('matchBooks（同步篩選，查詢語法使用）', () => {
+    let v2Books
+
+    beforeEach(() => {
+      filterEngine = new FilterEngine({ eventBus: mockEventBus, logger: mockLogger })
+      v2Books = [
+        { id: 'a', title: '三體', readingStatus: 'reading', source: 'kobo', progress: 50, updatedAt: '2026-02-10T00:00:00Z' },
+        { id: 'b', title: '魔戒', readingStatus: 'finished', source: 'readmoo', progress: 100, updatedAt: '2026-03-01T00:00:00Z' },
+        { id: 'c', readingStatus: 'reading', source: 'readmoo', progress: 20 }
+      ]
+    })
+
+    test('同步回傳結果且不發送事件；不略過無書名的書', () => {
+      const result = filterEngine.matchBooks(v2Books, { readingStatus: 'reading' })
+
+      expect(result.map(b => b.id)).toEqual(['a', 'c'])
+      expect(mockEventBus.emit).not.toHaveBeenCalled()
+    })
+
+    test('source 與 progressRange 不含端點', () => {
+      expect(filterEngine.matchBooks(v2Books, { source: 'readmoo' }).map(b => b.id)).toEqual(['b', 'c'])
+      expect(filterEngine.matchBooks(v2Books, { progressRange: { min: 50, max: 100, minExclusive: true } }).map(b => b.id)).toEqual(['b'])
+      expect(filterEngine.matchBooks(v2Books, { progressRange: { min: 0, max: 100, maxExclusive: true } }).map(b => b.id)).toEqual(['a', 'c'])
+    })
+
+    test('dateRange 依指定欄位篩選，缺值的書不符合', () => {
+      const result = filterEngine.matchBooks(v2Books, {
+        dateRange: { field: 'updatedAt', after: '2026-02-01T00:00:00Z', before: '2026-02-28T23:59:59Z' }
+      })
+
+      expect(result.map(b => b.id)).toEqual(['a'])
+      expect(mockLogger.warn).not.toHaveBeenCalled()
+    })
+
+    test('dateRange 日期無法解析時拋出驗證錯誤', () => {
+      let caught
+      try {
+        filterEngine.matchBooks(v2Books, { dateRange: { field: 'updatedAt', after: 'not-a-date' } })
+      } catch (error) {
+        caught = error
+      }
+
+      expect(caught.code).toBe(ErrorCodes.VALIDATION_ERROR)
+      expect(caught.message).toContain('無效的日期格式')
+    })
+  })
+
   /**
    * W1-119.1: filterEngineMessages local dict 渲染驗證（PC-165 防護）
    *
@@ -474,6 +474,31 @@ describe('SearchResultFormatter', () => {
     })
   })
 
+  describe('匹配片段標示', () => {
+    beforeEach(() => {
+      const SearchResultFormatter = require('src/ui/search/formatter/search-result-formatter')
+      formatter = new SearchResultFormatter({
+        eventBus: mockEventBus,
+        logger: mockLogger
+      })
+    })
+
+    test('依查詢詞切出匹配片段，重疊範圍合併', () => {
+      const segments = formatter.highlightMatches('JavaScript 權威指南', 'javascript script 指南')
+
+      expect(segments).toEqual([
+        { text: 'JavaScript', matched: true },
+        { text: ' 權威', matched: false },
+        { text: '指南', matched: true }
+      ])
+    })
+
+    test('無匹配或空查詢時回傳整段未標示文字', () => {
+      expect(formatter.highlightMatches('Cooking Basics', 'quantum')).toEqual([{ text: 'Cooking Basics', matched: false }])
+      expect(formatter.highlightMatches('Cooking Basics', '')).toEqual([{ text: 'Cooking Basics', matched: false }])
+    })
+  })
+
   describe('統計和效能監控', () => {
     beforeEach(() => {
       // eslint-disable-next-line no-unused-vars
@@ -0,0 +1,100 @@
+/**
+ * 書庫查詢語法解析器測試
+ *
+ * 測試範圍：
+ * - 欄位條件、別名、引號、否定、OR 與括號的語法樹
+ * - 比較運算子與數值 / 日期期間解析
+ * - 語法錯誤的訊息與位置
+ */
+
+const { parseLibraryQuery, resolveQueryField } = require('src/ui/search/query/library-query-parser')
+
+function termSummary (node) {
+  if (node.type === 'term') return `${node.field || '*'}${node.op === '=' ? ':' : `:${node.op}`}${node.value}`
+  if (node.type === 'not') return `-${termSummary(node.child)}`
+  return `${node.type}(${node.children.map(termSummary).join(', ')})`
+}
+
+function parseOk (input) {
+  const result = parseLibraryQuery(input)
+  expect(result.errors).toEqual([])
+  expect(result.valid).toBe(true)
+  return result.ast
+}
+
+function parseError (input) {
+  const result = parseLibraryQuery(input)
+  expect(result.valid).toBe(false)
+  expect(result.ast).toBeNull()
+  return result.errors[0]
+}
+
+describe('parseLibraryQuery', () => {
+  test('空字串與空白回傳空語法樹', () => {
+    expect(parseLibraryQuery('')).toEqual({ valid: true, ast: null, errors: [] })
+    expect(parseLibraryQuery('   ')).toEqual({ valid: true, ast: null, errors: [] })
+  })
+
+  test('空白分隔為 AND，支援引號值與否定', () => {
+    const ast = parseOk('status:reading tag:科幻 author:"劉慈欣" progress:>50 source:books-com-tw -tag:已借出')
+
+    expect(termSummary(ast)).toBe('and(status:reading, tag:科幻, author:劉慈欣, progress:>50, source:books-com-tw, -tag:已借出)')
+    expect(ast.children[3].number).toBe(50)
+    expect(ast.children[2].quoted).toBe(true)
+  })
+
+  test('OR 優先序低於 AND，括號可分組與否定', () => {
+    expect(termSummary(parseOk('tag:科幻 OR tag:奇幻 status:reading'))).toBe('or(tag:科幻, and(tag:奇幻, status:reading))')
+    expect(termSummary(parseOk('(tag:科幻 OR tag:奇幻) status:reading'))).toBe('and(or(tag:科幻, tag:奇幻), status:reading)')
+    expect(termSummary(parseOk('-(tag:A OR tag:B)'))).toBe('-or(tag:A, tag:B)')
+  })
+
+  test('小寫 or、未知欄位與字中連字號視為一般字詞', () => {
+    expect(termSummary(parseOk('tea or coffee'))).toBe('and(*:tea, *:or, *:coffee)')
+    expect(termSummary(parseOk('Re:Zero x-men'))).toBe('and(*:Re:Zero, *:x-men)')
+  })
+
+  test('中文欄位別名、全形冒號與引號跳脫', () => {
+    const ast = parseOk('作者：劉慈欣 書名:"他說 \\"你好\\""')
+
+    expect(termSummary(ast)).toBe('and(author:劉慈欣, title:他說 "你好")')
+    expect(resolveQueryField('STATUS')).toBe('status')
+    expect(resolveQueryField('標籤')).toBe('tag')
+    expect(resolveQueryField('isbn')).toBeNull()
+  })
+
+  test('日期值解析為整年 / 整月 / 整日期間', () => {
+    const ast = parseOk('updated:2026-02 extracted:<=2025')
+    const [month, year] = ast.children
+
+    expect(month.period).toEqual({
+      from: new Date(2026, 1, 1).getTime(),
+      to: new Date(2026, 2, 1).getTime() - 1
+    })
+    expect(year.op).toBe('<=')
+    expect(year.period.to).toBe(new Date(2026, 0, 1).getTime() - 1)
+  })
+
+  test.each([
+    ['author:"劉慈欣', '引號未閉合', 7],
+    ['status:', '「status」缺少值', 0],
+    ['stauts:reading', '未知的欄位「stauts」，是否為「status」？', 0],
+    ['tag:>科幻', '「tag」不支援比較運算子「>」', 0],
+    ['progress:>abc', '「progress」必須是 0 到 100 之間的數字', 0],
+    ['progress:150', '「progress」必須是 0 到 100 之間的數字', 0],
+    ['updated:2026-13-01', '日期格式應為 YYYY、YYYY-MM 或 YYYY-MM-DD', 0],
+    ['updated:2026-02-30', '日期格式應為', 0],
+    ['(tag:科幻', '括號未閉合', 0],
+    ['tag:科幻)', '多餘的右括號', 6],
+    ['tag:科幻 OR', 'OR 後缺少條件', 7],
+    ['OR tag:科幻', 'OR 前缺少條件', 0],
+    ['()', '括號內沒有條件', 1],
+    ['三體 - 劉慈欣', '「-」後缺少條件', 3]
+  ])('語法錯誤「%s」', (input, message, start) => {
+    const error = parseError(input)
+
+    expect(error.message).toContain(message)
+    expect(error.start).toBe(start)
+    expect(error.end).toBeGreaterThan(error.start)
+  })
+})
@@ -0,0 +1,58 @@
+/**
+ * 書庫查詢自動完成測試
+ *
+ * 測試範圍：
+ * - 欄位名稱補全（英文與中文別名）
+ * - 欄位值補全：開頭相符優先、含空白的值加引號、保留否定與比較運算子
+ * - 建議為補全後的完整查詢字串
+ */
+
+const { suggestQueryCompletions } = require('src/ui/search/query/library-query-suggester')
+
+const VALUES = {
+  status: [
+    { value: 'reading', label: '閱讀中' },
+    { value: 'finished', label: '已讀完' },
+    { value: 'unread', label: '未讀' }
+  ],
+  tag: ['科幻', '奇幻', '硬科幻', 'Science Fiction']
+}
+
+function values (suggestions) {
+  return suggestions.map(suggestion => suggestion.value)
+}
+
+describe('suggestQueryCompletions', () => {
+  test('補全欄位名稱並附上說明', () => {
+    const suggestions = suggestQueryCompletions('三體 sta', VALUES)
+
+    expect(suggestions).toEqual([{ value: '三體 status:', label: '閱讀狀態' }])
+    expect(values(suggestQueryCompletions('作', VALUES))).toEqual(['作者:'])
+  })
+
+  test('補全狀態值，可依標籤文字比對', () => {
+    expect(values(suggestQueryCompletions('status:re', VALUES))).toEqual(['status:reading ', 'status:unread '])
+    expect(suggestQueryCompletions('status:已讀', VALUES)).toEqual([{ value: 'status:finished ', label: '已讀完' }])
+  })
+
+  test('開頭相符的標籤排在包含相符之前，保留否定前綴', () => {
+    expect(values(suggestQueryCompletions('progress:>50 -tag:科', VALUES)))
+      .toEqual(['progress:>50 -tag:科幻 ', 'progress:>50 -tag:硬科幻 '])
+  })
+
+  test('含空白的值加上引號；已開啟的引號也能補全', () => {
+    expect(values(suggestQueryCompletions('tag:sci', VALUES))).toEqual(['tag:"Science Fiction" '])
+    expect(values(suggestQueryCompletions('(tag:"Science F', VALUES))).toEqual(['(tag:"Science Fiction" '])
+  })
+
+  test('未知欄位、空輸入與無值來源的欄位不建議', () => {
+    expect(suggestQueryCompletions('isbn:97', VALUES)).toEqual([])
+    expect(suggestQueryCompletions('', VALUES)).toEqual([])
+    expect(suggestQueryCompletions('三體 ', VALUES)).toEqual([])
+    expect(suggestQueryCompletions('author:劉', VALUES)).toEqual([])
+  })
+
+  test('建議數量受 limit 限制', () => {
+    expect(suggestQueryCompletions('tag:', VALUES, { limit: 2 })).toHaveLength(2)
+  })
+})